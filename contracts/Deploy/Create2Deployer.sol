@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/// @title Create2Deployer
+/// @notice CREATE2 factory so protocol contracts land at the same address on every network
+/// @dev Salts are scoped to msg.sender, so only the same deployer can claim an address.
+///      The new contract sees this factory as msg.sender (Ownable, _setupRole, initializers):
+///      `calls` run right after creation, in the same transaction, to hand ownership and
+///      roles back to the deployer before anyone else can touch the contract.
+contract Create2Deployer {
+
+    event Deployed(address indexed deployed, address indexed sender, bytes32 indexed salt);
+
+    error EmptyInitCode();
+    error DeploymentFailed();
+    error CallFailed(uint256 index, bytes reason);
+
+    /// @notice Deploys `initCode` at computeAddress(msg.sender, salt, keccak256(initCode))
+    /// @param salt Per-contract salt, scoped to msg.sender
+    /// @param initCode Creation code with its constructor arguments appended
+    /// @param calls Calldata run against the new contract in order; any revert undoes the deploy
+    /// @return deployed Address of the new contract
+    /// @return results Return data of each call
+    function deploy(bytes32 salt, bytes calldata initCode, bytes[] calldata calls)
+        external
+        payable
+        returns (address deployed, bytes[] memory results)
+    {
+        if (initCode.length == 0) revert EmptyInitCode();
+
+        bytes32 scopedSalt = _scopedSalt(msg.sender, salt);
+        bytes memory code = initCode;
+        assembly {
+            deployed := create2(callvalue(), add(code, 0x20), mload(code), scopedSalt)
+        }
+        if (deployed == address(0)) revert DeploymentFailed();
+
+        results = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool ok, bytes memory result) = deployed.call(calls[i]);
+            if (!ok) revert CallFailed(i, result);
+            results[i] = result;
+        }
+
+        emit Deployed(deployed, msg.sender, salt);
+    }
+
+    /// @notice Address deploy() uses for `sender`, `salt` and the hash of the init code
+    function computeAddress(address sender, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        bytes32 hash = keccak256(abi.encodePacked(bytes1(0xff), address(this), _scopedSalt(sender, salt), initCodeHash));
+        return address(uint160(uint256(hash)));
+    }
+
+    function _scopedSalt(address sender, bytes32 salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(sender, salt));
+    }
+}
@@ -24,11 +24,11 @@ Examples:
 TypeScript client helpers:
 
 import { BrowserProvider } from "ethers";
-import { createNuxchainClients } from "@nuxchain/protocol-export";
+import { connectClients } from "@nuxchain/protocol-export";
 
 const provider = new BrowserProvider(window.ethereum);
 const signer = await provider.getSigner();
-const clients = createNuxchainClients(signer);
+const clients = await connectClients(signer);
 
 const treasuryStats = await clients.treasuryManager.getStats();
 
@@ -45,13 +45,16 @@ Available entrypoints:
 
 • @nuxchain/protocol-export
 • @nuxchain/protocol-export/abis
+• @nuxchain/protocol-export/abis/<Contract>
 • @nuxchain/protocol-export/config
 • @nuxchain/protocol-export/clients
 
 Generated files:
 
+• export/abis/contracts/<Contract>.js / .ts (one module per contract)
+• export/abis/runtime.js / index.ts (re-export the modules)
 • export/abis/all-abis.json
-• export/abis/runtime.js
+• export/size-report.json
 • export/config/contracts.generated.json
 • export/config/contracts.generated.ts
 • export/config/contracts.generated.js
@@ -60,5 +63,6 @@ Notes:
 
 • Generated addresses come from deployments/complete-deployment.json when present
 • If no deployment manifest exists, the generator falls back to export/config/contracts.config.ts
-• The current package is focused on Polygon mainnet
+• ADDRESS_BOOKS holds one address book per chainId (137, 80002, 31337 when deployed)
+• connectClients(signer) picks the book from the connected network
 `);
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IAgentRevenueTreasury (contracts/NFT/NuxAgentNFTBase.sol).
+ */
+
+export const IAgentRevenueTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"depositRevenue","outputs":[],"stateMutability":"payable","type":"function"}];
+
+export default IAgentRevenueTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IAuctionTreasury (contracts/Auction/NuxAuctionMarketplace.sol).
+ */
+
+export const IAuctionTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"receiveRevenue","outputs":[],"stateMutability":"payable","type":"function"}] as const;
+
+export default IAuctionTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IBadgeManager (contracts/interfaces/IBadgeManager.sol).
+ */
+
+export const IBadgeManager = [{"inputs":[],"name":"getAllBadgeHolders","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getTotalBadgeHolders","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"hasBadge","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"}];
+
+export default IBadgeManager;
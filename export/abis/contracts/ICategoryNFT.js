@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ICategoryNFT (contracts/NFT/NuxAgentFactory.sol).
+ */
+
+export const ICategoryNFT = [{"inputs":[{"internalType":"address","name":"recipient","type":"address"},{"components":[{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"string","name":"model","type":"string"},{"internalType":"enum INuxAgentNFT.AgentCategory","name":"category","type":"uint8"},{"internalType":"string","name":"systemPromptURI","type":"string"},{"internalType":"string","name":"userPromptURI","type":"string"},{"internalType":"bool","name":"promptsEncrypted","type":"bool"},{"internalType":"bytes","name":"geminiConfig","type":"bytes"},{"internalType":"string","name":"agentURI","type":"string"},{"internalType":"enum INuxAgentNFT.AgentState","name":"state","type":"uint8"},{"internalType":"uint256","name":"mintedAt","type":"uint256"},{"internalType":"uint256","name":"reputation","type":"uint256"}],"internalType":"struct INuxAgentNFT.AgentConfig","name":"config","type":"tuple"},{"internalType":"string","name":"tokenURI_","type":"string"}],"name":"mintFromFactory","outputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"mintingFee","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"}];
+
+export default ICategoryNFT;
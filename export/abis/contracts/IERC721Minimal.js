@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IERC721Minimal (contracts/NuxPower/AgentNuxPower.sol).
+ */
+
+export const IERC721Minimal = [{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"}];
+
+export default IERC721Minimal;
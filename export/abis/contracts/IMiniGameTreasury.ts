@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IMiniGameTreasury (contracts/NFT/NuxAgentMiniGame.sol).
+ */
+
+export const IMiniGameTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"depositRevenue","outputs":[],"stateMutability":"payable","type":"function"}] as const;
+
+export default IMiniGameTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INFTOwnerQuery (contracts/NFT/NuxAgentPaymaster.sol).
+ */
+
+export const INFTOwnerQuery = [{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getTokenBoundAccount","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"}];
+
+export default INFTOwnerQuery;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INFTRentalHook (contracts/NFT/NuxAgentRental.sol).
+ */
+
+export const INFTRentalHook = [{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"isApprovedOrOwner","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"renter","type":"address"},{"internalType":"uint256","name":"expiry","type":"uint256"}],"name":"setRenter","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default INFTRentalHook;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxPower (contracts/interfaces/INuxPower.sol).
+ */
+
+export const INuxPower = [{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"}],"name":"nuxPowerActivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"}],"name":"nuxPowerDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"}],"name":"nuxPowerExpired","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"},{"indexed":false,"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"price","type":"uint256"}],"name":"nuxPowerPurchased","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newExpiryTime","type":"uint256"}],"name":"nuxPowerRenewed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":true,"internalType":"uint256","name":"skillId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"}],"name":"nuxPowerTransferred","type":"event"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"}],"name":"activateNuxPower","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"}],"name":"claimExpiredNuxPower","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"}],"name":"deactivateNuxPower","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"}],"name":"getNuxPower","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"uint256","name":"level","type":"uint256"},{"internalType":"address","name":"owner","type":"address"},{"internalType":"uint256","name":"purchasedAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct INuxPower.NuxPower","name":"skill","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"enum IStakingIntegration.PowerType","name":"_skillType","type":"uint8"}],"name":"getUserActivenuxPowers","outputs":[{"internalType":"uint256[]","name":"skillIds","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUsernuxPowers","outputs":[{"internalType":"uint256[]","name":"skillIds","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUsernuxPowersDetailed","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"skillType","type":"uint8"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"uint256","name":"level","type":"uint256"},{"internalType":"address","name":"owner","type":"address"},{"internalType":"uint256","name":"purchasedAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct INuxPower.NuxPower[]","name":"skills","type":"tuple[]"},{"internalType":"bool[]","name":"isActive","type":"bool[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum IStakingIntegration.Rarity","name":"_rarity","type":"uint8"}],"name":"getnuxPowerPrice","outputs":[{"internalType":"uint256","name":"price","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum IStakingIntegration.PowerType","name":"_skillType","type":"uint8"},{"internalType":"enum IStakingIntegration.Rarity","name":"_rarity","type":"uint8"},{"internalType":"uint256","name":"_level","type":"uint256"},{"internalType":"string","name":"_metadata","type":"string"}],"name":"purchaseNuxPower","outputs":[{"internalType":"uint256","name":"skillId","type":"uint256"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"}],"name":"renewNuxPower","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_skillId","type":"uint256"},{"internalType":"address","name":"_recipient","type":"address"}],"name":"transferNuxPower","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default INuxPower;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapAgentMarketRegistry (contracts/NuxTapGame/NuxTapAgentMarketplace.sol).
+ */
+
+export const INuxTapAgentMarketRegistry = [{"inputs":[{"internalType":"address","name":"nftContract","type":"address"}],"name":"registeredNFTContracts","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"}] as const;
+
+export default INuxTapAgentMarketRegistry;
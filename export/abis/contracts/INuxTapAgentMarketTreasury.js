@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapAgentMarketTreasury (contracts/NuxTapGame/NuxTapAgentMarketplace.sol).
+ */
+
+export const INuxTapAgentMarketTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"depositRevenue","outputs":[],"stateMutability":"payable","type":"function"}];
+
+export default INuxTapAgentMarketTreasury;
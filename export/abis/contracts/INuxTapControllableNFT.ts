@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapControllableNFT (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+
+export const INuxTapControllableNFT = [{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"effectiveController","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"}] as const;
+
+export default INuxTapControllableNFT;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapGameStore (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+
+export const INuxTapGameStore = [{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"uint256","name":"itemId","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"consumeItem","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"itemId","type":"uint256"}],"name":"getItemConfig","outputs":[{"internalType":"uint8","name":"kind","type":"uint8"},{"internalType":"uint256","name":"price","type":"uint256"},{"internalType":"uint256","name":"value","type":"uint256"},{"internalType":"uint256","name":"duration","type":"uint256"},{"internalType":"uint256","name":"stock","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"bool","name":"soulbound","type":"bool"},{"internalType":"address","name":"nftContract","type":"address"}],"stateMutability":"view","type":"function"}];
+
+export default INuxTapGameStore;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapOwnerNFT (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+
+export const INuxTapOwnerNFT = [{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"}] as const;
+
+export default INuxTapOwnerNFT;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapStoreTreasury (contracts/NuxTapGame/NuxTapItemStore.sol).
+ */
+
+export const INuxTapStoreTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"depositRevenue","outputs":[],"stateMutability":"payable","type":"function"}] as const;
+
+export default INuxTapStoreTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of INuxTapTreasuryGame (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+
+export const INuxTapTreasuryGame = [{"inputs":[],"name":"availableLiquidity","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"recipient","type":"address"},{"internalType":"uint256","name":"grossAmount","type":"uint256"},{"internalType":"uint256","name":"feeAmount","type":"uint256"},{"internalType":"string","name":"reason","type":"string"}],"name":"payReward","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"reserveLiquidity","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default INuxTapTreasuryGame;
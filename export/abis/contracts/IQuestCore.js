@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IQuestCore (contracts/interfaces/IQuestCore.sol).
+ */
+
+export const IQuestCore = [{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"ActionNotified","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"PendingPolRewardsClaimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"questId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"xpRewarded","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"polRewarded","type":"uint256"}],"name":"QuestCompleted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"questId","type":"uint256"},{"indexed":false,"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"indexed":false,"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"indexed":false,"internalType":"string","name":"title","type":"string"},{"indexed":false,"internalType":"uint256","name":"requirement","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"xpReward","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"polReward","type":"uint256"}],"name":"QuestCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"questId","type":"uint256"}],"name":"QuestDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"questId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"progress","type":"uint256"}],"name":"QuestProgressUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"questId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"QuestRewardDeferred","type":"event"},{"inputs":[],"name":"claimPendingPolRewards","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"questId","type":"uint256"}],"name":"completeQuest","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"components":[{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"}],"internalType":"struct IQuestCore.QuestCreateParams","name":"params","type":"tuple"}],"name":"createQuest","outputs":[{"internalType":"uint256","name":"questId","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"questId","type":"uint256"}],"name":"deactivateQuest","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getAllActiveQuests","outputs":[{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct IQuestCore.Quest[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"limit","type":"uint256"}],"name":"getMostPopularQuests","outputs":[{"internalType":"uint256[]","name":"questIds","type":"uint256[]"},{"internalType":"uint256[]","name":"completionCounts","type":"uint256[]"},{"internalType":"string[]","name":"titles","type":"string[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"questId","type":"uint256"}],"name":"getQuest","outputs":[{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct IQuestCore.Quest","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"limit","type":"uint256"}],"name":"getQuestLeaderboard","outputs":[{"internalType":"address[]","name":"users","type":"address[]"},{"internalType":"uint256[]","name":"completedCounts","type":"uint256[]"},{"internalType":"uint256[]","name":"totalXP","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getQuestSystemStats","outputs":[{"internalType":"uint256","name":"totalQuests","type":"uint256"},{"internalType":"uint256","name":"activeQuests","type":"uint256"},{"internalType":"uint256","name":"totalCompletions","type":"uint256"},{"internalType":"uint256","name":"totalXPAwarded","type":"uint256"},{"internalType":"uint256","name":"averageCompletionRate","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"}],"name":"getQuestsByCategory","outputs":[{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct IQuestCore.Quest[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"}],"name":"getQuestsByType","outputs":[{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct IQuestCore.Quest[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserCompletedQuests","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserIncompleteQuests","outputs":[{"internalType":"uint256[]","name":"questIds","type":"uint256[]"},{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"enum IQuestCore.QuestCategory","name":"category","type":"uint8"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"string","name":"title","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint256","name":"requirement","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"polReward","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"completionLimit","type":"uint256"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"internalType":"struct IQuestCore.Quest[]","name":"questData","type":"tuple[]"},{"internalType":"uint256[]","name":"progressPercentages","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"questId","type":"uint256"}],"name":"getUserQuestProgress","outputs":[{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"uint256","name":"currentProgress","type":"uint256"},{"internalType":"bool","name":"completed","type":"bool"},{"internalType":"uint256","name":"completedAt","type":"uint256"}],"internalType":"struct IQuestCore.UserQuestProgress","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"}],"name":"getUserQuestProgressByType","outputs":[{"internalType":"uint256[]","name":"questIds","type":"uint256[]"},{"components":[{"internalType":"uint256","name":"questId","type":"uint256"},{"internalType":"uint256","name":"currentProgress","type":"uint256"},{"internalType":"bool","name":"completed","type":"bool"},{"internalType":"uint256","name":"completedAt","type":"uint256"}],"internalType":"struct IQuestCore.UserQuestProgress[]","name":"progresses","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserQuestStats","outputs":[{"internalType":"uint256","name":"totalCompleted","type":"uint256"},{"internalType":"uint256","name":"totalInProgress","type":"uint256"},{"internalType":"uint256","name":"totalXPEarned","type":"uint256"},{"internalType":"uint256","name":"completionRate","type":"uint256"},{"internalType":"enum IQuestCore.QuestType","name":"favoriteType","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserSocialActions","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum IQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"notifyAction","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"recordSocialAction","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"coreAddress","type":"address"}],"name":"setCoreContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"levelingAddress","type":"address"}],"name":"setLevelingContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"stakingAddress","type":"address"}],"name":"setStakingContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"questId","type":"uint256"}],"name":"updateQuestProgress","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default IQuestCore;
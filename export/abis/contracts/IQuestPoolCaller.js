@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IQuestPoolCaller (contracts/Quest/QuestCore.sol).
+ */
+
+export const IQuestPoolCaller = [{"inputs":[{"internalType":"address","name":"recipient","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"string","name":"source","type":"string"}],"name":"requestPayout","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default IQuestPoolCaller;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IQuestRewardsPool (contracts/interfaces/IQuestRewardsPool.sol).
+ */
+
+export const IQuestRewardsPool = [{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"sender","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"FundsDeposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"recipient","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"string","name":"source","type":"string"},{"indexed":true,"internalType":"address","name":"module","type":"address"}],"name":"RewardPaid","type":"event"},{"inputs":[],"name":"depositFromTreasury","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"getPoolStats","outputs":[{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"received","type":"uint256"},{"internalType":"uint256","name":"distributed","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"recipient","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"string","name":"source","type":"string"}],"name":"requestPayout","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default IQuestRewardsPool;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IQuestTreasury (contracts/Treasury/QuestRewardsPool.sol).
+ */
+
+export const IQuestTreasury = [{"inputs":[{"internalType":"enum IQuestTreasury.TreasuryType","name":"treasuryType","type":"uint8"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"requestEmergencyFunds","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default IQuestTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IRentalAgentRegistry (contracts/NFT/NuxAgentRental.sol).
+ */
+
+export const IRentalAgentRegistry = [{"inputs":[{"internalType":"address","name":"nftContract","type":"address"}],"name":"registeredNFTContracts","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"}] as const;
+
+export default IRentalAgentRegistry;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IRentalTreasury (contracts/NFT/NuxAgentRental.sol).
+ */
+
+export const IRentalTreasury = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"depositRevenue","outputs":[],"stateMutability":"payable","type":"function"}] as const;
+
+export default IRentalTreasury;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ISmartStaking (contracts/NuxPower/NuxPowerNft.sol).
+ */
+
+export const ISmartStaking = [{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getTotalDeposit","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"}] as const;
+
+export default ISmartStaking;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ISmartStakingPower (contracts/interfaces/ISmartStakingPower.sol).
+ */
+
+export const ISmartStakingPower = [{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"nftId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"indexed":false,"internalType":"uint16","name":"effectValue","type":"uint16"},{"indexed":false,"internalType":"uint16","name":"totalBoost","type":"uint16"}],"name":"PowerActivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"uint256","name":"nftId","type":"uint256"},{"indexed":false,"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"indexed":false,"internalType":"uint16","name":"totalBoost","type":"uint16"}],"name":"PowerDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"nftId","type":"uint256"},{"indexed":false,"internalType":"enum ISmartStakingPower.PowerRarity","name":"rarity","type":"uint8"},{"indexed":false,"internalType":"uint16","name":"rarityMultiplier","type":"uint16"}],"name":"PowerRarityUpdated","type":"event"},{"inputs":[{"internalType":"uint256[]","name":"nftIds","type":"uint256[]"},{"internalType":"enum ISmartStakingPower.PowerRarity[]","name":"rarities","type":"uint8[]"}],"name":"batchSetPowerRarity","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getActivePowersWithDetails","outputs":[{"components":[{"internalType":"uint256","name":"nftId","type":"uint256"},{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"enum ISmartStakingPower.PowerRarity","name":"rarity","type":"uint8"},{"internalType":"uint16","name":"boost","type":"uint16"},{"internalType":"uint16","name":"rarityMultiplier","type":"uint16"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint64","name":"activatedAt","type":"uint64"},{"internalType":"uint64","name":"cooldownEnds","type":"uint64"}],"internalType":"struct ISmartStakingPower.PowerInfo[]","name":"powers","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getAllPowerBoosts","outputs":[{"internalType":"enum IStakingIntegration.PowerType[]","name":"powerTypes","type":"uint8[]"},{"internalType":"uint16[]","name":"boosts","type":"uint16[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"}],"name":"getPowerBoost","outputs":[{"internalType":"uint16","name":"boost","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"nftId","type":"uint256"}],"name":"getPowerRarity","outputs":[{"internalType":"enum ISmartStakingPower.PowerRarity","name":"rarity","type":"uint8"},{"internalType":"uint16","name":"multiplier","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserBoosts","outputs":[{"internalType":"uint16","name":"totalBoost","type":"uint16"},{"internalType":"uint16","name":"rarityMultiplier","type":"uint16"},{"internalType":"uint16","name":"effectiveBoost","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserPowerProfile","outputs":[{"components":[{"internalType":"uint256[]","name":"activeSkillNFTIds","type":"uint256[]"},{"internalType":"uint16","name":"totalBoost","type":"uint16"},{"internalType":"uint16","name":"stakingBoostTotal","type":"uint16"},{"internalType":"uint16","name":"feeDiscountTotal","type":"uint16"},{"internalType":"uint16","name":"lockTimeReduction","type":"uint16"},{"internalType":"bool","name":"hasAutoCompound","type":"bool"},{"internalType":"uint16","name":"rarityMultiplier","type":"uint16"},{"internalType":"uint16","name":"level","type":"uint16"},{"internalType":"uint8","name":"activeSkillCount","type":"uint8"}],"internalType":"struct ISmartStakingPower.UserPowerProfile","name":"profile","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"nftId","type":"uint256"}],"name":"isPowerActive","outputs":[{"internalType":"bool","name":"isActive","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"nftId","type":"uint256"},{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"uint16","name":"effectValue","type":"uint16"}],"name":"notifyPowerActivation","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"nftId","type":"uint256"}],"name":"notifyPowerDeactivation","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"nftId","type":"uint256"},{"internalType":"enum ISmartStakingPower.PowerRarity","name":"rarity","type":"uint8"}],"name":"setPowerRarity","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"uint16","name":"newBoost","type":"uint16"}],"name":"updatePowerBoost","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default ISmartStakingPower;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ISmartStakingRewardsExtended (contracts/SmartStaking/SmartStakingCore.sol).
+ */
+
+export const ISmartStakingRewardsExtended = [{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"clearStakingSince","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"recordStakingSince","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default ISmartStakingRewardsExtended;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ISmartStakingRewardsExtendedLib (contracts/SmartStaking/SmartStakingCoreLib.sol).
+ */
+
+export const ISmartStakingRewardsExtendedLib = [{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"clearStakingSince","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default ISmartStakingRewardsExtendedLib;
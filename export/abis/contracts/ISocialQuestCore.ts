@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ISocialQuestCore (contracts/Social/MarketplaceSocial.sol).
+ */
+
+export const ISocialQuestCore = [{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum ISocialQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"notifyAction","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default ISocialQuestCore;
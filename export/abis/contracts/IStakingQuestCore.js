@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IStakingQuestCore (contracts/SmartStaking/SmartStakingCore.sol).
+ */
+
+export const IStakingQuestCore = [{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"enum IStakingQuestCore.QuestType","name":"questType","type":"uint8"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"notifyAction","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default IStakingQuestCore;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ITreasuryManager (contracts/interfaces/ITreasuryManager.sol).
+ */
+
+export const ITreasuryManager = [{"inputs":[{"internalType":"enum ITreasuryManager.TreasuryType","name":"treasuryType","type":"uint8"}],"name":"allocations","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"reason","type":"string"}],"name":"declareEmergency","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"endEmergency","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getAvailableBalance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getBalance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getDistributionTimeline","outputs":[{"internalType":"uint256","name":"firstDeposit","type":"uint256"},{"internalType":"uint256","name":"lastDistribution","type":"uint256"},{"internalType":"uint256","name":"nextDistribution","type":"uint256"},{"internalType":"uint256","name":"timeUntilNext","type":"uint256"},{"internalType":"bool","name":"isReady","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getEmergencyInfo","outputs":[{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"emergencyFundsDistributed","type":"uint256"},{"internalType":"uint256","name":"reserveAvailable","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum ITreasuryManager.TreasuryType","name":"protocol","type":"uint8"}],"name":"getProtocolStatus","outputs":[{"internalType":"enum ITreasuryManager.ProtocolStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"deficit","type":"uint256"},{"internalType":"bool","name":"canAccessEmergency","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"isDistributionReady","outputs":[{"internalType":"bool","name":"ready","type":"bool"},{"internalType":"uint256","name":"timeUntilNext","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"currentTVL","type":"uint256"},{"internalType":"uint256","name":"oldMultiplier","type":"uint256"},{"internalType":"uint256","name":"newMultiplier","type":"uint256"},{"internalType":"uint256","name":"compressionBps","type":"uint256"}],"name":"notifyAPYCompression","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"receiveRevenue","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"enum ITreasuryManager.TreasuryType","name":"protocol","type":"uint8"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"requestEmergencyFunds","outputs":[{"internalType":"bool","name":"success","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"requestRewardFunds","outputs":[{"internalType":"bool","name":"success","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum ITreasuryManager.TreasuryType","name":"protocol","type":"uint8"},{"internalType":"enum ITreasuryManager.ProtocolStatus","name":"newStatus","type":"uint8"}],"name":"setProtocolStatus","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum ITreasuryManager.TreasuryType","name":"treasuryType","type":"uint8"}],"name":"treasuries","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"triggerDistribution","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default ITreasuryManager;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of ITreasuryReceiver (contracts/NFT/NuxAgentPaymaster.sol).
+ */
+
+export const ITreasuryReceiver = [{"inputs":[{"internalType":"string","name":"revenueType","type":"string"}],"name":"receiveRevenue","outputs":[],"stateMutability":"payable","type":"function"}] as const;
+
+export default ITreasuryReceiver;
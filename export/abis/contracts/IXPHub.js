@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of IXPHub (contracts/interfaces/IXPHub.sol).
+ */
+
+export const IXPHub = [{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":true,"internalType":"uint8","name":"source","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"newTotal","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"XPAwarded","type":"event"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"addXP","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"enum IXPHub.XPSource","name":"source","type":"uint8"}],"name":"awardXP","outputs":[{"internalType":"bool","name":"leveledUp","type":"bool"},{"internalType":"uint8","name":"newLevel","type":"uint8"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"xp","type":"uint256"}],"name":"getLevelFromXP","outputs":[{"internalType":"uint8","name":"level","type":"uint8"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserProfile","outputs":[{"components":[{"internalType":"uint256","name":"totalXP","type":"uint256"},{"internalType":"uint8","name":"level","type":"uint8"},{"internalType":"uint256","name":"nftsCreated","type":"uint256"},{"internalType":"uint256","name":"nftsOwned","type":"uint256"},{"internalType":"uint32","name":"nftsSold","type":"uint32"},{"internalType":"uint32","name":"nftsBought","type":"uint32"}],"internalType":"struct IXPHub.UserProfile","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserXP","outputs":[{"internalType":"uint256","name":"totalXP","type":"uint256"},{"internalType":"uint8","name":"level","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserXPBreakdown","outputs":[{"internalType":"uint256[15]","name":"xpBySource","type":"uint256[15]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"xpAmount","type":"uint256"},{"internalType":"string","name":"reason","type":"string"}],"name":"updateUserXP","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default IXPHub;
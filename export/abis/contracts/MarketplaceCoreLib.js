@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of MarketplaceCoreLib (contracts/Marketplace/MarketplaceCoreLib.sol).
+ */
+
+export const MarketplaceCoreLib = [{"inputs":[],"name":"RefundFailed","type":"error"},{"inputs":[],"name":"SellerFailed","type":"error"},{"inputs":[],"name":"TreasuryFailed","type":"error"},{"inputs":[{"internalType":"address","name":"seller","type":"address"},{"internalType":"address","name":"buyer","type":"address"},{"internalType":"uint256","name":"grossAmount","type":"uint256"},{"components":[{"internalType":"address","name":"creator","type":"address"},{"internalType":"string","name":"uri","type":"string"},{"internalType":"string","name":"category","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint96","name":"royaltyPercentage","type":"uint96"}],"internalType":"struct NFTMetadata","name":"meta","type":"tuple"},{"internalType":"uint256","name":"platformFeePercentage","type":"uint256"}],"name":"buildSaleSettlement","outputs":[{"components":[{"internalType":"address","name":"seller","type":"address"},{"internalType":"address","name":"buyer","type":"address"},{"internalType":"uint256","name":"grossAmount","type":"uint256"},{"internalType":"uint256","name":"platformFee","type":"uint256"},{"internalType":"uint256","name":"royaltyAmount","type":"uint256"},{"internalType":"uint256","name":"sellerAmount","type":"uint256"}],"internalType":"struct SaleSettlement","name":"settlement","type":"tuple"}],"stateMutability":"pure","type":"function"}];
+
+export default MarketplaceCoreLib;
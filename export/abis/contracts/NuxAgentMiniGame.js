@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of NuxAgentMiniGame (contracts/NFT/NuxAgentMiniGame.sol).
+ */
+
+export const NuxAgentMiniGame = [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"previousAdmin","type":"address"},{"indexed":false,"internalType":"address","name":"newAdmin","type":"address"}],"name":"AdminChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"beacon","type":"address"}],"name":"BeaconUpgraded","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"newStreak","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"bonusXP","type":"uint256"}],"name":"DailyStreakUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint8","name":"version","type":"uint8"}],"name":"Initialized","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"nftContract","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"totalXP","type":"uint256"}],"name":"LeaderboardXPUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"submissionId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"feeAmount","type":"uint256"}],"name":"MiniGameFeeCollected","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"submissionId","type":"uint256"},{"indexed":true,"internalType":"address","name":"claimer","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"RewardClaimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"address","name":"depositor","type":"address"}],"name":"RewardPoolDeposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"address","name":"recipient","type":"address"}],"name":"RewardPoolWithdrawn","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"previousAdminRole","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"newAdminRole","type":"bytes32"}],"name":"RoleAdminChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleGranted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleRevoked","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"submissionId","type":"uint256"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"xpAwarded","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"rewardEscrowed","type":"uint256"}],"name":"SubmissionApproved","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"submissionId","type":"uint256"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"string","name":"reason","type":"string"}],"name":"SubmissionRejected","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"nftContract","type":"address"},{"indexed":false,"internalType":"bool","name":"supported","type":"bool"}],"name":"SupportedNFTContractUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"taskId","type":"uint256"},{"indexed":false,"internalType":"string","name":"metadataURI","type":"string"},{"indexed":false,"internalType":"enum NuxAgentMiniGame.TaskType","name":"taskType","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"xpReward","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"tokenReward","type":"uint256"}],"name":"TaskCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"submissionId","type":"uint256"},{"indexed":true,"internalType":"uint256","name":"taskId","type":"uint256"},{"indexed":true,"internalType":"address","name":"nftContract","type":"address"},{"indexed":false,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"TaskSubmitted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"taskId","type":"uint256"}],"name":"TaskUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"implementation","type":"address"}],"name":"Upgraded","type":"event"},{"inputs":[],"name":"ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"DEFAULT_ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"DEPOSITOR_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"UPGRADER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"VALIDATOR_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"agentGameXP","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"agentRegistry","outputs":[{"internalType":"contract IMiniGameRegistry","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"agentTaskCompletions","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"submissionId","type":"uint256"}],"name":"claimReward","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"components":[{"internalType":"string","name":"metadataURI","type":"string"},{"internalType":"enum NuxAgentMiniGame.TaskType","name":"taskType","type":"uint8"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"tokenReward","type":"uint256"},{"internalType":"uint256","name":"requiredMinReputation","type":"uint256"},{"internalType":"uint256","name":"maxCompletionsPerAgent","type":"uint256"},{"internalType":"uint256","name":"totalMaxCompletions","type":"uint256"},{"internalType":"bool","name":"validationRequired","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"internalType":"struct NuxAgentMiniGame.CreateTaskParams","name":"p","type":"tuple"}],"name":"createTask","outputs":[{"internalType":"uint256","name":"taskId","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"dailyStreak","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"defaultValidator","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"depositRewards","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getAgentGameStats","outputs":[{"internalType":"uint256","name":"totalXP","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getAgentStreak","outputs":[{"internalType":"uint256","name":"streak","type":"uint256"},{"internalType":"uint256","name":"lastDay","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"uint256","name":"offset","type":"uint256"},{"internalType":"uint256","name":"limit","type":"uint256"}],"name":"getAgentSubmissions","outputs":[{"internalType":"uint256[]","name":"submissionIds","type":"uint256[]"},{"components":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"submitter","type":"address"},{"internalType":"string","name":"resultURI","type":"string"},{"internalType":"bytes32","name":"resultHash","type":"bytes32"},{"internalType":"enum NuxAgentMiniGame.SubmissionStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"submittedAt","type":"uint256"},{"internalType":"uint256","name":"resolvedAt","type":"uint256"},{"internalType":"bool","name":"rewardClaimed","type":"bool"},{"internalType":"bytes32","name":"registryRequestHash","type":"bytes32"}],"internalType":"struct NuxAgentMiniGame.TaskSubmission[]","name":"agentSubmissions","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"}],"name":"getRoleAdmin","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"submissionId","type":"uint256"}],"name":"getSubmission","outputs":[{"components":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"submitter","type":"address"},{"internalType":"string","name":"resultURI","type":"string"},{"internalType":"bytes32","name":"resultHash","type":"bytes32"},{"internalType":"enum NuxAgentMiniGame.SubmissionStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"submittedAt","type":"uint256"},{"internalType":"uint256","name":"resolvedAt","type":"uint256"},{"internalType":"bool","name":"rewardClaimed","type":"bool"},{"internalType":"bytes32","name":"registryRequestHash","type":"bytes32"}],"internalType":"struct NuxAgentMiniGame.TaskSubmission","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"taskId","type":"uint256"}],"name":"getTask","outputs":[{"components":[{"internalType":"string","name":"metadataURI","type":"string"},{"internalType":"enum NuxAgentMiniGame.TaskType","name":"taskType","type":"uint8"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"tokenReward","type":"uint256"},{"internalType":"uint256","name":"requiredMinReputation","type":"uint256"},{"internalType":"uint256","name":"maxCompletionsPerAgent","type":"uint256"},{"internalType":"uint256","name":"totalMaxCompletions","type":"uint256"},{"internalType":"uint256","name":"totalCompletions","type":"uint256"},{"internalType":"bool","name":"validationRequired","type":"bool"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"internalType":"struct NuxAgentMiniGame.Task","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"taskId","type":"uint256"}],"name":"getTaskStatus","outputs":[{"components":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"bool","name":"exists","type":"bool"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"bool","name":"started","type":"bool"},{"internalType":"bool","name":"expired","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"tokenReward","type":"uint256"},{"internalType":"uint256","name":"remainingGlobalCompletions","type":"uint256"},{"internalType":"bool","name":"validationRequired","type":"bool"},{"internalType":"enum NuxAgentMiniGame.TaskType","name":"taskType","type":"uint8"},{"internalType":"bool","name":"rewardLiquiditySufficient","type":"bool"}],"internalType":"struct NuxAgentMiniGame.TaskStatusView","name":"status","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserRewardSummary","outputs":[{"components":[{"internalType":"uint256","name":"approvedUnclaimedCount","type":"uint256"},{"internalType":"uint256","name":"pendingValidationCount","type":"uint256"},{"internalType":"uint256","name":"rejectedCount","type":"uint256"},{"internalType":"uint256","name":"totalClaimableRewards","type":"uint256"}],"internalType":"struct NuxAgentMiniGame.RewardSummary","name":"summary","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"offset","type":"uint256"},{"internalType":"uint256","name":"limit","type":"uint256"}],"name":"getUserSubmissions","outputs":[{"internalType":"uint256[]","name":"submissionIds","type":"uint256[]"},{"components":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"submitter","type":"address"},{"internalType":"string","name":"resultURI","type":"string"},{"internalType":"bytes32","name":"resultHash","type":"bytes32"},{"internalType":"enum NuxAgentMiniGame.SubmissionStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"submittedAt","type":"uint256"},{"internalType":"uint256","name":"resolvedAt","type":"uint256"},{"internalType":"bool","name":"rewardClaimed","type":"bool"},{"internalType":"bytes32","name":"registryRequestHash","type":"bytes32"}],"internalType":"struct NuxAgentMiniGame.TaskSubmission[]","name":"userSubmissions","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"grantRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"hasRole","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"admin_","type":"address"},{"internalType":"address","name":"agentRegistry_","type":"address"},{"internalType":"address","name":"defaultValidator_","type":"address"}],"name":"initialize","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"lastDailyDay","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"miniGameFeeBps","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"proxiableUUID","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"renounceRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"revokeRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"rewardPool","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"registry_","type":"address"}],"name":"setAgentRegistry","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"validator_","type":"address"}],"name":"setDefaultValidator","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"feeBps_","type":"uint256"}],"name":"setMiniGameFee","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bool","name":"paused_","type":"bool"}],"name":"setPaused","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"bool","name":"supported","type":"bool"}],"name":"setSupportedNFTContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"bool","name":"active_","type":"bool"}],"name":"setTaskActive","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"tm_","type":"address"}],"name":"setTreasuryManager","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"submissionCounter","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"submissions","outputs":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"submitter","type":"address"},{"internalType":"string","name":"resultURI","type":"string"},{"internalType":"bytes32","name":"resultHash","type":"bytes32"},{"internalType":"enum NuxAgentMiniGame.SubmissionStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"submittedAt","type":"uint256"},{"internalType":"uint256","name":"resolvedAt","type":"uint256"},{"internalType":"bool","name":"rewardClaimed","type":"bool"},{"internalType":"bytes32","name":"registryRequestHash","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"taskId","type":"uint256"},{"internalType":"address","name":"nftContract","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"string","name":"resultURI","type":"string"},{"internalType":"bytes32","name":"resultHash","type":"bytes32"}],"name":"submitTask","outputs":[{"internalType":"uint256","name":"submissionId","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"supportedNFTContracts","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes4","name":"interfaceId","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"taskCounter","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"tasks","outputs":[{"internalType":"string","name":"metadataURI","type":"string"},{"internalType":"enum NuxAgentMiniGame.TaskType","name":"taskType","type":"uint8"},{"internalType":"uint256","name":"xpReward","type":"uint256"},{"internalType":"uint256","name":"tokenReward","type":"uint256"},{"internalType":"uint256","name":"requiredMinReputation","type":"uint256"},{"internalType":"uint256","name":"maxCompletionsPerAgent","type":"uint256"},{"internalType":"uint256","name":"totalMaxCompletions","type":"uint256"},{"internalType":"uint256","name":"totalCompletions","type":"uint256"},{"internalType":"bool","name":"validationRequired","type":"bool"},{"internalType":"bool","name":"active","type":"bool"},{"internalType":"uint256","name":"startTime","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"treasuryManager","outputs":[{"internalType":"contract IMiniGameTreasury","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newImplementation","type":"address"}],"name":"upgradeTo","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newImplementation","type":"address"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"upgradeToAndCall","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userMissionXP","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"submissionId","type":"uint256"},{"internalType":"bool","name":"approved","type":"bool"},{"internalType":"string","name":"reason","type":"string"}],"name":"validateSubmission","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"address","name":"recipient","type":"address"}],"name":"withdrawRewardPool","outputs":[],"stateMutability":"nonpayable","type":"function"},{"stateMutability":"payable","type":"receive"}];
+
+export default NuxAgentMiniGame;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of SkillViewLib (contracts/SmartStaking/SkillViewLib.sol).
+ */
+
+export const SkillViewLib = [{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseAPY","type":"uint256"}],"name":"calculateBoostedAPY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseFee","type":"uint256"}],"name":"calculateFeeDiscount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseLockTime","type":"uint256"}],"name":"calculateReducedLockTime","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"gamMod","type":"address"},{"internalType":"address","name":"user","type":"address"}],"name":"checkAutoCompound","outputs":[{"internalType":"bool","name":"upkeepNeeded","type":"bool"},{"internalType":"bytes","name":"performData","type":"bytes"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"user","type":"address"}],"name":"getActiveSkills","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"IStakingIntegration.PowerType"},{"internalType":"uint16","name":"effectValue","type":"uint16"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"IStakingIntegration.Rarity"},{"internalType":"uint64","name":"activatedAt","type":"uint64"},{"internalType":"uint64","name":"cooldownEnds","type":"uint64"},{"internalType":"bool","name":"isActive","type":"bool"}],"internalType":"struct IStakingIntegration.NFTPower[]","name":"skills","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"gamMod","type":"address"}],"name":"getAutoCompoundUsers","outputs":[{"internalType":"address[]","name":"autoUsers","type":"address[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"gamMod","type":"address"},{"internalType":"address","name":"user","type":"address"}],"name":"getUserSkillProfile","outputs":[{"components":[{"internalType":"uint256[]","name":"activeNFTIds","type":"uint256[]"},{"internalType":"uint256","name":"totalXP","type":"uint256"},{"internalType":"uint16","name":"level","type":"uint16"},{"internalType":"uint8","name":"maxActiveSkills","type":"uint8"},{"internalType":"uint16","name":"stakingBoostTotal","type":"uint16"},{"internalType":"uint16","name":"feeDiscountTotal","type":"uint16"},{"internalType":"bool","name":"hasAutoCompound","type":"bool"}],"internalType":"struct IStakingIntegration.UserPowerProfile","name":"profile","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"address","name":"gamMod","type":"address"},{"internalType":"address","name":"user","type":"address"}],"name":"hasAutoCompound","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"skillsMod","type":"address"},{"internalType":"uint256","name":"nftId","type":"uint256"}],"name":"nftRarity","outputs":[{"internalType":"enum IStakingIntegration.Rarity","name":"","type":"IStakingIntegration.Rarity"}],"stateMutability":"view","type":"function"}];
+
+export default SkillViewLib;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of SmartStakingCoreLib (contracts/SmartStaking/SmartStakingCoreLib.sol).
+ */
+
+export const SmartStakingCoreLib = [{"inputs":[],"name":"AutoCompoundNotEnabled","type":"error"},{"inputs":[{"internalType":"address","name":"treasury","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"CommissionTransferFailed","type":"error"},{"inputs":[{"internalType":"uint256","name":"availableToWithdraw","type":"uint256"}],"name":"DailyWithdrawalLimitExceeded","type":"error"},{"inputs":[{"internalType":"uint256","name":"index","type":"uint256"},{"internalType":"uint256","name":"length","type":"uint256"}],"name":"DepositIndexOutOfBounds","type":"error"},{"inputs":[],"name":"FundsAreLocked","type":"error"},{"inputs":[],"name":"InsufficientBalance","type":"error"},{"inputs":[],"name":"InvalidAddress","type":"error"},{"inputs":[],"name":"InvalidLockupDuration","type":"error"},{"inputs":[],"name":"MigrationNotAllowed","type":"error"},{"inputs":[],"name":"ModuleNotSet","type":"error"},{"inputs":[],"name":"NoDepositsFound","type":"error"},{"inputs":[],"name":"NoRewardsAvailable","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"feeAmount","type":"uint256"}],"name":"AutocompoundFeePaid","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"receiver","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"CommissionPaid","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"feeAmount","type":"uint256"}],"name":"EarlyExitFeePaid","type":"event"}] as const;
+
+export default SmartStakingCoreLib;
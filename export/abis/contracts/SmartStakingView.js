@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of SmartStakingView (contracts/SmartStaking/SmartStakingView.sol).
+ */
+
+export const SmartStakingView = [{"inputs":[{"internalType":"address","name":"_stakingContract","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"StakingContractUpdated","type":"event"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseAPY","type":"uint256"}],"name":"calculateBoostedAPY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseFee","type":"uint256"}],"name":"calculateFeeDiscount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint8","name":"lockupPeriodIndex","type":"uint8"},{"internalType":"uint256","name":"daysToProject","type":"uint256"}],"name":"calculatePotentialEarnings","outputs":[{"internalType":"uint256","name":"projectedEarnings","type":"uint256"},{"internalType":"uint256","name":"effectiveAPY","type":"uint256"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"baseLockTime","type":"uint256"}],"name":"calculateReducedLockTime","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getAPYRates","outputs":[{"internalType":"uint256","name":"flexibleAPY","type":"uint256"},{"internalType":"uint256","name":"locked30APY","type":"uint256"},{"internalType":"uint256","name":"locked90APY","type":"uint256"},{"internalType":"uint256","name":"locked180APY","type":"uint256"},{"internalType":"uint256","name":"locked365APY","type":"uint256"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getActiveSkillsWithDetails","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"uint16","name":"effectValue","type":"uint16"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"uint64","name":"activatedAt","type":"uint64"},{"internalType":"uint64","name":"cooldownEnds","type":"uint64"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint256","name":"rarityBoost","type":"uint256"}],"internalType":"struct SmartStakingView.SkillDetails[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"page","type":"uint256"},{"internalType":"uint256","name":"pageSize","type":"uint256"}],"name":"getAutoCompoundUsersPage","outputs":[{"internalType":"address[]","name":"users","type":"address[]"},{"internalType":"uint256","name":"totalPages","type":"uint256"},{"internalType":"uint256","name":"currentPage","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getAvailableSkillsConfiguration","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"bool","name":"enabled","type":"bool"},{"internalType":"uint16","name":"effectValue","type":"uint16"},{"internalType":"bytes32","name":"descriptionHash","type":"bytes32"}],"internalType":"struct SmartStakingView.SkillConfig[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getContractBalance","outputs":[{"internalType":"uint256","name":"contractBalance","type":"uint256"},{"internalType":"uint256","name":"totalPoolBalance_","type":"uint256"},{"internalType":"uint256","name":"availableForRewards","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDashboardData","outputs":[{"internalType":"uint256","name":"poolTotalValue","type":"uint256"},{"internalType":"uint256","name":"poolActiveUsers","type":"uint256"},{"internalType":"uint256","name":"poolContractBalance","type":"uint256"},{"internalType":"uint8","name":"poolHealthStatus","type":"uint8"},{"internalType":"uint256","name":"userStaked","type":"uint256"},{"internalType":"uint256","name":"userRewards","type":"uint256"},{"internalType":"uint256","name":"userDeposits","type":"uint256"},{"internalType":"uint256","name":"userFlexible","type":"uint256"},{"internalType":"uint256","name":"userLocked","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDashboardUserSummary","outputs":[{"internalType":"uint256","name":"userStaked","type":"uint256"},{"internalType":"uint256","name":"userPendingRewards","type":"uint256"},{"internalType":"uint256","name":"userDepositCount","type":"uint256"},{"internalType":"uint256","name":"userFlexibleBalance","type":"uint256"},{"internalType":"uint256","name":"userLockedBalance","type":"uint256"},{"internalType":"uint256","name":"userUnlockedBalance","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_depositIndex","type":"uint256"}],"name":"getDepositDetails","outputs":[{"components":[{"internalType":"uint256","name":"depositIndex","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"currentRewards","type":"uint256"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"lastClaimTime","type":"uint256"},{"internalType":"uint256","name":"lockupDuration","type":"uint256"},{"internalType":"uint256","name":"unlockTime","type":"uint256"},{"internalType":"uint8","name":"lockupTypeId","type":"uint8"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"bool","name":"isWithdrawable","type":"bool"}],"internalType":"struct SmartStakingView.DepositDetails","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_depositIndex","type":"uint256"}],"name":"getDepositRewardRates","outputs":[{"internalType":"uint256","name":"hourlyRate","type":"uint256"},{"internalType":"uint256","name":"dailyRate","type":"uint256"},{"internalType":"uint256","name":"monthlyRate","type":"uint256"},{"internalType":"uint256","name":"totalAccrued","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDepositSummaryByType","outputs":[{"internalType":"uint256[]","name":"summaries","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getEarningsBreakdown","outputs":[{"internalType":"uint256","name":"dailyEarnings","type":"uint256"},{"internalType":"uint256","name":"monthlyEarnings","type":"uint256"},{"internalType":"uint256","name":"annualEarnings","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"daysFromNow","type":"uint256"}],"name":"getEstimatedRewards","outputs":[{"internalType":"uint256","name":"baseEstimate","type":"uint256"},{"internalType":"uint256","name":"boostedEstimate","type":"uint256"},{"internalType":"uint256","name":"activeSkillsCount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getGlobalStats","outputs":[{"components":[{"internalType":"uint256","name":"totalValueLocked","type":"uint256"},{"internalType":"uint256","name":"totalUniqueUsers","type":"uint256"},{"internalType":"uint256","name":"contractBalance","type":"uint256"},{"internalType":"uint256","name":"availableRewards","type":"uint256"},{"internalType":"uint8","name":"healthStatus","type":"uint8"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"internalType":"struct SmartStakingView.GlobalStakingStats","name":"stats","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getHourlyROIRates","outputs":[{"internalType":"uint256[5]","name":"rates","type":"uint256[5]"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getLockedDepositInfo","outputs":[{"internalType":"bool","name":"hasLocked","type":"bool"},{"internalType":"uint256","name":"lockedAmount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getMarketStats","outputs":[{"components":[{"internalType":"uint256","name":"autoCompoundUsersCount","type":"uint256"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"internalType":"struct SmartStakingView.MarketStats","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getNextUnlockTime","outputs":[{"internalType":"uint256","name":"secondsUntilUnlock","type":"uint256"},{"internalType":"uint256","name":"nextUnlockTime","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getPoolHealth","outputs":[{"internalType":"uint8","name":"healthStatus","type":"uint8"},{"internalType":"uint256","name":"reserveRatio","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getPoolStats","outputs":[{"internalType":"uint256","name":"totalPoolValue","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"activeUsersCount","type":"uint256"},{"internalType":"uint256","name":"totalDeposits","type":"uint256"},{"internalType":"uint256","name":"contractBalanceValue","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getPortfolioSummary","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"pendingRewards","type":"uint256"},{"internalType":"uint256","name":"totalValue","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"rewardEfficiency","type":"uint256"}],"internalType":"struct SmartStakingView.PortfolioSummary","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getSkillEffectiveness","outputs":[{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"uint16","name":"effectValue","type":"uint16"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint256","name":"impactValue","type":"uint256"}],"internalType":"struct SmartStakingView.SkillEffectiveness[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"nftId","type":"uint256"}],"name":"getSkillRarity","outputs":[{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"uint256","name":"rarityBoost","type":"uint256"},{"internalType":"uint8","name":"stars","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getStakingEfficiency","outputs":[{"internalType":"uint256","name":"efficiency","type":"uint256"},{"internalType":"uint8","name":"suggestionCount","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getTotalDeposit","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserDeposits","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"lastWithdrawTime","type":"uint256"}],"internalType":"struct SmartStakingView.UserDepositInfo","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserDetailedStats","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"boostedRewards","type":"uint256"},{"internalType":"uint256","name":"boostedRewardsWithRarity","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"lastWithdrawTime","type":"uint256"},{"internalType":"uint16","name":"userLevel","type":"uint16"},{"internalType":"uint256","name":"userXP","type":"uint256"},{"internalType":"uint8","name":"maxActiveSkills","type":"uint8"},{"internalType":"uint8","name":"activeSkillsCount","type":"uint8"},{"internalType":"uint16","name":"stakingBoostTotal","type":"uint16"},{"internalType":"uint16","name":"feeDiscountTotal","type":"uint16"},{"internalType":"bool","name":"hasAutoCompound","type":"bool"}],"internalType":"struct SmartStakingView.UserStats","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserInfoWithSkills","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"lastWithdrawTime","type":"uint256"},{"components":[{"internalType":"uint256[]","name":"activeNFTIds","type":"uint256[]"},{"internalType":"uint256","name":"totalXP","type":"uint256"},{"internalType":"uint16","name":"level","type":"uint16"},{"internalType":"uint8","name":"maxActiveSkills","type":"uint8"},{"internalType":"uint16","name":"stakingBoostTotal","type":"uint16"},{"internalType":"uint16","name":"feeDiscountTotal","type":"uint16"},{"internalType":"bool","name":"hasAutoCompound","type":"bool"}],"internalType":"struct IStakingIntegration.UserPowerProfile","name":"skillProfile","type":"tuple"},{"components":[{"internalType":"enum IStakingIntegration.PowerType","name":"powerType","type":"uint8"},{"internalType":"uint16","name":"effectValue","type":"uint16"},{"internalType":"enum IStakingIntegration.Rarity","name":"rarity","type":"uint8"},{"internalType":"uint64","name":"activatedAt","type":"uint64"},{"internalType":"uint64","name":"cooldownEnds","type":"uint64"},{"internalType":"bool","name":"isActive","type":"bool"}],"internalType":"struct IStakingIntegration.NFTPower[]","name":"activeSkills","type":"tuple[]"}],"internalType":"struct SmartStakingView.UserInfoWithSkills","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserMetrics","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"deposits","type":"uint256"},{"internalType":"uint8","name":"activeSkills","type":"uint8"},{"internalType":"uint16","name":"level","type":"uint16"},{"internalType":"uint256","name":"xp","type":"uint256"},{"internalType":"uint16","name":"boosts","type":"uint16"}],"internalType":"struct SmartStakingView.UserMetrics","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserPortfolio","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"totalPortfolioValue","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"flexibleBalance","type":"uint256"},{"internalType":"uint256","name":"lockedBalance","type":"uint256"},{"internalType":"uint256","name":"unlockedBalance","type":"uint256"},{"internalType":"uint256","name":"lastWithdrawTime","type":"uint256"},{"components":[{"internalType":"uint256","name":"depositIndex","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"currentRewards","type":"uint256"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"lastClaimTime","type":"uint256"},{"internalType":"uint256","name":"lockupDuration","type":"uint256"},{"internalType":"uint256","name":"unlockTime","type":"uint256"},{"internalType":"uint8","name":"lockupTypeId","type":"uint8"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"bool","name":"isWithdrawable","type":"bool"}],"internalType":"struct SmartStakingView.DepositDetails[]","name":"deposits","type":"tuple[]"}],"internalType":"struct SmartStakingView.UserPortfolio","name":"portfolio","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserRewardsProjection","outputs":[{"components":[{"internalType":"uint256","name":"hourlyRewards","type":"uint256"},{"internalType":"uint256","name":"dailyRewards","type":"uint256"},{"internalType":"uint256","name":"weeklyRewards","type":"uint256"},{"internalType":"uint256","name":"monthlyRewards","type":"uint256"},{"internalType":"uint256","name":"yearlyRewards","type":"uint256"},{"internalType":"uint256","name":"currentPendingRewards","type":"uint256"}],"internalType":"struct SmartStakingView.UserRewardsProjection","name":"projection","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserSkillSummary","outputs":[{"internalType":"uint256[5]","name":"boostedAPYs","type":"uint256[5]"},{"internalType":"uint256","name":"effectiveFeeDiscount","type":"uint256"},{"internalType":"uint256[5]","name":"reducedLockTimes","type":"uint256[5]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getWithdrawableDeposits","outputs":[{"internalType":"uint256[]","name":"withdrawableIndices","type":"uint256[]"},{"internalType":"uint256","name":"withdrawableAmount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getWithdrawalStatus","outputs":[{"internalType":"bool","name":"canWithdraw","type":"bool"},{"internalType":"uint256","name":"withdrawableRewards","type":"uint256"},{"internalType":"uint256","name":"lockedUntil","type":"uint256"},{"internalType":"uint256","name":"dailyLimitRemaining","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"hasActiveStake","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_stakingContract","type":"address"}],"name":"setStakingContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"stakingContract","outputs":[{"internalType":"contract IStakingViewData","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+
+export default SmartStakingView;
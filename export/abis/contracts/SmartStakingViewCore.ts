@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of SmartStakingViewCore (contracts/SmartStaking/SmartStakingViewCore.sol).
+ */
+
+export const SmartStakingViewCore = [{"inputs":[{"internalType":"address","name":"_stakingContract","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"StakingContractUpdated","type":"event"},{"inputs":[],"name":"getContractBalance","outputs":[{"internalType":"uint256","name":"contractBalance","type":"uint256"},{"internalType":"uint256","name":"totalPoolBalance_","type":"uint256"},{"internalType":"uint256","name":"availableForRewards","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDailyWithdrawalInfo","outputs":[{"internalType":"uint256","name":"limit","type":"uint256"},{"internalType":"uint256","name":"usedToday","type":"uint256"},{"internalType":"uint256","name":"remaining","type":"uint256"},{"internalType":"bool","name":"circuitActive","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDashboardUserSummary","outputs":[{"internalType":"uint256","name":"userStaked","type":"uint256"},{"internalType":"uint256","name":"userPendingRewards","type":"uint256"},{"internalType":"uint256","name":"userDepositCount","type":"uint256"},{"internalType":"uint256","name":"userFlexibleBalance","type":"uint256"},{"internalType":"uint256","name":"userLockedBalance","type":"uint256"},{"internalType":"uint256","name":"userUnlockedBalance","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_depositIndex","type":"uint256"}],"name":"getDepositDetails","outputs":[{"components":[{"internalType":"uint256","name":"depositIndex","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"currentRewards","type":"uint256"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"lastClaimTime","type":"uint256"},{"internalType":"uint256","name":"lockupDuration","type":"uint256"},{"internalType":"uint256","name":"unlockTime","type":"uint256"},{"internalType":"string","name":"lockupType","type":"string"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"bool","name":"isWithdrawable","type":"bool"}],"internalType":"struct SmartStakingViewCore.DepositDetails","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDepositSummaryByType","outputs":[{"internalType":"uint256[]","name":"summaries","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getLockedDepositInfo","outputs":[{"internalType":"bool","name":"hasLocked","type":"bool"},{"internalType":"uint256","name":"lockedAmount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getNextUnlockTime","outputs":[{"internalType":"uint256","name":"secondsUntilUnlock","type":"uint256"},{"internalType":"uint256","name":"nextUnlockTime","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getReinvestmentConfig","outputs":[{"internalType":"uint256","name":"percentage","type":"uint256"},{"internalType":"string","name":"description","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getTotalDeposit","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserDeposits","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"lastWithdrawTime","type":"uint256"}],"internalType":"struct SmartStakingViewCore.UserDepositInfo","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"address","name":"_rewardsModule","type":"address"}],"name":"getUserTierInfo","outputs":[{"internalType":"string","name":"tierName","type":"string"},{"internalType":"uint256","name":"tierBonusBps","type":"uint256"},{"internalType":"uint256","name":"loyaltyDays","type":"uint256"},{"internalType":"uint256","name":"loyaltyBps","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getWithdrawableDeposits","outputs":[{"internalType":"uint256[]","name":"withdrawableIndices","type":"uint256[]"},{"internalType":"uint256","name":"withdrawableAmount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_stakingContract","type":"address"}],"name":"setStakingContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"stakingContract","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default SmartStakingViewCore;
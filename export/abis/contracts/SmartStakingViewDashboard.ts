@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of SmartStakingViewDashboard (contracts/SmartStaking/SmartStakingViewDashboard.sol).
+ */
+
+export const SmartStakingViewDashboard = [{"inputs":[{"internalType":"address","name":"_stakingContract","type":"address"},{"internalType":"address","name":"_rewardsModule","type":"address"},{"internalType":"address","name":"_powerModule","type":"address"},{"internalType":"address","name":"_gamificationModule","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"rewards","type":"address"},{"indexed":false,"internalType":"address","name":"powers","type":"address"},{"indexed":false,"internalType":"address","name":"gamification","type":"address"}],"name":"ModulesUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"StakingContractUpdated","type":"event"},{"inputs":[],"name":"gamificationModule","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserDashboard","outputs":[{"components":[{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalRewards","type":"uint256"},{"internalType":"uint256","name":"depositCount","type":"uint256"},{"internalType":"uint256","name":"flexibleBalance","type":"uint256"},{"internalType":"uint256","name":"lockedBalance","type":"uint256"},{"internalType":"uint256","name":"unlockedBalance","type":"uint256"},{"components":[{"internalType":"uint256","name":"index","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"lastClaimTime","type":"uint256"},{"internalType":"uint256","name":"lockupDuration","type":"uint256"},{"internalType":"uint256","name":"unlockTime","type":"uint256"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"bool","name":"isWithdrawable","type":"bool"},{"internalType":"string","name":"lockupLabel","type":"string"}],"internalType":"struct SmartStakingViewDashboard.DepositSnapshot[]","name":"deposits","type":"tuple[]"},{"internalType":"uint256[5]","name":"baseAPYs","type":"uint256[5]"},{"internalType":"uint256[5]","name":"boostedAPYs","type":"uint256[5]"},{"internalType":"string","name":"tierName","type":"string"},{"internalType":"uint256","name":"tierBonusBps","type":"uint256"},{"internalType":"uint256","name":"loyaltyDays","type":"uint256"},{"internalType":"uint256","name":"loyaltyBonusBps","type":"uint256"},{"internalType":"uint256","name":"apyBoostBps","type":"uint256"},{"internalType":"uint256","name":"compoundBoostBps","type":"uint256"},{"internalType":"uint256","name":"withdrawBoostBps","type":"uint256"},{"internalType":"uint256","name":"currentXP","type":"uint256"},{"internalType":"uint256","name":"currentLevel","type":"uint256"},{"internalType":"uint256","name":"streakDays","type":"uint256"},{"internalType":"uint256","name":"deferredRewardAmount","type":"uint256"},{"internalType":"uint256","name":"projectedDailyRewards","type":"uint256"},{"internalType":"uint256","name":"projectedMonthlyRewards","type":"uint256"},{"internalType":"uint256","name":"projectedYearlyRewards","type":"uint256"},{"internalType":"uint256","name":"dailyWithdrawalLimit","type":"uint256"},{"internalType":"uint256","name":"dailyWithdrawalUsed","type":"uint256"},{"internalType":"uint256","name":"dailyWithdrawalRemaining","type":"uint256"},{"internalType":"bool","name":"circuitBreakerActive","type":"bool"},{"internalType":"uint256","name":"reinvestmentPct","type":"uint256"},{"internalType":"bool","name":"autoCompoundEnabled","type":"bool"},{"internalType":"address","name":"referrer","type":"address"},{"internalType":"uint256","name":"referralBoostBps","type":"uint256"},{"internalType":"uint256","name":"secondsUntilNextUnlock","type":"uint256"},{"internalType":"uint256","name":"nextUnlockTime","type":"uint256"}],"internalType":"struct SmartStakingViewDashboard.DashboardData","name":"data","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"powerModule","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"rewardsModule","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_rewards","type":"address"},{"internalType":"address","name":"_powers","type":"address"},{"internalType":"address","name":"_gamification","type":"address"}],"name":"setModules","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_addr","type":"address"}],"name":"setStakingContract","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"stakingContract","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}] as const;
+
+export default SmartStakingViewDashboard;
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated ABI of XPSourceMetadata (contracts/Xp/XPSourceMetadata.sol).
+ */
+
+export const XPSourceMetadata = [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"TOTAL_SOURCES","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getAllCategories","outputs":[{"internalType":"string[5]","name":"","type":"string[5]"}],"stateMutability":"pure","type":"function"},{"inputs":[],"name":"getAllSourceMetadata","outputs":[{"components":[{"internalType":"string","name":"label","type":"string"},{"internalType":"string","name":"icon","type":"string"},{"internalType":"string","name":"category","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint16","name":"multiplierBps","type":"uint16"},{"internalType":"uint256","name":"baseXP","type":"uint256"}],"internalType":"struct XPSourceMetadata.SourceMeta[15]","name":"all","type":"tuple[15]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"source","type":"uint8"}],"name":"getSourceCategory","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"source","type":"uint8"}],"name":"getSourceLabel","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"source","type":"uint8"}],"name":"getSourceMetadata","outputs":[{"components":[{"internalType":"string","name":"label","type":"string"},{"internalType":"string","name":"icon","type":"string"},{"internalType":"string","name":"category","type":"string"},{"internalType":"string","name":"description","type":"string"},{"internalType":"uint16","name":"multiplierBps","type":"uint16"},{"internalType":"uint256","name":"baseXP","type":"uint256"}],"internalType":"struct XPSourceMetadata.SourceMeta","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"source","type":"uint8"}],"name":"getSourceMultiplier","outputs":[{"internalType":"uint16","name":"","type":"uint16"}],"stateMutability":"view","type":"function"}];
+
+export default XPSourceMetadata;
@@ -1,114 +1,296 @@
 /**
  * Auto-generated runtime ABI exports.
+ * One module per contract in ./contracts; import only what you use.
  */
 
-import abiCatalog from "./all-abis.json" with { type: "json" };
+import { AgentNuxPower } from "./contracts/AgentNuxPower.js";
+import { BusinessAgentNFT } from "./contracts/BusinessAgentNFT.js";
+import { CollaboratorBadgeRewards } from "./contracts/CollaboratorBadgeRewards.js";
+import { DynamicAPYCalculator } from "./contracts/DynamicAPYCalculator.js";
+import { FinanceAgentNFT } from "./contracts/FinanceAgentNFT.js";
+import { Gamification } from "./contracts/Gamification.js";
+import { IAPYCalculator } from "./contracts/IAPYCalculator.js";
+import { IAgentRevenueTreasury } from "./contracts/IAgentRevenueTreasury.js";
+import { IAuctionTreasury } from "./contracts/IAuctionTreasury.js";
+import { IBadgeManager } from "./contracts/IBadgeManager.js";
+import { ICategoryNFT } from "./contracts/ICategoryNFT.js";
+import { IERC721Minimal } from "./contracts/IERC721Minimal.js";
+import { IGameifiedMarketplace } from "./contracts/IGameifiedMarketplace.js";
+import { IMarketplaceCore } from "./contracts/IMarketplaceCore.js";
+import { IMarketplaceSocial } from "./contracts/IMarketplaceSocial.js";
+import { IMarketplaceStatistics } from "./contracts/IMarketplaceStatistics.js";
+import { IMarketplaceView } from "./contracts/IMarketplaceView.js";
+import { IMiniGameNFT } from "./contracts/IMiniGameNFT.js";
+import { IMiniGameRegistry } from "./contracts/IMiniGameRegistry.js";
+import { IMiniGameTreasury } from "./contracts/IMiniGameTreasury.js";
+import { INFTOwnerQuery } from "./contracts/INFTOwnerQuery.js";
+import { INFTRentalHook } from "./contracts/INFTRentalHook.js";
+import { INuxAgentNFT } from "./contracts/INuxAgentNFT.js";
+import { INuxPower } from "./contracts/INuxPower.js";
+import { INuxTapAgentMarketRegistry } from "./contracts/INuxTapAgentMarketRegistry.js";
+import { INuxTapAgentMarketTreasury } from "./contracts/INuxTapAgentMarketTreasury.js";
+import { INuxTapAgentRegistry } from "./contracts/INuxTapAgentRegistry.js";
+import { INuxTapControllableNFT } from "./contracts/INuxTapControllableNFT.js";
+import { INuxTapGameStore } from "./contracts/INuxTapGameStore.js";
+import { INuxTapMarketNFT } from "./contracts/INuxTapMarketNFT.js";
+import { INuxTapOwnerNFT } from "./contracts/INuxTapOwnerNFT.js";
+import { INuxTapStoreTreasury } from "./contracts/INuxTapStoreTreasury.js";
+import { INuxTapTreasuryGame } from "./contracts/INuxTapTreasuryGame.js";
+import { IQuestCore } from "./contracts/IQuestCore.js";
+import { IQuestPoolCaller } from "./contracts/IQuestPoolCaller.js";
+import { IQuestRewardsPool } from "./contracts/IQuestRewardsPool.js";
+import { IQuestTreasury } from "./contracts/IQuestTreasury.js";
+import { IRentalAgentRegistry } from "./contracts/IRentalAgentRegistry.js";
+import { IRentalTreasury } from "./contracts/IRentalTreasury.js";
+import { ISmartStaking } from "./contracts/ISmartStaking.js";
+import { ISmartStakingGamification } from "./contracts/ISmartStakingGamification.js";
+import { ISmartStakingPower } from "./contracts/ISmartStakingPower.js";
+import { ISmartStakingRewards } from "./contracts/ISmartStakingRewards.js";
+import { ISmartStakingRewardsExtended } from "./contracts/ISmartStakingRewardsExtended.js";
+import { ISmartStakingRewardsExtendedLib } from "./contracts/ISmartStakingRewardsExtendedLib.js";
+import { ISmartStakingSkills } from "./contracts/ISmartStakingSkills.js";
+import { ISocialQuestCore } from "./contracts/ISocialQuestCore.js";
+import { IStakingIntegration } from "./contracts/IStakingIntegration.js";
+import { IStakingQuestCore } from "./contracts/IStakingQuestCore.js";
+import { IStakingViewData } from "./contracts/IStakingViewData.js";
+import { ITreasuryManager } from "./contracts/ITreasuryManager.js";
+import { ITreasuryReceiver } from "./contracts/ITreasuryReceiver.js";
+import { IXPHub } from "./contracts/IXPHub.js";
+import { LevelingSystem } from "./contracts/LevelingSystem.js";
+import { MarketingAgentNFT } from "./contracts/MarketingAgentNFT.js";
+import { MarketplaceCore } from "./contracts/MarketplaceCore.js";
+import { MarketplaceCoreLib } from "./contracts/MarketplaceCoreLib.js";
+import { MarketplaceProxy } from "./contracts/MarketplaceProxy.js";
+import { MarketplaceSocial } from "./contracts/MarketplaceSocial.js";
+import { MarketplaceStatistics } from "./contracts/MarketplaceStatistics.js";
+import { MarketplaceView } from "./contracts/MarketplaceView.js";
+import { NuxAgentFactory } from "./contracts/NuxAgentFactory.js";
+import { NuxAgentMiniGame } from "./contracts/NuxAgentMiniGame.js";
+import { NuxAgentNFTBase } from "./contracts/NuxAgentNFTBase.js";
+import { NuxAgentPaymaster } from "./contracts/NuxAgentPaymaster.js";
+import { NuxAgentRegistry } from "./contracts/NuxAgentRegistry.js";
+import { NuxAgentRental } from "./contracts/NuxAgentRental.js";
+import { NuxAuctionMarketplace } from "./contracts/NuxAuctionMarketplace.js";
+import { NuxPowerMarketplace } from "./contracts/NuxPowerMarketplace.js";
+import { NuxPowerMarketplaceImpl } from "./contracts/NuxPowerMarketplaceImpl.js";
+import { NuxPowerNft } from "./contracts/NuxPowerNft.js";
+import { NuxTapAgentMarketplace } from "./contracts/NuxTapAgentMarketplace.js";
+import { NuxTapGame } from "./contracts/NuxTapGame.js";
+import { NuxTapItemStore } from "./contracts/NuxTapItemStore.js";
+import { NuxTapTreasury } from "./contracts/NuxTapTreasury.js";
+import { QuestCore } from "./contracts/QuestCore.js";
+import { QuestRewardsPool } from "./contracts/QuestRewardsPool.js";
+import { ReferralSystem } from "./contracts/ReferralSystem.js";
+import { SkillViewLib } from "./contracts/SkillViewLib.js";
+import { SmartStakingCore } from "./contracts/SmartStakingCore.js";
+import { SmartStakingCoreLib } from "./contracts/SmartStakingCoreLib.js";
+import { SmartStakingGamification } from "./contracts/SmartStakingGamification.js";
+import { SmartStakingPower } from "./contracts/SmartStakingPower.js";
+import { SmartStakingRewards } from "./contracts/SmartStakingRewards.js";
+import { SmartStakingSkills } from "./contracts/SmartStakingSkills.js";
+import { SmartStakingView } from "./contracts/SmartStakingView.js";
+import { SmartStakingViewCore } from "./contracts/SmartStakingViewCore.js";
+import { SmartStakingViewDashboard } from "./contracts/SmartStakingViewDashboard.js";
+import { SmartStakingViewSkills } from "./contracts/SmartStakingViewSkills.js";
+import { SmartStakingViewStats } from "./contracts/SmartStakingViewStats.js";
+import { SocialAgentNFT } from "./contracts/SocialAgentNFT.js";
+import { TechAgentNFT } from "./contracts/TechAgentNFT.js";
+import { TreasuryManager } from "./contracts/TreasuryManager.js";
+import { XPSourceMetadata } from "./contracts/XPSourceMetadata.js";
 
-export const AgentNuxPower = abiCatalog["AgentNuxPower"].abi;
-export const BusinessAgentNFT = abiCatalog["BusinessAgentNFT"].abi;
-export const CollaboratorBadgeRewards = abiCatalog["CollaboratorBadgeRewards"].abi;
-export const DynamicAPYCalculator = abiCatalog["DynamicAPYCalculator"].abi;
-export const FinanceAgentNFT = abiCatalog["FinanceAgentNFT"].abi;
-export const Gamification = abiCatalog["Gamification"].abi;
-export const IAPYCalculator = abiCatalog["IAPYCalculator"].abi;
-export const IAgentRevenueTreasury = abiCatalog["IAgentRevenueTreasury"].abi;
-export const IAuctionTreasury = abiCatalog["IAuctionTreasury"].abi;
-export const IBadgeManager = abiCatalog["IBadgeManager"].abi;
-export const ICategoryNFT = abiCatalog["ICategoryNFT"].abi;
-export const IERC721Minimal = abiCatalog["IERC721Minimal"].abi;
-export const IGameifiedMarketplace = abiCatalog["IGameifiedMarketplace"].abi;
-export const IMarketplaceCore = abiCatalog["IMarketplaceCore"].abi;
-export const IMarketplaceSocial = abiCatalog["IMarketplaceSocial"].abi;
-export const IMarketplaceStatistics = abiCatalog["IMarketplaceStatistics"].abi;
-export const IMarketplaceView = abiCatalog["IMarketplaceView"].abi;
-export const IMiniGameNFT = abiCatalog["IMiniGameNFT"].abi;
-export const IMiniGameRegistry = abiCatalog["IMiniGameRegistry"].abi;
-export const IMiniGameTreasury = abiCatalog["IMiniGameTreasury"].abi;
-export const INFTOwnerQuery = abiCatalog["INFTOwnerQuery"].abi;
-export const INFTRentalHook = abiCatalog["INFTRentalHook"].abi;
-export const INuxAgentNFT = abiCatalog["INuxAgentNFT"].abi;
-export const INuxPower = abiCatalog["INuxPower"].abi;
-export const INuxTapAgentMarketRegistry = abiCatalog["INuxTapAgentMarketRegistry"].abi;
-export const INuxTapAgentMarketTreasury = abiCatalog["INuxTapAgentMarketTreasury"].abi;
-export const INuxTapAgentRegistry = abiCatalog["INuxTapAgentRegistry"].abi;
-export const INuxTapControllableNFT = abiCatalog["INuxTapControllableNFT"].abi;
-export const INuxTapGameStore = abiCatalog["INuxTapGameStore"].abi;
-export const INuxTapMarketNFT = abiCatalog["INuxTapMarketNFT"].abi;
-export const INuxTapOwnerNFT = abiCatalog["INuxTapOwnerNFT"].abi;
-export const INuxTapStoreTreasury = abiCatalog["INuxTapStoreTreasury"].abi;
-export const INuxTapTreasuryGame = abiCatalog["INuxTapTreasuryGame"].abi;
-export const IQuestCore = abiCatalog["IQuestCore"].abi;
-export const IQuestPoolCaller = abiCatalog["IQuestPoolCaller"].abi;
-export const IQuestRewardsPool = abiCatalog["IQuestRewardsPool"].abi;
-export const IQuestTreasury = abiCatalog["IQuestTreasury"].abi;
-export const IRentalAgentRegistry = abiCatalog["IRentalAgentRegistry"].abi;
-export const IRentalTreasury = abiCatalog["IRentalTreasury"].abi;
-export const ISmartStaking = abiCatalog["ISmartStaking"].abi;
-export const ISmartStakingGamification = abiCatalog["ISmartStakingGamification"].abi;
-export const ISmartStakingPower = abiCatalog["ISmartStakingPower"].abi;
-export const ISmartStakingRewards = abiCatalog["ISmartStakingRewards"].abi;
-export const ISmartStakingRewardsExtended = abiCatalog["ISmartStakingRewardsExtended"].abi;
-export const ISmartStakingSkills = abiCatalog["ISmartStakingSkills"].abi;
-export const ISocialQuestCore = abiCatalog["ISocialQuestCore"].abi;
-export const IStakingIntegration = abiCatalog["IStakingIntegration"].abi;
-export const IStakingQuestCore = abiCatalog["IStakingQuestCore"].abi;
-export const IStakingViewData = abiCatalog["IStakingViewData"].abi;
-export const ITreasuryManager = abiCatalog["ITreasuryManager"].abi;
-export const ITreasuryReceiver = abiCatalog["ITreasuryReceiver"].abi;
-export const IXPHub = abiCatalog["IXPHub"].abi;
-export const LevelingSystem = abiCatalog["LevelingSystem"].abi;
-export const MarketingAgentNFT = abiCatalog["MarketingAgentNFT"].abi;
-export const MarketplaceCore = abiCatalog["MarketplaceCore"].abi;
-export const MarketplaceProxy = abiCatalog["MarketplaceProxy"].abi;
-export const MarketplaceSocial = abiCatalog["MarketplaceSocial"].abi;
-export const MarketplaceStatistics = abiCatalog["MarketplaceStatistics"].abi;
-export const MarketplaceView = abiCatalog["MarketplaceView"].abi;
-export const MinimalTestMarketplace = abiCatalog["MinimalTestMarketplace"].abi;
-export const MockCore = abiCatalog["MockCore"].abi;
-export const MockGameNFT = abiCatalog["MockGameNFT"].abi;
-export const MockLeveling = abiCatalog["MockLeveling"].abi;
-export const MockNFTRentalHook = abiCatalog["MockNFTRentalHook"].abi;
-export const MockQuestLeveling = abiCatalog["MockQuestLeveling"].abi;
-export const MockQuestRewardsPool = abiCatalog["MockQuestRewardsPool"].abi;
-export const MockStaking = abiCatalog["MockStaking"].abi;
-export const MockTapAgentNFT = abiCatalog["MockTapAgentNFT"].abi;
-export const MockTreasury = abiCatalog["MockTreasury"].abi;
-export const NuxAgentFactory = abiCatalog["NuxAgentFactory"].abi;
-export const NuxAgentMiniGame = abiCatalog["NuxAgentMiniGame"].abi;
-export const NuxAgentNFTBase = abiCatalog["NuxAgentNFTBase"].abi;
-export const NuxAgentPaymaster = abiCatalog["NuxAgentPaymaster"].abi;
-export const NuxAgentRegistry = abiCatalog["NuxAgentRegistry"].abi;
-export const NuxAgentRental = abiCatalog["NuxAgentRental"].abi;
-export const NuxAuctionMarketplace = abiCatalog["NuxAuctionMarketplace"].abi;
-export const NuxPowerMarketplace = abiCatalog["NuxPowerMarketplace"].abi;
-export const NuxPowerMarketplaceImpl = abiCatalog["NuxPowerMarketplaceImpl"].abi;
-export const NuxPowerNft = abiCatalog["NuxPowerNft"].abi;
-export const NuxTapAgentMarketplace = abiCatalog["NuxTapAgentMarketplace"].abi;
-export const NuxTapGame = abiCatalog["NuxTapGame"].abi;
-export const NuxTapItemStore = abiCatalog["NuxTapItemStore"].abi;
-export const NuxTapTreasury = abiCatalog["NuxTapTreasury"].abi;
-export const QuestCore = abiCatalog["QuestCore"].abi;
-export const QuestCoreV2Mock = abiCatalog["QuestCoreV2Mock"].abi;
-export const QuestRewardsPool = abiCatalog["QuestRewardsPool"].abi;
-export const ReferralSystem = abiCatalog["ReferralSystem"].abi;
-export const SkillViewLib = abiCatalog["SkillViewLib"].abi;
-export const SmartStakingCore = abiCatalog["SmartStakingCore"].abi;
-export const SmartStakingGamification = abiCatalog["SmartStakingGamification"].abi;
-export const SmartStakingPower = abiCatalog["SmartStakingPower"].abi;
-export const SmartStakingRewards = abiCatalog["SmartStakingRewards"].abi;
-export const SmartStakingSkills = abiCatalog["SmartStakingSkills"].abi;
-export const SmartStakingView = abiCatalog["SmartStakingView"].abi;
-export const SmartStakingViewCore = abiCatalog["SmartStakingViewCore"].abi;
-export const SmartStakingViewDashboard = abiCatalog["SmartStakingViewDashboard"].abi;
-export const SmartStakingViewSkills = abiCatalog["SmartStakingViewSkills"].abi;
-export const SmartStakingViewStats = abiCatalog["SmartStakingViewStats"].abi;
-export const SocialAgentNFT = abiCatalog["SocialAgentNFT"].abi;
-export const TechAgentNFT = abiCatalog["TechAgentNFT"].abi;
-export const TreasuryManager = abiCatalog["TreasuryManager"].abi;
-export const XPSourceMetadata = abiCatalog["XPSourceMetadata"].abi;
+export {
+  AgentNuxPower,
+  BusinessAgentNFT,
+  CollaboratorBadgeRewards,
+  DynamicAPYCalculator,
+  FinanceAgentNFT,
+  Gamification,
+  IAPYCalculator,
+  IAgentRevenueTreasury,
+  IAuctionTreasury,
+  IBadgeManager,
+  ICategoryNFT,
+  IERC721Minimal,
+  IGameifiedMarketplace,
+  IMarketplaceCore,
+  IMarketplaceSocial,
+  IMarketplaceStatistics,
+  IMarketplaceView,
+  IMiniGameNFT,
+  IMiniGameRegistry,
+  IMiniGameTreasury,
+  INFTOwnerQuery,
+  INFTRentalHook,
+  INuxAgentNFT,
+  INuxPower,
+  INuxTapAgentMarketRegistry,
+  INuxTapAgentMarketTreasury,
+  INuxTapAgentRegistry,
+  INuxTapControllableNFT,
+  INuxTapGameStore,
+  INuxTapMarketNFT,
+  INuxTapOwnerNFT,
+  INuxTapStoreTreasury,
+  INuxTapTreasuryGame,
+  IQuestCore,
+  IQuestPoolCaller,
+  IQuestRewardsPool,
+  IQuestTreasury,
+  IRentalAgentRegistry,
+  IRentalTreasury,
+  ISmartStaking,
+  ISmartStakingGamification,
+  ISmartStakingPower,
+  ISmartStakingRewards,
+  ISmartStakingRewardsExtended,
+  ISmartStakingRewardsExtendedLib,
+  ISmartStakingSkills,
+  ISocialQuestCore,
+  IStakingIntegration,
+  IStakingQuestCore,
+  IStakingViewData,
+  ITreasuryManager,
+  ITreasuryReceiver,
+  IXPHub,
+  LevelingSystem,
+  MarketingAgentNFT,
+  MarketplaceCore,
+  MarketplaceCoreLib,
+  MarketplaceProxy,
+  MarketplaceSocial,
+  MarketplaceStatistics,
+  MarketplaceView,
+  NuxAgentFactory,
+  NuxAgentMiniGame,
+  NuxAgentNFTBase,
+  NuxAgentPaymaster,
+  NuxAgentRegistry,
+  NuxAgentRental,
+  NuxAuctionMarketplace,
+  NuxPowerMarketplace,
+  NuxPowerMarketplaceImpl,
+  NuxPowerNft,
+  NuxTapAgentMarketplace,
+  NuxTapGame,
+  NuxTapItemStore,
+  NuxTapTreasury,
+  QuestCore,
+  QuestRewardsPool,
+  ReferralSystem,
+  SkillViewLib,
+  SmartStakingCore,
+  SmartStakingCoreLib,
+  SmartStakingGamification,
+  SmartStakingPower,
+  SmartStakingRewards,
+  SmartStakingSkills,
+  SmartStakingView,
+  SmartStakingViewCore,
+  SmartStakingViewDashboard,
+  SmartStakingViewSkills,
+  SmartStakingViewStats,
+  SocialAgentNFT,
+  TechAgentNFT,
+  TreasuryManager,
+  XPSourceMetadata
+};
 
-export const AllABIs = Object.fromEntries(
-  Object.entries(abiCatalog).map(([name, value]) => [name, value.abi])
-);
+// Every ABI by contract name. Importing it pulls all modules into the bundle.
+export const AllABIs = {
+  AgentNuxPower,
+  BusinessAgentNFT,
+  CollaboratorBadgeRewards,
+  DynamicAPYCalculator,
+  FinanceAgentNFT,
+  Gamification,
+  IAPYCalculator,
+  IAgentRevenueTreasury,
+  IAuctionTreasury,
+  IBadgeManager,
+  ICategoryNFT,
+  IERC721Minimal,
+  IGameifiedMarketplace,
+  IMarketplaceCore,
+  IMarketplaceSocial,
+  IMarketplaceStatistics,
+  IMarketplaceView,
+  IMiniGameNFT,
+  IMiniGameRegistry,
+  IMiniGameTreasury,
+  INFTOwnerQuery,
+  INFTRentalHook,
+  INuxAgentNFT,
+  INuxPower,
+  INuxTapAgentMarketRegistry,
+  INuxTapAgentMarketTreasury,
+  INuxTapAgentRegistry,
+  INuxTapControllableNFT,
+  INuxTapGameStore,
+  INuxTapMarketNFT,
+  INuxTapOwnerNFT,
+  INuxTapStoreTreasury,
+  INuxTapTreasuryGame,
+  IQuestCore,
+  IQuestPoolCaller,
+  IQuestRewardsPool,
+  IQuestTreasury,
+  IRentalAgentRegistry,
+  IRentalTreasury,
+  ISmartStaking,
+  ISmartStakingGamification,
+  ISmartStakingPower,
+  ISmartStakingRewards,
+  ISmartStakingRewardsExtended,
+  ISmartStakingRewardsExtendedLib,
+  ISmartStakingSkills,
+  ISocialQuestCore,
+  IStakingIntegration,
+  IStakingQuestCore,
+  IStakingViewData,
+  ITreasuryManager,
+  ITreasuryReceiver,
+  IXPHub,
+  LevelingSystem,
+  MarketingAgentNFT,
+  MarketplaceCore,
+  MarketplaceCoreLib,
+  MarketplaceProxy,
+  MarketplaceSocial,
+  MarketplaceStatistics,
+  MarketplaceView,
+  NuxAgentFactory,
+  NuxAgentMiniGame,
+  NuxAgentNFTBase,
+  NuxAgentPaymaster,
+  NuxAgentRegistry,
+  NuxAgentRental,
+  NuxAuctionMarketplace,
+  NuxPowerMarketplace,
+  NuxPowerMarketplaceImpl,
+  NuxPowerNft,
+  NuxTapAgentMarketplace,
+  NuxTapGame,
+  NuxTapItemStore,
+  NuxTapTreasury,
+  QuestCore,
+  QuestRewardsPool,
+  ReferralSystem,
+  SkillViewLib,
+  SmartStakingCore,
+  SmartStakingCoreLib,
+  SmartStakingGamification,
+  SmartStakingPower,
+  SmartStakingRewards,
+  SmartStakingSkills,
+  SmartStakingView,
+  SmartStakingViewCore,
+  SmartStakingViewDashboard,
+  SmartStakingViewSkills,
+  SmartStakingViewStats,
+  SocialAgentNFT,
+  TechAgentNFT,
+  TreasuryManager,
+  XPSourceMetadata
+};
 
 export default AllABIs;
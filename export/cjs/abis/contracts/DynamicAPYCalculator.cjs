@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of DynamicAPYCalculator (contracts/SmartStaking/DynamicAPYCalculator.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DynamicAPYCalculator = void 0;
+exports.DynamicAPYCalculator = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "currentTVL", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "baseAPY", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "dynamicAPY", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "multiplier", "type": "uint256" }], "name": "APYCalculated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "oldMultiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newMultiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "compressionBps", "type": "uint256" }], "name": "APYCompressionDetected", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "newMin", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newMax", "type": "uint256" }], "name": "APYMultiplierBoundsUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "bool", "name": "enabled", "type": "bool" }], "name": "DynamicAPYToggled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }], "name": "OwnershipTransferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Paused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "oldTarget", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newTarget", "type": "uint256" }], "name": "TargetTVLUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldManager", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newManager", "type": "address" }], "name": "TreasuryManagerUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Unpaused", "type": "event" }, { "inputs": [], "name": "COMPRESSION_THRESHOLD", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "baseAPY", "type": "uint256" }, { "internalType": "uint256", "name": "currentTVL", "type": "uint256" }], "name": "calculateDynamicAPY", "outputs": [{ "internalType": "uint256", "name": "dynamicAPY", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256[]", "name": "baseAPYs", "type": "uint256[]" }, { "internalType": "uint256", "name": "currentTVL", "type": "uint256" }], "name": "calculateDynamicAPYBatch", "outputs": [{ "internalType": "uint256[]", "name": "dynamicAPYs", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "baseAPY", "type": "uint256" }, { "internalType": "uint256", "name": "currentTVL", "type": "uint256" }], "name": "calculateDynamicAPYWithTracking", "outputs": [{ "internalType": "uint256", "name": "dynamicAPY", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "dynamicAPYEnabled", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "currentTVL", "type": "uint256" }], "name": "getCurrentMultiplier", "outputs": [{ "internalType": "uint256", "name": "multiplier", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "lastAppliedMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "maxAPYMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "minAPYMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "pause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "paused", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "baseAPY", "type": "uint256" }, { "internalType": "uint256[]", "name": "tvlLevels", "type": "uint256[]" }], "name": "previewAPYAtTVLs", "outputs": [{ "internalType": "uint256[]", "name": "apyResults", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "renounceOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_minMultiplier", "type": "uint256" }, { "internalType": "uint256", "name": "_maxMultiplier", "type": "uint256" }], "name": "setAPYMultiplierBounds", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bool", "name": "_enabled", "type": "bool" }], "name": "setDynamicAPYEnabled", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_targetTVL", "type": "uint256" }], "name": "setTargetTVL", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasuryManager", "type": "address" }], "name": "setTreasuryManager", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "targetTVL", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newOwner", "type": "address" }], "name": "transferOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "treasuryManager", "outputs": [{ "internalType": "contract ITreasuryManager", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "unpause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.DynamicAPYCalculator;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of Gamification (contracts/Gamification/Gamification.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Gamification = void 0;
+exports.Gamification = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "inputs": [], "name": "AlreadyDone", "type": "error" }, { "inputs": [], "name": "BatchSizeInvalid", "type": "error" }, { "inputs": [], "name": "InsufficientBalance", "type": "error" }, { "inputs": [], "name": "InvalidAddress", "type": "error" }, { "inputs": [], "name": "InvalidParam", "type": "error" }, { "inputs": [], "name": "NoReward", "type": "error" }, { "inputs": [], "name": "NotAuthorized", "type": "error" }, { "inputs": [], "name": "OnlyCore", "type": "error" }, { "inputs": [], "name": "TransferFailed", "type": "error" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "achievementId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "rewardAmount", "type": "uint256" }], "name": "AchievementUnlocked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }], "name": "AutoCompoundDisabled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "minAmount", "type": "uint256" }], "name": "AutoCompoundEnabled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "AutoCompoundExecuted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "badgeId", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "name", "type": "string" }], "name": "BadgeEarned", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "rewardAmount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "totalPending", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "contractBalance", "type": "uint256" }], "name": "CriticalRewardDeficit", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "DeferredRewardClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "to", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "EmergencyWithdraw", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "oldMultiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newMultiplier", "type": "uint256" }], "name": "GlobalMultiplierUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "contractBalance", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "totalPending", "type": "uint256" }, { "indexed": false, "internalType": "enum ITreasuryManager.ProtocolStatus", "name": "status", "type": "uint8" }, { "indexed": false, "internalType": "bool", "name": "emergencyFundsRequested", "type": "bool" }], "name": "HealthCheckPerformed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint8", "name": "newLevel", "type": "uint8" }], "name": "LevelUp", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }], "name": "OwnershipTransferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "enum ITreasuryManager.ProtocolStatus", "name": "newStatus", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "ProtocolHealthStatusChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "rewardAmount", "type": "uint256" }], "name": "QuestCompleted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint8", "name": "level", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "RewardDeferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "string", "name": "rewardType", "type": "string" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RewardExpired", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RewardPaid", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "string", "name": "name", "type": "string" }], "name": "SeasonEnded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "string", "name": "name", "type": "string" }, { "indexed": false, "internalType": "uint256", "name": "multiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "endTime", "type": "uint256" }], "name": "SeasonStarted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint32", "name": "streak", "type": "uint32" }, { "indexed": false, "internalType": "uint256", "name": "multiplier", "type": "uint256" }], "name": "StreakUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldAddress", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newAddress", "type": "address" }], "name": "TreasuryManagerUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "string", "name": "alertType", "type": "string" }, { "indexed": false, "internalType": "uint256", "name": "deficit", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "name": "TreasuryNotificationSent", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "newXP", "type": "uint256" }, { "indexed": false, "internalType": "uint16", "name": "newLevel", "type": "uint16" }], "name": "XPUpdated", "type": "event" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "id", "type": "uint256" }, { "internalType": "string", "name": "name", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }], "name": "awardBadge", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address[]", "name": "users", "type": "address[]" }], "name": "batchAutoCompound", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "xp", "type": "uint256" }], "name": "calculateLevel", "outputs": [{ "internalType": "uint16", "name": "", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "checkAutoCompound", "outputs": [{ "internalType": "bool", "name": "shouldCompound", "type": "bool" }, { "internalType": "uint256", "name": "compoundAmount", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "claimAchievementReward", "outputs": [], "stateMutability": "pure", "type": "function" }, { "inputs": [], "name": "claimDeferredReward", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "claimQuestReward", "outputs": [], "stateMutability": "pure", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "uint256", "name": "rewardAmount", "type": "uint256" }, { "internalType": "uint256", "name": "questXP", "type": "uint256" }, { "internalType": "uint256", "name": "expirationDays", "type": "uint256" }], "name": "completeQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "coreStakingContract", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "deferredRewardAmount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "deferredRewardTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "disableAutoCompound", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "effectiveXpMultiplier", "outputs": [{ "internalType": "uint256", "name": "mult", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "to", "type": "address" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "emergencyWithdraw", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "minAmount", "type": "uint256" }], "name": "enableAutoCompound", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "endSeason", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256[]", "name": "achievementIds", "type": "uint256[]" }], "name": "expireAchievementRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256[]", "name": "questIds", "type": "uint256[]" }], "name": "expireQuestRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "achievementId", "type": "uint256" }], "name": "getAchievementReward", "outputs": [{ "components": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint256", "name": "expirationTime", "type": "uint256" }, { "internalType": "bool", "name": "claimed", "type": "bool" }], "internalType": "struct ISmartStakingGamification.AchievementReward", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getAllAchievementRewards", "outputs": [{ "internalType": "uint256[]", "name": "achievementIds", "type": "uint256[]" }, { "components": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint256", "name": "expirationTime", "type": "uint256" }, { "internalType": "bool", "name": "claimed", "type": "bool" }], "internalType": "struct ISmartStakingGamification.AchievementReward[]", "name": "rewards", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getAllQuestRewards", "outputs": [{ "internalType": "uint256[]", "name": "questIds", "type": "uint256[]" }, { "components": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint256", "name": "expirationTime", "type": "uint256" }, { "internalType": "bool", "name": "claimed", "type": "bool" }], "internalType": "struct ISmartStakingGamification.QuestReward[]", "name": "rewards", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getAutoCompoundConfig", "outputs": [{ "components": [{ "internalType": "bool", "name": "enabled", "type": "bool" }, { "internalType": "uint256", "name": "minAmount", "type": "uint256" }, { "internalType": "uint256", "name": "lastCompoundTime", "type": "uint256" }], "internalType": "struct ISmartStakingGamification.AutoCompoundConfig", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "offset", "type": "uint256" }, { "internalType": "uint256", "name": "limit", "type": "uint256" }], "name": "getAutoCompoundUsersPage", "outputs": [{ "internalType": "address[]", "name": "users", "type": "address[]" }, { "components": [{ "internalType": "bool", "name": "enabled", "type": "bool" }, { "internalType": "uint256", "name": "minAmount", "type": "uint256" }, { "internalType": "uint256", "name": "lastCompoundTime", "type": "uint256" }], "internalType": "struct ISmartStakingGamification.AutoCompoundConfig[]", "name": "configs", "type": "tuple[]" }, { "internalType": "uint256", "name": "total", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getProtocolHealth", "outputs": [{ "internalType": "enum ITreasuryManager.ProtocolStatus", "name": "status", "type": "uint8" }, { "internalType": "uint256", "name": "contractBalance", "type": "uint256" }, { "internalType": "uint256", "name": "_totalPendingRewards", "type": "uint256" }, { "internalType": "int256", "name": "deficit", "type": "int256" }, { "internalType": "bool", "name": "canPayRewards", "type": "bool" }, { "internalType": "uint256", "name": "healthPercentage", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getProtocolStats", "outputs": [{ "internalType": "uint256", "name": "totalXP", "type": "uint256" }, { "internalType": "uint256", "name": "totalRewards", "type": "uint256" }, { "internalType": "uint32", "name": "totalLevelUps", "type": "uint32" }, { "internalType": "uint32", "name": "totalQuests", "type": "uint32" }, { "internalType": "uint32", "name": "totalAchievements", "type": "uint32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "getQuestReward", "outputs": [{ "components": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint256", "name": "expirationTime", "type": "uint256" }, { "internalType": "bool", "name": "claimed", "type": "bool" }], "internalType": "struct ISmartStakingGamification.QuestReward", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserBadges", "outputs": [{ "components": [{ "internalType": "uint256", "name": "id", "type": "uint256" }, { "internalType": "string", "name": "name", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "dateEarned", "type": "uint256" }], "internalType": "struct Gamification.Badge[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserStreak", "outputs": [{ "internalType": "uint32", "name": "streak", "type": "uint32" }, { "internalType": "uint32", "name": "longestStreak", "type": "uint32" }, { "internalType": "uint256", "name": "lastActivityDay", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserXPInfo", "outputs": [{ "internalType": "uint256", "name": "xp", "type": "uint256" }, { "internalType": "uint16", "name": "level", "type": "uint16" }, { "internalType": "uint256", "name": "xpToNextLevel", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint16", "name": "level", "type": "uint16" }], "name": "getXPForLevel", "outputs": [{ "internalType": "uint256", "name": "cumul", "type": "uint256" }], "stateMutability": "pure", "type": "function" }, { "inputs": [], "name": "globalXpMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "levelingSystemAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "marketplaceContract", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "performAutoCompound", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "performHealthCheck", "outputs": [{ "internalType": "enum ITreasuryManager.ProtocolStatus", "name": "newStatus", "type": "uint8" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "renounceOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "requiredAmount", "type": "uint256" }], "name": "reportCriticalStatus", "outputs": [{ "internalType": "bool", "name": "notified", "type": "bool" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "seasonEndTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "seasonMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "seasonName", "outputs": [{ "internalType": "string", "name": "", "type": "string" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_coreStaking", "type": "address" }], "name": "setCoreStakingContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "multiplier", "type": "uint256" }], "name": "setGlobalXpMultiplier", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_levelingSystem", "type": "address" }], "name": "setLevelingSystemAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_marketplace", "type": "address" }], "name": "setMarketplaceContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "setQuestClaimed", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasuryManager", "type": "address" }], "name": "setTreasuryManager", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "xp", "type": "uint256" }], "name": "setUserXP", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "settleDeferred", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "name", "type": "string" }, { "internalType": "uint256", "name": "multiplier", "type": "uint256" }, { "internalType": "uint256", "name": "durationDays", "type": "uint256" }], "name": "startSeason", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "statTotalAchievements", "outputs": [{ "internalType": "uint32", "name": "", "type": "uint32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "statTotalLevelUps", "outputs": [{ "internalType": "uint32", "name": "", "type": "uint32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "statTotalQuests", "outputs": [{ "internalType": "uint32", "name": "", "type": "uint32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "statTotalRewardsPaid", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "statTotalXPDistributed", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalPendingRewards", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newOwner", "type": "address" }], "name": "transferOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "treasuryManager", "outputs": [{ "internalType": "contract ITreasuryManager", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "achievementId", "type": "uint256" }, { "internalType": "uint256", "name": "rewardAmount", "type": "uint256" }, { "internalType": "uint256", "name": "expirationDays", "type": "uint256" }], "name": "unlockAchievement", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint8", "name": "actionType", "type": "uint8" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "updateUserXP", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "stateMutability": "payable", "type": "receive" }];
+exports.default = exports.Gamification;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IAgentRevenueTreasury (contracts/NFT/NuxAgentNFTBase.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IAgentRevenueTreasury = void 0;
+exports.IAgentRevenueTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "depositRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.IAgentRevenueTreasury;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IAuctionTreasury (contracts/Auction/NuxAuctionMarketplace.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IAuctionTreasury = void 0;
+exports.IAuctionTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "receiveRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.IAuctionTreasury;
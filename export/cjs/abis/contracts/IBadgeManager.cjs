@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IBadgeManager (contracts/interfaces/IBadgeManager.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IBadgeManager = void 0;
+exports.IBadgeManager = [{ "inputs": [], "name": "getAllBadgeHolders", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getTotalBadgeHolders", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "account", "type": "address" }], "name": "hasBadge", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IBadgeManager;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IERC721Minimal (contracts/NuxPower/AgentNuxPower.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IERC721Minimal = void 0;
+exports.IERC721Minimal = [{ "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IERC721Minimal;
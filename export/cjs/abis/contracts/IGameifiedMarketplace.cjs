@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IGameifiedMarketplace (contracts/interfaces/IGameifiedMarketplace.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IGameifiedMarketplace = void 0;
+exports.IGameifiedMarketplace = [{ "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "creator", "type": "address" }, { "indexed": false, "internalType": "string", "name": "tokenURI", "type": "string" }], "name": "NFTCreated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "price", "type": "uint256" }], "name": "NFTListed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newPrice", "type": "uint256" }], "name": "NFTPriceUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "seller", "type": "address" }, { "indexed": true, "internalType": "address", "name": "buyer", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "price", "type": "uint256" }], "name": "NFTSold", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "NFTUnlisted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "offerer", "type": "address" }, { "indexed": true, "internalType": "address", "name": "seller", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "OfferAccepted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "offerer", "type": "address" }], "name": "OfferCancelled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "offerer", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "expirationTime", "type": "uint256" }], "name": "OfferMade", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "polReward", "type": "uint256" }], "name": "QuestCompleted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "name", "type": "string" }], "name": "QuestCreated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "QuestDeactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "QuestReactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RewardsWithdrawn", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint8", "name": "skillType", "type": "uint8" }], "name": "SkillActivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint8", "name": "skillType", "type": "uint8" }], "name": "SkillDeactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "streakDays", "type": "uint256" }], "name": "StreakMilestone", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "newLevel", "type": "uint256" }], "name": "UserLeveledUp", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "XPAwarded", "type": "event" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "address", "name": "_offerer", "type": "address" }], "name": "acceptOffer", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_questId", "type": "uint256" }], "name": "activateQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "activateSkill", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "string", "name": "_comment", "type": "string" }], "name": "addComment", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "buyToken", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_questId", "type": "uint256" }], "name": "canCompleteQuestNow", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "cancelOffer", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_questId", "type": "uint256" }], "name": "completeQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "_name", "type": "string" }, { "internalType": "string", "name": "_description", "type": "string" }, { "internalType": "enum IGameifiedMarketplace.QuestType", "name": "_questType", "type": "uint8" }, { "internalType": "uint256", "name": "_targetValue", "type": "uint256" }, { "internalType": "uint256", "name": "_xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "_polReward", "type": "uint256" }, { "internalType": "enum IGameifiedMarketplace.QuestFrequency", "name": "_frequency", "type": "uint8" }, { "internalType": "enum IGameifiedMarketplace.QuestDifficulty", "name": "_difficulty", "type": "uint8" }, { "internalType": "string", "name": "_category", "type": "string" }, { "internalType": "uint64", "name": "_startTime", "type": "uint64" }, { "internalType": "uint64", "name": "_endTime", "type": "uint64" }, { "internalType": "uint8", "name": "_minLevel", "type": "uint8" }], "name": "createQuest", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "_tokenURI", "type": "string" }, { "internalType": "string", "name": "_category", "type": "string" }, { "internalType": "uint96", "name": "_royaltyPercentage", "type": "uint96" }, { "internalType": "uint8[]", "name": "_skills", "type": "uint8[]" }, { "internalType": "uint256[]", "name": "_effectValues", "type": "uint256[]" }, { "internalType": "uint8[]", "name": "_rarities", "type": "uint8[]" }], "name": "createSkillNFT", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "_tokenURI", "type": "string" }, { "internalType": "string", "name": "_category", "type": "string" }, { "internalType": "uint96", "name": "_royaltyPercentage", "type": "uint96" }], "name": "createStandardNFT", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "_tokenURI", "type": "string" }, { "internalType": "string", "name": "_category", "type": "string" }, { "internalType": "uint96", "name": "_royaltyPercentage", "type": "uint96" }, { "internalType": "uint256", "name": "_count", "type": "uint256" }], "name": "createStandardNFTBatch", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_questId", "type": "uint256" }], "name": "deactivateQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "deactivateSkill", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getActiveSkills", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_limit", "type": "uint256" }], "name": "getCollectorLeaderboard", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }, { "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_limit", "type": "uint256" }], "name": "getCreatorLeaderboard", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }, { "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getNFTComments", "outputs": [{ "internalType": "string[]", "name": "", "type": "string[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getNFTMetadata", "outputs": [{ "components": [{ "internalType": "string", "name": "category", "type": "string" }, { "internalType": "uint256", "name": "creationTimestamp", "type": "uint256" }, { "internalType": "address", "name": "creator", "type": "address" }, { "internalType": "bool", "name": "isListed", "type": "bool" }, { "internalType": "uint256", "name": "listedPrice", "type": "uint256" }], "internalType": "struct IGameifiedMarketplace.NFTMetadata", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getNFTOffers", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }, { "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }, { "internalType": "uint256", "name": "_questId", "type": "uint256" }], "name": "getQuestProgress", "outputs": [{ "components": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "uint256", "name": "currentProgress", "type": "uint256" }, { "internalType": "uint64", "name": "lastProgressUpdate", "type": "uint64" }, { "internalType": "bool", "name": "isCompleted", "type": "bool" }, { "internalType": "uint64", "name": "completedTime", "type": "uint64" }], "internalType": "struct IGameifiedMarketplace.QuestProgress", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getSkillDetails", "outputs": [{ "components": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "uint8", "name": "skillType", "type": "uint8" }, { "internalType": "uint256", "name": "effectValue", "type": "uint256" }, { "internalType": "uint8", "name": "rarity", "type": "uint8" }, { "internalType": "uint8", "name": "stars", "type": "uint8" }, { "internalType": "uint64", "name": "mintedAt", "type": "uint64" }, { "internalType": "uint64", "name": "lastActivationTime", "type": "uint64" }, { "internalType": "bool", "name": "isSkillActive", "type": "bool" }], "internalType": "struct IGameifiedMarketplace.SkillNFT", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserCompleteInfo", "outputs": [{ "components": [{ "internalType": "uint256", "name": "totalXP", "type": "uint256" }, { "internalType": "uint8", "name": "level", "type": "uint8" }, { "internalType": "uint8", "name": "maxActiveSkills", "type": "uint8" }, { "internalType": "uint8", "name": "skillsLevel", "type": "uint8" }, { "internalType": "uint256", "name": "nftsCreated", "type": "uint256" }, { "internalType": "uint256", "name": "nftsSold", "type": "uint256" }, { "internalType": "uint256", "name": "nftsBought", "type": "uint256" }, { "internalType": "uint256", "name": "lastActivityTimestamp", "type": "uint256" }], "internalType": "struct IGameifiedMarketplace.UserProfile", "name": "profile", "type": "tuple" }, { "internalType": "uint256[]", "name": "activeSkills", "type": "uint256[]" }, { "components": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "currentStreak", "type": "uint256" }, { "internalType": "uint256", "name": "longestStreak", "type": "uint256" }, { "internalType": "uint64", "name": "lastActivityDate", "type": "uint64" }, { "internalType": "uint256", "name": "totalQuestsCompleted", "type": "uint256" }], "internalType": "struct IGameifiedMarketplace.UserStreak", "name": "streak", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserProfile", "outputs": [{ "components": [{ "internalType": "uint256", "name": "totalXP", "type": "uint256" }, { "internalType": "uint8", "name": "level", "type": "uint8" }, { "internalType": "uint8", "name": "maxActiveSkills", "type": "uint8" }, { "internalType": "uint8", "name": "skillsLevel", "type": "uint8" }, { "internalType": "uint256", "name": "nftsCreated", "type": "uint256" }, { "internalType": "uint256", "name": "nftsSold", "type": "uint256" }, { "internalType": "uint256", "name": "nftsBought", "type": "uint256" }, { "internalType": "uint256", "name": "lastActivityTimestamp", "type": "uint256" }], "internalType": "struct IGameifiedMarketplace.UserProfile", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_polTokenAddress", "type": "address" }, { "internalType": "address", "name": "_stakingContractAddress", "type": "address" }, { "internalType": "address", "name": "_communityTreasuryAddress", "type": "address" }, { "internalType": "address", "name": "_royaltyStakingPoolAddress", "type": "address" }, { "internalType": "address", "name": "_stakingTreasuryAddress", "type": "address" }, { "internalType": "address", "name": "_platformTreasuryAddress", "type": "address" }], "name": "initialize", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "uint256", "name": "_price", "type": "uint256" }], "name": "listToken", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "uint256", "name": "_offerAmount", "type": "uint256" }, { "internalType": "uint256", "name": "_expirationDays", "type": "uint256" }], "name": "makeOffer", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "pause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_referrer", "type": "address" }], "name": "registerReferral", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasury", "type": "address" }], "name": "setCommunityTreasuryAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_polToken", "type": "address" }], "name": "setPOLTokenAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_platformTreasury", "type": "address" }], "name": "setPlatformTreasuryAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_pool", "type": "address" }], "name": "setRoyaltyStakingPoolAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_stakingContract", "type": "address" }], "name": "setStakingContractAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasury", "type": "address" }], "name": "setStakingTreasuryAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "toggleLike", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "unlistToken", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "unpause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "uint256", "name": "_newPrice", "type": "uint256" }], "name": "updatePrice", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_questId", "type": "uint256" }, { "internalType": "uint256", "name": "_xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "_polReward", "type": "uint256" }], "name": "updateQuestRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "withdrawRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IGameifiedMarketplace;
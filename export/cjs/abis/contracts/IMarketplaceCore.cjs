@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IMarketplaceCore (contracts/interfaces/IMarketplaceCore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IMarketplaceCore = void 0;
+exports.IMarketplaceCore = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getCreatedTokensArray", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getListedTokenIds", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getNFTMetadata", "outputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "string", "name": "", "type": "string" }, { "internalType": "string", "name": "", "type": "string" }, { "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint96", "name": "", "type": "uint96" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getOffersArray", "outputs": [{ "components": [{ "internalType": "address", "name": "offeror", "type": "address" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint8", "name": "expiresInDays", "type": "uint8" }, { "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "internalType": "struct IMarketplaceCore.Offer[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getOwnedTokensArray", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "isListed", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "listedPrice", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "nftMetadata", "outputs": [{ "components": [{ "internalType": "address", "name": "creator", "type": "address" }, { "internalType": "string", "name": "uri", "type": "string" }, { "internalType": "string", "name": "category", "type": "string" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint96", "name": "royaltyPercentage", "type": "uint96" }], "internalType": "struct IMarketplaceCore.NFTMetadata", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "userProfiles", "outputs": [{ "components": [{ "internalType": "uint256", "name": "totalXP", "type": "uint256" }, { "internalType": "uint8", "name": "level", "type": "uint8" }, { "internalType": "uint256", "name": "nftsCreated", "type": "uint256" }, { "internalType": "uint256", "name": "nftsOwned", "type": "uint256" }, { "internalType": "uint32", "name": "nftsSold", "type": "uint32" }, { "internalType": "uint32", "name": "nftsBought", "type": "uint32" }], "internalType": "struct IMarketplaceCore.UserProfile", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IMarketplaceCore;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IMarketplaceView (contracts/interfaces/IMarketplaceView.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IMarketplaceView = void 0;
+exports.IMarketplaceView = [{ "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "string", "name": "category", "type": "string" }], "name": "addNFTToCategory", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "category", "type": "string" }], "name": "getCategoryCount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getListedTokens", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "offset", "type": "uint256" }, { "internalType": "uint256", "name": "limit", "type": "uint256" }], "name": "getListedTokensPaginated", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "category", "type": "string" }], "name": "getNFTsByCategory", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "category", "type": "string" }, { "internalType": "uint256", "name": "offset", "type": "uint256" }, { "internalType": "uint256", "name": "limit", "type": "uint256" }], "name": "getNFTsByCategoryPaginated", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "string", "name": "category", "type": "string" }], "name": "removeNFTFromCategory", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IMarketplaceView;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IMiniGameNFT (contracts/NFT/NuxAgentMiniGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IMiniGameNFT = void 0;
+exports.IMiniGameNFT = [{ "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "effectiveController", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IMiniGameNFT;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IMiniGameRegistry (contracts/NFT/NuxAgentMiniGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IMiniGameRegistry = void 0;
+exports.IMiniGameRegistry = [{ "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "executor", "type": "address" }, { "internalType": "uint256", "name": "rewardPaid", "type": "uint256" }], "name": "recordTaskExecution", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registeredNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "validatorAddress", "type": "address" }, { "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "string", "name": "requestURI", "type": "string" }, { "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }], "name": "validationRequest", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IMiniGameRegistry;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IMiniGameTreasury (contracts/NFT/NuxAgentMiniGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IMiniGameTreasury = void 0;
+exports.IMiniGameTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "depositRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.IMiniGameTreasury;
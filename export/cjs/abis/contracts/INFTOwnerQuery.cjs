@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INFTOwnerQuery (contracts/NFT/NuxAgentPaymaster.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INFTOwnerQuery = void 0;
+exports.INFTOwnerQuery = [{ "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getTokenBoundAccount", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.INFTOwnerQuery;
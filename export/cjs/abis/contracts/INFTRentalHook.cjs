@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INFTRentalHook (contracts/NFT/NuxAgentRental.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INFTRentalHook = void 0;
+exports.INFTRentalHook = [{ "inputs": [{ "internalType": "address", "name": "spender", "type": "address" }, { "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "isApprovedOrOwner", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "address", "name": "renter", "type": "address" }, { "internalType": "uint256", "name": "expiry", "type": "uint256" }], "name": "setRenter", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.INFTRentalHook;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxAgentNFT (contracts/interfaces/INuxAgentNFT.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxAgentNFT = void 0;
+exports.INuxAgentNFT = [{ "anonymous": false, "inputs": [{ "indexed": false, "internalType": "string", "name": "name", "type": "string" }, { "indexed": false, "internalType": "string", "name": "description", "type": "string" }, { "indexed": false, "internalType": "string", "name": "model", "type": "string" }, { "indexed": true, "internalType": "address", "name": "recipient", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "AgentCreated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum INuxAgentNFT.AgentState", "name": "newState", "type": "uint8" }], "name": "AgentStateChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "newURI", "type": "string" }], "name": "AgentURIUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "AgentUpdated", "type": "event" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getAgentConfig", "outputs": [{ "components": [{ "internalType": "string", "name": "name", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "string", "name": "model", "type": "string" }, { "internalType": "enum INuxAgentNFT.AgentCategory", "name": "category", "type": "uint8" }, { "internalType": "string", "name": "systemPromptURI", "type": "string" }, { "internalType": "string", "name": "userPromptURI", "type": "string" }, { "internalType": "bool", "name": "promptsEncrypted", "type": "bool" }, { "internalType": "bytes", "name": "geminiConfig", "type": "bytes" }, { "internalType": "string", "name": "agentURI", "type": "string" }, { "internalType": "enum INuxAgentNFT.AgentState", "name": "state", "type": "uint8" }, { "internalType": "uint256", "name": "mintedAt", "type": "uint256" }, { "internalType": "uint256", "name": "reputation", "type": "uint256" }], "internalType": "struct INuxAgentNFT.AgentConfig", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getAgentData", "outputs": [{ "internalType": "string", "name": "name", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "string", "name": "model", "type": "string" }, { "internalType": "string", "name": "userPromptURI", "type": "string" }, { "internalType": "string", "name": "systemPromptURI", "type": "string" }, { "internalType": "bool", "name": "promptsEncrypted", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getAgentState", "outputs": [{ "internalType": "enum INuxAgentNFT.AgentState", "name": "", "type": "uint8" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getAgentURI", "outputs": [{ "internalType": "string", "name": "", "type": "string" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getTokenBoundAccount", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "enum INuxAgentNFT.AgentState", "name": "newState", "type": "uint8" }], "name": "setAgentState", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "string", "name": "newURI", "type": "string" }], "name": "setAgentURI", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "internalType": "string", "name": "systemPromptURI", "type": "string" }, { "internalType": "string", "name": "userPromptURI", "type": "string" }, { "internalType": "bool", "name": "encrypted", "type": "bool" }], "name": "updatePrompts", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.INuxAgentNFT;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxTapAgentMarketRegistry (contracts/NuxTapGame/NuxTapAgentMarketplace.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxTapAgentMarketRegistry = void 0;
+exports.INuxTapAgentMarketRegistry = [{ "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registeredNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.INuxTapAgentMarketRegistry;
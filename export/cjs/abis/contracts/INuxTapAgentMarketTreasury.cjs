@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxTapAgentMarketTreasury (contracts/NuxTapGame/NuxTapAgentMarketplace.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxTapAgentMarketTreasury = void 0;
+exports.INuxTapAgentMarketTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "depositRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.INuxTapAgentMarketTreasury;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxTapAgentRegistry (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxTapAgentRegistry = void 0;
+exports.INuxTapAgentRegistry = [{ "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getAgentOperationalProfile", "outputs": [{ "internalType": "address", "name": "agentWallet", "type": "address" }, { "internalType": "uint256", "name": "totalTasksRun", "type": "uint256" }, { "internalType": "uint256", "name": "totalRevenueEarned", "type": "uint256" }, { "internalType": "uint256", "name": "spendingLimitDaily", "type": "uint256" }, { "internalType": "uint256", "name": "spentToday", "type": "uint256" }, { "internalType": "uint256", "name": "spentDayReset", "type": "uint256" }, { "internalType": "bool", "name": "x402Enabled", "type": "bool" }, { "internalType": "string", "name": "mcpEndpoint", "type": "string" }, { "internalType": "string", "name": "a2aEndpoint", "type": "string" }, { "internalType": "uint256", "name": "currentReputationScore", "type": "uint256" }, { "internalType": "uint256", "name": "clientCount", "type": "uint256" }, { "internalType": "uint256", "name": "validationCount", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registeredNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.INuxTapAgentRegistry;
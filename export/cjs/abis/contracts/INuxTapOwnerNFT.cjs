@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxTapOwnerNFT (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxTapOwnerNFT = void 0;
+exports.INuxTapOwnerNFT = [{ "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "ownerOf", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.INuxTapOwnerNFT;
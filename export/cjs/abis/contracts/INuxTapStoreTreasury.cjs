@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of INuxTapStoreTreasury (contracts/NuxTapGame/NuxTapItemStore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.INuxTapStoreTreasury = void 0;
+exports.INuxTapStoreTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "depositRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.INuxTapStoreTreasury;
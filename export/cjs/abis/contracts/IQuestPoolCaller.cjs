@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IQuestPoolCaller (contracts/Quest/QuestCore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IQuestPoolCaller = void 0;
+exports.IQuestPoolCaller = [{ "inputs": [{ "internalType": "address", "name": "recipient", "type": "address" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "string", "name": "source", "type": "string" }], "name": "requestPayout", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IQuestPoolCaller;
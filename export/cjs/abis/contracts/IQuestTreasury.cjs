@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IQuestTreasury (contracts/Treasury/QuestRewardsPool.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IQuestTreasury = void 0;
+exports.IQuestTreasury = [{ "inputs": [{ "internalType": "enum IQuestTreasury.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "requestEmergencyFunds", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IQuestTreasury;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IRentalAgentRegistry (contracts/NFT/NuxAgentRental.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IRentalAgentRegistry = void 0;
+exports.IRentalAgentRegistry = [{ "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registeredNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IRentalAgentRegistry;
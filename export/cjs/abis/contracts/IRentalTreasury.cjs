@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IRentalTreasury (contracts/NFT/NuxAgentRental.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IRentalTreasury = void 0;
+exports.IRentalTreasury = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "depositRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.IRentalTreasury;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ISmartStaking (contracts/NuxPower/NuxPowerNft.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ISmartStaking = void 0;
+exports.ISmartStaking = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getTotalDeposit", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.ISmartStaking;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ISmartStakingRewards (contracts/interfaces/ISmartStakingRewards.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ISmartStakingRewards = void 0;
+exports.ISmartStakingRewards = [{ "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint8", "name": "lockupIndex", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "newAPY", "type": "uint256" }], "name": "APYUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "admin", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "EmergencyWithdrawal", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "boostApplied", "type": "uint256" }], "name": "QuestRewardClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "funder", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RewardFunded", "type": "event" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "baseReward", "type": "uint256" }], "name": "calculateQuestReward", "outputs": [{ "internalType": "uint256", "name": "finalReward", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "depositAmount", "type": "uint256" }, { "internalType": "uint256", "name": "depositTime", "type": "uint256" }, { "internalType": "uint256", "name": "lastClaimTime", "type": "uint256" }, { "internalType": "uint8", "name": "lockupPeriodIndex", "type": "uint8" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }], "name": "calculateStakingRewards", "outputs": [{ "internalType": "uint256", "name": "rewards", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "claimQuestReward", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_currentTVL", "type": "uint256" }], "name": "updateCurrentTVL", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.ISmartStakingRewards;
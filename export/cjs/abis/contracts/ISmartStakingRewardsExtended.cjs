@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ISmartStakingRewardsExtended (contracts/SmartStaking/SmartStakingCore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ISmartStakingRewardsExtended = void 0;
+exports.ISmartStakingRewardsExtended = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "clearStakingSince", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "name": "recordStakingSince", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.ISmartStakingRewardsExtended;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ISmartStakingRewardsExtendedLib (contracts/SmartStaking/SmartStakingCoreLib.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ISmartStakingRewardsExtendedLib = void 0;
+exports.ISmartStakingRewardsExtendedLib = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "clearStakingSince", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.ISmartStakingRewardsExtendedLib;
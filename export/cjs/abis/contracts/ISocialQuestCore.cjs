@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ISocialQuestCore (contracts/Social/MarketplaceSocial.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ISocialQuestCore = void 0;
+exports.ISocialQuestCore = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "enum ISocialQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "uint256", "name": "value", "type": "uint256" }], "name": "notifyAction", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.ISocialQuestCore;
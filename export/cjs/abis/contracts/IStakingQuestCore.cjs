@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IStakingQuestCore (contracts/SmartStaking/SmartStakingCore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IStakingQuestCore = void 0;
+exports.IStakingQuestCore = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "enum IStakingQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "uint256", "name": "value", "type": "uint256" }], "name": "notifyAction", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.IStakingQuestCore;
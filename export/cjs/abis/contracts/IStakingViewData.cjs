@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of IStakingViewData (contracts/SmartStaking/SmartStakingView.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IStakingViewData = void 0;
+exports.IStakingViewData = [{ "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "baseAPY", "type": "uint256" }], "name": "calculateBoostedAPY", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "calculateBoostedRewards", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "calculateBoostedRewardsWithRarityMultiplier", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "baseFee", "type": "uint256" }], "name": "calculateFeeDiscount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "baseLockTime", "type": "uint256" }], "name": "calculateReducedLockTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "calculateRewards", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getActivePowers", "outputs": [{ "components": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "internalType": "uint16", "name": "effectValue", "type": "uint16" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint64", "name": "activatedAt", "type": "uint64" }, { "internalType": "uint64", "name": "cooldownEnds", "type": "uint64" }, { "internalType": "bool", "name": "isActive", "type": "bool" }], "internalType": "struct IStakingIntegration.NFTPower[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getAutoCompoundUsers", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getContractBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUser", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }, { "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint64", "name": "", "type": "uint64" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "index", "type": "uint256" }], "name": "getUserDeposit", "outputs": [{ "internalType": "uint128", "name": "", "type": "uint128" }, { "internalType": "uint64", "name": "", "type": "uint64" }, { "internalType": "uint64", "name": "", "type": "uint64" }, { "internalType": "uint64", "name": "", "type": "uint64" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserInfo", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserPowerProfile", "outputs": [{ "components": [{ "internalType": "uint256[]", "name": "activeNFTIds", "type": "uint256[]" }, { "internalType": "uint256", "name": "totalXP", "type": "uint256" }, { "internalType": "uint16", "name": "level", "type": "uint16" }, { "internalType": "uint8", "name": "maxActiveSkills", "type": "uint8" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }, { "internalType": "uint16", "name": "feeDiscountTotal", "type": "uint16" }, { "internalType": "bool", "name": "hasAutoCompound", "type": "bool" }], "internalType": "struct IStakingIntegration.UserPowerProfile", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "nftId", "type": "uint256" }], "name": "nftRarity", "outputs": [{ "internalType": "enum IStakingIntegration.Rarity", "name": "", "type": "uint8" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }], "name": "powerDefaultEffects", "outputs": [{ "internalType": "uint16", "name": "", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }], "name": "powerEnabled", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalPoolBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "uniqueUsersCount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.IStakingViewData;
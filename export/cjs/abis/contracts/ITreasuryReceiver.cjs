@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of ITreasuryReceiver (contracts/NFT/NuxAgentPaymaster.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ITreasuryReceiver = void 0;
+exports.ITreasuryReceiver = [{ "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "receiveRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.ITreasuryReceiver;
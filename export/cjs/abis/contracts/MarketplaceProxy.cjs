@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of MarketplaceProxy (contracts/Marketplace/MarketplaceProxy.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MarketplaceProxy = void 0;
+exports.MarketplaceProxy = [{ "inputs": [{ "internalType": "address", "name": "implementation", "type": "address" }, { "internalType": "bytes", "name": "initializationData", "type": "bytes" }], "stateMutability": "nonpayable", "type": "constructor" }, { "inputs": [], "name": "EmptyInitializationData", "type": "error" }, { "inputs": [{ "internalType": "address", "name": "implementation", "type": "address" }], "name": "InvalidImplementation", "type": "error" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "previousAdmin", "type": "address" }, { "indexed": false, "internalType": "address", "name": "newAdmin", "type": "address" }], "name": "AdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "beacon", "type": "address" }], "name": "BeaconUpgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "initDataLength", "type": "uint256" }], "name": "ProxyInitialized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }], "name": "Upgraded", "type": "event" }, { "stateMutability": "payable", "type": "fallback" }, { "stateMutability": "payable", "type": "receive" }];
+exports.default = exports.MarketplaceProxy;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of NuxAgentRegistry (contracts/NFT/NuxAgentRegistry.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NuxAgentRegistry = void 0;
+exports.NuxAgentRegistry = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "previousAdmin", "type": "address" }, { "indexed": false, "internalType": "address", "name": "newAdmin", "type": "address" }], "name": "AdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "string", "name": "metadataKey", "type": "string" }, { "indexed": false, "internalType": "bytes", "name": "metadataValue", "type": "bytes" }], "name": "AgentMetadataSet", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "AgentWalletCleared", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "newWallet", "type": "address" }], "name": "AgentWalletSet", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "beacon", "type": "address" }], "name": "BeaconUpgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "clientAddress", "type": "address" }, { "indexed": true, "internalType": "uint64", "name": "feedbackIndex", "type": "uint64" }], "name": "FeedbackRevoked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint8", "name": "version", "type": "uint8" }], "name": "Initialized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "nftContract", "type": "address" }], "name": "NFTContractRegistered", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "clientAddress", "type": "address" }, { "indexed": false, "internalType": "uint64", "name": "feedbackIndex", "type": "uint64" }, { "indexed": false, "internalType": "int128", "name": "value", "type": "int128" }, { "indexed": false, "internalType": "uint8", "name": "valueDecimals", "type": "uint8" }, { "indexed": false, "internalType": "string", "name": "tag1", "type": "string" }, { "indexed": false, "internalType": "string", "name": "tag2", "type": "string" }], "name": "NewFeedback", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "clientAddress", "type": "address" }, { "indexed": false, "internalType": "uint64", "name": "feedbackIndex", "type": "uint64" }, { "indexed": true, "internalType": "address", "name": "responder", "type": "address" }], "name": "ResponseAppended", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "previousAdminRole", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "newAdminRole", "type": "bytes32" }], "name": "RoleAdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleGranted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleRevoked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newDailyLimit", "type": "uint256" }], "name": "SpendingLimitUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "executor", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "rewardPaid", "type": "uint256" }], "name": "TaskExecutionRecorded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }], "name": "Upgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "validatorAddress", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "requestURI", "type": "string" }, { "indexed": true, "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }], "name": "ValidationRequest", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "validatorAddress", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "indexed": true, "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }, { "indexed": false, "internalType": "uint8", "name": "response", "type": "uint8" }, { "indexed": false, "internalType": "string", "name": "tag", "type": "string" }], "name": "ValidationResponse", "type": "event" }, { "inputs": [], "name": "ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "DEFAULT_ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "GAME_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "UPGRADER_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "VALIDATOR_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "agentMetadata", "outputs": [{ "internalType": "address", "name": "agentWallet", "type": "address" }, { "internalType": "uint256", "name": "totalTasksRun", "type": "uint256" }, { "internalType": "uint256", "name": "totalRevenueEarned", "type": "uint256" }, { "internalType": "uint256", "name": "spendingLimitDaily", "type": "uint256" }, { "internalType": "uint256", "name": "spentToday", "type": "uint256" }, { "internalType": "uint256", "name": "spentDayReset", "type": "uint256" }, { "internalType": "bool", "name": "x402Enabled", "type": "bool" }, { "internalType": "string", "name": "mcpEndpoint", "type": "string" }, { "internalType": "string", "name": "a2aEndpoint", "type": "string" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "authorizeSpend", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "uint256", "name": "dailySpendingLimit", "type": "uint256" }, { "internalType": "bool", "name": "x402Enabled", "type": "bool" }, { "internalType": "string", "name": "mcpEndpoint", "type": "string" }, { "internalType": "string", "name": "a2aEndpoint", "type": "string" }], "name": "configureAgent", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getAgentOperationalProfile", "outputs": [{ "components": [{ "internalType": "address", "name": "agentWallet", "type": "address" }, { "internalType": "uint256", "name": "totalTasksRun", "type": "uint256" }, { "internalType": "uint256", "name": "totalRevenueEarned", "type": "uint256" }, { "internalType": "uint256", "name": "spendingLimitDaily", "type": "uint256" }, { "internalType": "uint256", "name": "spentToday", "type": "uint256" }, { "internalType": "uint256", "name": "spentDayReset", "type": "uint256" }, { "internalType": "bool", "name": "x402Enabled", "type": "bool" }, { "internalType": "string", "name": "mcpEndpoint", "type": "string" }, { "internalType": "string", "name": "a2aEndpoint", "type": "string" }, { "internalType": "uint256", "name": "currentReputationScore", "type": "uint256" }, { "internalType": "uint256", "name": "clientCount", "type": "uint256" }, { "internalType": "uint256", "name": "validationCount", "type": "uint256" }], "internalType": "struct NuxAgentRegistry.AgentOperationalProfile", "name": "profile", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getAgentValidations", "outputs": [{ "internalType": "bytes32[]", "name": "", "type": "bytes32[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getAgentWallet", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "clientAddress", "type": "address" }, { "internalType": "uint64", "name": "offset", "type": "uint64" }, { "internalType": "uint64", "name": "limit", "type": "uint64" }], "name": "getClientFeedbackPage", "outputs": [{ "components": [{ "internalType": "address", "name": "clientAddress", "type": "address" }, { "internalType": "int128", "name": "value", "type": "int128" }, { "internalType": "uint8", "name": "valueDecimals", "type": "uint8" }, { "internalType": "string", "name": "tag1", "type": "string" }, { "internalType": "string", "name": "tag2", "type": "string" }, { "internalType": "bool", "name": "isRevoked", "type": "bool" }, { "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "internalType": "struct NuxAgentRegistry.FeedbackRecord[]", "name": "feedbackRecords", "type": "tuple[]" }, { "internalType": "uint64", "name": "total", "type": "uint64" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getClients", "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "getFeedbackStats", "outputs": [{ "internalType": "uint256", "name": "currentReputationScore", "type": "uint256" }, { "internalType": "uint256", "name": "totalClients", "type": "uint256" }, { "internalType": "uint256", "name": "totalFeedbackCount", "type": "uint256" }, { "internalType": "uint256", "name": "activeFeedbackCount", "type": "uint256" }, { "internalType": "uint256", "name": "revokedFeedbackCount", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "clientAddress", "type": "address" }], "name": "getLastIndex", "outputs": [{ "internalType": "uint64", "name": "", "type": "uint64" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "string", "name": "metadataKey", "type": "string" }], "name": "getMetadata", "outputs": [{ "internalType": "bytes", "name": "", "type": "bytes" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }], "name": "getRoleAdmin", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address[]", "name": "clientAddresses", "type": "address[]" }, { "internalType": "string", "name": "tag1", "type": "string" }, { "internalType": "string", "name": "tag2", "type": "string" }], "name": "getSummary", "outputs": [{ "internalType": "uint64", "name": "count", "type": "uint64" }, { "internalType": "int128", "name": "summaryValue", "type": "int128" }, { "internalType": "uint8", "name": "summaryValueDecimals", "type": "uint8" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }], "name": "getValidationStatus", "outputs": [{ "internalType": "address", "name": "validatorAddress", "type": "address" }, { "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "uint8", "name": "response", "type": "uint8" }, { "internalType": "bytes32", "name": "responseHash", "type": "bytes32" }, { "internalType": "string", "name": "tag", "type": "string" }, { "internalType": "uint256", "name": "lastUpdate", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "validatorAddress", "type": "address" }], "name": "getValidatorRequests", "outputs": [{ "internalType": "bytes32[]", "name": "", "type": "bytes32[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "int128", "name": "value", "type": "int128" }, { "internalType": "uint8", "name": "valueDecimals", "type": "uint8" }, { "internalType": "string", "name": "tag1", "type": "string" }, { "internalType": "string", "name": "tag2", "type": "string" }, { "internalType": "string", "name": "feedbackURI", "type": "string" }, { "internalType": "bytes32", "name": "feedbackHash", "type": "bytes32" }], "name": "giveFeedback", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "game", "type": "address" }], "name": "grantGameRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "grantRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "validator", "type": "address" }], "name": "grantValidatorRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "hasRole", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "admin_", "type": "address" }], "name": "initialize", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "proxiableUUID", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "clientAddress", "type": "address" }, { "internalType": "uint64", "name": "feedbackIndex", "type": "uint64" }], "name": "readFeedback", "outputs": [{ "internalType": "int128", "name": "value", "type": "int128" }, { "internalType": "uint8", "name": "valueDecimals", "type": "uint8" }, { "internalType": "string", "name": "tag1", "type": "string" }, { "internalType": "string", "name": "tag2", "type": "string" }, { "internalType": "bool", "name": "isRevoked", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "executor", "type": "address" }, { "internalType": "uint256", "name": "rewardPaid", "type": "uint256" }], "name": "recordTaskExecution", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registerNFTContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }], "name": "registerNFTContractWithList", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "registeredNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "renounceRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "reputationScore", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "uint64", "name": "feedbackIndex", "type": "uint64" }], "name": "revokeFeedback", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "revokeRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "address", "name": "newWallet", "type": "address" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "bytes", "name": "signature", "type": "bytes" }], "name": "setAgentWallet", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "string", "name": "metadataKey", "type": "string" }, { "internalType": "bytes", "name": "metadataValue", "type": "bytes" }], "name": "setMetadata", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes4", "name": "interfaceId", "type": "bytes4" }], "name": "supportsInterface", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "agentId", "type": "uint256" }], "name": "unsetAgentWallet", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }], "name": "upgradeTo", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }, { "internalType": "bytes", "name": "data", "type": "bytes" }], "name": "upgradeToAndCall", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "validatorAddress", "type": "address" }, { "internalType": "uint256", "name": "agentId", "type": "uint256" }, { "internalType": "string", "name": "requestURI", "type": "string" }, { "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }], "name": "validationRequest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "requestHash", "type": "bytes32" }, { "internalType": "uint8", "name": "response", "type": "uint8" }, { "internalType": "string", "name": "responseURI", "type": "string" }, { "internalType": "bytes32", "name": "responseHash", "type": "bytes32" }, { "internalType": "string", "name": "tag", "type": "string" }], "name": "validationResponse", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.NuxAgentRegistry;
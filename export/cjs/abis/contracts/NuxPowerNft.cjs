@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of NuxPowerNft (contracts/NuxPower/NuxPowerNft.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NuxPowerNft = void 0;
+exports.NuxPowerNft = [{ "inputs": [{ "internalType": "address", "name": "_coreAddress", "type": "address" }], "stateMutability": "nonpayable", "type": "constructor" }, { "inputs": [], "name": "CoreContractNotSet", "type": "error" }, { "inputs": [], "name": "DuplicatePowerType", "type": "error" }, { "inputs": [{ "internalType": "uint256", "name": "required", "type": "uint256" }, { "internalType": "uint256", "name": "current", "type": "uint256" }], "name": "InsufficientStakingBalance", "type": "error" }, { "inputs": [], "name": "InvalidAddress", "type": "error" }, { "inputs": [], "name": "InvalidPowerType", "type": "error" }, { "inputs": [{ "internalType": "uint256", "name": "expected", "type": "uint256" }, { "internalType": "uint256", "name": "provided", "type": "uint256" }], "name": "InvalidPrice", "type": "error" }, { "inputs": [{ "internalType": "uint8", "name": "rarity", "type": "uint8" }], "name": "InvalidRarity", "type": "error" }, { "inputs": [], "name": "InvalidSkillCount", "type": "error" }, { "inputs": [], "name": "MaxActiveSkillsReached", "type": "error" }, { "inputs": [], "name": "NotSkillOwner", "type": "error" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }], "name": "PowerTypeAlreadyActiveDuplicate", "type": "error" }, { "inputs": [], "name": "SkillNFTNotFound", "type": "error" }, { "inputs": [{ "internalType": "uint256", "name": "expiryTime", "type": "uint256" }], "name": "SkillNotExpiredYet", "type": "error" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "admin", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": true, "internalType": "address", "name": "to", "type": "address" }], "name": "EmergencyWithdrawal", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }], "name": "FreePowerClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Paused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "indexed": false, "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }], "name": "PowerAdded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }], "name": "PowerDeactivatedManually", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }], "name": "PowerExpired", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newExpiryTime", "type": "uint256" }], "name": "PowerRenewed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }], "name": "PowerTypeAlreadyActive", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "previousAdminRole", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "newAdminRole", "type": "bytes32" }], "name": "RoleAdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleGranted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleRevoked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "creator", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "skillCount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "totalXP", "type": "uint256" }], "name": "SkillNFTCreated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "operationType", "type": "string" }], "name": "SkillPaymentProcessed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "oldTokenId", "type": "uint256" }, { "indexed": true, "internalType": "uint256", "name": "newTokenId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "switchFee", "type": "uint256" }], "name": "SkillSwitched", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldStaking", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newStaking", "type": "address" }], "name": "StakingContractUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldTreasury", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newTreasury", "type": "address" }], "name": "TreasuryAddressUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Unpaused", "type": "event" }, { "inputs": [], "name": "ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "DEFAULT_ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "coreContractAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "deactivateExpiredSkill", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "deactivatePowerManually", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_amount", "type": "uint256" }], "name": "emergencyWithdraw", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "emergencyWithdrawAll", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getActiveSkillsForUser", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getAllSkillNFTs", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }, { "internalType": "uint256", "name": "_hoursThreshold", "type": "uint256" }], "name": "getExpiringSkills", "outputs": [{ "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]" }, { "internalType": "uint256[]", "name": "expiryTimes", "type": "uint256[]" }, { "components": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint256", "name": "level", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "expiresAt", "type": "uint256" }], "internalType": "struct NuxPowerNft.Skill[][]", "name": "skills", "type": "tuple[][]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_limit", "type": "uint256" }], "name": "getPopularSkills", "outputs": [{ "internalType": "enum IStakingIntegration.PowerType[]", "name": "skillTypes", "type": "uint8[]" }, { "internalType": "uint256[]", "name": "purchaseCounts", "type": "uint256[]" }, { "internalType": "enum IStakingIntegration.Rarity[]", "name": "mostBoughtRarity", "type": "uint8[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "getPowerSwitchInfo", "outputs": [{ "internalType": "uint256", "name": "activeTokenId", "type": "uint256" }, { "internalType": "uint256", "name": "expiresAt", "type": "uint256" }, { "internalType": "bool", "name": "canSwitch", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }], "name": "getRoleAdmin", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getSkillExpiryTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getSkillMarketStats", "outputs": [{ "internalType": "uint256", "name": "totalSkillNFTs", "type": "uint256" }, { "internalType": "uint256", "name": "totalActiveSkills", "type": "uint256" }, { "internalType": "uint256", "name": "totalExpiredSkills", "type": "uint256" }, { "internalType": "uint256", "name": "totalSkillsSold", "type": "uint256" }, { "internalType": "uint256", "name": "totalRevenue", "type": "uint256" }, { "internalType": "uint256", "name": "averageSkillsPerNFT", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getSkillNFT", "outputs": [{ "components": [{ "internalType": "address", "name": "creator", "type": "address" }, { "components": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint256", "name": "level", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "expiresAt", "type": "uint256" }], "internalType": "struct NuxPowerNft.Skill[]", "name": "skills", "type": "tuple[]" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "basePrice", "type": "uint256" }], "internalType": "struct NuxPowerNft.SkillNFT", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "getSkillNFTSkills", "outputs": [{ "components": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint256", "name": "level", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "expiresAt", "type": "uint256" }], "internalType": "struct NuxPowerNft.Skill[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "_rarity", "type": "uint8" }], "name": "getSkillPrice", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "getSkillPricesAllRarities", "outputs": [{ "internalType": "uint256[5]", "name": "", "type": "uint256[5]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getSkillRarityDistribution", "outputs": [{ "internalType": "uint256", "name": "commonCount", "type": "uint256" }, { "internalType": "uint256", "name": "uncommonCount", "type": "uint256" }, { "internalType": "uint256", "name": "rareCount", "type": "uint256" }, { "internalType": "uint256", "name": "epicCount", "type": "uint256" }, { "internalType": "uint256", "name": "legendaryCount", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "getUserPowersByType", "outputs": [{ "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]" }, { "internalType": "uint8[]", "name": "statuses", "type": "uint8[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserSkillNFTs", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserSkillNFTsWithDetails", "outputs": [{ "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]" }, { "components": [{ "internalType": "address", "name": "creator", "type": "address" }, { "components": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint256", "name": "level", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "expiresAt", "type": "uint256" }], "internalType": "struct NuxPowerNft.Skill[]", "name": "skills", "type": "tuple[]" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "basePrice", "type": "uint256" }], "internalType": "struct NuxPowerNft.SkillNFT[]", "name": "skillNFTDetails", "type": "tuple[]" }, { "internalType": "uint256[]", "name": "expiryTimes", "type": "uint256[]" }, { "internalType": "bool[]", "name": "isExpired", "type": "bool[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserSkillPortfolio", "outputs": [{ "internalType": "uint256", "name": "totalSkillNFTs", "type": "uint256" }, { "internalType": "uint256", "name": "activeSkillNFTs", "type": "uint256" }, { "internalType": "uint256", "name": "expiredSkillNFTs", "type": "uint256" }, { "internalType": "uint256", "name": "totalActiveSkills", "type": "uint256" }, { "internalType": "uint256", "name": "stakingSkillsCount", "type": "uint256" }, { "internalType": "uint256", "name": "platformSkillsCount", "type": "uint256" }, { "internalType": "uint256", "name": "expiringIn24h", "type": "uint256" }, { "internalType": "uint256", "name": "totalSpentOnSkills", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserSkillsGrouped", "outputs": [{ "internalType": "enum IStakingIntegration.PowerType[]", "name": "skillTypes", "type": "uint8[]" }, { "internalType": "enum IStakingIntegration.Rarity[]", "name": "rarities", "type": "uint8[]" }, { "internalType": "uint256[]", "name": "counts", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }], "name": "getUserTotalActiveSkills", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "getpowerTypeCount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "grantRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "hasClaimedFreeSkill", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "hasRole", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "isFirstSkillFree", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "isSkillExpired", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "pause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "paused", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "", "type": "uint8" }], "name": "powerTypeCount", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }, { "internalType": "enum IStakingIntegration.PowerType[]", "name": "_skillTypes", "type": "uint8[]" }, { "internalType": "enum IStakingIntegration.Rarity[]", "name": "_rarities", "type": "uint8[]" }, { "internalType": "uint256[]", "name": "_levels", "type": "uint256[]" }], "name": "registerSkillsForNFT", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "payable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_tokenId", "type": "uint256" }], "name": "renewSkill", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "renounceRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "revokeRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_stakingAddress", "type": "address" }], "name": "setStakingContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasuryAddress", "type": "address" }], "name": "setTreasuryAddress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "skillNFTs", "outputs": [{ "internalType": "address", "name": "creator", "type": "address" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }, { "internalType": "uint256", "name": "basePrice", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "", "type": "uint8" }], "name": "skillPrices", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "stakingContractAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes4", "name": "interfaceId", "type": "bytes4" }], "name": "supportsInterface", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_oldTokenId", "type": "uint256" }, { "internalType": "uint256", "name": "_newTokenId", "type": "uint256" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }], "name": "switchSkill", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [], "name": "treasuryAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "unpause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_common", "type": "uint256" }, { "internalType": "uint256", "name": "_uncommon", "type": "uint256" }, { "internalType": "uint256", "name": "_rare", "type": "uint256" }, { "internalType": "uint256", "name": "_epic", "type": "uint256" }, { "internalType": "uint256", "name": "_legendary", "type": "uint256" }], "name": "updateActiveSkillsPricing", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "_skillType", "type": "uint8" }, { "internalType": "enum IStakingIntegration.Rarity", "name": "_rarity", "type": "uint8" }, { "internalType": "uint256", "name": "_newPrice", "type": "uint256" }], "name": "updateSkillPrice", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_common", "type": "uint256" }, { "internalType": "uint256", "name": "_uncommon", "type": "uint256" }, { "internalType": "uint256", "name": "_rare", "type": "uint256" }, { "internalType": "uint256", "name": "_epic", "type": "uint256" }, { "internalType": "uint256", "name": "_legendary", "type": "uint256" }], "name": "updateStakingSkillsPricing", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "", "type": "uint8" }], "name": "userActivePowersByType", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "", "type": "uint8" }], "name": "userPowerNFTId", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "uint256", "name": "", "type": "uint256" }], "name": "userSkillNFTs", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "userTotalActiveSkills", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "stateMutability": "payable", "type": "receive" }];
+exports.default = exports.NuxPowerNft;
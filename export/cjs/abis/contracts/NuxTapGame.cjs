@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of NuxTapGame (contracts/NuxTapGame/NuxTapGame.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NuxTapGame = void 0;
+exports.NuxTapGame = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "previousAdmin", "type": "address" }, { "indexed": false, "internalType": "address", "name": "newAdmin", "type": "address" }], "name": "AdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": true, "internalType": "address", "name": "nftContract", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "AgentLinked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": true, "internalType": "address", "name": "nftContract", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "AgentUnlinked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "itemId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "addedRate", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newRate", "type": "uint256" }], "name": "AutoTapUpgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "beacon", "type": "address" }], "name": "BeaconUpgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "itemId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "multiplierBps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "expiresAt", "type": "uint256" }], "name": "BoosterActivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "treasury", "type": "address" }, { "indexed": true, "internalType": "address", "name": "itemStore", "type": "address" }, { "indexed": true, "internalType": "address", "name": "agentRegistry", "type": "address" }], "name": "ExternalContractsUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "rewardPerTapWei", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "baseDailyTapCap", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "maxManualTapsPerSession", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "passiveTickSeconds", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "claimFeeBps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "streakBonusBps", "type": "uint256" }], "name": "GameConfigUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint8", "name": "version", "type": "uint8" }], "name": "Initialized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "totalLevels", "type": "uint256" }], "name": "LevelConfigsReplaced", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "linkedAgentBaseBonusBps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "linkedAgentMaxReputationBonusBps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "linkedAgentMaxTaskBonusBps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "maxLinkedAgentBonusBps", "type": "uint256" }], "name": "LinkedAgentConfigUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Paused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "grossAmount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "feeAmount", "type": "uint256" }, { "indexed": false, "internalType": "bool", "name": "feeWaived", "type": "bool" }], "name": "RewardsClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "previousAdminRole", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "newAdminRole", "type": "bytes32" }], "name": "RoleAdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleGranted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleRevoked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "player", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "manualTaps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "passiveTaps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "creditedTaps", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "scoreEarned", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "rewardEarned", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newLevel", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "streak", "type": "uint256" }], "name": "SessionSettled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "nftContract", "type": "address" }, { "indexed": false, "internalType": "bool", "name": "supported", "type": "bool" }], "name": "SupportedNFTContractUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Unpaused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }], "name": "Upgraded", "type": "event" }, { "inputs": [], "name": "ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "DEFAULT_ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "OPERATOR_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "PAUSER_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "UPGRADER_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "itemId", "type": "uint256" }], "name": "activateBooster", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "agentRegistry", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "itemId", "type": "uint256" }], "name": "applyAutoTapItem", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "baseDailyTapCap", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "claimFeeBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "uint256", "name": "withdrawPassItemId", "type": "uint256" }], "name": "claimRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "getLevelConfigs", "outputs": [{ "components": [{ "internalType": "uint256", "name": "scoreRequired", "type": "uint256" }, { "internalType": "uint256", "name": "dailyTapCap", "type": "uint256" }, { "internalType": "uint256", "name": "rewardMultiplierBps", "type": "uint256" }], "internalType": "struct NuxTapGame.LevelConfig[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "account", "type": "address" }], "name": "getPlayerProfile", "outputs": [{ "components": [{ "internalType": "uint256", "name": "totalScore", "type": "uint256" }, { "internalType": "uint256", "name": "lifetimeTaps", "type": "uint256" }, { "internalType": "uint256", "name": "totalSessions", "type": "uint256" }, { "internalType": "uint256", "name": "unclaimedRewards", "type": "uint256" }, { "internalType": "uint256", "name": "claimedRewards", "type": "uint256" }, { "internalType": "uint256", "name": "currentLevel", "type": "uint256" }, { "internalType": "uint256", "name": "currentStreak", "type": "uint256" }, { "internalType": "uint256", "name": "bestStreak", "type": "uint256" }, { "internalType": "uint256", "name": "autoTapRate", "type": "uint256" }, { "internalType": "uint256", "name": "boosterMultiplierBps", "type": "uint256" }, { "internalType": "uint256", "name": "boosterExpiresAt", "type": "uint256" }, { "internalType": "uint256", "name": "lastSettlementAt", "type": "uint256" }, { "internalType": "uint256", "name": "lastActiveDay", "type": "uint256" }, { "internalType": "uint256", "name": "dailyTapCount", "type": "uint256" }, { "internalType": "address", "name": "linkedNftContract", "type": "address" }, { "internalType": "uint256", "name": "linkedTokenId", "type": "uint256" }], "internalType": "struct NuxTapGame.PlayerProfile", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }], "name": "getRoleAdmin", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "grantRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "hasRole", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "admin_", "type": "address" }, { "internalType": "address", "name": "treasury_", "type": "address" }, { "internalType": "address", "name": "itemStore_", "type": "address" }, { "internalType": "address", "name": "agentRegistry_", "type": "address" }], "name": "initialize", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "itemStore", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }, { "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "linkAgent", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "linkedAgentBaseBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "linkedAgentMaxReputationBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "linkedAgentMaxTaskBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "maxLinkedAgentBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "maxManualTapsPerSession", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "passiveTickSeconds", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "pause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "paused", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "account", "type": "address" }], "name": "previewLinkedAgentBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "account", "type": "address" }], "name": "previewPendingPassiveTaps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "proxiableUUID", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "renounceRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "components": [{ "internalType": "uint256", "name": "scoreRequired", "type": "uint256" }, { "internalType": "uint256", "name": "dailyTapCap", "type": "uint256" }, { "internalType": "uint256", "name": "rewardMultiplierBps", "type": "uint256" }], "internalType": "struct NuxTapGame.LevelConfig[]", "name": "newConfigs", "type": "tuple[]" }], "name": "replaceLevelConfigs", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "revokeRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "rewardPerTapWei", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "treasury_", "type": "address" }, { "internalType": "address", "name": "itemStore_", "type": "address" }, { "internalType": "address", "name": "agentRegistry_", "type": "address" }], "name": "setExternalContracts", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "rewardPerTapWei_", "type": "uint256" }, { "internalType": "uint256", "name": "baseDailyTapCap_", "type": "uint256" }, { "internalType": "uint256", "name": "maxManualTapsPerSession_", "type": "uint256" }, { "internalType": "uint256", "name": "passiveTickSeconds_", "type": "uint256" }, { "internalType": "uint256", "name": "claimFeeBps_", "type": "uint256" }, { "internalType": "uint256", "name": "streakBonusBps_", "type": "uint256" }], "name": "setGameConfig", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "linkedAgentBaseBonusBps_", "type": "uint256" }, { "internalType": "uint256", "name": "linkedAgentMaxReputationBonusBps_", "type": "uint256" }, { "internalType": "uint256", "name": "linkedAgentMaxTaskBonusBps_", "type": "uint256" }, { "internalType": "uint256", "name": "maxLinkedAgentBonusBps_", "type": "uint256" }], "name": "setLinkedAgentConfig", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "nftContract", "type": "address" }, { "internalType": "bool", "name": "supported", "type": "bool" }], "name": "setSupportedNFTContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "manualTaps", "type": "uint256" }], "name": "settleTapSession", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "streakBonusBps", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "supportedNFTContracts", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes4", "name": "interfaceId", "type": "bytes4" }], "name": "supportsInterface", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "treasury", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "unlinkAgent", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "unpause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }], "name": "upgradeTo", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }, { "internalType": "bytes", "name": "data", "type": "bytes" }], "name": "upgradeToAndCall", "outputs": [], "stateMutability": "payable", "type": "function" }];
+exports.default = exports.NuxTapGame;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of QuestCore (contracts/Quest/QuestCore.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.QuestCore = void 0;
+exports.QuestCore = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "inputs": [], "name": "AlreadyCompleted", "type": "error" }, { "inputs": [], "name": "CompletionLimitReached", "type": "error" }, { "inputs": [], "name": "InvalidAddress", "type": "error" }, { "inputs": [], "name": "InvalidMetadata", "type": "error" }, { "inputs": [], "name": "InvalidRequirement", "type": "error" }, { "inputs": [], "name": "InvalidXPReward", "type": "error" }, { "inputs": [], "name": "NoPendingPolRewards", "type": "error" }, { "inputs": [], "name": "QuestExpired", "type": "error" }, { "inputs": [], "name": "QuestNotActive", "type": "error" }, { "inputs": [], "name": "QuestNotFound", "type": "error" }, { "inputs": [], "name": "QuestNotStarted", "type": "error" }, { "inputs": [], "name": "RequirementNotMet", "type": "error" }, { "inputs": [], "name": "RewardPoolUnavailable", "type": "error" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "value", "type": "uint256" }], "name": "ActionNotified", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "previousAdmin", "type": "address" }, { "indexed": false, "internalType": "address", "name": "newAdmin", "type": "address" }], "name": "AdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "beacon", "type": "address" }], "name": "BeaconUpgraded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldCore", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newCore", "type": "address" }], "name": "CoreContractUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint8", "name": "version", "type": "uint8" }], "name": "Initialized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldLeveling", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newLeveling", "type": "address" }], "name": "LevelingContractUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Paused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "PendingPolRewardsClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "xpRewarded", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "polRewarded", "type": "uint256" }], "name": "QuestCompleted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "indexed": false, "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "indexed": false, "internalType": "string", "name": "title", "type": "string" }, { "indexed": false, "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "polReward", "type": "uint256" }], "name": "QuestCreated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "QuestDeactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "progress", "type": "uint256" }], "name": "QuestProgressUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "QuestRewardDeferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldPool", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newPool", "type": "address" }], "name": "QuestRewardsPoolUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "previousAdminRole", "type": "bytes32" }, { "indexed": true, "internalType": "bytes32", "name": "newAdminRole", "type": "bytes32" }], "name": "RoleAdminChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleGranted", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "indexed": true, "internalType": "address", "name": "account", "type": "address" }, { "indexed": true, "internalType": "address", "name": "sender", "type": "address" }], "name": "RoleRevoked", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "newTotal", "type": "uint256" }], "name": "SocialActionRecorded", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "oldStaking", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newStaking", "type": "address" }], "name": "StakingContractUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "address", "name": "account", "type": "address" }], "name": "Unpaused", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }], "name": "Upgraded", "type": "event" }, { "inputs": [], "name": "ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "DEFAULT_ADMIN_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "REPORTER_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "UPGRADER_ROLE", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "uint8", "name": "", "type": "uint8" }], "name": "actionCounters", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "claimPendingPolRewards", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "completeQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "coreContractAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "components": [{ "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }], "internalType": "struct IQuestCore.QuestCreateParams", "name": "params", "type": "tuple" }], "name": "createQuest", "outputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "deactivateQuest", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "getAllActiveQuests", "outputs": [{ "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "internalType": "struct IQuestCore.Quest[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "limit", "type": "uint256" }], "name": "getMostPopularQuests", "outputs": [{ "internalType": "uint256[]", "name": "questIds", "type": "uint256[]" }, { "internalType": "uint256[]", "name": "completionCounts", "type": "uint256[]" }, { "internalType": "string[]", "name": "titles", "type": "string[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "getQuest", "outputs": [{ "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "internalType": "struct IQuestCore.Quest", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "limit", "type": "uint256" }], "name": "getQuestLeaderboard", "outputs": [{ "internalType": "address[]", "name": "users", "type": "address[]" }, { "internalType": "uint256[]", "name": "completedCounts", "type": "uint256[]" }, { "internalType": "uint256[]", "name": "totalXP", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getQuestSystemStats", "outputs": [{ "internalType": "uint256", "name": "totalQuests", "type": "uint256" }, { "internalType": "uint256", "name": "activeQuests", "type": "uint256" }, { "internalType": "uint256", "name": "totalCompletions", "type": "uint256" }, { "internalType": "uint256", "name": "totalXPAwarded", "type": "uint256" }, { "internalType": "uint256", "name": "averageCompletionRate", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }], "name": "getQuestsByCategory", "outputs": [{ "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "internalType": "struct IQuestCore.Quest[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }], "name": "getQuestsByType", "outputs": [{ "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "internalType": "struct IQuestCore.Quest[]", "name": "", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }], "name": "getRoleAdmin", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserCompletedQuests", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserIncompleteQuests", "outputs": [{ "internalType": "uint256[]", "name": "questIds", "type": "uint256[]" }, { "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "internalType": "struct IQuestCore.Quest[]", "name": "questData", "type": "tuple[]" }, { "internalType": "uint256[]", "name": "progressPercentages", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "getUserQuestProgress", "outputs": [{ "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "uint256", "name": "currentProgress", "type": "uint256" }, { "internalType": "bool", "name": "completed", "type": "bool" }, { "internalType": "uint256", "name": "completedAt", "type": "uint256" }], "internalType": "struct IQuestCore.UserQuestProgress", "name": "", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }], "name": "getUserQuestProgressByType", "outputs": [{ "internalType": "uint256[]", "name": "questIds", "type": "uint256[]" }, { "components": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "uint256", "name": "currentProgress", "type": "uint256" }, { "internalType": "bool", "name": "completed", "type": "bool" }, { "internalType": "uint256", "name": "completedAt", "type": "uint256" }], "internalType": "struct IQuestCore.UserQuestProgress[]", "name": "progresses", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserQuestStats", "outputs": [{ "internalType": "uint256", "name": "totalCompleted", "type": "uint256" }, { "internalType": "uint256", "name": "totalInProgress", "type": "uint256" }, { "internalType": "uint256", "name": "totalXPEarned", "type": "uint256" }, { "internalType": "uint256", "name": "completionRate", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestType", "name": "favoriteType", "type": "uint8" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserSocialActions", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "grantRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "hasRole", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "admin_", "type": "address" }, { "internalType": "address", "name": "coreContractAddress_", "type": "address" }], "name": "initialize", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "levelingContractAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "uint256", "name": "value", "type": "uint256" }], "name": "notifyAction", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "pause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "paused", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "pendingPolRewards", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "proxiableUUID", "outputs": [{ "internalType": "bytes32", "name": "", "type": "bytes32" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "questGlobalCompletions", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "questRewardsPool", "outputs": [{ "internalType": "contract IQuestPoolCaller", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "name": "quests", "outputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "enum IQuestCore.QuestCategory", "name": "category", "type": "uint8" }, { "internalType": "enum IQuestCore.QuestType", "name": "questType", "type": "uint8" }, { "internalType": "string", "name": "title", "type": "string" }, { "internalType": "string", "name": "description", "type": "string" }, { "internalType": "uint256", "name": "requirement", "type": "uint256" }, { "internalType": "uint256", "name": "xpReward", "type": "uint256" }, { "internalType": "uint256", "name": "polReward", "type": "uint256" }, { "internalType": "bool", "name": "active", "type": "bool" }, { "internalType": "uint256", "name": "startTime", "type": "uint256" }, { "internalType": "uint256", "name": "deadline", "type": "uint256" }, { "internalType": "uint256", "name": "completionLimit", "type": "uint256" }, { "internalType": "uint256", "name": "createdAt", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "recordSocialAction", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "renounceRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bytes32", "name": "role", "type": "bytes32" }, { "internalType": "address", "name": "account", "type": "address" }], "name": "revokeRole", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "coreAddress", "type": "address" }], "name": "setCoreContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "levelingAddress", "type": "address" }], "name": "setLevelingContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "pool_", "type": "address" }], "name": "setQuestRewardsPool", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "stakingAddress", "type": "address" }], "name": "setStakingContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "stakingContractAddress", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "bytes4", "name": "interfaceId", "type": "bytes4" }], "name": "supportsInterface", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalCompletionsAllTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalPendingPolRewards", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "unpause", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "updateQuestProgress", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }], "name": "upgradeTo", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newImplementation", "type": "address" }, { "internalType": "bytes", "name": "data", "type": "bytes" }], "name": "upgradeToAndCall", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "uint256", "name": "", "type": "uint256" }], "name": "userCompletedQuests", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "userCompletionCounts", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }, { "internalType": "uint256", "name": "", "type": "uint256" }], "name": "userQuestProgress", "outputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }, { "internalType": "uint256", "name": "currentProgress", "type": "uint256" }, { "internalType": "bool", "name": "completed", "type": "bool" }, { "internalType": "uint256", "name": "completedAt", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "userTotalXPEarned", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }];
+exports.default = exports.QuestCore;
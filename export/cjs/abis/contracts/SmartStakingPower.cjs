@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of SmartStakingPower (contracts/SmartStaking/SmartStakingPower.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SmartStakingPower = void 0;
+exports.SmartStakingPower = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "string", "name": "boostType", "type": "string" }, { "indexed": false, "internalType": "uint256", "name": "attemptedValue", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "maxAllowed", "type": "uint256" }], "name": "BoostLimitReached", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }], "name": "OwnershipTransferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "indexed": false, "internalType": "uint16", "name": "effectValue", "type": "uint16" }, { "indexed": false, "internalType": "uint16", "name": "totalBoost", "type": "uint16" }], "name": "PowerActivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "PowerActivationRejected", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "indexed": false, "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "indexed": false, "internalType": "uint16", "name": "totalBoost", "type": "uint16" }], "name": "PowerDeactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "indexed": false, "internalType": "enum ISmartStakingPower.PowerRarity", "name": "rarity", "type": "uint8" }, { "indexed": false, "internalType": "uint16", "name": "rarityMultiplier", "type": "uint16" }], "name": "PowerRarityUpdated", "type": "event" }, { "inputs": [{ "internalType": "uint256[]", "name": "nftIds", "type": "uint256[]" }, { "internalType": "enum ISmartStakingPower.PowerRarity[]", "name": "rarities", "type": "uint8[]" }], "name": "batchSetPowerRarity", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "coreStakingContract", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getActivePowersWithDetails", "outputs": [{ "components": [{ "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "internalType": "enum ISmartStakingPower.PowerRarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint16", "name": "boost", "type": "uint16" }, { "internalType": "uint16", "name": "rarityMultiplier", "type": "uint16" }, { "internalType": "bool", "name": "isActive", "type": "bool" }, { "internalType": "uint64", "name": "activatedAt", "type": "uint64" }, { "internalType": "uint64", "name": "cooldownEnds", "type": "uint64" }], "internalType": "struct ISmartStakingPower.PowerInfo[]", "name": "powers", "type": "tuple[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getAllPowerBoosts", "outputs": [{ "internalType": "enum IStakingIntegration.PowerType[]", "name": "powerTypes", "type": "uint8[]" }, { "internalType": "uint16[]", "name": "boosts", "type": "uint16[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }], "name": "getPowerBoost", "outputs": [{ "internalType": "uint16", "name": "boost", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "nftId", "type": "uint256" }], "name": "getPowerRarity", "outputs": [{ "internalType": "enum ISmartStakingPower.PowerRarity", "name": "rarity", "type": "uint8" }, { "internalType": "uint16", "name": "multiplier", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserBoosts", "outputs": [{ "internalType": "uint16", "name": "totalBoost", "type": "uint16" }, { "internalType": "uint16", "name": "rarityMultiplier", "type": "uint16" }, { "internalType": "uint16", "name": "effectiveBoost", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getUserPowerProfile", "outputs": [{ "components": [{ "internalType": "uint256[]", "name": "activeSkillNFTIds", "type": "uint256[]" }, { "internalType": "uint16", "name": "totalBoost", "type": "uint16" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }, { "internalType": "uint16", "name": "feeDiscountTotal", "type": "uint16" }, { "internalType": "uint16", "name": "lockTimeReduction", "type": "uint16" }, { "internalType": "bool", "name": "hasAutoCompound", "type": "bool" }, { "internalType": "uint16", "name": "rarityMultiplier", "type": "uint16" }, { "internalType": "uint16", "name": "level", "type": "uint16" }, { "internalType": "uint8", "name": "activeSkillCount", "type": "uint8" }], "internalType": "struct ISmartStakingPower.UserPowerProfile", "name": "profile", "type": "tuple" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "nftId", "type": "uint256" }], "name": "isPowerActive", "outputs": [{ "internalType": "bool", "name": "isActive", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "marketplaceContract", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "internalType": "uint16", "name": "effectValue", "type": "uint16" }], "name": "notifyPowerActivation", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "nftId", "type": "uint256" }], "name": "notifyPowerDeactivation", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "renounceOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_coreStaking", "type": "address" }], "name": "setCoreStakingContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_marketplace", "type": "address" }], "name": "setMarketplaceContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "nftId", "type": "uint256" }, { "internalType": "enum ISmartStakingPower.PowerRarity", "name": "rarity", "type": "uint8" }], "name": "setPowerRarity", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newOwner", "type": "address" }], "name": "transferOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum IStakingIntegration.PowerType", "name": "powerType", "type": "uint8" }, { "internalType": "uint16", "name": "newBoost", "type": "uint16" }], "name": "updatePowerBoost", "outputs": [], "stateMutability": "nonpayable", "type": "function" }];
+exports.default = exports.SmartStakingPower;
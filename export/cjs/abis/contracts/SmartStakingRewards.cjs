@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of SmartStakingRewards (contracts/SmartStaking/SmartStakingRewards.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SmartStakingRewards = void 0;
+exports.SmartStakingRewards = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "uint8", "name": "lockupIndex", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "newAPY", "type": "uint256" }], "name": "APYUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "admin", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "EmergencyWithdrawal", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }], "name": "OwnershipTransferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "user", "type": "address" }, { "indexed": true, "internalType": "uint256", "name": "questId", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "boostApplied", "type": "uint256" }], "name": "QuestRewardClaimed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "funder", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RewardFunded", "type": "event" }, { "inputs": [], "name": "apyCalculator", "outputs": [{ "internalType": "contract IAPYCalculator", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint8", "name": "lockupIndex", "type": "uint8" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }], "name": "calculateBoostedAPY", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "baseReward", "type": "uint256" }], "name": "calculateQuestReward", "outputs": [{ "internalType": "uint256", "name": "finalReward", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "depositAmount", "type": "uint256" }, { "internalType": "uint256", "name": "", "type": "uint256" }, { "internalType": "uint256", "name": "lastClaimTime", "type": "uint256" }, { "internalType": "uint8", "name": "lockupPeriodIndex", "type": "uint8" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }], "name": "calculateStakingRewards", "outputs": [{ "internalType": "uint256", "name": "rewards", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "depositAmount", "type": "uint256" }, { "internalType": "uint256", "name": "lastClaimTime", "type": "uint256" }, { "internalType": "uint8", "name": "lockupPeriodIndex", "type": "uint8" }, { "internalType": "uint16", "name": "stakingBoostTotal", "type": "uint16" }, { "internalType": "uint256", "name": "totalDeposited", "type": "uint256" }, { "internalType": "address", "name": "userAddress", "type": "address" }], "name": "calculateStakingRewardsWithBonuses", "outputs": [{ "internalType": "uint256", "name": "rewards", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "questId", "type": "uint256" }], "name": "claimQuestReward", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "clearStakingSince", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "coreStakingContract", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "currentTVL", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "emergencyWithdraw", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "gamificationModule", "outputs": [{ "internalType": "contract ISmartStakingGamification", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint8", "name": "index", "type": "uint8" }], "name": "getBaseAPY", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getBaseAPYs", "outputs": [{ "internalType": "uint256[]", "name": "", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getLockupPeriodsConfig", "outputs": [{ "internalType": "uint256[]", "name": "periods", "type": "uint256[]" }, { "internalType": "uint256[]", "name": "apys", "type": "uint256[]" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getLoyaltyBonus", "outputs": [{ "internalType": "uint16", "name": "bonus", "type": "uint16" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }], "name": "getLoyaltyDays", "outputs": [{ "internalType": "uint256", "name": "days_", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "totalDeposited", "type": "uint256" }], "name": "getTierBonus", "outputs": [{ "internalType": "uint16", "name": "bonus", "type": "uint16" }], "stateMutability": "pure", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "totalDeposited", "type": "uint256" }], "name": "getUserTier", "outputs": [{ "internalType": "string", "name": "tierName", "type": "string" }, { "internalType": "uint256", "name": "bonusBps", "type": "uint256" }], "stateMutability": "pure", "type": "function" }, { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "powerModule", "outputs": [{ "internalType": "contract ISmartStakingPower", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "questRewardsPool", "outputs": [{ "internalType": "contract IQuestRewardsPool", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "user", "type": "address" }, { "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "name": "recordStakingSince", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "renounceOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_apyCalculator", "type": "address" }], "name": "setAPYCalculator", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_core", "type": "address" }], "name": "setCoreContract", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_gamificationModule", "type": "address" }], "name": "setGamificationModule", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_powerModule", "type": "address" }], "name": "setPowerModule", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "pool_", "type": "address" }], "name": "setQuestRewardsPool", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "_treasuryManager", "type": "address" }], "name": "setTreasuryManager", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "depositAmount", "type": "uint256" }, { "internalType": "uint8", "name": "lockupPeriodIndex", "type": "uint8" }, { "internalType": "address", "name": "user", "type": "address" }], "name": "simulateAPY", "outputs": [{ "internalType": "uint256", "name": "effectiveAPY", "type": "uint256" }, { "internalType": "uint256", "name": "annualRewards", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "stakingSince", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newOwner", "type": "address" }], "name": "transferOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "treasuryManager", "outputs": [{ "internalType": "contract ITreasuryManager", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint8", "name": "lockupPeriodIndex", "type": "uint8" }, { "internalType": "uint256", "name": "newAPY", "type": "uint256" }], "name": "updateBaseAPY", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "_currentTVL", "type": "uint256" }], "name": "updateCurrentTVL", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "stateMutability": "payable", "type": "receive" }];
+exports.default = exports.SmartStakingRewards;
@@ -0,0 +1,8 @@
+"use strict";
+/**
+ * Auto-generated ABI of TreasuryManager (contracts/Treasury/TreasuryManager.sol).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TreasuryManager = void 0;
+exports.TreasuryManager = [{ "inputs": [], "stateMutability": "nonpayable", "type": "constructor" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "currentTVL", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "oldMultiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newMultiplier", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "compressionBps", "type": "uint256" }], "name": "APYCompressionAlert", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "oldPercentage", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newPercentage", "type": "uint256" }], "name": "AllocationUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "bool", "name": "enabled", "type": "bool" }], "name": "AutoDistributionToggled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "totalDeficit", "type": "uint256" }], "name": "DeficitAccumulated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "firstDepositTime", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "nextDistributionTime", "type": "uint256" }], "name": "DistributionCycleInitialized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "nextDistributionTime", "type": "uint256" }], "name": "DistributionTriggered", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "bool", "name": "success", "type": "bool" }], "name": "EmergencyFundsRequested", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "EmergencyModeActivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }], "name": "EmergencyModeDeactivated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "to", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "EmergencyWithdrawal", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }], "name": "OwnershipTransferred", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "indexed": false, "internalType": "enum TreasuryManager.ProtocolStatus", "name": "oldStatus", "type": "uint8" }, { "indexed": false, "internalType": "enum TreasuryManager.ProtocolStatus", "name": "newStatus", "type": "uint8" }], "name": "ProtocolStatusChanged", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "requester", "type": "address" }, { "indexed": false, "internalType": "bool", "name": "authorized", "type": "bool" }], "name": "RequesterAuthorized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "bool", "name": "enabled", "type": "bool" }], "name": "ReserveAccumulationToggled", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "oldPercentage", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newPercentage", "type": "uint256" }], "name": "ReserveAllocationUpdated", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "newBalance", "type": "uint256" }], "name": "ReserveFundDeposit", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "to", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "uint256", "name": "remainingBalance", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "ReserveFundWithdrawal", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }], "name": "ReserveFundsUsedForEmergency", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "indexed": true, "internalType": "address", "name": "treasuryAddress", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RevenueDistributed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "indexed": true, "internalType": "address", "name": "treasuryAddress", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "RevenueDistributionFailed", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "source", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "string", "name": "revenueType", "type": "string" }], "name": "RevenueReceived", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "requester", "type": "address" }, { "indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256" }, { "indexed": false, "internalType": "bool", "name": "success", "type": "bool" }], "name": "RewardFundsRequested", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "address", "name": "source", "type": "address" }, { "indexed": false, "internalType": "bool", "name": "authorized", "type": "bool" }], "name": "SourceAuthorized", "type": "event" }, { "anonymous": false, "inputs": [{ "indexed": true, "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "indexed": true, "internalType": "address", "name": "oldAddress", "type": "address" }, { "indexed": true, "internalType": "address", "name": "newAddress", "type": "address" }], "name": "TreasuryUpdated", "type": "event" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "", "type": "uint8" }], "name": "allocations", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "requester", "type": "address" }], "name": "authorizeRequester", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "source", "type": "address" }], "name": "authorizeSource", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "authorizedRequester", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "authorizedSources", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "autoDistributionEnabled", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "reason", "type": "string" }], "name": "declareEmergency", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "depositToReserve", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [], "name": "emergencyModeEnabled", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "to", "type": "address" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "emergencyWithdraw", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "to", "type": "address" }, { "internalType": "string", "name": "reason", "type": "string" }], "name": "emergencyWithdrawAllReserve", "outputs": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "endEmergency", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "firstDepositTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getAllAllocations", "outputs": [{ "internalType": "uint256", "name": "rewardsAlloc", "type": "uint256" }, { "internalType": "uint256", "name": "stakingAlloc", "type": "uint256" }, { "internalType": "uint256", "name": "collaboratorsAlloc", "type": "uint256" }, { "internalType": "uint256", "name": "developmentAlloc", "type": "uint256" }, { "internalType": "uint256", "name": "marketplaceAlloc", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getAvailableBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getDistributionTimeline", "outputs": [{ "internalType": "uint256", "name": "firstDeposit", "type": "uint256" }, { "internalType": "uint256", "name": "lastDistribution", "type": "uint256" }, { "internalType": "uint256", "name": "nextDistribution", "type": "uint256" }, { "internalType": "uint256", "name": "timeUntilNext", "type": "uint256" }, { "internalType": "bool", "name": "isReady", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getEmergencyInfo", "outputs": [{ "internalType": "bool", "name": "isActive", "type": "bool" }, { "internalType": "uint256", "name": "timestamp", "type": "uint256" }, { "internalType": "uint256", "name": "emergencyFundsDistributed", "type": "uint256" }, { "internalType": "uint256", "name": "reserveAvailable", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }], "name": "getProtocolStatus", "outputs": [{ "internalType": "enum TreasuryManager.ProtocolStatus", "name": "status", "type": "uint8" }, { "internalType": "uint256", "name": "deficit", "type": "uint256" }, { "internalType": "bool", "name": "canAccessEmergency", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "monthlyBurnRate", "type": "uint256" }], "name": "getReserveRunwayMonths", "outputs": [{ "internalType": "uint256", "name": "months", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getReserveStats", "outputs": [{ "internalType": "uint256", "name": "currentBalance", "type": "uint256" }, { "internalType": "uint256", "name": "totalAccumulated", "type": "uint256" }, { "internalType": "uint256", "name": "totalWithdrawn", "type": "uint256" }, { "internalType": "uint256", "name": "allocationPercentage", "type": "uint256" }, { "internalType": "bool", "name": "isEnabled", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "getStats", "outputs": [{ "internalType": "uint256", "name": "totalReceived", "type": "uint256" }, { "internalType": "uint256", "name": "totalDist", "type": "uint256" }, { "internalType": "uint256", "name": "currentBalance", "type": "uint256" }, { "internalType": "uint256", "name": "availableBalance", "type": "uint256" }, { "internalType": "uint256", "name": "lastDistribution", "type": "uint256" }, { "internalType": "bool", "name": "autoDistEnabled", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }], "name": "getTreasuryConfig", "outputs": [{ "internalType": "address", "name": "treasuryAddress", "type": "address" }, { "internalType": "uint256", "name": "allocation", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "isDistributionReady", "outputs": [{ "internalType": "bool", "name": "ready", "type": "bool" }, { "internalType": "uint256", "name": "timeUntilNext", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "lastDistributionTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "lastEmergencyTimestamp", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "nextDistributionTime", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "currentTVL", "type": "uint256" }, { "internalType": "uint256", "name": "oldMultiplier", "type": "uint256" }, { "internalType": "uint256", "name": "newMultiplier", "type": "uint256" }, { "internalType": "uint256", "name": "compressionBps", "type": "uint256" }], "name": "notifyAPYCompression", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "", "type": "uint8" }], "name": "protocolDeficit", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "", "type": "uint8" }], "name": "protocolStatus", "outputs": [{ "internalType": "enum TreasuryManager.ProtocolStatus", "name": "", "type": "uint8" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "string", "name": "revenueType", "type": "string" }], "name": "receiveRevenue", "outputs": [], "stateMutability": "payable", "type": "function" }, { "inputs": [], "name": "renounceOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "requestEmergencyFunds", "outputs": [{ "internalType": "bool", "name": "success", "type": "bool" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "amount", "type": "uint256" }], "name": "requestRewardFunds", "outputs": [{ "internalType": "bool", "name": "success", "type": "bool" }], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "reserveAccumulationEnabled", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "reserveAllocationPercentage", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "reserveFundBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "internalType": "uint256", "name": "percentage", "type": "uint256" }], "name": "setAllocation", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "requester", "type": "address" }, { "internalType": "bool", "name": "authorized", "type": "bool" }], "name": "setAuthorizedRequester", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "source", "type": "address" }, { "internalType": "bool", "name": "authorized", "type": "bool" }], "name": "setAuthorizedSource", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bool", "name": "enabled", "type": "bool" }], "name": "setAutoDistribution", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "protocol", "type": "uint8" }, { "internalType": "enum TreasuryManager.ProtocolStatus", "name": "newStatus", "type": "uint8" }], "name": "setProtocolStatus", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "bool", "name": "enabled", "type": "bool" }], "name": "setReserveAccumulation", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "uint256", "name": "percentage", "type": "uint256" }], "name": "setReserveAllocation", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "treasuryType", "type": "uint8" }, { "internalType": "address", "name": "treasuryAddress", "type": "address" }], "name": "setTreasury", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [], "name": "totalDistributed", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalEmergencyFundsDistributed", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalReserveAccumulated", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalReserveWithdrawn", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "totalRevenueReceived", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "newOwner", "type": "address" }], "name": "transferOwnership", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "enum TreasuryManager.TreasuryType", "name": "", "type": "uint8" }], "name": "treasuries", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" }, { "inputs": [], "name": "triggerDistribution", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "inputs": [{ "internalType": "address", "name": "to", "type": "address" }, { "internalType": "uint256", "name": "amount", "type": "uint256" }, { "internalType": "string", "name": "reason", "type": "string" }], "name": "withdrawFromReserve", "outputs": [], "stateMutability": "nonpayable", "type": "function" }, { "stateMutability": "payable", "type": "receive" }];
+exports.default = exports.TreasuryManager;
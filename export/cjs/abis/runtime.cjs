@@ -0,0 +1,294 @@
+"use strict";
+/**
+ * Auto-generated runtime ABI exports.
+ * One module per contract in ./contracts; import only what you use.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IStakingViewData = exports.IStakingQuestCore = exports.IStakingIntegration = exports.ISocialQuestCore = exports.ISmartStakingSkills = exports.ISmartStakingRewardsExtendedLib = exports.ISmartStakingRewardsExtended = exports.ISmartStakingRewards = exports.ISmartStakingPower = exports.ISmartStakingGamification = exports.ISmartStaking = exports.IRentalTreasury = exports.IRentalAgentRegistry = exports.IQuestTreasury = exports.IQuestRewardsPool = exports.IQuestPoolCaller = exports.IQuestCore = exports.INuxTapTreasuryGame = exports.INuxTapStoreTreasury = exports.INuxTapOwnerNFT = exports.INuxTapMarketNFT = exports.INuxTapGameStore = exports.INuxTapControllableNFT = exports.INuxTapAgentRegistry = exports.INuxTapAgentMarketTreasury = exports.INuxTapAgentMarketRegistry = exports.INuxPower = exports.INuxAgentNFT = exports.INFTRentalHook = exports.INFTOwnerQuery = exports.IMiniGameTreasury = exports.IMiniGameRegistry = exports.IMiniGameNFT = exports.IMarketplaceView = exports.IMarketplaceStatistics = exports.IMarketplaceSocial = exports.IMarketplaceCore = exports.IGameifiedMarketplace = exports.IERC721Minimal = exports.ICategoryNFT = exports.IBadgeManager = exports.IAuctionTreasury = exports.IAgentRevenueTreasury = exports.IAPYCalculator = exports.Gamification = exports.FinanceAgentNFT = exports.DynamicAPYCalculator = exports.CollaboratorBadgeRewards = exports.BusinessAgentNFT = exports.AgentNuxPower = void 0;
+exports.AllABIs = exports.XPSourceMetadata = exports.TreasuryManager = exports.TechAgentNFT = exports.SocialAgentNFT = exports.SmartStakingViewStats = exports.SmartStakingViewSkills = exports.SmartStakingViewDashboard = exports.SmartStakingViewCore = exports.SmartStakingView = exports.SmartStakingSkills = exports.SmartStakingRewards = exports.SmartStakingPower = exports.SmartStakingGamification = exports.SmartStakingCoreLib = exports.SmartStakingCore = exports.SkillViewLib = exports.ReferralSystem = exports.QuestRewardsPool = exports.QuestCore = exports.NuxTapTreasury = exports.NuxTapItemStore = exports.NuxTapGame = exports.NuxTapAgentMarketplace = exports.NuxPowerNft = exports.NuxPowerMarketplaceImpl = exports.NuxPowerMarketplace = exports.NuxAuctionMarketplace = exports.NuxAgentRental = exports.NuxAgentRegistry = exports.NuxAgentPaymaster = exports.NuxAgentNFTBase = exports.NuxAgentMiniGame = exports.NuxAgentFactory = exports.MarketplaceView = exports.MarketplaceStatistics = exports.MarketplaceSocial = exports.MarketplaceProxy = exports.MarketplaceCoreLib = exports.MarketplaceCore = exports.MarketingAgentNFT = exports.LevelingSystem = exports.IXPHub = exports.ITreasuryReceiver = exports.ITreasuryManager = void 0;
+const AgentNuxPower_js_1 = require("./contracts/AgentNuxPower.cjs");
+Object.defineProperty(exports, "AgentNuxPower", { enumerable: true, get: function () { return AgentNuxPower_js_1.AgentNuxPower; } });
+const BusinessAgentNFT_js_1 = require("./contracts/BusinessAgentNFT.cjs");
+Object.defineProperty(exports, "BusinessAgentNFT", { enumerable: true, get: function () { return BusinessAgentNFT_js_1.BusinessAgentNFT; } });
+const CollaboratorBadgeRewards_js_1 = require("./contracts/CollaboratorBadgeRewards.cjs");
+Object.defineProperty(exports, "CollaboratorBadgeRewards", { enumerable: true, get: function () { return CollaboratorBadgeRewards_js_1.CollaboratorBadgeRewards; } });
+const DynamicAPYCalculator_js_1 = require("./contracts/DynamicAPYCalculator.cjs");
+Object.defineProperty(exports, "DynamicAPYCalculator", { enumerable: true, get: function () { return DynamicAPYCalculator_js_1.DynamicAPYCalculator; } });
+const FinanceAgentNFT_js_1 = require("./contracts/FinanceAgentNFT.cjs");
+Object.defineProperty(exports, "FinanceAgentNFT", { enumerable: true, get: function () { return FinanceAgentNFT_js_1.FinanceAgentNFT; } });
+const Gamification_js_1 = require("./contracts/Gamification.cjs");
+Object.defineProperty(exports, "Gamification", { enumerable: true, get: function () { return Gamification_js_1.Gamification; } });
+const IAPYCalculator_js_1 = require("./contracts/IAPYCalculator.cjs");
+Object.defineProperty(exports, "IAPYCalculator", { enumerable: true, get: function () { return IAPYCalculator_js_1.IAPYCalculator; } });
+const IAgentRevenueTreasury_js_1 = require("./contracts/IAgentRevenueTreasury.cjs");
+Object.defineProperty(exports, "IAgentRevenueTreasury", { enumerable: true, get: function () { return IAgentRevenueTreasury_js_1.IAgentRevenueTreasury; } });
+const IAuctionTreasury_js_1 = require("./contracts/IAuctionTreasury.cjs");
+Object.defineProperty(exports, "IAuctionTreasury", { enumerable: true, get: function () { return IAuctionTreasury_js_1.IAuctionTreasury; } });
+const IBadgeManager_js_1 = require("./contracts/IBadgeManager.cjs");
+Object.defineProperty(exports, "IBadgeManager", { enumerable: true, get: function () { return IBadgeManager_js_1.IBadgeManager; } });
+const ICategoryNFT_js_1 = require("./contracts/ICategoryNFT.cjs");
+Object.defineProperty(exports, "ICategoryNFT", { enumerable: true, get: function () { return ICategoryNFT_js_1.ICategoryNFT; } });
+const IERC721Minimal_js_1 = require("./contracts/IERC721Minimal.cjs");
+Object.defineProperty(exports, "IERC721Minimal", { enumerable: true, get: function () { return IERC721Minimal_js_1.IERC721Minimal; } });
+const IGameifiedMarketplace_js_1 = require("./contracts/IGameifiedMarketplace.cjs");
+Object.defineProperty(exports, "IGameifiedMarketplace", { enumerable: true, get: function () { return IGameifiedMarketplace_js_1.IGameifiedMarketplace; } });
+const IMarketplaceCore_js_1 = require("./contracts/IMarketplaceCore.cjs");
+Object.defineProperty(exports, "IMarketplaceCore", { enumerable: true, get: function () { return IMarketplaceCore_js_1.IMarketplaceCore; } });
+const IMarketplaceSocial_js_1 = require("./contracts/IMarketplaceSocial.cjs");
+Object.defineProperty(exports, "IMarketplaceSocial", { enumerable: true, get: function () { return IMarketplaceSocial_js_1.IMarketplaceSocial; } });
+const IMarketplaceStatistics_js_1 = require("./contracts/IMarketplaceStatistics.cjs");
+Object.defineProperty(exports, "IMarketplaceStatistics", { enumerable: true, get: function () { return IMarketplaceStatistics_js_1.IMarketplaceStatistics; } });
+const IMarketplaceView_js_1 = require("./contracts/IMarketplaceView.cjs");
+Object.defineProperty(exports, "IMarketplaceView", { enumerable: true, get: function () { return IMarketplaceView_js_1.IMarketplaceView; } });
+const IMiniGameNFT_js_1 = require("./contracts/IMiniGameNFT.cjs");
+Object.defineProperty(exports, "IMiniGameNFT", { enumerable: true, get: function () { return IMiniGameNFT_js_1.IMiniGameNFT; } });
+const IMiniGameRegistry_js_1 = require("./contracts/IMiniGameRegistry.cjs");
+Object.defineProperty(exports, "IMiniGameRegistry", { enumerable: true, get: function () { return IMiniGameRegistry_js_1.IMiniGameRegistry; } });
+const IMiniGameTreasury_js_1 = require("./contracts/IMiniGameTreasury.cjs");
+Object.defineProperty(exports, "IMiniGameTreasury", { enumerable: true, get: function () { return IMiniGameTreasury_js_1.IMiniGameTreasury; } });
+const INFTOwnerQuery_js_1 = require("./contracts/INFTOwnerQuery.cjs");
+Object.defineProperty(exports, "INFTOwnerQuery", { enumerable: true, get: function () { return INFTOwnerQuery_js_1.INFTOwnerQuery; } });
+const INFTRentalHook_js_1 = require("./contracts/INFTRentalHook.cjs");
+Object.defineProperty(exports, "INFTRentalHook", { enumerable: true, get: function () { return INFTRentalHook_js_1.INFTRentalHook; } });
+const INuxAgentNFT_js_1 = require("./contracts/INuxAgentNFT.cjs");
+Object.defineProperty(exports, "INuxAgentNFT", { enumerable: true, get: function () { return INuxAgentNFT_js_1.INuxAgentNFT; } });
+const INuxPower_js_1 = require("./contracts/INuxPower.cjs");
+Object.defineProperty(exports, "INuxPower", { enumerable: true, get: function () { return INuxPower_js_1.INuxPower; } });
+const INuxTapAgentMarketRegistry_js_1 = require("./contracts/INuxTapAgentMarketRegistry.cjs");
+Object.defineProperty(exports, "INuxTapAgentMarketRegistry", { enumerable: true, get: function () { return INuxTapAgentMarketRegistry_js_1.INuxTapAgentMarketRegistry; } });
+const INuxTapAgentMarketTreasury_js_1 = require("./contracts/INuxTapAgentMarketTreasury.cjs");
+Object.defineProperty(exports, "INuxTapAgentMarketTreasury", { enumerable: true, get: function () { return INuxTapAgentMarketTreasury_js_1.INuxTapAgentMarketTreasury; } });
+const INuxTapAgentRegistry_js_1 = require("./contracts/INuxTapAgentRegistry.cjs");
+Object.defineProperty(exports, "INuxTapAgentRegistry", { enumerable: true, get: function () { return INuxTapAgentRegistry_js_1.INuxTapAgentRegistry; } });
+const INuxTapControllableNFT_js_1 = require("./contracts/INuxTapControllableNFT.cjs");
+Object.defineProperty(exports, "INuxTapControllableNFT", { enumerable: true, get: function () { return INuxTapControllableNFT_js_1.INuxTapControllableNFT; } });
+const INuxTapGameStore_js_1 = require("./contracts/INuxTapGameStore.cjs");
+Object.defineProperty(exports, "INuxTapGameStore", { enumerable: true, get: function () { return INuxTapGameStore_js_1.INuxTapGameStore; } });
+const INuxTapMarketNFT_js_1 = require("./contracts/INuxTapMarketNFT.cjs");
+Object.defineProperty(exports, "INuxTapMarketNFT", { enumerable: true, get: function () { return INuxTapMarketNFT_js_1.INuxTapMarketNFT; } });
+const INuxTapOwnerNFT_js_1 = require("./contracts/INuxTapOwnerNFT.cjs");
+Object.defineProperty(exports, "INuxTapOwnerNFT", { enumerable: true, get: function () { return INuxTapOwnerNFT_js_1.INuxTapOwnerNFT; } });
+const INuxTapStoreTreasury_js_1 = require("./contracts/INuxTapStoreTreasury.cjs");
+Object.defineProperty(exports, "INuxTapStoreTreasury", { enumerable: true, get: function () { return INuxTapStoreTreasury_js_1.INuxTapStoreTreasury; } });
+const INuxTapTreasuryGame_js_1 = require("./contracts/INuxTapTreasuryGame.cjs");
+Object.defineProperty(exports, "INuxTapTreasuryGame", { enumerable: true, get: function () { return INuxTapTreasuryGame_js_1.INuxTapTreasuryGame; } });
+const IQuestCore_js_1 = require("./contracts/IQuestCore.cjs");
+Object.defineProperty(exports, "IQuestCore", { enumerable: true, get: function () { return IQuestCore_js_1.IQuestCore; } });
+const IQuestPoolCaller_js_1 = require("./contracts/IQuestPoolCaller.cjs");
+Object.defineProperty(exports, "IQuestPoolCaller", { enumerable: true, get: function () { return IQuestPoolCaller_js_1.IQuestPoolCaller; } });
+const IQuestRewardsPool_js_1 = require("./contracts/IQuestRewardsPool.cjs");
+Object.defineProperty(exports, "IQuestRewardsPool", { enumerable: true, get: function () { return IQuestRewardsPool_js_1.IQuestRewardsPool; } });
+const IQuestTreasury_js_1 = require("./contracts/IQuestTreasury.cjs");
+Object.defineProperty(exports, "IQuestTreasury", { enumerable: true, get: function () { return IQuestTreasury_js_1.IQuestTreasury; } });
+const IRentalAgentRegistry_js_1 = require("./contracts/IRentalAgentRegistry.cjs");
+Object.defineProperty(exports, "IRentalAgentRegistry", { enumerable: true, get: function () { return IRentalAgentRegistry_js_1.IRentalAgentRegistry; } });
+const IRentalTreasury_js_1 = require("./contracts/IRentalTreasury.cjs");
+Object.defineProperty(exports, "IRentalTreasury", { enumerable: true, get: function () { return IRentalTreasury_js_1.IRentalTreasury; } });
+const ISmartStaking_js_1 = require("./contracts/ISmartStaking.cjs");
+Object.defineProperty(exports, "ISmartStaking", { enumerable: true, get: function () { return ISmartStaking_js_1.ISmartStaking; } });
+const ISmartStakingGamification_js_1 = require("./contracts/ISmartStakingGamification.cjs");
+Object.defineProperty(exports, "ISmartStakingGamification", { enumerable: true, get: function () { return ISmartStakingGamification_js_1.ISmartStakingGamification; } });
+const ISmartStakingPower_js_1 = require("./contracts/ISmartStakingPower.cjs");
+Object.defineProperty(exports, "ISmartStakingPower", { enumerable: true, get: function () { return ISmartStakingPower_js_1.ISmartStakingPower; } });
+const ISmartStakingRewards_js_1 = require("./contracts/ISmartStakingRewards.cjs");
+Object.defineProperty(exports, "ISmartStakingRewards", { enumerable: true, get: function () { return ISmartStakingRewards_js_1.ISmartStakingRewards; } });
+const ISmartStakingRewardsExtended_js_1 = require("./contracts/ISmartStakingRewardsExtended.cjs");
+Object.defineProperty(exports, "ISmartStakingRewardsExtended", { enumerable: true, get: function () { return ISmartStakingRewardsExtended_js_1.ISmartStakingRewardsExtended; } });
+const ISmartStakingRewardsExtendedLib_js_1 = require("./contracts/ISmartStakingRewardsExtendedLib.cjs");
+Object.defineProperty(exports, "ISmartStakingRewardsExtendedLib", { enumerable: true, get: function () { return ISmartStakingRewardsExtendedLib_js_1.ISmartStakingRewardsExtendedLib; } });
+const ISmartStakingSkills_js_1 = require("./contracts/ISmartStakingSkills.cjs");
+Object.defineProperty(exports, "ISmartStakingSkills", { enumerable: true, get: function () { return ISmartStakingSkills_js_1.ISmartStakingSkills; } });
+const ISocialQuestCore_js_1 = require("./contracts/ISocialQuestCore.cjs");
+Object.defineProperty(exports, "ISocialQuestCore", { enumerable: true, get: function () { return ISocialQuestCore_js_1.ISocialQuestCore; } });
+const IStakingIntegration_js_1 = require("./contracts/IStakingIntegration.cjs");
+Object.defineProperty(exports, "IStakingIntegration", { enumerable: true, get: function () { return IStakingIntegration_js_1.IStakingIntegration; } });
+const IStakingQuestCore_js_1 = require("./contracts/IStakingQuestCore.cjs");
+Object.defineProperty(exports, "IStakingQuestCore", { enumerable: true, get: function () { return IStakingQuestCore_js_1.IStakingQuestCore; } });
+const IStakingViewData_js_1 = require("./contracts/IStakingViewData.cjs");
+Object.defineProperty(exports, "IStakingViewData", { enumerable: true, get: function () { return IStakingViewData_js_1.IStakingViewData; } });
+const ITreasuryManager_js_1 = require("./contracts/ITreasuryManager.cjs");
+Object.defineProperty(exports, "ITreasuryManager", { enumerable: true, get: function () { return ITreasuryManager_js_1.ITreasuryManager; } });
+const ITreasuryReceiver_js_1 = require("./contracts/ITreasuryReceiver.cjs");
+Object.defineProperty(exports, "ITreasuryReceiver", { enumerable: true, get: function () { return ITreasuryReceiver_js_1.ITreasuryReceiver; } });
+const IXPHub_js_1 = require("./contracts/IXPHub.cjs");
+Object.defineProperty(exports, "IXPHub", { enumerable: true, get: function () { return IXPHub_js_1.IXPHub; } });
+const LevelingSystem_js_1 = require("./contracts/LevelingSystem.cjs");
+Object.defineProperty(exports, "LevelingSystem", { enumerable: true, get: function () { return LevelingSystem_js_1.LevelingSystem; } });
+const MarketingAgentNFT_js_1 = require("./contracts/MarketingAgentNFT.cjs");
+Object.defineProperty(exports, "MarketingAgentNFT", { enumerable: true, get: function () { return MarketingAgentNFT_js_1.MarketingAgentNFT; } });
+const MarketplaceCore_js_1 = require("./contracts/MarketplaceCore.cjs");
+Object.defineProperty(exports, "MarketplaceCore", { enumerable: true, get: function () { return MarketplaceCore_js_1.MarketplaceCore; } });
+const MarketplaceCoreLib_js_1 = require("./contracts/MarketplaceCoreLib.cjs");
+Object.defineProperty(exports, "MarketplaceCoreLib", { enumerable: true, get: function () { return MarketplaceCoreLib_js_1.MarketplaceCoreLib; } });
+const MarketplaceProxy_js_1 = require("./contracts/MarketplaceProxy.cjs");
+Object.defineProperty(exports, "MarketplaceProxy", { enumerable: true, get: function () { return MarketplaceProxy_js_1.MarketplaceProxy; } });
+const MarketplaceSocial_js_1 = require("./contracts/MarketplaceSocial.cjs");
+Object.defineProperty(exports, "MarketplaceSocial", { enumerable: true, get: function () { return MarketplaceSocial_js_1.MarketplaceSocial; } });
+const MarketplaceStatistics_js_1 = require("./contracts/MarketplaceStatistics.cjs");
+Object.defineProperty(exports, "MarketplaceStatistics", { enumerable: true, get: function () { return MarketplaceStatistics_js_1.MarketplaceStatistics; } });
+const MarketplaceView_js_1 = require("./contracts/MarketplaceView.cjs");
+Object.defineProperty(exports, "MarketplaceView", { enumerable: true, get: function () { return MarketplaceView_js_1.MarketplaceView; } });
+const NuxAgentFactory_js_1 = require("./contracts/NuxAgentFactory.cjs");
+Object.defineProperty(exports, "NuxAgentFactory", { enumerable: true, get: function () { return NuxAgentFactory_js_1.NuxAgentFactory; } });
+const NuxAgentMiniGame_js_1 = require("./contracts/NuxAgentMiniGame.cjs");
+Object.defineProperty(exports, "NuxAgentMiniGame", { enumerable: true, get: function () { return NuxAgentMiniGame_js_1.NuxAgentMiniGame; } });
+const NuxAgentNFTBase_js_1 = require("./contracts/NuxAgentNFTBase.cjs");
+Object.defineProperty(exports, "NuxAgentNFTBase", { enumerable: true, get: function () { return NuxAgentNFTBase_js_1.NuxAgentNFTBase; } });
+const NuxAgentPaymaster_js_1 = require("./contracts/NuxAgentPaymaster.cjs");
+Object.defineProperty(exports, "NuxAgentPaymaster", { enumerable: true, get: function () { return NuxAgentPaymaster_js_1.NuxAgentPaymaster; } });
+const NuxAgentRegistry_js_1 = require("./contracts/NuxAgentRegistry.cjs");
+Object.defineProperty(exports, "NuxAgentRegistry", { enumerable: true, get: function () { return NuxAgentRegistry_js_1.NuxAgentRegistry; } });
+const NuxAgentRental_js_1 = require("./contracts/NuxAgentRental.cjs");
+Object.defineProperty(exports, "NuxAgentRental", { enumerable: true, get: function () { return NuxAgentRental_js_1.NuxAgentRental; } });
+const NuxAuctionMarketplace_js_1 = require("./contracts/NuxAuctionMarketplace.cjs");
+Object.defineProperty(exports, "NuxAuctionMarketplace", { enumerable: true, get: function () { return NuxAuctionMarketplace_js_1.NuxAuctionMarketplace; } });
+const NuxPowerMarketplace_js_1 = require("./contracts/NuxPowerMarketplace.cjs");
+Object.defineProperty(exports, "NuxPowerMarketplace", { enumerable: true, get: function () { return NuxPowerMarketplace_js_1.NuxPowerMarketplace; } });
+const NuxPowerMarketplaceImpl_js_1 = require("./contracts/NuxPowerMarketplaceImpl.cjs");
+Object.defineProperty(exports, "NuxPowerMarketplaceImpl", { enumerable: true, get: function () { return NuxPowerMarketplaceImpl_js_1.NuxPowerMarketplaceImpl; } });
+const NuxPowerNft_js_1 = require("./contracts/NuxPowerNft.cjs");
+Object.defineProperty(exports, "NuxPowerNft", { enumerable: true, get: function () { return NuxPowerNft_js_1.NuxPowerNft; } });
+const NuxTapAgentMarketplace_js_1 = require("./contracts/NuxTapAgentMarketplace.cjs");
+Object.defineProperty(exports, "NuxTapAgentMarketplace", { enumerable: true, get: function () { return NuxTapAgentMarketplace_js_1.NuxTapAgentMarketplace; } });
+const NuxTapGame_js_1 = require("./contracts/NuxTapGame.cjs");
+Object.defineProperty(exports, "NuxTapGame", { enumerable: true, get: function () { return NuxTapGame_js_1.NuxTapGame; } });
+const NuxTapItemStore_js_1 = require("./contracts/NuxTapItemStore.cjs");
+Object.defineProperty(exports, "NuxTapItemStore", { enumerable: true, get: function () { return NuxTapItemStore_js_1.NuxTapItemStore; } });
+const NuxTapTreasury_js_1 = require("./contracts/NuxTapTreasury.cjs");
+Object.defineProperty(exports, "NuxTapTreasury", { enumerable: true, get: function () { return NuxTapTreasury_js_1.NuxTapTreasury; } });
+const QuestCore_js_1 = require("./contracts/QuestCore.cjs");
+Object.defineProperty(exports, "QuestCore", { enumerable: true, get: function () { return QuestCore_js_1.QuestCore; } });
+const QuestRewardsPool_js_1 = require("./contracts/QuestRewardsPool.cjs");
+Object.defineProperty(exports, "QuestRewardsPool", { enumerable: true, get: function () { return QuestRewardsPool_js_1.QuestRewardsPool; } });
+const ReferralSystem_js_1 = require("./contracts/ReferralSystem.cjs");
+Object.defineProperty(exports, "ReferralSystem", { enumerable: true, get: function () { return ReferralSystem_js_1.ReferralSystem; } });
+const SkillViewLib_js_1 = require("./contracts/SkillViewLib.cjs");
+Object.defineProperty(exports, "SkillViewLib", { enumerable: true, get: function () { return SkillViewLib_js_1.SkillViewLib; } });
+const SmartStakingCore_js_1 = require("./contracts/SmartStakingCore.cjs");
+Object.defineProperty(exports, "SmartStakingCore", { enumerable: true, get: function () { return SmartStakingCore_js_1.SmartStakingCore; } });
+const SmartStakingCoreLib_js_1 = require("./contracts/SmartStakingCoreLib.cjs");
+Object.defineProperty(exports, "SmartStakingCoreLib", { enumerable: true, get: function () { return SmartStakingCoreLib_js_1.SmartStakingCoreLib; } });
+const SmartStakingGamification_js_1 = require("./contracts/SmartStakingGamification.cjs");
+Object.defineProperty(exports, "SmartStakingGamification", { enumerable: true, get: function () { return SmartStakingGamification_js_1.SmartStakingGamification; } });
+const SmartStakingPower_js_1 = require("./contracts/SmartStakingPower.cjs");
+Object.defineProperty(exports, "SmartStakingPower", { enumerable: true, get: function () { return SmartStakingPower_js_1.SmartStakingPower; } });
+const SmartStakingRewards_js_1 = require("./contracts/SmartStakingRewards.cjs");
+Object.defineProperty(exports, "SmartStakingRewards", { enumerable: true, get: function () { return SmartStakingRewards_js_1.SmartStakingRewards; } });
+const SmartStakingSkills_js_1 = require("./contracts/SmartStakingSkills.cjs");
+Object.defineProperty(exports, "SmartStakingSkills", { enumerable: true, get: function () { return SmartStakingSkills_js_1.SmartStakingSkills; } });
+const SmartStakingView_js_1 = require("./contracts/SmartStakingView.cjs");
+Object.defineProperty(exports, "SmartStakingView", { enumerable: true, get: function () { return SmartStakingView_js_1.SmartStakingView; } });
+const SmartStakingViewCore_js_1 = require("./contracts/SmartStakingViewCore.cjs");
+Object.defineProperty(exports, "SmartStakingViewCore", { enumerable: true, get: function () { return SmartStakingViewCore_js_1.SmartStakingViewCore; } });
+const SmartStakingViewDashboard_js_1 = require("./contracts/SmartStakingViewDashboard.cjs");
+Object.defineProperty(exports, "SmartStakingViewDashboard", { enumerable: true, get: function () { return SmartStakingViewDashboard_js_1.SmartStakingViewDashboard; } });
+const SmartStakingViewSkills_js_1 = require("./contracts/SmartStakingViewSkills.cjs");
+Object.defineProperty(exports, "SmartStakingViewSkills", { enumerable: true, get: function () { return SmartStakingViewSkills_js_1.SmartStakingViewSkills; } });
+const SmartStakingViewStats_js_1 = require("./contracts/SmartStakingViewStats.cjs");
+Object.defineProperty(exports, "SmartStakingViewStats", { enumerable: true, get: function () { return SmartStakingViewStats_js_1.SmartStakingViewStats; } });
+const SocialAgentNFT_js_1 = require("./contracts/SocialAgentNFT.cjs");
+Object.defineProperty(exports, "SocialAgentNFT", { enumerable: true, get: function () { return SocialAgentNFT_js_1.SocialAgentNFT; } });
+const TechAgentNFT_js_1 = require("./contracts/TechAgentNFT.cjs");
+Object.defineProperty(exports, "TechAgentNFT", { enumerable: true, get: function () { return TechAgentNFT_js_1.TechAgentNFT; } });
+const TreasuryManager_js_1 = require("./contracts/TreasuryManager.cjs");
+Object.defineProperty(exports, "TreasuryManager", { enumerable: true, get: function () { return TreasuryManager_js_1.TreasuryManager; } });
+const XPSourceMetadata_js_1 = require("./contracts/XPSourceMetadata.cjs");
+Object.defineProperty(exports, "XPSourceMetadata", { enumerable: true, get: function () { return XPSourceMetadata_js_1.XPSourceMetadata; } });
+// Every ABI by contract name. Importing it pulls all modules into the bundle.
+exports.AllABIs = {
+    AgentNuxPower: AgentNuxPower_js_1.AgentNuxPower,
+    BusinessAgentNFT: BusinessAgentNFT_js_1.BusinessAgentNFT,
+    CollaboratorBadgeRewards: CollaboratorBadgeRewards_js_1.CollaboratorBadgeRewards,
+    DynamicAPYCalculator: DynamicAPYCalculator_js_1.DynamicAPYCalculator,
+    FinanceAgentNFT: FinanceAgentNFT_js_1.FinanceAgentNFT,
+    Gamification: Gamification_js_1.Gamification,
+    IAPYCalculator: IAPYCalculator_js_1.IAPYCalculator,
+    IAgentRevenueTreasury: IAgentRevenueTreasury_js_1.IAgentRevenueTreasury,
+    IAuctionTreasury: IAuctionTreasury_js_1.IAuctionTreasury,
+    IBadgeManager: IBadgeManager_js_1.IBadgeManager,
+    ICategoryNFT: ICategoryNFT_js_1.ICategoryNFT,
+    IERC721Minimal: IERC721Minimal_js_1.IERC721Minimal,
+    IGameifiedMarketplace: IGameifiedMarketplace_js_1.IGameifiedMarketplace,
+    IMarketplaceCore: IMarketplaceCore_js_1.IMarketplaceCore,
+    IMarketplaceSocial: IMarketplaceSocial_js_1.IMarketplaceSocial,
+    IMarketplaceStatistics: IMarketplaceStatistics_js_1.IMarketplaceStatistics,
+    IMarketplaceView: IMarketplaceView_js_1.IMarketplaceView,
+    IMiniGameNFT: IMiniGameNFT_js_1.IMiniGameNFT,
+    IMiniGameRegistry: IMiniGameRegistry_js_1.IMiniGameRegistry,
+    IMiniGameTreasury: IMiniGameTreasury_js_1.IMiniGameTreasury,
+    INFTOwnerQuery: INFTOwnerQuery_js_1.INFTOwnerQuery,
+    INFTRentalHook: INFTRentalHook_js_1.INFTRentalHook,
+    INuxAgentNFT: INuxAgentNFT_js_1.INuxAgentNFT,
+    INuxPower: INuxPower_js_1.INuxPower,
+    INuxTapAgentMarketRegistry: INuxTapAgentMarketRegistry_js_1.INuxTapAgentMarketRegistry,
+    INuxTapAgentMarketTreasury: INuxTapAgentMarketTreasury_js_1.INuxTapAgentMarketTreasury,
+    INuxTapAgentRegistry: INuxTapAgentRegistry_js_1.INuxTapAgentRegistry,
+    INuxTapControllableNFT: INuxTapControllableNFT_js_1.INuxTapControllableNFT,
+    INuxTapGameStore: INuxTapGameStore_js_1.INuxTapGameStore,
+    INuxTapMarketNFT: INuxTapMarketNFT_js_1.INuxTapMarketNFT,
+    INuxTapOwnerNFT: INuxTapOwnerNFT_js_1.INuxTapOwnerNFT,
+    INuxTapStoreTreasury: INuxTapStoreTreasury_js_1.INuxTapStoreTreasury,
+    INuxTapTreasuryGame: INuxTapTreasuryGame_js_1.INuxTapTreasuryGame,
+    IQuestCore: IQuestCore_js_1.IQuestCore,
+    IQuestPoolCaller: IQuestPoolCaller_js_1.IQuestPoolCaller,
+    IQuestRewardsPool: IQuestRewardsPool_js_1.IQuestRewardsPool,
+    IQuestTreasury: IQuestTreasury_js_1.IQuestTreasury,
+    IRentalAgentRegistry: IRentalAgentRegistry_js_1.IRentalAgentRegistry,
+    IRentalTreasury: IRentalTreasury_js_1.IRentalTreasury,
+    ISmartStaking: ISmartStaking_js_1.ISmartStaking,
+    ISmartStakingGamification: ISmartStakingGamification_js_1.ISmartStakingGamification,
+    ISmartStakingPower: ISmartStakingPower_js_1.ISmartStakingPower,
+    ISmartStakingRewards: ISmartStakingRewards_js_1.ISmartStakingRewards,
+    ISmartStakingRewardsExtended: ISmartStakingRewardsExtended_js_1.ISmartStakingRewardsExtended,
+    ISmartStakingRewardsExtendedLib: ISmartStakingRewardsExtendedLib_js_1.ISmartStakingRewardsExtendedLib,
+    ISmartStakingSkills: ISmartStakingSkills_js_1.ISmartStakingSkills,
+    ISocialQuestCore: ISocialQuestCore_js_1.ISocialQuestCore,
+    IStakingIntegration: IStakingIntegration_js_1.IStakingIntegration,
+    IStakingQuestCore: IStakingQuestCore_js_1.IStakingQuestCore,
+    IStakingViewData: IStakingViewData_js_1.IStakingViewData,
+    ITreasuryManager: ITreasuryManager_js_1.ITreasuryManager,
+    ITreasuryReceiver: ITreasuryReceiver_js_1.ITreasuryReceiver,
+    IXPHub: IXPHub_js_1.IXPHub,
+    LevelingSystem: LevelingSystem_js_1.LevelingSystem,
+    MarketingAgentNFT: MarketingAgentNFT_js_1.MarketingAgentNFT,
+    MarketplaceCore: MarketplaceCore_js_1.MarketplaceCore,
+    MarketplaceCoreLib: MarketplaceCoreLib_js_1.MarketplaceCoreLib,
+    MarketplaceProxy: MarketplaceProxy_js_1.MarketplaceProxy,
+    MarketplaceSocial: MarketplaceSocial_js_1.MarketplaceSocial,
+    MarketplaceStatistics: MarketplaceStatistics_js_1.MarketplaceStatistics,
+    MarketplaceView: MarketplaceView_js_1.MarketplaceView,
+    NuxAgentFactory: NuxAgentFactory_js_1.NuxAgentFactory,
+    NuxAgentMiniGame: NuxAgentMiniGame_js_1.NuxAgentMiniGame,
+    NuxAgentNFTBase: NuxAgentNFTBase_js_1.NuxAgentNFTBase,
+    NuxAgentPaymaster: NuxAgentPaymaster_js_1.NuxAgentPaymaster,
+    NuxAgentRegistry: NuxAgentRegistry_js_1.NuxAgentRegistry,
+    NuxAgentRental: NuxAgentRental_js_1.NuxAgentRental,
+    NuxAuctionMarketplace: NuxAuctionMarketplace_js_1.NuxAuctionMarketplace,
+    NuxPowerMarketplace: NuxPowerMarketplace_js_1.NuxPowerMarketplace,
+    NuxPowerMarketplaceImpl: NuxPowerMarketplaceImpl_js_1.NuxPowerMarketplaceImpl,
+    NuxPowerNft: NuxPowerNft_js_1.NuxPowerNft,
+    NuxTapAgentMarketplace: NuxTapAgentMarketplace_js_1.NuxTapAgentMarketplace,
+    NuxTapGame: NuxTapGame_js_1.NuxTapGame,
+    NuxTapItemStore: NuxTapItemStore_js_1.NuxTapItemStore,
+    NuxTapTreasury: NuxTapTreasury_js_1.NuxTapTreasury,
+    QuestCore: QuestCore_js_1.QuestCore,
+    QuestRewardsPool: QuestRewardsPool_js_1.QuestRewardsPool,
+    ReferralSystem: ReferralSystem_js_1.ReferralSystem,
+    SkillViewLib: SkillViewLib_js_1.SkillViewLib,
+    SmartStakingCore: SmartStakingCore_js_1.SmartStakingCore,
+    SmartStakingCoreLib: SmartStakingCoreLib_js_1.SmartStakingCoreLib,
+    SmartStakingGamification: SmartStakingGamification_js_1.SmartStakingGamification,
+    SmartStakingPower: SmartStakingPower_js_1.SmartStakingPower,
+    SmartStakingRewards: SmartStakingRewards_js_1.SmartStakingRewards,
+    SmartStakingSkills: SmartStakingSkills_js_1.SmartStakingSkills,
+    SmartStakingView: SmartStakingView_js_1.SmartStakingView,
+    SmartStakingViewCore: SmartStakingViewCore_js_1.SmartStakingViewCore,
+    SmartStakingViewDashboard: SmartStakingViewDashboard_js_1.SmartStakingViewDashboard,
+    SmartStakingViewSkills: SmartStakingViewSkills_js_1.SmartStakingViewSkills,
+    SmartStakingViewStats: SmartStakingViewStats_js_1.SmartStakingViewStats,
+    SocialAgentNFT: SocialAgentNFT_js_1.SocialAgentNFT,
+    TechAgentNFT: TechAgentNFT_js_1.TechAgentNFT,
+    TreasuryManager: TreasuryManager_js_1.TreasuryManager,
+    XPSourceMetadata: XPSourceMetadata_js_1.XPSourceMetadata
+};
+exports.default = exports.AllABIs;
@@ -0,0 +1,161 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.multicallValues = exports.multicall = exports.MULTICALL3_ABI = exports.MULTICALL3_ADDRESS = exports.lockupPeriodForDuration = exports.getLockupPeriod = exports.decodeStakingError = exports.StakingError = exports.StakingService = void 0;
+exports.resolveChainId = resolveChainId;
+exports.resolveAddressBook = resolveAddressBook;
+exports.createTreasuryClient = createTreasuryClient;
+exports.createStakingClients = createStakingClients;
+exports.createMarketplaceClients = createMarketplaceClients;
+exports.createNuxTapClients = createNuxTapClients;
+exports.createNuxchainClients = createNuxchainClients;
+exports.connectClients = connectClients;
+const ethers_1 = require("ethers");
+const SmartStakingCore_js_1 = require("../abis/contracts/SmartStakingCore.cjs");
+const SmartStakingViewCore_js_1 = require("../abis/contracts/SmartStakingViewCore.cjs");
+const SmartStakingViewStats_js_1 = require("../abis/contracts/SmartStakingViewStats.cjs");
+const SmartStakingViewSkills_js_1 = require("../abis/contracts/SmartStakingViewSkills.cjs");
+const MarketplaceCore_js_1 = require("../abis/contracts/MarketplaceCore.cjs");
+const MarketplaceView_js_1 = require("../abis/contracts/MarketplaceView.cjs");
+const MarketplaceStatistics_js_1 = require("../abis/contracts/MarketplaceStatistics.cjs");
+const TreasuryManager_js_1 = require("../abis/contracts/TreasuryManager.cjs");
+const NuxTapGame_js_1 = require("../abis/contracts/NuxTapGame.cjs");
+const NuxTapAgentMarketplace_js_1 = require("../abis/contracts/NuxTapAgentMarketplace.cjs");
+const NuxTapItemStore_js_1 = require("../abis/contracts/NuxTapItemStore.cjs");
+const NuxTapTreasury_js_1 = require("../abis/contracts/NuxTapTreasury.cjs");
+const index_js_1 = require("../config/index.cjs");
+const index_js_2 = require("../errors/index.cjs");
+function requireAddress(value, label) {
+    if (!value) {
+        throw new Error(`Missing ${label} address in contract config`);
+    }
+    return value;
+}
+// Factories accept an address map or a chainId to look one up. Only the
+// chainId form knows which network the addresses belong to, so only it checks.
+function resolveAddresses(addresses) {
+    if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+        return { addresses: (0, index_js_1.getContractAddresses)(addresses), chainId: Number(addresses) };
+    }
+    return { addresses, chainId: null };
+}
+async function assertChain(runner, chainId) {
+    const actual = await resolveChainId(runner);
+    if (actual === chainId)
+        return;
+    throw (0, index_js_1.isSupportedChain)(actual) ? new index_js_1.ChainMismatchError(chainId, actual) : new index_js_1.UnsupportedChainError(actual);
+}
+// Method calls first check, once per contract, that the runner is on the
+// chain the addresses were taken from
+function withChainCheck(contract, chainId) {
+    let checked = null;
+    const check = () => (checked ?? (checked = assertChain(contract.runner, chainId).catch((error) => {
+        checked = null;
+        throw error;
+    })));
+    const guard = (call) => async (...args) => {
+        await check();
+        return call(...args);
+    };
+    return new Proxy(contract, {
+        get(target, prop) {
+            const value = Reflect.get(target, prop, target);
+            if (typeof value !== "function")
+                return value;
+            if (typeof value.staticCall === "function") {
+                const method = guard(value);
+                for (const key of ["staticCall", "staticCallResult", "send", "estimateGas"]) {
+                    method[key] = guard(value[key]);
+                }
+                for (const key of ["name", "fragment", "getFragment", "populateTransaction"]) {
+                    Object.defineProperty(method, key, { get: () => value[key], configurable: true });
+                }
+                return method;
+            }
+            if (prop === "connect") {
+                return (runner) => withChainCheck(target.connect(runner), chainId);
+            }
+            return value.bind(target);
+        }
+    });
+}
+// With a chainId, calls check the runner's network; with `decodeErrors`,
+// method calls rethrow reverts as ProtocolError
+function connectContract(address, abi, runner, contractName, chainId, options) {
+    let contract = new ethers_1.Contract(address, abi, runner);
+    if (chainId !== null)
+        contract = withChainCheck(contract, chainId);
+    if (!options.decodeErrors)
+        return contract;
+    return (0, index_js_2.withErrorDecoding)(contract, { contractName, locale: options.locale, messages: options.messages });
+}
+async function resolveChainId(runner) {
+    const provider = typeof runner?.getNetwork === "function" ? runner : runner?.provider;
+    if (!provider || typeof provider.getNetwork !== "function") {
+        throw new Error("Cannot detect network: contract runner has no provider");
+    }
+    const { chainId } = await provider.getNetwork();
+    return Number(chainId);
+}
+async function resolveAddressBook(runner) {
+    return (0, index_js_1.getAddressBook)(await resolveChainId(runner));
+}
+function createTreasuryClient(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+    const { addresses: book, chainId } = resolveAddresses(addresses);
+    return connectContract(book.TreasuryManager, TreasuryManager_js_1.TreasuryManager, runner, "TreasuryManager", chainId, options);
+}
+function createStakingClients(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+    const { addresses: book, chainId } = resolveAddresses(addresses);
+    return {
+        stakingCore: connectContract(book.StakingCore, SmartStakingCore_js_1.SmartStakingCore, runner, "SmartStakingCore", chainId, options),
+        stakingViewCore: connectContract(book.StakingViewCore, SmartStakingViewCore_js_1.SmartStakingViewCore, runner, "SmartStakingViewCore", chainId, options),
+        stakingViewStats: connectContract(book.StakingViewStats, SmartStakingViewStats_js_1.SmartStakingViewStats, runner, "SmartStakingViewStats", chainId, options),
+        stakingViewSkills: connectContract(book.StakingViewSkills, SmartStakingViewSkills_js_1.SmartStakingViewSkills, runner, "SmartStakingViewSkills", chainId, options)
+    };
+}
+function createMarketplaceClients(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+    const { addresses: book, chainId } = resolveAddresses(addresses);
+    return {
+        marketplaceCore: connectContract(book.MarketplaceProxy, MarketplaceCore_js_1.MarketplaceCore, runner, "MarketplaceCore", chainId, options),
+        marketplaceView: connectContract(book.MarketplaceView, MarketplaceView_js_1.MarketplaceView, runner, "MarketplaceView", chainId, options),
+        marketplaceStatistics: connectContract(book.MarketplaceStatistics, MarketplaceStatistics_js_1.MarketplaceStatistics, runner, "MarketplaceStatistics", chainId, options)
+    };
+}
+function createNuxTapClients(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+    const { addresses: book, chainId } = resolveAddresses(addresses);
+    const nuxTapGameAddress = requireAddress(book.NuxTapGame, "NuxTapGame");
+    const nuxTapAgentMarketplaceAddress = requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace");
+    const nuxTapStoreAddress = requireAddress(book.NuxTapStore, "NuxTapStore");
+    const nuxTapTreasuryAddress = requireAddress(book.NuxTapTreasury, "NuxTapTreasury");
+    return {
+        nuxTapGame: connectContract(nuxTapGameAddress, NuxTapGame_js_1.NuxTapGame, runner, "NuxTapGame", chainId, options),
+        nuxTapAgentMarketplace: connectContract(nuxTapAgentMarketplaceAddress, NuxTapAgentMarketplace_js_1.NuxTapAgentMarketplace, runner, "NuxTapAgentMarketplace", chainId, options),
+        nuxTapStore: connectContract(nuxTapStoreAddress, NuxTapItemStore_js_1.NuxTapItemStore, runner, "NuxTapItemStore", chainId, options),
+        nuxTapTreasury: connectContract(nuxTapTreasuryAddress, NuxTapTreasury_js_1.NuxTapTreasury, runner, "NuxTapTreasury", chainId, options)
+    };
+}
+function createNuxchainClients(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+    return {
+        ...createStakingClients(runner, addresses, options),
+        ...createMarketplaceClients(runner, addresses, options),
+        treasuryManager: createTreasuryClient(runner, addresses, options)
+    };
+}
+/**
+ * Builds clients against the address book of the runner's current network.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+async function connectClients(runner, factory = createNuxchainClients, options = {}) {
+    const { addresses } = await resolveAddressBook(runner);
+    return factory(runner, addresses, options);
+}
+var staking_js_1 = require("./staking.cjs");
+Object.defineProperty(exports, "StakingService", { enumerable: true, get: function () { return staking_js_1.StakingService; } });
+Object.defineProperty(exports, "StakingError", { enumerable: true, get: function () { return staking_js_1.StakingError; } });
+Object.defineProperty(exports, "decodeStakingError", { enumerable: true, get: function () { return staking_js_1.decodeStakingError; } });
+Object.defineProperty(exports, "getLockupPeriod", { enumerable: true, get: function () { return staking_js_1.getLockupPeriod; } });
+Object.defineProperty(exports, "lockupPeriodForDuration", { enumerable: true, get: function () { return staking_js_1.lockupPeriodForDuration; } });
+var multicall_js_1 = require("./multicall.cjs");
+Object.defineProperty(exports, "MULTICALL3_ADDRESS", { enumerable: true, get: function () { return multicall_js_1.MULTICALL3_ADDRESS; } });
+Object.defineProperty(exports, "MULTICALL3_ABI", { enumerable: true, get: function () { return multicall_js_1.MULTICALL3_ABI; } });
+Object.defineProperty(exports, "multicall", { enumerable: true, get: function () { return multicall_js_1.multicall; } });
+Object.defineProperty(exports, "multicallValues", { enumerable: true, get: function () { return multicall_js_1.multicallValues; } });
@@ -0,0 +1,364 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.StakingService = exports.StakingError = void 0;
+exports.decodeStakingError = decodeStakingError;
+exports.getLockupPeriod = getLockupPeriod;
+exports.lockupPeriodForDuration = lockupPeriodForDuration;
+const ethers_1 = require("ethers");
+const DynamicAPYCalculator_js_1 = require("../abis/contracts/DynamicAPYCalculator.cjs");
+const SmartStakingPower_js_1 = require("../abis/contracts/SmartStakingPower.cjs");
+const SmartStakingRewards_js_1 = require("../abis/contracts/SmartStakingRewards.cjs");
+const index_js_1 = require("../config/index.cjs");
+const index_js_2 = require("../errors/index.cjs");
+const index_js_3 = require("../rewards/index.cjs");
+const index_js_4 = require("./index.cjs");
+// Mirrors the private constants of SmartStakingCoreLib
+const BASIS_POINTS = 10000n;
+const COMMISSION_BPS = 600n;
+const AUTOCOMPOUND_FEE_BPS = 25n;
+const EARLY_EXIT_FEE_BPS = 50n;
+const EARLY_EXIT_WINDOW = 7n * 86400n;
+const DAILY_WITHDRAWAL_LIMIT = 2000n * 10n ** 18n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+/**
+ * A SmartStakingCore revert. `code` is the custom error name.
+ */
+class StakingError extends index_js_2.ProtocolError {
+    constructor(decoded, options) {
+        super(decoded, options);
+        this.name = "StakingError";
+    }
+    get code() {
+        return this.errorName;
+    }
+}
+exports.StakingError = StakingError;
+/**
+ * Turns an ethers error carrying SmartStakingCore revert data into a
+ * StakingError. Returns null when the error has no revert data.
+ * @param {Error} error
+ * @param {Object} options - {locale, messages}, see decodeRevert()
+ */
+function decodeStakingError(error, options = {}) {
+    const decoded = (0, index_js_2.decodeRevert)(error, { ...options, contract: "SmartStakingCore" });
+    return decoded ? new StakingError(decoded, { cause: error }) : null;
+}
+async function translateErrors(action, options) {
+    try {
+        return await action();
+    }
+    catch (error) {
+        throw decodeStakingError(error, options) ?? error;
+    }
+}
+/**
+ * LOCKUP_PERIODS entry for an index (0 = Flexible ... 4 = 365 days)
+ */
+function getLockupPeriod(periodIndex) {
+    const period = index_js_1.LOCKUP_PERIODS[Number(periodIndex)];
+    if (!period) {
+        throw new RangeError(`Unknown lockup period index ${periodIndex}; expected 0-${index_js_1.LOCKUP_PERIODS.length - 1}`);
+    }
+    return period;
+}
+/**
+ * LOCKUP_PERIODS entry for an on-chain lockup duration in seconds
+ */
+function lockupPeriodForDuration(seconds) {
+    const period = index_js_1.LOCKUP_PERIODS.find((entry) => BigInt(entry.seconds) === BigInt(seconds));
+    if (!period)
+        throw new RangeError(`No lockup period lasts ${seconds} seconds`);
+    return period;
+}
+function normalizeSkill(power) {
+    const type = Number(power.powerType);
+    const rarity = Number(power.rarity);
+    return {
+        type,
+        name: index_js_1.SKILL_TYPE_NAMES[type] ?? `Skill ${type}`,
+        effectBps: Number(power.effectValue),
+        rarity,
+        rarityName: index_js_1.RARITY_NAMES[rarity] ?? `Rarity ${rarity}`,
+        activatedAt: Number(power.activatedAt),
+        cooldownEnds: Number(power.cooldownEnds)
+    };
+}
+/**
+ * High-level staking API over createStakingClients(). Reads return plain
+ * objects with amounts as bigint (wei) and times as unix seconds; writes
+ * translate SmartStakingCore custom errors into StakingError.
+ */
+class StakingService {
+    /**
+     * @param {import("ethers").ContractRunner} runner
+     * @param {Object|number} addresses - address map or chainId
+     * @param {Object} options - {locale, messages} for StakingError messages
+     */
+    constructor(runner, addresses = index_js_1.CONTRACT_ADDRESSES, options = {}) {
+        this.runner = runner;
+        this.errorOptions = { locale: options.locale, messages: options.messages };
+        Object.assign(this, (0, index_js_4.createStakingClients)(runner, addresses));
+    }
+    /**
+     * Builds a service against the address book of the runner's network
+     */
+    static async connect(runner, options = {}) {
+        const { addresses } = await (0, index_js_4.resolveAddressBook)(runner);
+        return new StakingService(runner, addresses, options);
+    }
+    clientError(errorName) {
+        return new StakingError((0, index_js_2.describeError)(errorName, {}, { ...this.errorOptions, contract: "SmartStakingCore" }));
+    }
+    async signerAddress() {
+        if (typeof this.runner?.getAddress !== "function") {
+            throw new Error("StakingService needs a signer for this call");
+        }
+        return this.runner.getAddress();
+    }
+    async timestamp() {
+        const provider = this.runner?.provider ?? this.runner;
+        const block = await provider.getBlock("latest");
+        return BigInt(block.timestamp);
+    }
+    async rewardsModule() {
+        const address = await this.stakingCore.rewardsModule();
+        if (address === ZERO_ADDRESS)
+            throw this.clientError("ModuleNotSet");
+        return new ethers_1.Contract(address, SmartStakingRewards_js_1.SmartStakingRewards, this.runner);
+    }
+    /**
+     * On-chain inputs of the rewards engine (export/rewards): base APYs, TVL,
+     * the DynamicAPYCalculator curve (null when none is set) and the referral boost
+     */
+    async rewardsParams() {
+        const rewardsModule = await this.rewardsModule();
+        const [baseAPYs, currentTVL, calculatorAddress, referralBoostBps] = await Promise.all([
+            rewardsModule.getBaseAPYs(),
+            rewardsModule.currentTVL(),
+            rewardsModule.apyCalculator(),
+            this.stakingCore.referralBoostBps()
+        ]);
+        let apyCurve = null;
+        if (calculatorAddress !== ZERO_ADDRESS) {
+            const calculator = new ethers_1.Contract(calculatorAddress, DynamicAPYCalculator_js_1.DynamicAPYCalculator, this.runner);
+            const [enabled, paused, targetTVL, minMultiplier, maxMultiplier] = await Promise.all([
+                calculator.dynamicAPYEnabled(),
+                calculator.paused(),
+                calculator.targetTVL(),
+                calculator.minAPYMultiplier(),
+                calculator.maxAPYMultiplier()
+            ]);
+            apyCurve = { enabled, paused, targetTVL, minMultiplier, maxMultiplier };
+        }
+        return { baseAPYs: [...baseAPYs], currentTVL, apyCurve, referralBoostBps };
+    }
+    /**
+     * Pending rewards of `user` as SmartStakingCore.calculateRewards would
+     * report them at `at` (unix seconds, default now), assuming no deposit,
+     * claim or parameter change until then
+     */
+    async projectRewards(user, at) {
+        const [info, boost, referralBoostEndTime, params, now] = await Promise.all([
+            this.stakingCore.getUserInfo(user),
+            this.stakingBoost(user, { withReferral: false }),
+            this.stakingCore.referralBoostEndTime(user),
+            this.rewardsParams(),
+            this.timestamp()
+        ]);
+        const deposits = await this.readDeposits(user, info.depositCount, now);
+        const position = {
+            deposits: deposits.map((deposit) => ({
+                amount: deposit.amount,
+                timestamp: deposit.depositedAt,
+                lastClaimTime: deposit.lastClaimTime,
+                lockupDuration: deposit.lockup.seconds
+            })),
+            stakingBoost: boost,
+            referralBoostEndTime
+        };
+        return { user, at: at === undefined ? now : BigInt(at), ...(0, index_js_3.projectRewards)(position, params, at ?? now) };
+    }
+    async stakingBoost(user, { withReferral }) {
+        let boost = 0n;
+        const powerAddress = await this.stakingCore.powerModule();
+        if (powerAddress !== ZERO_ADDRESS) {
+            const power = new ethers_1.Contract(powerAddress, SmartStakingPower_js_1.SmartStakingPower, this.runner);
+            [boost] = await power.getUserBoosts(user);
+        }
+        if (withReferral) {
+            const [referralBps, endTime, now] = await Promise.all([
+                this.stakingCore.referralBoostBps(),
+                this.stakingCore.referralBoostEndTime(user),
+                this.timestamp()
+            ]);
+            if (referralBps > 0n && endTime > now)
+                boost += referralBps;
+        }
+        return boost > 65535n ? 65535n : boost;
+    }
+    async readDeposit(user, index, now) {
+        const [amount, timestamp, lastClaimTime, lockupDuration] = await translateErrors(() => this.stakingCore.getUserDeposit(user, index), this.errorOptions);
+        const unlockTime = timestamp + lockupDuration;
+        const isLocked = lockupDuration > 0n && now < unlockTime;
+        return {
+            index: Number(index),
+            amount,
+            depositedAt: Number(timestamp),
+            lastClaimTime: Number(lastClaimTime),
+            lockup: lockupPeriodForDuration(lockupDuration),
+            unlockTime: Number(unlockTime),
+            isLocked,
+            secondsUntilUnlock: isLocked ? Number(unlockTime - now) : 0,
+            inEarlyExitWindow: lockupDuration === 0n && now < timestamp + EARLY_EXIT_WINDOW
+        };
+    }
+    async readDeposits(user, depositCount, now) {
+        const deposits = [];
+        for (let i = 0n; i < depositCount; i++) {
+            deposits.push(await this.readDeposit(user, i, now));
+        }
+        return deposits;
+    }
+    /**
+     * Deposits, totals and active skills of `user`
+     */
+    async getPosition(user) {
+        const [info, claimed, reinvestmentBps, powers, now] = await Promise.all([
+            this.stakingCore.getUserInfo(user),
+            this.stakingCore.getTotalClaimedRewards(user),
+            this.stakingCore.reinvestmentPercentage(user),
+            this.stakingCore.getActivePowers(user),
+            this.timestamp()
+        ]);
+        const deposits = await this.readDeposits(user, info.depositCount, now);
+        return {
+            user,
+            totalDeposited: info.totalDeposited,
+            pendingRewards: info.totalRewards,
+            totalClaimed: claimed,
+            lastWithdrawTime: Number(info.lastWithdrawTime),
+            reinvestmentBps: Number(reinvestmentBps),
+            deposits,
+            lockedBalance: deposits.filter((d) => d.isLocked).reduce((sum, d) => sum + d.amount, 0n),
+            withdrawableIndices: deposits.filter((d) => !d.isLocked).map((d) => d.index),
+            skills: powers.filter((power) => power.isActive).map(normalizeSkill)
+        };
+    }
+    /**
+     * What withdrawByIndex(index) would pay the signer (or `user`) right now,
+     * following SmartStakingCoreLib.executeWithdrawals. `blockedBy` names the
+     * custom error the withdrawal would revert with, or is null.
+     */
+    async previewWithdraw(index, user) {
+        user = user ?? await this.signerAddress();
+        const now = await this.timestamp();
+        const deposit = await this.readDeposit(user, index, now);
+        const [rewardsModule, boost, daily] = await Promise.all([
+            this.rewardsModule(),
+            this.stakingBoost(user, { withReferral: false }),
+            this.stakingViewCore.getDailyWithdrawalInfo(user)
+        ]);
+        const grossRewards = await rewardsModule.calculateStakingRewards(deposit.amount, deposit.depositedAt, deposit.lastClaimTime, deposit.lockup.index, boost);
+        const rewardsCommission = (grossRewards * COMMISSION_BPS) / BASIS_POINTS;
+        const earlyExitFee = deposit.inEarlyExitWindow ? (deposit.amount * EARLY_EXIT_FEE_BPS) / BASIS_POINTS : 0n;
+        const dailyRemaining = daily.remaining < DAILY_WITHDRAWAL_LIMIT ? daily.remaining : DAILY_WITHDRAWAL_LIMIT;
+        let blockedBy = null;
+        if (deposit.isLocked)
+            blockedBy = "FundsAreLocked";
+        else if (deposit.amount > dailyRemaining)
+            blockedBy = "DailyWithdrawalLimitExceeded";
+        return {
+            deposit,
+            principal: deposit.amount,
+            grossRewards,
+            rewardsCommission,
+            netRewards: grossRewards - rewardsCommission,
+            earlyExitFee,
+            payout: deposit.amount + grossRewards - rewardsCommission - earlyExitFee,
+            dailyRemaining,
+            canWithdraw: blockedBy === null,
+            blockedBy
+        };
+    }
+    /**
+     * Pending rewards of `user` per deposit and what a claim (withdraw) or a
+     * compound would pay after fees and the reinvestment setting
+     */
+    async claimableBreakdown(user) {
+        const [info, reinvestmentBps, rewardsModule, boost, now] = await Promise.all([
+            this.stakingCore.getUserInfo(user),
+            this.stakingCore.reinvestmentPercentage(user),
+            this.rewardsModule(),
+            this.stakingBoost(user, { withReferral: true }),
+            this.timestamp()
+        ]);
+        const deposits = await this.readDeposits(user, info.depositCount, now);
+        const byDeposit = [];
+        for (const deposit of deposits) {
+            byDeposit.push({
+                index: deposit.index,
+                lockup: deposit.lockup,
+                rewards: await rewardsModule.calculateStakingRewards(deposit.amount, deposit.depositedAt, deposit.lastClaimTime, deposit.lockup.index, boost)
+            });
+        }
+        const total = info.totalRewards;
+        const reinvested = (total * reinvestmentBps) / BASIS_POINTS;
+        const claimed = total - reinvested;
+        const commission = (claimed * COMMISSION_BPS) / BASIS_POINTS;
+        const compoundFee = (total * AUTOCOMPOUND_FEE_BPS) / BASIS_POINTS;
+        return {
+            user,
+            total,
+            boostBps: Number(boost),
+            byDeposit,
+            claim: {
+                reinvestmentBps: Number(reinvestmentBps),
+                reinvested,
+                commission,
+                net: claimed - commission,
+                // withdraw() reverts with FundsAreLocked while any deposit is locked
+                blocked: deposits.some((deposit) => deposit.isLocked)
+            },
+            compound: {
+                fee: compoundFee,
+                net: total - compoundFee
+            }
+        };
+    }
+    /**
+     * Stakes `amount` wei with LOCKUP_PERIODS[periodIndex]
+     */
+    async depositWithLockup(amount, periodIndex, overrides = {}) {
+        const period = getLockupPeriod(periodIndex);
+        return translateErrors(() => this.stakingCore.deposit(period.days, { ...overrides, value: amount }), this.errorOptions);
+    }
+    async withdrawByIndex(index, overrides = {}) {
+        return translateErrors(() => this.stakingCore.withdrawByIndex(index, overrides), this.errorOptions);
+    }
+    /**
+     * Withdraws several deposits in one transaction. Deposits are removed by
+     * swap-and-pop, so indices are sent highest first.
+     */
+    async withdrawBatch(indices, overrides = {}) {
+        const sorted = [...new Set(indices.map(BigInt))].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+        return translateErrors(() => this.stakingCore.withdrawBatch(sorted, overrides), this.errorOptions);
+    }
+    /**
+     * Moves a flexible deposit into LOCKUP_PERIODS[periodIndex]
+     */
+    async migrateLockup(index, periodIndex, overrides = {}) {
+        const period = getLockupPeriod(periodIndex);
+        if (period.days === 0) {
+            // Same check as SmartStakingCoreLib.migrateLockup, before sending
+            throw this.clientError("InvalidLockupDuration");
+        }
+        return translateErrors(() => this.stakingCore.migrateLockup(index, period.days, overrides), this.errorOptions);
+    }
+    async compound(overrides = {}) {
+        return translateErrors(() => this.stakingCore.compound(overrides), this.errorOptions);
+    }
+    async claimRewards(overrides = {}) {
+        return translateErrors(() => this.stakingCore.withdraw(overrides), this.errorOptions);
+    }
+}
+exports.StakingService = StakingService;
@@ -0,0 +1,38 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getContractAddresses = exports.getAddressBook = exports.isSupportedChain = exports.ChainMismatchError = exports.UnsupportedChainError = exports.SUPPORTED_CHAIN_IDS = exports.WALLET_ADDRESSES = exports.CONTRACT_ADDRESSES = exports.GENERATED_METADATA = exports.ADDRESS_BOOKS = exports.DEFAULT_CHAIN_ID = exports.SOLIDITY_CONSTANTS = exports.NuxTapItemKind = exports.CONTRACT_CONSTANTS = exports.LOCKUP_PERIODS = exports.PROTOCOL_STATUS_NAMES = exports.QUEST_CATEGORY_NAMES = exports.QUEST_TYPE_NAMES = exports.RARITY_COLORS = exports.RARITY_NAMES = exports.SKILL_TYPE_NAMES = exports.getContractExplorerUrl = exports.getAddressExplorerUrl = exports.getBlockExplorerUrl = exports.POLYGON_MAINNET = exports.TreasuryType = exports.ProtocolStatus = exports.QuestCategory = exports.QuestType = exports.Rarity = exports.SkillType = void 0;
+var runtime_js_1 = require("./runtime.cjs");
+Object.defineProperty(exports, "SkillType", { enumerable: true, get: function () { return runtime_js_1.SkillType; } });
+Object.defineProperty(exports, "Rarity", { enumerable: true, get: function () { return runtime_js_1.Rarity; } });
+Object.defineProperty(exports, "QuestType", { enumerable: true, get: function () { return runtime_js_1.QuestType; } });
+Object.defineProperty(exports, "QuestCategory", { enumerable: true, get: function () { return runtime_js_1.QuestCategory; } });
+Object.defineProperty(exports, "ProtocolStatus", { enumerable: true, get: function () { return runtime_js_1.ProtocolStatus; } });
+Object.defineProperty(exports, "TreasuryType", { enumerable: true, get: function () { return runtime_js_1.TreasuryType; } });
+Object.defineProperty(exports, "POLYGON_MAINNET", { enumerable: true, get: function () { return runtime_js_1.POLYGON_MAINNET; } });
+Object.defineProperty(exports, "getBlockExplorerUrl", { enumerable: true, get: function () { return runtime_js_1.getBlockExplorerUrl; } });
+Object.defineProperty(exports, "getAddressExplorerUrl", { enumerable: true, get: function () { return runtime_js_1.getAddressExplorerUrl; } });
+Object.defineProperty(exports, "getContractExplorerUrl", { enumerable: true, get: function () { return runtime_js_1.getContractExplorerUrl; } });
+Object.defineProperty(exports, "SKILL_TYPE_NAMES", { enumerable: true, get: function () { return runtime_js_1.SKILL_TYPE_NAMES; } });
+Object.defineProperty(exports, "RARITY_NAMES", { enumerable: true, get: function () { return runtime_js_1.RARITY_NAMES; } });
+Object.defineProperty(exports, "RARITY_COLORS", { enumerable: true, get: function () { return runtime_js_1.RARITY_COLORS; } });
+Object.defineProperty(exports, "QUEST_TYPE_NAMES", { enumerable: true, get: function () { return runtime_js_1.QUEST_TYPE_NAMES; } });
+Object.defineProperty(exports, "QUEST_CATEGORY_NAMES", { enumerable: true, get: function () { return runtime_js_1.QUEST_CATEGORY_NAMES; } });
+Object.defineProperty(exports, "PROTOCOL_STATUS_NAMES", { enumerable: true, get: function () { return runtime_js_1.PROTOCOL_STATUS_NAMES; } });
+Object.defineProperty(exports, "LOCKUP_PERIODS", { enumerable: true, get: function () { return runtime_js_1.LOCKUP_PERIODS; } });
+Object.defineProperty(exports, "CONTRACT_CONSTANTS", { enumerable: true, get: function () { return runtime_js_1.CONTRACT_CONSTANTS; } });
+Object.defineProperty(exports, "NuxTapItemKind", { enumerable: true, get: function () { return runtime_js_1.NuxTapItemKind; } });
+var solidity_generated_js_1 = require("./solidity.generated.cjs");
+Object.defineProperty(exports, "SOLIDITY_CONSTANTS", { enumerable: true, get: function () { return solidity_generated_js_1.SOLIDITY_CONSTANTS; } });
+var contracts_generated_js_1 = require("./contracts.generated.cjs");
+Object.defineProperty(exports, "DEFAULT_CHAIN_ID", { enumerable: true, get: function () { return contracts_generated_js_1.DEFAULT_CHAIN_ID; } });
+Object.defineProperty(exports, "ADDRESS_BOOKS", { enumerable: true, get: function () { return contracts_generated_js_1.ADDRESS_BOOKS; } });
+Object.defineProperty(exports, "GENERATED_METADATA", { enumerable: true, get: function () { return contracts_generated_js_1.GENERATED_METADATA; } });
+Object.defineProperty(exports, "CONTRACT_ADDRESSES", { enumerable: true, get: function () { return contracts_generated_js_1.CONTRACT_ADDRESSES; } });
+Object.defineProperty(exports, "WALLET_ADDRESSES", { enumerable: true, get: function () { return contracts_generated_js_1.WALLET_ADDRESSES; } });
+var networks_js_1 = require("./networks.cjs");
+Object.defineProperty(exports, "SUPPORTED_CHAIN_IDS", { enumerable: true, get: function () { return networks_js_1.SUPPORTED_CHAIN_IDS; } });
+Object.defineProperty(exports, "UnsupportedChainError", { enumerable: true, get: function () { return networks_js_1.UnsupportedChainError; } });
+Object.defineProperty(exports, "ChainMismatchError", { enumerable: true, get: function () { return networks_js_1.ChainMismatchError; } });
+Object.defineProperty(exports, "isSupportedChain", { enumerable: true, get: function () { return networks_js_1.isSupportedChain; } });
+Object.defineProperty(exports, "getAddressBook", { enumerable: true, get: function () { return networks_js_1.getAddressBook; } });
+Object.defineProperty(exports, "getContractAddresses", { enumerable: true, get: function () { return networks_js_1.getContractAddresses; } });
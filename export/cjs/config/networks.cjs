@@ -0,0 +1,43 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ChainMismatchError = exports.UnsupportedChainError = exports.SUPPORTED_CHAIN_IDS = void 0;
+exports.isSupportedChain = isSupportedChain;
+exports.getAddressBook = getAddressBook;
+exports.getContractAddresses = getContractAddresses;
+const contracts_generated_js_1 = require("./contracts.generated.cjs");
+exports.SUPPORTED_CHAIN_IDS = Object.freeze(Object.keys(contracts_generated_js_1.ADDRESS_BOOKS).map(Number));
+class UnsupportedChainError extends Error {
+    constructor(chainId) {
+        const supported = exports.SUPPORTED_CHAIN_IDS
+            .map((id) => `${id} (${contracts_generated_js_1.ADDRESS_BOOKS[id].meta.network})`)
+            .join(", ");
+        super(`Unsupported chainId ${chainId}. Nuxchain addresses are available for: ${supported}`);
+        this.name = "UnsupportedChainError";
+        this.chainId = chainId;
+        this.supportedChainIds = exports.SUPPORTED_CHAIN_IDS;
+    }
+}
+exports.UnsupportedChainError = UnsupportedChainError;
+// The runner is on a supported chain, but not the one the clients' addresses belong to
+class ChainMismatchError extends Error {
+    constructor(expectedChainId, chainId) {
+        super(`Connected to chainId ${chainId}, but the clients use the addresses of chainId ${expectedChainId}`);
+        this.name = "ChainMismatchError";
+        this.chainId = chainId;
+        this.expectedChainId = expectedChainId;
+    }
+}
+exports.ChainMismatchError = ChainMismatchError;
+function isSupportedChain(chainId) {
+    return exports.SUPPORTED_CHAIN_IDS.includes(Number(chainId));
+}
+function getAddressBook(chainId = contracts_generated_js_1.DEFAULT_CHAIN_ID) {
+    const book = contracts_generated_js_1.ADDRESS_BOOKS[Number(chainId)];
+    if (!book) {
+        throw new UnsupportedChainError(Number(chainId));
+    }
+    return book;
+}
+function getContractAddresses(chainId = contracts_generated_js_1.DEFAULT_CHAIN_ID) {
+    return getAddressBook(chainId).addresses;
+}
@@ -0,0 +1,106 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CONTRACT_CONSTANTS = exports.LOCKUP_PERIODS = exports.PROTOCOL_STATUS_NAMES = exports.QUEST_CATEGORY_NAMES = exports.QUEST_TYPE_NAMES = exports.RARITY_COLORS = exports.RARITY_NAMES = exports.SKILL_TYPE_NAMES = exports.getContractExplorerUrl = exports.getAddressExplorerUrl = exports.getBlockExplorerUrl = exports.POLYGON_MAINNET = exports.TreasuryType = exports.ProtocolStatus = exports.NuxTapItemKind = exports.QuestCategory = exports.QuestType = exports.Rarity = exports.SkillType = void 0;
+const solidity_generated_js_1 = require("./solidity.generated.cjs");
+Object.defineProperty(exports, "SkillType", { enumerable: true, get: function () { return solidity_generated_js_1.SkillType; } });
+Object.defineProperty(exports, "Rarity", { enumerable: true, get: function () { return solidity_generated_js_1.Rarity; } });
+Object.defineProperty(exports, "QuestType", { enumerable: true, get: function () { return solidity_generated_js_1.QuestType; } });
+Object.defineProperty(exports, "QuestCategory", { enumerable: true, get: function () { return solidity_generated_js_1.QuestCategory; } });
+Object.defineProperty(exports, "NuxTapItemKind", { enumerable: true, get: function () { return solidity_generated_js_1.NuxTapItemKind; } });
+Object.defineProperty(exports, "ProtocolStatus", { enumerable: true, get: function () { return solidity_generated_js_1.ProtocolStatus; } });
+Object.defineProperty(exports, "TreasuryType", { enumerable: true, get: function () { return solidity_generated_js_1.TreasuryType; } });
+exports.POLYGON_MAINNET = Object.freeze({
+    chainId: "0x89",
+    chainName: "Polygon Mainnet",
+    nativeCurrency: {
+        name: "POL",
+        symbol: "POL",
+        decimals: 18
+    },
+    rpcUrls: [
+        "https://polygon-rpc.com",
+        "https://polygon-bor-rpc.publicnode.com"
+    ],
+    blockExplorerUrls: ["https://polygonscan.com"]
+});
+const getBlockExplorerUrl = (txHash) => `https://polygonscan.com/tx/${txHash}`;
+exports.getBlockExplorerUrl = getBlockExplorerUrl;
+const getAddressExplorerUrl = (address) => `https://polygonscan.com/address/${address}`;
+exports.getAddressExplorerUrl = getAddressExplorerUrl;
+const getContractExplorerUrl = (contractAddress) => `https://polygonscan.com/address/${contractAddress}#code`;
+exports.getContractExplorerUrl = getContractExplorerUrl;
+exports.SKILL_TYPE_NAMES = Object.freeze({
+    [solidity_generated_js_1.SkillType.NONE]: "None",
+    [solidity_generated_js_1.SkillType.STAKE_BOOST_I]: "Staking Boost I",
+    [solidity_generated_js_1.SkillType.STAKE_BOOST_II]: "Staking Boost II",
+    [solidity_generated_js_1.SkillType.STAKE_BOOST_III]: "Staking Boost III",
+    [solidity_generated_js_1.SkillType.AUTO_COMPOUND]: "Auto Compound",
+    [solidity_generated_js_1.SkillType.LOCK_REDUCER]: "Lock Reducer",
+    [solidity_generated_js_1.SkillType.FEE_REDUCER_I]: "Fee Reducer I",
+    [solidity_generated_js_1.SkillType.FEE_REDUCER_II]: "Fee Reducer II",
+    [solidity_generated_js_1.SkillType.PRIORITY_LISTING]: "Priority Listing",
+    [solidity_generated_js_1.SkillType.BATCH_MINTER]: "Batch Minter",
+    [solidity_generated_js_1.SkillType.VERIFIED_CREATOR]: "Verified Creator",
+    [solidity_generated_js_1.SkillType.INFLUENCER]: "Influencer",
+    [solidity_generated_js_1.SkillType.CURATOR]: "Curator",
+    [solidity_generated_js_1.SkillType.AMBASSADOR]: "Ambassador",
+    [solidity_generated_js_1.SkillType.VIP_ACCESS]: "VIP Access",
+    [solidity_generated_js_1.SkillType.EARLY_ACCESS]: "Early Access",
+    [solidity_generated_js_1.SkillType.PRIVATE_AUCTIONS]: "Private Auctions",
+    [solidity_generated_js_1.SkillType.MODERATOR]: "Moderator",
+    [solidity_generated_js_1.SkillType.BETA_TESTER]: "Beta Tester",
+    [solidity_generated_js_1.SkillType.VIP_PARTNER]: "VIP Partner"
+});
+exports.RARITY_NAMES = Object.freeze({
+    [solidity_generated_js_1.Rarity.COMMON]: "Common",
+    [solidity_generated_js_1.Rarity.UNCOMMON]: "Uncommon",
+    [solidity_generated_js_1.Rarity.RARE]: "Rare",
+    [solidity_generated_js_1.Rarity.EPIC]: "Epic",
+    [solidity_generated_js_1.Rarity.LEGENDARY]: "Legendary"
+});
+exports.RARITY_COLORS = Object.freeze({
+    [solidity_generated_js_1.Rarity.COMMON]: "#A0AEC0",
+    [solidity_generated_js_1.Rarity.UNCOMMON]: "#48BB78",
+    [solidity_generated_js_1.Rarity.RARE]: "#4299E1",
+    [solidity_generated_js_1.Rarity.EPIC]: "#9F7AEA",
+    [solidity_generated_js_1.Rarity.LEGENDARY]: "#ED8936"
+});
+exports.QUEST_TYPE_NAMES = Object.freeze({
+    [solidity_generated_js_1.QuestType.PURCHASE]: "Purchase NFTs",
+    [solidity_generated_js_1.QuestType.CREATE]: "Create NFTs",
+    [solidity_generated_js_1.QuestType.SOCIAL]: "Social Engagement",
+    [solidity_generated_js_1.QuestType.LEVEL_UP]: "Level Up",
+    [solidity_generated_js_1.QuestType.TRADING]: "Trading Activity",
+    [solidity_generated_js_1.QuestType.STAKE]: "Stake POL",
+    [solidity_generated_js_1.QuestType.COMPOUND]: "Compound Rewards",
+    [solidity_generated_js_1.QuestType.AGENT_TASK]: "Agent Tasks"
+});
+exports.QUEST_CATEGORY_NAMES = Object.freeze({
+    [solidity_generated_js_1.QuestCategory.MARKETPLACE]: "Marketplace",
+    [solidity_generated_js_1.QuestCategory.STAKING]: "Staking",
+    [solidity_generated_js_1.QuestCategory.NFT_AGENT]: "NFT Agent",
+    [solidity_generated_js_1.QuestCategory.GENERAL]: "General"
+});
+exports.PROTOCOL_STATUS_NAMES = Object.freeze({
+    [solidity_generated_js_1.ProtocolStatus.HEALTHY]: "Healthy",
+    [solidity_generated_js_1.ProtocolStatus.UNSTABLE]: "Unstable",
+    [solidity_generated_js_1.ProtocolStatus.CRITICAL]: "Critical",
+    [solidity_generated_js_1.ProtocolStatus.EMERGENCY]: "Emergency"
+});
+exports.LOCKUP_PERIODS = Object.freeze([
+    Object.freeze({ index: 0, label: "Flexible", days: 0, seconds: 0 }),
+    Object.freeze({ index: 1, label: "30 días", days: 30, seconds: 2592000 }),
+    Object.freeze({ index: 2, label: "90 días", days: 90, seconds: 7776000 }),
+    Object.freeze({ index: 3, label: "180 días", days: 180, seconds: 15552000 }),
+    Object.freeze({ index: 4, label: "365 días", days: 365, seconds: 31536000 })
+]);
+exports.CONTRACT_CONSTANTS = Object.freeze({
+    PLATFORM_FEE_BPS: 500,
+    REINVESTMENT_MIN_BPS: 0,
+    REINVESTMENT_MAX_BPS: 10000,
+    MAX_ACTIVE_SKILLS_DEFAULT: 3,
+    CIRCUIT_BREAKER_THRESHOLD_BPS: 5000,
+    EARLY_EXIT_FEE_BASE_BPS: 1000,
+    DEPLOYMENT_BLOCK: 83546246,
+    CHAIN_ID: 137
+});
@@ -0,0 +1,301 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FALLBACK_MESSAGES = exports.PANIC_MESSAGES = exports.ERROR_MESSAGES = exports.DEFAULT_LOCALE = exports.SUPPORTED_LOCALES = void 0;
+const runtime_js_1 = require("../config/runtime.cjs");
+// Human messages for protocol reverts, keyed by custom error name.
+// Each entry receives the decoded error arguments by parameter name.
+// Errors missing here fall back to their name split into words.
+exports.SUPPORTED_LOCALES = Object.freeze(["en", "es"]);
+exports.DEFAULT_LOCALE = "en";
+const skillName = (type) => runtime_js_1.SKILL_TYPE_NAMES[Number(type)] ?? `Power ${type}`;
+const withArgs = (args, full, short) => (Object.keys(args).length > 0 ? full(args) : short);
+exports.ERROR_MESSAGES = Object.freeze({
+    en: Object.freeze({
+        // Shared
+        InvalidAddress: () => "Invalid address",
+        InsufficientBalance: () => "The contract does not hold enough balance",
+        TransferFailed: () => "Transfer failed",
+        NotAuthorized: () => "You are not authorized to do this",
+        NotOwner: () => "Only the owner can do this",
+        InvalidMetadata: () => "Invalid metadata",
+        InvalidDuration: () => "Invalid duration",
+        // SmartStaking
+        OnlyMarketplace: () => "Only an authorized marketplace can call this function",
+        DepositTooLow: ({ provided, minimum }) => `Deposit of ${provided} wei is below the minimum of ${minimum} wei`,
+        DepositTooHigh: ({ provided, maximum }) => `Deposit of ${provided} wei is above the maximum of ${maximum} wei`,
+        MaxDepositsReached: ({ maxDeposits }) => `The account already has the maximum of ${maxDeposits} deposits`,
+        ContractIsMigrated: () => "The staking contract has been migrated; use the new contract",
+        NoRewardsAvailable: () => "There are no rewards to claim yet",
+        NoDepositsFound: () => "No deposit found at that index",
+        InvalidLockupDuration: () => "Invalid lockup period; use Flexible, 30, 90, 180 or 365 days",
+        FundsAreLocked: () => "This deposit is still locked",
+        DailyWithdrawalLimitExceeded: ({ availableToWithdraw }) => `Daily withdrawal limit reached; ${availableToWithdraw} wei can still be withdrawn today`,
+        CommissionTransferFailed: ({ treasury }) => `Commission transfer to treasury ${treasury} failed`,
+        ModuleNotSet: () => "A required staking module is not configured",
+        PowerDisabled: ({ powerType }) => `${skillName(powerType)} is disabled`,
+        CircuitBreakerActive: () => "Deposits are paused by the circuit breaker",
+        InvalidReinvestmentPercentage: () => "Reinvestment percentage must be between 0 and 10000 bps",
+        BatchLengthMismatch: () => "Batch is empty or its arrays have different lengths",
+        BatchAmountMismatch: ({ sent, required }) => `Batch sent ${sent} wei but the amounts add up to ${required} wei`,
+        AlreadyHasReferrer: () => "This account already has a referrer",
+        ReferralBoostTooHigh: () => "Referral boost is above the allowed maximum",
+        AutoCompoundNotEnabled: () => "Auto-compound is not enabled for this account",
+        DepositIndexOutOfBounds: ({ index, length }) => `Deposit index ${index} is out of bounds (the account has ${length} deposits)`,
+        MigrationNotAllowed: () => "Only flexible deposits can be migrated to a lockup",
+        // Marketplace
+        InsufficientPayment: () => "The payment does not cover the price",
+        InvalidPrice: (args) => withArgs(args, ({ expected, provided }) => `Invalid price: expected ${expected} wei, got ${provided} wei`, "Invalid price"),
+        InvalidRoyalty: () => "Royalty is above the allowed maximum",
+        InvalidCount: () => "Invalid count",
+        InvalidOffer: () => "Invalid offer",
+        InvalidOfferId: () => "Offer not found",
+        InvalidOfferExpiry: () => "Invalid offer expiry",
+        OfferExpired: () => "This offer has expired",
+        NotOfferor: () => "Only the account that made the offer can do this",
+        NotTokenOwner: () => "You do not own this token",
+        NotExists: () => "The token does not exist",
+        TokenNotListed: () => "This token is not listed for sale",
+        AlreadyHasBadge: () => "This account already has the badge",
+        BadgeSoulbound: () => "Badges cannot be transferred",
+        NotBadge: () => "This token is not a badge",
+        RefundFailed: () => "Refund to the buyer failed",
+        SellerFailed: () => "Payment to the seller failed",
+        TreasuryFailed: () => "Payment to the treasury failed",
+        XPOverflow: () => "XP limit reached",
+        InvalidCommentLength: () => "Comment is empty or too long",
+        TooManyComments: () => "This token has too many comments",
+        EmptyInitializationData: () => "Proxy initialization data is empty",
+        InvalidImplementation: ({ implementation }) => `Invalid implementation ${implementation}`,
+        // Agents and NuxPower
+        TokenNotFound: () => "Agent not found",
+        WrongCategory: (args) => withArgs(args, ({ powerId, required, actual }) => `Power ${powerId} needs agent category ${required}, this agent is category ${actual}`, "Wrong agent category"),
+        AlreadyFinalized: () => "Already finalized",
+        AlreadyTriggered: () => "Alert already triggered",
+        InvalidClient: () => "Invalid client",
+        InvalidWorkflow: () => "Invalid workflow",
+        InvalidAlert: () => "Invalid alert",
+        InvalidCampaign: () => "Invalid campaign",
+        InvalidTarget: () => "Invalid target",
+        MaxClientsReached: () => "Maximum number of clients reached",
+        MaxWorkflowsReached: () => "Maximum number of workflows reached",
+        MaxAlertsReached: () => "Maximum number of alerts reached",
+        MaxCampaignsReached: () => "Maximum number of campaigns reached",
+        MaxRulesReached: () => "Maximum number of rules reached",
+        IncorrectPayment: ({ expected, sent }) => `Incorrect payment: expected ${expected} wei, sent ${sent} wei`,
+        InvalidPowerId: ({ powerId }) => `Unknown power ${powerId}`,
+        MaxPowersReached: ({ tokenId, max }) => `Agent ${tokenId} already has the maximum of ${max} powers`,
+        PowerAlreadyEquipped: ({ tokenId, powerId }) => `Power ${powerId} is already equipped on agent ${tokenId}`,
+        PowerNotActive: ({ powerId }) => `Power ${powerId} is not active`,
+        PowerNotEquipped: ({ tokenId, powerId }) => `Power ${powerId} is not equipped on agent ${tokenId}`,
+        WithdrawFailed: () => "Withdrawal failed",
+        InsufficientStakingBalance: ({ required, current }) => `Staking balance too low: ${required} wei required, ${current} wei staked`,
+        InvalidLevel: ({ level }) => `Invalid level ${level}`,
+        InvalidPowerType: (args) => withArgs(args, ({ skillType }) => `Invalid power type ${skillType}`, "Invalid power type"),
+        InvalidRarity: ({ rarity }) => `Invalid rarity ${rarity}`,
+        InvalidSkillCount: () => "Invalid number of skills",
+        MaxActiveSkillsReached: (args) => withArgs(args, ({ max }) => `You already have the maximum of ${max} active skills`, "Maximum number of active skills reached"),
+        NotSkillOwner: () => "You do not own this skill",
+        SkillAlreadyExpired: ({ expiresAt }) => `This skill expired at ${expiresAt}`,
+        SkillIsActive: () => "This skill is active",
+        SkillNotActive: () => "This skill is not active",
+        SkillNotExpired: ({ expiresAt }) => `This skill does not expire until ${expiresAt}`,
+        SkillNotExpiredYet: ({ expiryTime }) => `This skill does not expire until ${expiryTime}`,
+        SkillNotFound: ({ skillId }) => `Skill ${skillId} not found`,
+        SkillNotInList: ({ skillId }) => `Skill ${skillId} is not in the list`,
+        SkillNFTNotFound: () => "Skill NFT not found",
+        CannotTransferActiveSkill: () => "Deactivate the skill before transferring it",
+        StakingNotificationFailed: ({ skillId }) => `Staking contract rejected the update for skill ${skillId}`,
+        CoreContractNotSet: () => "The staking contract is not configured",
+        DuplicatePowerType: () => "Duplicate power type",
+        PowerTypeAlreadyActiveDuplicate: ({ skillType }) => `A power of type ${skillType} is already active`,
+        // Quests, gamification and collaborator rewards
+        QuestNotFound: () => "Quest not found",
+        QuestNotActive: () => "This quest is not active",
+        QuestNotStarted: () => "This quest has not started yet",
+        QuestExpired: () => "This quest has expired",
+        QuestAlreadyCompleted: () => "You already completed this quest",
+        QuestMaxCompletions: () => "This quest reached its completion limit",
+        QuestDurationTooLong: () => "Quest duration is too long",
+        AlreadyCompleted: () => "You already completed this quest",
+        CompletionLimitReached: () => "This quest reached its completion limit",
+        RequirementNotMet: () => "You do not meet the quest requirement yet",
+        InvalidRequirement: () => "Invalid quest requirement",
+        InvalidXPReward: () => "Invalid XP reward",
+        NotQuestAdmin: () => "Only a quest admin can do this",
+        AlreadyDone: () => "Already done",
+        BatchSizeInvalid: () => "Invalid batch size",
+        InvalidBatchSize: () => "Invalid batch size",
+        InvalidParam: () => "Invalid parameter",
+        InvalidTimestamp: () => "Invalid timestamp",
+        NoReward: () => "There is no reward to claim",
+        NoPendingRewards: () => "There are no pending rewards",
+        OnlyCore: () => "Only the staking contract can call this function",
+        BadgeManagerNotSet: () => "The badge manager is not configured",
+        ExceedsMaxBalance: () => "Amount exceeds the maximum balance",
+        ExceedsMaxPendingRewards: () => "Amount exceeds the maximum pending rewards",
+        ExceedsMaxReward: () => "Amount exceeds the maximum reward"
+    }),
+    es: Object.freeze({
+        // Compartidos
+        InvalidAddress: () => "Dirección inválida",
+        InsufficientBalance: () => "El contrato no tiene saldo suficiente",
+        TransferFailed: () => "La transferencia falló",
+        NotAuthorized: () => "No tienes autorización para hacer esto",
+        NotOwner: () => "Solo el propietario puede hacer esto",
+        InvalidMetadata: () => "Metadatos inválidos",
+        InvalidDuration: () => "Duración inválida",
+        // SmartStaking
+        OnlyMarketplace: () => "Solo un marketplace autorizado puede llamar a esta función",
+        DepositTooLow: ({ provided, minimum }) => `El depósito de ${provided} wei está por debajo del mínimo de ${minimum} wei`,
+        DepositTooHigh: ({ provided, maximum }) => `El depósito de ${provided} wei supera el máximo de ${maximum} wei`,
+        MaxDepositsReached: ({ maxDeposits }) => `La cuenta ya tiene el máximo de ${maxDeposits} depósitos`,
+        ContractIsMigrated: () => "El contrato de staking fue migrado; usa el contrato nuevo",
+        NoRewardsAvailable: () => "Todavía no hay recompensas para reclamar",
+        NoDepositsFound: () => "No hay ningún depósito en ese índice",
+        InvalidLockupDuration: () => "Periodo de bloqueo inválido; usa Flexible, 30, 90, 180 o 365 días",
+        FundsAreLocked: () => "Este depósito sigue bloqueado",
+        DailyWithdrawalLimitExceeded: ({ availableToWithdraw }) => `Límite diario de retiro alcanzado; hoy aún puedes retirar ${availableToWithdraw} wei`,
+        CommissionTransferFailed: ({ treasury }) => `Falló la transferencia de la comisión a la tesorería ${treasury}`,
+        ModuleNotSet: () => "Falta configurar un módulo de staking",
+        PowerDisabled: ({ powerType }) => `${skillName(powerType)} está desactivado`,
+        CircuitBreakerActive: () => "Los depósitos están pausados por el circuit breaker",
+        InvalidReinvestmentPercentage: () => "El porcentaje de reinversión debe estar entre 0 y 10000 bps",
+        BatchLengthMismatch: () => "El lote está vacío o sus listas tienen longitudes distintas",
+        BatchAmountMismatch: ({ sent, required }) => `El lote envió ${sent} wei pero los montos suman ${required} wei`,
+        AlreadyHasReferrer: () => "Esta cuenta ya tiene un referido",
+        ReferralBoostTooHigh: () => "El boost de referidos supera el máximo permitido",
+        AutoCompoundNotEnabled: () => "El auto-compound no está activado para esta cuenta",
+        DepositIndexOutOfBounds: ({ index, length }) => `El índice de depósito ${index} está fuera de rango (la cuenta tiene ${length} depósitos)`,
+        MigrationNotAllowed: () => "Solo los depósitos flexibles se pueden migrar a un bloqueo",
+        // Marketplace
+        InsufficientPayment: () => "El pago no cubre el precio",
+        InvalidPrice: (args) => withArgs(args, ({ expected, provided }) => `Precio inválido: se esperaban ${expected} wei y se recibieron ${provided} wei`, "Precio inválido"),
+        InvalidRoyalty: () => "La regalía supera el máximo permitido",
+        InvalidCount: () => "Cantidad inválida",
+        InvalidOffer: () => "Oferta inválida",
+        InvalidOfferId: () => "Oferta no encontrada",
+        InvalidOfferExpiry: () => "Vencimiento de la oferta inválido",
+        OfferExpired: () => "Esta oferta ha vencido",
+        NotOfferor: () => "Solo la cuenta que hizo la oferta puede hacer esto",
+        NotTokenOwner: () => "No eres el dueño de este token",
+        NotExists: () => "El token no existe",
+        TokenNotListed: () => "Este token no está a la venta",
+        AlreadyHasBadge: () => "Esta cuenta ya tiene la insignia",
+        BadgeSoulbound: () => "Las insignias no se pueden transferir",
+        NotBadge: () => "Este token no es una insignia",
+        RefundFailed: () => "Falló el reembolso al comprador",
+        SellerFailed: () => "Falló el pago al vendedor",
+        TreasuryFailed: () => "Falló el pago a la tesorería",
+        XPOverflow: () => "Se alcanzó el límite de XP",
+        InvalidCommentLength: () => "El comentario está vacío o es demasiado largo",
+        TooManyComments: () => "Este token tiene demasiados comentarios",
+        EmptyInitializationData: () => "Los datos de inicialización del proxy están vacíos",
+        InvalidImplementation: ({ implementation }) => `Implementación inválida ${implementation}`,
+        // Agentes y NuxPower
+        TokenNotFound: () => "Agente no encontrado",
+        WrongCategory: (args) => withArgs(args, ({ powerId, required, actual }) => `El poder ${powerId} requiere la categoría de agente ${required}; este agente es de la categoría ${actual}`, "Categoría de agente incorrecta"),
+        AlreadyFinalized: () => "Ya está finalizado",
+        AlreadyTriggered: () => "La alerta ya se disparó",
+        InvalidClient: () => "Cliente inválido",
+        InvalidWorkflow: () => "Flujo de trabajo inválido",
+        InvalidAlert: () => "Alerta inválida",
+        InvalidCampaign: () => "Campaña inválida",
+        InvalidTarget: () => "Objetivo inválido",
+        MaxClientsReached: () => "Se alcanzó el máximo de clientes",
+        MaxWorkflowsReached: () => "Se alcanzó el máximo de flujos de trabajo",
+        MaxAlertsReached: () => "Se alcanzó el máximo de alertas",
+        MaxCampaignsReached: () => "Se alcanzó el máximo de campañas",
+        MaxRulesReached: () => "Se alcanzó el máximo de reglas",
+        IncorrectPayment: ({ expected, sent }) => `Pago incorrecto: se esperaban ${expected} wei y se enviaron ${sent} wei`,
+        InvalidPowerId: ({ powerId }) => `Poder desconocido ${powerId}`,
+        MaxPowersReached: ({ tokenId, max }) => `El agente ${tokenId} ya tiene el máximo de ${max} poderes`,
+        PowerAlreadyEquipped: ({ tokenId, powerId }) => `El poder ${powerId} ya está equipado en el agente ${tokenId}`,
+        PowerNotActive: ({ powerId }) => `El poder ${powerId} no está activo`,
+        PowerNotEquipped: ({ tokenId, powerId }) => `El poder ${powerId} no está equipado en el agente ${tokenId}`,
+        WithdrawFailed: () => "El retiro falló",
+        InsufficientStakingBalance: ({ required, current }) => `Saldo en staking insuficiente: se requieren ${required} wei y tienes ${current} wei`,
+        InvalidLevel: ({ level }) => `Nivel inválido ${level}`,
+        InvalidPowerType: (args) => withArgs(args, ({ skillType }) => `Tipo de poder inválido ${skillType}`, "Tipo de poder inválido"),
+        InvalidRarity: ({ rarity }) => `Rareza inválida ${rarity}`,
+        InvalidSkillCount: () => "Cantidad de habilidades inválida",
+        MaxActiveSkillsReached: (args) => withArgs(args, ({ max }) => `Ya tienes el máximo de ${max} habilidades activas`, "Se alcanzó el máximo de habilidades activas"),
+        NotSkillOwner: () => "No eres el dueño de esta habilidad",
+        SkillAlreadyExpired: ({ expiresAt }) => `Esta habilidad venció en ${expiresAt}`,
+        SkillIsActive: () => "Esta habilidad está activa",
+        SkillNotActive: () => "Esta habilidad no está activa",
+        SkillNotExpired: ({ expiresAt }) => `Esta habilidad no vence hasta ${expiresAt}`,
+        SkillNotExpiredYet: ({ expiryTime }) => `Esta habilidad no vence hasta ${expiryTime}`,
+        SkillNotFound: ({ skillId }) => `Habilidad ${skillId} no encontrada`,
+        SkillNotInList: ({ skillId }) => `La habilidad ${skillId} no está en la lista`,
+        SkillNFTNotFound: () => "NFT de habilidad no encontrado",
+        CannotTransferActiveSkill: () => "Desactiva la habilidad antes de transferirla",
+        StakingNotificationFailed: ({ skillId }) => `El contrato de staking rechazó la actualización de la habilidad ${skillId}`,
+        CoreContractNotSet: () => "El contrato de staking no está configurado",
+        DuplicatePowerType: () => "Tipo de poder duplicado",
+        PowerTypeAlreadyActiveDuplicate: ({ skillType }) => `Ya hay un poder de tipo ${skillType} activo`,
+        // Misiones, gamificación y recompensas de colaboradores
+        QuestNotFound: () => "Misión no encontrada",
+        QuestNotActive: () => "Esta misión no está activa",
+        QuestNotStarted: () => "Esta misión todavía no empezó",
+        QuestExpired: () => "Esta misión ha vencido",
+        QuestAlreadyCompleted: () => "Ya completaste esta misión",
+        QuestMaxCompletions: () => "Esta misión alcanzó su límite de completados",
+        QuestDurationTooLong: () => "La duración de la misión es demasiado larga",
+        AlreadyCompleted: () => "Ya completaste esta misión",
+        CompletionLimitReached: () => "Esta misión alcanzó su límite de completados",
+        RequirementNotMet: () => "Todavía no cumples el requisito de la misión",
+        InvalidRequirement: () => "Requisito de misión inválido",
+        InvalidXPReward: () => "Recompensa de XP inválida",
+        NotQuestAdmin: () => "Solo un administrador de misiones puede hacer esto",
+        AlreadyDone: () => "Ya está hecho",
+        BatchSizeInvalid: () => "Tamaño de lote inválido",
+        InvalidBatchSize: () => "Tamaño de lote inválido",
+        InvalidParam: () => "Parámetro inválido",
+        InvalidTimestamp: () => "Marca de tiempo inválida",
+        NoReward: () => "No hay recompensa para reclamar",
+        NoPendingRewards: () => "No hay recompensas pendientes",
+        OnlyCore: () => "Solo el contrato de staking puede llamar a esta función",
+        BadgeManagerNotSet: () => "El gestor de insignias no está configurado",
+        ExceedsMaxBalance: () => "El monto supera el saldo máximo",
+        ExceedsMaxPendingRewards: () => "El monto supera el máximo de recompensas pendientes",
+        ExceedsMaxReward: () => "El monto supera la recompensa máxima"
+    })
+});
+// Solidity Panic(uint256) codes
+exports.PANIC_MESSAGES = Object.freeze({
+    en: Object.freeze({
+        0x01: "Assertion failed",
+        0x11: "Arithmetic overflow or underflow",
+        0x12: "Division or modulo by zero",
+        0x21: "Invalid enum value",
+        0x22: "Invalid storage byte array",
+        0x31: "pop() on an empty array",
+        0x32: "Array index out of bounds",
+        0x41: "Out of memory",
+        0x51: "Call to an uninitialized function"
+    }),
+    es: Object.freeze({
+        0x01: "Falló una aserción",
+        0x11: "Desbordamiento aritmético",
+        0x12: "División o módulo por cero",
+        0x21: "Valor de enum inválido",
+        0x22: "Array de bytes en storage inválido",
+        0x31: "pop() sobre un array vacío",
+        0x32: "Índice de array fuera de rango",
+        0x41: "Memoria agotada",
+        0x51: "Llamada a una función no inicializada"
+    })
+});
+// Used when the catalog has no entry for a revert
+exports.FALLBACK_MESSAGES = Object.freeze({
+    en: Object.freeze({
+        reverted: "Transaction reverted",
+        panic: (code) => `Panic 0x${code.toString(16)}`,
+        unknown: (selector) => `Unknown error ${selector}`
+    }),
+    es: Object.freeze({
+        reverted: "La transacción fue revertida",
+        panic: (code) => `Pánico 0x${code.toString(16)}`,
+        unknown: (selector) => `Error desconocido ${selector}`
+    })
+});
@@ -0,0 +1,151 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.polygonMainnet = exports.MarketplaceSocial = exports.SmartStakingPower = exports.SmartStakingRewards = exports.SmartStakingViewDashboard = exports.NuxTapTreasury = exports.NuxTapItemStore = exports.NuxTapAgentMarketplace = exports.NuxTapGame = exports.TreasuryManager = exports.MarketplaceStatistics = exports.MarketplaceView = exports.MarketplaceCore = exports.SmartStakingViewSkills = exports.SmartStakingViewStats = exports.SmartStakingViewCore = exports.SmartStakingCore = void 0;
+exports.toViemChain = toViemChain;
+exports.resolveChainId = resolveChainId;
+exports.createTreasuryClient = createTreasuryClient;
+exports.createStakingClients = createStakingClients;
+exports.createMarketplaceClients = createMarketplaceClients;
+exports.createNuxTapClients = createNuxTapClients;
+exports.createNuxchainClients = createNuxchainClients;
+exports.connectClients = connectClients;
+const viem_1 = require("viem");
+const actions_1 = require("viem/actions");
+const SmartStakingCore_js_1 = require("../abis/contracts/SmartStakingCore.cjs");
+Object.defineProperty(exports, "SmartStakingCore", { enumerable: true, get: function () { return SmartStakingCore_js_1.SmartStakingCore; } });
+const SmartStakingViewCore_js_1 = require("../abis/contracts/SmartStakingViewCore.cjs");
+Object.defineProperty(exports, "SmartStakingViewCore", { enumerable: true, get: function () { return SmartStakingViewCore_js_1.SmartStakingViewCore; } });
+const SmartStakingViewStats_js_1 = require("../abis/contracts/SmartStakingViewStats.cjs");
+Object.defineProperty(exports, "SmartStakingViewStats", { enumerable: true, get: function () { return SmartStakingViewStats_js_1.SmartStakingViewStats; } });
+const SmartStakingViewSkills_js_1 = require("../abis/contracts/SmartStakingViewSkills.cjs");
+Object.defineProperty(exports, "SmartStakingViewSkills", { enumerable: true, get: function () { return SmartStakingViewSkills_js_1.SmartStakingViewSkills; } });
+const MarketplaceCore_js_1 = require("../abis/contracts/MarketplaceCore.cjs");
+Object.defineProperty(exports, "MarketplaceCore", { enumerable: true, get: function () { return MarketplaceCore_js_1.MarketplaceCore; } });
+const MarketplaceView_js_1 = require("../abis/contracts/MarketplaceView.cjs");
+Object.defineProperty(exports, "MarketplaceView", { enumerable: true, get: function () { return MarketplaceView_js_1.MarketplaceView; } });
+const MarketplaceStatistics_js_1 = require("../abis/contracts/MarketplaceStatistics.cjs");
+Object.defineProperty(exports, "MarketplaceStatistics", { enumerable: true, get: function () { return MarketplaceStatistics_js_1.MarketplaceStatistics; } });
+const TreasuryManager_js_1 = require("../abis/contracts/TreasuryManager.cjs");
+Object.defineProperty(exports, "TreasuryManager", { enumerable: true, get: function () { return TreasuryManager_js_1.TreasuryManager; } });
+const NuxTapGame_js_1 = require("../abis/contracts/NuxTapGame.cjs");
+Object.defineProperty(exports, "NuxTapGame", { enumerable: true, get: function () { return NuxTapGame_js_1.NuxTapGame; } });
+const NuxTapAgentMarketplace_js_1 = require("../abis/contracts/NuxTapAgentMarketplace.cjs");
+Object.defineProperty(exports, "NuxTapAgentMarketplace", { enumerable: true, get: function () { return NuxTapAgentMarketplace_js_1.NuxTapAgentMarketplace; } });
+const NuxTapItemStore_js_1 = require("../abis/contracts/NuxTapItemStore.cjs");
+Object.defineProperty(exports, "NuxTapItemStore", { enumerable: true, get: function () { return NuxTapItemStore_js_1.NuxTapItemStore; } });
+const NuxTapTreasury_js_1 = require("../abis/contracts/NuxTapTreasury.cjs");
+Object.defineProperty(exports, "NuxTapTreasury", { enumerable: true, get: function () { return NuxTapTreasury_js_1.NuxTapTreasury; } });
+const index_js_1 = require("../config/index.cjs");
+var SmartStakingViewDashboard_js_1 = require("../abis/contracts/SmartStakingViewDashboard.cjs");
+Object.defineProperty(exports, "SmartStakingViewDashboard", { enumerable: true, get: function () { return SmartStakingViewDashboard_js_1.SmartStakingViewDashboard; } });
+var SmartStakingRewards_js_1 = require("../abis/contracts/SmartStakingRewards.cjs");
+Object.defineProperty(exports, "SmartStakingRewards", { enumerable: true, get: function () { return SmartStakingRewards_js_1.SmartStakingRewards; } });
+var SmartStakingPower_js_1 = require("../abis/contracts/SmartStakingPower.cjs");
+Object.defineProperty(exports, "SmartStakingPower", { enumerable: true, get: function () { return SmartStakingPower_js_1.SmartStakingPower; } });
+var MarketplaceSocial_js_1 = require("../abis/contracts/MarketplaceSocial.cjs");
+Object.defineProperty(exports, "MarketplaceSocial", { enumerable: true, get: function () { return MarketplaceSocial_js_1.MarketplaceSocial; } });
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+/**
+ * Converts `wallet_addEthereumChain` parameters (the shape of
+ * POLYGON_MAINNET) into a viem chain
+ */
+function toViemChain(params) {
+    const [explorer] = params.blockExplorerUrls ?? [];
+    return (0, viem_1.defineChain)({
+        id: Number(params.chainId),
+        name: params.chainName,
+        nativeCurrency: { ...params.nativeCurrency },
+        rpcUrls: { default: { http: [...params.rpcUrls] } },
+        blockExplorers: explorer ? { default: { name: new URL(explorer).hostname, url: explorer } } : undefined,
+        contracts: { multicall3: { address: MULTICALL3_ADDRESS } }
+    });
+}
+/** Polygon mainnet as a viem chain, built from POLYGON_MAINNET */
+exports.polygonMainnet = toViemChain(index_js_1.POLYGON_MAINNET);
+function requireAddress(value, label) {
+    if (!value) {
+        throw new Error(`Missing ${label} address in contract config`);
+    }
+    return value;
+}
+// `client` is a viem Client or `{ public, wallet }`, as getContract() accepts
+function clientTarget(client) {
+    const target = "uid" in client ? client : client.public ?? client.wallet;
+    if (!target) {
+        throw new Error("Cannot detect network: no public or wallet client");
+    }
+    return target;
+}
+// Factories take an address map, a chainId to look one up, or nothing to use
+// the book of the client's chain. A chainId must match the client's chain.
+function resolveAddresses(client, addresses, factory) {
+    const chainId = clientTarget(client).chain?.id;
+    if (addresses === undefined || addresses === null) {
+        if (chainId === undefined) {
+            throw new Error(`${factory} needs a chainId or an address map when the client has no chain`);
+        }
+        return (0, index_js_1.getContractAddresses)(chainId);
+    }
+    if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+        const book = (0, index_js_1.getContractAddresses)(addresses);
+        if (chainId !== undefined && chainId !== Number(addresses)) {
+            throw (0, index_js_1.isSupportedChain)(chainId) ? new index_js_1.ChainMismatchError(Number(addresses), chainId) : new index_js_1.UnsupportedChainError(chainId);
+        }
+        return book;
+    }
+    return addresses;
+}
+async function resolveChainId(client) {
+    const target = clientTarget(client);
+    return target.chain?.id ?? (0, actions_1.getChainId)(target);
+}
+function createTreasuryClient(client, addresses) {
+    const book = resolveAddresses(client, addresses, "createTreasuryClient");
+    return (0, viem_1.getContract)({ address: book.TreasuryManager, abi: TreasuryManager_js_1.TreasuryManager, client });
+}
+function createStakingClients(client, addresses) {
+    const book = resolveAddresses(client, addresses, "createStakingClients");
+    return {
+        stakingCore: (0, viem_1.getContract)({ address: book.StakingCore, abi: SmartStakingCore_js_1.SmartStakingCore, client }),
+        stakingViewCore: (0, viem_1.getContract)({ address: book.StakingViewCore, abi: SmartStakingViewCore_js_1.SmartStakingViewCore, client }),
+        stakingViewStats: (0, viem_1.getContract)({ address: book.StakingViewStats, abi: SmartStakingViewStats_js_1.SmartStakingViewStats, client }),
+        stakingViewSkills: (0, viem_1.getContract)({ address: book.StakingViewSkills, abi: SmartStakingViewSkills_js_1.SmartStakingViewSkills, client })
+    };
+}
+function createMarketplaceClients(client, addresses) {
+    const book = resolveAddresses(client, addresses, "createMarketplaceClients");
+    return {
+        marketplaceCore: (0, viem_1.getContract)({ address: book.MarketplaceProxy, abi: MarketplaceCore_js_1.MarketplaceCore, client }),
+        marketplaceView: (0, viem_1.getContract)({ address: book.MarketplaceView, abi: MarketplaceView_js_1.MarketplaceView, client }),
+        marketplaceStatistics: (0, viem_1.getContract)({ address: book.MarketplaceStatistics, abi: MarketplaceStatistics_js_1.MarketplaceStatistics, client })
+    };
+}
+function createNuxTapClients(client, addresses) {
+    const book = resolveAddresses(client, addresses, "createNuxTapClients");
+    return {
+        nuxTapGame: (0, viem_1.getContract)({ address: requireAddress(book.NuxTapGame, "NuxTapGame"), abi: NuxTapGame_js_1.NuxTapGame, client }),
+        nuxTapAgentMarketplace: (0, viem_1.getContract)({
+            address: requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace"),
+            abi: NuxTapAgentMarketplace_js_1.NuxTapAgentMarketplace,
+            client
+        }),
+        nuxTapStore: (0, viem_1.getContract)({ address: requireAddress(book.NuxTapStore, "NuxTapStore"), abi: NuxTapItemStore_js_1.NuxTapItemStore, client }),
+        nuxTapTreasury: (0, viem_1.getContract)({ address: requireAddress(book.NuxTapTreasury, "NuxTapTreasury"), abi: NuxTapTreasury_js_1.NuxTapTreasury, client })
+    };
+}
+function createNuxchainClients(client, addresses) {
+    const book = resolveAddresses(client, addresses, "createNuxchainClients");
+    return {
+        ...createStakingClients(client, book),
+        ...createMarketplaceClients(client, book),
+        treasuryManager: createTreasuryClient(client, book)
+    };
+}
+/**
+ * Builds clients against the address book of the client's chain.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+async function connectClients(client) {
+    const { addresses } = (0, index_js_1.getAddressBook)(await resolveChainId(client));
+    return createNuxchainClients(client, addresses);
+}
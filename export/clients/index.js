@@ -1,20 +1,26 @@
 import { Contract } from "ethers";
 
+import { SmartStakingCore } from "../abis/contracts/SmartStakingCore.js";
+import { SmartStakingViewCore } from "../abis/contracts/SmartStakingViewCore.js";
+import { SmartStakingViewStats } from "../abis/contracts/SmartStakingViewStats.js";
+import { SmartStakingViewSkills } from "../abis/contracts/SmartStakingViewSkills.js";
+import { MarketplaceCore } from "../abis/contracts/MarketplaceCore.js";
+import { MarketplaceView } from "../abis/contracts/MarketplaceView.js";
+import { MarketplaceStatistics } from "../abis/contracts/MarketplaceStatistics.js";
+import { TreasuryManager } from "../abis/contracts/TreasuryManager.js";
+import { NuxTapGame } from "../abis/contracts/NuxTapGame.js";
+import { NuxTapAgentMarketplace } from "../abis/contracts/NuxTapAgentMarketplace.js";
+import { NuxTapItemStore } from "../abis/contracts/NuxTapItemStore.js";
+import { NuxTapTreasury } from "../abis/contracts/NuxTapTreasury.js";
 import {
-  SmartStakingCore,
-  SmartStakingViewCore,
-  SmartStakingViewStats,
-  SmartStakingViewSkills,
-  MarketplaceCore,
-  MarketplaceView,
-  MarketplaceStatistics,
-  TreasuryManager,
-  NuxTapGame,
-  NuxTapAgentMarketplace,
-  NuxTapItemStore,
-  NuxTapTreasury
-} from "../abis/runtime.js";
-import { CONTRACT_ADDRESSES } from "../config/index.js";
+  CONTRACT_ADDRESSES,
+  ChainMismatchError,
+  UnsupportedChainError,
+  getAddressBook,
+  getContractAddresses,
+  isSupportedChain
+} from "../config/index.js";
+import { withErrorDecoding } from "../errors/index.js";
 
 function requireAddress(value, label) {
   if (!value) {
@@ -24,45 +30,152 @@ function requireAddress(value, label) {
   return value;
 }
 
-export function createTreasuryClient(runner, addresses = CONTRACT_ADDRESSES) {
-  return new Contract(addresses.TreasuryManager, TreasuryManager, runner);
+// Factories accept an address map or a chainId to look one up. Only the
+// chainId form knows which network the addresses belong to, so only it checks.
+function resolveAddresses(addresses) {
+  if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+    return { addresses: getContractAddresses(addresses), chainId: Number(addresses) };
+  }
+
+  return { addresses, chainId: null };
+}
+
+async function assertChain(runner, chainId) {
+  const actual = await resolveChainId(runner);
+  if (actual === chainId) return;
+
+  throw isSupportedChain(actual) ? new ChainMismatchError(chainId, actual) : new UnsupportedChainError(actual);
+}
+
+// Method calls first check, once per contract, that the runner is on the
+// chain the addresses were taken from
+function withChainCheck(contract, chainId) {
+  let checked = null;
+  const check = () => (checked ??= assertChain(contract.runner, chainId).catch((error) => {
+    checked = null;
+    throw error;
+  }));
+  const guard = (call) => async (...args) => {
+    await check();
+    return call(...args);
+  };
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+
+      if (typeof value !== "function") return value;
+      if (typeof value.staticCall === "function") {
+        const method = guard(value);
+        for (const key of ["staticCall", "staticCallResult", "send", "estimateGas"]) {
+          method[key] = guard(value[key]);
+        }
+        for (const key of ["name", "fragment", "getFragment", "populateTransaction"]) {
+          Object.defineProperty(method, key, { get: () => value[key], configurable: true });
+        }
+        return method;
+      }
+      if (prop === "connect") {
+        return (runner) => withChainCheck(target.connect(runner), chainId);
+      }
+      return value.bind(target);
+    }
+  });
+}
+
+// With a chainId, calls check the runner's network; with `decodeErrors`,
+// method calls rethrow reverts as ProtocolError
+function connectContract(address, abi, runner, contractName, chainId, options) {
+  let contract = new Contract(address, abi, runner);
+  if (chainId !== null) contract = withChainCheck(contract, chainId);
+  if (!options.decodeErrors) return contract;
+
+  return withErrorDecoding(contract, { contractName, locale: options.locale, messages: options.messages });
+}
+
+export async function resolveChainId(runner) {
+  const provider = typeof runner?.getNetwork === "function" ? runner : runner?.provider;
+
+  if (!provider || typeof provider.getNetwork !== "function") {
+    throw new Error("Cannot detect network: contract runner has no provider");
+  }
+
+  const { chainId } = await provider.getNetwork();
+  return Number(chainId);
+}
+
+export async function resolveAddressBook(runner) {
+  return getAddressBook(await resolveChainId(runner));
+}
+
+export function createTreasuryClient(runner, addresses = CONTRACT_ADDRESSES, options = {}) {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
+  return connectContract(book.TreasuryManager, TreasuryManager, runner, "TreasuryManager", chainId, options);
 }
 
-export function createStakingClients(runner, addresses = CONTRACT_ADDRESSES) {
+export function createStakingClients(runner, addresses = CONTRACT_ADDRESSES, options = {}) {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
   return {
-    stakingCore: new Contract(addresses.StakingCore, SmartStakingCore, runner),
-    stakingViewCore: new Contract(addresses.StakingViewCore, SmartStakingViewCore, runner),
-    stakingViewStats: new Contract(addresses.StakingViewStats, SmartStakingViewStats, runner),
-    stakingViewSkills: new Contract(addresses.StakingViewSkills, SmartStakingViewSkills, runner)
+    stakingCore: connectContract(book.StakingCore, SmartStakingCore, runner, "SmartStakingCore", chainId, options),
+    stakingViewCore: connectContract(book.StakingViewCore, SmartStakingViewCore, runner, "SmartStakingViewCore", chainId, options),
+    stakingViewStats: connectContract(book.StakingViewStats, SmartStakingViewStats, runner, "SmartStakingViewStats", chainId, options),
+    stakingViewSkills: connectContract(book.StakingViewSkills, SmartStakingViewSkills, runner, "SmartStakingViewSkills", chainId, options)
   };
 }
 
-export function createMarketplaceClients(runner, addresses = CONTRACT_ADDRESSES) {
+export function createMarketplaceClients(runner, addresses = CONTRACT_ADDRESSES, options = {}) {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
   return {
-    marketplaceCore: new Contract(addresses.MarketplaceProxy, MarketplaceCore, runner),
-    marketplaceView: new Contract(addresses.MarketplaceView, MarketplaceView, runner),
-    marketplaceStatistics: new Contract(addresses.MarketplaceStatistics, MarketplaceStatistics, runner)
+    marketplaceCore: connectContract(book.MarketplaceProxy, MarketplaceCore, runner, "MarketplaceCore", chainId, options),
+    marketplaceView: connectContract(book.MarketplaceView, MarketplaceView, runner, "MarketplaceView", chainId, options),
+    marketplaceStatistics: connectContract(book.MarketplaceStatistics, MarketplaceStatistics, runner, "MarketplaceStatistics", chainId, options)
   };
 }
 
-export function createNuxTapClients(runner, addresses = CONTRACT_ADDRESSES) {
-  const nuxTapGameAddress = requireAddress(addresses.NuxTapGame, "NuxTapGame");
-  const nuxTapAgentMarketplaceAddress = requireAddress(addresses.NuxTapAgentMarketplace, "NuxTapAgentMarketplace");
-  const nuxTapStoreAddress = requireAddress(addresses.NuxTapStore, "NuxTapStore");
-  const nuxTapTreasuryAddress = requireAddress(addresses.NuxTapTreasury, "NuxTapTreasury");
+export function createNuxTapClients(runner, addresses = CONTRACT_ADDRESSES, options = {}) {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
+
+  const nuxTapGameAddress = requireAddress(book.NuxTapGame, "NuxTapGame");
+  const nuxTapAgentMarketplaceAddress = requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace");
+  const nuxTapStoreAddress = requireAddress(book.NuxTapStore, "NuxTapStore");
+  const nuxTapTreasuryAddress = requireAddress(book.NuxTapTreasury, "NuxTapTreasury");
 
   return {
-    nuxTapGame: new Contract(nuxTapGameAddress, NuxTapGame, runner),
-    nuxTapAgentMarketplace: new Contract(nuxTapAgentMarketplaceAddress, NuxTapAgentMarketplace, runner),
-    nuxTapStore: new Contract(nuxTapStoreAddress, NuxTapItemStore, runner),
-    nuxTapTreasury: new Contract(nuxTapTreasuryAddress, NuxTapTreasury, runner)
+    nuxTapGame: connectContract(nuxTapGameAddress, NuxTapGame, runner, "NuxTapGame", chainId, options),
+    nuxTapAgentMarketplace: connectContract(nuxTapAgentMarketplaceAddress, NuxTapAgentMarketplace, runner, "NuxTapAgentMarketplace", chainId, options),
+    nuxTapStore: connectContract(nuxTapStoreAddress, NuxTapItemStore, runner, "NuxTapItemStore", chainId, options),
+    nuxTapTreasury: connectContract(nuxTapTreasuryAddress, NuxTapTreasury, runner, "NuxTapTreasury", chainId, options)
   };
 }
 
-export function createNuxchainClients(runner, addresses = CONTRACT_ADDRESSES) {
+export function createNuxchainClients(runner, addresses = CONTRACT_ADDRESSES, options = {}) {
   return {
-    ...createStakingClients(runner, addresses),
-    ...createMarketplaceClients(runner, addresses),
-    treasuryManager: createTreasuryClient(runner, addresses)
+    ...createStakingClients(runner, addresses, options),
+    ...createMarketplaceClients(runner, addresses, options),
+    treasuryManager: createTreasuryClient(runner, addresses, options)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Builds clients against the address book of the runner's current network.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+export async function connectClients(runner, factory = createNuxchainClients, options = {}) {
+  const { addresses } = await resolveAddressBook(runner);
+  return factory(runner, addresses, options);
+}
+
+export {
+  StakingService,
+  StakingError,
+  decodeStakingError,
+  getLockupPeriod,
+  lockupPeriodForDuration
+} from "./staking.js";
+
+export {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  multicall,
+  multicallValues
+} from "./multicall.js";
@@ -1,42 +1,81 @@
-import { Contract, type ContractRunner } from "ethers";
+import { Contract, type BaseContract, type ContractRunner, type InterfaceAbi, type Provider } from "ethers";
 
-import {
-  SmartStakingCore,
-  SmartStakingViewCore,
-  SmartStakingViewStats,
-  SmartStakingViewSkills,
-  MarketplaceCore,
-  MarketplaceView,
-  MarketplaceStatistics,
-  TreasuryManager,
-  NuxTapGame,
-  NuxTapAgentMarketplace,
-  NuxTapItemStore,
-  NuxTapTreasury
-} from "../abis";
+import { SmartStakingCore } from "../abis/contracts/SmartStakingCore";
+import { SmartStakingViewCore } from "../abis/contracts/SmartStakingViewCore";
+import { SmartStakingViewStats } from "../abis/contracts/SmartStakingViewStats";
+import { SmartStakingViewSkills } from "../abis/contracts/SmartStakingViewSkills";
+import { MarketplaceCore } from "../abis/contracts/MarketplaceCore";
+import { MarketplaceView } from "../abis/contracts/MarketplaceView";
+import { MarketplaceStatistics } from "../abis/contracts/MarketplaceStatistics";
+import { TreasuryManager } from "../abis/contracts/TreasuryManager";
+import { NuxTapGame } from "../abis/contracts/NuxTapGame";
+import { NuxTapAgentMarketplace } from "../abis/contracts/NuxTapAgentMarketplace";
+import { NuxTapItemStore } from "../abis/contracts/NuxTapItemStore";
+import { NuxTapTreasury } from "../abis/contracts/NuxTapTreasury";
 import {
   CONTRACT_ADDRESSES,
+  ChainMismatchError,
+  UnsupportedChainError,
+  getAddressBook,
+  getContractAddresses,
+  isSupportedChain,
+  type AddressBook,
+  type ChainIdLike,
   type GeneratedContractAddresses
 } from "../config";
+import { withErrorDecoding, type Locale, type MessageCatalog } from "../errors";
+import type {
+  SmartStakingCore as SmartStakingCoreContract,
+  SmartStakingViewCore as SmartStakingViewCoreContract,
+  SmartStakingViewStats as SmartStakingViewStatsContract,
+  SmartStakingViewSkills as SmartStakingViewSkillsContract,
+  MarketplaceCore as MarketplaceCoreContract,
+  MarketplaceView as MarketplaceViewContract,
+  MarketplaceStatistics as MarketplaceStatisticsContract,
+  TreasuryManager as TreasuryManagerContract,
+  NuxTapGame as NuxTapGameContract,
+  NuxTapAgentMarketplace as NuxTapAgentMarketplaceContract,
+  NuxTapItemStore as NuxTapItemStoreContract,
+  NuxTapTreasury as NuxTapTreasuryContract
+} from "../types";
+
+export interface StakingClients {
+  stakingCore: SmartStakingCoreContract;
+  stakingViewCore: SmartStakingViewCoreContract;
+  stakingViewStats: SmartStakingViewStatsContract;
+  stakingViewSkills: SmartStakingViewSkillsContract;
+}
 
-export interface NuxchainCoreClients {
-  stakingCore: Contract;
-  stakingViewCore: Contract;
-  stakingViewStats: Contract;
-  stakingViewSkills: Contract;
-  marketplaceCore: Contract;
-  marketplaceView: Contract;
-  marketplaceStatistics: Contract;
-  treasuryManager: Contract;
+export interface MarketplaceClients {
+  marketplaceCore: MarketplaceCoreContract;
+  marketplaceView: MarketplaceViewContract;
+  marketplaceStatistics: MarketplaceStatisticsContract;
+}
+
+// Typed with the TypeChain bindings from @nuxchain/protocol-export/types
+export interface NuxchainCoreClients extends StakingClients, MarketplaceClients {
+  treasuryManager: TreasuryManagerContract;
 }
 
 export interface NuxTapClients {
-  nuxTapGame: Contract;
-  nuxTapAgentMarketplace: Contract;
-  nuxTapStore: Contract;
-  nuxTapTreasury: Contract;
+  nuxTapGame: NuxTapGameContract;
+  nuxTapAgentMarketplace: NuxTapAgentMarketplaceContract;
+  nuxTapStore: NuxTapItemStoreContract;
+  nuxTapTreasury: NuxTapTreasuryContract;
 }
 
+/** An address map, or a chainId whose generated address book should be used. */
+export type AddressSource = GeneratedContractAddresses | ChainIdLike;
+
+export interface ClientOptions {
+  /** Rethrow reverts from method calls as ProtocolError */
+  decodeErrors?: boolean;
+  locale?: Locale;
+  messages?: MessageCatalog;
+}
+
+export type ClientFactory<T> = (runner: ContractRunner, addresses: GeneratedContractAddresses, options?: ClientOptions) => T;
+
 function requireAddress(value: string | undefined, label: string): string {
   if (!value) {
     throw new Error(`Missing ${label} address in contract config`);
@@ -45,63 +84,208 @@ function requireAddress(value: string | undefined, label: string): string {
   return value;
 }
 
+// Only a chainId says which network the addresses belong to, so only it is checked
+function resolveAddresses(addresses: AddressSource): { addresses: GeneratedContractAddresses; chainId: number | null } {
+  if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+    return { addresses: getContractAddresses(addresses), chainId: Number(addresses) };
+  }
+
+  return { addresses, chainId: null };
+}
+
+async function assertChain(runner: ContractRunner | null, chainId: number): Promise<void> {
+  if (!runner) {
+    throw new Error("Cannot detect network: contract has no runner");
+  }
+
+  const actual = await resolveChainId(runner);
+  if (actual === chainId) return;
+
+  throw isSupportedChain(actual) ? new ChainMismatchError(chainId, actual) : new UnsupportedChainError(actual);
+}
+
+type ContractCall = (...args: unknown[]) => Promise<unknown>;
+
+// Method calls first check, once per contract, that the runner is on the
+// chain the addresses were taken from
+function withChainCheck<T extends BaseContract>(contract: T, chainId: number): T {
+  let checked: Promise<void> | null = null;
+  const check = () => (checked ??= assertChain(contract.runner, chainId).catch((error: unknown) => {
+    checked = null;
+    throw error;
+  }));
+  const guard = (call: ContractCall): ContractCall => async (...args) => {
+    await check();
+    return call(...args);
+  };
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target) as unknown;
+
+      if (typeof value !== "function") return value;
+      const method = value as ContractCall & Record<string, unknown>;
+      if (typeof method.staticCall === "function") {
+        const wrapped = guard(method) as ContractCall & Record<string, unknown>;
+        for (const key of ["staticCall", "staticCallResult", "send", "estimateGas"]) {
+          wrapped[key] = guard(method[key] as ContractCall);
+        }
+        for (const key of ["name", "fragment", "getFragment", "populateTransaction"]) {
+          Object.defineProperty(wrapped, key, { get: () => method[key], configurable: true });
+        }
+        return wrapped;
+      }
+      if (prop === "connect") {
+        return (runner: ContractRunner | null) => withChainCheck(target.connect(runner) as T, chainId);
+      }
+      return method.bind(target);
+    }
+  });
+}
+
+// The TypeChain interface describes the same methods a Contract built from the ABI exposes.
+// With a chainId, calls check the runner's network; with `decodeErrors`, reverts become ProtocolError
+function connectContract<T extends BaseContract>(
+  address: string,
+  abi: InterfaceAbi,
+  runner: ContractRunner,
+  contractName: string,
+  chainId: number | null,
+  options: ClientOptions
+): T {
+  let contract = new Contract(address, abi, runner);
+  if (chainId !== null) contract = withChainCheck(contract, chainId);
+  if (!options.decodeErrors) return contract as unknown as T;
+
+  return withErrorDecoding(contract, { contractName, locale: options.locale, messages: options.messages }) as unknown as T;
+}
+
+export async function resolveChainId(runner: ContractRunner | Provider): Promise<number> {
+  const provider = typeof (runner as Provider).getNetwork === "function"
+    ? (runner as Provider)
+    : runner.provider;
+
+  if (!provider || typeof provider.getNetwork !== "function") {
+    throw new Error("Cannot detect network: contract runner has no provider");
+  }
+
+  const { chainId } = await provider.getNetwork();
+  return Number(chainId);
+}
+
+export async function resolveAddressBook(runner: ContractRunner | Provider): Promise<AddressBook> {
+  return getAddressBook(await resolveChainId(runner));
+}
+
 export function createTreasuryClient(
   runner: ContractRunner,
-  addresses: GeneratedContractAddresses = CONTRACT_ADDRESSES
-): Contract {
-  return new Contract(addresses.TreasuryManager, TreasuryManager, runner);
+  addresses: AddressSource = CONTRACT_ADDRESSES,
+  options: ClientOptions = {}
+): TreasuryManagerContract {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
+  return connectContract(book.TreasuryManager, TreasuryManager, runner, "TreasuryManager", chainId, options);
 }
 
 export function createStakingClients(
   runner: ContractRunner,
-  addresses: GeneratedContractAddresses = CONTRACT_ADDRESSES
-) {
+  addresses: AddressSource = CONTRACT_ADDRESSES,
+  options: ClientOptions = {}
+): StakingClients {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
   return {
-    stakingCore: new Contract(addresses.StakingCore, SmartStakingCore, runner),
-    stakingViewCore: new Contract(addresses.StakingViewCore, SmartStakingViewCore, runner),
-    stakingViewStats: new Contract(addresses.StakingViewStats, SmartStakingViewStats, runner),
-    stakingViewSkills: new Contract(addresses.StakingViewSkills, SmartStakingViewSkills, runner)
+    stakingCore: connectContract(book.StakingCore, SmartStakingCore, runner, "SmartStakingCore", chainId, options),
+    stakingViewCore: connectContract(book.StakingViewCore, SmartStakingViewCore, runner, "SmartStakingViewCore", chainId, options),
+    stakingViewStats: connectContract(book.StakingViewStats, SmartStakingViewStats, runner, "SmartStakingViewStats", chainId, options),
+    stakingViewSkills: connectContract(book.StakingViewSkills, SmartStakingViewSkills, runner, "SmartStakingViewSkills", chainId, options)
   };
 }
 
 export function createMarketplaceClients(
   runner: ContractRunner,
-  addresses: GeneratedContractAddresses = CONTRACT_ADDRESSES
-) {
+  addresses: AddressSource = CONTRACT_ADDRESSES,
+  options: ClientOptions = {}
+): MarketplaceClients {
+  const { addresses: book, chainId } = resolveAddresses(addresses);
   return {
-    marketplaceCore: new Contract(addresses.MarketplaceProxy, MarketplaceCore, runner),
-    marketplaceView: new Contract(addresses.MarketplaceView, MarketplaceView, runner),
-    marketplaceStatistics: new Contract(addresses.MarketplaceStatistics, MarketplaceStatistics, runner)
+    marketplaceCore: connectContract(book.MarketplaceProxy, MarketplaceCore, runner, "MarketplaceCore", chainId, options),
+    marketplaceView: connectContract(book.MarketplaceView, MarketplaceView, runner, "MarketplaceView", chainId, options),
+    marketplaceStatistics: connectContract(book.MarketplaceStatistics, MarketplaceStatistics, runner, "MarketplaceStatistics", chainId, options)
   };
 }
 
 export function createNuxTapClients(
   runner: ContractRunner,
-  addresses: GeneratedContractAddresses = CONTRACT_ADDRESSES
+  addresses: AddressSource = CONTRACT_ADDRESSES,
+  options: ClientOptions = {}
 ): NuxTapClients {
-  const nuxTapGameAddress = requireAddress(addresses.NuxTapGame, "NuxTapGame");
-  const nuxTapAgentMarketplaceAddress = requireAddress(addresses.NuxTapAgentMarketplace, "NuxTapAgentMarketplace");
-  const nuxTapStoreAddress = requireAddress(addresses.NuxTapStore, "NuxTapStore");
-  const nuxTapTreasuryAddress = requireAddress(addresses.NuxTapTreasury, "NuxTapTreasury");
+  const { addresses: book, chainId } = resolveAddresses(addresses);
+
+  const nuxTapGameAddress = requireAddress(book.NuxTapGame, "NuxTapGame");
+  const nuxTapAgentMarketplaceAddress = requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace");
+  const nuxTapStoreAddress = requireAddress(book.NuxTapStore, "NuxTapStore");
+  const nuxTapTreasuryAddress = requireAddress(book.NuxTapTreasury, "NuxTapTreasury");
 
   return {
-    nuxTapGame: new Contract(nuxTapGameAddress, NuxTapGame, runner),
-    nuxTapAgentMarketplace: new Contract(nuxTapAgentMarketplaceAddress, NuxTapAgentMarketplace, runner),
-    nuxTapStore: new Contract(nuxTapStoreAddress, NuxTapItemStore, runner),
-    nuxTapTreasury: new Contract(nuxTapTreasuryAddress, NuxTapTreasury, runner)
+    nuxTapGame: connectContract(nuxTapGameAddress, NuxTapGame, runner, "NuxTapGame", chainId, options),
+    nuxTapAgentMarketplace: connectContract(nuxTapAgentMarketplaceAddress, NuxTapAgentMarketplace, runner, "NuxTapAgentMarketplace", chainId, options),
+    nuxTapStore: connectContract(nuxTapStoreAddress, NuxTapItemStore, runner, "NuxTapItemStore", chainId, options),
+    nuxTapTreasury: connectContract(nuxTapTreasuryAddress, NuxTapTreasury, runner, "NuxTapTreasury", chainId, options)
   };
 }
 
 export function createNuxchainClients(
   runner: ContractRunner,
-  addresses: GeneratedContractAddresses = CONTRACT_ADDRESSES
+  addresses: AddressSource = CONTRACT_ADDRESSES,
+  options: ClientOptions = {}
 ): NuxchainCoreClients {
-  const staking = createStakingClients(runner, addresses);
-  const marketplace = createMarketplaceClients(runner, addresses);
+  const staking = createStakingClients(runner, addresses, options);
+  const marketplace = createMarketplaceClients(runner, addresses, options);
 
   return {
     ...staking,
     ...marketplace,
-    treasuryManager: createTreasuryClient(runner, addresses)
+    treasuryManager: createTreasuryClient(runner, addresses, options)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Builds clients against the address book of the runner's current network.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+export async function connectClients(runner: ContractRunner): Promise<NuxchainCoreClients>;
+export async function connectClients<T>(runner: ContractRunner, factory: ClientFactory<T>, options?: ClientOptions): Promise<T>;
+export async function connectClients(
+  runner: ContractRunner,
+  factory: ClientFactory<unknown> = createNuxchainClients,
+  options: ClientOptions = {}
+): Promise<unknown> {
+  const { addresses } = await resolveAddressBook(runner);
+  return factory(runner, addresses, options);
+}
+
+export {
+  StakingService,
+  StakingError,
+  decodeStakingError,
+  getLockupPeriod,
+  lockupPeriodForDuration,
+  type LockupPeriod,
+  type StakingErrorCode,
+  type StakingSkill,
+  type StakingDeposit,
+  type StakingPosition,
+  type WithdrawPreview,
+  type ClaimableBreakdown,
+  type OnChainRewardsParams,
+  type StakingRewardsProjection
+} from "./staking";
+
+export {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  multicall,
+  multicallValues,
+  type MulticallCall,
+  type MulticallResult,
+  type MulticallOptions
+} from "./multicall";
@@ -0,0 +1,96 @@
+import { Contract } from "ethers";
+
+import { ProtocolError, decodeRevert } from "../errors/index.js";
+
+/** Multicall3 is deployed at this address on Polygon, Amoy and most EVM chains */
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getBlockNumber() view returns (uint256 blockNumber)"
+];
+
+const DEFAULT_BATCH_SIZE = 100;
+
+function prepareCall(call, allowFailure) {
+  const args = call.args ?? [];
+  const fragment = call.contract.interface.getFunction(call.method, [...args]);
+  if (!fragment) {
+    throw new Error(`Unknown method ${call.method} on ${call.contractName ?? "contract"}`);
+  }
+
+  return {
+    call,
+    fragment,
+    request: {
+      target: call.contract.target,
+      allowFailure: call.allowFailure ?? allowFailure,
+      callData: call.contract.interface.encodeFunctionData(fragment, [...args])
+    }
+  };
+}
+
+function decodeResult({ call, fragment }, [success, returnData], options) {
+  if (!success) {
+    const decoded = decodeRevert(returnData, { contract: call.contractName, locale: options.locale, messages: options.messages });
+    return { success: false, value: null, error: new ProtocolError(decoded) };
+  }
+
+  try {
+    const result = call.contract.interface.decodeFunctionResult(fragment, returnData);
+    return { success: true, value: fragment.outputs.length === 1 ? result[0] : result, error: null };
+  } catch (error) {
+    // An address without code "succeeds" with empty return data
+    return { success: false, value: null, error };
+  }
+}
+
+async function execute(runner, calls, options) {
+  const { multicallAddress = MULTICALL3_ADDRESS, batchSize = DEFAULT_BATCH_SIZE, allowFailure = true, blockTag } = options;
+  const multicall = new Contract(multicallAddress, MULTICALL3_ABI, runner);
+  const prepared = calls.map((call) => prepareCall(call, allowFailure));
+  const results = [];
+
+  // Sequential on purpose: parallel batches hit public RPC rate limits again
+  for (let start = 0; start < prepared.length; start += batchSize) {
+    const batch = prepared.slice(start, start + batchSize);
+    const responses = await multicall.aggregate3.staticCall(batch.map((p) => p.request), blockTag === undefined ? {} : { blockTag });
+    batch.forEach((p, i) => results.push(decodeResult(p, responses[i], options)));
+  }
+
+  return results;
+}
+
+/**
+ * Runs view calls on any protocol contracts through Multicall3 `aggregate3`,
+ * `batchSize` calls per RPC request. A reverting call yields a ProtocolError
+ * in its own result instead of failing the rest.
+ *
+ * Each call is {contract, method, args?, allowFailure?, contractName?} and
+ * each result {success, value, error}; `value` is unwrapped like a Contract
+ * method. Pass an array to get an array back, or an object of named calls
+ * to get the results under the same keys.
+ * @param {import("ethers").ContractRunner} runner
+ * @param {Array|Object} calls
+ * @param {Object} options - {multicallAddress, batchSize, allowFailure, blockTag, locale, messages}
+ */
+export async function multicall(runner, calls, options = {}) {
+  if (Array.isArray(calls)) return execute(runner, calls, options);
+
+  const keys = Object.keys(calls);
+  const results = await execute(runner, keys.map((key) => calls[key]), options);
+  return Object.fromEntries(keys.map((key, i) => [key, results[i]]));
+}
+
+/**
+ * multicall() that returns the values and throws the first failure
+ */
+export async function multicallValues(runner, calls, options = {}) {
+  const results = await multicall(runner, calls, options);
+  const entries = Object.entries(results);
+  const failed = entries.find(([, result]) => !result.success);
+  if (failed) throw failed[1].error;
+
+  const values = entries.map(([key, result]) => [key, result.value]);
+  return Array.isArray(calls) ? values.map(([, value]) => value) : Object.fromEntries(values);
+}
@@ -0,0 +1,159 @@
+import {
+  Contract,
+  type BaseContract,
+  type BlockTag,
+  type ContractRunner,
+  type FunctionFragment,
+  type Result
+} from "ethers";
+
+import { ProtocolError, decodeRevert, type Locale, type MessageCatalog } from "../errors";
+
+/** Multicall3 is deployed at this address on Polygon, Amoy and most EVM chains */
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getBlockNumber() view returns (uint256 blockNumber)"
+] as const;
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/** One view call: any client from createNuxchainClients() or a plain ethers Contract */
+export interface MulticallCall {
+  contract: BaseContract;
+  method: string;
+  args?: readonly unknown[];
+  /** Defaults to MulticallOptions.allowFailure */
+  allowFailure?: boolean;
+  /** Hint for decodeRevert() when the error selector is shared between contracts */
+  contractName?: string;
+}
+
+/**
+ * Outcome of one call. `value` is unwrapped like a Contract method: the single
+ * output, or the ethers Result for multiple outputs.
+ */
+export type MulticallResult<T = any> =
+  | { success: true; value: T; error: null }
+  | { success: false; value: null; error: ProtocolError | Error };
+
+export interface MulticallOptions {
+  /** Multicall3 deployment; defaults to MULTICALL3_ADDRESS */
+  multicallAddress?: string;
+  /** Calls per aggregate3 request */
+  batchSize?: number;
+  /** false makes a revert fail the whole batch instead of its own result */
+  allowFailure?: boolean;
+  blockTag?: BlockTag;
+  locale?: Locale;
+  messages?: MessageCatalog;
+}
+
+interface PreparedCall {
+  call: MulticallCall;
+  fragment: FunctionFragment;
+  request: { target: string; allowFailure: boolean; callData: string };
+}
+
+function prepareCall(call: MulticallCall, allowFailure: boolean): PreparedCall {
+  const args = call.args ?? [];
+  const fragment = call.contract.interface.getFunction(call.method, [...args]);
+  if (!fragment) {
+    throw new Error(`Unknown method ${call.method} on ${call.contractName ?? "contract"}`);
+  }
+
+  return {
+    call,
+    fragment,
+    request: {
+      target: call.contract.target as string,
+      allowFailure: call.allowFailure ?? allowFailure,
+      callData: call.contract.interface.encodeFunctionData(fragment, [...args])
+    }
+  };
+}
+
+function decodeResult(
+  { call, fragment }: PreparedCall,
+  [success, returnData]: [boolean, string],
+  options: MulticallOptions
+): MulticallResult {
+  if (!success) {
+    const decoded = decodeRevert(returnData, { contract: call.contractName, locale: options.locale, messages: options.messages });
+    return { success: false, value: null, error: new ProtocolError(decoded!) };
+  }
+
+  try {
+    const result: Result = call.contract.interface.decodeFunctionResult(fragment, returnData);
+    return { success: true, value: fragment.outputs.length === 1 ? result[0] : result, error: null };
+  } catch (error) {
+    // An address without code "succeeds" with empty return data
+    return { success: false, value: null, error: error as Error };
+  }
+}
+
+async function execute(runner: ContractRunner, calls: MulticallCall[], options: MulticallOptions): Promise<MulticallResult[]> {
+  const { multicallAddress = MULTICALL3_ADDRESS, batchSize = DEFAULT_BATCH_SIZE, allowFailure = true, blockTag } = options;
+  const multicall = new Contract(multicallAddress, MULTICALL3_ABI, runner);
+  const prepared = calls.map((call) => prepareCall(call, allowFailure));
+  const results: MulticallResult[] = [];
+
+  // Sequential on purpose: parallel batches hit public RPC rate limits again
+  for (let start = 0; start < prepared.length; start += batchSize) {
+    const batch = prepared.slice(start, start + batchSize);
+    const responses = await multicall.aggregate3.staticCall(batch.map((p) => p.request), blockTag === undefined ? {} : { blockTag });
+    batch.forEach((p, i) => results.push(decodeResult(p, responses[i], options)));
+  }
+
+  return results;
+}
+
+/**
+ * Runs view calls on any protocol contracts through Multicall3 `aggregate3`,
+ * `batchSize` calls per RPC request. A reverting call yields a ProtocolError
+ * in its own result instead of failing the rest.
+ *
+ * Pass an array to get an array back, or an object of named calls to get
+ * the results under the same keys.
+ */
+export async function multicall(runner: ContractRunner, calls: MulticallCall[], options?: MulticallOptions): Promise<MulticallResult[]>;
+export async function multicall<K extends string>(
+  runner: ContractRunner,
+  calls: Record<K, MulticallCall>,
+  options?: MulticallOptions
+): Promise<Record<K, MulticallResult>>;
+export async function multicall(
+  runner: ContractRunner,
+  calls: MulticallCall[] | Record<string, MulticallCall>,
+  options: MulticallOptions = {}
+): Promise<MulticallResult[] | Record<string, MulticallResult>> {
+  if (Array.isArray(calls)) return execute(runner, calls, options);
+
+  const keys = Object.keys(calls);
+  const results = await execute(runner, keys.map((key) => calls[key]), options);
+  return Object.fromEntries(keys.map((key, i) => [key, results[i]]));
+}
+
+/**
+ * multicall() that returns the values and throws the first failure
+ */
+export async function multicallValues(runner: ContractRunner, calls: MulticallCall[], options?: MulticallOptions): Promise<any[]>;
+export async function multicallValues<K extends string>(
+  runner: ContractRunner,
+  calls: Record<K, MulticallCall>,
+  options?: MulticallOptions
+): Promise<Record<K, any>>;
+export async function multicallValues(
+  runner: ContractRunner,
+  calls: MulticallCall[] | Record<string, MulticallCall>,
+  options: MulticallOptions = {}
+): Promise<any[] | Record<string, any>> {
+  const results = await multicall(runner, calls as Record<string, MulticallCall>, options);
+  const entries = Object.entries(results);
+  const failed = entries.find(([, result]) => !result.success);
+  if (failed) throw failed[1].error;
+
+  const values = entries.map(([key, result]) => [key, result.value] as const);
+  return Array.isArray(calls) ? values.map(([, value]) => value) : Object.fromEntries(values);
+}
@@ -5,6 +5,17 @@
  * Version: v6.3.0
  */
 
+import {
+  SkillType,
+  Rarity,
+  QuestType,
+  QuestCategory,
+  NuxTapItemKind,
+  ProtocolStatus,
+  TreasuryType,
+  type DepositDetails
+} from './solidity.generated';
+
 // ============================================
 // Contract Addresses Interface (19 contracts)
 // ============================================
@@ -88,65 +99,25 @@ export const WALLET_ADDRESSES = {
 };
 
 // ============================================
-// SkillType Enum — Staking Skills (v6.2.0)
-// Matches IStakingIntegration.SkillType
-// ============================================
-export enum SkillType {
-  STAKING_BOOST_I  = 0,
-  STAKING_BOOST_II = 1,
-  FEE_REDUCER_I    = 2,
-  FEE_REDUCER_II   = 3,
-  LOCK_REDUCER     = 4,
-  AUTO_COMPOUND    = 5
-}
-
-// ============================================
-// Rarity Enum
-// Matches IStakingIntegration.Rarity
-// ============================================
-export enum Rarity {
-  COMMON    = 0,
-  UNCOMMON  = 1,
-  RARE      = 2,
-  EPIC      = 3,
-  LEGENDARY = 4
-}
-
-// ============================================
-// QuestCore Enums
+// Enums and structs generated from the compiler AST
+// (scripts/ExportSolidityTypes.cjs)
 // ============================================
-export enum QuestType {
-  PURCHASE   = 0,
-  CREATE     = 1,
-  SOCIAL     = 2,
-  LEVEL_UP   = 3,
-  TRADING    = 4,
-  STAKE      = 5,
-  COMPOUND   = 6,
-  AGENT_TASK = 7
-}
-
-export enum QuestCategory {
-  MARKETPLACE = 0,
-  STAKING     = 1,
-  NFT_AGENT   = 2,
-  GENERAL     = 3
-}
+export {
+  SkillType,
+  Rarity,
+  QuestType,
+  QuestCategory,
+  NuxTapItemKind,
+  ProtocolStatus,
+  TreasuryType,
+  type DepositDetails
+};
+export type { NuxTapPlayerProfile, NuxTapLevelConfig, NuxTapItemConfig } from './solidity.generated';
 
 // ============================================
 // TypeScript Interfaces — Smart Staking
 // ============================================
 
-/** Single deposit details (SmartStakingCore) */
-export interface DepositDetails {
-  amount: bigint;
-  depositTime: number;
-  lastClaimTime: number;
-  lockupPeriodIndex: number;  // 0=30d, 1=60d, 2=90d, 3=180d
-  referrer: string;
-  reinvestmentPercentage: number; // bps
-}
-
 /** Full user position (getCompleteUserInfo) */
 export interface UserStakingInfo {
   deposits: DepositDetails[];
@@ -159,7 +130,7 @@ export interface UserStakingInfo {
 
 /** Staking rates / APY info */
 export interface StakingRatesInfo {
-  baseAPYs: bigint[];           // [30d, 60d, 90d, 180d] in basis points
+  baseAPYs: bigint[];           // [flexible, 30d, 90d, 180d, 365d] in basis points
   dynamicAPYs: bigint[];
   earlyExitFees: bigint[];      // bps per lockup
   lockupDurations: bigint[];    // seconds
@@ -167,7 +138,7 @@ export interface StakingRatesInfo {
 
 /** Pool health (ViewStats) */
 export interface PoolHealthStatus {
-  status: number;           // 0=HEALTHY, 1=WARNING, 2=CRITICAL, 3=CIRCUIT_BREAKER
+  status: number;           // ProtocolStatus: 0=HEALTHY, 1=UNSTABLE, 2=CRITICAL, 3=EMERGENCY
   contractBalance: bigint;
   totalPendingRewards: bigint;
   deficit: bigint;
@@ -284,31 +255,6 @@ export interface ReferralInfo {
 // TypeScript Interfaces — NuxTap
 // ============================================
 
-export interface NuxTapPlayerProfile {
-  totalScore: bigint;
-  lifetimeTaps: bigint;
-  totalSessions: bigint;
-  unclaimedRewards: bigint;
-  claimedRewards: bigint;
-  currentLevel: bigint;
-  currentStreak: bigint;
-  bestStreak: bigint;
-  autoTapRate: bigint;
-  boosterMultiplierBps: bigint;
-  boosterExpiresAt: bigint;
-  lastSettlementAt: bigint;
-  lastActiveDay: bigint;
-  dailyTapCount: bigint;
-  linkedNftContract: string;
-  linkedTokenId: bigint;
-}
-
-export interface NuxTapLevelConfig {
-  scoreRequired: bigint;
-  dailyTapCap: bigint;
-  rewardMultiplierBps: bigint;
-}
-
 export interface NuxTapLinkedAgent {
   nftContract: string;
   tokenId: bigint;
@@ -324,37 +270,6 @@ export interface NuxTapTreasuryStats {
   revenueReceived: bigint;
 }
 
-export enum NuxTapItemKind {
-  NONE = 0,
-  AUTO_TAP = 1,
-  BOOSTER = 2,
-  WITHDRAW_PASS = 3,
-  AGENT_NFT = 4
-}
-
-export interface NuxTapItemConfig {
-  kind: NuxTapItemKind;
-  price: bigint;
-  value: bigint;
-  duration: bigint;
-  stock: bigint;
-  active: boolean;
-  soulbound: boolean;
-  nftContract: string;
-}
-
-// ============================================
-// TypeScript Interfaces — Treasury
-// ============================================
-
-/** Protocol status (TreasuryManager) */
-export enum ProtocolStatus {
-  HEALTHY        = 0,
-  WARNING        = 1,
-  CRITICAL       = 2,
-  CIRCUIT_BREAKER = 3
-}
-
 // ============================================
 // TypeScript Interfaces — Transactions
 // ============================================
@@ -389,7 +304,7 @@ export const POLYGON_MAINNET = {
   },
   rpcUrls: [
     'https://polygon-rpc.com',
-    'https://polygon-mainnet.g.alchemy.com/v2/Oyk0XqXD7K2HQO4bkbDm1w8iZQ6fHulV'
+    'https://polygon-bor-rpc.publicnode.com'
   ],
   blockExplorerUrls: ['https://polygonscan.com']
 };
@@ -410,12 +325,26 @@ export const getContractExplorerUrl = (contractAddress: string): string =>
 // Enum Display Maps
 // ============================================
 export const SKILL_TYPE_NAMES: Record<SkillType, string> = {
-  [SkillType.STAKING_BOOST_I]:  'Staking Boost I',
-  [SkillType.STAKING_BOOST_II]: 'Staking Boost II',
+  [SkillType.NONE]:             'None',
+  [SkillType.STAKE_BOOST_I]:    'Staking Boost I',
+  [SkillType.STAKE_BOOST_II]:   'Staking Boost II',
+  [SkillType.STAKE_BOOST_III]:  'Staking Boost III',
+  [SkillType.AUTO_COMPOUND]:    'Auto Compound',
+  [SkillType.LOCK_REDUCER]:     'Lock Reducer',
   [SkillType.FEE_REDUCER_I]:    'Fee Reducer I',
   [SkillType.FEE_REDUCER_II]:   'Fee Reducer II',
-  [SkillType.LOCK_REDUCER]:     'Lock Reducer',
-  [SkillType.AUTO_COMPOUND]:    'Auto Compound'
+  [SkillType.PRIORITY_LISTING]: 'Priority Listing',
+  [SkillType.BATCH_MINTER]:     'Batch Minter',
+  [SkillType.VERIFIED_CREATOR]: 'Verified Creator',
+  [SkillType.INFLUENCER]:       'Influencer',
+  [SkillType.CURATOR]:          'Curator',
+  [SkillType.AMBASSADOR]:       'Ambassador',
+  [SkillType.VIP_ACCESS]:       'VIP Access',
+  [SkillType.EARLY_ACCESS]:     'Early Access',
+  [SkillType.PRIVATE_AUCTIONS]: 'Private Auctions',
+  [SkillType.MODERATOR]:        'Moderator',
+  [SkillType.BETA_TESTER]:      'Beta Tester',
+  [SkillType.VIP_PARTNER]:      'VIP Partner'
 };
 
 export const RARITY_NAMES: Record<Rarity, string> = {
@@ -453,20 +382,22 @@ export const QUEST_CATEGORY_NAMES: Record<QuestCategory, string> = {
 };
 
 export const PROTOCOL_STATUS_NAMES: Record<ProtocolStatus, string> = {
-  [ProtocolStatus.HEALTHY]:         'Healthy',
-  [ProtocolStatus.WARNING]:         'Warning',
-  [ProtocolStatus.CRITICAL]:        'Critical',
-  [ProtocolStatus.CIRCUIT_BREAKER]: 'Circuit Breaker'
+  [ProtocolStatus.HEALTHY]:   'Healthy',
+  [ProtocolStatus.UNSTABLE]:  'Unstable',
+  [ProtocolStatus.CRITICAL]:  'Critical',
+  [ProtocolStatus.EMERGENCY]: 'Emergency'
 };
 
 // ============================================
 // Lockup Period Constants
 // ============================================
+// Index = lockup index used by SmartStakingCore and the rewards module
 export const LOCKUP_PERIODS = [
-  { index: 0, label: '30 días',  days: 30,  seconds: 2592000 },
-  { index: 1, label: '60 días',  days: 60,  seconds: 5184000 },
+  { index: 0, label: 'Flexible', days: 0,   seconds: 0 },
+  { index: 1, label: '30 días',  days: 30,  seconds: 2592000 },
   { index: 2, label: '90 días',  days: 90,  seconds: 7776000 },
-  { index: 3, label: '180 días', days: 180, seconds: 15552000 }
+  { index: 3, label: '180 días', days: 180, seconds: 15552000 },
+  { index: 4, label: '365 días', days: 365, seconds: 31536000 }
 ];
 
 // ============================================
@@ -1,7 +1,7 @@
 /**
  * Auto-generated frontend contract config.
- * Source: contracts.config.ts
- * Generated: 2026-03-31T13:00:40.786Z
+ * Networks: polygon (137, contracts.config.ts)
+ * Generated: 2026-10-19T03:36:33.095Z
  */
 
 export interface GeneratedContractAddresses {
@@ -39,42 +39,67 @@ export interface GeneratedWalletAddresses {
   treasury: string;
 }
 
-export const GENERATED_METADATA = {
-  "source": "contracts.config.ts",
-  "network": "polygon",
-  "chainId": 137,
-  "generatedAt": "2026-03-31T13:00:40.786Z",
-  "deploymentTimestamp": null,
-  "deployer": "0x581A41c663223bAE563134C67151CdC2C274f06A"
-} as const;
+export interface GeneratedMetadata {
+  source: string;
+  network: string;
+  chainId: number;
+  generatedAt: string;
+  deploymentTimestamp: string | null;
+  deployer: string | null;
+}
 
-export const CONTRACT_ADDRESSES: GeneratedContractAddresses = {
-  "StakingCore": "0x2cda88046543be25a3EC4eA2d86dBe975Fda0028",
-  "StakingRewards": "0xEa481FB987d95F8a58730bBd89a91ef733f8C128",
-  "StakingSkills": "0x4cF5F1eDfACC19E2FABC1Ec2955A0de4b222025d",
-  "StakingGamification": "0x58b38720BE35eDD36e3D252ea41e8B0a9629EA1F",
-  "StakingViewCore": "0xDd21d682f3625eF90c446C8DE622A51e4084DA56",
-  "StakingViewStats": "0x994BC04688577066CD4c6E55B459788dfe408007",
-  "StakingViewSkills": "0xc5a07f94b5Ecaaf8E65d9F3adb7AB590550a9bE9",
-  "DynamicAPYCalculator": "0xb3900912495c02191C96631141e5A169669E2ced",
-  "MarketplaceProxy": "0xc8Af452F3842805Bc79bfFBBbDB9b130f222d9BC",
-  "MarketplaceLeveling": "0xC1f6f5b27F58bbB7a61C177D1D8782B117e28A91",
-  "MarketplaceReferral": "0xBCEFd299776237e6D7cf0d08E030582cE3214C90",
-  "MarketplaceSkillsNFT": "0xe09e85E7AEd3A35fa77DCaC44D110664C42A4DCd",
-  "IndividualSkills": "0x2248e909EC9E122D1D7206E86D2061681EfCC49B",
-  "QuestCore": "0x090774e87CFF7478910fbF8f035fA85414a8625a",
-  "CollaboratorBadges": "0xc9B1bf1ae921280f2f048fd3d893AF6D18E99C51",
-  "MarketplaceView": "0x579d34872d25a56235D61138dBdE1c81a6f20f4d",
-  "MarketplaceStatistics": "0x7C4c72d3D1b9a54178254c79Ca4F788111A9c99D",
-  "MarketplaceSocial": "0x4FE695192c20E2D9b4bDB0A18F168e198F7e9557",
-  "TreasuryManager": "0x312a3c5072c9DE2aB5cbDd799b3a65fb053DF043",
-  "StakingPowers": "0x4cF5F1eDfACC19E2FABC1Ec2955A0de4b222025d",
-  "StakingViewPowers": "0xc5a07f94b5Ecaaf8E65d9F3adb7AB590550a9bE9",
-  "MarketplacePowerNFT": "0xe09e85E7AEd3A35fa77DCaC44D110664C42A4DCd",
-  "IndividualPowers": "0x2248e909EC9E122D1D7206E86D2061681EfCC49B"
-};
+export interface AddressBook {
+  meta: GeneratedMetadata;
+  addresses: GeneratedContractAddresses;
+  wallets: GeneratedWalletAddresses;
+}
+
+export const DEFAULT_CHAIN_ID = 137;
 
-export const WALLET_ADDRESSES: GeneratedWalletAddresses = {
-  "deployer": "0x581A41c663223bAE563134C67151CdC2C274f06A",
-  "treasury": "0xe67cbb6c94353903ddbb15fd376e0967bdef13b1"
+export const ADDRESS_BOOKS: Readonly<Record<number, AddressBook>> = {
+  "137": {
+    "meta": {
+      "source": "contracts.config.ts",
+      "network": "polygon",
+      "chainId": 137,
+      "generatedAt": "2026-10-19T03:36:33.094Z",
+      "deploymentTimestamp": null,
+      "deployer": "0x581A41c663223bAE563134C67151CdC2C274f06A"
+    },
+    "addresses": {
+      "StakingCore": "0x2cda88046543be25a3EC4eA2d86dBe975Fda0028",
+      "StakingRewards": "0xEa481FB987d95F8a58730bBd89a91ef733f8C128",
+      "StakingSkills": "0x4cF5F1eDfACC19E2FABC1Ec2955A0de4b222025d",
+      "StakingGamification": "0x58b38720BE35eDD36e3D252ea41e8B0a9629EA1F",
+      "StakingViewCore": "0xDd21d682f3625eF90c446C8DE622A51e4084DA56",
+      "StakingViewStats": "0x994BC04688577066CD4c6E55B459788dfe408007",
+      "StakingViewSkills": "0xc5a07f94b5Ecaaf8E65d9F3adb7AB590550a9bE9",
+      "DynamicAPYCalculator": "0xb3900912495c02191C96631141e5A169669E2ced",
+      "MarketplaceProxy": "0xc8Af452F3842805Bc79bfFBBbDB9b130f222d9BC",
+      "MarketplaceLeveling": "0xC1f6f5b27F58bbB7a61C177D1D8782B117e28A91",
+      "MarketplaceReferral": "0xBCEFd299776237e6D7cf0d08E030582cE3214C90",
+      "MarketplaceSkillsNFT": "0xe09e85E7AEd3A35fa77DCaC44D110664C42A4DCd",
+      "IndividualSkills": "0x2248e909EC9E122D1D7206E86D2061681EfCC49B",
+      "QuestCore": "0x090774e87CFF7478910fbF8f035fA85414a8625a",
+      "CollaboratorBadges": "0xc9B1bf1ae921280f2f048fd3d893AF6D18E99C51",
+      "MarketplaceView": "0x579d34872d25a56235D61138dBdE1c81a6f20f4d",
+      "MarketplaceStatistics": "0x7C4c72d3D1b9a54178254c79Ca4F788111A9c99D",
+      "MarketplaceSocial": "0x4FE695192c20E2D9b4bDB0A18F168e198F7e9557",
+      "TreasuryManager": "0x312a3c5072c9DE2aB5cbDd799b3a65fb053DF043",
+      "StakingPowers": "0x4cF5F1eDfACC19E2FABC1Ec2955A0de4b222025d",
+      "StakingViewPowers": "0xc5a07f94b5Ecaaf8E65d9F3adb7AB590550a9bE9",
+      "MarketplacePowerNFT": "0xe09e85E7AEd3A35fa77DCaC44D110664C42A4DCd",
+      "IndividualPowers": "0x2248e909EC9E122D1D7206E86D2061681EfCC49B"
+    },
+    "wallets": {
+      "deployer": "0x581A41c663223bAE563134C67151CdC2C274f06A",
+      "treasury": "0xe67cbb6c94353903ddbb15fd376e0967bdef13b1"
+    }
+  }
 };
+
+export const GENERATED_METADATA: GeneratedMetadata = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].meta;
+
+export const CONTRACT_ADDRESSES: GeneratedContractAddresses = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].addresses;
+
+export const WALLET_ADDRESSES: GeneratedWalletAddresses = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].wallets;
@@ -4,6 +4,7 @@ export {
   QuestType,
   QuestCategory,
   ProtocolStatus,
+  TreasuryType,
   POLYGON_MAINNET,
   getBlockExplorerUrl,
   getAddressExplorerUrl,
@@ -19,8 +20,21 @@ export {
   NuxTapItemKind
 } from "./runtime.js";
 
+export { SOLIDITY_CONSTANTS } from "./solidity.generated.js";
+
 export {
+  DEFAULT_CHAIN_ID,
+  ADDRESS_BOOKS,
   GENERATED_METADATA,
   CONTRACT_ADDRESSES,
   WALLET_ADDRESSES
-} from "./contracts.generated.js";
\ No newline at end of file
+} from "./contracts.generated.js";
+
+export {
+  SUPPORTED_CHAIN_IDS,
+  UnsupportedChainError,
+  ChainMismatchError,
+  isSupportedChain,
+  getAddressBook,
+  getContractAddresses
+} from "./networks.js";
\ No newline at end of file
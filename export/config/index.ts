@@ -4,6 +4,7 @@ export {
   QuestType,
   QuestCategory,
   ProtocolStatus,
+  TreasuryType,
   POLYGON_MAINNET,
   getBlockExplorerUrl,
   getAddressExplorerUrl,
@@ -40,10 +41,26 @@ export {
   type TransactionReceipt
 } from "./contracts.config";
 
+export { SOLIDITY_CONSTANTS } from "./solidity.generated";
+
 export {
+  DEFAULT_CHAIN_ID,
+  ADDRESS_BOOKS,
   GENERATED_METADATA,
   CONTRACT_ADDRESSES,
   WALLET_ADDRESSES,
+  type AddressBook,
+  type GeneratedMetadata,
   type GeneratedContractAddresses,
   type GeneratedWalletAddresses
-} from "./contracts.generated";
\ No newline at end of file
+} from "./contracts.generated";
+
+export {
+  SUPPORTED_CHAIN_IDS,
+  UnsupportedChainError,
+  ChainMismatchError,
+  isSupportedChain,
+  getAddressBook,
+  getContractAddresses,
+  type ChainIdLike
+} from "./networks";
\ No newline at end of file
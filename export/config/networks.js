@@ -0,0 +1,44 @@
+import { ADDRESS_BOOKS, DEFAULT_CHAIN_ID } from "./contracts.generated.js";
+
+export const SUPPORTED_CHAIN_IDS = Object.freeze(Object.keys(ADDRESS_BOOKS).map(Number));
+
+export class UnsupportedChainError extends Error {
+  constructor(chainId) {
+    const supported = SUPPORTED_CHAIN_IDS
+      .map((id) => `${id} (${ADDRESS_BOOKS[id].meta.network})`)
+      .join(", ");
+
+    super(`Unsupported chainId ${chainId}. Nuxchain addresses are available for: ${supported}`);
+    this.name = "UnsupportedChainError";
+    this.chainId = chainId;
+    this.supportedChainIds = SUPPORTED_CHAIN_IDS;
+  }
+}
+
+// The runner is on a supported chain, but not the one the clients' addresses belong to
+export class ChainMismatchError extends Error {
+  constructor(expectedChainId, chainId) {
+    super(`Connected to chainId ${chainId}, but the clients use the addresses of chainId ${expectedChainId}`);
+    this.name = "ChainMismatchError";
+    this.chainId = chainId;
+    this.expectedChainId = expectedChainId;
+  }
+}
+
+export function isSupportedChain(chainId) {
+  return SUPPORTED_CHAIN_IDS.includes(Number(chainId));
+}
+
+export function getAddressBook(chainId = DEFAULT_CHAIN_ID) {
+  const book = ADDRESS_BOOKS[Number(chainId)];
+
+  if (!book) {
+    throw new UnsupportedChainError(Number(chainId));
+  }
+
+  return book;
+}
+
+export function getContractAddresses(chainId = DEFAULT_CHAIN_ID) {
+  return getAddressBook(chainId).addresses;
+}
@@ -0,0 +1,57 @@
+import {
+  ADDRESS_BOOKS,
+  DEFAULT_CHAIN_ID,
+  type AddressBook,
+  type GeneratedContractAddresses
+} from "./contracts.generated";
+
+export type ChainIdLike = number | bigint | string;
+
+export const SUPPORTED_CHAIN_IDS: readonly number[] = Object.freeze(Object.keys(ADDRESS_BOOKS).map(Number));
+
+export class UnsupportedChainError extends Error {
+  readonly chainId: number;
+  readonly supportedChainIds: readonly number[];
+
+  constructor(chainId: number) {
+    const supported = SUPPORTED_CHAIN_IDS
+      .map((id) => `${id} (${ADDRESS_BOOKS[id].meta.network})`)
+      .join(", ");
+
+    super(`Unsupported chainId ${chainId}. Nuxchain addresses are available for: ${supported}`);
+    this.name = "UnsupportedChainError";
+    this.chainId = chainId;
+    this.supportedChainIds = SUPPORTED_CHAIN_IDS;
+  }
+}
+
+// The runner is on a supported chain, but not the one the clients' addresses belong to
+export class ChainMismatchError extends Error {
+  readonly chainId: number;
+  readonly expectedChainId: number;
+
+  constructor(expectedChainId: number, chainId: number) {
+    super(`Connected to chainId ${chainId}, but the clients use the addresses of chainId ${expectedChainId}`);
+    this.name = "ChainMismatchError";
+    this.chainId = chainId;
+    this.expectedChainId = expectedChainId;
+  }
+}
+
+export function isSupportedChain(chainId: ChainIdLike): boolean {
+  return SUPPORTED_CHAIN_IDS.includes(Number(chainId));
+}
+
+export function getAddressBook(chainId: ChainIdLike = DEFAULT_CHAIN_ID): AddressBook {
+  const book = ADDRESS_BOOKS[Number(chainId)];
+
+  if (!book) {
+    throw new UnsupportedChainError(Number(chainId));
+  }
+
+  return book;
+}
+
+export function getContractAddresses(chainId: ChainIdLike = DEFAULT_CHAIN_ID): GeneratedContractAddresses {
+  return getAddressBook(chainId).addresses;
+}
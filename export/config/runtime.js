@@ -1,52 +1,16 @@
-export const SkillType = Object.freeze({
-  STAKING_BOOST_I: 0,
-  STAKING_BOOST_II: 1,
-  FEE_REDUCER_I: 2,
-  FEE_REDUCER_II: 3,
-  LOCK_REDUCER: 4,
-  AUTO_COMPOUND: 5
-});
-
-export const Rarity = Object.freeze({
-  COMMON: 0,
-  UNCOMMON: 1,
-  RARE: 2,
-  EPIC: 3,
-  LEGENDARY: 4
-});
-
-export const QuestType = Object.freeze({
-  PURCHASE: 0,
-  CREATE: 1,
-  SOCIAL: 2,
-  LEVEL_UP: 3,
-  TRADING: 4,
-  STAKE: 5,
-  COMPOUND: 6,
-  AGENT_TASK: 7
-});
-
-export const QuestCategory = Object.freeze({
-  MARKETPLACE: 0,
-  STAKING: 1,
-  NFT_AGENT: 2,
-  GENERAL: 3
-});
-
-export const NuxTapItemKind = Object.freeze({
-  NONE: 0,
-  AUTO_TAP: 1,
-  BOOSTER: 2,
-  WITHDRAW_PASS: 3,
-  AGENT_NFT: 4
-});
-
-export const ProtocolStatus = Object.freeze({
-  HEALTHY: 0,
-  WARNING: 1,
-  CRITICAL: 2,
-  CIRCUIT_BREAKER: 3
-});
+import {
+  SkillType,
+  Rarity,
+  QuestType,
+  QuestCategory,
+  NuxTapItemKind,
+  ProtocolStatus,
+  TreasuryType
+} from "./solidity.generated.js";
+
+// Enums come from the compiler AST (npm run export:types); label maps below
+// are hand-written and the export build fails if one misses a member.
+export { SkillType, Rarity, QuestType, QuestCategory, NuxTapItemKind, ProtocolStatus, TreasuryType };
 
 export const POLYGON_MAINNET = Object.freeze({
   chainId: "0x89",
@@ -58,7 +22,7 @@ export const POLYGON_MAINNET = Object.freeze({
   },
   rpcUrls: [
     "https://polygon-rpc.com",
-    "https://polygon-mainnet.g.alchemy.com/v2/Oyk0XqXD7K2HQO4bkbDm1w8iZQ6fHulV"
+    "https://polygon-bor-rpc.publicnode.com"
   ],
   blockExplorerUrls: ["https://polygonscan.com"]
 });
@@ -73,12 +37,26 @@ export const getContractExplorerUrl = (contractAddress) =>
   `https://polygonscan.com/address/${contractAddress}#code`;
 
 export const SKILL_TYPE_NAMES = Object.freeze({
-  [SkillType.STAKING_BOOST_I]: "Staking Boost I",
-  [SkillType.STAKING_BOOST_II]: "Staking Boost II",
+  [SkillType.NONE]: "None",
+  [SkillType.STAKE_BOOST_I]: "Staking Boost I",
+  [SkillType.STAKE_BOOST_II]: "Staking Boost II",
+  [SkillType.STAKE_BOOST_III]: "Staking Boost III",
+  [SkillType.AUTO_COMPOUND]: "Auto Compound",
+  [SkillType.LOCK_REDUCER]: "Lock Reducer",
   [SkillType.FEE_REDUCER_I]: "Fee Reducer I",
   [SkillType.FEE_REDUCER_II]: "Fee Reducer II",
-  [SkillType.LOCK_REDUCER]: "Lock Reducer",
-  [SkillType.AUTO_COMPOUND]: "Auto Compound"
+  [SkillType.PRIORITY_LISTING]: "Priority Listing",
+  [SkillType.BATCH_MINTER]: "Batch Minter",
+  [SkillType.VERIFIED_CREATOR]: "Verified Creator",
+  [SkillType.INFLUENCER]: "Influencer",
+  [SkillType.CURATOR]: "Curator",
+  [SkillType.AMBASSADOR]: "Ambassador",
+  [SkillType.VIP_ACCESS]: "VIP Access",
+  [SkillType.EARLY_ACCESS]: "Early Access",
+  [SkillType.PRIVATE_AUCTIONS]: "Private Auctions",
+  [SkillType.MODERATOR]: "Moderator",
+  [SkillType.BETA_TESTER]: "Beta Tester",
+  [SkillType.VIP_PARTNER]: "VIP Partner"
 });
 
 export const RARITY_NAMES = Object.freeze({
@@ -117,16 +95,17 @@ export const QUEST_CATEGORY_NAMES = Object.freeze({
 
 export const PROTOCOL_STATUS_NAMES = Object.freeze({
   [ProtocolStatus.HEALTHY]: "Healthy",
-  [ProtocolStatus.WARNING]: "Warning",
+  [ProtocolStatus.UNSTABLE]: "Unstable",
   [ProtocolStatus.CRITICAL]: "Critical",
-  [ProtocolStatus.CIRCUIT_BREAKER]: "Circuit Breaker"
+  [ProtocolStatus.EMERGENCY]: "Emergency"
 });
 
 export const LOCKUP_PERIODS = Object.freeze([
-  Object.freeze({ index: 0, label: "30 días", days: 30, seconds: 2592000 }),
-  Object.freeze({ index: 1, label: "60 días", days: 60, seconds: 5184000 }),
+  Object.freeze({ index: 0, label: "Flexible", days: 0, seconds: 0 }),
+  Object.freeze({ index: 1, label: "30 días", days: 30, seconds: 2592000 }),
   Object.freeze({ index: 2, label: "90 días", days: 90, seconds: 7776000 }),
-  Object.freeze({ index: 3, label: "180 días", days: 180, seconds: 15552000 })
+  Object.freeze({ index: 3, label: "180 días", days: 180, seconds: 15552000 }),
+  Object.freeze({ index: 4, label: "365 días", days: 365, seconds: 31536000 })
 ]);
 
 export const CONTRACT_CONSTANTS = Object.freeze({
@@ -0,0 +1,271 @@
+// Generated by scripts/ExportSolidityTypes.cjs from the compiler AST. Do not edit.
+
+/** IStakingIntegration.PowerType */
+export enum SkillType {
+  NONE = 0,
+  STAKE_BOOST_I = 1,
+  STAKE_BOOST_II = 2,
+  STAKE_BOOST_III = 3,
+  AUTO_COMPOUND = 4,
+  LOCK_REDUCER = 5,
+  FEE_REDUCER_I = 6,
+  FEE_REDUCER_II = 7,
+  PRIORITY_LISTING = 8,
+  BATCH_MINTER = 9,
+  VERIFIED_CREATOR = 10,
+  INFLUENCER = 11,
+  CURATOR = 12,
+  AMBASSADOR = 13,
+  VIP_ACCESS = 14,
+  EARLY_ACCESS = 15,
+  PRIVATE_AUCTIONS = 16,
+  MODERATOR = 17,
+  BETA_TESTER = 18,
+  VIP_PARTNER = 19
+}
+
+/** IStakingIntegration.Rarity */
+export enum Rarity {
+  COMMON = 0,
+  UNCOMMON = 1,
+  RARE = 2,
+  EPIC = 3,
+  LEGENDARY = 4
+}
+
+/** IQuestCore.QuestType */
+export enum QuestType {
+  PURCHASE = 0,
+  CREATE = 1,
+  SOCIAL = 2,
+  LEVEL_UP = 3,
+  TRADING = 4,
+  STAKE = 5,
+  COMPOUND = 6,
+  AGENT_TASK = 7
+}
+
+/** IQuestCore.QuestCategory */
+export enum QuestCategory {
+  MARKETPLACE = 0,
+  STAKING = 1,
+  NFT_AGENT = 2,
+  GENERAL = 3
+}
+
+/** NuxTapItemStore.ItemKind */
+export enum NuxTapItemKind {
+  NONE = 0,
+  AUTO_TAP = 1,
+  BOOSTER = 2,
+  WITHDRAW_PASS = 3,
+  AGENT_NFT = 4
+}
+
+/** TreasuryManager.ProtocolStatus */
+export enum ProtocolStatus {
+  HEALTHY = 0,
+  UNSTABLE = 1,
+  CRITICAL = 2,
+  EMERGENCY = 3
+}
+
+/** TreasuryManager.TreasuryType */
+export enum TreasuryType {
+  REWARDS = 0,
+  STAKING = 1,
+  COLLABORATORS = 2,
+  DEVELOPMENT = 3,
+  MARKETPLACE = 4
+}
+
+/** SmartStakingViewCore.DepositDetails */
+export interface DepositDetails {
+  depositIndex: bigint;
+  amount: bigint;
+  currentRewards: bigint;
+  timestamp: bigint;
+  lastClaimTime: bigint;
+  lockupDuration: bigint;
+  unlockTime: bigint;
+  lockupType: string;
+  isLocked: boolean;
+  isWithdrawable: boolean;
+}
+
+/** NuxTapGame.PlayerProfile */
+export interface NuxTapPlayerProfile {
+  totalScore: bigint;
+  lifetimeTaps: bigint;
+  totalSessions: bigint;
+  unclaimedRewards: bigint;
+  claimedRewards: bigint;
+  currentLevel: bigint;
+  currentStreak: bigint;
+  bestStreak: bigint;
+  autoTapRate: bigint;
+  boosterMultiplierBps: bigint;
+  boosterExpiresAt: bigint;
+  lastSettlementAt: bigint;
+  lastActiveDay: bigint;
+  dailyTapCount: bigint;
+  linkedNftContract: string;
+  linkedTokenId: bigint;
+}
+
+/** NuxTapGame.LevelConfig */
+export interface NuxTapLevelConfig {
+  scoreRequired: bigint;
+  dailyTapCap: bigint;
+  rewardMultiplierBps: bigint;
+}
+
+/** NuxTapItemStore.ItemConfig */
+export interface NuxTapItemConfig {
+  kind: bigint; // ItemKind → NuxTapItemKind
+  price: bigint;
+  value: bigint;
+  duration: bigint;
+  stock: bigint;
+  active: boolean;
+  soulbound: boolean;
+  nftContract: string;
+}
+
+export const SOLIDITY_CONSTANTS = {
+  AgentNuxPower: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    POWERS_PER_CATEGORY: 10,
+    TOTAL_POWERS: 50,
+    MAX_POWERS_PER_AGENT: 5
+  },
+  BusinessAgentNFT: {
+    MAX_CLIENTS: 100,
+    MAX_WORKFLOWS: 20
+  },
+  CollaboratorBadgeRewards: {
+    BATCH_LIMIT: 100,
+    MAX_BATCH_SIZE: 100,
+    MAX_QUEST_DURATION: 31536000
+  },
+  DynamicAPYCalculator: {
+    COMPRESSION_THRESHOLD: 500
+  },
+  LevelingSystem: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    MARKETPLACE_ROLE: "0x0ea61da3a8a09ad801432653699f8c1860b1ae9d2ea4a141fadfd63227717bc8",
+    REPORTER_ROLE: "0x3204c940063673962b481a0395619b3dbbd137589c419e993978c1c71bcf68ec"
+  },
+  MarketingAgentNFT: {
+    MAX_REFERRAL_MULTIPLIER: 200
+  },
+  MarketplaceCore: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PLATFORM_FEE_PERCENTAGE: 6,
+    MAX_OFFERS_PER_TOKEN: 50
+  },
+  MarketplaceSocial: {
+    MARKETPLACE_ROLE: "0x0ea61da3a8a09ad801432653699f8c1860b1ae9d2ea4a141fadfd63227717bc8"
+  },
+  MarketplaceStatistics: {
+    MARKETPLACE_ROLE: "0x0ea61da3a8a09ad801432653699f8c1860b1ae9d2ea4a141fadfd63227717bc8"
+  },
+  MarketplaceView: {
+    MARKETPLACE_ROLE: "0x0ea61da3a8a09ad801432653699f8c1860b1ae9d2ea4a141fadfd63227717bc8"
+  },
+  NuxAgentFactory: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3"
+  },
+  NuxAgentMiniGame: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    VALIDATOR_ROLE: "0x21702c8af46127c7fa207f89d0b0a8441bb32959a0ac7df790e9ab1a25c98926",
+    DEPOSITOR_ROLE: "0x8f4f2da22e8ac8f11e15f9fc141cddbb5deea8800186560abb6e68c5496619a9"
+  },
+  NuxAgentNFTBase: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    FACTORY_ROLE: "0xdfbefbf47cfe66b701d8cfdbce1de81c821590819cb07e71cb01b6602fb0ee27",
+    REGISTRY_ROLE: "0xc2979137d1774e40fe2638d355bf7a7b092be4c67f242aad1655e1e27f9df9cc",
+    RENTAL_ROLE: "0x1c1960f9734f5b3663f99b3b963721f4dfc5668844851b1b618ede014682d9b6",
+    ERC6551_REGISTRY: "0x000000006551c19487814612e58FE06813775758",
+    PLATFORM_MINT_FEE_BPS: 600
+  },
+  NuxAgentPaymaster: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    AUTHORIZATION_TYPEHASH: "0x91218ff9bdf84f22a8dadcef5a2720fce64ad56f81496eb0f164049b9d9669f0"
+  },
+  NuxAgentRegistry: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    GAME_ROLE: "0x6a64baf327d646d1bca72653e2a075d15fd6ac6d8cbd7f6ee03fc55875e0fa88",
+    VALIDATOR_ROLE: "0x21702c8af46127c7fa207f89d0b0a8441bb32959a0ac7df790e9ab1a25c98926"
+  },
+  NuxAgentRental: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a"
+  },
+  NuxAuctionMarketplace: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a"
+  },
+  NuxPowerMarketplace: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775"
+  },
+  NuxPowerNft: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775"
+  },
+  NuxTapAgentMarketplace: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a"
+  },
+  NuxTapGame: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a",
+    OPERATOR_ROLE: "0x97667070c54ef182b0f5858b034beac1b6f3089aa2d3188bb1e8929f4fa9b929"
+  },
+  NuxTapItemStore: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a",
+    GAME_ROLE: "0x6a64baf327d646d1bca72653e2a075d15fd6ac6d8cbd7f6ee03fc55875e0fa88"
+  },
+  NuxTapTreasury: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a",
+    TREASURER_ROLE: "0x3496e2e73c4d42b75d702e60d9e48102720b8691234415963a5a857b86425d07",
+    GAME_ROLE: "0x6a64baf327d646d1bca72653e2a075d15fd6ac6d8cbd7f6ee03fc55875e0fa88",
+    STORE_ROLE: "0x9cf888df9829983a4501c3e5076732bbf523e06c6b31f6ce065f61c2aec20567"
+  },
+  QuestCore: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    REPORTER_ROLE: "0x3204c940063673962b481a0395619b3dbbd137589c419e993978c1c71bcf68ec"
+  },
+  QuestRewardsPool: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    MODULE_ROLE: "0x5098275140f5753db46c42f6e139939968848633a1298402189fdfdafa69b453"
+  },
+  ReferralSystem: {
+    ADMIN_ROLE: "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775",
+    UPGRADER_ROLE: "0x189ab7a9244df0848122154315af71fe140f3db0fe014031783b0946b8c9d2e3",
+    MARKETPLACE_ROLE: "0x0ea61da3a8a09ad801432653699f8c1860b1ae9d2ea4a141fadfd63227717bc8",
+    REFERRER_FIRST_SALE_XP: 30,
+    BUYER_FIRST_PURCHASE_XP: 25,
+    FIRST_PURCHASE_DISCOUNT_PERCENTAGE: 10
+  },
+  XPSourceMetadata: {
+    TOTAL_SOURCES: 15
+  }
+} as const;
@@ -0,0 +1,229 @@
+import { AbiCoder, ErrorFragment, dataSlice } from "ethers";
+
+import * as abis from "../abis/runtime.js";
+import {
+  DEFAULT_LOCALE,
+  ERROR_MESSAGES,
+  FALLBACK_MESSAGES,
+  PANIC_MESSAGES,
+  SUPPORTED_LOCALES
+} from "./catalog.js";
+
+export { DEFAULT_LOCALE, ERROR_MESSAGES, PANIC_MESSAGES, SUPPORTED_LOCALES };
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * A decoded protocol revert. `errorName` is the custom error name, "Error"
+ * for require/revert strings, "Panic" for Solidity panics, or null when the
+ * selector is unknown.
+ */
+export class ProtocolError extends Error {
+  constructor({ contract = null, errorName = null, args = {}, humanMessage, selector = null, signature = null }, { cause } = {}) {
+    super(humanMessage);
+    this.name = "ProtocolError";
+    this.contract = contract;
+    this.errorName = errorName;
+    this.args = args;
+    this.humanMessage = humanMessage;
+    this.selector = selector;
+    this.signature = signature;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Maps every custom error selector to the contracts that declare it
+ * @param {Object<string, Array>} abiMap - contract name → ABI (default: all exported ABIs)
+ * @returns {Map<string, Array<{contract: string, fragment: ErrorFragment}>>}
+ */
+export function buildErrorRegistry(abiMap = abis) {
+  const registry = new Map();
+
+  for (const [contract, abi] of Object.entries(abiMap)) {
+    if (!Array.isArray(abi)) continue;
+
+    for (const item of abi) {
+      if (item.type !== "error") continue;
+
+      const fragment = ErrorFragment.from(item);
+      const entries = registry.get(fragment.selector) ?? [];
+      entries.push({ contract, fragment });
+      registry.set(fragment.selector, entries);
+    }
+  }
+
+  return registry;
+}
+
+let defaultRegistry = null;
+
+function getDefaultRegistry() {
+  if (!defaultRegistry) defaultRegistry = buildErrorRegistry();
+  return defaultRegistry;
+}
+
+function findRevertData(error) {
+  if (typeof error === "string") return error;
+
+  for (let current = error; current; current = current.error ?? current.info?.error ?? current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+    if (typeof current.data?.data === "string") return current.data.data;
+  }
+  return null;
+}
+
+function humanize(errorName, args) {
+  const words = errorName.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2");
+  const sentence = words.charAt(0) + words.slice(1).toLowerCase();
+  const details = Object.entries(args).map(([key, value]) => `${key}: ${value}`);
+  return details.length > 0 ? `${sentence} (${details.join(", ")})` : sentence;
+}
+
+function resolveLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Builds the decoded shape for an error name and its arguments, with the
+ * message from `messages` (overrides), the catalog, or the humanized name
+ * @param {string} errorName
+ * @param {Object} args - error arguments by parameter name
+ * @param {Object} options - {contract, locale, messages, selector, signature}
+ */
+export function describeError(errorName, args = {}, { contract = null, locale, messages, selector = null, signature = null } = {}) {
+  const lang = resolveLocale(locale);
+  const describe = messages?.[lang]?.[errorName] ?? ERROR_MESSAGES[lang][errorName];
+  const humanMessage = typeof describe === "function" ? describe(args) : describe ?? humanize(errorName, args);
+
+  return { contract, errorName, args, humanMessage, selector, signature };
+}
+
+/**
+ * Decodes revert data (custom errors, Error(string), Panic(uint256)) from an
+ * ethers error or a raw hex string
+ * @param {Error|string} errorOrData
+ * @param {Object} options - {contract, locale, messages, registry}
+ *   `contract` picks the declaring contract when several share a selector;
+ *   `messages` overrides the catalog per locale, by error name or revert string
+ * @returns {{contract, errorName, args, humanMessage, selector, signature}|null}
+ *   null when the error carries no revert data
+ */
+export function decodeRevert(errorOrData, { contract = null, locale, messages, registry = getDefaultRegistry() } = {}) {
+  const lang = resolveLocale(locale);
+  const data = findRevertData(errorOrData);
+
+  if (!data || data === "0x") {
+    if (data === "0x" || errorOrData?.code === "CALL_EXCEPTION") {
+      return { contract, errorName: null, args: {}, humanMessage: FALLBACK_MESSAGES[lang].reverted, selector: null, signature: null };
+    }
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = dataSlice(data, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = coder.decode(["string"], payload);
+    const override = messages?.[lang]?.[reason];
+    return {
+      contract,
+      errorName: "Error",
+      args: { reason },
+      humanMessage: typeof override === "function" ? override({ reason }) : override ?? reason,
+      selector,
+      signature: "Error(string)"
+    };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(["uint256"], payload);
+    return {
+      contract,
+      errorName: "Panic",
+      args: { code },
+      humanMessage: PANIC_MESSAGES[lang][Number(code)] ?? FALLBACK_MESSAGES[lang].panic(code),
+      selector,
+      signature: "Panic(uint256)"
+    };
+  }
+
+  const entries = registry.get(selector);
+  if (!entries) {
+    return { contract, errorName: null, args: {}, humanMessage: FALLBACK_MESSAGES[lang].unknown(selector), selector, signature: null };
+  }
+
+  // Shared selectors (e.g. InvalidAddress) are attributed to the hinted
+  // contract when it declares the error, otherwise only if a single one does
+  const match = entries.find((candidate) => candidate.contract === contract);
+  const entry = match ?? entries[0];
+  const values = coder.decode(entry.fragment.inputs, payload);
+  const args = {};
+  entry.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = values[i];
+  });
+
+  return describeError(entry.fragment.name, args, {
+    contract: match || entries.length === 1 ? entry.contract : null,
+    locale: lang,
+    messages,
+    selector,
+    signature: entry.fragment.format("sighash")
+  });
+}
+
+/**
+ * ProtocolError for an error carrying revert data, or null
+ * @param {Error} error
+ * @param {Object} options - see decodeRevert()
+ */
+export function toProtocolError(error, options = {}) {
+  const decoded = decodeRevert(error, options);
+  return decoded ? new ProtocolError(decoded, { cause: error }) : null;
+}
+
+async function rethrowDecoded(action, options) {
+  try {
+    return await action();
+  } catch (error) {
+    throw (error instanceof ProtocolError ? null : toProtocolError(error, options)) ?? error;
+  }
+}
+
+function wrapMethod(method, options) {
+  const wrapped = (...args) => rethrowDecoded(() => method(...args), options);
+
+  for (const key of ["staticCall", "staticCallResult", "send", "estimateGas"]) {
+    wrapped[key] = (...args) => rethrowDecoded(() => method[key](...args), options);
+  }
+  for (const key of ["name", "fragment", "getFragment", "populateTransaction"]) {
+    Object.defineProperty(wrapped, key, { get: () => method[key], configurable: true });
+  }
+
+  return wrapped;
+}
+
+/**
+ * Returns `contract` with every method call rethrowing reverts as ProtocolError
+ * @param {import("ethers").Contract} contract
+ * @param {Object} options - {contractName, locale, messages}
+ */
+export function withErrorDecoding(contract, { contractName = null, locale, messages } = {}) {
+  const options = { contract: contractName, locale, messages };
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+
+      if (typeof value !== "function") return value;
+      if (typeof value.staticCall === "function") return wrapMethod(value, options);
+      if (prop === "connect") {
+        return (runner) => withErrorDecoding(target.connect(runner), { contractName, locale, messages });
+      }
+      return value.bind(target);
+    }
+  });
+}
@@ -0,0 +1,277 @@
+import { AbiCoder, ErrorFragment, dataSlice, type Contract, type ContractRunner } from "ethers";
+
+import * as abis from "../abis";
+import {
+  DEFAULT_LOCALE,
+  ERROR_MESSAGES,
+  FALLBACK_MESSAGES,
+  PANIC_MESSAGES,
+  SUPPORTED_LOCALES,
+  type ErrorArgs,
+  type Locale,
+  type MessageCatalog
+} from "./catalog";
+
+export {
+  DEFAULT_LOCALE,
+  ERROR_MESSAGES,
+  PANIC_MESSAGES,
+  SUPPORTED_LOCALES,
+  type ErrorArgs,
+  type Locale,
+  type MessageCatalog,
+  type MessageFormatter
+} from "./catalog";
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const coder = AbiCoder.defaultAbiCoder();
+
+export interface DecodedRevert {
+  /** Declaring contract, the hinted one for shared selectors, or null when ambiguous */
+  contract: string | null;
+  /** Custom error name, "Error", "Panic", or null for an unknown selector */
+  errorName: string | null;
+  args: ErrorArgs;
+  humanMessage: string;
+  selector: string | null;
+  signature: string | null;
+}
+
+export interface DecodeOptions {
+  contract?: string | null;
+  locale?: Locale;
+  messages?: MessageCatalog;
+  registry?: ErrorRegistry;
+}
+
+export type ErrorRegistry = Map<string, Array<{ contract: string; fragment: ErrorFragment }>>;
+
+/**
+ * A decoded protocol revert. `errorName` is the custom error name, "Error"
+ * for require/revert strings, "Panic" for Solidity panics, or null when the
+ * selector is unknown.
+ */
+export class ProtocolError extends Error {
+  readonly contract: string | null;
+  readonly errorName: string | null;
+  readonly args: ErrorArgs;
+  readonly humanMessage: string;
+  readonly selector: string | null;
+  readonly signature: string | null;
+  readonly cause?: unknown;
+
+  constructor(
+    { contract = null, errorName = null, args = {}, humanMessage, selector = null, signature = null }: Partial<DecodedRevert> & { humanMessage: string },
+    { cause }: { cause?: unknown } = {}
+  ) {
+    super(humanMessage);
+    this.name = "ProtocolError";
+    this.contract = contract;
+    this.errorName = errorName;
+    this.args = args;
+    this.humanMessage = humanMessage;
+    this.selector = selector;
+    this.signature = signature;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Maps every custom error selector to the contracts that declare it
+ * @param abiMap - contract name → ABI (default: all exported ABIs)
+ */
+export function buildErrorRegistry(abiMap: Record<string, unknown> = abis): ErrorRegistry {
+  const registry: ErrorRegistry = new Map();
+
+  for (const [contract, abi] of Object.entries(abiMap)) {
+    if (!Array.isArray(abi)) continue;
+
+    for (const item of abi) {
+      if (item.type !== "error") continue;
+
+      const fragment = ErrorFragment.from(item);
+      const entries = registry.get(fragment.selector) ?? [];
+      entries.push({ contract, fragment });
+      registry.set(fragment.selector, entries);
+    }
+  }
+
+  return registry;
+}
+
+let defaultRegistry: ErrorRegistry | null = null;
+
+function getDefaultRegistry(): ErrorRegistry {
+  if (!defaultRegistry) defaultRegistry = buildErrorRegistry();
+  return defaultRegistry;
+}
+
+function findRevertData(error: any): string | null {
+  if (typeof error === "string") return error;
+
+  for (let current = error; current; current = current.error ?? current.info?.error ?? current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+    if (typeof current.data?.data === "string") return current.data.data;
+  }
+  return null;
+}
+
+function humanize(errorName: string, args: ErrorArgs): string {
+  const words = errorName.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2");
+  const sentence = words.charAt(0) + words.slice(1).toLowerCase();
+  const details = Object.entries(args).map(([key, value]) => `${key}: ${value}`);
+  return details.length > 0 ? `${sentence} (${details.join(", ")})` : sentence;
+}
+
+function resolveLocale(locale: string | undefined): Locale {
+  return (SUPPORTED_LOCALES as readonly string[]).includes(locale as string) ? (locale as Locale) : DEFAULT_LOCALE;
+}
+
+/**
+ * Builds the decoded shape for an error name and its arguments, with the
+ * message from `messages` (overrides), the catalog, or the humanized name
+ */
+export function describeError(
+  errorName: string,
+  args: ErrorArgs = {},
+  { contract = null, locale, messages, selector = null, signature = null }: Omit<DecodeOptions, "registry"> & { selector?: string | null; signature?: string | null } = {}
+): DecodedRevert {
+  const lang = resolveLocale(locale);
+  const describe = messages?.[lang]?.[errorName] ?? ERROR_MESSAGES[lang][errorName];
+  const humanMessage = typeof describe === "function" ? describe(args) : describe ?? humanize(errorName, args);
+
+  return { contract, errorName, args, humanMessage, selector, signature };
+}
+
+/**
+ * Decodes revert data (custom errors, Error(string), Panic(uint256)) from an
+ * ethers error or a raw hex string. `contract` picks the declaring contract
+ * when several share a selector; `messages` overrides the catalog per
+ * locale, by error name or revert string. Returns null when the error
+ * carries no revert data.
+ */
+export function decodeRevert(
+  errorOrData: unknown,
+  { contract = null, locale, messages, registry = getDefaultRegistry() }: DecodeOptions = {}
+): DecodedRevert | null {
+  const lang = resolveLocale(locale);
+  const data = findRevertData(errorOrData);
+
+  if (!data || data === "0x") {
+    if (data === "0x" || (errorOrData as { code?: string } | null)?.code === "CALL_EXCEPTION") {
+      return { contract, errorName: null, args: {}, humanMessage: FALLBACK_MESSAGES[lang].reverted, selector: null, signature: null };
+    }
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = dataSlice(data, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = coder.decode(["string"], payload);
+    const override = messages?.[lang]?.[reason];
+    return {
+      contract,
+      errorName: "Error",
+      args: { reason },
+      humanMessage: typeof override === "function" ? override({ reason }) : override ?? reason,
+      selector,
+      signature: "Error(string)"
+    };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(["uint256"], payload);
+    return {
+      contract,
+      errorName: "Panic",
+      args: { code },
+      humanMessage: PANIC_MESSAGES[lang][Number(code)] ?? FALLBACK_MESSAGES[lang].panic(code),
+      selector,
+      signature: "Panic(uint256)"
+    };
+  }
+
+  const entries = registry.get(selector);
+  if (!entries) {
+    return { contract, errorName: null, args: {}, humanMessage: FALLBACK_MESSAGES[lang].unknown(selector), selector, signature: null };
+  }
+
+  // Shared selectors (e.g. InvalidAddress) are attributed to the hinted
+  // contract when it declares the error, otherwise only if a single one does
+  const match = entries.find((candidate) => candidate.contract === contract);
+  const entry = match ?? entries[0];
+  const values = coder.decode(entry.fragment.inputs, payload);
+  const args: ErrorArgs = {};
+  entry.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = values[i];
+  });
+
+  return describeError(entry.fragment.name, args, {
+    contract: match || entries.length === 1 ? entry.contract : null,
+    locale: lang,
+    messages,
+    selector,
+    signature: entry.fragment.format("sighash")
+  });
+}
+
+/**
+ * ProtocolError for an error carrying revert data, or null
+ */
+export function toProtocolError(error: unknown, options: DecodeOptions = {}): ProtocolError | null {
+  const decoded = decodeRevert(error, options);
+  return decoded ? new ProtocolError(decoded, { cause: error }) : null;
+}
+
+async function rethrowDecoded<T>(action: () => Promise<T>, options: DecodeOptions): Promise<T> {
+  try {
+    return await action();
+  } catch (error) {
+    throw (error instanceof ProtocolError ? null : toProtocolError(error, options)) ?? error;
+  }
+}
+
+function wrapMethod(method: any, options: DecodeOptions) {
+  const wrapped: any = (...args: unknown[]) => rethrowDecoded(() => method(...args), options);
+
+  for (const key of ["staticCall", "staticCallResult", "send", "estimateGas"]) {
+    wrapped[key] = (...args: unknown[]) => rethrowDecoded(() => method[key](...args), options);
+  }
+  for (const key of ["name", "fragment", "getFragment", "populateTransaction"]) {
+    Object.defineProperty(wrapped, key, { get: () => method[key], configurable: true });
+  }
+
+  return wrapped;
+}
+
+export interface ErrorDecodingOptions {
+  contractName?: string | null;
+  locale?: Locale;
+  messages?: MessageCatalog;
+}
+
+/**
+ * Returns `contract` with every method call rethrowing reverts as ProtocolError
+ */
+export function withErrorDecoding<T extends Contract>(
+  contract: T,
+  { contractName = null, locale, messages }: ErrorDecodingOptions = {}
+): T {
+  const options: DecodeOptions = { contract: contractName, locale, messages };
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+
+      if (typeof value !== "function") return value;
+      if (typeof value.staticCall === "function") return wrapMethod(value, options);
+      if (prop === "connect") {
+        return (runner: ContractRunner | null) => withErrorDecoding(target.connect(runner) as T, { contractName, locale, messages });
+      }
+      return value.bind(target);
+    }
+  });
+}
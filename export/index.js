@@ -1,3 +1,6 @@
 export * from "./abis/runtime.js";
 export * from "./config/index.js";
-export * from "./clients/index.js";
\ No newline at end of file
+export * from "./clients/index.js";
+export * from "./errors/index.js";
+export * from "./providers/index.js";
+export * from "./rewards/index.js";
\ No newline at end of file
@@ -1,3 +1,6 @@
 export * from "./abis";
 export * from "./config";
-export * from "./clients";
\ No newline at end of file
+export * from "./clients";
+export * from "./errors";
+export * from "./providers";
+export * from "./rewards";
\ No newline at end of file
@@ -0,0 +1,327 @@
+import {
+  FetchRequest,
+  JsonRpcProvider,
+  Network,
+  type JsonRpcApiProviderOptions,
+  type JsonRpcError,
+  type JsonRpcPayload,
+  type JsonRpcResult
+} from "ethers";
+
+import { DEFAULT_CHAIN_ID } from "../config";
+
+/**
+ * Default endpoints per chain, in order of preference. `{NAME}` placeholders are
+ * read from the environment (NAME or VITE_NAME); an endpoint whose key is not
+ * set is skipped. `RPC_URLS_<chainId>` (comma separated) goes first.
+ */
+export const RPC_ENDPOINTS: Readonly<Record<number, readonly string[]>> = Object.freeze({
+  137: Object.freeze([
+    "https://polygon-mainnet.g.alchemy.com/v2/{ALCHEMY_API_KEY}",
+    "https://polygon-rpc.com",
+    "https://polygon-bor-rpc.publicnode.com"
+  ]),
+  80002: Object.freeze([
+    "https://polygon-amoy.g.alchemy.com/v2/{ALCHEMY_API_KEY}",
+    "https://rpc-amoy.polygon.technology"
+  ]),
+  31337: Object.freeze(["http://127.0.0.1:8545"])
+});
+
+const DEFAULT_RETRY = Object.freeze({ maxAttempts: 5, baseDelay: 250, maxDelay: 5000, timeout: 15000 });
+
+// JSON-RPC codes providers use for "rate limited" on an HTTP 200
+const RATE_LIMIT_CODES = [-32005, -32029, 429];
+
+const PLACEHOLDER = /\{([A-Z0-9_]+)\}/g;
+
+export type RpcEnv = Record<string, string | undefined>;
+
+/** An endpoint URL with its keys filled in; `label` keeps the placeholders for logs */
+export interface RpcEndpoint {
+  url: string;
+  label: string;
+}
+
+export interface ResilientProviderOptions extends JsonRpcApiProviderOptions {
+  /** Requests sent before giving up, across all endpoints */
+  maxAttempts?: number;
+  /** Backoff before the first retry, in ms; doubles on each attempt */
+  baseDelay?: number;
+  /** Upper bound for the backoff and for Retry-After, in ms */
+  maxDelay?: number;
+  /** Per-request timeout, in ms */
+  timeout?: number;
+  /** Jitter source, Math.random by default */
+  random?: () => number;
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export interface CreateResilientProviderOptions extends ResilientProviderOptions {
+  /** Defaults to process.env; pass import.meta.env in a Vite app */
+  env?: RpcEnv;
+  /** Replaces RPC_ENDPOINTS[chainId]; may contain `{NAME}` placeholders */
+  urls?: readonly string[];
+}
+
+export class RpcEndpointError extends Error {
+  readonly endpoint: string;
+  readonly status: number | null;
+  readonly retryAfter: number | null;
+  readonly retryable: boolean;
+  readonly cause?: unknown;
+
+  constructor(
+    endpoint: string,
+    message: string,
+    { status = null, retryAfter = null, retryable = true, cause }: { status?: number | null; retryAfter?: number | null; retryable?: boolean; cause?: unknown } = {}
+  ) {
+    super(`${endpoint}: ${message}`);
+    this.name = "RpcEndpointError";
+    this.endpoint = endpoint;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+export class ChainIdMismatchError extends RpcEndpointError {
+  readonly expected: number;
+  readonly actual: number;
+
+  constructor(endpoint: string, expected: number, actual: number) {
+    super(endpoint, `chainId ${actual} does not match the expected ${expected}`, { retryable: false });
+    this.name = "ChainIdMismatchError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+export class RpcUnavailableError extends Error {
+  readonly chainId: number;
+  readonly failures: RpcEndpointError[];
+
+  constructor(chainId: number, failures: RpcEndpointError[]) {
+    const summary = failures.map(({ message }) => `  - ${message}`).join("\n");
+    super(`No RPC endpoint for chainId ${chainId} answered after ${failures.length} attempt(s):\n${summary}`);
+    this.name = "RpcUnavailableError";
+    this.chainId = chainId;
+    this.failures = failures;
+  }
+}
+
+function defaultEnv(): RpcEnv {
+  return (globalThis as { process?: { env?: RpcEnv } }).process?.env ?? {};
+}
+
+function readEnv(env: RpcEnv, name: string): string | undefined {
+  return env[name] || env[`VITE_${name}`] || undefined;
+}
+
+/**
+ * Endpoints for a chain with their keys filled in. `label` is the template
+ * (or just the origin of a plain URL) so keys never end up in logs or errors.
+ */
+export function resolveRpcUrls(
+  chainId: number | bigint | string = DEFAULT_CHAIN_ID,
+  { env = defaultEnv(), urls }: { env?: RpcEnv; urls?: readonly string[] } = {}
+): RpcEndpoint[] {
+  const id = Number(chainId);
+  const fromEnv = (readEnv(env, `RPC_URLS_${id}`) ?? "").split(",").map((url) => url.trim()).filter(Boolean);
+  const templates = [...fromEnv, ...(urls ?? RPC_ENDPOINTS[id] ?? [])];
+  const endpoints: RpcEndpoint[] = [];
+
+  for (const template of templates) {
+    let missing = false;
+    const url = template.replace(PLACEHOLDER, (match, name: string) => {
+      const value = readEnv(env, name);
+      if (!value) missing = true;
+      return value ?? match;
+    });
+
+    if (!missing && !endpoints.some((endpoint) => endpoint.url === url)) {
+      endpoints.push({ url, label: template.includes("{") ? template : new URL(url).origin });
+    }
+  }
+
+  if (endpoints.length === 0) {
+    throw new Error(`No RPC endpoint for chainId ${id}: set RPC_URLS_${id} or the keys its endpoints need`);
+  }
+
+  return endpoints;
+}
+
+function parseRetryAfter(value: string | undefined): number | null {
+  const seconds = Number(value);
+  return value !== undefined && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+type EndpointState = RpcEndpoint & { verified: boolean; disabled: boolean };
+type RpcResponse = JsonRpcResult | JsonRpcError;
+
+/**
+ * JsonRpcProvider over several endpoints. A request that fails with a network
+ * error, timeout, 429 or 5xx moves on to the next endpoint after a jittered
+ * exponential backoff. Other HTTP errors and a mismatching chainId (checked
+ * on first use) drop the endpoint. JSON-RPC errors are returned as they are.
+ */
+export class ResilientProvider extends JsonRpcProvider {
+  readonly expectedChainId: number;
+  readonly endpoints: EndpointState[];
+  cursor: number;
+  readonly retry: { maxAttempts: number; baseDelay: number; maxDelay: number; timeout: number };
+  readonly random: () => number;
+  readonly sleep: (ms: number) => Promise<void>;
+
+  constructor(
+    endpoints: readonly (string | RpcEndpoint)[],
+    chainId: number | bigint | string = DEFAULT_CHAIN_ID,
+    options: ResilientProviderOptions = {}
+  ) {
+    const { maxAttempts, baseDelay, maxDelay, timeout, random, sleep, ...providerOptions } = options;
+    const network = Network.from(Number(chainId));
+    const list = endpoints.map((endpoint) => (typeof endpoint === "string" ? { url: endpoint, label: endpoint } : endpoint));
+
+    if (list.length === 0) {
+      throw new Error("ResilientProvider needs at least one endpoint");
+    }
+
+    super(list[0].url, network, { ...providerOptions, staticNetwork: network });
+    this.expectedChainId = Number(chainId);
+    this.endpoints = list.map((endpoint) => ({ ...endpoint, verified: false, disabled: false }));
+    this.cursor = 0;
+    this.retry = {
+      maxAttempts: maxAttempts ?? DEFAULT_RETRY.maxAttempts,
+      baseDelay: baseDelay ?? DEFAULT_RETRY.baseDelay,
+      maxDelay: maxDelay ?? DEFAULT_RETRY.maxDelay,
+      timeout: timeout ?? DEFAULT_RETRY.timeout
+    };
+    this.random = random ?? Math.random;
+    this.sleep = sleep ?? ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  }
+
+  /** Endpoint that will serve the next request */
+  get activeEndpoint(): string {
+    return this.endpoints[this.cursor].label;
+  }
+
+  /** "Equal jitter": half the exponential delay plus a random half, or Retry-After if longer */
+  retryDelay(attempt: number, retryAfter: number | null = null): number {
+    const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    const delay = ceiling / 2 + this.random() * (ceiling / 2);
+    return Math.min(this.retry.maxDelay, Math.max(delay, retryAfter ?? 0));
+  }
+
+  // ethers types the results as JsonRpcResult but also handles the error entries
+  async _send(payload: JsonRpcPayload | JsonRpcPayload[]): Promise<JsonRpcResult[]> {
+    const failures: RpcEndpointError[] = [];
+    let attempt = 0;
+
+    while (attempt < this.retry.maxAttempts) {
+      const index = this.nextEndpoint();
+      if (index === -1) break;
+      const endpoint = this.endpoints[index];
+
+      try {
+        await this.verifyChainId(endpoint);
+        const response = await this.post(endpoint, payload);
+        this.cursor = index;
+        return response as JsonRpcResult[];
+      } catch (error) {
+        if (!(error instanceof RpcEndpointError)) throw error;
+        failures.push(error);
+
+        // Wrong chain, revoked key or wrong path: this endpoint won't recover, the next one may answer
+        if (!error.retryable) {
+          endpoint.disabled = true;
+          continue;
+        }
+
+        this.cursor = (index + 1) % this.endpoints.length;
+        attempt += 1;
+        if (attempt < this.retry.maxAttempts) {
+          await this.sleep(this.retryDelay(attempt - 1, error.retryAfter));
+        }
+      }
+    }
+
+    throw new RpcUnavailableError(this.expectedChainId, failures);
+  }
+
+  nextEndpoint(): number {
+    for (let offset = 0; offset < this.endpoints.length; offset++) {
+      const index = (this.cursor + offset) % this.endpoints.length;
+      if (!this.endpoints[index].disabled) return index;
+    }
+    return -1;
+  }
+
+  async verifyChainId(endpoint: EndpointState): Promise<void> {
+    if (endpoint.verified) return;
+
+    const [response] = await this.post(endpoint, { id: 0, jsonrpc: "2.0", method: "eth_chainId", params: [] });
+    if ("error" in response) {
+      throw new RpcEndpointError(endpoint.label, `eth_chainId failed: ${response.error.message}`);
+    }
+    if (Number(response.result) !== this.expectedChainId) {
+      throw new ChainIdMismatchError(endpoint.label, this.expectedChainId, Number(response.result));
+    }
+    endpoint.verified = true;
+  }
+
+  async post(endpoint: RpcEndpoint, payload: JsonRpcPayload | JsonRpcPayload[]): Promise<RpcResponse[]> {
+    const request = new FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+    request.timeout = this.retry.timeout;
+    // Backoff is ours: FetchRequest would otherwise retry 429s on the same endpoint
+    request.retryFunc = async () => false;
+
+    let response;
+    try {
+      response = await request.send();
+    } catch (error) {
+      const { shortMessage, message } = error as { shortMessage?: string; message: string };
+      throw new RpcEndpointError(endpoint.label, shortMessage ?? message, { cause: error });
+    }
+
+    const { statusCode } = response;
+    if (statusCode === 429 || statusCode >= 500) {
+      throw new RpcEndpointError(endpoint.label, `HTTP ${statusCode}`, {
+        status: statusCode,
+        retryAfter: parseRetryAfter(response.headers["retry-after"])
+      });
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new RpcEndpointError(endpoint.label, `HTTP ${statusCode}`, { status: statusCode, retryable: false });
+    }
+
+    let body: RpcResponse | RpcResponse[];
+    try {
+      body = response.bodyJson;
+    } catch (error) {
+      throw new RpcEndpointError(endpoint.label, "invalid JSON response", { cause: error });
+    }
+
+    const results = Array.isArray(body) ? body : [body];
+    const limited = results.find((result): result is JsonRpcError => "error" in result && RATE_LIMIT_CODES.includes(result.error.code));
+    if (limited) {
+      throw new RpcEndpointError(endpoint.label, `rate limited: ${limited.error.message}`, { status: 429 });
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Provider for a Nuxchain chain over every endpoint configured for it, e.g.
+ * createResilientProvider(137, { env: import.meta.env }) in a Vite app.
+ */
+export function createResilientProvider(
+  chainId: number | bigint | string = DEFAULT_CHAIN_ID,
+  options: CreateResilientProviderOptions = {}
+): ResilientProvider {
+  const { env, urls, ...providerOptions } = options;
+  return new ResilientProvider(resolveRpcUrls(chainId, { env, urls }), chainId, providerOptions);
+}
@@ -0,0 +1,381 @@
+import type { BigNumberish } from "ethers";
+
+import { LOCKUP_PERIODS, Rarity, SkillType } from "../config";
+
+// Mirrors the private constants of SmartStakingRewards, DynamicAPYCalculator and SmartStakingPower
+export const BASIS_POINTS = 10000n;
+export const SECONDS_PER_YEAR = 365n * 86400n;
+const DAY = 86400n;
+const PRECISION = 10n ** 18n;
+const ETHER = 10n ** 18n;
+const UINT16_MAX = 65535n;
+
+/** Base APY per lockup index, in basis points (SmartStakingRewards constructor) */
+export const DEFAULT_BASE_APYS: readonly bigint[] = Object.freeze([86n, 146n, 193n, 242n, 255n]);
+
+export interface TierBonus {
+  name: "Platinum" | "Gold" | "Silver" | "Bronze";
+  minDeposited: bigint;
+  bonusBps: bigint;
+}
+
+/** Net deposited thresholds (wei) and their APY bonus (bps), highest first */
+export const TIER_BONUSES: readonly TierBonus[] = Object.freeze([
+  Object.freeze({ name: "Platinum", minDeposited: 10000n * ETHER, bonusBps: 150n }),
+  Object.freeze({ name: "Gold", minDeposited: 1000n * ETHER, bonusBps: 75n }),
+  Object.freeze({ name: "Silver", minDeposited: 100n * ETHER, bonusBps: 25n }),
+  Object.freeze({ name: "Bronze", minDeposited: 0n, bonusBps: 0n })
+] as TierBonus[]);
+
+/** Staking duration since the first deposit and its APY bonus (bps), longest first */
+export const LOYALTY_BONUSES: readonly { minSeconds: bigint; bonusBps: bigint }[] = Object.freeze([
+  Object.freeze({ minSeconds: 365n * DAY, bonusBps: 100n }),
+  Object.freeze({ minSeconds: 180n * DAY, bonusBps: 50n }),
+  Object.freeze({ minSeconds: 90n * DAY, bonusBps: 25n })
+]);
+
+/** DynamicAPYCalculator state that shapes the curve */
+export interface ApyCurve {
+  enabled: boolean;
+  paused: boolean;
+  targetTVL: bigint;
+  minMultiplier: bigint;
+  maxMultiplier: bigint;
+}
+
+/** DynamicAPYCalculator constructor values */
+export const DEFAULT_APY_CURVE: Readonly<ApyCurve> = Object.freeze({
+  enabled: true,
+  paused: false,
+  targetTVL: 1000000n * ETHER,
+  minMultiplier: 3000n,
+  maxMultiplier: 10000n
+});
+
+/** SmartStakingPower default boost per skill type (bps), used when a power has no effectValue */
+export const POWER_BOOSTS: Readonly<Partial<Record<SkillType, bigint>>> = Object.freeze({
+  [SkillType.STAKE_BOOST_I]: 375n,
+  [SkillType.STAKE_BOOST_II]: 750n,
+  [SkillType.STAKE_BOOST_III]: 1500n,
+  [SkillType.LOCK_REDUCER]: 188n,
+  [SkillType.FEE_REDUCER_I]: 750n,
+  [SkillType.FEE_REDUCER_II]: 1875n,
+  [SkillType.AMBASSADOR]: 375n,
+  [SkillType.MODERATOR]: 375n,
+  [SkillType.BETA_TESTER]: 375n,
+  [SkillType.VIP_PARTNER]: 375n
+});
+
+/** Effect multiplier per rarity, in percent */
+export const RARITY_MULTIPLIERS: Readonly<Record<Rarity, bigint>> = Object.freeze({
+  [Rarity.COMMON]: 100n,
+  [Rarity.UNCOMMON]: 150n,
+  [Rarity.RARE]: 200n,
+  [Rarity.EPIC]: 300n,
+  [Rarity.LEGENDARY]: 500n
+});
+
+/** Skill types that add to the staking APY boost */
+export const STAKING_BOOST_SKILLS: readonly SkillType[] = Object.freeze([
+  SkillType.STAKE_BOOST_I,
+  SkillType.STAKE_BOOST_II,
+  SkillType.STAKE_BOOST_III,
+  SkillType.MODERATOR,
+  SkillType.BETA_TESTER,
+  SkillType.VIP_PARTNER,
+  SkillType.AMBASSADOR
+]);
+
+const FEE_SKILLS: readonly SkillType[] = [SkillType.FEE_REDUCER_I, SkillType.FEE_REDUCER_II];
+
+export const MAX_TOTAL_STAKING_BOOST = 3750n;
+export const MAX_ACTIVE_POWERS = 5;
+const POWER_CAPS = Object.freeze({ staking: MAX_TOTAL_STAKING_BOOST, fee: 5625n, lock: 3750n });
+
+/** Inputs SmartStakingRewards reads from its own state */
+export interface RewardsParams {
+  /** Defaults to DEFAULT_BASE_APYS */
+  baseAPYs?: readonly BigNumberish[];
+  /** SmartStakingRewards.currentTVL, wei */
+  currentTVL?: BigNumberish;
+  /** Partial overrides of DEFAULT_APY_CURVE; null = no calculator set */
+  apyCurve?: Partial<ApyCurve> | null;
+  /** SmartStakingCore.referralBoostBps */
+  referralBoostBps?: BigNumberish;
+}
+
+export interface RewardsDeposit {
+  amount: BigNumberish;
+  lastClaimTime: BigNumberish;
+  lockupIndex: number;
+}
+
+export interface PositionDeposit {
+  amount: BigNumberish;
+  timestamp: BigNumberish;
+  lastClaimTime: BigNumberish;
+  /** Seconds, as stored by SmartStakingCore */
+  lockupDuration: BigNumberish;
+}
+
+export interface RewardsPosition {
+  deposits: readonly PositionDeposit[];
+  /** SmartStakingPower.getUserBoosts stakingBoost, bps */
+  stakingBoost?: BigNumberish;
+  referralBoostEndTime?: BigNumberish;
+}
+
+export interface PowerInput {
+  powerType: SkillType | number;
+  rarity?: Rarity | number;
+  /** 0 or undefined uses POWER_BOOSTS */
+  effectValue?: BigNumberish;
+}
+
+export interface RewardsProjection {
+  total: bigint;
+  boostBps: bigint;
+  byDeposit: Array<{ index: number; lockupIndex: number; apyBps: bigint; rewards: bigint }>;
+}
+
+/**
+ * A reward or APY computation the contracts would revert on
+ */
+export class RewardsMathError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "RewardsMathError";
+  }
+}
+
+/**
+ * DynamicAPYCalculator.sqrt: Babylonian method, capped at 256 iterations
+ */
+export function sqrt(x: BigNumberish): bigint {
+  const value = BigInt(x);
+  if (value === 0n) return 0n;
+
+  let z = (value + 1n) / 2n;
+  let y = value;
+  for (let iterations = 0; z < y && iterations < 256; iterations++) {
+    y = z;
+    z = (value / z + z) / 2n;
+  }
+  return y;
+}
+
+function curveOf(curve: Partial<ApyCurve>): ApyCurve {
+  return { ...DEFAULT_APY_CURVE, ...curve };
+}
+
+/**
+ * DynamicAPYCalculator.getCurrentMultiplier: bps applied to the base APY at `tvl`.
+ * The contract takes sqrt() of a 1e18-scaled ratio and rescales by 1e18, so
+ * above the target the result sits at minMultiplier; reproduced as-is.
+ */
+export function apyMultiplier(tvl: BigNumberish, curve: Partial<ApyCurve> = DEFAULT_APY_CURVE): bigint {
+  const { enabled, targetTVL, minMultiplier, maxMultiplier } = curveOf(curve);
+  const value = BigInt(tvl);
+
+  if (!enabled || value <= BigInt(targetTVL)) return BASIS_POINTS;
+  if (value < ETHER) return BigInt(maxMultiplier);
+
+  const ratio = (BigInt(targetTVL) * PRECISION) / value;
+  let multiplier = (sqrt(ratio) * BASIS_POINTS) / PRECISION;
+
+  if (multiplier < BigInt(minMultiplier)) multiplier = BigInt(minMultiplier);
+  if (multiplier > BigInt(maxMultiplier)) multiplier = BigInt(maxMultiplier);
+  return multiplier;
+}
+
+/**
+ * DynamicAPYCalculator.calculateDynamicAPY. Throws like the contract while paused.
+ */
+export function dynamicAPY(baseAPY: BigNumberish, tvl: BigNumberish, curve: Partial<ApyCurve> = DEFAULT_APY_CURVE): bigint {
+  const resolved = curveOf(curve);
+  if (resolved.paused) throw new RewardsMathError("DynamicAPYCalculator is paused");
+  if (!resolved.enabled) return BigInt(baseAPY);
+  return (BigInt(baseAPY) * apyMultiplier(tvl, resolved)) / BASIS_POINTS;
+}
+
+/**
+ * SmartStakingRewards.getUserTier
+ */
+export function getUserTier(totalDeposited: BigNumberish): { name: TierBonus["name"]; bonusBps: bigint } {
+  const deposited = BigInt(totalDeposited);
+  const { name, bonusBps } = TIER_BONUSES.find((tier) => deposited >= tier.minDeposited)!;
+  return { name, bonusBps };
+}
+
+/** SmartStakingRewards.getTierBonus, in bps */
+export function getTierBonus(totalDeposited: BigNumberish): bigint {
+  return getUserTier(totalDeposited).bonusBps;
+}
+
+/**
+ * SmartStakingRewards.getLoyaltyBonus, in bps
+ * @param stakingSince - first deposit timestamp, 0 if none
+ * @param now - unix seconds
+ */
+export function getLoyaltyBonus(stakingSince: BigNumberish, now: BigNumberish): bigint {
+  const since = BigInt(stakingSince);
+  if (since === 0n) return 0n;
+
+  const duration = BigInt(now) - since;
+  if (duration < 0n) throw new RewardsMathError(`stakingSince ${since} is after ${now}`);
+  return LOYALTY_BONUSES.find((step) => duration >= step.minSeconds)?.bonusBps ?? 0n;
+}
+
+/**
+ * Staking boost (bps) of powers activated in this order, as
+ * SmartStakingPower.getUserBoosts reports it: effect × rarity multiplier per
+ * power. Like notifyPowerActivation, a NONE power, an activation past
+ * MAX_ACTIVE_POWERS or one that would exceed its category cap (staking, fee
+ * discount, lock reduction) is rejected.
+ */
+export function stakingBoostFromPowers(powers: readonly PowerInput[]): bigint {
+  const totals = { staking: 0n, fee: 0n, lock: 0n };
+  let active = 0;
+
+  for (const power of powers) {
+    if (active >= MAX_ACTIVE_POWERS) break;
+    if (Number(power.powerType) === SkillType.NONE) continue;
+
+    const type = Number(power.powerType) as SkillType;
+    const effect = BigInt(power.effectValue ?? 0) > 0n ? BigInt(power.effectValue!) : POWER_BOOSTS[type] ?? 0n;
+    // uint16(...) truncates in Solidity
+    const effective = ((effect * (RARITY_MULTIPLIERS[Number(power.rarity ?? Rarity.COMMON) as Rarity] ?? 0n)) / 100n) % (UINT16_MAX + 1n);
+    const category: keyof typeof totals | null = STAKING_BOOST_SKILLS.includes(type)
+      ? "staking"
+      : FEE_SKILLS.includes(type)
+        ? "fee"
+        : type === SkillType.LOCK_REDUCER
+          ? "lock"
+          : null;
+
+    if (category && totals[category] + effective > POWER_CAPS[category]) continue;
+    if (category) totals[category] += effective;
+    active += 1;
+  }
+  return totals.staking;
+}
+
+/**
+ * SmartStakingCoreLib._getLockupIndex: unknown durations count as flexible
+ */
+export function lockupIndexForDuration(seconds: BigNumberish): number {
+  return LOCKUP_PERIODS.find((period) => BigInt(period.seconds) === BigInt(seconds))?.index ?? 0;
+}
+
+/**
+ * APY (bps) of a lockup index before boosts: base APY, through the dynamic
+ * curve when a calculator is set and the TVL is not zero
+ */
+export function lockupAPY(lockupIndex: number, params: RewardsParams = {}): bigint {
+  const { baseAPYs = DEFAULT_BASE_APYS, currentTVL = 0n, apyCurve = DEFAULT_APY_CURVE } = params;
+  const apy = BigInt(baseAPYs[Number(lockupIndex)]);
+  return apyCurve && BigInt(currentTVL) > 0n ? dynamicAPY(apy, currentTVL, apyCurve) : apy;
+}
+
+/**
+ * SmartStakingRewards.calculateBoostedAPY: base APY plus the boost, without
+ * the dynamic curve. 0 for an unknown lockup index.
+ */
+export function calculateBoostedAPY(
+  lockupIndex: number,
+  stakingBoost: BigNumberish,
+  { baseAPYs = DEFAULT_BASE_APYS }: Pick<RewardsParams, "baseAPYs"> = {}
+): bigint {
+  const apy = baseAPYs[Number(lockupIndex)];
+  return apy === undefined ? 0n : BigInt(apy) + BigInt(stakingBoost);
+}
+
+/**
+ * SmartStakingRewards.simulateAPY with the user's staking boost already read
+ */
+export function simulateAPY(
+  depositAmount: BigNumberish,
+  lockupIndex: number,
+  stakingBoost: BigNumberish,
+  params: RewardsParams = {}
+): { effectiveAPY: bigint; annualRewards: bigint } {
+  if (Number(lockupIndex) >= (params.baseAPYs ?? DEFAULT_BASE_APYS).length) {
+    return { effectiveAPY: 0n, annualRewards: 0n };
+  }
+  const effectiveAPY = lockupAPY(lockupIndex, params) + BigInt(stakingBoost);
+  return { effectiveAPY, annualRewards: (BigInt(depositAmount) * effectiveAPY) / BASIS_POINTS };
+}
+
+/**
+ * SmartStakingRewards.calculateStakingRewards at `now`
+ * @param stakingBoost - bps
+ * @param now - unix seconds
+ */
+export function calculateStakingRewards(
+  deposit: RewardsDeposit,
+  stakingBoost: BigNumberish,
+  params: RewardsParams,
+  now: BigNumberish
+): bigint {
+  return accrue(deposit, BigInt(stakingBoost), params, now);
+}
+
+/**
+ * SmartStakingRewards.calculateStakingRewardsWithBonuses at `now`: adds the
+ * tier bonus of `totalDeposited` and the loyalty bonus since `stakingSince`
+ */
+export function calculateStakingRewardsWithBonuses(
+  deposit: RewardsDeposit,
+  stakingBoost: BigNumberish,
+  { totalDeposited, stakingSince }: { totalDeposited: BigNumberish; stakingSince: BigNumberish },
+  params: RewardsParams,
+  now: BigNumberish
+): bigint {
+  const bonus = BigInt(stakingBoost) + getTierBonus(totalDeposited) + getLoyaltyBonus(stakingSince, now);
+  return accrue(deposit, bonus, params, now);
+}
+
+function accrue(deposit: RewardsDeposit, bonus: bigint, params: RewardsParams = {}, now: BigNumberish): bigint {
+  const lockupIndex = Number(deposit.lockupIndex);
+  if (lockupIndex >= (params.baseAPYs ?? DEFAULT_BASE_APYS).length) return 0n;
+
+  const elapsed = BigInt(now) - BigInt(deposit.lastClaimTime);
+  if (elapsed < 0n) throw new RewardsMathError(`lastClaimTime ${deposit.lastClaimTime} is after ${now}`);
+  if (elapsed === 0n) return 0n;
+
+  const totalAPY = lockupAPY(lockupIndex, params) + bonus;
+  return (BigInt(deposit.amount) * totalAPY * elapsed) / (SECONDS_PER_YEAR * BASIS_POINTS);
+}
+
+/**
+ * Boost SmartStakingCore passes for `position` at `now`: skill boost plus the
+ * referral boost while it lasts, saturated to uint16
+ */
+export function positionBoost(position: RewardsPosition, params: RewardsParams, now: BigNumberish): bigint {
+  let boost = BigInt(position.stakingBoost ?? 0n);
+  const referralBps = BigInt(params.referralBoostBps ?? 0n);
+  if (referralBps > 0n && BigInt(position.referralBoostEndTime ?? 0n) > BigInt(now)) {
+    boost += referralBps;
+  }
+  return boost > UINT16_MAX ? UINT16_MAX : boost;
+}
+
+/**
+ * SmartStakingCore.calculateRewards of `position` if it were read at `at`
+ * (unix seconds, now or in the future), with the deposits and parameters
+ * unchanged until then.
+ */
+export function projectRewards(position: RewardsPosition, params: RewardsParams, at: BigNumberish): RewardsProjection {
+  const boost = positionBoost(position, params, at);
+  const byDeposit = position.deposits.map((deposit, index) => {
+    const lockupIndex = lockupIndexForDuration(deposit.lockupDuration);
+    return {
+      index,
+      lockupIndex,
+      apyBps: lockupAPY(lockupIndex, params) + boost,
+      rewards: calculateStakingRewards({ ...deposit, lockupIndex }, boost, params, at)
+    };
+  });
+
+  return { total: byDeposit.reduce((sum, entry) => sum + entry.rewards, 0n), boostBps: boost, byDeposit };
+}
@@ -0,0 +1,1357 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace AgentNuxPower {
+  export type EquippedPowerStruct = {
+    powerId: BigNumberish;
+    equippedAt: BigNumberish;
+    active: boolean;
+  };
+
+  export type EquippedPowerStructOutput = [
+    powerId: bigint,
+    equippedAt: bigint,
+    active: boolean
+  ] & { powerId: bigint; equippedAt: bigint; active: boolean };
+}
+
+export interface AgentNuxPowerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "MAX_POWERS_PER_AGENT"
+      | "POWERS_PER_CATEGORY"
+      | "TOTAL_POWERS"
+      | "UPGRADER_ROLE"
+      | "activePowerCount"
+      | "emergencyWithdraw"
+      | "getActiveAgentPowers"
+      | "getAgentPowers"
+      | "getCurrentPrice"
+      | "getPowersByCategory"
+      | "getRoleAdmin"
+      | "getTotalEffectBps"
+      | "grantRole"
+      | "hasPower"
+      | "hasRole"
+      | "initialize"
+      | "levelingSystem"
+      | "pause"
+      | "paused"
+      | "powers"
+      | "pricing"
+      | "proxiableUUID"
+      | "purchasePower"
+      | "purchasesByPower"
+      | "removePower"
+      | "renounceRole"
+      | "revokeRole"
+      | "setBasePrice"
+      | "setLevelingSystem"
+      | "setPowerActive"
+      | "setTreasuryManager"
+      | "supportsInterface"
+      | "totalPurchases"
+      | "totalRevenue"
+      | "treasuryManager"
+      | "unpause"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "BasePriceUpdated"
+      | "BeaconUpgraded"
+      | "DynamicPriceUpdated"
+      | "Initialized"
+      | "LevelingSystemUpdated"
+      | "Paused"
+      | "PowerPurchased"
+      | "PowerRemoved"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "TreasuryUpdated"
+      | "Unpaused"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_POWERS_PER_AGENT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "POWERS_PER_CATEGORY",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "TOTAL_POWERS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activePowerCount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveAgentPowers",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentPowers",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCurrentPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowersByCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalEffectBps",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasPower",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystem",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "powers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "pricing",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "purchasePower",
+    values: [BigNumberish, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "purchasesByPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removePower",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setBasePrice",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerActive",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPurchases",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRevenue",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_POWERS_PER_AGENT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "POWERS_PER_CATEGORY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "TOTAL_POWERS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activePowerCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveAgentPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCurrentPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowersByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalEffectBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasPower", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "powers", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pricing", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "purchasePower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "purchasesByPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removePower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setBasePrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPurchases",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRevenue",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BasePriceUpdatedEvent {
+  export type InputTuple = [powerId: BigNumberish, newBasePrice: BigNumberish];
+  export type OutputTuple = [powerId: bigint, newBasePrice: bigint];
+  export interface OutputObject {
+    powerId: bigint;
+    newBasePrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DynamicPriceUpdatedEvent {
+  export type InputTuple = [
+    powerId: BigNumberish,
+    newMultiplierBps: BigNumberish,
+    newPrice: BigNumberish
+  ];
+  export type OutputTuple = [
+    powerId: bigint,
+    newMultiplierBps: bigint,
+    newPrice: bigint
+  ];
+  export interface OutputObject {
+    powerId: bigint;
+    newMultiplierBps: bigint;
+    newPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelingSystemUpdatedEvent {
+  export type InputTuple = [newLeveling: AddressLike];
+  export type OutputTuple = [newLeveling: string];
+  export interface OutputObject {
+    newLeveling: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerPurchasedEvent {
+  export type InputTuple = [
+    buyer: AddressLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    powerId: BigNumberish,
+    pricePaid: BigNumberish
+  ];
+  export type OutputTuple = [
+    buyer: string,
+    nftContract: string,
+    tokenId: bigint,
+    powerId: bigint,
+    pricePaid: bigint
+  ];
+  export interface OutputObject {
+    buyer: string;
+    nftContract: string;
+    tokenId: bigint;
+    powerId: bigint;
+    pricePaid: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerRemovedEvent {
+  export type InputTuple = [
+    owner: AddressLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    powerId: BigNumberish
+  ];
+  export type OutputTuple = [
+    owner: string,
+    nftContract: string,
+    tokenId: bigint,
+    powerId: bigint
+  ];
+  export interface OutputObject {
+    owner: string;
+    nftContract: string;
+    tokenId: bigint;
+    powerId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryUpdatedEvent {
+  export type InputTuple = [newTreasury: AddressLike];
+  export type OutputTuple = [newTreasury: string];
+  export interface OutputObject {
+    newTreasury: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface AgentNuxPower extends BaseContract {
+  connect(runner?: ContractRunner | null): AgentNuxPower;
+  waitForDeployment(): Promise<this>;
+
+  interface: AgentNuxPowerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MAX_POWERS_PER_AGENT: TypedContractMethod<[], [bigint], "view">;
+
+  POWERS_PER_CATEGORY: TypedContractMethod<[], [bigint], "view">;
+
+  TOTAL_POWERS: TypedContractMethod<[], [bigint], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  activePowerCount: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  emergencyWithdraw: TypedContractMethod<
+    [to: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getActiveAgentPowers: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [AgentNuxPower.EquippedPowerStructOutput[]],
+    "view"
+  >;
+
+  getAgentPowers: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [AgentNuxPower.EquippedPowerStructOutput[]],
+    "view"
+  >;
+
+  getCurrentPrice: TypedContractMethod<
+    [powerId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getPowersByCategory: TypedContractMethod<
+    [category: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        ids: bigint[];
+        prices: bigint[];
+        effects: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getTotalEffectBps: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasPower: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish, arg2: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [admin_: AddressLike, treasury_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  levelingSystem: TypedContractMethod<[], [string], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  powers: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        category: bigint;
+        effectBps: bigint;
+        basePrice: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  pricing: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        currentMultiplierBps: bigint;
+        windowStart: bigint;
+        purchasesInWindow: bigint;
+        lastDecayCheck: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  purchasePower: TypedContractMethod<
+    [powerId: BigNumberish, nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  purchasesByPower: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  removePower: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish, powerId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setBasePrice: TypedContractMethod<
+    [powerId: BigNumberish, newBasePrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingSystem: TypedContractMethod<
+    [leveling_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerActive: TypedContractMethod<
+    [powerId: BigNumberish, active_: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [treasury_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  totalPurchases: TypedContractMethod<[], [bigint], "view">;
+
+  totalRevenue: TypedContractMethod<[], [bigint], "view">;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MAX_POWERS_PER_AGENT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "POWERS_PER_CATEGORY"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "TOTAL_POWERS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "activePowerCount"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<[to: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getActiveAgentPowers"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [AgentNuxPower.EquippedPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentPowers"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [AgentNuxPower.EquippedPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCurrentPrice"
+  ): TypedContractMethod<[powerId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getPowersByCategory"
+  ): TypedContractMethod<
+    [category: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        ids: bigint[];
+        prices: bigint[];
+        effects: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getTotalEffectBps"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasPower"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish, arg2: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [admin_: AddressLike, treasury_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "levelingSystem"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "powers"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        category: bigint;
+        effectBps: bigint;
+        basePrice: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "pricing"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        currentMultiplierBps: bigint;
+        windowStart: bigint;
+        purchasesInWindow: bigint;
+        lastDecayCheck: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "purchasePower"
+  ): TypedContractMethod<
+    [powerId: BigNumberish, nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "purchasesByPower"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "removePower"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish, powerId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setBasePrice"
+  ): TypedContractMethod<
+    [powerId: BigNumberish, newBasePrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLevelingSystem"
+  ): TypedContractMethod<[leveling_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPowerActive"
+  ): TypedContractMethod<
+    [powerId: BigNumberish, active_: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[treasury_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalPurchases"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalRevenue"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BasePriceUpdated"
+  ): TypedContractEvent<
+    BasePriceUpdatedEvent.InputTuple,
+    BasePriceUpdatedEvent.OutputTuple,
+    BasePriceUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DynamicPriceUpdated"
+  ): TypedContractEvent<
+    DynamicPriceUpdatedEvent.InputTuple,
+    DynamicPriceUpdatedEvent.OutputTuple,
+    DynamicPriceUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelingSystemUpdated"
+  ): TypedContractEvent<
+    LevelingSystemUpdatedEvent.InputTuple,
+    LevelingSystemUpdatedEvent.OutputTuple,
+    LevelingSystemUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerPurchased"
+  ): TypedContractEvent<
+    PowerPurchasedEvent.InputTuple,
+    PowerPurchasedEvent.OutputTuple,
+    PowerPurchasedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerRemoved"
+  ): TypedContractEvent<
+    PowerRemovedEvent.InputTuple,
+    PowerRemovedEvent.OutputTuple,
+    PowerRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryUpdated"
+  ): TypedContractEvent<
+    TreasuryUpdatedEvent.InputTuple,
+    TreasuryUpdatedEvent.OutputTuple,
+    TreasuryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "BasePriceUpdated(uint8,uint256)": TypedContractEvent<
+      BasePriceUpdatedEvent.InputTuple,
+      BasePriceUpdatedEvent.OutputTuple,
+      BasePriceUpdatedEvent.OutputObject
+    >;
+    BasePriceUpdated: TypedContractEvent<
+      BasePriceUpdatedEvent.InputTuple,
+      BasePriceUpdatedEvent.OutputTuple,
+      BasePriceUpdatedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "DynamicPriceUpdated(uint8,uint256,uint256)": TypedContractEvent<
+      DynamicPriceUpdatedEvent.InputTuple,
+      DynamicPriceUpdatedEvent.OutputTuple,
+      DynamicPriceUpdatedEvent.OutputObject
+    >;
+    DynamicPriceUpdated: TypedContractEvent<
+      DynamicPriceUpdatedEvent.InputTuple,
+      DynamicPriceUpdatedEvent.OutputTuple,
+      DynamicPriceUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LevelingSystemUpdated(address)": TypedContractEvent<
+      LevelingSystemUpdatedEvent.InputTuple,
+      LevelingSystemUpdatedEvent.OutputTuple,
+      LevelingSystemUpdatedEvent.OutputObject
+    >;
+    LevelingSystemUpdated: TypedContractEvent<
+      LevelingSystemUpdatedEvent.InputTuple,
+      LevelingSystemUpdatedEvent.OutputTuple,
+      LevelingSystemUpdatedEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PowerPurchased(address,address,uint256,uint8,uint256)": TypedContractEvent<
+      PowerPurchasedEvent.InputTuple,
+      PowerPurchasedEvent.OutputTuple,
+      PowerPurchasedEvent.OutputObject
+    >;
+    PowerPurchased: TypedContractEvent<
+      PowerPurchasedEvent.InputTuple,
+      PowerPurchasedEvent.OutputTuple,
+      PowerPurchasedEvent.OutputObject
+    >;
+
+    "PowerRemoved(address,address,uint256,uint8)": TypedContractEvent<
+      PowerRemovedEvent.InputTuple,
+      PowerRemovedEvent.OutputTuple,
+      PowerRemovedEvent.OutputObject
+    >;
+    PowerRemoved: TypedContractEvent<
+      PowerRemovedEvent.InputTuple,
+      PowerRemovedEvent.OutputTuple,
+      PowerRemovedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "TreasuryUpdated(address)": TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+    TreasuryUpdated: TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
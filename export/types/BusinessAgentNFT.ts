@@ -0,0 +1,2382 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace INuxAgentNFT {
+  export type AgentConfigStruct = {
+    name: string;
+    description: string;
+    model: string;
+    category: BigNumberish;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: BytesLike;
+    agentURI: string;
+    state: BigNumberish;
+    mintedAt: BigNumberish;
+    reputation: BigNumberish;
+  };
+
+  export type AgentConfigStructOutput = [
+    name: string,
+    description: string,
+    model: string,
+    category: bigint,
+    systemPromptURI: string,
+    userPromptURI: string,
+    promptsEncrypted: boolean,
+    geminiConfig: string,
+    agentURI: string,
+    state: bigint,
+    mintedAt: bigint,
+    reputation: bigint
+  ] & {
+    name: string;
+    description: string;
+    model: string;
+    category: bigint;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: string;
+    agentURI: string;
+    state: bigint;
+    mintedAt: bigint;
+    reputation: bigint;
+  };
+}
+
+export declare namespace BusinessAgentNFT {
+  export type ClientStruct = {
+    walletAddress: AddressLike;
+    lifetimeValue: BigNumberish;
+    stage: BigNumberish;
+  };
+
+  export type ClientStructOutput = [
+    walletAddress: string,
+    lifetimeValue: bigint,
+    stage: bigint
+  ] & { walletAddress: string; lifetimeValue: bigint; stage: bigint };
+
+  export type WorkflowStruct = {
+    status: BigNumberish;
+    completedAt: BigNumberish;
+  };
+
+  export type WorkflowStructOutput = [status: bigint, completedAt: bigint] & {
+    status: bigint;
+    completedAt: bigint;
+  };
+}
+
+export interface BusinessAgentNFTInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "ERC6551_REGISTRY"
+      | "FACTORY_ROLE"
+      | "MAX_CLIENTS"
+      | "MAX_WORKFLOWS"
+      | "PLATFORM_MINT_FEE_BPS"
+      | "REGISTRY_ROLE"
+      | "RENTAL_ROLE"
+      | "UPGRADER_ROLE"
+      | "addClient"
+      | "agentCountByCategory"
+      | "agentRegistryAddress"
+      | "agentTreasury"
+      | "approve"
+      | "balanceOf"
+      | "businessProfiles"
+      | "computeTokenBoundAccount"
+      | "createWorkflow"
+      | "currentRenter"
+      | "defaultRoyaltyBps"
+      | "effectiveController"
+      | "erc6551Implementation"
+      | "getAgentConfig"
+      | "getAgentData"
+      | "getAgentState"
+      | "getAgentURI"
+      | "getApproved"
+      | "getClient"
+      | "getClientCount"
+      | "getRoleAdmin"
+      | "getTokenBoundAccount"
+      | "getWorkflow"
+      | "getWorkflowCount"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "isApprovedForAll"
+      | "levelingSystemAddress"
+      | "mint"
+      | "mintFromFactory"
+      | "mintingFee"
+      | "name"
+      | "ownerOf"
+      | "proxiableUUID"
+      | "recordDealClosed"
+      | "recordWorkflowCompleted"
+      | "recordWorkflowFailed"
+      | "renounceRole"
+      | "rentalExpiry"
+      | "revokeRole"
+      | "royaltyInfo"
+      | "safeTransferFrom(address,address,uint256)"
+      | "safeTransferFrom(address,address,uint256,bytes)"
+      | "setAgentRegistry"
+      | "setAgentState"
+      | "setAgentURI"
+      | "setApprovalForAll"
+      | "setERC6551Implementation"
+      | "setLevelingSystem"
+      | "setMintingFee"
+      | "setRentalContract"
+      | "setRenter"
+      | "setTreasuryManager"
+      | "supportsInterface"
+      | "symbol"
+      | "tokenURI"
+      | "totalSupply"
+      | "transferFrom"
+      | "updatePrompts"
+      | "updateReputation"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentCreated"
+      | "AgentStateChanged"
+      | "AgentURIUpdated"
+      | "AgentUpdated"
+      | "Approval"
+      | "ApprovalForAll"
+      | "BatchMetadataUpdate"
+      | "BeaconUpgraded"
+      | "ClientAdded"
+      | "DealUpdated"
+      | "Initialized"
+      | "MetadataUpdate"
+      | "MintingFeeUpdated"
+      | "RenterSet"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "TBAccountCreated"
+      | "Transfer"
+      | "Upgraded"
+      | "WorkflowCompleted"
+      | "WorkflowCreated"
+      | "WorkflowFailed"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ERC6551_REGISTRY",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "FACTORY_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_CLIENTS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_WORKFLOWS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PLATFORM_MINT_FEE_BPS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REGISTRY_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "RENTAL_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addClient",
+    values: [BigNumberish, string, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentCountByCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentRegistryAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentTreasury",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "approve",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "balanceOf",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "businessProfiles",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "computeTokenBoundAccount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createWorkflow",
+    values: [BigNumberish, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "currentRenter",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "defaultRoyaltyBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "effectiveController",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "erc6551Implementation",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentConfig",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentData",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentState",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentURI",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getApproved",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getClient",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getClientCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTokenBoundAccount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWorkflow",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWorkflowCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike, AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isApprovedForAll",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystemAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "mint",
+    values: [AddressLike, INuxAgentNFT.AgentConfigStruct, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "mintFromFactory",
+    values: [AddressLike, INuxAgentNFT.AgentConfigStruct, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "mintingFee",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "name", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "ownerOf",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordDealClosed",
+    values: [BigNumberish, BigNumberish, boolean, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordWorkflowCompleted",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordWorkflowFailed",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rentalExpiry",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "royaltyInfo",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "safeTransferFrom(address,address,uint256)",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "safeTransferFrom(address,address,uint256,bytes)",
+    values: [AddressLike, AddressLike, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentRegistry",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentState",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentURI",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setApprovalForAll",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setERC6551Implementation",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMintingFee",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRentalContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRenter",
+    values: [BigNumberish, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "symbol", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "tokenURI",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalSupply",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferFrom",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updatePrompts",
+    values: [BigNumberish, string, string, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateReputation",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "ERC6551_REGISTRY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "FACTORY_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_CLIENTS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_WORKFLOWS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PLATFORM_MINT_FEE_BPS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REGISTRY_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "RENTAL_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "addClient", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "agentCountByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentRegistryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "approve", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "balanceOf", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "businessProfiles",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "computeTokenBoundAccount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createWorkflow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "currentRenter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "defaultRoyaltyBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "effectiveController",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "erc6551Implementation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentData",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentState",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentURI",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getApproved",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getClient", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getClientCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTokenBoundAccount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWorkflow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWorkflowCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isApprovedForAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "mint", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "mintFromFactory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "mintingFee", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "name", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "ownerOf", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordDealClosed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordWorkflowCompleted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordWorkflowFailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rentalExpiry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "royaltyInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "safeTransferFrom(address,address,uint256)",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "safeTransferFrom(address,address,uint256,bytes)",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentState",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentURI",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setApprovalForAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setERC6551Implementation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMintingFee",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRentalContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setRenter", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "symbol", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "tokenURI", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "totalSupply",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferFrom",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePrompts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateReputation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentCreatedEvent {
+  export type InputTuple = [
+    name: string,
+    description: string,
+    model: string,
+    recipient: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [
+    name: string,
+    description: string,
+    model: string,
+    recipient: string,
+    tokenId: bigint
+  ];
+  export interface OutputObject {
+    name: string;
+    description: string;
+    model: string;
+    recipient: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentStateChangedEvent {
+  export type InputTuple = [tokenId: BigNumberish, newState: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, newState: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    newState: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentURIUpdatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, newURI: string];
+  export type OutputTuple = [tokenId: bigint, newURI: string];
+  export interface OutputObject {
+    tokenId: bigint;
+    newURI: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentUpdatedEvent {
+  export type InputTuple = [tokenId: BigNumberish];
+  export type OutputTuple = [tokenId: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ApprovalEvent {
+  export type InputTuple = [
+    owner: AddressLike,
+    approved: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [owner: string, approved: string, tokenId: bigint];
+  export interface OutputObject {
+    owner: string;
+    approved: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ApprovalForAllEvent {
+  export type InputTuple = [
+    owner: AddressLike,
+    operator: AddressLike,
+    approved: boolean
+  ];
+  export type OutputTuple = [
+    owner: string,
+    operator: string,
+    approved: boolean
+  ];
+  export interface OutputObject {
+    owner: string;
+    operator: string;
+    approved: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BatchMetadataUpdateEvent {
+  export type InputTuple = [
+    _fromTokenId: BigNumberish,
+    _toTokenId: BigNumberish
+  ];
+  export type OutputTuple = [_fromTokenId: bigint, _toTokenId: bigint];
+  export interface OutputObject {
+    _fromTokenId: bigint;
+    _toTokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClientAddedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    clientIndex: BigNumberish,
+    clientName: string
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    clientIndex: bigint,
+    clientName: string
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    clientIndex: bigint;
+    clientName: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DealUpdatedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    clientIndex: BigNumberish,
+    newStage: BigNumberish,
+    dealValue: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    clientIndex: bigint,
+    newStage: bigint,
+    dealValue: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    clientIndex: bigint;
+    newStage: bigint;
+    dealValue: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MetadataUpdateEvent {
+  export type InputTuple = [_tokenId: BigNumberish];
+  export type OutputTuple = [_tokenId: bigint];
+  export interface OutputObject {
+    _tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MintingFeeUpdatedEvent {
+  export type InputTuple = [oldFee: BigNumberish, newFee: BigNumberish];
+  export type OutputTuple = [oldFee: bigint, newFee: bigint];
+  export interface OutputObject {
+    oldFee: bigint;
+    newFee: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RenterSetEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    renter: AddressLike,
+    expiry: BigNumberish
+  ];
+  export type OutputTuple = [tokenId: bigint, renter: string, expiry: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    renter: string;
+    expiry: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TBAccountCreatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, tba: AddressLike];
+  export type OutputTuple = [tokenId: bigint, tba: string];
+  export interface OutputObject {
+    tokenId: bigint;
+    tba: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TransferEvent {
+  export type InputTuple = [
+    from: AddressLike,
+    to: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [from: string, to: string, tokenId: bigint];
+  export interface OutputObject {
+    from: string;
+    to: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WorkflowCompletedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    workflowIndex: BigNumberish,
+    xpEarned: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    workflowIndex: bigint,
+    xpEarned: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    workflowIndex: bigint;
+    xpEarned: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WorkflowCreatedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    workflowIndex: BigNumberish,
+    workflowName: string,
+    executionURI: string
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    workflowIndex: bigint,
+    workflowName: string,
+    executionURI: string
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    workflowIndex: bigint;
+    workflowName: string;
+    executionURI: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WorkflowFailedEvent {
+  export type InputTuple = [tokenId: BigNumberish, workflowIndex: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, workflowIndex: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    workflowIndex: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface BusinessAgentNFT extends BaseContract {
+  connect(runner?: ContractRunner | null): BusinessAgentNFT;
+  waitForDeployment(): Promise<this>;
+
+  interface: BusinessAgentNFTInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  ERC6551_REGISTRY: TypedContractMethod<[], [string], "view">;
+
+  FACTORY_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MAX_CLIENTS: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_WORKFLOWS: TypedContractMethod<[], [bigint], "view">;
+
+  PLATFORM_MINT_FEE_BPS: TypedContractMethod<[], [bigint], "view">;
+
+  REGISTRY_ROLE: TypedContractMethod<[], [string], "view">;
+
+  RENTAL_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  addClient: TypedContractMethod<
+    [tokenId: BigNumberish, clientName: string, wallet: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  agentCountByCategory: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  agentRegistryAddress: TypedContractMethod<[], [string], "view">;
+
+  agentTreasury: TypedContractMethod<[], [string], "view">;
+
+  approve: TypedContractMethod<
+    [to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  balanceOf: TypedContractMethod<[owner: AddressLike], [bigint], "view">;
+
+  businessProfiles: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        clientCount: bigint;
+        workflowsCompleted: bigint;
+        dealsClosedWon: bigint;
+        dealsClosedLost: bigint;
+        totalRevenueLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  computeTokenBoundAccount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  createWorkflow: TypedContractMethod<
+    [tokenId: BigNumberish, name_: string, executionURI: string],
+    [void],
+    "nonpayable"
+  >;
+
+  currentRenter: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+
+  defaultRoyaltyBps: TypedContractMethod<[], [bigint], "view">;
+
+  effectiveController: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  erc6551Implementation: TypedContractMethod<[], [string], "view">;
+
+  getAgentConfig: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [INuxAgentNFT.AgentConfigStructOutput],
+    "view"
+  >;
+
+  getAgentData: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, string, string, boolean] & {
+        name: string;
+        description: string;
+        model: string;
+        userPromptURI: string;
+        systemPromptURI: string;
+        promptsEncrypted: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getAgentState: TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+
+  getAgentURI: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  getApproved: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  getClient: TypedContractMethod<
+    [tokenId: BigNumberish, idx: BigNumberish],
+    [BusinessAgentNFT.ClientStructOutput],
+    "view"
+  >;
+
+  getClientCount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getTokenBoundAccount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  getWorkflow: TypedContractMethod<
+    [tokenId: BigNumberish, idx: BigNumberish],
+    [BusinessAgentNFT.WorkflowStructOutput],
+    "view"
+  >;
+
+  getWorkflowCount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasuryManager_: AddressLike,
+      levelingSystem_: AddressLike,
+      erc6551Impl_: AddressLike,
+      mintingFee_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  isApprovedForAll: TypedContractMethod<
+    [owner: AddressLike, operator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  levelingSystemAddress: TypedContractMethod<[], [string], "view">;
+
+  mint: TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  mintFromFactory: TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  mintingFee: TypedContractMethod<[], [bigint], "view">;
+
+  name: TypedContractMethod<[], [string], "view">;
+
+  ownerOf: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  recordDealClosed: TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      clientIdx: BigNumberish,
+      won: boolean,
+      dealValue: BigNumberish,
+      xpEarned: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  recordWorkflowCompleted: TypedContractMethod<
+    [tokenId: BigNumberish, wfIdx: BigNumberish, xpEarned: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  recordWorkflowFailed: TypedContractMethod<
+    [tokenId: BigNumberish, wfIdx: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  rentalExpiry: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  royaltyInfo: TypedContractMethod<
+    [tokenId: BigNumberish, salePrice: BigNumberish],
+    [[string, bigint]],
+    "view"
+  >;
+
+  "safeTransferFrom(address,address,uint256)": TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  "safeTransferFrom(address,address,uint256,bytes)": TypedContractMethod<
+    [
+      from: AddressLike,
+      to: AddressLike,
+      tokenId: BigNumberish,
+      data: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentRegistry: TypedContractMethod<
+    [registry_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentState: TypedContractMethod<
+    [tokenId: BigNumberish, newState: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentURI: TypedContractMethod<
+    [tokenId: BigNumberish, newURI: string],
+    [void],
+    "nonpayable"
+  >;
+
+  setApprovalForAll: TypedContractMethod<
+    [operator: AddressLike, approved: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setERC6551Implementation: TypedContractMethod<
+    [impl_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingSystem: TypedContractMethod<
+    [leveling_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMintingFee: TypedContractMethod<
+    [newFee: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setRentalContract: TypedContractMethod<
+    [rental_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setRenter: TypedContractMethod<
+    [tokenId: BigNumberish, renter: AddressLike, expiry: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [treasury_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  symbol: TypedContractMethod<[], [string], "view">;
+
+  tokenURI: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  totalSupply: TypedContractMethod<[], [bigint], "view">;
+
+  transferFrom: TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updatePrompts: TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      systemPromptURI_: string,
+      userPromptURI_: string,
+      encrypted: boolean
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  updateReputation: TypedContractMethod<
+    [tokenId: BigNumberish, newScore: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "ERC6551_REGISTRY"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "FACTORY_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MAX_CLIENTS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_WORKFLOWS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "PLATFORM_MINT_FEE_BPS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "REGISTRY_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "RENTAL_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "addClient"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, clientName: string, wallet: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "agentCountByCategory"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "agentRegistryAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "agentTreasury"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "approve"
+  ): TypedContractMethod<
+    [to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "balanceOf"
+  ): TypedContractMethod<[owner: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "businessProfiles"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        clientCount: bigint;
+        workflowsCompleted: bigint;
+        dealsClosedWon: bigint;
+        dealsClosedLost: bigint;
+        totalRevenueLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "computeTokenBoundAccount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "createWorkflow"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, name_: string, executionURI: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "currentRenter"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "defaultRoyaltyBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "effectiveController"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "erc6551Implementation"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getAgentConfig"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [INuxAgentNFT.AgentConfigStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentData"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, string, string, boolean] & {
+        name: string;
+        description: string;
+        model: string;
+        userPromptURI: string;
+        systemPromptURI: string;
+        promptsEncrypted: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentState"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAgentURI"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getApproved"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getClient"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, idx: BigNumberish],
+    [BusinessAgentNFT.ClientStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getClientCount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getTokenBoundAccount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getWorkflow"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, idx: BigNumberish],
+    [BusinessAgentNFT.WorkflowStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWorkflowCount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasuryManager_: AddressLike,
+      levelingSystem_: AddressLike,
+      erc6551Impl_: AddressLike,
+      mintingFee_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "isApprovedForAll"
+  ): TypedContractMethod<
+    [owner: AddressLike, operator: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "levelingSystemAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "mint"
+  ): TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "mintFromFactory"
+  ): TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "mintingFee"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "name"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "ownerOf"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "recordDealClosed"
+  ): TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      clientIdx: BigNumberish,
+      won: boolean,
+      dealValue: BigNumberish,
+      xpEarned: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recordWorkflowCompleted"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, wfIdx: BigNumberish, xpEarned: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recordWorkflowFailed"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, wfIdx: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "rentalExpiry"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "royaltyInfo"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, salePrice: BigNumberish],
+    [[string, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "safeTransferFrom(address,address,uint256)"
+  ): TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "safeTransferFrom(address,address,uint256,bytes)"
+  ): TypedContractMethod<
+    [
+      from: AddressLike,
+      to: AddressLike,
+      tokenId: BigNumberish,
+      data: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAgentRegistry"
+  ): TypedContractMethod<[registry_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setAgentState"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, newState: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAgentURI"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, newURI: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setApprovalForAll"
+  ): TypedContractMethod<
+    [operator: AddressLike, approved: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setERC6551Implementation"
+  ): TypedContractMethod<[impl_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLevelingSystem"
+  ): TypedContractMethod<[leveling_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMintingFee"
+  ): TypedContractMethod<[newFee: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRentalContract"
+  ): TypedContractMethod<[rental_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRenter"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, renter: AddressLike, expiry: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[treasury_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "symbol"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "tokenURI"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "totalSupply"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferFrom"
+  ): TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updatePrompts"
+  ): TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      systemPromptURI_: string,
+      userPromptURI_: string,
+      encrypted: boolean
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateReputation"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, newScore: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentCreated"
+  ): TypedContractEvent<
+    AgentCreatedEvent.InputTuple,
+    AgentCreatedEvent.OutputTuple,
+    AgentCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentStateChanged"
+  ): TypedContractEvent<
+    AgentStateChangedEvent.InputTuple,
+    AgentStateChangedEvent.OutputTuple,
+    AgentStateChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentURIUpdated"
+  ): TypedContractEvent<
+    AgentURIUpdatedEvent.InputTuple,
+    AgentURIUpdatedEvent.OutputTuple,
+    AgentURIUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentUpdated"
+  ): TypedContractEvent<
+    AgentUpdatedEvent.InputTuple,
+    AgentUpdatedEvent.OutputTuple,
+    AgentUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Approval"
+  ): TypedContractEvent<
+    ApprovalEvent.InputTuple,
+    ApprovalEvent.OutputTuple,
+    ApprovalEvent.OutputObject
+  >;
+  getEvent(
+    key: "ApprovalForAll"
+  ): TypedContractEvent<
+    ApprovalForAllEvent.InputTuple,
+    ApprovalForAllEvent.OutputTuple,
+    ApprovalForAllEvent.OutputObject
+  >;
+  getEvent(
+    key: "BatchMetadataUpdate"
+  ): TypedContractEvent<
+    BatchMetadataUpdateEvent.InputTuple,
+    BatchMetadataUpdateEvent.OutputTuple,
+    BatchMetadataUpdateEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClientAdded"
+  ): TypedContractEvent<
+    ClientAddedEvent.InputTuple,
+    ClientAddedEvent.OutputTuple,
+    ClientAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DealUpdated"
+  ): TypedContractEvent<
+    DealUpdatedEvent.InputTuple,
+    DealUpdatedEvent.OutputTuple,
+    DealUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "MetadataUpdate"
+  ): TypedContractEvent<
+    MetadataUpdateEvent.InputTuple,
+    MetadataUpdateEvent.OutputTuple,
+    MetadataUpdateEvent.OutputObject
+  >;
+  getEvent(
+    key: "MintingFeeUpdated"
+  ): TypedContractEvent<
+    MintingFeeUpdatedEvent.InputTuple,
+    MintingFeeUpdatedEvent.OutputTuple,
+    MintingFeeUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RenterSet"
+  ): TypedContractEvent<
+    RenterSetEvent.InputTuple,
+    RenterSetEvent.OutputTuple,
+    RenterSetEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TBAccountCreated"
+  ): TypedContractEvent<
+    TBAccountCreatedEvent.InputTuple,
+    TBAccountCreatedEvent.OutputTuple,
+    TBAccountCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Transfer"
+  ): TypedContractEvent<
+    TransferEvent.InputTuple,
+    TransferEvent.OutputTuple,
+    TransferEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WorkflowCompleted"
+  ): TypedContractEvent<
+    WorkflowCompletedEvent.InputTuple,
+    WorkflowCompletedEvent.OutputTuple,
+    WorkflowCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WorkflowCreated"
+  ): TypedContractEvent<
+    WorkflowCreatedEvent.InputTuple,
+    WorkflowCreatedEvent.OutputTuple,
+    WorkflowCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WorkflowFailed"
+  ): TypedContractEvent<
+    WorkflowFailedEvent.InputTuple,
+    WorkflowFailedEvent.OutputTuple,
+    WorkflowFailedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentCreated(string,string,string,address,uint256)": TypedContractEvent<
+      AgentCreatedEvent.InputTuple,
+      AgentCreatedEvent.OutputTuple,
+      AgentCreatedEvent.OutputObject
+    >;
+    AgentCreated: TypedContractEvent<
+      AgentCreatedEvent.InputTuple,
+      AgentCreatedEvent.OutputTuple,
+      AgentCreatedEvent.OutputObject
+    >;
+
+    "AgentStateChanged(uint256,uint8)": TypedContractEvent<
+      AgentStateChangedEvent.InputTuple,
+      AgentStateChangedEvent.OutputTuple,
+      AgentStateChangedEvent.OutputObject
+    >;
+    AgentStateChanged: TypedContractEvent<
+      AgentStateChangedEvent.InputTuple,
+      AgentStateChangedEvent.OutputTuple,
+      AgentStateChangedEvent.OutputObject
+    >;
+
+    "AgentURIUpdated(uint256,string)": TypedContractEvent<
+      AgentURIUpdatedEvent.InputTuple,
+      AgentURIUpdatedEvent.OutputTuple,
+      AgentURIUpdatedEvent.OutputObject
+    >;
+    AgentURIUpdated: TypedContractEvent<
+      AgentURIUpdatedEvent.InputTuple,
+      AgentURIUpdatedEvent.OutputTuple,
+      AgentURIUpdatedEvent.OutputObject
+    >;
+
+    "AgentUpdated(uint256)": TypedContractEvent<
+      AgentUpdatedEvent.InputTuple,
+      AgentUpdatedEvent.OutputTuple,
+      AgentUpdatedEvent.OutputObject
+    >;
+    AgentUpdated: TypedContractEvent<
+      AgentUpdatedEvent.InputTuple,
+      AgentUpdatedEvent.OutputTuple,
+      AgentUpdatedEvent.OutputObject
+    >;
+
+    "Approval(address,address,uint256)": TypedContractEvent<
+      ApprovalEvent.InputTuple,
+      ApprovalEvent.OutputTuple,
+      ApprovalEvent.OutputObject
+    >;
+    Approval: TypedContractEvent<
+      ApprovalEvent.InputTuple,
+      ApprovalEvent.OutputTuple,
+      ApprovalEvent.OutputObject
+    >;
+
+    "ApprovalForAll(address,address,bool)": TypedContractEvent<
+      ApprovalForAllEvent.InputTuple,
+      ApprovalForAllEvent.OutputTuple,
+      ApprovalForAllEvent.OutputObject
+    >;
+    ApprovalForAll: TypedContractEvent<
+      ApprovalForAllEvent.InputTuple,
+      ApprovalForAllEvent.OutputTuple,
+      ApprovalForAllEvent.OutputObject
+    >;
+
+    "BatchMetadataUpdate(uint256,uint256)": TypedContractEvent<
+      BatchMetadataUpdateEvent.InputTuple,
+      BatchMetadataUpdateEvent.OutputTuple,
+      BatchMetadataUpdateEvent.OutputObject
+    >;
+    BatchMetadataUpdate: TypedContractEvent<
+      BatchMetadataUpdateEvent.InputTuple,
+      BatchMetadataUpdateEvent.OutputTuple,
+      BatchMetadataUpdateEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "ClientAdded(uint256,uint256,string)": TypedContractEvent<
+      ClientAddedEvent.InputTuple,
+      ClientAddedEvent.OutputTuple,
+      ClientAddedEvent.OutputObject
+    >;
+    ClientAdded: TypedContractEvent<
+      ClientAddedEvent.InputTuple,
+      ClientAddedEvent.OutputTuple,
+      ClientAddedEvent.OutputObject
+    >;
+
+    "DealUpdated(uint256,uint256,uint8,uint256)": TypedContractEvent<
+      DealUpdatedEvent.InputTuple,
+      DealUpdatedEvent.OutputTuple,
+      DealUpdatedEvent.OutputObject
+    >;
+    DealUpdated: TypedContractEvent<
+      DealUpdatedEvent.InputTuple,
+      DealUpdatedEvent.OutputTuple,
+      DealUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "MetadataUpdate(uint256)": TypedContractEvent<
+      MetadataUpdateEvent.InputTuple,
+      MetadataUpdateEvent.OutputTuple,
+      MetadataUpdateEvent.OutputObject
+    >;
+    MetadataUpdate: TypedContractEvent<
+      MetadataUpdateEvent.InputTuple,
+      MetadataUpdateEvent.OutputTuple,
+      MetadataUpdateEvent.OutputObject
+    >;
+
+    "MintingFeeUpdated(uint256,uint256)": TypedContractEvent<
+      MintingFeeUpdatedEvent.InputTuple,
+      MintingFeeUpdatedEvent.OutputTuple,
+      MintingFeeUpdatedEvent.OutputObject
+    >;
+    MintingFeeUpdated: TypedContractEvent<
+      MintingFeeUpdatedEvent.InputTuple,
+      MintingFeeUpdatedEvent.OutputTuple,
+      MintingFeeUpdatedEvent.OutputObject
+    >;
+
+    "RenterSet(uint256,address,uint256)": TypedContractEvent<
+      RenterSetEvent.InputTuple,
+      RenterSetEvent.OutputTuple,
+      RenterSetEvent.OutputObject
+    >;
+    RenterSet: TypedContractEvent<
+      RenterSetEvent.InputTuple,
+      RenterSetEvent.OutputTuple,
+      RenterSetEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "TBAccountCreated(uint256,address)": TypedContractEvent<
+      TBAccountCreatedEvent.InputTuple,
+      TBAccountCreatedEvent.OutputTuple,
+      TBAccountCreatedEvent.OutputObject
+    >;
+    TBAccountCreated: TypedContractEvent<
+      TBAccountCreatedEvent.InputTuple,
+      TBAccountCreatedEvent.OutputTuple,
+      TBAccountCreatedEvent.OutputObject
+    >;
+
+    "Transfer(address,address,uint256)": TypedContractEvent<
+      TransferEvent.InputTuple,
+      TransferEvent.OutputTuple,
+      TransferEvent.OutputObject
+    >;
+    Transfer: TypedContractEvent<
+      TransferEvent.InputTuple,
+      TransferEvent.OutputTuple,
+      TransferEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "WorkflowCompleted(uint256,uint256,uint256)": TypedContractEvent<
+      WorkflowCompletedEvent.InputTuple,
+      WorkflowCompletedEvent.OutputTuple,
+      WorkflowCompletedEvent.OutputObject
+    >;
+    WorkflowCompleted: TypedContractEvent<
+      WorkflowCompletedEvent.InputTuple,
+      WorkflowCompletedEvent.OutputTuple,
+      WorkflowCompletedEvent.OutputObject
+    >;
+
+    "WorkflowCreated(uint256,uint256,string,string)": TypedContractEvent<
+      WorkflowCreatedEvent.InputTuple,
+      WorkflowCreatedEvent.OutputTuple,
+      WorkflowCreatedEvent.OutputObject
+    >;
+    WorkflowCreated: TypedContractEvent<
+      WorkflowCreatedEvent.InputTuple,
+      WorkflowCreatedEvent.OutputTuple,
+      WorkflowCreatedEvent.OutputObject
+    >;
+
+    "WorkflowFailed(uint256,uint256)": TypedContractEvent<
+      WorkflowFailedEvent.InputTuple,
+      WorkflowFailedEvent.OutputTuple,
+      WorkflowFailedEvent.OutputObject
+    >;
+    WorkflowFailed: TypedContractEvent<
+      WorkflowFailedEvent.InputTuple,
+      WorkflowFailedEvent.OutputTuple,
+      WorkflowFailedEvent.OutputObject
+    >;
+  };
+}
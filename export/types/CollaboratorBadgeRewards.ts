@@ -0,0 +1,1948 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace CollaboratorBadgeRewards {
+  export type CollaboratorQuestStruct = {
+    description: string;
+    rewardAmount: BigNumberish;
+    startTime: BigNumberish;
+    endTime: BigNumberish;
+    active: boolean;
+    completionCount: BigNumberish;
+    maxCompletions: BigNumberish;
+  };
+
+  export type CollaboratorQuestStructOutput = [
+    description: string,
+    rewardAmount: bigint,
+    startTime: bigint,
+    endTime: bigint,
+    active: boolean,
+    completionCount: bigint,
+    maxCompletions: bigint
+  ] & {
+    description: string;
+    rewardAmount: bigint;
+    startTime: bigint;
+    endTime: bigint;
+    active: boolean;
+    completionCount: bigint;
+    maxCompletions: bigint;
+  };
+}
+
+export interface CollaboratorBadgeRewardsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "BATCH_LIMIT"
+      | "MAX_BATCH_SIZE"
+      | "MAX_QUEST_DURATION"
+      | "activeQuestIds"
+      | "badgeManager"
+      | "batchCompleteQuest"
+      | "claimFeePercent"
+      | "claimRewards"
+      | "commissionTiers"
+      | "completeQuestForUser"
+      | "createQuest"
+      | "deactivateQuest"
+      | "depositFromTreasury"
+      | "emergencyWithdraw"
+      | "getActiveQuests"
+      | "getAllCommissionTiers"
+      | "getBadgeHolderRewardsSummary"
+      | "getClaimFeeForUser"
+      | "getContractHealth"
+      | "getQuest"
+      | "getStats"
+      | "getUserContributionVolume"
+      | "hasCompletedQuest"
+      | "initialize"
+      | "maxBalanceLimit"
+      | "maxPendingRewardsPerUser"
+      | "maxRewardLimit"
+      | "nextQuestId"
+      | "owner"
+      | "pendingRewards"
+      | "proxiableUUID"
+      | "questAdmins"
+      | "questCompleted"
+      | "questRewardsPool"
+      | "questWallet"
+      | "quests"
+      | "renounceOwnership"
+      | "setBadgeManager"
+      | "setClaimFeePercent"
+      | "setCommissionTier"
+      | "setLimits"
+      | "setMaxPendingRewardsPerUser"
+      | "setQuestAdmin"
+      | "setQuestRewardsPool"
+      | "setQuestWallet"
+      | "setTreasuryManager"
+      | "syncBadgeHolders"
+      | "tierThresholds"
+      | "totalBadgeHolders"
+      | "totalCommissionReceived"
+      | "totalPendingRewards"
+      | "totalRewardsPaid"
+      | "totalTreasuryReceived"
+      | "transferOwnership"
+      | "treasuryManager"
+      | "updateBadgeHolderCount"
+      | "updateQuestReward"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userContributionVolume"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "BadgeHolderCountUpdated"
+      | "BadgeManagerUpdated"
+      | "BalanceLimitExceeded"
+      | "BeaconUpgraded"
+      | "ClaimFeeUpdated"
+      | "CommissionReceived"
+      | "CommissionTierUpdated"
+      | "ContributionRecorded"
+      | "Initialized"
+      | "LimitsUpdated"
+      | "MaxPendingRewardsUpdated"
+      | "OwnershipTransferred"
+      | "QuestAdminUpdated"
+      | "QuestCompleted"
+      | "QuestCreated"
+      | "QuestDeactivated"
+      | "QuestWalletUpdated"
+      | "RewardsClaimed"
+      | "TreasuryManagerUpdated"
+      | "TreasuryReceived"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "BATCH_LIMIT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_BATCH_SIZE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_QUEST_DURATION",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activeQuestIds",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "badgeManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "batchCompleteQuest",
+    values: [AddressLike[], BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimFeePercent",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "commissionTiers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuestForUser",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createQuest",
+    values: [string, BigNumberish, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositFromTreasury",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveQuests",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllCommissionTiers",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getBadgeHolderRewardsSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getClaimFeeForUser",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getContractHealth",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "getStats", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "getUserContributionVolume",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasCompletedQuest",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxBalanceLimit",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxPendingRewardsPerUser",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxRewardLimit",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nextQuestId",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questAdmins",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questCompleted",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questRewardsPool",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questWallet",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "quests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setBadgeManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setClaimFeePercent",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCommissionTier",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLimits",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMaxPendingRewardsPerUser",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestAdmin",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestRewardsPool",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestWallet",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "syncBadgeHolders",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "tierThresholds",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalBadgeHolders",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalCommissionReceived",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPendingRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRewardsPaid",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalTreasuryReceived",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateBadgeHolderCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateQuestReward",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userContributionVolume",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "BATCH_LIMIT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_BATCH_SIZE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_QUEST_DURATION",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activeQuestIds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "badgeManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "batchCompleteQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimFeePercent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "commissionTiers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuestForUser",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositFromTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllCommissionTiers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getBadgeHolderRewardsSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getClaimFeeForUser",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getContractHealth",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getQuest", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "getStats", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserContributionVolume",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasCompletedQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "maxBalanceLimit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxPendingRewardsPerUser",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxRewardLimit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "nextQuestId",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questAdmins",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questCompleted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questWallet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "quests", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setBadgeManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setClaimFeePercent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCommissionTier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setLimits", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setMaxPendingRewardsPerUser",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestWallet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "syncBadgeHolders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "tierThresholds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalBadgeHolders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalCommissionReceived",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPendingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRewardsPaid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalTreasuryReceived",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateBadgeHolderCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userContributionVolume",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BadgeHolderCountUpdatedEvent {
+  export type InputTuple = [newCount: BigNumberish];
+  export type OutputTuple = [newCount: bigint];
+  export interface OutputObject {
+    newCount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BadgeManagerUpdatedEvent {
+  export type InputTuple = [newManager: AddressLike];
+  export type OutputTuple = [newManager: string];
+  export interface OutputObject {
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BalanceLimitExceededEvent {
+  export type InputTuple = [
+    currentBalance: BigNumberish,
+    maxBalanceLimit: BigNumberish
+  ];
+  export type OutputTuple = [currentBalance: bigint, maxBalanceLimit: bigint];
+  export interface OutputObject {
+    currentBalance: bigint;
+    maxBalanceLimit: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimFeeUpdatedEvent {
+  export type InputTuple = [oldFee: BigNumberish, newFee: BigNumberish];
+  export type OutputTuple = [oldFee: bigint, newFee: bigint];
+  export interface OutputObject {
+    oldFee: bigint;
+    newFee: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommissionReceivedEvent {
+  export type InputTuple = [amount: BigNumberish];
+  export type OutputTuple = [amount: bigint];
+  export interface OutputObject {
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommissionTierUpdatedEvent {
+  export type InputTuple = [threshold: BigNumberish, feeRate: BigNumberish];
+  export type OutputTuple = [threshold: bigint, feeRate: bigint];
+  export interface OutputObject {
+    threshold: bigint;
+    feeRate: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ContributionRecordedEvent {
+  export type InputTuple = [user: AddressLike, volume: BigNumberish];
+  export type OutputTuple = [user: string, volume: bigint];
+  export interface OutputObject {
+    user: string;
+    volume: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LimitsUpdatedEvent {
+  export type InputTuple = [maxReward: BigNumberish, maxBalance: BigNumberish];
+  export type OutputTuple = [maxReward: bigint, maxBalance: bigint];
+  export interface OutputObject {
+    maxReward: bigint;
+    maxBalance: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MaxPendingRewardsUpdatedEvent {
+  export type InputTuple = [newLimit: BigNumberish];
+  export type OutputTuple = [newLimit: bigint];
+  export interface OutputObject {
+    newLimit: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestAdminUpdatedEvent {
+  export type InputTuple = [admin: AddressLike, authorized: boolean];
+  export type OutputTuple = [admin: string, authorized: boolean];
+  export interface OutputObject {
+    admin: string;
+    authorized: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    reward: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questId: bigint, reward: bigint];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    reward: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCreatedEvent {
+  export type InputTuple = [
+    questId: BigNumberish,
+    description: string,
+    reward: BigNumberish,
+    start: BigNumberish,
+    end: BigNumberish
+  ];
+  export type OutputTuple = [
+    questId: bigint,
+    description: string,
+    reward: bigint,
+    start: bigint,
+    end: bigint
+  ];
+  export interface OutputObject {
+    questId: bigint;
+    description: string;
+    reward: bigint;
+    start: bigint;
+    end: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestDeactivatedEvent {
+  export type InputTuple = [questId: BigNumberish];
+  export type OutputTuple = [questId: bigint];
+  export interface OutputObject {
+    questId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestWalletUpdatedEvent {
+  export type InputTuple = [oldWallet: AddressLike, newWallet: AddressLike];
+  export type OutputTuple = [oldWallet: string, newWallet: string];
+  export interface OutputObject {
+    oldWallet: string;
+    newWallet: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardsClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    grossAmount: BigNumberish,
+    netAmount: BigNumberish,
+    fee: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    grossAmount: bigint,
+    netAmount: bigint,
+    fee: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    grossAmount: bigint;
+    netAmount: bigint;
+    fee: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [newManager: AddressLike];
+  export type OutputTuple = [newManager: string];
+  export interface OutputObject {
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryReceivedEvent {
+  export type InputTuple = [amount: BigNumberish];
+  export type OutputTuple = [amount: bigint];
+  export interface OutputObject {
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface CollaboratorBadgeRewards extends BaseContract {
+  connect(runner?: ContractRunner | null): CollaboratorBadgeRewards;
+  waitForDeployment(): Promise<this>;
+
+  interface: CollaboratorBadgeRewardsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  BATCH_LIMIT: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_BATCH_SIZE: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_QUEST_DURATION: TypedContractMethod<[], [bigint], "view">;
+
+  activeQuestIds: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  badgeManager: TypedContractMethod<[], [string], "view">;
+
+  batchCompleteQuest: TypedContractMethod<
+    [_users: AddressLike[], _questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimFeePercent: TypedContractMethod<[], [bigint], "view">;
+
+  claimRewards: TypedContractMethod<[], [void], "nonpayable">;
+
+  commissionTiers: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  completeQuestForUser: TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  createQuest: TypedContractMethod<
+    [
+      _description: string,
+      _rewardAmount: BigNumberish,
+      _startTime: BigNumberish,
+      _endTime: BigNumberish,
+      _maxCompletions: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  deactivateQuest: TypedContractMethod<
+    [_questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  depositFromTreasury: TypedContractMethod<[], [void], "payable">;
+
+  emergencyWithdraw: TypedContractMethod<
+    [_to: AddressLike, _amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getActiveQuests: TypedContractMethod<
+    [],
+    [
+      [bigint[], CollaboratorBadgeRewards.CollaboratorQuestStructOutput[]] & {
+        questIds: bigint[];
+        questData: CollaboratorBadgeRewards.CollaboratorQuestStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getAllCommissionTiers: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { thresholds: bigint[]; rates: bigint[] }],
+    "view"
+  >;
+
+  getBadgeHolderRewardsSummary: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        pending: bigint;
+        poolBalance: bigint;
+        totalCommission: bigint;
+        totalTreasury: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getClaimFeeForUser: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getContractHealth: TypedContractMethod<
+    [],
+    [
+      [bigint, boolean, bigint] & {
+        solvencyRatio: bigint;
+        isHealthy: boolean;
+        deficit: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getQuest: TypedContractMethod<
+    [_questId: BigNumberish],
+    [CollaboratorBadgeRewards.CollaboratorQuestStructOutput],
+    "view"
+  >;
+
+  getStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        balance: bigint;
+        pendingDebt: bigint;
+        commission: bigint;
+        treasury: bigint;
+        paid: bigint;
+        holders: bigint;
+        questCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserContributionVolume: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  hasCompletedQuest: TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<[], [void], "nonpayable">;
+
+  maxBalanceLimit: TypedContractMethod<[], [bigint], "view">;
+
+  maxPendingRewardsPerUser: TypedContractMethod<[], [bigint], "view">;
+
+  maxRewardLimit: TypedContractMethod<[], [bigint], "view">;
+
+  nextQuestId: TypedContractMethod<[], [bigint], "view">;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  pendingRewards: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  questAdmins: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  questCompleted: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  questRewardsPool: TypedContractMethod<[], [string], "view">;
+
+  questWallet: TypedContractMethod<[], [string], "view">;
+
+  quests: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, bigint, bigint, boolean, bigint, bigint] & {
+        description: string;
+        rewardAmount: bigint;
+        startTime: bigint;
+        endTime: bigint;
+        active: boolean;
+        completionCount: bigint;
+        maxCompletions: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  setBadgeManager: TypedContractMethod<
+    [_badgeManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setClaimFeePercent: TypedContractMethod<
+    [_newFeePercent: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setCommissionTier: TypedContractMethod<
+    [threshold: BigNumberish, feeRate: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setLimits: TypedContractMethod<
+    [_maxReward: BigNumberish, _maxBalance: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setMaxPendingRewardsPerUser: TypedContractMethod<
+    [_newLimit: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestAdmin: TypedContractMethod<
+    [_admin: AddressLike, _authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestRewardsPool: TypedContractMethod<
+    [pool_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestWallet: TypedContractMethod<
+    [_questWallet: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  syncBadgeHolders: TypedContractMethod<[], [void], "nonpayable">;
+
+  tierThresholds: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  totalBadgeHolders: TypedContractMethod<[], [bigint], "view">;
+
+  totalCommissionReceived: TypedContractMethod<[], [bigint], "view">;
+
+  totalPendingRewards: TypedContractMethod<[], [bigint], "view">;
+
+  totalRewardsPaid: TypedContractMethod<[], [bigint], "view">;
+
+  totalTreasuryReceived: TypedContractMethod<[], [bigint], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  updateBadgeHolderCount: TypedContractMethod<
+    [_count: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateQuestReward: TypedContractMethod<
+    [_questId: BigNumberish, _newRewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userContributionVolume: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "BATCH_LIMIT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_BATCH_SIZE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_QUEST_DURATION"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "activeQuestIds"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "badgeManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "batchCompleteQuest"
+  ): TypedContractMethod<
+    [_users: AddressLike[], _questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimFeePercent"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimRewards"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "commissionTiers"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "completeQuestForUser"
+  ): TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "createQuest"
+  ): TypedContractMethod<
+    [
+      _description: string,
+      _rewardAmount: BigNumberish,
+      _startTime: BigNumberish,
+      _endTime: BigNumberish,
+      _maxCompletions: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "deactivateQuest"
+  ): TypedContractMethod<[_questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "depositFromTreasury"
+  ): TypedContractMethod<[], [void], "payable">;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<
+    [_to: AddressLike, _amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveQuests"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint[], CollaboratorBadgeRewards.CollaboratorQuestStructOutput[]] & {
+        questIds: bigint[];
+        questData: CollaboratorBadgeRewards.CollaboratorQuestStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllCommissionTiers"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { thresholds: bigint[]; rates: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getBadgeHolderRewardsSummary"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        pending: bigint;
+        poolBalance: bigint;
+        totalCommission: bigint;
+        totalTreasury: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getClaimFeeForUser"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getContractHealth"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, boolean, bigint] & {
+        solvencyRatio: bigint;
+        isHealthy: boolean;
+        deficit: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuest"
+  ): TypedContractMethod<
+    [_questId: BigNumberish],
+    [CollaboratorBadgeRewards.CollaboratorQuestStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        balance: bigint;
+        pendingDebt: bigint;
+        commission: bigint;
+        treasury: bigint;
+        paid: bigint;
+        holders: bigint;
+        questCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserContributionVolume"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "hasCompletedQuest"
+  ): TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "maxBalanceLimit"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "maxPendingRewardsPerUser"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "maxRewardLimit"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "nextQuestId"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pendingRewards"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "questAdmins"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "questCompleted"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "questRewardsPool"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "questWallet"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "quests"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, bigint, bigint, boolean, bigint, bigint] & {
+        description: string;
+        rewardAmount: bigint;
+        startTime: bigint;
+        endTime: bigint;
+        active: boolean;
+        completionCount: bigint;
+        maxCompletions: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setBadgeManager"
+  ): TypedContractMethod<[_badgeManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setClaimFeePercent"
+  ): TypedContractMethod<[_newFeePercent: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCommissionTier"
+  ): TypedContractMethod<
+    [threshold: BigNumberish, feeRate: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLimits"
+  ): TypedContractMethod<
+    [_maxReward: BigNumberish, _maxBalance: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setMaxPendingRewardsPerUser"
+  ): TypedContractMethod<[_newLimit: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestAdmin"
+  ): TypedContractMethod<
+    [_admin: AddressLike, _authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setQuestRewardsPool"
+  ): TypedContractMethod<[pool_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestWallet"
+  ): TypedContractMethod<[_questWallet: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "syncBadgeHolders"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "tierThresholds"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalBadgeHolders"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalCommissionReceived"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalPendingRewards"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalRewardsPaid"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalTreasuryReceived"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "updateBadgeHolderCount"
+  ): TypedContractMethod<[_count: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateQuestReward"
+  ): TypedContractMethod<
+    [_questId: BigNumberish, _newRewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userContributionVolume"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BadgeHolderCountUpdated"
+  ): TypedContractEvent<
+    BadgeHolderCountUpdatedEvent.InputTuple,
+    BadgeHolderCountUpdatedEvent.OutputTuple,
+    BadgeHolderCountUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BadgeManagerUpdated"
+  ): TypedContractEvent<
+    BadgeManagerUpdatedEvent.InputTuple,
+    BadgeManagerUpdatedEvent.OutputTuple,
+    BadgeManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BalanceLimitExceeded"
+  ): TypedContractEvent<
+    BalanceLimitExceededEvent.InputTuple,
+    BalanceLimitExceededEvent.OutputTuple,
+    BalanceLimitExceededEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimFeeUpdated"
+  ): TypedContractEvent<
+    ClaimFeeUpdatedEvent.InputTuple,
+    ClaimFeeUpdatedEvent.OutputTuple,
+    ClaimFeeUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommissionReceived"
+  ): TypedContractEvent<
+    CommissionReceivedEvent.InputTuple,
+    CommissionReceivedEvent.OutputTuple,
+    CommissionReceivedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommissionTierUpdated"
+  ): TypedContractEvent<
+    CommissionTierUpdatedEvent.InputTuple,
+    CommissionTierUpdatedEvent.OutputTuple,
+    CommissionTierUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ContributionRecorded"
+  ): TypedContractEvent<
+    ContributionRecordedEvent.InputTuple,
+    ContributionRecordedEvent.OutputTuple,
+    ContributionRecordedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LimitsUpdated"
+  ): TypedContractEvent<
+    LimitsUpdatedEvent.InputTuple,
+    LimitsUpdatedEvent.OutputTuple,
+    LimitsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "MaxPendingRewardsUpdated"
+  ): TypedContractEvent<
+    MaxPendingRewardsUpdatedEvent.InputTuple,
+    MaxPendingRewardsUpdatedEvent.OutputTuple,
+    MaxPendingRewardsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestAdminUpdated"
+  ): TypedContractEvent<
+    QuestAdminUpdatedEvent.InputTuple,
+    QuestAdminUpdatedEvent.OutputTuple,
+    QuestAdminUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCreated"
+  ): TypedContractEvent<
+    QuestCreatedEvent.InputTuple,
+    QuestCreatedEvent.OutputTuple,
+    QuestCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestDeactivated"
+  ): TypedContractEvent<
+    QuestDeactivatedEvent.InputTuple,
+    QuestDeactivatedEvent.OutputTuple,
+    QuestDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestWalletUpdated"
+  ): TypedContractEvent<
+    QuestWalletUpdatedEvent.InputTuple,
+    QuestWalletUpdatedEvent.OutputTuple,
+    QuestWalletUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardsClaimed"
+  ): TypedContractEvent<
+    RewardsClaimedEvent.InputTuple,
+    RewardsClaimedEvent.OutputTuple,
+    RewardsClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryReceived"
+  ): TypedContractEvent<
+    TreasuryReceivedEvent.InputTuple,
+    TreasuryReceivedEvent.OutputTuple,
+    TreasuryReceivedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "BadgeHolderCountUpdated(uint256)": TypedContractEvent<
+      BadgeHolderCountUpdatedEvent.InputTuple,
+      BadgeHolderCountUpdatedEvent.OutputTuple,
+      BadgeHolderCountUpdatedEvent.OutputObject
+    >;
+    BadgeHolderCountUpdated: TypedContractEvent<
+      BadgeHolderCountUpdatedEvent.InputTuple,
+      BadgeHolderCountUpdatedEvent.OutputTuple,
+      BadgeHolderCountUpdatedEvent.OutputObject
+    >;
+
+    "BadgeManagerUpdated(address)": TypedContractEvent<
+      BadgeManagerUpdatedEvent.InputTuple,
+      BadgeManagerUpdatedEvent.OutputTuple,
+      BadgeManagerUpdatedEvent.OutputObject
+    >;
+    BadgeManagerUpdated: TypedContractEvent<
+      BadgeManagerUpdatedEvent.InputTuple,
+      BadgeManagerUpdatedEvent.OutputTuple,
+      BadgeManagerUpdatedEvent.OutputObject
+    >;
+
+    "BalanceLimitExceeded(uint256,uint256)": TypedContractEvent<
+      BalanceLimitExceededEvent.InputTuple,
+      BalanceLimitExceededEvent.OutputTuple,
+      BalanceLimitExceededEvent.OutputObject
+    >;
+    BalanceLimitExceeded: TypedContractEvent<
+      BalanceLimitExceededEvent.InputTuple,
+      BalanceLimitExceededEvent.OutputTuple,
+      BalanceLimitExceededEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "ClaimFeeUpdated(uint256,uint256)": TypedContractEvent<
+      ClaimFeeUpdatedEvent.InputTuple,
+      ClaimFeeUpdatedEvent.OutputTuple,
+      ClaimFeeUpdatedEvent.OutputObject
+    >;
+    ClaimFeeUpdated: TypedContractEvent<
+      ClaimFeeUpdatedEvent.InputTuple,
+      ClaimFeeUpdatedEvent.OutputTuple,
+      ClaimFeeUpdatedEvent.OutputObject
+    >;
+
+    "CommissionReceived(uint256)": TypedContractEvent<
+      CommissionReceivedEvent.InputTuple,
+      CommissionReceivedEvent.OutputTuple,
+      CommissionReceivedEvent.OutputObject
+    >;
+    CommissionReceived: TypedContractEvent<
+      CommissionReceivedEvent.InputTuple,
+      CommissionReceivedEvent.OutputTuple,
+      CommissionReceivedEvent.OutputObject
+    >;
+
+    "CommissionTierUpdated(uint256,uint256)": TypedContractEvent<
+      CommissionTierUpdatedEvent.InputTuple,
+      CommissionTierUpdatedEvent.OutputTuple,
+      CommissionTierUpdatedEvent.OutputObject
+    >;
+    CommissionTierUpdated: TypedContractEvent<
+      CommissionTierUpdatedEvent.InputTuple,
+      CommissionTierUpdatedEvent.OutputTuple,
+      CommissionTierUpdatedEvent.OutputObject
+    >;
+
+    "ContributionRecorded(address,uint256)": TypedContractEvent<
+      ContributionRecordedEvent.InputTuple,
+      ContributionRecordedEvent.OutputTuple,
+      ContributionRecordedEvent.OutputObject
+    >;
+    ContributionRecorded: TypedContractEvent<
+      ContributionRecordedEvent.InputTuple,
+      ContributionRecordedEvent.OutputTuple,
+      ContributionRecordedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LimitsUpdated(uint256,uint256)": TypedContractEvent<
+      LimitsUpdatedEvent.InputTuple,
+      LimitsUpdatedEvent.OutputTuple,
+      LimitsUpdatedEvent.OutputObject
+    >;
+    LimitsUpdated: TypedContractEvent<
+      LimitsUpdatedEvent.InputTuple,
+      LimitsUpdatedEvent.OutputTuple,
+      LimitsUpdatedEvent.OutputObject
+    >;
+
+    "MaxPendingRewardsUpdated(uint256)": TypedContractEvent<
+      MaxPendingRewardsUpdatedEvent.InputTuple,
+      MaxPendingRewardsUpdatedEvent.OutputTuple,
+      MaxPendingRewardsUpdatedEvent.OutputObject
+    >;
+    MaxPendingRewardsUpdated: TypedContractEvent<
+      MaxPendingRewardsUpdatedEvent.InputTuple,
+      MaxPendingRewardsUpdatedEvent.OutputTuple,
+      MaxPendingRewardsUpdatedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "QuestAdminUpdated(address,bool)": TypedContractEvent<
+      QuestAdminUpdatedEvent.InputTuple,
+      QuestAdminUpdatedEvent.OutputTuple,
+      QuestAdminUpdatedEvent.OutputObject
+    >;
+    QuestAdminUpdated: TypedContractEvent<
+      QuestAdminUpdatedEvent.InputTuple,
+      QuestAdminUpdatedEvent.OutputTuple,
+      QuestAdminUpdatedEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "QuestCreated(uint256,string,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+    QuestCreated: TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+
+    "QuestDeactivated(uint256)": TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+    QuestDeactivated: TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+
+    "QuestWalletUpdated(address,address)": TypedContractEvent<
+      QuestWalletUpdatedEvent.InputTuple,
+      QuestWalletUpdatedEvent.OutputTuple,
+      QuestWalletUpdatedEvent.OutputObject
+    >;
+    QuestWalletUpdated: TypedContractEvent<
+      QuestWalletUpdatedEvent.InputTuple,
+      QuestWalletUpdatedEvent.OutputTuple,
+      QuestWalletUpdatedEvent.OutputObject
+    >;
+
+    "RewardsClaimed(address,uint256,uint256,uint256)": TypedContractEvent<
+      RewardsClaimedEvent.InputTuple,
+      RewardsClaimedEvent.OutputTuple,
+      RewardsClaimedEvent.OutputObject
+    >;
+    RewardsClaimed: TypedContractEvent<
+      RewardsClaimedEvent.InputTuple,
+      RewardsClaimedEvent.OutputTuple,
+      RewardsClaimedEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryReceived(uint256)": TypedContractEvent<
+      TreasuryReceivedEvent.InputTuple,
+      TreasuryReceivedEvent.OutputTuple,
+      TreasuryReceivedEvent.OutputObject
+    >;
+    TreasuryReceived: TypedContractEvent<
+      TreasuryReceivedEvent.InputTuple,
+      TreasuryReceivedEvent.OutputTuple,
+      TreasuryReceivedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,732 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface DynamicAPYCalculatorInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "COMPRESSION_THRESHOLD"
+      | "calculateDynamicAPY"
+      | "calculateDynamicAPYBatch"
+      | "calculateDynamicAPYWithTracking"
+      | "dynamicAPYEnabled"
+      | "getCurrentMultiplier"
+      | "lastAppliedMultiplier"
+      | "maxAPYMultiplier"
+      | "minAPYMultiplier"
+      | "owner"
+      | "pause"
+      | "paused"
+      | "previewAPYAtTVLs"
+      | "renounceOwnership"
+      | "setAPYMultiplierBounds"
+      | "setDynamicAPYEnabled"
+      | "setTargetTVL"
+      | "setTreasuryManager"
+      | "targetTVL"
+      | "transferOwnership"
+      | "treasuryManager"
+      | "unpause"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "APYCalculated"
+      | "APYCompressionDetected"
+      | "APYMultiplierBoundsUpdated"
+      | "DynamicAPYToggled"
+      | "OwnershipTransferred"
+      | "Paused"
+      | "TargetTVLUpdated"
+      | "TreasuryManagerUpdated"
+      | "Unpaused"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "COMPRESSION_THRESHOLD",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateDynamicAPY",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateDynamicAPYBatch",
+    values: [BigNumberish[], BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateDynamicAPYWithTracking",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "dynamicAPYEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCurrentMultiplier",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastAppliedMultiplier",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxAPYMultiplier",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "minAPYMultiplier",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "previewAPYAtTVLs",
+    values: [BigNumberish, BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAPYMultiplierBounds",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setDynamicAPYEnabled",
+    values: [boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTargetTVL",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "targetTVL", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+
+  decodeFunctionResult(
+    functionFragment: "COMPRESSION_THRESHOLD",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateDynamicAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateDynamicAPYBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateDynamicAPYWithTracking",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "dynamicAPYEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCurrentMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "lastAppliedMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxAPYMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "minAPYMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "previewAPYAtTVLs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAPYMultiplierBounds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setDynamicAPYEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTargetTVL",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "targetTVL", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+}
+
+export namespace APYCalculatedEvent {
+  export type InputTuple = [
+    currentTVL: BigNumberish,
+    baseAPY: BigNumberish,
+    dynamicAPY: BigNumberish,
+    multiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    currentTVL: bigint,
+    baseAPY: bigint,
+    dynamicAPY: bigint,
+    multiplier: bigint
+  ];
+  export interface OutputObject {
+    currentTVL: bigint;
+    baseAPY: bigint;
+    dynamicAPY: bigint;
+    multiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace APYCompressionDetectedEvent {
+  export type InputTuple = [
+    oldMultiplier: BigNumberish,
+    newMultiplier: BigNumberish,
+    compressionBps: BigNumberish
+  ];
+  export type OutputTuple = [
+    oldMultiplier: bigint,
+    newMultiplier: bigint,
+    compressionBps: bigint
+  ];
+  export interface OutputObject {
+    oldMultiplier: bigint;
+    newMultiplier: bigint;
+    compressionBps: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace APYMultiplierBoundsUpdatedEvent {
+  export type InputTuple = [newMin: BigNumberish, newMax: BigNumberish];
+  export type OutputTuple = [newMin: bigint, newMax: bigint];
+  export interface OutputObject {
+    newMin: bigint;
+    newMax: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DynamicAPYToggledEvent {
+  export type InputTuple = [enabled: boolean];
+  export type OutputTuple = [enabled: boolean];
+  export interface OutputObject {
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TargetTVLUpdatedEvent {
+  export type InputTuple = [oldTarget: BigNumberish, newTarget: BigNumberish];
+  export type OutputTuple = [oldTarget: bigint, newTarget: bigint];
+  export interface OutputObject {
+    oldTarget: bigint;
+    newTarget: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [oldManager: AddressLike, newManager: AddressLike];
+  export type OutputTuple = [oldManager: string, newManager: string];
+  export interface OutputObject {
+    oldManager: string;
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface DynamicAPYCalculator extends BaseContract {
+  connect(runner?: ContractRunner | null): DynamicAPYCalculator;
+  waitForDeployment(): Promise<this>;
+
+  interface: DynamicAPYCalculatorInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  COMPRESSION_THRESHOLD: TypedContractMethod<[], [bigint], "view">;
+
+  calculateDynamicAPY: TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateDynamicAPYBatch: TypedContractMethod<
+    [baseAPYs: BigNumberish[], currentTVL: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  calculateDynamicAPYWithTracking: TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  dynamicAPYEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  getCurrentMultiplier: TypedContractMethod<
+    [currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  lastAppliedMultiplier: TypedContractMethod<[], [bigint], "view">;
+
+  maxAPYMultiplier: TypedContractMethod<[], [bigint], "view">;
+
+  minAPYMultiplier: TypedContractMethod<[], [bigint], "view">;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  previewAPYAtTVLs: TypedContractMethod<
+    [baseAPY: BigNumberish, tvlLevels: BigNumberish[]],
+    [bigint[]],
+    "view"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  setAPYMultiplierBounds: TypedContractMethod<
+    [_minMultiplier: BigNumberish, _maxMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setDynamicAPYEnabled: TypedContractMethod<
+    [_enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setTargetTVL: TypedContractMethod<
+    [_targetTVL: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  targetTVL: TypedContractMethod<[], [bigint], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "COMPRESSION_THRESHOLD"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "calculateDynamicAPY"
+  ): TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateDynamicAPYBatch"
+  ): TypedContractMethod<
+    [baseAPYs: BigNumberish[], currentTVL: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateDynamicAPYWithTracking"
+  ): TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "dynamicAPYEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "getCurrentMultiplier"
+  ): TypedContractMethod<[currentTVL: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "lastAppliedMultiplier"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "maxAPYMultiplier"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "minAPYMultiplier"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "previewAPYAtTVLs"
+  ): TypedContractMethod<
+    [baseAPY: BigNumberish, tvlLevels: BigNumberish[]],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setAPYMultiplierBounds"
+  ): TypedContractMethod<
+    [_minMultiplier: BigNumberish, _maxMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setDynamicAPYEnabled"
+  ): TypedContractMethod<[_enabled: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTargetTVL"
+  ): TypedContractMethod<[_targetTVL: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "targetTVL"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+
+  getEvent(
+    key: "APYCalculated"
+  ): TypedContractEvent<
+    APYCalculatedEvent.InputTuple,
+    APYCalculatedEvent.OutputTuple,
+    APYCalculatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "APYCompressionDetected"
+  ): TypedContractEvent<
+    APYCompressionDetectedEvent.InputTuple,
+    APYCompressionDetectedEvent.OutputTuple,
+    APYCompressionDetectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "APYMultiplierBoundsUpdated"
+  ): TypedContractEvent<
+    APYMultiplierBoundsUpdatedEvent.InputTuple,
+    APYMultiplierBoundsUpdatedEvent.OutputTuple,
+    APYMultiplierBoundsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DynamicAPYToggled"
+  ): TypedContractEvent<
+    DynamicAPYToggledEvent.InputTuple,
+    DynamicAPYToggledEvent.OutputTuple,
+    DynamicAPYToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TargetTVLUpdated"
+  ): TypedContractEvent<
+    TargetTVLUpdatedEvent.InputTuple,
+    TargetTVLUpdatedEvent.OutputTuple,
+    TargetTVLUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+
+  filters: {
+    "APYCalculated(uint256,uint256,uint256,uint256)": TypedContractEvent<
+      APYCalculatedEvent.InputTuple,
+      APYCalculatedEvent.OutputTuple,
+      APYCalculatedEvent.OutputObject
+    >;
+    APYCalculated: TypedContractEvent<
+      APYCalculatedEvent.InputTuple,
+      APYCalculatedEvent.OutputTuple,
+      APYCalculatedEvent.OutputObject
+    >;
+
+    "APYCompressionDetected(uint256,uint256,uint256)": TypedContractEvent<
+      APYCompressionDetectedEvent.InputTuple,
+      APYCompressionDetectedEvent.OutputTuple,
+      APYCompressionDetectedEvent.OutputObject
+    >;
+    APYCompressionDetected: TypedContractEvent<
+      APYCompressionDetectedEvent.InputTuple,
+      APYCompressionDetectedEvent.OutputTuple,
+      APYCompressionDetectedEvent.OutputObject
+    >;
+
+    "APYMultiplierBoundsUpdated(uint256,uint256)": TypedContractEvent<
+      APYMultiplierBoundsUpdatedEvent.InputTuple,
+      APYMultiplierBoundsUpdatedEvent.OutputTuple,
+      APYMultiplierBoundsUpdatedEvent.OutputObject
+    >;
+    APYMultiplierBoundsUpdated: TypedContractEvent<
+      APYMultiplierBoundsUpdatedEvent.InputTuple,
+      APYMultiplierBoundsUpdatedEvent.OutputTuple,
+      APYMultiplierBoundsUpdatedEvent.OutputObject
+    >;
+
+    "DynamicAPYToggled(bool)": TypedContractEvent<
+      DynamicAPYToggledEvent.InputTuple,
+      DynamicAPYToggledEvent.OutputTuple,
+      DynamicAPYToggledEvent.OutputObject
+    >;
+    DynamicAPYToggled: TypedContractEvent<
+      DynamicAPYToggledEvent.InputTuple,
+      DynamicAPYToggledEvent.OutputTuple,
+      DynamicAPYToggledEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "TargetTVLUpdated(uint256,uint256)": TypedContractEvent<
+      TargetTVLUpdatedEvent.InputTuple,
+      TargetTVLUpdatedEvent.OutputTuple,
+      TargetTVLUpdatedEvent.OutputObject
+    >;
+    TargetTVLUpdated: TypedContractEvent<
+      TargetTVLUpdatedEvent.InputTuple,
+      TargetTVLUpdatedEvent.OutputTuple,
+      TargetTVLUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address,address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,246 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface IAPYCalculatorInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateDynamicAPY"
+      | "calculateDynamicAPYBatch"
+      | "dynamicAPYEnabled"
+      | "getCurrentMultiplier"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "APYCalculated" | "APYCompressionDetected"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateDynamicAPY",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateDynamicAPYBatch",
+    values: [BigNumberish[], BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "dynamicAPYEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCurrentMultiplier",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateDynamicAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateDynamicAPYBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "dynamicAPYEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCurrentMultiplier",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace APYCalculatedEvent {
+  export type InputTuple = [
+    currentTVL: BigNumberish,
+    baseAPY: BigNumberish,
+    dynamicAPY: BigNumberish,
+    multiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    currentTVL: bigint,
+    baseAPY: bigint,
+    dynamicAPY: bigint,
+    multiplier: bigint
+  ];
+  export interface OutputObject {
+    currentTVL: bigint;
+    baseAPY: bigint;
+    dynamicAPY: bigint;
+    multiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace APYCompressionDetectedEvent {
+  export type InputTuple = [
+    oldMultiplier: BigNumberish,
+    newMultiplier: BigNumberish,
+    compressionBps: BigNumberish
+  ];
+  export type OutputTuple = [
+    oldMultiplier: bigint,
+    newMultiplier: bigint,
+    compressionBps: bigint
+  ];
+  export interface OutputObject {
+    oldMultiplier: bigint;
+    newMultiplier: bigint;
+    compressionBps: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IAPYCalculator extends BaseContract {
+  connect(runner?: ContractRunner | null): IAPYCalculator;
+  waitForDeployment(): Promise<this>;
+
+  interface: IAPYCalculatorInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateDynamicAPY: TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateDynamicAPYBatch: TypedContractMethod<
+    [baseAPYs: BigNumberish[], currentTVL: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  dynamicAPYEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  getCurrentMultiplier: TypedContractMethod<
+    [currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateDynamicAPY"
+  ): TypedContractMethod<
+    [baseAPY: BigNumberish, currentTVL: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateDynamicAPYBatch"
+  ): TypedContractMethod<
+    [baseAPYs: BigNumberish[], currentTVL: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "dynamicAPYEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "getCurrentMultiplier"
+  ): TypedContractMethod<[currentTVL: BigNumberish], [bigint], "view">;
+
+  getEvent(
+    key: "APYCalculated"
+  ): TypedContractEvent<
+    APYCalculatedEvent.InputTuple,
+    APYCalculatedEvent.OutputTuple,
+    APYCalculatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "APYCompressionDetected"
+  ): TypedContractEvent<
+    APYCompressionDetectedEvent.InputTuple,
+    APYCompressionDetectedEvent.OutputTuple,
+    APYCompressionDetectedEvent.OutputObject
+  >;
+
+  filters: {
+    "APYCalculated(uint256,uint256,uint256,uint256)": TypedContractEvent<
+      APYCalculatedEvent.InputTuple,
+      APYCalculatedEvent.OutputTuple,
+      APYCalculatedEvent.OutputObject
+    >;
+    APYCalculated: TypedContractEvent<
+      APYCalculatedEvent.InputTuple,
+      APYCalculatedEvent.OutputTuple,
+      APYCalculatedEvent.OutputObject
+    >;
+
+    "APYCompressionDetected(uint256,uint256,uint256)": TypedContractEvent<
+      APYCompressionDetectedEvent.InputTuple,
+      APYCompressionDetectedEvent.OutputTuple,
+      APYCompressionDetectedEvent.OutputObject
+    >;
+    APYCompressionDetected: TypedContractEvent<
+      APYCompressionDetectedEvent.InputTuple,
+      APYCompressionDetectedEvent.OutputTuple,
+      APYCompressionDetectedEvent.OutputObject
+    >;
+  };
+}
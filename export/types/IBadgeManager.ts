@@ -0,0 +1,116 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface IBadgeManagerInterface extends Interface {
+  getFunction(
+    nameOrSignature: "getAllBadgeHolders" | "getTotalBadgeHolders" | "hasBadge"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "getAllBadgeHolders",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalBadgeHolders",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasBadge",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getAllBadgeHolders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalBadgeHolders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "hasBadge", data: BytesLike): Result;
+}
+
+export interface IBadgeManager extends BaseContract {
+  connect(runner?: ContractRunner | null): IBadgeManager;
+  waitForDeployment(): Promise<this>;
+
+  interface: IBadgeManagerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getAllBadgeHolders: TypedContractMethod<[], [string[]], "view">;
+
+  getTotalBadgeHolders: TypedContractMethod<[], [bigint], "view">;
+
+  hasBadge: TypedContractMethod<[account: AddressLike], [boolean], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getAllBadgeHolders"
+  ): TypedContractMethod<[], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getTotalBadgeHolders"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "hasBadge"
+  ): TypedContractMethod<[account: AddressLike], [boolean], "view">;
+
+  filters: {};
+}
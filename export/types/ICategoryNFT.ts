@@ -0,0 +1,165 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace INuxAgentNFT {
+  export type AgentConfigStruct = {
+    name: string;
+    description: string;
+    model: string;
+    category: BigNumberish;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: BytesLike;
+    agentURI: string;
+    state: BigNumberish;
+    mintedAt: BigNumberish;
+    reputation: BigNumberish;
+  };
+
+  export type AgentConfigStructOutput = [
+    name: string,
+    description: string,
+    model: string,
+    category: bigint,
+    systemPromptURI: string,
+    userPromptURI: string,
+    promptsEncrypted: boolean,
+    geminiConfig: string,
+    agentURI: string,
+    state: bigint,
+    mintedAt: bigint,
+    reputation: bigint
+  ] & {
+    name: string;
+    description: string;
+    model: string;
+    category: bigint;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: string;
+    agentURI: string;
+    state: bigint;
+    mintedAt: bigint;
+    reputation: bigint;
+  };
+}
+
+export interface ICategoryNFTInterface extends Interface {
+  getFunction(
+    nameOrSignature: "mintFromFactory" | "mintingFee"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "mintFromFactory",
+    values: [AddressLike, INuxAgentNFT.AgentConfigStruct, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "mintingFee",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "mintFromFactory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "mintingFee", data: BytesLike): Result;
+}
+
+export interface ICategoryNFT extends BaseContract {
+  connect(runner?: ContractRunner | null): ICategoryNFT;
+  waitForDeployment(): Promise<this>;
+
+  interface: ICategoryNFTInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  mintFromFactory: TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  mintingFee: TypedContractMethod<[], [bigint], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "mintFromFactory"
+  ): TypedContractMethod<
+    [
+      recipient: AddressLike,
+      config: INuxAgentNFT.AgentConfigStruct,
+      tokenURI_: string
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "mintingFee"
+  ): TypedContractMethod<[], [bigint], "view">;
+
+  filters: {};
+}
@@ -0,0 +1,1747 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IGameifiedMarketplace {
+  export type NFTMetadataStruct = {
+    category: string;
+    creationTimestamp: BigNumberish;
+    creator: AddressLike;
+    isListed: boolean;
+    listedPrice: BigNumberish;
+  };
+
+  export type NFTMetadataStructOutput = [
+    category: string,
+    creationTimestamp: bigint,
+    creator: string,
+    isListed: boolean,
+    listedPrice: bigint
+  ] & {
+    category: string;
+    creationTimestamp: bigint;
+    creator: string;
+    isListed: boolean;
+    listedPrice: bigint;
+  };
+
+  export type QuestProgressStruct = {
+    user: AddressLike;
+    questId: BigNumberish;
+    currentProgress: BigNumberish;
+    lastProgressUpdate: BigNumberish;
+    isCompleted: boolean;
+    completedTime: BigNumberish;
+  };
+
+  export type QuestProgressStructOutput = [
+    user: string,
+    questId: bigint,
+    currentProgress: bigint,
+    lastProgressUpdate: bigint,
+    isCompleted: boolean,
+    completedTime: bigint
+  ] & {
+    user: string;
+    questId: bigint;
+    currentProgress: bigint;
+    lastProgressUpdate: bigint;
+    isCompleted: boolean;
+    completedTime: bigint;
+  };
+
+  export type SkillNFTStruct = {
+    tokenId: BigNumberish;
+    skillType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    stars: BigNumberish;
+    mintedAt: BigNumberish;
+    lastActivationTime: BigNumberish;
+    isSkillActive: boolean;
+  };
+
+  export type SkillNFTStructOutput = [
+    tokenId: bigint,
+    skillType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    stars: bigint,
+    mintedAt: bigint,
+    lastActivationTime: bigint,
+    isSkillActive: boolean
+  ] & {
+    tokenId: bigint;
+    skillType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    stars: bigint;
+    mintedAt: bigint;
+    lastActivationTime: bigint;
+    isSkillActive: boolean;
+  };
+
+  export type UserProfileStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    skillsLevel: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+    lastActivityTimestamp: BigNumberish;
+  };
+
+  export type UserProfileStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    skillsLevel: bigint,
+    nftsCreated: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint,
+    lastActivityTimestamp: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    skillsLevel: bigint;
+    nftsCreated: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+    lastActivityTimestamp: bigint;
+  };
+
+  export type UserStreakStruct = {
+    user: AddressLike;
+    currentStreak: BigNumberish;
+    longestStreak: BigNumberish;
+    lastActivityDate: BigNumberish;
+    totalQuestsCompleted: BigNumberish;
+  };
+
+  export type UserStreakStructOutput = [
+    user: string,
+    currentStreak: bigint,
+    longestStreak: bigint,
+    lastActivityDate: bigint,
+    totalQuestsCompleted: bigint
+  ] & {
+    user: string;
+    currentStreak: bigint;
+    longestStreak: bigint;
+    lastActivityDate: bigint;
+    totalQuestsCompleted: bigint;
+  };
+}
+
+export interface IGameifiedMarketplaceInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "acceptOffer"
+      | "activateQuest"
+      | "activateSkill"
+      | "addComment"
+      | "buyToken"
+      | "canCompleteQuestNow"
+      | "cancelOffer"
+      | "completeQuest"
+      | "createQuest"
+      | "createSkillNFT"
+      | "createStandardNFT"
+      | "createStandardNFTBatch"
+      | "deactivateQuest"
+      | "deactivateSkill"
+      | "getActiveSkills"
+      | "getCollectorLeaderboard"
+      | "getCreatorLeaderboard"
+      | "getNFTComments"
+      | "getNFTMetadata"
+      | "getNFTOffers"
+      | "getQuestProgress"
+      | "getSkillDetails"
+      | "getUserCompleteInfo"
+      | "getUserProfile"
+      | "initialize"
+      | "listToken"
+      | "makeOffer"
+      | "pause"
+      | "registerReferral"
+      | "setCommunityTreasuryAddress"
+      | "setPOLTokenAddress"
+      | "setPlatformTreasuryAddress"
+      | "setRoyaltyStakingPoolAddress"
+      | "setStakingContractAddress"
+      | "setStakingTreasuryAddress"
+      | "toggleLike"
+      | "unlistToken"
+      | "unpause"
+      | "updatePrice"
+      | "updateQuestRewards"
+      | "withdrawRewards"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "NFTCreated"
+      | "NFTListed"
+      | "NFTPriceUpdated"
+      | "NFTSold"
+      | "NFTUnlisted"
+      | "OfferAccepted"
+      | "OfferCancelled"
+      | "OfferMade"
+      | "QuestCompleted"
+      | "QuestCreated"
+      | "QuestDeactivated"
+      | "QuestReactivated"
+      | "RewardsWithdrawn"
+      | "SkillActivated"
+      | "SkillDeactivated"
+      | "StreakMilestone"
+      | "UserLeveledUp"
+      | "XPAwarded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "acceptOffer",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activateQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activateSkill",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addComment",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "buyToken",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "canCompleteQuestNow",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOffer",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createQuest",
+    values: [
+      string,
+      string,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      string,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createSkillNFT",
+    values: [
+      string,
+      string,
+      BigNumberish,
+      BigNumberish[],
+      BigNumberish[],
+      BigNumberish[]
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createStandardNFT",
+    values: [string, string, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createStandardNFTBatch",
+    values: [string, string, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateSkill",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCollectorLeaderboard",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCreatorLeaderboard",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTComments",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTOffers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillDetails",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserCompleteInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [
+      AddressLike,
+      AddressLike,
+      AddressLike,
+      AddressLike,
+      AddressLike,
+      AddressLike
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "listToken",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "makeOffer",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "registerReferral",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCommunityTreasuryAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPOLTokenAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPlatformTreasuryAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRoyaltyStakingPoolAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContractAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingTreasuryAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "toggleLike",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unlistToken",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updatePrice",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateQuestRewards",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawRewards",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "acceptOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activateQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activateSkill",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "addComment", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "buyToken", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "canCompleteQuestNow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createSkillNFT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createStandardNFT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createStandardNFTBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateSkill",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCollectorLeaderboard",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCreatorLeaderboard",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTComments",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTOffers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserCompleteInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "listToken", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "makeOffer", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "registerReferral",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCommunityTreasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPOLTokenAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPlatformTreasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRoyaltyStakingPoolAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingTreasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "toggleLike", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "unlistToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateQuestRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawRewards",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace NFTCreatedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    creator: AddressLike,
+    tokenURI: string
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    creator: string,
+    tokenURI: string
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    creator: string;
+    tokenURI: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTListedEvent {
+  export type InputTuple = [tokenId: BigNumberish, price: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, price: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTPriceUpdatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, newPrice: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, newPrice: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    newPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTSoldEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    seller: AddressLike,
+    buyer: AddressLike,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    seller: string,
+    buyer: string,
+    price: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    seller: string;
+    buyer: string;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTUnlistedEvent {
+  export type InputTuple = [tokenId: BigNumberish];
+  export type OutputTuple = [tokenId: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OfferAcceptedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    offerer: AddressLike,
+    seller: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    offerer: string,
+    seller: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    offerer: string;
+    seller: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OfferCancelledEvent {
+  export type InputTuple = [tokenId: BigNumberish, offerer: AddressLike];
+  export type OutputTuple = [tokenId: bigint, offerer: string];
+  export interface OutputObject {
+    tokenId: bigint;
+    offerer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OfferMadeEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    offerer: AddressLike,
+    amount: BigNumberish,
+    expirationTime: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    offerer: string,
+    amount: bigint,
+    expirationTime: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    offerer: string;
+    amount: bigint;
+    expirationTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    xpReward: BigNumberish,
+    polReward: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    xpReward: bigint,
+    polReward: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCreatedEvent {
+  export type InputTuple = [questId: BigNumberish, name: string];
+  export type OutputTuple = [questId: bigint, name: string];
+  export interface OutputObject {
+    questId: bigint;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestDeactivatedEvent {
+  export type InputTuple = [questId: BigNumberish];
+  export type OutputTuple = [questId: bigint];
+  export interface OutputObject {
+    questId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestReactivatedEvent {
+  export type InputTuple = [questId: BigNumberish];
+  export type OutputTuple = [questId: bigint];
+  export interface OutputObject {
+    questId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardsWithdrawnEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillActivatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, skillType: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, skillType: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillDeactivatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, skillType: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, skillType: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StreakMilestoneEvent {
+  export type InputTuple = [user: AddressLike, streakDays: BigNumberish];
+  export type OutputTuple = [user: string, streakDays: bigint];
+  export interface OutputObject {
+    user: string;
+    streakDays: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UserLeveledUpEvent {
+  export type InputTuple = [user: AddressLike, newLevel: BigNumberish];
+  export type OutputTuple = [user: string, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPAwardedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, amount: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IGameifiedMarketplace extends BaseContract {
+  connect(runner?: ContractRunner | null): IGameifiedMarketplace;
+  waitForDeployment(): Promise<this>;
+
+  interface: IGameifiedMarketplaceInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  acceptOffer: TypedContractMethod<
+    [_tokenId: BigNumberish, _offerer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  activateQuest: TypedContractMethod<
+    [_questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  activateSkill: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  addComment: TypedContractMethod<
+    [_tokenId: BigNumberish, _comment: string],
+    [void],
+    "nonpayable"
+  >;
+
+  buyToken: TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+
+  canCompleteQuestNow: TypedContractMethod<
+    [_questId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  cancelOffer: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  completeQuest: TypedContractMethod<
+    [_questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  createQuest: TypedContractMethod<
+    [
+      _name: string,
+      _description: string,
+      _questType: BigNumberish,
+      _targetValue: BigNumberish,
+      _xpReward: BigNumberish,
+      _polReward: BigNumberish,
+      _frequency: BigNumberish,
+      _difficulty: BigNumberish,
+      _category: string,
+      _startTime: BigNumberish,
+      _endTime: BigNumberish,
+      _minLevel: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  createSkillNFT: TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _skills: BigNumberish[],
+      _effectValues: BigNumberish[],
+      _rarities: BigNumberish[]
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  createStandardNFT: TypedContractMethod<
+    [_tokenURI: string, _category: string, _royaltyPercentage: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  createStandardNFTBatch: TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _count: BigNumberish
+    ],
+    [bigint[]],
+    "nonpayable"
+  >;
+
+  deactivateQuest: TypedContractMethod<
+    [_questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  deactivateSkill: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getActiveSkills: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getCollectorLeaderboard: TypedContractMethod<
+    [_limit: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+
+  getCreatorLeaderboard: TypedContractMethod<
+    [_limit: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+
+  getNFTComments: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  getNFTMetadata: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [IGameifiedMarketplace.NFTMetadataStructOutput],
+    "view"
+  >;
+
+  getNFTOffers: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+
+  getQuestProgress: TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [IGameifiedMarketplace.QuestProgressStructOutput],
+    "view"
+  >;
+
+  getSkillDetails: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [IGameifiedMarketplace.SkillNFTStructOutput],
+    "view"
+  >;
+
+  getUserCompleteInfo: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        IGameifiedMarketplace.UserProfileStructOutput,
+        bigint[],
+        IGameifiedMarketplace.UserStreakStructOutput
+      ] & {
+        profile: IGameifiedMarketplace.UserProfileStructOutput;
+        activeSkills: bigint[];
+        streak: IGameifiedMarketplace.UserStreakStructOutput;
+      }
+    ],
+    "view"
+  >;
+
+  getUserProfile: TypedContractMethod<
+    [_user: AddressLike],
+    [IGameifiedMarketplace.UserProfileStructOutput],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      _polTokenAddress: AddressLike,
+      _stakingContractAddress: AddressLike,
+      _communityTreasuryAddress: AddressLike,
+      _royaltyStakingPoolAddress: AddressLike,
+      _stakingTreasuryAddress: AddressLike,
+      _platformTreasuryAddress: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  listToken: TypedContractMethod<
+    [_tokenId: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  makeOffer: TypedContractMethod<
+    [
+      _tokenId: BigNumberish,
+      _offerAmount: BigNumberish,
+      _expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  registerReferral: TypedContractMethod<
+    [_referrer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setCommunityTreasuryAddress: TypedContractMethod<
+    [_treasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPOLTokenAddress: TypedContractMethod<
+    [_polToken: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPlatformTreasuryAddress: TypedContractMethod<
+    [_platformTreasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setRoyaltyStakingPoolAddress: TypedContractMethod<
+    [_pool: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContractAddress: TypedContractMethod<
+    [_stakingContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingTreasuryAddress: TypedContractMethod<
+    [_treasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  toggleLike: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  unlistToken: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updatePrice: TypedContractMethod<
+    [_tokenId: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateQuestRewards: TypedContractMethod<
+    [_questId: BigNumberish, _xpReward: BigNumberish, _polReward: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  withdrawRewards: TypedContractMethod<[], [void], "nonpayable">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "acceptOffer"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _offerer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "activateQuest"
+  ): TypedContractMethod<[_questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "activateSkill"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "addComment"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _comment: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "buyToken"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "canCompleteQuestNow"
+  ): TypedContractMethod<[_questId: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "cancelOffer"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "completeQuest"
+  ): TypedContractMethod<[_questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "createQuest"
+  ): TypedContractMethod<
+    [
+      _name: string,
+      _description: string,
+      _questType: BigNumberish,
+      _targetValue: BigNumberish,
+      _xpReward: BigNumberish,
+      _polReward: BigNumberish,
+      _frequency: BigNumberish,
+      _difficulty: BigNumberish,
+      _category: string,
+      _startTime: BigNumberish,
+      _endTime: BigNumberish,
+      _minLevel: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "createSkillNFT"
+  ): TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _skills: BigNumberish[],
+      _effectValues: BigNumberish[],
+      _rarities: BigNumberish[]
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "createStandardNFT"
+  ): TypedContractMethod<
+    [_tokenURI: string, _category: string, _royaltyPercentage: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "createStandardNFTBatch"
+  ): TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _count: BigNumberish
+    ],
+    [bigint[]],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "deactivateQuest"
+  ): TypedContractMethod<[_questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "deactivateSkill"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getActiveSkills"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getCollectorLeaderboard"
+  ): TypedContractMethod<
+    [_limit: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCreatorLeaderboard"
+  ): TypedContractMethod<
+    [_limit: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTComments"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getNFTMetadata"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [IGameifiedMarketplace.NFTMetadataStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTOffers"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [[string[], bigint[]]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestProgress"
+  ): TypedContractMethod<
+    [_user: AddressLike, _questId: BigNumberish],
+    [IGameifiedMarketplace.QuestProgressStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillDetails"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [IGameifiedMarketplace.SkillNFTStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserCompleteInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        IGameifiedMarketplace.UserProfileStructOutput,
+        bigint[],
+        IGameifiedMarketplace.UserStreakStructOutput
+      ] & {
+        profile: IGameifiedMarketplace.UserProfileStructOutput;
+        activeSkills: bigint[];
+        streak: IGameifiedMarketplace.UserStreakStructOutput;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserProfile"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [IGameifiedMarketplace.UserProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      _polTokenAddress: AddressLike,
+      _stakingContractAddress: AddressLike,
+      _communityTreasuryAddress: AddressLike,
+      _royaltyStakingPoolAddress: AddressLike,
+      _stakingTreasuryAddress: AddressLike,
+      _platformTreasuryAddress: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "listToken"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "makeOffer"
+  ): TypedContractMethod<
+    [
+      _tokenId: BigNumberish,
+      _offerAmount: BigNumberish,
+      _expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "registerReferral"
+  ): TypedContractMethod<[_referrer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCommunityTreasuryAddress"
+  ): TypedContractMethod<[_treasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPOLTokenAddress"
+  ): TypedContractMethod<[_polToken: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPlatformTreasuryAddress"
+  ): TypedContractMethod<
+    [_platformTreasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setRoyaltyStakingPoolAddress"
+  ): TypedContractMethod<[_pool: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingContractAddress"
+  ): TypedContractMethod<[_stakingContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingTreasuryAddress"
+  ): TypedContractMethod<[_treasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "toggleLike"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unlistToken"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updatePrice"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateQuestRewards"
+  ): TypedContractMethod<
+    [_questId: BigNumberish, _xpReward: BigNumberish, _polReward: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "withdrawRewards"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+
+  getEvent(
+    key: "NFTCreated"
+  ): TypedContractEvent<
+    NFTCreatedEvent.InputTuple,
+    NFTCreatedEvent.OutputTuple,
+    NFTCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTListed"
+  ): TypedContractEvent<
+    NFTListedEvent.InputTuple,
+    NFTListedEvent.OutputTuple,
+    NFTListedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTPriceUpdated"
+  ): TypedContractEvent<
+    NFTPriceUpdatedEvent.InputTuple,
+    NFTPriceUpdatedEvent.OutputTuple,
+    NFTPriceUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTSold"
+  ): TypedContractEvent<
+    NFTSoldEvent.InputTuple,
+    NFTSoldEvent.OutputTuple,
+    NFTSoldEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTUnlisted"
+  ): TypedContractEvent<
+    NFTUnlistedEvent.InputTuple,
+    NFTUnlistedEvent.OutputTuple,
+    NFTUnlistedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OfferAccepted"
+  ): TypedContractEvent<
+    OfferAcceptedEvent.InputTuple,
+    OfferAcceptedEvent.OutputTuple,
+    OfferAcceptedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OfferCancelled"
+  ): TypedContractEvent<
+    OfferCancelledEvent.InputTuple,
+    OfferCancelledEvent.OutputTuple,
+    OfferCancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "OfferMade"
+  ): TypedContractEvent<
+    OfferMadeEvent.InputTuple,
+    OfferMadeEvent.OutputTuple,
+    OfferMadeEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCreated"
+  ): TypedContractEvent<
+    QuestCreatedEvent.InputTuple,
+    QuestCreatedEvent.OutputTuple,
+    QuestCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestDeactivated"
+  ): TypedContractEvent<
+    QuestDeactivatedEvent.InputTuple,
+    QuestDeactivatedEvent.OutputTuple,
+    QuestDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestReactivated"
+  ): TypedContractEvent<
+    QuestReactivatedEvent.InputTuple,
+    QuestReactivatedEvent.OutputTuple,
+    QuestReactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardsWithdrawn"
+  ): TypedContractEvent<
+    RewardsWithdrawnEvent.InputTuple,
+    RewardsWithdrawnEvent.OutputTuple,
+    RewardsWithdrawnEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillActivated"
+  ): TypedContractEvent<
+    SkillActivatedEvent.InputTuple,
+    SkillActivatedEvent.OutputTuple,
+    SkillActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillDeactivated"
+  ): TypedContractEvent<
+    SkillDeactivatedEvent.InputTuple,
+    SkillDeactivatedEvent.OutputTuple,
+    SkillDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StreakMilestone"
+  ): TypedContractEvent<
+    StreakMilestoneEvent.InputTuple,
+    StreakMilestoneEvent.OutputTuple,
+    StreakMilestoneEvent.OutputObject
+  >;
+  getEvent(
+    key: "UserLeveledUp"
+  ): TypedContractEvent<
+    UserLeveledUpEvent.InputTuple,
+    UserLeveledUpEvent.OutputTuple,
+    UserLeveledUpEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPAwarded"
+  ): TypedContractEvent<
+    XPAwardedEvent.InputTuple,
+    XPAwardedEvent.OutputTuple,
+    XPAwardedEvent.OutputObject
+  >;
+
+  filters: {
+    "NFTCreated(uint256,address,string)": TypedContractEvent<
+      NFTCreatedEvent.InputTuple,
+      NFTCreatedEvent.OutputTuple,
+      NFTCreatedEvent.OutputObject
+    >;
+    NFTCreated: TypedContractEvent<
+      NFTCreatedEvent.InputTuple,
+      NFTCreatedEvent.OutputTuple,
+      NFTCreatedEvent.OutputObject
+    >;
+
+    "NFTListed(uint256,uint256)": TypedContractEvent<
+      NFTListedEvent.InputTuple,
+      NFTListedEvent.OutputTuple,
+      NFTListedEvent.OutputObject
+    >;
+    NFTListed: TypedContractEvent<
+      NFTListedEvent.InputTuple,
+      NFTListedEvent.OutputTuple,
+      NFTListedEvent.OutputObject
+    >;
+
+    "NFTPriceUpdated(uint256,uint256)": TypedContractEvent<
+      NFTPriceUpdatedEvent.InputTuple,
+      NFTPriceUpdatedEvent.OutputTuple,
+      NFTPriceUpdatedEvent.OutputObject
+    >;
+    NFTPriceUpdated: TypedContractEvent<
+      NFTPriceUpdatedEvent.InputTuple,
+      NFTPriceUpdatedEvent.OutputTuple,
+      NFTPriceUpdatedEvent.OutputObject
+    >;
+
+    "NFTSold(uint256,address,address,uint256)": TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+    NFTSold: TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+
+    "NFTUnlisted(uint256)": TypedContractEvent<
+      NFTUnlistedEvent.InputTuple,
+      NFTUnlistedEvent.OutputTuple,
+      NFTUnlistedEvent.OutputObject
+    >;
+    NFTUnlisted: TypedContractEvent<
+      NFTUnlistedEvent.InputTuple,
+      NFTUnlistedEvent.OutputTuple,
+      NFTUnlistedEvent.OutputObject
+    >;
+
+    "OfferAccepted(uint256,address,address,uint256)": TypedContractEvent<
+      OfferAcceptedEvent.InputTuple,
+      OfferAcceptedEvent.OutputTuple,
+      OfferAcceptedEvent.OutputObject
+    >;
+    OfferAccepted: TypedContractEvent<
+      OfferAcceptedEvent.InputTuple,
+      OfferAcceptedEvent.OutputTuple,
+      OfferAcceptedEvent.OutputObject
+    >;
+
+    "OfferCancelled(uint256,address)": TypedContractEvent<
+      OfferCancelledEvent.InputTuple,
+      OfferCancelledEvent.OutputTuple,
+      OfferCancelledEvent.OutputObject
+    >;
+    OfferCancelled: TypedContractEvent<
+      OfferCancelledEvent.InputTuple,
+      OfferCancelledEvent.OutputTuple,
+      OfferCancelledEvent.OutputObject
+    >;
+
+    "OfferMade(uint256,address,uint256,uint256)": TypedContractEvent<
+      OfferMadeEvent.InputTuple,
+      OfferMadeEvent.OutputTuple,
+      OfferMadeEvent.OutputObject
+    >;
+    OfferMade: TypedContractEvent<
+      OfferMadeEvent.InputTuple,
+      OfferMadeEvent.OutputTuple,
+      OfferMadeEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "QuestCreated(uint256,string)": TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+    QuestCreated: TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+
+    "QuestDeactivated(uint256)": TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+    QuestDeactivated: TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+
+    "QuestReactivated(uint256)": TypedContractEvent<
+      QuestReactivatedEvent.InputTuple,
+      QuestReactivatedEvent.OutputTuple,
+      QuestReactivatedEvent.OutputObject
+    >;
+    QuestReactivated: TypedContractEvent<
+      QuestReactivatedEvent.InputTuple,
+      QuestReactivatedEvent.OutputTuple,
+      QuestReactivatedEvent.OutputObject
+    >;
+
+    "RewardsWithdrawn(address,uint256)": TypedContractEvent<
+      RewardsWithdrawnEvent.InputTuple,
+      RewardsWithdrawnEvent.OutputTuple,
+      RewardsWithdrawnEvent.OutputObject
+    >;
+    RewardsWithdrawn: TypedContractEvent<
+      RewardsWithdrawnEvent.InputTuple,
+      RewardsWithdrawnEvent.OutputTuple,
+      RewardsWithdrawnEvent.OutputObject
+    >;
+
+    "SkillActivated(uint256,uint8)": TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+    SkillActivated: TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+
+    "SkillDeactivated(uint256,uint8)": TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+    SkillDeactivated: TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+
+    "StreakMilestone(address,uint256)": TypedContractEvent<
+      StreakMilestoneEvent.InputTuple,
+      StreakMilestoneEvent.OutputTuple,
+      StreakMilestoneEvent.OutputObject
+    >;
+    StreakMilestone: TypedContractEvent<
+      StreakMilestoneEvent.InputTuple,
+      StreakMilestoneEvent.OutputTuple,
+      StreakMilestoneEvent.OutputObject
+    >;
+
+    "UserLeveledUp(address,uint256)": TypedContractEvent<
+      UserLeveledUpEvent.InputTuple,
+      UserLeveledUpEvent.OutputTuple,
+      UserLeveledUpEvent.OutputObject
+    >;
+    UserLeveledUp: TypedContractEvent<
+      UserLeveledUpEvent.InputTuple,
+      UserLeveledUpEvent.OutputTuple,
+      UserLeveledUpEvent.OutputObject
+    >;
+
+    "XPAwarded(address,uint256,string)": TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+    XPAwarded: TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+  };
+}
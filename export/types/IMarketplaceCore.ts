@@ -0,0 +1,323 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IMarketplaceCore {
+  export type OfferStruct = {
+    offeror: AddressLike;
+    amount: BigNumberish;
+    expiresInDays: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type OfferStructOutput = [
+    offeror: string,
+    amount: bigint,
+    expiresInDays: bigint,
+    timestamp: bigint
+  ] & {
+    offeror: string;
+    amount: bigint;
+    expiresInDays: bigint;
+    timestamp: bigint;
+  };
+
+  export type NFTMetadataStruct = {
+    creator: AddressLike;
+    uri: string;
+    category: string;
+    createdAt: BigNumberish;
+    royaltyPercentage: BigNumberish;
+  };
+
+  export type NFTMetadataStructOutput = [
+    creator: string,
+    uri: string,
+    category: string,
+    createdAt: bigint,
+    royaltyPercentage: bigint
+  ] & {
+    creator: string;
+    uri: string;
+    category: string;
+    createdAt: bigint;
+    royaltyPercentage: bigint;
+  };
+
+  export type UserProfileStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsOwned: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+  };
+
+  export type UserProfileStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    nftsCreated: bigint,
+    nftsOwned: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    nftsCreated: bigint;
+    nftsOwned: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+  };
+}
+
+export interface IMarketplaceCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "getCreatedTokensArray"
+      | "getListedTokenIds"
+      | "getNFTMetadata"
+      | "getOffersArray"
+      | "getOwnedTokensArray"
+      | "isListed"
+      | "listedPrice"
+      | "nftMetadata"
+      | "ownerOf"
+      | "userProfiles"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "getCreatedTokensArray",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokenIds",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getOffersArray",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getOwnedTokensArray",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isListed",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "listedPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nftMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ownerOf",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userProfiles",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getCreatedTokensArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokenIds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getOffersArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getOwnedTokensArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "isListed", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "listedPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "nftMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "ownerOf", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "userProfiles",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IMarketplaceCore extends BaseContract {
+  connect(runner?: ContractRunner | null): IMarketplaceCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: IMarketplaceCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getCreatedTokensArray: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getListedTokenIds: TypedContractMethod<[], [bigint[]], "view">;
+
+  getNFTMetadata: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [[string, string, string, bigint, bigint]],
+    "view"
+  >;
+
+  getOffersArray: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.OfferStructOutput[]],
+    "view"
+  >;
+
+  getOwnedTokensArray: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  isListed: TypedContractMethod<[tokenId: BigNumberish], [boolean], "view">;
+
+  listedPrice: TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+
+  nftMetadata: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.NFTMetadataStructOutput],
+    "view"
+  >;
+
+  ownerOf: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  userProfiles: TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.UserProfileStructOutput],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getCreatedTokensArray"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getListedTokenIds"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getNFTMetadata"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [[string, string, string, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getOffersArray"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.OfferStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getOwnedTokensArray"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "isListed"
+  ): TypedContractMethod<[tokenId: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "listedPrice"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "nftMetadata"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.NFTMetadataStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "ownerOf"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "userProfiles"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.UserProfileStructOutput],
+    "view"
+  >;
+
+  filters: {};
+}
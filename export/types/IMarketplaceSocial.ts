@@ -0,0 +1,310 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IMarketplaceSocial {
+  export type CommentStruct = {
+    author: AddressLike;
+    text: string;
+    timestamp: BigNumberish;
+  };
+
+  export type CommentStructOutput = [
+    author: string,
+    text: string,
+    timestamp: bigint
+  ] & { author: string; text: string; timestamp: bigint };
+}
+
+export interface IMarketplaceSocialInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "addComment"
+      | "getCommentCount"
+      | "getComments"
+      | "getCommentsPaginated"
+      | "getLikeCount"
+      | "hasUserLiked"
+      | "toggleLike"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "CommentAdded" | "LikeToggled"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "addComment",
+    values: [BigNumberish, AddressLike, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCommentCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getComments",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCommentsPaginated",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLikeCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasUserLiked",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "toggleLike",
+    values: [BigNumberish, AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "addComment", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getCommentCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getComments",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCommentsPaginated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLikeCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasUserLiked",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "toggleLike", data: BytesLike): Result;
+}
+
+export namespace CommentAddedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    comment: string
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, comment: string];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    comment: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LikeToggledEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    liked: boolean
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, liked: boolean];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    liked: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IMarketplaceSocial extends BaseContract {
+  connect(runner?: ContractRunner | null): IMarketplaceSocial;
+  waitForDeployment(): Promise<this>;
+
+  interface: IMarketplaceSocialInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  addComment: TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike, comment: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getCommentCount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getComments: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+
+  getCommentsPaginated: TypedContractMethod<
+    [tokenId: BigNumberish, offset: BigNumberish, limit: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+
+  getLikeCount: TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+
+  hasUserLiked: TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  toggleLike: TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "addComment"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike, comment: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getCommentCount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getComments"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCommentsPaginated"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, offset: BigNumberish, limit: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLikeCount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "hasUserLiked"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "toggleLike"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "CommentAdded"
+  ): TypedContractEvent<
+    CommentAddedEvent.InputTuple,
+    CommentAddedEvent.OutputTuple,
+    CommentAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LikeToggled"
+  ): TypedContractEvent<
+    LikeToggledEvent.InputTuple,
+    LikeToggledEvent.OutputTuple,
+    LikeToggledEvent.OutputObject
+  >;
+
+  filters: {
+    "CommentAdded(address,uint256,string)": TypedContractEvent<
+      CommentAddedEvent.InputTuple,
+      CommentAddedEvent.OutputTuple,
+      CommentAddedEvent.OutputObject
+    >;
+    CommentAdded: TypedContractEvent<
+      CommentAddedEvent.InputTuple,
+      CommentAddedEvent.OutputTuple,
+      CommentAddedEvent.OutputObject
+    >;
+
+    "LikeToggled(address,uint256,bool)": TypedContractEvent<
+      LikeToggledEvent.InputTuple,
+      LikeToggledEvent.OutputTuple,
+      LikeToggledEvent.OutputObject
+    >;
+    LikeToggled: TypedContractEvent<
+      LikeToggledEvent.InputTuple,
+      LikeToggledEvent.OutputTuple,
+      LikeToggledEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,214 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface IMarketplaceViewInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "addNFTToCategory"
+      | "getCategoryCount"
+      | "getListedTokens"
+      | "getListedTokensPaginated"
+      | "getNFTsByCategory"
+      | "getNFTsByCategoryPaginated"
+      | "removeNFTFromCategory"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "addNFTToCategory",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCategoryCount",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokens",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokensPaginated",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTsByCategory",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTsByCategoryPaginated",
+    values: [string, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removeNFTFromCategory",
+    values: [BigNumberish, string]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "addNFTToCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCategoryCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokens",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokensPaginated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTsByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTsByCategoryPaginated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeNFTFromCategory",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IMarketplaceView extends BaseContract {
+  connect(runner?: ContractRunner | null): IMarketplaceView;
+  waitForDeployment(): Promise<this>;
+
+  interface: IMarketplaceViewInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  addNFTToCategory: TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getCategoryCount: TypedContractMethod<[category: string], [bigint], "view">;
+
+  getListedTokens: TypedContractMethod<[], [bigint[]], "view">;
+
+  getListedTokensPaginated: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getNFTsByCategory: TypedContractMethod<
+    [category: string],
+    [bigint[]],
+    "view"
+  >;
+
+  getNFTsByCategoryPaginated: TypedContractMethod<
+    [category: string, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  removeNFTFromCategory: TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "addNFTToCategory"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getCategoryCount"
+  ): TypedContractMethod<[category: string], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getListedTokens"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getListedTokensPaginated"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTsByCategory"
+  ): TypedContractMethod<[category: string], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getNFTsByCategoryPaginated"
+  ): TypedContractMethod<
+    [category: string, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "removeNFTFromCategory"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,153 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface IMiniGameRegistryInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "recordTaskExecution"
+      | "registeredNFTContracts"
+      | "validationRequest"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "recordTaskExecution",
+    values: [BigNumberish, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registeredNFTContracts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validationRequest",
+    values: [AddressLike, BigNumberish, string, BytesLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "recordTaskExecution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registeredNFTContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validationRequest",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IMiniGameRegistry extends BaseContract {
+  connect(runner?: ContractRunner | null): IMiniGameRegistry;
+  waitForDeployment(): Promise<this>;
+
+  interface: IMiniGameRegistryInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  recordTaskExecution: TypedContractMethod<
+    [agentId: BigNumberish, executor: AddressLike, rewardPaid: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  registeredNFTContracts: TypedContractMethod<
+    [nftContract: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  validationRequest: TypedContractMethod<
+    [
+      validatorAddress: AddressLike,
+      agentId: BigNumberish,
+      requestURI: string,
+      requestHash: BytesLike
+    ],
+    [string],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "recordTaskExecution"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, executor: AddressLike, rewardPaid: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "registeredNFTContracts"
+  ): TypedContractMethod<[nftContract: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "validationRequest"
+  ): TypedContractMethod<
+    [
+      validatorAddress: AddressLike,
+      agentId: BigNumberish,
+      requestURI: string,
+      requestHash: BytesLike
+    ],
+    [string],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,459 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace INuxAgentNFT {
+  export type AgentConfigStruct = {
+    name: string;
+    description: string;
+    model: string;
+    category: BigNumberish;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: BytesLike;
+    agentURI: string;
+    state: BigNumberish;
+    mintedAt: BigNumberish;
+    reputation: BigNumberish;
+  };
+
+  export type AgentConfigStructOutput = [
+    name: string,
+    description: string,
+    model: string,
+    category: bigint,
+    systemPromptURI: string,
+    userPromptURI: string,
+    promptsEncrypted: boolean,
+    geminiConfig: string,
+    agentURI: string,
+    state: bigint,
+    mintedAt: bigint,
+    reputation: bigint
+  ] & {
+    name: string;
+    description: string;
+    model: string;
+    category: bigint;
+    systemPromptURI: string;
+    userPromptURI: string;
+    promptsEncrypted: boolean;
+    geminiConfig: string;
+    agentURI: string;
+    state: bigint;
+    mintedAt: bigint;
+    reputation: bigint;
+  };
+}
+
+export interface INuxAgentNFTInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "getAgentConfig"
+      | "getAgentData"
+      | "getAgentState"
+      | "getAgentURI"
+      | "getTokenBoundAccount"
+      | "setAgentState"
+      | "setAgentURI"
+      | "updatePrompts"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AgentCreated"
+      | "AgentStateChanged"
+      | "AgentURIUpdated"
+      | "AgentUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "getAgentConfig",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentData",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentState",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentURI",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTokenBoundAccount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentState",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentURI",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updatePrompts",
+    values: [BigNumberish, string, string, boolean]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getAgentConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentData",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentState",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentURI",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTokenBoundAccount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentState",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentURI",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePrompts",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AgentCreatedEvent {
+  export type InputTuple = [
+    name: string,
+    description: string,
+    model: string,
+    recipient: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [
+    name: string,
+    description: string,
+    model: string,
+    recipient: string,
+    tokenId: bigint
+  ];
+  export interface OutputObject {
+    name: string;
+    description: string;
+    model: string;
+    recipient: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentStateChangedEvent {
+  export type InputTuple = [tokenId: BigNumberish, newState: BigNumberish];
+  export type OutputTuple = [tokenId: bigint, newState: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+    newState: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentURIUpdatedEvent {
+  export type InputTuple = [tokenId: BigNumberish, newURI: string];
+  export type OutputTuple = [tokenId: bigint, newURI: string];
+  export interface OutputObject {
+    tokenId: bigint;
+    newURI: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentUpdatedEvent {
+  export type InputTuple = [tokenId: BigNumberish];
+  export type OutputTuple = [tokenId: bigint];
+  export interface OutputObject {
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface INuxAgentNFT extends BaseContract {
+  connect(runner?: ContractRunner | null): INuxAgentNFT;
+  waitForDeployment(): Promise<this>;
+
+  interface: INuxAgentNFTInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getAgentConfig: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [INuxAgentNFT.AgentConfigStructOutput],
+    "view"
+  >;
+
+  getAgentData: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, string, string, boolean] & {
+        name: string;
+        description: string;
+        model: string;
+        userPromptURI: string;
+        systemPromptURI: string;
+        promptsEncrypted: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getAgentState: TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+
+  getAgentURI: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  getTokenBoundAccount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  setAgentState: TypedContractMethod<
+    [tokenId: BigNumberish, newState: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentURI: TypedContractMethod<
+    [tokenId: BigNumberish, newURI: string],
+    [void],
+    "nonpayable"
+  >;
+
+  updatePrompts: TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      systemPromptURI: string,
+      userPromptURI: string,
+      encrypted: boolean
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getAgentConfig"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [INuxAgentNFT.AgentConfigStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentData"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, string, string, boolean] & {
+        name: string;
+        description: string;
+        model: string;
+        userPromptURI: string;
+        systemPromptURI: string;
+        promptsEncrypted: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentState"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAgentURI"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getTokenBoundAccount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "setAgentState"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, newState: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAgentURI"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, newURI: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updatePrompts"
+  ): TypedContractMethod<
+    [
+      tokenId: BigNumberish,
+      systemPromptURI: string,
+      userPromptURI: string,
+      encrypted: boolean
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AgentCreated"
+  ): TypedContractEvent<
+    AgentCreatedEvent.InputTuple,
+    AgentCreatedEvent.OutputTuple,
+    AgentCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentStateChanged"
+  ): TypedContractEvent<
+    AgentStateChangedEvent.InputTuple,
+    AgentStateChangedEvent.OutputTuple,
+    AgentStateChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentURIUpdated"
+  ): TypedContractEvent<
+    AgentURIUpdatedEvent.InputTuple,
+    AgentURIUpdatedEvent.OutputTuple,
+    AgentURIUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentUpdated"
+  ): TypedContractEvent<
+    AgentUpdatedEvent.InputTuple,
+    AgentUpdatedEvent.OutputTuple,
+    AgentUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "AgentCreated(string,string,string,address,uint256)": TypedContractEvent<
+      AgentCreatedEvent.InputTuple,
+      AgentCreatedEvent.OutputTuple,
+      AgentCreatedEvent.OutputObject
+    >;
+    AgentCreated: TypedContractEvent<
+      AgentCreatedEvent.InputTuple,
+      AgentCreatedEvent.OutputTuple,
+      AgentCreatedEvent.OutputObject
+    >;
+
+    "AgentStateChanged(uint256,uint8)": TypedContractEvent<
+      AgentStateChangedEvent.InputTuple,
+      AgentStateChangedEvent.OutputTuple,
+      AgentStateChangedEvent.OutputObject
+    >;
+    AgentStateChanged: TypedContractEvent<
+      AgentStateChangedEvent.InputTuple,
+      AgentStateChangedEvent.OutputTuple,
+      AgentStateChangedEvent.OutputObject
+    >;
+
+    "AgentURIUpdated(uint256,string)": TypedContractEvent<
+      AgentURIUpdatedEvent.InputTuple,
+      AgentURIUpdatedEvent.OutputTuple,
+      AgentURIUpdatedEvent.OutputObject
+    >;
+    AgentURIUpdated: TypedContractEvent<
+      AgentURIUpdatedEvent.InputTuple,
+      AgentURIUpdatedEvent.OutputTuple,
+      AgentURIUpdatedEvent.OutputObject
+    >;
+
+    "AgentUpdated(uint256)": TypedContractEvent<
+      AgentUpdatedEvent.InputTuple,
+      AgentUpdatedEvent.OutputTuple,
+      AgentUpdatedEvent.OutputObject
+    >;
+    AgentUpdated: TypedContractEvent<
+      AgentUpdatedEvent.InputTuple,
+      AgentUpdatedEvent.OutputTuple,
+      AgentUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,605 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace INuxPower {
+  export type NuxPowerStruct = {
+    skillType: BigNumberish;
+    rarity: BigNumberish;
+    level: BigNumberish;
+    owner: AddressLike;
+    purchasedAt: BigNumberish;
+    expiresAt: BigNumberish;
+    isActive: boolean;
+    metadata: string;
+    createdAt: BigNumberish;
+  };
+
+  export type NuxPowerStructOutput = [
+    skillType: bigint,
+    rarity: bigint,
+    level: bigint,
+    owner: string,
+    purchasedAt: bigint,
+    expiresAt: bigint,
+    isActive: boolean,
+    metadata: string,
+    createdAt: bigint
+  ] & {
+    skillType: bigint;
+    rarity: bigint;
+    level: bigint;
+    owner: string;
+    purchasedAt: bigint;
+    expiresAt: bigint;
+    isActive: boolean;
+    metadata: string;
+    createdAt: bigint;
+  };
+}
+
+export interface INuxPowerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "activateNuxPower"
+      | "claimExpiredNuxPower"
+      | "deactivateNuxPower"
+      | "getNuxPower"
+      | "getUserActivenuxPowers"
+      | "getUsernuxPowers"
+      | "getUsernuxPowersDetailed"
+      | "getnuxPowerPrice"
+      | "purchaseNuxPower"
+      | "renewNuxPower"
+      | "transferNuxPower"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "nuxPowerActivated"
+      | "nuxPowerDeactivated"
+      | "nuxPowerExpired"
+      | "nuxPowerPurchased"
+      | "nuxPowerRenewed"
+      | "nuxPowerTransferred"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "activateNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimExpiredNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserActivenuxPowers",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUsernuxPowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUsernuxPowersDetailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getnuxPowerPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "purchaseNuxPower",
+    values: [BigNumberish, BigNumberish, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renewNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferNuxPower",
+    values: [BigNumberish, AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "activateNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimExpiredNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserActivenuxPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUsernuxPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUsernuxPowersDetailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getnuxPowerPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "purchaseNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renewNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferNuxPower",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace nuxPowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerExpiredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerPurchasedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish,
+    rarity: BigNumberish,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    skillId: bigint,
+    skillType: bigint,
+    rarity: bigint,
+    price: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+    rarity: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerRenewedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    newExpiryTime: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    skillId: bigint,
+    newExpiryTime: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    newExpiryTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerTransferredEvent {
+  export type InputTuple = [
+    from: AddressLike,
+    to: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [
+    from: string,
+    to: string,
+    skillId: bigint,
+    skillType: bigint
+  ];
+  export interface OutputObject {
+    from: string;
+    to: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface INuxPower extends BaseContract {
+  connect(runner?: ContractRunner | null): INuxPower;
+  waitForDeployment(): Promise<this>;
+
+  interface: INuxPowerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  activateNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimExpiredNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  deactivateNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [INuxPower.NuxPowerStructOutput],
+    "view"
+  >;
+
+  getUserActivenuxPowers: TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getUsernuxPowers: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUsernuxPowersDetailed: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getnuxPowerPrice: TypedContractMethod<
+    [_rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  purchaseNuxPower: TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _level: BigNumberish,
+      _metadata: string
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  renewNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  transferNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish, _recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "activateNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimExpiredNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "deactivateNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getNuxPower"
+  ): TypedContractMethod<
+    [_skillId: BigNumberish],
+    [INuxPower.NuxPowerStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserActivenuxPowers"
+  ): TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUsernuxPowers"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUsernuxPowersDetailed"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getnuxPowerPrice"
+  ): TypedContractMethod<[_rarity: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "purchaseNuxPower"
+  ): TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _level: BigNumberish,
+      _metadata: string
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "renewNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "transferNuxPower"
+  ): TypedContractMethod<
+    [_skillId: BigNumberish, _recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "nuxPowerActivated"
+  ): TypedContractEvent<
+    nuxPowerActivatedEvent.InputTuple,
+    nuxPowerActivatedEvent.OutputTuple,
+    nuxPowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerDeactivated"
+  ): TypedContractEvent<
+    nuxPowerDeactivatedEvent.InputTuple,
+    nuxPowerDeactivatedEvent.OutputTuple,
+    nuxPowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerExpired"
+  ): TypedContractEvent<
+    nuxPowerExpiredEvent.InputTuple,
+    nuxPowerExpiredEvent.OutputTuple,
+    nuxPowerExpiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerPurchased"
+  ): TypedContractEvent<
+    nuxPowerPurchasedEvent.InputTuple,
+    nuxPowerPurchasedEvent.OutputTuple,
+    nuxPowerPurchasedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerRenewed"
+  ): TypedContractEvent<
+    nuxPowerRenewedEvent.InputTuple,
+    nuxPowerRenewedEvent.OutputTuple,
+    nuxPowerRenewedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerTransferred"
+  ): TypedContractEvent<
+    nuxPowerTransferredEvent.InputTuple,
+    nuxPowerTransferredEvent.OutputTuple,
+    nuxPowerTransferredEvent.OutputObject
+  >;
+
+  filters: {
+    "nuxPowerActivated(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerActivatedEvent.InputTuple,
+      nuxPowerActivatedEvent.OutputTuple,
+      nuxPowerActivatedEvent.OutputObject
+    >;
+    nuxPowerActivated: TypedContractEvent<
+      nuxPowerActivatedEvent.InputTuple,
+      nuxPowerActivatedEvent.OutputTuple,
+      nuxPowerActivatedEvent.OutputObject
+    >;
+
+    "nuxPowerDeactivated(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerDeactivatedEvent.InputTuple,
+      nuxPowerDeactivatedEvent.OutputTuple,
+      nuxPowerDeactivatedEvent.OutputObject
+    >;
+    nuxPowerDeactivated: TypedContractEvent<
+      nuxPowerDeactivatedEvent.InputTuple,
+      nuxPowerDeactivatedEvent.OutputTuple,
+      nuxPowerDeactivatedEvent.OutputObject
+    >;
+
+    "nuxPowerExpired(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerExpiredEvent.InputTuple,
+      nuxPowerExpiredEvent.OutputTuple,
+      nuxPowerExpiredEvent.OutputObject
+    >;
+    nuxPowerExpired: TypedContractEvent<
+      nuxPowerExpiredEvent.InputTuple,
+      nuxPowerExpiredEvent.OutputTuple,
+      nuxPowerExpiredEvent.OutputObject
+    >;
+
+    "nuxPowerPurchased(address,uint256,uint8,uint8,uint256)": TypedContractEvent<
+      nuxPowerPurchasedEvent.InputTuple,
+      nuxPowerPurchasedEvent.OutputTuple,
+      nuxPowerPurchasedEvent.OutputObject
+    >;
+    nuxPowerPurchased: TypedContractEvent<
+      nuxPowerPurchasedEvent.InputTuple,
+      nuxPowerPurchasedEvent.OutputTuple,
+      nuxPowerPurchasedEvent.OutputObject
+    >;
+
+    "nuxPowerRenewed(address,uint256,uint256)": TypedContractEvent<
+      nuxPowerRenewedEvent.InputTuple,
+      nuxPowerRenewedEvent.OutputTuple,
+      nuxPowerRenewedEvent.OutputObject
+    >;
+    nuxPowerRenewed: TypedContractEvent<
+      nuxPowerRenewedEvent.InputTuple,
+      nuxPowerRenewedEvent.OutputTuple,
+      nuxPowerRenewedEvent.OutputObject
+    >;
+
+    "nuxPowerTransferred(address,address,uint256,uint8)": TypedContractEvent<
+      nuxPowerTransferredEvent.InputTuple,
+      nuxPowerTransferredEvent.OutputTuple,
+      nuxPowerTransferredEvent.OutputObject
+    >;
+    nuxPowerTransferred: TypedContractEvent<
+      nuxPowerTransferredEvent.InputTuple,
+      nuxPowerTransferredEvent.OutputTuple,
+      nuxPowerTransferredEvent.OutputObject
+    >;
+  };
+}
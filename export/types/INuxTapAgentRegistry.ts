@@ -0,0 +1,175 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface INuxTapAgentRegistryInterface extends Interface {
+  getFunction(
+    nameOrSignature: "getAgentOperationalProfile" | "registeredNFTContracts"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "getAgentOperationalProfile",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registeredNFTContracts",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getAgentOperationalProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registeredNFTContracts",
+    data: BytesLike
+  ): Result;
+}
+
+export interface INuxTapAgentRegistry extends BaseContract {
+  connect(runner?: ContractRunner | null): INuxTapAgentRegistry;
+  waitForDeployment(): Promise<this>;
+
+  interface: INuxTapAgentRegistryInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getAgentOperationalProfile: TypedContractMethod<
+    [agentId: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        agentWallet: string;
+        totalTasksRun: bigint;
+        totalRevenueEarned: bigint;
+        spendingLimitDaily: bigint;
+        spentToday: bigint;
+        spentDayReset: bigint;
+        x402Enabled: boolean;
+        mcpEndpoint: string;
+        a2aEndpoint: string;
+        currentReputationScore: bigint;
+        clientCount: bigint;
+        validationCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  registeredNFTContracts: TypedContractMethod<
+    [nftContract: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getAgentOperationalProfile"
+  ): TypedContractMethod<
+    [agentId: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        agentWallet: string;
+        totalTasksRun: bigint;
+        totalRevenueEarned: bigint;
+        spendingLimitDaily: bigint;
+        spentToday: bigint;
+        spentDayReset: bigint;
+        x402Enabled: boolean;
+        mcpEndpoint: string;
+        a2aEndpoint: string;
+        currentReputationScore: bigint;
+        clientCount: bigint;
+        validationCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "registeredNFTContracts"
+  ): TypedContractMethod<[nftContract: AddressLike], [boolean], "view">;
+
+  filters: {};
+}
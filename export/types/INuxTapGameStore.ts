@@ -0,0 +1,145 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface INuxTapGameStoreInterface extends Interface {
+  getFunction(
+    nameOrSignature: "consumeItem" | "getItemConfig"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "consumeItem",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getItemConfig",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "consumeItem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getItemConfig",
+    data: BytesLike
+  ): Result;
+}
+
+export interface INuxTapGameStore extends BaseContract {
+  connect(runner?: ContractRunner | null): INuxTapGameStore;
+  waitForDeployment(): Promise<this>;
+
+  interface: INuxTapGameStoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  consumeItem: TypedContractMethod<
+    [account: AddressLike, itemId: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getItemConfig: TypedContractMethod<
+    [itemId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint, boolean, boolean, string] & {
+        kind: bigint;
+        price: bigint;
+        value: bigint;
+        duration: bigint;
+        stock: bigint;
+        active: boolean;
+        soulbound: boolean;
+        nftContract: string;
+      }
+    ],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "consumeItem"
+  ): TypedContractMethod<
+    [account: AddressLike, itemId: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getItemConfig"
+  ): TypedContractMethod<
+    [itemId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint, boolean, boolean, string] & {
+        kind: bigint;
+        price: bigint;
+        value: bigint;
+        duration: bigint;
+        stock: bigint;
+        active: boolean;
+        soulbound: boolean;
+        nftContract: string;
+      }
+    ],
+    "view"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,139 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface INuxTapTreasuryGameInterface extends Interface {
+  getFunction(
+    nameOrSignature: "availableLiquidity" | "payReward" | "reserveLiquidity"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "availableLiquidity",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "payReward",
+    values: [AddressLike, BigNumberish, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reserveLiquidity",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "availableLiquidity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "payReward", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "reserveLiquidity",
+    data: BytesLike
+  ): Result;
+}
+
+export interface INuxTapTreasuryGame extends BaseContract {
+  connect(runner?: ContractRunner | null): INuxTapTreasuryGame;
+  waitForDeployment(): Promise<this>;
+
+  interface: INuxTapTreasuryGameInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  availableLiquidity: TypedContractMethod<[], [bigint], "view">;
+
+  payReward: TypedContractMethod<
+    [
+      recipient: AddressLike,
+      grossAmount: BigNumberish,
+      feeAmount: BigNumberish,
+      reason: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  reserveLiquidity: TypedContractMethod<
+    [amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "availableLiquidity"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "payReward"
+  ): TypedContractMethod<
+    [
+      recipient: AddressLike,
+      grossAmount: BigNumberish,
+      feeAmount: BigNumberish,
+      reason: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "reserveLiquidity"
+  ): TypedContractMethod<[amount: BigNumberish], [void], "nonpayable">;
+
+  filters: {};
+}
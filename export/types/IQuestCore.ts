@@ -0,0 +1,1000 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IQuestCore {
+  export type QuestCreateParamsStruct = {
+    category: BigNumberish;
+    questType: BigNumberish;
+    title: string;
+    description: string;
+    requirement: BigNumberish;
+    xpReward: BigNumberish;
+    polReward: BigNumberish;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+    completionLimit: BigNumberish;
+  };
+
+  export type QuestCreateParamsStructOutput = [
+    category: bigint,
+    questType: bigint,
+    title: string,
+    description: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint,
+    startTime: bigint,
+    deadline: bigint,
+    completionLimit: bigint
+  ] & {
+    category: bigint;
+    questType: bigint;
+    title: string;
+    description: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+    startTime: bigint;
+    deadline: bigint;
+    completionLimit: bigint;
+  };
+
+  export type QuestStruct = {
+    questId: BigNumberish;
+    category: BigNumberish;
+    questType: BigNumberish;
+    title: string;
+    description: string;
+    requirement: BigNumberish;
+    xpReward: BigNumberish;
+    polReward: BigNumberish;
+    active: boolean;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+    completionLimit: BigNumberish;
+    createdAt: BigNumberish;
+  };
+
+  export type QuestStructOutput = [
+    questId: bigint,
+    category: bigint,
+    questType: bigint,
+    title: string,
+    description: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint,
+    active: boolean,
+    startTime: bigint,
+    deadline: bigint,
+    completionLimit: bigint,
+    createdAt: bigint
+  ] & {
+    questId: bigint;
+    category: bigint;
+    questType: bigint;
+    title: string;
+    description: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+    active: boolean;
+    startTime: bigint;
+    deadline: bigint;
+    completionLimit: bigint;
+    createdAt: bigint;
+  };
+
+  export type UserQuestProgressStruct = {
+    questId: BigNumberish;
+    currentProgress: BigNumberish;
+    completed: boolean;
+    completedAt: BigNumberish;
+  };
+
+  export type UserQuestProgressStructOutput = [
+    questId: bigint,
+    currentProgress: bigint,
+    completed: boolean,
+    completedAt: bigint
+  ] & {
+    questId: bigint;
+    currentProgress: bigint;
+    completed: boolean;
+    completedAt: bigint;
+  };
+}
+
+export interface IQuestCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "claimPendingPolRewards"
+      | "completeQuest"
+      | "createQuest"
+      | "deactivateQuest"
+      | "getAllActiveQuests"
+      | "getMostPopularQuests"
+      | "getQuest"
+      | "getQuestLeaderboard"
+      | "getQuestSystemStats"
+      | "getQuestsByCategory"
+      | "getQuestsByType"
+      | "getUserCompletedQuests"
+      | "getUserIncompleteQuests"
+      | "getUserQuestProgress"
+      | "getUserQuestProgressByType"
+      | "getUserQuestStats"
+      | "getUserSocialActions"
+      | "notifyAction"
+      | "recordSocialAction"
+      | "setCoreContract"
+      | "setLevelingContract"
+      | "setStakingContract"
+      | "updateQuestProgress"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "ActionNotified"
+      | "PendingPolRewardsClaimed"
+      | "QuestCompleted"
+      | "QuestCreated"
+      | "QuestDeactivated"
+      | "QuestProgressUpdated"
+      | "QuestRewardDeferred"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "claimPendingPolRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createQuest",
+    values: [IQuestCore.QuestCreateParamsStruct]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllActiveQuests",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMostPopularQuests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestLeaderboard",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestSystemStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestsByCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestsByType",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserCompletedQuests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserIncompleteQuests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestProgressByType",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSocialActions",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAction",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordSocialAction",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "claimPendingPolRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllActiveQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMostPopularQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getQuest", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestLeaderboard",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestSystemStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestsByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestsByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserCompletedQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserIncompleteQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestProgressByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSocialActions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordSocialAction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateQuestProgress",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace ActionNotifiedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questType: BigNumberish,
+    value: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questType: bigint, value: bigint];
+  export interface OutputObject {
+    user: string;
+    questType: bigint;
+    value: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PendingPolRewardsClaimedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    xpRewarded: BigNumberish,
+    polRewarded: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    xpRewarded: bigint,
+    polRewarded: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    xpRewarded: bigint;
+    polRewarded: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCreatedEvent {
+  export type InputTuple = [
+    questId: BigNumberish,
+    category: BigNumberish,
+    questType: BigNumberish,
+    title: string,
+    requirement: BigNumberish,
+    xpReward: BigNumberish,
+    polReward: BigNumberish
+  ];
+  export type OutputTuple = [
+    questId: bigint,
+    category: bigint,
+    questType: bigint,
+    title: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint
+  ];
+  export interface OutputObject {
+    questId: bigint;
+    category: bigint;
+    questType: bigint;
+    title: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestDeactivatedEvent {
+  export type InputTuple = [questId: BigNumberish];
+  export type OutputTuple = [questId: bigint];
+  export interface OutputObject {
+    questId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestProgressUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    progress: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questId: bigint, progress: bigint];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    progress: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestRewardDeferredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questId: bigint, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IQuestCore extends BaseContract {
+  connect(runner?: ContractRunner | null): IQuestCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: IQuestCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  claimPendingPolRewards: TypedContractMethod<[], [void], "nonpayable">;
+
+  completeQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  createQuest: TypedContractMethod<
+    [params: IQuestCore.QuestCreateParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+
+  deactivateQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getAllActiveQuests: TypedContractMethod<
+    [],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getMostPopularQuests: TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [bigint[], bigint[], string[]] & {
+        questIds: bigint[];
+        completionCounts: bigint[];
+        titles: string[];
+      }
+    ],
+    "view"
+  >;
+
+  getQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [IQuestCore.QuestStructOutput],
+    "view"
+  >;
+
+  getQuestLeaderboard: TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        users: string[];
+        completedCounts: bigint[];
+        totalXP: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getQuestSystemStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalQuests: bigint;
+        activeQuests: bigint;
+        totalCompletions: bigint;
+        totalXPAwarded: bigint;
+        averageCompletionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getQuestsByCategory: TypedContractMethod<
+    [category: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getQuestsByType: TypedContractMethod<
+    [questType: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getUserCompletedQuests: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserIncompleteQuests: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], IQuestCore.QuestStructOutput[], bigint[]] & {
+        questIds: bigint[];
+        questData: IQuestCore.QuestStructOutput[];
+        progressPercentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserQuestProgress: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [IQuestCore.UserQuestProgressStructOutput],
+    "view"
+  >;
+
+  getUserQuestProgressByType: TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish],
+    [
+      [bigint[], IQuestCore.UserQuestProgressStructOutput[]] & {
+        questIds: bigint[];
+        progresses: IQuestCore.UserQuestProgressStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserQuestStats: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalCompleted: bigint;
+        totalInProgress: bigint;
+        totalXPEarned: bigint;
+        completionRate: bigint;
+        favoriteType: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSocialActions: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  notifyAction: TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish, value: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  recordSocialAction: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setCoreContract: TypedContractMethod<
+    [coreAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingContract: TypedContractMethod<
+    [levelingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  updateQuestProgress: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "claimPendingPolRewards"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "completeQuest"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "createQuest"
+  ): TypedContractMethod<
+    [params: IQuestCore.QuestCreateParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "deactivateQuest"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getAllActiveQuests"
+  ): TypedContractMethod<[], [IQuestCore.QuestStructOutput[]], "view">;
+  getFunction(
+    nameOrSignature: "getMostPopularQuests"
+  ): TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [bigint[], bigint[], string[]] & {
+        questIds: bigint[];
+        completionCounts: bigint[];
+        titles: string[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuest"
+  ): TypedContractMethod<
+    [questId: BigNumberish],
+    [IQuestCore.QuestStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestLeaderboard"
+  ): TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        users: string[];
+        completedCounts: bigint[];
+        totalXP: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestSystemStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalQuests: bigint;
+        activeQuests: bigint;
+        totalCompletions: bigint;
+        totalXPAwarded: bigint;
+        averageCompletionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestsByCategory"
+  ): TypedContractMethod<
+    [category: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestsByType"
+  ): TypedContractMethod<
+    [questType: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserCompletedQuests"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserIncompleteQuests"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], IQuestCore.QuestStructOutput[], bigint[]] & {
+        questIds: bigint[];
+        questData: IQuestCore.QuestStructOutput[];
+        progressPercentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestProgress"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [IQuestCore.UserQuestProgressStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestProgressByType"
+  ): TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish],
+    [
+      [bigint[], IQuestCore.UserQuestProgressStructOutput[]] & {
+        questIds: bigint[];
+        progresses: IQuestCore.UserQuestProgressStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestStats"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalCompleted: bigint;
+        totalInProgress: bigint;
+        totalXPEarned: bigint;
+        completionRate: bigint;
+        favoriteType: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSocialActions"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "notifyAction"
+  ): TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish, value: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recordSocialAction"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCoreContract"
+  ): TypedContractMethod<[coreAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLevelingContract"
+  ): TypedContractMethod<[levelingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateQuestProgress"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "ActionNotified"
+  ): TypedContractEvent<
+    ActionNotifiedEvent.InputTuple,
+    ActionNotifiedEvent.OutputTuple,
+    ActionNotifiedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PendingPolRewardsClaimed"
+  ): TypedContractEvent<
+    PendingPolRewardsClaimedEvent.InputTuple,
+    PendingPolRewardsClaimedEvent.OutputTuple,
+    PendingPolRewardsClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCreated"
+  ): TypedContractEvent<
+    QuestCreatedEvent.InputTuple,
+    QuestCreatedEvent.OutputTuple,
+    QuestCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestDeactivated"
+  ): TypedContractEvent<
+    QuestDeactivatedEvent.InputTuple,
+    QuestDeactivatedEvent.OutputTuple,
+    QuestDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestProgressUpdated"
+  ): TypedContractEvent<
+    QuestProgressUpdatedEvent.InputTuple,
+    QuestProgressUpdatedEvent.OutputTuple,
+    QuestProgressUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestRewardDeferred"
+  ): TypedContractEvent<
+    QuestRewardDeferredEvent.InputTuple,
+    QuestRewardDeferredEvent.OutputTuple,
+    QuestRewardDeferredEvent.OutputObject
+  >;
+
+  filters: {
+    "ActionNotified(address,uint8,uint256)": TypedContractEvent<
+      ActionNotifiedEvent.InputTuple,
+      ActionNotifiedEvent.OutputTuple,
+      ActionNotifiedEvent.OutputObject
+    >;
+    ActionNotified: TypedContractEvent<
+      ActionNotifiedEvent.InputTuple,
+      ActionNotifiedEvent.OutputTuple,
+      ActionNotifiedEvent.OutputObject
+    >;
+
+    "PendingPolRewardsClaimed(address,uint256)": TypedContractEvent<
+      PendingPolRewardsClaimedEvent.InputTuple,
+      PendingPolRewardsClaimedEvent.OutputTuple,
+      PendingPolRewardsClaimedEvent.OutputObject
+    >;
+    PendingPolRewardsClaimed: TypedContractEvent<
+      PendingPolRewardsClaimedEvent.InputTuple,
+      PendingPolRewardsClaimedEvent.OutputTuple,
+      PendingPolRewardsClaimedEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "QuestCreated(uint256,uint8,uint8,string,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+    QuestCreated: TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+
+    "QuestDeactivated(uint256)": TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+    QuestDeactivated: TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+
+    "QuestProgressUpdated(address,uint256,uint256)": TypedContractEvent<
+      QuestProgressUpdatedEvent.InputTuple,
+      QuestProgressUpdatedEvent.OutputTuple,
+      QuestProgressUpdatedEvent.OutputObject
+    >;
+    QuestProgressUpdated: TypedContractEvent<
+      QuestProgressUpdatedEvent.InputTuple,
+      QuestProgressUpdatedEvent.OutputTuple,
+      QuestProgressUpdatedEvent.OutputObject
+    >;
+
+    "QuestRewardDeferred(address,uint256,uint256)": TypedContractEvent<
+      QuestRewardDeferredEvent.InputTuple,
+      QuestRewardDeferredEvent.OutputTuple,
+      QuestRewardDeferredEvent.OutputObject
+    >;
+    QuestRewardDeferred: TypedContractEvent<
+      QuestRewardDeferredEvent.InputTuple,
+      QuestRewardDeferredEvent.OutputTuple,
+      QuestRewardDeferredEvent.OutputObject
+    >;
+  };
+}
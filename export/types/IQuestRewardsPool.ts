@@ -0,0 +1,229 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface IQuestRewardsPoolInterface extends Interface {
+  getFunction(
+    nameOrSignature: "depositFromTreasury" | "getPoolStats" | "requestPayout"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "FundsDeposited" | "RewardPaid"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "depositFromTreasury",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPoolStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestPayout",
+    values: [AddressLike, BigNumberish, string]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "depositFromTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPoolStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestPayout",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace FundsDepositedEvent {
+  export type InputTuple = [sender: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [sender: string, amount: bigint];
+  export interface OutputObject {
+    sender: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardPaidEvent {
+  export type InputTuple = [
+    recipient: AddressLike,
+    amount: BigNumberish,
+    source: string,
+    module: AddressLike
+  ];
+  export type OutputTuple = [
+    recipient: string,
+    amount: bigint,
+    source: string,
+    module: string
+  ];
+  export interface OutputObject {
+    recipient: string;
+    amount: bigint;
+    source: string;
+    module: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IQuestRewardsPool extends BaseContract {
+  connect(runner?: ContractRunner | null): IQuestRewardsPool;
+  waitForDeployment(): Promise<this>;
+
+  interface: IQuestRewardsPoolInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  depositFromTreasury: TypedContractMethod<[], [void], "payable">;
+
+  getPoolStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        balance: bigint;
+        received: bigint;
+        distributed: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  requestPayout: TypedContractMethod<
+    [recipient: AddressLike, amount: BigNumberish, source: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "depositFromTreasury"
+  ): TypedContractMethod<[], [void], "payable">;
+  getFunction(
+    nameOrSignature: "getPoolStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        balance: bigint;
+        received: bigint;
+        distributed: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "requestPayout"
+  ): TypedContractMethod<
+    [recipient: AddressLike, amount: BigNumberish, source: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "FundsDeposited"
+  ): TypedContractEvent<
+    FundsDepositedEvent.InputTuple,
+    FundsDepositedEvent.OutputTuple,
+    FundsDepositedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardPaid"
+  ): TypedContractEvent<
+    RewardPaidEvent.InputTuple,
+    RewardPaidEvent.OutputTuple,
+    RewardPaidEvent.OutputObject
+  >;
+
+  filters: {
+    "FundsDeposited(address,uint256)": TypedContractEvent<
+      FundsDepositedEvent.InputTuple,
+      FundsDepositedEvent.OutputTuple,
+      FundsDepositedEvent.OutputObject
+    >;
+    FundsDeposited: TypedContractEvent<
+      FundsDepositedEvent.InputTuple,
+      FundsDepositedEvent.OutputTuple,
+      FundsDepositedEvent.OutputObject
+    >;
+
+    "RewardPaid(address,uint256,string,address)": TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+    RewardPaid: TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1092 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingGamification {
+  export type AchievementRewardStruct = {
+    amount: BigNumberish;
+    expirationTime: BigNumberish;
+    claimed: boolean;
+  };
+
+  export type AchievementRewardStructOutput = [
+    amount: bigint,
+    expirationTime: bigint,
+    claimed: boolean
+  ] & { amount: bigint; expirationTime: bigint; claimed: boolean };
+
+  export type QuestRewardStruct = {
+    amount: BigNumberish;
+    expirationTime: BigNumberish;
+    claimed: boolean;
+  };
+
+  export type QuestRewardStructOutput = [
+    amount: bigint,
+    expirationTime: bigint,
+    claimed: boolean
+  ] & { amount: bigint; expirationTime: bigint; claimed: boolean };
+
+  export type AutoCompoundConfigStruct = {
+    enabled: boolean;
+    minAmount: BigNumberish;
+    lastCompoundTime: BigNumberish;
+  };
+
+  export type AutoCompoundConfigStructOutput = [
+    enabled: boolean,
+    minAmount: bigint,
+    lastCompoundTime: bigint
+  ] & { enabled: boolean; minAmount: bigint; lastCompoundTime: bigint };
+}
+
+export interface ISmartStakingGamificationInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "batchAutoCompound"
+      | "calculateLevel"
+      | "checkAutoCompound"
+      | "claimAchievementReward"
+      | "claimDeferredReward"
+      | "claimQuestReward"
+      | "completeQuest"
+      | "disableAutoCompound"
+      | "effectiveXpMultiplier"
+      | "enableAutoCompound"
+      | "expireAchievementRewards"
+      | "expireQuestRewards"
+      | "getAchievementReward"
+      | "getAllAchievementRewards"
+      | "getAllQuestRewards"
+      | "getAutoCompoundConfig"
+      | "getAutoCompoundUsersPage"
+      | "getProtocolHealth"
+      | "getProtocolStats"
+      | "getQuestReward"
+      | "getUserStreak"
+      | "getUserXPInfo"
+      | "getXPForLevel"
+      | "performAutoCompound"
+      | "performHealthCheck"
+      | "reportCriticalStatus"
+      | "setQuestClaimed"
+      | "setUserXP"
+      | "unlockAchievement"
+      | "updateUserXP"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AchievementUnlocked"
+      | "AutoCompoundDisabled"
+      | "AutoCompoundEnabled"
+      | "AutoCompoundExecuted"
+      | "QuestCompleted"
+      | "RewardExpired"
+      | "XPUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "batchAutoCompound",
+    values: [AddressLike[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateLevel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "checkAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimAchievementReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimDeferredReward",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimQuestReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuest",
+    values: [
+      AddressLike,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "disableAutoCompound",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "effectiveXpMultiplier",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "enableAutoCompound",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "expireAchievementRewards",
+    values: [AddressLike, BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "expireQuestRewards",
+    values: [AddressLike, BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAchievementReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllAchievementRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllQuestRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundConfig",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsersPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolHealth",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserStreak",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXPInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getXPForLevel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "performAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "performHealthCheck",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reportCriticalStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestClaimed",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setUserXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unlockAchievement",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "batchAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateLevel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "checkAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimAchievementReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimDeferredReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "disableAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "effectiveXpMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "enableAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "expireAchievementRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "expireQuestRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAchievementReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllAchievementRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllQuestRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsersPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolHealth",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserStreak",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserXPInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getXPForLevel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "performAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "performHealthCheck",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reportCriticalStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestClaimed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setUserXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "unlockAchievement",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AchievementUnlockedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    achievementId: BigNumberish,
+    rewardAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    achievementId: bigint,
+    rewardAmount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    achievementId: bigint;
+    rewardAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundDisabledEvent {
+  export type InputTuple = [user: AddressLike];
+  export type OutputTuple = [user: string];
+  export interface OutputObject {
+    user: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundEnabledEvent {
+  export type InputTuple = [user: AddressLike, minAmount: BigNumberish];
+  export type OutputTuple = [user: string, minAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    minAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundExecutedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    rewardAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    rewardAmount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    rewardAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardExpiredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    rewardType: string,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [user: string, rewardType: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    rewardType: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    newXP: BigNumberish,
+    newLevel: BigNumberish
+  ];
+  export type OutputTuple = [user: string, newXP: bigint, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newXP: bigint;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface ISmartStakingGamification extends BaseContract {
+  connect(runner?: ContractRunner | null): ISmartStakingGamification;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISmartStakingGamificationInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  batchAutoCompound: TypedContractMethod<
+    [users: AddressLike[]],
+    [void],
+    "nonpayable"
+  >;
+
+  calculateLevel: TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+
+  checkAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, bigint] & { shouldCompound: boolean; compoundAmount: bigint }],
+    "view"
+  >;
+
+  claimAchievementReward: TypedContractMethod<
+    [achievementId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimDeferredReward: TypedContractMethod<[], [void], "nonpayable">;
+
+  claimQuestReward: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  completeQuest: TypedContractMethod<
+    [
+      user: AddressLike,
+      questId: BigNumberish,
+      rewardAmount: BigNumberish,
+      questXP: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  disableAutoCompound: TypedContractMethod<[], [void], "nonpayable">;
+
+  effectiveXpMultiplier: TypedContractMethod<[], [bigint], "view">;
+
+  enableAutoCompound: TypedContractMethod<
+    [minAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  expireAchievementRewards: TypedContractMethod<
+    [user: AddressLike, achievementIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  expireQuestRewards: TypedContractMethod<
+    [user: AddressLike, questIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  getAchievementReward: TypedContractMethod<
+    [user: AddressLike, achievementId: BigNumberish],
+    [ISmartStakingGamification.AchievementRewardStructOutput],
+    "view"
+  >;
+
+  getAllAchievementRewards: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.AchievementRewardStructOutput[]] & {
+        achievementIds: bigint[];
+        rewards: ISmartStakingGamification.AchievementRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getAllQuestRewards: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.QuestRewardStructOutput[]] & {
+        questIds: bigint[];
+        rewards: ISmartStakingGamification.QuestRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getAutoCompoundConfig: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingGamification.AutoCompoundConfigStructOutput],
+    "view"
+  >;
+
+  getAutoCompoundUsersPage: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [
+        string[],
+        ISmartStakingGamification.AutoCompoundConfigStructOutput[],
+        bigint
+      ] & {
+        users: string[];
+        configs: ISmartStakingGamification.AutoCompoundConfigStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolHealth: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean, bigint] & {
+        status: bigint;
+        contractBalance: bigint;
+        totalPendingRewards: bigint;
+        deficit: bigint;
+        canPayRewards: boolean;
+        healthPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        totalRewards: bigint;
+        totalLevelUps: bigint;
+        totalQuests: bigint;
+        totalAchievements: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getQuestReward: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [ISmartStakingGamification.QuestRewardStructOutput],
+    "view"
+  >;
+
+  getUserStreak: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        streak: bigint;
+        longestStreak: bigint;
+        lastActivityDay: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserXPInfo: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        xp: bigint;
+        level: bigint;
+        xpToNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getXPForLevel: TypedContractMethod<[level: BigNumberish], [bigint], "view">;
+
+  performAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  performHealthCheck: TypedContractMethod<[], [bigint], "nonpayable">;
+
+  reportCriticalStatus: TypedContractMethod<
+    [requiredAmount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  setQuestClaimed: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setUserXP: TypedContractMethod<
+    [user: AddressLike, xp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  unlockAchievement: TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, actionType: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "batchAutoCompound"
+  ): TypedContractMethod<[users: AddressLike[]], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "calculateLevel"
+  ): TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "checkAutoCompound"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, bigint] & { shouldCompound: boolean; compoundAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimAchievementReward"
+  ): TypedContractMethod<[achievementId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimDeferredReward"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimQuestReward"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "completeQuest"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      questId: BigNumberish,
+      rewardAmount: BigNumberish,
+      questXP: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "disableAutoCompound"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "effectiveXpMultiplier"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "enableAutoCompound"
+  ): TypedContractMethod<[minAmount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "expireAchievementRewards"
+  ): TypedContractMethod<
+    [user: AddressLike, achievementIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "expireQuestRewards"
+  ): TypedContractMethod<
+    [user: AddressLike, questIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getAchievementReward"
+  ): TypedContractMethod<
+    [user: AddressLike, achievementId: BigNumberish],
+    [ISmartStakingGamification.AchievementRewardStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllAchievementRewards"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.AchievementRewardStructOutput[]] & {
+        achievementIds: bigint[];
+        rewards: ISmartStakingGamification.AchievementRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllQuestRewards"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.QuestRewardStructOutput[]] & {
+        questIds: bigint[];
+        rewards: ISmartStakingGamification.QuestRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundConfig"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingGamification.AutoCompoundConfigStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsersPage"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [
+        string[],
+        ISmartStakingGamification.AutoCompoundConfigStructOutput[],
+        bigint
+      ] & {
+        users: string[];
+        configs: ISmartStakingGamification.AutoCompoundConfigStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolHealth"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean, bigint] & {
+        status: bigint;
+        contractBalance: bigint;
+        totalPendingRewards: bigint;
+        deficit: bigint;
+        canPayRewards: boolean;
+        healthPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        totalRewards: bigint;
+        totalLevelUps: bigint;
+        totalQuests: bigint;
+        totalAchievements: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestReward"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [ISmartStakingGamification.QuestRewardStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserStreak"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        streak: bigint;
+        longestStreak: bigint;
+        lastActivityDay: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXPInfo"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        xp: bigint;
+        level: bigint;
+        xpToNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getXPForLevel"
+  ): TypedContractMethod<[level: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "performAutoCompound"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "performHealthCheck"
+  ): TypedContractMethod<[], [bigint], "nonpayable">;
+  getFunction(
+    nameOrSignature: "reportCriticalStatus"
+  ): TypedContractMethod<
+    [requiredAmount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setQuestClaimed"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "unlockAchievement"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, actionType: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AchievementUnlocked"
+  ): TypedContractEvent<
+    AchievementUnlockedEvent.InputTuple,
+    AchievementUnlockedEvent.OutputTuple,
+    AchievementUnlockedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundDisabled"
+  ): TypedContractEvent<
+    AutoCompoundDisabledEvent.InputTuple,
+    AutoCompoundDisabledEvent.OutputTuple,
+    AutoCompoundDisabledEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundEnabled"
+  ): TypedContractEvent<
+    AutoCompoundEnabledEvent.InputTuple,
+    AutoCompoundEnabledEvent.OutputTuple,
+    AutoCompoundEnabledEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundExecuted"
+  ): TypedContractEvent<
+    AutoCompoundExecutedEvent.InputTuple,
+    AutoCompoundExecutedEvent.OutputTuple,
+    AutoCompoundExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardExpired"
+  ): TypedContractEvent<
+    RewardExpiredEvent.InputTuple,
+    RewardExpiredEvent.OutputTuple,
+    RewardExpiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPUpdated"
+  ): TypedContractEvent<
+    XPUpdatedEvent.InputTuple,
+    XPUpdatedEvent.OutputTuple,
+    XPUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "AchievementUnlocked(address,uint256,uint256)": TypedContractEvent<
+      AchievementUnlockedEvent.InputTuple,
+      AchievementUnlockedEvent.OutputTuple,
+      AchievementUnlockedEvent.OutputObject
+    >;
+    AchievementUnlocked: TypedContractEvent<
+      AchievementUnlockedEvent.InputTuple,
+      AchievementUnlockedEvent.OutputTuple,
+      AchievementUnlockedEvent.OutputObject
+    >;
+
+    "AutoCompoundDisabled(address)": TypedContractEvent<
+      AutoCompoundDisabledEvent.InputTuple,
+      AutoCompoundDisabledEvent.OutputTuple,
+      AutoCompoundDisabledEvent.OutputObject
+    >;
+    AutoCompoundDisabled: TypedContractEvent<
+      AutoCompoundDisabledEvent.InputTuple,
+      AutoCompoundDisabledEvent.OutputTuple,
+      AutoCompoundDisabledEvent.OutputObject
+    >;
+
+    "AutoCompoundEnabled(address,uint256)": TypedContractEvent<
+      AutoCompoundEnabledEvent.InputTuple,
+      AutoCompoundEnabledEvent.OutputTuple,
+      AutoCompoundEnabledEvent.OutputObject
+    >;
+    AutoCompoundEnabled: TypedContractEvent<
+      AutoCompoundEnabledEvent.InputTuple,
+      AutoCompoundEnabledEvent.OutputTuple,
+      AutoCompoundEnabledEvent.OutputObject
+    >;
+
+    "AutoCompoundExecuted(address,uint256)": TypedContractEvent<
+      AutoCompoundExecutedEvent.InputTuple,
+      AutoCompoundExecutedEvent.OutputTuple,
+      AutoCompoundExecutedEvent.OutputObject
+    >;
+    AutoCompoundExecuted: TypedContractEvent<
+      AutoCompoundExecutedEvent.InputTuple,
+      AutoCompoundExecutedEvent.OutputTuple,
+      AutoCompoundExecutedEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "RewardExpired(address,string,uint256)": TypedContractEvent<
+      RewardExpiredEvent.InputTuple,
+      RewardExpiredEvent.OutputTuple,
+      RewardExpiredEvent.OutputObject
+    >;
+    RewardExpired: TypedContractEvent<
+      RewardExpiredEvent.InputTuple,
+      RewardExpiredEvent.OutputTuple,
+      RewardExpiredEvent.OutputObject
+    >;
+
+    "XPUpdated(address,uint256,uint16)": TypedContractEvent<
+      XPUpdatedEvent.InputTuple,
+      XPUpdatedEvent.OutputTuple,
+      XPUpdatedEvent.OutputObject
+    >;
+    XPUpdated: TypedContractEvent<
+      XPUpdatedEvent.InputTuple,
+      XPUpdatedEvent.OutputTuple,
+      XPUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,569 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingPower {
+  export type PowerInfoStruct = {
+    nftId: BigNumberish;
+    powerType: BigNumberish;
+    rarity: BigNumberish;
+    boost: BigNumberish;
+    rarityMultiplier: BigNumberish;
+    isActive: boolean;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+  };
+
+  export type PowerInfoStructOutput = [
+    nftId: bigint,
+    powerType: bigint,
+    rarity: bigint,
+    boost: bigint,
+    rarityMultiplier: bigint,
+    isActive: boolean,
+    activatedAt: bigint,
+    cooldownEnds: bigint
+  ] & {
+    nftId: bigint;
+    powerType: bigint;
+    rarity: bigint;
+    boost: bigint;
+    rarityMultiplier: bigint;
+    isActive: boolean;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeSkillNFTIds: BigNumberish[];
+    totalBoost: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    lockTimeReduction: BigNumberish;
+    hasAutoCompound: boolean;
+    rarityMultiplier: BigNumberish;
+    level: BigNumberish;
+    activeSkillCount: BigNumberish;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeSkillNFTIds: bigint[],
+    totalBoost: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    lockTimeReduction: bigint,
+    hasAutoCompound: boolean,
+    rarityMultiplier: bigint,
+    level: bigint,
+    activeSkillCount: bigint
+  ] & {
+    activeSkillNFTIds: bigint[];
+    totalBoost: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    lockTimeReduction: bigint;
+    hasAutoCompound: boolean;
+    rarityMultiplier: bigint;
+    level: bigint;
+    activeSkillCount: bigint;
+  };
+}
+
+export interface ISmartStakingPowerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "batchSetPowerRarity"
+      | "getActivePowersWithDetails"
+      | "getAllPowerBoosts"
+      | "getPowerBoost"
+      | "getPowerRarity"
+      | "getUserBoosts"
+      | "getUserPowerProfile"
+      | "isPowerActive"
+      | "notifyPowerActivation"
+      | "notifyPowerDeactivation"
+      | "setPowerRarity"
+      | "updatePowerBoost"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "PowerActivated"
+      | "PowerDeactivated"
+      | "PowerRarityUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "batchSetPowerRarity",
+    values: [BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivePowersWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllPowerBoosts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowerBoost",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowerRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBoosts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isPowerActive",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerRarity",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updatePowerBoost",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "batchSetPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivePowersWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllPowerBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowerBoost",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isPowerActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePowerBoost",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace PowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    effectValue: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    effectValue: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    effectValue: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerRarityUpdatedEvent {
+  export type InputTuple = [
+    nftId: BigNumberish,
+    rarity: BigNumberish,
+    rarityMultiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    nftId: bigint,
+    rarity: bigint,
+    rarityMultiplier: bigint
+  ];
+  export interface OutputObject {
+    nftId: bigint;
+    rarity: bigint;
+    rarityMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface ISmartStakingPower extends BaseContract {
+  connect(runner?: ContractRunner | null): ISmartStakingPower;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISmartStakingPowerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  batchSetPowerRarity: TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  getActivePowersWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.PowerInfoStructOutput[]],
+    "view"
+  >;
+
+  getAllPowerBoosts: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { powerTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+
+  getPowerBoost: TypedContractMethod<
+    [powerType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getPowerRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+
+  getUserBoosts: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserPowerProfile: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  isPowerActive: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  notifyPowerActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerRarity: TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updatePowerBoost: TypedContractMethod<
+    [powerType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "batchSetPowerRarity"
+  ): TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getActivePowersWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.PowerInfoStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllPowerBoosts"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { powerTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPowerBoost"
+  ): TypedContractMethod<[powerType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getPowerRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserBoosts"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowerProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isPowerActive"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPowerRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updatePowerBoost"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "PowerActivated"
+  ): TypedContractEvent<
+    PowerActivatedEvent.InputTuple,
+    PowerActivatedEvent.OutputTuple,
+    PowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerDeactivated"
+  ): TypedContractEvent<
+    PowerDeactivatedEvent.InputTuple,
+    PowerDeactivatedEvent.OutputTuple,
+    PowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerRarityUpdated"
+  ): TypedContractEvent<
+    PowerRarityUpdatedEvent.InputTuple,
+    PowerRarityUpdatedEvent.OutputTuple,
+    PowerRarityUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "PowerActivated(address,uint256,uint8,uint16,uint16)": TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+    PowerActivated: TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+
+    "PowerDeactivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+    PowerDeactivated: TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+
+    "PowerRarityUpdated(uint256,uint8,uint16)": TypedContractEvent<
+      PowerRarityUpdatedEvent.InputTuple,
+      PowerRarityUpdatedEvent.OutputTuple,
+      PowerRarityUpdatedEvent.OutputObject
+    >;
+    PowerRarityUpdated: TypedContractEvent<
+      PowerRarityUpdatedEvent.InputTuple,
+      PowerRarityUpdatedEvent.OutputTuple,
+      PowerRarityUpdatedEvent.OutputObject
+    >;
+  };
+}
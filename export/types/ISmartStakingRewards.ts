@@ -0,0 +1,326 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface ISmartStakingRewardsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateQuestReward"
+      | "calculateStakingRewards"
+      | "claimQuestReward"
+      | "updateCurrentTVL"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "APYUpdated"
+      | "EmergencyWithdrawal"
+      | "QuestRewardClaimed"
+      | "RewardFunded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateQuestReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateStakingRewards",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimQuestReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateCurrentTVL",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateStakingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateCurrentTVL",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace APYUpdatedEvent {
+  export type InputTuple = [lockupIndex: BigNumberish, newAPY: BigNumberish];
+  export type OutputTuple = [lockupIndex: bigint, newAPY: bigint];
+  export interface OutputObject {
+    lockupIndex: bigint;
+    newAPY: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [admin: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [admin: string, amount: bigint];
+  export interface OutputObject {
+    admin: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestRewardClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    amount: BigNumberish,
+    boostApplied: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    amount: bigint,
+    boostApplied: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    amount: bigint;
+    boostApplied: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardFundedEvent {
+  export type InputTuple = [funder: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [funder: string, amount: bigint];
+  export interface OutputObject {
+    funder: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface ISmartStakingRewards extends BaseContract {
+  connect(runner?: ContractRunner | null): ISmartStakingRewards;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISmartStakingRewardsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateQuestReward: TypedContractMethod<
+    [user: AddressLike, baseReward: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateStakingRewards: TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      depositTime: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish
+    ],
+    [bigint],
+    "view"
+  >;
+
+  claimQuestReward: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateCurrentTVL: TypedContractMethod<
+    [_currentTVL: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateQuestReward"
+  ): TypedContractMethod<
+    [user: AddressLike, baseReward: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateStakingRewards"
+  ): TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      depositTime: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish
+    ],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimQuestReward"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateCurrentTVL"
+  ): TypedContractMethod<[_currentTVL: BigNumberish], [void], "nonpayable">;
+
+  getEvent(
+    key: "APYUpdated"
+  ): TypedContractEvent<
+    APYUpdatedEvent.InputTuple,
+    APYUpdatedEvent.OutputTuple,
+    APYUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestRewardClaimed"
+  ): TypedContractEvent<
+    QuestRewardClaimedEvent.InputTuple,
+    QuestRewardClaimedEvent.OutputTuple,
+    QuestRewardClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardFunded"
+  ): TypedContractEvent<
+    RewardFundedEvent.InputTuple,
+    RewardFundedEvent.OutputTuple,
+    RewardFundedEvent.OutputObject
+  >;
+
+  filters: {
+    "APYUpdated(uint8,uint256)": TypedContractEvent<
+      APYUpdatedEvent.InputTuple,
+      APYUpdatedEvent.OutputTuple,
+      APYUpdatedEvent.OutputObject
+    >;
+    APYUpdated: TypedContractEvent<
+      APYUpdatedEvent.InputTuple,
+      APYUpdatedEvent.OutputTuple,
+      APYUpdatedEvent.OutputObject
+    >;
+
+    "EmergencyWithdrawal(address,uint256)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "QuestRewardClaimed(address,uint256,uint256,uint256)": TypedContractEvent<
+      QuestRewardClaimedEvent.InputTuple,
+      QuestRewardClaimedEvent.OutputTuple,
+      QuestRewardClaimedEvent.OutputObject
+    >;
+    QuestRewardClaimed: TypedContractEvent<
+      QuestRewardClaimedEvent.InputTuple,
+      QuestRewardClaimedEvent.OutputTuple,
+      QuestRewardClaimedEvent.OutputObject
+    >;
+
+    "RewardFunded(address,uint256)": TypedContractEvent<
+      RewardFundedEvent.InputTuple,
+      RewardFundedEvent.OutputTuple,
+      RewardFundedEvent.OutputObject
+    >;
+    RewardFunded: TypedContractEvent<
+      RewardFundedEvent.InputTuple,
+      RewardFundedEvent.OutputTuple,
+      RewardFundedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,569 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingSkills {
+  export type SkillInfoStruct = {
+    nftId: BigNumberish;
+    skillType: BigNumberish;
+    rarity: BigNumberish;
+    boost: BigNumberish;
+    rarityMultiplier: BigNumberish;
+    isActive: boolean;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+  };
+
+  export type SkillInfoStructOutput = [
+    nftId: bigint,
+    skillType: bigint,
+    rarity: bigint,
+    boost: bigint,
+    rarityMultiplier: bigint,
+    isActive: boolean,
+    activatedAt: bigint,
+    cooldownEnds: bigint
+  ] & {
+    nftId: bigint;
+    skillType: bigint;
+    rarity: bigint;
+    boost: bigint;
+    rarityMultiplier: bigint;
+    isActive: boolean;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+  };
+
+  export type UserSkillProfileStruct = {
+    activeSkillNFTIds: BigNumberish[];
+    totalBoost: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    lockTimeReduction: BigNumberish;
+    hasAutoCompound: boolean;
+    rarityMultiplier: BigNumberish;
+    level: BigNumberish;
+    activeSkillCount: BigNumberish;
+  };
+
+  export type UserSkillProfileStructOutput = [
+    activeSkillNFTIds: bigint[],
+    totalBoost: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    lockTimeReduction: bigint,
+    hasAutoCompound: boolean,
+    rarityMultiplier: bigint,
+    level: bigint,
+    activeSkillCount: bigint
+  ] & {
+    activeSkillNFTIds: bigint[];
+    totalBoost: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    lockTimeReduction: bigint;
+    hasAutoCompound: boolean;
+    rarityMultiplier: bigint;
+    level: bigint;
+    activeSkillCount: bigint;
+  };
+}
+
+export interface ISmartStakingSkillsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "batchSetSkillRarity"
+      | "getActiveSkillsWithDetails"
+      | "getAllSkillBoosts"
+      | "getSkillBoost"
+      | "getSkillRarity"
+      | "getUserBoosts"
+      | "getUserSkillProfile"
+      | "isSkillActive"
+      | "notifySkillActivation"
+      | "notifySkillDeactivation"
+      | "setSkillRarity"
+      | "updateSkillBoost"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "SkillActivated"
+      | "SkillDeactivated"
+      | "SkillRarityUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "batchSetSkillRarity",
+    values: [BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkillsWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSkillBoosts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillBoost",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBoosts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isSkillActive",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifySkillActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifySkillDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSkillRarity",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateSkillBoost",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "batchSetSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkillsWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSkillBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillBoost",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isSkillActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifySkillActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifySkillDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateSkillBoost",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace SkillActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    skillType: BigNumberish,
+    effectValue: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    skillType: bigint,
+    effectValue: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    skillType: bigint;
+    effectValue: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    skillType: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    skillType: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    skillType: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillRarityUpdatedEvent {
+  export type InputTuple = [
+    nftId: BigNumberish,
+    rarity: BigNumberish,
+    rarityMultiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    nftId: bigint,
+    rarity: bigint,
+    rarityMultiplier: bigint
+  ];
+  export interface OutputObject {
+    nftId: bigint;
+    rarity: bigint;
+    rarityMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface ISmartStakingSkills extends BaseContract {
+  connect(runner?: ContractRunner | null): ISmartStakingSkills;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISmartStakingSkillsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  batchSetSkillRarity: TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  getActiveSkillsWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.SkillInfoStructOutput[]],
+    "view"
+  >;
+
+  getAllSkillBoosts: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { skillTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+
+  getSkillBoost: TypedContractMethod<
+    [skillType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+
+  getUserBoosts: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillProfile: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.UserSkillProfileStructOutput],
+    "view"
+  >;
+
+  isSkillActive: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  notifySkillActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      skillType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifySkillDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateSkillBoost: TypedContractMethod<
+    [skillType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "batchSetSkillRarity"
+  ): TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveSkillsWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.SkillInfoStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllSkillBoosts"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { skillTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillBoost"
+  ): TypedContractMethod<[skillType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserBoosts"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.UserSkillProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isSkillActive"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "notifySkillActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      skillType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifySkillDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateSkillBoost"
+  ): TypedContractMethod<
+    [skillType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "SkillActivated"
+  ): TypedContractEvent<
+    SkillActivatedEvent.InputTuple,
+    SkillActivatedEvent.OutputTuple,
+    SkillActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillDeactivated"
+  ): TypedContractEvent<
+    SkillDeactivatedEvent.InputTuple,
+    SkillDeactivatedEvent.OutputTuple,
+    SkillDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillRarityUpdated"
+  ): TypedContractEvent<
+    SkillRarityUpdatedEvent.InputTuple,
+    SkillRarityUpdatedEvent.OutputTuple,
+    SkillRarityUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "SkillActivated(address,uint256,uint8,uint16,uint16)": TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+    SkillActivated: TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+
+    "SkillDeactivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+    SkillDeactivated: TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+
+    "SkillRarityUpdated(uint256,uint8,uint16)": TypedContractEvent<
+      SkillRarityUpdatedEvent.InputTuple,
+      SkillRarityUpdatedEvent.OutputTuple,
+      SkillRarityUpdatedEvent.OutputObject
+    >;
+    SkillRarityUpdated: TypedContractEvent<
+      SkillRarityUpdatedEvent.InputTuple,
+      SkillRarityUpdatedEvent.OutputTuple,
+      SkillRarityUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,690 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IStakingIntegration {
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+}
+
+export interface IStakingIntegrationInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateBoostedAPY"
+      | "calculateFeeDiscount"
+      | "calculateReducedLockTime"
+      | "checkAutoCompound"
+      | "emergencyWithdrawStake"
+      | "getActivePowers"
+      | "getUserPowerProfile"
+      | "hasAutoCompound"
+      | "notifyAchievementUnlocked"
+      | "notifyPowerActivation"
+      | "notifyPowerDeactivation"
+      | "notifyQuestCompletion"
+      | "performAutoCompound"
+      | "setMarketplaceAddress"
+      | "setPowerEnabled"
+      | "setStakingAddress"
+      | "updatePowerEffect"
+      | "updateUserXP"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AutoCompoundTriggered"
+      | "PowerActivated"
+      | "PowerDeactivated"
+      | "PowerProfileUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateFeeDiscount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateReducedLockTime",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "checkAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdrawStake",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivePowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAchievementUnlocked",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyQuestCompletion",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "performAutoCompound",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerEnabled",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updatePowerEffect",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateFeeDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateReducedLockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "checkAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdrawStake",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivePowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAchievementUnlocked",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyQuestCompletion",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "performAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePowerEffect",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AutoCompoundTriggeredEvent {
+  export type InputTuple = [user: AddressLike, compoundedAmount: BigNumberish];
+  export type OutputTuple = [user: string, compoundedAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    compoundedAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    effectValue: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    effectValue: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    effectValue: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, nftId: bigint, powerType: bigint];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerProfileUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    level: BigNumberish,
+    maxActivePowers: BigNumberish,
+    stakingBoostTotal: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    level: bigint,
+    maxActivePowers: bigint,
+    stakingBoostTotal: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    level: bigint;
+    maxActivePowers: bigint;
+    stakingBoostTotal: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IStakingIntegration extends BaseContract {
+  connect(runner?: ContractRunner | null): IStakingIntegration;
+  waitForDeployment(): Promise<this>;
+
+  interface: IStakingIntegrationInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateFeeDiscount: TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateReducedLockTime: TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  checkAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, string] & { upkeepNeeded: boolean; performData: string }],
+    "view"
+  >;
+
+  emergencyWithdrawStake: TypedContractMethod<[], [void], "nonpayable">;
+
+  getActivePowers: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+
+  getUserPowerProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  hasAutoCompound: TypedContractMethod<[user: AddressLike], [boolean], "view">;
+
+  notifyAchievementUnlocked: TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyQuestCompletion: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish, rewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  performAutoCompound: TypedContractMethod<
+    [performData: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceAddress: TypedContractMethod<
+    [marketplaceAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerEnabled: TypedContractMethod<
+    [powerType: BigNumberish, enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingAddress: TypedContractMethod<
+    [stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  updatePowerEffect: TypedContractMethod<
+    [powerType: BigNumberish, newEffectValue: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, xpGained: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateFeeDiscount"
+  ): TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateReducedLockTime"
+  ): TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "checkAutoCompound"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, string] & { upkeepNeeded: boolean; performData: string }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyWithdrawStake"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getActivePowers"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowerProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasAutoCompound"
+  ): TypedContractMethod<[user: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "notifyAchievementUnlocked"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyQuestCompletion"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish, rewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "performAutoCompound"
+  ): TypedContractMethod<[performData: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMarketplaceAddress"
+  ): TypedContractMethod<
+    [marketplaceAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPowerEnabled"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setStakingAddress"
+  ): TypedContractMethod<[stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updatePowerEffect"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, newEffectValue: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xpGained: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AutoCompoundTriggered"
+  ): TypedContractEvent<
+    AutoCompoundTriggeredEvent.InputTuple,
+    AutoCompoundTriggeredEvent.OutputTuple,
+    AutoCompoundTriggeredEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerActivated"
+  ): TypedContractEvent<
+    PowerActivatedEvent.InputTuple,
+    PowerActivatedEvent.OutputTuple,
+    PowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerDeactivated"
+  ): TypedContractEvent<
+    PowerDeactivatedEvent.InputTuple,
+    PowerDeactivatedEvent.OutputTuple,
+    PowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerProfileUpdated"
+  ): TypedContractEvent<
+    PowerProfileUpdatedEvent.InputTuple,
+    PowerProfileUpdatedEvent.OutputTuple,
+    PowerProfileUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "AutoCompoundTriggered(address,uint256)": TypedContractEvent<
+      AutoCompoundTriggeredEvent.InputTuple,
+      AutoCompoundTriggeredEvent.OutputTuple,
+      AutoCompoundTriggeredEvent.OutputObject
+    >;
+    AutoCompoundTriggered: TypedContractEvent<
+      AutoCompoundTriggeredEvent.InputTuple,
+      AutoCompoundTriggeredEvent.OutputTuple,
+      AutoCompoundTriggeredEvent.OutputObject
+    >;
+
+    "PowerActivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+    PowerActivated: TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+
+    "PowerDeactivated(address,uint256,uint8)": TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+    PowerDeactivated: TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+
+    "PowerProfileUpdated(address,uint16,uint8,uint16)": TypedContractEvent<
+      PowerProfileUpdatedEvent.InputTuple,
+      PowerProfileUpdatedEvent.OutputTuple,
+      PowerProfileUpdatedEvent.OutputObject
+    >;
+    PowerProfileUpdated: TypedContractEvent<
+      PowerProfileUpdatedEvent.InputTuple,
+      PowerProfileUpdatedEvent.OutputTuple,
+      PowerProfileUpdatedEvent.OutputObject
+    >;
+  };
+}
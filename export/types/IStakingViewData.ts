@@ -0,0 +1,462 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IStakingIntegration {
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+}
+
+export interface IStakingViewDataInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateBoostedAPY"
+      | "calculateBoostedRewards"
+      | "calculateBoostedRewardsWithRarityMultiplier"
+      | "calculateFeeDiscount"
+      | "calculateReducedLockTime"
+      | "calculateRewards"
+      | "getActivePowers"
+      | "getAutoCompoundUsers"
+      | "getContractBalance"
+      | "getUser"
+      | "getUserDeposit"
+      | "getUserInfo"
+      | "getUserPowerProfile"
+      | "nftRarity"
+      | "powerDefaultEffects"
+      | "powerEnabled"
+      | "totalPoolBalance"
+      | "uniqueUsersCount"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateBoostedRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateBoostedRewardsWithRarityMultiplier",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateFeeDiscount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateReducedLockTime",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivePowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsers",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getContractBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUser",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDeposit",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nftRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "powerDefaultEffects",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "powerEnabled",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPoolBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "uniqueUsersCount",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedRewardsWithRarityMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateFeeDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateReducedLockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivePowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getContractBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getUser", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDeposit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "nftRarity", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "powerDefaultEffects",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "powerEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPoolBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "uniqueUsersCount",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IStakingViewData extends BaseContract {
+  connect(runner?: ContractRunner | null): IStakingViewData;
+  waitForDeployment(): Promise<this>;
+
+  interface: IStakingViewDataInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateBoostedRewards: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  calculateBoostedRewardsWithRarityMultiplier: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  calculateFeeDiscount: TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateReducedLockTime: TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateRewards: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getActivePowers: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+
+  getAutoCompoundUsers: TypedContractMethod<[], [string[]], "view">;
+
+  getContractBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getUser: TypedContractMethod<
+    [user: AddressLike],
+    [[string[], bigint, bigint]],
+    "view"
+  >;
+
+  getUserDeposit: TypedContractMethod<
+    [user: AddressLike, index: BigNumberish],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getUserInfo: TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getUserPowerProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  nftRarity: TypedContractMethod<[nftId: BigNumberish], [bigint], "view">;
+
+  powerDefaultEffects: TypedContractMethod<
+    [powerType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  powerEnabled: TypedContractMethod<
+    [powerType: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  totalPoolBalance: TypedContractMethod<[], [bigint], "view">;
+
+  uniqueUsersCount: TypedContractMethod<[], [bigint], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateBoostedRewards"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "calculateBoostedRewardsWithRarityMultiplier"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "calculateFeeDiscount"
+  ): TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateReducedLockTime"
+  ): TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateRewards"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getActivePowers"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsers"
+  ): TypedContractMethod<[], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getContractBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUser"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[string[], bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserDeposit"
+  ): TypedContractMethod<
+    [user: AddressLike, index: BigNumberish],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserInfo"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowerProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "nftRarity"
+  ): TypedContractMethod<[nftId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "powerDefaultEffects"
+  ): TypedContractMethod<[powerType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "powerEnabled"
+  ): TypedContractMethod<[powerType: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalPoolBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "uniqueUsersCount"
+  ): TypedContractMethod<[], [bigint], "view">;
+
+  filters: {};
+}
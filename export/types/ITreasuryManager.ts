@@ -0,0 +1,418 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface ITreasuryManagerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "allocations"
+      | "declareEmergency"
+      | "endEmergency"
+      | "getAvailableBalance"
+      | "getBalance"
+      | "getDistributionTimeline"
+      | "getEmergencyInfo"
+      | "getProtocolStatus"
+      | "isDistributionReady"
+      | "notifyAPYCompression"
+      | "receiveRevenue"
+      | "requestEmergencyFunds"
+      | "requestRewardFunds"
+      | "setProtocolStatus"
+      | "treasuries"
+      | "triggerDistribution"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "allocations",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "declareEmergency",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "endEmergency",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAvailableBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDistributionTimeline",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEmergencyInfo",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isDistributionReady",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAPYCompression",
+    values: [BigNumberish, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "receiveRevenue",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestEmergencyFunds",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestRewardFunds",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setProtocolStatus",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuries",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "triggerDistribution",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "allocations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "declareEmergency",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "endEmergency",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAvailableBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getBalance", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getDistributionTimeline",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEmergencyInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isDistributionReady",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAPYCompression",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "receiveRevenue",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestEmergencyFunds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestRewardFunds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setProtocolStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "treasuries", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "triggerDistribution",
+    data: BytesLike
+  ): Result;
+}
+
+export interface ITreasuryManager extends BaseContract {
+  connect(runner?: ContractRunner | null): ITreasuryManager;
+  waitForDeployment(): Promise<this>;
+
+  interface: ITreasuryManagerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  allocations: TypedContractMethod<
+    [treasuryType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  declareEmergency: TypedContractMethod<[reason: string], [void], "nonpayable">;
+
+  endEmergency: TypedContractMethod<[], [void], "nonpayable">;
+
+  getAvailableBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getDistributionTimeline: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        firstDeposit: bigint;
+        lastDistribution: bigint;
+        nextDistribution: bigint;
+        timeUntilNext: bigint;
+        isReady: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getEmergencyInfo: TypedContractMethod<
+    [],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        isActive: boolean;
+        timestamp: bigint;
+        emergencyFundsDistributed: bigint;
+        reserveAvailable: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolStatus: TypedContractMethod<
+    [protocol: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        status: bigint;
+        deficit: bigint;
+        canAccessEmergency: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  isDistributionReady: TypedContractMethod<
+    [],
+    [[boolean, bigint] & { ready: boolean; timeUntilNext: bigint }],
+    "view"
+  >;
+
+  notifyAPYCompression: TypedContractMethod<
+    [
+      currentTVL: BigNumberish,
+      oldMultiplier: BigNumberish,
+      newMultiplier: BigNumberish,
+      compressionBps: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  receiveRevenue: TypedContractMethod<[revenueType: string], [void], "payable">;
+
+  requestEmergencyFunds: TypedContractMethod<
+    [protocol: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  requestRewardFunds: TypedContractMethod<
+    [amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  setProtocolStatus: TypedContractMethod<
+    [protocol: BigNumberish, newStatus: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuries: TypedContractMethod<
+    [treasuryType: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  triggerDistribution: TypedContractMethod<[], [void], "nonpayable">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "allocations"
+  ): TypedContractMethod<[treasuryType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "declareEmergency"
+  ): TypedContractMethod<[reason: string], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "endEmergency"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getAvailableBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getDistributionTimeline"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        firstDeposit: bigint;
+        lastDistribution: bigint;
+        nextDistribution: bigint;
+        timeUntilNext: bigint;
+        isReady: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getEmergencyInfo"
+  ): TypedContractMethod<
+    [],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        isActive: boolean;
+        timestamp: bigint;
+        emergencyFundsDistributed: bigint;
+        reserveAvailable: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolStatus"
+  ): TypedContractMethod<
+    [protocol: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        status: bigint;
+        deficit: bigint;
+        canAccessEmergency: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isDistributionReady"
+  ): TypedContractMethod<
+    [],
+    [[boolean, bigint] & { ready: boolean; timeUntilNext: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "notifyAPYCompression"
+  ): TypedContractMethod<
+    [
+      currentTVL: BigNumberish,
+      oldMultiplier: BigNumberish,
+      newMultiplier: BigNumberish,
+      compressionBps: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "receiveRevenue"
+  ): TypedContractMethod<[revenueType: string], [void], "payable">;
+  getFunction(
+    nameOrSignature: "requestEmergencyFunds"
+  ): TypedContractMethod<
+    [protocol: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "requestRewardFunds"
+  ): TypedContractMethod<[amount: BigNumberish], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setProtocolStatus"
+  ): TypedContractMethod<
+    [protocol: BigNumberish, newStatus: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "treasuries"
+  ): TypedContractMethod<[treasuryType: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "triggerDistribution"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+
+  filters: {};
+}
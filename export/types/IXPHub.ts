@@ -0,0 +1,292 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IXPHub {
+  export type UserProfileStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsOwned: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+  };
+
+  export type UserProfileStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    nftsCreated: bigint,
+    nftsOwned: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    nftsCreated: bigint;
+    nftsOwned: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+  };
+}
+
+export interface IXPHubInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "addXP"
+      | "awardXP"
+      | "getLevelFromXP"
+      | "getUserProfile"
+      | "getUserXP"
+      | "getUserXPBreakdown"
+      | "updateUserXP"
+  ): FunctionFragment;
+
+  getEvent(nameOrSignatureOrTopic: "XPAwarded"): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "addXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardXP",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLevelFromXP",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXP",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXPBreakdown",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish, string]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "addXP", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "awardXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getLevelFromXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getUserXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserXPBreakdown",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace XPAwardedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    source: BigNumberish,
+    newTotal: BigNumberish,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    amount: bigint,
+    source: bigint,
+    newTotal: bigint,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    source: bigint;
+    newTotal: bigint;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface IXPHub extends BaseContract {
+  connect(runner?: ContractRunner | null): IXPHub;
+  waitForDeployment(): Promise<this>;
+
+  interface: IXPHubInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  addXP: TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  awardXP: TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish, source: BigNumberish],
+    [[boolean, bigint] & { leveledUp: boolean; newLevel: bigint }],
+    "nonpayable"
+  >;
+
+  getLevelFromXP: TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+
+  getUserProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IXPHub.UserProfileStructOutput],
+    "view"
+  >;
+
+  getUserXP: TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { totalXP: bigint; level: bigint }],
+    "view"
+  >;
+
+  getUserXPBreakdown: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, xpAmount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "addXP"
+  ): TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "awardXP"
+  ): TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish, source: BigNumberish],
+    [[boolean, bigint] & { leveledUp: boolean; newLevel: bigint }],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getLevelFromXP"
+  ): TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IXPHub.UserProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { totalXP: bigint; level: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXPBreakdown"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xpAmount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "XPAwarded"
+  ): TypedContractEvent<
+    XPAwardedEvent.InputTuple,
+    XPAwardedEvent.OutputTuple,
+    XPAwardedEvent.OutputObject
+  >;
+
+  filters: {
+    "XPAwarded(address,uint256,uint8,uint256,uint256)": TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+    XPAwarded: TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1822 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace LevelingSystem {
+  export type BadgeStruct = {
+    id: BigNumberish;
+    name: string;
+    description: string;
+    dateEarned: BigNumberish;
+  };
+
+  export type BadgeStructOutput = [
+    id: bigint,
+    name: string,
+    description: string,
+    dateEarned: bigint
+  ] & { id: bigint; name: string; description: string; dateEarned: bigint };
+}
+
+export declare namespace IXPHub {
+  export type UserProfileStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsOwned: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+  };
+
+  export type UserProfileStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    nftsCreated: bigint,
+    nftsOwned: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    nftsCreated: bigint;
+    nftsOwned: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+  };
+}
+
+export interface LevelingSystemInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "MARKETPLACE_ROLE"
+      | "REPORTER_ROLE"
+      | "UPGRADER_ROLE"
+      | "addXP"
+      | "agentTasksDone"
+      | "agentUpgrades"
+      | "agentsMinted"
+      | "awardBadge"
+      | "awardXP"
+      | "claimDeferredReward"
+      | "dailyXPGained"
+      | "deferredRewardAmount"
+      | "deferredRewardTime"
+      | "getAgentProfile"
+      | "getLevelFromXP"
+      | "getRoleAdmin"
+      | "getUserBadges"
+      | "getUserLevelProgress"
+      | "getUserProfile"
+      | "getUserProfileDetailed"
+      | "getUserXP"
+      | "getUserXPBreakdown"
+      | "getXPRequiredForLevel"
+      | "grantRole"
+      | "hasRole"
+      | "incrementNftsOwned"
+      | "initialize"
+      | "lastXPDay"
+      | "proxiableUUID"
+      | "recordAgentLeased"
+      | "recordAgentMinted"
+      | "recordAgentRentalListed"
+      | "recordAgentTask"
+      | "recordAgentUpgrade"
+      | "recordNFTBought"
+      | "recordNFTCreated"
+      | "recordNFTCreatedBatch"
+      | "recordNFTOwned"
+      | "recordNFTSold"
+      | "renounceRole"
+      | "revokeRole"
+      | "supportsInterface"
+      | "totalPendingRewards"
+      | "updateUserXP"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userBadges"
+      | "userProfiles"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentMinted"
+      | "AgentTaskCompleted"
+      | "AgentUpgradeApplied"
+      | "BadgeEarned"
+      | "BeaconUpgraded"
+      | "DeferredRewardClaimed"
+      | "Initialized"
+      | "LevelUp"
+      | "NFTBought"
+      | "NFTCreated"
+      | "NFTOwned"
+      | "NFTSold"
+      | "RewardDeferred"
+      | "RewardPaid"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "Upgraded"
+      | "XPAwarded"
+      | "XPGained"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MARKETPLACE_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REPORTER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentTasksDone",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentUpgrades",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentsMinted",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardBadge",
+    values: [AddressLike, BigNumberish, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardXP",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimDeferredReward",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "dailyXPGained",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deferredRewardAmount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deferredRewardTime",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLevelFromXP",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBadges",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserLevelProgress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserProfileDetailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXP",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXPBreakdown",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getXPRequiredForLevel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "incrementNftsOwned",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastXPDay",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordAgentLeased",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordAgentMinted",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordAgentRentalListed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordAgentTask",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordAgentUpgrade",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordNFTBought",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordNFTCreated",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordNFTCreatedBatch",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordNFTOwned",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordNFTSold",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPendingRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userBadges",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userProfiles",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MARKETPLACE_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REPORTER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "addXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "agentTasksDone",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentUpgrades",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentsMinted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "awardBadge", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "awardXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "claimDeferredReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "dailyXPGained",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deferredRewardAmount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deferredRewardTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLevelFromXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBadges",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserLevelProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserProfileDetailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getUserXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserXPBreakdown",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getXPRequiredForLevel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "incrementNftsOwned",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "lastXPDay", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordAgentLeased",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordAgentMinted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordAgentRentalListed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordAgentTask",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordAgentUpgrade",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordNFTBought",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordNFTCreated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordNFTCreatedBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordNFTOwned",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordNFTSold",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPendingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "userBadges", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "userProfiles",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentMintedEvent {
+  export type InputTuple = [creator: AddressLike, totalAgents: BigNumberish];
+  export type OutputTuple = [creator: string, totalAgents: bigint];
+  export interface OutputObject {
+    creator: string;
+    totalAgents: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentTaskCompletedEvent {
+  export type InputTuple = [user: AddressLike, totalTasks: BigNumberish];
+  export type OutputTuple = [user: string, totalTasks: bigint];
+  export interface OutputObject {
+    user: string;
+    totalTasks: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentUpgradeAppliedEvent {
+  export type InputTuple = [user: AddressLike, totalUpgrades: BigNumberish];
+  export type OutputTuple = [user: string, totalUpgrades: bigint];
+  export interface OutputObject {
+    user: string;
+    totalUpgrades: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BadgeEarnedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    badgeId: BigNumberish,
+    name: string
+  ];
+  export type OutputTuple = [user: string, badgeId: bigint, name: string];
+  export interface OutputObject {
+    user: string;
+    badgeId: bigint;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DeferredRewardClaimedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelUpEvent {
+  export type InputTuple = [user: AddressLike, newLevel: BigNumberish];
+  export type OutputTuple = [user: string, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTBoughtEvent {
+  export type InputTuple = [buyer: AddressLike];
+  export type OutputTuple = [buyer: string];
+  export interface OutputObject {
+    buyer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTCreatedEvent {
+  export type InputTuple = [creator: AddressLike];
+  export type OutputTuple = [creator: string];
+  export interface OutputObject {
+    creator: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTOwnedEvent {
+  export type InputTuple = [owner: AddressLike];
+  export type OutputTuple = [owner: string];
+  export interface OutputObject {
+    owner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTSoldEvent {
+  export type InputTuple = [seller: AddressLike];
+  export type OutputTuple = [seller: string];
+  export interface OutputObject {
+    seller: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardDeferredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    level: BigNumberish,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    user: string,
+    level: bigint,
+    amount: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    user: string;
+    level: bigint;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardPaidEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPAwardedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    source: BigNumberish,
+    newTotal: BigNumberish,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    amount: bigint,
+    source: bigint,
+    newTotal: bigint,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    source: bigint;
+    newTotal: bigint;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPGainedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, amount: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface LevelingSystem extends BaseContract {
+  connect(runner?: ContractRunner | null): LevelingSystem;
+  waitForDeployment(): Promise<this>;
+
+  interface: LevelingSystemInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MARKETPLACE_ROLE: TypedContractMethod<[], [string], "view">;
+
+  REPORTER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  addXP: TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  agentTasksDone: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  agentUpgrades: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  agentsMinted: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  awardBadge: TypedContractMethod<
+    [user: AddressLike, id: BigNumberish, name: string, description: string],
+    [void],
+    "nonpayable"
+  >;
+
+  awardXP: TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish, source: BigNumberish],
+    [[boolean, bigint] & { leveledUp: boolean; newLevel: bigint }],
+    "nonpayable"
+  >;
+
+  claimDeferredReward: TypedContractMethod<[], [void], "nonpayable">;
+
+  dailyXPGained: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  deferredRewardAmount: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  deferredRewardTime: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getAgentProfile: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalAgentsMinted: bigint;
+        totalTasksDone: bigint;
+        totalUpgrades: bigint;
+        userLevel: bigint;
+        totalXP: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getLevelFromXP: TypedContractMethod<
+    [_totalXP: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getUserBadges: TypedContractMethod<
+    [user: AddressLike],
+    [LevelingSystem.BadgeStructOutput[]],
+    "view"
+  >;
+
+  getUserLevelProgress: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        currentLevel: bigint;
+        currentLevelXP: bigint;
+        xpInCurrentLevel: bigint;
+        xpNeededForNext: bigint;
+        progressPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IXPHub.UserProfileStructOutput],
+    "view"
+  >;
+
+  getUserProfileDetailed: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+        xpForCurrentLevel: bigint;
+        xpForNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserXP: TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { totalXP: bigint; level: bigint }],
+    "view"
+  >;
+
+  getUserXPBreakdown: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getXPRequiredForLevel: TypedContractMethod<
+    [_level: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  incrementNftsOwned: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  initialize: TypedContractMethod<
+    [platformAdmin: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  lastXPDay: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  recordAgentLeased: TypedContractMethod<
+    [renter: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordAgentMinted: TypedContractMethod<
+    [creator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordAgentRentalListed: TypedContractMethod<
+    [owner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordAgentTask: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordAgentUpgrade: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordNFTBought: TypedContractMethod<
+    [buyer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordNFTCreated: TypedContractMethod<
+    [creator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordNFTCreatedBatch: TypedContractMethod<
+    [creator: AddressLike, count: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  recordNFTOwned: TypedContractMethod<
+    [owner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recordNFTSold: TypedContractMethod<
+    [seller: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  totalPendingRewards: TypedContractMethod<[], [bigint], "view">;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, xpAmount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userBadges: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, string, string, bigint] & {
+        id: bigint;
+        name: string;
+        description: string;
+        dateEarned: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  userProfiles: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MARKETPLACE_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "REPORTER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "addXP"
+  ): TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "agentTasksDone"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "agentUpgrades"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "agentsMinted"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "awardBadge"
+  ): TypedContractMethod<
+    [user: AddressLike, id: BigNumberish, name: string, description: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "awardXP"
+  ): TypedContractMethod<
+    [user: AddressLike, amount: BigNumberish, source: BigNumberish],
+    [[boolean, bigint] & { leveledUp: boolean; newLevel: bigint }],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimDeferredReward"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "dailyXPGained"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "deferredRewardAmount"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "deferredRewardTime"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAgentProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalAgentsMinted: bigint;
+        totalTasksDone: bigint;
+        totalUpgrades: bigint;
+        userLevel: bigint;
+        totalXP: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLevelFromXP"
+  ): TypedContractMethod<[_totalXP: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getUserBadges"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [LevelingSystem.BadgeStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserLevelProgress"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        currentLevel: bigint;
+        currentLevelXP: bigint;
+        xpInCurrentLevel: bigint;
+        xpNeededForNext: bigint;
+        progressPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IXPHub.UserProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserProfileDetailed"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+        xpForCurrentLevel: bigint;
+        xpForNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { totalXP: bigint; level: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXPBreakdown"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getXPRequiredForLevel"
+  ): TypedContractMethod<[_level: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "incrementNftsOwned"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[platformAdmin: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "lastXPDay"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "recordAgentLeased"
+  ): TypedContractMethod<[renter: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordAgentMinted"
+  ): TypedContractMethod<[creator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordAgentRentalListed"
+  ): TypedContractMethod<[owner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordAgentTask"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordAgentUpgrade"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordNFTBought"
+  ): TypedContractMethod<[buyer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordNFTCreated"
+  ): TypedContractMethod<[creator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordNFTCreatedBatch"
+  ): TypedContractMethod<
+    [creator: AddressLike, count: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recordNFTOwned"
+  ): TypedContractMethod<[owner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "recordNFTSold"
+  ): TypedContractMethod<[seller: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalPendingRewards"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xpAmount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userBadges"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, string, string, bigint] & {
+        id: bigint;
+        name: string;
+        description: string;
+        dateEarned: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userProfiles"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentMinted"
+  ): TypedContractEvent<
+    AgentMintedEvent.InputTuple,
+    AgentMintedEvent.OutputTuple,
+    AgentMintedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentTaskCompleted"
+  ): TypedContractEvent<
+    AgentTaskCompletedEvent.InputTuple,
+    AgentTaskCompletedEvent.OutputTuple,
+    AgentTaskCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentUpgradeApplied"
+  ): TypedContractEvent<
+    AgentUpgradeAppliedEvent.InputTuple,
+    AgentUpgradeAppliedEvent.OutputTuple,
+    AgentUpgradeAppliedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BadgeEarned"
+  ): TypedContractEvent<
+    BadgeEarnedEvent.InputTuple,
+    BadgeEarnedEvent.OutputTuple,
+    BadgeEarnedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DeferredRewardClaimed"
+  ): TypedContractEvent<
+    DeferredRewardClaimedEvent.InputTuple,
+    DeferredRewardClaimedEvent.OutputTuple,
+    DeferredRewardClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelUp"
+  ): TypedContractEvent<
+    LevelUpEvent.InputTuple,
+    LevelUpEvent.OutputTuple,
+    LevelUpEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTBought"
+  ): TypedContractEvent<
+    NFTBoughtEvent.InputTuple,
+    NFTBoughtEvent.OutputTuple,
+    NFTBoughtEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTCreated"
+  ): TypedContractEvent<
+    NFTCreatedEvent.InputTuple,
+    NFTCreatedEvent.OutputTuple,
+    NFTCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTOwned"
+  ): TypedContractEvent<
+    NFTOwnedEvent.InputTuple,
+    NFTOwnedEvent.OutputTuple,
+    NFTOwnedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTSold"
+  ): TypedContractEvent<
+    NFTSoldEvent.InputTuple,
+    NFTSoldEvent.OutputTuple,
+    NFTSoldEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardDeferred"
+  ): TypedContractEvent<
+    RewardDeferredEvent.InputTuple,
+    RewardDeferredEvent.OutputTuple,
+    RewardDeferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardPaid"
+  ): TypedContractEvent<
+    RewardPaidEvent.InputTuple,
+    RewardPaidEvent.OutputTuple,
+    RewardPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPAwarded"
+  ): TypedContractEvent<
+    XPAwardedEvent.InputTuple,
+    XPAwardedEvent.OutputTuple,
+    XPAwardedEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPGained"
+  ): TypedContractEvent<
+    XPGainedEvent.InputTuple,
+    XPGainedEvent.OutputTuple,
+    XPGainedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentMinted(address,uint32)": TypedContractEvent<
+      AgentMintedEvent.InputTuple,
+      AgentMintedEvent.OutputTuple,
+      AgentMintedEvent.OutputObject
+    >;
+    AgentMinted: TypedContractEvent<
+      AgentMintedEvent.InputTuple,
+      AgentMintedEvent.OutputTuple,
+      AgentMintedEvent.OutputObject
+    >;
+
+    "AgentTaskCompleted(address,uint32)": TypedContractEvent<
+      AgentTaskCompletedEvent.InputTuple,
+      AgentTaskCompletedEvent.OutputTuple,
+      AgentTaskCompletedEvent.OutputObject
+    >;
+    AgentTaskCompleted: TypedContractEvent<
+      AgentTaskCompletedEvent.InputTuple,
+      AgentTaskCompletedEvent.OutputTuple,
+      AgentTaskCompletedEvent.OutputObject
+    >;
+
+    "AgentUpgradeApplied(address,uint32)": TypedContractEvent<
+      AgentUpgradeAppliedEvent.InputTuple,
+      AgentUpgradeAppliedEvent.OutputTuple,
+      AgentUpgradeAppliedEvent.OutputObject
+    >;
+    AgentUpgradeApplied: TypedContractEvent<
+      AgentUpgradeAppliedEvent.InputTuple,
+      AgentUpgradeAppliedEvent.OutputTuple,
+      AgentUpgradeAppliedEvent.OutputObject
+    >;
+
+    "BadgeEarned(address,uint256,string)": TypedContractEvent<
+      BadgeEarnedEvent.InputTuple,
+      BadgeEarnedEvent.OutputTuple,
+      BadgeEarnedEvent.OutputObject
+    >;
+    BadgeEarned: TypedContractEvent<
+      BadgeEarnedEvent.InputTuple,
+      BadgeEarnedEvent.OutputTuple,
+      BadgeEarnedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "DeferredRewardClaimed(address,uint256)": TypedContractEvent<
+      DeferredRewardClaimedEvent.InputTuple,
+      DeferredRewardClaimedEvent.OutputTuple,
+      DeferredRewardClaimedEvent.OutputObject
+    >;
+    DeferredRewardClaimed: TypedContractEvent<
+      DeferredRewardClaimedEvent.InputTuple,
+      DeferredRewardClaimedEvent.OutputTuple,
+      DeferredRewardClaimedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LevelUp(address,uint8)": TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+    LevelUp: TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+
+    "NFTBought(address)": TypedContractEvent<
+      NFTBoughtEvent.InputTuple,
+      NFTBoughtEvent.OutputTuple,
+      NFTBoughtEvent.OutputObject
+    >;
+    NFTBought: TypedContractEvent<
+      NFTBoughtEvent.InputTuple,
+      NFTBoughtEvent.OutputTuple,
+      NFTBoughtEvent.OutputObject
+    >;
+
+    "NFTCreated(address)": TypedContractEvent<
+      NFTCreatedEvent.InputTuple,
+      NFTCreatedEvent.OutputTuple,
+      NFTCreatedEvent.OutputObject
+    >;
+    NFTCreated: TypedContractEvent<
+      NFTCreatedEvent.InputTuple,
+      NFTCreatedEvent.OutputTuple,
+      NFTCreatedEvent.OutputObject
+    >;
+
+    "NFTOwned(address)": TypedContractEvent<
+      NFTOwnedEvent.InputTuple,
+      NFTOwnedEvent.OutputTuple,
+      NFTOwnedEvent.OutputObject
+    >;
+    NFTOwned: TypedContractEvent<
+      NFTOwnedEvent.InputTuple,
+      NFTOwnedEvent.OutputTuple,
+      NFTOwnedEvent.OutputObject
+    >;
+
+    "NFTSold(address)": TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+    NFTSold: TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+
+    "RewardDeferred(address,uint8,uint256,string)": TypedContractEvent<
+      RewardDeferredEvent.InputTuple,
+      RewardDeferredEvent.OutputTuple,
+      RewardDeferredEvent.OutputObject
+    >;
+    RewardDeferred: TypedContractEvent<
+      RewardDeferredEvent.InputTuple,
+      RewardDeferredEvent.OutputTuple,
+      RewardDeferredEvent.OutputObject
+    >;
+
+    "RewardPaid(address,uint256)": TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+    RewardPaid: TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "XPAwarded(address,uint256,uint8,uint256,uint256)": TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+    XPAwarded: TypedContractEvent<
+      XPAwardedEvent.InputTuple,
+      XPAwardedEvent.OutputTuple,
+      XPAwardedEvent.OutputObject
+    >;
+
+    "XPGained(address,uint256,string)": TypedContractEvent<
+      XPGainedEvent.InputTuple,
+      XPGainedEvent.OutputTuple,
+      XPGainedEvent.OutputObject
+    >;
+    XPGained: TypedContractEvent<
+      XPGainedEvent.InputTuple,
+      XPGainedEvent.OutputTuple,
+      XPGainedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,2579 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export type OfferStruct = {
+  offeror: AddressLike;
+  amount: BigNumberish;
+  expiresInDays: BigNumberish;
+  timestamp: BigNumberish;
+};
+
+export type OfferStructOutput = [
+  offeror: string,
+  amount: bigint,
+  expiresInDays: bigint,
+  timestamp: bigint
+] & {
+  offeror: string;
+  amount: bigint;
+  expiresInDays: bigint;
+  timestamp: bigint;
+};
+
+export interface MarketplaceCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "MAX_OFFERS_PER_TOKEN"
+      | "PLATFORM_FEE_PERCENTAGE"
+      | "UPGRADER_ROLE"
+      | "acceptOffer"
+      | "addComment"
+      | "approve"
+      | "balanceOf"
+      | "burnBadge"
+      | "buyToken"
+      | "cancelOffer"
+      | "claimPendingRefund"
+      | "createStandardNFT"
+      | "createStandardNFTBatch"
+      | "getApproved"
+      | "getCreatedTokensArray"
+      | "getListedTokenIds"
+      | "getNFTMetadata"
+      | "getOffersArray"
+      | "getOwnedTokensArray"
+      | "getRoleAdmin"
+      | "grantRole"
+      | "hasBadge"
+      | "hasRole"
+      | "initialize"
+      | "isApprovedForAll"
+      | "isBadge"
+      | "isListed"
+      | "levelingSystemAddress"
+      | "listTokenForSale"
+      | "listedPrice"
+      | "makeOffer"
+      | "name"
+      | "nftMetadata"
+      | "nftOffers"
+      | "ownerOf"
+      | "pause"
+      | "paused"
+      | "pendingRefunds"
+      | "platformTreasury"
+      | "proxiableUUID"
+      | "referralSystemAddress"
+      | "renounceRole"
+      | "revokeRole"
+      | "safeTransferFrom(address,address,uint256)"
+      | "safeTransferFrom(address,address,uint256,bytes)"
+      | "setApprovalForAll"
+      | "setLevelingSystem"
+      | "setReferralSystem"
+      | "setSkillsContract"
+      | "setSocialModule"
+      | "setStakingContract"
+      | "setStatisticsModule"
+      | "setTreasuryManager"
+      | "setViewModule"
+      | "skillsContractAddress"
+      | "socialModule"
+      | "stakingContractAddress"
+      | "statisticsModule"
+      | "supportsInterface"
+      | "symbol"
+      | "toggleLike"
+      | "tokenURI"
+      | "transferFrom"
+      | "treasuryManager"
+      | "unlistToken"
+      | "unpause"
+      | "updatePrice"
+      | "updateUserXP"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userProfiles"
+      | "viewModule"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "Approval"
+      | "ApprovalForAll"
+      | "BatchMetadataUpdate"
+      | "BeaconUpgraded"
+      | "CommentAdded"
+      | "Initialized"
+      | "LevelUp"
+      | "LevelingSystemUpdated"
+      | "LikeToggled"
+      | "MetadataUpdate"
+      | "ModuleUpdated"
+      | "OfferAccepted"
+      | "OfferMade"
+      | "Paused"
+      | "PlatformFeeTransferred"
+      | "PriceUpdated"
+      | "ReferralSystemUpdated"
+      | "RefundClaimed"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SkillsContractUpdated"
+      | "StakingContractUpdated"
+      | "TokenCreated"
+      | "TokenListed"
+      | "TokenSold"
+      | "TokenUnlisted"
+      | "Transfer"
+      | "TreasuryManagerUpdated"
+      | "Unpaused"
+      | "Upgraded"
+      | "XPGained"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_OFFERS_PER_TOKEN",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PLATFORM_FEE_PERCENTAGE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "acceptOffer",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addComment",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "approve",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "balanceOf",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "burnBadge",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "buyToken",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOffer",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimPendingRefund",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createStandardNFT",
+    values: [string, string, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createStandardNFTBatch",
+    values: [string, string, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getApproved",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCreatedTokensArray",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokenIds",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getOffersArray",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getOwnedTokensArray",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasBadge",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isApprovedForAll",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isBadge",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isListed",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystemAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "listTokenForSale",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "listedPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "makeOffer",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "name", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "nftMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nftOffers",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ownerOf",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingRefunds",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "platformTreasury",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralSystemAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "safeTransferFrom(address,address,uint256)",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "safeTransferFrom(address,address,uint256,bytes)",
+    values: [AddressLike, AddressLike, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setApprovalForAll",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReferralSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSkillsContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSocialModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStatisticsModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setViewModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillsContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "socialModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "statisticsModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "symbol", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "toggleLike",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "tokenURI",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferFrom",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unlistToken",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updatePrice",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userProfiles",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "viewModule",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_OFFERS_PER_TOKEN",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PLATFORM_FEE_PERCENTAGE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "acceptOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "addComment", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "approve", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "balanceOf", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "burnBadge", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "buyToken", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimPendingRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createStandardNFT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createStandardNFTBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getApproved",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCreatedTokensArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokenIds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getOffersArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getOwnedTokensArray",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasBadge", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isApprovedForAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "isBadge", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "isListed", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "listTokenForSale",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "listedPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "makeOffer", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "name", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "nftMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "nftOffers", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "ownerOf", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingRefunds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "platformTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "safeTransferFrom(address,address,uint256)",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "safeTransferFrom(address,address,uint256,bytes)",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setApprovalForAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReferralSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSkillsContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSocialModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStatisticsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setViewModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillsContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "socialModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "statisticsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "symbol", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "toggleLike", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "tokenURI", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "transferFrom",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "unlistToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userProfiles",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "viewModule", data: BytesLike): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ApprovalEvent {
+  export type InputTuple = [
+    owner: AddressLike,
+    approved: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [owner: string, approved: string, tokenId: bigint];
+  export interface OutputObject {
+    owner: string;
+    approved: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ApprovalForAllEvent {
+  export type InputTuple = [
+    owner: AddressLike,
+    operator: AddressLike,
+    approved: boolean
+  ];
+  export type OutputTuple = [
+    owner: string,
+    operator: string,
+    approved: boolean
+  ];
+  export interface OutputObject {
+    owner: string;
+    operator: string;
+    approved: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BatchMetadataUpdateEvent {
+  export type InputTuple = [
+    _fromTokenId: BigNumberish,
+    _toTokenId: BigNumberish
+  ];
+  export type OutputTuple = [_fromTokenId: bigint, _toTokenId: bigint];
+  export interface OutputObject {
+    _fromTokenId: bigint;
+    _toTokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommentAddedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    comment: string
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, comment: string];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    comment: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelUpEvent {
+  export type InputTuple = [user: AddressLike, newLevel: BigNumberish];
+  export type OutputTuple = [user: string, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelingSystemUpdatedEvent {
+  export type InputTuple = [oldAddress: AddressLike, newAddress: AddressLike];
+  export type OutputTuple = [oldAddress: string, newAddress: string];
+  export interface OutputObject {
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LikeToggledEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    liked: boolean
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, liked: boolean];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    liked: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MetadataUpdateEvent {
+  export type InputTuple = [_tokenId: BigNumberish];
+  export type OutputTuple = [_tokenId: bigint];
+  export interface OutputObject {
+    _tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ModuleUpdatedEvent {
+  export type InputTuple = [
+    moduleName: string,
+    oldModule: AddressLike,
+    newModule: AddressLike
+  ];
+  export type OutputTuple = [
+    moduleName: string,
+    oldModule: string,
+    newModule: string
+  ];
+  export interface OutputObject {
+    moduleName: string;
+    oldModule: string;
+    newModule: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OfferAcceptedEvent {
+  export type InputTuple = [
+    seller: AddressLike,
+    buyer: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    seller: string,
+    buyer: string,
+    tokenId: bigint,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    seller: string;
+    buyer: string;
+    tokenId: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OfferMadeEvent {
+  export type InputTuple = [
+    offeror: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [offeror: string, tokenId: bigint, amount: bigint];
+  export interface OutputObject {
+    offeror: string;
+    tokenId: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PlatformFeeTransferredEvent {
+  export type InputTuple = [
+    from: AddressLike,
+    amount: BigNumberish,
+    to: AddressLike,
+    operation: string
+  ];
+  export type OutputTuple = [
+    from: string,
+    amount: bigint,
+    to: string,
+    operation: string
+  ];
+  export interface OutputObject {
+    from: string;
+    amount: bigint;
+    to: string;
+    operation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PriceUpdatedEvent {
+  export type InputTuple = [
+    seller: AddressLike,
+    tokenId: BigNumberish,
+    newPrice: BigNumberish
+  ];
+  export type OutputTuple = [seller: string, tokenId: bigint, newPrice: bigint];
+  export interface OutputObject {
+    seller: string;
+    tokenId: bigint;
+    newPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReferralSystemUpdatedEvent {
+  export type InputTuple = [oldAddress: AddressLike, newAddress: AddressLike];
+  export type OutputTuple = [oldAddress: string, newAddress: string];
+  export interface OutputObject {
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RefundClaimedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillsContractUpdatedEvent {
+  export type InputTuple = [oldAddress: AddressLike, newAddress: AddressLike];
+  export type OutputTuple = [oldAddress: string, newAddress: string];
+  export interface OutputObject {
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [oldAddress: AddressLike, newAddress: AddressLike];
+  export type OutputTuple = [oldAddress: string, newAddress: string];
+  export interface OutputObject {
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TokenCreatedEvent {
+  export type InputTuple = [
+    creator: AddressLike,
+    tokenId: BigNumberish,
+    uri: string
+  ];
+  export type OutputTuple = [creator: string, tokenId: bigint, uri: string];
+  export interface OutputObject {
+    creator: string;
+    tokenId: bigint;
+    uri: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TokenListedEvent {
+  export type InputTuple = [
+    seller: AddressLike,
+    tokenId: BigNumberish,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [seller: string, tokenId: bigint, price: bigint];
+  export interface OutputObject {
+    seller: string;
+    tokenId: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TokenSoldEvent {
+  export type InputTuple = [
+    seller: AddressLike,
+    buyer: AddressLike,
+    tokenId: BigNumberish,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [
+    seller: string,
+    buyer: string,
+    tokenId: bigint,
+    price: bigint
+  ];
+  export interface OutputObject {
+    seller: string;
+    buyer: string;
+    tokenId: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TokenUnlistedEvent {
+  export type InputTuple = [seller: AddressLike, tokenId: BigNumberish];
+  export type OutputTuple = [seller: string, tokenId: bigint];
+  export interface OutputObject {
+    seller: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TransferEvent {
+  export type InputTuple = [
+    from: AddressLike,
+    to: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [from: string, to: string, tokenId: bigint];
+  export interface OutputObject {
+    from: string;
+    to: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [newManager: AddressLike];
+  export type OutputTuple = [newManager: string];
+  export interface OutputObject {
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPGainedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, amount: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface MarketplaceCore extends BaseContract {
+  connect(runner?: ContractRunner | null): MarketplaceCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: MarketplaceCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MAX_OFFERS_PER_TOKEN: TypedContractMethod<[], [bigint], "view">;
+
+  PLATFORM_FEE_PERCENTAGE: TypedContractMethod<[], [bigint], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  acceptOffer: TypedContractMethod<
+    [_tokenId: BigNumberish, _offerIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  addComment: TypedContractMethod<
+    [_tokenId: BigNumberish, _text: string],
+    [void],
+    "nonpayable"
+  >;
+
+  approve: TypedContractMethod<
+    [to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  balanceOf: TypedContractMethod<[owner: AddressLike], [bigint], "view">;
+
+  burnBadge: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  buyToken: TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+
+  cancelOffer: TypedContractMethod<
+    [_tokenId: BigNumberish, _offerIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimPendingRefund: TypedContractMethod<[], [void], "nonpayable">;
+
+  createStandardNFT: TypedContractMethod<
+    [_tokenURI: string, _category: string, _royaltyPercentage: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  createStandardNFTBatch: TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _count: BigNumberish
+    ],
+    [bigint[]],
+    "nonpayable"
+  >;
+
+  getApproved: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  getCreatedTokensArray: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getListedTokenIds: TypedContractMethod<[], [bigint[]], "view">;
+
+  getNFTMetadata: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, bigint, bigint] & {
+        creator: string;
+        uri: string;
+        category: string;
+        createdAt: bigint;
+        royaltyPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getOffersArray: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [OfferStructOutput[]],
+    "view"
+  >;
+
+  getOwnedTokensArray: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasBadge: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [_platformTreasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  isApprovedForAll: TypedContractMethod<
+    [owner: AddressLike, operator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isBadge: TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+
+  isListed: TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+
+  levelingSystemAddress: TypedContractMethod<[], [string], "view">;
+
+  listTokenForSale: TypedContractMethod<
+    [_tokenId: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  listedPrice: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  makeOffer: TypedContractMethod<
+    [_tokenId: BigNumberish, _expiresInDays: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  name: TypedContractMethod<[], [string], "view">;
+
+  nftMetadata: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, string, string, bigint, bigint] & {
+        creator: string;
+        uri: string;
+        category: string;
+        createdAt: bigint;
+        royaltyPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  nftOffers: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [string, bigint, bigint, bigint] & {
+        offeror: string;
+        amount: bigint;
+        expiresInDays: bigint;
+        timestamp: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  ownerOf: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  pendingRefunds: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  platformTreasury: TypedContractMethod<[], [string], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  referralSystemAddress: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  "safeTransferFrom(address,address,uint256)": TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  "safeTransferFrom(address,address,uint256,bytes)": TypedContractMethod<
+    [
+      from: AddressLike,
+      to: AddressLike,
+      tokenId: BigNumberish,
+      data: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setApprovalForAll: TypedContractMethod<
+    [operator: AddressLike, approved: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingSystem: TypedContractMethod<
+    [_levelingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setReferralSystem: TypedContractMethod<
+    [_referralAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setSkillsContract: TypedContractMethod<
+    [_skillsAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setSocialModule: TypedContractMethod<
+    [_social: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStatisticsModule: TypedContractMethod<
+    [_statistics: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setViewModule: TypedContractMethod<
+    [_view: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  skillsContractAddress: TypedContractMethod<[], [string], "view">;
+
+  socialModule: TypedContractMethod<[], [string], "view">;
+
+  stakingContractAddress: TypedContractMethod<[], [string], "view">;
+
+  statisticsModule: TypedContractMethod<[], [string], "view">;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  symbol: TypedContractMethod<[], [string], "view">;
+
+  toggleLike: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  tokenURI: TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+
+  transferFrom: TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  unlistToken: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updatePrice: TypedContractMethod<
+    [_tokenId: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [_user: AddressLike, _amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userProfiles: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  viewModule: TypedContractMethod<[], [string], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MAX_OFFERS_PER_TOKEN"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "PLATFORM_FEE_PERCENTAGE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "acceptOffer"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _offerIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "addComment"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _text: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "approve"
+  ): TypedContractMethod<
+    [to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "balanceOf"
+  ): TypedContractMethod<[owner: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "burnBadge"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "buyToken"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "cancelOffer"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _offerIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimPendingRefund"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "createStandardNFT"
+  ): TypedContractMethod<
+    [_tokenURI: string, _category: string, _royaltyPercentage: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "createStandardNFTBatch"
+  ): TypedContractMethod<
+    [
+      _tokenURI: string,
+      _category: string,
+      _royaltyPercentage: BigNumberish,
+      _count: BigNumberish
+    ],
+    [bigint[]],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getApproved"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getCreatedTokensArray"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getListedTokenIds"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getNFTMetadata"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, string, string, bigint, bigint] & {
+        creator: string;
+        uri: string;
+        category: string;
+        createdAt: bigint;
+        royaltyPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getOffersArray"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [OfferStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getOwnedTokensArray"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasBadge"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [_platformTreasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "isApprovedForAll"
+  ): TypedContractMethod<
+    [owner: AddressLike, operator: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isBadge"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isListed"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "levelingSystemAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "listTokenForSale"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "listedPrice"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "makeOffer"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _expiresInDays: BigNumberish],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "name"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "nftMetadata"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, string, string, bigint, bigint] & {
+        creator: string;
+        uri: string;
+        category: string;
+        createdAt: bigint;
+        royaltyPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "nftOffers"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [string, bigint, bigint, bigint] & {
+        offeror: string;
+        amount: bigint;
+        expiresInDays: bigint;
+        timestamp: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "ownerOf"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pendingRefunds"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "platformTreasury"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "referralSystemAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "safeTransferFrom(address,address,uint256)"
+  ): TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "safeTransferFrom(address,address,uint256,bytes)"
+  ): TypedContractMethod<
+    [
+      from: AddressLike,
+      to: AddressLike,
+      tokenId: BigNumberish,
+      data: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setApprovalForAll"
+  ): TypedContractMethod<
+    [operator: AddressLike, approved: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLevelingSystem"
+  ): TypedContractMethod<[_levelingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setReferralSystem"
+  ): TypedContractMethod<[_referralAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSkillsContract"
+  ): TypedContractMethod<[_skillsAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSocialModule"
+  ): TypedContractMethod<[_social: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStatisticsModule"
+  ): TypedContractMethod<[_statistics: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setViewModule"
+  ): TypedContractMethod<[_view: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "skillsContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "socialModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "stakingContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "statisticsModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "symbol"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "toggleLike"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "tokenURI"
+  ): TypedContractMethod<[tokenId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferFrom"
+  ): TypedContractMethod<
+    [from: AddressLike, to: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unlistToken"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updatePrice"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [_user: AddressLike, _amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userProfiles"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        level: bigint;
+        nftsCreated: bigint;
+        nftsOwned: bigint;
+        nftsSold: bigint;
+        nftsBought: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "viewModule"
+  ): TypedContractMethod<[], [string], "view">;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Approval"
+  ): TypedContractEvent<
+    ApprovalEvent.InputTuple,
+    ApprovalEvent.OutputTuple,
+    ApprovalEvent.OutputObject
+  >;
+  getEvent(
+    key: "ApprovalForAll"
+  ): TypedContractEvent<
+    ApprovalForAllEvent.InputTuple,
+    ApprovalForAllEvent.OutputTuple,
+    ApprovalForAllEvent.OutputObject
+  >;
+  getEvent(
+    key: "BatchMetadataUpdate"
+  ): TypedContractEvent<
+    BatchMetadataUpdateEvent.InputTuple,
+    BatchMetadataUpdateEvent.OutputTuple,
+    BatchMetadataUpdateEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommentAdded"
+  ): TypedContractEvent<
+    CommentAddedEvent.InputTuple,
+    CommentAddedEvent.OutputTuple,
+    CommentAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelUp"
+  ): TypedContractEvent<
+    LevelUpEvent.InputTuple,
+    LevelUpEvent.OutputTuple,
+    LevelUpEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelingSystemUpdated"
+  ): TypedContractEvent<
+    LevelingSystemUpdatedEvent.InputTuple,
+    LevelingSystemUpdatedEvent.OutputTuple,
+    LevelingSystemUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LikeToggled"
+  ): TypedContractEvent<
+    LikeToggledEvent.InputTuple,
+    LikeToggledEvent.OutputTuple,
+    LikeToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "MetadataUpdate"
+  ): TypedContractEvent<
+    MetadataUpdateEvent.InputTuple,
+    MetadataUpdateEvent.OutputTuple,
+    MetadataUpdateEvent.OutputObject
+  >;
+  getEvent(
+    key: "ModuleUpdated"
+  ): TypedContractEvent<
+    ModuleUpdatedEvent.InputTuple,
+    ModuleUpdatedEvent.OutputTuple,
+    ModuleUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OfferAccepted"
+  ): TypedContractEvent<
+    OfferAcceptedEvent.InputTuple,
+    OfferAcceptedEvent.OutputTuple,
+    OfferAcceptedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OfferMade"
+  ): TypedContractEvent<
+    OfferMadeEvent.InputTuple,
+    OfferMadeEvent.OutputTuple,
+    OfferMadeEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PlatformFeeTransferred"
+  ): TypedContractEvent<
+    PlatformFeeTransferredEvent.InputTuple,
+    PlatformFeeTransferredEvent.OutputTuple,
+    PlatformFeeTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "PriceUpdated"
+  ): TypedContractEvent<
+    PriceUpdatedEvent.InputTuple,
+    PriceUpdatedEvent.OutputTuple,
+    PriceUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReferralSystemUpdated"
+  ): TypedContractEvent<
+    ReferralSystemUpdatedEvent.InputTuple,
+    ReferralSystemUpdatedEvent.OutputTuple,
+    ReferralSystemUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RefundClaimed"
+  ): TypedContractEvent<
+    RefundClaimedEvent.InputTuple,
+    RefundClaimedEvent.OutputTuple,
+    RefundClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillsContractUpdated"
+  ): TypedContractEvent<
+    SkillsContractUpdatedEvent.InputTuple,
+    SkillsContractUpdatedEvent.OutputTuple,
+    SkillsContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TokenCreated"
+  ): TypedContractEvent<
+    TokenCreatedEvent.InputTuple,
+    TokenCreatedEvent.OutputTuple,
+    TokenCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TokenListed"
+  ): TypedContractEvent<
+    TokenListedEvent.InputTuple,
+    TokenListedEvent.OutputTuple,
+    TokenListedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TokenSold"
+  ): TypedContractEvent<
+    TokenSoldEvent.InputTuple,
+    TokenSoldEvent.OutputTuple,
+    TokenSoldEvent.OutputObject
+  >;
+  getEvent(
+    key: "TokenUnlisted"
+  ): TypedContractEvent<
+    TokenUnlistedEvent.InputTuple,
+    TokenUnlistedEvent.OutputTuple,
+    TokenUnlistedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Transfer"
+  ): TypedContractEvent<
+    TransferEvent.InputTuple,
+    TransferEvent.OutputTuple,
+    TransferEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPGained"
+  ): TypedContractEvent<
+    XPGainedEvent.InputTuple,
+    XPGainedEvent.OutputTuple,
+    XPGainedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "Approval(address,address,uint256)": TypedContractEvent<
+      ApprovalEvent.InputTuple,
+      ApprovalEvent.OutputTuple,
+      ApprovalEvent.OutputObject
+    >;
+    Approval: TypedContractEvent<
+      ApprovalEvent.InputTuple,
+      ApprovalEvent.OutputTuple,
+      ApprovalEvent.OutputObject
+    >;
+
+    "ApprovalForAll(address,address,bool)": TypedContractEvent<
+      ApprovalForAllEvent.InputTuple,
+      ApprovalForAllEvent.OutputTuple,
+      ApprovalForAllEvent.OutputObject
+    >;
+    ApprovalForAll: TypedContractEvent<
+      ApprovalForAllEvent.InputTuple,
+      ApprovalForAllEvent.OutputTuple,
+      ApprovalForAllEvent.OutputObject
+    >;
+
+    "BatchMetadataUpdate(uint256,uint256)": TypedContractEvent<
+      BatchMetadataUpdateEvent.InputTuple,
+      BatchMetadataUpdateEvent.OutputTuple,
+      BatchMetadataUpdateEvent.OutputObject
+    >;
+    BatchMetadataUpdate: TypedContractEvent<
+      BatchMetadataUpdateEvent.InputTuple,
+      BatchMetadataUpdateEvent.OutputTuple,
+      BatchMetadataUpdateEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "CommentAdded(address,uint256,string)": TypedContractEvent<
+      CommentAddedEvent.InputTuple,
+      CommentAddedEvent.OutputTuple,
+      CommentAddedEvent.OutputObject
+    >;
+    CommentAdded: TypedContractEvent<
+      CommentAddedEvent.InputTuple,
+      CommentAddedEvent.OutputTuple,
+      CommentAddedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LevelUp(address,uint8)": TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+    LevelUp: TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+
+    "LevelingSystemUpdated(address,address)": TypedContractEvent<
+      LevelingSystemUpdatedEvent.InputTuple,
+      LevelingSystemUpdatedEvent.OutputTuple,
+      LevelingSystemUpdatedEvent.OutputObject
+    >;
+    LevelingSystemUpdated: TypedContractEvent<
+      LevelingSystemUpdatedEvent.InputTuple,
+      LevelingSystemUpdatedEvent.OutputTuple,
+      LevelingSystemUpdatedEvent.OutputObject
+    >;
+
+    "LikeToggled(address,uint256,bool)": TypedContractEvent<
+      LikeToggledEvent.InputTuple,
+      LikeToggledEvent.OutputTuple,
+      LikeToggledEvent.OutputObject
+    >;
+    LikeToggled: TypedContractEvent<
+      LikeToggledEvent.InputTuple,
+      LikeToggledEvent.OutputTuple,
+      LikeToggledEvent.OutputObject
+    >;
+
+    "MetadataUpdate(uint256)": TypedContractEvent<
+      MetadataUpdateEvent.InputTuple,
+      MetadataUpdateEvent.OutputTuple,
+      MetadataUpdateEvent.OutputObject
+    >;
+    MetadataUpdate: TypedContractEvent<
+      MetadataUpdateEvent.InputTuple,
+      MetadataUpdateEvent.OutputTuple,
+      MetadataUpdateEvent.OutputObject
+    >;
+
+    "ModuleUpdated(string,address,address)": TypedContractEvent<
+      ModuleUpdatedEvent.InputTuple,
+      ModuleUpdatedEvent.OutputTuple,
+      ModuleUpdatedEvent.OutputObject
+    >;
+    ModuleUpdated: TypedContractEvent<
+      ModuleUpdatedEvent.InputTuple,
+      ModuleUpdatedEvent.OutputTuple,
+      ModuleUpdatedEvent.OutputObject
+    >;
+
+    "OfferAccepted(address,address,uint256,uint256)": TypedContractEvent<
+      OfferAcceptedEvent.InputTuple,
+      OfferAcceptedEvent.OutputTuple,
+      OfferAcceptedEvent.OutputObject
+    >;
+    OfferAccepted: TypedContractEvent<
+      OfferAcceptedEvent.InputTuple,
+      OfferAcceptedEvent.OutputTuple,
+      OfferAcceptedEvent.OutputObject
+    >;
+
+    "OfferMade(address,uint256,uint256)": TypedContractEvent<
+      OfferMadeEvent.InputTuple,
+      OfferMadeEvent.OutputTuple,
+      OfferMadeEvent.OutputObject
+    >;
+    OfferMade: TypedContractEvent<
+      OfferMadeEvent.InputTuple,
+      OfferMadeEvent.OutputTuple,
+      OfferMadeEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PlatformFeeTransferred(address,uint256,address,string)": TypedContractEvent<
+      PlatformFeeTransferredEvent.InputTuple,
+      PlatformFeeTransferredEvent.OutputTuple,
+      PlatformFeeTransferredEvent.OutputObject
+    >;
+    PlatformFeeTransferred: TypedContractEvent<
+      PlatformFeeTransferredEvent.InputTuple,
+      PlatformFeeTransferredEvent.OutputTuple,
+      PlatformFeeTransferredEvent.OutputObject
+    >;
+
+    "PriceUpdated(address,uint256,uint256)": TypedContractEvent<
+      PriceUpdatedEvent.InputTuple,
+      PriceUpdatedEvent.OutputTuple,
+      PriceUpdatedEvent.OutputObject
+    >;
+    PriceUpdated: TypedContractEvent<
+      PriceUpdatedEvent.InputTuple,
+      PriceUpdatedEvent.OutputTuple,
+      PriceUpdatedEvent.OutputObject
+    >;
+
+    "ReferralSystemUpdated(address,address)": TypedContractEvent<
+      ReferralSystemUpdatedEvent.InputTuple,
+      ReferralSystemUpdatedEvent.OutputTuple,
+      ReferralSystemUpdatedEvent.OutputObject
+    >;
+    ReferralSystemUpdated: TypedContractEvent<
+      ReferralSystemUpdatedEvent.InputTuple,
+      ReferralSystemUpdatedEvent.OutputTuple,
+      ReferralSystemUpdatedEvent.OutputObject
+    >;
+
+    "RefundClaimed(address,uint256)": TypedContractEvent<
+      RefundClaimedEvent.InputTuple,
+      RefundClaimedEvent.OutputTuple,
+      RefundClaimedEvent.OutputObject
+    >;
+    RefundClaimed: TypedContractEvent<
+      RefundClaimedEvent.InputTuple,
+      RefundClaimedEvent.OutputTuple,
+      RefundClaimedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SkillsContractUpdated(address,address)": TypedContractEvent<
+      SkillsContractUpdatedEvent.InputTuple,
+      SkillsContractUpdatedEvent.OutputTuple,
+      SkillsContractUpdatedEvent.OutputObject
+    >;
+    SkillsContractUpdated: TypedContractEvent<
+      SkillsContractUpdatedEvent.InputTuple,
+      SkillsContractUpdatedEvent.OutputTuple,
+      SkillsContractUpdatedEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address,address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+
+    "TokenCreated(address,uint256,string)": TypedContractEvent<
+      TokenCreatedEvent.InputTuple,
+      TokenCreatedEvent.OutputTuple,
+      TokenCreatedEvent.OutputObject
+    >;
+    TokenCreated: TypedContractEvent<
+      TokenCreatedEvent.InputTuple,
+      TokenCreatedEvent.OutputTuple,
+      TokenCreatedEvent.OutputObject
+    >;
+
+    "TokenListed(address,uint256,uint256)": TypedContractEvent<
+      TokenListedEvent.InputTuple,
+      TokenListedEvent.OutputTuple,
+      TokenListedEvent.OutputObject
+    >;
+    TokenListed: TypedContractEvent<
+      TokenListedEvent.InputTuple,
+      TokenListedEvent.OutputTuple,
+      TokenListedEvent.OutputObject
+    >;
+
+    "TokenSold(address,address,uint256,uint256)": TypedContractEvent<
+      TokenSoldEvent.InputTuple,
+      TokenSoldEvent.OutputTuple,
+      TokenSoldEvent.OutputObject
+    >;
+    TokenSold: TypedContractEvent<
+      TokenSoldEvent.InputTuple,
+      TokenSoldEvent.OutputTuple,
+      TokenSoldEvent.OutputObject
+    >;
+
+    "TokenUnlisted(address,uint256)": TypedContractEvent<
+      TokenUnlistedEvent.InputTuple,
+      TokenUnlistedEvent.OutputTuple,
+      TokenUnlistedEvent.OutputObject
+    >;
+    TokenUnlisted: TypedContractEvent<
+      TokenUnlistedEvent.InputTuple,
+      TokenUnlistedEvent.OutputTuple,
+      TokenUnlistedEvent.OutputObject
+    >;
+
+    "Transfer(address,address,uint256)": TypedContractEvent<
+      TransferEvent.InputTuple,
+      TransferEvent.OutputTuple,
+      TransferEvent.OutputObject
+    >;
+    Transfer: TypedContractEvent<
+      TransferEvent.InputTuple,
+      TransferEvent.OutputTuple,
+      TransferEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "XPGained(address,uint256,string)": TypedContractEvent<
+      XPGainedEvent.InputTuple,
+      XPGainedEvent.OutputTuple,
+      XPGainedEvent.OutputObject
+    >;
+    XPGained: TypedContractEvent<
+      XPGainedEvent.InputTuple,
+      XPGainedEvent.OutputTuple,
+      XPGainedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,165 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export type NFTMetadataStruct = {
+  creator: AddressLike;
+  uri: string;
+  category: string;
+  createdAt: BigNumberish;
+  royaltyPercentage: BigNumberish;
+};
+
+export type NFTMetadataStructOutput = [
+  creator: string,
+  uri: string,
+  category: string,
+  createdAt: bigint,
+  royaltyPercentage: bigint
+] & {
+  creator: string;
+  uri: string;
+  category: string;
+  createdAt: bigint;
+  royaltyPercentage: bigint;
+};
+
+export type SaleSettlementStruct = {
+  seller: AddressLike;
+  buyer: AddressLike;
+  grossAmount: BigNumberish;
+  platformFee: BigNumberish;
+  royaltyAmount: BigNumberish;
+  sellerAmount: BigNumberish;
+};
+
+export type SaleSettlementStructOutput = [
+  seller: string,
+  buyer: string,
+  grossAmount: bigint,
+  platformFee: bigint,
+  royaltyAmount: bigint,
+  sellerAmount: bigint
+] & {
+  seller: string;
+  buyer: string;
+  grossAmount: bigint;
+  platformFee: bigint;
+  royaltyAmount: bigint;
+  sellerAmount: bigint;
+};
+
+export interface MarketplaceCoreLibInterface extends Interface {
+  getFunction(nameOrSignature: "buildSaleSettlement"): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "buildSaleSettlement",
+    values: [
+      AddressLike,
+      AddressLike,
+      BigNumberish,
+      NFTMetadataStruct,
+      BigNumberish
+    ]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "buildSaleSettlement",
+    data: BytesLike
+  ): Result;
+}
+
+export interface MarketplaceCoreLib extends BaseContract {
+  connect(runner?: ContractRunner | null): MarketplaceCoreLib;
+  waitForDeployment(): Promise<this>;
+
+  interface: MarketplaceCoreLibInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  buildSaleSettlement: TypedContractMethod<
+    [
+      seller: AddressLike,
+      buyer: AddressLike,
+      grossAmount: BigNumberish,
+      meta: NFTMetadataStruct,
+      platformFeePercentage: BigNumberish
+    ],
+    [SaleSettlementStructOutput],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "buildSaleSettlement"
+  ): TypedContractMethod<
+    [
+      seller: AddressLike,
+      buyer: AddressLike,
+      grossAmount: BigNumberish,
+      meta: NFTMetadataStruct,
+      platformFeePercentage: BigNumberish
+    ],
+    [SaleSettlementStructOutput],
+    "view"
+  >;
+
+  filters: {};
+}
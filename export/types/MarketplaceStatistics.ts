@@ -0,0 +1,707 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IMarketplaceStatistics {
+  export type CategoryStatsStruct = {
+    volume: BigNumberish;
+    sales: BigNumberish;
+  };
+
+  export type CategoryStatsStructOutput = [volume: bigint, sales: bigint] & {
+    volume: bigint;
+    sales: bigint;
+  };
+}
+
+export interface MarketplaceStatisticsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "DEFAULT_ADMIN_ROLE"
+      | "MARKETPLACE_ROLE"
+      | "getCategoryStats"
+      | "getDailyVolume"
+      | "getRoleAdmin"
+      | "grantRole"
+      | "hasRole"
+      | "recordRoyaltyPayment"
+      | "recordSale"
+      | "renounceRole"
+      | "revokeRole"
+      | "setMarketplaceCore"
+      | "supportsInterface"
+      | "totalNFTsSold"
+      | "totalRoyaltiesPaid"
+      | "totalTradingVolume"
+      | "userNFTsBought"
+      | "userNFTsSold"
+      | "userPurchaseVolume"
+      | "userRoyaltiesEarned"
+      | "userSalesVolume"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "NFTSold"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "RoyaltyPaid"
+      | "TradingVolumeUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MARKETPLACE_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCategoryStats",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDailyVolume",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordRoyaltyPayment",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordSale",
+    values: [AddressLike, AddressLike, BigNumberish, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceCore",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalNFTsSold",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRoyaltiesPaid",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalTradingVolume",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userNFTsBought",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userNFTsSold",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userPurchaseVolume",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userRoyaltiesEarned",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userSalesVolume",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MARKETPLACE_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCategoryStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDailyVolume",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "recordRoyaltyPayment",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "recordSale", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceCore",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalNFTsSold",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRoyaltiesPaid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalTradingVolume",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userNFTsBought",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userNFTsSold",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userPurchaseVolume",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userRoyaltiesEarned",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userSalesVolume",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace NFTSoldEvent {
+  export type InputTuple = [
+    seller: AddressLike,
+    buyer: AddressLike,
+    tokenId: BigNumberish,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [
+    seller: string,
+    buyer: string,
+    tokenId: bigint,
+    price: bigint
+  ];
+  export interface OutputObject {
+    seller: string;
+    buyer: string;
+    tokenId: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoyaltyPaidEvent {
+  export type InputTuple = [
+    creator: AddressLike,
+    amount: BigNumberish,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [creator: string, amount: bigint, tokenId: bigint];
+  export interface OutputObject {
+    creator: string;
+    amount: bigint;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TradingVolumeUpdatedEvent {
+  export type InputTuple = [
+    totalVolume: BigNumberish,
+    user: AddressLike,
+    userVolume: BigNumberish
+  ];
+  export type OutputTuple = [
+    totalVolume: bigint,
+    user: string,
+    userVolume: bigint
+  ];
+  export interface OutputObject {
+    totalVolume: bigint;
+    user: string;
+    userVolume: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface MarketplaceStatistics extends BaseContract {
+  connect(runner?: ContractRunner | null): MarketplaceStatistics;
+  waitForDeployment(): Promise<this>;
+
+  interface: MarketplaceStatisticsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MARKETPLACE_ROLE: TypedContractMethod<[], [string], "view">;
+
+  getCategoryStats: TypedContractMethod<
+    [category: string],
+    [IMarketplaceStatistics.CategoryStatsStructOutput],
+    "view"
+  >;
+
+  getDailyVolume: TypedContractMethod<
+    [daysAgo: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  recordRoyaltyPayment: TypedContractMethod<
+    [creator: AddressLike, tokenId: BigNumberish, royaltyAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  recordSale: TypedContractMethod<
+    [
+      seller: AddressLike,
+      buyer: AddressLike,
+      tokenId: BigNumberish,
+      price: BigNumberish,
+      category: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceCore: TypedContractMethod<
+    [newCore: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  totalNFTsSold: TypedContractMethod<[], [bigint], "view">;
+
+  totalRoyaltiesPaid: TypedContractMethod<[], [bigint], "view">;
+
+  totalTradingVolume: TypedContractMethod<[], [bigint], "view">;
+
+  userNFTsBought: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  userNFTsSold: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  userPurchaseVolume: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  userRoyaltiesEarned: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  userSalesVolume: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MARKETPLACE_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getCategoryStats"
+  ): TypedContractMethod<
+    [category: string],
+    [IMarketplaceStatistics.CategoryStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDailyVolume"
+  ): TypedContractMethod<[daysAgo: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "recordRoyaltyPayment"
+  ): TypedContractMethod<
+    [creator: AddressLike, tokenId: BigNumberish, royaltyAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recordSale"
+  ): TypedContractMethod<
+    [
+      seller: AddressLike,
+      buyer: AddressLike,
+      tokenId: BigNumberish,
+      price: BigNumberish,
+      category: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setMarketplaceCore"
+  ): TypedContractMethod<[newCore: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalNFTsSold"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalRoyaltiesPaid"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalTradingVolume"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userNFTsBought"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userNFTsSold"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userPurchaseVolume"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userRoyaltiesEarned"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userSalesVolume"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getEvent(
+    key: "NFTSold"
+  ): TypedContractEvent<
+    NFTSoldEvent.InputTuple,
+    NFTSoldEvent.OutputTuple,
+    NFTSoldEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoyaltyPaid"
+  ): TypedContractEvent<
+    RoyaltyPaidEvent.InputTuple,
+    RoyaltyPaidEvent.OutputTuple,
+    RoyaltyPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "TradingVolumeUpdated"
+  ): TypedContractEvent<
+    TradingVolumeUpdatedEvent.InputTuple,
+    TradingVolumeUpdatedEvent.OutputTuple,
+    TradingVolumeUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "NFTSold(address,address,uint256,uint256)": TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+    NFTSold: TypedContractEvent<
+      NFTSoldEvent.InputTuple,
+      NFTSoldEvent.OutputTuple,
+      NFTSoldEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "RoyaltyPaid(address,uint256,uint256)": TypedContractEvent<
+      RoyaltyPaidEvent.InputTuple,
+      RoyaltyPaidEvent.OutputTuple,
+      RoyaltyPaidEvent.OutputObject
+    >;
+    RoyaltyPaid: TypedContractEvent<
+      RoyaltyPaidEvent.InputTuple,
+      RoyaltyPaidEvent.OutputTuple,
+      RoyaltyPaidEvent.OutputObject
+    >;
+
+    "TradingVolumeUpdated(uint256,address,uint256)": TypedContractEvent<
+      TradingVolumeUpdatedEvent.InputTuple,
+      TradingVolumeUpdatedEvent.OutputTuple,
+      TradingVolumeUpdatedEvent.OutputObject
+    >;
+    TradingVolumeUpdated: TypedContractEvent<
+      TradingVolumeUpdatedEvent.InputTuple,
+      TradingVolumeUpdatedEvent.OutputTuple,
+      TradingVolumeUpdatedEvent.OutputObject
+    >;
+  };
+}
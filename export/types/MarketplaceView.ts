@@ -0,0 +1,1052 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IMarketplaceCore {
+  export type NFTMetadataStruct = {
+    creator: AddressLike;
+    uri: string;
+    category: string;
+    createdAt: BigNumberish;
+    royaltyPercentage: BigNumberish;
+  };
+
+  export type NFTMetadataStructOutput = [
+    creator: string,
+    uri: string,
+    category: string,
+    createdAt: bigint,
+    royaltyPercentage: bigint
+  ] & {
+    creator: string;
+    uri: string;
+    category: string;
+    createdAt: bigint;
+    royaltyPercentage: bigint;
+  };
+
+  export type OfferStruct = {
+    offeror: AddressLike;
+    amount: BigNumberish;
+    expiresInDays: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type OfferStructOutput = [
+    offeror: string,
+    amount: bigint,
+    expiresInDays: bigint,
+    timestamp: bigint
+  ] & {
+    offeror: string;
+    amount: bigint;
+    expiresInDays: bigint;
+    timestamp: bigint;
+  };
+
+  export type UserProfileStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsOwned: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+  };
+
+  export type UserProfileStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    nftsCreated: bigint,
+    nftsOwned: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    nftsCreated: bigint;
+    nftsOwned: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+  };
+}
+
+export declare namespace MarketplaceView {
+  export type NFTFullInfoStruct = {
+    metadata: IMarketplaceCore.NFTMetadataStruct;
+    owner: AddressLike;
+    isListed: boolean;
+    price: BigNumberish;
+    likeCount: BigNumberish;
+    commentCount: BigNumberish;
+    offers: IMarketplaceCore.OfferStruct[];
+  };
+
+  export type NFTFullInfoStructOutput = [
+    metadata: IMarketplaceCore.NFTMetadataStructOutput,
+    owner: string,
+    isListed: boolean,
+    price: bigint,
+    likeCount: bigint,
+    commentCount: bigint,
+    offers: IMarketplaceCore.OfferStructOutput[]
+  ] & {
+    metadata: IMarketplaceCore.NFTMetadataStructOutput;
+    owner: string;
+    isListed: boolean;
+    price: bigint;
+    likeCount: bigint;
+    commentCount: bigint;
+    offers: IMarketplaceCore.OfferStructOutput[];
+  };
+
+  export type UserActivitySummaryStruct = {
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    nftsCreated: BigNumberish;
+    nftsSold: BigNumberish;
+    nftsBought: BigNumberish;
+    salesVolume: BigNumberish;
+    purchaseVolume: BigNumberish;
+    royaltiesEarned: BigNumberish;
+  };
+
+  export type UserActivitySummaryStructOutput = [
+    totalXP: bigint,
+    level: bigint,
+    nftsCreated: bigint,
+    nftsSold: bigint,
+    nftsBought: bigint,
+    salesVolume: bigint,
+    purchaseVolume: bigint,
+    royaltiesEarned: bigint
+  ] & {
+    totalXP: bigint;
+    level: bigint;
+    nftsCreated: bigint;
+    nftsSold: bigint;
+    nftsBought: bigint;
+    salesVolume: bigint;
+    purchaseVolume: bigint;
+    royaltiesEarned: bigint;
+  };
+}
+
+export declare namespace IMarketplaceSocial {
+  export type CommentStruct = {
+    author: AddressLike;
+    text: string;
+    timestamp: BigNumberish;
+  };
+
+  export type CommentStructOutput = [
+    author: string,
+    text: string,
+    timestamp: bigint
+  ] & { author: string; text: string; timestamp: bigint };
+}
+
+export interface MarketplaceViewInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "DEFAULT_ADMIN_ROLE"
+      | "MARKETPLACE_ROLE"
+      | "addNFTToCategory"
+      | "getCategoryCount"
+      | "getListedNFTs"
+      | "getListedNFTsPage"
+      | "getListedTokens"
+      | "getListedTokensPaginated"
+      | "getMultipleNFTs"
+      | "getNFTComments"
+      | "getNFTFullInfo"
+      | "getNFTLikeCount"
+      | "getNFTMarketInfo"
+      | "getNFTOffers"
+      | "getNFTsByCategory"
+      | "getNFTsByCategoryPaginated"
+      | "getRoleAdmin"
+      | "getUserActivitySummary"
+      | "getUserCreatedNFTs"
+      | "getUserCreatedNFTsPage"
+      | "getUserNFTLike"
+      | "getUserNFTs"
+      | "getUserNFTsDetailed"
+      | "getUserNFTsPage"
+      | "getUserProfile"
+      | "grantRole"
+      | "hasRole"
+      | "marketplaceCore"
+      | "removeNFTFromCategory"
+      | "renounceRole"
+      | "revokeRole"
+      | "setMarketplaceCore"
+      | "setSocialModule"
+      | "setStatisticsModule"
+      | "socialModule"
+      | "statisticsModule"
+      | "supportsInterface"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "RoleAdminChanged" | "RoleGranted" | "RoleRevoked"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MARKETPLACE_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addNFTToCategory",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCategoryCount",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedNFTs",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedNFTsPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokens",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getListedTokensPaginated",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMultipleNFTs",
+    values: [BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTComments",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTFullInfo",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTLikeCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTMarketInfo",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTOffers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTsByCategory",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNFTsByCategoryPaginated",
+    values: [string, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserActivitySummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserCreatedNFTs",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserCreatedNFTsPage",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserNFTLike",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserNFTs",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserNFTsDetailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserNFTsPage",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "marketplaceCore",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removeNFTFromCategory",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceCore",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSocialModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStatisticsModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "socialModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "statisticsModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MARKETPLACE_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "addNFTToCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCategoryCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedNFTsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokens",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getListedTokensPaginated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMultipleNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTComments",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTFullInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTLikeCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTMarketInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTOffers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTsByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNFTsByCategoryPaginated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserActivitySummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserCreatedNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserCreatedNFTsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserNFTLike",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserNFTsDetailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserNFTsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "marketplaceCore",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeNFTFromCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceCore",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSocialModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStatisticsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "socialModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "statisticsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface MarketplaceView extends BaseContract {
+  connect(runner?: ContractRunner | null): MarketplaceView;
+  waitForDeployment(): Promise<this>;
+
+  interface: MarketplaceViewInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MARKETPLACE_ROLE: TypedContractMethod<[], [string], "view">;
+
+  addNFTToCategory: TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getCategoryCount: TypedContractMethod<[category: string], [bigint], "view">;
+
+  getListedNFTs: TypedContractMethod<[], [bigint[]], "view">;
+
+  getListedNFTsPage: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getListedTokens: TypedContractMethod<[], [bigint[]], "view">;
+
+  getListedTokensPaginated: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getMultipleNFTs: TypedContractMethod<
+    [ids: BigNumberish[]],
+    [MarketplaceView.NFTFullInfoStructOutput[]],
+    "view"
+  >;
+
+  getNFTComments: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+
+  getNFTFullInfo: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [MarketplaceView.NFTFullInfoStructOutput],
+    "view"
+  >;
+
+  getNFTLikeCount: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getNFTMarketInfo: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, boolean, bigint] & {
+        owner: string;
+        isListedStatus: boolean;
+        price: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getNFTOffers: TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.OfferStructOutput[]],
+    "view"
+  >;
+
+  getNFTsByCategory: TypedContractMethod<
+    [category: string],
+    [bigint[]],
+    "view"
+  >;
+
+  getNFTsByCategoryPaginated: TypedContractMethod<
+    [category: string, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getUserActivitySummary: TypedContractMethod<
+    [user: AddressLike],
+    [MarketplaceView.UserActivitySummaryStructOutput],
+    "view"
+  >;
+
+  getUserCreatedNFTs: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserCreatedNFTsPage: TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserNFTLike: TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  getUserNFTs: TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+
+  getUserNFTsDetailed: TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.NFTMetadataStructOutput[]],
+    "view"
+  >;
+
+  getUserNFTsPage: TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.UserProfileStructOutput],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  marketplaceCore: TypedContractMethod<[], [string], "view">;
+
+  removeNFTFromCategory: TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceCore: TypedContractMethod<
+    [newCore: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setSocialModule: TypedContractMethod<
+    [_social: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStatisticsModule: TypedContractMethod<
+    [_statistics: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  socialModule: TypedContractMethod<[], [string], "view">;
+
+  statisticsModule: TypedContractMethod<[], [string], "view">;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MARKETPLACE_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "addNFTToCategory"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getCategoryCount"
+  ): TypedContractMethod<[category: string], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getListedNFTs"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getListedNFTsPage"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getListedTokens"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getListedTokensPaginated"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getMultipleNFTs"
+  ): TypedContractMethod<
+    [ids: BigNumberish[]],
+    [MarketplaceView.NFTFullInfoStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTComments"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceSocial.CommentStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTFullInfo"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [MarketplaceView.NFTFullInfoStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTLikeCount"
+  ): TypedContractMethod<[tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getNFTMarketInfo"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [
+      [string, boolean, bigint] & {
+        owner: string;
+        isListedStatus: boolean;
+        price: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTOffers"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish],
+    [IMarketplaceCore.OfferStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNFTsByCategory"
+  ): TypedContractMethod<[category: string], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getNFTsByCategoryPaginated"
+  ): TypedContractMethod<
+    [category: string, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getUserActivitySummary"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [MarketplaceView.UserActivitySummaryStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserCreatedNFTs"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserCreatedNFTsPage"
+  ): TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserNFTLike"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserNFTs"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserNFTsDetailed"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.NFTMetadataStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserNFTsPage"
+  ): TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IMarketplaceCore.UserProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "marketplaceCore"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "removeNFTFromCategory"
+  ): TypedContractMethod<
+    [tokenId: BigNumberish, category: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setMarketplaceCore"
+  ): TypedContractMethod<[newCore: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSocialModule"
+  ): TypedContractMethod<[_social: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStatisticsModule"
+  ): TypedContractMethod<[_statistics: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "socialModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "statisticsModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+
+  filters: {
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+  };
+}
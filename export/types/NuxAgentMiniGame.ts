@@ -0,0 +1,2045 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxAgentMiniGame {
+  export type CreateTaskParamsStruct = {
+    metadataURI: string;
+    taskType: BigNumberish;
+    xpReward: BigNumberish;
+    tokenReward: BigNumberish;
+    requiredMinReputation: BigNumberish;
+    maxCompletionsPerAgent: BigNumberish;
+    totalMaxCompletions: BigNumberish;
+    validationRequired: boolean;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+  };
+
+  export type CreateTaskParamsStructOutput = [
+    metadataURI: string,
+    taskType: bigint,
+    xpReward: bigint,
+    tokenReward: bigint,
+    requiredMinReputation: bigint,
+    maxCompletionsPerAgent: bigint,
+    totalMaxCompletions: bigint,
+    validationRequired: boolean,
+    startTime: bigint,
+    deadline: bigint
+  ] & {
+    metadataURI: string;
+    taskType: bigint;
+    xpReward: bigint;
+    tokenReward: bigint;
+    requiredMinReputation: bigint;
+    maxCompletionsPerAgent: bigint;
+    totalMaxCompletions: bigint;
+    validationRequired: boolean;
+    startTime: bigint;
+    deadline: bigint;
+  };
+
+  export type TaskSubmissionStruct = {
+    taskId: BigNumberish;
+    nftContract: AddressLike;
+    tokenId: BigNumberish;
+    submitter: AddressLike;
+    resultURI: string;
+    resultHash: BytesLike;
+    status: BigNumberish;
+    submittedAt: BigNumberish;
+    resolvedAt: BigNumberish;
+    rewardClaimed: boolean;
+    registryRequestHash: BytesLike;
+  };
+
+  export type TaskSubmissionStructOutput = [
+    taskId: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    submitter: string,
+    resultURI: string,
+    resultHash: string,
+    status: bigint,
+    submittedAt: bigint,
+    resolvedAt: bigint,
+    rewardClaimed: boolean,
+    registryRequestHash: string
+  ] & {
+    taskId: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    submitter: string;
+    resultURI: string;
+    resultHash: string;
+    status: bigint;
+    submittedAt: bigint;
+    resolvedAt: bigint;
+    rewardClaimed: boolean;
+    registryRequestHash: string;
+  };
+
+  export type TaskStruct = {
+    metadataURI: string;
+    taskType: BigNumberish;
+    xpReward: BigNumberish;
+    tokenReward: BigNumberish;
+    requiredMinReputation: BigNumberish;
+    maxCompletionsPerAgent: BigNumberish;
+    totalMaxCompletions: BigNumberish;
+    totalCompletions: BigNumberish;
+    validationRequired: boolean;
+    active: boolean;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+  };
+
+  export type TaskStructOutput = [
+    metadataURI: string,
+    taskType: bigint,
+    xpReward: bigint,
+    tokenReward: bigint,
+    requiredMinReputation: bigint,
+    maxCompletionsPerAgent: bigint,
+    totalMaxCompletions: bigint,
+    totalCompletions: bigint,
+    validationRequired: boolean,
+    active: boolean,
+    startTime: bigint,
+    deadline: bigint
+  ] & {
+    metadataURI: string;
+    taskType: bigint;
+    xpReward: bigint;
+    tokenReward: bigint;
+    requiredMinReputation: bigint;
+    maxCompletionsPerAgent: bigint;
+    totalMaxCompletions: bigint;
+    totalCompletions: bigint;
+    validationRequired: boolean;
+    active: boolean;
+    startTime: bigint;
+    deadline: bigint;
+  };
+
+  export type TaskStatusViewStruct = {
+    taskId: BigNumberish;
+    exists: boolean;
+    active: boolean;
+    started: boolean;
+    expired: boolean;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+    xpReward: BigNumberish;
+    tokenReward: BigNumberish;
+    remainingGlobalCompletions: BigNumberish;
+    validationRequired: boolean;
+    taskType: BigNumberish;
+    rewardLiquiditySufficient: boolean;
+  };
+
+  export type TaskStatusViewStructOutput = [
+    taskId: bigint,
+    exists: boolean,
+    active: boolean,
+    started: boolean,
+    expired: boolean,
+    startTime: bigint,
+    deadline: bigint,
+    xpReward: bigint,
+    tokenReward: bigint,
+    remainingGlobalCompletions: bigint,
+    validationRequired: boolean,
+    taskType: bigint,
+    rewardLiquiditySufficient: boolean
+  ] & {
+    taskId: bigint;
+    exists: boolean;
+    active: boolean;
+    started: boolean;
+    expired: boolean;
+    startTime: bigint;
+    deadline: bigint;
+    xpReward: bigint;
+    tokenReward: bigint;
+    remainingGlobalCompletions: bigint;
+    validationRequired: boolean;
+    taskType: bigint;
+    rewardLiquiditySufficient: boolean;
+  };
+
+  export type RewardSummaryStruct = {
+    approvedUnclaimedCount: BigNumberish;
+    pendingValidationCount: BigNumberish;
+    rejectedCount: BigNumberish;
+    totalClaimableRewards: BigNumberish;
+  };
+
+  export type RewardSummaryStructOutput = [
+    approvedUnclaimedCount: bigint,
+    pendingValidationCount: bigint,
+    rejectedCount: bigint,
+    totalClaimableRewards: bigint
+  ] & {
+    approvedUnclaimedCount: bigint;
+    pendingValidationCount: bigint;
+    rejectedCount: bigint;
+    totalClaimableRewards: bigint;
+  };
+}
+
+export interface NuxAgentMiniGameInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "DEPOSITOR_ROLE"
+      | "UPGRADER_ROLE"
+      | "VALIDATOR_ROLE"
+      | "agentGameXP"
+      | "agentRegistry"
+      | "agentTaskCompletions"
+      | "claimReward"
+      | "createTask"
+      | "dailyStreak"
+      | "defaultValidator"
+      | "depositRewards"
+      | "getAgentGameStats"
+      | "getAgentStreak"
+      | "getAgentSubmissions"
+      | "getRoleAdmin"
+      | "getSubmission"
+      | "getTask"
+      | "getTaskStatus"
+      | "getUserRewardSummary"
+      | "getUserSubmissions"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "lastDailyDay"
+      | "miniGameFeeBps"
+      | "paused"
+      | "proxiableUUID"
+      | "renounceRole"
+      | "revokeRole"
+      | "rewardPool"
+      | "setAgentRegistry"
+      | "setDefaultValidator"
+      | "setMiniGameFee"
+      | "setPaused"
+      | "setSupportedNFTContract"
+      | "setTaskActive"
+      | "setTreasuryManager"
+      | "submissionCounter"
+      | "submissions"
+      | "submitTask"
+      | "supportedNFTContracts"
+      | "supportsInterface"
+      | "taskCounter"
+      | "tasks"
+      | "treasuryManager"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userMissionXP"
+      | "validateSubmission"
+      | "withdrawRewardPool"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "BeaconUpgraded"
+      | "DailyStreakUpdated"
+      | "Initialized"
+      | "LeaderboardXPUpdated"
+      | "MiniGameFeeCollected"
+      | "RewardClaimed"
+      | "RewardPoolDeposited"
+      | "RewardPoolWithdrawn"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SubmissionApproved"
+      | "SubmissionRejected"
+      | "SupportedNFTContractUpdated"
+      | "TaskCreated"
+      | "TaskSubmitted"
+      | "TaskUpdated"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEPOSITOR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "VALIDATOR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentGameXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentRegistry",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentTaskCompletions",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createTask",
+    values: [NuxAgentMiniGame.CreateTaskParamsStruct]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "dailyStreak",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "defaultValidator",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentGameStats",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentStreak",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentSubmissions",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSubmission",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTask",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTaskStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserRewardSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSubmissions",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastDailyDay",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "miniGameFeeBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rewardPool",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentRegistry",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setDefaultValidator",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMiniGameFee",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "setPaused", values: [boolean]): string;
+  encodeFunctionData(
+    functionFragment: "setSupportedNFTContract",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTaskActive",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submissionCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submissions",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitTask",
+    values: [BigNumberish, AddressLike, BigNumberish, string, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportedNFTContracts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "taskCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "tasks", values: [BigNumberish]): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userMissionXP",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validateSubmission",
+    values: [BigNumberish, boolean, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawRewardPool",
+    values: [BigNumberish, AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEPOSITOR_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "VALIDATOR_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentGameXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentTaskCompletions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "createTask", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "dailyStreak",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "defaultValidator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentGameStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentStreak",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentSubmissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSubmission",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getTask", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getTaskStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserRewardSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSubmissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "lastDailyDay",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "miniGameFeeBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "rewardPool", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setDefaultValidator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMiniGameFee",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setPaused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setSupportedNFTContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTaskActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submissionCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "submitTask", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "supportedNFTContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "taskCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "tasks", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userMissionXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validateSubmission",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawRewardPool",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DailyStreakUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    newStreak: BigNumberish,
+    bonusXP: BigNumberish
+  ];
+  export type OutputTuple = [user: string, newStreak: bigint, bonusXP: bigint];
+  export interface OutputObject {
+    user: string;
+    newStreak: bigint;
+    bonusXP: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LeaderboardXPUpdatedEvent {
+  export type InputTuple = [
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    owner: AddressLike,
+    totalXP: BigNumberish
+  ];
+  export type OutputTuple = [
+    nftContract: string,
+    tokenId: bigint,
+    owner: string,
+    totalXP: bigint
+  ];
+  export interface OutputObject {
+    nftContract: string;
+    tokenId: bigint;
+    owner: string;
+    totalXP: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MiniGameFeeCollectedEvent {
+  export type InputTuple = [
+    submissionId: BigNumberish,
+    feeAmount: BigNumberish
+  ];
+  export type OutputTuple = [submissionId: bigint, feeAmount: bigint];
+  export interface OutputObject {
+    submissionId: bigint;
+    feeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardClaimedEvent {
+  export type InputTuple = [
+    submissionId: BigNumberish,
+    claimer: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    submissionId: bigint,
+    claimer: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    submissionId: bigint;
+    claimer: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardPoolDepositedEvent {
+  export type InputTuple = [amount: BigNumberish, depositor: AddressLike];
+  export type OutputTuple = [amount: bigint, depositor: string];
+  export interface OutputObject {
+    amount: bigint;
+    depositor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardPoolWithdrawnEvent {
+  export type InputTuple = [amount: BigNumberish, recipient: AddressLike];
+  export type OutputTuple = [amount: bigint, recipient: string];
+  export interface OutputObject {
+    amount: bigint;
+    recipient: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SubmissionApprovedEvent {
+  export type InputTuple = [
+    submissionId: BigNumberish,
+    owner: AddressLike,
+    xpAwarded: BigNumberish,
+    rewardEscrowed: BigNumberish
+  ];
+  export type OutputTuple = [
+    submissionId: bigint,
+    owner: string,
+    xpAwarded: bigint,
+    rewardEscrowed: bigint
+  ];
+  export interface OutputObject {
+    submissionId: bigint;
+    owner: string;
+    xpAwarded: bigint;
+    rewardEscrowed: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SubmissionRejectedEvent {
+  export type InputTuple = [
+    submissionId: BigNumberish,
+    owner: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [
+    submissionId: bigint,
+    owner: string,
+    reason: string
+  ];
+  export interface OutputObject {
+    submissionId: bigint;
+    owner: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SupportedNFTContractUpdatedEvent {
+  export type InputTuple = [nftContract: AddressLike, supported: boolean];
+  export type OutputTuple = [nftContract: string, supported: boolean];
+  export interface OutputObject {
+    nftContract: string;
+    supported: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TaskCreatedEvent {
+  export type InputTuple = [
+    taskId: BigNumberish,
+    metadataURI: string,
+    taskType: BigNumberish,
+    xpReward: BigNumberish,
+    tokenReward: BigNumberish
+  ];
+  export type OutputTuple = [
+    taskId: bigint,
+    metadataURI: string,
+    taskType: bigint,
+    xpReward: bigint,
+    tokenReward: bigint
+  ];
+  export interface OutputObject {
+    taskId: bigint;
+    metadataURI: string;
+    taskType: bigint;
+    xpReward: bigint;
+    tokenReward: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TaskSubmittedEvent {
+  export type InputTuple = [
+    submissionId: BigNumberish,
+    taskId: BigNumberish,
+    nftContract: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [
+    submissionId: bigint,
+    taskId: bigint,
+    nftContract: string,
+    tokenId: bigint
+  ];
+  export interface OutputObject {
+    submissionId: bigint;
+    taskId: bigint;
+    nftContract: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TaskUpdatedEvent {
+  export type InputTuple = [taskId: BigNumberish];
+  export type OutputTuple = [taskId: bigint];
+  export interface OutputObject {
+    taskId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxAgentMiniGame extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxAgentMiniGame;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxAgentMiniGameInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEPOSITOR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  VALIDATOR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  agentGameXP: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  agentRegistry: TypedContractMethod<[], [string], "view">;
+
+  agentTaskCompletions: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish, arg2: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  claimReward: TypedContractMethod<
+    [submissionId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  createTask: TypedContractMethod<
+    [p: NuxAgentMiniGame.CreateTaskParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+
+  dailyStreak: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  defaultValidator: TypedContractMethod<[], [string], "view">;
+
+  depositRewards: TypedContractMethod<[], [void], "payable">;
+
+  getAgentGameStats: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getAgentStreak: TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { streak: bigint; lastDay: bigint }],
+    "view"
+  >;
+
+  getAgentSubmissions: TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [bigint[], NuxAgentMiniGame.TaskSubmissionStructOutput[], bigint] & {
+        submissionIds: bigint[];
+        agentSubmissions: NuxAgentMiniGame.TaskSubmissionStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSubmission: TypedContractMethod<
+    [submissionId: BigNumberish],
+    [NuxAgentMiniGame.TaskSubmissionStructOutput],
+    "view"
+  >;
+
+  getTask: TypedContractMethod<
+    [taskId: BigNumberish],
+    [NuxAgentMiniGame.TaskStructOutput],
+    "view"
+  >;
+
+  getTaskStatus: TypedContractMethod<
+    [taskId: BigNumberish],
+    [NuxAgentMiniGame.TaskStatusViewStructOutput],
+    "view"
+  >;
+
+  getUserRewardSummary: TypedContractMethod<
+    [user: AddressLike],
+    [NuxAgentMiniGame.RewardSummaryStructOutput],
+    "view"
+  >;
+
+  getUserSubmissions: TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [bigint[], NuxAgentMiniGame.TaskSubmissionStructOutput[], bigint] & {
+        submissionIds: bigint[];
+        userSubmissions: NuxAgentMiniGame.TaskSubmissionStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      admin_: AddressLike,
+      agentRegistry_: AddressLike,
+      defaultValidator_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  lastDailyDay: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  miniGameFeeBps: TypedContractMethod<[], [bigint], "view">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  rewardPool: TypedContractMethod<[], [bigint], "view">;
+
+  setAgentRegistry: TypedContractMethod<
+    [registry_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setDefaultValidator: TypedContractMethod<
+    [validator_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMiniGameFee: TypedContractMethod<
+    [feeBps_: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setPaused: TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+
+  setSupportedNFTContract: TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setTaskActive: TypedContractMethod<
+    [taskId: BigNumberish, active_: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [tm_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  submissionCounter: TypedContractMethod<[], [bigint], "view">;
+
+  submissions: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        string,
+        bigint,
+        string,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string
+      ] & {
+        taskId: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        submitter: string;
+        resultURI: string;
+        resultHash: string;
+        status: bigint;
+        submittedAt: bigint;
+        resolvedAt: bigint;
+        rewardClaimed: boolean;
+        registryRequestHash: string;
+      }
+    ],
+    "view"
+  >;
+
+  submitTask: TypedContractMethod<
+    [
+      taskId: BigNumberish,
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      resultURI: string,
+      resultHash: BytesLike
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  supportedNFTContracts: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  taskCounter: TypedContractMethod<[], [bigint], "view">;
+
+  tasks: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        boolean,
+        bigint,
+        bigint
+      ] & {
+        metadataURI: string;
+        taskType: bigint;
+        xpReward: bigint;
+        tokenReward: bigint;
+        requiredMinReputation: bigint;
+        maxCompletionsPerAgent: bigint;
+        totalMaxCompletions: bigint;
+        totalCompletions: bigint;
+        validationRequired: boolean;
+        active: boolean;
+        startTime: bigint;
+        deadline: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userMissionXP: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  validateSubmission: TypedContractMethod<
+    [submissionId: BigNumberish, approved: boolean, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  withdrawRewardPool: TypedContractMethod<
+    [amount: BigNumberish, recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEPOSITOR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "VALIDATOR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "agentGameXP"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "agentRegistry"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "agentTaskCompletions"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish, arg2: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimReward"
+  ): TypedContractMethod<[submissionId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "createTask"
+  ): TypedContractMethod<
+    [p: NuxAgentMiniGame.CreateTaskParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "dailyStreak"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "defaultValidator"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "depositRewards"
+  ): TypedContractMethod<[], [void], "payable">;
+  getFunction(
+    nameOrSignature: "getAgentGameStats"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentStreak"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[bigint, bigint] & { streak: bigint; lastDay: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentSubmissions"
+  ): TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [bigint[], NuxAgentMiniGame.TaskSubmissionStructOutput[], bigint] & {
+        submissionIds: bigint[];
+        agentSubmissions: NuxAgentMiniGame.TaskSubmissionStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSubmission"
+  ): TypedContractMethod<
+    [submissionId: BigNumberish],
+    [NuxAgentMiniGame.TaskSubmissionStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTask"
+  ): TypedContractMethod<
+    [taskId: BigNumberish],
+    [NuxAgentMiniGame.TaskStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTaskStatus"
+  ): TypedContractMethod<
+    [taskId: BigNumberish],
+    [NuxAgentMiniGame.TaskStatusViewStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserRewardSummary"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [NuxAgentMiniGame.RewardSummaryStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSubmissions"
+  ): TypedContractMethod<
+    [user: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [bigint[], NuxAgentMiniGame.TaskSubmissionStructOutput[], bigint] & {
+        submissionIds: bigint[];
+        userSubmissions: NuxAgentMiniGame.TaskSubmissionStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      admin_: AddressLike,
+      agentRegistry_: AddressLike,
+      defaultValidator_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "lastDailyDay"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "miniGameFeeBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "rewardPool"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "setAgentRegistry"
+  ): TypedContractMethod<[registry_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setDefaultValidator"
+  ): TypedContractMethod<[validator_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMiniGameFee"
+  ): TypedContractMethod<[feeBps_: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPaused"
+  ): TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSupportedNFTContract"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTaskActive"
+  ): TypedContractMethod<
+    [taskId: BigNumberish, active_: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[tm_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "submissionCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "submissions"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        string,
+        bigint,
+        string,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string
+      ] & {
+        taskId: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        submitter: string;
+        resultURI: string;
+        resultHash: string;
+        status: bigint;
+        submittedAt: bigint;
+        resolvedAt: bigint;
+        rewardClaimed: boolean;
+        registryRequestHash: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "submitTask"
+  ): TypedContractMethod<
+    [
+      taskId: BigNumberish,
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      resultURI: string,
+      resultHash: BytesLike
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "supportedNFTContracts"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "taskCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "tasks"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        boolean,
+        bigint,
+        bigint
+      ] & {
+        metadataURI: string;
+        taskType: bigint;
+        xpReward: bigint;
+        tokenReward: bigint;
+        requiredMinReputation: bigint;
+        maxCompletionsPerAgent: bigint;
+        totalMaxCompletions: bigint;
+        totalCompletions: bigint;
+        validationRequired: boolean;
+        active: boolean;
+        startTime: bigint;
+        deadline: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userMissionXP"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "validateSubmission"
+  ): TypedContractMethod<
+    [submissionId: BigNumberish, approved: boolean, reason: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "withdrawRewardPool"
+  ): TypedContractMethod<
+    [amount: BigNumberish, recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DailyStreakUpdated"
+  ): TypedContractEvent<
+    DailyStreakUpdatedEvent.InputTuple,
+    DailyStreakUpdatedEvent.OutputTuple,
+    DailyStreakUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LeaderboardXPUpdated"
+  ): TypedContractEvent<
+    LeaderboardXPUpdatedEvent.InputTuple,
+    LeaderboardXPUpdatedEvent.OutputTuple,
+    LeaderboardXPUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "MiniGameFeeCollected"
+  ): TypedContractEvent<
+    MiniGameFeeCollectedEvent.InputTuple,
+    MiniGameFeeCollectedEvent.OutputTuple,
+    MiniGameFeeCollectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardClaimed"
+  ): TypedContractEvent<
+    RewardClaimedEvent.InputTuple,
+    RewardClaimedEvent.OutputTuple,
+    RewardClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardPoolDeposited"
+  ): TypedContractEvent<
+    RewardPoolDepositedEvent.InputTuple,
+    RewardPoolDepositedEvent.OutputTuple,
+    RewardPoolDepositedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardPoolWithdrawn"
+  ): TypedContractEvent<
+    RewardPoolWithdrawnEvent.InputTuple,
+    RewardPoolWithdrawnEvent.OutputTuple,
+    RewardPoolWithdrawnEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SubmissionApproved"
+  ): TypedContractEvent<
+    SubmissionApprovedEvent.InputTuple,
+    SubmissionApprovedEvent.OutputTuple,
+    SubmissionApprovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SubmissionRejected"
+  ): TypedContractEvent<
+    SubmissionRejectedEvent.InputTuple,
+    SubmissionRejectedEvent.OutputTuple,
+    SubmissionRejectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SupportedNFTContractUpdated"
+  ): TypedContractEvent<
+    SupportedNFTContractUpdatedEvent.InputTuple,
+    SupportedNFTContractUpdatedEvent.OutputTuple,
+    SupportedNFTContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TaskCreated"
+  ): TypedContractEvent<
+    TaskCreatedEvent.InputTuple,
+    TaskCreatedEvent.OutputTuple,
+    TaskCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TaskSubmitted"
+  ): TypedContractEvent<
+    TaskSubmittedEvent.InputTuple,
+    TaskSubmittedEvent.OutputTuple,
+    TaskSubmittedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TaskUpdated"
+  ): TypedContractEvent<
+    TaskUpdatedEvent.InputTuple,
+    TaskUpdatedEvent.OutputTuple,
+    TaskUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "DailyStreakUpdated(address,uint256,uint256)": TypedContractEvent<
+      DailyStreakUpdatedEvent.InputTuple,
+      DailyStreakUpdatedEvent.OutputTuple,
+      DailyStreakUpdatedEvent.OutputObject
+    >;
+    DailyStreakUpdated: TypedContractEvent<
+      DailyStreakUpdatedEvent.InputTuple,
+      DailyStreakUpdatedEvent.OutputTuple,
+      DailyStreakUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LeaderboardXPUpdated(address,uint256,address,uint256)": TypedContractEvent<
+      LeaderboardXPUpdatedEvent.InputTuple,
+      LeaderboardXPUpdatedEvent.OutputTuple,
+      LeaderboardXPUpdatedEvent.OutputObject
+    >;
+    LeaderboardXPUpdated: TypedContractEvent<
+      LeaderboardXPUpdatedEvent.InputTuple,
+      LeaderboardXPUpdatedEvent.OutputTuple,
+      LeaderboardXPUpdatedEvent.OutputObject
+    >;
+
+    "MiniGameFeeCollected(uint256,uint256)": TypedContractEvent<
+      MiniGameFeeCollectedEvent.InputTuple,
+      MiniGameFeeCollectedEvent.OutputTuple,
+      MiniGameFeeCollectedEvent.OutputObject
+    >;
+    MiniGameFeeCollected: TypedContractEvent<
+      MiniGameFeeCollectedEvent.InputTuple,
+      MiniGameFeeCollectedEvent.OutputTuple,
+      MiniGameFeeCollectedEvent.OutputObject
+    >;
+
+    "RewardClaimed(uint256,address,uint256)": TypedContractEvent<
+      RewardClaimedEvent.InputTuple,
+      RewardClaimedEvent.OutputTuple,
+      RewardClaimedEvent.OutputObject
+    >;
+    RewardClaimed: TypedContractEvent<
+      RewardClaimedEvent.InputTuple,
+      RewardClaimedEvent.OutputTuple,
+      RewardClaimedEvent.OutputObject
+    >;
+
+    "RewardPoolDeposited(uint256,address)": TypedContractEvent<
+      RewardPoolDepositedEvent.InputTuple,
+      RewardPoolDepositedEvent.OutputTuple,
+      RewardPoolDepositedEvent.OutputObject
+    >;
+    RewardPoolDeposited: TypedContractEvent<
+      RewardPoolDepositedEvent.InputTuple,
+      RewardPoolDepositedEvent.OutputTuple,
+      RewardPoolDepositedEvent.OutputObject
+    >;
+
+    "RewardPoolWithdrawn(uint256,address)": TypedContractEvent<
+      RewardPoolWithdrawnEvent.InputTuple,
+      RewardPoolWithdrawnEvent.OutputTuple,
+      RewardPoolWithdrawnEvent.OutputObject
+    >;
+    RewardPoolWithdrawn: TypedContractEvent<
+      RewardPoolWithdrawnEvent.InputTuple,
+      RewardPoolWithdrawnEvent.OutputTuple,
+      RewardPoolWithdrawnEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SubmissionApproved(uint256,address,uint256,uint256)": TypedContractEvent<
+      SubmissionApprovedEvent.InputTuple,
+      SubmissionApprovedEvent.OutputTuple,
+      SubmissionApprovedEvent.OutputObject
+    >;
+    SubmissionApproved: TypedContractEvent<
+      SubmissionApprovedEvent.InputTuple,
+      SubmissionApprovedEvent.OutputTuple,
+      SubmissionApprovedEvent.OutputObject
+    >;
+
+    "SubmissionRejected(uint256,address,string)": TypedContractEvent<
+      SubmissionRejectedEvent.InputTuple,
+      SubmissionRejectedEvent.OutputTuple,
+      SubmissionRejectedEvent.OutputObject
+    >;
+    SubmissionRejected: TypedContractEvent<
+      SubmissionRejectedEvent.InputTuple,
+      SubmissionRejectedEvent.OutputTuple,
+      SubmissionRejectedEvent.OutputObject
+    >;
+
+    "SupportedNFTContractUpdated(address,bool)": TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+    SupportedNFTContractUpdated: TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+
+    "TaskCreated(uint256,string,uint8,uint256,uint256)": TypedContractEvent<
+      TaskCreatedEvent.InputTuple,
+      TaskCreatedEvent.OutputTuple,
+      TaskCreatedEvent.OutputObject
+    >;
+    TaskCreated: TypedContractEvent<
+      TaskCreatedEvent.InputTuple,
+      TaskCreatedEvent.OutputTuple,
+      TaskCreatedEvent.OutputObject
+    >;
+
+    "TaskSubmitted(uint256,uint256,address,uint256)": TypedContractEvent<
+      TaskSubmittedEvent.InputTuple,
+      TaskSubmittedEvent.OutputTuple,
+      TaskSubmittedEvent.OutputObject
+    >;
+    TaskSubmitted: TypedContractEvent<
+      TaskSubmittedEvent.InputTuple,
+      TaskSubmittedEvent.OutputTuple,
+      TaskSubmittedEvent.OutputObject
+    >;
+
+    "TaskUpdated(uint256)": TypedContractEvent<
+      TaskUpdatedEvent.InputTuple,
+      TaskUpdatedEvent.OutputTuple,
+      TaskUpdatedEvent.OutputObject
+    >;
+    TaskUpdated: TypedContractEvent<
+      TaskUpdatedEvent.InputTuple,
+      TaskUpdatedEvent.OutputTuple,
+      TaskUpdatedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
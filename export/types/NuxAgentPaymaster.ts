@@ -0,0 +1,1459 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxAgentPaymaster {
+  export type AgentBudgetStatusStruct = {
+    balance: BigNumberish;
+    nextNonce: BigNumberish;
+    dailyLimit: BigNumberish;
+    perTaskLimit: BigNumberish;
+    spentToday: BigNumberish;
+    remainingDailyBudget: BigNumberish;
+    dayReset: BigNumberish;
+  };
+
+  export type AgentBudgetStatusStructOutput = [
+    balance: bigint,
+    nextNonce: bigint,
+    dailyLimit: bigint,
+    perTaskLimit: bigint,
+    spentToday: bigint,
+    remainingDailyBudget: bigint,
+    dayReset: bigint
+  ] & {
+    balance: bigint;
+    nextNonce: bigint;
+    dailyLimit: bigint;
+    perTaskLimit: bigint;
+    spentToday: bigint;
+    remainingDailyBudget: bigint;
+    dayReset: bigint;
+  };
+
+  export type PaymentAuthorizationStruct = {
+    nftContract: AddressLike;
+    tokenId: BigNumberish;
+    provider: AddressLike;
+    maxAmount: BigNumberish;
+    resourceURI: string;
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+    executed: boolean;
+    revoked: boolean;
+  };
+
+  export type PaymentAuthorizationStructOutput = [
+    nftContract: string,
+    tokenId: bigint,
+    provider: string,
+    maxAmount: bigint,
+    resourceURI: string,
+    nonce: bigint,
+    deadline: bigint,
+    executed: boolean,
+    revoked: boolean
+  ] & {
+    nftContract: string;
+    tokenId: bigint;
+    provider: string;
+    maxAmount: bigint;
+    resourceURI: string;
+    nonce: bigint;
+    deadline: bigint;
+    executed: boolean;
+    revoked: boolean;
+  };
+}
+
+export interface NuxAgentPaymasterInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "AUTHORIZATION_TYPEHASH"
+      | "DEFAULT_ADMIN_ROLE"
+      | "DOMAIN_SEPARATOR"
+      | "UPGRADER_ROLE"
+      | "agentBalances"
+      | "agentNonces"
+      | "authorizations"
+      | "createAuthorization"
+      | "depositForAgent"
+      | "executePayment"
+      | "feeCollector"
+      | "getAgentBalance"
+      | "getAgentBudgetStatus"
+      | "getAuthorization"
+      | "getNextNonce"
+      | "getRoleAdmin"
+      | "getSpendingPolicy"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "isAuthorizationValid"
+      | "protocolFeeBps"
+      | "proxiableUUID"
+      | "renounceRole"
+      | "revokeAuthorization"
+      | "revokeRole"
+      | "setFeeCollector"
+      | "setProtocolFee"
+      | "setSpendingPolicy"
+      | "spendingPolicies"
+      | "supportsInterface"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "withdrawAgentBalance"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentFunded"
+      | "AgentWithdrawal"
+      | "AuthorizationCreated"
+      | "AuthorizationRevoked"
+      | "BeaconUpgraded"
+      | "Initialized"
+      | "PaymentExecuted"
+      | "PaymentReceipt"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SpendingPolicyUpdated"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "AUTHORIZATION_TYPEHASH",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DOMAIN_SEPARATOR",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentBalances",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentNonces",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizations",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createAuthorization",
+    values: [
+      AddressLike,
+      BigNumberish,
+      AddressLike,
+      BigNumberish,
+      string,
+      BigNumberish,
+      BytesLike
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositForAgent",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "executePayment",
+    values: [BytesLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "feeCollector",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentBalance",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentBudgetStatus",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAuthorization",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNextNonce",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSpendingPolicy",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isAuthorizationValid",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "protocolFeeBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeAuthorization",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setFeeCollector",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setProtocolFee",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSpendingPolicy",
+    values: [
+      AddressLike,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      AddressLike[]
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "spendingPolicies",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawAgentBalance",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "AUTHORIZATION_TYPEHASH",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DOMAIN_SEPARATOR",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentBalances",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentNonces",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createAuthorization",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositForAgent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "executePayment",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "feeCollector",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentBudgetStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAuthorization",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNextNonce",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSpendingPolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isAuthorizationValid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "protocolFeeBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revokeAuthorization",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setFeeCollector",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setProtocolFee",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSpendingPolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "spendingPolicies",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawAgentBalance",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentFundedEvent {
+  export type InputTuple = [
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish,
+    depositor: AddressLike
+  ];
+  export type OutputTuple = [
+    nftContract: string,
+    tokenId: bigint,
+    amount: bigint,
+    depositor: string
+  ];
+  export interface OutputObject {
+    nftContract: string;
+    tokenId: bigint;
+    amount: bigint;
+    depositor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentWithdrawalEvent {
+  export type InputTuple = [
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish,
+    recipient: AddressLike
+  ];
+  export type OutputTuple = [
+    nftContract: string,
+    tokenId: bigint,
+    amount: bigint,
+    recipient: string
+  ];
+  export interface OutputObject {
+    nftContract: string;
+    tokenId: bigint;
+    amount: bigint;
+    recipient: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuthorizationCreatedEvent {
+  export type InputTuple = [
+    authId: BytesLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    provider: AddressLike,
+    maxAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    authId: string,
+    nftContract: string,
+    tokenId: bigint,
+    provider: string,
+    maxAmount: bigint
+  ];
+  export interface OutputObject {
+    authId: string;
+    nftContract: string;
+    tokenId: bigint;
+    provider: string;
+    maxAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuthorizationRevokedEvent {
+  export type InputTuple = [authId: BytesLike];
+  export type OutputTuple = [authId: string];
+  export interface OutputObject {
+    authId: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PaymentExecutedEvent {
+  export type InputTuple = [
+    authId: BytesLike,
+    provider: AddressLike,
+    amount: BigNumberish,
+    resourceURI: string
+  ];
+  export type OutputTuple = [
+    authId: string,
+    provider: string,
+    amount: bigint,
+    resourceURI: string
+  ];
+  export interface OutputObject {
+    authId: string;
+    provider: string;
+    amount: bigint;
+    resourceURI: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PaymentReceiptEvent {
+  export type InputTuple = [
+    receiptHash: BytesLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    provider: AddressLike,
+    amount: BigNumberish,
+    resourceURI: string,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    receiptHash: string,
+    nftContract: string,
+    tokenId: bigint,
+    provider: string,
+    amount: bigint,
+    resourceURI: string,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    receiptHash: string;
+    nftContract: string;
+    tokenId: bigint;
+    provider: string;
+    amount: bigint;
+    resourceURI: string;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SpendingPolicyUpdatedEvent {
+  export type InputTuple = [nftContract: AddressLike, tokenId: BigNumberish];
+  export type OutputTuple = [nftContract: string, tokenId: bigint];
+  export interface OutputObject {
+    nftContract: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxAgentPaymaster extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxAgentPaymaster;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxAgentPaymasterInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  AUTHORIZATION_TYPEHASH: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DOMAIN_SEPARATOR: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  agentBalances: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  agentNonces: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  authorizations: TypedContractMethod<
+    [arg0: BytesLike],
+    [
+      [
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        boolean
+      ] & {
+        nftContract: string;
+        tokenId: bigint;
+        provider: string;
+        maxAmount: bigint;
+        resourceURI: string;
+        nonce: bigint;
+        deadline: bigint;
+        executed: boolean;
+        revoked: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  createAuthorization: TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      provider: AddressLike,
+      maxAmount: BigNumberish,
+      resourceURI: string,
+      deadline: BigNumberish,
+      signature: BytesLike
+    ],
+    [string],
+    "nonpayable"
+  >;
+
+  depositForAgent: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  executePayment: TypedContractMethod<
+    [authId: BytesLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  feeCollector: TypedContractMethod<[], [string], "view">;
+
+  getAgentBalance: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getAgentBudgetStatus: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [NuxAgentPaymaster.AgentBudgetStatusStructOutput],
+    "view"
+  >;
+
+  getAuthorization: TypedContractMethod<
+    [authId: BytesLike],
+    [NuxAgentPaymaster.PaymentAuthorizationStructOutput],
+    "view"
+  >;
+
+  getNextNonce: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSpendingPolicy: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, string[]] & {
+        dailyLimit: bigint;
+        perTaskLimit: bigint;
+        spentToday: bigint;
+        dayReset: bigint;
+        allowedProviders: string[];
+      }
+    ],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [admin_: AddressLike, feeCollector_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  isAuthorizationValid: TypedContractMethod<
+    [authId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  protocolFeeBps: TypedContractMethod<[], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeAuthorization: TypedContractMethod<
+    [authId: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setFeeCollector: TypedContractMethod<[fc: AddressLike], [void], "nonpayable">;
+
+  setProtocolFee: TypedContractMethod<
+    [feeBps: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setSpendingPolicy: TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      dailyLimit: BigNumberish,
+      perTaskLimit: BigNumberish,
+      allowedProviders: AddressLike[]
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  spendingPolicies: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        dailyLimit: bigint;
+        perTaskLimit: bigint;
+        spentToday: bigint;
+        dayReset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  withdrawAgentBalance: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "AUTHORIZATION_TYPEHASH"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DOMAIN_SEPARATOR"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "agentBalances"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "agentNonces"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "authorizations"
+  ): TypedContractMethod<
+    [arg0: BytesLike],
+    [
+      [
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        boolean
+      ] & {
+        nftContract: string;
+        tokenId: bigint;
+        provider: string;
+        maxAmount: bigint;
+        resourceURI: string;
+        nonce: bigint;
+        deadline: bigint;
+        executed: boolean;
+        revoked: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "createAuthorization"
+  ): TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      provider: AddressLike,
+      maxAmount: BigNumberish,
+      resourceURI: string,
+      deadline: BigNumberish,
+      signature: BytesLike
+    ],
+    [string],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositForAgent"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "executePayment"
+  ): TypedContractMethod<
+    [authId: BytesLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "feeCollector"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getAgentBalance"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentBudgetStatus"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [NuxAgentPaymaster.AgentBudgetStatusStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAuthorization"
+  ): TypedContractMethod<
+    [authId: BytesLike],
+    [NuxAgentPaymaster.PaymentAuthorizationStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNextNonce"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSpendingPolicy"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, string[]] & {
+        dailyLimit: bigint;
+        perTaskLimit: bigint;
+        spentToday: bigint;
+        dayReset: bigint;
+        allowedProviders: string[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [admin_: AddressLike, feeCollector_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "isAuthorizationValid"
+  ): TypedContractMethod<[authId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "protocolFeeBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeAuthorization"
+  ): TypedContractMethod<[authId: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setFeeCollector"
+  ): TypedContractMethod<[fc: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setProtocolFee"
+  ): TypedContractMethod<[feeBps: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSpendingPolicy"
+  ): TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      dailyLimit: BigNumberish,
+      perTaskLimit: BigNumberish,
+      allowedProviders: AddressLike[]
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "spendingPolicies"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        dailyLimit: bigint;
+        perTaskLimit: bigint;
+        spentToday: bigint;
+        dayReset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "withdrawAgentBalance"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentFunded"
+  ): TypedContractEvent<
+    AgentFundedEvent.InputTuple,
+    AgentFundedEvent.OutputTuple,
+    AgentFundedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentWithdrawal"
+  ): TypedContractEvent<
+    AgentWithdrawalEvent.InputTuple,
+    AgentWithdrawalEvent.OutputTuple,
+    AgentWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuthorizationCreated"
+  ): TypedContractEvent<
+    AuthorizationCreatedEvent.InputTuple,
+    AuthorizationCreatedEvent.OutputTuple,
+    AuthorizationCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuthorizationRevoked"
+  ): TypedContractEvent<
+    AuthorizationRevokedEvent.InputTuple,
+    AuthorizationRevokedEvent.OutputTuple,
+    AuthorizationRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PaymentExecuted"
+  ): TypedContractEvent<
+    PaymentExecutedEvent.InputTuple,
+    PaymentExecutedEvent.OutputTuple,
+    PaymentExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PaymentReceipt"
+  ): TypedContractEvent<
+    PaymentReceiptEvent.InputTuple,
+    PaymentReceiptEvent.OutputTuple,
+    PaymentReceiptEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SpendingPolicyUpdated"
+  ): TypedContractEvent<
+    SpendingPolicyUpdatedEvent.InputTuple,
+    SpendingPolicyUpdatedEvent.OutputTuple,
+    SpendingPolicyUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentFunded(address,uint256,uint256,address)": TypedContractEvent<
+      AgentFundedEvent.InputTuple,
+      AgentFundedEvent.OutputTuple,
+      AgentFundedEvent.OutputObject
+    >;
+    AgentFunded: TypedContractEvent<
+      AgentFundedEvent.InputTuple,
+      AgentFundedEvent.OutputTuple,
+      AgentFundedEvent.OutputObject
+    >;
+
+    "AgentWithdrawal(address,uint256,uint256,address)": TypedContractEvent<
+      AgentWithdrawalEvent.InputTuple,
+      AgentWithdrawalEvent.OutputTuple,
+      AgentWithdrawalEvent.OutputObject
+    >;
+    AgentWithdrawal: TypedContractEvent<
+      AgentWithdrawalEvent.InputTuple,
+      AgentWithdrawalEvent.OutputTuple,
+      AgentWithdrawalEvent.OutputObject
+    >;
+
+    "AuthorizationCreated(bytes32,address,uint256,address,uint256)": TypedContractEvent<
+      AuthorizationCreatedEvent.InputTuple,
+      AuthorizationCreatedEvent.OutputTuple,
+      AuthorizationCreatedEvent.OutputObject
+    >;
+    AuthorizationCreated: TypedContractEvent<
+      AuthorizationCreatedEvent.InputTuple,
+      AuthorizationCreatedEvent.OutputTuple,
+      AuthorizationCreatedEvent.OutputObject
+    >;
+
+    "AuthorizationRevoked(bytes32)": TypedContractEvent<
+      AuthorizationRevokedEvent.InputTuple,
+      AuthorizationRevokedEvent.OutputTuple,
+      AuthorizationRevokedEvent.OutputObject
+    >;
+    AuthorizationRevoked: TypedContractEvent<
+      AuthorizationRevokedEvent.InputTuple,
+      AuthorizationRevokedEvent.OutputTuple,
+      AuthorizationRevokedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "PaymentExecuted(bytes32,address,uint256,string)": TypedContractEvent<
+      PaymentExecutedEvent.InputTuple,
+      PaymentExecutedEvent.OutputTuple,
+      PaymentExecutedEvent.OutputObject
+    >;
+    PaymentExecuted: TypedContractEvent<
+      PaymentExecutedEvent.InputTuple,
+      PaymentExecutedEvent.OutputTuple,
+      PaymentExecutedEvent.OutputObject
+    >;
+
+    "PaymentReceipt(bytes32,address,uint256,address,uint256,string,uint256)": TypedContractEvent<
+      PaymentReceiptEvent.InputTuple,
+      PaymentReceiptEvent.OutputTuple,
+      PaymentReceiptEvent.OutputObject
+    >;
+    PaymentReceipt: TypedContractEvent<
+      PaymentReceiptEvent.InputTuple,
+      PaymentReceiptEvent.OutputTuple,
+      PaymentReceiptEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SpendingPolicyUpdated(address,uint256)": TypedContractEvent<
+      SpendingPolicyUpdatedEvent.InputTuple,
+      SpendingPolicyUpdatedEvent.OutputTuple,
+      SpendingPolicyUpdatedEvent.OutputObject
+    >;
+    SpendingPolicyUpdated: TypedContractEvent<
+      SpendingPolicyUpdatedEvent.InputTuple,
+      SpendingPolicyUpdatedEvent.OutputTuple,
+      SpendingPolicyUpdatedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1864 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxAgentRegistry {
+  export type AgentOperationalProfileStruct = {
+    agentWallet: AddressLike;
+    totalTasksRun: BigNumberish;
+    totalRevenueEarned: BigNumberish;
+    spendingLimitDaily: BigNumberish;
+    spentToday: BigNumberish;
+    spentDayReset: BigNumberish;
+    x402Enabled: boolean;
+    mcpEndpoint: string;
+    a2aEndpoint: string;
+    currentReputationScore: BigNumberish;
+    clientCount: BigNumberish;
+    validationCount: BigNumberish;
+  };
+
+  export type AgentOperationalProfileStructOutput = [
+    agentWallet: string,
+    totalTasksRun: bigint,
+    totalRevenueEarned: bigint,
+    spendingLimitDaily: bigint,
+    spentToday: bigint,
+    spentDayReset: bigint,
+    x402Enabled: boolean,
+    mcpEndpoint: string,
+    a2aEndpoint: string,
+    currentReputationScore: bigint,
+    clientCount: bigint,
+    validationCount: bigint
+  ] & {
+    agentWallet: string;
+    totalTasksRun: bigint;
+    totalRevenueEarned: bigint;
+    spendingLimitDaily: bigint;
+    spentToday: bigint;
+    spentDayReset: bigint;
+    x402Enabled: boolean;
+    mcpEndpoint: string;
+    a2aEndpoint: string;
+    currentReputationScore: bigint;
+    clientCount: bigint;
+    validationCount: bigint;
+  };
+
+  export type FeedbackRecordStruct = {
+    clientAddress: AddressLike;
+    value: BigNumberish;
+    valueDecimals: BigNumberish;
+    tag1: string;
+    tag2: string;
+    isRevoked: boolean;
+    timestamp: BigNumberish;
+  };
+
+  export type FeedbackRecordStructOutput = [
+    clientAddress: string,
+    value: bigint,
+    valueDecimals: bigint,
+    tag1: string,
+    tag2: string,
+    isRevoked: boolean,
+    timestamp: bigint
+  ] & {
+    clientAddress: string;
+    value: bigint;
+    valueDecimals: bigint;
+    tag1: string;
+    tag2: string;
+    isRevoked: boolean;
+    timestamp: bigint;
+  };
+}
+
+export interface NuxAgentRegistryInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "GAME_ROLE"
+      | "UPGRADER_ROLE"
+      | "VALIDATOR_ROLE"
+      | "agentMetadata"
+      | "authorizeSpend"
+      | "configureAgent"
+      | "getAgentOperationalProfile"
+      | "getAgentValidations"
+      | "getAgentWallet"
+      | "getClientFeedbackPage"
+      | "getClients"
+      | "getFeedbackStats"
+      | "getLastIndex"
+      | "getMetadata"
+      | "getRoleAdmin"
+      | "getSummary"
+      | "getValidationStatus"
+      | "getValidatorRequests"
+      | "giveFeedback"
+      | "grantGameRole"
+      | "grantRole"
+      | "grantValidatorRole"
+      | "hasRole"
+      | "initialize"
+      | "proxiableUUID"
+      | "readFeedback"
+      | "recordTaskExecution"
+      | "registerNFTContract"
+      | "registerNFTContractWithList"
+      | "registeredNFTContracts"
+      | "renounceRole"
+      | "reputationScore"
+      | "revokeFeedback"
+      | "revokeRole"
+      | "setAgentWallet"
+      | "setMetadata"
+      | "supportsInterface"
+      | "unsetAgentWallet"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "validationRequest"
+      | "validationResponse"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentMetadataSet"
+      | "AgentWalletCleared"
+      | "AgentWalletSet"
+      | "BeaconUpgraded"
+      | "FeedbackRevoked"
+      | "Initialized"
+      | "NFTContractRegistered"
+      | "NewFeedback"
+      | "ResponseAppended"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SpendingLimitUpdated"
+      | "TaskExecutionRecorded"
+      | "Upgraded"
+      | "ValidationRequest"
+      | "ValidationResponse"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "GAME_ROLE", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "VALIDATOR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizeSpend",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "configureAgent",
+    values: [BigNumberish, BigNumberish, boolean, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentOperationalProfile",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentValidations",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAgentWallet",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getClientFeedbackPage",
+    values: [BigNumberish, AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getClients",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getFeedbackStats",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLastIndex",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMetadata",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSummary",
+    values: [BigNumberish, AddressLike[], string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getValidationStatus",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getValidatorRequests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "giveFeedback",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      string,
+      string,
+      string,
+      BytesLike
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantGameRole",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantValidatorRole",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "readFeedback",
+    values: [BigNumberish, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordTaskExecution",
+    values: [BigNumberish, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerNFTContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerNFTContractWithList",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registeredNFTContracts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reputationScore",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeFeedback",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentWallet",
+    values: [BigNumberish, AddressLike, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMetadata",
+    values: [BigNumberish, string, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unsetAgentWallet",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validationRequest",
+    values: [AddressLike, BigNumberish, string, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validationResponse",
+    values: [BytesLike, BigNumberish, string, BytesLike, string]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "GAME_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "VALIDATOR_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizeSpend",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "configureAgent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentOperationalProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentValidations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAgentWallet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getClientFeedbackPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getClients", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getFeedbackStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLastIndex",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getSummary", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getValidationStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getValidatorRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "giveFeedback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "grantGameRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "grantValidatorRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "readFeedback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordTaskExecution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerNFTContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerNFTContractWithList",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registeredNFTContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reputationScore",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revokeFeedback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentWallet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "unsetAgentWallet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validationRequest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validationResponse",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentMetadataSetEvent {
+  export type InputTuple = [
+    agentId: BigNumberish,
+    metadataKey: string,
+    metadataValue: BytesLike
+  ];
+  export type OutputTuple = [
+    agentId: bigint,
+    metadataKey: string,
+    metadataValue: string
+  ];
+  export interface OutputObject {
+    agentId: bigint;
+    metadataKey: string;
+    metadataValue: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentWalletClearedEvent {
+  export type InputTuple = [agentId: BigNumberish];
+  export type OutputTuple = [agentId: bigint];
+  export interface OutputObject {
+    agentId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentWalletSetEvent {
+  export type InputTuple = [agentId: BigNumberish, newWallet: AddressLike];
+  export type OutputTuple = [agentId: bigint, newWallet: string];
+  export interface OutputObject {
+    agentId: bigint;
+    newWallet: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FeedbackRevokedEvent {
+  export type InputTuple = [
+    agentId: BigNumberish,
+    clientAddress: AddressLike,
+    feedbackIndex: BigNumberish
+  ];
+  export type OutputTuple = [
+    agentId: bigint,
+    clientAddress: string,
+    feedbackIndex: bigint
+  ];
+  export interface OutputObject {
+    agentId: bigint;
+    clientAddress: string;
+    feedbackIndex: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NFTContractRegisteredEvent {
+  export type InputTuple = [nftContract: AddressLike];
+  export type OutputTuple = [nftContract: string];
+  export interface OutputObject {
+    nftContract: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NewFeedbackEvent {
+  export type InputTuple = [
+    agentId: BigNumberish,
+    clientAddress: AddressLike,
+    feedbackIndex: BigNumberish,
+    value: BigNumberish,
+    valueDecimals: BigNumberish,
+    tag1: string,
+    tag2: string
+  ];
+  export type OutputTuple = [
+    agentId: bigint,
+    clientAddress: string,
+    feedbackIndex: bigint,
+    value: bigint,
+    valueDecimals: bigint,
+    tag1: string,
+    tag2: string
+  ];
+  export interface OutputObject {
+    agentId: bigint;
+    clientAddress: string;
+    feedbackIndex: bigint;
+    value: bigint;
+    valueDecimals: bigint;
+    tag1: string;
+    tag2: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ResponseAppendedEvent {
+  export type InputTuple = [
+    agentId: BigNumberish,
+    clientAddress: AddressLike,
+    feedbackIndex: BigNumberish,
+    responder: AddressLike
+  ];
+  export type OutputTuple = [
+    agentId: bigint,
+    clientAddress: string,
+    feedbackIndex: bigint,
+    responder: string
+  ];
+  export interface OutputObject {
+    agentId: bigint;
+    clientAddress: string;
+    feedbackIndex: bigint;
+    responder: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SpendingLimitUpdatedEvent {
+  export type InputTuple = [agentId: BigNumberish, newDailyLimit: BigNumberish];
+  export type OutputTuple = [agentId: bigint, newDailyLimit: bigint];
+  export interface OutputObject {
+    agentId: bigint;
+    newDailyLimit: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TaskExecutionRecordedEvent {
+  export type InputTuple = [
+    agentId: BigNumberish,
+    executor: AddressLike,
+    rewardPaid: BigNumberish
+  ];
+  export type OutputTuple = [
+    agentId: bigint,
+    executor: string,
+    rewardPaid: bigint
+  ];
+  export interface OutputObject {
+    agentId: bigint;
+    executor: string;
+    rewardPaid: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidationRequestEvent {
+  export type InputTuple = [
+    validatorAddress: AddressLike,
+    agentId: BigNumberish,
+    requestURI: string,
+    requestHash: BytesLike
+  ];
+  export type OutputTuple = [
+    validatorAddress: string,
+    agentId: bigint,
+    requestURI: string,
+    requestHash: string
+  ];
+  export interface OutputObject {
+    validatorAddress: string;
+    agentId: bigint;
+    requestURI: string;
+    requestHash: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidationResponseEvent {
+  export type InputTuple = [
+    validatorAddress: AddressLike,
+    agentId: BigNumberish,
+    requestHash: BytesLike,
+    response: BigNumberish,
+    tag: string
+  ];
+  export type OutputTuple = [
+    validatorAddress: string,
+    agentId: bigint,
+    requestHash: string,
+    response: bigint,
+    tag: string
+  ];
+  export interface OutputObject {
+    validatorAddress: string;
+    agentId: bigint;
+    requestHash: string;
+    response: bigint;
+    tag: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxAgentRegistry extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxAgentRegistry;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxAgentRegistryInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  GAME_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  VALIDATOR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  agentMetadata: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        string
+      ] & {
+        agentWallet: string;
+        totalTasksRun: bigint;
+        totalRevenueEarned: bigint;
+        spendingLimitDaily: bigint;
+        spentToday: bigint;
+        spentDayReset: bigint;
+        x402Enabled: boolean;
+        mcpEndpoint: string;
+        a2aEndpoint: string;
+      }
+    ],
+    "view"
+  >;
+
+  authorizeSpend: TypedContractMethod<
+    [agentId: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  configureAgent: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      dailySpendingLimit: BigNumberish,
+      x402Enabled: boolean,
+      mcpEndpoint: string,
+      a2aEndpoint: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getAgentOperationalProfile: TypedContractMethod<
+    [agentId: BigNumberish],
+    [NuxAgentRegistry.AgentOperationalProfileStructOutput],
+    "view"
+  >;
+
+  getAgentValidations: TypedContractMethod<
+    [agentId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  getAgentWallet: TypedContractMethod<
+    [agentId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  getClientFeedbackPage: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddress: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [NuxAgentRegistry.FeedbackRecordStructOutput[], bigint] & {
+        feedbackRecords: NuxAgentRegistry.FeedbackRecordStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getClients: TypedContractMethod<[agentId: BigNumberish], [string[]], "view">;
+
+  getFeedbackStats: TypedContractMethod<
+    [agentId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        currentReputationScore: bigint;
+        totalClients: bigint;
+        totalFeedbackCount: bigint;
+        activeFeedbackCount: bigint;
+        revokedFeedbackCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getLastIndex: TypedContractMethod<
+    [agentId: BigNumberish, clientAddress: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getMetadata: TypedContractMethod<
+    [agentId: BigNumberish, metadataKey: string],
+    [string],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSummary: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddresses: AddressLike[],
+      tag1: string,
+      tag2: string
+    ],
+    [
+      [bigint, bigint, bigint] & {
+        count: bigint;
+        summaryValue: bigint;
+        summaryValueDecimals: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getValidationStatus: TypedContractMethod<
+    [requestHash: BytesLike],
+    [
+      [string, bigint, bigint, string, string, bigint] & {
+        validatorAddress: string;
+        agentId: bigint;
+        response: bigint;
+        responseHash: string;
+        tag: string;
+        lastUpdate: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getValidatorRequests: TypedContractMethod<
+    [validatorAddress: AddressLike],
+    [string[]],
+    "view"
+  >;
+
+  giveFeedback: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      value: BigNumberish,
+      valueDecimals: BigNumberish,
+      tag1: string,
+      tag2: string,
+      feedbackURI: string,
+      feedbackHash: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  grantGameRole: TypedContractMethod<[game: AddressLike], [void], "nonpayable">;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  grantValidatorRole: TypedContractMethod<
+    [validator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<[admin_: AddressLike], [void], "nonpayable">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  readFeedback: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddress: AddressLike,
+      feedbackIndex: BigNumberish
+    ],
+    [
+      [bigint, bigint, string, string, boolean] & {
+        value: bigint;
+        valueDecimals: bigint;
+        tag1: string;
+        tag2: string;
+        isRevoked: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  recordTaskExecution: TypedContractMethod<
+    [agentId: BigNumberish, executor: AddressLike, rewardPaid: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  registerNFTContract: TypedContractMethod<
+    [nftContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  registerNFTContractWithList: TypedContractMethod<
+    [nftContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  registeredNFTContracts: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  reputationScore: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  revokeFeedback: TypedContractMethod<
+    [agentId: BigNumberish, feedbackIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentWallet: TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      newWallet: AddressLike,
+      deadline: BigNumberish,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setMetadata: TypedContractMethod<
+    [agentId: BigNumberish, metadataKey: string, metadataValue: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  unsetAgentWallet: TypedContractMethod<
+    [agentId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  validationRequest: TypedContractMethod<
+    [
+      validatorAddress: AddressLike,
+      agentId: BigNumberish,
+      requestURI: string,
+      requestHash: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  validationResponse: TypedContractMethod<
+    [
+      requestHash: BytesLike,
+      response: BigNumberish,
+      responseURI: string,
+      responseHash: BytesLike,
+      tag: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "GAME_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "VALIDATOR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "agentMetadata"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        string
+      ] & {
+        agentWallet: string;
+        totalTasksRun: bigint;
+        totalRevenueEarned: bigint;
+        spendingLimitDaily: bigint;
+        spentToday: bigint;
+        spentDayReset: bigint;
+        x402Enabled: boolean;
+        mcpEndpoint: string;
+        a2aEndpoint: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "authorizeSpend"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "configureAgent"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      dailySpendingLimit: BigNumberish,
+      x402Enabled: boolean,
+      mcpEndpoint: string,
+      a2aEndpoint: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentOperationalProfile"
+  ): TypedContractMethod<
+    [agentId: BigNumberish],
+    [NuxAgentRegistry.AgentOperationalProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAgentValidations"
+  ): TypedContractMethod<[agentId: BigNumberish], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getAgentWallet"
+  ): TypedContractMethod<[agentId: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getClientFeedbackPage"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddress: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [NuxAgentRegistry.FeedbackRecordStructOutput[], bigint] & {
+        feedbackRecords: NuxAgentRegistry.FeedbackRecordStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getClients"
+  ): TypedContractMethod<[agentId: BigNumberish], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getFeedbackStats"
+  ): TypedContractMethod<
+    [agentId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        currentReputationScore: bigint;
+        totalClients: bigint;
+        totalFeedbackCount: bigint;
+        activeFeedbackCount: bigint;
+        revokedFeedbackCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLastIndex"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, clientAddress: AddressLike],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getMetadata"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, metadataKey: string],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSummary"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddresses: AddressLike[],
+      tag1: string,
+      tag2: string
+    ],
+    [
+      [bigint, bigint, bigint] & {
+        count: bigint;
+        summaryValue: bigint;
+        summaryValueDecimals: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getValidationStatus"
+  ): TypedContractMethod<
+    [requestHash: BytesLike],
+    [
+      [string, bigint, bigint, string, string, bigint] & {
+        validatorAddress: string;
+        agentId: bigint;
+        response: bigint;
+        responseHash: string;
+        tag: string;
+        lastUpdate: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getValidatorRequests"
+  ): TypedContractMethod<[validatorAddress: AddressLike], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "giveFeedback"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      value: BigNumberish,
+      valueDecimals: BigNumberish,
+      tag1: string,
+      tag2: string,
+      feedbackURI: string,
+      feedbackHash: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "grantGameRole"
+  ): TypedContractMethod<[game: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "grantValidatorRole"
+  ): TypedContractMethod<[validator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[admin_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "readFeedback"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      clientAddress: AddressLike,
+      feedbackIndex: BigNumberish
+    ],
+    [
+      [bigint, bigint, string, string, boolean] & {
+        value: bigint;
+        valueDecimals: bigint;
+        tag1: string;
+        tag2: string;
+        isRevoked: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "recordTaskExecution"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, executor: AddressLike, rewardPaid: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "registerNFTContract"
+  ): TypedContractMethod<[nftContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "registerNFTContractWithList"
+  ): TypedContractMethod<[nftContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "registeredNFTContracts"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "reputationScore"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "revokeFeedback"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, feedbackIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAgentWallet"
+  ): TypedContractMethod<
+    [
+      agentId: BigNumberish,
+      newWallet: AddressLike,
+      deadline: BigNumberish,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setMetadata"
+  ): TypedContractMethod<
+    [agentId: BigNumberish, metadataKey: string, metadataValue: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "unsetAgentWallet"
+  ): TypedContractMethod<[agentId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "validationRequest"
+  ): TypedContractMethod<
+    [
+      validatorAddress: AddressLike,
+      agentId: BigNumberish,
+      requestURI: string,
+      requestHash: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "validationResponse"
+  ): TypedContractMethod<
+    [
+      requestHash: BytesLike,
+      response: BigNumberish,
+      responseURI: string,
+      responseHash: BytesLike,
+      tag: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentMetadataSet"
+  ): TypedContractEvent<
+    AgentMetadataSetEvent.InputTuple,
+    AgentMetadataSetEvent.OutputTuple,
+    AgentMetadataSetEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentWalletCleared"
+  ): TypedContractEvent<
+    AgentWalletClearedEvent.InputTuple,
+    AgentWalletClearedEvent.OutputTuple,
+    AgentWalletClearedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentWalletSet"
+  ): TypedContractEvent<
+    AgentWalletSetEvent.InputTuple,
+    AgentWalletSetEvent.OutputTuple,
+    AgentWalletSetEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FeedbackRevoked"
+  ): TypedContractEvent<
+    FeedbackRevokedEvent.InputTuple,
+    FeedbackRevokedEvent.OutputTuple,
+    FeedbackRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NFTContractRegistered"
+  ): TypedContractEvent<
+    NFTContractRegisteredEvent.InputTuple,
+    NFTContractRegisteredEvent.OutputTuple,
+    NFTContractRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "NewFeedback"
+  ): TypedContractEvent<
+    NewFeedbackEvent.InputTuple,
+    NewFeedbackEvent.OutputTuple,
+    NewFeedbackEvent.OutputObject
+  >;
+  getEvent(
+    key: "ResponseAppended"
+  ): TypedContractEvent<
+    ResponseAppendedEvent.InputTuple,
+    ResponseAppendedEvent.OutputTuple,
+    ResponseAppendedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SpendingLimitUpdated"
+  ): TypedContractEvent<
+    SpendingLimitUpdatedEvent.InputTuple,
+    SpendingLimitUpdatedEvent.OutputTuple,
+    SpendingLimitUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TaskExecutionRecorded"
+  ): TypedContractEvent<
+    TaskExecutionRecordedEvent.InputTuple,
+    TaskExecutionRecordedEvent.OutputTuple,
+    TaskExecutionRecordedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidationRequest"
+  ): TypedContractEvent<
+    ValidationRequestEvent.InputTuple,
+    ValidationRequestEvent.OutputTuple,
+    ValidationRequestEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidationResponse"
+  ): TypedContractEvent<
+    ValidationResponseEvent.InputTuple,
+    ValidationResponseEvent.OutputTuple,
+    ValidationResponseEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentMetadataSet(uint256,string,bytes)": TypedContractEvent<
+      AgentMetadataSetEvent.InputTuple,
+      AgentMetadataSetEvent.OutputTuple,
+      AgentMetadataSetEvent.OutputObject
+    >;
+    AgentMetadataSet: TypedContractEvent<
+      AgentMetadataSetEvent.InputTuple,
+      AgentMetadataSetEvent.OutputTuple,
+      AgentMetadataSetEvent.OutputObject
+    >;
+
+    "AgentWalletCleared(uint256)": TypedContractEvent<
+      AgentWalletClearedEvent.InputTuple,
+      AgentWalletClearedEvent.OutputTuple,
+      AgentWalletClearedEvent.OutputObject
+    >;
+    AgentWalletCleared: TypedContractEvent<
+      AgentWalletClearedEvent.InputTuple,
+      AgentWalletClearedEvent.OutputTuple,
+      AgentWalletClearedEvent.OutputObject
+    >;
+
+    "AgentWalletSet(uint256,address)": TypedContractEvent<
+      AgentWalletSetEvent.InputTuple,
+      AgentWalletSetEvent.OutputTuple,
+      AgentWalletSetEvent.OutputObject
+    >;
+    AgentWalletSet: TypedContractEvent<
+      AgentWalletSetEvent.InputTuple,
+      AgentWalletSetEvent.OutputTuple,
+      AgentWalletSetEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "FeedbackRevoked(uint256,address,uint64)": TypedContractEvent<
+      FeedbackRevokedEvent.InputTuple,
+      FeedbackRevokedEvent.OutputTuple,
+      FeedbackRevokedEvent.OutputObject
+    >;
+    FeedbackRevoked: TypedContractEvent<
+      FeedbackRevokedEvent.InputTuple,
+      FeedbackRevokedEvent.OutputTuple,
+      FeedbackRevokedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "NFTContractRegistered(address)": TypedContractEvent<
+      NFTContractRegisteredEvent.InputTuple,
+      NFTContractRegisteredEvent.OutputTuple,
+      NFTContractRegisteredEvent.OutputObject
+    >;
+    NFTContractRegistered: TypedContractEvent<
+      NFTContractRegisteredEvent.InputTuple,
+      NFTContractRegisteredEvent.OutputTuple,
+      NFTContractRegisteredEvent.OutputObject
+    >;
+
+    "NewFeedback(uint256,address,uint64,int128,uint8,string,string)": TypedContractEvent<
+      NewFeedbackEvent.InputTuple,
+      NewFeedbackEvent.OutputTuple,
+      NewFeedbackEvent.OutputObject
+    >;
+    NewFeedback: TypedContractEvent<
+      NewFeedbackEvent.InputTuple,
+      NewFeedbackEvent.OutputTuple,
+      NewFeedbackEvent.OutputObject
+    >;
+
+    "ResponseAppended(uint256,address,uint64,address)": TypedContractEvent<
+      ResponseAppendedEvent.InputTuple,
+      ResponseAppendedEvent.OutputTuple,
+      ResponseAppendedEvent.OutputObject
+    >;
+    ResponseAppended: TypedContractEvent<
+      ResponseAppendedEvent.InputTuple,
+      ResponseAppendedEvent.OutputTuple,
+      ResponseAppendedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SpendingLimitUpdated(uint256,uint256)": TypedContractEvent<
+      SpendingLimitUpdatedEvent.InputTuple,
+      SpendingLimitUpdatedEvent.OutputTuple,
+      SpendingLimitUpdatedEvent.OutputObject
+    >;
+    SpendingLimitUpdated: TypedContractEvent<
+      SpendingLimitUpdatedEvent.InputTuple,
+      SpendingLimitUpdatedEvent.OutputTuple,
+      SpendingLimitUpdatedEvent.OutputObject
+    >;
+
+    "TaskExecutionRecorded(uint256,address,uint256)": TypedContractEvent<
+      TaskExecutionRecordedEvent.InputTuple,
+      TaskExecutionRecordedEvent.OutputTuple,
+      TaskExecutionRecordedEvent.OutputObject
+    >;
+    TaskExecutionRecorded: TypedContractEvent<
+      TaskExecutionRecordedEvent.InputTuple,
+      TaskExecutionRecordedEvent.OutputTuple,
+      TaskExecutionRecordedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "ValidationRequest(address,uint256,string,bytes32)": TypedContractEvent<
+      ValidationRequestEvent.InputTuple,
+      ValidationRequestEvent.OutputTuple,
+      ValidationRequestEvent.OutputObject
+    >;
+    ValidationRequest: TypedContractEvent<
+      ValidationRequestEvent.InputTuple,
+      ValidationRequestEvent.OutputTuple,
+      ValidationRequestEvent.OutputObject
+    >;
+
+    "ValidationResponse(address,uint256,bytes32,uint8,string)": TypedContractEvent<
+      ValidationResponseEvent.InputTuple,
+      ValidationResponseEvent.OutputTuple,
+      ValidationResponseEvent.OutputObject
+    >;
+    ValidationResponse: TypedContractEvent<
+      ValidationResponseEvent.InputTuple,
+      ValidationResponseEvent.OutputTuple,
+      ValidationResponseEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1652 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxAgentRental {
+  export type ActiveRentalViewStruct = {
+    rentalId: BigNumberish;
+    offerId: BigNumberish;
+    nftContract: AddressLike;
+    tokenId: BigNumberish;
+    owner: AddressLike;
+    renter: AddressLike;
+    startTime: BigNumberish;
+    endTime: BigNumberish;
+    totalPaid: BigNumberish;
+    active: boolean;
+    remainingTime: BigNumberish;
+  };
+
+  export type ActiveRentalViewStructOutput = [
+    rentalId: bigint,
+    offerId: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    owner: string,
+    renter: string,
+    startTime: bigint,
+    endTime: bigint,
+    totalPaid: bigint,
+    active: boolean,
+    remainingTime: bigint
+  ] & {
+    rentalId: bigint;
+    offerId: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    owner: string;
+    renter: string;
+    startTime: bigint;
+    endTime: bigint;
+    totalPaid: bigint;
+    active: boolean;
+    remainingTime: bigint;
+  };
+
+  export type RentalOfferViewStruct = {
+    offerId: BigNumberish;
+    nftContract: AddressLike;
+    tokenId: BigNumberish;
+    offerOwner: AddressLike;
+    currentOwner: AddressLike;
+    pricePerDay: BigNumberish;
+    minDays: BigNumberish;
+    maxDays: BigNumberish;
+    active: boolean;
+    hasActiveRental: boolean;
+    activeRentalId: BigNumberish;
+  };
+
+  export type RentalOfferViewStructOutput = [
+    offerId: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    offerOwner: string,
+    currentOwner: string,
+    pricePerDay: bigint,
+    minDays: bigint,
+    maxDays: bigint,
+    active: boolean,
+    hasActiveRental: boolean,
+    activeRentalId: bigint
+  ] & {
+    offerId: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    offerOwner: string;
+    currentOwner: string;
+    pricePerDay: bigint;
+    minDays: bigint;
+    maxDays: bigint;
+    active: boolean;
+    hasActiveRental: boolean;
+    activeRentalId: bigint;
+  };
+}
+
+export interface NuxAgentRentalInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "PAUSER_ROLE"
+      | "UPGRADER_ROLE"
+      | "activeRentals"
+      | "agentRegistry"
+      | "cancelRentalOffer"
+      | "claimExpiredRental"
+      | "createRentalOffer"
+      | "endRentalEarly"
+      | "extendRental"
+      | "getActiveRentalDetails"
+      | "getActiveRentalForToken"
+      | "getOwnerRentalOffers"
+      | "getRentalCost"
+      | "getRentalOfferDetails"
+      | "getRentalOffersPage"
+      | "getRenterRentals"
+      | "getRoleAdmin"
+      | "getTokenRentalStatus"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "offerCounter"
+      | "ownerShareBps"
+      | "paused"
+      | "platformBps"
+      | "proxiableUUID"
+      | "renounceRole"
+      | "rentAgent"
+      | "rentalCounter"
+      | "rentalOffers"
+      | "revokeRole"
+      | "setAgentRegistry"
+      | "setPaused"
+      | "setRevenueShares"
+      | "setSupportedNFTContract"
+      | "setTreasuryManager"
+      | "supportedNFTContracts"
+      | "supportsInterface"
+      | "treasuryBps"
+      | "treasuryManager"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentRegistryUpdated"
+      | "BeaconUpgraded"
+      | "Initialized"
+      | "RentalEnded"
+      | "RentalExtended"
+      | "RentalOfferCancelled"
+      | "RentalOfferCreated"
+      | "RentalStarted"
+      | "RevenueDistributed"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SupportedNFTContractUpdated"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PAUSER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activeRentals",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentRegistry",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelRentalOffer",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimExpiredRental",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createRentalOffer",
+    values: [
+      AddressLike,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "endRentalEarly",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "extendRental",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveRentalDetails",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveRentalForToken",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getOwnerRentalOffers",
+    values: [AddressLike, BigNumberish, BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRentalCost",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRentalOfferDetails",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRentalOffersPage",
+    values: [BigNumberish, BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRenterRentals",
+    values: [AddressLike, BigNumberish, BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTokenRentalStatus",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "offerCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ownerShareBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "platformBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rentAgent",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rentalCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rentalOffers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAgentRegistry",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "setPaused", values: [boolean]): string;
+  encodeFunctionData(
+    functionFragment: "setRevenueShares",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSupportedNFTContract",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportedNFTContracts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PAUSER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activeRentals",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelRentalOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimExpiredRental",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createRentalOffer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "endRentalEarly",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "extendRental",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveRentalDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveRentalForToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getOwnerRentalOffers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRentalCost",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRentalOfferDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRentalOffersPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRenterRentals",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTokenRentalStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "offerCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "ownerShareBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "platformBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "rentAgent", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "rentalCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rentalOffers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setAgentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setPaused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setRevenueShares",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSupportedNFTContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportedNFTContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentRegistryUpdatedEvent {
+  export type InputTuple = [agentRegistry: AddressLike];
+  export type OutputTuple = [agentRegistry: string];
+  export interface OutputObject {
+    agentRegistry: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RentalEndedEvent {
+  export type InputTuple = [rentalId: BigNumberish];
+  export type OutputTuple = [rentalId: bigint];
+  export interface OutputObject {
+    rentalId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RentalExtendedEvent {
+  export type InputTuple = [
+    rentalId: BigNumberish,
+    newEndTime: BigNumberish,
+    extraPaid: BigNumberish
+  ];
+  export type OutputTuple = [
+    rentalId: bigint,
+    newEndTime: bigint,
+    extraPaid: bigint
+  ];
+  export interface OutputObject {
+    rentalId: bigint;
+    newEndTime: bigint;
+    extraPaid: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RentalOfferCancelledEvent {
+  export type InputTuple = [offerId: BigNumberish];
+  export type OutputTuple = [offerId: bigint];
+  export interface OutputObject {
+    offerId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RentalOfferCreatedEvent {
+  export type InputTuple = [
+    offerId: BigNumberish,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    pricePerDay: BigNumberish
+  ];
+  export type OutputTuple = [
+    offerId: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    pricePerDay: bigint
+  ];
+  export interface OutputObject {
+    offerId: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    pricePerDay: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RentalStartedEvent {
+  export type InputTuple = [
+    rentalId: BigNumberish,
+    offerId: BigNumberish,
+    renter: AddressLike,
+    endTime: BigNumberish,
+    paid: BigNumberish
+  ];
+  export type OutputTuple = [
+    rentalId: bigint,
+    offerId: bigint,
+    renter: string,
+    endTime: bigint,
+    paid: bigint
+  ];
+  export interface OutputObject {
+    rentalId: bigint;
+    offerId: bigint;
+    renter: string;
+    endTime: bigint;
+    paid: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RevenueDistributedEvent {
+  export type InputTuple = [
+    rentalId: BigNumberish,
+    owner: AddressLike,
+    ownerAmount: BigNumberish,
+    treasuryAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    rentalId: bigint,
+    owner: string,
+    ownerAmount: bigint,
+    treasuryAmount: bigint
+  ];
+  export interface OutputObject {
+    rentalId: bigint;
+    owner: string;
+    ownerAmount: bigint;
+    treasuryAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SupportedNFTContractUpdatedEvent {
+  export type InputTuple = [nftContract: AddressLike, supported: boolean];
+  export type OutputTuple = [nftContract: string, supported: boolean];
+  export interface OutputObject {
+    nftContract: string;
+    supported: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxAgentRental extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxAgentRental;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxAgentRentalInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  PAUSER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  activeRentals: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, string, bigint, string, bigint, bigint, bigint, boolean] & {
+        offerId: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        renter: string;
+        startTime: bigint;
+        endTime: bigint;
+        totalPaid: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  agentRegistry: TypedContractMethod<[], [string], "view">;
+
+  cancelRentalOffer: TypedContractMethod<
+    [offerId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimExpiredRental: TypedContractMethod<
+    [rentalId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  createRentalOffer: TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      pricePerDay: BigNumberish,
+      minDays: BigNumberish,
+      maxDays: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  endRentalEarly: TypedContractMethod<
+    [rentalId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  extendRental: TypedContractMethod<
+    [rentalId: BigNumberish, extraDays: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  getActiveRentalDetails: TypedContractMethod<
+    [rentalId: BigNumberish],
+    [NuxAgentRental.ActiveRentalViewStructOutput],
+    "view"
+  >;
+
+  getActiveRentalForToken: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [[bigint, boolean] & { rentalId: bigint; hasRental: boolean }],
+    "view"
+  >;
+
+  getOwnerRentalOffers: TypedContractMethod<
+    [
+      owner: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish,
+      activeOnly: boolean
+    ],
+    [
+      [NuxAgentRental.RentalOfferViewStructOutput[], bigint] & {
+        offers: NuxAgentRental.RentalOfferViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRentalCost: TypedContractMethod<
+    [offerId: BigNumberish, days_: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRentalOfferDetails: TypedContractMethod<
+    [offerId: BigNumberish],
+    [NuxAgentRental.RentalOfferViewStructOutput],
+    "view"
+  >;
+
+  getRentalOffersPage: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish, activeOnly: boolean],
+    [
+      [NuxAgentRental.RentalOfferViewStructOutput[], bigint] & {
+        offers: NuxAgentRental.RentalOfferViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRenterRentals: TypedContractMethod<
+    [
+      renter: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish,
+      activeOnly: boolean
+    ],
+    [
+      [NuxAgentRental.ActiveRentalViewStructOutput[], bigint] & {
+        rentals: NuxAgentRental.ActiveRentalViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getTokenRentalStatus: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [
+      [
+        boolean,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        bigint,
+        bigint,
+        string
+      ] & {
+        hasRental: boolean;
+        rentalId: bigint;
+        renter: string;
+        endTime: bigint;
+        remainingTime: bigint;
+        hasActiveOffer: boolean;
+        offerId: bigint;
+        pricePerDay: bigint;
+        currentOwner: string;
+      }
+    ],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [admin_: AddressLike, treasuryManager_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  offerCounter: TypedContractMethod<[], [bigint], "view">;
+
+  ownerShareBps: TypedContractMethod<[], [bigint], "view">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  platformBps: TypedContractMethod<[], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  rentAgent: TypedContractMethod<
+    [offerId: BigNumberish, days_: BigNumberish],
+    [bigint],
+    "payable"
+  >;
+
+  rentalCounter: TypedContractMethod<[], [bigint], "view">;
+
+  rentalOffers: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, string, bigint, bigint, bigint, boolean] & {
+        nftContract: string;
+        tokenId: bigint;
+        owner: string;
+        pricePerDay: bigint;
+        minDays: bigint;
+        maxDays: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setAgentRegistry: TypedContractMethod<
+    [registry_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPaused: TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+
+  setRevenueShares: TypedContractMethod<
+    [ownerBps_: BigNumberish, treasuryBps_: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setSupportedNFTContract: TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [tm_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportedNFTContracts: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  treasuryBps: TypedContractMethod<[], [bigint], "view">;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PAUSER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "activeRentals"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, string, bigint, string, bigint, bigint, bigint, boolean] & {
+        offerId: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        renter: string;
+        startTime: bigint;
+        endTime: bigint;
+        totalPaid: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "agentRegistry"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "cancelRentalOffer"
+  ): TypedContractMethod<[offerId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimExpiredRental"
+  ): TypedContractMethod<[rentalId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "createRentalOffer"
+  ): TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      pricePerDay: BigNumberish,
+      minDays: BigNumberish,
+      maxDays: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "endRentalEarly"
+  ): TypedContractMethod<[rentalId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "extendRental"
+  ): TypedContractMethod<
+    [rentalId: BigNumberish, extraDays: BigNumberish],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveRentalDetails"
+  ): TypedContractMethod<
+    [rentalId: BigNumberish],
+    [NuxAgentRental.ActiveRentalViewStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveRentalForToken"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [[bigint, boolean] & { rentalId: bigint; hasRental: boolean }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getOwnerRentalOffers"
+  ): TypedContractMethod<
+    [
+      owner: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish,
+      activeOnly: boolean
+    ],
+    [
+      [NuxAgentRental.RentalOfferViewStructOutput[], bigint] & {
+        offers: NuxAgentRental.RentalOfferViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRentalCost"
+  ): TypedContractMethod<
+    [offerId: BigNumberish, days_: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRentalOfferDetails"
+  ): TypedContractMethod<
+    [offerId: BigNumberish],
+    [NuxAgentRental.RentalOfferViewStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRentalOffersPage"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish, activeOnly: boolean],
+    [
+      [NuxAgentRental.RentalOfferViewStructOutput[], bigint] & {
+        offers: NuxAgentRental.RentalOfferViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRenterRentals"
+  ): TypedContractMethod<
+    [
+      renter: AddressLike,
+      offset: BigNumberish,
+      limit: BigNumberish,
+      activeOnly: boolean
+    ],
+    [
+      [NuxAgentRental.ActiveRentalViewStructOutput[], bigint] & {
+        rentals: NuxAgentRental.ActiveRentalViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getTokenRentalStatus"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [
+      [
+        boolean,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        bigint,
+        bigint,
+        string
+      ] & {
+        hasRental: boolean;
+        rentalId: bigint;
+        renter: string;
+        endTime: bigint;
+        remainingTime: bigint;
+        hasActiveOffer: boolean;
+        offerId: bigint;
+        pricePerDay: bigint;
+        currentOwner: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [admin_: AddressLike, treasuryManager_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "offerCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "ownerShareBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "platformBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "rentAgent"
+  ): TypedContractMethod<
+    [offerId: BigNumberish, days_: BigNumberish],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "rentalCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "rentalOffers"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, string, bigint, bigint, bigint, boolean] & {
+        nftContract: string;
+        tokenId: bigint;
+        owner: string;
+        pricePerDay: bigint;
+        minDays: bigint;
+        maxDays: bigint;
+        active: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAgentRegistry"
+  ): TypedContractMethod<[registry_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPaused"
+  ): TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRevenueShares"
+  ): TypedContractMethod<
+    [ownerBps_: BigNumberish, treasuryBps_: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setSupportedNFTContract"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[tm_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "supportedNFTContracts"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "treasuryBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentRegistryUpdated"
+  ): TypedContractEvent<
+    AgentRegistryUpdatedEvent.InputTuple,
+    AgentRegistryUpdatedEvent.OutputTuple,
+    AgentRegistryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RentalEnded"
+  ): TypedContractEvent<
+    RentalEndedEvent.InputTuple,
+    RentalEndedEvent.OutputTuple,
+    RentalEndedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RentalExtended"
+  ): TypedContractEvent<
+    RentalExtendedEvent.InputTuple,
+    RentalExtendedEvent.OutputTuple,
+    RentalExtendedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RentalOfferCancelled"
+  ): TypedContractEvent<
+    RentalOfferCancelledEvent.InputTuple,
+    RentalOfferCancelledEvent.OutputTuple,
+    RentalOfferCancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "RentalOfferCreated"
+  ): TypedContractEvent<
+    RentalOfferCreatedEvent.InputTuple,
+    RentalOfferCreatedEvent.OutputTuple,
+    RentalOfferCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RentalStarted"
+  ): TypedContractEvent<
+    RentalStartedEvent.InputTuple,
+    RentalStartedEvent.OutputTuple,
+    RentalStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RevenueDistributed"
+  ): TypedContractEvent<
+    RevenueDistributedEvent.InputTuple,
+    RevenueDistributedEvent.OutputTuple,
+    RevenueDistributedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SupportedNFTContractUpdated"
+  ): TypedContractEvent<
+    SupportedNFTContractUpdatedEvent.InputTuple,
+    SupportedNFTContractUpdatedEvent.OutputTuple,
+    SupportedNFTContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentRegistryUpdated(address)": TypedContractEvent<
+      AgentRegistryUpdatedEvent.InputTuple,
+      AgentRegistryUpdatedEvent.OutputTuple,
+      AgentRegistryUpdatedEvent.OutputObject
+    >;
+    AgentRegistryUpdated: TypedContractEvent<
+      AgentRegistryUpdatedEvent.InputTuple,
+      AgentRegistryUpdatedEvent.OutputTuple,
+      AgentRegistryUpdatedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "RentalEnded(uint256)": TypedContractEvent<
+      RentalEndedEvent.InputTuple,
+      RentalEndedEvent.OutputTuple,
+      RentalEndedEvent.OutputObject
+    >;
+    RentalEnded: TypedContractEvent<
+      RentalEndedEvent.InputTuple,
+      RentalEndedEvent.OutputTuple,
+      RentalEndedEvent.OutputObject
+    >;
+
+    "RentalExtended(uint256,uint256,uint256)": TypedContractEvent<
+      RentalExtendedEvent.InputTuple,
+      RentalExtendedEvent.OutputTuple,
+      RentalExtendedEvent.OutputObject
+    >;
+    RentalExtended: TypedContractEvent<
+      RentalExtendedEvent.InputTuple,
+      RentalExtendedEvent.OutputTuple,
+      RentalExtendedEvent.OutputObject
+    >;
+
+    "RentalOfferCancelled(uint256)": TypedContractEvent<
+      RentalOfferCancelledEvent.InputTuple,
+      RentalOfferCancelledEvent.OutputTuple,
+      RentalOfferCancelledEvent.OutputObject
+    >;
+    RentalOfferCancelled: TypedContractEvent<
+      RentalOfferCancelledEvent.InputTuple,
+      RentalOfferCancelledEvent.OutputTuple,
+      RentalOfferCancelledEvent.OutputObject
+    >;
+
+    "RentalOfferCreated(uint256,address,uint256,uint256)": TypedContractEvent<
+      RentalOfferCreatedEvent.InputTuple,
+      RentalOfferCreatedEvent.OutputTuple,
+      RentalOfferCreatedEvent.OutputObject
+    >;
+    RentalOfferCreated: TypedContractEvent<
+      RentalOfferCreatedEvent.InputTuple,
+      RentalOfferCreatedEvent.OutputTuple,
+      RentalOfferCreatedEvent.OutputObject
+    >;
+
+    "RentalStarted(uint256,uint256,address,uint256,uint256)": TypedContractEvent<
+      RentalStartedEvent.InputTuple,
+      RentalStartedEvent.OutputTuple,
+      RentalStartedEvent.OutputObject
+    >;
+    RentalStarted: TypedContractEvent<
+      RentalStartedEvent.InputTuple,
+      RentalStartedEvent.OutputTuple,
+      RentalStartedEvent.OutputObject
+    >;
+
+    "RevenueDistributed(uint256,address,uint256,uint256)": TypedContractEvent<
+      RevenueDistributedEvent.InputTuple,
+      RevenueDistributedEvent.OutputTuple,
+      RevenueDistributedEvent.OutputObject
+    >;
+    RevenueDistributed: TypedContractEvent<
+      RevenueDistributedEvent.InputTuple,
+      RevenueDistributedEvent.OutputTuple,
+      RevenueDistributedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SupportedNFTContractUpdated(address,bool)": TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+    SupportedNFTContractUpdated: TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1515 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxAuctionMarketplace {
+  export type AuctionStruct = {
+    auctionType: BigNumberish;
+    status: BigNumberish;
+    nftContract: AddressLike;
+    tokenId: BigNumberish;
+    seller: AddressLike;
+    startPrice: BigNumberish;
+    reservePrice: BigNumberish;
+    startTime: BigNumberish;
+    endTime: BigNumberish;
+    revealDeadline: BigNumberish;
+    highestBidder: AddressLike;
+    highestBid: BigNumberish;
+    royaltyPaid: boolean;
+  };
+
+  export type AuctionStructOutput = [
+    auctionType: bigint,
+    status: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    seller: string,
+    startPrice: bigint,
+    reservePrice: bigint,
+    startTime: bigint,
+    endTime: bigint,
+    revealDeadline: bigint,
+    highestBidder: string,
+    highestBid: bigint,
+    royaltyPaid: boolean
+  ] & {
+    auctionType: bigint;
+    status: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    seller: string;
+    startPrice: bigint;
+    reservePrice: bigint;
+    startTime: bigint;
+    endTime: bigint;
+    revealDeadline: bigint;
+    highestBidder: string;
+    highestBid: bigint;
+    royaltyPaid: boolean;
+  };
+}
+
+export interface NuxAuctionMarketplaceInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "PAUSER_ROLE"
+      | "UPGRADER_ROLE"
+      | "auctionCounter"
+      | "auctions"
+      | "buyDutch"
+      | "cancelAuction"
+      | "claimRefund"
+      | "commitSealedBid"
+      | "createAuction"
+      | "finalizeEnglishAuction"
+      | "finalizeSealedAuction"
+      | "getAuction"
+      | "getDutchPrice"
+      | "getRoleAdmin"
+      | "getSealedBidders"
+      | "grantRole"
+      | "hasRole"
+      | "hasSealedCommit"
+      | "initialize"
+      | "levelingSystem"
+      | "maxRoyaltyBps"
+      | "minBidIncrementBps"
+      | "paused"
+      | "pendingReturns"
+      | "placeBid"
+      | "platformFeeBps"
+      | "proxiableUUID"
+      | "renounceRole"
+      | "revealSealedBid"
+      | "revokeRole"
+      | "sealedCommits"
+      | "sealedRevealWindow"
+      | "setLevelingSystem"
+      | "setMaxRoyalty"
+      | "setMinBidIncrement"
+      | "setPaused"
+      | "setPlatformFee"
+      | "setSealedRevealWindow"
+      | "setTreasuryManager"
+      | "supportsInterface"
+      | "treasuryManager"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AuctionCancelled"
+      | "AuctionCreated"
+      | "AuctionFinalized"
+      | "BeaconUpgraded"
+      | "BidCommitted"
+      | "BidPlaced"
+      | "BidRevealed"
+      | "Initialized"
+      | "RefundIssued"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PAUSER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "auctionCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "auctions",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "buyDutch",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelAuction",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimRefund",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "commitSealedBid",
+    values: [BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createAuction",
+    values: [
+      AddressLike,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "finalizeEnglishAuction",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "finalizeSealedAuction",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAuction",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDutchPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSealedBidders",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasSealedCommit",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystem",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxRoyaltyBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "minBidIncrementBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingReturns",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "placeBid",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "platformFeeBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revealSealedBid",
+    values: [BigNumberish, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "sealedCommits",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "sealedRevealWindow",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMaxRoyalty",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMinBidIncrement",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "setPaused", values: [boolean]): string;
+  encodeFunctionData(
+    functionFragment: "setPlatformFee",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSealedRevealWindow",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PAUSER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "auctionCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "auctions", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "buyDutch", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelAuction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "commitSealedBid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createAuction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "finalizeEnglishAuction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "finalizeSealedAuction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getAuction", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getDutchPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSealedBidders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "hasSealedCommit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxRoyaltyBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "minBidIncrementBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingReturns",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "placeBid", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "platformFeeBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revealSealedBid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "sealedCommits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "sealedRevealWindow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMaxRoyalty",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMinBidIncrement",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setPaused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setPlatformFee",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSealedRevealWindow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuctionCancelledEvent {
+  export type InputTuple = [auctionId: BigNumberish];
+  export type OutputTuple = [auctionId: bigint];
+  export interface OutputObject {
+    auctionId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuctionCreatedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    auctionType: BigNumberish,
+    nftContract: AddressLike,
+    tokenId: BigNumberish,
+    seller: AddressLike,
+    startPrice: BigNumberish
+  ];
+  export type OutputTuple = [
+    auctionId: bigint,
+    auctionType: bigint,
+    nftContract: string,
+    tokenId: bigint,
+    seller: string,
+    startPrice: bigint
+  ];
+  export interface OutputObject {
+    auctionId: bigint;
+    auctionType: bigint;
+    nftContract: string;
+    tokenId: bigint;
+    seller: string;
+    startPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuctionFinalizedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    winner: AddressLike,
+    finalPrice: BigNumberish
+  ];
+  export type OutputTuple = [
+    auctionId: bigint,
+    winner: string,
+    finalPrice: bigint
+  ];
+  export interface OutputObject {
+    auctionId: bigint;
+    winner: string;
+    finalPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BidCommittedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    bidder: AddressLike,
+    commitment: BytesLike
+  ];
+  export type OutputTuple = [
+    auctionId: bigint,
+    bidder: string,
+    commitment: string
+  ];
+  export interface OutputObject {
+    auctionId: bigint;
+    bidder: string;
+    commitment: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BidPlacedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    bidder: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [auctionId: bigint, bidder: string, amount: bigint];
+  export interface OutputObject {
+    auctionId: bigint;
+    bidder: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BidRevealedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    bidder: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [auctionId: bigint, bidder: string, amount: bigint];
+  export interface OutputObject {
+    auctionId: bigint;
+    bidder: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RefundIssuedEvent {
+  export type InputTuple = [
+    auctionId: BigNumberish,
+    bidder: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [auctionId: bigint, bidder: string, amount: bigint];
+  export interface OutputObject {
+    auctionId: bigint;
+    bidder: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxAuctionMarketplace extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxAuctionMarketplace;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxAuctionMarketplaceInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  PAUSER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  auctionCounter: TypedContractMethod<[], [bigint], "view">;
+
+  auctions: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        string,
+        bigint,
+        boolean
+      ] & {
+        auctionType: bigint;
+        status: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        seller: string;
+        startPrice: bigint;
+        reservePrice: bigint;
+        startTime: bigint;
+        endTime: bigint;
+        revealDeadline: bigint;
+        highestBidder: string;
+        highestBid: bigint;
+        royaltyPaid: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  buyDutch: TypedContractMethod<[auctionId: BigNumberish], [void], "payable">;
+
+  cancelAuction: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimRefund: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  commitSealedBid: TypedContractMethod<
+    [auctionId: BigNumberish, commitment: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  createAuction: TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      auctionType_: BigNumberish,
+      startPrice: BigNumberish,
+      reservePrice: BigNumberish,
+      duration: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
+  finalizeEnglishAuction: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  finalizeSealedAuction: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getAuction: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [NuxAuctionMarketplace.AuctionStructOutput],
+    "view"
+  >;
+
+  getDutchPrice: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSealedBidders: TypedContractMethod<
+    [auctionId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasSealedCommit: TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasuryManager_: AddressLike,
+      levelingSystem_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  levelingSystem: TypedContractMethod<[], [string], "view">;
+
+  maxRoyaltyBps: TypedContractMethod<[], [bigint], "view">;
+
+  minBidIncrementBps: TypedContractMethod<[], [bigint], "view">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  pendingReturns: TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  placeBid: TypedContractMethod<[auctionId: BigNumberish], [void], "payable">;
+
+  platformFeeBps: TypedContractMethod<[], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revealSealedBid: TypedContractMethod<
+    [auctionId: BigNumberish, amount: BigNumberish, salt: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  sealedCommits: TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [
+      [string, bigint, string, boolean, bigint] & {
+        commitment: string;
+        deposit: bigint;
+        bidder: string;
+        revealed: boolean;
+        revealedAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  sealedRevealWindow: TypedContractMethod<[], [bigint], "view">;
+
+  setLevelingSystem: TypedContractMethod<
+    [ls: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMaxRoyalty: TypedContractMethod<
+    [maxBps: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setMinBidIncrement: TypedContractMethod<
+    [bps: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setPaused: TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+
+  setPlatformFee: TypedContractMethod<
+    [feeBps: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setSealedRevealWindow: TypedContractMethod<
+    [window: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [tm: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PAUSER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "auctionCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "auctions"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        string,
+        bigint,
+        boolean
+      ] & {
+        auctionType: bigint;
+        status: bigint;
+        nftContract: string;
+        tokenId: bigint;
+        seller: string;
+        startPrice: bigint;
+        reservePrice: bigint;
+        startTime: bigint;
+        endTime: bigint;
+        revealDeadline: bigint;
+        highestBidder: string;
+        highestBid: bigint;
+        royaltyPaid: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "buyDutch"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "cancelAuction"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimRefund"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "commitSealedBid"
+  ): TypedContractMethod<
+    [auctionId: BigNumberish, commitment: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "createAuction"
+  ): TypedContractMethod<
+    [
+      nftContract: AddressLike,
+      tokenId: BigNumberish,
+      auctionType_: BigNumberish,
+      startPrice: BigNumberish,
+      reservePrice: BigNumberish,
+      duration: BigNumberish
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "finalizeEnglishAuction"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "finalizeSealedAuction"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getAuction"
+  ): TypedContractMethod<
+    [auctionId: BigNumberish],
+    [NuxAuctionMarketplace.AuctionStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDutchPrice"
+  ): TypedContractMethod<[auctionId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSealedBidders"
+  ): TypedContractMethod<[auctionId: BigNumberish], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasSealedCommit"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasuryManager_: AddressLike,
+      levelingSystem_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "levelingSystem"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "maxRoyaltyBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "minBidIncrementBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pendingReturns"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "placeBid"
+  ): TypedContractMethod<[auctionId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "platformFeeBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revealSealedBid"
+  ): TypedContractMethod<
+    [auctionId: BigNumberish, amount: BigNumberish, salt: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "sealedCommits"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [
+      [string, bigint, string, boolean, bigint] & {
+        commitment: string;
+        deposit: bigint;
+        bidder: string;
+        revealed: boolean;
+        revealedAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "sealedRevealWindow"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "setLevelingSystem"
+  ): TypedContractMethod<[ls: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMaxRoyalty"
+  ): TypedContractMethod<[maxBps: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMinBidIncrement"
+  ): TypedContractMethod<[bps: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPaused"
+  ): TypedContractMethod<[paused_: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPlatformFee"
+  ): TypedContractMethod<[feeBps: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSealedRevealWindow"
+  ): TypedContractMethod<[window: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[tm: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuctionCancelled"
+  ): TypedContractEvent<
+    AuctionCancelledEvent.InputTuple,
+    AuctionCancelledEvent.OutputTuple,
+    AuctionCancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuctionCreated"
+  ): TypedContractEvent<
+    AuctionCreatedEvent.InputTuple,
+    AuctionCreatedEvent.OutputTuple,
+    AuctionCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuctionFinalized"
+  ): TypedContractEvent<
+    AuctionFinalizedEvent.InputTuple,
+    AuctionFinalizedEvent.OutputTuple,
+    AuctionFinalizedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BidCommitted"
+  ): TypedContractEvent<
+    BidCommittedEvent.InputTuple,
+    BidCommittedEvent.OutputTuple,
+    BidCommittedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BidPlaced"
+  ): TypedContractEvent<
+    BidPlacedEvent.InputTuple,
+    BidPlacedEvent.OutputTuple,
+    BidPlacedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BidRevealed"
+  ): TypedContractEvent<
+    BidRevealedEvent.InputTuple,
+    BidRevealedEvent.OutputTuple,
+    BidRevealedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RefundIssued"
+  ): TypedContractEvent<
+    RefundIssuedEvent.InputTuple,
+    RefundIssuedEvent.OutputTuple,
+    RefundIssuedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AuctionCancelled(uint256)": TypedContractEvent<
+      AuctionCancelledEvent.InputTuple,
+      AuctionCancelledEvent.OutputTuple,
+      AuctionCancelledEvent.OutputObject
+    >;
+    AuctionCancelled: TypedContractEvent<
+      AuctionCancelledEvent.InputTuple,
+      AuctionCancelledEvent.OutputTuple,
+      AuctionCancelledEvent.OutputObject
+    >;
+
+    "AuctionCreated(uint256,uint8,address,uint256,address,uint256)": TypedContractEvent<
+      AuctionCreatedEvent.InputTuple,
+      AuctionCreatedEvent.OutputTuple,
+      AuctionCreatedEvent.OutputObject
+    >;
+    AuctionCreated: TypedContractEvent<
+      AuctionCreatedEvent.InputTuple,
+      AuctionCreatedEvent.OutputTuple,
+      AuctionCreatedEvent.OutputObject
+    >;
+
+    "AuctionFinalized(uint256,address,uint256)": TypedContractEvent<
+      AuctionFinalizedEvent.InputTuple,
+      AuctionFinalizedEvent.OutputTuple,
+      AuctionFinalizedEvent.OutputObject
+    >;
+    AuctionFinalized: TypedContractEvent<
+      AuctionFinalizedEvent.InputTuple,
+      AuctionFinalizedEvent.OutputTuple,
+      AuctionFinalizedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "BidCommitted(uint256,address,bytes32)": TypedContractEvent<
+      BidCommittedEvent.InputTuple,
+      BidCommittedEvent.OutputTuple,
+      BidCommittedEvent.OutputObject
+    >;
+    BidCommitted: TypedContractEvent<
+      BidCommittedEvent.InputTuple,
+      BidCommittedEvent.OutputTuple,
+      BidCommittedEvent.OutputObject
+    >;
+
+    "BidPlaced(uint256,address,uint256)": TypedContractEvent<
+      BidPlacedEvent.InputTuple,
+      BidPlacedEvent.OutputTuple,
+      BidPlacedEvent.OutputObject
+    >;
+    BidPlaced: TypedContractEvent<
+      BidPlacedEvent.InputTuple,
+      BidPlacedEvent.OutputTuple,
+      BidPlacedEvent.OutputObject
+    >;
+
+    "BidRevealed(uint256,address,uint256)": TypedContractEvent<
+      BidRevealedEvent.InputTuple,
+      BidRevealedEvent.OutputTuple,
+      BidRevealedEvent.OutputObject
+    >;
+    BidRevealed: TypedContractEvent<
+      BidRevealedEvent.InputTuple,
+      BidRevealedEvent.OutputTuple,
+      BidRevealedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "RefundIssued(uint256,address,uint256)": TypedContractEvent<
+      RefundIssuedEvent.InputTuple,
+      RefundIssuedEvent.OutputTuple,
+      RefundIssuedEvent.OutputObject
+    >;
+    RefundIssued: TypedContractEvent<
+      RefundIssuedEvent.InputTuple,
+      RefundIssuedEvent.OutputTuple,
+      RefundIssuedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
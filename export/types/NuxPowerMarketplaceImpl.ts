@@ -0,0 +1,2552 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace INuxPower {
+  export type NuxPowerStruct = {
+    skillType: BigNumberish;
+    rarity: BigNumberish;
+    level: BigNumberish;
+    owner: AddressLike;
+    purchasedAt: BigNumberish;
+    expiresAt: BigNumberish;
+    isActive: boolean;
+    metadata: string;
+    createdAt: BigNumberish;
+  };
+
+  export type NuxPowerStructOutput = [
+    skillType: bigint,
+    rarity: bigint,
+    level: bigint,
+    owner: string,
+    purchasedAt: bigint,
+    expiresAt: bigint,
+    isActive: boolean,
+    metadata: string,
+    createdAt: bigint
+  ] & {
+    skillType: bigint;
+    rarity: bigint;
+    level: bigint;
+    owner: string;
+    purchasedAt: bigint;
+    expiresAt: bigint;
+    isActive: boolean;
+    metadata: string;
+    createdAt: bigint;
+  };
+}
+
+export interface NuxPowerMarketplaceImplInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "activateNuxPower"
+      | "basePricePerRarity"
+      | "claimExpiredNuxPower"
+      | "deactivateNuxPower"
+      | "emergencyWithdraw"
+      | "emergencyWithdrawAll"
+      | "getActivenuxPowers"
+      | "getAllSkillsPricing"
+      | "getCurrentBasePrices"
+      | "getLevelMultipliers"
+      | "getNuxPower"
+      | "getRarityEffectMultipliers"
+      | "getRoleAdmin"
+      | "getSkillAdoptionRates"
+      | "getSkillEffectValuesAllRarities"
+      | "getSkillPrice"
+      | "getSkillPricesAllRarities"
+      | "getSkillRevenueByRarity"
+      | "getSkillRevenueByType"
+      | "getUserActiveSkillCount"
+      | "getUserActivenuxPowers"
+      | "getUserPlatformSkills"
+      | "getUserSkillSpending"
+      | "getUserSkillStats"
+      | "getUserSkillsByCategory"
+      | "getUserSkillsComprehensive"
+      | "getUserStakingSkills"
+      | "getUsernuxPowers"
+      | "getUsernuxPowersDetailed"
+      | "getnuxPowerPrice"
+      | "getnuxPowersMarketStats"
+      | "grantRole"
+      | "hasRole"
+      | "levelMultiplier"
+      | "nuxPowers"
+      | "pause"
+      | "paused"
+      | "purchaseNuxPower"
+      | "rarityEffectMultiplier"
+      | "renewNuxPower"
+      | "renounceRole"
+      | "resetSkillPricingToDefaults"
+      | "revenueByRarity"
+      | "revenueBySkillType"
+      | "revokeRole"
+      | "setBasePricePerRarity"
+      | "setLevelMultiplier"
+      | "setRarityEffectMultiplier"
+      | "setSkillEffectValue"
+      | "setSkillEffectValuesAllRarities"
+      | "setStakingContract"
+      | "setTreasuryManager"
+      | "skillEffectValues"
+      | "skillLevelCount"
+      | "skillPrices"
+      | "skillsSoldByRarity"
+      | "skillsSoldByType"
+      | "stakingContractAddress"
+      | "supportsInterface"
+      | "totalRevenue"
+      | "totalSkillsSold"
+      | "transferNuxPower"
+      | "treasuryManager"
+      | "unpause"
+      | "updateActiveSkillsPricing"
+      | "updateSkillPrice"
+      | "updateStakingSkillsPricing"
+      | "userActiveSkillCount"
+      | "userActiveSkills"
+      | "userTotalSpent"
+      | "usernuxPowers"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "BasePriceUpdated"
+      | "EmergencyWithdrawal"
+      | "Paused"
+      | "PowerCleanedUp"
+      | "PowerEffectValueUpdated"
+      | "PowerLevelMultiplierUpdated"
+      | "PowerPurchaseProcessed"
+      | "RarityEffectMultiplierUpdated"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SkillPricingUpdated"
+      | "StakingContractUpdated"
+      | "TreasuryManagerUpdated"
+      | "Unpaused"
+      | "nuxPowerActivated"
+      | "nuxPowerDeactivated"
+      | "nuxPowerExpired"
+      | "nuxPowerPurchased"
+      | "nuxPowerRenewed"
+      | "nuxPowerTransferred"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activateNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "basePricePerRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimExpiredNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdrawAll",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivenuxPowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSkillsPricing",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCurrentBasePrices",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLevelMultipliers",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRarityEffectMultipliers",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillAdoptionRates",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillEffectValuesAllRarities",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillPrice",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillPricesAllRarities",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRevenueByRarity",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRevenueByType",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserActiveSkillCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserActivenuxPowers",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPlatformSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillSpending",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillsByCategory",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillsComprehensive",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserStakingSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUsernuxPowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUsernuxPowersDetailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getnuxPowerPrice",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getnuxPowersMarketStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelMultiplier",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nuxPowers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "purchaseNuxPower",
+    values: [BigNumberish, BigNumberish, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rarityEffectMultiplier",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renewNuxPower",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "resetSkillPricingToDefaults",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revenueByRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revenueBySkillType",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setBasePricePerRarity",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelMultiplier",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRarityEffectMultiplier",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSkillEffectValue",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSkillEffectValuesAllRarities",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillEffectValues",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillLevelCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillPrices",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillsSoldByRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillsSoldByType",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRevenue",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalSkillsSold",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferNuxPower",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updateActiveSkillsPricing",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateSkillPrice",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateStakingSkillsPricing",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userActiveSkillCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userActiveSkills",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userTotalSpent",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "usernuxPowers",
+    values: [AddressLike, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activateNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "basePricePerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimExpiredNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdrawAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivenuxPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSkillsPricing",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCurrentBasePrices",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLevelMultipliers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRarityEffectMultipliers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillAdoptionRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillEffectValuesAllRarities",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillPricesAllRarities",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRevenueByRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRevenueByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserActiveSkillCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserActivenuxPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPlatformSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillSpending",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillsByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillsComprehensive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserStakingSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUsernuxPowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUsernuxPowersDetailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getnuxPowerPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getnuxPowersMarketStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "levelMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "nuxPowers", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "purchaseNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rarityEffectMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renewNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "resetSkillPricingToDefaults",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revenueByRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revenueBySkillType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setBasePricePerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRarityEffectMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSkillEffectValue",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSkillEffectValuesAllRarities",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillEffectValues",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillLevelCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillPrices",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillsSoldByRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "skillsSoldByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRevenue",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalSkillsSold",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferNuxPower",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updateActiveSkillsPricing",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateSkillPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateStakingSkillsPricing",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userActiveSkillCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userActiveSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userTotalSpent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "usernuxPowers",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace BasePriceUpdatedEvent {
+  export type InputTuple = [rarity: BigNumberish, newPrice: BigNumberish];
+  export type OutputTuple = [rarity: bigint, newPrice: bigint];
+  export interface OutputObject {
+    rarity: bigint;
+    newPrice: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [
+    admin: AddressLike,
+    amount: BigNumberish,
+    to: AddressLike
+  ];
+  export type OutputTuple = [admin: string, amount: bigint, to: string];
+  export interface OutputObject {
+    admin: string;
+    amount: bigint;
+    to: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerCleanedUpEvent {
+  export type InputTuple = [user: AddressLike, skillId: BigNumberish];
+  export type OutputTuple = [user: string, skillId: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerEffectValueUpdatedEvent {
+  export type InputTuple = [
+    skillType: BigNumberish,
+    rarity: BigNumberish,
+    newEffectValue: BigNumberish
+  ];
+  export type OutputTuple = [
+    skillType: bigint,
+    rarity: bigint,
+    newEffectValue: bigint
+  ];
+  export interface OutputObject {
+    skillType: bigint;
+    rarity: bigint;
+    newEffectValue: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerLevelMultiplierUpdatedEvent {
+  export type InputTuple = [level: BigNumberish, newMultiplier: BigNumberish];
+  export type OutputTuple = [level: bigint, newMultiplier: bigint];
+  export interface OutputObject {
+    level: bigint;
+    newMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerPurchaseProcessedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish,
+    amount: BigNumberish,
+    operation: string
+  ];
+  export type OutputTuple = [
+    user: string,
+    skillId: bigint,
+    skillType: bigint,
+    amount: bigint,
+    operation: string
+  ];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+    amount: bigint;
+    operation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RarityEffectMultiplierUpdatedEvent {
+  export type InputTuple = [rarity: BigNumberish, newMultiplier: BigNumberish];
+  export type OutputTuple = [rarity: bigint, newMultiplier: bigint];
+  export interface OutputObject {
+    rarity: bigint;
+    newMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillPricingUpdatedEvent {
+  export type InputTuple = [
+    skillType: BigNumberish,
+    basePrice: BigNumberish,
+    rarityMultiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    skillType: bigint,
+    basePrice: bigint,
+    rarityMultiplier: bigint
+  ];
+  export interface OutputObject {
+    skillType: bigint;
+    basePrice: bigint;
+    rarityMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [oldStaking: AddressLike, newStaking: AddressLike];
+  export type OutputTuple = [oldStaking: string, newStaking: string];
+  export interface OutputObject {
+    oldStaking: string;
+    newStaking: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [oldManager: AddressLike, newManager: AddressLike];
+  export type OutputTuple = [oldManager: string, newManager: string];
+  export interface OutputObject {
+    oldManager: string;
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerExpiredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, skillId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerPurchasedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish,
+    rarity: BigNumberish,
+    price: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    skillId: bigint,
+    skillType: bigint,
+    rarity: bigint,
+    price: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    skillType: bigint;
+    rarity: bigint;
+    price: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerRenewedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    skillId: BigNumberish,
+    newExpiryTime: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    skillId: bigint,
+    newExpiryTime: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    skillId: bigint;
+    newExpiryTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace nuxPowerTransferredEvent {
+  export type InputTuple = [
+    from: AddressLike,
+    to: AddressLike,
+    skillId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [
+    from: string,
+    to: string,
+    skillId: bigint,
+    skillType: bigint
+  ];
+  export interface OutputObject {
+    from: string;
+    to: string;
+    skillId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxPowerMarketplaceImpl extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxPowerMarketplaceImpl;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxPowerMarketplaceImplInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  activateNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  basePricePerRarity: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  claimExpiredNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  deactivateNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdraw: TypedContractMethod<
+    [_amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdrawAll: TypedContractMethod<[], [void], "nonpayable">;
+
+  getActivenuxPowers: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getAllSkillsPricing: TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[][]] & {
+        skillTypes: bigint[];
+        categories: bigint[];
+        prices: bigint[][];
+      }
+    ],
+    "view"
+  >;
+
+  getCurrentBasePrices: TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getLevelMultipliers: TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [INuxPower.NuxPowerStructOutput],
+    "view"
+  >;
+
+  getRarityEffectMultipliers: TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSkillAdoptionRates: TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        userCounts: bigint[];
+        percentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getSkillEffectValuesAllRarities: TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getSkillPrice: TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getSkillPricesAllRarities: TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getSkillRevenueByRarity: TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        rarities: bigint[];
+        revenue: bigint[];
+        salesCount: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getSkillRevenueByType: TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        revenue: bigint[];
+        salesCount: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserActiveSkillCount: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getUserActivenuxPowers: TypedContractMethod<
+    [_user: AddressLike, arg1: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserPlatformSkills: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillSpending: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        totalSpent: bigint;
+        skillsPurchased: bigint;
+        averageSpentPerSkill: bigint;
+        mostPurchasedType: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillStats: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalSkills: bigint;
+        totalStakingSkills: bigint;
+        totalPlatformSkills: bigint;
+        activeCount: bigint;
+        expiredCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillsByCategory: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], INuxPower.NuxPowerStructOutput[]] & {
+        stakingSkills: INuxPower.NuxPowerStructOutput[];
+        activeSkills: INuxPower.NuxPowerStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillsComprehensive: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        INuxPower.NuxPowerStructOutput[],
+        boolean[],
+        boolean[],
+        bigint[],
+        string[]
+      ] & {
+        allSkills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+        expiresIn: bigint[];
+        categoryNames: string[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserStakingSkills: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getUsernuxPowers: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUsernuxPowersDetailed: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getnuxPowerPrice: TypedContractMethod<
+    [_rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getnuxPowersMarketStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        skillsSold: bigint;
+        activeSkills: bigint;
+        revenue: bigint;
+        averagePricePerSkill: bigint;
+        uniqueBuyers: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  levelMultiplier: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  nuxPowers: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        bigint
+      ] & {
+        skillType: bigint;
+        rarity: bigint;
+        level: bigint;
+        owner: string;
+        purchasedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        metadata: string;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  purchaseNuxPower: TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _level: BigNumberish,
+      _metadata: string
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  rarityEffectMultiplier: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  renewNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  resetSkillPricingToDefaults: TypedContractMethod<[], [void], "nonpayable">;
+
+  revenueByRarity: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  revenueBySkillType: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setBasePricePerRarity: TypedContractMethod<
+    [_rarityIndex: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelMultiplier: TypedContractMethod<
+    [_levelIndex: BigNumberish, _newMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setRarityEffectMultiplier: TypedContractMethod<
+    [_rarityIndex: BigNumberish, _newMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setSkillEffectValue: TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setSkillEffectValuesAllRarities: TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _commonEffect: BigNumberish,
+      _uncommonEffect: BigNumberish,
+      _rareEffect: BigNumberish,
+      _epicEffect: BigNumberish,
+      _legendaryEffect: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  skillEffectValues: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  skillLevelCount: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  skillPrices: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  skillsSoldByRarity: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  skillsSoldByType: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  stakingContractAddress: TypedContractMethod<[], [string], "view">;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  totalRevenue: TypedContractMethod<[], [bigint], "view">;
+
+  totalSkillsSold: TypedContractMethod<[], [bigint], "view">;
+
+  transferNuxPower: TypedContractMethod<
+    [_skillId: BigNumberish, _recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updateActiveSkillsPricing: TypedContractMethod<
+    [
+      _commonPrice: BigNumberish,
+      _uncommonPrice: BigNumberish,
+      _rarePrice: BigNumberish,
+      _epicPrice: BigNumberish,
+      _legendaryPrice: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  updateSkillPrice: TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateStakingSkillsPricing: TypedContractMethod<
+    [
+      _commonPrice: BigNumberish,
+      _uncommonPrice: BigNumberish,
+      _rarePrice: BigNumberish,
+      _epicPrice: BigNumberish,
+      _legendaryPrice: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  userActiveSkillCount: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  userActiveSkills: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  userTotalSpent: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  usernuxPowers: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "activateNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "basePricePerRarity"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimExpiredNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "deactivateNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<[_amount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "emergencyWithdrawAll"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getActivenuxPowers"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getAllSkillsPricing"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[][]] & {
+        skillTypes: bigint[];
+        categories: bigint[];
+        prices: bigint[][];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCurrentBasePrices"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLevelMultipliers"
+  ): TypedContractMethod<[], [[bigint, bigint, bigint]], "view">;
+  getFunction(
+    nameOrSignature: "getNuxPower"
+  ): TypedContractMethod<
+    [_skillId: BigNumberish],
+    [INuxPower.NuxPowerStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRarityEffectMultipliers"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSkillAdoptionRates"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        userCounts: bigint[];
+        percentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillEffectValuesAllRarities"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillPrice"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillPricesAllRarities"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillRevenueByRarity"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        rarities: bigint[];
+        revenue: bigint[];
+        salesCount: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillRevenueByType"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        revenue: bigint[];
+        salesCount: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserActiveSkillCount"
+  ): TypedContractMethod<[_user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserActivenuxPowers"
+  ): TypedContractMethod<
+    [_user: AddressLike, arg1: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPlatformSkills"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillSpending"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        totalSpent: bigint;
+        skillsPurchased: bigint;
+        averageSpentPerSkill: bigint;
+        mostPurchasedType: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillStats"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalSkills: bigint;
+        totalStakingSkills: bigint;
+        totalPlatformSkills: bigint;
+        activeCount: bigint;
+        expiredCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillsByCategory"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], INuxPower.NuxPowerStructOutput[]] & {
+        stakingSkills: INuxPower.NuxPowerStructOutput[];
+        activeSkills: INuxPower.NuxPowerStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillsComprehensive"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        INuxPower.NuxPowerStructOutput[],
+        boolean[],
+        boolean[],
+        bigint[],
+        string[]
+      ] & {
+        allSkills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+        expiresIn: bigint[];
+        categoryNames: string[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserStakingSkills"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUsernuxPowers"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUsernuxPowersDetailed"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [INuxPower.NuxPowerStructOutput[], boolean[]] & {
+        skills: INuxPower.NuxPowerStructOutput[];
+        isActive: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getnuxPowerPrice"
+  ): TypedContractMethod<[_rarity: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getnuxPowersMarketStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        skillsSold: bigint;
+        activeSkills: bigint;
+        revenue: bigint;
+        averagePricePerSkill: bigint;
+        uniqueBuyers: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "levelMultiplier"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "nuxPowers"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        string,
+        bigint
+      ] & {
+        skillType: bigint;
+        rarity: bigint;
+        level: bigint;
+        owner: string;
+        purchasedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        metadata: string;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "purchaseNuxPower"
+  ): TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _level: BigNumberish,
+      _metadata: string
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "rarityEffectMultiplier"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "renewNuxPower"
+  ): TypedContractMethod<[_skillId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "resetSkillPricingToDefaults"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "revenueByRarity"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "revenueBySkillType"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setBasePricePerRarity"
+  ): TypedContractMethod<
+    [_rarityIndex: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLevelMultiplier"
+  ): TypedContractMethod<
+    [_levelIndex: BigNumberish, _newMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setRarityEffectMultiplier"
+  ): TypedContractMethod<
+    [_rarityIndex: BigNumberish, _newMultiplier: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setSkillEffectValue"
+  ): TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _rarity: BigNumberish,
+      _effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setSkillEffectValuesAllRarities"
+  ): TypedContractMethod<
+    [
+      _skillType: BigNumberish,
+      _commonEffect: BigNumberish,
+      _uncommonEffect: BigNumberish,
+      _rareEffect: BigNumberish,
+      _epicEffect: BigNumberish,
+      _legendaryEffect: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "skillEffectValues"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "skillLevelCount"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "skillPrices"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "skillsSoldByRarity"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "skillsSoldByType"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "stakingContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalRevenue"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalSkillsSold"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferNuxPower"
+  ): TypedContractMethod<
+    [_skillId: BigNumberish, _recipient: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateActiveSkillsPricing"
+  ): TypedContractMethod<
+    [
+      _commonPrice: BigNumberish,
+      _uncommonPrice: BigNumberish,
+      _rarePrice: BigNumberish,
+      _epicPrice: BigNumberish,
+      _legendaryPrice: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateSkillPrice"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish, _price: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateStakingSkillsPricing"
+  ): TypedContractMethod<
+    [
+      _commonPrice: BigNumberish,
+      _uncommonPrice: BigNumberish,
+      _rarePrice: BigNumberish,
+      _epicPrice: BigNumberish,
+      _legendaryPrice: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "userActiveSkillCount"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userActiveSkills"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userTotalSpent"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "usernuxPowers"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getEvent(
+    key: "BasePriceUpdated"
+  ): TypedContractEvent<
+    BasePriceUpdatedEvent.InputTuple,
+    BasePriceUpdatedEvent.OutputTuple,
+    BasePriceUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerCleanedUp"
+  ): TypedContractEvent<
+    PowerCleanedUpEvent.InputTuple,
+    PowerCleanedUpEvent.OutputTuple,
+    PowerCleanedUpEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerEffectValueUpdated"
+  ): TypedContractEvent<
+    PowerEffectValueUpdatedEvent.InputTuple,
+    PowerEffectValueUpdatedEvent.OutputTuple,
+    PowerEffectValueUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerLevelMultiplierUpdated"
+  ): TypedContractEvent<
+    PowerLevelMultiplierUpdatedEvent.InputTuple,
+    PowerLevelMultiplierUpdatedEvent.OutputTuple,
+    PowerLevelMultiplierUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerPurchaseProcessed"
+  ): TypedContractEvent<
+    PowerPurchaseProcessedEvent.InputTuple,
+    PowerPurchaseProcessedEvent.OutputTuple,
+    PowerPurchaseProcessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RarityEffectMultiplierUpdated"
+  ): TypedContractEvent<
+    RarityEffectMultiplierUpdatedEvent.InputTuple,
+    RarityEffectMultiplierUpdatedEvent.OutputTuple,
+    RarityEffectMultiplierUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillPricingUpdated"
+  ): TypedContractEvent<
+    SkillPricingUpdatedEvent.InputTuple,
+    SkillPricingUpdatedEvent.OutputTuple,
+    SkillPricingUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerActivated"
+  ): TypedContractEvent<
+    nuxPowerActivatedEvent.InputTuple,
+    nuxPowerActivatedEvent.OutputTuple,
+    nuxPowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerDeactivated"
+  ): TypedContractEvent<
+    nuxPowerDeactivatedEvent.InputTuple,
+    nuxPowerDeactivatedEvent.OutputTuple,
+    nuxPowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerExpired"
+  ): TypedContractEvent<
+    nuxPowerExpiredEvent.InputTuple,
+    nuxPowerExpiredEvent.OutputTuple,
+    nuxPowerExpiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerPurchased"
+  ): TypedContractEvent<
+    nuxPowerPurchasedEvent.InputTuple,
+    nuxPowerPurchasedEvent.OutputTuple,
+    nuxPowerPurchasedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerRenewed"
+  ): TypedContractEvent<
+    nuxPowerRenewedEvent.InputTuple,
+    nuxPowerRenewedEvent.OutputTuple,
+    nuxPowerRenewedEvent.OutputObject
+  >;
+  getEvent(
+    key: "nuxPowerTransferred"
+  ): TypedContractEvent<
+    nuxPowerTransferredEvent.InputTuple,
+    nuxPowerTransferredEvent.OutputTuple,
+    nuxPowerTransferredEvent.OutputObject
+  >;
+
+  filters: {
+    "BasePriceUpdated(uint8,uint256)": TypedContractEvent<
+      BasePriceUpdatedEvent.InputTuple,
+      BasePriceUpdatedEvent.OutputTuple,
+      BasePriceUpdatedEvent.OutputObject
+    >;
+    BasePriceUpdated: TypedContractEvent<
+      BasePriceUpdatedEvent.InputTuple,
+      BasePriceUpdatedEvent.OutputTuple,
+      BasePriceUpdatedEvent.OutputObject
+    >;
+
+    "EmergencyWithdrawal(address,uint256,address)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PowerCleanedUp(address,uint256)": TypedContractEvent<
+      PowerCleanedUpEvent.InputTuple,
+      PowerCleanedUpEvent.OutputTuple,
+      PowerCleanedUpEvent.OutputObject
+    >;
+    PowerCleanedUp: TypedContractEvent<
+      PowerCleanedUpEvent.InputTuple,
+      PowerCleanedUpEvent.OutputTuple,
+      PowerCleanedUpEvent.OutputObject
+    >;
+
+    "PowerEffectValueUpdated(uint8,uint8,uint16)": TypedContractEvent<
+      PowerEffectValueUpdatedEvent.InputTuple,
+      PowerEffectValueUpdatedEvent.OutputTuple,
+      PowerEffectValueUpdatedEvent.OutputObject
+    >;
+    PowerEffectValueUpdated: TypedContractEvent<
+      PowerEffectValueUpdatedEvent.InputTuple,
+      PowerEffectValueUpdatedEvent.OutputTuple,
+      PowerEffectValueUpdatedEvent.OutputObject
+    >;
+
+    "PowerLevelMultiplierUpdated(uint8,uint16)": TypedContractEvent<
+      PowerLevelMultiplierUpdatedEvent.InputTuple,
+      PowerLevelMultiplierUpdatedEvent.OutputTuple,
+      PowerLevelMultiplierUpdatedEvent.OutputObject
+    >;
+    PowerLevelMultiplierUpdated: TypedContractEvent<
+      PowerLevelMultiplierUpdatedEvent.InputTuple,
+      PowerLevelMultiplierUpdatedEvent.OutputTuple,
+      PowerLevelMultiplierUpdatedEvent.OutputObject
+    >;
+
+    "PowerPurchaseProcessed(address,uint256,uint8,uint256,string)": TypedContractEvent<
+      PowerPurchaseProcessedEvent.InputTuple,
+      PowerPurchaseProcessedEvent.OutputTuple,
+      PowerPurchaseProcessedEvent.OutputObject
+    >;
+    PowerPurchaseProcessed: TypedContractEvent<
+      PowerPurchaseProcessedEvent.InputTuple,
+      PowerPurchaseProcessedEvent.OutputTuple,
+      PowerPurchaseProcessedEvent.OutputObject
+    >;
+
+    "RarityEffectMultiplierUpdated(uint8,uint16)": TypedContractEvent<
+      RarityEffectMultiplierUpdatedEvent.InputTuple,
+      RarityEffectMultiplierUpdatedEvent.OutputTuple,
+      RarityEffectMultiplierUpdatedEvent.OutputObject
+    >;
+    RarityEffectMultiplierUpdated: TypedContractEvent<
+      RarityEffectMultiplierUpdatedEvent.InputTuple,
+      RarityEffectMultiplierUpdatedEvent.OutputTuple,
+      RarityEffectMultiplierUpdatedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SkillPricingUpdated(uint8,uint256,uint256)": TypedContractEvent<
+      SkillPricingUpdatedEvent.InputTuple,
+      SkillPricingUpdatedEvent.OutputTuple,
+      SkillPricingUpdatedEvent.OutputObject
+    >;
+    SkillPricingUpdated: TypedContractEvent<
+      SkillPricingUpdatedEvent.InputTuple,
+      SkillPricingUpdatedEvent.OutputTuple,
+      SkillPricingUpdatedEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address,address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address,address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "nuxPowerActivated(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerActivatedEvent.InputTuple,
+      nuxPowerActivatedEvent.OutputTuple,
+      nuxPowerActivatedEvent.OutputObject
+    >;
+    nuxPowerActivated: TypedContractEvent<
+      nuxPowerActivatedEvent.InputTuple,
+      nuxPowerActivatedEvent.OutputTuple,
+      nuxPowerActivatedEvent.OutputObject
+    >;
+
+    "nuxPowerDeactivated(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerDeactivatedEvent.InputTuple,
+      nuxPowerDeactivatedEvent.OutputTuple,
+      nuxPowerDeactivatedEvent.OutputObject
+    >;
+    nuxPowerDeactivated: TypedContractEvent<
+      nuxPowerDeactivatedEvent.InputTuple,
+      nuxPowerDeactivatedEvent.OutputTuple,
+      nuxPowerDeactivatedEvent.OutputObject
+    >;
+
+    "nuxPowerExpired(address,uint256,uint8)": TypedContractEvent<
+      nuxPowerExpiredEvent.InputTuple,
+      nuxPowerExpiredEvent.OutputTuple,
+      nuxPowerExpiredEvent.OutputObject
+    >;
+    nuxPowerExpired: TypedContractEvent<
+      nuxPowerExpiredEvent.InputTuple,
+      nuxPowerExpiredEvent.OutputTuple,
+      nuxPowerExpiredEvent.OutputObject
+    >;
+
+    "nuxPowerPurchased(address,uint256,uint8,uint8,uint256)": TypedContractEvent<
+      nuxPowerPurchasedEvent.InputTuple,
+      nuxPowerPurchasedEvent.OutputTuple,
+      nuxPowerPurchasedEvent.OutputObject
+    >;
+    nuxPowerPurchased: TypedContractEvent<
+      nuxPowerPurchasedEvent.InputTuple,
+      nuxPowerPurchasedEvent.OutputTuple,
+      nuxPowerPurchasedEvent.OutputObject
+    >;
+
+    "nuxPowerRenewed(address,uint256,uint256)": TypedContractEvent<
+      nuxPowerRenewedEvent.InputTuple,
+      nuxPowerRenewedEvent.OutputTuple,
+      nuxPowerRenewedEvent.OutputObject
+    >;
+    nuxPowerRenewed: TypedContractEvent<
+      nuxPowerRenewedEvent.InputTuple,
+      nuxPowerRenewedEvent.OutputTuple,
+      nuxPowerRenewedEvent.OutputObject
+    >;
+
+    "nuxPowerTransferred(address,address,uint256,uint8)": TypedContractEvent<
+      nuxPowerTransferredEvent.InputTuple,
+      nuxPowerTransferredEvent.OutputTuple,
+      nuxPowerTransferredEvent.OutputObject
+    >;
+    nuxPowerTransferred: TypedContractEvent<
+      nuxPowerTransferredEvent.InputTuple,
+      nuxPowerTransferredEvent.OutputTuple,
+      nuxPowerTransferredEvent.OutputObject
+    >;
+  };
+}
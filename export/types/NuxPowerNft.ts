@@ -0,0 +1,1967 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxPowerNft {
+  export type SkillStruct = {
+    skillType: BigNumberish;
+    rarity: BigNumberish;
+    level: BigNumberish;
+    createdAt: BigNumberish;
+    expiresAt: BigNumberish;
+  };
+
+  export type SkillStructOutput = [
+    skillType: bigint,
+    rarity: bigint,
+    level: bigint,
+    createdAt: bigint,
+    expiresAt: bigint
+  ] & {
+    skillType: bigint;
+    rarity: bigint;
+    level: bigint;
+    createdAt: bigint;
+    expiresAt: bigint;
+  };
+
+  export type SkillNFTStruct = {
+    creator: AddressLike;
+    skills: NuxPowerNft.SkillStruct[];
+    createdAt: BigNumberish;
+    basePrice: BigNumberish;
+  };
+
+  export type SkillNFTStructOutput = [
+    creator: string,
+    skills: NuxPowerNft.SkillStructOutput[],
+    createdAt: bigint,
+    basePrice: bigint
+  ] & {
+    creator: string;
+    skills: NuxPowerNft.SkillStructOutput[];
+    createdAt: bigint;
+    basePrice: bigint;
+  };
+}
+
+export interface NuxPowerNftInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "coreContractAddress"
+      | "deactivateExpiredSkill"
+      | "deactivatePowerManually"
+      | "emergencyWithdraw"
+      | "emergencyWithdrawAll"
+      | "getActiveSkillsForUser"
+      | "getAllSkillNFTs"
+      | "getExpiringSkills"
+      | "getPopularSkills"
+      | "getPowerSwitchInfo"
+      | "getRoleAdmin"
+      | "getSkillExpiryTime"
+      | "getSkillMarketStats"
+      | "getSkillNFT"
+      | "getSkillNFTSkills"
+      | "getSkillPrice"
+      | "getSkillPricesAllRarities"
+      | "getSkillRarityDistribution"
+      | "getUserPowersByType"
+      | "getUserSkillNFTs"
+      | "getUserSkillNFTsWithDetails"
+      | "getUserSkillPortfolio"
+      | "getUserSkillsGrouped"
+      | "getUserTotalActiveSkills"
+      | "getpowerTypeCount"
+      | "grantRole"
+      | "hasClaimedFreeSkill"
+      | "hasRole"
+      | "isFirstSkillFree"
+      | "isSkillExpired"
+      | "pause"
+      | "paused"
+      | "powerTypeCount"
+      | "registerSkillsForNFT"
+      | "renewSkill"
+      | "renounceRole"
+      | "revokeRole"
+      | "setStakingContract"
+      | "setTreasuryAddress"
+      | "skillNFTs"
+      | "skillPrices"
+      | "stakingContractAddress"
+      | "supportsInterface"
+      | "switchSkill"
+      | "treasuryAddress"
+      | "unpause"
+      | "updateActiveSkillsPricing"
+      | "updateSkillPrice"
+      | "updateStakingSkillsPricing"
+      | "userActivePowersByType"
+      | "userPowerNFTId"
+      | "userSkillNFTs"
+      | "userTotalActiveSkills"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "EmergencyWithdrawal"
+      | "FreePowerClaimed"
+      | "Paused"
+      | "PowerAdded"
+      | "PowerDeactivatedManually"
+      | "PowerExpired"
+      | "PowerRenewed"
+      | "PowerTypeAlreadyActive"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SkillNFTCreated"
+      | "SkillPaymentProcessed"
+      | "SkillSwitched"
+      | "StakingContractUpdated"
+      | "TreasuryAddressUpdated"
+      | "Unpaused"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateExpiredSkill",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivatePowerManually",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdrawAll",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkillsForUser",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSkillNFTs",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getExpiringSkills",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPopularSkills",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowerSwitchInfo",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillExpiryTime",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillMarketStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillNFT",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillNFTSkills",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillPrice",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillPricesAllRarities",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRarityDistribution",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowersByType",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillNFTs",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillNFTsWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillPortfolio",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillsGrouped",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserTotalActiveSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getpowerTypeCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasClaimedFreeSkill",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isFirstSkillFree",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isSkillExpired",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "powerTypeCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerSkillsForNFT",
+    values: [BigNumberish, BigNumberish[], BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renewSkill",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillNFTs",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "skillPrices",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "switchSkill",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updateActiveSkillsPricing",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateSkillPrice",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateStakingSkillsPricing",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userActivePowersByType",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userPowerNFTId",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userSkillNFTs",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userTotalActiveSkills",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateExpiredSkill",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivatePowerManually",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdrawAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkillsForUser",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSkillNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getExpiringSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPopularSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowerSwitchInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillExpiryTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillMarketStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillNFT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillNFTSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillPricesAllRarities",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRarityDistribution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowersByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillNFTsWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillPortfolio",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillsGrouped",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserTotalActiveSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getpowerTypeCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "hasClaimedFreeSkill",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isFirstSkillFree",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isSkillExpired",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "powerTypeCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerSkillsForNFT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "renewSkill", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "skillNFTs", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "skillPrices",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "switchSkill",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updateActiveSkillsPricing",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateSkillPrice",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateStakingSkillsPricing",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userActivePowersByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userPowerNFTId",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userSkillNFTs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userTotalActiveSkills",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [
+    admin: AddressLike,
+    amount: BigNumberish,
+    to: AddressLike
+  ];
+  export type OutputTuple = [admin: string, amount: bigint, to: string];
+  export interface OutputObject {
+    admin: string;
+    amount: bigint;
+    to: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FreePowerClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerAddedEvent {
+  export type InputTuple = [
+    tokenId: BigNumberish,
+    skillType: BigNumberish,
+    rarity: BigNumberish
+  ];
+  export type OutputTuple = [
+    tokenId: bigint,
+    skillType: bigint,
+    rarity: bigint
+  ];
+  export interface OutputObject {
+    tokenId: bigint;
+    skillType: bigint;
+    rarity: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerDeactivatedManuallyEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerExpiredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    skillType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, tokenId: bigint, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerRenewedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    newExpiryTime: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    tokenId: bigint,
+    newExpiryTime: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    newExpiryTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerTypeAlreadyActiveEvent {
+  export type InputTuple = [user: AddressLike, skillType: BigNumberish];
+  export type OutputTuple = [user: string, skillType: bigint];
+  export interface OutputObject {
+    user: string;
+    skillType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillNFTCreatedEvent {
+  export type InputTuple = [
+    creator: AddressLike,
+    tokenId: BigNumberish,
+    skillCount: BigNumberish,
+    totalXP: BigNumberish
+  ];
+  export type OutputTuple = [
+    creator: string,
+    tokenId: bigint,
+    skillCount: bigint,
+    totalXP: bigint
+  ];
+  export interface OutputObject {
+    creator: string;
+    tokenId: bigint;
+    skillCount: bigint;
+    totalXP: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillPaymentProcessedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    tokenId: BigNumberish,
+    amount: BigNumberish,
+    operationType: string
+  ];
+  export type OutputTuple = [
+    user: string,
+    tokenId: bigint,
+    amount: bigint,
+    operationType: string
+  ];
+  export interface OutputObject {
+    user: string;
+    tokenId: bigint;
+    amount: bigint;
+    operationType: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillSwitchedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    oldTokenId: BigNumberish,
+    newTokenId: BigNumberish,
+    skillType: BigNumberish,
+    switchFee: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    oldTokenId: bigint,
+    newTokenId: bigint,
+    skillType: bigint,
+    switchFee: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    oldTokenId: bigint;
+    newTokenId: bigint;
+    skillType: bigint;
+    switchFee: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [oldStaking: AddressLike, newStaking: AddressLike];
+  export type OutputTuple = [oldStaking: string, newStaking: string];
+  export interface OutputObject {
+    oldStaking: string;
+    newStaking: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryAddressUpdatedEvent {
+  export type InputTuple = [oldTreasury: AddressLike, newTreasury: AddressLike];
+  export type OutputTuple = [oldTreasury: string, newTreasury: string];
+  export interface OutputObject {
+    oldTreasury: string;
+    newTreasury: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxPowerNft extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxPowerNft;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxPowerNftInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  coreContractAddress: TypedContractMethod<[], [string], "view">;
+
+  deactivateExpiredSkill: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  deactivatePowerManually: TypedContractMethod<
+    [_tokenId: BigNumberish, _skillType: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdraw: TypedContractMethod<
+    [_amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdrawAll: TypedContractMethod<[], [void], "nonpayable">;
+
+  getActiveSkillsForUser: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getAllSkillNFTs: TypedContractMethod<[], [bigint[]], "view">;
+
+  getExpiringSkills: TypedContractMethod<
+    [_user: AddressLike, _hoursThreshold: BigNumberish],
+    [
+      [bigint[], bigint[], NuxPowerNft.SkillStructOutput[][]] & {
+        tokenIds: bigint[];
+        expiryTimes: bigint[];
+        skills: NuxPowerNft.SkillStructOutput[][];
+      }
+    ],
+    "view"
+  >;
+
+  getPopularSkills: TypedContractMethod<
+    [_limit: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        purchaseCounts: bigint[];
+        mostBoughtRarity: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getPowerSwitchInfo: TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        activeTokenId: bigint;
+        expiresAt: bigint;
+        canSwitch: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getSkillExpiryTime: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getSkillMarketStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalSkillNFTs: bigint;
+        totalActiveSkills: bigint;
+        totalExpiredSkills: bigint;
+        totalSkillsSold: bigint;
+        totalRevenue: bigint;
+        averageSkillsPerNFT: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getSkillNFT: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [NuxPowerNft.SkillNFTStructOutput],
+    "view"
+  >;
+
+  getSkillNFTSkills: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [NuxPowerNft.SkillStructOutput[]],
+    "view"
+  >;
+
+  getSkillPrice: TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getSkillPricesAllRarities: TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getSkillRarityDistribution: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        commonCount: bigint;
+        uncommonCount: bigint;
+        rareCount: bigint;
+        epicCount: bigint;
+        legendaryCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserPowersByType: TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [[bigint[], bigint[]] & { tokenIds: bigint[]; statuses: bigint[] }],
+    "view"
+  >;
+
+  getUserSkillNFTs: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserSkillNFTsWithDetails: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], NuxPowerNft.SkillNFTStructOutput[], bigint[], boolean[]] & {
+        tokenIds: bigint[];
+        skillNFTDetails: NuxPowerNft.SkillNFTStructOutput[];
+        expiryTimes: bigint[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillPortfolio: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalSkillNFTs: bigint;
+        activeSkillNFTs: bigint;
+        expiredSkillNFTs: bigint;
+        totalActiveSkills: bigint;
+        stakingSkillsCount: bigint;
+        platformSkillsCount: bigint;
+        expiringIn24h: bigint;
+        totalSpentOnSkills: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillsGrouped: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        rarities: bigint[];
+        counts: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserTotalActiveSkills: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getpowerTypeCount: TypedContractMethod<
+    [_skillType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasClaimedFreeSkill: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isFirstSkillFree: TypedContractMethod<
+    [arg0: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  isSkillExpired: TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  powerTypeCount: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  registerSkillsForNFT: TypedContractMethod<
+    [
+      _tokenId: BigNumberish,
+      _skillTypes: BigNumberish[],
+      _rarities: BigNumberish[],
+      _levels: BigNumberish[]
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  renewSkill: TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryAddress: TypedContractMethod<
+    [_treasuryAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  skillNFTs: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, bigint] & {
+        creator: string;
+        createdAt: bigint;
+        basePrice: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  skillPrices: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  stakingContractAddress: TypedContractMethod<[], [string], "view">;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  switchSkill: TypedContractMethod<
+    [
+      _oldTokenId: BigNumberish,
+      _newTokenId: BigNumberish,
+      _skillType: BigNumberish
+    ],
+    [void],
+    "payable"
+  >;
+
+  treasuryAddress: TypedContractMethod<[], [string], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updateActiveSkillsPricing: TypedContractMethod<
+    [
+      _common: BigNumberish,
+      _uncommon: BigNumberish,
+      _rare: BigNumberish,
+      _epic: BigNumberish,
+      _legendary: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  updateSkillPrice: TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateStakingSkillsPricing: TypedContractMethod<
+    [
+      _common: BigNumberish,
+      _uncommon: BigNumberish,
+      _rare: BigNumberish,
+      _epic: BigNumberish,
+      _legendary: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  userActivePowersByType: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  userPowerNFTId: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  userSkillNFTs: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  userTotalActiveSkills: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "coreContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "deactivateExpiredSkill"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "deactivatePowerManually"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish, _skillType: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<[_amount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "emergencyWithdrawAll"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getActiveSkillsForUser"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getAllSkillNFTs"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getExpiringSkills"
+  ): TypedContractMethod<
+    [_user: AddressLike, _hoursThreshold: BigNumberish],
+    [
+      [bigint[], bigint[], NuxPowerNft.SkillStructOutput[][]] & {
+        tokenIds: bigint[];
+        expiryTimes: bigint[];
+        skills: NuxPowerNft.SkillStructOutput[][];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPopularSkills"
+  ): TypedContractMethod<
+    [_limit: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        purchaseCounts: bigint[];
+        mostBoughtRarity: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPowerSwitchInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        activeTokenId: bigint;
+        expiresAt: bigint;
+        canSwitch: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSkillExpiryTime"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSkillMarketStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalSkillNFTs: bigint;
+        totalActiveSkills: bigint;
+        totalExpiredSkills: bigint;
+        totalSkillsSold: bigint;
+        totalRevenue: bigint;
+        averageSkillsPerNFT: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillNFT"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [NuxPowerNft.SkillNFTStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillNFTSkills"
+  ): TypedContractMethod<
+    [_tokenId: BigNumberish],
+    [NuxPowerNft.SkillStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillPrice"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillPricesAllRarities"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillRarityDistribution"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        commonCount: bigint;
+        uncommonCount: bigint;
+        rareCount: bigint;
+        epicCount: bigint;
+        legendaryCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowersByType"
+  ): TypedContractMethod<
+    [_user: AddressLike, _skillType: BigNumberish],
+    [[bigint[], bigint[]] & { tokenIds: bigint[]; statuses: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillNFTs"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserSkillNFTsWithDetails"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], NuxPowerNft.SkillNFTStructOutput[], bigint[], boolean[]] & {
+        tokenIds: bigint[];
+        skillNFTDetails: NuxPowerNft.SkillNFTStructOutput[];
+        expiryTimes: bigint[];
+        isExpired: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillPortfolio"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        totalSkillNFTs: bigint;
+        activeSkillNFTs: bigint;
+        expiredSkillNFTs: bigint;
+        totalActiveSkills: bigint;
+        stakingSkillsCount: bigint;
+        platformSkillsCount: bigint;
+        expiringIn24h: bigint;
+        totalSpentOnSkills: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillsGrouped"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        skillTypes: bigint[];
+        rarities: bigint[];
+        counts: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserTotalActiveSkills"
+  ): TypedContractMethod<[_user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getpowerTypeCount"
+  ): TypedContractMethod<[_skillType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasClaimedFreeSkill"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isFirstSkillFree"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isSkillExpired"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "powerTypeCount"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "registerSkillsForNFT"
+  ): TypedContractMethod<
+    [
+      _tokenId: BigNumberish,
+      _skillTypes: BigNumberish[],
+      _rarities: BigNumberish[],
+      _levels: BigNumberish[]
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "renewSkill"
+  ): TypedContractMethod<[_tokenId: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryAddress"
+  ): TypedContractMethod<[_treasuryAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "skillNFTs"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, bigint, bigint] & {
+        creator: string;
+        createdAt: bigint;
+        basePrice: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "skillPrices"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "stakingContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "switchSkill"
+  ): TypedContractMethod<
+    [
+      _oldTokenId: BigNumberish,
+      _newTokenId: BigNumberish,
+      _skillType: BigNumberish
+    ],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "treasuryAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateActiveSkillsPricing"
+  ): TypedContractMethod<
+    [
+      _common: BigNumberish,
+      _uncommon: BigNumberish,
+      _rare: BigNumberish,
+      _epic: BigNumberish,
+      _legendary: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateSkillPrice"
+  ): TypedContractMethod<
+    [_skillType: BigNumberish, _rarity: BigNumberish, _newPrice: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateStakingSkillsPricing"
+  ): TypedContractMethod<
+    [
+      _common: BigNumberish,
+      _uncommon: BigNumberish,
+      _rare: BigNumberish,
+      _epic: BigNumberish,
+      _legendary: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "userActivePowersByType"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userPowerNFTId"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userSkillNFTs"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userTotalActiveSkills"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "FreePowerClaimed"
+  ): TypedContractEvent<
+    FreePowerClaimedEvent.InputTuple,
+    FreePowerClaimedEvent.OutputTuple,
+    FreePowerClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerAdded"
+  ): TypedContractEvent<
+    PowerAddedEvent.InputTuple,
+    PowerAddedEvent.OutputTuple,
+    PowerAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerDeactivatedManually"
+  ): TypedContractEvent<
+    PowerDeactivatedManuallyEvent.InputTuple,
+    PowerDeactivatedManuallyEvent.OutputTuple,
+    PowerDeactivatedManuallyEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerExpired"
+  ): TypedContractEvent<
+    PowerExpiredEvent.InputTuple,
+    PowerExpiredEvent.OutputTuple,
+    PowerExpiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerRenewed"
+  ): TypedContractEvent<
+    PowerRenewedEvent.InputTuple,
+    PowerRenewedEvent.OutputTuple,
+    PowerRenewedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerTypeAlreadyActive"
+  ): TypedContractEvent<
+    PowerTypeAlreadyActiveEvent.InputTuple,
+    PowerTypeAlreadyActiveEvent.OutputTuple,
+    PowerTypeAlreadyActiveEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillNFTCreated"
+  ): TypedContractEvent<
+    SkillNFTCreatedEvent.InputTuple,
+    SkillNFTCreatedEvent.OutputTuple,
+    SkillNFTCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillPaymentProcessed"
+  ): TypedContractEvent<
+    SkillPaymentProcessedEvent.InputTuple,
+    SkillPaymentProcessedEvent.OutputTuple,
+    SkillPaymentProcessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillSwitched"
+  ): TypedContractEvent<
+    SkillSwitchedEvent.InputTuple,
+    SkillSwitchedEvent.OutputTuple,
+    SkillSwitchedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryAddressUpdated"
+  ): TypedContractEvent<
+    TreasuryAddressUpdatedEvent.InputTuple,
+    TreasuryAddressUpdatedEvent.OutputTuple,
+    TreasuryAddressUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+
+  filters: {
+    "EmergencyWithdrawal(address,uint256,address)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "FreePowerClaimed(address,uint256,uint8)": TypedContractEvent<
+      FreePowerClaimedEvent.InputTuple,
+      FreePowerClaimedEvent.OutputTuple,
+      FreePowerClaimedEvent.OutputObject
+    >;
+    FreePowerClaimed: TypedContractEvent<
+      FreePowerClaimedEvent.InputTuple,
+      FreePowerClaimedEvent.OutputTuple,
+      FreePowerClaimedEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PowerAdded(uint256,uint8,uint8)": TypedContractEvent<
+      PowerAddedEvent.InputTuple,
+      PowerAddedEvent.OutputTuple,
+      PowerAddedEvent.OutputObject
+    >;
+    PowerAdded: TypedContractEvent<
+      PowerAddedEvent.InputTuple,
+      PowerAddedEvent.OutputTuple,
+      PowerAddedEvent.OutputObject
+    >;
+
+    "PowerDeactivatedManually(address,uint256,uint8)": TypedContractEvent<
+      PowerDeactivatedManuallyEvent.InputTuple,
+      PowerDeactivatedManuallyEvent.OutputTuple,
+      PowerDeactivatedManuallyEvent.OutputObject
+    >;
+    PowerDeactivatedManually: TypedContractEvent<
+      PowerDeactivatedManuallyEvent.InputTuple,
+      PowerDeactivatedManuallyEvent.OutputTuple,
+      PowerDeactivatedManuallyEvent.OutputObject
+    >;
+
+    "PowerExpired(address,uint256,uint8)": TypedContractEvent<
+      PowerExpiredEvent.InputTuple,
+      PowerExpiredEvent.OutputTuple,
+      PowerExpiredEvent.OutputObject
+    >;
+    PowerExpired: TypedContractEvent<
+      PowerExpiredEvent.InputTuple,
+      PowerExpiredEvent.OutputTuple,
+      PowerExpiredEvent.OutputObject
+    >;
+
+    "PowerRenewed(address,uint256,uint256)": TypedContractEvent<
+      PowerRenewedEvent.InputTuple,
+      PowerRenewedEvent.OutputTuple,
+      PowerRenewedEvent.OutputObject
+    >;
+    PowerRenewed: TypedContractEvent<
+      PowerRenewedEvent.InputTuple,
+      PowerRenewedEvent.OutputTuple,
+      PowerRenewedEvent.OutputObject
+    >;
+
+    "PowerTypeAlreadyActive(address,uint8)": TypedContractEvent<
+      PowerTypeAlreadyActiveEvent.InputTuple,
+      PowerTypeAlreadyActiveEvent.OutputTuple,
+      PowerTypeAlreadyActiveEvent.OutputObject
+    >;
+    PowerTypeAlreadyActive: TypedContractEvent<
+      PowerTypeAlreadyActiveEvent.InputTuple,
+      PowerTypeAlreadyActiveEvent.OutputTuple,
+      PowerTypeAlreadyActiveEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SkillNFTCreated(address,uint256,uint256,uint256)": TypedContractEvent<
+      SkillNFTCreatedEvent.InputTuple,
+      SkillNFTCreatedEvent.OutputTuple,
+      SkillNFTCreatedEvent.OutputObject
+    >;
+    SkillNFTCreated: TypedContractEvent<
+      SkillNFTCreatedEvent.InputTuple,
+      SkillNFTCreatedEvent.OutputTuple,
+      SkillNFTCreatedEvent.OutputObject
+    >;
+
+    "SkillPaymentProcessed(address,uint256,uint256,string)": TypedContractEvent<
+      SkillPaymentProcessedEvent.InputTuple,
+      SkillPaymentProcessedEvent.OutputTuple,
+      SkillPaymentProcessedEvent.OutputObject
+    >;
+    SkillPaymentProcessed: TypedContractEvent<
+      SkillPaymentProcessedEvent.InputTuple,
+      SkillPaymentProcessedEvent.OutputTuple,
+      SkillPaymentProcessedEvent.OutputObject
+    >;
+
+    "SkillSwitched(address,uint256,uint256,uint8,uint256)": TypedContractEvent<
+      SkillSwitchedEvent.InputTuple,
+      SkillSwitchedEvent.OutputTuple,
+      SkillSwitchedEvent.OutputObject
+    >;
+    SkillSwitched: TypedContractEvent<
+      SkillSwitchedEvent.InputTuple,
+      SkillSwitchedEvent.OutputTuple,
+      SkillSwitchedEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address,address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryAddressUpdated(address,address)": TypedContractEvent<
+      TreasuryAddressUpdatedEvent.InputTuple,
+      TreasuryAddressUpdatedEvent.OutputTuple,
+      TreasuryAddressUpdatedEvent.OutputObject
+    >;
+    TreasuryAddressUpdated: TypedContractEvent<
+      TreasuryAddressUpdatedEvent.InputTuple,
+      TreasuryAddressUpdatedEvent.OutputTuple,
+      TreasuryAddressUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+  };
+}
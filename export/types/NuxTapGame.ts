@@ -0,0 +1,1739 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace NuxTapGame {
+  export type LevelConfigStruct = {
+    scoreRequired: BigNumberish;
+    dailyTapCap: BigNumberish;
+    rewardMultiplierBps: BigNumberish;
+  };
+
+  export type LevelConfigStructOutput = [
+    scoreRequired: bigint,
+    dailyTapCap: bigint,
+    rewardMultiplierBps: bigint
+  ] & {
+    scoreRequired: bigint;
+    dailyTapCap: bigint;
+    rewardMultiplierBps: bigint;
+  };
+
+  export type PlayerProfileStruct = {
+    totalScore: BigNumberish;
+    lifetimeTaps: BigNumberish;
+    totalSessions: BigNumberish;
+    unclaimedRewards: BigNumberish;
+    claimedRewards: BigNumberish;
+    currentLevel: BigNumberish;
+    currentStreak: BigNumberish;
+    bestStreak: BigNumberish;
+    autoTapRate: BigNumberish;
+    boosterMultiplierBps: BigNumberish;
+    boosterExpiresAt: BigNumberish;
+    lastSettlementAt: BigNumberish;
+    lastActiveDay: BigNumberish;
+    dailyTapCount: BigNumberish;
+    linkedNftContract: AddressLike;
+    linkedTokenId: BigNumberish;
+  };
+
+  export type PlayerProfileStructOutput = [
+    totalScore: bigint,
+    lifetimeTaps: bigint,
+    totalSessions: bigint,
+    unclaimedRewards: bigint,
+    claimedRewards: bigint,
+    currentLevel: bigint,
+    currentStreak: bigint,
+    bestStreak: bigint,
+    autoTapRate: bigint,
+    boosterMultiplierBps: bigint,
+    boosterExpiresAt: bigint,
+    lastSettlementAt: bigint,
+    lastActiveDay: bigint,
+    dailyTapCount: bigint,
+    linkedNftContract: string,
+    linkedTokenId: bigint
+  ] & {
+    totalScore: bigint;
+    lifetimeTaps: bigint;
+    totalSessions: bigint;
+    unclaimedRewards: bigint;
+    claimedRewards: bigint;
+    currentLevel: bigint;
+    currentStreak: bigint;
+    bestStreak: bigint;
+    autoTapRate: bigint;
+    boosterMultiplierBps: bigint;
+    boosterExpiresAt: bigint;
+    lastSettlementAt: bigint;
+    lastActiveDay: bigint;
+    dailyTapCount: bigint;
+    linkedNftContract: string;
+    linkedTokenId: bigint;
+  };
+}
+
+export interface NuxTapGameInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "OPERATOR_ROLE"
+      | "PAUSER_ROLE"
+      | "UPGRADER_ROLE"
+      | "activateBooster"
+      | "agentRegistry"
+      | "applyAutoTapItem"
+      | "baseDailyTapCap"
+      | "claimFeeBps"
+      | "claimRewards"
+      | "getLevelConfigs"
+      | "getPlayerProfile"
+      | "getRoleAdmin"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "itemStore"
+      | "linkAgent"
+      | "linkedAgentBaseBonusBps"
+      | "linkedAgentMaxReputationBonusBps"
+      | "linkedAgentMaxTaskBonusBps"
+      | "maxLinkedAgentBonusBps"
+      | "maxManualTapsPerSession"
+      | "passiveTickSeconds"
+      | "pause"
+      | "paused"
+      | "previewLinkedAgentBonusBps"
+      | "previewPendingPassiveTaps"
+      | "proxiableUUID"
+      | "renounceRole"
+      | "replaceLevelConfigs"
+      | "revokeRole"
+      | "rewardPerTapWei"
+      | "setExternalContracts"
+      | "setGameConfig"
+      | "setLinkedAgentConfig"
+      | "setSupportedNFTContract"
+      | "settleTapSession"
+      | "streakBonusBps"
+      | "supportedNFTContracts"
+      | "supportsInterface"
+      | "treasury"
+      | "unlinkAgent"
+      | "unpause"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AgentLinked"
+      | "AgentUnlinked"
+      | "AutoTapUpgraded"
+      | "BeaconUpgraded"
+      | "BoosterActivated"
+      | "ExternalContractsUpdated"
+      | "GameConfigUpdated"
+      | "Initialized"
+      | "LevelConfigsReplaced"
+      | "LinkedAgentConfigUpdated"
+      | "Paused"
+      | "RewardsClaimed"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SessionSettled"
+      | "SupportedNFTContractUpdated"
+      | "Unpaused"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "OPERATOR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PAUSER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "activateBooster",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "agentRegistry",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "applyAutoTapItem",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "baseDailyTapCap",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimFeeBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimRewards",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLevelConfigs",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPlayerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "itemStore", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "linkAgent",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "linkedAgentBaseBonusBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "linkedAgentMaxReputationBonusBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "linkedAgentMaxTaskBonusBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxLinkedAgentBonusBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "maxManualTapsPerSession",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "passiveTickSeconds",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "previewLinkedAgentBonusBps",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "previewPendingPassiveTaps",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "replaceLevelConfigs",
+    values: [NuxTapGame.LevelConfigStruct[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rewardPerTapWei",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setExternalContracts",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setGameConfig",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLinkedAgentConfig",
+    values: [BigNumberish, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSupportedNFTContract",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "settleTapSession",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "streakBonusBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportedNFTContracts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "treasury", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "unlinkAgent",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "OPERATOR_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PAUSER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "activateBooster",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "agentRegistry",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "applyAutoTapItem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "baseDailyTapCap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimFeeBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLevelConfigs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPlayerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "itemStore", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "linkAgent", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "linkedAgentBaseBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "linkedAgentMaxReputationBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "linkedAgentMaxTaskBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxLinkedAgentBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "maxManualTapsPerSession",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "passiveTickSeconds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "previewLinkedAgentBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "previewPendingPassiveTaps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "replaceLevelConfigs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "rewardPerTapWei",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setExternalContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setGameConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLinkedAgentConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSupportedNFTContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "settleTapSession",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "streakBonusBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportedNFTContracts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "treasury", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "unlinkAgent",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentLinkedEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [
+    player: string,
+    nftContract: string,
+    tokenId: bigint
+  ];
+  export interface OutputObject {
+    player: string;
+    nftContract: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AgentUnlinkedEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    nftContract: AddressLike,
+    tokenId: BigNumberish
+  ];
+  export type OutputTuple = [
+    player: string,
+    nftContract: string,
+    tokenId: bigint
+  ];
+  export interface OutputObject {
+    player: string;
+    nftContract: string;
+    tokenId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoTapUpgradedEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    itemId: BigNumberish,
+    addedRate: BigNumberish,
+    newRate: BigNumberish
+  ];
+  export type OutputTuple = [
+    player: string,
+    itemId: bigint,
+    addedRate: bigint,
+    newRate: bigint
+  ];
+  export interface OutputObject {
+    player: string;
+    itemId: bigint;
+    addedRate: bigint;
+    newRate: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BoosterActivatedEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    itemId: BigNumberish,
+    multiplierBps: BigNumberish,
+    expiresAt: BigNumberish
+  ];
+  export type OutputTuple = [
+    player: string,
+    itemId: bigint,
+    multiplierBps: bigint,
+    expiresAt: bigint
+  ];
+  export interface OutputObject {
+    player: string;
+    itemId: bigint;
+    multiplierBps: bigint;
+    expiresAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ExternalContractsUpdatedEvent {
+  export type InputTuple = [
+    treasury: AddressLike,
+    itemStore: AddressLike,
+    agentRegistry: AddressLike
+  ];
+  export type OutputTuple = [
+    treasury: string,
+    itemStore: string,
+    agentRegistry: string
+  ];
+  export interface OutputObject {
+    treasury: string;
+    itemStore: string;
+    agentRegistry: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GameConfigUpdatedEvent {
+  export type InputTuple = [
+    rewardPerTapWei: BigNumberish,
+    baseDailyTapCap: BigNumberish,
+    maxManualTapsPerSession: BigNumberish,
+    passiveTickSeconds: BigNumberish,
+    claimFeeBps: BigNumberish,
+    streakBonusBps: BigNumberish
+  ];
+  export type OutputTuple = [
+    rewardPerTapWei: bigint,
+    baseDailyTapCap: bigint,
+    maxManualTapsPerSession: bigint,
+    passiveTickSeconds: bigint,
+    claimFeeBps: bigint,
+    streakBonusBps: bigint
+  ];
+  export interface OutputObject {
+    rewardPerTapWei: bigint;
+    baseDailyTapCap: bigint;
+    maxManualTapsPerSession: bigint;
+    passiveTickSeconds: bigint;
+    claimFeeBps: bigint;
+    streakBonusBps: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelConfigsReplacedEvent {
+  export type InputTuple = [totalLevels: BigNumberish];
+  export type OutputTuple = [totalLevels: bigint];
+  export interface OutputObject {
+    totalLevels: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LinkedAgentConfigUpdatedEvent {
+  export type InputTuple = [
+    linkedAgentBaseBonusBps: BigNumberish,
+    linkedAgentMaxReputationBonusBps: BigNumberish,
+    linkedAgentMaxTaskBonusBps: BigNumberish,
+    maxLinkedAgentBonusBps: BigNumberish
+  ];
+  export type OutputTuple = [
+    linkedAgentBaseBonusBps: bigint,
+    linkedAgentMaxReputationBonusBps: bigint,
+    linkedAgentMaxTaskBonusBps: bigint,
+    maxLinkedAgentBonusBps: bigint
+  ];
+  export interface OutputObject {
+    linkedAgentBaseBonusBps: bigint;
+    linkedAgentMaxReputationBonusBps: bigint;
+    linkedAgentMaxTaskBonusBps: bigint;
+    maxLinkedAgentBonusBps: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardsClaimedEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    grossAmount: BigNumberish,
+    feeAmount: BigNumberish,
+    feeWaived: boolean
+  ];
+  export type OutputTuple = [
+    player: string,
+    grossAmount: bigint,
+    feeAmount: bigint,
+    feeWaived: boolean
+  ];
+  export interface OutputObject {
+    player: string;
+    grossAmount: bigint;
+    feeAmount: bigint;
+    feeWaived: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SessionSettledEvent {
+  export type InputTuple = [
+    player: AddressLike,
+    manualTaps: BigNumberish,
+    passiveTaps: BigNumberish,
+    creditedTaps: BigNumberish,
+    scoreEarned: BigNumberish,
+    rewardEarned: BigNumberish,
+    newLevel: BigNumberish,
+    streak: BigNumberish
+  ];
+  export type OutputTuple = [
+    player: string,
+    manualTaps: bigint,
+    passiveTaps: bigint,
+    creditedTaps: bigint,
+    scoreEarned: bigint,
+    rewardEarned: bigint,
+    newLevel: bigint,
+    streak: bigint
+  ];
+  export interface OutputObject {
+    player: string;
+    manualTaps: bigint;
+    passiveTaps: bigint;
+    creditedTaps: bigint;
+    scoreEarned: bigint;
+    rewardEarned: bigint;
+    newLevel: bigint;
+    streak: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SupportedNFTContractUpdatedEvent {
+  export type InputTuple = [nftContract: AddressLike, supported: boolean];
+  export type OutputTuple = [nftContract: string, supported: boolean];
+  export interface OutputObject {
+    nftContract: string;
+    supported: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface NuxTapGame extends BaseContract {
+  connect(runner?: ContractRunner | null): NuxTapGame;
+  waitForDeployment(): Promise<this>;
+
+  interface: NuxTapGameInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  OPERATOR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  PAUSER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  activateBooster: TypedContractMethod<
+    [itemId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  agentRegistry: TypedContractMethod<[], [string], "view">;
+
+  applyAutoTapItem: TypedContractMethod<
+    [itemId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  baseDailyTapCap: TypedContractMethod<[], [bigint], "view">;
+
+  claimFeeBps: TypedContractMethod<[], [bigint], "view">;
+
+  claimRewards: TypedContractMethod<
+    [amount: BigNumberish, withdrawPassItemId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getLevelConfigs: TypedContractMethod<
+    [],
+    [NuxTapGame.LevelConfigStructOutput[]],
+    "view"
+  >;
+
+  getPlayerProfile: TypedContractMethod<
+    [account: AddressLike],
+    [NuxTapGame.PlayerProfileStructOutput],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasury_: AddressLike,
+      itemStore_: AddressLike,
+      agentRegistry_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  itemStore: TypedContractMethod<[], [string], "view">;
+
+  linkAgent: TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  linkedAgentBaseBonusBps: TypedContractMethod<[], [bigint], "view">;
+
+  linkedAgentMaxReputationBonusBps: TypedContractMethod<[], [bigint], "view">;
+
+  linkedAgentMaxTaskBonusBps: TypedContractMethod<[], [bigint], "view">;
+
+  maxLinkedAgentBonusBps: TypedContractMethod<[], [bigint], "view">;
+
+  maxManualTapsPerSession: TypedContractMethod<[], [bigint], "view">;
+
+  passiveTickSeconds: TypedContractMethod<[], [bigint], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  previewLinkedAgentBonusBps: TypedContractMethod<
+    [account: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  previewPendingPassiveTaps: TypedContractMethod<
+    [account: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  replaceLevelConfigs: TypedContractMethod<
+    [newConfigs: NuxTapGame.LevelConfigStruct[]],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  rewardPerTapWei: TypedContractMethod<[], [bigint], "view">;
+
+  setExternalContracts: TypedContractMethod<
+    [
+      treasury_: AddressLike,
+      itemStore_: AddressLike,
+      agentRegistry_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setGameConfig: TypedContractMethod<
+    [
+      rewardPerTapWei_: BigNumberish,
+      baseDailyTapCap_: BigNumberish,
+      maxManualTapsPerSession_: BigNumberish,
+      passiveTickSeconds_: BigNumberish,
+      claimFeeBps_: BigNumberish,
+      streakBonusBps_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setLinkedAgentConfig: TypedContractMethod<
+    [
+      linkedAgentBaseBonusBps_: BigNumberish,
+      linkedAgentMaxReputationBonusBps_: BigNumberish,
+      linkedAgentMaxTaskBonusBps_: BigNumberish,
+      maxLinkedAgentBonusBps_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setSupportedNFTContract: TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  settleTapSession: TypedContractMethod<
+    [manualTaps: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  streakBonusBps: TypedContractMethod<[], [bigint], "view">;
+
+  supportedNFTContracts: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  treasury: TypedContractMethod<[], [string], "view">;
+
+  unlinkAgent: TypedContractMethod<[], [void], "nonpayable">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "OPERATOR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PAUSER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "activateBooster"
+  ): TypedContractMethod<[itemId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "agentRegistry"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "applyAutoTapItem"
+  ): TypedContractMethod<[itemId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "baseDailyTapCap"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimFeeBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimRewards"
+  ): TypedContractMethod<
+    [amount: BigNumberish, withdrawPassItemId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getLevelConfigs"
+  ): TypedContractMethod<[], [NuxTapGame.LevelConfigStructOutput[]], "view">;
+  getFunction(
+    nameOrSignature: "getPlayerProfile"
+  ): TypedContractMethod<
+    [account: AddressLike],
+    [NuxTapGame.PlayerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      admin_: AddressLike,
+      treasury_: AddressLike,
+      itemStore_: AddressLike,
+      agentRegistry_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "itemStore"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "linkAgent"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, tokenId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "linkedAgentBaseBonusBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "linkedAgentMaxReputationBonusBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "linkedAgentMaxTaskBonusBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "maxLinkedAgentBonusBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "maxManualTapsPerSession"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "passiveTickSeconds"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "previewLinkedAgentBonusBps"
+  ): TypedContractMethod<[account: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "previewPendingPassiveTaps"
+  ): TypedContractMethod<[account: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "replaceLevelConfigs"
+  ): TypedContractMethod<
+    [newConfigs: NuxTapGame.LevelConfigStruct[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "rewardPerTapWei"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "setExternalContracts"
+  ): TypedContractMethod<
+    [
+      treasury_: AddressLike,
+      itemStore_: AddressLike,
+      agentRegistry_: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setGameConfig"
+  ): TypedContractMethod<
+    [
+      rewardPerTapWei_: BigNumberish,
+      baseDailyTapCap_: BigNumberish,
+      maxManualTapsPerSession_: BigNumberish,
+      passiveTickSeconds_: BigNumberish,
+      claimFeeBps_: BigNumberish,
+      streakBonusBps_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLinkedAgentConfig"
+  ): TypedContractMethod<
+    [
+      linkedAgentBaseBonusBps_: BigNumberish,
+      linkedAgentMaxReputationBonusBps_: BigNumberish,
+      linkedAgentMaxTaskBonusBps_: BigNumberish,
+      maxLinkedAgentBonusBps_: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setSupportedNFTContract"
+  ): TypedContractMethod<
+    [nftContract: AddressLike, supported: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "settleTapSession"
+  ): TypedContractMethod<[manualTaps: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "streakBonusBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "supportedNFTContracts"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "treasury"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unlinkAgent"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentLinked"
+  ): TypedContractEvent<
+    AgentLinkedEvent.InputTuple,
+    AgentLinkedEvent.OutputTuple,
+    AgentLinkedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AgentUnlinked"
+  ): TypedContractEvent<
+    AgentUnlinkedEvent.InputTuple,
+    AgentUnlinkedEvent.OutputTuple,
+    AgentUnlinkedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoTapUpgraded"
+  ): TypedContractEvent<
+    AutoTapUpgradedEvent.InputTuple,
+    AutoTapUpgradedEvent.OutputTuple,
+    AutoTapUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BoosterActivated"
+  ): TypedContractEvent<
+    BoosterActivatedEvent.InputTuple,
+    BoosterActivatedEvent.OutputTuple,
+    BoosterActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ExternalContractsUpdated"
+  ): TypedContractEvent<
+    ExternalContractsUpdatedEvent.InputTuple,
+    ExternalContractsUpdatedEvent.OutputTuple,
+    ExternalContractsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GameConfigUpdated"
+  ): TypedContractEvent<
+    GameConfigUpdatedEvent.InputTuple,
+    GameConfigUpdatedEvent.OutputTuple,
+    GameConfigUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelConfigsReplaced"
+  ): TypedContractEvent<
+    LevelConfigsReplacedEvent.InputTuple,
+    LevelConfigsReplacedEvent.OutputTuple,
+    LevelConfigsReplacedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LinkedAgentConfigUpdated"
+  ): TypedContractEvent<
+    LinkedAgentConfigUpdatedEvent.InputTuple,
+    LinkedAgentConfigUpdatedEvent.OutputTuple,
+    LinkedAgentConfigUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardsClaimed"
+  ): TypedContractEvent<
+    RewardsClaimedEvent.InputTuple,
+    RewardsClaimedEvent.OutputTuple,
+    RewardsClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SessionSettled"
+  ): TypedContractEvent<
+    SessionSettledEvent.InputTuple,
+    SessionSettledEvent.OutputTuple,
+    SessionSettledEvent.OutputObject
+  >;
+  getEvent(
+    key: "SupportedNFTContractUpdated"
+  ): TypedContractEvent<
+    SupportedNFTContractUpdatedEvent.InputTuple,
+    SupportedNFTContractUpdatedEvent.OutputTuple,
+    SupportedNFTContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AgentLinked(address,address,uint256)": TypedContractEvent<
+      AgentLinkedEvent.InputTuple,
+      AgentLinkedEvent.OutputTuple,
+      AgentLinkedEvent.OutputObject
+    >;
+    AgentLinked: TypedContractEvent<
+      AgentLinkedEvent.InputTuple,
+      AgentLinkedEvent.OutputTuple,
+      AgentLinkedEvent.OutputObject
+    >;
+
+    "AgentUnlinked(address,address,uint256)": TypedContractEvent<
+      AgentUnlinkedEvent.InputTuple,
+      AgentUnlinkedEvent.OutputTuple,
+      AgentUnlinkedEvent.OutputObject
+    >;
+    AgentUnlinked: TypedContractEvent<
+      AgentUnlinkedEvent.InputTuple,
+      AgentUnlinkedEvent.OutputTuple,
+      AgentUnlinkedEvent.OutputObject
+    >;
+
+    "AutoTapUpgraded(address,uint256,uint256,uint256)": TypedContractEvent<
+      AutoTapUpgradedEvent.InputTuple,
+      AutoTapUpgradedEvent.OutputTuple,
+      AutoTapUpgradedEvent.OutputObject
+    >;
+    AutoTapUpgraded: TypedContractEvent<
+      AutoTapUpgradedEvent.InputTuple,
+      AutoTapUpgradedEvent.OutputTuple,
+      AutoTapUpgradedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "BoosterActivated(address,uint256,uint256,uint256)": TypedContractEvent<
+      BoosterActivatedEvent.InputTuple,
+      BoosterActivatedEvent.OutputTuple,
+      BoosterActivatedEvent.OutputObject
+    >;
+    BoosterActivated: TypedContractEvent<
+      BoosterActivatedEvent.InputTuple,
+      BoosterActivatedEvent.OutputTuple,
+      BoosterActivatedEvent.OutputObject
+    >;
+
+    "ExternalContractsUpdated(address,address,address)": TypedContractEvent<
+      ExternalContractsUpdatedEvent.InputTuple,
+      ExternalContractsUpdatedEvent.OutputTuple,
+      ExternalContractsUpdatedEvent.OutputObject
+    >;
+    ExternalContractsUpdated: TypedContractEvent<
+      ExternalContractsUpdatedEvent.InputTuple,
+      ExternalContractsUpdatedEvent.OutputTuple,
+      ExternalContractsUpdatedEvent.OutputObject
+    >;
+
+    "GameConfigUpdated(uint256,uint256,uint256,uint256,uint256,uint256)": TypedContractEvent<
+      GameConfigUpdatedEvent.InputTuple,
+      GameConfigUpdatedEvent.OutputTuple,
+      GameConfigUpdatedEvent.OutputObject
+    >;
+    GameConfigUpdated: TypedContractEvent<
+      GameConfigUpdatedEvent.InputTuple,
+      GameConfigUpdatedEvent.OutputTuple,
+      GameConfigUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LevelConfigsReplaced(uint256)": TypedContractEvent<
+      LevelConfigsReplacedEvent.InputTuple,
+      LevelConfigsReplacedEvent.OutputTuple,
+      LevelConfigsReplacedEvent.OutputObject
+    >;
+    LevelConfigsReplaced: TypedContractEvent<
+      LevelConfigsReplacedEvent.InputTuple,
+      LevelConfigsReplacedEvent.OutputTuple,
+      LevelConfigsReplacedEvent.OutputObject
+    >;
+
+    "LinkedAgentConfigUpdated(uint256,uint256,uint256,uint256)": TypedContractEvent<
+      LinkedAgentConfigUpdatedEvent.InputTuple,
+      LinkedAgentConfigUpdatedEvent.OutputTuple,
+      LinkedAgentConfigUpdatedEvent.OutputObject
+    >;
+    LinkedAgentConfigUpdated: TypedContractEvent<
+      LinkedAgentConfigUpdatedEvent.InputTuple,
+      LinkedAgentConfigUpdatedEvent.OutputTuple,
+      LinkedAgentConfigUpdatedEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "RewardsClaimed(address,uint256,uint256,bool)": TypedContractEvent<
+      RewardsClaimedEvent.InputTuple,
+      RewardsClaimedEvent.OutputTuple,
+      RewardsClaimedEvent.OutputObject
+    >;
+    RewardsClaimed: TypedContractEvent<
+      RewardsClaimedEvent.InputTuple,
+      RewardsClaimedEvent.OutputTuple,
+      RewardsClaimedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SessionSettled(address,uint256,uint256,uint256,uint256,uint256,uint256,uint256)": TypedContractEvent<
+      SessionSettledEvent.InputTuple,
+      SessionSettledEvent.OutputTuple,
+      SessionSettledEvent.OutputObject
+    >;
+    SessionSettled: TypedContractEvent<
+      SessionSettledEvent.InputTuple,
+      SessionSettledEvent.OutputTuple,
+      SessionSettledEvent.OutputObject
+    >;
+
+    "SupportedNFTContractUpdated(address,bool)": TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+    SupportedNFTContractUpdated: TypedContractEvent<
+      SupportedNFTContractUpdatedEvent.InputTuple,
+      SupportedNFTContractUpdatedEvent.OutputTuple,
+      SupportedNFTContractUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
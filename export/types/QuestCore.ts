@@ -0,0 +1,2049 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IQuestCore {
+  export type QuestCreateParamsStruct = {
+    category: BigNumberish;
+    questType: BigNumberish;
+    title: string;
+    description: string;
+    requirement: BigNumberish;
+    xpReward: BigNumberish;
+    polReward: BigNumberish;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+    completionLimit: BigNumberish;
+  };
+
+  export type QuestCreateParamsStructOutput = [
+    category: bigint,
+    questType: bigint,
+    title: string,
+    description: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint,
+    startTime: bigint,
+    deadline: bigint,
+    completionLimit: bigint
+  ] & {
+    category: bigint;
+    questType: bigint;
+    title: string;
+    description: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+    startTime: bigint;
+    deadline: bigint;
+    completionLimit: bigint;
+  };
+
+  export type QuestStruct = {
+    questId: BigNumberish;
+    category: BigNumberish;
+    questType: BigNumberish;
+    title: string;
+    description: string;
+    requirement: BigNumberish;
+    xpReward: BigNumberish;
+    polReward: BigNumberish;
+    active: boolean;
+    startTime: BigNumberish;
+    deadline: BigNumberish;
+    completionLimit: BigNumberish;
+    createdAt: BigNumberish;
+  };
+
+  export type QuestStructOutput = [
+    questId: bigint,
+    category: bigint,
+    questType: bigint,
+    title: string,
+    description: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint,
+    active: boolean,
+    startTime: bigint,
+    deadline: bigint,
+    completionLimit: bigint,
+    createdAt: bigint
+  ] & {
+    questId: bigint;
+    category: bigint;
+    questType: bigint;
+    title: string;
+    description: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+    active: boolean;
+    startTime: bigint;
+    deadline: bigint;
+    completionLimit: bigint;
+    createdAt: bigint;
+  };
+
+  export type UserQuestProgressStruct = {
+    questId: BigNumberish;
+    currentProgress: BigNumberish;
+    completed: boolean;
+    completedAt: BigNumberish;
+  };
+
+  export type UserQuestProgressStructOutput = [
+    questId: bigint,
+    currentProgress: bigint,
+    completed: boolean,
+    completedAt: bigint
+  ] & {
+    questId: bigint;
+    currentProgress: bigint;
+    completed: boolean;
+    completedAt: bigint;
+  };
+}
+
+export interface QuestCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "DEFAULT_ADMIN_ROLE"
+      | "REPORTER_ROLE"
+      | "UPGRADER_ROLE"
+      | "actionCounters"
+      | "claimPendingPolRewards"
+      | "completeQuest"
+      | "coreContractAddress"
+      | "createQuest"
+      | "deactivateQuest"
+      | "getAllActiveQuests"
+      | "getMostPopularQuests"
+      | "getQuest"
+      | "getQuestLeaderboard"
+      | "getQuestSystemStats"
+      | "getQuestsByCategory"
+      | "getQuestsByType"
+      | "getRoleAdmin"
+      | "getUserCompletedQuests"
+      | "getUserIncompleteQuests"
+      | "getUserQuestProgress"
+      | "getUserQuestProgressByType"
+      | "getUserQuestStats"
+      | "getUserSocialActions"
+      | "grantRole"
+      | "hasRole"
+      | "initialize"
+      | "levelingContractAddress"
+      | "notifyAction"
+      | "pause"
+      | "paused"
+      | "pendingPolRewards"
+      | "proxiableUUID"
+      | "questGlobalCompletions"
+      | "questRewardsPool"
+      | "quests"
+      | "recordSocialAction"
+      | "renounceRole"
+      | "revokeRole"
+      | "setCoreContract"
+      | "setLevelingContract"
+      | "setQuestRewardsPool"
+      | "setStakingContract"
+      | "stakingContractAddress"
+      | "supportsInterface"
+      | "totalCompletionsAllTime"
+      | "totalPendingPolRewards"
+      | "unpause"
+      | "updateQuestProgress"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userCompletedQuests"
+      | "userCompletionCounts"
+      | "userQuestProgress"
+      | "userTotalXPEarned"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "ActionNotified"
+      | "AdminChanged"
+      | "BeaconUpgraded"
+      | "CoreContractUpdated"
+      | "Initialized"
+      | "LevelingContractUpdated"
+      | "Paused"
+      | "PendingPolRewardsClaimed"
+      | "QuestCompleted"
+      | "QuestCreated"
+      | "QuestDeactivated"
+      | "QuestProgressUpdated"
+      | "QuestRewardDeferred"
+      | "QuestRewardsPoolUpdated"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SocialActionRecorded"
+      | "StakingContractUpdated"
+      | "Unpaused"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REPORTER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "actionCounters",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimPendingPolRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createQuest",
+    values: [IQuestCore.QuestCreateParamsStruct]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deactivateQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllActiveQuests",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMostPopularQuests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestLeaderboard",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestSystemStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestsByCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestsByType",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserCompletedQuests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserIncompleteQuests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestProgressByType",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserQuestStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSocialActions",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAction",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingPolRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questGlobalCompletions",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questRewardsPool",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "quests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordSocialAction",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestRewardsPool",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContractAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalCompletionsAllTime",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPendingPolRewards",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updateQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userCompletedQuests",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userCompletionCounts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userQuestProgress",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userTotalXPEarned",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REPORTER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "actionCounters",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimPendingPolRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deactivateQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllActiveQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMostPopularQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getQuest", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestLeaderboard",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestSystemStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestsByCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestsByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserCompletedQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserIncompleteQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestProgressByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserQuestStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSocialActions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingPolRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questGlobalCompletions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "quests", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "recordSocialAction",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContractAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalCompletionsAllTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPendingPolRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updateQuestProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userCompletedQuests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userCompletionCounts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userQuestProgress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userTotalXPEarned",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace ActionNotifiedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questType: BigNumberish,
+    value: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questType: bigint, value: bigint];
+  export interface OutputObject {
+    user: string;
+    questType: bigint;
+    value: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CoreContractUpdatedEvent {
+  export type InputTuple = [oldCore: AddressLike, newCore: AddressLike];
+  export type OutputTuple = [oldCore: string, newCore: string];
+  export interface OutputObject {
+    oldCore: string;
+    newCore: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelingContractUpdatedEvent {
+  export type InputTuple = [oldLeveling: AddressLike, newLeveling: AddressLike];
+  export type OutputTuple = [oldLeveling: string, newLeveling: string];
+  export interface OutputObject {
+    oldLeveling: string;
+    newLeveling: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PendingPolRewardsClaimedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    xpRewarded: BigNumberish,
+    polRewarded: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    xpRewarded: bigint,
+    polRewarded: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    xpRewarded: bigint;
+    polRewarded: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCreatedEvent {
+  export type InputTuple = [
+    questId: BigNumberish,
+    category: BigNumberish,
+    questType: BigNumberish,
+    title: string,
+    requirement: BigNumberish,
+    xpReward: BigNumberish,
+    polReward: BigNumberish
+  ];
+  export type OutputTuple = [
+    questId: bigint,
+    category: bigint,
+    questType: bigint,
+    title: string,
+    requirement: bigint,
+    xpReward: bigint,
+    polReward: bigint
+  ];
+  export interface OutputObject {
+    questId: bigint;
+    category: bigint;
+    questType: bigint;
+    title: string;
+    requirement: bigint;
+    xpReward: bigint;
+    polReward: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestDeactivatedEvent {
+  export type InputTuple = [questId: BigNumberish];
+  export type OutputTuple = [questId: bigint];
+  export interface OutputObject {
+    questId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestProgressUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    progress: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questId: bigint, progress: bigint];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    progress: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestRewardDeferredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [user: string, questId: bigint, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestRewardsPoolUpdatedEvent {
+  export type InputTuple = [oldPool: AddressLike, newPool: AddressLike];
+  export type OutputTuple = [oldPool: string, newPool: string];
+  export interface OutputObject {
+    oldPool: string;
+    newPool: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SocialActionRecordedEvent {
+  export type InputTuple = [user: AddressLike, newTotal: BigNumberish];
+  export type OutputTuple = [user: string, newTotal: bigint];
+  export interface OutputObject {
+    user: string;
+    newTotal: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [oldStaking: AddressLike, newStaking: AddressLike];
+  export type OutputTuple = [oldStaking: string, newStaking: string];
+  export interface OutputObject {
+    oldStaking: string;
+    newStaking: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface QuestCore extends BaseContract {
+  connect(runner?: ContractRunner | null): QuestCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: QuestCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  REPORTER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  actionCounters: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  claimPendingPolRewards: TypedContractMethod<[], [void], "nonpayable">;
+
+  completeQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  coreContractAddress: TypedContractMethod<[], [string], "view">;
+
+  createQuest: TypedContractMethod<
+    [params: IQuestCore.QuestCreateParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+
+  deactivateQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getAllActiveQuests: TypedContractMethod<
+    [],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getMostPopularQuests: TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [bigint[], bigint[], string[]] & {
+        questIds: bigint[];
+        completionCounts: bigint[];
+        titles: string[];
+      }
+    ],
+    "view"
+  >;
+
+  getQuest: TypedContractMethod<
+    [questId: BigNumberish],
+    [IQuestCore.QuestStructOutput],
+    "view"
+  >;
+
+  getQuestLeaderboard: TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        users: string[];
+        completedCounts: bigint[];
+        totalXP: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getQuestSystemStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalQuests: bigint;
+        activeQuests: bigint;
+        totalCompletions: bigint;
+        totalXPAwarded: bigint;
+        averageCompletionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getQuestsByCategory: TypedContractMethod<
+    [category: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getQuestsByType: TypedContractMethod<
+    [questType: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getUserCompletedQuests: TypedContractMethod<
+    [user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getUserIncompleteQuests: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], IQuestCore.QuestStructOutput[], bigint[]] & {
+        questIds: bigint[];
+        questData: IQuestCore.QuestStructOutput[];
+        progressPercentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserQuestProgress: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [IQuestCore.UserQuestProgressStructOutput],
+    "view"
+  >;
+
+  getUserQuestProgressByType: TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish],
+    [
+      [bigint[], IQuestCore.UserQuestProgressStructOutput[]] & {
+        questIds: bigint[];
+        progresses: IQuestCore.UserQuestProgressStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserQuestStats: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalCompleted: bigint;
+        totalInProgress: bigint;
+        totalXPEarned: bigint;
+        completionRate: bigint;
+        favoriteType: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSocialActions: TypedContractMethod<
+    [user: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [admin_: AddressLike, coreContractAddress_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  levelingContractAddress: TypedContractMethod<[], [string], "view">;
+
+  notifyAction: TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish, value: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  pendingPolRewards: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  questGlobalCompletions: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  questRewardsPool: TypedContractMethod<[], [string], "view">;
+
+  quests: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        questId: bigint;
+        category: bigint;
+        questType: bigint;
+        title: string;
+        description: string;
+        requirement: bigint;
+        xpReward: bigint;
+        polReward: bigint;
+        active: boolean;
+        startTime: bigint;
+        deadline: bigint;
+        completionLimit: bigint;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  recordSocialAction: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setCoreContract: TypedContractMethod<
+    [coreAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingContract: TypedContractMethod<
+    [levelingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestRewardsPool: TypedContractMethod<
+    [pool_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [stakingAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContractAddress: TypedContractMethod<[], [string], "view">;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  totalCompletionsAllTime: TypedContractMethod<[], [bigint], "view">;
+
+  totalPendingPolRewards: TypedContractMethod<[], [bigint], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updateQuestProgress: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userCompletedQuests: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  userCompletionCounts: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  userQuestProgress: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, bigint, boolean, bigint] & {
+        questId: bigint;
+        currentProgress: bigint;
+        completed: boolean;
+        completedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  userTotalXPEarned: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "REPORTER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "actionCounters"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimPendingPolRewards"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "completeQuest"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "coreContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "createQuest"
+  ): TypedContractMethod<
+    [params: IQuestCore.QuestCreateParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "deactivateQuest"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getAllActiveQuests"
+  ): TypedContractMethod<[], [IQuestCore.QuestStructOutput[]], "view">;
+  getFunction(
+    nameOrSignature: "getMostPopularQuests"
+  ): TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [bigint[], bigint[], string[]] & {
+        questIds: bigint[];
+        completionCounts: bigint[];
+        titles: string[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuest"
+  ): TypedContractMethod<
+    [questId: BigNumberish],
+    [IQuestCore.QuestStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestLeaderboard"
+  ): TypedContractMethod<
+    [limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        users: string[];
+        completedCounts: bigint[];
+        totalXP: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestSystemStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalQuests: bigint;
+        activeQuests: bigint;
+        totalCompletions: bigint;
+        totalXPAwarded: bigint;
+        averageCompletionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestsByCategory"
+  ): TypedContractMethod<
+    [category: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestsByType"
+  ): TypedContractMethod<
+    [questType: BigNumberish],
+    [IQuestCore.QuestStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getUserCompletedQuests"
+  ): TypedContractMethod<[user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserIncompleteQuests"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], IQuestCore.QuestStructOutput[], bigint[]] & {
+        questIds: bigint[];
+        questData: IQuestCore.QuestStructOutput[];
+        progressPercentages: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestProgress"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [IQuestCore.UserQuestProgressStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestProgressByType"
+  ): TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish],
+    [
+      [bigint[], IQuestCore.UserQuestProgressStructOutput[]] & {
+        questIds: bigint[];
+        progresses: IQuestCore.UserQuestProgressStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserQuestStats"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalCompleted: bigint;
+        totalInProgress: bigint;
+        totalXPEarned: bigint;
+        completionRate: bigint;
+        favoriteType: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSocialActions"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [admin_: AddressLike, coreContractAddress_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "levelingContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "notifyAction"
+  ): TypedContractMethod<
+    [user: AddressLike, questType: BigNumberish, value: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pendingPolRewards"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "questGlobalCompletions"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "questRewardsPool"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "quests"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        bigint,
+        bigint,
+        boolean,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        questId: bigint;
+        category: bigint;
+        questType: bigint;
+        title: string;
+        description: string;
+        requirement: bigint;
+        xpReward: bigint;
+        polReward: bigint;
+        active: boolean;
+        startTime: bigint;
+        deadline: bigint;
+        completionLimit: bigint;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "recordSocialAction"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setCoreContract"
+  ): TypedContractMethod<[coreAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLevelingContract"
+  ): TypedContractMethod<[levelingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestRewardsPool"
+  ): TypedContractMethod<[pool_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[stakingAddress: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContractAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "totalCompletionsAllTime"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalPendingPolRewards"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateQuestProgress"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userCompletedQuests"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userCompletionCounts"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "userQuestProgress"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [bigint, bigint, boolean, bigint] & {
+        questId: bigint;
+        currentProgress: bigint;
+        completed: boolean;
+        completedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "userTotalXPEarned"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  getEvent(
+    key: "ActionNotified"
+  ): TypedContractEvent<
+    ActionNotifiedEvent.InputTuple,
+    ActionNotifiedEvent.OutputTuple,
+    ActionNotifiedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CoreContractUpdated"
+  ): TypedContractEvent<
+    CoreContractUpdatedEvent.InputTuple,
+    CoreContractUpdatedEvent.OutputTuple,
+    CoreContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelingContractUpdated"
+  ): TypedContractEvent<
+    LevelingContractUpdatedEvent.InputTuple,
+    LevelingContractUpdatedEvent.OutputTuple,
+    LevelingContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PendingPolRewardsClaimed"
+  ): TypedContractEvent<
+    PendingPolRewardsClaimedEvent.InputTuple,
+    PendingPolRewardsClaimedEvent.OutputTuple,
+    PendingPolRewardsClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCreated"
+  ): TypedContractEvent<
+    QuestCreatedEvent.InputTuple,
+    QuestCreatedEvent.OutputTuple,
+    QuestCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestDeactivated"
+  ): TypedContractEvent<
+    QuestDeactivatedEvent.InputTuple,
+    QuestDeactivatedEvent.OutputTuple,
+    QuestDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestProgressUpdated"
+  ): TypedContractEvent<
+    QuestProgressUpdatedEvent.InputTuple,
+    QuestProgressUpdatedEvent.OutputTuple,
+    QuestProgressUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestRewardDeferred"
+  ): TypedContractEvent<
+    QuestRewardDeferredEvent.InputTuple,
+    QuestRewardDeferredEvent.OutputTuple,
+    QuestRewardDeferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestRewardsPoolUpdated"
+  ): TypedContractEvent<
+    QuestRewardsPoolUpdatedEvent.InputTuple,
+    QuestRewardsPoolUpdatedEvent.OutputTuple,
+    QuestRewardsPoolUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SocialActionRecorded"
+  ): TypedContractEvent<
+    SocialActionRecordedEvent.InputTuple,
+    SocialActionRecordedEvent.OutputTuple,
+    SocialActionRecordedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "ActionNotified(address,uint8,uint256)": TypedContractEvent<
+      ActionNotifiedEvent.InputTuple,
+      ActionNotifiedEvent.OutputTuple,
+      ActionNotifiedEvent.OutputObject
+    >;
+    ActionNotified: TypedContractEvent<
+      ActionNotifiedEvent.InputTuple,
+      ActionNotifiedEvent.OutputTuple,
+      ActionNotifiedEvent.OutputObject
+    >;
+
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "CoreContractUpdated(address,address)": TypedContractEvent<
+      CoreContractUpdatedEvent.InputTuple,
+      CoreContractUpdatedEvent.OutputTuple,
+      CoreContractUpdatedEvent.OutputObject
+    >;
+    CoreContractUpdated: TypedContractEvent<
+      CoreContractUpdatedEvent.InputTuple,
+      CoreContractUpdatedEvent.OutputTuple,
+      CoreContractUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LevelingContractUpdated(address,address)": TypedContractEvent<
+      LevelingContractUpdatedEvent.InputTuple,
+      LevelingContractUpdatedEvent.OutputTuple,
+      LevelingContractUpdatedEvent.OutputObject
+    >;
+    LevelingContractUpdated: TypedContractEvent<
+      LevelingContractUpdatedEvent.InputTuple,
+      LevelingContractUpdatedEvent.OutputTuple,
+      LevelingContractUpdatedEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PendingPolRewardsClaimed(address,uint256)": TypedContractEvent<
+      PendingPolRewardsClaimedEvent.InputTuple,
+      PendingPolRewardsClaimedEvent.OutputTuple,
+      PendingPolRewardsClaimedEvent.OutputObject
+    >;
+    PendingPolRewardsClaimed: TypedContractEvent<
+      PendingPolRewardsClaimedEvent.InputTuple,
+      PendingPolRewardsClaimedEvent.OutputTuple,
+      PendingPolRewardsClaimedEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "QuestCreated(uint256,uint8,uint8,string,uint256,uint256,uint256)": TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+    QuestCreated: TypedContractEvent<
+      QuestCreatedEvent.InputTuple,
+      QuestCreatedEvent.OutputTuple,
+      QuestCreatedEvent.OutputObject
+    >;
+
+    "QuestDeactivated(uint256)": TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+    QuestDeactivated: TypedContractEvent<
+      QuestDeactivatedEvent.InputTuple,
+      QuestDeactivatedEvent.OutputTuple,
+      QuestDeactivatedEvent.OutputObject
+    >;
+
+    "QuestProgressUpdated(address,uint256,uint256)": TypedContractEvent<
+      QuestProgressUpdatedEvent.InputTuple,
+      QuestProgressUpdatedEvent.OutputTuple,
+      QuestProgressUpdatedEvent.OutputObject
+    >;
+    QuestProgressUpdated: TypedContractEvent<
+      QuestProgressUpdatedEvent.InputTuple,
+      QuestProgressUpdatedEvent.OutputTuple,
+      QuestProgressUpdatedEvent.OutputObject
+    >;
+
+    "QuestRewardDeferred(address,uint256,uint256)": TypedContractEvent<
+      QuestRewardDeferredEvent.InputTuple,
+      QuestRewardDeferredEvent.OutputTuple,
+      QuestRewardDeferredEvent.OutputObject
+    >;
+    QuestRewardDeferred: TypedContractEvent<
+      QuestRewardDeferredEvent.InputTuple,
+      QuestRewardDeferredEvent.OutputTuple,
+      QuestRewardDeferredEvent.OutputObject
+    >;
+
+    "QuestRewardsPoolUpdated(address,address)": TypedContractEvent<
+      QuestRewardsPoolUpdatedEvent.InputTuple,
+      QuestRewardsPoolUpdatedEvent.OutputTuple,
+      QuestRewardsPoolUpdatedEvent.OutputObject
+    >;
+    QuestRewardsPoolUpdated: TypedContractEvent<
+      QuestRewardsPoolUpdatedEvent.InputTuple,
+      QuestRewardsPoolUpdatedEvent.OutputTuple,
+      QuestRewardsPoolUpdatedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SocialActionRecorded(address,uint256)": TypedContractEvent<
+      SocialActionRecordedEvent.InputTuple,
+      SocialActionRecordedEvent.OutputTuple,
+      SocialActionRecordedEvent.OutputObject
+    >;
+    SocialActionRecorded: TypedContractEvent<
+      SocialActionRecordedEvent.InputTuple,
+      SocialActionRecordedEvent.OutputTuple,
+      SocialActionRecordedEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address,address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1439 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface ReferralSystemInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "BUYER_FIRST_PURCHASE_XP"
+      | "DEFAULT_ADMIN_ROLE"
+      | "FIRST_PURCHASE_DISCOUNT_PERCENTAGE"
+      | "MARKETPLACE_ROLE"
+      | "REFERRER_FIRST_SALE_XP"
+      | "UPGRADER_ROLE"
+      | "generateReferralCode"
+      | "getReferralActivity"
+      | "getReferralCode"
+      | "getReferralConversionMetrics"
+      | "getReferralSystemStats"
+      | "getReferralsList"
+      | "getReferrer"
+      | "getReferrerStats"
+      | "getRoleAdmin"
+      | "getTopReferrers"
+      | "getUserReferralNetwork"
+      | "getUserReferralStats"
+      | "getUserReferralStatus"
+      | "getUserReferrer"
+      | "grantMarketplaceRole"
+      | "grantRole"
+      | "hasMadeFirstPurchase"
+      | "hasMadeFirstSale"
+      | "hasReferrer"
+      | "hasRole"
+      | "initialize"
+      | "isValidReferralCode"
+      | "levelingSystemAddress"
+      | "processFirstPurchaseDiscount"
+      | "processFirstSaleByReferral"
+      | "proxiableUUID"
+      | "referralCode"
+      | "referralCodeOwner"
+      | "referralXPEarned"
+      | "referrals"
+      | "referrer"
+      | "registerWithReferralCode"
+      | "renounceRole"
+      | "revokeRole"
+      | "setLevelingSystem"
+      | "successfulReferrals"
+      | "supportsInterface"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "userHasReferrer"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "BeaconUpgraded"
+      | "FirstPurchaseWithReferral"
+      | "FirstSaleByReferral"
+      | "Initialized"
+      | "ReferralCodeGenerated"
+      | "ReferralRegistered"
+      | "ReferrerXPEarned"
+      | "RoleAdminChanged"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "BUYER_FIRST_PURCHASE_XP",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "FIRST_PURCHASE_DISCOUNT_PERCENTAGE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MARKETPLACE_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REFERRER_FIRST_SALE_XP",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "UPGRADER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "generateReferralCode",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralActivity",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralCode",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralConversionMetrics",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralSystemStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralsList",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferrer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferrerStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRoleAdmin",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTopReferrers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReferralNetwork",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReferralStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReferralStatus",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReferrer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantMarketplaceRole",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasMadeFirstPurchase",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasMadeFirstSale",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasReferrer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isValidReferralCode",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystemAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "processFirstPurchaseDiscount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "processFirstSaleByReferral",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralCode",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralCodeOwner",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralXPEarned",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referrals",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referrer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerWithReferralCode",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystem",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "successfulReferrals",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "supportsInterface",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userHasReferrer",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "BUYER_FIRST_PURCHASE_XP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_ADMIN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "FIRST_PURCHASE_DISCOUNT_PERCENTAGE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MARKETPLACE_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REFERRER_FIRST_SALE_XP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "UPGRADER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "generateReferralCode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralActivity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralCode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralConversionMetrics",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralSystemStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralsList",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferrer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferrerStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRoleAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTopReferrers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReferralNetwork",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReferralStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReferralStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReferrer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "grantMarketplaceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "hasMadeFirstPurchase",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasMadeFirstSale",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasReferrer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isValidReferralCode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "processFirstPurchaseDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "processFirstSaleByReferral",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralCode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralCodeOwner",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralXPEarned",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "referrals", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "referrer", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "registerWithReferralCode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystem",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "successfulReferrals",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "supportsInterface",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userHasReferrer",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FirstPurchaseWithReferralEvent {
+  export type InputTuple = [
+    buyer: AddressLike,
+    referrer: AddressLike,
+    discount: BigNumberish,
+    xpAwarded: BigNumberish
+  ];
+  export type OutputTuple = [
+    buyer: string,
+    referrer: string,
+    discount: bigint,
+    xpAwarded: bigint
+  ];
+  export interface OutputObject {
+    buyer: string;
+    referrer: string;
+    discount: bigint;
+    xpAwarded: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FirstSaleByReferralEvent {
+  export type InputTuple = [
+    referrer: AddressLike,
+    referredSeller: AddressLike,
+    xpAwarded: BigNumberish
+  ];
+  export type OutputTuple = [
+    referrer: string,
+    referredSeller: string,
+    xpAwarded: bigint
+  ];
+  export interface OutputObject {
+    referrer: string;
+    referredSeller: string;
+    xpAwarded: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReferralCodeGeneratedEvent {
+  export type InputTuple = [wallet: AddressLike, code: BytesLike];
+  export type OutputTuple = [wallet: string, code: string];
+  export interface OutputObject {
+    wallet: string;
+    code: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReferralRegisteredEvent {
+  export type InputTuple = [
+    buyer: AddressLike,
+    referrer: AddressLike,
+    code: BytesLike
+  ];
+  export type OutputTuple = [buyer: string, referrer: string, code: string];
+  export interface OutputObject {
+    buyer: string;
+    referrer: string;
+    code: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReferrerXPEarnedEvent {
+  export type InputTuple = [
+    referrer: AddressLike,
+    xpAmount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    referrer: string,
+    xpAmount: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    referrer: string;
+    xpAmount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleAdminChangedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    previousAdminRole: BytesLike,
+    newAdminRole: BytesLike
+  ];
+  export type OutputTuple = [
+    role: string,
+    previousAdminRole: string,
+    newAdminRole: string
+  ];
+  export interface OutputObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface ReferralSystem extends BaseContract {
+  connect(runner?: ContractRunner | null): ReferralSystem;
+  waitForDeployment(): Promise<this>;
+
+  interface: ReferralSystemInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  BUYER_FIRST_PURCHASE_XP: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  FIRST_PURCHASE_DISCOUNT_PERCENTAGE: TypedContractMethod<[], [bigint], "view">;
+
+  MARKETPLACE_ROLE: TypedContractMethod<[], [string], "view">;
+
+  REFERRER_FIRST_SALE_XP: TypedContractMethod<[], [bigint], "view">;
+
+  UPGRADER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  generateReferralCode: TypedContractMethod<
+    [wallet: AddressLike],
+    [string],
+    "nonpayable"
+  >;
+
+  getReferralActivity: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        last24hReferrals: bigint;
+        last7dReferrals: bigint;
+        last30dReferrals: bigint;
+        trendPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReferralCode: TypedContractMethod<[wallet: AddressLike], [string], "view">;
+
+  getReferralConversionMetrics: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        codesGenerated: bigint;
+        codesUsed: bigint;
+        conversionRate: bigint;
+        averageTimeToConvert: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReferralSystemStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        totalUsers: bigint;
+        totalXPEarned: bigint;
+        averageReferralsPerUser: bigint;
+        conversionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReferralsList: TypedContractMethod<
+    [referrerAddr: AddressLike],
+    [string[]],
+    "view"
+  >;
+
+  getReferrer: TypedContractMethod<[buyer: AddressLike], [string], "view">;
+
+  getReferrerStats: TypedContractMethod<
+    [referrerAddr: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        successfulReferrals_: bigint;
+        totalXPEarned: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRoleAdmin: TypedContractMethod<[role: BytesLike], [string], "view">;
+
+  getTopReferrers: TypedContractMethod<
+    [_limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        referrers: string[];
+        referralCounts: bigint[];
+        xpEarned: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserReferralNetwork: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, string[], boolean[]] & {
+        directReferrals: bigint;
+        totalXPFromReferrals: bigint;
+        referralAddresses: string[];
+        activeStatus: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getUserReferralStats: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        xpEarned: bigint;
+        successfulCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserReferralStatus: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [string, boolean, boolean] & {
+        userReferrer: string;
+        hasPurchased: boolean;
+        hasSold: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getUserReferrer: TypedContractMethod<[user: AddressLike], [string], "view">;
+
+  grantMarketplaceRole: TypedContractMethod<
+    [marketplace: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasMadeFirstPurchase: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasMadeFirstSale: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  hasReferrer: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [platformAdmin: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  isValidReferralCode: TypedContractMethod<
+    [code: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  levelingSystemAddress: TypedContractMethod<[], [string], "view">;
+
+  processFirstPurchaseDiscount: TypedContractMethod<
+    [buyer: AddressLike, nftPrice: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  processFirstSaleByReferral: TypedContractMethod<
+    [seller: AddressLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  referralCode: TypedContractMethod<[arg0: AddressLike], [string], "view">;
+
+  referralCodeOwner: TypedContractMethod<[arg0: BytesLike], [string], "view">;
+
+  referralXPEarned: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  referrals: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  referrer: TypedContractMethod<[arg0: AddressLike], [string], "view">;
+
+  registerWithReferralCode: TypedContractMethod<
+    [buyer: AddressLike, code: BytesLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingSystem: TypedContractMethod<
+    [_levelingSystem: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  successfulReferrals: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  supportsInterface: TypedContractMethod<
+    [interfaceId: BytesLike],
+    [boolean],
+    "view"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  userHasReferrer: TypedContractMethod<[user: AddressLike], [boolean], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "BUYER_FIRST_PURCHASE_XP"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "FIRST_PURCHASE_DISCOUNT_PERCENTAGE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MARKETPLACE_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "REFERRER_FIRST_SALE_XP"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "UPGRADER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "generateReferralCode"
+  ): TypedContractMethod<[wallet: AddressLike], [string], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getReferralActivity"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        last24hReferrals: bigint;
+        last7dReferrals: bigint;
+        last30dReferrals: bigint;
+        trendPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReferralCode"
+  ): TypedContractMethod<[wallet: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getReferralConversionMetrics"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        codesGenerated: bigint;
+        codesUsed: bigint;
+        conversionRate: bigint;
+        averageTimeToConvert: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReferralSystemStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        totalUsers: bigint;
+        totalXPEarned: bigint;
+        averageReferralsPerUser: bigint;
+        conversionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReferralsList"
+  ): TypedContractMethod<[referrerAddr: AddressLike], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getReferrer"
+  ): TypedContractMethod<[buyer: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getReferrerStats"
+  ): TypedContractMethod<
+    [referrerAddr: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        successfulReferrals_: bigint;
+        totalXPEarned: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRoleAdmin"
+  ): TypedContractMethod<[role: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getTopReferrers"
+  ): TypedContractMethod<
+    [_limit: BigNumberish],
+    [
+      [string[], bigint[], bigint[]] & {
+        referrers: string[];
+        referralCounts: bigint[];
+        xpEarned: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserReferralNetwork"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, string[], boolean[]] & {
+        directReferrals: bigint;
+        totalXPFromReferrals: bigint;
+        referralAddresses: string[];
+        activeStatus: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserReferralStats"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalReferrals: bigint;
+        xpEarned: bigint;
+        successfulCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserReferralStatus"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [string, boolean, boolean] & {
+        userReferrer: string;
+        hasPurchased: boolean;
+        hasSold: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserReferrer"
+  ): TypedContractMethod<[user: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "grantMarketplaceRole"
+  ): TypedContractMethod<[marketplace: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasMadeFirstPurchase"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasMadeFirstSale"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasReferrer"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[platformAdmin: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "isValidReferralCode"
+  ): TypedContractMethod<[code: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "levelingSystemAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "processFirstPurchaseDiscount"
+  ): TypedContractMethod<
+    [buyer: AddressLike, nftPrice: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "processFirstSaleByReferral"
+  ): TypedContractMethod<[seller: AddressLike], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "referralCode"
+  ): TypedContractMethod<[arg0: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "referralCodeOwner"
+  ): TypedContractMethod<[arg0: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "referralXPEarned"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "referrals"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "referrer"
+  ): TypedContractMethod<[arg0: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "registerWithReferralCode"
+  ): TypedContractMethod<
+    [buyer: AddressLike, code: BytesLike],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setLevelingSystem"
+  ): TypedContractMethod<[_levelingSystem: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "successfulReferrals"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "supportsInterface"
+  ): TypedContractMethod<[interfaceId: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "userHasReferrer"
+  ): TypedContractMethod<[user: AddressLike], [boolean], "view">;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FirstPurchaseWithReferral"
+  ): TypedContractEvent<
+    FirstPurchaseWithReferralEvent.InputTuple,
+    FirstPurchaseWithReferralEvent.OutputTuple,
+    FirstPurchaseWithReferralEvent.OutputObject
+  >;
+  getEvent(
+    key: "FirstSaleByReferral"
+  ): TypedContractEvent<
+    FirstSaleByReferralEvent.InputTuple,
+    FirstSaleByReferralEvent.OutputTuple,
+    FirstSaleByReferralEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReferralCodeGenerated"
+  ): TypedContractEvent<
+    ReferralCodeGeneratedEvent.InputTuple,
+    ReferralCodeGeneratedEvent.OutputTuple,
+    ReferralCodeGeneratedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReferralRegistered"
+  ): TypedContractEvent<
+    ReferralRegisteredEvent.InputTuple,
+    ReferralRegisteredEvent.OutputTuple,
+    ReferralRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReferrerXPEarned"
+  ): TypedContractEvent<
+    ReferrerXPEarnedEvent.InputTuple,
+    ReferrerXPEarnedEvent.OutputTuple,
+    ReferrerXPEarnedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleAdminChanged"
+  ): TypedContractEvent<
+    RoleAdminChangedEvent.InputTuple,
+    RoleAdminChangedEvent.OutputTuple,
+    RoleAdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "FirstPurchaseWithReferral(address,address,uint256,uint256)": TypedContractEvent<
+      FirstPurchaseWithReferralEvent.InputTuple,
+      FirstPurchaseWithReferralEvent.OutputTuple,
+      FirstPurchaseWithReferralEvent.OutputObject
+    >;
+    FirstPurchaseWithReferral: TypedContractEvent<
+      FirstPurchaseWithReferralEvent.InputTuple,
+      FirstPurchaseWithReferralEvent.OutputTuple,
+      FirstPurchaseWithReferralEvent.OutputObject
+    >;
+
+    "FirstSaleByReferral(address,address,uint256)": TypedContractEvent<
+      FirstSaleByReferralEvent.InputTuple,
+      FirstSaleByReferralEvent.OutputTuple,
+      FirstSaleByReferralEvent.OutputObject
+    >;
+    FirstSaleByReferral: TypedContractEvent<
+      FirstSaleByReferralEvent.InputTuple,
+      FirstSaleByReferralEvent.OutputTuple,
+      FirstSaleByReferralEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "ReferralCodeGenerated(address,bytes32)": TypedContractEvent<
+      ReferralCodeGeneratedEvent.InputTuple,
+      ReferralCodeGeneratedEvent.OutputTuple,
+      ReferralCodeGeneratedEvent.OutputObject
+    >;
+    ReferralCodeGenerated: TypedContractEvent<
+      ReferralCodeGeneratedEvent.InputTuple,
+      ReferralCodeGeneratedEvent.OutputTuple,
+      ReferralCodeGeneratedEvent.OutputObject
+    >;
+
+    "ReferralRegistered(address,address,bytes32)": TypedContractEvent<
+      ReferralRegisteredEvent.InputTuple,
+      ReferralRegisteredEvent.OutputTuple,
+      ReferralRegisteredEvent.OutputObject
+    >;
+    ReferralRegistered: TypedContractEvent<
+      ReferralRegisteredEvent.InputTuple,
+      ReferralRegisteredEvent.OutputTuple,
+      ReferralRegisteredEvent.OutputObject
+    >;
+
+    "ReferrerXPEarned(address,uint256,string)": TypedContractEvent<
+      ReferrerXPEarnedEvent.InputTuple,
+      ReferrerXPEarnedEvent.OutputTuple,
+      ReferrerXPEarnedEvent.OutputObject
+    >;
+    ReferrerXPEarned: TypedContractEvent<
+      ReferrerXPEarnedEvent.InputTuple,
+      ReferrerXPEarnedEvent.OutputTuple,
+      ReferrerXPEarnedEvent.OutputObject
+    >;
+
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+    RoleAdminChanged: TypedContractEvent<
+      RoleAdminChangedEvent.InputTuple,
+      RoleAdminChangedEvent.OutputTuple,
+      RoleAdminChangedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
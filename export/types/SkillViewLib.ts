@@ -0,0 +1,327 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IStakingIntegration {
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+}
+
+export interface SkillViewLibInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateBoostedAPY"
+      | "calculateFeeDiscount"
+      | "calculateReducedLockTime"
+      | "checkAutoCompound"
+      | "getActiveSkills"
+      | "getAutoCompoundUsers"
+      | "getUserSkillProfile"
+      | "hasAutoCompound"
+      | "nftRarity"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateFeeDiscount",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateReducedLockTime",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "checkAutoCompound",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkills",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillProfile",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasAutoCompound",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nftRarity",
+    values: [AddressLike, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateFeeDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateReducedLockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "checkAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "nftRarity", data: BytesLike): Result;
+}
+
+export interface SkillViewLib extends BaseContract {
+  connect(runner?: ContractRunner | null): SkillViewLib;
+  waitForDeployment(): Promise<this>;
+
+  interface: SkillViewLibInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateFeeDiscount: TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateReducedLockTime: TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  checkAutoCompound: TypedContractMethod<
+    [gamMod: AddressLike, user: AddressLike],
+    [[boolean, string] & { upkeepNeeded: boolean; performData: string }],
+    "view"
+  >;
+
+  getActiveSkills: TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+
+  getAutoCompoundUsers: TypedContractMethod<
+    [gamMod: AddressLike],
+    [string[]],
+    "view"
+  >;
+
+  getUserSkillProfile: TypedContractMethod<
+    [skillsMod: AddressLike, gamMod: AddressLike, user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  hasAutoCompound: TypedContractMethod<
+    [skillsMod: AddressLike, gamMod: AddressLike, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  nftRarity: TypedContractMethod<
+    [skillsMod: AddressLike, nftId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateFeeDiscount"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateReducedLockTime"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "checkAutoCompound"
+  ): TypedContractMethod<
+    [gamMod: AddressLike, user: AddressLike],
+    [[boolean, string] & { upkeepNeeded: boolean; performData: string }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveSkills"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsers"
+  ): TypedContractMethod<[gamMod: AddressLike], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserSkillProfile"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, gamMod: AddressLike, user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasAutoCompound"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, gamMod: AddressLike, user: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "nftRarity"
+  ): TypedContractMethod<
+    [skillsMod: AddressLike, nftId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,2486 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace IStakingIntegration {
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+}
+
+export interface SmartStakingCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "authorizedMarketplaces"
+      | "calculateBoostedAPY"
+      | "calculateFeeDiscount"
+      | "calculateReducedLockTime"
+      | "calculateRewards"
+      | "changeTreasuryAddress"
+      | "checkAutoCompound"
+      | "circuitBreakerEnabled"
+      | "circuitBreakerReserveRatio"
+      | "compound"
+      | "deposit"
+      | "depositBatch"
+      | "emergencyWithdraw"
+      | "emergencyWithdrawStake"
+      | "gamificationModule"
+      | "getActivePowers"
+      | "getAutoCompoundUsers"
+      | "getContractBalance"
+      | "getTotalClaimedRewards"
+      | "getUser"
+      | "getUserDeposit"
+      | "getUserInfo"
+      | "getUserPowerProfile"
+      | "hasAutoCompound"
+      | "initialize"
+      | "migrateLockup"
+      | "migrated"
+      | "nftRarity"
+      | "notifyAchievementUnlocked"
+      | "notifyPowerActivation"
+      | "notifyPowerDeactivation"
+      | "notifyQuestCompletion"
+      | "owner"
+      | "pause"
+      | "paused"
+      | "performAutoCompound"
+      | "powerDefaultEffects"
+      | "powerEnabled"
+      | "powerModule"
+      | "proxiableUUID"
+      | "questCore"
+      | "referralBoostBps"
+      | "referralBoostDuration"
+      | "referralBoostEndTime"
+      | "referralCount"
+      | "referrers"
+      | "registerReferrer"
+      | "reinvestmentPercentage"
+      | "renounceOwnership"
+      | "rewardsModule"
+      | "setCircuitBreaker"
+      | "setGamificationModule"
+      | "setMarketplaceAddress"
+      | "setMarketplaceAuthorization"
+      | "setPowerEnabled"
+      | "setPowerModule"
+      | "setQuestCore"
+      | "setReferralConfig"
+      | "setReinvestmentPercentage"
+      | "setRewardsModule"
+      | "setStakingAddress"
+      | "setTreasuryManager"
+      | "totalPoolBalance"
+      | "totalRewardsClaimed"
+      | "transferOwnership"
+      | "treasury"
+      | "treasuryManager"
+      | "uniqueUsersCount"
+      | "unpause"
+      | "updatePowerEffect"
+      | "updateUserXP"
+      | "upgradeTo"
+      | "upgradeToAndCall"
+      | "withdraw"
+      | "withdrawAll"
+      | "withdrawBatch"
+      | "withdrawBoosted"
+      | "withdrawByIndex"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "AutoCompoundTriggered"
+      | "AutocompoundFeePaid"
+      | "BeaconUpgraded"
+      | "CircuitBreakerUpdated"
+      | "CommissionPaid"
+      | "Compounded"
+      | "Deposited"
+      | "EarlyExitFeePaid"
+      | "EmergencyWithdrawal"
+      | "Initialized"
+      | "LockupExpiringSoon"
+      | "LockupMigrated"
+      | "MarketplaceAuthorizationUpdated"
+      | "ModuleUpdated"
+      | "OwnershipTransferred"
+      | "Paused"
+      | "PowerActivated"
+      | "PowerDeactivated"
+      | "PowerProfileUpdated"
+      | "ReferralRegistered"
+      | "ReinvestmentPercentageSet"
+      | "TreasuryManagerUpdated"
+      | "TreasuryUpdated"
+      | "Unpaused"
+      | "Upgraded"
+      | "WithdrawAll"
+      | "Withdrawn"
+      | "WithdrawnByIndex"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "authorizedMarketplaces",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateFeeDiscount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateReducedLockTime",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "changeTreasuryAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "checkAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "circuitBreakerEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "circuitBreakerReserveRatio",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "compound", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "deposit",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositBatch",
+    values: [BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdrawStake",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "gamificationModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivePowers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsers",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getContractBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalClaimedRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUser",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDeposit",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "migrateLockup",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "migrated", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "nftRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAchievementUnlocked",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyQuestCompletion",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "performAutoCompound",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "powerDefaultEffects",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "powerEnabled",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "powerModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "questCore", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "referralBoostBps",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralBoostDuration",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralBoostEndTime",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referralCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "referrers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerReferrer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reinvestmentPercentage",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rewardsModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCircuitBreaker",
+    values: [boolean, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setGamificationModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceAuthorization",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerEnabled",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestCore",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReferralConfig",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReinvestmentPercentage",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRewardsModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalPoolBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRewardsClaimed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "treasury", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "uniqueUsersCount",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updatePowerEffect",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeTo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "withdraw", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "withdrawAll",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawBatch",
+    values: [BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawBoosted",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawByIndex",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "authorizedMarketplaces",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateFeeDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateReducedLockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "changeTreasuryAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "checkAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "circuitBreakerEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "circuitBreakerReserveRatio",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "compound", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "deposit", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "depositBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdrawStake",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "gamificationModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivePowers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getContractBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalClaimedRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getUser", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDeposit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "migrateLockup",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "migrated", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "nftRarity", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAchievementUnlocked",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyQuestCompletion",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "performAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "powerDefaultEffects",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "powerEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "powerModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "questCore", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "referralBoostBps",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralBoostDuration",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralBoostEndTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "referralCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "referrers", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "registerReferrer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reinvestmentPercentage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rewardsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCircuitBreaker",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setGamificationModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceAuthorization",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestCore",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReferralConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReinvestmentPercentage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRewardsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalPoolBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRewardsClaimed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "treasury", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "uniqueUsersCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePowerEffect",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradeTo", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "withdraw", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawAll",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawBoosted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawByIndex",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundTriggeredEvent {
+  export type InputTuple = [user: AddressLike, compoundedAmount: BigNumberish];
+  export type OutputTuple = [user: string, compoundedAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    compoundedAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutocompoundFeePaidEvent {
+  export type InputTuple = [user: AddressLike, feeAmount: BigNumberish];
+  export type OutputTuple = [user: string, feeAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    feeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BeaconUpgradedEvent {
+  export type InputTuple = [beacon: AddressLike];
+  export type OutputTuple = [beacon: string];
+  export interface OutputObject {
+    beacon: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CircuitBreakerUpdatedEvent {
+  export type InputTuple = [enabled: boolean, reserveRatio: BigNumberish];
+  export type OutputTuple = [enabled: boolean, reserveRatio: bigint];
+  export interface OutputObject {
+    enabled: boolean;
+    reserveRatio: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommissionPaidEvent {
+  export type InputTuple = [
+    receiver: AddressLike,
+    amount: BigNumberish,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    receiver: string,
+    amount: bigint,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    receiver: string;
+    amount: bigint;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CompoundedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DepositedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    lockupDuration: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    amount: bigint,
+    lockupDuration: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    lockupDuration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EarlyExitFeePaidEvent {
+  export type InputTuple = [user: AddressLike, feeAmount: BigNumberish];
+  export type OutputTuple = [user: string, feeAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    feeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LockupExpiringSoonEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    depositIndex: BigNumberish,
+    unlockTime: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    depositIndex: bigint,
+    unlockTime: bigint,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    depositIndex: bigint;
+    unlockTime: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LockupMigratedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    depositIndex: BigNumberish,
+    newLockupDuration: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    depositIndex: bigint,
+    newLockupDuration: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    depositIndex: bigint;
+    newLockupDuration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace MarketplaceAuthorizationUpdatedEvent {
+  export type InputTuple = [marketplace: AddressLike, isAuthorized: boolean];
+  export type OutputTuple = [marketplace: string, isAuthorized: boolean];
+  export interface OutputObject {
+    marketplace: string;
+    isAuthorized: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ModuleUpdatedEvent {
+  export type InputTuple = [
+    moduleId: BigNumberish,
+    oldModule: AddressLike,
+    newModule: AddressLike
+  ];
+  export type OutputTuple = [
+    moduleId: bigint,
+    oldModule: string,
+    newModule: string
+  ];
+  export interface OutputObject {
+    moduleId: bigint;
+    oldModule: string;
+    newModule: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    effectValue: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    effectValue: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    effectValue: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish
+  ];
+  export type OutputTuple = [user: string, nftId: bigint, powerType: bigint];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerProfileUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    level: BigNumberish,
+    maxActivePowers: BigNumberish,
+    stakingBoostTotal: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    level: bigint,
+    maxActivePowers: bigint,
+    stakingBoostTotal: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    level: bigint;
+    maxActivePowers: bigint;
+    stakingBoostTotal: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReferralRegisteredEvent {
+  export type InputTuple = [referrer: AddressLike, referee: AddressLike];
+  export type OutputTuple = [referrer: string, referee: string];
+  export interface OutputObject {
+    referrer: string;
+    referee: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReinvestmentPercentageSetEvent {
+  export type InputTuple = [user: AddressLike, percentage: BigNumberish];
+  export type OutputTuple = [user: string, percentage: bigint];
+  export interface OutputObject {
+    user: string;
+    percentage: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [newManager: AddressLike];
+  export type OutputTuple = [newManager: string];
+  export interface OutputObject {
+    newManager: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryUpdatedEvent {
+  export type InputTuple = [oldTreasury: AddressLike, newTreasury: AddressLike];
+  export type OutputTuple = [oldTreasury: string, newTreasury: string];
+  export interface OutputObject {
+    oldTreasury: string;
+    newTreasury: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WithdrawAllEvent {
+  export type InputTuple = [user: AddressLike, totalAmount: BigNumberish];
+  export type OutputTuple = [user: string, totalAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    totalAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WithdrawnEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WithdrawnByIndexEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    depositIndex: BigNumberish,
+    principal: BigNumberish,
+    rewards: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    depositIndex: bigint,
+    principal: bigint,
+    rewards: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    depositIndex: bigint;
+    principal: bigint;
+    rewards: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingCore extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  authorizedMarketplaces: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateFeeDiscount: TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateReducedLockTime: TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateRewards: TypedContractMethod<
+    [userAddress: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  changeTreasuryAddress: TypedContractMethod<
+    [_newTreasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  checkAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, string]],
+    "view"
+  >;
+
+  circuitBreakerEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  circuitBreakerReserveRatio: TypedContractMethod<[], [bigint], "view">;
+
+  compound: TypedContractMethod<[], [void], "nonpayable">;
+
+  deposit: TypedContractMethod<
+    [_lockupDuration: BigNumberish],
+    [void],
+    "payable"
+  >;
+
+  depositBatch: TypedContractMethod<
+    [lockupDurations: BigNumberish[], amounts: BigNumberish[]],
+    [void],
+    "payable"
+  >;
+
+  emergencyWithdraw: TypedContractMethod<
+    [_amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdrawStake: TypedContractMethod<[], [void], "nonpayable">;
+
+  gamificationModule: TypedContractMethod<[], [string], "view">;
+
+  getActivePowers: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+
+  getAutoCompoundUsers: TypedContractMethod<[], [string[]], "view">;
+
+  getContractBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getTotalClaimedRewards: TypedContractMethod<
+    [userAddress: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getUser: TypedContractMethod<
+    [user: AddressLike],
+    [[string[], bigint, bigint]],
+    "view"
+  >;
+
+  getUserDeposit: TypedContractMethod<
+    [user: AddressLike, index: BigNumberish],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getUserInfo: TypedContractMethod<
+    [userAddress: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        totalDeposited: bigint;
+        totalRewards: bigint;
+        depositCount: bigint;
+        lastWithdrawTime: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserPowerProfile: TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  hasAutoCompound: TypedContractMethod<[user: AddressLike], [boolean], "view">;
+
+  initialize: TypedContractMethod<
+    [_treasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  migrateLockup: TypedContractMethod<
+    [depositIndex: BigNumberish, newLockupDays: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  migrated: TypedContractMethod<[], [boolean], "view">;
+
+  nftRarity: TypedContractMethod<[nftId: BigNumberish], [bigint], "view">;
+
+  notifyAchievementUnlocked: TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyQuestCompletion: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish, rewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  performAutoCompound: TypedContractMethod<
+    [performData: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  powerDefaultEffects: TypedContractMethod<
+    [powerType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  powerEnabled: TypedContractMethod<
+    [powerType: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  powerModule: TypedContractMethod<[], [string], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  questCore: TypedContractMethod<[], [string], "view">;
+
+  referralBoostBps: TypedContractMethod<[], [bigint], "view">;
+
+  referralBoostDuration: TypedContractMethod<[], [bigint], "view">;
+
+  referralBoostEndTime: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  referralCount: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  referrers: TypedContractMethod<[arg0: AddressLike], [string], "view">;
+
+  registerReferrer: TypedContractMethod<
+    [referrer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  reinvestmentPercentage: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  rewardsModule: TypedContractMethod<[], [string], "view">;
+
+  setCircuitBreaker: TypedContractMethod<
+    [enabled: boolean, reserveRatio: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setGamificationModule: TypedContractMethod<
+    [_gamificationModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceAddress: TypedContractMethod<
+    [_marketplace: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceAuthorization: TypedContractMethod<
+    [_marketplace: AddressLike, _isAuthorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerEnabled: TypedContractMethod<
+    [powerType: BigNumberish, enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerModule: TypedContractMethod<
+    [_powerModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestCore: TypedContractMethod<
+    [questCore_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setReferralConfig: TypedContractMethod<
+    [boostBps: BigNumberish, boostDuration: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setReinvestmentPercentage: TypedContractMethod<
+    [percentage: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setRewardsModule: TypedContractMethod<
+    [_rewardsModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingAddress: TypedContractMethod<[arg0: AddressLike], [void], "view">;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  totalPoolBalance: TypedContractMethod<[], [bigint], "view">;
+
+  totalRewardsClaimed: TypedContractMethod<
+    [arg0: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasury: TypedContractMethod<[], [string], "view">;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  uniqueUsersCount: TypedContractMethod<[], [bigint], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updatePowerEffect: TypedContractMethod<
+    [powerType: BigNumberish, newEffectValue: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, xpGained: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeTo: TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+
+  withdraw: TypedContractMethod<[], [void], "nonpayable">;
+
+  withdrawAll: TypedContractMethod<[], [void], "nonpayable">;
+
+  withdrawBatch: TypedContractMethod<
+    [indices: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  withdrawBoosted: TypedContractMethod<[], [void], "nonpayable">;
+
+  withdrawByIndex: TypedContractMethod<
+    [depositIndex: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "authorizedMarketplaces"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateFeeDiscount"
+  ): TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateReducedLockTime"
+  ): TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateRewards"
+  ): TypedContractMethod<[userAddress: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "changeTreasuryAddress"
+  ): TypedContractMethod<[_newTreasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "checkAutoCompound"
+  ): TypedContractMethod<[user: AddressLike], [[boolean, string]], "view">;
+  getFunction(
+    nameOrSignature: "circuitBreakerEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "circuitBreakerReserveRatio"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "compound"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "deposit"
+  ): TypedContractMethod<[_lockupDuration: BigNumberish], [void], "payable">;
+  getFunction(
+    nameOrSignature: "depositBatch"
+  ): TypedContractMethod<
+    [lockupDurations: BigNumberish[], amounts: BigNumberish[]],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<[_amount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "emergencyWithdrawStake"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "gamificationModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getActivePowers"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.NFTPowerStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsers"
+  ): TypedContractMethod<[], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getContractBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getTotalClaimedRewards"
+  ): TypedContractMethod<[userAddress: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUser"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[string[], bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserDeposit"
+  ): TypedContractMethod<
+    [user: AddressLike, index: BigNumberish],
+    [[bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserInfo"
+  ): TypedContractMethod<
+    [userAddress: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        totalDeposited: bigint;
+        totalRewards: bigint;
+        depositCount: bigint;
+        lastWithdrawTime: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowerProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [IStakingIntegration.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasAutoCompound"
+  ): TypedContractMethod<[user: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[_treasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "migrateLockup"
+  ): TypedContractMethod<
+    [depositIndex: BigNumberish, newLockupDays: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "migrated"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "nftRarity"
+  ): TypedContractMethod<[nftId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "notifyAchievementUnlocked"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyQuestCompletion"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish, rewardAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "performAutoCompound"
+  ): TypedContractMethod<[performData: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "powerDefaultEffects"
+  ): TypedContractMethod<[powerType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "powerEnabled"
+  ): TypedContractMethod<[powerType: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "powerModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "questCore"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "referralBoostBps"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "referralBoostDuration"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "referralBoostEndTime"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "referralCount"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "referrers"
+  ): TypedContractMethod<[arg0: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "registerReferrer"
+  ): TypedContractMethod<[referrer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "reinvestmentPercentage"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "rewardsModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setCircuitBreaker"
+  ): TypedContractMethod<
+    [enabled: boolean, reserveRatio: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setGamificationModule"
+  ): TypedContractMethod<
+    [_gamificationModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setMarketplaceAddress"
+  ): TypedContractMethod<[_marketplace: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMarketplaceAuthorization"
+  ): TypedContractMethod<
+    [_marketplace: AddressLike, _isAuthorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPowerEnabled"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPowerModule"
+  ): TypedContractMethod<[_powerModule: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestCore"
+  ): TypedContractMethod<[questCore_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setReferralConfig"
+  ): TypedContractMethod<
+    [boostBps: BigNumberish, boostDuration: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setReinvestmentPercentage"
+  ): TypedContractMethod<[percentage: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRewardsModule"
+  ): TypedContractMethod<[_rewardsModule: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingAddress"
+  ): TypedContractMethod<[arg0: AddressLike], [void], "view">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "totalPoolBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalRewardsClaimed"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasury"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "uniqueUsersCount"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updatePowerEffect"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, newEffectValue: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xpGained: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeTo"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "withdraw"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawAll"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawBatch"
+  ): TypedContractMethod<[indices: BigNumberish[]], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawBoosted"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawByIndex"
+  ): TypedContractMethod<[depositIndex: BigNumberish], [void], "nonpayable">;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundTriggered"
+  ): TypedContractEvent<
+    AutoCompoundTriggeredEvent.InputTuple,
+    AutoCompoundTriggeredEvent.OutputTuple,
+    AutoCompoundTriggeredEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutocompoundFeePaid"
+  ): TypedContractEvent<
+    AutocompoundFeePaidEvent.InputTuple,
+    AutocompoundFeePaidEvent.OutputTuple,
+    AutocompoundFeePaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "BeaconUpgraded"
+  ): TypedContractEvent<
+    BeaconUpgradedEvent.InputTuple,
+    BeaconUpgradedEvent.OutputTuple,
+    BeaconUpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CircuitBreakerUpdated"
+  ): TypedContractEvent<
+    CircuitBreakerUpdatedEvent.InputTuple,
+    CircuitBreakerUpdatedEvent.OutputTuple,
+    CircuitBreakerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommissionPaid"
+  ): TypedContractEvent<
+    CommissionPaidEvent.InputTuple,
+    CommissionPaidEvent.OutputTuple,
+    CommissionPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "Compounded"
+  ): TypedContractEvent<
+    CompoundedEvent.InputTuple,
+    CompoundedEvent.OutputTuple,
+    CompoundedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Deposited"
+  ): TypedContractEvent<
+    DepositedEvent.InputTuple,
+    DepositedEvent.OutputTuple,
+    DepositedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EarlyExitFeePaid"
+  ): TypedContractEvent<
+    EarlyExitFeePaidEvent.InputTuple,
+    EarlyExitFeePaidEvent.OutputTuple,
+    EarlyExitFeePaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LockupExpiringSoon"
+  ): TypedContractEvent<
+    LockupExpiringSoonEvent.InputTuple,
+    LockupExpiringSoonEvent.OutputTuple,
+    LockupExpiringSoonEvent.OutputObject
+  >;
+  getEvent(
+    key: "LockupMigrated"
+  ): TypedContractEvent<
+    LockupMigratedEvent.InputTuple,
+    LockupMigratedEvent.OutputTuple,
+    LockupMigratedEvent.OutputObject
+  >;
+  getEvent(
+    key: "MarketplaceAuthorizationUpdated"
+  ): TypedContractEvent<
+    MarketplaceAuthorizationUpdatedEvent.InputTuple,
+    MarketplaceAuthorizationUpdatedEvent.OutputTuple,
+    MarketplaceAuthorizationUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ModuleUpdated"
+  ): TypedContractEvent<
+    ModuleUpdatedEvent.InputTuple,
+    ModuleUpdatedEvent.OutputTuple,
+    ModuleUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerActivated"
+  ): TypedContractEvent<
+    PowerActivatedEvent.InputTuple,
+    PowerActivatedEvent.OutputTuple,
+    PowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerDeactivated"
+  ): TypedContractEvent<
+    PowerDeactivatedEvent.InputTuple,
+    PowerDeactivatedEvent.OutputTuple,
+    PowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerProfileUpdated"
+  ): TypedContractEvent<
+    PowerProfileUpdatedEvent.InputTuple,
+    PowerProfileUpdatedEvent.OutputTuple,
+    PowerProfileUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReferralRegistered"
+  ): TypedContractEvent<
+    ReferralRegisteredEvent.InputTuple,
+    ReferralRegisteredEvent.OutputTuple,
+    ReferralRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReinvestmentPercentageSet"
+  ): TypedContractEvent<
+    ReinvestmentPercentageSetEvent.InputTuple,
+    ReinvestmentPercentageSetEvent.OutputTuple,
+    ReinvestmentPercentageSetEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryUpdated"
+  ): TypedContractEvent<
+    TreasuryUpdatedEvent.InputTuple,
+    TreasuryUpdatedEvent.OutputTuple,
+    TreasuryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WithdrawAll"
+  ): TypedContractEvent<
+    WithdrawAllEvent.InputTuple,
+    WithdrawAllEvent.OutputTuple,
+    WithdrawAllEvent.OutputObject
+  >;
+  getEvent(
+    key: "Withdrawn"
+  ): TypedContractEvent<
+    WithdrawnEvent.InputTuple,
+    WithdrawnEvent.OutputTuple,
+    WithdrawnEvent.OutputObject
+  >;
+  getEvent(
+    key: "WithdrawnByIndex"
+  ): TypedContractEvent<
+    WithdrawnByIndexEvent.InputTuple,
+    WithdrawnByIndexEvent.OutputTuple,
+    WithdrawnByIndexEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "AutoCompoundTriggered(address,uint256)": TypedContractEvent<
+      AutoCompoundTriggeredEvent.InputTuple,
+      AutoCompoundTriggeredEvent.OutputTuple,
+      AutoCompoundTriggeredEvent.OutputObject
+    >;
+    AutoCompoundTriggered: TypedContractEvent<
+      AutoCompoundTriggeredEvent.InputTuple,
+      AutoCompoundTriggeredEvent.OutputTuple,
+      AutoCompoundTriggeredEvent.OutputObject
+    >;
+
+    "AutocompoundFeePaid(address,uint256)": TypedContractEvent<
+      AutocompoundFeePaidEvent.InputTuple,
+      AutocompoundFeePaidEvent.OutputTuple,
+      AutocompoundFeePaidEvent.OutputObject
+    >;
+    AutocompoundFeePaid: TypedContractEvent<
+      AutocompoundFeePaidEvent.InputTuple,
+      AutocompoundFeePaidEvent.OutputTuple,
+      AutocompoundFeePaidEvent.OutputObject
+    >;
+
+    "BeaconUpgraded(address)": TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+    BeaconUpgraded: TypedContractEvent<
+      BeaconUpgradedEvent.InputTuple,
+      BeaconUpgradedEvent.OutputTuple,
+      BeaconUpgradedEvent.OutputObject
+    >;
+
+    "CircuitBreakerUpdated(bool,uint256)": TypedContractEvent<
+      CircuitBreakerUpdatedEvent.InputTuple,
+      CircuitBreakerUpdatedEvent.OutputTuple,
+      CircuitBreakerUpdatedEvent.OutputObject
+    >;
+    CircuitBreakerUpdated: TypedContractEvent<
+      CircuitBreakerUpdatedEvent.InputTuple,
+      CircuitBreakerUpdatedEvent.OutputTuple,
+      CircuitBreakerUpdatedEvent.OutputObject
+    >;
+
+    "CommissionPaid(address,uint256,uint256)": TypedContractEvent<
+      CommissionPaidEvent.InputTuple,
+      CommissionPaidEvent.OutputTuple,
+      CommissionPaidEvent.OutputObject
+    >;
+    CommissionPaid: TypedContractEvent<
+      CommissionPaidEvent.InputTuple,
+      CommissionPaidEvent.OutputTuple,
+      CommissionPaidEvent.OutputObject
+    >;
+
+    "Compounded(address,uint256)": TypedContractEvent<
+      CompoundedEvent.InputTuple,
+      CompoundedEvent.OutputTuple,
+      CompoundedEvent.OutputObject
+    >;
+    Compounded: TypedContractEvent<
+      CompoundedEvent.InputTuple,
+      CompoundedEvent.OutputTuple,
+      CompoundedEvent.OutputObject
+    >;
+
+    "Deposited(address,uint256,uint256)": TypedContractEvent<
+      DepositedEvent.InputTuple,
+      DepositedEvent.OutputTuple,
+      DepositedEvent.OutputObject
+    >;
+    Deposited: TypedContractEvent<
+      DepositedEvent.InputTuple,
+      DepositedEvent.OutputTuple,
+      DepositedEvent.OutputObject
+    >;
+
+    "EarlyExitFeePaid(address,uint256)": TypedContractEvent<
+      EarlyExitFeePaidEvent.InputTuple,
+      EarlyExitFeePaidEvent.OutputTuple,
+      EarlyExitFeePaidEvent.OutputObject
+    >;
+    EarlyExitFeePaid: TypedContractEvent<
+      EarlyExitFeePaidEvent.InputTuple,
+      EarlyExitFeePaidEvent.OutputTuple,
+      EarlyExitFeePaidEvent.OutputObject
+    >;
+
+    "EmergencyWithdrawal(address,uint256)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "Initialized(uint8)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LockupExpiringSoon(address,uint256,uint256,uint256)": TypedContractEvent<
+      LockupExpiringSoonEvent.InputTuple,
+      LockupExpiringSoonEvent.OutputTuple,
+      LockupExpiringSoonEvent.OutputObject
+    >;
+    LockupExpiringSoon: TypedContractEvent<
+      LockupExpiringSoonEvent.InputTuple,
+      LockupExpiringSoonEvent.OutputTuple,
+      LockupExpiringSoonEvent.OutputObject
+    >;
+
+    "LockupMigrated(address,uint256,uint64)": TypedContractEvent<
+      LockupMigratedEvent.InputTuple,
+      LockupMigratedEvent.OutputTuple,
+      LockupMigratedEvent.OutputObject
+    >;
+    LockupMigrated: TypedContractEvent<
+      LockupMigratedEvent.InputTuple,
+      LockupMigratedEvent.OutputTuple,
+      LockupMigratedEvent.OutputObject
+    >;
+
+    "MarketplaceAuthorizationUpdated(address,bool)": TypedContractEvent<
+      MarketplaceAuthorizationUpdatedEvent.InputTuple,
+      MarketplaceAuthorizationUpdatedEvent.OutputTuple,
+      MarketplaceAuthorizationUpdatedEvent.OutputObject
+    >;
+    MarketplaceAuthorizationUpdated: TypedContractEvent<
+      MarketplaceAuthorizationUpdatedEvent.InputTuple,
+      MarketplaceAuthorizationUpdatedEvent.OutputTuple,
+      MarketplaceAuthorizationUpdatedEvent.OutputObject
+    >;
+
+    "ModuleUpdated(uint8,address,address)": TypedContractEvent<
+      ModuleUpdatedEvent.InputTuple,
+      ModuleUpdatedEvent.OutputTuple,
+      ModuleUpdatedEvent.OutputObject
+    >;
+    ModuleUpdated: TypedContractEvent<
+      ModuleUpdatedEvent.InputTuple,
+      ModuleUpdatedEvent.OutputTuple,
+      ModuleUpdatedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "Paused(address)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "PowerActivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+    PowerActivated: TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+
+    "PowerDeactivated(address,uint256,uint8)": TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+    PowerDeactivated: TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+
+    "PowerProfileUpdated(address,uint16,uint8,uint16)": TypedContractEvent<
+      PowerProfileUpdatedEvent.InputTuple,
+      PowerProfileUpdatedEvent.OutputTuple,
+      PowerProfileUpdatedEvent.OutputObject
+    >;
+    PowerProfileUpdated: TypedContractEvent<
+      PowerProfileUpdatedEvent.InputTuple,
+      PowerProfileUpdatedEvent.OutputTuple,
+      PowerProfileUpdatedEvent.OutputObject
+    >;
+
+    "ReferralRegistered(address,address)": TypedContractEvent<
+      ReferralRegisteredEvent.InputTuple,
+      ReferralRegisteredEvent.OutputTuple,
+      ReferralRegisteredEvent.OutputObject
+    >;
+    ReferralRegistered: TypedContractEvent<
+      ReferralRegisteredEvent.InputTuple,
+      ReferralRegisteredEvent.OutputTuple,
+      ReferralRegisteredEvent.OutputObject
+    >;
+
+    "ReinvestmentPercentageSet(address,uint256)": TypedContractEvent<
+      ReinvestmentPercentageSetEvent.InputTuple,
+      ReinvestmentPercentageSetEvent.OutputTuple,
+      ReinvestmentPercentageSetEvent.OutputObject
+    >;
+    ReinvestmentPercentageSet: TypedContractEvent<
+      ReinvestmentPercentageSetEvent.InputTuple,
+      ReinvestmentPercentageSetEvent.OutputTuple,
+      ReinvestmentPercentageSetEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryUpdated(address,address)": TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+    TreasuryUpdated: TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "WithdrawAll(address,uint256)": TypedContractEvent<
+      WithdrawAllEvent.InputTuple,
+      WithdrawAllEvent.OutputTuple,
+      WithdrawAllEvent.OutputObject
+    >;
+    WithdrawAll: TypedContractEvent<
+      WithdrawAllEvent.InputTuple,
+      WithdrawAllEvent.OutputTuple,
+      WithdrawAllEvent.OutputObject
+    >;
+
+    "Withdrawn(address,uint256)": TypedContractEvent<
+      WithdrawnEvent.InputTuple,
+      WithdrawnEvent.OutputTuple,
+      WithdrawnEvent.OutputObject
+    >;
+    Withdrawn: TypedContractEvent<
+      WithdrawnEvent.InputTuple,
+      WithdrawnEvent.OutputTuple,
+      WithdrawnEvent.OutputObject
+    >;
+
+    "WithdrawnByIndex(address,uint256,uint256,uint256)": TypedContractEvent<
+      WithdrawnByIndexEvent.InputTuple,
+      WithdrawnByIndexEvent.OutputTuple,
+      WithdrawnByIndexEvent.OutputObject
+    >;
+    WithdrawnByIndex: TypedContractEvent<
+      WithdrawnByIndexEvent.InputTuple,
+      WithdrawnByIndexEvent.OutputTuple,
+      WithdrawnByIndexEvent.OutputObject
+    >;
+  };
+}
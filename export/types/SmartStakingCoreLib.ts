@@ -0,0 +1,183 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  FunctionFragment,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+} from "./common";
+
+export interface SmartStakingCoreLibInterface extends Interface {
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AutocompoundFeePaid"
+      | "CommissionPaid"
+      | "EarlyExitFeePaid"
+  ): EventFragment;
+}
+
+export namespace AutocompoundFeePaidEvent {
+  export type InputTuple = [user: AddressLike, feeAmount: BigNumberish];
+  export type OutputTuple = [user: string, feeAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    feeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommissionPaidEvent {
+  export type InputTuple = [
+    receiver: AddressLike,
+    amount: BigNumberish,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    receiver: string,
+    amount: bigint,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    receiver: string;
+    amount: bigint;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EarlyExitFeePaidEvent {
+  export type InputTuple = [user: AddressLike, feeAmount: BigNumberish];
+  export type OutputTuple = [user: string, feeAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    feeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingCoreLib extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingCoreLib;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingCoreLibInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getEvent(
+    key: "AutocompoundFeePaid"
+  ): TypedContractEvent<
+    AutocompoundFeePaidEvent.InputTuple,
+    AutocompoundFeePaidEvent.OutputTuple,
+    AutocompoundFeePaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommissionPaid"
+  ): TypedContractEvent<
+    CommissionPaidEvent.InputTuple,
+    CommissionPaidEvent.OutputTuple,
+    CommissionPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "EarlyExitFeePaid"
+  ): TypedContractEvent<
+    EarlyExitFeePaidEvent.InputTuple,
+    EarlyExitFeePaidEvent.OutputTuple,
+    EarlyExitFeePaidEvent.OutputObject
+  >;
+
+  filters: {
+    "AutocompoundFeePaid(address,uint256)": TypedContractEvent<
+      AutocompoundFeePaidEvent.InputTuple,
+      AutocompoundFeePaidEvent.OutputTuple,
+      AutocompoundFeePaidEvent.OutputObject
+    >;
+    AutocompoundFeePaid: TypedContractEvent<
+      AutocompoundFeePaidEvent.InputTuple,
+      AutocompoundFeePaidEvent.OutputTuple,
+      AutocompoundFeePaidEvent.OutputObject
+    >;
+
+    "CommissionPaid(address,uint256,uint256)": TypedContractEvent<
+      CommissionPaidEvent.InputTuple,
+      CommissionPaidEvent.OutputTuple,
+      CommissionPaidEvent.OutputObject
+    >;
+    CommissionPaid: TypedContractEvent<
+      CommissionPaidEvent.InputTuple,
+      CommissionPaidEvent.OutputTuple,
+      CommissionPaidEvent.OutputObject
+    >;
+
+    "EarlyExitFeePaid(address,uint256)": TypedContractEvent<
+      EarlyExitFeePaidEvent.InputTuple,
+      EarlyExitFeePaidEvent.OutputTuple,
+      EarlyExitFeePaidEvent.OutputObject
+    >;
+    EarlyExitFeePaid: TypedContractEvent<
+      EarlyExitFeePaidEvent.InputTuple,
+      EarlyExitFeePaidEvent.OutputTuple,
+      EarlyExitFeePaidEvent.OutputObject
+    >;
+  };
+}
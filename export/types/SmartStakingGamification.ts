@@ -0,0 +1,1706 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingGamification {
+  export type AchievementRewardStruct = {
+    amount: BigNumberish;
+    expirationTime: BigNumberish;
+    claimed: boolean;
+  };
+
+  export type AchievementRewardStructOutput = [
+    amount: bigint,
+    expirationTime: bigint,
+    claimed: boolean
+  ] & { amount: bigint; expirationTime: bigint; claimed: boolean };
+
+  export type QuestRewardStruct = {
+    amount: BigNumberish;
+    expirationTime: BigNumberish;
+    claimed: boolean;
+  };
+
+  export type QuestRewardStructOutput = [
+    amount: bigint,
+    expirationTime: bigint,
+    claimed: boolean
+  ] & { amount: bigint; expirationTime: bigint; claimed: boolean };
+
+  export type AutoCompoundConfigStruct = {
+    enabled: boolean;
+    minAmount: BigNumberish;
+    lastCompoundTime: BigNumberish;
+  };
+
+  export type AutoCompoundConfigStructOutput = [
+    enabled: boolean,
+    minAmount: bigint,
+    lastCompoundTime: bigint
+  ] & { enabled: boolean; minAmount: bigint; lastCompoundTime: bigint };
+}
+
+export declare namespace SmartStakingGamification {
+  export type BadgeStruct = {
+    id: BigNumberish;
+    name: string;
+    description: string;
+    dateEarned: BigNumberish;
+  };
+
+  export type BadgeStructOutput = [
+    id: bigint,
+    name: string,
+    description: string,
+    dateEarned: bigint
+  ] & { id: bigint; name: string; description: string; dateEarned: bigint };
+}
+
+export interface SmartStakingGamificationInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "awardBadge"
+      | "batchAutoCompound"
+      | "calculateLevel"
+      | "checkAutoCompound"
+      | "claimAchievementReward"
+      | "claimDeferredReward"
+      | "claimQuestReward"
+      | "completeQuest"
+      | "coreStakingContract"
+      | "disableAutoCompound"
+      | "effectiveXpMultiplier"
+      | "enableAutoCompound"
+      | "expireAchievementRewards"
+      | "expireQuestRewards"
+      | "getAchievementReward"
+      | "getAllAchievementRewards"
+      | "getAllQuestRewards"
+      | "getAutoCompoundConfig"
+      | "getAutoCompoundUsersPage"
+      | "getProtocolHealth"
+      | "getProtocolStats"
+      | "getQuestReward"
+      | "getUserBadgeCount"
+      | "getUserBadges"
+      | "getUserStreak"
+      | "getUserXPInfo"
+      | "getXPForLevel"
+      | "levelingSystemAddress"
+      | "marketplaceContract"
+      | "owner"
+      | "performAutoCompound"
+      | "performHealthCheck"
+      | "renounceOwnership"
+      | "reportCriticalStatus"
+      | "setCoreStakingContract"
+      | "setLevelingSystemAddress"
+      | "setMarketplaceContract"
+      | "setQuestClaimed"
+      | "setTreasuryManager"
+      | "setUserXP"
+      | "transferOwnership"
+      | "treasuryManager"
+      | "unlockAchievement"
+      | "updateUserXP"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AchievementUnlocked"
+      | "AutoCompoundDisabled"
+      | "AutoCompoundEnabled"
+      | "AutoCompoundExecuted"
+      | "BadgeEarned"
+      | "CriticalRewardDeficit"
+      | "HealthCheckPerformed"
+      | "LevelUp"
+      | "OwnershipTransferred"
+      | "ProtocolHealthStatusChanged"
+      | "QuestCompleted"
+      | "RewardDeferred"
+      | "RewardExpired"
+      | "RewardPaid"
+      | "TreasuryManagerUpdated"
+      | "TreasuryNotificationSent"
+      | "XPUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "awardBadge",
+    values: [AddressLike, BigNumberish, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "batchAutoCompound",
+    values: [AddressLike[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateLevel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "checkAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimAchievementReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimDeferredReward",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimQuestReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "completeQuest",
+    values: [
+      AddressLike,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreStakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "disableAutoCompound",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "effectiveXpMultiplier",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "enableAutoCompound",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "expireAchievementRewards",
+    values: [AddressLike, BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "expireQuestRewards",
+    values: [AddressLike, BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAchievementReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllAchievementRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllQuestRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundConfig",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsersPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolHealth",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getQuestReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBadgeCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBadges",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserStreak",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserXPInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getXPForLevel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "levelingSystemAddress",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "marketplaceContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "performAutoCompound",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "performHealthCheck",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reportCriticalStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLevelingSystemAddress",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestClaimed",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setUserXP",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unlockAchievement",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateUserXP",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "awardBadge", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "batchAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateLevel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "checkAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimAchievementReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimDeferredReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "completeQuest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "disableAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "effectiveXpMultiplier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "enableAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "expireAchievementRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "expireQuestRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAchievementReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllAchievementRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllQuestRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsersPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolHealth",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBadgeCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBadges",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserStreak",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserXPInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getXPForLevel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "levelingSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "marketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "performAutoCompound",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "performHealthCheck",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reportCriticalStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLevelingSystemAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestClaimed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setUserXP", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "unlockAchievement",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateUserXP",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AchievementUnlockedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    achievementId: BigNumberish,
+    rewardAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    achievementId: bigint,
+    rewardAmount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    achievementId: bigint;
+    rewardAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundDisabledEvent {
+  export type InputTuple = [user: AddressLike];
+  export type OutputTuple = [user: string];
+  export interface OutputObject {
+    user: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundEnabledEvent {
+  export type InputTuple = [user: AddressLike, minAmount: BigNumberish];
+  export type OutputTuple = [user: string, minAmount: bigint];
+  export interface OutputObject {
+    user: string;
+    minAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoCompoundExecutedEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BadgeEarnedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    badgeId: BigNumberish,
+    name: string
+  ];
+  export type OutputTuple = [user: string, badgeId: bigint, name: string];
+  export interface OutputObject {
+    user: string;
+    badgeId: bigint;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CriticalRewardDeficitEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    rewardAmount: BigNumberish,
+    totalPendingRewards: BigNumberish,
+    contractBalance: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    rewardAmount: bigint,
+    totalPendingRewards: bigint,
+    contractBalance: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    rewardAmount: bigint;
+    totalPendingRewards: bigint;
+    contractBalance: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace HealthCheckPerformedEvent {
+  export type InputTuple = [
+    contractBalance: BigNumberish,
+    totalPendingRewards: BigNumberish,
+    status: BigNumberish,
+    emergencyFundsRequested: boolean
+  ];
+  export type OutputTuple = [
+    contractBalance: bigint,
+    totalPendingRewards: bigint,
+    status: bigint,
+    emergencyFundsRequested: boolean
+  ];
+  export interface OutputObject {
+    contractBalance: bigint;
+    totalPendingRewards: bigint;
+    status: bigint;
+    emergencyFundsRequested: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LevelUpEvent {
+  export type InputTuple = [user: AddressLike, newLevel: BigNumberish];
+  export type OutputTuple = [user: string, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ProtocolHealthStatusChangedEvent {
+  export type InputTuple = [
+    newStatus: BigNumberish,
+    timestamp: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    newStatus: bigint,
+    timestamp: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    newStatus: bigint;
+    timestamp: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestCompletedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    rewardAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    rewardAmount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    rewardAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardDeferredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    level: BigNumberish,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    user: string,
+    level: bigint,
+    amount: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    user: string;
+    level: bigint;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardExpiredEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    rewardType: string,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [user: string, rewardType: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    rewardType: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardPaidEvent {
+  export type InputTuple = [user: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [user: string, amount: bigint];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryManagerUpdatedEvent {
+  export type InputTuple = [oldAddress: AddressLike, newAddress: AddressLike];
+  export type OutputTuple = [oldAddress: string, newAddress: string];
+  export interface OutputObject {
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryNotificationSentEvent {
+  export type InputTuple = [
+    alertType: string,
+    deficit: BigNumberish,
+    timestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    alertType: string,
+    deficit: bigint,
+    timestamp: bigint
+  ];
+  export interface OutputObject {
+    alertType: string;
+    deficit: bigint;
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace XPUpdatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    newXP: BigNumberish,
+    newLevel: BigNumberish
+  ];
+  export type OutputTuple = [user: string, newXP: bigint, newLevel: bigint];
+  export interface OutputObject {
+    user: string;
+    newXP: bigint;
+    newLevel: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingGamification extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingGamification;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingGamificationInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  awardBadge: TypedContractMethod<
+    [user: AddressLike, id: BigNumberish, name: string, description: string],
+    [void],
+    "nonpayable"
+  >;
+
+  batchAutoCompound: TypedContractMethod<
+    [users: AddressLike[]],
+    [void],
+    "nonpayable"
+  >;
+
+  calculateLevel: TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+
+  checkAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, bigint] & { shouldCompound: boolean; compoundAmount: bigint }],
+    "view"
+  >;
+
+  claimAchievementReward: TypedContractMethod<
+    [arg0: BigNumberish],
+    [void],
+    "view"
+  >;
+
+  claimDeferredReward: TypedContractMethod<[], [void], "nonpayable">;
+
+  claimQuestReward: TypedContractMethod<[arg0: BigNumberish], [void], "view">;
+
+  completeQuest: TypedContractMethod<
+    [
+      user: AddressLike,
+      questId: BigNumberish,
+      rewardAmount: BigNumberish,
+      questXP: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  coreStakingContract: TypedContractMethod<[], [string], "view">;
+
+  disableAutoCompound: TypedContractMethod<[], [void], "nonpayable">;
+
+  effectiveXpMultiplier: TypedContractMethod<[], [bigint], "view">;
+
+  enableAutoCompound: TypedContractMethod<
+    [minAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  expireAchievementRewards: TypedContractMethod<
+    [user: AddressLike, achievementIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  expireQuestRewards: TypedContractMethod<
+    [user: AddressLike, questIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  getAchievementReward: TypedContractMethod<
+    [user: AddressLike, achievementId: BigNumberish],
+    [ISmartStakingGamification.AchievementRewardStructOutput],
+    "view"
+  >;
+
+  getAllAchievementRewards: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.AchievementRewardStructOutput[]] & {
+        achievementIds: bigint[];
+        rewards: ISmartStakingGamification.AchievementRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getAllQuestRewards: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.QuestRewardStructOutput[]] & {
+        questIds: bigint[];
+        rewards: ISmartStakingGamification.QuestRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getAutoCompoundConfig: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingGamification.AutoCompoundConfigStructOutput],
+    "view"
+  >;
+
+  getAutoCompoundUsersPage: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [
+        string[],
+        ISmartStakingGamification.AutoCompoundConfigStructOutput[],
+        bigint
+      ] & {
+        users: string[];
+        configs: ISmartStakingGamification.AutoCompoundConfigStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolHealth: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean, bigint] & {
+        status: bigint;
+        contractBalance: bigint;
+        totalPendingRewards: bigint;
+        deficit: bigint;
+        canPayRewards: boolean;
+        healthPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        totalRewards: bigint;
+        totalLevelUps: bigint;
+        totalQuests: bigint;
+        totalAchievements: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getQuestReward: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [ISmartStakingGamification.QuestRewardStructOutput],
+    "view"
+  >;
+
+  getUserBadgeCount: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getUserBadges: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingGamification.BadgeStructOutput[]],
+    "view"
+  >;
+
+  getUserStreak: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        streak: bigint;
+        longestStreak: bigint;
+        lastActivityDay: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserXPInfo: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        xp: bigint;
+        level: bigint;
+        xpToNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getXPForLevel: TypedContractMethod<[level: BigNumberish], [bigint], "view">;
+
+  levelingSystemAddress: TypedContractMethod<[], [string], "view">;
+
+  marketplaceContract: TypedContractMethod<[], [string], "view">;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  performAutoCompound: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  performHealthCheck: TypedContractMethod<[], [bigint], "nonpayable">;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  reportCriticalStatus: TypedContractMethod<
+    [requiredAmount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  setCoreStakingContract: TypedContractMethod<
+    [_coreStaking: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLevelingSystemAddress: TypedContractMethod<
+    [_levelingSystem: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceContract: TypedContractMethod<
+    [_marketplace: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestClaimed: TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setUserXP: TypedContractMethod<
+    [user: AddressLike, xp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  unlockAchievement: TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  updateUserXP: TypedContractMethod<
+    [user: AddressLike, actionType: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "awardBadge"
+  ): TypedContractMethod<
+    [user: AddressLike, id: BigNumberish, name: string, description: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "batchAutoCompound"
+  ): TypedContractMethod<[users: AddressLike[]], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "calculateLevel"
+  ): TypedContractMethod<[xp: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "checkAutoCompound"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [[boolean, bigint] & { shouldCompound: boolean; compoundAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimAchievementReward"
+  ): TypedContractMethod<[arg0: BigNumberish], [void], "view">;
+  getFunction(
+    nameOrSignature: "claimDeferredReward"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimQuestReward"
+  ): TypedContractMethod<[arg0: BigNumberish], [void], "view">;
+  getFunction(
+    nameOrSignature: "completeQuest"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      questId: BigNumberish,
+      rewardAmount: BigNumberish,
+      questXP: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "coreStakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "disableAutoCompound"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "effectiveXpMultiplier"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "enableAutoCompound"
+  ): TypedContractMethod<[minAmount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "expireAchievementRewards"
+  ): TypedContractMethod<
+    [user: AddressLike, achievementIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "expireQuestRewards"
+  ): TypedContractMethod<
+    [user: AddressLike, questIds: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getAchievementReward"
+  ): TypedContractMethod<
+    [user: AddressLike, achievementId: BigNumberish],
+    [ISmartStakingGamification.AchievementRewardStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllAchievementRewards"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.AchievementRewardStructOutput[]] & {
+        achievementIds: bigint[];
+        rewards: ISmartStakingGamification.AchievementRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllQuestRewards"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint[], ISmartStakingGamification.QuestRewardStructOutput[]] & {
+        questIds: bigint[];
+        rewards: ISmartStakingGamification.QuestRewardStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundConfig"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingGamification.AutoCompoundConfigStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsersPage"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [
+        string[],
+        ISmartStakingGamification.AutoCompoundConfigStructOutput[],
+        bigint
+      ] & {
+        users: string[];
+        configs: ISmartStakingGamification.AutoCompoundConfigStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolHealth"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean, bigint] & {
+        status: bigint;
+        contractBalance: bigint;
+        totalPendingRewards: bigint;
+        deficit: bigint;
+        canPayRewards: boolean;
+        healthPercentage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalXP: bigint;
+        totalRewards: bigint;
+        totalLevelUps: bigint;
+        totalQuests: bigint;
+        totalAchievements: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getQuestReward"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [ISmartStakingGamification.QuestRewardStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserBadgeCount"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserBadges"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingGamification.BadgeStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserStreak"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        streak: bigint;
+        longestStreak: bigint;
+        lastActivityDay: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserXPInfo"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        xp: bigint;
+        level: bigint;
+        xpToNextLevel: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getXPForLevel"
+  ): TypedContractMethod<[level: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "levelingSystemAddress"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "marketplaceContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "performAutoCompound"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "performHealthCheck"
+  ): TypedContractMethod<[], [bigint], "nonpayable">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "reportCriticalStatus"
+  ): TypedContractMethod<
+    [requiredAmount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setCoreStakingContract"
+  ): TypedContractMethod<[_coreStaking: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLevelingSystemAddress"
+  ): TypedContractMethod<[_levelingSystem: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMarketplaceContract"
+  ): TypedContractMethod<[_marketplace: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestClaimed"
+  ): TypedContractMethod<
+    [user: AddressLike, questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, xp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "unlockAchievement"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      achievementId: BigNumberish,
+      rewardAmount: BigNumberish,
+      expirationDays: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateUserXP"
+  ): TypedContractMethod<
+    [user: AddressLike, actionType: BigNumberish, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "AchievementUnlocked"
+  ): TypedContractEvent<
+    AchievementUnlockedEvent.InputTuple,
+    AchievementUnlockedEvent.OutputTuple,
+    AchievementUnlockedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundDisabled"
+  ): TypedContractEvent<
+    AutoCompoundDisabledEvent.InputTuple,
+    AutoCompoundDisabledEvent.OutputTuple,
+    AutoCompoundDisabledEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundEnabled"
+  ): TypedContractEvent<
+    AutoCompoundEnabledEvent.InputTuple,
+    AutoCompoundEnabledEvent.OutputTuple,
+    AutoCompoundEnabledEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoCompoundExecuted"
+  ): TypedContractEvent<
+    AutoCompoundExecutedEvent.InputTuple,
+    AutoCompoundExecutedEvent.OutputTuple,
+    AutoCompoundExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BadgeEarned"
+  ): TypedContractEvent<
+    BadgeEarnedEvent.InputTuple,
+    BadgeEarnedEvent.OutputTuple,
+    BadgeEarnedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CriticalRewardDeficit"
+  ): TypedContractEvent<
+    CriticalRewardDeficitEvent.InputTuple,
+    CriticalRewardDeficitEvent.OutputTuple,
+    CriticalRewardDeficitEvent.OutputObject
+  >;
+  getEvent(
+    key: "HealthCheckPerformed"
+  ): TypedContractEvent<
+    HealthCheckPerformedEvent.InputTuple,
+    HealthCheckPerformedEvent.OutputTuple,
+    HealthCheckPerformedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LevelUp"
+  ): TypedContractEvent<
+    LevelUpEvent.InputTuple,
+    LevelUpEvent.OutputTuple,
+    LevelUpEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ProtocolHealthStatusChanged"
+  ): TypedContractEvent<
+    ProtocolHealthStatusChangedEvent.InputTuple,
+    ProtocolHealthStatusChangedEvent.OutputTuple,
+    ProtocolHealthStatusChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestCompleted"
+  ): TypedContractEvent<
+    QuestCompletedEvent.InputTuple,
+    QuestCompletedEvent.OutputTuple,
+    QuestCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardDeferred"
+  ): TypedContractEvent<
+    RewardDeferredEvent.InputTuple,
+    RewardDeferredEvent.OutputTuple,
+    RewardDeferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardExpired"
+  ): TypedContractEvent<
+    RewardExpiredEvent.InputTuple,
+    RewardExpiredEvent.OutputTuple,
+    RewardExpiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardPaid"
+  ): TypedContractEvent<
+    RewardPaidEvent.InputTuple,
+    RewardPaidEvent.OutputTuple,
+    RewardPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryManagerUpdated"
+  ): TypedContractEvent<
+    TreasuryManagerUpdatedEvent.InputTuple,
+    TreasuryManagerUpdatedEvent.OutputTuple,
+    TreasuryManagerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryNotificationSent"
+  ): TypedContractEvent<
+    TreasuryNotificationSentEvent.InputTuple,
+    TreasuryNotificationSentEvent.OutputTuple,
+    TreasuryNotificationSentEvent.OutputObject
+  >;
+  getEvent(
+    key: "XPUpdated"
+  ): TypedContractEvent<
+    XPUpdatedEvent.InputTuple,
+    XPUpdatedEvent.OutputTuple,
+    XPUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "AchievementUnlocked(address,uint256,uint256)": TypedContractEvent<
+      AchievementUnlockedEvent.InputTuple,
+      AchievementUnlockedEvent.OutputTuple,
+      AchievementUnlockedEvent.OutputObject
+    >;
+    AchievementUnlocked: TypedContractEvent<
+      AchievementUnlockedEvent.InputTuple,
+      AchievementUnlockedEvent.OutputTuple,
+      AchievementUnlockedEvent.OutputObject
+    >;
+
+    "AutoCompoundDisabled(address)": TypedContractEvent<
+      AutoCompoundDisabledEvent.InputTuple,
+      AutoCompoundDisabledEvent.OutputTuple,
+      AutoCompoundDisabledEvent.OutputObject
+    >;
+    AutoCompoundDisabled: TypedContractEvent<
+      AutoCompoundDisabledEvent.InputTuple,
+      AutoCompoundDisabledEvent.OutputTuple,
+      AutoCompoundDisabledEvent.OutputObject
+    >;
+
+    "AutoCompoundEnabled(address,uint256)": TypedContractEvent<
+      AutoCompoundEnabledEvent.InputTuple,
+      AutoCompoundEnabledEvent.OutputTuple,
+      AutoCompoundEnabledEvent.OutputObject
+    >;
+    AutoCompoundEnabled: TypedContractEvent<
+      AutoCompoundEnabledEvent.InputTuple,
+      AutoCompoundEnabledEvent.OutputTuple,
+      AutoCompoundEnabledEvent.OutputObject
+    >;
+
+    "AutoCompoundExecuted(address,uint256)": TypedContractEvent<
+      AutoCompoundExecutedEvent.InputTuple,
+      AutoCompoundExecutedEvent.OutputTuple,
+      AutoCompoundExecutedEvent.OutputObject
+    >;
+    AutoCompoundExecuted: TypedContractEvent<
+      AutoCompoundExecutedEvent.InputTuple,
+      AutoCompoundExecutedEvent.OutputTuple,
+      AutoCompoundExecutedEvent.OutputObject
+    >;
+
+    "BadgeEarned(address,uint256,string)": TypedContractEvent<
+      BadgeEarnedEvent.InputTuple,
+      BadgeEarnedEvent.OutputTuple,
+      BadgeEarnedEvent.OutputObject
+    >;
+    BadgeEarned: TypedContractEvent<
+      BadgeEarnedEvent.InputTuple,
+      BadgeEarnedEvent.OutputTuple,
+      BadgeEarnedEvent.OutputObject
+    >;
+
+    "CriticalRewardDeficit(address,uint256,uint256,uint256)": TypedContractEvent<
+      CriticalRewardDeficitEvent.InputTuple,
+      CriticalRewardDeficitEvent.OutputTuple,
+      CriticalRewardDeficitEvent.OutputObject
+    >;
+    CriticalRewardDeficit: TypedContractEvent<
+      CriticalRewardDeficitEvent.InputTuple,
+      CriticalRewardDeficitEvent.OutputTuple,
+      CriticalRewardDeficitEvent.OutputObject
+    >;
+
+    "HealthCheckPerformed(uint256,uint256,uint8,bool)": TypedContractEvent<
+      HealthCheckPerformedEvent.InputTuple,
+      HealthCheckPerformedEvent.OutputTuple,
+      HealthCheckPerformedEvent.OutputObject
+    >;
+    HealthCheckPerformed: TypedContractEvent<
+      HealthCheckPerformedEvent.InputTuple,
+      HealthCheckPerformedEvent.OutputTuple,
+      HealthCheckPerformedEvent.OutputObject
+    >;
+
+    "LevelUp(address,uint8)": TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+    LevelUp: TypedContractEvent<
+      LevelUpEvent.InputTuple,
+      LevelUpEvent.OutputTuple,
+      LevelUpEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "ProtocolHealthStatusChanged(uint8,uint256,string)": TypedContractEvent<
+      ProtocolHealthStatusChangedEvent.InputTuple,
+      ProtocolHealthStatusChangedEvent.OutputTuple,
+      ProtocolHealthStatusChangedEvent.OutputObject
+    >;
+    ProtocolHealthStatusChanged: TypedContractEvent<
+      ProtocolHealthStatusChangedEvent.InputTuple,
+      ProtocolHealthStatusChangedEvent.OutputTuple,
+      ProtocolHealthStatusChangedEvent.OutputObject
+    >;
+
+    "QuestCompleted(address,uint256,uint256)": TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+    QuestCompleted: TypedContractEvent<
+      QuestCompletedEvent.InputTuple,
+      QuestCompletedEvent.OutputTuple,
+      QuestCompletedEvent.OutputObject
+    >;
+
+    "RewardDeferred(address,uint16,uint256,string)": TypedContractEvent<
+      RewardDeferredEvent.InputTuple,
+      RewardDeferredEvent.OutputTuple,
+      RewardDeferredEvent.OutputObject
+    >;
+    RewardDeferred: TypedContractEvent<
+      RewardDeferredEvent.InputTuple,
+      RewardDeferredEvent.OutputTuple,
+      RewardDeferredEvent.OutputObject
+    >;
+
+    "RewardExpired(address,string,uint256)": TypedContractEvent<
+      RewardExpiredEvent.InputTuple,
+      RewardExpiredEvent.OutputTuple,
+      RewardExpiredEvent.OutputObject
+    >;
+    RewardExpired: TypedContractEvent<
+      RewardExpiredEvent.InputTuple,
+      RewardExpiredEvent.OutputTuple,
+      RewardExpiredEvent.OutputObject
+    >;
+
+    "RewardPaid(address,uint256)": TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+    RewardPaid: TypedContractEvent<
+      RewardPaidEvent.InputTuple,
+      RewardPaidEvent.OutputTuple,
+      RewardPaidEvent.OutputObject
+    >;
+
+    "TreasuryManagerUpdated(address,address)": TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+    TreasuryManagerUpdated: TypedContractEvent<
+      TreasuryManagerUpdatedEvent.InputTuple,
+      TreasuryManagerUpdatedEvent.OutputTuple,
+      TreasuryManagerUpdatedEvent.OutputObject
+    >;
+
+    "TreasuryNotificationSent(string,uint256,uint256)": TypedContractEvent<
+      TreasuryNotificationSentEvent.InputTuple,
+      TreasuryNotificationSentEvent.OutputTuple,
+      TreasuryNotificationSentEvent.OutputObject
+    >;
+    TreasuryNotificationSent: TypedContractEvent<
+      TreasuryNotificationSentEvent.InputTuple,
+      TreasuryNotificationSentEvent.OutputTuple,
+      TreasuryNotificationSentEvent.OutputObject
+    >;
+
+    "XPUpdated(address,uint256,uint16)": TypedContractEvent<
+      XPUpdatedEvent.InputTuple,
+      XPUpdatedEvent.OutputTuple,
+      XPUpdatedEvent.OutputObject
+    >;
+    XPUpdated: TypedContractEvent<
+      XPUpdatedEvent.InputTuple,
+      XPUpdatedEvent.OutputTuple,
+      XPUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,786 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingPower {
+  export type PowerInfoStruct = {
+    nftId: BigNumberish;
+    powerType: BigNumberish;
+    rarity: BigNumberish;
+    boost: BigNumberish;
+    rarityMultiplier: BigNumberish;
+    isActive: boolean;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+  };
+
+  export type PowerInfoStructOutput = [
+    nftId: bigint,
+    powerType: bigint,
+    rarity: bigint,
+    boost: bigint,
+    rarityMultiplier: bigint,
+    isActive: boolean,
+    activatedAt: bigint,
+    cooldownEnds: bigint
+  ] & {
+    nftId: bigint;
+    powerType: bigint;
+    rarity: bigint;
+    boost: bigint;
+    rarityMultiplier: bigint;
+    isActive: boolean;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+  };
+
+  export type UserPowerProfileStruct = {
+    activeSkillNFTIds: BigNumberish[];
+    totalBoost: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    lockTimeReduction: BigNumberish;
+    hasAutoCompound: boolean;
+    rarityMultiplier: BigNumberish;
+    level: BigNumberish;
+    activeSkillCount: BigNumberish;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeSkillNFTIds: bigint[],
+    totalBoost: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    lockTimeReduction: bigint,
+    hasAutoCompound: boolean,
+    rarityMultiplier: bigint,
+    level: bigint,
+    activeSkillCount: bigint
+  ] & {
+    activeSkillNFTIds: bigint[];
+    totalBoost: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    lockTimeReduction: bigint;
+    hasAutoCompound: boolean;
+    rarityMultiplier: bigint;
+    level: bigint;
+    activeSkillCount: bigint;
+  };
+}
+
+export interface SmartStakingPowerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "batchSetPowerRarity"
+      | "coreStakingContract"
+      | "getActivePowersWithDetails"
+      | "getAllPowerBoosts"
+      | "getPowerBoost"
+      | "getPowerRarity"
+      | "getUserBoosts"
+      | "getUserPowerProfile"
+      | "isPowerActive"
+      | "marketplaceContract"
+      | "notifyPowerActivation"
+      | "notifyPowerDeactivation"
+      | "owner"
+      | "renounceOwnership"
+      | "setCoreStakingContract"
+      | "setMarketplaceContract"
+      | "setPowerRarity"
+      | "transferOwnership"
+      | "updatePowerBoost"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "BoostLimitReached"
+      | "OwnershipTransferred"
+      | "PowerActivated"
+      | "PowerActivationRejected"
+      | "PowerDeactivated"
+      | "PowerRarityUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "batchSetPowerRarity",
+    values: [BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreStakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivePowersWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllPowerBoosts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowerBoost",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPowerRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBoosts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPowerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isPowerActive",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "marketplaceContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyPowerDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerRarity",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updatePowerBoost",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "batchSetPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivePowersWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllPowerBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowerBoost",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPowerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isPowerActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "marketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyPowerDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updatePowerBoost",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace BoostLimitReachedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    boostType: string,
+    attemptedValue: BigNumberish,
+    maxAllowed: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    boostType: string,
+    attemptedValue: bigint,
+    maxAllowed: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    boostType: string;
+    attemptedValue: bigint;
+    maxAllowed: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    effectValue: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    effectValue: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    effectValue: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerActivationRejectedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, nftId: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    powerType: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    powerType: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    powerType: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PowerRarityUpdatedEvent {
+  export type InputTuple = [
+    nftId: BigNumberish,
+    rarity: BigNumberish,
+    rarityMultiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    nftId: bigint,
+    rarity: bigint,
+    rarityMultiplier: bigint
+  ];
+  export interface OutputObject {
+    nftId: bigint;
+    rarity: bigint;
+    rarityMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingPower extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingPower;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingPowerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  batchSetPowerRarity: TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  coreStakingContract: TypedContractMethod<[], [string], "view">;
+
+  getActivePowersWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.PowerInfoStructOutput[]],
+    "view"
+  >;
+
+  getAllPowerBoosts: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { powerTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+
+  getPowerBoost: TypedContractMethod<
+    [powerType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getPowerRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+
+  getUserBoosts: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserPowerProfile: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.UserPowerProfileStructOutput],
+    "view"
+  >;
+
+  isPowerActive: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  marketplaceContract: TypedContractMethod<[], [string], "view">;
+
+  notifyPowerActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifyPowerDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  setCoreStakingContract: TypedContractMethod<
+    [_coreStaking: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceContract: TypedContractMethod<
+    [_marketplace: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerRarity: TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  updatePowerBoost: TypedContractMethod<
+    [powerType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "batchSetPowerRarity"
+  ): TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "coreStakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getActivePowersWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.PowerInfoStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllPowerBoosts"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { powerTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPowerBoost"
+  ): TypedContractMethod<[powerType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getPowerRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserBoosts"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPowerProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingPower.UserPowerProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isPowerActive"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "marketplaceContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "notifyPowerActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      powerType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifyPowerDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCoreStakingContract"
+  ): TypedContractMethod<[_coreStaking: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMarketplaceContract"
+  ): TypedContractMethod<[_marketplace: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setPowerRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updatePowerBoost"
+  ): TypedContractMethod<
+    [powerType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "BoostLimitReached"
+  ): TypedContractEvent<
+    BoostLimitReachedEvent.InputTuple,
+    BoostLimitReachedEvent.OutputTuple,
+    BoostLimitReachedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerActivated"
+  ): TypedContractEvent<
+    PowerActivatedEvent.InputTuple,
+    PowerActivatedEvent.OutputTuple,
+    PowerActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerActivationRejected"
+  ): TypedContractEvent<
+    PowerActivationRejectedEvent.InputTuple,
+    PowerActivationRejectedEvent.OutputTuple,
+    PowerActivationRejectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerDeactivated"
+  ): TypedContractEvent<
+    PowerDeactivatedEvent.InputTuple,
+    PowerDeactivatedEvent.OutputTuple,
+    PowerDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PowerRarityUpdated"
+  ): TypedContractEvent<
+    PowerRarityUpdatedEvent.InputTuple,
+    PowerRarityUpdatedEvent.OutputTuple,
+    PowerRarityUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "BoostLimitReached(address,string,uint256,uint256)": TypedContractEvent<
+      BoostLimitReachedEvent.InputTuple,
+      BoostLimitReachedEvent.OutputTuple,
+      BoostLimitReachedEvent.OutputObject
+    >;
+    BoostLimitReached: TypedContractEvent<
+      BoostLimitReachedEvent.InputTuple,
+      BoostLimitReachedEvent.OutputTuple,
+      BoostLimitReachedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "PowerActivated(address,uint256,uint8,uint16,uint16)": TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+    PowerActivated: TypedContractEvent<
+      PowerActivatedEvent.InputTuple,
+      PowerActivatedEvent.OutputTuple,
+      PowerActivatedEvent.OutputObject
+    >;
+
+    "PowerActivationRejected(address,uint256,string)": TypedContractEvent<
+      PowerActivationRejectedEvent.InputTuple,
+      PowerActivationRejectedEvent.OutputTuple,
+      PowerActivationRejectedEvent.OutputObject
+    >;
+    PowerActivationRejected: TypedContractEvent<
+      PowerActivationRejectedEvent.InputTuple,
+      PowerActivationRejectedEvent.OutputTuple,
+      PowerActivationRejectedEvent.OutputObject
+    >;
+
+    "PowerDeactivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+    PowerDeactivated: TypedContractEvent<
+      PowerDeactivatedEvent.InputTuple,
+      PowerDeactivatedEvent.OutputTuple,
+      PowerDeactivatedEvent.OutputObject
+    >;
+
+    "PowerRarityUpdated(uint256,uint8,uint16)": TypedContractEvent<
+      PowerRarityUpdatedEvent.InputTuple,
+      PowerRarityUpdatedEvent.OutputTuple,
+      PowerRarityUpdatedEvent.OutputObject
+    >;
+    PowerRarityUpdated: TypedContractEvent<
+      PowerRarityUpdatedEvent.InputTuple,
+      PowerRarityUpdatedEvent.OutputTuple,
+      PowerRarityUpdatedEvent.OutputObject
+    >;
+  };
+}
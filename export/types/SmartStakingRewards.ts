@@ -0,0 +1,909 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface SmartStakingRewardsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "apyCalculator"
+      | "calculateBoostedAPY"
+      | "calculateQuestReward"
+      | "calculateStakingRewards"
+      | "calculateStakingRewardsWithBonuses"
+      | "claimQuestReward"
+      | "clearStakingSince"
+      | "coreStakingContract"
+      | "currentTVL"
+      | "emergencyWithdraw"
+      | "gamificationModule"
+      | "getBaseAPY"
+      | "getBaseAPYs"
+      | "getLockupPeriodsConfig"
+      | "getLoyaltyBonus"
+      | "getLoyaltyDays"
+      | "getTierBonus"
+      | "getUserTier"
+      | "owner"
+      | "powerModule"
+      | "questRewardsPool"
+      | "recordStakingSince"
+      | "renounceOwnership"
+      | "setAPYCalculator"
+      | "setCoreContract"
+      | "setGamificationModule"
+      | "setPowerModule"
+      | "setQuestRewardsPool"
+      | "setTreasuryManager"
+      | "simulateAPY"
+      | "stakingSince"
+      | "transferOwnership"
+      | "treasuryManager"
+      | "updateBaseAPY"
+      | "updateCurrentTVL"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "APYUpdated"
+      | "EmergencyWithdrawal"
+      | "OwnershipTransferred"
+      | "QuestRewardClaimed"
+      | "RewardFunded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "apyCalculator",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateQuestReward",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateStakingRewards",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateStakingRewardsWithBonuses",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      AddressLike
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimQuestReward",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "clearStakingSince",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreStakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "currentTVL",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "gamificationModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getBaseAPY",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getBaseAPYs",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLockupPeriodsConfig",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLoyaltyBonus",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLoyaltyDays",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTierBonus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserTier",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "powerModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "questRewardsPool",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordStakingSince",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAPYCalculator",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setGamificationModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPowerModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setQuestRewardsPool",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasuryManager",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "simulateAPY",
+    values: [BigNumberish, BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingSince",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuryManager",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateBaseAPY",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateCurrentTVL",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "apyCalculator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateStakingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateStakingRewardsWithBonuses",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimQuestReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "clearStakingSince",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "currentTVL", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "gamificationModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getBaseAPY", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getBaseAPYs",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLockupPeriodsConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLoyaltyBonus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLoyaltyDays",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTierBonus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserTier",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "powerModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "questRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordStakingSince",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAPYCalculator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setGamificationModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPowerModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setQuestRewardsPool",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "simulateAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingSince",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "treasuryManager",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateBaseAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateCurrentTVL",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace APYUpdatedEvent {
+  export type InputTuple = [lockupIndex: BigNumberish, newAPY: BigNumberish];
+  export type OutputTuple = [lockupIndex: bigint, newAPY: bigint];
+  export interface OutputObject {
+    lockupIndex: bigint;
+    newAPY: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [admin: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [admin: string, amount: bigint];
+  export interface OutputObject {
+    admin: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace QuestRewardClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    questId: BigNumberish,
+    amount: BigNumberish,
+    boostApplied: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    questId: bigint,
+    amount: bigint,
+    boostApplied: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    questId: bigint;
+    amount: bigint;
+    boostApplied: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardFundedEvent {
+  export type InputTuple = [funder: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [funder: string, amount: bigint];
+  export interface OutputObject {
+    funder: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingRewards extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingRewards;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingRewardsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  apyCalculator: TypedContractMethod<[], [string], "view">;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [lockupIndex: BigNumberish, stakingBoostTotal: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateQuestReward: TypedContractMethod<
+    [user: AddressLike, baseReward: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateStakingRewards: TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      arg1: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish
+    ],
+    [bigint],
+    "view"
+  >;
+
+  calculateStakingRewardsWithBonuses: TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish,
+      totalDeposited: BigNumberish,
+      userAddress: AddressLike
+    ],
+    [bigint],
+    "view"
+  >;
+
+  claimQuestReward: TypedContractMethod<
+    [questId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  clearStakingSince: TypedContractMethod<
+    [user: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  coreStakingContract: TypedContractMethod<[], [string], "view">;
+
+  currentTVL: TypedContractMethod<[], [bigint], "view">;
+
+  emergencyWithdraw: TypedContractMethod<
+    [amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  gamificationModule: TypedContractMethod<[], [string], "view">;
+
+  getBaseAPY: TypedContractMethod<[index: BigNumberish], [bigint], "view">;
+
+  getBaseAPYs: TypedContractMethod<[], [bigint[]], "view">;
+
+  getLockupPeriodsConfig: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { periods: bigint[]; apys: bigint[] }],
+    "view"
+  >;
+
+  getLoyaltyBonus: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getLoyaltyDays: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getTierBonus: TypedContractMethod<
+    [totalDeposited: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getUserTier: TypedContractMethod<
+    [totalDeposited: BigNumberish],
+    [[string, bigint] & { tierName: string; bonusBps: bigint }],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  powerModule: TypedContractMethod<[], [string], "view">;
+
+  questRewardsPool: TypedContractMethod<[], [string], "view">;
+
+  recordStakingSince: TypedContractMethod<
+    [user: AddressLike, timestamp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  setAPYCalculator: TypedContractMethod<
+    [_apyCalculator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setCoreContract: TypedContractMethod<
+    [_core: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setGamificationModule: TypedContractMethod<
+    [_gamificationModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setPowerModule: TypedContractMethod<
+    [_powerModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setQuestRewardsPool: TypedContractMethod<
+    [pool_: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasuryManager: TypedContractMethod<
+    [_treasuryManager: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  simulateAPY: TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      user: AddressLike
+    ],
+    [[bigint, bigint] & { effectiveAPY: bigint; annualRewards: bigint }],
+    "view"
+  >;
+
+  stakingSince: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuryManager: TypedContractMethod<[], [string], "view">;
+
+  updateBaseAPY: TypedContractMethod<
+    [lockupPeriodIndex: BigNumberish, newAPY: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  updateCurrentTVL: TypedContractMethod<
+    [_currentTVL: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "apyCalculator"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [lockupIndex: BigNumberish, stakingBoostTotal: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateQuestReward"
+  ): TypedContractMethod<
+    [user: AddressLike, baseReward: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateStakingRewards"
+  ): TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      arg1: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish
+    ],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateStakingRewardsWithBonuses"
+  ): TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      lastClaimTime: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      stakingBoostTotal: BigNumberish,
+      totalDeposited: BigNumberish,
+      userAddress: AddressLike
+    ],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "claimQuestReward"
+  ): TypedContractMethod<[questId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "clearStakingSince"
+  ): TypedContractMethod<[user: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "coreStakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "currentTVL"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<[amount: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "gamificationModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getBaseAPY"
+  ): TypedContractMethod<[index: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getBaseAPYs"
+  ): TypedContractMethod<[], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getLockupPeriodsConfig"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { periods: bigint[]; apys: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLoyaltyBonus"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getLoyaltyDays"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getTierBonus"
+  ): TypedContractMethod<[totalDeposited: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserTier"
+  ): TypedContractMethod<
+    [totalDeposited: BigNumberish],
+    [[string, bigint] & { tierName: string; bonusBps: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "powerModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "questRewardsPool"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "recordStakingSince"
+  ): TypedContractMethod<
+    [user: AddressLike, timestamp: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setAPYCalculator"
+  ): TypedContractMethod<[_apyCalculator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCoreContract"
+  ): TypedContractMethod<[_core: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setGamificationModule"
+  ): TypedContractMethod<
+    [_gamificationModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPowerModule"
+  ): TypedContractMethod<[_powerModule: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setQuestRewardsPool"
+  ): TypedContractMethod<[pool_: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasuryManager"
+  ): TypedContractMethod<[_treasuryManager: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "simulateAPY"
+  ): TypedContractMethod<
+    [
+      depositAmount: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      user: AddressLike
+    ],
+    [[bigint, bigint] & { effectiveAPY: bigint; annualRewards: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "stakingSince"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasuryManager"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "updateBaseAPY"
+  ): TypedContractMethod<
+    [lockupPeriodIndex: BigNumberish, newAPY: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateCurrentTVL"
+  ): TypedContractMethod<[_currentTVL: BigNumberish], [void], "nonpayable">;
+
+  getEvent(
+    key: "APYUpdated"
+  ): TypedContractEvent<
+    APYUpdatedEvent.InputTuple,
+    APYUpdatedEvent.OutputTuple,
+    APYUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "QuestRewardClaimed"
+  ): TypedContractEvent<
+    QuestRewardClaimedEvent.InputTuple,
+    QuestRewardClaimedEvent.OutputTuple,
+    QuestRewardClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardFunded"
+  ): TypedContractEvent<
+    RewardFundedEvent.InputTuple,
+    RewardFundedEvent.OutputTuple,
+    RewardFundedEvent.OutputObject
+  >;
+
+  filters: {
+    "APYUpdated(uint8,uint256)": TypedContractEvent<
+      APYUpdatedEvent.InputTuple,
+      APYUpdatedEvent.OutputTuple,
+      APYUpdatedEvent.OutputObject
+    >;
+    APYUpdated: TypedContractEvent<
+      APYUpdatedEvent.InputTuple,
+      APYUpdatedEvent.OutputTuple,
+      APYUpdatedEvent.OutputObject
+    >;
+
+    "EmergencyWithdrawal(address,uint256)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "QuestRewardClaimed(address,uint256,uint256,uint256)": TypedContractEvent<
+      QuestRewardClaimedEvent.InputTuple,
+      QuestRewardClaimedEvent.OutputTuple,
+      QuestRewardClaimedEvent.OutputObject
+    >;
+    QuestRewardClaimed: TypedContractEvent<
+      QuestRewardClaimedEvent.InputTuple,
+      QuestRewardClaimedEvent.OutputTuple,
+      QuestRewardClaimedEvent.OutputObject
+    >;
+
+    "RewardFunded(address,uint256)": TypedContractEvent<
+      RewardFundedEvent.InputTuple,
+      RewardFundedEvent.OutputTuple,
+      RewardFundedEvent.OutputObject
+    >;
+    RewardFunded: TypedContractEvent<
+      RewardFundedEvent.InputTuple,
+      RewardFundedEvent.OutputTuple,
+      RewardFundedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,786 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace ISmartStakingSkills {
+  export type SkillInfoStruct = {
+    nftId: BigNumberish;
+    skillType: BigNumberish;
+    rarity: BigNumberish;
+    boost: BigNumberish;
+    rarityMultiplier: BigNumberish;
+    isActive: boolean;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+  };
+
+  export type SkillInfoStructOutput = [
+    nftId: bigint,
+    skillType: bigint,
+    rarity: bigint,
+    boost: bigint,
+    rarityMultiplier: bigint,
+    isActive: boolean,
+    activatedAt: bigint,
+    cooldownEnds: bigint
+  ] & {
+    nftId: bigint;
+    skillType: bigint;
+    rarity: bigint;
+    boost: bigint;
+    rarityMultiplier: bigint;
+    isActive: boolean;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+  };
+
+  export type UserSkillProfileStruct = {
+    activeSkillNFTIds: BigNumberish[];
+    totalBoost: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    lockTimeReduction: BigNumberish;
+    hasAutoCompound: boolean;
+    rarityMultiplier: BigNumberish;
+    level: BigNumberish;
+    activeSkillCount: BigNumberish;
+  };
+
+  export type UserSkillProfileStructOutput = [
+    activeSkillNFTIds: bigint[],
+    totalBoost: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    lockTimeReduction: bigint,
+    hasAutoCompound: boolean,
+    rarityMultiplier: bigint,
+    level: bigint,
+    activeSkillCount: bigint
+  ] & {
+    activeSkillNFTIds: bigint[];
+    totalBoost: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    lockTimeReduction: bigint;
+    hasAutoCompound: boolean;
+    rarityMultiplier: bigint;
+    level: bigint;
+    activeSkillCount: bigint;
+  };
+}
+
+export interface SmartStakingSkillsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "batchSetSkillRarity"
+      | "coreStakingContract"
+      | "getActiveSkillsWithDetails"
+      | "getAllSkillBoosts"
+      | "getSkillBoost"
+      | "getSkillRarity"
+      | "getUserBoosts"
+      | "getUserSkillProfile"
+      | "isSkillActive"
+      | "marketplaceContract"
+      | "notifySkillActivation"
+      | "notifySkillDeactivation"
+      | "owner"
+      | "renounceOwnership"
+      | "setCoreStakingContract"
+      | "setMarketplaceContract"
+      | "setSkillRarity"
+      | "transferOwnership"
+      | "updateSkillBoost"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "BoostLimitReached"
+      | "OwnershipTransferred"
+      | "SkillActivated"
+      | "SkillActivationRejected"
+      | "SkillDeactivated"
+      | "SkillRarityUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "batchSetSkillRarity",
+    values: [BigNumberish[], BigNumberish[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "coreStakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkillsWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSkillBoosts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillBoost",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserBoosts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isSkillActive",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "marketplaceContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifySkillActivation",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifySkillDeactivation",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCoreStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setMarketplaceContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setSkillRarity",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateSkillBoost",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "batchSetSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "coreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkillsWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSkillBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillBoost",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserBoosts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isSkillActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "marketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifySkillActivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifySkillDeactivation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCoreStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setMarketplaceContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateSkillBoost",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace BoostLimitReachedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    boostType: string,
+    attemptedValue: BigNumberish,
+    maxAllowed: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    boostType: string,
+    attemptedValue: bigint,
+    maxAllowed: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    boostType: string;
+    attemptedValue: bigint;
+    maxAllowed: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillActivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    skillType: BigNumberish,
+    effectValue: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    skillType: bigint,
+    effectValue: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    skillType: bigint;
+    effectValue: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillActivationRejectedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, nftId: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillDeactivatedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    nftId: BigNumberish,
+    skillType: BigNumberish,
+    totalBoost: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    nftId: bigint,
+    skillType: bigint,
+    totalBoost: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    nftId: bigint;
+    skillType: bigint;
+    totalBoost: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SkillRarityUpdatedEvent {
+  export type InputTuple = [
+    nftId: BigNumberish,
+    rarity: BigNumberish,
+    rarityMultiplier: BigNumberish
+  ];
+  export type OutputTuple = [
+    nftId: bigint,
+    rarity: bigint,
+    rarityMultiplier: bigint
+  ];
+  export interface OutputObject {
+    nftId: bigint;
+    rarity: bigint;
+    rarityMultiplier: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingSkills extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingSkills;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingSkillsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  batchSetSkillRarity: TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+
+  coreStakingContract: TypedContractMethod<[], [string], "view">;
+
+  getActiveSkillsWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.SkillInfoStructOutput[]],
+    "view"
+  >;
+
+  getAllSkillBoosts: TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { skillTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+
+  getSkillBoost: TypedContractMethod<
+    [skillType: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+
+  getUserBoosts: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserSkillProfile: TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.UserSkillProfileStructOutput],
+    "view"
+  >;
+
+  isSkillActive: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  marketplaceContract: TypedContractMethod<[], [string], "view">;
+
+  notifySkillActivation: TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      skillType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  notifySkillDeactivation: TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  setCoreStakingContract: TypedContractMethod<
+    [_coreStaking: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setMarketplaceContract: TypedContractMethod<
+    [_marketplace: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  updateSkillBoost: TypedContractMethod<
+    [skillType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "batchSetSkillRarity"
+  ): TypedContractMethod<
+    [nftIds: BigNumberish[], rarities: BigNumberish[]],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "coreStakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getActiveSkillsWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.SkillInfoStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllSkillBoosts"
+  ): TypedContractMethod<
+    [],
+    [[bigint[], bigint[]] & { skillTypes: bigint[]; boosts: bigint[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillBoost"
+  ): TypedContractMethod<[skillType: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [[bigint, bigint] & { rarity: bigint; multiplier: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserBoosts"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        totalBoost: bigint;
+        rarityMultiplier: bigint;
+        effectiveBoost: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillProfile"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [ISmartStakingSkills.UserSkillProfileStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isSkillActive"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "marketplaceContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "notifySkillActivation"
+  ): TypedContractMethod<
+    [
+      user: AddressLike,
+      nftId: BigNumberish,
+      skillType: BigNumberish,
+      effectValue: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "notifySkillDeactivation"
+  ): TypedContractMethod<
+    [user: AddressLike, nftId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setCoreStakingContract"
+  ): TypedContractMethod<[_coreStaking: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setMarketplaceContract"
+  ): TypedContractMethod<[_marketplace: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish, rarity: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateSkillBoost"
+  ): TypedContractMethod<
+    [skillType: BigNumberish, newBoost: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "BoostLimitReached"
+  ): TypedContractEvent<
+    BoostLimitReachedEvent.InputTuple,
+    BoostLimitReachedEvent.OutputTuple,
+    BoostLimitReachedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillActivated"
+  ): TypedContractEvent<
+    SkillActivatedEvent.InputTuple,
+    SkillActivatedEvent.OutputTuple,
+    SkillActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillActivationRejected"
+  ): TypedContractEvent<
+    SkillActivationRejectedEvent.InputTuple,
+    SkillActivationRejectedEvent.OutputTuple,
+    SkillActivationRejectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillDeactivated"
+  ): TypedContractEvent<
+    SkillDeactivatedEvent.InputTuple,
+    SkillDeactivatedEvent.OutputTuple,
+    SkillDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SkillRarityUpdated"
+  ): TypedContractEvent<
+    SkillRarityUpdatedEvent.InputTuple,
+    SkillRarityUpdatedEvent.OutputTuple,
+    SkillRarityUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "BoostLimitReached(address,string,uint256,uint256)": TypedContractEvent<
+      BoostLimitReachedEvent.InputTuple,
+      BoostLimitReachedEvent.OutputTuple,
+      BoostLimitReachedEvent.OutputObject
+    >;
+    BoostLimitReached: TypedContractEvent<
+      BoostLimitReachedEvent.InputTuple,
+      BoostLimitReachedEvent.OutputTuple,
+      BoostLimitReachedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "SkillActivated(address,uint256,uint8,uint16,uint16)": TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+    SkillActivated: TypedContractEvent<
+      SkillActivatedEvent.InputTuple,
+      SkillActivatedEvent.OutputTuple,
+      SkillActivatedEvent.OutputObject
+    >;
+
+    "SkillActivationRejected(address,uint256,string)": TypedContractEvent<
+      SkillActivationRejectedEvent.InputTuple,
+      SkillActivationRejectedEvent.OutputTuple,
+      SkillActivationRejectedEvent.OutputObject
+    >;
+    SkillActivationRejected: TypedContractEvent<
+      SkillActivationRejectedEvent.InputTuple,
+      SkillActivationRejectedEvent.OutputTuple,
+      SkillActivationRejectedEvent.OutputObject
+    >;
+
+    "SkillDeactivated(address,uint256,uint8,uint16)": TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+    SkillDeactivated: TypedContractEvent<
+      SkillDeactivatedEvent.InputTuple,
+      SkillDeactivatedEvent.OutputTuple,
+      SkillDeactivatedEvent.OutputObject
+    >;
+
+    "SkillRarityUpdated(uint256,uint8,uint16)": TypedContractEvent<
+      SkillRarityUpdatedEvent.InputTuple,
+      SkillRarityUpdatedEvent.OutputTuple,
+      SkillRarityUpdatedEvent.OutputObject
+    >;
+    SkillRarityUpdated: TypedContractEvent<
+      SkillRarityUpdatedEvent.InputTuple,
+      SkillRarityUpdatedEvent.OutputTuple,
+      SkillRarityUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1640 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace SmartStakingView {
+  export type SkillDetailsStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+    rarityBoost: BigNumberish;
+  };
+
+  export type SkillDetailsStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean,
+    rarityBoost: bigint
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+    rarityBoost: bigint;
+  };
+
+  export type SkillConfigStruct = {
+    powerType: BigNumberish;
+    enabled: boolean;
+    effectValue: BigNumberish;
+    descriptionHash: BytesLike;
+  };
+
+  export type SkillConfigStructOutput = [
+    powerType: bigint,
+    enabled: boolean,
+    effectValue: bigint,
+    descriptionHash: string
+  ] & {
+    powerType: bigint;
+    enabled: boolean;
+    effectValue: bigint;
+    descriptionHash: string;
+  };
+
+  export type DepositDetailsStruct = {
+    depositIndex: BigNumberish;
+    amount: BigNumberish;
+    currentRewards: BigNumberish;
+    timestamp: BigNumberish;
+    lastClaimTime: BigNumberish;
+    lockupDuration: BigNumberish;
+    unlockTime: BigNumberish;
+    lockupTypeId: BigNumberish;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+  };
+
+  export type DepositDetailsStructOutput = [
+    depositIndex: bigint,
+    amount: bigint,
+    currentRewards: bigint,
+    timestamp: bigint,
+    lastClaimTime: bigint,
+    lockupDuration: bigint,
+    unlockTime: bigint,
+    lockupTypeId: bigint,
+    isLocked: boolean,
+    isWithdrawable: boolean
+  ] & {
+    depositIndex: bigint;
+    amount: bigint;
+    currentRewards: bigint;
+    timestamp: bigint;
+    lastClaimTime: bigint;
+    lockupDuration: bigint;
+    unlockTime: bigint;
+    lockupTypeId: bigint;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+  };
+
+  export type GlobalStakingStatsStruct = {
+    totalValueLocked: BigNumberish;
+    totalUniqueUsers: BigNumberish;
+    contractBalance: BigNumberish;
+    availableRewards: BigNumberish;
+    healthStatus: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type GlobalStakingStatsStructOutput = [
+    totalValueLocked: bigint,
+    totalUniqueUsers: bigint,
+    contractBalance: bigint,
+    availableRewards: bigint,
+    healthStatus: bigint,
+    timestamp: bigint
+  ] & {
+    totalValueLocked: bigint;
+    totalUniqueUsers: bigint;
+    contractBalance: bigint;
+    availableRewards: bigint;
+    healthStatus: bigint;
+    timestamp: bigint;
+  };
+
+  export type MarketStatsStruct = {
+    autoCompoundUsersCount: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type MarketStatsStructOutput = [
+    autoCompoundUsersCount: bigint,
+    timestamp: bigint
+  ] & { autoCompoundUsersCount: bigint; timestamp: bigint };
+
+  export type PortfolioSummaryStruct = {
+    totalDeposited: BigNumberish;
+    pendingRewards: BigNumberish;
+    totalValue: BigNumberish;
+    depositCount: BigNumberish;
+    rewardEfficiency: BigNumberish;
+  };
+
+  export type PortfolioSummaryStructOutput = [
+    totalDeposited: bigint,
+    pendingRewards: bigint,
+    totalValue: bigint,
+    depositCount: bigint,
+    rewardEfficiency: bigint
+  ] & {
+    totalDeposited: bigint;
+    pendingRewards: bigint;
+    totalValue: bigint;
+    depositCount: bigint;
+    rewardEfficiency: bigint;
+  };
+
+  export type SkillEffectivenessStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    isActive: boolean;
+    impactValue: BigNumberish;
+  };
+
+  export type SkillEffectivenessStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    isActive: boolean,
+    impactValue: bigint
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    isActive: boolean;
+    impactValue: bigint;
+  };
+
+  export type UserDepositInfoStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+  };
+
+  export type UserDepositInfoStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+  };
+
+  export type UserStatsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    boostedRewards: BigNumberish;
+    boostedRewardsWithRarity: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+    userLevel: BigNumberish;
+    userXP: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    activeSkillsCount: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserStatsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    boostedRewards: bigint,
+    boostedRewardsWithRarity: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint,
+    userLevel: bigint,
+    userXP: bigint,
+    maxActiveSkills: bigint,
+    activeSkillsCount: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    boostedRewards: bigint;
+    boostedRewardsWithRarity: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+    userLevel: bigint;
+    userXP: bigint;
+    maxActiveSkills: bigint;
+    activeSkillsCount: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserInfoWithSkillsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+    skillProfile: IStakingIntegration.UserPowerProfileStruct;
+    activeSkills: IStakingIntegration.NFTPowerStruct[];
+  };
+
+  export type UserInfoWithSkillsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint,
+    skillProfile: IStakingIntegration.UserPowerProfileStructOutput,
+    activeSkills: IStakingIntegration.NFTPowerStructOutput[]
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+    skillProfile: IStakingIntegration.UserPowerProfileStructOutput;
+    activeSkills: IStakingIntegration.NFTPowerStructOutput[];
+  };
+
+  export type UserMetricsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    deposits: BigNumberish;
+    activeSkills: BigNumberish;
+    level: BigNumberish;
+    xp: BigNumberish;
+    boosts: BigNumberish;
+  };
+
+  export type UserMetricsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    deposits: bigint,
+    activeSkills: bigint,
+    level: bigint,
+    xp: bigint,
+    boosts: bigint
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    deposits: bigint;
+    activeSkills: bigint;
+    level: bigint;
+    xp: bigint;
+    boosts: bigint;
+  };
+
+  export type UserPortfolioStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    totalPortfolioValue: BigNumberish;
+    depositCount: BigNumberish;
+    flexibleBalance: BigNumberish;
+    lockedBalance: BigNumberish;
+    unlockedBalance: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+    deposits: SmartStakingView.DepositDetailsStruct[];
+  };
+
+  export type UserPortfolioStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    totalPortfolioValue: bigint,
+    depositCount: bigint,
+    flexibleBalance: bigint,
+    lockedBalance: bigint,
+    unlockedBalance: bigint,
+    lastWithdrawTime: bigint,
+    deposits: SmartStakingView.DepositDetailsStructOutput[]
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    totalPortfolioValue: bigint;
+    depositCount: bigint;
+    flexibleBalance: bigint;
+    lockedBalance: bigint;
+    unlockedBalance: bigint;
+    lastWithdrawTime: bigint;
+    deposits: SmartStakingView.DepositDetailsStructOutput[];
+  };
+
+  export type UserRewardsProjectionStruct = {
+    hourlyRewards: BigNumberish;
+    dailyRewards: BigNumberish;
+    weeklyRewards: BigNumberish;
+    monthlyRewards: BigNumberish;
+    yearlyRewards: BigNumberish;
+    currentPendingRewards: BigNumberish;
+  };
+
+  export type UserRewardsProjectionStructOutput = [
+    hourlyRewards: bigint,
+    dailyRewards: bigint,
+    weeklyRewards: bigint,
+    monthlyRewards: bigint,
+    yearlyRewards: bigint,
+    currentPendingRewards: bigint
+  ] & {
+    hourlyRewards: bigint;
+    dailyRewards: bigint;
+    weeklyRewards: bigint;
+    monthlyRewards: bigint;
+    yearlyRewards: bigint;
+    currentPendingRewards: bigint;
+  };
+}
+
+export declare namespace IStakingIntegration {
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+}
+
+export interface SmartStakingViewInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "calculateBoostedAPY"
+      | "calculateFeeDiscount"
+      | "calculatePotentialEarnings"
+      | "calculateReducedLockTime"
+      | "getAPYRates"
+      | "getActiveSkillsWithDetails"
+      | "getAutoCompoundUsersPage"
+      | "getAvailableSkillsConfiguration"
+      | "getContractBalance"
+      | "getDashboardData"
+      | "getDashboardUserSummary"
+      | "getDepositDetails"
+      | "getDepositRewardRates"
+      | "getDepositSummaryByType"
+      | "getEarningsBreakdown"
+      | "getEstimatedRewards"
+      | "getGlobalStats"
+      | "getHourlyROIRates"
+      | "getLockedDepositInfo"
+      | "getMarketStats"
+      | "getNextUnlockTime"
+      | "getPoolHealth"
+      | "getPoolStats"
+      | "getPortfolioSummary"
+      | "getSkillEffectiveness"
+      | "getSkillRarity"
+      | "getStakingEfficiency"
+      | "getTotalDeposit"
+      | "getUserDeposits"
+      | "getUserDetailedStats"
+      | "getUserInfoWithSkills"
+      | "getUserMetrics"
+      | "getUserPortfolio"
+      | "getUserRewardsProjection"
+      | "getUserSkillSummary"
+      | "getWithdrawableDeposits"
+      | "getWithdrawalStatus"
+      | "hasActiveStake"
+      | "owner"
+      | "setStakingContract"
+      | "stakingContract"
+      | "transferOwnership"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "OwnershipTransferred" | "StakingContractUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "calculateBoostedAPY",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateFeeDiscount",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculatePotentialEarnings",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateReducedLockTime",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAPYRates",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActiveSkillsWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAutoCompoundUsersPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAvailableSkillsConfiguration",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getContractBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDashboardData",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDashboardUserSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDepositDetails",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDepositRewardRates",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDepositSummaryByType",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEarningsBreakdown",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEstimatedRewards",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getGlobalStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getHourlyROIRates",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLockedDepositInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMarketStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNextUnlockTime",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPoolHealth",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPoolStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPortfolioSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillEffectiveness",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getStakingEfficiency",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalDeposit",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDeposits",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDetailedStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserInfoWithSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserMetrics",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserPortfolio",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserRewardsProjection",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserSkillSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWithdrawableDeposits",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWithdrawalStatus",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasActiveStake",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "calculateBoostedAPY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateFeeDiscount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculatePotentialEarnings",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateReducedLockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAPYRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActiveSkillsWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAutoCompoundUsersPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAvailableSkillsConfiguration",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getContractBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDashboardData",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDashboardUserSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDepositDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDepositRewardRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDepositSummaryByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEarningsBreakdown",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEstimatedRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getGlobalStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getHourlyROIRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLockedDepositInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMarketStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNextUnlockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPoolHealth",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPoolStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPortfolioSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillEffectiveness",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getStakingEfficiency",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalDeposit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDetailedStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserInfoWithSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserMetrics",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserPortfolio",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserRewardsProjection",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserSkillSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWithdrawableDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWithdrawalStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasActiveStake",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingView extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingView;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingViewInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  calculateBoostedAPY: TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculateFeeDiscount: TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  calculatePotentialEarnings: TypedContractMethod<
+    [
+      amount: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      daysToProject: BigNumberish
+    ],
+    [[bigint, bigint] & { projectedEarnings: bigint; effectiveAPY: bigint }],
+    "view"
+  >;
+
+  calculateReducedLockTime: TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getAPYRates: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        flexibleAPY: bigint;
+        locked30APY: bigint;
+        locked90APY: bigint;
+        locked180APY: bigint;
+        locked365APY: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getActiveSkillsWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.SkillDetailsStructOutput[]],
+    "view"
+  >;
+
+  getAutoCompoundUsersPage: TypedContractMethod<
+    [page: BigNumberish, pageSize: BigNumberish],
+    [
+      [string[], bigint, bigint] & {
+        users: string[];
+        totalPages: bigint;
+        currentPage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getAvailableSkillsConfiguration: TypedContractMethod<
+    [],
+    [SmartStakingView.SkillConfigStructOutput[]],
+    "view"
+  >;
+
+  getContractBalance: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        contractBalance: bigint;
+        totalPoolBalance_: bigint;
+        availableForRewards: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDashboardData: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        poolTotalValue: bigint;
+        poolActiveUsers: bigint;
+        poolContractBalance: bigint;
+        poolHealthStatus: bigint;
+        userStaked: bigint;
+        userRewards: bigint;
+        userDeposits: bigint;
+        userFlexible: bigint;
+        userLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDashboardUserSummary: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        userStaked: bigint;
+        userPendingRewards: bigint;
+        userDepositCount: bigint;
+        userFlexibleBalance: bigint;
+        userLockedBalance: bigint;
+        userUnlockedBalance: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDepositDetails: TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [SmartStakingView.DepositDetailsStructOutput],
+    "view"
+  >;
+
+  getDepositRewardRates: TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        hourlyRate: bigint;
+        dailyRate: bigint;
+        monthlyRate: bigint;
+        totalAccrued: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDepositSummaryByType: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getEarningsBreakdown: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        dailyEarnings: bigint;
+        monthlyEarnings: bigint;
+        annualEarnings: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getEstimatedRewards: TypedContractMethod<
+    [user: AddressLike, daysFromNow: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        baseEstimate: bigint;
+        boostedEstimate: bigint;
+        activeSkillsCount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getGlobalStats: TypedContractMethod<
+    [],
+    [SmartStakingView.GlobalStakingStatsStructOutput],
+    "view"
+  >;
+
+  getHourlyROIRates: TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getLockedDepositInfo: TypedContractMethod<
+    [_user: AddressLike],
+    [[boolean, bigint] & { hasLocked: boolean; lockedAmount: bigint }],
+    "view"
+  >;
+
+  getMarketStats: TypedContractMethod<
+    [],
+    [SmartStakingView.MarketStatsStructOutput],
+    "view"
+  >;
+
+  getNextUnlockTime: TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { secondsUntilUnlock: bigint; nextUnlockTime: bigint }],
+    "view"
+  >;
+
+  getPoolHealth: TypedContractMethod<
+    [],
+    [[bigint, bigint] & { healthStatus: bigint; reserveRatio: bigint }],
+    "view"
+  >;
+
+  getPoolStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalPoolValue: bigint;
+        totalRewards: bigint;
+        activeUsersCount: bigint;
+        totalDeposits: bigint;
+        contractBalanceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getPortfolioSummary: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.PortfolioSummaryStructOutput],
+    "view"
+  >;
+
+  getSkillEffectiveness: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.SkillEffectivenessStructOutput[]],
+    "view"
+  >;
+
+  getSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        rarity: bigint;
+        rarityBoost: bigint;
+        stars: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getStakingEfficiency: TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { efficiency: bigint; suggestionCount: bigint }],
+    "view"
+  >;
+
+  getTotalDeposit: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getUserDeposits: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserDepositInfoStructOutput],
+    "view"
+  >;
+
+  getUserDetailedStats: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserStatsStructOutput],
+    "view"
+  >;
+
+  getUserInfoWithSkills: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserInfoWithSkillsStructOutput],
+    "view"
+  >;
+
+  getUserMetrics: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserMetricsStructOutput],
+    "view"
+  >;
+
+  getUserPortfolio: TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingView.UserPortfolioStructOutput],
+    "view"
+  >;
+
+  getUserRewardsProjection: TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingView.UserRewardsProjectionStructOutput],
+    "view"
+  >;
+
+  getUserSkillSummary: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [
+        [bigint, bigint, bigint, bigint, bigint],
+        bigint,
+        [bigint, bigint, bigint, bigint, bigint]
+      ] & {
+        boostedAPYs: [bigint, bigint, bigint, bigint, bigint];
+        effectiveFeeDiscount: bigint;
+        reducedLockTimes: [bigint, bigint, bigint, bigint, bigint];
+      }
+    ],
+    "view"
+  >;
+
+  getWithdrawableDeposits: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint] & {
+        withdrawableIndices: bigint[];
+        withdrawableAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getWithdrawalStatus: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        canWithdraw: boolean;
+        withdrawableRewards: bigint;
+        lockedUntil: bigint;
+        dailyLimitRemaining: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  hasActiveStake: TypedContractMethod<[user: AddressLike], [boolean], "view">;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContract: TypedContractMethod<[], [string], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "calculateBoostedAPY"
+  ): TypedContractMethod<
+    [user: AddressLike, baseAPY: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateFeeDiscount"
+  ): TypedContractMethod<
+    [user: AddressLike, baseFee: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculatePotentialEarnings"
+  ): TypedContractMethod<
+    [
+      amount: BigNumberish,
+      lockupPeriodIndex: BigNumberish,
+      daysToProject: BigNumberish
+    ],
+    [[bigint, bigint] & { projectedEarnings: bigint; effectiveAPY: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateReducedLockTime"
+  ): TypedContractMethod<
+    [user: AddressLike, baseLockTime: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAPYRates"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        flexibleAPY: bigint;
+        locked30APY: bigint;
+        locked90APY: bigint;
+        locked180APY: bigint;
+        locked365APY: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getActiveSkillsWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.SkillDetailsStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAutoCompoundUsersPage"
+  ): TypedContractMethod<
+    [page: BigNumberish, pageSize: BigNumberish],
+    [
+      [string[], bigint, bigint] & {
+        users: string[];
+        totalPages: bigint;
+        currentPage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAvailableSkillsConfiguration"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingView.SkillConfigStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getContractBalance"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        contractBalance: bigint;
+        totalPoolBalance_: bigint;
+        availableForRewards: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDashboardData"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        poolTotalValue: bigint;
+        poolActiveUsers: bigint;
+        poolContractBalance: bigint;
+        poolHealthStatus: bigint;
+        userStaked: bigint;
+        userRewards: bigint;
+        userDeposits: bigint;
+        userFlexible: bigint;
+        userLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDashboardUserSummary"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        userStaked: bigint;
+        userPendingRewards: bigint;
+        userDepositCount: bigint;
+        userFlexibleBalance: bigint;
+        userLockedBalance: bigint;
+        userUnlockedBalance: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDepositDetails"
+  ): TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [SmartStakingView.DepositDetailsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDepositRewardRates"
+  ): TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        hourlyRate: bigint;
+        dailyRate: bigint;
+        monthlyRate: bigint;
+        totalAccrued: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDepositSummaryByType"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getEarningsBreakdown"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        dailyEarnings: bigint;
+        monthlyEarnings: bigint;
+        annualEarnings: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getEstimatedRewards"
+  ): TypedContractMethod<
+    [user: AddressLike, daysFromNow: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        baseEstimate: bigint;
+        boostedEstimate: bigint;
+        activeSkillsCount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getGlobalStats"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingView.GlobalStakingStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getHourlyROIRates"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getLockedDepositInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[boolean, bigint] & { hasLocked: boolean; lockedAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getMarketStats"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingView.MarketStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNextUnlockTime"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { secondsUntilUnlock: bigint; nextUnlockTime: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPoolHealth"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint] & { healthStatus: bigint; reserveRatio: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPoolStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalPoolValue: bigint;
+        totalRewards: bigint;
+        activeUsersCount: bigint;
+        totalDeposits: bigint;
+        contractBalanceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPortfolioSummary"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.PortfolioSummaryStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillEffectiveness"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.SkillEffectivenessStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        rarity: bigint;
+        rarityBoost: bigint;
+        stars: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getStakingEfficiency"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { efficiency: bigint; suggestionCount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTotalDeposit"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserDeposits"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserDepositInfoStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserDetailedStats"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserInfoWithSkills"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserInfoWithSkillsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserMetrics"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingView.UserMetricsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserPortfolio"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingView.UserPortfolioStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserRewardsProjection"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingView.UserRewardsProjectionStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserSkillSummary"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [
+        [bigint, bigint, bigint, bigint, bigint],
+        bigint,
+        [bigint, bigint, bigint, bigint, bigint]
+      ] & {
+        boostedAPYs: [bigint, bigint, bigint, bigint, bigint];
+        effectiveFeeDiscount: bigint;
+        reducedLockTimes: [bigint, bigint, bigint, bigint, bigint];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWithdrawableDeposits"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint] & {
+        withdrawableIndices: bigint[];
+        withdrawableAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWithdrawalStatus"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        canWithdraw: boolean;
+        withdrawableRewards: bigint;
+        lockedUntil: bigint;
+        dailyLimitRemaining: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasActiveStake"
+  ): TypedContractMethod<[user: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,585 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace SmartStakingViewCore {
+  export type DepositDetailsStruct = {
+    depositIndex: BigNumberish;
+    amount: BigNumberish;
+    currentRewards: BigNumberish;
+    timestamp: BigNumberish;
+    lastClaimTime: BigNumberish;
+    lockupDuration: BigNumberish;
+    unlockTime: BigNumberish;
+    lockupType: string;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+  };
+
+  export type DepositDetailsStructOutput = [
+    depositIndex: bigint,
+    amount: bigint,
+    currentRewards: bigint,
+    timestamp: bigint,
+    lastClaimTime: bigint,
+    lockupDuration: bigint,
+    unlockTime: bigint,
+    lockupType: string,
+    isLocked: boolean,
+    isWithdrawable: boolean
+  ] & {
+    depositIndex: bigint;
+    amount: bigint;
+    currentRewards: bigint;
+    timestamp: bigint;
+    lastClaimTime: bigint;
+    lockupDuration: bigint;
+    unlockTime: bigint;
+    lockupType: string;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+  };
+
+  export type UserDepositInfoStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+  };
+
+  export type UserDepositInfoStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+  };
+}
+
+export interface SmartStakingViewCoreInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "getContractBalance"
+      | "getDailyWithdrawalInfo"
+      | "getDashboardUserSummary"
+      | "getDepositDetails"
+      | "getDepositSummaryByType"
+      | "getLockedDepositInfo"
+      | "getNextUnlockTime"
+      | "getReinvestmentConfig"
+      | "getTotalDeposit"
+      | "getUserDeposits"
+      | "getUserTierInfo"
+      | "getWithdrawableDeposits"
+      | "owner"
+      | "setStakingContract"
+      | "stakingContract"
+      | "transferOwnership"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "OwnershipTransferred" | "StakingContractUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "getContractBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDailyWithdrawalInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDashboardUserSummary",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDepositDetails",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDepositSummaryByType",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getLockedDepositInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNextUnlockTime",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReinvestmentConfig",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalDeposit",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDeposits",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserTierInfo",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWithdrawableDeposits",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getContractBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDailyWithdrawalInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDashboardUserSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDepositDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDepositSummaryByType",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLockedDepositInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNextUnlockTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReinvestmentConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalDeposit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserTierInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWithdrawableDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingViewCore extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingViewCore;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingViewCoreInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getContractBalance: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        contractBalance: bigint;
+        totalPoolBalance_: bigint;
+        availableForRewards: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDailyWithdrawalInfo: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        limit: bigint;
+        usedToday: bigint;
+        remaining: bigint;
+        circuitActive: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getDashboardUserSummary: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        userStaked: bigint;
+        userPendingRewards: bigint;
+        userDepositCount: bigint;
+        userFlexibleBalance: bigint;
+        userLockedBalance: bigint;
+        userUnlockedBalance: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDepositDetails: TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [SmartStakingViewCore.DepositDetailsStructOutput],
+    "view"
+  >;
+
+  getDepositSummaryByType: TypedContractMethod<
+    [_user: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getLockedDepositInfo: TypedContractMethod<
+    [_user: AddressLike],
+    [[boolean, bigint] & { hasLocked: boolean; lockedAmount: bigint }],
+    "view"
+  >;
+
+  getNextUnlockTime: TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { secondsUntilUnlock: bigint; nextUnlockTime: bigint }],
+    "view"
+  >;
+
+  getReinvestmentConfig: TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, string] & { percentage: bigint; description: string }],
+    "view"
+  >;
+
+  getTotalDeposit: TypedContractMethod<[user: AddressLike], [bigint], "view">;
+
+  getUserDeposits: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewCore.UserDepositInfoStructOutput],
+    "view"
+  >;
+
+  getUserTierInfo: TypedContractMethod<
+    [_user: AddressLike, _rewardsModule: AddressLike],
+    [
+      [string, bigint, bigint, bigint] & {
+        tierName: string;
+        tierBonusBps: bigint;
+        loyaltyDays: bigint;
+        loyaltyBps: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getWithdrawableDeposits: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint] & {
+        withdrawableIndices: bigint[];
+        withdrawableAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContract: TypedContractMethod<[], [string], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getContractBalance"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        contractBalance: bigint;
+        totalPoolBalance_: bigint;
+        availableForRewards: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDailyWithdrawalInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        limit: bigint;
+        usedToday: bigint;
+        remaining: bigint;
+        circuitActive: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDashboardUserSummary"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint] & {
+        userStaked: bigint;
+        userPendingRewards: bigint;
+        userDepositCount: bigint;
+        userFlexibleBalance: bigint;
+        userLockedBalance: bigint;
+        userUnlockedBalance: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDepositDetails"
+  ): TypedContractMethod<
+    [_user: AddressLike, _depositIndex: BigNumberish],
+    [SmartStakingViewCore.DepositDetailsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDepositSummaryByType"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getLockedDepositInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[boolean, bigint] & { hasLocked: boolean; lockedAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNextUnlockTime"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, bigint] & { secondsUntilUnlock: bigint; nextUnlockTime: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReinvestmentConfig"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [[bigint, string] & { percentage: bigint; description: string }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTotalDeposit"
+  ): TypedContractMethod<[user: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUserDeposits"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewCore.UserDepositInfoStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserTierInfo"
+  ): TypedContractMethod<
+    [_user: AddressLike, _rewardsModule: AddressLike],
+    [
+      [string, bigint, bigint, bigint] & {
+        tierName: string;
+        tierBonusBps: bigint;
+        loyaltyDays: bigint;
+        loyaltyBps: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWithdrawableDeposits"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint[], bigint] & {
+        withdrawableIndices: bigint[];
+        withdrawableAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,487 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace SmartStakingViewDashboard {
+  export type DepositSnapshotStruct = {
+    index: BigNumberish;
+    amount: BigNumberish;
+    timestamp: BigNumberish;
+    lastClaimTime: BigNumberish;
+    lockupDuration: BigNumberish;
+    unlockTime: BigNumberish;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+    lockupLabel: string;
+  };
+
+  export type DepositSnapshotStructOutput = [
+    index: bigint,
+    amount: bigint,
+    timestamp: bigint,
+    lastClaimTime: bigint,
+    lockupDuration: bigint,
+    unlockTime: bigint,
+    isLocked: boolean,
+    isWithdrawable: boolean,
+    lockupLabel: string
+  ] & {
+    index: bigint;
+    amount: bigint;
+    timestamp: bigint;
+    lastClaimTime: bigint;
+    lockupDuration: bigint;
+    unlockTime: bigint;
+    isLocked: boolean;
+    isWithdrawable: boolean;
+    lockupLabel: string;
+  };
+
+  export type DashboardDataStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    depositCount: BigNumberish;
+    flexibleBalance: BigNumberish;
+    lockedBalance: BigNumberish;
+    unlockedBalance: BigNumberish;
+    deposits: SmartStakingViewDashboard.DepositSnapshotStruct[];
+    baseAPYs: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ];
+    boostedAPYs: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ];
+    tierName: string;
+    tierBonusBps: BigNumberish;
+    loyaltyDays: BigNumberish;
+    loyaltyBonusBps: BigNumberish;
+    apyBoostBps: BigNumberish;
+    compoundBoostBps: BigNumberish;
+    withdrawBoostBps: BigNumberish;
+    currentXP: BigNumberish;
+    currentLevel: BigNumberish;
+    streakDays: BigNumberish;
+    deferredRewardAmount: BigNumberish;
+    projectedDailyRewards: BigNumberish;
+    projectedMonthlyRewards: BigNumberish;
+    projectedYearlyRewards: BigNumberish;
+    dailyWithdrawalLimit: BigNumberish;
+    dailyWithdrawalUsed: BigNumberish;
+    dailyWithdrawalRemaining: BigNumberish;
+    circuitBreakerActive: boolean;
+    reinvestmentPct: BigNumberish;
+    autoCompoundEnabled: boolean;
+    referrer: AddressLike;
+    referralBoostBps: BigNumberish;
+    secondsUntilNextUnlock: BigNumberish;
+    nextUnlockTime: BigNumberish;
+  };
+
+  export type DashboardDataStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    depositCount: bigint,
+    flexibleBalance: bigint,
+    lockedBalance: bigint,
+    unlockedBalance: bigint,
+    deposits: SmartStakingViewDashboard.DepositSnapshotStructOutput[],
+    baseAPYs: [bigint, bigint, bigint, bigint, bigint],
+    boostedAPYs: [bigint, bigint, bigint, bigint, bigint],
+    tierName: string,
+    tierBonusBps: bigint,
+    loyaltyDays: bigint,
+    loyaltyBonusBps: bigint,
+    apyBoostBps: bigint,
+    compoundBoostBps: bigint,
+    withdrawBoostBps: bigint,
+    currentXP: bigint,
+    currentLevel: bigint,
+    streakDays: bigint,
+    deferredRewardAmount: bigint,
+    projectedDailyRewards: bigint,
+    projectedMonthlyRewards: bigint,
+    projectedYearlyRewards: bigint,
+    dailyWithdrawalLimit: bigint,
+    dailyWithdrawalUsed: bigint,
+    dailyWithdrawalRemaining: bigint,
+    circuitBreakerActive: boolean,
+    reinvestmentPct: bigint,
+    autoCompoundEnabled: boolean,
+    referrer: string,
+    referralBoostBps: bigint,
+    secondsUntilNextUnlock: bigint,
+    nextUnlockTime: bigint
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    depositCount: bigint;
+    flexibleBalance: bigint;
+    lockedBalance: bigint;
+    unlockedBalance: bigint;
+    deposits: SmartStakingViewDashboard.DepositSnapshotStructOutput[];
+    baseAPYs: [bigint, bigint, bigint, bigint, bigint];
+    boostedAPYs: [bigint, bigint, bigint, bigint, bigint];
+    tierName: string;
+    tierBonusBps: bigint;
+    loyaltyDays: bigint;
+    loyaltyBonusBps: bigint;
+    apyBoostBps: bigint;
+    compoundBoostBps: bigint;
+    withdrawBoostBps: bigint;
+    currentXP: bigint;
+    currentLevel: bigint;
+    streakDays: bigint;
+    deferredRewardAmount: bigint;
+    projectedDailyRewards: bigint;
+    projectedMonthlyRewards: bigint;
+    projectedYearlyRewards: bigint;
+    dailyWithdrawalLimit: bigint;
+    dailyWithdrawalUsed: bigint;
+    dailyWithdrawalRemaining: bigint;
+    circuitBreakerActive: boolean;
+    reinvestmentPct: bigint;
+    autoCompoundEnabled: boolean;
+    referrer: string;
+    referralBoostBps: bigint;
+    secondsUntilNextUnlock: bigint;
+    nextUnlockTime: bigint;
+  };
+}
+
+export interface SmartStakingViewDashboardInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "gamificationModule"
+      | "getUserDashboard"
+      | "owner"
+      | "powerModule"
+      | "rewardsModule"
+      | "setModules"
+      | "setStakingContract"
+      | "stakingContract"
+      | "transferOwnership"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "ModulesUpdated"
+      | "OwnershipTransferred"
+      | "StakingContractUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "gamificationModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDashboard",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "powerModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rewardsModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setModules",
+    values: [AddressLike, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "gamificationModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDashboard",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "powerModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rewardsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setModules", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace ModulesUpdatedEvent {
+  export type InputTuple = [
+    rewards: AddressLike,
+    powers: AddressLike,
+    gamification: AddressLike
+  ];
+  export type OutputTuple = [
+    rewards: string,
+    powers: string,
+    gamification: string
+  ];
+  export interface OutputObject {
+    rewards: string;
+    powers: string;
+    gamification: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingViewDashboard extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingViewDashboard;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingViewDashboardInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  gamificationModule: TypedContractMethod<[], [string], "view">;
+
+  getUserDashboard: TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewDashboard.DashboardDataStructOutput],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  powerModule: TypedContractMethod<[], [string], "view">;
+
+  rewardsModule: TypedContractMethod<[], [string], "view">;
+
+  setModules: TypedContractMethod<
+    [_rewards: AddressLike, _powers: AddressLike, _gamification: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [_addr: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContract: TypedContractMethod<[], [string], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "gamificationModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getUserDashboard"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewDashboard.DashboardDataStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "powerModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "rewardsModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setModules"
+  ): TypedContractMethod<
+    [_rewards: AddressLike, _powers: AddressLike, _gamification: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_addr: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+
+  getEvent(
+    key: "ModulesUpdated"
+  ): TypedContractEvent<
+    ModulesUpdatedEvent.InputTuple,
+    ModulesUpdatedEvent.OutputTuple,
+    ModulesUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "ModulesUpdated(address,address,address)": TypedContractEvent<
+      ModulesUpdatedEvent.InputTuple,
+      ModulesUpdatedEvent.OutputTuple,
+      ModulesUpdatedEvent.OutputObject
+    >;
+    ModulesUpdated: TypedContractEvent<
+      ModulesUpdatedEvent.InputTuple,
+      ModulesUpdatedEvent.OutputTuple,
+      ModulesUpdatedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+  };
+}
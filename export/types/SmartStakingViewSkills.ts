@@ -0,0 +1,627 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace SmartStakingViewSkills {
+  export type SkillDetailsStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+    rarityBoost: BigNumberish;
+  };
+
+  export type SkillDetailsStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean,
+    rarityBoost: bigint
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+    rarityBoost: bigint;
+  };
+
+  export type SkillConfigStruct = {
+    powerType: BigNumberish;
+    enabled: boolean;
+    effectValue: BigNumberish;
+    description: string;
+  };
+
+  export type SkillConfigStructOutput = [
+    powerType: bigint,
+    enabled: boolean,
+    effectValue: bigint,
+    description: string
+  ] & {
+    powerType: bigint;
+    enabled: boolean;
+    effectValue: bigint;
+    description: string;
+  };
+
+  export type MarketStatsStruct = {
+    autoCompoundUsersCount: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type MarketStatsStructOutput = [
+    autoCompoundUsersCount: bigint,
+    timestamp: bigint
+  ] & { autoCompoundUsersCount: bigint; timestamp: bigint };
+
+  export type SkillEffectivenessStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    isActive: boolean;
+    impactValue: BigNumberish;
+  };
+
+  export type SkillEffectivenessStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    isActive: boolean,
+    impactValue: bigint
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    isActive: boolean;
+    impactValue: bigint;
+  };
+
+  export type UserStatsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    boostedRewards: BigNumberish;
+    boostedRewardsWithRarity: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+    userLevel: BigNumberish;
+    userXP: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserStatsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    boostedRewards: bigint,
+    boostedRewardsWithRarity: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint,
+    userLevel: bigint,
+    userXP: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    boostedRewards: bigint;
+    boostedRewardsWithRarity: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+    userLevel: bigint;
+    userXP: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserInfoWithSkillsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    depositCount: BigNumberish;
+    lastWithdrawTime: BigNumberish;
+    skillProfile: IStakingIntegration.UserPowerProfileStruct;
+    activeSkills: IStakingIntegration.NFTPowerStruct[];
+  };
+
+  export type UserInfoWithSkillsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    depositCount: bigint,
+    lastWithdrawTime: bigint,
+    skillProfile: IStakingIntegration.UserPowerProfileStructOutput,
+    activeSkills: IStakingIntegration.NFTPowerStructOutput[]
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    depositCount: bigint;
+    lastWithdrawTime: bigint;
+    skillProfile: IStakingIntegration.UserPowerProfileStructOutput;
+    activeSkills: IStakingIntegration.NFTPowerStructOutput[];
+  };
+
+  export type UserMetricsStruct = {
+    totalDeposited: BigNumberish;
+    totalRewards: BigNumberish;
+    deposits: BigNumberish;
+    activeSkills: BigNumberish;
+    level: BigNumberish;
+    xp: BigNumberish;
+    boosts: BigNumberish;
+  };
+
+  export type UserMetricsStructOutput = [
+    totalDeposited: bigint,
+    totalRewards: bigint,
+    deposits: bigint,
+    activeSkills: bigint,
+    level: bigint,
+    xp: bigint,
+    boosts: bigint
+  ] & {
+    totalDeposited: bigint;
+    totalRewards: bigint;
+    deposits: bigint;
+    activeSkills: bigint;
+    level: bigint;
+    xp: bigint;
+    boosts: bigint;
+  };
+}
+
+export declare namespace IStakingIntegration {
+  export type UserPowerProfileStruct = {
+    activeNFTIds: BigNumberish[];
+    totalXP: BigNumberish;
+    level: BigNumberish;
+    maxActiveSkills: BigNumberish;
+    stakingBoostTotal: BigNumberish;
+    feeDiscountTotal: BigNumberish;
+    hasAutoCompound: boolean;
+  };
+
+  export type UserPowerProfileStructOutput = [
+    activeNFTIds: bigint[],
+    totalXP: bigint,
+    level: bigint,
+    maxActiveSkills: bigint,
+    stakingBoostTotal: bigint,
+    feeDiscountTotal: bigint,
+    hasAutoCompound: boolean
+  ] & {
+    activeNFTIds: bigint[];
+    totalXP: bigint;
+    level: bigint;
+    maxActiveSkills: bigint;
+    stakingBoostTotal: bigint;
+    feeDiscountTotal: bigint;
+    hasAutoCompound: boolean;
+  };
+
+  export type NFTPowerStruct = {
+    powerType: BigNumberish;
+    effectValue: BigNumberish;
+    rarity: BigNumberish;
+    activatedAt: BigNumberish;
+    cooldownEnds: BigNumberish;
+    isActive: boolean;
+  };
+
+  export type NFTPowerStructOutput = [
+    powerType: bigint,
+    effectValue: bigint,
+    rarity: bigint,
+    activatedAt: bigint,
+    cooldownEnds: bigint,
+    isActive: boolean
+  ] & {
+    powerType: bigint;
+    effectValue: bigint;
+    rarity: bigint;
+    activatedAt: bigint;
+    cooldownEnds: bigint;
+    isActive: boolean;
+  };
+}
+
+export interface SmartStakingViewSkillsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "getActiveSkillsWithDetails"
+      | "getAvailableSkillsConfiguration"
+      | "getMarketStats"
+      | "getSkillEffectiveness"
+      | "getSkillRarity"
+      | "getUserDetailedStats"
+      | "getUserInfoWithSkills"
+      | "getUserMetrics"
+      | "owner"
+      | "setStakingContract"
+      | "stakingContract"
+      | "transferOwnership"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic: "OwnershipTransferred" | "StakingContractUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "getActiveSkillsWithDetails",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAvailableSkillsConfiguration",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMarketStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillEffectiveness",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSkillRarity",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserDetailedStats",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserInfoWithSkills",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserMetrics",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getActiveSkillsWithDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAvailableSkillsConfiguration",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMarketStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillEffectiveness",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSkillRarity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserDetailedStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserInfoWithSkills",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserMetrics",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingViewSkills extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingViewSkills;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingViewSkillsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getActiveSkillsWithDetails: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.SkillDetailsStructOutput[]],
+    "view"
+  >;
+
+  getAvailableSkillsConfiguration: TypedContractMethod<
+    [],
+    [SmartStakingViewSkills.SkillConfigStructOutput[]],
+    "view"
+  >;
+
+  getMarketStats: TypedContractMethod<
+    [],
+    [SmartStakingViewSkills.MarketStatsStructOutput],
+    "view"
+  >;
+
+  getSkillEffectiveness: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.SkillEffectivenessStructOutput[]],
+    "view"
+  >;
+
+  getSkillRarity: TypedContractMethod<
+    [nftId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        rarity: bigint;
+        rarityId: bigint;
+        stars: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getUserDetailedStats: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserStatsStructOutput],
+    "view"
+  >;
+
+  getUserInfoWithSkills: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserInfoWithSkillsStructOutput],
+    "view"
+  >;
+
+  getUserMetrics: TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserMetricsStructOutput],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContract: TypedContractMethod<[], [string], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getActiveSkillsWithDetails"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.SkillDetailsStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAvailableSkillsConfiguration"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingViewSkills.SkillConfigStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getMarketStats"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingViewSkills.MarketStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillEffectiveness"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.SkillEffectivenessStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSkillRarity"
+  ): TypedContractMethod<
+    [nftId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        rarity: bigint;
+        rarityId: bigint;
+        stars: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserDetailedStats"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserInfoWithSkills"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserInfoWithSkillsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserMetrics"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [SmartStakingViewSkills.UserMetricsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+  };
+}
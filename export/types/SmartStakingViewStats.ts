@@ -0,0 +1,825 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace SmartStakingViewStats {
+  export type GlobalStakingStatsStruct = {
+    totalValueLocked: BigNumberish;
+    totalUniqueUsers: BigNumberish;
+    contractBalance: BigNumberish;
+    availableRewards: BigNumberish;
+    healthStatus: BigNumberish;
+    timestamp: BigNumberish;
+  };
+
+  export type GlobalStakingStatsStructOutput = [
+    totalValueLocked: bigint,
+    totalUniqueUsers: bigint,
+    contractBalance: bigint,
+    availableRewards: bigint,
+    healthStatus: bigint,
+    timestamp: bigint
+  ] & {
+    totalValueLocked: bigint;
+    totalUniqueUsers: bigint;
+    contractBalance: bigint;
+    availableRewards: bigint;
+    healthStatus: bigint;
+    timestamp: bigint;
+  };
+
+  export type StakingRatesInfoStruct = {
+    lockupPeriods: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ];
+    hourlyROI: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ];
+    annualAPY: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ];
+    periodNames: [string, string, string, string, string];
+  };
+
+  export type StakingRatesInfoStructOutput = [
+    lockupPeriods: [bigint, bigint, bigint, bigint, bigint],
+    hourlyROI: [bigint, bigint, bigint, bigint, bigint],
+    annualAPY: [bigint, bigint, bigint, bigint, bigint],
+    periodNames: [string, string, string, string, string]
+  ] & {
+    lockupPeriods: [bigint, bigint, bigint, bigint, bigint];
+    hourlyROI: [bigint, bigint, bigint, bigint, bigint];
+    annualAPY: [bigint, bigint, bigint, bigint, bigint];
+    periodNames: [string, string, string, string, string];
+  };
+
+  export type LockupAnalysisStruct = {
+    totalFlexible: BigNumberish;
+    totalLocked30: BigNumberish;
+    totalLocked90: BigNumberish;
+    totalLocked180: BigNumberish;
+    totalLocked365: BigNumberish;
+    nextUnlockAmount: BigNumberish;
+    nextUnlockTime: BigNumberish;
+  };
+
+  export type LockupAnalysisStructOutput = [
+    totalFlexible: bigint,
+    totalLocked30: bigint,
+    totalLocked90: bigint,
+    totalLocked180: bigint,
+    totalLocked365: bigint,
+    nextUnlockAmount: bigint,
+    nextUnlockTime: bigint
+  ] & {
+    totalFlexible: bigint;
+    totalLocked30: bigint;
+    totalLocked90: bigint;
+    totalLocked180: bigint;
+    totalLocked365: bigint;
+    nextUnlockAmount: bigint;
+    nextUnlockTime: bigint;
+  };
+
+  export type UserRewardsProjectionStruct = {
+    hourlyRewards: BigNumberish;
+    dailyRewards: BigNumberish;
+    weeklyRewards: BigNumberish;
+    monthlyRewards: BigNumberish;
+    yearlyRewards: BigNumberish;
+    currentPendingRewards: BigNumberish;
+  };
+
+  export type UserRewardsProjectionStructOutput = [
+    hourlyRewards: bigint,
+    dailyRewards: bigint,
+    weeklyRewards: bigint,
+    monthlyRewards: bigint,
+    yearlyRewards: bigint,
+    currentPendingRewards: bigint
+  ] & {
+    hourlyRewards: bigint;
+    dailyRewards: bigint;
+    weeklyRewards: bigint;
+    monthlyRewards: bigint;
+    yearlyRewards: bigint;
+    currentPendingRewards: bigint;
+  };
+}
+
+export interface SmartStakingViewStatsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "getAPYRates"
+      | "getDashboardData"
+      | "getEarningsBreakdown"
+      | "getExpiringDeposits"
+      | "getGlobalStats"
+      | "getHourlyROIRates"
+      | "getPoolHealth"
+      | "getPoolStats"
+      | "getReferralInfo"
+      | "getStakeDistribution"
+      | "getStakingRatesInfo"
+      | "getUserLockupAnalysis"
+      | "getUserRewardsProjection"
+      | "owner"
+      | "rewardsModule"
+      | "setRewardsModule"
+      | "setStakingContract"
+      | "stakingContract"
+      | "transferOwnership"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "OwnershipTransferred"
+      | "RewardsModuleUpdated"
+      | "StakingContractUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "getAPYRates",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDashboardData",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEarningsBreakdown",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getExpiringDeposits",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getGlobalStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getHourlyROIRates",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPoolHealth",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPoolStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReferralInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getStakeDistribution",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getStakingRatesInfo",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserLockupAnalysis",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserRewardsProjection",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "rewardsModule",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRewardsModule",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setStakingContract",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "stakingContract",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "getAPYRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDashboardData",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEarningsBreakdown",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getExpiringDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getGlobalStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getHourlyROIRates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPoolHealth",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPoolStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReferralInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getStakeDistribution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getStakingRatesInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserLockupAnalysis",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserRewardsProjection",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "rewardsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRewardsModule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setStakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "stakingContract",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardsModuleUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingContractUpdatedEvent {
+  export type InputTuple = [newAddress: AddressLike];
+  export type OutputTuple = [newAddress: string];
+  export interface OutputObject {
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface SmartStakingViewStats extends BaseContract {
+  connect(runner?: ContractRunner | null): SmartStakingViewStats;
+  waitForDeployment(): Promise<this>;
+
+  interface: SmartStakingViewStatsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  getAPYRates: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        flexibleAPY: bigint;
+        locked30APY: bigint;
+        locked90APY: bigint;
+        locked180APY: bigint;
+        locked365APY: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDashboardData: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        poolTotalValue: bigint;
+        poolActiveUsers: bigint;
+        poolContractBalance: bigint;
+        poolHealthStatus: bigint;
+        userStaked: bigint;
+        userRewards: bigint;
+        userDeposits: bigint;
+        userFlexible: bigint;
+        userLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getEarningsBreakdown: TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        dailyEarnings: bigint;
+        monthlyEarnings: bigint;
+        annualEarnings: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getExpiringDeposits: TypedContractMethod<
+    [user: AddressLike, window: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        indices: bigint[];
+        unlockTimes: bigint[];
+        amounts: bigint[];
+      }
+    ],
+    "view"
+  >;
+
+  getGlobalStats: TypedContractMethod<
+    [],
+    [SmartStakingViewStats.GlobalStakingStatsStructOutput],
+    "view"
+  >;
+
+  getHourlyROIRates: TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+
+  getPoolHealth: TypedContractMethod<
+    [],
+    [
+      [bigint, string, bigint, string] & {
+        healthStatus: bigint;
+        statusMessage: string;
+        reserveRatio: bigint;
+        description: string;
+      }
+    ],
+    "view"
+  >;
+
+  getPoolStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalPoolValue: bigint;
+        totalRewards: bigint;
+        activeUsersCount: bigint;
+        totalDeposits: bigint;
+        contractBalanceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReferralInfo: TypedContractMethod<
+    [user: AddressLike],
+    [
+      [string, bigint, bigint, boolean, bigint] & {
+        referrer: string;
+        totalReferralsMade: bigint;
+        boostEndTime: bigint;
+        boostActive: boolean;
+        currentBoostBps: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getStakeDistribution: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        flexibleTotal: bigint;
+        locked30Total: bigint;
+        locked90Total: bigint;
+        locked180Total: bigint;
+        locked365Total: bigint;
+        totalLockedValue: bigint;
+        totalFlexibleValue: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getStakingRatesInfo: TypedContractMethod<
+    [],
+    [SmartStakingViewStats.StakingRatesInfoStructOutput],
+    "view"
+  >;
+
+  getUserLockupAnalysis: TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewStats.LockupAnalysisStructOutput],
+    "view"
+  >;
+
+  getUserRewardsProjection: TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewStats.UserRewardsProjectionStructOutput],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  rewardsModule: TypedContractMethod<[], [string], "view">;
+
+  setRewardsModule: TypedContractMethod<
+    [_rewardsModule: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setStakingContract: TypedContractMethod<
+    [_stakingContract: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stakingContract: TypedContractMethod<[], [string], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "getAPYRates"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        flexibleAPY: bigint;
+        locked30APY: bigint;
+        locked90APY: bigint;
+        locked180APY: bigint;
+        locked365APY: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDashboardData"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint,
+        bigint
+      ] & {
+        poolTotalValue: bigint;
+        poolActiveUsers: bigint;
+        poolContractBalance: bigint;
+        poolHealthStatus: bigint;
+        userStaked: bigint;
+        userRewards: bigint;
+        userDeposits: bigint;
+        userFlexible: bigint;
+        userLocked: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getEarningsBreakdown"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [
+      [bigint, bigint, bigint] & {
+        dailyEarnings: bigint;
+        monthlyEarnings: bigint;
+        annualEarnings: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getExpiringDeposits"
+  ): TypedContractMethod<
+    [user: AddressLike, window: BigNumberish],
+    [
+      [bigint[], bigint[], bigint[]] & {
+        indices: bigint[];
+        unlockTimes: bigint[];
+        amounts: bigint[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getGlobalStats"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingViewStats.GlobalStakingStatsStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getHourlyROIRates"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint, bigint, bigint, bigint]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPoolHealth"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, string, bigint, string] & {
+        healthStatus: bigint;
+        statusMessage: string;
+        reserveRatio: bigint;
+        description: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPoolStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        totalPoolValue: bigint;
+        totalRewards: bigint;
+        activeUsersCount: bigint;
+        totalDeposits: bigint;
+        contractBalanceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReferralInfo"
+  ): TypedContractMethod<
+    [user: AddressLike],
+    [
+      [string, bigint, bigint, boolean, bigint] & {
+        referrer: string;
+        totalReferralsMade: bigint;
+        boostEndTime: bigint;
+        boostActive: boolean;
+        currentBoostBps: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getStakeDistribution"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+        flexibleTotal: bigint;
+        locked30Total: bigint;
+        locked90Total: bigint;
+        locked180Total: bigint;
+        locked365Total: bigint;
+        totalLockedValue: bigint;
+        totalFlexibleValue: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getStakingRatesInfo"
+  ): TypedContractMethod<
+    [],
+    [SmartStakingViewStats.StakingRatesInfoStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserLockupAnalysis"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewStats.LockupAnalysisStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserRewardsProjection"
+  ): TypedContractMethod<
+    [_user: AddressLike],
+    [SmartStakingViewStats.UserRewardsProjectionStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "rewardsModule"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "setRewardsModule"
+  ): TypedContractMethod<[_rewardsModule: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setStakingContract"
+  ): TypedContractMethod<[_stakingContract: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stakingContract"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardsModuleUpdated"
+  ): TypedContractEvent<
+    RewardsModuleUpdatedEvent.InputTuple,
+    RewardsModuleUpdatedEvent.OutputTuple,
+    RewardsModuleUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakingContractUpdated"
+  ): TypedContractEvent<
+    StakingContractUpdatedEvent.InputTuple,
+    StakingContractUpdatedEvent.OutputTuple,
+    StakingContractUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "RewardsModuleUpdated(address)": TypedContractEvent<
+      RewardsModuleUpdatedEvent.InputTuple,
+      RewardsModuleUpdatedEvent.OutputTuple,
+      RewardsModuleUpdatedEvent.OutputObject
+    >;
+    RewardsModuleUpdated: TypedContractEvent<
+      RewardsModuleUpdatedEvent.InputTuple,
+      RewardsModuleUpdatedEvent.OutputTuple,
+      RewardsModuleUpdatedEvent.OutputObject
+    >;
+
+    "StakingContractUpdated(address)": TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+    StakingContractUpdated: TypedContractEvent<
+      StakingContractUpdatedEvent.InputTuple,
+      StakingContractUpdatedEvent.OutputTuple,
+      StakingContractUpdatedEvent.OutputObject
+    >;
+  };
+}
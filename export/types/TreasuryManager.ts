@@ -0,0 +1,2013 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface TreasuryManagerInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "allocations"
+      | "authorizeRequester"
+      | "authorizeSource"
+      | "authorizedRequester"
+      | "authorizedSources"
+      | "autoDistributionEnabled"
+      | "declareEmergency"
+      | "depositToReserve"
+      | "emergencyModeEnabled"
+      | "emergencyWithdraw"
+      | "emergencyWithdrawAllReserve"
+      | "endEmergency"
+      | "firstDepositTime"
+      | "getAllAllocations"
+      | "getAvailableBalance"
+      | "getBalance"
+      | "getDistributionTimeline"
+      | "getEmergencyInfo"
+      | "getProtocolStatus"
+      | "getReserveRunwayMonths"
+      | "getReserveStats"
+      | "getStats"
+      | "getTreasuryConfig"
+      | "isDistributionReady"
+      | "lastDistributionTime"
+      | "lastEmergencyTimestamp"
+      | "nextDistributionTime"
+      | "notifyAPYCompression"
+      | "owner"
+      | "protocolDeficit"
+      | "protocolStatus"
+      | "receiveRevenue"
+      | "renounceOwnership"
+      | "requestEmergencyFunds"
+      | "requestRewardFunds"
+      | "reserveAccumulationEnabled"
+      | "reserveAllocationPercentage"
+      | "reserveFundBalance"
+      | "setAllocation"
+      | "setAuthorizedRequester"
+      | "setAuthorizedSource"
+      | "setAutoDistribution"
+      | "setProtocolStatus"
+      | "setReserveAccumulation"
+      | "setReserveAllocation"
+      | "setTreasury"
+      | "totalDistributed"
+      | "totalEmergencyFundsDistributed"
+      | "totalReserveAccumulated"
+      | "totalReserveWithdrawn"
+      | "totalRevenueReceived"
+      | "transferOwnership"
+      | "treasuries"
+      | "triggerDistribution"
+      | "withdrawFromReserve"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "APYCompressionAlert"
+      | "AllocationUpdated"
+      | "AutoDistributionToggled"
+      | "DeficitAccumulated"
+      | "DistributionCycleInitialized"
+      | "DistributionTriggered"
+      | "EmergencyFundsRequested"
+      | "EmergencyModeActivated"
+      | "EmergencyModeDeactivated"
+      | "EmergencyWithdrawal"
+      | "OwnershipTransferred"
+      | "ProtocolStatusChanged"
+      | "RequesterAuthorized"
+      | "ReserveAccumulationToggled"
+      | "ReserveAllocationUpdated"
+      | "ReserveFundDeposit"
+      | "ReserveFundWithdrawal"
+      | "ReserveFundsUsedForEmergency"
+      | "RevenueDistributed"
+      | "RevenueDistributionFailed"
+      | "RevenueReceived"
+      | "RewardFundsRequested"
+      | "SourceAuthorized"
+      | "TreasuryUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "allocations",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizeRequester",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizeSource",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizedRequester",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizedSources",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "autoDistributionEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "declareEmergency",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositToReserve",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyModeEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdraw",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyWithdrawAllReserve",
+    values: [AddressLike, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "endEmergency",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "firstDepositTime",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllAllocations",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAvailableBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDistributionTimeline",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEmergencyInfo",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getProtocolStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReserveRunwayMonths",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReserveStats",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "getStats", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "getTreasuryConfig",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isDistributionReady",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastDistributionTime",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastEmergencyTimestamp",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nextDistributionTime",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "notifyAPYCompression",
+    values: [BigNumberish, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "protocolDeficit",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "protocolStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "receiveRevenue",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestEmergencyFunds",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestRewardFunds",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reserveAccumulationEnabled",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reserveAllocationPercentage",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reserveFundBalance",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAllocation",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAuthorizedRequester",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAuthorizedSource",
+    values: [AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAutoDistribution",
+    values: [boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setProtocolStatus",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReserveAccumulation",
+    values: [boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReserveAllocation",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTreasury",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalDistributed",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalEmergencyFundsDistributed",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalReserveAccumulated",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalReserveWithdrawn",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "totalRevenueReceived",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "treasuries",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "triggerDistribution",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawFromReserve",
+    values: [AddressLike, BigNumberish, string]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "allocations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizeRequester",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizeSource",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizedRequester",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizedSources",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "autoDistributionEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "declareEmergency",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositToReserve",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyModeEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdraw",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyWithdrawAllReserve",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "endEmergency",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "firstDepositTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllAllocations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAvailableBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getBalance", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getDistributionTimeline",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEmergencyInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getProtocolStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReserveRunwayMonths",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReserveStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getStats", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getTreasuryConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isDistributionReady",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "lastDistributionTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "lastEmergencyTimestamp",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "nextDistributionTime",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "notifyAPYCompression",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "protocolDeficit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "protocolStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "receiveRevenue",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestEmergencyFunds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestRewardFunds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reserveAccumulationEnabled",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reserveAllocationPercentage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reserveFundBalance",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAllocation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAuthorizedRequester",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAuthorizedSource",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAutoDistribution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setProtocolStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReserveAccumulation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReserveAllocation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalDistributed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalEmergencyFundsDistributed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalReserveAccumulated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalReserveWithdrawn",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "totalRevenueReceived",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "treasuries", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "triggerDistribution",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawFromReserve",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace APYCompressionAlertEvent {
+  export type InputTuple = [
+    currentTVL: BigNumberish,
+    oldMultiplier: BigNumberish,
+    newMultiplier: BigNumberish,
+    compressionBps: BigNumberish
+  ];
+  export type OutputTuple = [
+    currentTVL: bigint,
+    oldMultiplier: bigint,
+    newMultiplier: bigint,
+    compressionBps: bigint
+  ];
+  export interface OutputObject {
+    currentTVL: bigint;
+    oldMultiplier: bigint;
+    newMultiplier: bigint;
+    compressionBps: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AllocationUpdatedEvent {
+  export type InputTuple = [
+    treasuryType: BigNumberish,
+    oldPercentage: BigNumberish,
+    newPercentage: BigNumberish
+  ];
+  export type OutputTuple = [
+    treasuryType: bigint,
+    oldPercentage: bigint,
+    newPercentage: bigint
+  ];
+  export interface OutputObject {
+    treasuryType: bigint;
+    oldPercentage: bigint;
+    newPercentage: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AutoDistributionToggledEvent {
+  export type InputTuple = [enabled: boolean];
+  export type OutputTuple = [enabled: boolean];
+  export interface OutputObject {
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DeficitAccumulatedEvent {
+  export type InputTuple = [
+    protocol: BigNumberish,
+    amount: BigNumberish,
+    totalDeficit: BigNumberish
+  ];
+  export type OutputTuple = [
+    protocol: bigint,
+    amount: bigint,
+    totalDeficit: bigint
+  ];
+  export interface OutputObject {
+    protocol: bigint;
+    amount: bigint;
+    totalDeficit: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DistributionCycleInitializedEvent {
+  export type InputTuple = [
+    firstDepositTime: BigNumberish,
+    nextDistributionTime: BigNumberish
+  ];
+  export type OutputTuple = [
+    firstDepositTime: bigint,
+    nextDistributionTime: bigint
+  ];
+  export interface OutputObject {
+    firstDepositTime: bigint;
+    nextDistributionTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DistributionTriggeredEvent {
+  export type InputTuple = [
+    amount: BigNumberish,
+    nextDistributionTime: BigNumberish
+  ];
+  export type OutputTuple = [amount: bigint, nextDistributionTime: bigint];
+  export interface OutputObject {
+    amount: bigint;
+    nextDistributionTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyFundsRequestedEvent {
+  export type InputTuple = [
+    protocol: BigNumberish,
+    amount: BigNumberish,
+    success: boolean
+  ];
+  export type OutputTuple = [
+    protocol: bigint,
+    amount: bigint,
+    success: boolean
+  ];
+  export interface OutputObject {
+    protocol: bigint;
+    amount: bigint;
+    success: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyModeActivatedEvent {
+  export type InputTuple = [timestamp: BigNumberish, reason: string];
+  export type OutputTuple = [timestamp: bigint, reason: string];
+  export interface OutputObject {
+    timestamp: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyModeDeactivatedEvent {
+  export type InputTuple = [timestamp: BigNumberish];
+  export type OutputTuple = [timestamp: bigint];
+  export interface OutputObject {
+    timestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyWithdrawalEvent {
+  export type InputTuple = [to: AddressLike, amount: BigNumberish];
+  export type OutputTuple = [to: string, amount: bigint];
+  export interface OutputObject {
+    to: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ProtocolStatusChangedEvent {
+  export type InputTuple = [
+    protocol: BigNumberish,
+    oldStatus: BigNumberish,
+    newStatus: BigNumberish
+  ];
+  export type OutputTuple = [
+    protocol: bigint,
+    oldStatus: bigint,
+    newStatus: bigint
+  ];
+  export interface OutputObject {
+    protocol: bigint;
+    oldStatus: bigint;
+    newStatus: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RequesterAuthorizedEvent {
+  export type InputTuple = [requester: AddressLike, authorized: boolean];
+  export type OutputTuple = [requester: string, authorized: boolean];
+  export interface OutputObject {
+    requester: string;
+    authorized: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReserveAccumulationToggledEvent {
+  export type InputTuple = [enabled: boolean];
+  export type OutputTuple = [enabled: boolean];
+  export interface OutputObject {
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReserveAllocationUpdatedEvent {
+  export type InputTuple = [
+    oldPercentage: BigNumberish,
+    newPercentage: BigNumberish
+  ];
+  export type OutputTuple = [oldPercentage: bigint, newPercentage: bigint];
+  export interface OutputObject {
+    oldPercentage: bigint;
+    newPercentage: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReserveFundDepositEvent {
+  export type InputTuple = [amount: BigNumberish, newBalance: BigNumberish];
+  export type OutputTuple = [amount: bigint, newBalance: bigint];
+  export interface OutputObject {
+    amount: bigint;
+    newBalance: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReserveFundWithdrawalEvent {
+  export type InputTuple = [
+    to: AddressLike,
+    amount: BigNumberish,
+    remainingBalance: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    to: string,
+    amount: bigint,
+    remainingBalance: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    to: string;
+    amount: bigint;
+    remainingBalance: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReserveFundsUsedForEmergencyEvent {
+  export type InputTuple = [
+    protocol: BigNumberish,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [protocol: bigint, amount: bigint, reason: string];
+  export interface OutputObject {
+    protocol: bigint;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RevenueDistributedEvent {
+  export type InputTuple = [
+    treasuryType: BigNumberish,
+    treasuryAddress: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    treasuryType: bigint,
+    treasuryAddress: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    treasuryType: bigint;
+    treasuryAddress: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RevenueDistributionFailedEvent {
+  export type InputTuple = [
+    treasuryType: BigNumberish,
+    treasuryAddress: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    treasuryType: bigint,
+    treasuryAddress: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    treasuryType: bigint;
+    treasuryAddress: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RevenueReceivedEvent {
+  export type InputTuple = [
+    source: AddressLike,
+    amount: BigNumberish,
+    revenueType: string
+  ];
+  export type OutputTuple = [
+    source: string,
+    amount: bigint,
+    revenueType: string
+  ];
+  export interface OutputObject {
+    source: string;
+    amount: bigint;
+    revenueType: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardFundsRequestedEvent {
+  export type InputTuple = [
+    requester: AddressLike,
+    amount: BigNumberish,
+    success: boolean
+  ];
+  export type OutputTuple = [
+    requester: string,
+    amount: bigint,
+    success: boolean
+  ];
+  export interface OutputObject {
+    requester: string;
+    amount: bigint;
+    success: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SourceAuthorizedEvent {
+  export type InputTuple = [source: AddressLike, authorized: boolean];
+  export type OutputTuple = [source: string, authorized: boolean];
+  export interface OutputObject {
+    source: string;
+    authorized: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TreasuryUpdatedEvent {
+  export type InputTuple = [
+    treasuryType: BigNumberish,
+    oldAddress: AddressLike,
+    newAddress: AddressLike
+  ];
+  export type OutputTuple = [
+    treasuryType: bigint,
+    oldAddress: string,
+    newAddress: string
+  ];
+  export interface OutputObject {
+    treasuryType: bigint;
+    oldAddress: string;
+    newAddress: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface TreasuryManager extends BaseContract {
+  connect(runner?: ContractRunner | null): TreasuryManager;
+  waitForDeployment(): Promise<this>;
+
+  interface: TreasuryManagerInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  allocations: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  authorizeRequester: TypedContractMethod<
+    [requester: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  authorizeSource: TypedContractMethod<
+    [source: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  authorizedRequester: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  authorizedSources: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  autoDistributionEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  declareEmergency: TypedContractMethod<[reason: string], [void], "nonpayable">;
+
+  depositToReserve: TypedContractMethod<[], [void], "payable">;
+
+  emergencyModeEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  emergencyWithdraw: TypedContractMethod<
+    [to: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  emergencyWithdrawAllReserve: TypedContractMethod<
+    [to: AddressLike, reason: string],
+    [bigint],
+    "nonpayable"
+  >;
+
+  endEmergency: TypedContractMethod<[], [void], "nonpayable">;
+
+  firstDepositTime: TypedContractMethod<[], [bigint], "view">;
+
+  getAllAllocations: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        rewardsAlloc: bigint;
+        stakingAlloc: bigint;
+        collaboratorsAlloc: bigint;
+        developmentAlloc: bigint;
+        marketplaceAlloc: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getAvailableBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getBalance: TypedContractMethod<[], [bigint], "view">;
+
+  getDistributionTimeline: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        firstDeposit: bigint;
+        lastDistribution: bigint;
+        nextDistribution: bigint;
+        timeUntilNext: bigint;
+        isReady: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getEmergencyInfo: TypedContractMethod<
+    [],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        isActive: boolean;
+        timestamp: bigint;
+        emergencyFundsDistributed: bigint;
+        reserveAvailable: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getProtocolStatus: TypedContractMethod<
+    [protocol: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        status: bigint;
+        deficit: bigint;
+        canAccessEmergency: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getReserveRunwayMonths: TypedContractMethod<
+    [monthlyBurnRate: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getReserveStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        currentBalance: bigint;
+        totalAccumulated: bigint;
+        totalWithdrawn: bigint;
+        allocationPercentage: bigint;
+        isEnabled: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getStats: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, boolean] & {
+        totalReceived: bigint;
+        totalDist: bigint;
+        currentBalance: bigint;
+        availableBalance: bigint;
+        lastDistribution: bigint;
+        autoDistEnabled: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getTreasuryConfig: TypedContractMethod<
+    [treasuryType: BigNumberish],
+    [[string, bigint] & { treasuryAddress: string; allocation: bigint }],
+    "view"
+  >;
+
+  isDistributionReady: TypedContractMethod<
+    [],
+    [[boolean, bigint] & { ready: boolean; timeUntilNext: bigint }],
+    "view"
+  >;
+
+  lastDistributionTime: TypedContractMethod<[], [bigint], "view">;
+
+  lastEmergencyTimestamp: TypedContractMethod<[], [bigint], "view">;
+
+  nextDistributionTime: TypedContractMethod<[], [bigint], "view">;
+
+  notifyAPYCompression: TypedContractMethod<
+    [
+      currentTVL: BigNumberish,
+      oldMultiplier: BigNumberish,
+      newMultiplier: BigNumberish,
+      compressionBps: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  protocolDeficit: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  protocolStatus: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  receiveRevenue: TypedContractMethod<[revenueType: string], [void], "payable">;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  requestEmergencyFunds: TypedContractMethod<
+    [protocol: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  requestRewardFunds: TypedContractMethod<
+    [amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  reserveAccumulationEnabled: TypedContractMethod<[], [boolean], "view">;
+
+  reserveAllocationPercentage: TypedContractMethod<[], [bigint], "view">;
+
+  reserveFundBalance: TypedContractMethod<[], [bigint], "view">;
+
+  setAllocation: TypedContractMethod<
+    [treasuryType: BigNumberish, percentage: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setAuthorizedRequester: TypedContractMethod<
+    [requester: AddressLike, authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setAuthorizedSource: TypedContractMethod<
+    [source: AddressLike, authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setAutoDistribution: TypedContractMethod<
+    [enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setProtocolStatus: TypedContractMethod<
+    [protocol: BigNumberish, newStatus: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setReserveAccumulation: TypedContractMethod<
+    [enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setReserveAllocation: TypedContractMethod<
+    [percentage: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTreasury: TypedContractMethod<
+    [treasuryType: BigNumberish, treasuryAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  totalDistributed: TypedContractMethod<[], [bigint], "view">;
+
+  totalEmergencyFundsDistributed: TypedContractMethod<[], [bigint], "view">;
+
+  totalReserveAccumulated: TypedContractMethod<[], [bigint], "view">;
+
+  totalReserveWithdrawn: TypedContractMethod<[], [bigint], "view">;
+
+  totalRevenueReceived: TypedContractMethod<[], [bigint], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  treasuries: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+
+  triggerDistribution: TypedContractMethod<[], [void], "nonpayable">;
+
+  withdrawFromReserve: TypedContractMethod<
+    [to: AddressLike, amount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "allocations"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "authorizeRequester"
+  ): TypedContractMethod<[requester: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "authorizeSource"
+  ): TypedContractMethod<[source: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "authorizedRequester"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "authorizedSources"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "autoDistributionEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "declareEmergency"
+  ): TypedContractMethod<[reason: string], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "depositToReserve"
+  ): TypedContractMethod<[], [void], "payable">;
+  getFunction(
+    nameOrSignature: "emergencyModeEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "emergencyWithdraw"
+  ): TypedContractMethod<
+    [to: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyWithdrawAllReserve"
+  ): TypedContractMethod<
+    [to: AddressLike, reason: string],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "endEmergency"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "firstDepositTime"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAllAllocations"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint] & {
+        rewardsAlloc: bigint;
+        stakingAlloc: bigint;
+        collaboratorsAlloc: bigint;
+        developmentAlloc: bigint;
+        marketplaceAlloc: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAvailableBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getDistributionTimeline"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        firstDeposit: bigint;
+        lastDistribution: bigint;
+        nextDistribution: bigint;
+        timeUntilNext: bigint;
+        isReady: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getEmergencyInfo"
+  ): TypedContractMethod<
+    [],
+    [
+      [boolean, bigint, bigint, bigint] & {
+        isActive: boolean;
+        timestamp: bigint;
+        emergencyFundsDistributed: bigint;
+        reserveAvailable: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getProtocolStatus"
+  ): TypedContractMethod<
+    [protocol: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        status: bigint;
+        deficit: bigint;
+        canAccessEmergency: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReserveRunwayMonths"
+  ): TypedContractMethod<[monthlyBurnRate: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getReserveStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, boolean] & {
+        currentBalance: bigint;
+        totalAccumulated: bigint;
+        totalWithdrawn: bigint;
+        allocationPercentage: bigint;
+        isEnabled: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getStats"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint, bigint, boolean] & {
+        totalReceived: bigint;
+        totalDist: bigint;
+        currentBalance: bigint;
+        availableBalance: bigint;
+        lastDistribution: bigint;
+        autoDistEnabled: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTreasuryConfig"
+  ): TypedContractMethod<
+    [treasuryType: BigNumberish],
+    [[string, bigint] & { treasuryAddress: string; allocation: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isDistributionReady"
+  ): TypedContractMethod<
+    [],
+    [[boolean, bigint] & { ready: boolean; timeUntilNext: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "lastDistributionTime"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "lastEmergencyTimestamp"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "nextDistributionTime"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "notifyAPYCompression"
+  ): TypedContractMethod<
+    [
+      currentTVL: BigNumberish,
+      oldMultiplier: BigNumberish,
+      newMultiplier: BigNumberish,
+      compressionBps: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "protocolDeficit"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "protocolStatus"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "receiveRevenue"
+  ): TypedContractMethod<[revenueType: string], [void], "payable">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "requestEmergencyFunds"
+  ): TypedContractMethod<
+    [protocol: BigNumberish, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "requestRewardFunds"
+  ): TypedContractMethod<[amount: BigNumberish], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "reserveAccumulationEnabled"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "reserveAllocationPercentage"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reserveFundBalance"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "setAllocation"
+  ): TypedContractMethod<
+    [treasuryType: BigNumberish, percentage: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAuthorizedRequester"
+  ): TypedContractMethod<
+    [requester: AddressLike, authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAuthorizedSource"
+  ): TypedContractMethod<
+    [source: AddressLike, authorized: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAutoDistribution"
+  ): TypedContractMethod<[enabled: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setProtocolStatus"
+  ): TypedContractMethod<
+    [protocol: BigNumberish, newStatus: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setReserveAccumulation"
+  ): TypedContractMethod<[enabled: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setReserveAllocation"
+  ): TypedContractMethod<[percentage: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTreasury"
+  ): TypedContractMethod<
+    [treasuryType: BigNumberish, treasuryAddress: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "totalDistributed"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalEmergencyFundsDistributed"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalReserveAccumulated"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalReserveWithdrawn"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "totalRevenueReceived"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "treasuries"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "triggerDistribution"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawFromReserve"
+  ): TypedContractMethod<
+    [to: AddressLike, amount: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  getEvent(
+    key: "APYCompressionAlert"
+  ): TypedContractEvent<
+    APYCompressionAlertEvent.InputTuple,
+    APYCompressionAlertEvent.OutputTuple,
+    APYCompressionAlertEvent.OutputObject
+  >;
+  getEvent(
+    key: "AllocationUpdated"
+  ): TypedContractEvent<
+    AllocationUpdatedEvent.InputTuple,
+    AllocationUpdatedEvent.OutputTuple,
+    AllocationUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AutoDistributionToggled"
+  ): TypedContractEvent<
+    AutoDistributionToggledEvent.InputTuple,
+    AutoDistributionToggledEvent.OutputTuple,
+    AutoDistributionToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "DeficitAccumulated"
+  ): TypedContractEvent<
+    DeficitAccumulatedEvent.InputTuple,
+    DeficitAccumulatedEvent.OutputTuple,
+    DeficitAccumulatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DistributionCycleInitialized"
+  ): TypedContractEvent<
+    DistributionCycleInitializedEvent.InputTuple,
+    DistributionCycleInitializedEvent.OutputTuple,
+    DistributionCycleInitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DistributionTriggered"
+  ): TypedContractEvent<
+    DistributionTriggeredEvent.InputTuple,
+    DistributionTriggeredEvent.OutputTuple,
+    DistributionTriggeredEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyFundsRequested"
+  ): TypedContractEvent<
+    EmergencyFundsRequestedEvent.InputTuple,
+    EmergencyFundsRequestedEvent.OutputTuple,
+    EmergencyFundsRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyModeActivated"
+  ): TypedContractEvent<
+    EmergencyModeActivatedEvent.InputTuple,
+    EmergencyModeActivatedEvent.OutputTuple,
+    EmergencyModeActivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyModeDeactivated"
+  ): TypedContractEvent<
+    EmergencyModeDeactivatedEvent.InputTuple,
+    EmergencyModeDeactivatedEvent.OutputTuple,
+    EmergencyModeDeactivatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyWithdrawal"
+  ): TypedContractEvent<
+    EmergencyWithdrawalEvent.InputTuple,
+    EmergencyWithdrawalEvent.OutputTuple,
+    EmergencyWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ProtocolStatusChanged"
+  ): TypedContractEvent<
+    ProtocolStatusChangedEvent.InputTuple,
+    ProtocolStatusChangedEvent.OutputTuple,
+    ProtocolStatusChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RequesterAuthorized"
+  ): TypedContractEvent<
+    RequesterAuthorizedEvent.InputTuple,
+    RequesterAuthorizedEvent.OutputTuple,
+    RequesterAuthorizedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReserveAccumulationToggled"
+  ): TypedContractEvent<
+    ReserveAccumulationToggledEvent.InputTuple,
+    ReserveAccumulationToggledEvent.OutputTuple,
+    ReserveAccumulationToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReserveAllocationUpdated"
+  ): TypedContractEvent<
+    ReserveAllocationUpdatedEvent.InputTuple,
+    ReserveAllocationUpdatedEvent.OutputTuple,
+    ReserveAllocationUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReserveFundDeposit"
+  ): TypedContractEvent<
+    ReserveFundDepositEvent.InputTuple,
+    ReserveFundDepositEvent.OutputTuple,
+    ReserveFundDepositEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReserveFundWithdrawal"
+  ): TypedContractEvent<
+    ReserveFundWithdrawalEvent.InputTuple,
+    ReserveFundWithdrawalEvent.OutputTuple,
+    ReserveFundWithdrawalEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReserveFundsUsedForEmergency"
+  ): TypedContractEvent<
+    ReserveFundsUsedForEmergencyEvent.InputTuple,
+    ReserveFundsUsedForEmergencyEvent.OutputTuple,
+    ReserveFundsUsedForEmergencyEvent.OutputObject
+  >;
+  getEvent(
+    key: "RevenueDistributed"
+  ): TypedContractEvent<
+    RevenueDistributedEvent.InputTuple,
+    RevenueDistributedEvent.OutputTuple,
+    RevenueDistributedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RevenueDistributionFailed"
+  ): TypedContractEvent<
+    RevenueDistributionFailedEvent.InputTuple,
+    RevenueDistributionFailedEvent.OutputTuple,
+    RevenueDistributionFailedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RevenueReceived"
+  ): TypedContractEvent<
+    RevenueReceivedEvent.InputTuple,
+    RevenueReceivedEvent.OutputTuple,
+    RevenueReceivedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardFundsRequested"
+  ): TypedContractEvent<
+    RewardFundsRequestedEvent.InputTuple,
+    RewardFundsRequestedEvent.OutputTuple,
+    RewardFundsRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SourceAuthorized"
+  ): TypedContractEvent<
+    SourceAuthorizedEvent.InputTuple,
+    SourceAuthorizedEvent.OutputTuple,
+    SourceAuthorizedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TreasuryUpdated"
+  ): TypedContractEvent<
+    TreasuryUpdatedEvent.InputTuple,
+    TreasuryUpdatedEvent.OutputTuple,
+    TreasuryUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "APYCompressionAlert(uint256,uint256,uint256,uint256)": TypedContractEvent<
+      APYCompressionAlertEvent.InputTuple,
+      APYCompressionAlertEvent.OutputTuple,
+      APYCompressionAlertEvent.OutputObject
+    >;
+    APYCompressionAlert: TypedContractEvent<
+      APYCompressionAlertEvent.InputTuple,
+      APYCompressionAlertEvent.OutputTuple,
+      APYCompressionAlertEvent.OutputObject
+    >;
+
+    "AllocationUpdated(uint8,uint256,uint256)": TypedContractEvent<
+      AllocationUpdatedEvent.InputTuple,
+      AllocationUpdatedEvent.OutputTuple,
+      AllocationUpdatedEvent.OutputObject
+    >;
+    AllocationUpdated: TypedContractEvent<
+      AllocationUpdatedEvent.InputTuple,
+      AllocationUpdatedEvent.OutputTuple,
+      AllocationUpdatedEvent.OutputObject
+    >;
+
+    "AutoDistributionToggled(bool)": TypedContractEvent<
+      AutoDistributionToggledEvent.InputTuple,
+      AutoDistributionToggledEvent.OutputTuple,
+      AutoDistributionToggledEvent.OutputObject
+    >;
+    AutoDistributionToggled: TypedContractEvent<
+      AutoDistributionToggledEvent.InputTuple,
+      AutoDistributionToggledEvent.OutputTuple,
+      AutoDistributionToggledEvent.OutputObject
+    >;
+
+    "DeficitAccumulated(uint8,uint256,uint256)": TypedContractEvent<
+      DeficitAccumulatedEvent.InputTuple,
+      DeficitAccumulatedEvent.OutputTuple,
+      DeficitAccumulatedEvent.OutputObject
+    >;
+    DeficitAccumulated: TypedContractEvent<
+      DeficitAccumulatedEvent.InputTuple,
+      DeficitAccumulatedEvent.OutputTuple,
+      DeficitAccumulatedEvent.OutputObject
+    >;
+
+    "DistributionCycleInitialized(uint256,uint256)": TypedContractEvent<
+      DistributionCycleInitializedEvent.InputTuple,
+      DistributionCycleInitializedEvent.OutputTuple,
+      DistributionCycleInitializedEvent.OutputObject
+    >;
+    DistributionCycleInitialized: TypedContractEvent<
+      DistributionCycleInitializedEvent.InputTuple,
+      DistributionCycleInitializedEvent.OutputTuple,
+      DistributionCycleInitializedEvent.OutputObject
+    >;
+
+    "DistributionTriggered(uint256,uint256)": TypedContractEvent<
+      DistributionTriggeredEvent.InputTuple,
+      DistributionTriggeredEvent.OutputTuple,
+      DistributionTriggeredEvent.OutputObject
+    >;
+    DistributionTriggered: TypedContractEvent<
+      DistributionTriggeredEvent.InputTuple,
+      DistributionTriggeredEvent.OutputTuple,
+      DistributionTriggeredEvent.OutputObject
+    >;
+
+    "EmergencyFundsRequested(uint8,uint256,bool)": TypedContractEvent<
+      EmergencyFundsRequestedEvent.InputTuple,
+      EmergencyFundsRequestedEvent.OutputTuple,
+      EmergencyFundsRequestedEvent.OutputObject
+    >;
+    EmergencyFundsRequested: TypedContractEvent<
+      EmergencyFundsRequestedEvent.InputTuple,
+      EmergencyFundsRequestedEvent.OutputTuple,
+      EmergencyFundsRequestedEvent.OutputObject
+    >;
+
+    "EmergencyModeActivated(uint256,string)": TypedContractEvent<
+      EmergencyModeActivatedEvent.InputTuple,
+      EmergencyModeActivatedEvent.OutputTuple,
+      EmergencyModeActivatedEvent.OutputObject
+    >;
+    EmergencyModeActivated: TypedContractEvent<
+      EmergencyModeActivatedEvent.InputTuple,
+      EmergencyModeActivatedEvent.OutputTuple,
+      EmergencyModeActivatedEvent.OutputObject
+    >;
+
+    "EmergencyModeDeactivated(uint256)": TypedContractEvent<
+      EmergencyModeDeactivatedEvent.InputTuple,
+      EmergencyModeDeactivatedEvent.OutputTuple,
+      EmergencyModeDeactivatedEvent.OutputObject
+    >;
+    EmergencyModeDeactivated: TypedContractEvent<
+      EmergencyModeDeactivatedEvent.InputTuple,
+      EmergencyModeDeactivatedEvent.OutputTuple,
+      EmergencyModeDeactivatedEvent.OutputObject
+    >;
+
+    "EmergencyWithdrawal(address,uint256)": TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+    EmergencyWithdrawal: TypedContractEvent<
+      EmergencyWithdrawalEvent.InputTuple,
+      EmergencyWithdrawalEvent.OutputTuple,
+      EmergencyWithdrawalEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "ProtocolStatusChanged(uint8,uint8,uint8)": TypedContractEvent<
+      ProtocolStatusChangedEvent.InputTuple,
+      ProtocolStatusChangedEvent.OutputTuple,
+      ProtocolStatusChangedEvent.OutputObject
+    >;
+    ProtocolStatusChanged: TypedContractEvent<
+      ProtocolStatusChangedEvent.InputTuple,
+      ProtocolStatusChangedEvent.OutputTuple,
+      ProtocolStatusChangedEvent.OutputObject
+    >;
+
+    "RequesterAuthorized(address,bool)": TypedContractEvent<
+      RequesterAuthorizedEvent.InputTuple,
+      RequesterAuthorizedEvent.OutputTuple,
+      RequesterAuthorizedEvent.OutputObject
+    >;
+    RequesterAuthorized: TypedContractEvent<
+      RequesterAuthorizedEvent.InputTuple,
+      RequesterAuthorizedEvent.OutputTuple,
+      RequesterAuthorizedEvent.OutputObject
+    >;
+
+    "ReserveAccumulationToggled(bool)": TypedContractEvent<
+      ReserveAccumulationToggledEvent.InputTuple,
+      ReserveAccumulationToggledEvent.OutputTuple,
+      ReserveAccumulationToggledEvent.OutputObject
+    >;
+    ReserveAccumulationToggled: TypedContractEvent<
+      ReserveAccumulationToggledEvent.InputTuple,
+      ReserveAccumulationToggledEvent.OutputTuple,
+      ReserveAccumulationToggledEvent.OutputObject
+    >;
+
+    "ReserveAllocationUpdated(uint256,uint256)": TypedContractEvent<
+      ReserveAllocationUpdatedEvent.InputTuple,
+      ReserveAllocationUpdatedEvent.OutputTuple,
+      ReserveAllocationUpdatedEvent.OutputObject
+    >;
+    ReserveAllocationUpdated: TypedContractEvent<
+      ReserveAllocationUpdatedEvent.InputTuple,
+      ReserveAllocationUpdatedEvent.OutputTuple,
+      ReserveAllocationUpdatedEvent.OutputObject
+    >;
+
+    "ReserveFundDeposit(uint256,uint256)": TypedContractEvent<
+      ReserveFundDepositEvent.InputTuple,
+      ReserveFundDepositEvent.OutputTuple,
+      ReserveFundDepositEvent.OutputObject
+    >;
+    ReserveFundDeposit: TypedContractEvent<
+      ReserveFundDepositEvent.InputTuple,
+      ReserveFundDepositEvent.OutputTuple,
+      ReserveFundDepositEvent.OutputObject
+    >;
+
+    "ReserveFundWithdrawal(address,uint256,uint256,string)": TypedContractEvent<
+      ReserveFundWithdrawalEvent.InputTuple,
+      ReserveFundWithdrawalEvent.OutputTuple,
+      ReserveFundWithdrawalEvent.OutputObject
+    >;
+    ReserveFundWithdrawal: TypedContractEvent<
+      ReserveFundWithdrawalEvent.InputTuple,
+      ReserveFundWithdrawalEvent.OutputTuple,
+      ReserveFundWithdrawalEvent.OutputObject
+    >;
+
+    "ReserveFundsUsedForEmergency(uint8,uint256,string)": TypedContractEvent<
+      ReserveFundsUsedForEmergencyEvent.InputTuple,
+      ReserveFundsUsedForEmergencyEvent.OutputTuple,
+      ReserveFundsUsedForEmergencyEvent.OutputObject
+    >;
+    ReserveFundsUsedForEmergency: TypedContractEvent<
+      ReserveFundsUsedForEmergencyEvent.InputTuple,
+      ReserveFundsUsedForEmergencyEvent.OutputTuple,
+      ReserveFundsUsedForEmergencyEvent.OutputObject
+    >;
+
+    "RevenueDistributed(uint8,address,uint256)": TypedContractEvent<
+      RevenueDistributedEvent.InputTuple,
+      RevenueDistributedEvent.OutputTuple,
+      RevenueDistributedEvent.OutputObject
+    >;
+    RevenueDistributed: TypedContractEvent<
+      RevenueDistributedEvent.InputTuple,
+      RevenueDistributedEvent.OutputTuple,
+      RevenueDistributedEvent.OutputObject
+    >;
+
+    "RevenueDistributionFailed(uint8,address,uint256)": TypedContractEvent<
+      RevenueDistributionFailedEvent.InputTuple,
+      RevenueDistributionFailedEvent.OutputTuple,
+      RevenueDistributionFailedEvent.OutputObject
+    >;
+    RevenueDistributionFailed: TypedContractEvent<
+      RevenueDistributionFailedEvent.InputTuple,
+      RevenueDistributionFailedEvent.OutputTuple,
+      RevenueDistributionFailedEvent.OutputObject
+    >;
+
+    "RevenueReceived(address,uint256,string)": TypedContractEvent<
+      RevenueReceivedEvent.InputTuple,
+      RevenueReceivedEvent.OutputTuple,
+      RevenueReceivedEvent.OutputObject
+    >;
+    RevenueReceived: TypedContractEvent<
+      RevenueReceivedEvent.InputTuple,
+      RevenueReceivedEvent.OutputTuple,
+      RevenueReceivedEvent.OutputObject
+    >;
+
+    "RewardFundsRequested(address,uint256,bool)": TypedContractEvent<
+      RewardFundsRequestedEvent.InputTuple,
+      RewardFundsRequestedEvent.OutputTuple,
+      RewardFundsRequestedEvent.OutputObject
+    >;
+    RewardFundsRequested: TypedContractEvent<
+      RewardFundsRequestedEvent.InputTuple,
+      RewardFundsRequestedEvent.OutputTuple,
+      RewardFundsRequestedEvent.OutputObject
+    >;
+
+    "SourceAuthorized(address,bool)": TypedContractEvent<
+      SourceAuthorizedEvent.InputTuple,
+      SourceAuthorizedEvent.OutputTuple,
+      SourceAuthorizedEvent.OutputObject
+    >;
+    SourceAuthorized: TypedContractEvent<
+      SourceAuthorizedEvent.InputTuple,
+      SourceAuthorizedEvent.OutputTuple,
+      SourceAuthorizedEvent.OutputObject
+    >;
+
+    "TreasuryUpdated(uint8,address,address)": TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+    TreasuryUpdated: TypedContractEvent<
+      TreasuryUpdatedEvent.InputTuple,
+      TreasuryUpdatedEvent.OutputTuple,
+      TreasuryUpdatedEvent.OutputObject
+    >;
+  };
+}
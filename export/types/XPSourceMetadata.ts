@@ -0,0 +1,237 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace XPSourceMetadata {
+  export type SourceMetaStruct = {
+    label: string;
+    icon: string;
+    category: string;
+    description: string;
+    multiplierBps: BigNumberish;
+    baseXP: BigNumberish;
+  };
+
+  export type SourceMetaStructOutput = [
+    label: string,
+    icon: string,
+    category: string,
+    description: string,
+    multiplierBps: bigint,
+    baseXP: bigint
+  ] & {
+    label: string;
+    icon: string;
+    category: string;
+    description: string;
+    multiplierBps: bigint;
+    baseXP: bigint;
+  };
+}
+
+export interface XPSourceMetadataInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "TOTAL_SOURCES"
+      | "getAllCategories"
+      | "getAllSourceMetadata"
+      | "getSourceCategory"
+      | "getSourceLabel"
+      | "getSourceMetadata"
+      | "getSourceMultiplier"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "TOTAL_SOURCES",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllCategories",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSourceMetadata",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSourceCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSourceLabel",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSourceMetadata",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSourceMultiplier",
+    values: [BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "TOTAL_SOURCES",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllCategories",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSourceMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSourceCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSourceLabel",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSourceMetadata",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSourceMultiplier",
+    data: BytesLike
+  ): Result;
+}
+
+export interface XPSourceMetadata extends BaseContract {
+  connect(runner?: ContractRunner | null): XPSourceMetadata;
+  waitForDeployment(): Promise<this>;
+
+  interface: XPSourceMetadataInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  TOTAL_SOURCES: TypedContractMethod<[], [bigint], "view">;
+
+  getAllCategories: TypedContractMethod<
+    [],
+    [[string, string, string, string, string]],
+    "view"
+  >;
+
+  getAllSourceMetadata: TypedContractMethod<
+    [],
+    [XPSourceMetadata.SourceMetaStructOutput[]],
+    "view"
+  >;
+
+  getSourceCategory: TypedContractMethod<
+    [source: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  getSourceLabel: TypedContractMethod<[source: BigNumberish], [string], "view">;
+
+  getSourceMetadata: TypedContractMethod<
+    [source: BigNumberish],
+    [XPSourceMetadata.SourceMetaStructOutput],
+    "view"
+  >;
+
+  getSourceMultiplier: TypedContractMethod<
+    [source: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "TOTAL_SOURCES"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAllCategories"
+  ): TypedContractMethod<
+    [],
+    [[string, string, string, string, string]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAllSourceMetadata"
+  ): TypedContractMethod<
+    [],
+    [XPSourceMetadata.SourceMetaStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSourceCategory"
+  ): TypedContractMethod<[source: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSourceLabel"
+  ): TypedContractMethod<[source: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "getSourceMetadata"
+  ): TypedContractMethod<
+    [source: BigNumberish],
+    [XPSourceMetadata.SourceMetaStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSourceMultiplier"
+  ): TypedContractMethod<[source: BigNumberish], [bigint], "view">;
+
+  filters: {};
+}
@@ -0,0 +1,3 @@
+/* Autogenerated by scripts/ExportTypechain.cjs. Do not edit manually. */
+// Type-only entrypoint: import from "@nuxchain/protocol-export/types" with `import type`.
+export {};
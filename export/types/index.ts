@@ -0,0 +1,105 @@
+/* Autogenerated by scripts/ExportTypechain.cjs. Do not edit manually. */
+
+export type { AgentNuxPower } from "./AgentNuxPower";
+export type { BusinessAgentNFT } from "./BusinessAgentNFT";
+export type { CollaboratorBadgeRewards } from "./CollaboratorBadgeRewards";
+export type { DynamicAPYCalculator } from "./DynamicAPYCalculator";
+export type { FinanceAgentNFT } from "./FinanceAgentNFT";
+export type { Gamification } from "./Gamification";
+export type { IAPYCalculator } from "./IAPYCalculator";
+export type { IAgentRevenueTreasury } from "./IAgentRevenueTreasury";
+export type { IAuctionTreasury } from "./IAuctionTreasury";
+export type { IBadgeManager } from "./IBadgeManager";
+export type { ICategoryNFT } from "./ICategoryNFT";
+export type { IERC721Minimal } from "./IERC721Minimal";
+export type { IGameifiedMarketplace } from "./IGameifiedMarketplace";
+export type { IMarketplaceCore } from "./IMarketplaceCore";
+export type { IMarketplaceSocial } from "./IMarketplaceSocial";
+export type { IMarketplaceStatistics } from "./IMarketplaceStatistics";
+export type { IMarketplaceView } from "./IMarketplaceView";
+export type { IMiniGameNFT } from "./IMiniGameNFT";
+export type { IMiniGameRegistry } from "./IMiniGameRegistry";
+export type { IMiniGameTreasury } from "./IMiniGameTreasury";
+export type { INFTOwnerQuery } from "./INFTOwnerQuery";
+export type { INFTRentalHook } from "./INFTRentalHook";
+export type { INuxAgentNFT } from "./INuxAgentNFT";
+export type { INuxPower } from "./INuxPower";
+export type { INuxTapAgentMarketRegistry } from "./INuxTapAgentMarketRegistry";
+export type { INuxTapAgentMarketTreasury } from "./INuxTapAgentMarketTreasury";
+export type { INuxTapAgentRegistry } from "./INuxTapAgentRegistry";
+export type { INuxTapControllableNFT } from "./INuxTapControllableNFT";
+export type { INuxTapGameStore } from "./INuxTapGameStore";
+export type { INuxTapMarketNFT } from "./INuxTapMarketNFT";
+export type { INuxTapOwnerNFT } from "./INuxTapOwnerNFT";
+export type { INuxTapStoreTreasury } from "./INuxTapStoreTreasury";
+export type { INuxTapTreasuryGame } from "./INuxTapTreasuryGame";
+export type { IQuestCore } from "./IQuestCore";
+export type { IQuestPoolCaller } from "./IQuestPoolCaller";
+export type { IQuestRewardsPool } from "./IQuestRewardsPool";
+export type { IQuestTreasury } from "./IQuestTreasury";
+export type { IRentalAgentRegistry } from "./IRentalAgentRegistry";
+export type { IRentalTreasury } from "./IRentalTreasury";
+export type { ISmartStaking } from "./ISmartStaking";
+export type { ISmartStakingGamification } from "./ISmartStakingGamification";
+export type { ISmartStakingPower } from "./ISmartStakingPower";
+export type { ISmartStakingRewards } from "./ISmartStakingRewards";
+export type { ISmartStakingRewardsExtended } from "./ISmartStakingRewardsExtended";
+export type { ISmartStakingRewardsExtendedLib } from "./ISmartStakingRewardsExtendedLib";
+export type { ISmartStakingSkills } from "./ISmartStakingSkills";
+export type { ISocialQuestCore } from "./ISocialQuestCore";
+export type { IStakingIntegration } from "./IStakingIntegration";
+export type { IStakingQuestCore } from "./IStakingQuestCore";
+export type { IStakingViewData } from "./IStakingViewData";
+export type { ITreasuryManager } from "./ITreasuryManager";
+export type { ITreasuryReceiver } from "./ITreasuryReceiver";
+export type { IXPHub } from "./IXPHub";
+export type { LevelingSystem } from "./LevelingSystem";
+export type { MarketingAgentNFT } from "./MarketingAgentNFT";
+export type { MarketplaceCore } from "./MarketplaceCore";
+export type { MarketplaceCoreLib } from "./MarketplaceCoreLib";
+export type { MarketplaceProxy } from "./MarketplaceProxy";
+export type { MarketplaceSocial } from "./MarketplaceSocial";
+export type { MarketplaceStatistics } from "./MarketplaceStatistics";
+export type { MarketplaceView } from "./MarketplaceView";
+export type { NuxAgentFactory } from "./NuxAgentFactory";
+export type { NuxAgentMiniGame } from "./NuxAgentMiniGame";
+export type { NuxAgentNFTBase } from "./NuxAgentNFTBase";
+export type { NuxAgentPaymaster } from "./NuxAgentPaymaster";
+export type { NuxAgentRegistry } from "./NuxAgentRegistry";
+export type { NuxAgentRental } from "./NuxAgentRental";
+export type { NuxAuctionMarketplace } from "./NuxAuctionMarketplace";
+export type { NuxPowerMarketplace } from "./NuxPowerMarketplace";
+export type { NuxPowerMarketplaceImpl } from "./NuxPowerMarketplaceImpl";
+export type { NuxPowerNft } from "./NuxPowerNft";
+export type { NuxTapAgentMarketplace } from "./NuxTapAgentMarketplace";
+export type { NuxTapGame } from "./NuxTapGame";
+export type { NuxTapItemStore } from "./NuxTapItemStore";
+export type { NuxTapTreasury } from "./NuxTapTreasury";
+export type { QuestCore } from "./QuestCore";
+export type { QuestRewardsPool } from "./QuestRewardsPool";
+export type { ReferralSystem } from "./ReferralSystem";
+export type { SkillViewLib } from "./SkillViewLib";
+export type { SmartStakingCore } from "./SmartStakingCore";
+export type { SmartStakingCoreLib } from "./SmartStakingCoreLib";
+export type { SmartStakingGamification } from "./SmartStakingGamification";
+export type { SmartStakingPower } from "./SmartStakingPower";
+export type { SmartStakingRewards } from "./SmartStakingRewards";
+export type { SmartStakingSkills } from "./SmartStakingSkills";
+export type { SmartStakingView } from "./SmartStakingView";
+export type { SmartStakingViewCore } from "./SmartStakingViewCore";
+export type { SmartStakingViewDashboard } from "./SmartStakingViewDashboard";
+export type { SmartStakingViewSkills } from "./SmartStakingViewSkills";
+export type { SmartStakingViewStats } from "./SmartStakingViewStats";
+export type { SocialAgentNFT } from "./SocialAgentNFT";
+export type { TechAgentNFT } from "./TechAgentNFT";
+export type { TreasuryManager } from "./TreasuryManager";
+export type { XPSourceMetadata } from "./XPSourceMetadata";
+
+export type {
+  TypedContractMethod,
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener
+} from "./common";
@@ -0,0 +1,168 @@
+import { defineChain, getContract } from "viem";
+import { getChainId } from "viem/actions";
+
+import { SmartStakingCore } from "../abis/contracts/SmartStakingCore.js";
+import { SmartStakingViewCore } from "../abis/contracts/SmartStakingViewCore.js";
+import { SmartStakingViewStats } from "../abis/contracts/SmartStakingViewStats.js";
+import { SmartStakingViewSkills } from "../abis/contracts/SmartStakingViewSkills.js";
+import { MarketplaceCore } from "../abis/contracts/MarketplaceCore.js";
+import { MarketplaceView } from "../abis/contracts/MarketplaceView.js";
+import { MarketplaceStatistics } from "../abis/contracts/MarketplaceStatistics.js";
+import { TreasuryManager } from "../abis/contracts/TreasuryManager.js";
+import { NuxTapGame } from "../abis/contracts/NuxTapGame.js";
+import { NuxTapAgentMarketplace } from "../abis/contracts/NuxTapAgentMarketplace.js";
+import { NuxTapItemStore } from "../abis/contracts/NuxTapItemStore.js";
+import { NuxTapTreasury } from "../abis/contracts/NuxTapTreasury.js";
+import {
+  ChainMismatchError,
+  POLYGON_MAINNET,
+  UnsupportedChainError,
+  getAddressBook,
+  getContractAddresses,
+  isSupportedChain
+} from "../config/index.js";
+
+export {
+  SmartStakingCore,
+  SmartStakingViewCore,
+  SmartStakingViewStats,
+  SmartStakingViewSkills,
+  MarketplaceCore,
+  MarketplaceView,
+  MarketplaceStatistics,
+  TreasuryManager,
+  NuxTapGame,
+  NuxTapAgentMarketplace,
+  NuxTapItemStore,
+  NuxTapTreasury
+};
+export { SmartStakingViewDashboard } from "../abis/contracts/SmartStakingViewDashboard.js";
+export { SmartStakingRewards } from "../abis/contracts/SmartStakingRewards.js";
+export { SmartStakingPower } from "../abis/contracts/SmartStakingPower.js";
+export { MarketplaceSocial } from "../abis/contracts/MarketplaceSocial.js";
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+/**
+ * Converts `wallet_addEthereumChain` parameters (the shape of
+ * POLYGON_MAINNET) into a viem chain
+ */
+export function toViemChain(params) {
+  const [explorer] = params.blockExplorerUrls ?? [];
+
+  return defineChain({
+    id: Number(params.chainId),
+    name: params.chainName,
+    nativeCurrency: { ...params.nativeCurrency },
+    rpcUrls: { default: { http: [...params.rpcUrls] } },
+    blockExplorers: explorer ? { default: { name: new URL(explorer).hostname, url: explorer } } : undefined,
+    contracts: { multicall3: { address: MULTICALL3_ADDRESS } }
+  });
+}
+
+/** Polygon mainnet as a viem chain, built from POLYGON_MAINNET */
+export const polygonMainnet = toViemChain(POLYGON_MAINNET);
+
+function requireAddress(value, label) {
+  if (!value) {
+    throw new Error(`Missing ${label} address in contract config`);
+  }
+
+  return value;
+}
+
+// `client` is a viem Client or `{ public, wallet }`, as getContract() accepts
+function clientTarget(client) {
+  const target = "uid" in client ? client : client.public ?? client.wallet;
+  if (!target) {
+    throw new Error("Cannot detect network: no public or wallet client");
+  }
+
+  return target;
+}
+
+// Factories take an address map, a chainId to look one up, or nothing to use
+// the book of the client's chain. A chainId must match the client's chain.
+function resolveAddresses(client, addresses, factory) {
+  const chainId = clientTarget(client).chain?.id;
+
+  if (addresses === undefined || addresses === null) {
+    if (chainId === undefined) {
+      throw new Error(`${factory} needs a chainId or an address map when the client has no chain`);
+    }
+
+    return getContractAddresses(chainId);
+  }
+
+  if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+    const book = getContractAddresses(addresses);
+    if (chainId !== undefined && chainId !== Number(addresses)) {
+      throw isSupportedChain(chainId) ? new ChainMismatchError(Number(addresses), chainId) : new UnsupportedChainError(chainId);
+    }
+
+    return book;
+  }
+
+  return addresses;
+}
+
+export async function resolveChainId(client) {
+  const target = clientTarget(client);
+  return target.chain?.id ?? getChainId(target);
+}
+
+export function createTreasuryClient(client, addresses) {
+  const book = resolveAddresses(client, addresses, "createTreasuryClient");
+  return getContract({ address: book.TreasuryManager, abi: TreasuryManager, client });
+}
+
+export function createStakingClients(client, addresses) {
+  const book = resolveAddresses(client, addresses, "createStakingClients");
+  return {
+    stakingCore: getContract({ address: book.StakingCore, abi: SmartStakingCore, client }),
+    stakingViewCore: getContract({ address: book.StakingViewCore, abi: SmartStakingViewCore, client }),
+    stakingViewStats: getContract({ address: book.StakingViewStats, abi: SmartStakingViewStats, client }),
+    stakingViewSkills: getContract({ address: book.StakingViewSkills, abi: SmartStakingViewSkills, client })
+  };
+}
+
+export function createMarketplaceClients(client, addresses) {
+  const book = resolveAddresses(client, addresses, "createMarketplaceClients");
+  return {
+    marketplaceCore: getContract({ address: book.MarketplaceProxy, abi: MarketplaceCore, client }),
+    marketplaceView: getContract({ address: book.MarketplaceView, abi: MarketplaceView, client }),
+    marketplaceStatistics: getContract({ address: book.MarketplaceStatistics, abi: MarketplaceStatistics, client })
+  };
+}
+
+export function createNuxTapClients(client, addresses) {
+  const book = resolveAddresses(client, addresses, "createNuxTapClients");
+  return {
+    nuxTapGame: getContract({ address: requireAddress(book.NuxTapGame, "NuxTapGame"), abi: NuxTapGame, client }),
+    nuxTapAgentMarketplace: getContract({
+      address: requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace"),
+      abi: NuxTapAgentMarketplace,
+      client
+    }),
+    nuxTapStore: getContract({ address: requireAddress(book.NuxTapStore, "NuxTapStore"), abi: NuxTapItemStore, client }),
+    nuxTapTreasury: getContract({ address: requireAddress(book.NuxTapTreasury, "NuxTapTreasury"), abi: NuxTapTreasury, client })
+  };
+}
+
+export function createNuxchainClients(client, addresses) {
+  const book = resolveAddresses(client, addresses, "createNuxchainClients");
+  return {
+    ...createStakingClients(client, book),
+    ...createMarketplaceClients(client, book),
+    treasuryManager: createTreasuryClient(client, book)
+  };
+}
+
+/**
+ * Builds clients against the address book of the client's chain.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+export async function connectClients(client) {
+  const { addresses } = getAddressBook(await resolveChainId(client));
+  return createNuxchainClients(client, addresses);
+}
@@ -0,0 +1,209 @@
+import {
+  defineChain,
+  getContract,
+  type Address,
+  type Chain,
+  type Client,
+  type GetContractParameters
+} from "viem";
+import { getChainId } from "viem/actions";
+
+import { SmartStakingCore } from "../abis/contracts/SmartStakingCore";
+import { SmartStakingViewCore } from "../abis/contracts/SmartStakingViewCore";
+import { SmartStakingViewStats } from "../abis/contracts/SmartStakingViewStats";
+import { SmartStakingViewSkills } from "../abis/contracts/SmartStakingViewSkills";
+import { MarketplaceCore } from "../abis/contracts/MarketplaceCore";
+import { MarketplaceView } from "../abis/contracts/MarketplaceView";
+import { MarketplaceStatistics } from "../abis/contracts/MarketplaceStatistics";
+import { TreasuryManager } from "../abis/contracts/TreasuryManager";
+import { NuxTapGame } from "../abis/contracts/NuxTapGame";
+import { NuxTapAgentMarketplace } from "../abis/contracts/NuxTapAgentMarketplace";
+import { NuxTapItemStore } from "../abis/contracts/NuxTapItemStore";
+import { NuxTapTreasury } from "../abis/contracts/NuxTapTreasury";
+import {
+  ChainMismatchError,
+  POLYGON_MAINNET,
+  UnsupportedChainError,
+  getAddressBook,
+  getContractAddresses,
+  isSupportedChain,
+  type ChainIdLike,
+  type GeneratedContractAddresses
+} from "../config";
+
+// ABIs are `as const`, so getContract() infers method names, args and return types
+export {
+  SmartStakingCore,
+  SmartStakingViewCore,
+  SmartStakingViewStats,
+  SmartStakingViewSkills,
+  MarketplaceCore,
+  MarketplaceView,
+  MarketplaceStatistics,
+  TreasuryManager,
+  NuxTapGame,
+  NuxTapAgentMarketplace,
+  NuxTapItemStore,
+  NuxTapTreasury
+};
+export { SmartStakingViewDashboard } from "../abis/contracts/SmartStakingViewDashboard";
+export { SmartStakingRewards } from "../abis/contracts/SmartStakingRewards";
+export { SmartStakingPower } from "../abis/contracts/SmartStakingPower";
+export { MarketplaceSocial } from "../abis/contracts/MarketplaceSocial";
+
+/** A viem Client, or `{ public, wallet }` like getContract() accepts */
+export type ViemClient = GetContractParameters["client"];
+
+/** An address map, or a chainId whose generated address book should be used. */
+export type AddressSource = GeneratedContractAddresses | ChainIdLike;
+
+/** `wallet_addEthereumChain` parameters, the shape of POLYGON_MAINNET */
+export interface AddEthereumChainParameter {
+  chainId: string;
+  chainName: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  rpcUrls: readonly string[];
+  blockExplorerUrls?: readonly string[];
+}
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+/**
+ * Converts `wallet_addEthereumChain` parameters into a viem chain
+ */
+export function toViemChain(params: AddEthereumChainParameter): Chain {
+  const [explorer] = params.blockExplorerUrls ?? [];
+
+  return defineChain({
+    id: Number(params.chainId),
+    name: params.chainName,
+    nativeCurrency: { ...params.nativeCurrency },
+    rpcUrls: { default: { http: [...params.rpcUrls] } },
+    blockExplorers: explorer ? { default: { name: new URL(explorer).hostname, url: explorer } } : undefined,
+    contracts: { multicall3: { address: MULTICALL3_ADDRESS } }
+  });
+}
+
+/** Polygon mainnet as a viem chain, built from POLYGON_MAINNET */
+export const polygonMainnet = toViemChain(POLYGON_MAINNET);
+
+function requireAddress(value: string | undefined, label: string): Address {
+  if (!value) {
+    throw new Error(`Missing ${label} address in contract config`);
+  }
+
+  return value as Address;
+}
+
+function clientTarget(client: ViemClient): Client {
+  const target = ("uid" in client ? client : client.public ?? client.wallet) as Client | undefined;
+  if (!target) {
+    throw new Error("Cannot detect network: no public or wallet client");
+  }
+
+  return target;
+}
+
+// Without an address source the book of the client's chain is used; a chainId must match that chain
+function resolveAddresses(
+  client: ViemClient,
+  addresses: AddressSource | undefined,
+  factory: string
+): GeneratedContractAddresses {
+  const chainId = clientTarget(client).chain?.id;
+
+  if (addresses === undefined || addresses === null) {
+    if (chainId === undefined) {
+      throw new Error(`${factory} needs a chainId or an address map when the client has no chain`);
+    }
+
+    return getContractAddresses(chainId);
+  }
+
+  if (typeof addresses === "number" || typeof addresses === "bigint" || typeof addresses === "string") {
+    const book = getContractAddresses(addresses);
+    if (chainId !== undefined && chainId !== Number(addresses)) {
+      throw isSupportedChain(chainId) ? new ChainMismatchError(Number(addresses), chainId) : new UnsupportedChainError(chainId);
+    }
+
+    return book;
+  }
+
+  return addresses;
+}
+
+export async function resolveChainId(client: ViemClient): Promise<number> {
+  const target = clientTarget(client);
+  return target.chain?.id ?? getChainId(target);
+}
+
+export function createTreasuryClient<const TClient extends ViemClient>(
+  client: TClient,
+  addresses?: AddressSource
+) {
+  const book = resolveAddresses(client, addresses, "createTreasuryClient");
+  return getContract({ address: book.TreasuryManager as Address, abi: TreasuryManager, client });
+}
+
+export function createStakingClients<const TClient extends ViemClient>(
+  client: TClient,
+  addresses?: AddressSource
+) {
+  const book = resolveAddresses(client, addresses, "createStakingClients");
+  return {
+    stakingCore: getContract({ address: book.StakingCore as Address, abi: SmartStakingCore, client }),
+    stakingViewCore: getContract({ address: book.StakingViewCore as Address, abi: SmartStakingViewCore, client }),
+    stakingViewStats: getContract({ address: book.StakingViewStats as Address, abi: SmartStakingViewStats, client }),
+    stakingViewSkills: getContract({ address: book.StakingViewSkills as Address, abi: SmartStakingViewSkills, client })
+  };
+}
+
+export function createMarketplaceClients<const TClient extends ViemClient>(
+  client: TClient,
+  addresses?: AddressSource
+) {
+  const book = resolveAddresses(client, addresses, "createMarketplaceClients");
+  return {
+    marketplaceCore: getContract({ address: book.MarketplaceProxy as Address, abi: MarketplaceCore, client }),
+    marketplaceView: getContract({ address: book.MarketplaceView as Address, abi: MarketplaceView, client }),
+    marketplaceStatistics: getContract({ address: book.MarketplaceStatistics as Address, abi: MarketplaceStatistics, client })
+  };
+}
+
+export function createNuxTapClients<const TClient extends ViemClient>(
+  client: TClient,
+  addresses?: AddressSource
+) {
+  const book = resolveAddresses(client, addresses, "createNuxTapClients");
+  return {
+    nuxTapGame: getContract({ address: requireAddress(book.NuxTapGame, "NuxTapGame"), abi: NuxTapGame, client }),
+    nuxTapAgentMarketplace: getContract({
+      address: requireAddress(book.NuxTapAgentMarketplace, "NuxTapAgentMarketplace"),
+      abi: NuxTapAgentMarketplace,
+      client
+    }),
+    nuxTapStore: getContract({ address: requireAddress(book.NuxTapStore, "NuxTapStore"), abi: NuxTapItemStore, client }),
+    nuxTapTreasury: getContract({ address: requireAddress(book.NuxTapTreasury, "NuxTapTreasury"), abi: NuxTapTreasury, client })
+  };
+}
+
+export function createNuxchainClients<const TClient extends ViemClient>(
+  client: TClient,
+  addresses?: AddressSource
+) {
+  const book = resolveAddresses(client, addresses, "createNuxchainClients");
+  return {
+    ...createStakingClients(client, book),
+    ...createMarketplaceClients(client, book),
+    treasuryManager: createTreasuryClient(client, book)
+  };
+}
+
+/**
+ * Builds clients against the address book of the client's chain.
+ * Throws UnsupportedChainError when the protocol is not deployed there.
+ */
+export async function connectClients<const TClient extends ViemClient>(client: TClient) {
+  const { addresses } = getAddressBook(await resolveChainId(client));
+  return createNuxchainClients(client, addresses);
+}
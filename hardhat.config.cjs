@@ -1,6 +1,11 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 require("@openzeppelin/hardhat-upgrades");
+const { resolveRpcUrls } = require("@nuxchain/protocol-export/providers");
+
+// Primer endpoint de RPC_ENDPOINTS con sus keys: Alchemy si hay ALCHEMY_API_KEY,
+// si no el RPC público. RPC_URLS_<chainId> tiene prioridad.
+const rpcUrl = (chainId) => resolveRpcUrls(chainId, { env: process.env })[0].url;
 
 module.exports = {
   solidity: {
@@ -221,7 +226,7 @@ module.exports = {
       allowUnlimitedContractSize: true
     },
     polygon: {
-      url: `https://polygon-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      url: rpcUrl(137),
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: 137,
       gas: "auto", // Estimación automática de gas
@@ -234,7 +239,7 @@ module.exports = {
     },
     // Red de prueba Polygon Mumbai (ya deprecated, usar Amoy)
     polygonAmoy: {
-      url: `https://polygon-amoy.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      url: rpcUrl(80002),
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: 80002,
       gas: "auto",
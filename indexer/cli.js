@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — EVENT INDEXER                              ║
+ * ║                                                                  ║
+ * ║  Pulls logs of every protocol contract, decodes them with the   ║
+ * ║  exported ABIs and stores them in SQLite. Resumes from the      ║
+ * ║  stored cursor and rolls back reorganized blocks.               ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    node indexer/cli.js --network polygon          # follow      ║
+ * ║    node indexer/cli.js --network localhost --once # catch up    ║
+ * ║                                                                  ║
+ * ║  ENV (optional):                                                 ║
+ * ║    INDEXER_RPC_URL        RPC endpoint (default per network)    ║
+ * ║    INDEXER_DB             default indexer/data/<network>.sqlite ║
+ * ║    INDEXER_FROM_BLOCK     first block for an empty database     ║
+ * ║    INDEXER_CONFIRMATIONS  blocks behind head (default 0)        ║
+ * ║    INDEXER_BATCH_SIZE     blocks per getLogs (default 2000)     ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import dotenv from "dotenv";
+import { JsonRpcProvider } from "ethers";
+
+import { EventIndexer, EventStore } from "./index.js";
+
+dotenv.config({ override: true });
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const RPC_URLS = {
+  polygon: () => `https://polygon-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+  polygonAmoy: () => `https://polygon-amoy.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+  localhost: () => "http://127.0.0.1:8545"
+};
+
+function parseArgs(argv) {
+  const networkIndex = argv.indexOf("--network");
+  return {
+    network: networkIndex >= 0 ? argv[networkIndex + 1] : "polygon",
+    once: argv.includes("--once")
+  };
+}
+
+function loadDeployment(network) {
+  const file = path.join(ROOT, "deployments", network, "complete-deployment.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function optionalNumber(name) {
+  return process.env[name] ? Number(process.env[name]) : undefined;
+}
+
+async function main() {
+  const { network, once } = parseArgs(process.argv.slice(2));
+  const rpcUrl = process.env.INDEXER_RPC_URL || (RPC_URLS[network] && RPC_URLS[network]());
+  if (!rpcUrl) throw new Error(`❌ No RPC for network "${network}". Set INDEXER_RPC_URL`);
+
+  const provider = new JsonRpcProvider(rpcUrl);
+  const store = new EventStore(process.env.INDEXER_DB || path.join(ROOT, "indexer", "data", `${network}.sqlite`));
+
+  const options = {
+    store,
+    deployment: loadDeployment(network),
+    confirmations: optionalNumber("INDEXER_CONFIRMATIONS"),
+    batchSize: optionalNumber("INDEXER_BATCH_SIZE"),
+    startBlock: optionalNumber("INDEXER_FROM_BLOCK"),
+    onBatch: ({ fromBlock, toBlock, events }) => {
+      console.log(`   📥 ${fromBlock} → ${toBlock}: ${events.length} event(s)`);
+    },
+    onReorg: ({ fromBlock, toBlock, removed }) => {
+      console.log(`   ♻️  Reorg: blocks ${fromBlock} → ${toBlock} rolled back (${removed} event(s) removed)`);
+    }
+  };
+  // Leave the indexer defaults in place for unset options
+  Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+
+  const indexer = await EventIndexer.create(provider, options);
+
+  console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+  console.log("║  📡 NUXCHAIN EVENT INDEXER                                                  ║");
+  console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+  console.log(`\n   Network   : ${network} (chainId ${indexer.chainId})`);
+  console.log(`   Contracts : ${indexer.contracts.map((c) => c.name).join(", ")}`);
+  if (indexer.missing.length > 0) {
+    console.log(`   ⚠️  No address: ${indexer.missing.join(", ")}`);
+  }
+  const cursor = store.getCursor(indexer.chainId);
+  console.log(`   Resume at : ${cursor ? cursor.blockNumber + 1 : indexer.startBlock}\n`);
+
+  if (once) {
+    const result = await indexer.syncOnce();
+    console.log(`\n   ✅ Indexed to block ${result.cursor?.blockNumber ?? "-"} (head ${result.head}), ${result.events} new event(s)\n`);
+    store.close();
+    return;
+  }
+
+  const controller = new AbortController();
+  process.on("SIGINT", () => controller.abort());
+  process.on("SIGTERM", () => controller.abort());
+
+  await indexer.run({ signal: controller.signal });
+  store.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => { console.error(err.message || err); process.exit(1); });
@@ -0,0 +1,4 @@
+export { EventIndexer, ReorgTooDeepError } from "./src/indexer.js";
+export { EventStore } from "./src/store.js";
+export { INDEXED_CONTRACTS, defaultStartBlock, resolveIndexedContracts } from "./src/contracts.js";
+export { toRecordArgs, fromStoredArgs } from "./src/decode.js";
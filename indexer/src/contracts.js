@@ -0,0 +1,100 @@
+import { Interface, getAddress } from "ethers";
+
+import abiCatalog from "../../export/abis/all-abis.json" with { type: "json" };
+import { CONTRACT_CONSTANTS, isSupportedChain, getContractAddresses } from "../../export/config/index.js";
+
+/**
+ * Contracts the indexer follows. Each one is located by its key in the export
+ * address book and/or its `section.key` id in complete-deployment.json.
+ */
+export const INDEXED_CONTRACTS = Object.freeze([
+  // Treasury
+  { name: "TreasuryManager", addressKey: "TreasuryManager", deploymentId: "treasury.manager" },
+  { name: "QuestRewardsPool", addressKey: "QuestRewardsPool", deploymentId: "treasury.questRewardsPool" },
+
+  // Smart Staking
+  { name: "SmartStakingCore", addressKey: "StakingCore", deploymentId: "staking.core" },
+  { name: "SmartStakingRewards", addressKey: "StakingRewards", deploymentId: "staking.rewards" },
+  { name: "SmartStakingPower", addressKey: "StakingSkills", deploymentId: "staking.power" },
+  { name: "SmartStakingGamification", addressKey: "StakingGamification", deploymentId: "staking.gamification" },
+  { name: "DynamicAPYCalculator", addressKey: "DynamicAPYCalculator", deploymentId: "staking.dynamicAPY" },
+
+  // Marketplace
+  { name: "MarketplaceCore", addressKey: "MarketplaceProxy", deploymentId: "marketplace.core" },
+  { name: "MarketplaceStatistics", addressKey: "MarketplaceStatistics", deploymentId: "marketplace.statistics" },
+  { name: "MarketplaceSocial", addressKey: "MarketplaceSocial", deploymentId: "marketplace.social" },
+  { name: "LevelingSystem", addressKey: "MarketplaceLeveling", deploymentId: "marketplace.leveling" },
+  { name: "ReferralSystem", addressKey: "MarketplaceReferral", deploymentId: "marketplace.referral" },
+  { name: "NuxPowerNft", addressKey: "MarketplaceSkillsNFT", deploymentId: "marketplace.nuxPowerNft" },
+  { name: "NuxPowerMarketplace", addressKey: "IndividualSkills", deploymentId: "marketplace.nuxPowerMarketplace" },
+  { name: "QuestCore", addressKey: "QuestCore", deploymentId: "marketplace.questCore" },
+  { name: "CollaboratorBadgeRewards", addressKey: "CollaboratorBadges", deploymentId: "marketplace.collaboratorRewards" },
+  { name: "NuxAuctionMarketplace", deploymentId: "other.nuxAuctionMarketplace" },
+
+  // NuxTap
+  { name: "NuxTapGame", addressKey: "NuxTapGame", deploymentId: "nuxtap.game" },
+  { name: "NuxTapAgentMarketplace", addressKey: "NuxTapAgentMarketplace", deploymentId: "nuxtap.agentMarketplace" },
+  { name: "NuxTapItemStore", addressKey: "NuxTapStore", deploymentId: "nuxtap.store" },
+  { name: "NuxTapTreasury", addressKey: "NuxTapTreasury", deploymentId: "nuxtap.treasury" },
+
+  // NuxAgent
+  { name: "NuxAgentRegistry", deploymentId: "other.nuxAgentRegistry" },
+  { name: "NuxAgentFactory", deploymentId: "other.nuxAgentFactory" },
+  { name: "NuxAgentRental", deploymentId: "other.nuxAgentRental" },
+  { name: "NuxAgentMiniGame", deploymentId: "other.nuxAgentMiniGame" },
+  { name: "NuxAgentPaymaster", deploymentId: "other.nuxAgentPaymaster" }
+]);
+
+// Polygon mainnet starts at the protocol deployment block; other chains
+// (Amoy, local Hardhat nodes) are indexed from genesis unless told otherwise.
+export function defaultStartBlock(chainId) {
+  return Number(chainId) === CONTRACT_CONSTANTS.CHAIN_ID ? CONTRACT_CONSTANTS.DEPLOYMENT_BLOCK : 0;
+}
+
+function lookupDeploymentId(deployment, id) {
+  const groups = deployment?.contracts || deployment || {};
+  const [section, key] = id.split(".");
+  const value = groups[section] && groups[section][key];
+  return typeof value === "string" ? value : null;
+}
+
+/**
+ * Resolves the address of every indexed contract for a chain. Later sources
+ * win: export address book, then complete-deployment.json, then `addresses`
+ * (contract name → address).
+ *
+ * @returns {{contracts: Array<{name, address, iface}>, missing: string[]}}
+ */
+export function resolveIndexedContracts(chainId, { deployment = null, addresses = {}, only = null } = {}) {
+  const book = isSupportedChain(chainId) ? getContractAddresses(chainId) : {};
+  const contracts = [];
+  const missing = [];
+  const seen = new Set();
+
+  for (const entry of INDEXED_CONTRACTS) {
+    if (only && !only.includes(entry.name)) continue;
+
+    const address = addresses[entry.name] ||
+      (entry.deploymentId && deployment && lookupDeploymentId(deployment, entry.deploymentId)) ||
+      (entry.addressKey && book[entry.addressKey]) ||
+      null;
+
+    if (!address) {
+      missing.push(entry.name);
+      continue;
+    }
+
+    const normalized = getAddress(address);
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    const abi = abiCatalog[entry.name]?.abi;
+    if (!abi) {
+      throw new Error(`No exported ABI for ${entry.name}. Run npm run export:abis`);
+    }
+
+    contracts.push({ name: entry.name, address: normalized, iface: new Interface(abi) });
+  }
+
+  return { contracts, missing };
+}
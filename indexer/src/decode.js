@@ -0,0 +1,69 @@
+/**
+ * Converts decoded log values to plain records keyed by parameter name and
+ * back. Integers stay `bigint` in memory and are stored as decimal strings.
+ */
+
+function isInteger(param) {
+  return param.baseType.startsWith("uint") || param.baseType.startsWith("int");
+}
+
+function toRecordValue(value, param) {
+  // Indexed dynamic values (string, bytes, arrays, tuples) only expose their hash
+  if (value && typeof value === "object" && value._isIndexed) {
+    return value.hash;
+  }
+  if (param.baseType === "tuple") {
+    return Object.fromEntries(param.components.map((component, i) => [
+      component.name || String(i),
+      toRecordValue(value[i], component)
+    ]));
+  }
+  if (param.baseType === "array") {
+    return Array.from(value, (item) => toRecordValue(item, param.arrayChildren));
+  }
+  return value;
+}
+
+function fromStoredValue(value, param) {
+  // An indexed array or tuple was stored as its topic hash
+  if (typeof value === "string" && (param.baseType === "tuple" || param.baseType === "array")) {
+    return value;
+  }
+  if (param.baseType === "tuple") {
+    return Object.fromEntries(param.components.map((component, i) => {
+      const key = component.name || String(i);
+      return [key, fromStoredValue(value[key], component)];
+    }));
+  }
+  if (param.baseType === "array") {
+    return value.map((item) => fromStoredValue(item, param.arrayChildren));
+  }
+  return isInteger(param) && value !== null ? BigInt(value) : value;
+}
+
+/**
+ * @param {import("ethers").LogDescription} parsed
+ * @returns {Object} parameter name → value
+ */
+export function toRecordArgs(parsed) {
+  return Object.fromEntries(parsed.fragment.inputs.map((input, i) => [
+    input.name || String(i),
+    toRecordValue(parsed.args[i], input)
+  ]));
+}
+
+/**
+ * @param {import("ethers").EventFragment} fragment
+ * @param {Object} stored - args as read back from the store
+ * @returns {Object}
+ */
+export function fromStoredArgs(fragment, stored) {
+  return Object.fromEntries(fragment.inputs.map((input, i) => {
+    const key = input.name || String(i);
+    return [key, fromStoredValue(stored[key], input)];
+  }));
+}
+
+export function stringifyArgs(args) {
+  return JSON.stringify(args, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
@@ -0,0 +1,251 @@
+import { getAddress } from "ethers";
+
+import { defaultStartBlock, resolveIndexedContracts } from "./contracts.js";
+import { fromStoredArgs, toRecordArgs } from "./decode.js";
+
+export class ReorgTooDeepError extends Error {
+  constructor(chainId, blockNumber, depth) {
+    super(`Chain ${chainId} reorganized below block ${blockNumber - depth}; no stored block within ${depth} blocks is still canonical. Re-index from scratch.`);
+    this.name = "ReorgTooDeepError";
+    this.chainId = chainId;
+    this.blockNumber = blockNumber;
+    this.depth = depth;
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+});
+
+/**
+ * Pulls protocol logs in block ranges, decodes them with the exported ABIs and
+ * commits each range to an EventStore together with the new cursor.
+ *
+ * Before every sync the stored cursor hash is compared with the chain. If it
+ * was reorganized away, the store is rolled back to the newest stored block
+ * that is still canonical and that range is indexed again.
+ */
+export class EventIndexer {
+  /**
+   * @param {Object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {import("./store.js").EventStore} options.store
+   * @param {Array<{name, address, iface}>} options.contracts - see resolveIndexedContracts()
+   * @param {number} options.chainId
+   * @param {number} [options.startBlock] - first block when the store is empty
+   * @param {number} [options.batchSize] - blocks per eth_getLogs call
+   * @param {number} [options.confirmations] - blocks to stay behind the head
+   * @param {number} [options.reorgDepth] - block hashes kept to find a common ancestor
+   * @param {Function} [options.onBatch] - called with {fromBlock, toBlock, events} after each commit
+   * @param {Function} [options.onReorg] - called with {fromBlock, toBlock, removed} after a rollback
+   */
+  constructor({
+    provider,
+    store,
+    contracts,
+    chainId,
+    startBlock = defaultStartBlock(chainId),
+    batchSize = 2000,
+    confirmations = 0,
+    reorgDepth = 128,
+    onBatch = null,
+    onReorg = null
+  }) {
+    if (contracts.length === 0) {
+      throw new Error(`No contract addresses to index on chain ${chainId}`);
+    }
+
+    this.provider = provider;
+    this.store = store;
+    this.contracts = contracts;
+    this.chainId = Number(chainId);
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.onBatch = onBatch;
+    this.onReorg = onReorg;
+
+    this.byAddress = new Map(contracts.map((contract) => [contract.address, contract]));
+    this.byName = new Map(contracts.map((contract) => [contract.name, contract]));
+  }
+
+  /**
+   * Builds an indexer for the provider's chain with the addresses from the
+   * export package, an optional complete-deployment.json and overrides.
+   * @param {import("ethers").Provider} provider
+   * @param {Object} options - {store, deployment, addresses, only, ...constructor options}
+   * @returns {Promise<EventIndexer>}
+   */
+  static async create(provider, { deployment, addresses, only, ...options }) {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const { contracts, missing } = resolveIndexedContracts(chainId, { deployment, addresses, only });
+
+    const indexer = new EventIndexer({ provider, chainId, contracts, ...options });
+    indexer.missing = missing;
+    return indexer;
+  }
+
+  /**
+   * Rolls the store back if the chain no longer contains the cursor block
+   * @returns {Promise<{fromBlock: number, toBlock: number, removed: number}|null>}
+   */
+  async handleReorg() {
+    const cursor = this.store.getCursor(this.chainId);
+    if (!cursor) return null;
+
+    const current = await this.provider.getBlock(cursor.blockNumber);
+    if (current && current.hash === cursor.blockHash) return null;
+
+    const candidates = this.store.recentBlocks(this.chainId, cursor.blockNumber - 1, this.reorgDepth);
+    let ancestor = null;
+    for (const candidate of candidates) {
+      const block = await this.provider.getBlock(candidate.blockNumber);
+      if (block && block.hash === candidate.blockHash) {
+        ancestor = candidate;
+        break;
+      }
+    }
+
+    if (!ancestor) {
+      if (cursor.blockNumber - this.reorgDepth >= this.startBlock) {
+        throw new ReorgTooDeepError(this.chainId, cursor.blockNumber, this.reorgDepth);
+      }
+      // Shallow chain (e.g. a local node): start over from startBlock
+      ancestor = { blockNumber: this.startBlock - 1, blockHash: null };
+    }
+
+    const removed = this.store.rollback(this.chainId, ancestor.blockNumber, ancestor.blockHash);
+    const reorg = { fromBlock: ancestor.blockNumber + 1, toBlock: cursor.blockNumber, removed };
+    if (this.onReorg) await this.onReorg(reorg);
+    return reorg;
+  }
+
+  /**
+   * Indexes [fromBlock, toBlock] and commits it. Ranges the RPC rejects
+   * (too many results / range too wide) are split in half.
+   * @returns {Promise<{fromBlock, toBlock, events}|null>} null if the chain
+   *   changed while the range was being read; the next sync handles it
+   */
+  async indexRange(fromBlock, toBlock) {
+    let logs;
+    try {
+      logs = await this.provider.getLogs({
+        address: [...this.byAddress.keys()],
+        fromBlock,
+        toBlock
+      });
+    } catch (error) {
+      if (toBlock <= fromBlock) throw error;
+
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      const first = await this.indexRange(fromBlock, middle);
+      if (!first) return null;
+      const second = await this.indexRange(middle + 1, toBlock);
+      if (!second) return null;
+      return { fromBlock, toBlock, events: [...first.events, ...second.events] };
+    }
+
+    const numbers = [...new Set([...logs.map((log) => log.blockNumber), toBlock])];
+    const headers = new Map();
+    for (const number of numbers) {
+      headers.set(number, await this.provider.getBlock(number));
+    }
+
+    if ([...headers.values()].some((header) => !header)) return null;
+
+    const events = [];
+    for (const log of logs) {
+      const header = headers.get(log.blockNumber);
+      if (log.blockHash !== header.hash) return null;
+
+      const contract = this.byAddress.get(getAddress(log.address));
+      const parsed = contract && contract.iface.parseLog({ topics: [...log.topics], data: log.data });
+      if (!parsed) continue;
+
+      events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        contract: contract.name,
+        address: contract.address,
+        event: parsed.name,
+        signature: parsed.signature,
+        args: toRecordArgs(parsed),
+        timestamp: header.timestamp
+      });
+    }
+
+    const end = headers.get(toBlock);
+    this.store.commit(this.chainId, {
+      events,
+      blocks: [...headers.values()].map((header) => ({
+        number: header.number,
+        hash: header.hash,
+        timestamp: header.timestamp
+      })),
+      cursor: { number: end.number, hash: end.hash },
+      keepBlocks: this.reorgDepth
+    });
+
+    const batch = { fromBlock, toBlock, events };
+    if (this.onBatch) await this.onBatch(batch);
+    return batch;
+  }
+
+  /**
+   * Handles a reorg if there was one, then indexes up to head - confirmations
+   * @returns {Promise<{reorg, head, cursor, events: number}>}
+   */
+  async syncOnce() {
+    const reorg = await this.handleReorg();
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+
+    const cursor = this.store.getCursor(this.chainId);
+    let fromBlock = cursor ? cursor.blockNumber + 1 : this.startBlock;
+    let events = 0;
+
+    while (fromBlock <= target) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, target);
+      const batch = await this.indexRange(fromBlock, toBlock);
+      if (!batch) break;
+
+      events += batch.events.length;
+      fromBlock = toBlock + 1;
+    }
+
+    return { reorg, head, cursor: this.store.getCursor(this.chainId), events };
+  }
+
+  /**
+   * Follows the chain until `signal` is aborted
+   * @param {Object} options - {pollInterval, signal, onError}
+   */
+  async run({ pollInterval = 4000, signal, onError = (error) => console.error(error) } = {}) {
+    while (!signal?.aborted) {
+      try {
+        await this.syncOnce();
+      } catch (error) {
+        if (error instanceof ReorgTooDeepError) throw error;
+        onError(error);
+      }
+      await sleep(pollInterval, signal);
+    }
+  }
+
+  /**
+   * Stored events of this chain with integer args revived to bigint
+   * @param {Object} filter - {contract, event, fromBlock, toBlock, limit}
+   * @returns {Array<Object>}
+   */
+  events(filter = {}) {
+    return this.store.events({ ...filter, chainId: this.chainId }).map((row) => {
+      const contract = this.byName.get(row.contract);
+      const fragment = contract && contract.iface.getEvent(row.signature);
+      return fragment ? { ...row, args: fromStoredArgs(fragment, row.args) } : row;
+    });
+  }
+}
@@ -0,0 +1,205 @@
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+
+import { stringifyArgs } from "./decode.js";
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cursor (
+    chain_id      INTEGER PRIMARY KEY,
+    block_number  INTEGER NOT NULL,
+    block_hash    TEXT    NOT NULL,
+    updated_at    TEXT    NOT NULL
+  );
+
+  -- Recent canonical block hashes, used to find the common ancestor on a reorg
+  CREATE TABLE IF NOT EXISTS blocks (
+    chain_id      INTEGER NOT NULL,
+    block_number  INTEGER NOT NULL,
+    block_hash    TEXT    NOT NULL,
+    timestamp     INTEGER NOT NULL,
+    PRIMARY KEY (chain_id, block_number)
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    chain_id      INTEGER NOT NULL,
+    block_number  INTEGER NOT NULL,
+    block_hash    TEXT    NOT NULL,
+    log_index     INTEGER NOT NULL,
+    tx_hash       TEXT    NOT NULL,
+    contract      TEXT    NOT NULL,
+    address       TEXT    NOT NULL,
+    event         TEXT    NOT NULL,
+    signature     TEXT    NOT NULL,
+    args          TEXT    NOT NULL,
+    timestamp     INTEGER NOT NULL,
+    PRIMARY KEY (chain_id, block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (chain_id, contract, event, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_tx ON events (tx_hash);
+`;
+
+/**
+ * SQLite store for decoded events, the indexing cursor and the recent block
+ * hashes the indexer compares against the chain to detect reorgs.
+ */
+export class EventStore {
+  /**
+   * @param {string} filename - database file, or ":memory:"
+   */
+  constructor(filename = ":memory:") {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.migrate();
+
+    this.statements = {
+      getCursor: this.db.prepare("SELECT block_number, block_hash FROM cursor WHERE chain_id = ?"),
+      setCursor: this.db.prepare(`
+        INSERT INTO cursor (chain_id, block_number, block_hash, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (chain_id) DO UPDATE SET
+          block_number = excluded.block_number,
+          block_hash = excluded.block_hash,
+          updated_at = excluded.updated_at
+      `),
+      deleteCursor: this.db.prepare("DELETE FROM cursor WHERE chain_id = ?"),
+      insertBlock: this.db.prepare(
+        "INSERT OR REPLACE INTO blocks (chain_id, block_number, block_hash, timestamp) VALUES (?, ?, ?, ?)"
+      ),
+      insertEvent: this.db.prepare(`
+        INSERT OR REPLACE INTO events
+          (chain_id, block_number, block_hash, log_index, tx_hash, contract, address, event, signature, args, timestamp)
+        VALUES
+          (@chainId, @blockNumber, @blockHash, @logIndex, @txHash, @contract, @address, @event, @signature, @args, @timestamp)
+      `),
+      recentBlocks: this.db.prepare(
+        "SELECT block_number, block_hash FROM blocks WHERE chain_id = ? AND block_number <= ? ORDER BY block_number DESC LIMIT ?"
+      ),
+      deleteEventsAfter: this.db.prepare("DELETE FROM events WHERE chain_id = ? AND block_number > ?"),
+      deleteBlocksAfter: this.db.prepare("DELETE FROM blocks WHERE chain_id = ? AND block_number > ?"),
+      pruneBlocks: this.db.prepare("DELETE FROM blocks WHERE chain_id = ? AND block_number < ?")
+    };
+  }
+
+  migrate() {
+    const version = this.db.pragma("user_version", { simple: true });
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Indexer database schema v${version} is newer than this indexer (v${SCHEMA_VERSION})`);
+    }
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
+  /**
+   * @returns {{blockNumber: number, blockHash: string}|null} last fully indexed block
+   */
+  getCursor(chainId) {
+    const row = this.statements.getCursor.get(Number(chainId));
+    return row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null;
+  }
+
+  /**
+   * Stored canonical hashes at or below `blockNumber`, newest first
+   * @returns {Array<{blockNumber: number, blockHash: string}>}
+   */
+  recentBlocks(chainId, blockNumber, limit) {
+    return this.statements.recentBlocks.all(Number(chainId), blockNumber, limit)
+      .map((row) => ({ blockNumber: row.block_number, blockHash: row.block_hash }));
+  }
+
+  /**
+   * Writes one indexed range atomically: its events, the block hashes seen
+   * and the new cursor. An interrupted run never leaves a partial range.
+   * @param {number} chainId
+   * @param {Object} batch - {events, blocks: [{number, hash, timestamp}], cursor: {number, hash}, keepBlocks}
+   */
+  commit(chainId, { events, blocks, cursor, keepBlocks }) {
+    chainId = Number(chainId);
+
+    this.db.transaction(() => {
+      for (const block of blocks) {
+        this.statements.insertBlock.run(chainId, block.number, block.hash, block.timestamp);
+      }
+      for (const event of events) {
+        this.statements.insertEvent.run({
+          ...event,
+          chainId,
+          args: stringifyArgs(event.args)
+        });
+      }
+      this.statements.setCursor.run(chainId, cursor.number, cursor.hash, new Date().toISOString());
+      if (keepBlocks) {
+        this.statements.pruneBlocks.run(chainId, cursor.number - keepBlocks);
+      }
+    })();
+  }
+
+  /**
+   * Drops everything indexed after `blockNumber` and moves the cursor back.
+   * A null `blockHash` clears the cursor, so indexing restarts at startBlock.
+   * @returns {number} events removed
+   */
+  rollback(chainId, blockNumber, blockHash) {
+    chainId = Number(chainId);
+
+    return this.db.transaction(() => {
+      const { changes } = this.statements.deleteEventsAfter.run(chainId, blockNumber);
+      this.statements.deleteBlocksAfter.run(chainId, blockNumber);
+      if (blockHash) {
+        this.statements.setCursor.run(chainId, blockNumber, blockHash, new Date().toISOString());
+      } else {
+        this.statements.deleteCursor.run(chainId);
+      }
+      return changes;
+    })();
+  }
+
+  /**
+   * Stored events, oldest first. `args` is returned as stored (integers as
+   * decimal strings); EventIndexer.events() revives them to bigint.
+   * @param {Object} filter - {chainId, contract, event, fromBlock, toBlock, limit}
+   * @returns {Array<Object>}
+   */
+  events({ chainId, contract, event, fromBlock, toBlock, limit } = {}) {
+    const where = [];
+    const params = {};
+
+    if (chainId !== undefined) { where.push("chain_id = @chainId"); params.chainId = Number(chainId); }
+    if (contract) { where.push("contract = @contract"); params.contract = contract; }
+    if (event) { where.push("event = @event"); params.event = event; }
+    if (fromBlock !== undefined) { where.push("block_number >= @fromBlock"); params.fromBlock = fromBlock; }
+    if (toBlock !== undefined) { where.push("block_number <= @toBlock"); params.toBlock = toBlock; }
+
+    const sql = `
+      SELECT * FROM events
+      ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY block_number, log_index
+      ${limit ? "LIMIT @limit" : ""}
+    `;
+    if (limit) params.limit = limit;
+
+    return this.db.prepare(sql).all(params).map((row) => ({
+      chainId: row.chain_id,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      logIndex: row.log_index,
+      txHash: row.tx_hash,
+      contract: row.contract,
+      address: row.address,
+      event: row.event,
+      signature: row.signature,
+      args: JSON.parse(row.args),
+      timestamp: row.timestamp
+    }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — CHANGE IMPACT REPORT                       ║
+ * ║                                                                  ║
+ * ║  Compares the compiled bytecode of every contract with the      ║
+ * ║  hash recorded in complete-deployment.json at the last deploy,  ║
+ * ║  and, for each changed library, lists the proxies to upgrade,   ║
+ * ║  the contracts to redeploy and the setters to send again.       ║
+ * ║  Reads artifacts/build-info only. Sends no transactions.        ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npx hardhat compile                                           ║
+ * ║    node scripts/AnalyzeChanges.cjs [network]                     ║
+ * ║                                                                  ║
+ * ║  ENV (optional):                                                 ║
+ * ║    LIBRARIES=SmartStakingCoreLib,SkillViewLib  # force impact   ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const ContractAnalyzer = require("./utils/ContractAnalyzer.cjs");
+
+async function main() {
+    const network = process.argv[2] || null;
+    const analyzer = new ContractAnalyzer(path.join(__dirname, ".."), network);
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🔍 CHANGE IMPACT REPORT                                                   ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${network || "(root deployment file)"}`);
+
+    if (!analyzer.loadCompilation()) {
+        throw new Error("❌ No artifacts/build-info found. Run `npx hardhat compile` first.");
+    }
+
+    const recorded = analyzer.loadRecordedBytecode();
+    if (Object.keys(recorded).length === 0) {
+        console.log("   ⚠️  No bytecode hashes recorded at the last deployment; falling back to git dates.");
+    }
+
+    const modified = analyzer.detectModifiedContracts();
+    console.log(analyzer.generateChangeReport(modified));
+
+    const forced = process.env.LIBRARIES
+        ? process.env.LIBRARIES.split(",").map((name) => name.trim()).filter(Boolean)
+        : [];
+    const libraries = [...new Set([
+        ...modified.map((contract) => contract.name).filter((name) => analyzer.isLinkedLibrary(name)),
+        ...forced,
+    ])];
+
+    for (const library of libraries) {
+        const impact = analyzer.getLibraryImpact(library);
+
+        console.log(`\n📚 ${library}${impact.id ? ` (${impact.id})` : ""} — linked by ${impact.linkedBy.join(", ") || "nothing"}`);
+        impact.upgrade.forEach((id) => console.log(`   🔄 upgrade   ${id}`));
+        impact.redeploy.forEach((id) => console.log(`   🚀 redeploy  ${id}`));
+        impact.rewire.forEach((step) => {
+            const via = step.refs.length > 0 ? `  (${step.refs.join(", ")})` : "  (new instance)";
+            console.log(`   🔗 ${step.stage.padEnd(9)} ${step.contract}.${step.method}${via}`);
+        });
+        if (impact.rewire.length === 0) {
+            console.log("   ✅ No setters to resend — linked contracts keep their address");
+        }
+    }
+
+    console.log("");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => { console.error(err.message || err); process.exit(1); });
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — UUPS UPGRADE SAFETY REPORT                 ║
+ * ║                                                                  ║
+ * ║  For every deployed UUPS proxy, compares the storage layout of  ║
+ * ║  the live implementation (.openzeppelin/<network>.json) with    ║
+ * ║  the current artifact and prints a per-variable diff.           ║
+ * ║  Sends no transactions. Exits 1 if any upgrade would be unsafe. ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npx hardhat compile                                           ║
+ * ║    npx hardhat run scripts/CheckUpgradeSafety.cjs \              ║
+ * ║      --network polygon                                           ║
+ * ║                                                                  ║
+ * ║  ENV (optional):                                                 ║
+ * ║    UPGRADE_CONTRACTS=SmartStakingCore,QuestCore                  ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const { network } = require("hardhat");
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const AddressManager = require("./utils/AddressManager.cjs");
+const UpgradeSafety = require("./utils/UpgradeSafety.cjs");
+
+async function main() {
+    const only = process.env.UPGRADE_CONTRACTS
+        ? process.env.UPGRADE_CONTRACTS.split(",").map((name) => name.trim()).filter(Boolean)
+        : null;
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🛡️  UUPS UPGRADE SAFETY REPORT                                             ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${network.name}`);
+    console.log("   Legend    : = unchanged  + appended  - removed  ~ type changed  > moved  ! collision\n");
+
+    const addresses = new AddressManager(path.join(__dirname, ".."), network.name).loadExistingAddresses();
+    const reports = await new UpgradeSafety().checkAll(addresses, { only });
+
+    reports.forEach((report) => console.log(UpgradeSafety.format(report)));
+
+    const checked = reports.filter((report) => !report.skipped);
+    const blocked = checked.filter((report) => !report.ok);
+
+    console.log(`\n   Checked: ${checked.length}  Safe: ${checked.length - blocked.length}  Blocked: ${blocked.length}\n`);
+
+    if (blocked.length > 0) {
+        throw new Error(`❌ Unsafe upgrade for: ${blocked.map((report) => report.contract).join(", ")}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => { console.error(err.message || err); process.exit(1); });
@@ -1,18 +1,27 @@
 /**
  * 📋 EXPORT ABIs SCRIPT
  * 
- * Extrae todos los ABIs de los contratos compilados y los guarda en un archivo JSON centralizado
+ * Extrae los ABIs de los contratos compilados que permite ABI_EXPORT_POLICY
+ * (los mocks de contracts/test no se publican) y genera un módulo ESM por contrato
  * 
  * Uso:
  *   npx hardhat run scripts/ExportABIs.cjs
+ *   npm run check:abis   - Compila y falla si export/abis no coincide con los
+ *                          artifacts (node scripts/ExportABIs.cjs --check)
  * 
  * Output:
- *   export/abis/all-abis.json        - Todos los ABIs en un solo archivo
- *   export/abis/abis-by-category.json - ABIs organizados por categoría
+ *   export/abis/contracts/<Name>.js|.ts - Un módulo por contrato
+ *   export/abis/index.ts / runtime.js   - Re-exportan los módulos
+ *   export/abis/all-abis.json           - Todos los ABIs en un solo archivo
+ *   export/abis/abis-by-category.json   - ABIs organizados por categoría
+ *   export/package.json / CHANGELOG.md  - Versión y entrada de changelog si los
+ *                                         ABIs cambiaron respecto a all-abis.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const AbiExporter = require('./utils/AbiExporter.cjs');
+const AbiDiff = require('./utils/AbiDiff.cjs');
 
 // ════════════════════════════════════════════════════════════════════════════════════════
 // RUTAS
@@ -20,6 +29,14 @@ const path = require('path');
 
 const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts', 'contracts');
 const ABIS_OUTPUT_DIR = path.join(__dirname, '..', 'export', 'abis');
+const EXPORT_DIR = path.join(__dirname, '..', 'export');
+
+// Globs con "/" contra el sourceName, sin "/" contra el nombre del contrato
+const ABI_EXPORT_POLICY = {
+    allow: ['contracts/**'],
+    // Mocks y herramientas de despliegue (Create2Deployer) no son protocolo
+    deny: ['contracts/test/**', 'contracts/Deploy/**'],
+};
 
 // ════════════════════════════════════════════════════════════════════════════════════════
 // UTILIDADES
@@ -82,6 +99,38 @@ function getCategory(filePath) {
     return 'other';
 }
 
+/**
+ * Compara los ABIs nuevos con los publicados y, si cambiaron, sube la versión
+ * de export/package.json y añade la entrada a export/CHANGELOG.md
+ */
+function releaseAbiChanges(previous, allABIs) {
+    const diff = AbiDiff.compare(previous, allABIs);
+    if (!diff.level) {
+        console.log("🧬 No ABI changes since the last export, version unchanged\n");
+        return;
+    }
+
+    const packagePath = path.join(EXPORT_DIR, 'package.json');
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    const version = AbiDiff.bump(pkg.version, diff.level);
+
+    console.log(`🧬 ABI changes (${diff.level}): ${pkg.version} → ${version}`);
+    Object.entries(diff.contracts).forEach(([name, changes]) => {
+        console.log(`   🔷 ${name}`);
+        changes.forEach(({ level, message }) => console.log(`      • [${level}] ${message}`));
+    });
+
+    pkg.version = version;
+    fs.writeFileSync(packagePath, JSON.stringify(pkg, null, 2) + '\n');
+
+    const changelogPath = path.join(EXPORT_DIR, 'CHANGELOG.md');
+    const header = '# Changelog\n\n';
+    const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8').replace(header, '') : '';
+    const entry = AbiDiff.changelogEntry(version, diff, new Date().toISOString().slice(0, 10));
+    fs.writeFileSync(changelogPath, header + entry + (existing ? '\n' + existing : ''));
+    console.log(`💾 Updated ${packagePath} and ${changelogPath}\n`);
+}
+
 // ════════════════════════════════════════════════════════════════════════════════════════
 // MAIN
 // ════════════════════════════════════════════════════════════════════════════════════════
@@ -104,8 +153,10 @@ async function main() {
 
     // 3. Extraer ABIs
     console.log("📦 Extracting ABIs...\n");
+    const exporter = new AbiExporter(ABIS_OUTPUT_DIR, { policy: ABI_EXPORT_POLICY });
     const allABIs = {};
     const abisByCategory = {};
+    const skipped = [];
     let successCount = 0;
 
     jsonFiles.forEach(filePath => {
@@ -115,6 +166,12 @@ async function main() {
             const contractName = abiData.contractName;
             const category = getCategory(filePath);
 
+            const { exported, rule } = exporter.decide(contractName, abiData.sourceName);
+            if (!exported) {
+                skipped.push(`${contractName} (${rule})`);
+                return;
+            }
+
             // Agregar a la colección general
             allABIs[contractName] = {
                 name: contractName,
@@ -139,28 +196,49 @@ async function main() {
     });
 
     console.log(`\n✅ Successfully extracted ${successCount} ABIs\n`);
+    if (skipped.length > 0) {
+        console.log(`⏭️  Skipped ${skipped.length} by ABI_EXPORT_POLICY:`);
+        skipped.forEach(entry => console.log(`   • ${entry}`));
+        console.log();
+    }
 
-    // 4. Guardar archivo unificado
+    // --check: solo comparar con lo publicado, sin escribir nada
+    if (process.argv.includes('--check')) {
+        const problems = exporter.drift(allABIs);
+        if (problems.length > 0) {
+            console.error(`❌ export/abis is out of date with the artifacts (${problems.length}):`);
+            problems.forEach(problem => console.error(`   • ${problem}`));
+            console.error("\n   Run npm run export:abis and commit the result.\n");
+            process.exitCode = 1;
+        } else {
+            console.log("✅ export/abis matches the compiled artifacts\n");
+        }
+        return;
+    }
+
+    // 4. Versionar contra los ABIs publicados, antes de sobrescribirlos
     const allAbisPath = path.join(ABIS_OUTPUT_DIR, 'all-abis.json');
+    if (fs.existsSync(allAbisPath)) {
+        releaseAbiChanges(JSON.parse(fs.readFileSync(allAbisPath, 'utf8')), allABIs);
+    }
+
+    // 5. Guardar archivo unificado
     fs.writeFileSync(allAbisPath, JSON.stringify(allABIs, null, 2));
     console.log(`💾 Saved all ABIs: ${allAbisPath}`);
     console.log(`   Size: ${(fs.statSync(allAbisPath).size / 1024).toFixed(2)} KB\n`);
 
-    // 5. Guardar archivo por categorías
+    // 6. Guardar archivo por categorías
     const abisByCategoryPath = path.join(ABIS_OUTPUT_DIR, 'abis-by-category.json');
     fs.writeFileSync(abisByCategoryPath, JSON.stringify(abisByCategory, null, 2));
     console.log(`💾 Saved ABIs by category: ${abisByCategoryPath}`);
     console.log(`   Size: ${(fs.statSync(abisByCategoryPath).size / 1024).toFixed(2)} KB\n`);
 
-    // 6. Generar index.ts / index.js para fácil importación
-    const indexPath = path.join(ABIS_OUTPUT_DIR, 'index.ts');
-    const indexJsPath = path.join(ABIS_OUTPUT_DIR, 'index.js');
-    generateIndexFile(indexPath, allABIs);
-    console.log(`💾 Generated TypeScript index: ${indexPath}\n`);
-    generateIndexJsFile(indexJsPath);
-    console.log(`💾 Generated JavaScript index: ${indexJsPath}\n`);
+    // 7. Generar un módulo por contrato + index.ts / runtime.js que los re-exportan
+    const names = exporter.writeModules(allABIs);
+    console.log(`💾 Generated ${names.length} ABI modules: ${exporter.modulesDir}`);
+    console.log(`💾 Generated index.ts and runtime.js\n`);
 
-    // 7. Resumen por categoría
+    // 8. Resumen por categoría
     console.log("📊 SUMMARY BY CATEGORY:\n");
     Object.entries(abisByCategory).forEach(([category, contracts]) => {
         console.log(`   🔷 ${category}: ${Object.keys(contracts).length} contract(s)`);
@@ -173,51 +251,16 @@ async function main() {
     console.log("║  ✅ ABI EXPORT COMPLETED SUCCESSFULLY                         ║");
     console.log("╚════════════════════════════════════════════════════════════════╝\n");
 
-    // 8. Imprimir instrucciones de uso
+    // 9. Imprimir instrucciones de uso
     console.log("📚 USAGE EXAMPLES:\n");
-    console.log("   // Import all ABIs");
-    console.log("   import allABIs from './abis/all-abis.json';\n");
-    
-    console.log("   // Access specific contract ABI");
-    console.log("   const core = allABIs['SmartStaking'];\n");
-    
-    console.log("   // Use with ethers.js (v6)");
-    console.log("   const contract = new ethers.Contract(address, core.abi, signer);\n");
-
-    console.log("   // TypeScript import (from index.ts)");
-    console.log("   import { SmartStaking } from './abis';\n");
-}
-
-/**
- * Genera un archivo index.ts para importación TypeScript
- */
-function generateIndexFile(outputPath, allABIs) {
-    let content = `/**
- * Auto-generated ABI Index
- * This file provides TypeScript-safe imports for all contract ABIs
- * 
- * Generated: ${new Date().toISOString()}
- */
+    console.log("   // One contract, without bundling the rest");
+    console.log("   import { TreasuryManager } from '@nuxchain/protocol-export/abis/TreasuryManager';\n");
 
-`;
+    console.log("   // Named import from the ABI index (tree-shakeable)");
+    console.log("   import { SmartStakingCore } from '@nuxchain/protocol-export/abis';\n");
 
-    // Generar exports para cada contrato
-    Object.entries(allABIs).forEach(([contractName, data]) => {
-        content += `export const ${contractName} = ${JSON.stringify(data.abi)} as const;\n`;
-    });
-
-    content += `\n// Export all ABIs as object\nexport const AllABIs = {\n`;
-    Object.keys(allABIs).forEach(contractName => {
-        content += `    ${contractName},\n`;
-    });
-    content += `};\n`;
-
-    fs.writeFileSync(outputPath, content);
-}
-
-function generateIndexJsFile(outputPath) {
-    const content = `export * from "./runtime.js";\nexport { default } from "./runtime.js";\n`;
-    fs.writeFileSync(outputPath, content);
+    console.log("   // Use with ethers.js (v6)");
+    console.log("   const contract = new ethers.Contract(address, SmartStakingCore, signer);\n");
 }
 
 // ════════════════════════════════════════════════════════════════════════════════════════
@@ -3,13 +3,18 @@
 
 const fs = require("fs");
 const path = require("path");
+const CommonJsBuild = require("./utils/CommonJsBuild.cjs");
+const PackageSizeReport = require("./utils/PackageSizeReport.cjs");
 
 const ROOT = path.join(__dirname, "..");
 const EXPORT_DIR = path.join(ROOT, "export");
 const ABI_JSON_PATH = path.join(EXPORT_DIR, "abis", "all-abis.json");
 const ABI_RUNTIME_PATH = path.join(EXPORT_DIR, "abis", "runtime.js");
+const SIZE_REPORT_PATH = path.join(EXPORT_DIR, "size-report.json");
+const PACKAGE_JSON_PATH = path.join(EXPORT_DIR, "package.json");
 const CONFIG_TS_PATH = path.join(EXPORT_DIR, "config", "contracts.config.ts");
-const DEPLOYMENT_PATH = path.join(ROOT, "deployments", "complete-deployment.json");
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments");
+const DEPLOYMENT_PATH = path.join(DEPLOYMENTS_DIR, "complete-deployment.json");
 const GENERATED_JSON_PATH = path.join(EXPORT_DIR, "config", "contracts.generated.json");
 const GENERATED_TS_PATH = path.join(EXPORT_DIR, "config", "contracts.generated.ts");
 const GENERATED_JS_PATH = path.join(EXPORT_DIR, "config", "contracts.generated.js");
@@ -50,6 +55,16 @@ const OPTIONAL_GENERATED_ADDRESS_KEYS = [
     "NuxTapTreasury"
 ];
 
+// Chains the package can emit an address book for. `deploymentDirs` are the
+// hardhat network names whose deployments/<name>/ folder feeds that chain.
+const SUPPORTED_NETWORKS = [
+    { chainId: 137, name: "polygon", deploymentDirs: ["polygon"] },
+    { chainId: 80002, name: "polygonAmoy", deploymentDirs: ["polygonAmoy"] },
+    { chainId: 31337, name: "hardhat", deploymentDirs: ["localhost", "hardhat"] }
+];
+
+const DEFAULT_CHAIN_ID = 137;
+
 function fileExists(filePath) {
     return fs.existsSync(filePath);
 }
@@ -77,7 +92,7 @@ function extractConstObject(source, constName) {
     return Function(`"use strict"; return (${objectLiteral});`)();
 }
 
-function normalizeDeploymentContracts(deployment) {
+function normalizeDeploymentContracts(deployment, network) {
     const contractGroups = deployment.contracts || deployment;
     const addresses = {};
 
@@ -91,8 +106,8 @@ function normalizeDeploymentContracts(deployment) {
     return {
         meta: {
             source: "deployment",
-            network: deployment.deployment?.network || "polygon",
-            chainId: Number(deployment.deployment?.chainId || 137),
+            network: network.name,
+            chainId: network.chainId,
             generatedAt: new Date().toISOString(),
             deploymentTimestamp: deployment.deployment?.timestamp || null,
             deployer: deployment.deployment?.deployer || null
@@ -111,7 +126,7 @@ function normalizeManualConfig() {
         meta: {
             source: "contracts.config.ts",
             network: "polygon",
-            chainId: 137,
+            chainId: DEFAULT_CHAIN_ID,
             generatedAt: new Date().toISOString(),
             deploymentTimestamp: null,
             deployer: wallets.deployer || null
@@ -121,85 +136,163 @@ function normalizeManualConfig() {
     };
 }
 
+/**
+ * Busca el complete-deployment.json de una red: primero deployments/<red>/,
+ * luego el archivo raíz si su chainId coincide.
+ */
+function findDeploymentForNetwork(network) {
+    for (const dir of network.deploymentDirs) {
+        const filePath = path.join(DEPLOYMENTS_DIR, dir, "complete-deployment.json");
+        if (fileExists(filePath)) {
+            return loadJson(filePath);
+        }
+    }
+
+    if (fileExists(DEPLOYMENT_PATH)) {
+        const deployment = loadJson(DEPLOYMENT_PATH);
+        if (Number(deployment.deployment?.chainId) === network.chainId) {
+            return deployment;
+        }
+    }
+
+    return null;
+}
+
+function collectAddressBooks() {
+    const books = {};
+
+    for (const network of SUPPORTED_NETWORKS) {
+        const deployment = findDeploymentForNetwork(network);
+
+        if (deployment) {
+            books[network.chainId] = normalizeDeploymentContracts(deployment, network);
+        } else if (network.chainId === DEFAULT_CHAIN_ID) {
+            books[network.chainId] = normalizeManualConfig();
+        }
+    }
+
+    return books;
+}
+
+function buildAddressInterface(name, books, pick, optionalKeys = []) {
+    const entries = Object.values(books).map(pick);
+    const allKeys = [...new Set([...entries.flatMap((entry) => Object.keys(entry)), ...optionalKeys])];
+
+    const lines = allKeys.map((key) => {
+        const required = entries.every((entry) => key in entry) && !optionalKeys.includes(key);
+        return `  ${key}${required ? "" : "?"}: string;`;
+    });
+
+    return `export interface ${name} {\n${lines.join("\n")}\n}`;
+}
+
 function buildGeneratedTs(data) {
-    const requiredKeys = Object.keys(data.addresses);
-    const optionalKeys = OPTIONAL_GENERATED_ADDRESS_KEYS.filter((key) => !requiredKeys.includes(key));
+    const optionalKeys = OPTIONAL_GENERATED_ADDRESS_KEYS.filter(
+        (key) => !Object.values(data.networks).every((book) => key in book.addresses)
+    );
 
     return `/**
  * Auto-generated frontend contract config.
- * Source: ${data.meta.source}
- * Generated: ${data.meta.generatedAt}
+ * Networks: ${describeNetworks(data)}
+ * Generated: ${data.generatedAt}
  */
 
-export interface GeneratedContractAddresses {
-${requiredKeys.map((key) => `  ${key}: string;`).join("\n")}
-${optionalKeys.map((key) => `  ${key}?: string;`).join("\n")}
+${buildAddressInterface("GeneratedContractAddresses", data.networks, (book) => book.addresses, optionalKeys)}
+
+${buildAddressInterface("GeneratedWalletAddresses", data.networks, (book) => book.wallets)}
+
+export interface GeneratedMetadata {
+  source: string;
+  network: string;
+  chainId: number;
+  generatedAt: string;
+  deploymentTimestamp: string | null;
+  deployer: string | null;
 }
 
-export interface GeneratedWalletAddresses {
-${Object.keys(data.wallets).map((key) => `  ${key}: string;`).join("\n")}
+export interface AddressBook {
+  meta: GeneratedMetadata;
+  addresses: GeneratedContractAddresses;
+  wallets: GeneratedWalletAddresses;
 }
 
-export const GENERATED_METADATA = ${JSON.stringify(data.meta, null, 2)} as const;
+export const DEFAULT_CHAIN_ID = ${data.defaultChainId};
+
+export const ADDRESS_BOOKS: Readonly<Record<number, AddressBook>> = ${JSON.stringify(data.networks, null, 2)};
+
+export const GENERATED_METADATA: GeneratedMetadata = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].meta;
 
-export const CONTRACT_ADDRESSES: GeneratedContractAddresses = ${JSON.stringify(data.addresses, null, 2)};
+export const CONTRACT_ADDRESSES: GeneratedContractAddresses = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].addresses;
 
-export const WALLET_ADDRESSES: GeneratedWalletAddresses = ${JSON.stringify(data.wallets, null, 2)};
+export const WALLET_ADDRESSES: GeneratedWalletAddresses = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].wallets;
 `;
 }
 
 function buildGeneratedJs(data) {
     return `/**
  * Auto-generated frontend contract config.
- * Source: ${data.meta.source}
- * Generated: ${data.meta.generatedAt}
+ * Networks: ${describeNetworks(data)}
+ * Generated: ${data.generatedAt}
  */
 
-export const GENERATED_METADATA = ${JSON.stringify(data.meta, null, 2)};
+export const DEFAULT_CHAIN_ID = ${data.defaultChainId};
+
+export const ADDRESS_BOOKS = ${JSON.stringify(data.networks, null, 2)};
+
+export const GENERATED_METADATA = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].meta;
 
-export const CONTRACT_ADDRESSES = ${JSON.stringify(data.addresses, null, 2)};
+export const CONTRACT_ADDRESSES = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].addresses;
 
-export const WALLET_ADDRESSES = ${JSON.stringify(data.wallets, null, 2)};
+export const WALLET_ADDRESSES = ADDRESS_BOOKS[DEFAULT_CHAIN_ID].wallets;
 `;
 }
 
-function buildAbiRuntime(allAbis) {
-    const contractNames = Object.keys(allAbis).sort();
-    let content = `/**\n * Auto-generated runtime ABI exports.\n */\n\n`;
-    content += `import abiCatalog from "./all-abis.json" with { type: "json" };\n\n`;
+function describeNetworks(data) {
+    return Object.values(data.networks)
+        .map((book) => `${book.meta.network} (${book.meta.chainId}, ${book.meta.source})`)
+        .join(", ");
+}
 
-    for (const contractName of contractNames) {
-        content += `export const ${contractName} = abiCatalog["${contractName}"].abi;\n`;
+function main() {
+    if (!fileExists(ABI_JSON_PATH) || !fileExists(ABI_RUNTIME_PATH)) {
+        throw new Error("ABI modules not found. Run scripts/ExportABIs.cjs first.");
     }
 
-    content += `\nexport const AllABIs = Object.fromEntries(\n`;
-    content += `  Object.entries(abiCatalog).map(([name, value]) => [name, value.abi])\n`;
-    content += `);\n\n`;
-    content += `export default AllABIs;\n`;
+    const networks = collectAddressBooks();
 
-    return content;
-}
-
-function main() {
-    if (!fileExists(ABI_JSON_PATH)) {
-        throw new Error("all-abis.json not found. Run scripts/ExportABIs.cjs first.");
+    if (!networks[DEFAULT_CHAIN_ID]) {
+        throw new Error(`No address book could be built for default chainId ${DEFAULT_CHAIN_ID}.`);
     }
 
-    const allAbis = loadJson(ABI_JSON_PATH);
-    const configData = fileExists(DEPLOYMENT_PATH)
-        ? normalizeDeploymentContracts(loadJson(DEPLOYMENT_PATH))
-        : normalizeManualConfig();
+    const configData = {
+        defaultChainId: DEFAULT_CHAIN_ID,
+        generatedAt: new Date().toISOString(),
+        networks
+    };
 
-    fs.writeFileSync(ABI_RUNTIME_PATH, buildAbiRuntime(allAbis));
     fs.writeFileSync(GENERATED_JSON_PATH, JSON.stringify(configData, null, 2));
     fs.writeFileSync(GENERATED_TS_PATH, buildGeneratedTs(configData));
     fs.writeFileSync(GENERATED_JS_PATH, buildGeneratedJs(configData));
 
     console.log("✅ Frontend package artifacts generated");
-    console.log(`   ABI runtime: ${path.relative(ROOT, ABI_RUNTIME_PATH)}`);
     console.log(`   Config JSON: ${path.relative(ROOT, GENERATED_JSON_PATH)}`);
     console.log(`   Config TS: ${path.relative(ROOT, GENERATED_TS_PATH)}`);
     console.log(`   Config JS: ${path.relative(ROOT, GENERATED_JS_PATH)}`);
+    console.log(`   Networks: ${describeNetworks(configData)}`);
+
+    // Build CommonJS (export/cjs) y condición "require" en cada entrypoint,
+    // para los scripts .cjs del repo
+    const cjs = new CommonJsBuild(EXPORT_DIR);
+    const cjsModules = cjs.run();
+    fs.writeFileSync(PACKAGE_JSON_PATH, JSON.stringify({ ...cjs.pkg, exports: cjs.exportsMap() }, null, 2) + "\n");
+    console.log(`   CommonJS: ${cjsModules.length} modules in ${path.relative(ROOT, path.join(EXPORT_DIR, cjs.outDir))}`);
+
+    // Coste de cada entrypoint, para ver en el diff qué engorda el paquete
+    const sizes = new PackageSizeReport(EXPORT_DIR).run();
+    fs.writeFileSync(SIZE_REPORT_PATH, JSON.stringify({ entrypoints: sizes }, null, 2) + "\n");
+
+    console.log(`\n📏 Entrypoint sizes (${path.relative(ROOT, SIZE_REPORT_PATH)}):\n`);
+    console.log(PackageSizeReport.format(sizes));
 }
 
 main();
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * 🧾 EXPORT SOLIDITY TYPES SCRIPT
+ *
+ * Genera los enums, structs y constantes públicas de export/config a partir del
+ * AST del compilador, en vez de copiarlos a mano. Falla si un label map
+ * escrito a mano (SKILL_TYPE_NAMES, PROTOCOL_STATUS_NAMES...) no tiene entrada
+ * para algún miembro de un enum generado.
+ *
+ * Uso (después de compilar, npm run export:abis ya lo hace):
+ *   node scripts/ExportSolidityTypes.cjs
+ *
+ * Output:
+ *   export/config/solidity.generated.json - Enums, structs y constantes
+ *   export/config/solidity.generated.js   - Enums congelados + SOLIDITY_CONSTANTS
+ *   export/config/solidity.generated.ts   - enum / interface + SOLIDITY_CONSTANTS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const AbiExporter = require('./utils/AbiExporter.cjs');
+const SolidityTypes = require('./utils/SolidityTypes.cjs');
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// RUTAS
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+const BUILD_INFO_DIR = path.join(__dirname, '..', 'artifacts', 'build-info');
+const CONFIG_DIR = path.join(__dirname, '..', 'export', 'config');
+const RUNTIME_PATH = path.join(CONFIG_DIR, 'runtime.js');
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// SELECCIÓN
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+// Nombre en el paquete → tipo calificado en Solidity
+const SOLIDITY_TYPES = {
+    enums: {
+        SkillType: 'IStakingIntegration.PowerType',
+        Rarity: 'IStakingIntegration.Rarity',
+        QuestType: 'IQuestCore.QuestType',
+        QuestCategory: 'IQuestCore.QuestCategory',
+        NuxTapItemKind: 'NuxTapItemStore.ItemKind',
+        ProtocolStatus: 'TreasuryManager.ProtocolStatus',
+        TreasuryType: 'TreasuryManager.TreasuryType',
+    },
+    structs: {
+        DepositDetails: 'SmartStakingViewCore.DepositDetails',
+        NuxTapPlayerProfile: 'NuxTapGame.PlayerProfile',
+        NuxTapLevelConfig: 'NuxTapGame.LevelConfig',
+        NuxTapItemConfig: 'NuxTapItemStore.ItemConfig',
+    },
+};
+
+// Contratos cuyas constantes públicas van a SOLIDITY_CONSTANTS
+const CONSTANTS_POLICY = {
+    allow: ['contracts/**'],
+    deny: ['contracts/test/**', 'contracts/interfaces/**'],
+};
+
+// Label maps de runtime.js → enum generado que deben cubrir
+const ENUM_LABEL_MAPS = {
+    SKILL_TYPE_NAMES: 'SkillType',
+    RARITY_NAMES: 'Rarity',
+    RARITY_COLORS: 'Rarity',
+    QUEST_TYPE_NAMES: 'QuestType',
+    QUEST_CATEGORY_NAMES: 'QuestCategory',
+    PROTOCOL_STATUS_NAMES: 'ProtocolStatus',
+};
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// UTILIDADES
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * AST de cada source; si un source aparece en varios build-info gana el más reciente
+ */
+function loadAsts() {
+    if (!fs.existsSync(BUILD_INFO_DIR)) {
+        throw new Error(`No build info at ${BUILD_INFO_DIR}. Run npx hardhat compile first.`);
+    }
+
+    const files = fs.readdirSync(BUILD_INFO_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(BUILD_INFO_DIR, file))
+        .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+    const asts = {};
+    for (const file of files) {
+        const { output } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [sourceName, source] of Object.entries(output.sources || {})) {
+            if (source.ast) asts[sourceName] = source.ast;
+        }
+    }
+    return asts;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+    console.log("╔════════════════════════════════════════════════════════════════╗");
+    console.log("║  🧾 EXPORTING SOLIDITY ENUMS, STRUCTS AND CONSTANTS           ║");
+    console.log("╚════════════════════════════════════════════════════════════════╝\n");
+
+    // 1. Leer el AST de artifacts/build-info
+    const asts = loadAsts();
+    console.log(`✅ Loaded the AST of ${Object.keys(asts).length} sources\n`);
+
+    // 2. Generar el modelo
+    const policy = new AbiExporter(CONFIG_DIR, { policy: CONSTANTS_POLICY });
+    const model = new SolidityTypes(asts).generate(SOLIDITY_TYPES, (name, sourceName) => policy.isExported(name, sourceName));
+
+    Object.entries(model.enums).forEach(([alias, { source, members }]) => {
+        console.log(`   🔢 ${alias.padEnd(22)} ${source} (${members.length} members)`);
+    });
+    Object.entries(model.structs).forEach(([alias, { source, members }]) => {
+        console.log(`   🧱 ${alias.padEnd(22)} ${source} (${members.length} fields)`);
+    });
+    console.log(`   📌 Public constants from ${Object.keys(model.constants).length} contracts\n`);
+
+    // 3. Escribir JSON / JS / TS
+    const outputs = {
+        'solidity.generated.json': SolidityTypes.toJson(model),
+        'solidity.generated.js': SolidityTypes.toJs(model),
+        'solidity.generated.ts': SolidityTypes.toTs(model),
+    };
+    for (const [file, content] of Object.entries(outputs)) {
+        fs.writeFileSync(path.join(CONFIG_DIR, file), content);
+        console.log(`💾 Saved ${path.join(CONFIG_DIR, file)}`);
+    }
+
+    // 4. Los label maps escritos a mano deben cubrir cada miembro generado
+    const runtime = await import(pathToFileURL(RUNTIME_PATH).href);
+    const labelMaps = Object.fromEntries(
+        Object.entries(ENUM_LABEL_MAPS).map(([map, enumName]) => [map, { enum: enumName, labels: runtime[map] }])
+    );
+    const missing = SolidityTypes.missingLabels(model.enums, labelMaps);
+    if (missing.length > 0) {
+        console.error(`\n❌ ${missing.length} enum member(s) without a label in ${RUNTIME_PATH}:`);
+        missing.forEach(({ map, enum: enumName, member }) => console.error(`   • ${map}: ${enumName}.${member}`));
+        process.exit(1);
+    }
+
+    console.log("\n╔════════════════════════════════════════════════════════════════╗");
+    console.log("║  ✅ SOLIDITY TYPES EXPORTED, LABEL MAPS COMPLETE              ║");
+    console.log("╚════════════════════════════════════════════════════════════════╝\n");
+}
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// EJECUTAR
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+main().catch(error => {
+    console.error("❌ Error:", error);
+    process.exit(1);
+});
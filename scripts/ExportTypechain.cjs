@@ -0,0 +1,117 @@
+/**
+ * 🔷 EXPORT TYPECHAIN BINDINGS SCRIPT
+ *
+ * Genera bindings TypeChain (ethers-v6) para los contratos de
+ * export/abis/all-abis.json, es decir los que permite ABI_EXPORT_POLICY, y los
+ * publica como @nuxchain/protocol-export/types.
+ *
+ * Solo se publican los tipos: las factories de TypeChain duplicarían los ABIs
+ * en código TS sin equivalente JS. Para conectar un contrato tipado se usan
+ * los clients (createTreasuryClient...) o `new Contract(...) as unknown as T`.
+ *
+ * Uso (después de npm run export:abis):
+ *   node scripts/ExportTypechain.cjs
+ *
+ * Output:
+ *   export/types/<Contract>.ts - Interfaz tipada de cada contrato
+ *   export/types/common.ts     - TypedContractMethod, TypedContractEvent...
+ *   export/types/index.ts      - Re-exporta los tipos
+ *   export/types/index.js      - Módulo vacío para resolvers que piden JS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTypeChain } = require('typechain');
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// RUTAS
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+const ROOT = path.join(__dirname, '..');
+const ABI_JSON_PATH = path.join(ROOT, 'export', 'abis', 'all-abis.json');
+const TYPES_DIR = path.join(ROOT, 'export', 'types');
+
+const HEADER = '/* Autogenerated by scripts/ExportTypechain.cjs. Do not edit manually. */';
+const COMMON_TYPES = [
+    'TypedContractMethod',
+    'TypedContractEvent',
+    'TypedDeferredTopicFilter',
+    'TypedEventLog',
+    'TypedLogDescription',
+    'TypedListener',
+];
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+    console.log("╔════════════════════════════════════════════════════════════════╗");
+    console.log("║  🔷 GENERATING TYPECHAIN BINDINGS (ethers-v6)                 ║");
+    console.log("╚════════════════════════════════════════════════════════════════╝\n");
+
+    if (!fs.existsSync(ABI_JSON_PATH)) {
+        throw new Error(`Missing ${ABI_JSON_PATH}. Run npm run export:abis first.`);
+    }
+    const catalog = JSON.parse(fs.readFileSync(ABI_JSON_PATH, 'utf8'));
+    const names = Object.keys(catalog).sort();
+
+    // 1. Un JSON por contrato en un directorio plano: TypeChain replica la
+    //    estructura de carpetas de la entrada en la salida
+    const inputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxchain-typechain-'));
+    const files = names.map(name => {
+        const file = path.join(inputDir, `${name}.json`);
+        fs.writeFileSync(file, JSON.stringify({ contractName: name, abi: catalog[name].abi }));
+        return file;
+    });
+
+    // 2. Generar en limpio
+    fs.rmSync(TYPES_DIR, { recursive: true, force: true });
+    try {
+        const { filesGenerated } = await runTypeChain({
+            cwd: ROOT,
+            filesToProcess: files,
+            allFiles: files,
+            inputDir,
+            outDir: TYPES_DIR,
+            target: 'ethers-v6',
+        });
+        console.log(`✅ TypeChain generated ${filesGenerated} files for ${names.length} contracts\n`);
+    } finally {
+        fs.rmSync(inputDir, { recursive: true, force: true });
+    }
+
+    // 3. Solo tipos: fuera factories, index sin exports de valores
+    fs.rmSync(path.join(TYPES_DIR, 'factories'), { recursive: true, force: true });
+
+    const index = [
+        HEADER,
+        '',
+        ...names.map(name => `export type { ${name} } from "./${name}";`),
+        '',
+        `export type {\n${COMMON_TYPES.map(type => `  ${type}`).join(',\n')}\n} from "./common";`,
+        '',
+    ];
+    fs.writeFileSync(path.join(TYPES_DIR, 'index.ts'), index.join('\n'));
+    fs.writeFileSync(path.join(TYPES_DIR, 'index.js'), `${HEADER}\n// Type-only entrypoint: import from "@nuxchain/protocol-export/types" with \`import type\`.\nexport {};\n`);
+
+    console.log(`💾 Saved types for ${names.length} contracts: ${TYPES_DIR}\n`);
+
+    console.log("╔════════════════════════════════════════════════════════════════╗");
+    console.log("║  ✅ TYPECHAIN BINDINGS GENERATED                              ║");
+    console.log("╚════════════════════════════════════════════════════════════════╝\n");
+
+    console.log("📚 USAGE:\n");
+    console.log("   import type { TreasuryManager } from '@nuxchain/protocol-export/types';");
+    console.log("   const treasury: TreasuryManager = createTreasuryClient(signer, 137);\n");
+}
+
+// ════════════════════════════════════════════════════════════════════════════════════════
+// EJECUTAR
+// ════════════════════════════════════════════════════════════════════════════════════════
+
+main().catch(error => {
+    console.error("❌ Error:", error);
+    process.exit(1);
+});
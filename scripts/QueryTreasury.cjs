@@ -1,5 +1,10 @@
 const hre = require("hardhat");
+const RpcProvider = require("./utils/RpcProvider.cjs");
+const TreasuryReport = require("./utils/TreasuryReport.cjs");
 const fs = require("fs");
+const path = require("path");
+const { getContractAddresses } = require("@nuxchain/protocol-export/config");
+const { TreasuryManager } = require("@nuxchain/protocol-export/abis/TreasuryManager");
 
 /**
  * @title TreasuryManager — Complete Pool Balance Report
@@ -7,277 +12,116 @@ const fs = require("fs");
  *
  * Usage:
  *   npx hardhat run scripts/QueryTreasury.cjs --network polygon
+ *
+ *   # Flags need plain node (hardhat run rejects them); each one has an env twin
+ *   HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --format json|csv|markdown   (TREASURY_FORMAT)
+ *   HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --snapshot                   (TREASURY_SNAPSHOT=true)
+ *   HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --out report.csv             (TREASURY_OUT)
+ *
+ *   # Diff: two snapshots, one snapshot against the chain, or the two latest snapshots
+ *   node scripts/QueryTreasury.cjs --diff reports/treasury/polygon/a.json reports/treasury/polygon/b.json
+ *   HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --diff reports/treasury/polygon/a.json
+ *   HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --diff                       (TREASURY_DIFF=true | a.json,b.json)
  */
 
-// ─── helpers ────────────────────────────────────────────────────────────────
-
-const fmt   = (wei)     => Number(hre.ethers.formatEther(wei)).toFixed(6) + " POL";
-const fmtPct = (bps)    => (Number(bps) / 100).toFixed(2) + "%";
-const fmtDate = (ts)    => ts > 0 ? new Date(Number(ts) * 1000).toLocaleString() : "—";
-const fmtDur  = (secs)  => {
-    if (secs <= 0) return "READY NOW ✅";
-    const d = Math.floor(secs / 86400);
-    const h = Math.floor((secs % 86400) / 3600);
-    const m = Math.floor((secs % 3600) / 60);
-    const s = secs % 60;
-    return `${d}d ${h}h ${m}m ${s}s`;
-};
-
-const TREASURY_TYPES = ["REWARDS", "STAKING", "COLLABORATORS", "DEVELOPMENT", "MARKETPLACE"];
-const PROTOCOL_STATUS = ["HEALTHY ✅", "UNSTABLE ⚠️", "CRITICAL 🔴", "EMERGENCY 🚨"];
+const SNAPSHOT_DIR = path.join(__dirname, "..", "reports", "treasury");
 
 const bar = (label, len = 80) =>
     `╔${"═".repeat(len - 2)}╗\n║  ${label.padEnd(len - 4)}║\n╚${"═".repeat(len - 2)}╝`;
 
-// ─── main ───────────────────────────────────────────────────────────────────
+// ─── options ────────────────────────────────────────────────────────────────
 
-async function main() {
-    console.clear();
-    console.log("\n" + bar("  TREASURY MANAGER — COMPLETE POOL BALANCE REPORT  ", 80));
-    console.log(`\n  Generated: ${new Date().toLocaleString()}`);
-    console.log(`  Network  : ${hre.network.name}\n`);
+function parseOptions(argv) {
+    const value = (flag) => {
+        const i = argv.indexOf(flag);
+        return i >= 0 ? argv[i + 1] : undefined;
+    };
+    const diffIndex = argv.indexOf("--diff");
+    const envDiff = process.env.TREASURY_DIFF;
+
+    let diff = null;
+    if (diffIndex >= 0) {
+        diff = [];
+        for (let i = diffIndex + 1; i < argv.length && !argv[i].startsWith("--"); i++) diff.push(argv[i]);
+    } else if (envDiff && envDiff !== "false") {
+        diff = envDiff === "true" ? [] : envDiff.split(",").map((file) => file.trim()).filter(Boolean);
+    }
+
+    const options = {
+        format: value("--format") || process.env.TREASURY_FORMAT || "text",
+        snapshot: argv.includes("--snapshot") || process.env.TREASURY_SNAPSHOT === "true",
+        out: value("--out") || process.env.TREASURY_OUT || null,
+        diff,
+    };
+    if (!TreasuryReport.FORMATS.includes(options.format)) {
+        throw new Error(`❌ Unknown format "${options.format}"; expected ${TreasuryReport.FORMATS.join(", ")}`);
+    }
+    if (diff && diff.length > 2) throw new Error("❌ --diff takes at most two snapshot files");
+    return options;
+}
+
+// Report to stdout or --out; status lines go to stderr so JSON / CSV stay clean
+function emit(text, options) {
+    if (options.out) {
+        fs.writeFileSync(options.out, text.endsWith("\n") ? text : text + "\n");
+        console.error(`\n  💾 Written to ${path.relative(process.cwd(), options.out)}`);
+    } else {
+        console.log(text);
+    }
+}
+
+// ─── on-chain report ────────────────────────────────────────────────────────
 
-    // ── load address ──────────────────────────────────────────────────────
+async function queryReport() {
     let TREASURY_MANAGER;
+    let addresses;
     const envPath = "./.env";
-    const addrPath = "./deployments/polygon-addresses.json";
+    const provider = RpcProvider.forNetwork(hre);
+    const { chainId } = await provider.getNetwork();
 
     try {
-        const addrs = JSON.parse(fs.readFileSync(addrPath, "utf8"));
-        TREASURY_MANAGER = addrs.treasury.manager;
+        addresses = getContractAddresses(chainId);
+        TREASURY_MANAGER = addresses.TreasuryManager;
     } catch {
         // fallback: read from .env VITE_TREASURY_MANAGER_ADDRESS
+        addresses = null;
         const env = fs.readFileSync(envPath, "utf8");
         const m = env.match(/VITE_TREASURY_MANAGER_ADDRESS\s*=\s*(\S+)/);
-        if (!m) throw new Error("TreasuryManager address not found in polygon-addresses.json or .env");
+        if (!m) throw new Error(`TreasuryManager address not found for chainId ${chainId} in @nuxchain/protocol-export or .env`);
         TREASURY_MANAGER = m[1];
     }
 
-    console.log(`  Contract : ${TREASURY_MANAGER}\n`);
-
-    // ── connect ───────────────────────────────────────────────────────────
-    const tm = await hre.ethers.getContractAt("TreasuryManager", TREASURY_MANAGER);
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 1. BALANCES
-    // ─────────────────────────────────────────────────────────────────────
-    console.log(bar("  1. BALANCES", 80));
-
-    const [
-        totalReceived,
-        totalDist,
-        currentBalance,
-        availableBalance,
-        lastDistTime,
-        autoDistEnabled,
-    ] = await tm.getStats();
-
-    const rawBalance      = await hre.ethers.provider.getBalance(TREASURY_MANAGER);
-    const reserveBalance  = await tm.reserveFundBalance();
-
-    console.log(`\n  On-chain balance (raw)     : ${fmt(rawBalance)}`);
-    console.log(`  Available for distribution : ${fmt(availableBalance)}`);
-    console.log(`  Reserve fund (locked)      : ${fmt(reserveBalance)}`);
-    console.log(`  ─────────────────────────────────────────────`);
-    console.log(`  Total revenue ever received: ${fmt(totalReceived)}`);
-    console.log(`  Total distributed to date  : ${fmt(totalDist)}`);
-    const pending = rawBalance > reserveBalance ? rawBalance - reserveBalance : 0n;
-    console.log(`  Pending (undistributed)    : ${fmt(pending)}`);
-    console.log(`  Auto-distribution enabled  : ${autoDistEnabled ? "Yes ✅" : "No ❌"}`);
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 2. DISTRIBUTION TIMELINE
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  2. DISTRIBUTION TIMELINE", 80));
-
-    const [firstDeposit, lastDist, nextDist, timeUntilNext, isReady] =
-        await tm.getDistributionTimeline();
-
-    const [readyNow] = await tm.isDistributionReady();
-
-    console.log(`\n  First deposit              : ${fmtDate(firstDeposit)}`);
-    console.log(`  Last distribution          : ${fmtDate(lastDist)}`);
-    console.log(`  Next distribution          : ${fmtDate(nextDist)}`);
-    console.log(`  Time until next            : ${fmtDur(Number(timeUntilNext))}`);
-    console.log(`  Distribution ready now     : ${readyNow ? "YES ✅  — call triggerDistribution()" : "Not yet ⏳"}`);
-
-    // Cycle day progress
-    if (firstDeposit > 0n) {
-        const SEVEN_DAYS = 7 * 24 * 3600;
-        const elapsed = Number(BigInt(Math.floor(Date.now() / 1000)) - lastDist);
-        const progress = Math.min(Math.round((elapsed / SEVEN_DAYS) * 100), 100);
-        const bar7 = "█".repeat(Math.floor(progress / 5)) + "░".repeat(20 - Math.floor(progress / 5));
-        console.log(`\n  Weekly cycle progress      : [${bar7}] ${progress}%`);
-    } else {
-        console.log(`\n  ⚠️  Distribution cycle NOT initialized — no deposits received yet.`);
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 3. RESERVE FUND
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  3. RESERVE FUND", 80));
-
-    const [resBalance, resAccumulated, resWithdrawn, resAllocPct, resEnabled] =
-        await tm.getReserveStats();
-
-    console.log(`\n  Reserve fund balance       : ${fmt(resBalance)}`);
-    console.log(`  Total accumulated          : ${fmt(resAccumulated)}`);
-    console.log(`  Total withdrawn            : ${fmt(resWithdrawn)}`);
-    console.log(`  Allocation (% of revenue)  : ${fmtPct(resAllocPct)}`);
-    console.log(`  Auto-accumulation          : ${resEnabled ? "Enabled ✅" : "Disabled ❌"}`);
-
-    // Runway estimate (use last 30-day avg if possible, else show raw calc)
-    if (resBalance > 0n) {
-        // Estimate: if distributed monthly ~ totalDist / months since deploy
-        const secondsSinceFirst = firstDeposit > 0n
-            ? BigInt(Math.floor(Date.now() / 1000)) - firstDeposit
-            : 1n;
-        const months = secondsSinceFirst / BigInt(30 * 24 * 3600);
-        if (months > 0n) {
-            const monthlyBurn = totalDist / (months > 0n ? months : 1n);
-            if (monthlyBurn > 0n) {
-                const runway = resBalance / monthlyBurn;
-                console.log(`  Estimated runway           : ~${runway} months (based on avg monthly distribution)`);
-            }
-        }
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 4. ALLOCATION BREAKDOWN
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  4. ALLOCATION BREAKDOWN (of distributable 80%)", 80));
-
-    const [rewardsAlloc, stakingAlloc, collabAlloc, devAlloc, marketAlloc] =
-        await tm.getAllAllocations();
-
-    const allocMap = {
-        REWARDS:       rewardsAlloc,
-        STAKING:       stakingAlloc,
-        COLLABORATORS: collabAlloc,
-        DEVELOPMENT:   devAlloc,
-        MARKETPLACE:   marketAlloc,
-    };
-
-    const distributable = pending > 0n ? (pending * 8000n) / 10000n : 0n; // 80% after reserve
-    console.log(`\n  Distributable amount (est.): ${fmt(distributable)}`);
-    console.log(`\n  ${"TYPE".padEnd(16)} ${"ALLOC".padEnd(8)} ${"EST. AMOUNT".padEnd(18)} ADDRESS`);
-    console.log(`  ${"─".repeat(72)}`);
-
-    for (const [typeName, allocBps] of Object.entries(allocMap)) {
-        const typeIdx = TREASURY_TYPES.indexOf(typeName);
-        const [addr] = await tm.getTreasuryConfig(typeIdx);
-        const estAmt = distributable > 0n ? (distributable * allocBps) / 10000n : 0n;
-        const addrStr = addr === "0x0000000000000000000000000000000000000000" ? "(not set)" : addr;
-        console.log(
-            `  ${typeName.padEnd(16)} ${fmtPct(allocBps).padEnd(8)} ${fmt(estAmt).padEnd(18)} ${addrStr}`
-        );
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 5. AUTHORIZED SOURCES
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  5. AUTHORIZED REVENUE SOURCES", 80));
-
-    let addresses;
-    try {
-        addresses = JSON.parse(fs.readFileSync(addrPath, "utf8"));
-    } catch { addresses = null; }
+    const tm = new hre.ethers.Contract(TREASURY_MANAGER, TreasuryManager, provider);
 
     const sources = addresses
         ? [
-            { name: "StakingCore",        addr: addresses.staking?.core },
-            { name: "Marketplace",        addr: addresses.marketplace?.proxy },
-            { name: "nuxPowers",   addr: addresses.marketplace?.nuxPowers },
+            { name: "StakingCore",        address: addresses.StakingCore },
+            { name: "Marketplace",        address: addresses.MarketplaceProxy },
+            { name: "nuxPowers",          address: addresses.MarketplaceSkillsNFT },
           ]
         : [];
 
-    console.log();
-    if (sources.length === 0) {
-        console.log("  (Could not load polygon-addresses.json to check sources)");
-    }
+    // Without PRIVATE_KEY there is no signer to compare with the owner
+    const [signer] = await hre.ethers.getSigners().catch(() => []);
 
-    for (const { name, addr } of sources) {
-        if (!addr) { console.log(`  ${name.padEnd(20)}: address not found`); continue; }
-        const isAuth = await tm.authorizedSources(addr);
-        console.log(`  ${name.padEnd(20)}: ${addr}  →  ${isAuth ? "✅ AUTHORIZED" : "❌ NOT AUTHORIZED"}`);
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 6. EMERGENCY & PROTOCOL STATUS
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  6. EMERGENCY & PROTOCOL STATUS", 80));
-
-    const [isEmergency, emergencyTs, emergencyFunds, reserveAvail] =
-        await tm.getEmergencyInfo();
-
-    console.log(`\n  Emergency mode active      : ${isEmergency ? "YES 🚨" : "No ✅"}`);
-    if (isEmergency) {
-        console.log(`  Emergency declared at      : ${fmtDate(emergencyTs)}`);
-    }
-    console.log(`  Emergency funds used       : ${fmt(emergencyFunds)}`);
-    console.log(`  Reserve available          : ${fmt(reserveAvail)}`);
-
-    console.log(`\n  ${"PROTOCOL".padEnd(16)} ${"STATUS".padEnd(22)} DEFICIT`);
-    console.log(`  ${"─".repeat(56)}`);
-
-    for (let i = 0; i < TREASURY_TYPES.length; i++) {
-        const [status, deficit, canAccess] = await tm.getProtocolStatus(i);
-        const statusStr = PROTOCOL_STATUS[Number(status)] ?? "UNKNOWN";
-        console.log(
-            `  ${TREASURY_TYPES[i].padEnd(16)} ${statusStr.padEnd(22)} ${deficit > 0n ? fmt(deficit) : "—"}`
-        );
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 7. OWNER & DEPLOYER
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  7. OWNERSHIP", 80));
-
-    const owner = await tm.owner();
-    const [signer] = await hre.ethers.getSigners();
-    const isOwner = owner.toLowerCase() === signer.address.toLowerCase();
-    console.log(`\n  Owner                      : ${owner}`);
-    console.log(`  Current signer             : ${signer.address}`);
-    console.log(`  Is owner                   : ${isOwner ? "Yes ✅" : "No ❌"}`);
-
-    // ─────────────────────────────────────────────────────────────────────
-    // 8. SUMMARY / HEALTH SCORE
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  8. HEALTH SUMMARY", 80));
-
-    let score = 100;
-    const issues = [];
-
-    if (rawBalance === 0n)          { score -= 30; issues.push("❌ Treasury balance is ZERO — no funds received yet"); }
-    if (!isEmergency && score === 100) issues.push("✅ No emergency active");
-    if (!autoDistEnabled)           { score -= 10; issues.push("⚠️  Auto-distribution is DISABLED"); }
-    if (firstDeposit === 0n)        { score -= 20; issues.push("⚠️  Distribution cycle NOT started — needs first deposit"); }
-    else if (readyNow)              { score -= 5;  issues.push("⏰ Distribution is READY — consider calling triggerDistribution()"); }
-    if (resBalance === 0n)          { score -= 10; issues.push("⚠️  Reserve fund is empty"); }
-    if (sources.length > 0) {
-        for (const { name, addr } of sources) {
-            if (!addr) continue;
-            const isAuth = await tm.authorizedSources(addr);
-            if (!isAuth) { score -= 15; issues.push(`❌ ${name} is NOT authorized as revenue source`); }
-        }
-    }
-
-    const healthBar = "█".repeat(Math.floor(score / 5)) + "░".repeat(20 - Math.floor(score / 5));
-    const healthLabel = score >= 80 ? "HEALTHY ✅" : score >= 50 ? "NEEDS ATTENTION ⚠️" : "CRITICAL 🔴";
+    const report = await TreasuryReport.collect(tm, {
+        provider,
+        address: TREASURY_MANAGER,
+        network: hre.network.name,
+        chainId,
+        sources,
+        signer: signer ? signer.address : null,
+    });
+    return { report, rpc: RpcProvider.describe(provider) };
+}
 
-    console.log(`\n  Health Score               : [${healthBar}] ${score}/100 — ${healthLabel}`);
-    console.log("\n  Details:");
-    for (const issue of issues) console.log(`     ${issue}`);
+function quickActions(address) {
+    return "\n" + bar("  9. QUICK ACTIONS", 80) + `
 
-    // ─────────────────────────────────────────────────────────────────────
-    // 9. QUICK ACTIONS (informational)
-    // ─────────────────────────────────────────────────────────────────────
-    console.log("\n" + bar("  9. QUICK ACTIONS", 80));
-    console.log(`
   Fund treasury (direct transfer):
     npx hardhat console --network polygon
-    > const tm = await ethers.getContractAt("TreasuryManager", "${TREASURY_MANAGER}")
-    > await (await ethers.getSigners())[0].sendTransaction({ to: "${TREASURY_MANAGER}", value: ethers.parseEther("10") })
+    > const tm = await ethers.getContractAt("TreasuryManager", "${address}")
+    > await (await ethers.getSigners())[0].sendTransaction({ to: "${address}", value: ethers.parseEther("10") })
 
   Fund reserve (owner only):
     > await tm.depositToReserve({ value: ethers.parseEther("5") })
@@ -287,9 +131,57 @@ async function main() {
 
   Re-run this report:
     npx hardhat run scripts/QueryTreasury.cjs --network polygon
-`);
+    HARDHAT_NETWORK=polygon node scripts/QueryTreasury.cjs --format json --snapshot
+`;
+}
 
-    console.log("═".repeat(80) + "\n");
+// ─── diff ───────────────────────────────────────────────────────────────────
+
+async function diffSnapshots(options) {
+    let before;
+    let after;
+
+    if (options.diff.length === 2) {
+        [before, after] = options.diff.map((file) => TreasuryReport.load(file));
+    } else if (options.diff.length === 1) {
+        before = TreasuryReport.load(options.diff[0]);
+        ({ report: after } = await queryReport());
+    } else {
+        const files = TreasuryReport.snapshots(SNAPSHOT_DIR, hre.network.name);
+        if (files.length < 2) {
+            throw new Error(`❌ Need two snapshots in ${path.relative(process.cwd(), path.join(SNAPSHOT_DIR, hre.network.name))} (found ${files.length}); run with --snapshot first`);
+        }
+        [before, after] = files.slice(-2).map((file) => TreasuryReport.load(file));
+    }
+
+    if (before.contract && after.contract && before.contract.toLowerCase() !== after.contract.toLowerCase()) {
+        console.error(`  ⚠️  Comparing different contracts: ${before.contract} → ${after.contract}`);
+    }
+    emit(TreasuryReport.renderDiff(TreasuryReport.diff(before, after), options.format), options);
+}
+
+// ─── main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+
+    if (options.diff) return diffSnapshots(options);
+
+    const text = options.format === "text";
+    if (text && process.stdout.isTTY && !options.out) console.clear();
+
+    const { report, rpc } = await queryReport();
+
+    if (text) {
+        emit(TreasuryReport.render(report, "text", { rpc }) + "\n" + quickActions(report.contract) + "\n" + "═".repeat(80) + "\n", options);
+    } else {
+        emit(TreasuryReport.render(report, options.format), options);
+    }
+
+    if (options.snapshot) {
+        const file = TreasuryReport.save(report, SNAPSHOT_DIR);
+        console.error(`  📸 Snapshot saved to ${path.relative(process.cwd(), file)}`);
+    }
 }
 
 main()
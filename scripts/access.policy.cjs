@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — ACCESS POLICY                              ║
+ * ║                                                                  ║
+ * ║  Who may hold ownership and each AccessControl role, checked by ║
+ * ║  scripts/audit-access.cjs. Keyed like deploy.manifest.cjs       ║
+ * ║  (`section.key` of complete-deployment.json):                   ║
+ * ║    defaults   · owner / roles for every contract that has them  ║
+ * ║    contracts  · per-id overrides, role by role                  ║
+ * ║      contract · artifact name, for ids outside the manifest     ║
+ * ║                                                                  ║
+ * ║  Holders are ref(), env() (comma separated), deployer() or      ║
+ * ║  plain addresses. A role declared as [] must have no holder;    ║
+ * ║  a role not declared anywhere must have no holder either.       ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const { ref, env } = require("./utils/ManifestRefs.cjs");
+
+// Governance multisig (same Safe as SAFE_BATCH)
+const ADMIN = env("SAFE_ADDRESS");
+// Optional NuxTap dashboard admin (deploy-nuxtap.cjs NUXTAP_ADMIN)
+const NUXTAP_ADMIN = env("NUXTAP_ADMIN", null);
+// Off-chain NuxAgent validators / depositors, comma separated
+const NUXAGENT_VALIDATORS = env("NUXAGENT_VALIDATORS", null);
+const NUXAGENT_DEPOSITORS = env("NUXAGENT_DEPOSITORS", null);
+
+module.exports = {
+    defaults: {
+        owner: [ADMIN],
+        roles: {
+            DEFAULT_ADMIN_ROLE: [ADMIN],
+            ADMIN_ROLE: [ADMIN],
+            UPGRADER_ROLE: [ADMIN],
+            PAUSER_ROLE: [ADMIN],
+        },
+    },
+
+    contracts: {
+        // ── TREASURY ─────────────────────────────────────────────────────────
+        "treasury.questRewardsPool": {
+            roles: {
+                MODULE_ROLE: [ref("staking.rewards"), ref("marketplace.questCore"), ref("marketplace.collaboratorRewards")],
+            },
+        },
+
+        // ── MARKETPLACE ──────────────────────────────────────────────────────
+        "marketplace.core": {
+            roles: {
+                // Quest + NuxPowerNft call updateUserXP
+                ADMIN_ROLE: [ADMIN, ref("marketplace.questCore"), ref("marketplace.nuxPowerNft")],
+            },
+        },
+        "marketplace.leveling": {
+            roles: { MARKETPLACE_ROLE: [ref("marketplace.core")] },
+        },
+        "marketplace.referral": {
+            roles: { MARKETPLACE_ROLE: [ref("marketplace.core")] },
+        },
+        "marketplace.view": {
+            roles: { MARKETPLACE_ROLE: [ref("marketplace.core")] },
+        },
+        "marketplace.statistics": {
+            roles: { MARKETPLACE_ROLE: [ref("marketplace.core")] },
+        },
+        "marketplace.social": {
+            roles: { MARKETPLACE_ROLE: [ref("marketplace.core")] },
+        },
+        "marketplace.questCore": {
+            roles: { REPORTER_ROLE: [ref("staking.core"), ref("marketplace.social")] },
+        },
+
+        // ── NUXTAP (deploy-nuxtap.cjs) ───────────────────────────────────────
+        "nuxtap.treasury": {
+            contract: "NuxTapTreasury",
+            roles: {
+                DEFAULT_ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                UPGRADER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                PAUSER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                TREASURER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                STORE_ROLE: [ref("nuxtap.store")],
+                GAME_ROLE: [ref("nuxtap.game")],
+            },
+        },
+        "nuxtap.store": {
+            contract: "NuxTapItemStore",
+            roles: {
+                DEFAULT_ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                UPGRADER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                PAUSER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                GAME_ROLE: [ref("nuxtap.game")],
+            },
+        },
+        "nuxtap.game": {
+            contract: "NuxTapGame",
+            roles: {
+                DEFAULT_ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                UPGRADER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                PAUSER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                OPERATOR_ROLE: [ADMIN, NUXTAP_ADMIN],
+            },
+        },
+        "nuxtap.agentMarketplace": {
+            contract: "NuxTapAgentMarketplace",
+            roles: {
+                DEFAULT_ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                ADMIN_ROLE: [ADMIN, NUXTAP_ADMIN],
+                UPGRADER_ROLE: [ADMIN, NUXTAP_ADMIN],
+                PAUSER_ROLE: [ADMIN, NUXTAP_ADMIN],
+            },
+        },
+
+        // ── NUXAGENT (`other` section) ───────────────────────────────────────
+        "other.nuxAgentRegistry": {
+            contract: "NuxAgentRegistry",
+            roles: {
+                GAME_ROLE: [ref("other.nuxAgentMiniGame")],
+                VALIDATOR_ROLE: [NUXAGENT_VALIDATORS],
+            },
+        },
+        "other.nuxAgentFactory": { contract: "NuxAgentFactory" },
+        "other.nuxAgentRental": { contract: "NuxAgentRental" },
+        "other.nuxAgentMiniGame": {
+            contract: "NuxAgentMiniGame",
+            roles: {
+                VALIDATOR_ROLE: [NUXAGENT_VALIDATORS],
+                DEPOSITOR_ROLE: [NUXAGENT_DEPOSITORS],
+            },
+        },
+        "other.nuxAgentPaymaster": { contract: "NuxAgentPaymaster" },
+    },
+};
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — ACCESS-CONTROL AUDIT                       ║
+ * ║                                                                  ║
+ * ║  Lists the owner and every role member of each contract in      ║
+ * ║  deployments/complete-deployment.json (RoleGranted/RoleRevoked  ║
+ * ║  events, confirmed with hasRole) and checks them against        ║
+ * ║  scripts/access.policy.cjs:                                     ║
+ * ║    • unexpected holders, EOAs flagged apart                     ║
+ * ║    • the deployer still able to upgrade                         ║
+ * ║    • expected holders missing, roles with no holder             ║
+ * ║                                                                  ║
+ * ║  Read-only. Writes deployments/<network>/access-audit.json and  ║
+ * ║  exits with code 1 when something is off.                       ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npx hardhat run scripts/audit-access.cjs --network polygon    ║
+ * ║    AUDIT_FROM_BLOCK=<n>  # first block scanned for role events  ║
+ * ║                          (default: protocol deployment block)   ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const hre  = require("hardhat");
+const fs   = require("fs");
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const { CONTRACT_CONSTANTS } = require("@nuxchain/protocol-export/config");
+const manifest = require("./deploy.manifest.cjs");
+const policy = require("./access.policy.cjs");
+const AccessAudit = require("./utils/AccessAudit.cjs");
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const RpcProvider = require("./utils/RpcProvider.cjs");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function loadDeployment() {
+    const candidates = [
+        path.join(DEPLOYMENTS_DIR, hre.network.name, "complete-deployment.json"),
+        path.join(DEPLOYMENTS_DIR, "complete-deployment.json"),
+    ];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error("❌ complete-deployment.json not found. Run deploy.cjs first.");
+    }
+    return { file, data: JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+function startBlock(chainId) {
+    if (process.env.AUDIT_FROM_BLOCK) return Number(process.env.AUDIT_FROM_BLOCK);
+    return chainId === BigInt(CONTRACT_CONSTANTS.CHAIN_ID) ? CONTRACT_CONSTANTS.DEPLOYMENT_BLOCK : 0;
+}
+
+// ─── main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    const { file, data } = loadDeployment();
+    const provider = RpcProvider.forNetwork(hre);
+    const chainId = (await provider.getNetwork()).chainId;
+    const fromBlock = startBlock(chainId);
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🔑 NUXCHAIN PROTOCOL — ACCESS-CONTROL AUDIT                                ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${hre.network.name} (chainId ${chainId})`);
+    console.log(`   RPC       : ${RpcProvider.describe(provider)}`);
+    console.log(`   Loaded    : ${path.relative(process.cwd(), file)} (${data.deployment.timestamp})`);
+    console.log(`   Deployer  : ${data.deployment.deployer}`);
+    console.log(`   Events    : from block ${fromBlock}`);
+
+    if (data.deployment.chainId && data.deployment.chainId !== chainId.toString()) {
+        throw new Error(`❌ ${path.basename(file)} belongs to chainId ${data.deployment.chainId}, not ${chainId}`);
+    }
+
+    const audit = new AccessAudit(policy, {
+        manifest,
+        addresses: ManifestExecutor.flatten(data.contracts),
+        deployer: data.deployment.deployer,
+        provider,
+        fromBlock,
+    });
+    const report = await audit.run();
+
+    console.log(AccessAudit.format(report));
+
+    const dir = path.join(DEPLOYMENTS_DIR, hre.network.name);
+    fs.mkdirSync(dir, { recursive: true });
+    const out = path.join(dir, "access-audit.json");
+    fs.writeFileSync(out, JSON.stringify({
+        network: hre.network.name,
+        chainId: chainId.toString(),
+        generatedAt: new Date().toISOString(),
+        ...report,
+    }, null, 2));
+    console.log(`\n   💾 Written to ${path.relative(process.cwd(), out)}`);
+
+    console.log(report.ok ? "\n   ✅ Access control matches the policy\n" : "\n   ❌ Access-control findings\n");
+    if (!report.ok) process.exitCode = 1;
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((err) => { console.error(err); process.exit(1); });
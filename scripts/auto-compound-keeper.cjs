@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — AUTO-COMPOUND KEEPER                       ║
+ * ║                                                                  ║
+ * ║  Our own keeper for SmartStakingCore auto-compound. Each round: ║
+ * ║    • pages through getAutoCompoundUsersPage at one block        ║
+ * ║    • checkAutoCompound → performData, eth_call simulation       ║
+ * ║    • performAutoCompound calls batched through Multicall3       ║
+ * ║      aggregate3, each batch within the gas budget               ║
+ * ║                                                                  ║
+ * ║  Sends transactions with PRIVATE_KEY (any account can call      ║
+ * ║  performAutoCompound). The last round, with every skipped user  ║
+ * ║  and why, goes to reports/keeper/<network>-last-run.json.       ║
+ * ║                                                                  ║
+ * ║  Usage (hardhat run rejects flags: use node + HARDHAT_NETWORK): ║
+ * ║    HARDHAT_NETWORK=polygon npm run keeper:compound              ║
+ * ║    ... -- --once        # one round (KEEPER_ONCE=true)          ║
+ * ║    ... -- --dry-run     # simulate and plan only                ║
+ * ║    KEEPER_INTERVAL (s) / KEEPER_GAS_BUDGET / KEEPER_MAX_BATCH   ║
+ * ║    KEEPER_PAGE_SIZE / KEEPER_MULTICALL / KEEPER_METRICS_PORT    ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const hre  = require("hardhat");
+const fs   = require("fs");
+const http = require("http");
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const AutoCompoundKeeper = require("./utils/AutoCompoundKeeper.cjs");
+const { MULTICALL3_ADDRESS } = require("@nuxchain/protocol-export/clients");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const REPORT_DIR = path.join(__dirname, "..", "reports", "keeper");
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function loadDeployment() {
+    const candidates = [
+        path.join(DEPLOYMENTS_DIR, hre.network.name, "complete-deployment.json"),
+        path.join(DEPLOYMENTS_DIR, "complete-deployment.json"),
+    ];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error("❌ complete-deployment.json not found. Run deploy.cjs first.");
+    }
+    return { file, data: JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+function saveRun(result) {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    const file = path.join(REPORT_DIR, `${hre.network.name}-last-run.json`);
+    fs.writeFileSync(file, JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    return file;
+}
+
+// Resolves early when the keeper is asked to stop
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+    });
+}
+
+// ─── main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const once = argv.includes("--once") || process.env.KEEPER_ONCE === "true";
+    const dryRun = argv.includes("--dry-run") || process.env.KEEPER_DRY_RUN === "true";
+    const interval = Number(process.env.KEEPER_INTERVAL || 3600);
+    if (!(interval > 0)) throw new Error(`❌ Invalid KEEPER_INTERVAL ${process.env.KEEPER_INTERVAL}`);
+
+    const { file, data } = loadDeployment();
+    const addresses = ManifestExecutor.flatten(data.contracts);
+    if (!addresses["staking.core"]) throw new Error(`❌ No staking.core address in ${path.basename(file)}`);
+
+    const [signer] = await hre.ethers.getSigners();
+    if (!signer) throw new Error("❌ No signer: set PRIVATE_KEY in .env");
+    const chainId = (await signer.provider.getNetwork()).chainId;
+    if (data.deployment.chainId && data.deployment.chainId !== chainId.toString()) {
+        throw new Error(`❌ ${path.basename(file)} belongs to chainId ${data.deployment.chainId}, not ${chainId}`);
+    }
+
+    const keeper = await AutoCompoundKeeper.connect(signer, {
+        core: addresses["staking.core"],
+        multicall: process.env.KEEPER_MULTICALL || MULTICALL3_ADDRESS,
+        gasBudget: BigInt(process.env.KEEPER_GAS_BUDGET || 5_000_000),
+        maxBatchSize: Number(process.env.KEEPER_MAX_BATCH || 50),
+        pageSize: Number(process.env.KEEPER_PAGE_SIZE || 100),
+        dryRun,
+    });
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🔁 NUXCHAIN PROTOCOL — AUTO-COMPOUND KEEPER                                ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${hre.network.name} (chainId ${chainId})`);
+    console.log(`   Loaded    : ${path.relative(process.cwd(), file)} (${data.deployment.timestamp})`);
+    console.log(`   Core      : ${keeper.core.target}`);
+    console.log(`   Gamif.    : ${keeper.gamification.target}`);
+    console.log(`   Multicall : ${keeper.multicall.target}`);
+    console.log(`   Keeper    : ${signer.address}${dryRun ? " (dry run)" : ""}`);
+    console.log(`   Budget    : ${keeper.gasBudget} gas / batch, ${keeper.maxBatchSize} user(s) max`);
+
+    let server = null;
+    if (process.env.KEEPER_METRICS_PORT) {
+        server = http.createServer((req, res) => {
+            if (req.url !== "/metrics") {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { "content-type": "text/plain; version=0.0.4" }).end(AutoCompoundKeeper.prometheus(keeper.metrics));
+        });
+        server.listen(Number(process.env.KEEPER_METRICS_PORT));
+        console.log(`   Metrics   : http://localhost:${process.env.KEEPER_METRICS_PORT}/metrics`);
+    }
+    console.log("");
+
+    const controller = new AbortController();
+    process.on("SIGINT", () => controller.abort());
+    process.on("SIGTERM", () => controller.abort());
+
+    while (!controller.signal.aborted) {
+        try {
+            const result = await keeper.run();
+            console.log(AutoCompoundKeeper.format(result));
+            console.log(`   💾 ${path.relative(process.cwd(), saveRun(result))}`);
+        } catch (err) {
+            // RPC down or the list could not be read: try again next round
+            console.error(`   ⚠️  Round failed: ${err.shortMessage || err.message}`);
+            if (once) process.exitCode = 1;
+        }
+        if (once) break;
+        await sleep(interval * 1000, controller.signal);
+    }
+
+    if (server) server.close();
+    if (!once) console.log("\n   👋 Keeper stopped\n");
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((err) => { console.error(err); process.exit(1); });
@@ -6,6 +6,7 @@ const { ethers, upgrades, network } = require("hardhat");
 require("dotenv").config({ override: true });
 
 const AddressManager = require("./utils/AddressManager.cjs");
+const SafeBatch = require("./utils/SafeBatch.cjs");
 
 const DEFAULT_ITEMS = [
     {
@@ -61,10 +62,29 @@ async function deployProxy(contractName, args) {
     return instance;
 }
 
+// With SAFE_BATCH=true admin calls go to the Safe batch instead of being sent
+async function adminCall(batch, contract, method, args = [], { value } = {}) {
+    if (batch) {
+        batch.add(contract, method, args, { value });
+        console.log(`   📝 ${method} (Safe batch)`);
+        return;
+    }
+    await (await contract[method](...args, ...(value === undefined ? [] : [{ value }]))).wait();
+}
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     const deployerAddress = deployer.address;
-    const dashboardAdmin = process.env.NUXTAP_ADMIN || deployerAddress;
+    const batch = await SafeBatch.fromEnv(ethers.provider, {
+        name: "deploy-nuxtap",
+        description: "NuxTap roles, level configs, store items and supported NFTs",
+    });
+    if (batch && !batch.safeAddress) {
+        throw new Error("SAFE_BATCH=true needs SAFE_ADDRESS: the Safe gets the admin roles of the new contracts");
+    }
+    // The proxies are initialized with the Safe as admin when batching
+    const adminAddress = batch ? batch.safeAddress : deployerAddress;
+    const dashboardAdmin = process.env.NUXTAP_ADMIN || adminAddress;
     const registryAddress = process.env.NUXTAP_AGENT_REGISTRY || ethers.ZeroAddress;
     const baseUri = process.env.NUXTAP_STORE_BASE_URI || "ipfs://nuxtap-items/{id}.json";
     const initialFunding = process.env.NUXTAP_INITIAL_REWARD_FUND || "0";
@@ -78,65 +98,62 @@ async function main() {
     console.log("╚══════════════════════════════════════════════════════════════╝");
     console.log(`Network        : ${network.name}`);
     console.log(`Deployer       : ${deployerAddress}`);
+    if (batch) console.log(`Safe (admin)   : ${adminAddress}`);
     console.log(`Dashboard admin: ${dashboardAdmin}`);
     console.log(`Registry       : ${registryAddress}`);
 
-    const treasury = await deployProxy("NuxTapTreasury", [deployerAddress]);
+    const treasury = await deployProxy("NuxTapTreasury", [adminAddress]);
     const treasuryAddress = await treasury.getAddress();
     console.log(`NuxTapTreasury : ${treasuryAddress}`);
 
-    const store = await deployProxy("NuxTapItemStore", [deployerAddress, treasuryAddress, baseUri]);
+    const store = await deployProxy("NuxTapItemStore", [adminAddress, treasuryAddress, baseUri]);
     const storeAddress = await store.getAddress();
     console.log(`NuxTapItemStore: ${storeAddress}`);
 
-    const game = await deployProxy("NuxTapGame", [deployerAddress, treasuryAddress, storeAddress, registryAddress]);
+    const game = await deployProxy("NuxTapGame", [adminAddress, treasuryAddress, storeAddress, registryAddress]);
     const gameAddress = await game.getAddress();
     console.log(`NuxTapGame     : ${gameAddress}`);
 
     const agentMarketplace = await deployProxy("NuxTapAgentMarketplace", [
-        deployerAddress,
+        adminAddress,
         treasuryAddress,
         registryAddress
     ]);
     const agentMarketplaceAddress = await agentMarketplace.getAddress();
     console.log(`NuxTapAgentMarket: ${agentMarketplaceAddress}`);
 
-    await (await treasury.grantStoreRole(storeAddress)).wait();
-    await (await treasury.grantGameRole(gameAddress)).wait();
-    await (await store.grantGameRole(gameAddress)).wait();
+    await adminCall(batch, treasury, "grantStoreRole", [storeAddress]);
+    await adminCall(batch, treasury, "grantGameRole", [gameAddress]);
+    await adminCall(batch, store, "grantGameRole", [gameAddress]);
 
-    await (await game.replaceLevelConfigs(DEFAULT_LEVELS)).wait();
+    await adminCall(batch, game, "replaceLevelConfigs", [DEFAULT_LEVELS]);
 
     for (const item of DEFAULT_ITEMS) {
-        await (
-            await store.configureItem(
-                item.itemId,
-                item.kind,
-                ethers.parseEther(item.price),
-                item.value,
-                item.duration,
-                item.stock,
-                item.active,
-                item.soulbound,
-                item.nftContract
-            )
-        ).wait();
+        await adminCall(batch, store, "configureItem", [
+            item.itemId,
+            item.kind,
+            ethers.parseEther(item.price),
+            item.value,
+            item.duration,
+            item.stock,
+            item.active,
+            item.soulbound,
+            item.nftContract
+        ]);
     }
 
     for (const nftAddress of supportedNfts) {
-        await (await game.setSupportedNFTContract(nftAddress, true)).wait();
-        await (await agentMarketplace.setSupportedNFTContract(nftAddress, true)).wait();
+        await adminCall(batch, game, "setSupportedNFTContract", [nftAddress, true]);
+        await adminCall(batch, agentMarketplace, "setSupportedNFTContract", [nftAddress, true]);
     }
 
     if (initialFunding !== "0") {
-        await (
-            await treasury.fundRewards("initial_reward_seed", {
-                value: ethers.parseEther(initialFunding)
-            })
-        ).wait();
+        await adminCall(batch, treasury, "fundRewards", ["initial_reward_seed"], {
+            value: ethers.parseEther(initialFunding)
+        });
     }
 
-    if (dashboardAdmin.toLowerCase() !== deployerAddress.toLowerCase()) {
+    if (dashboardAdmin.toLowerCase() !== adminAddress.toLowerCase()) {
         const roleTargets = [
             [treasury, [await treasury.DEFAULT_ADMIN_ROLE(), await treasury.ADMIN_ROLE(), await treasury.UPGRADER_ROLE(), await treasury.PAUSER_ROLE(), await treasury.TREASURER_ROLE()]],
             [store, [await store.DEFAULT_ADMIN_ROLE(), await store.ADMIN_ROLE(), await store.UPGRADER_ROLE(), await store.PAUSER_ROLE()]],
@@ -146,7 +163,7 @@ async function main() {
 
         for (const [contract, roles] of roleTargets) {
             for (const role of roles) {
-                await (await contract.grantRole(role, dashboardAdmin)).wait();
+                await adminCall(batch, contract, "grantRole", [role, dashboardAdmin]);
             }
         }
     }
@@ -164,6 +181,13 @@ async function main() {
         { updateEnv: true, updateDeployment: true }
     );
 
+    if (batch) {
+        const file = batch.save(network.name);
+        // save() writes nothing for an empty batch
+        if (file) console.log(`\nSafe batch     : ${path.relative(process.cwd(), file)} (${batch.transactions.length} calls)`);
+        else console.log("\nSafe batch     : no admin calls pending, nothing written");
+    }
+
     console.log("\nNuxTap deployment completed.");
 }
 
@@ -0,0 +1,270 @@
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — DEPLOYMENT MANIFEST                        ║
+ * ║                                                                  ║
+ * ║  Single source of truth for deploy.cjs, configure.cjs and       ║
+ * ║  fund.cjs. Each entry is keyed by its complete-deployment.json  ║
+ * ║  id (`section.key`) and declares:                               ║
+ * ║    contract   · artifact name                                   ║
+ * ║    proxy      · "uups" for upgradeable proxies (else plain)     ║
+ * ║    libraries  · linked libraries                                ║
+ * ║    salt       · CREATE2 salt (default: the id)                  ║
+ * ║    args       · constructor / initializer args                  ║
+ * ║    wire       · setters run by deploy.cjs                       ║
+ * ║    configure  · setters run by configure.cjs                    ║
+ * ║    fund       · POL sent by fund.cjs                            ║
+ * ║                                                                  ║
+ * ║  Every setter declares `.reads()` / `.checks()` so reruns skip  ║
+ * ║  calls whose on-chain value is already in place.                ║
+ * ║                                                                  ║
+ * ║  Deploy order is derived from the refs, not from this file.     ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const { ref, env, deployer, role, call } = require("./utils/ManifestRefs.cjs");
+
+const TREASURY_WALLET = env("TREASURY_ADDRESS");
+
+// TreasuryManager sub-treasury indices (must match TreasuryManager's enum order)
+const REWARDS = 0;
+const STAKING = 1;
+const COLLABORATORS = 2;
+const DEVELOPMENT = 3;
+const MARKETPLACE = 4;
+
+module.exports = {
+    contracts: {
+        // ── TREASURY ─────────────────────────────────────────────────────────
+        "treasury.manager": {
+            contract: "TreasuryManager",
+            wire: [
+                call("authorizeSource", ref("staking.core")).checks("authorizedSources"),
+                call("authorizeSource", ref("marketplace.core")).checks("authorizedSources"),
+            ],
+            configure: [
+                // Default allocation (bps, must sum to 10000):
+                //   30% rewards, 20% staking, 20% collaborators, 15% dev, 15% marketplace
+                call("setTreasury", REWARDS, ref("staking.rewards")).reads("treasuries", REWARDS),
+                call("setAllocation", REWARDS, 3000).reads("allocations", REWARDS),
+                call("setTreasury", STAKING, ref("staking.core")).reads("treasuries", STAKING),
+                call("setAllocation", STAKING, 2000).reads("allocations", STAKING),
+                call("setTreasury", COLLABORATORS, ref("marketplace.collaboratorRewards")).reads("treasuries", COLLABORATORS),
+                call("setAllocation", COLLABORATORS, 2000).reads("allocations", COLLABORATORS),
+                call("setTreasury", DEVELOPMENT, deployer()).reads("treasuries", DEVELOPMENT),
+                call("setAllocation", DEVELOPMENT, 1500).reads("allocations", DEVELOPMENT),
+                call("setTreasury", MARKETPLACE, ref("marketplace.core")).reads("treasuries", MARKETPLACE),
+                call("setAllocation", MARKETPLACE, 1500).reads("allocations", MARKETPLACE),
+                call("authorizeSource", ref("treasury.questRewardsPool")).checks("authorizedSources"),
+                call("authorizeSource", ref("marketplace.nuxPowerNft")).checks("authorizedSources"),
+                call("authorizeSource", ref("marketplace.nuxPowerMarketplace")).checks("authorizedSources"),
+                call("authorizeRequester", ref("treasury.questRewardsPool")).checks("authorizedRequester"),
+                call("authorizeRequester", ref("staking.rewards")).checks("authorizedRequester"),
+                call("authorizeRequester", ref("marketplace.collaboratorRewards")).checks("authorizedRequester"),
+            ],
+        },
+
+        "treasury.questRewardsPool": {
+            contract: "QuestRewardsPool",
+            proxy: "uups",
+            args: [deployer(), ref("treasury.manager")],
+            configure: [
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+                call("grantRole", role("MODULE_ROLE"), ref("staking.rewards")).checks("hasRole"),
+                call("grantRole", role("MODULE_ROLE"), ref("marketplace.questCore")).checks("hasRole"),
+                call("grantRole", role("MODULE_ROLE"), ref("marketplace.collaboratorRewards")).checks("hasRole"),
+            ],
+            fund: { amount: env("FUND_QUEST_POOL", "1000") },
+        },
+
+        // ── SMART STAKING ────────────────────────────────────────────────────
+        "staking.rewards": {
+            contract: "SmartStakingRewards",
+            wire: [
+                call("setCoreContract", ref("staking.core")).reads("coreStakingContract"),
+            ],
+            configure: [
+                call("setQuestRewardsPool", ref("treasury.questRewardsPool")).reads("questRewardsPool"),
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+                call("setAPYCalculator", ref("staking.dynamicAPY")).reads("apyCalculator"),
+            ],
+            fund: { amount: env("FUND_STAKING_REWARDS", "1000") },
+        },
+
+        "staking.power": {
+            contract: "SmartStakingPower",
+            wire: [
+                call("setCoreStakingContract", ref("staking.core")).reads("coreStakingContract"),
+            ],
+        },
+
+        "staking.gamification": {
+            contract: "SmartStakingGamification",
+            wire: [
+                call("setCoreStakingContract", ref("staking.core")).reads("coreStakingContract"),
+            ],
+            fund: { amount: env("FUND_GAMIFICATION", "1000") },
+        },
+
+        "staking.dynamicAPY": {
+            contract: "DynamicAPYCalculator",
+        },
+
+        "staking.skillViewLib": {
+            contract: "SkillViewLib",
+        },
+
+        "staking.coreLib": {
+            contract: "SmartStakingCoreLib",
+        },
+
+        "staking.core": {
+            contract: "SmartStakingCore",
+            proxy: "uups",
+            libraries: {
+                SkillViewLib: ref("staking.skillViewLib"),
+                SmartStakingCoreLib: ref("staking.coreLib"),
+            },
+            args: [TREASURY_WALLET],
+            wire: [
+                call("setRewardsModule", ref("staking.rewards")).reads("rewardsModule"),
+                call("setPowerModule", ref("staking.power")).reads("powerModule"),
+                call("setGamificationModule", ref("staking.gamification")).reads("gamificationModule"),
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+            ],
+        },
+
+        "staking.viewCore": {
+            contract: "SmartStakingViewCore",
+            args: [ref("staking.core")],
+        },
+
+        "staking.viewStats": {
+            contract: "SmartStakingViewStats",
+            args: [ref("staking.core")],
+        },
+
+        "staking.viewSkills": {
+            contract: "SmartStakingViewSkills",
+            args: [ref("staking.core")],
+        },
+
+        "staking.viewDashboard": {
+            contract: "SmartStakingViewDashboard",
+            args: [
+                ref("staking.core"),
+                ref("staking.rewards"),
+                ref("staking.power"),
+                ref("staking.gamification"),
+            ],
+        },
+
+        // ── MARKETPLACE ──────────────────────────────────────────────────────
+        "marketplace.leveling": {
+            contract: "LevelingSystem",
+            proxy: "uups",
+            args: [deployer()],
+            wire: [
+                call("grantRole", role("MARKETPLACE_ROLE"), ref("marketplace.core")).checks("hasRole"),
+            ],
+            fund: { amount: env("FUND_LEVELING", "1000") },
+        },
+
+        "marketplace.referral": {
+            contract: "ReferralSystem",
+            proxy: "uups",
+            args: [deployer()],
+            wire: [
+                call("grantRole", role("MARKETPLACE_ROLE"), ref("marketplace.core")).checks("hasRole"),
+            ],
+        },
+
+        "marketplace.coreLib": {
+            contract: "MarketplaceCoreLib",
+        },
+
+        "marketplace.core": {
+            contract: "MarketplaceCore",
+            proxy: "uups",
+            libraries: {
+                MarketplaceCoreLib: ref("marketplace.coreLib"),
+            },
+            args: [TREASURY_WALLET],
+            wire: [
+                call("setViewModule", ref("marketplace.view")).reads("viewModule"),
+                call("setStatisticsModule", ref("marketplace.statistics")).reads("statisticsModule"),
+                call("setSocialModule", ref("marketplace.social")).reads("socialModule"),
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+                call("setSkillsContract", ref("marketplace.nuxPowerNft")).reads("skillsContractAddress"),
+                call("setLevelingSystem", ref("marketplace.leveling")).reads("levelingSystemAddress"),
+                call("setReferralSystem", ref("marketplace.referral")).reads("referralSystemAddress"),
+                // ADMIN_ROLE so Quest + NuxPowerNft can call updateUserXP etc.
+                call("grantRole", role("ADMIN_ROLE"), ref("marketplace.questCore")).checks("hasRole"),
+                call("grantRole", role("ADMIN_ROLE"), ref("marketplace.nuxPowerNft")).checks("hasRole"),
+                // Staking bonuses apply in marketplace context
+                call("setStakingContract", ref("staking.core")).reads("stakingContractAddress"),
+            ],
+        },
+
+        "marketplace.view": {
+            contract: "MarketplaceView",
+            args: [deployer(), ref("marketplace.core")],
+            wire: [
+                call("setSocialModule", ref("marketplace.social")).reads("socialModule"),
+                call("setStatisticsModule", ref("marketplace.statistics")).reads("statisticsModule"),
+            ],
+        },
+
+        "marketplace.statistics": {
+            contract: "MarketplaceStatistics",
+            args: [deployer(), ref("marketplace.core")],
+        },
+
+        "marketplace.social": {
+            contract: "MarketplaceSocial",
+            args: [deployer(), ref("marketplace.core")],
+        },
+
+        "marketplace.nuxPowerNft": {
+            contract: "NuxPowerNft",
+            args: [ref("marketplace.core")],
+            wire: [
+                call("setTreasuryAddress", TREASURY_WALLET).reads("treasuryAddress"),
+            ],
+        },
+
+        "marketplace.nuxPowerMarketplace": {
+            contract: "NuxPowerMarketplace",
+            args: [ref("treasury.manager")],
+            configure: [
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+                call("setStakingContract", ref("staking.core")).reads("stakingContractAddress"),
+            ],
+        },
+
+        "marketplace.questCore": {
+            contract: "QuestCore",
+            proxy: "uups",
+            args: [deployer(), ref("marketplace.core")],
+            wire: [
+                call("setCoreContract", ref("marketplace.core")).reads("coreContractAddress"),
+            ],
+            configure: [
+                call("setLevelingContract", ref("marketplace.leveling")).reads("levelingContractAddress"),
+                call("setQuestRewardsPool", ref("treasury.questRewardsPool")).reads("questRewardsPool"),
+                call("grantRole", role("REPORTER_ROLE"), ref("staking.core")).checks("hasRole"),
+                call("grantRole", role("REPORTER_ROLE"), ref("marketplace.social")).checks("hasRole"),
+            ],
+        },
+
+        "marketplace.collaboratorRewards": {
+            contract: "CollaboratorBadgeRewards",
+            proxy: "uups",
+            configure: [
+                call("setTreasuryManager", ref("treasury.manager")).reads("treasuryManager"),
+                call("setQuestRewardsPool", ref("treasury.questRewardsPool")).reads("questRewardsPool"),
+            ],
+        },
+    },
+};
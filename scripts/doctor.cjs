@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — WIRING DOCTOR                              ║
+ * ║                                                                  ║
+ * ║  Reads deployments/complete-deployment.json and checks every    ║
+ * ║  cross-contract pointer and role on-chain:                      ║
+ * ║    • `wire` / `configure` setters of deploy.manifest.cjs        ║
+ * ║    • view contracts → SmartStakingCore / MarketplaceCore        ║
+ * ║    • NuxTapTreasury / NuxTapItemStore store and game roles      ║
+ * ║    • TreasuryManager allocations adding up to 100%              ║
+ * ║                                                                  ║
+ * ║  Read-only. Exits with code 1 when something is off.            ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npx hardhat run scripts/doctor.cjs --network polygon          ║
+ * ║    DOCTOR_FIX=true npx hardhat run ...  # write fix txs to      ║
+ * ║                          deployments/<network>/doctor-fixes.json ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const { ethers, network } = require("hardhat");
+const fs   = require("fs");
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const manifest = require("./deploy.manifest.cjs");
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const ProtocolDoctor = require("./utils/ProtocolDoctor.cjs");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function loadDeployment() {
+    const candidates = [
+        path.join(DEPLOYMENTS_DIR, network.name, "complete-deployment.json"),
+        path.join(DEPLOYMENTS_DIR, "complete-deployment.json"),
+    ];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error("❌ complete-deployment.json not found. Run deploy.cjs first.");
+    }
+    return { file, data: JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+// ─── main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    const { file, data } = loadDeployment();
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🩺 NUXCHAIN PROTOCOL — WIRING DOCTOR                                       ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${network.name} (chainId ${chainId})`);
+    console.log(`   Loaded    : ${path.relative(process.cwd(), file)} (${data.deployment.timestamp})`);
+
+    if (data.deployment.chainId && data.deployment.chainId !== chainId.toString()) {
+        throw new Error(`❌ ${path.basename(file)} belongs to chainId ${data.deployment.chainId}, not ${chainId}`);
+    }
+
+    const doctor = new ProtocolDoctor(manifest, {
+        addresses: ManifestExecutor.flatten(data.contracts),
+        deployer: data.deployment.deployer,
+    });
+    const report = await doctor.run();
+
+    console.log(ProtocolDoctor.format(report));
+
+    if (report.fixes.length > 0) {
+        console.log(`\n   ${report.fixes.length} fix transaction(s) available.`);
+        if (process.env.DOCTOR_FIX === "true") {
+            const dir = path.join(DEPLOYMENTS_DIR, network.name);
+            fs.mkdirSync(dir, { recursive: true });
+            const out = path.join(dir, "doctor-fixes.json");
+            fs.writeFileSync(out, JSON.stringify({
+                network: network.name,
+                chainId: chainId.toString(),
+                generatedAt: new Date().toISOString(),
+                transactions: report.fixes,
+            }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+            console.log(`   💾 Written to ${path.relative(process.cwd(), out)}`);
+        } else {
+            console.log("   Rerun with DOCTOR_FIX=true to write them, or run configure.cjs for the manifest setters.");
+        }
+    }
+
+    console.log(report.ok ? "\n   ✅ Wiring is healthy\n" : "\n   ❌ Wiring problems found\n");
+    if (!report.ok) process.exitCode = 1;
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((err) => { console.error(err); process.exit(1); });
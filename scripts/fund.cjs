@@ -5,7 +5,8 @@
  * ╔══════════════════════════════════════════════════════════════════╗
  * ║  NUXCHAIN PROTOCOL — FUND REWARD CONTRACTS                     ║
  * ║                                                                  ║
- * ║  Sends POL to the contracts that pay out rewards:               ║
+ * ║  Sends POL to every deploy.manifest.cjs entry with a `fund`     ║
+ * ║  amount — the contracts that pay out rewards:                   ║
  * ║    • LevelingSystem           (marketplace level-up rewards)    ║
  * ║    • SmartStakingGamification (staking level-up rewards)        ║
  * ║    • SmartStakingRewards      (staking yield & quest rewards)   ║
@@ -13,6 +14,10 @@
  * ║                                                                  ║
  * ║  Amounts are set via ENV vars or default to 1000 POL each.      ║
  * ║                                                                  ║
+ * ║  With SAFE_BATCH=true the transfers are written to              ║
+ * ║  deployments/<network>/safe/fund.json for the Safe Transaction  ║
+ * ║  Builder instead of being sent from the deployer.               ║
+ * ║                                                                  ║
  * ║  Usage:                                                          ║
  * ║    npx hardhat run scripts/fund.cjs --network polygon            ║
  * ║                                                                  ║
@@ -29,7 +34,10 @@ const fs   = require("fs");
 const path = require("path");
 require("dotenv").config({ override: true });
 
-const POL = (n) => ethers.parseEther(String(n));
+const manifest = require("./deploy.manifest.cjs");
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const SafeBatch = require("./utils/SafeBatch.cjs");
+
 const fmt = (wei) => `${Number(ethers.formatEther(wei)).toFixed(4)} POL`;
 
 function loadDeployment() {
@@ -43,9 +51,6 @@ function loadDeployment() {
 async function main() {
     const [deployer] = await ethers.getSigners();
     const data = loadDeployment();
-    const st   = data.contracts.staking;
-    const mp   = data.contracts.marketplace;
-    const tm   = data.contracts.treasury;
 
     const balance = await ethers.provider.getBalance(deployer.address);
 
@@ -56,31 +61,38 @@ async function main() {
     console.log(`   Balance   : ${fmt(balance)}`);
     console.log(`   Network   : ${network.name}\n`);
 
-    const targets = [
-        {
-            name    : "LevelingSystem",
-            address : mp.leveling,
-            amount  : POL(process.env.FUND_LEVELING         ?? "1000"),
-        },
-        {
-            name    : "SmartStakingGamification",
-            address : st.gamification,
-            amount  : POL(process.env.FUND_GAMIFICATION     ?? "1000"),
-        },
-        {
-            name    : "SmartStakingRewards",
-            address : st.rewards,
-            amount  : POL(process.env.FUND_STAKING_REWARDS  ?? "1000"),
-        },
-        {
-            name    : "QuestRewardsPool",
-            address : tm.questRewardsPool,
-            amount  : POL(process.env.FUND_QUEST_POOL       ?? "1000"),
-        },
-    ];
+    const executor = new ManifestExecutor(manifest, {
+        signer: deployer,
+        addresses: ManifestExecutor.flatten(data.contracts),
+    });
+    const targets = executor.fundingTargets();
 
     const totalNeeded = targets.reduce((s, t) => s + t.amount, 0n);
     console.log(`   Total to send : ${fmt(totalNeeded)}`);
+
+    const batch = await SafeBatch.fromEnv(ethers.provider, {
+        name: "fund",
+        description: "Fund the reward contracts declared in deploy.manifest.cjs",
+    });
+    if (batch) {
+        if (batch.safeAddress) {
+            const safeBalance = await ethers.provider.getBalance(batch.safeAddress);
+            console.log(`   Safe balance  : ${fmt(safeBalance)} (${batch.safeAddress})`);
+            if (safeBalance < totalNeeded) console.warn(`   ⚠️  The Safe needs ${fmt(totalNeeded - safeBalance)} more before executing`);
+        }
+        for (const t of targets) {
+            if (!t.address || t.address === ethers.ZeroAddress) {
+                console.warn(`   ⚠️  Skipping ${t.name}: address not set`);
+                continue;
+            }
+            batch.addTransfer(t.address, t.amount);
+            console.log(`   📝 Fund ${t.name} (${fmt(t.amount)}) (Safe batch)`);
+        }
+        const file = batch.save(network.name);
+        if (file) console.log(`\n   📝 Safe batch: ${path.relative(process.cwd(), file)}\n`);
+        return;
+    }
+
     if (balance < totalNeeded) {
         throw new Error(`❌ Insufficient balance. Need ${fmt(totalNeeded)}, have ${fmt(balance)}`);
     }
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — HEALTH MONITOR                             ║
+ * ║                                                                  ║
+ * ║  Polls the protocol health views and watches their events,      ║
+ * ║  evaluating scripts/monitor.rules.yaml:                         ║
+ * ║    • TreasuryManager emergency mode and per-protocol status     ║
+ * ║    • SmartStakingCore circuit breaker                           ║
+ * ║    • NuxTapTreasury daily payout cap                            ║
+ * ║    • QuestRewardsPool balance                                   ║
+ * ║    • SmartStakingGamification.getProtocolHealth                 ║
+ * ║                                                                  ║
+ * ║  Read-only. Alerts go to the rule file's sinks once, and again  ║
+ * ║  as "resolved" when the condition clears. Active alerts and     ║
+ * ║  the last block persist in reports/monitor/<network>-state.json ║
+ * ║                                                                  ║
+ * ║  Usage (hardhat run rejects flags: use node + HARDHAT_NETWORK): ║
+ * ║    HARDHAT_NETWORK=polygon npm run monitor                      ║
+ * ║    HARDHAT_NETWORK=polygon node scripts/monitor.cjs x.json      ║
+ * ║    ... --once          # one poll, print metrics, exit 1 if any ║
+ * ║                          alert is firing (MONITOR_ONCE=true)    ║
+ * ║    MONITOR_RULES / MONITOR_INTERVAL (s) / MONITOR_FROM_BLOCK    ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const hre  = require("hardhat");
+const fs   = require("fs");
+const path = require("path");
+require("dotenv").config({ override: true });
+
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const RpcProvider = require("./utils/RpcProvider.cjs");
+const HealthMonitor = require("./utils/HealthMonitor.cjs");
+const AlertSinks = require("./utils/AlertSinks.cjs");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const STATE_DIR = path.join(__dirname, "..", "reports", "monitor");
+const DEFAULT_RULES = path.join(__dirname, "monitor.rules.yaml");
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function loadDeployment() {
+    const candidates = [
+        path.join(DEPLOYMENTS_DIR, hre.network.name, "complete-deployment.json"),
+        path.join(DEPLOYMENTS_DIR, "complete-deployment.json"),
+    ];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error("❌ complete-deployment.json not found. Run deploy.cjs first.");
+    }
+    return { file, data: JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+function loadState(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function saveState(file, state) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+// Resolves early when the monitor is asked to stop
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+    });
+}
+
+// ─── main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const once = argv.includes("--once") || process.env.MONITOR_ONCE === "true";
+    const rulesFile = path.resolve(argv.find((arg) => !arg.startsWith("--")) || process.env.MONITOR_RULES || DEFAULT_RULES);
+
+    const config = HealthMonitor.load(rulesFile);
+    const interval = Number(process.env.MONITOR_INTERVAL || config.interval || 60);
+    if (!(interval > 0)) throw new Error(`❌ Invalid interval ${interval}`);
+
+    const { file, data } = loadDeployment();
+    const provider = RpcProvider.forNetwork(hre);
+    const chainId = (await provider.getNetwork()).chainId;
+    if (data.deployment.chainId && data.deployment.chainId !== chainId.toString()) {
+        throw new Error(`❌ ${path.basename(file)} belongs to chainId ${data.deployment.chainId}, not ${chainId}`);
+    }
+
+    const stateFile = path.join(STATE_DIR, `${hre.network.name}-state.json`);
+    const sinks = (config.sinks || [{ type: "stdout" }]).map((sink) => AlertSinks.create(sink));
+    const monitor = new HealthMonitor({
+        provider,
+        addresses: ManifestExecutor.flatten(data.contracts),
+        rules: config.rules,
+        sinks,
+        network: hre.network.name,
+        chainId,
+        state: loadState(stateFile),
+        fromBlock: process.env.MONITOR_FROM_BLOCK ? Number(process.env.MONITOR_FROM_BLOCK) : undefined,
+    });
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🚨 NUXCHAIN PROTOCOL — HEALTH MONITOR                                      ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Network   : ${hre.network.name} (chainId ${chainId})`);
+    console.log(`   RPC       : ${RpcProvider.describe(provider)}`);
+    console.log(`   Loaded    : ${path.relative(process.cwd(), file)} (${data.deployment.timestamp})`);
+    console.log(`   Rules     : ${path.relative(process.cwd(), rulesFile)} (${monitor.rules.length})`);
+    console.log(`   Sinks     : ${sinks.map((sink) => sink.name).join(", ")}`);
+    console.log(`   Interval  : ${interval}s`);
+    if (monitor.missing.length > 0) {
+        console.log(`   ⚠️  No address: ${monitor.missing.join(", ")}`);
+    }
+    if (monitor.unwatched.length > 0) {
+        console.log(`   ⚠️  Skipped rules: ${monitor.unwatched.join(", ")}`);
+    }
+    if (monitor.active.size > 0) {
+        console.log(`   Active    : ${[...monitor.active.keys()].join(", ")} (from the previous run)`);
+    }
+    console.log("");
+
+    if (once) {
+        const result = await monitor.poll();
+        saveState(stateFile, monitor.state);
+
+        console.log(`\n   Metrics at block ${result.block}:\n`);
+        console.log(HealthMonitor.formatMetrics(result.metrics));
+        for (const [source, error] of Object.entries(result.errors)) {
+            console.log(`   ❌ ${source}: ${error}`);
+        }
+        console.log(monitor.active.size > 0 ? `\n   🚨 ${monitor.active.size} alert(s) firing\n` : "\n   ✅ No alerts firing\n");
+        if (monitor.active.size > 0) process.exitCode = 1;
+        return;
+    }
+
+    const controller = new AbortController();
+    process.on("SIGINT", () => controller.abort());
+    process.on("SIGTERM", () => controller.abort());
+
+    while (!controller.signal.aborted) {
+        try {
+            const result = await monitor.poll();
+            saveState(stateFile, monitor.state);
+            for (const [source, error] of Object.entries(result.errors)) {
+                console.error(`   ⚠️  #${result.block} ${source}: ${error}`);
+            }
+        } catch (err) {
+            // RPC down after RpcProvider's retries: try again next round
+            console.error(`   ⚠️  Poll failed: ${err.shortMessage || err.message}`);
+        }
+        await sleep(interval * 1000, controller.signal);
+    }
+    console.log("\n   👋 Monitor stopped\n");
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((err) => { console.error(err); process.exit(1); });
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — CREATE2 ADDRESS PREDICTION                ║
+ * ║                                                                  ║
+ * ║  Prints the address every deploy.manifest.cjs entry gets with   ║
+ * ║  `CREATE2=true scripts/deploy.cjs`. Nothing is sent.            ║
+ * ║                                                                  ║
+ * ║  Addresses depend on the deployer, CREATE2_NAMESPACE, each      ║
+ * ║  entry's salt, its args (TREASURY_ADDRESS...) and its bytecode, ║
+ * ║  not on the network.                                            ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npx hardhat run scripts/predict.cjs --network polygon         ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const { ethers, network } = require("hardhat");
+require("dotenv").config({ override: true });
+
+const manifest = require("./deploy.manifest.cjs");
+const ManifestExecutor = require("./utils/ManifestExecutor.cjs");
+const Create2Deployer = require("./utils/Create2Deployer.cjs");
+
+async function main() {
+    const [deployer] = await ethers.getSigners();
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+    const create2 = new Create2Deployer(deployer, { namespace: process.env.CREATE2_NAMESPACE || "nuxchain" });
+    const factory = await create2.factoryAddress();
+    const factoryCode = await ethers.provider.getCode(factory);
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🔮 NUXCHAIN PROTOCOL — CREATE2 ADDRESSES                                  ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Deployer  : ${deployer.address}`);
+    console.log(`   Network   : ${network.name} (chainId ${chainId})`);
+    console.log(`   Namespace : ${create2.namespace}`);
+    console.log(`   Factory   : ${factory} ${factoryCode !== "0x" ? "(deployed)" : "(deployed on first CREATE2 run)"}\n`);
+
+    const executor = new ManifestExecutor(manifest, { signer: deployer, create2 });
+    const predictions = await executor.predictAll();
+
+    for (const p of predictions) {
+        const status = p.deployed ? "✅ deployed" : "⏳ pending";
+        console.log(`   ${p.id.padEnd(36)} ${p.contract.padEnd(26)} ${p.address}  ${status}`);
+        if (p.implementation) {
+            console.log(`   ${"".padEnd(36)} ${"└ implementation".padEnd(26)} ${p.implementation}`);
+        }
+    }
+
+    const pending = predictions.filter((p) => !p.deployed).length;
+    console.log(`\n   ${predictions.length} contracts, ${pending} not deployed yet on ${network.name}.`);
+    if (pending > 0) {
+        console.log(`   Deploy with: CREATE2=true npx hardhat run scripts/deploy.cjs --network ${network.name}\n`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => { console.error(err); process.exit(1); });
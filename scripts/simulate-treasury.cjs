@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — TREASURY CASH-FLOW SIMULATOR               ║
+ * ║                                                                  ║
+ * ║  Runs a revenue / reward-demand scenario through a model of     ║
+ * ║  TreasuryManager (receiveRevenue, weekly triggerDistribution,   ║
+ * ║  reserve accumulation, requestRewardFunds) and prints, week by  ║
+ * ║  week:                                                           ║
+ * ║    • manager, reserve and sub-treasury balances                 ║
+ * ║    • when each pool runs dry and how its status changes         ║
+ * ║    • emergency mode and reserve draws                           ║
+ * ║                                                                  ║
+ * ║  Off-chain only. Writes                                          ║
+ * ║  deployments/simulations/treasury-<name>.json.                  ║
+ * ║                                                                  ║
+ * ║  Usage:                                                          ║
+ * ║    npm run simulate:treasury                                     ║
+ * ║    npm run simulate:treasury -- path/to/scenario.cjs             ║
+ * ║    TREASURY_SCENARIO=path/to/scenario.cjs  # same, via env      ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const fs   = require("fs");
+const path = require("path");
+
+const TreasurySimulator = require("./utils/TreasurySimulator.cjs");
+
+const OUT_DIR = path.join(__dirname, "..", "deployments", "simulations");
+
+async function main() {
+    const file = process.argv[2] || process.env.TREASURY_SCENARIO || path.join(__dirname, "treasury.scenario.cjs");
+
+    console.log("\n╔══════════════════════════════════════════════════════════════════════════════╗");
+    console.log("║  🏦 NUXCHAIN PROTOCOL — TREASURY CASH-FLOW SIMULATOR                         ║");
+    console.log("╚══════════════════════════════════════════════════════════════════════════════╝");
+    console.log(`\n   Scenario  : ${path.relative(process.cwd(), path.resolve(file))}`);
+
+    const simulator = TreasurySimulator.load(file);
+    const result = simulator.run();
+
+    console.log(TreasurySimulator.format(result));
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    const out = path.join(OUT_DIR, `treasury-${result.name}.json`);
+    fs.writeFileSync(out, JSON.stringify({
+        scenario: path.relative(process.cwd(), path.resolve(file)),
+        generatedAt: new Date().toISOString(),
+        ...result,
+    }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    console.log(`\n   💾 Written to ${path.relative(process.cwd(), out)}\n`);
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((err) => { console.error(err); process.exit(1); });
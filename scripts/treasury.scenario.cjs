@@ -0,0 +1,75 @@
+"use strict";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  NUXCHAIN PROTOCOL — TREASURY SCENARIO                          ║
+ * ║                                                                  ║
+ * ║  Example input for scripts/simulate-treasury.cjs. Amounts are   ║
+ * ║  POL (strings/numbers) or wei (bigint):                         ║
+ * ║    initial  · balances before week 1 (manager, reserve, pools)  ║
+ * ║    policy   · TreasuryManager settings at the start             ║
+ * ║    revenue  · receiveRevenue streams: perWeek (+ growthBps per  ║
+ * ║               week, fromWeek / toWeek) or a one-off `once`       ║
+ * ║    demand   · payouts per week from a sub-treasury, or from     ║
+ * ║               "manager" through requestRewardFunds              ║
+ * ║    changes  · admin calls applied at the start of a week        ║
+ * ║                                                                  ║
+ * ║  Weeks count from 1. Copy this file and pass it as argument to  ║
+ * ║  compare policies.                                               ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+module.exports = {
+    name: "baseline",
+    start: "2026-01-05T00:00:00Z",
+    weeks: 26,
+
+    initial: {
+        manager: 0,
+        reserve: 500,
+        treasuries: { STAKING: 2000, REWARDS: 800, COLLABORATORS: 300, DEVELOPMENT: 250 },
+    },
+
+    policy: {
+        // Constructor defaults, spelled out so they are easy to tweak
+        allocations: { REWARDS: 3000, STAKING: 3500, COLLABORATORS: 2000, DEVELOPMENT: 1500, MARKETPLACE: 0 },
+        reserveAllocation: 2000,
+        reserveAccumulation: true,
+        autoDistribution: true,
+        // Sub-treasuries with an address set (setTreasury) and ones that reject POL
+        treasuries: ["REWARDS", "STAKING", "COLLABORATORS", "DEVELOPMENT", "MARKETPLACE"],
+        rejecting: [],
+    },
+
+    revenue: [
+        { type: "marketplace_fee", perWeek: 400, growthBps: 150 },
+        { type: "auction_platform_fee", perWeek: 120, growthBps: 100 },
+        { type: "staking_commission", perWeek: 300, growthBps: 50 },
+        { type: "individual_skill_purchase", perWeek: 150, fromWeek: 5 },
+        { type: "quest_claim_fee", perWeek: 40 },
+        { type: "paymaster_fee", perWeek: 25 },
+        // Launch promotion
+        { type: "AgentNuxPower", once: 600, week: 9 },
+    ],
+
+    demand: [
+        // Staking rewards paid out by the staking treasury
+        { name: "staking-rewards", from: "STAKING", perWeek: 450, growthBps: 200 },
+        // Quest / achievement rewards
+        { name: "quest-rewards", from: "REWARDS", perWeek: 220, growthBps: 100 },
+        // Gamification payouts through requestRewardFunds
+        { name: "gamification", from: "manager", perWeek: 60, fromWeek: 3 },
+        { name: "collaborators", from: "COLLABORATORS", perWeek: 160 },
+        { name: "development", from: "DEVELOPMENT", perWeek: 120 },
+    ],
+
+    changes: [
+        { week: 13, setAllocation: { STAKING: 4000, COLLABORATORS: 1500 } },
+        { week: 17, setReserveAllocation: 2500 },
+    ],
+
+    // Runway (balance / weekly demand) below which a pool is UNSTABLE / CRITICAL
+    thresholds: { unstableWeeks: 8, criticalWeeks: 2 },
+    // A dry pool asks for the shortfall with requestEmergencyFunds while emergency mode is on
+    emergencyFunding: true,
+};
@@ -0,0 +1,234 @@
+/**
+ * 🧬 ABI DIFF
+ *
+ * Compara dos catálogos de ABIs (all-abis.json: nombre → {abi}) y clasifica
+ * cada cambio según lo que rompe a un consumidor del paquete export:
+ *   major · contrato, función o evento eliminado o cambiado, campos de un
+ *           struct cambiados, outputs renombrados (se leen por nombre)
+ *   minor · contrato, función, evento o error nuevo; error eliminado o cambiado
+ *   patch · nombre de un parámetro de entrada, constructor
+ *
+ * Las funciones y eventos se identifican por firma; una firma que desaparece
+ * con otra nueva del mismo nombre se reporta como "changed".
+ */
+
+const LEVELS = ["patch", "minor", "major"];
+
+/**
+ * Tipo canónico de un parámetro, con los componentes de las tuplas. Con
+ * `names`, incluye los nombres de los componentes (y el del propio parámetro).
+ */
+function describeParam(param, { names = false, indexed = false } = {}) {
+    let type = param.type;
+    if (type.startsWith("tuple")) {
+        const components = (param.components || []).map((c) => describeParam(c, { names: true }));
+        type = `(${components.join(",")})${type.slice("tuple".length)}`;
+    }
+    if (indexed && param.indexed) type += " indexed";
+    return names && param.name ? `${type} ${param.name}` : type;
+}
+
+function signature(item) {
+    return `${item.name}(${(item.inputs || []).map((p) => describeParam(p)).join(",")})`;
+}
+
+/** Firma con los componentes de las tuplas pero sin nombres de parámetros */
+function typeSignature(item) {
+    const strip = (param) => {
+        let type = param.type;
+        if (type.startsWith("tuple")) type = `(${(param.components || []).map(strip).join(",")})${type.slice(5)}`;
+        return type;
+    };
+    return `${item.name}(${(item.inputs || []).map(strip).join(",")})`;
+}
+
+function byKind(abi, kind) {
+    const map = new Map();
+    for (const item of abi || []) {
+        if (item.type === kind) map.set(typeSignature(item), item);
+    }
+    return map;
+}
+
+class AbiDiff {
+    /**
+     * @param {Object} previous - catálogo publicado (nombre → {abi})
+     * @param {Object} next - catálogo nuevo
+     * @returns {{level: string|null, contracts: Object<string, Array<{level, message}>>}}
+     */
+    static compare(previous, next) {
+        const contracts = {};
+        const add = (name, level, message) => {
+            (contracts[name] = contracts[name] || []).push({ level, message });
+        };
+
+        const names = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+        for (const name of names) {
+            if (!next[name]) {
+                add(name, "major", "contract removed from the package");
+            } else if (!previous[name]) {
+                add(name, "minor", "contract added to the package");
+            } else {
+                for (const change of AbiDiff.compareAbi(previous[name].abi, next[name].abi)) {
+                    add(name, change.level, change.message);
+                }
+            }
+        }
+
+        return { level: AbiDiff.maxLevel(Object.values(contracts).flat()), contracts };
+    }
+
+    /**
+     * Cambios entre dos ABIs del mismo contrato
+     * @returns {Array<{level, message}>}
+     */
+    static compareAbi(before, after) {
+        return [
+            ...compareFunctions(byKind(before, "function"), byKind(after, "function")),
+            ...compareEvents(byKind(before, "event"), byKind(after, "event")),
+            ...compareErrors(byKind(before, "error"), byKind(after, "error")),
+            ...compareConstructor(before, after),
+        ];
+    }
+
+    static maxLevel(changes) {
+        return changes.reduce((max, { level }) => (LEVELS.indexOf(level) > LEVELS.indexOf(max) ? level : max), null);
+    }
+
+    /**
+     * Siguiente versión semver. Un major sobre 0.x pasa a 1.0.0.
+     * @param {string} version
+     * @param {string|null} level
+     * @returns {string}
+     */
+    static bump(version, level) {
+        const [major, minor, patch] = version.split("-")[0].split(".").map(Number);
+        if (level === "major") return `${major + 1}.0.0`;
+        if (level === "minor") return `${major}.${minor + 1}.0`;
+        if (level === "patch") return `${major}.${minor}.${patch + 1}`;
+        return version;
+    }
+
+    /**
+     * Entrada de CHANGELOG.md en markdown
+     * @param {string} version
+     * @param {Object} diff - resultado de compare()
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string}
+     */
+    static changelogEntry(version, diff, date) {
+        const names = Object.keys(diff.contracts);
+        const lines = [
+            `## ${version} (${date})`,
+            "",
+            `${diff.level[0].toUpperCase()}${diff.level.slice(1)} release. Affected contracts: ${names.join(", ")}.`,
+        ];
+
+        for (const name of names) {
+            lines.push("", `### ${name}`, "");
+            const changes = [...diff.contracts[name]].sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level));
+            for (const { level, message } of changes) {
+                lines.push(`- ${level === "major" ? "**BREAKING** " : ""}${message}`);
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    }
+}
+
+function compareFunctions(before, after) {
+    const changes = [];
+    const removedNames = new Set();
+
+    for (const [key, fn] of before) {
+        const next = after.get(key);
+        if (!next) {
+            removedNames.add(fn.name);
+            const replacement = [...after.values()].find((f) => f.name === fn.name && !before.has(typeSignature(f)));
+            changes.push(replacement
+                ? { level: "major", message: `function \`${signature(fn)}\` changed to \`${signature(replacement)}\`` }
+                : { level: "major", message: `function \`${signature(fn)}\` removed` });
+            continue;
+        }
+
+        const outputsBefore = (fn.outputs || []).map((p) => describeParam(p, { names: true })).join(", ");
+        const outputsAfter = (next.outputs || []).map((p) => describeParam(p, { names: true })).join(", ");
+        if (outputsBefore !== outputsAfter) {
+            changes.push({ level: "major", message: `function \`${key}\` returns \`(${outputsAfter})\` instead of \`(${outputsBefore})\`` });
+        }
+        if (fn.stateMutability !== next.stateMutability) {
+            const level = fn.stateMutability === "nonpayable" && next.stateMutability === "payable" ? "minor" : "major";
+            changes.push({ level, message: `function \`${key}\` is now ${next.stateMutability} (was ${fn.stateMutability})` });
+        }
+        if (signature(fn) !== signature(next)) {
+            changes.push({ level: "major", message: `function \`${key}\` struct fields changed: \`${signature(fn)}\` → \`${signature(next)}\`` });
+        } else if (describeNames(fn) !== describeNames(next)) {
+            changes.push({ level: "patch", message: `function \`${key}\` parameters renamed to (${describeNames(next)})` });
+        }
+    }
+
+    for (const [key, fn] of after) {
+        if (before.has(key)) continue;
+        // Ya reportada como "changed"
+        if (removedNames.has(fn.name) && [...before.values()].some((f) => f.name === fn.name && !after.has(typeSignature(f)))) continue;
+        changes.push({ level: "minor", message: `function \`${signature(fn)}\` added` });
+    }
+
+    return changes;
+}
+
+function describeNames(item) {
+    return (item.inputs || []).map((p) => p.name || "_").join(", ");
+}
+
+function compareEvents(before, after) {
+    const changes = [];
+    const describe = (event) => `${event.name}(${event.inputs.map((p) => describeParam(p, { names: true, indexed: true })).join(", ")})`;
+
+    for (const [key, event] of before) {
+        const next = after.get(key);
+        if (!next) {
+            const replacement = [...after.values()].find((e) => e.name === event.name && !before.has(typeSignature(e)));
+            changes.push({
+                level: "major",
+                message: replacement
+                    ? `event \`${describe(event)}\` changed to \`${describe(replacement)}\``
+                    : `event \`${describe(event)}\` removed`,
+            });
+        } else if (describe(event) !== describe(next)) {
+            changes.push({ level: "major", message: `event \`${describe(event)}\` changed to \`${describe(next)}\`` });
+        }
+    }
+
+    for (const [key, event] of after) {
+        if (before.has(key)) continue;
+        if ([...before.values()].some((e) => e.name === event.name && !after.has(typeSignature(e)))) continue;
+        changes.push({ level: "minor", message: `event \`${describe(event)}\` added` });
+    }
+
+    return changes;
+}
+
+function compareErrors(before, after) {
+    const changes = [];
+    for (const [key, error] of after) {
+        if (!before.has(key)) changes.push({ level: "minor", message: `error \`${signature(error)}\` added` });
+    }
+    for (const [key, error] of before) {
+        if (!after.has(key)) changes.push({ level: "minor", message: `error \`${signature(error)}\` removed` });
+    }
+    return changes;
+}
+
+function compareConstructor(before, after) {
+    const find = (abi) => (abi || []).find((item) => item.type === "constructor");
+    const [ctorBefore, ctorAfter] = [find(before), find(after)];
+    const describe = (ctor) => (ctor ? `constructor(${ctor.inputs.map((p) => describeParam(p, { names: true })).join(", ")})` : "no constructor");
+
+    if (describe(ctorBefore) === describe(ctorAfter)) return [];
+    return [{ level: "patch", message: `\`${describe(ctorBefore)}\` → \`${describe(ctorAfter)}\`` }];
+}
+
+AbiDiff.LEVELS = LEVELS;
+
+module.exports = AbiDiff;
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 📦 ABI EXPORTER
+ *
+ * Decide qué ABIs se publican en export/abis y escribe un módulo ESM por
+ * contrato (abis/contracts/<Nombre>.js y .ts con `as const`). index.ts y
+ * runtime.js solo re-exportan esos módulos, así un frontend que importa
+ * TreasuryManager no arrastra los demás ABIs.
+ *
+ * La política son globs: con "/" se comparan con el sourceName del artifact
+ * (contracts/test/MockCore.sol), sin "/" con el nombre del contrato (Mock*).
+ */
+
+class AbiExporter {
+    /**
+     * @param {string} outputDir - export/abis
+     * @param {Object} options - {policy: {allow, deny}}; sin allow se permite todo
+     */
+    constructor(outputDir, { policy = {} } = {}) {
+        this.outputDir = outputDir;
+        this.modulesDir = path.join(outputDir, "contracts");
+        this.allow = (policy.allow || ["**"]).map(AbiExporter.globToRegExp);
+        this.deny = (policy.deny || []).map(AbiExporter.globToRegExp);
+    }
+
+    /**
+     * `**` cruza directorios, `*` no
+     * @param {string} glob
+     * @returns {{glob: string, regex: RegExp, byPath: boolean}}
+     */
+    static globToRegExp(glob) {
+        const source = glob
+            .split("**")
+            .map((part) => part.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+            .join(".*");
+        return { glob, regex: new RegExp(`^${source}$`), byPath: glob.includes("/") };
+    }
+
+    /**
+     * Regla de la política que decide un contrato; deny gana a allow
+     * @param {string} contractName
+     * @param {string} sourceName
+     * @returns {{rule: string, exported: boolean}}
+     */
+    decide(contractName, sourceName) {
+        const matches = ({ regex, byPath }) => regex.test(byPath ? sourceName : contractName);
+
+        const denied = this.deny.find(matches);
+        if (denied) return { exported: false, rule: `deny ${denied.glob}` };
+
+        const allowed = this.allow.find(matches);
+        if (allowed) return { exported: true, rule: `allow ${allowed.glob}` };
+
+        return { exported: false, rule: "not allowed" };
+    }
+
+    isExported(contractName, sourceName) {
+        return this.decide(contractName, sourceName).exported;
+    }
+
+    /**
+     * Escribe abis/contracts/*, index.ts y runtime.js. Los módulos de
+     * contratos que ya no se exportan se borran.
+     * @param {Object} catalog - nombre → {abi, source, category}
+     * @returns {string[]} nombres escritos, ordenados
+     */
+    writeModules(catalog) {
+        const names = Object.keys(catalog).sort();
+        const generated = `Generated: ${new Date().toISOString()}`;
+
+        fs.rmSync(this.modulesDir, { recursive: true, force: true });
+        fs.mkdirSync(this.modulesDir, { recursive: true });
+
+        for (const name of names) {
+            for (const extension of [".js", ".ts"]) {
+                fs.writeFileSync(path.join(this.modulesDir, `${name}${extension}`), moduleSource(name, catalog[name], extension));
+            }
+        }
+
+        fs.writeFileSync(path.join(this.outputDir, "index.ts"), buildIndex(names, {
+            header: `/**\n * Auto-generated ABI Index\n * One module per contract in ./contracts, typed \`as const\`.\n *\n * ${generated}\n */\n`,
+            extension: "",
+        }));
+        fs.writeFileSync(path.join(this.outputDir, "runtime.js"), buildIndex(names, {
+            header: `/**\n * Auto-generated runtime ABI exports.\n * One module per contract in ./contracts; import only what you use.\n */\n`,
+            extension: ".js",
+        }) + "\nexport default AllABIs;\n");
+
+        return names;
+    }
+
+    /**
+     * Diferencias entre el catálogo (los artifacts) y lo publicado en disco:
+     * módulos que faltan, sobran o no coinciden y entradas de all-abis.json
+     * desactualizadas. Vacío si export/abis está al día.
+     * @param {Object} catalog - nombre → {abi, source, category}
+     * @returns {string[]}
+     */
+    drift(catalog) {
+        const problems = [];
+        const names = Object.keys(catalog).sort();
+        const onDisk = fs.existsSync(this.modulesDir)
+            ? new Set(fs.readdirSync(this.modulesDir).filter((file) => file.endsWith(".js")).map((file) => file.slice(0, -3)))
+            : new Set();
+
+        for (const name of names) {
+            for (const extension of [".js", ".ts"]) {
+                const file = path.join(this.modulesDir, `${name}${extension}`);
+                if (!fs.existsSync(file)) problems.push(`${name}${extension}: missing`);
+                else if (fs.readFileSync(file, "utf8") !== moduleSource(name, catalog[name], extension)) problems.push(`${name}${extension}: ABI differs from the artifact`);
+            }
+        }
+        for (const name of [...onDisk].filter((name) => !catalog[name]).sort()) {
+            problems.push(`${name}.js: no longer exported`);
+        }
+
+        const allAbisPath = path.join(this.outputDir, "all-abis.json");
+        const published = fs.existsSync(allAbisPath) ? JSON.parse(fs.readFileSync(allAbisPath, "utf8")) : {};
+        for (const name of new Set([...names, ...Object.keys(published)])) {
+            const expected = catalog[name] ? JSON.stringify(catalog[name].abi) : undefined;
+            const actual = published[name] ? JSON.stringify(published[name].abi) : undefined;
+            if (expected !== actual) problems.push(`all-abis.json: ${name} ${actual === undefined ? "missing" : expected === undefined ? "no longer exported" : "differs from the artifact"}`);
+        }
+
+        return problems;
+    }
+}
+
+function moduleSource(name, { abi, source }, extension) {
+    const header = `/**\n * Auto-generated ABI of ${name} (${source}).\n */\n\n`;
+    const json = JSON.stringify(abi);
+    return `${header}export const ${name} = ${json}${extension === ".ts" ? " as const" : ""};\n\nexport default ${name};\n`;
+}
+
+function buildIndex(names, { header, extension }) {
+    const imports = names.map((name) => `import { ${name} } from "./contracts/${name}${extension}";`);
+
+    return [
+        header,
+        ...imports,
+        "",
+        `export {\n${names.map((name) => `  ${name}`).join(",\n")}\n};`,
+        "",
+        `// Every ABI by contract name. Importing it pulls all modules into the bundle.`,
+        `export const AllABIs = {\n${names.map((name) => `  ${name}`).join(",\n")}\n};`,
+        "",
+    ].join("\n");
+}
+
+module.exports = AbiExporter;
@@ -0,0 +1,358 @@
+const { ethers } = require("ethers");
+const abis = require("@nuxchain/protocol-export/abis");
+const { resolveValue } = require("./ManifestRefs.cjs");
+
+/**
+ * 🔑 ACCESS AUDIT
+ *
+ * Enumera owners (Ownable) y miembros de cada rol (AccessControl) de los
+ * contratos de complete-deployment.json y los compara con la política de
+ * scripts/access.policy.cjs. Los candidatos salen de los eventos
+ * RoleGranted/RoleRevoked, más los holders de la política y el deployer; cada
+ * uno se confirma con hasRole en el mismo bloque.
+ *
+ * Marca holders inesperados (EOAs aparte), holders esperados que faltan, roles
+ * sin holder y el deployer con derechos de upgrade. Solo lee.
+ */
+
+const DEFAULT_ADMIN_ROLE = "DEFAULT_ADMIN_ROLE";
+const UPGRADER_ROLE = "UPGRADER_ROLE";
+const UPGRADE_METHODS = ["upgradeTo", "upgradeToAndCall"];
+
+const ROLE_EVENTS = new ethers.Interface([
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+]);
+const ACCESS_ABI = [
+    "function owner() view returns (address)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+];
+
+const SEVERITY = {
+    "unexpected-eoa": "critical",
+    "deployer-upgrade": "critical",
+    "unexpected-holder": "high",
+    "missing-holder": "high",
+    "no-holder": "medium",
+};
+
+class AccessAudit {
+    /**
+     * @param {Object} policy - module.exports de scripts/access.policy.cjs
+     * @param {Object} options - {manifest, addresses, deployer, provider, fromBlock, logRange}
+     *   manifest: deploy.manifest.cjs, para el contrato de cada id
+     *   addresses: planas (`section.key` → address), de complete-deployment.json
+     *   deployer: address del deploy (deployer() en la política)
+     *   fromBlock: primer bloque de la búsqueda de eventos
+     *   logRange: bloques por eth_getLogs; se parte a la mitad si el RPC lo rechaza
+     */
+    constructor(policy, { manifest = { contracts: {} }, addresses, deployer, provider, fromBlock = 0, logRange = 10000 }) {
+        this.policy = policy;
+        this.manifest = manifest;
+        this.addresses = addresses;
+        this.deployer = ethers.getAddress(deployer);
+        this.provider = provider;
+        this.fromBlock = fromBlock;
+        this.logRange = logRange;
+        this.codeCache = new Map();
+    }
+
+    static roleHash(name) {
+        return name === DEFAULT_ADMIN_ROLE ? ethers.ZeroHash : ethers.id(name);
+    }
+
+    /**
+     * Qué expone un ABI: owner(), roles (getters `*_ROLE`) y upgradeTo
+     * @param {Array} abi
+     * @returns {{ownable: boolean, roles: string[], upgradeable: boolean}}
+     */
+    static describeAbi(abi) {
+        // Sobre el JSON, sin Interface: los ABIs de librerías traen tipos que ethers no parsea
+        const functions = abi.filter((f) => f.type === "function");
+        const names = new Set(functions.map((f) => f.name));
+        const roles = functions
+            .filter((f) => /_ROLE$/.test(f.name) && (f.inputs || []).length === 0 && f.outputs?.[0]?.type === "bytes32")
+            .map((f) => f.name);
+
+        return {
+            ownable: names.has("owner"),
+            roles: names.has("hasRole") ? [...new Set([DEFAULT_ADMIN_ROLE, ...roles])] : [],
+            upgradeable: UPGRADE_METHODS.some((name) => names.has(name)),
+        };
+    }
+
+    /**
+     * Contratos a auditar: cada dirección con su artifact y ABI exportado
+     * @returns {Array<{id, contract, address, abi}>}
+     */
+    targets() {
+        return Object.entries(this.addresses).map(([id, address]) => {
+            const contract = this.policy.contracts?.[id]?.contract || this.manifest.contracts[id]?.contract || null;
+            return { id, contract, address: ethers.getAddress(address), abi: (contract && abis[contract]) || null };
+        });
+    }
+
+    /**
+     * Holders de la política ya resueltos. Cada valor es una dirección, ref(),
+     * env() (lista separada por comas) o deployer(); los env() sin valor
+     * (fallback null) no cuentan.
+     * @returns {string[]}
+     */
+    resolveHolders(values) {
+        const context = { addresses: this.addresses, deployer: this.deployer, onMissingRef: () => null };
+        return values
+            .flatMap((value) => {
+                const resolved = resolveValue(value, context);
+                return typeof resolved === "string" ? resolved.split(",") : [];
+            })
+            .map((address) => address.trim())
+            .filter(Boolean)
+            .map((address) => ethers.getAddress(address));
+    }
+
+    /**
+     * Política efectiva de un contrato: `defaults` para los roles que define y
+     * su owner, pisada rol a rol por `contracts[id]`
+     * @returns {{owner: string[]|null, roles: Object<string, string[]>}}
+     */
+    expectedFor(id, { ownable, roles }) {
+        const defaults = this.policy.defaults || {};
+        const entry = this.policy.contracts?.[id] || {};
+        const declared = { ...defaults.roles, ...entry.roles };
+
+        const expected = {};
+        for (const name of new Set([...roles, ...Object.keys(entry.roles || {})])) {
+            if (declared[name] !== undefined) expected[name] = this.resolveHolders(declared[name]);
+        }
+
+        const owner = entry.owner ?? defaults.owner;
+        return { owner: ownable && owner !== undefined ? this.resolveHolders(owner) : null, roles: expected };
+    }
+
+    /**
+     * eth_getLogs por tramos de logRange bloques; un tramo que el RPC rechaza
+     * (demasiados resultados, rango) se parte a la mitad
+     */
+    async fetchLogs(addresses, fromBlock, toBlock) {
+        const filter = {
+            address: addresses,
+            topics: [[ROLE_EVENTS.getEvent("RoleGranted").topicHash, ROLE_EVENTS.getEvent("RoleRevoked").topicHash]],
+        };
+        const logs = [];
+        for (let start = fromBlock; start <= toBlock; start += this.logRange) {
+            logs.push(...(await this.fetchRange(filter, start, Math.min(toBlock, start + this.logRange - 1))));
+        }
+        return logs;
+    }
+
+    async fetchRange(filter, fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({ ...filter, fromBlock, toBlock });
+        } catch (error) {
+            if (toBlock <= fromBlock) throw error;
+            const middle = Math.floor((fromBlock + toBlock) / 2);
+            return [
+                ...(await this.fetchRange(filter, fromBlock, middle)),
+                ...(await this.fetchRange(filter, middle + 1, toBlock)),
+            ];
+        }
+    }
+
+    /**
+     * Miembros según los eventos: el último Granted/Revoked de cada cuenta manda
+     * @param {Array} logs - en orden de bloque
+     * @returns {Map<string, Map<string, Set<string>>>} address → role hash → cuentas
+     */
+    static replay(logs) {
+        const members = new Map();
+        for (const log of logs) {
+            const event = ROLE_EVENTS.parseLog(log);
+            if (!event) continue;
+
+            const address = ethers.getAddress(log.address);
+            if (!members.has(address)) members.set(address, new Map());
+            const roles = members.get(address);
+            if (!roles.has(event.args.role)) roles.set(event.args.role, new Set());
+
+            const account = ethers.getAddress(event.args.account);
+            if (event.name === "RoleGranted") roles.get(event.args.role).add(account);
+            else roles.get(event.args.role).delete(account);
+        }
+        return members;
+    }
+
+    async isEOA(address) {
+        if (!this.codeCache.has(address)) {
+            this.codeCache.set(address, (await this.provider.getCode(address)) === "0x");
+        }
+        return this.codeCache.get(address);
+    }
+
+    async holder(address) {
+        return { address, eoa: await this.isEOA(address) };
+    }
+
+    /**
+     * Owners y roles on-chain de cada contrato, todos leídos en el mismo bloque
+     * @returns {Promise<Array>} [{id, contract, address, upgradeable, owner, roles: [{name, hash, admin, expected, holders}]}]
+     */
+    async collect() {
+        const blockTag = await this.provider.getBlockNumber();
+        const targets = this.targets();
+        const withRoles = targets.filter((t) => t.abi && AccessAudit.describeAbi(t.abi).roles.length > 0);
+        const logs = withRoles.length > 0
+            ? await this.fetchLogs(withRoles.map((t) => t.address), this.fromBlock, blockTag)
+            : [];
+        const fromEvents = AccessAudit.replay(logs);
+
+        const holdings = [];
+        for (const target of targets) {
+            if (!target.abi) {
+                const { id, contract, address } = target;
+                holdings.push({ id, contract, address, skipped: contract ? `no exported ABI for ${contract}` : "unknown contract" });
+                continue;
+            }
+
+            const shape = AccessAudit.describeAbi(target.abi);
+            const expected = this.expectedFor(target.id, shape);
+            const instance = new ethers.Contract(target.address, ACCESS_ABI, this.provider);
+            const entry = { id: target.id, contract: target.contract, address: target.address, upgradeable: shape.upgradeable, owner: null, roles: [] };
+
+            if (shape.ownable) {
+                entry.owner = await this.holder(ethers.getAddress(await instance.owner({ blockTag })));
+                entry.expectedOwner = expected.owner;
+            }
+
+            const seen = fromEvents.get(target.address) || new Map();
+            const names = new Map(shape.roles.map((name) => [AccessAudit.roleHash(name), name]));
+            // Roles con eventos pero sin getter en el ABI se listan por su hash
+            for (const hash of seen.keys()) if (!names.has(hash)) names.set(hash, hash);
+            for (const name of Object.keys(expected.roles)) names.set(AccessAudit.roleHash(name), name);
+
+            for (const [hash, name] of names) {
+                const candidates = new Set([...(seen.get(hash) || []), ...(expected.roles[name] || []), this.deployer]);
+                const holders = [];
+                for (const account of candidates) {
+                    if (await instance.hasRole(hash, account, { blockTag })) holders.push(await this.holder(account));
+                }
+                const adminHash = await instance.getRoleAdmin(hash, { blockTag });
+                entry.roles.push({ name, hash, admin: names.get(adminHash) || adminHash, expected: expected.roles[name] ?? null, holders });
+            }
+            holdings.push(entry);
+        }
+        return { blockNumber: blockTag, holdings };
+    }
+
+    /**
+     * Hallazgos de unos holdings contra la política
+     * @param {Array} holdings - collect().holdings
+     * @returns {Array<{id, contract, kind, severity, role, account, message}>}
+     */
+    evaluate(holdings) {
+        const findings = [];
+        const add = (entry, kind, role, account, message) => {
+            findings.push({ id: entry.id, contract: entry.contract, kind, severity: SEVERITY[kind], role, account, message });
+        };
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+        const isDeployer = (account) => same(account, this.deployer);
+
+        for (const entry of holdings) {
+            if (entry.skipped) continue;
+
+            if (entry.owner && entry.expectedOwner) {
+                const { address, eoa } = entry.owner;
+                if (!entry.expectedOwner.some((allowed) => same(allowed, address))) {
+                    add(entry, eoa ? "unexpected-eoa" : "unexpected-holder", "owner", address,
+                        `owner is ${eoa ? "an unexpected EOA" : "an unexpected contract"}, expected ${entry.expectedOwner.join(" or ") || "nobody"}`);
+                }
+            }
+
+            for (const role of entry.roles) {
+                if (role.expected) {
+                    for (const { address, eoa } of role.holders) {
+                        if (!role.expected.some((allowed) => same(allowed, address))) {
+                            add(entry, eoa ? "unexpected-eoa" : "unexpected-holder", role.name, address,
+                                `${role.name} held by ${eoa ? "an unexpected EOA" : "an unexpected contract"}`);
+                        }
+                    }
+                    for (const account of role.expected) {
+                        if (!role.holders.some(({ address }) => same(address, account))) {
+                            add(entry, "missing-holder", role.name, account, `${role.name} is not held by ${account}`);
+                        }
+                    }
+                } else {
+                    for (const { address, eoa } of role.holders) {
+                        add(entry, eoa ? "unexpected-eoa" : "unexpected-holder", role.name, address,
+                            `${role.name} is not in the policy but is held by ${address}`);
+                    }
+                }
+
+                // Un rol vacío declarado como [] en la política es intencional
+                if (role.holders.length === 0 && !(role.expected && role.expected.length === 0)) {
+                    add(entry, "no-holder", role.name, null, `${role.name} has no holder`);
+                }
+            }
+
+            if (entry.upgradeable) {
+                const upgrader = entry.roles.find((role) => role.name === UPGRADER_ROLE);
+                if (upgrader) {
+                    if (upgrader.holders.some(({ address }) => isDeployer(address))) {
+                        add(entry, "deployer-upgrade", UPGRADER_ROLE, this.deployer, "deployer still holds UPGRADER_ROLE");
+                    }
+                    const admin = entry.roles.find((role) => role.name === upgrader.admin);
+                    if (admin && admin.holders.some(({ address }) => isDeployer(address))) {
+                        add(entry, "deployer-upgrade", admin.name, this.deployer, `deployer holds ${admin.name} and can grant itself UPGRADER_ROLE`);
+                    }
+                } else if (entry.owner && isDeployer(entry.owner.address)) {
+                    add(entry, "deployer-upgrade", "owner", this.deployer, "deployer is still the owner of an upgradeable contract");
+                }
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * @returns {Promise<Object>} {blockNumber, holdings, findings, ok}
+     */
+    async run() {
+        const { blockNumber, holdings } = await this.collect();
+        const findings = this.evaluate(holdings);
+        return { blockNumber, holdings, findings, ok: findings.length === 0 };
+    }
+
+    /**
+     * Texto del reporte: quién tiene qué por contrato, y los hallazgos
+     * @param {Object} report - resultado de run()
+     * @returns {string}
+     */
+    static format(report) {
+        const icons = { critical: "🚨", high: "❌", medium: "⚠️ " };
+        const tag = (holder) => `${holder.address}${holder.eoa ? " (EOA)" : ""}`;
+        const lines = [];
+
+        for (const entry of report.holdings) {
+            lines.push(`\n── ${entry.contract || "?"} (${entry.id}) ${entry.address}`);
+            if (entry.skipped) {
+                lines.push(`   ⏭️  skipped: ${entry.skipped}`);
+                continue;
+            }
+            if (entry.owner) lines.push(`   owner: ${tag(entry.owner)}`);
+            for (const role of entry.roles) {
+                const admin = role.admin === role.name ? "" : `  [admin: ${role.admin}]`;
+                lines.push(`   ${role.name}${admin}: ${role.holders.map(tag).join(", ") || "—"}`);
+            }
+            for (const finding of report.findings.filter((f) => f.id === entry.id)) {
+                lines.push(`   ${icons[finding.severity]} ${finding.message}`);
+            }
+        }
+
+        const count = (severity) => report.findings.filter((f) => f.severity === severity).length;
+        lines.push(`\n   ${count("critical")} critical, ${count("high")} high, ${count("medium")} medium (block ${report.blockNumber})`);
+        return lines.join("\n");
+    }
+}
+
+AccessAudit.SEVERITY = SEVERITY;
+
+module.exports = AccessAudit;
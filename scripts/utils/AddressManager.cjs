@@ -278,10 +278,11 @@ class AddressManager {
     /**
      * Actualizar direcciones con nuevos deployments
      * @param {Object} newAddresses - {category: {contractKey: address}}
-     * @param {Object} options - {updateEnv, updateDeployment}
+     * @param {Object} options - {updateEnv, updateDeployment, bytecode}
+     *   bytecode: hashes de executeStrategy() (results.bytecode)
      */
     updateAddresses(newAddresses, options = {}) {
-        const { updateEnv = true, updateDeployment = true } = options;
+        const { updateEnv = true, updateDeployment = true, bytecode = {} } = options;
 
         try {
             // Cargar direcciones existentes
@@ -291,7 +292,7 @@ class AddressManager {
             const merged = this.mergeAddresses(existing, newAddresses);
 
             if (updateDeployment) {
-                this.saveToDeploymentFile(merged);
+                this.saveToDeploymentFile(merged, bytecode);
             }
 
             if (updateEnv) {
@@ -309,8 +310,9 @@ class AddressManager {
     /**
      * Guardar direcciones en archivo de deployment
      * @param {Object} addresses
+     * @param {Object} bytecode - id → {contract, hash} de lo desplegado/upgradeado
      */
-    saveToDeploymentFile(addresses) {
+    saveToDeploymentFile(addresses, bytecode = {}) {
         const deploymentFile = path.join(this.deploymentsDir, "complete-deployment.json");
         const addressesFile = path.join(this.deploymentsDir, "addresses.json");
         
@@ -382,7 +384,15 @@ class AddressManager {
             });
         }
 
+        deploymentData.bytecode = { ...(deploymentData.bytecode || {}), ...bytecode };
+
         fs.writeFileSync(deploymentFile, JSON.stringify(deploymentData, null, 2));
+
+        // Copia por red para que el paquete export genere un address book por chainId
+        const networkDir = path.join(this.deploymentsDir, this.network);
+        fs.mkdirSync(networkDir, { recursive: true });
+        fs.writeFileSync(path.join(networkDir, "complete-deployment.json"), JSON.stringify(deploymentData, null, 2));
+
         fs.writeFileSync(addressesFile, JSON.stringify(this.flattenAddresses(addresses), null, 2));
         console.log(`💾 Deployment file updated: complete-deployment.json`);
     }
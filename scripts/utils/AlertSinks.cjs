@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * 📣 ALERT SINKS
+ *
+ * Destinos de las alertas de HealthMonitor: consola, archivo JSONL y webhook
+ * genérico (POST con el JSON de la alerta más un campo `text` legible). Cada
+ * sink puede filtrar por `minSeverity`.
+ *
+ * Los strings de la configuración aceptan `${VAR}` del entorno, para que las
+ * URLs y tokens de los webhooks no queden en el archivo de reglas.
+ */
+
+const SEVERITIES = ["info", "warning", "critical"];
+const ICONS = { firing: "🚨", resolved: "✅", event: "📣" };
+
+class AlertSinks {
+    /**
+     * @param {Object} config - { type: "stdout" | "file" | "webhook", minSeverity, ...opciones del tipo }
+     * @param {Object} options - env (para `${VAR}`), cwd (base de las rutas de `file`)
+     * @returns {{ name: string, minSeverity: string, send: (alert: Object) => Promise<void> }}
+     */
+    static create(config, { env = process.env, cwd = process.cwd() } = {}) {
+        const options = AlertSinks.interpolate(config, env);
+        if (options.minSeverity !== undefined && !SEVERITIES.includes(options.minSeverity)) {
+            throw new Error(`❌ Sink ${options.type}: unknown minSeverity "${options.minSeverity}"; expected ${SEVERITIES.join(", ")}`);
+        }
+
+        switch (options.type) {
+            case "stdout":
+                return AlertSinks.stdout(options);
+            case "file":
+                if (!options.path) throw new Error("❌ Sink file: `path` is required");
+                return AlertSinks.file({ ...options, path: path.resolve(cwd, options.path) });
+            case "webhook":
+                return AlertSinks.webhook(options);
+            default:
+                throw new Error(`❌ Unknown sink type "${options.type}"; expected stdout, file or webhook`);
+        }
+    }
+
+    static stdout({ minSeverity = "info", write = (line) => console.log(line) } = {}) {
+        return {
+            name: "stdout",
+            minSeverity,
+            send: async (alert) => write(AlertSinks.format(alert)),
+        };
+    }
+
+    /**
+     * Una alerta por línea (JSONL), en modo append
+     */
+    static file({ path: file, minSeverity = "info" }) {
+        return {
+            name: `file:${path.basename(file)}`,
+            minSeverity,
+            send: async (alert) => {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.appendFileSync(file, JSON.stringify(AlertSinks.toJSON(alert)) + "\n");
+            },
+        };
+    }
+
+    /**
+     * POST JSON; una respuesta que no es 2xx cuenta como fallo del envío
+     */
+    static webhook({ url, headers = {}, timeout = 10000, minSeverity = "info", fetch: post = globalThis.fetch }) {
+        if (!url) throw new Error("❌ Sink webhook: `url` is required");
+
+        return {
+            // Solo el host: la URL suele llevar el token
+            name: `webhook:${new URL(url).host}`,
+            minSeverity,
+            send: async (alert) => {
+                const response = await post(url, {
+                    method: "POST",
+                    headers: { "content-type": "application/json", ...headers },
+                    body: JSON.stringify({ ...AlertSinks.toJSON(alert), text: AlertSinks.format(alert) }),
+                    signal: AbortSignal.timeout(timeout),
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            },
+        };
+    }
+
+    /**
+     * ¿El sink recibe alertas de esta severidad?
+     */
+    static accepts(sink, severity) {
+        return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(sink.minSeverity || "info");
+    }
+
+    // ─── formato ────────────────────────────────────────────────────────────
+
+    static toJSON(alert) {
+        return JSON.parse(JSON.stringify(alert, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+    }
+
+    static formatValue(value, unit) {
+        if (value === null || value === undefined) return "-";
+        switch (unit) {
+            case "wei":
+                return `${ethers.formatEther(value)} POL`;
+            case "bps":
+                return `${Number(value) / 100}%`;
+            case "pct":
+                return `${value}%`;
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Una línea legible por alerta (consola y `text` del webhook)
+     */
+    static format(alert) {
+        const head = `${ICONS[alert.status] || "•"} [${alert.severity}] ${alert.rule} ${alert.status.toUpperCase()}`;
+        let detail = "";
+        if (alert.metric) {
+            detail = ` (${alert.metric} = ${AlertSinks.formatValue(alert.value, alert.unit)}; rule ${alert.op} ${alert.threshold})`;
+        } else if (alert.event) {
+            const args = Object.entries(alert.event.args)
+                .map(([name, value]) => `${name}=${value}`)
+                .join(", ");
+            detail = ` (${alert.event.contract}.${alert.event.name}(${args}) tx ${alert.event.transactionHash})`;
+        } else if (alert.error) {
+            detail = ` (${alert.error})`;
+        }
+        return `${head} — ${alert.message}${detail} @ ${alert.network} #${alert.block}`;
+    }
+
+    /**
+     * Reemplaza `${VAR}` en todos los strings de la configuración
+     */
+    static interpolate(value, env) {
+        if (typeof value === "string") {
+            return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+                if (env[name] === undefined || env[name] === "") throw new Error(`❌ ${name} is not set (used in the sink configuration)`);
+                return env[name];
+            });
+        }
+        if (Array.isArray(value)) return value.map((item) => AlertSinks.interpolate(item, env));
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, AlertSinks.interpolate(item, env)]));
+        }
+        return value;
+    }
+
+    static get SEVERITIES() {
+        return SEVERITIES;
+    }
+}
+
+module.exports = AlertSinks;
@@ -0,0 +1,359 @@
+const { ethers } = require("ethers");
+const { MULTICALL3_ABI } = require("@nuxchain/protocol-export/clients");
+const { decodeRevert } = require("@nuxchain/protocol-export/errors");
+const { SmartStakingCore } = require("@nuxchain/protocol-export/abis/SmartStakingCore");
+const { SmartStakingGamification } = require("@nuxchain/protocol-export/abis/SmartStakingGamification");
+
+/**
+ * 🔁 AUTO-COMPOUND KEEPER
+ *
+ * El keeper propio para el auto-compound de SmartStakingCore: recorre la
+ * lista de getAutoCompoundUsersPage del módulo de gamificación en un mismo
+ * bloque, pide el performData con checkAutoCompound, simula cada
+ * performAutoCompound con eth_call y arma batches que entran en el
+ * presupuesto de gas.
+ *
+ * batchAutoCompound es onlyCore y el core no lo llama, así que cada batch es
+ * un aggregate3 de Multicall3 con un performAutoCompound por usuario
+ * (allowFailure: uno que revierte no tumba al resto). Cada usuario que no se
+ * compone queda en `skipped` con el motivo, y `metrics` acumula contadores
+ * entre rondas (prometheus() los expone en formato texto).
+ */
+
+// Mismo valor que AUTO_COMPOUND_INTERVAL (private) de la gamificación
+const AUTO_COMPOUND_INTERVAL = 86400n;
+
+const TX_BASE_GAS = 21000n;
+// Lo que agrega aggregate3 por llamada (loop, calldata, copia del resultado), con margen
+const CALL_OVERHEAD_GAS = 10000n;
+
+const SKIP_REASONS = [
+    "disabled",             // en la lista pero con enabled = false
+    "not-due",              // no pasaron 24 h desde el último compound
+    "below-minimum",        // rewards por debajo del minAmount del usuario
+    "simulation-reverted",  // eth_call de performAutoCompound revierte
+    "over-budget",          // una sola llamada no entra en el presupuesto de gas
+    "failed-in-batch",      // la llamada falló dentro del aggregate3
+    "batch-failed",         // el aggregate3 entero no se pudo enviar o revirtió
+];
+
+function emptyMetrics() {
+    return {
+        runs: 0,
+        errors: 0,
+        lastRunAt: null,
+        lastRunBlock: null,
+        lastRunDurationMs: null,
+        usersScanned: 0,
+        usersDue: 0,
+        compounded: 0,
+        rewardsCompounded: 0n,
+        batches: 0,
+        batchesFailed: 0,
+        gasUsed: 0n,
+        skipped: Object.fromEntries(SKIP_REASONS.map((reason) => [reason, 0])),
+    };
+}
+
+class AutoCompoundKeeper {
+    /**
+     * @param {Object} options
+     * @param {import("ethers").Contract} options.core - SmartStakingCore conectado al signer del keeper
+     * @param {import("ethers").Contract} options.gamification - módulo de gamificación del core
+     * @param {import("ethers").Contract} options.multicall - Multicall3 conectado al mismo signer
+     * @param {bigint} options.gasBudget - gas máximo por batch (aggregate3 completo)
+     * @param {number} options.maxBatchSize - usuarios por batch como máximo
+     * @param {boolean} options.dryRun - simula y planifica, sin enviar
+     */
+    constructor({ core, gamification, multicall, provider, pageSize = 100, gasBudget = 5_000_000n, maxBatchSize = 50, dryRun = false }) {
+        this.core = core;
+        this.gamification = gamification;
+        this.multicall = multicall;
+        this.provider = provider || core.runner.provider;
+        this.pageSize = pageSize;
+        this.gasBudget = BigInt(gasBudget);
+        this.maxBatchSize = maxBatchSize;
+        this.dryRun = dryRun;
+        this.metrics = emptyMetrics();
+    }
+
+    /**
+     * Construye los contratos desde las direcciones; la gamificación es la
+     * que tenga el core configurada
+     * @param {import("ethers").Signer} signer
+     * @param {Object} options - core, multicall (direcciones) y el resto de opciones del constructor
+     */
+    static async connect(signer, { core: coreAddress, multicall: multicallAddress, ...options }) {
+        const provider = signer.provider;
+        if ((await provider.getCode(multicallAddress)) === "0x") {
+            throw new Error(`❌ Multicall3 is not deployed at ${multicallAddress}`);
+        }
+
+        const core = new ethers.Contract(coreAddress, SmartStakingCore, signer);
+        const gamificationAddress = await core.gamificationModule();
+        if (gamificationAddress === ethers.ZeroAddress) {
+            throw new Error("❌ SmartStakingCore has no gamification module");
+        }
+
+        return new AutoCompoundKeeper({
+            core,
+            gamification: new ethers.Contract(gamificationAddress, SmartStakingGamification, provider),
+            multicall: new ethers.Contract(multicallAddress, MULTICALL3_ABI, signer),
+            provider,
+            ...options,
+        });
+    }
+
+    // ─── scan ───────────────────────────────────────────────────────────────
+
+    /**
+     * Recorre la lista completa en un mismo bloque y separa a los que se
+     * pueden componer (con su performData, rewards y gas estimado) de los que no
+     * @returns {Promise<{ block: number, timestamp: number, scanned: number, candidates: Object[], skipped: Object[] }>}
+     */
+    async scan() {
+        const block = await this.provider.getBlock("latest");
+        const overrides = { blockTag: block.number };
+        const now = BigInt(block.timestamp);
+        const candidates = [];
+        const skipped = [];
+        let scanned = 0;
+
+        for (let offset = 0; ; offset += this.pageSize) {
+            const [users, configs, total] = await this.gamification.getAutoCompoundUsersPage(offset, this.pageSize, overrides);
+
+            for (const [i, user] of users.entries()) {
+                scanned++;
+                const [enabled, minAmount, lastCompoundTime] = configs[i];
+                if (!enabled) {
+                    skipped.push({ user, reason: "disabled" });
+                    continue;
+                }
+                const dueAt = lastCompoundTime + AUTO_COMPOUND_INTERVAL;
+                if (now < dueAt) {
+                    skipped.push({ user, reason: "not-due", detail: { dueAt } });
+                    continue;
+                }
+
+                const [, rewards] = await this.gamification.checkAutoCompound(user, overrides);
+                const [upkeepNeeded, performData] = await this.core.checkAutoCompound(user, overrides);
+                if (!upkeepNeeded) {
+                    skipped.push({ user, reason: "below-minimum", detail: { rewards, minAmount } });
+                    continue;
+                }
+
+                const candidate = await this.simulate(user, performData, overrides);
+                if (candidate.error) skipped.push({ user, reason: "simulation-reverted", detail: candidate.error });
+                else candidates.push({ ...candidate, rewards });
+            }
+
+            if (users.length === 0 || offset + this.pageSize >= Number(total)) break;
+        }
+
+        return { block: block.number, timestamp: block.timestamp, scanned, candidates, skipped };
+    }
+
+    /**
+     * eth_call de performAutoCompound y, si pasa, su gas como tx suelta
+     */
+    async simulate(user, performData, overrides) {
+        try {
+            await this.core.performAutoCompound.staticCall(performData, overrides);
+            const gas = await this.core.performAutoCompound.estimateGas(performData);
+            return { user, performData, gas };
+        } catch (err) {
+            const decoded = decodeRevert(err, { contract: "SmartStakingCore" });
+            return { user, performData, error: decoded ? { errorName: decoded.errorName, message: decoded.humanMessage } : { errorName: null, message: err.shortMessage || err.message } };
+        }
+    }
+
+    // ─── batches ────────────────────────────────────────────────────────────
+
+    /**
+     * Agrupa en orden, sin pasar el presupuesto ni maxBatchSize. El gas de
+     * cada llamada dentro del aggregate3 es su estimación menos el costo base
+     * de una tx, más CALL_OVERHEAD_GAS.
+     * @returns {{ batches: { calls: Object[], gas: bigint }[], overBudget: Object[] }}
+     */
+    static plan(candidates, { gasBudget, maxBatchSize }) {
+        const batches = [];
+        const overBudget = [];
+        let calls = [];
+        let gas = TX_BASE_GAS;
+
+        for (const candidate of candidates) {
+            const cost = candidate.gas - TX_BASE_GAS + CALL_OVERHEAD_GAS;
+            if (TX_BASE_GAS + cost > gasBudget) {
+                overBudget.push(candidate);
+                continue;
+            }
+            if (calls.length === maxBatchSize || gas + cost > gasBudget) {
+                batches.push({ calls, gas });
+                calls = [];
+                gas = TX_BASE_GAS;
+            }
+            calls.push(candidate);
+            gas += cost;
+        }
+        if (calls.length > 0) batches.push({ calls, gas });
+
+        return { batches, overBudget };
+    }
+
+    /**
+     * Un aggregate3. Si la estimación real no entra en el presupuesto, se
+     * parte en dos. Los usuarios compuestos salen de los eventos Compounded del recibo.
+     */
+    async submit(calls, result) {
+        const target = this.core.target;
+        const requests = calls.map((call) => ({
+            target,
+            allowFailure: true,
+            callData: this.core.interface.encodeFunctionData("performAutoCompound", [call.performData]),
+        }));
+
+        let receipt;
+        try {
+            const estimate = await this.multicall.aggregate3.estimateGas(requests);
+            if (estimate > this.gasBudget && calls.length > 1) {
+                const half = Math.ceil(calls.length / 2);
+                await this.submit(calls.slice(0, half), result);
+                await this.submit(calls.slice(half), result);
+                return;
+            }
+            const tx = await this.multicall.aggregate3(requests, { gasLimit: (estimate * 120n) / 100n });
+            receipt = await tx.wait();
+        } catch (err) {
+            receipt = err.receipt || null;
+            const message = err.shortMessage || err.message;
+            result.batches.push({ hash: receipt ? receipt.hash : null, users: calls.length, gasUsed: receipt ? receipt.gasUsed : null, ok: false, error: message });
+            for (const call of calls) result.skipped.push({ user: call.user, reason: "batch-failed", detail: { message } });
+            return;
+        }
+
+        const compounded = new Map();
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== target.toLowerCase()) continue;
+            const parsed = this.core.interface.parseLog(log);
+            if (parsed && parsed.name === "Compounded") compounded.set(parsed.args.user.toLowerCase(), parsed.args.amount);
+        }
+
+        result.batches.push({ hash: receipt.hash, users: calls.length, gasUsed: receipt.gasUsed, ok: true });
+        for (const call of calls) {
+            const rewards = compounded.get(call.user.toLowerCase());
+            if (rewards === undefined) result.skipped.push({ user: call.user, reason: "failed-in-batch", detail: { hash: receipt.hash } });
+            else result.compounded.push({ user: call.user, rewards, hash: receipt.hash });
+        }
+    }
+
+    // ─── run ────────────────────────────────────────────────────────────────
+
+    /**
+     * Una ronda completa: scan, plan y envío (salvo dryRun). Actualiza `metrics`.
+     */
+    async run() {
+        const started = Date.now();
+        let result;
+        try {
+            const scan = await this.scan();
+            const { batches, overBudget } = AutoCompoundKeeper.plan(scan.candidates, { gasBudget: this.gasBudget, maxBatchSize: this.maxBatchSize });
+
+            result = {
+                block: scan.block,
+                timestamp: scan.timestamp,
+                dryRun: this.dryRun,
+                scanned: scan.scanned,
+                due: scan.candidates.length,
+                planned: batches.map((batch) => ({ users: batch.calls.map((call) => call.user), gas: batch.gas })),
+                compounded: [],
+                skipped: [
+                    ...scan.skipped,
+                    ...overBudget.map((candidate) => ({ user: candidate.user, reason: "over-budget", detail: { gas: candidate.gas, gasBudget: this.gasBudget } })),
+                ],
+                batches: [],
+            };
+
+            if (!this.dryRun) {
+                for (const batch of batches) await this.submit(batch.calls, result);
+            }
+        } catch (err) {
+            this.metrics.errors++;
+            throw err;
+        }
+
+        const m = this.metrics;
+        m.runs++;
+        m.lastRunAt = new Date(started).toISOString();
+        m.lastRunBlock = result.block;
+        m.lastRunDurationMs = Date.now() - started;
+        m.usersScanned += result.scanned;
+        m.usersDue += result.due;
+        m.compounded += result.compounded.length;
+        m.rewardsCompounded += result.compounded.reduce((sum, entry) => sum + entry.rewards, 0n);
+        m.batches += result.batches.length;
+        m.batchesFailed += result.batches.filter((batch) => !batch.ok).length;
+        m.gasUsed += result.batches.reduce((sum, batch) => sum + (batch.gasUsed || 0n), 0n);
+        for (const entry of result.skipped) m.skipped[entry.reason]++;
+
+        return result;
+    }
+
+    // ─── formato ────────────────────────────────────────────────────────────
+
+    /**
+     * Métricas en formato de exposición de Prometheus
+     */
+    static prometheus(metrics, prefix = "nuxchain_keeper") {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+            for (const [labels, value] of samples) lines.push(`${prefix}_${name}${labels} ${value}`);
+        };
+
+        metric("runs_total", "counter", "Keeper rounds completed", [["", metrics.runs]]);
+        metric("errors_total", "counter", "Keeper rounds that failed", [["", metrics.errors]]);
+        metric("users_scanned_total", "counter", "Auto-compound users read from the list", [["", metrics.usersScanned]]);
+        metric("users_due_total", "counter", "Users whose performAutoCompound simulated successfully", [["", metrics.usersDue]]);
+        metric("compounded_total", "counter", "Users compounded", [["", metrics.compounded]]);
+        metric("rewards_compounded_wei_total", "counter", "Rewards compounded, in wei", [["", metrics.rewardsCompounded]]);
+        metric("batches_total", "counter", "aggregate3 batches sent", [["", metrics.batches]]);
+        metric("batches_failed_total", "counter", "aggregate3 batches that failed or reverted", [["", metrics.batchesFailed]]);
+        metric("gas_used_total", "counter", "Gas used by keeper batches", [["", metrics.gasUsed]]);
+        metric("skipped_total", "counter", "Users not compounded, by reason", Object.entries(metrics.skipped).map(([reason, count]) => [`{reason="${reason}"}`, count]));
+        if (metrics.lastRunBlock !== null) {
+            metric("last_run_block", "gauge", "Block of the last completed round", [["", metrics.lastRunBlock]]);
+            metric("last_run_timestamp_seconds", "gauge", "When the last completed round started", [["", Math.floor(Date.parse(metrics.lastRunAt) / 1000)]]);
+            metric("last_run_duration_seconds", "gauge", "Duration of the last completed round", [["", metrics.lastRunDurationMs / 1000]]);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Resumen de una ronda para la consola
+     */
+    static format(result) {
+        const lines = [
+            `   Block ${result.block}: ${result.scanned} user(s) scanned, ${result.due} due, ${result.compounded.length} compounded${result.dryRun ? " (dry run)" : ""}`,
+        ];
+        if (result.dryRun) {
+            for (const [i, batch] of result.planned.entries()) {
+                lines.push(`     batch ${i + 1}: ${batch.users.length} user(s), ~${batch.gas} gas`);
+            }
+        }
+        for (const batch of result.batches) {
+            lines.push(`     ${batch.ok ? "✅" : "❌"} ${batch.hash || "(not sent)"} · ${batch.users} call(s)${batch.gasUsed ? ` · ${batch.gasUsed} gas` : ""}${batch.error ? ` · ${batch.error}` : ""}`);
+        }
+        const byReason = {};
+        for (const entry of result.skipped) byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+        if (result.skipped.length > 0) {
+            lines.push(`     Skipped: ${Object.entries(byReason).map(([reason, count]) => `${reason} ${count}`).join(", ")}`);
+        }
+        return lines.join("\n");
+    }
+
+    static get SKIP_REASONS() {
+        return SKIP_REASONS;
+    }
+}
+
+module.exports = AutoCompoundKeeper;
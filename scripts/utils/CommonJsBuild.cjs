@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const PackageSizeReport = require("./PackageSizeReport.cjs");
+
+/**
+ * 🔁 COMMONJS BUILD
+ *
+ * Transpila a CommonJS los módulos ESM que alcanza cada entrypoint de
+ * export/package.json y los escribe en export/cjs/ con extensión .cjs, para que
+ * los scripts del repo (todos .cjs) puedan hacer require() del paquete. Los
+ * imports relativos "./x.js" pasan a "./x.cjs"; los paquetes externos (ethers,
+ * viem) se resuelven con su propio build CJS.
+ *
+ * exportsMap() añade la condición "require" a cada entrada de "exports";
+ * "default" sigue apuntando al ESM.
+ */
+
+const RELATIVE_REQUIRE = /require\((["'])(\.{1,2}\/[^"']+?)\.js\1\)/g;
+
+class CommonJsBuild {
+    /**
+     * @param {string} exportDir - directorio con package.json (export/)
+     * @param {Object} options - {outDir: "cjs"}
+     */
+    constructor(exportDir, { outDir = "cjs" } = {}) {
+        this.exportDir = exportDir;
+        this.outDir = outDir;
+        this.pkg = JSON.parse(fs.readFileSync(path.join(exportDir, "package.json"), "utf8"));
+    }
+
+    /**
+     * Un módulo ESM como CommonJS
+     * @param {string} source
+     * @param {string} fileName - para los mensajes de error
+     * @returns {string}
+     */
+    static transpile(source, fileName = "module.js") {
+        const { outputText, diagnostics } = ts.transpileModule(source, {
+            fileName,
+            reportDiagnostics: true,
+            compilerOptions: {
+                module: ts.ModuleKind.CommonJS,
+                target: ts.ScriptTarget.ES2020,
+                esModuleInterop: true,
+                allowJs: true,
+                removeComments: false,
+            },
+        });
+
+        if (diagnostics && diagnostics.length > 0) {
+            const message = ts.flattenDiagnosticMessageText(diagnostics[0].messageText, "\n");
+            throw new Error(`${fileName}: ${message}`);
+        }
+        return outputText.replace(RELATIVE_REQUIRE, (match, quote, specifier) => `require(${quote}${specifier}.cjs${quote})`);
+    }
+
+    /**
+     * Archivo ESM de una entrada de "exports"
+     */
+    static esmTarget(target) {
+        return typeof target === "string" ? target : target.import || target.default;
+    }
+
+    /**
+     * "./index.js" → "./cjs/index.cjs"
+     */
+    cjsPath(relative) {
+        return `./${path.posix.join(this.outDir, relative.replace(/^\.\//, "").replace(/\.js$/, ".cjs"))}`;
+    }
+
+    /**
+     * Archivos ESM alcanzables desde los entrypoints (los patrones se expanden)
+     * @returns {string[]} rutas absolutas
+     */
+    sources() {
+        const files = new Set();
+
+        for (const target of Object.values(this.pkg.exports || {})) {
+            const relative = CommonJsBuild.esmTarget(target);
+            let entries = [path.join(this.exportDir, relative)];
+
+            if (relative.includes("*")) {
+                const [prefix, suffix] = relative.split("*");
+                const dir = path.join(this.exportDir, prefix);
+                entries = fs.existsSync(dir)
+                    ? fs.readdirSync(dir).filter((file) => file.endsWith(suffix)).map((file) => path.join(dir, file))
+                    : [];
+            }
+
+            for (const entry of entries) {
+                PackageSizeReport.collect(entry).files.forEach((file) => files.add(file));
+            }
+        }
+
+        return [...files].sort();
+    }
+
+    /**
+     * Reescribe export/cjs desde cero
+     * @returns {string[]} archivos .cjs escritos, relativos a exportDir
+     */
+    run() {
+        const outRoot = path.join(this.exportDir, this.outDir);
+        fs.rmSync(outRoot, { recursive: true, force: true });
+
+        return this.sources().map((file) => {
+            const relative = path.relative(this.exportDir, file);
+            const output = path.join(this.exportDir, this.cjsPath(`./${relative.split(path.sep).join("/")}`));
+
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            fs.writeFileSync(output, CommonJsBuild.transpile(fs.readFileSync(file, "utf8"), relative));
+            return path.relative(this.exportDir, output);
+        });
+    }
+
+    /**
+     * "exports" con types / import / require por entrada
+     * @returns {Object}
+     */
+    exportsMap() {
+        return Object.fromEntries(
+            Object.entries(this.pkg.exports || {}).map(([entrypoint, target]) => {
+                const esm = CommonJsBuild.esmTarget(target);
+                const conditions = typeof target === "string" ? {} : { types: target.types };
+                return [entrypoint, { ...conditions, import: esm, require: this.cjsPath(esm), default: esm }];
+            })
+        );
+    }
+}
+
+module.exports = CommonJsBuild;
@@ -1,27 +1,81 @@
 const fs = require("fs");
 const path = require("path");
 const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+const manifest = require("../deploy.manifest.cjs");
+const { collectRefs } = require("./ManifestRefs.cjs");
 
 /**
  * 🔍 CONTRACT ANALYZER
  * 
- * Detecta contratos modificados y analiza dependencias
+ * Detecta contratos modificados y analiza dependencias. Con la salida de
+ * compilación de Hardhat (artifacts/build-info) construye el grafo de imports
+ * transitivo y compara el bytecode actual con el hash registrado en el último
+ * deployment; sin ella recurre a las fechas de git.
  */
 
+// Placeholder de librería sin enlazar en el bytecode: __$<34 hex>$__
+const LINK_PLACEHOLDER = /__\$[0-9a-fA-F]{34}\$__/g;
+
 class ContractAnalyzer {
-    constructor(projectRoot) {
+    /**
+     * @param {string} projectRoot
+     * @param {string|null} network - lee deployments/<network>/ si existe
+     */
+    constructor(projectRoot, network = null) {
         this.projectRoot = projectRoot;
+        this.network = network;
         this.contractsDir = path.join(projectRoot, "contracts");
         this.deploymentsDir = path.join(projectRoot, "deployments");
+        this.buildInfoDir = path.join(projectRoot, "artifacts", "build-info");
+        this.compilation = undefined;
+        this.importGraph = null;
+    }
+
+    /**
+     * Hash del bytecode de creación sin enlazar. Se quita el bloque CBOR de
+     * metadata (cambia con comentarios o rutas) y los placeholders de
+     * librerías, así el hash solo cambia si cambia el código.
+     * @param {string} bytecode - artifact.bytecode o evm.bytecode.object
+     * @returns {string|null}
+     */
+    static hashBytecode(bytecode) {
+        let hex = String(bytecode || "").replace(/^0x/, "");
+        if (hex.length === 0) return null;
+
+        hex = hex.replace(LINK_PLACEHOLDER, "0".repeat(40));
+        const metadataLength = parseInt(hex.slice(-4), 16) * 2 + 4;
+        if (metadataLength < hex.length) {
+            hex = hex.slice(0, -metadataLength);
+        }
+        return ethers.keccak256(`0x${hex}`);
     }
 
     /**
-     * Detectar contratos modificados desde el último deployment
-     * @param {Date} sinceDate - Fecha desde la cual buscar cambios
-     * @returns {Array<string>} Array de nombres de contratos modificados
+     * Detectar contratos modificados desde el último deployment. Si hay
+     * hashes de bytecode registrados y artifacts compilados, se comparan
+     * hashes; si no, se usan fechas de git ampliadas con el grafo de imports.
+     * @param {Date} sinceDate - Fecha desde la cual buscar cambios (solo fallback)
+     * @returns {Array<Object>} Array de {name, path, category, fullPath, id?, reason}
      */
     detectModifiedContracts(sinceDate = null) {
         try {
+            const recorded = this.loadRecordedBytecode();
+            if (this.loadCompilation() && Object.keys(recorded).length > 0) {
+                const changes = this.detectBytecodeChanges(recorded);
+                const unknown = changes.filter(c => c.status === 'missing');
+                if (unknown.length > 0) {
+                    console.warn(`⚠️  No artifact for: ${unknown.map(c => c.contract).join(', ')} (run npx hardhat compile)`);
+                }
+                const reasons = {
+                    changed: 'bytecode changed since last deployment',
+                    added: 'no bytecode recorded at the last deployment'
+                };
+                return changes
+                    .filter(c => reasons[c.status])
+                    .map(c => ({ ...c.source, id: c.id, status: c.status, reason: reasons[c.status] }));
+            }
+
             // Si no se proporciona fecha, usar última deployment
             if (!sinceDate) {
                 sinceDate = this.getLastDeploymentDate();
@@ -33,28 +87,370 @@ class ContractAnalyzer {
             }
 
             const modifiedFiles = this.getModifiedFilesSinceDate(sinceDate);
-            const modifiedContracts = this.filterContractFiles(modifiedFiles);
 
-            return modifiedContracts;
+            if (!this.loadCompilation()) {
+                return this.filterContractFiles(modifiedFiles);
+            }
+
+            // Un cambio en un .sol afecta a todo contrato que lo importe, directa o indirectamente
+            const affected = new Set();
+            modifiedFiles.filter(f => f.endsWith('.sol')).forEach(file => {
+                const source = this.toSourceName(file);
+                affected.add(source);
+                this.getDependents(source).forEach(dependent => affected.add(dependent));
+            });
+
+            return this.getDeployableContracts()
+                .filter(c => affected.has(c.sourceName))
+                .map(c => ({
+                    ...this.describeContract(c.name, c.sourceName),
+                    reason: modifiedFiles.includes(c.sourceName) ? 'source modified' : 'imports a modified source'
+                }));
         } catch (error) {
             console.error("❌ Error detecting modified contracts:", error.message);
             return [];
         }
     }
 
+    /**
+     * Salida de compilación de Hardhat, fusionando todos los build-info. Si un
+     * source aparece en varios, gana el build-info más reciente.
+     * @returns {{sources: Object, contracts: Object}|null} null si no se ha compilado
+     */
+    loadCompilation() {
+        if (this.compilation !== undefined) return this.compilation;
+
+        if (!fs.existsSync(this.buildInfoDir)) {
+            this.compilation = null;
+            return null;
+        }
+
+        const files = fs.readdirSync(this.buildInfoDir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => path.join(this.buildInfoDir, f))
+            .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+        if (files.length === 0) {
+            this.compilation = null;
+            return null;
+        }
+
+        const compilation = { sources: {}, contracts: {} };
+        files.forEach(file => {
+            const { output } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            Object.assign(compilation.sources, output.sources || {});
+            Object.assign(compilation.contracts, output.contracts || {});
+        });
+
+        this.compilation = compilation;
+        return compilation;
+    }
+
+    /**
+     * Grafo de imports directos a partir de los ImportDirective del AST
+     * @returns {Map<string, Set<string>>} source → sources importados
+     */
+    buildImportGraph() {
+        if (this.importGraph) return this.importGraph;
+
+        const compilation = this.loadCompilation();
+        const graph = new Map();
+        if (!compilation) return graph;
+
+        Object.entries(compilation.sources).forEach(([sourceName, source]) => {
+            const imports = new Set();
+            ((source.ast && source.ast.nodes) || [])
+                .filter(node => node.nodeType === 'ImportDirective')
+                .forEach(node => imports.add(node.absolutePath));
+            graph.set(sourceName, imports);
+        });
+
+        this.importGraph = graph;
+        return graph;
+    }
+
+    /**
+     * Todos los sources que importa un source, directa o indirectamente
+     * @param {string} sourceName - p.ej. contracts/SmartStaking/SmartStakingCore.sol
+     * @returns {Array<string>}
+     */
+    getTransitiveImports(sourceName) {
+        const graph = this.buildImportGraph();
+        const visited = new Set();
+        const stack = [...(graph.get(sourceName) || [])];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            stack.push(...(graph.get(current) || []));
+        }
+
+        visited.delete(sourceName);
+        return [...visited].sort();
+    }
+
+    /**
+     * Sources que importan a `sourceName`, directa o indirectamente
+     * @param {string} sourceName
+     * @returns {Array<string>}
+     */
+    getDependents(sourceName) {
+        const reverse = new Map();
+        this.buildImportGraph().forEach((imports, source) => {
+            imports.forEach(imported => {
+                if (!reverse.has(imported)) reverse.set(imported, new Set());
+                reverse.get(imported).add(source);
+            });
+        });
+
+        const visited = new Set();
+        const stack = [...(reverse.get(sourceName) || [])];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            stack.push(...(reverse.get(current) || []));
+        }
+
+        visited.delete(sourceName);
+        return [...visited].sort();
+    }
+
+    /**
+     * Contratos con bytecode (ni interfaces ni abstractos) bajo contracts/,
+     * excluyendo contracts/test
+     * @returns {Array<{name, sourceName, bytecode, linkReferences}>}
+     */
+    getDeployableContracts() {
+        const compilation = this.loadCompilation();
+        if (!compilation) return [];
+
+        const deployable = [];
+        Object.entries(compilation.contracts).forEach(([sourceName, contracts]) => {
+            if (!sourceName.startsWith('contracts/') || sourceName.startsWith('contracts/test/')) return;
+
+            Object.entries(contracts).forEach(([name, output]) => {
+                const bytecode = output.evm && output.evm.bytecode;
+                if (!bytecode || !bytecode.object) return;
+                deployable.push({
+                    name,
+                    sourceName,
+                    bytecode: bytecode.object,
+                    linkReferences: bytecode.linkReferences || {}
+                });
+            });
+        });
+        return deployable;
+    }
+
+    /**
+     * @param {string} contractName
+     * @returns {Object|null} {name, sourceName, bytecode, linkReferences}
+     */
+    findDeployable(contractName) {
+        return this.getDeployableContracts().find(c => c.name === contractName) || null;
+    }
+
+    /**
+     * Hash del bytecode actual (compilado) de un contrato
+     * @param {string} contractName
+     * @returns {string|null}
+     */
+    getBytecodeHash(contractName) {
+        const contract = this.findDeployable(contractName);
+        return contract ? ContractAnalyzer.hashBytecode(contract.bytecode) : null;
+    }
+
+    /**
+     * Librerías externas que enlaza un contrato
+     * @param {string} contractName
+     * @returns {Array<string>}
+     */
+    getLinkedLibraries(contractName) {
+        const contract = this.findDeployable(contractName);
+        if (!contract) return [];
+        return Object.values(contract.linkReferences).flatMap(libraries => Object.keys(libraries));
+    }
+
+    /**
+     * Hashes de bytecode registrados en el último deployment
+     * @returns {Object} id → {contract, hash}
+     */
+    loadRecordedBytecode() {
+        const deployment = this.loadDeploymentFile();
+        return (deployment && deployment.bytecode) || {};
+    }
+
+    /**
+     * Compara el bytecode compilado con los hashes registrados. Las entradas
+     * del manifest sin hash registrado son nuevas: no hay con qué comparar.
+     * @param {Object} recorded - id → {contract, hash}
+     * @param {Object} entries - id → {contract}, por defecto manifest.contracts
+     * @returns {Array<{id, contract, status, previousHash, currentHash, source}>}
+     *   status: 'changed' | 'unchanged' | 'added' | 'missing' (sin artifact)
+     */
+    detectBytecodeChanges(recorded = this.loadRecordedBytecode(), entries = manifest.contracts) {
+        const added = Object.entries(entries)
+            .filter(([id]) => !recorded[id])
+            .map(([id, entry]) => ({ id, contract: entry.contract, current: this.findDeployable(entry.contract) }))
+            .filter(({ current }) => current)
+            .map(({ id, contract, current }) => ({
+                id,
+                contract,
+                status: 'added',
+                previousHash: null,
+                currentHash: ContractAnalyzer.hashBytecode(current.bytecode),
+                source: this.describeContract(contract, current.sourceName)
+            }));
+
+        const recordedChanges = Object.entries(recorded).map(([id, { contract, hash }]) => {
+            const current = this.findDeployable(contract);
+            const currentHash = current ? ContractAnalyzer.hashBytecode(current.bytecode) : null;
+
+            let status = 'missing';
+            if (currentHash) status = currentHash === hash ? 'unchanged' : 'changed';
+
+            return {
+                id,
+                contract,
+                status,
+                previousHash: hash,
+                currentHash,
+                source: current ? this.describeContract(contract, current.sourceName) : null
+            };
+        });
+
+        return [...recordedChanges, ...added];
+    }
+
+    /**
+     * Qué implica redeployar una librería: los proxies UUPS que la enlazan
+     * necesitan un upgrade (su dirección no cambia) y los contratos planos
+     * se redeployan, junto con los que reciben su dirección en el constructor.
+     * Toda llamada wire/configure que pase la dirección de un contrato
+     * redeployado, o que pertenezca a él, hay que volver a enviarla.
+     * @param {string} libraryName - p.ej. SmartStakingCoreLib
+     * @param {Object} options - {upgradeProxies: false trata los proxies como redeploy}
+     * @returns {{library, id, linkedBy, upgrade, redeploy, rewire}}
+     */
+    getLibraryImpact(libraryName, { upgradeProxies = true } = {}) {
+        const entries = manifest.contracts;
+        const idOf = (contractName) =>
+            Object.keys(entries).find(id => entries[id].contract === contractName) || null;
+
+        const libraryId = idOf(libraryName);
+
+        // Enlaces reales del bytecode compilado; sin compilación, los del manifest
+        const linkedBy = this.loadCompilation()
+            ? this.getDeployableContracts()
+                .filter(c => this.getLinkedLibraries(c.name).includes(libraryName))
+                .map(c => c.name)
+            : Object.values(entries)
+                .filter(entry => entry.libraries && entry.libraries[libraryName])
+                .map(entry => entry.contract);
+
+        const upgrade = [];
+        const redeployed = new Set(libraryId ? [libraryId] : []);
+
+        linkedBy.forEach(contractName => {
+            const id = idOf(contractName);
+            if (!id) return;
+            if (entries[id].proxy === 'uups' && upgradeProxies) upgrade.push(id);
+            else redeployed.add(id);
+        });
+
+        // Constructores que reciben la dirección de algo redeployado
+        let grew = true;
+        while (grew) {
+            grew = false;
+            Object.entries(entries).forEach(([id, entry]) => {
+                if (redeployed.has(id) || entry.proxy) return;
+                const refs = collectRefs(entry.args || []);
+                if ([...refs].some(ref => redeployed.has(ref))) {
+                    redeployed.add(id);
+                    grew = true;
+                }
+            });
+        }
+
+        const rewire = [];
+        Object.entries(entries).forEach(([id, entry]) => {
+            ['wire', 'configure'].forEach(stage => {
+                (entry[stage] || []).forEach(step => {
+                    const refs = [...collectRefs(step.args)].filter(ref => redeployed.has(ref));
+                    if (redeployed.has(id) || refs.length > 0) {
+                        rewire.push({ id, contract: entry.contract, stage, method: step.method, refs });
+                    }
+                });
+            });
+        });
+
+        return {
+            library: libraryName,
+            id: libraryId,
+            linkedBy,
+            upgrade,
+            redeploy: [...redeployed].filter(id => id !== libraryId),
+            rewire
+        };
+    }
+
+    /**
+     * Nombre de source de Hardhat (relativo a la raíz, con /)
+     * @param {string} filePath
+     * @returns {string}
+     */
+    toSourceName(filePath) {
+        return path.relative(this.projectRoot, path.resolve(this.projectRoot, filePath)).split(path.sep).join('/');
+    }
+
+    /**
+     * @returns {Object} {name, path, category, fullPath}
+     */
+    describeContract(name, sourceName) {
+        return {
+            name,
+            path: sourceName,
+            category: this.categorizeContract(sourceName),
+            fullPath: path.join(this.projectRoot, sourceName)
+        };
+    }
+
+    /**
+     * complete-deployment.json de la red (o el global si no hay copia por red)
+     * @returns {Object|null}
+     */
+    loadDeploymentFile() {
+        const candidates = [
+            this.network && path.join(this.deploymentsDir, this.network, "complete-deployment.json"),
+            path.join(this.deploymentsDir, "complete-deployment.json")
+        ].filter(Boolean);
+
+        const file = candidates.find(candidate => fs.existsSync(candidate));
+        if (!file) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, "utf8"));
+        } catch (error) {
+            console.warn(`⚠️  Could not read ${path.relative(this.projectRoot, file)}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Obtener fecha del último deployment
      * @returns {Date|null}
      */
     getLastDeploymentDate() {
         try {
-            const deploymentFile = path.join(this.deploymentsDir, "complete-deployment.json");
+            const deployment = this.loadDeploymentFile();
             
-            if (!fs.existsSync(deploymentFile)) {
+            if (!deployment) {
                 return null;
             }
 
-            const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
             return new Date(deployment.deployment?.timestamp || deployment.timestamp);
         } catch (error) {
             console.warn("⚠️  Could not read deployment date:", error.message);
@@ -185,11 +581,16 @@ class ContractAnalyzer {
     }
 
     /**
-     * Obtener dependencias de un contrato parseando imports
+     * Obtener dependencias de un contrato: imports transitivos del grafo de
+     * compilación, o imports directos locales si no hay build-info
      * @param {string} contractPath
      * @returns {Array<string>}
      */
     getContractDependencies(contractPath) {
+        if (this.loadCompilation()) {
+            return this.getTransitiveImports(this.toSourceName(contractPath));
+        }
+
         try {
             const content = fs.readFileSync(contractPath, 'utf8');
             const importRegex = /import\s+["'](.+?)["'];/g;
@@ -228,46 +629,65 @@ class ContractAnalyzer {
         const stakingContracts = modifiedContracts.filter(c => c.category === 'staking');
         const marketplaceContracts = modifiedContracts.filter(c => c.category === 'marketplace');
 
-        // Analizar contratos de staking
-        stakingContracts.forEach(contract => {
-            if (contract.name.includes('Core') || contract.name === 'SmartStaking') {
-                strategy.contracts.push({
-                    ...contract,
-                    action: 'UPGRADE',
-                    reason: 'Core contract - preserve address via upgrade'
-                });
-                strategy.warnings.push(
-                    `⚠️  ${contract.name} is a Core contract. Upgrade recommended to preserve address.`
-                );
-            } else {
+        // UPGRADE solo para contratos UUPS (el gate de storage layout decide
+        // después si el upgrade es seguro); el resto se redeploya
+        modifiedContracts.forEach(contract => {
+            if (contract.status === 'added') {
                 strategy.contracts.push({
                     ...contract,
                     action: 'REDEPLOY',
-                    reason: 'Module contract - safe to redeploy with new address'
+                    reason: 'Not in the last deployment - deploy a new instance'
                 });
-            }
-        });
-
-        // Analizar contratos de marketplace
-        marketplaceContracts.forEach(contract => {
-            if (contract.name.includes('Proxy') || contract.name.includes('CoreV1')) {
+            } else if (this.isUUPSContract(contract)) {
                 strategy.contracts.push({
                     ...contract,
                     action: 'UPGRADE',
-                    reason: 'UUPS Proxy - should upgrade existing proxy'
+                    reason: 'UUPS proxy - preserve address via upgrade (storage layout checked before sending)'
                 });
-                strategy.warnings.push(
-                    `⚠️  ${contract.name} is a Proxy contract. Consider upgradeProxy() instead of new deploy.`
-                );
             } else {
                 strategy.contracts.push({
                     ...contract,
                     action: 'REDEPLOY',
-                    reason: 'Module contract - safe to redeploy'
+                    reason: 'Non-upgradeable contract - redeploy with new address'
                 });
             }
         });
 
+        // Una librería nueva no cambia el bytecode sin enlazar de quien la usa:
+        // los proxies que la enlazan necesitan upgrade y el resto, redeploy + rewire
+        modifiedContracts
+            .filter(contract => this.isLinkedLibrary(contract.name))
+            .forEach(contract => {
+                const impact = this.getLibraryImpact(contract.name);
+                strategy.libraryImpact = strategy.libraryImpact || [];
+                strategy.libraryImpact.push(impact);
+
+                impact.upgrade.forEach(id => {
+                    const name = manifest.contracts[id].contract;
+                    if (strategy.contracts.some(c => c.name === name)) return;
+                    const source = this.findDeployable(name);
+                    strategy.contracts.push({
+                        ...(source ? this.describeContract(name, source.sourceName) : { name, category: id.split('.')[0] }),
+                        id,
+                        action: 'UPGRADE',
+                        reason: `Links ${contract.name} - new implementation must link the redeployed library`
+                    });
+                });
+
+                if (impact.rewire.length > 0) {
+                    strategy.warnings.push(
+                        `⚠️  Redeploying ${contract.name} requires re-wiring: ${impact.rewire.map(r => `${r.contract}.${r.method}`).join(', ')}`
+                    );
+                }
+            });
+
+        const upgrades = strategy.contracts.filter(c => c.action === 'UPGRADE');
+        if (upgrades.length > 0) {
+            strategy.warnings.push(
+                `⚠️  ${upgrades.map(c => c.name).join(', ')}: storage layout must match the live implementation.`
+            );
+        }
+
         // Recomendaciones generales
         if (stakingContracts.length > 0) {
             strategy.recommendations.push(
@@ -291,6 +711,33 @@ class ContractAnalyzer {
         return strategy;
     }
 
+    /**
+     * ¿Es una librería externa enlazada por algún contrato desplegable?
+     * @param {string} contractName
+     * @returns {boolean}
+     */
+    isLinkedLibrary(contractName) {
+        if (!this.loadCompilation()) {
+            return Object.values(manifest.contracts).some(entry => entry.libraries && entry.libraries[contractName]);
+        }
+        return this.getDeployableContracts().some(c => this.getLinkedLibraries(c.name).includes(contractName));
+    }
+
+    /**
+     * ¿El contrato (no abstracto) hereda de UUPSUpgradeable?
+     * @param {Object} contract - {name, path}
+     * @returns {boolean}
+     */
+    isUUPSContract(contract) {
+        try {
+            const source = fs.readFileSync(contract.fullPath || path.join(this.projectRoot, contract.path), 'utf8');
+            const declaration = new RegExp(`(abstract\\s+)?contract\\s+${contract.name}\\s+is\\s+([^{]+)\\{`).exec(source);
+            return Boolean(declaration && !declaration[1] && /\bUUPSUpgradeable\b/.test(declaration[2]));
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Generar reporte de cambios
      * @param {Array<Object>} modifiedContracts
@@ -0,0 +1,263 @@
+const { ethers, upgrades, artifacts, network } = require("hardhat");
+const ERC1967Proxy = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+
+/**
+ * 🧂 CREATE2 DEPLOYER
+ *
+ * Deploy determinista: cada contrato se despliega con CREATE2 desde
+ * contracts/Deploy/Create2Deployer.sol con un salt por contrato, así que con
+ * el mismo deployer, los mismos args y el mismo bytecode cae en la misma
+ * dirección en Hardhat, Amoy y Polygon. Los proxies UUPS también: la
+ * implementación y el ERC1967Proxy se despliegan con CREATE2.
+ *
+ * Create2Deployer se despliega a su vez con el deterministic-deployment-proxy
+ * (presente en Polygon y Amoy; en redes Hardhat se instala con
+ * hardhat_setCode), así que su dirección tampoco depende de la red.
+ *
+ * El contrato nuevo ve al factory como msg.sender: en la misma transacción
+ * el factory devuelve owner() y los roles que recibió al deployer.
+ */
+
+// https://github.com/Arachnid/deterministic-deployment-proxy
+const DETERMINISTIC_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+const DETERMINISTIC_DEPLOYER_CODE = "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+const FACTORY_SALT = ethers.ZeroHash;
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+class Create2Deployer {
+    /**
+     * @param {Object} signer - deployer; las direcciones dependen de su address
+     * @param {Object} options - {namespace} prefijo de los salts (cambiarlo da direcciones nuevas)
+     */
+    constructor(signer, { namespace = "nuxchain" } = {}) {
+        this.signer = signer;
+        this.namespace = namespace;
+        this.factory = null;
+    }
+
+    /**
+     * Salt de 32 bytes de un contrato. Un hex de 32 bytes se usa tal cual.
+     * @param {string} name - normalmente el id del manifest (`section.key`)
+     * @returns {string}
+     */
+    saltFor(name) {
+        return ethers.isHexString(name, 32) ? name : ethers.id(`${this.namespace}:${name}`);
+    }
+
+    /**
+     * Dirección de Create2Deployer (igual en todas las redes)
+     * @returns {Promise<string>}
+     */
+    async factoryAddress() {
+        const { bytecode } = await artifacts.readArtifact("Create2Deployer");
+        return ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, FACTORY_SALT, ethers.keccak256(bytecode));
+    }
+
+    /**
+     * Despliega Create2Deployer si aún no existe en esta red
+     * @returns {Promise<Object>} instancia de Create2Deployer
+     */
+    async ensureFactory() {
+        if (this.factory) return this.factory;
+
+        const address = await this.factoryAddress();
+        if (!(await hasCode(address))) {
+            if (!(await hasCode(DETERMINISTIC_DEPLOYER))) {
+                if (!LOCAL_NETWORKS.includes(network.name)) {
+                    throw new Error(`Deterministic deployment proxy ${DETERMINISTIC_DEPLOYER} not found on ${network.name}`);
+                }
+                await ethers.provider.send("hardhat_setCode", [DETERMINISTIC_DEPLOYER, DETERMINISTIC_DEPLOYER_CODE]);
+            }
+
+            console.log(`\n🏭 Deploying Create2Deployer at ${address}...`);
+            const { bytecode } = await artifacts.readArtifact("Create2Deployer");
+            const tx = await this.signer.sendTransaction({
+                to: DETERMINISTIC_DEPLOYER,
+                data: ethers.concat([FACTORY_SALT, bytecode])
+            });
+            await tx.wait();
+
+            if (!(await hasCode(address))) {
+                throw new Error(`Create2Deployer was not deployed at ${address} (tx ${tx.hash})`);
+            }
+        }
+
+        this.factory = await ethers.getContractAt("Create2Deployer", address, this.signer);
+        return this.factory;
+    }
+
+    /**
+     * Dirección CREATE2 de un init code para este deployer
+     * @param {string} factoryAddress
+     * @param {string} salt - bytes32
+     * @param {string} initCode
+     * @returns {string}
+     */
+    computeAddress(factoryAddress, salt, initCode) {
+        const scopedSalt = ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [this.signer.address, salt])
+        );
+        return ethers.getCreate2Address(factoryAddress, scopedSalt, ethers.keccak256(initCode));
+    }
+
+    /**
+     * Init code, dirección y (para proxies) implementación de un contrato,
+     * sin enviar nada
+     * @param {string} contractName
+     * @param {Array} args - constructor args, o args del initializer si es proxy
+     * @param {Object} options - {salt, libraries, proxy, initializer}
+     * @returns {Promise<Object>} {address, implementation, deployed, plan}
+     */
+    async predict(contractName, args = [], { salt, libraries = {}, proxy = false, initializer = "initialize" } = {}) {
+        const factoryAddress = await this.factoryAddress();
+        const contractFactory = await ethers.getContractFactory(contractName, { signer: this.signer, libraries });
+
+        if (!proxy) {
+            const initCode = (await contractFactory.getDeployTransaction(...args)).data;
+            const address = this.computeAddress(factoryAddress, salt, initCode);
+            return {
+                address,
+                implementation: null,
+                deployed: await hasCode(address),
+                plan: { contractFactory, salt, initCode }
+            };
+        }
+
+        const implementationSalt = ethers.solidityPackedKeccak256(["bytes32", "string"], [salt, "implementation"]);
+        const implementationCode = (await contractFactory.getDeployTransaction()).data;
+        const implementation = this.computeAddress(factoryAddress, implementationSalt, implementationCode);
+
+        const initData = contractFactory.interface.encodeFunctionData(initializer, args);
+        const proxyCode = ethers.concat([
+            ERC1967Proxy.bytecode,
+            ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes"], [implementation, initData])
+        ]);
+        const address = this.computeAddress(factoryAddress, salt, proxyCode);
+
+        return {
+            address,
+            implementation,
+            deployed: await hasCode(address),
+            plan: { contractFactory, salt, initCode: proxyCode, implementationSalt, implementationCode }
+        };
+    }
+
+    /**
+     * Despliega un contrato (o proxy UUPS) con CREATE2. Lo que ya tiene
+     * bytecode en la dirección prevista se reutiliza.
+     * @param {string} contractName
+     * @param {Array} args
+     * @param {Object} options - {salt, libraries, proxy, initializer}
+     * @returns {Promise<Object>} {address, implementation, txHash, reused}
+     */
+    async deploy(contractName, args = [], options = {}) {
+        await this.ensureFactory();
+        const { proxy = false, libraries = {} } = options;
+        const prediction = await this.predict(contractName, args, options);
+        const { contractFactory, salt, initCode } = prediction.plan;
+        const upgradeOptions = { kind: "uups", unsafeAllowLinkedLibraries: Object.keys(libraries).length > 0 };
+
+        if (prediction.deployed) {
+            // Un proxy ya desplegado puede haberse actualizado desde entonces
+            const implementation = proxy
+                ? await upgrades.erc1967.getImplementationAddress(prediction.address)
+                : null;
+            return { address: prediction.address, implementation, txHash: null, reused: true };
+        }
+
+        if (proxy) {
+            await upgrades.validateImplementation(contractFactory, upgradeOptions);
+
+            const { implementationSalt, implementationCode } = prediction.plan;
+            if (!(await hasCode(prediction.implementation))) {
+                console.log(`   Implementation: ${prediction.implementation}`);
+                await this.send(implementationSalt, implementationCode, contractFactory.interface);
+            }
+        }
+
+        const txHash = await this.send(salt, initCode, contractFactory.interface);
+        if (!(await hasCode(prediction.address))) {
+            throw new Error(`${contractName}: no bytecode at predicted address ${prediction.address} (tx ${txHash})`);
+        }
+
+        // Registra el proxy en .openzeppelin/ para que upgradeProxy funcione después
+        if (proxy) await upgrades.forceImport(prediction.address, contractFactory, upgradeOptions);
+
+        return { address: prediction.address, implementation: prediction.implementation, txHash, reused: false };
+    }
+
+    /**
+     * Envía Create2Deployer.deploy() con las llamadas que devuelven al
+     * deployer el owner() y los roles que el factory haya recibido. Cuáles
+     * son se averigua simulando el deploy antes de enviarlo.
+     * @returns {Promise<string>} hash de la transacción
+     */
+    async send(salt, initCode, iface) {
+        const factory = await this.ensureFactory();
+        const factoryAddress = await factory.getAddress();
+        const probes = handoffProbes(iface, factoryAddress);
+
+        const [, results] = await factory.deploy.staticCall(salt, initCode, probes.map((p) => p.data));
+
+        const grants = [];
+        const renounces = [];
+        probes.forEach((probe, i) => {
+            const [value] = iface.decodeFunctionResult(probe.fn, results[i]);
+
+            if (probe.role === undefined) {
+                if (value.toLowerCase() === factoryAddress.toLowerCase()) {
+                    grants.push(iface.encodeFunctionData("transferOwnership", [this.signer.address]));
+                }
+            } else if (value === true) {
+                grants.push(iface.encodeFunctionData("grantRole", [probe.role, this.signer.address]));
+                renounces.push(iface.encodeFunctionData("renounceRole", [probe.role, factoryAddress]));
+            }
+        });
+
+        // DEFAULT_ADMIN_ROLE es el primer probe de roles: se renuncia al final
+        const calls = [...grants, ...renounces.reverse()];
+        const tx = await factory.deploy(salt, initCode, calls);
+        console.log(`   TX: ${tx.hash}`);
+        await tx.wait();
+        return tx.hash;
+    }
+}
+
+async function hasCode(address) {
+    const code = await ethers.provider.getCode(address);
+    return code !== "0x";
+}
+
+/**
+ * Lecturas que dicen qué tiene el factory tras el deploy: owner() y cada
+ * rol `*_ROLE` (keccak256 del nombre, como role() en ManifestRefs)
+ */
+function handoffProbes(iface, factoryAddress) {
+    const probes = [];
+
+    if (iface.getFunction("owner()") && iface.getFunction("transferOwnership(address)")) {
+        probes.push({ fn: "owner", data: iface.encodeFunctionData("owner") });
+    }
+
+    if (iface.getFunction("hasRole(bytes32,address)") && iface.getFunction("renounceRole(bytes32,address)")) {
+        const roles = [];
+        iface.forEachFunction((fn) => {
+            if (fn.inputs.length === 0 && /^[A-Z_]+_ROLE$/.test(fn.name) && fn.outputs[0]?.type === "bytes32") {
+                roles.push(fn.name);
+            }
+        });
+        roles.sort((a, b) => (a === "DEFAULT_ADMIN_ROLE" ? -1 : b === "DEFAULT_ADMIN_ROLE" ? 1 : 0));
+
+        for (const name of roles) {
+            const role = name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name);
+            probes.push({ fn: "hasRole", role, data: iface.encodeFunctionData("hasRole", [role, factoryAddress]) });
+        }
+    }
+
+    return probes;
+}
+
+Create2Deployer.DETERMINISTIC_DEPLOYER = DETERMINISTIC_DEPLOYER;
+
+module.exports = Create2Deployer;
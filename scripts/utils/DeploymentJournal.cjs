@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+/**
+ * 📓 DEPLOYMENT JOURNAL
+ *
+ * Registra cada paso confirmado (deploys, librerías enlazadas, transacciones de
+ * configuración) en deployments/<network>/journal.json, para que un deploy
+ * interrumpido pueda reanudarse desde el paso que falló.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+class DeploymentJournal {
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data;
+    }
+
+    /**
+     * Abre (o crea) el journal de una red. Si el journal pertenece a otra
+     * cadena (chainId o bloque génesis distintos, p.ej. un nodo hardhat
+     * reiniciado) o se pide `fresh`, el anterior se archiva y se empieza otro.
+     * @param {string} network
+     * @param {Object} options - {fresh, dir}
+     * @returns {Promise<DeploymentJournal>}
+     */
+    static async open(network, { fresh = false, dir = path.join(DEPLOYMENTS_DIR, network) } = {}) {
+        const filePath = path.join(dir, "journal.json");
+        const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+        const genesisHash = (await ethers.provider.getBlock(0)).hash;
+
+        fs.mkdirSync(dir, { recursive: true });
+
+        if (fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            const sameChain = data.chainId === chainId && data.genesisHash === genesisHash;
+
+            if (sameChain && !fresh) {
+                return new DeploymentJournal(filePath, data);
+            }
+
+            const archived = path.join(dir, `journal-${Date.now()}.json`);
+            fs.renameSync(filePath, archived);
+            console.log(`   📓 Previous journal archived: ${path.relative(process.cwd(), archived)}`);
+        }
+
+        const journal = new DeploymentJournal(filePath, {
+            network,
+            chainId,
+            genesisHash,
+            startedAt: new Date().toISOString(),
+            updatedAt: null,
+            completedAt: null,
+            deployments: {},
+            calls: {}
+        });
+        journal.save();
+        return journal;
+    }
+
+    /** Número de pasos ya registrados */
+    get size() {
+        return Object.keys(this.data.deployments).length + Object.keys(this.data.calls).length;
+    }
+
+    /**
+     * Direcciones desplegadas, planas (`section.key` → address)
+     * @returns {Object}
+     */
+    addresses() {
+        return Object.fromEntries(
+            Object.entries(this.data.deployments).map(([id, step]) => [id, step.address])
+        );
+    }
+
+    deployment(id) {
+        return this.data.deployments[id] || null;
+    }
+
+    call(key) {
+        return this.data.calls[key] || null;
+    }
+
+    recordDeployment(id, step) {
+        this.data.deployments[id] = { ...step, confirmedAt: new Date().toISOString() };
+        this.save();
+    }
+
+    recordCall(key, step) {
+        this.data.calls[key] = { ...step, confirmedAt: new Date().toISOString() };
+        this.save();
+    }
+
+    markComplete() {
+        this.data.completedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /** Escritura atómica: un corte a mitad nunca deja el journal truncado */
+    save() {
+        this.data.updatedAt = new Date().toISOString();
+        const tempFile = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempFile, this.filePath);
+    }
+}
+
+module.exports = DeploymentJournal;
@@ -1,6 +1,12 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, artifacts } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const manifest = require("../deploy.manifest.cjs");
+const ManifestExecutor = require("./ManifestExecutor.cjs");
+const { resolveValue } = require("./ManifestRefs.cjs");
+const UpgradeSafety = require("./UpgradeSafety.cjs");
+const ContractAnalyzer = require("./ContractAnalyzer.cjs");
+const Create2Deployer = require("./Create2Deployer.cjs");
 
 /**
  * ⚡ DEPLOYMENT STRATEGY
@@ -9,9 +15,15 @@ const path = require("path");
  */
 
 class DeploymentStrategy {
-    constructor(network, signer) {
+    /**
+     * @param {string} network
+     * @param {Object} signer
+     * @param {Object} options - {create2} Create2Deployer para deploys deterministas
+     */
+    constructor(network, signer, { create2 = null } = {}) {
         this.network = network;
         this.signer = signer;
+        this.create2 = create2;
         this.deploymentResults = {
             successful: [],
             upgraded: [],
@@ -21,15 +33,18 @@ class DeploymentStrategy {
     }
 
     /**
-     * Ejecutar upgrade de un contrato UUPS
+     * Ejecutar upgrade de un contrato UUPS. Antes de enviar nada se compara el
+     * storage layout con la implementación viva; si no es compatible se aborta.
      * @param {string} contractName
      * @param {string} proxyAddress
-     * @param {Object} options
+     * @param {Object} options - {libraries, safetyReport, ...opciones de upgradeProxy}
      * @returns {Promise<Object>} {success, address, txHash, error}
      */
     async executeUpgrade(contractName, proxyAddress, options = {}) {
         console.log(`\n🔄 Upgrading ${contractName} at ${proxyAddress}...`);
 
+        const { libraries = {}, safetyReport = null, ...upgradeOptions } = options;
+
         try {
             // Validar que el proxy existe
             const code = await ethers.provider.getCode(proxyAddress);
@@ -37,14 +52,28 @@ class DeploymentStrategy {
                 throw new Error(`No contract found at proxy address ${proxyAddress}`);
             }
 
+            // Gate de storage layout
+            const safety = safetyReport ||
+                await new UpgradeSafety().checkProxy(contractName, proxyAddress, { libraries });
+            if (!safetyReport) {
+                console.log(UpgradeSafety.format(safety));
+            }
+            if (!safety.ok) {
+                throw new Error(`Storage layout not upgrade-safe${safety.error ? `: ${safety.error}` : ''}`);
+            }
+
             // Obtener factory del nuevo contrato
-            const ContractFactory = await ethers.getContractFactory(contractName, this.signer);
+            const ContractFactory = await ethers.getContractFactory(contractName, {
+                signer: this.signer,
+                libraries
+            });
 
             // Ejecutar upgrade
             console.log(`   Deploying new implementation...`);
             const upgraded = await upgrades.upgradeProxy(proxyAddress, ContractFactory, {
                 kind: 'uups',
-                ...options
+                unsafeAllowLinkedLibraries: Object.keys(libraries).length > 0,
+                ...upgradeOptions
             });
 
             await upgraded.waitForDeployment();
@@ -58,6 +87,7 @@ class DeploymentStrategy {
                 contractName,
                 proxyAddress: address,
                 implementationAddress,
+                bytecodeHash: await this.bytecodeHashOf(contractName),
                 action: 'UPGRADE',
                 timestamp: new Date().toISOString()
             };
@@ -87,18 +117,37 @@ class DeploymentStrategy {
         }
     }
 
+    /**
+     * Hash del bytecode desplegado, para registrarlo en complete-deployment.json
+     * @param {string} contractName
+     * @returns {Promise<string|null>}
+     */
+    async bytecodeHashOf(contractName) {
+        return ContractAnalyzer.hashBytecode((await artifacts.readArtifact(contractName)).bytecode);
+    }
+
     /**
      * Ejecutar deployment de un nuevo contrato
      * @param {string} contractName
      * @param {Array} constructorArgs
-     * @param {Object} options - {isProxy, kind}
+     * @param {Object} options - {isProxy, kind, initializer, libraries, salt}
+     *   salt: deploy con CREATE2 (misma dirección en todas las redes)
      * @returns {Promise<Object>}
      */
     async executeDeploy(contractName, constructorArgs = [], options = {}) {
         console.log(`\n🚀 Deploying ${contractName}...`);
 
         try {
-            const ContractFactory = await ethers.getContractFactory(contractName, this.signer);
+            const libraries = options.libraries || {};
+
+            if (options.salt) {
+                return await this.executeCreate2Deploy(contractName, constructorArgs, options);
+            }
+
+            const ContractFactory = await ethers.getContractFactory(contractName, {
+                signer: this.signer,
+                libraries
+            });
 
             let contract;
             let implementationAddress;
@@ -108,7 +157,8 @@ class DeploymentStrategy {
                 console.log(`   Deploying as ${options.kind || 'uups'} proxy...`);
                 contract = await upgrades.deployProxy(ContractFactory, constructorArgs, {
                     kind: options.kind || 'uups',
-                    initializer: options.initializer || 'initialize'
+                    initializer: options.initializer || 'initialize',
+                    unsafeAllowLinkedLibraries: Object.keys(libraries).length > 0
                 });
 
                 await contract.waitForDeployment();
@@ -124,6 +174,7 @@ class DeploymentStrategy {
                     contractName,
                     address: proxyAddress,
                     implementationAddress,
+                    bytecodeHash: await this.bytecodeHashOf(contractName),
                     action: 'DEPLOY_PROXY',
                     isProxy: true,
                     timestamp: new Date().toISOString()
@@ -147,6 +198,7 @@ class DeploymentStrategy {
                     success: true,
                     contractName,
                     address,
+                    bytecodeHash: await this.bytecodeHashOf(contractName),
                     action: 'DEPLOY',
                     isProxy: false,
                     timestamp: new Date().toISOString()
@@ -172,6 +224,49 @@ class DeploymentStrategy {
         }
     }
 
+    /**
+     * Deploy determinista con Create2Deployer. Si el contrato ya está en la
+     * dirección prevista se reutiliza.
+     * @param {string} contractName
+     * @param {Array} constructorArgs - o args del initializer si es proxy
+     * @param {Object} options - {isProxy, initializer, libraries, salt}
+     * @returns {Promise<Object>}
+     */
+    async executeCreate2Deploy(contractName, constructorArgs, options) {
+        const create2 = this.create2 || (this.create2 = new Create2Deployer(this.signer));
+        const salt = create2.saltFor(options.salt);
+
+        console.log(`   Deploying${options.isProxy ? ' as uups proxy' : ''} with CREATE2 (salt ${salt})...`);
+        const deployed = await create2.deploy(contractName, constructorArgs, {
+            salt,
+            libraries: options.libraries || {},
+            proxy: Boolean(options.isProxy),
+            initializer: options.initializer || 'initialize'
+        });
+
+        console.log(`   ✅ ${deployed.reused ? 'Already deployed' : 'Deployed successfully'}`);
+        console.log(`   📍 ${options.isProxy ? 'Proxy' : 'Address'}: ${deployed.address}`);
+        if (deployed.implementation) {
+            console.log(`   📍 Implementation: ${deployed.implementation}`);
+        }
+
+        const result = {
+            success: true,
+            contractName,
+            address: deployed.address,
+            implementationAddress: deployed.implementation || undefined,
+            bytecodeHash: await this.bytecodeHashOf(contractName),
+            action: options.isProxy ? 'DEPLOY_PROXY' : 'DEPLOY',
+            isProxy: Boolean(options.isProxy),
+            salt,
+            reused: deployed.reused,
+            timestamp: new Date().toISOString()
+        };
+
+        this.deploymentResults.successful.push(result);
+        return result;
+    }
+
     /**
      * Actualizar referencias entre contratos
      * @param {Object} coreContract - Contrato principal
@@ -269,19 +364,42 @@ class DeploymentStrategy {
             successful: [],
             upgraded: [],
             failed: [],
+            // id → {contract, hash}, para AddressManager.saveToDeploymentFile()
+            bytecode: {},
             totalGas: 0
         };
 
-        for (const contract of contracts) {
-            // Determinar acción para este contrato
-            let action = 'DEPLOY';
-            
+        const actionFor = (contract) => {
             if (strategy.action === 'mixed') {
                 const strategyContract = strategy.contracts.find(c => c.name === contract.name);
-                action = strategyContract?.action || 'DEPLOY';
-            } else {
-                action = strategy.action;
+                return strategyContract?.action || 'DEPLOY';
             }
+            return strategy.action;
+        };
+
+        // Gate de storage layout: todos los upgrades se revisan antes de enviar nada
+        const safetyReports = await this.checkUpgradeSafety(
+            contracts.filter(c => actionFor(c) === 'UPGRADE'),
+            existingAddresses
+        );
+        const blocked = Object.values(safetyReports).filter(r => !r.ok);
+
+        if (blocked.length > 0) {
+            console.error(`\n❌ ${blocked.length} upgrade(s) blocked by the storage layout check. Nothing was sent.`);
+            results.failed = blocked.map(r => ({
+                contractName: r.contract,
+                proxyAddress: r.proxy,
+                action: 'UPGRADE',
+                error: r.error || 'Storage layout not upgrade-safe',
+                timestamp: new Date().toISOString()
+            }));
+            this.deploymentResults = results;
+            return results;
+        }
+
+        for (const contract of contracts) {
+            // Determinar acción para este contrato
+            const action = actionFor(contract);
 
             // Buscar dirección existente
             const existingAddress = this.findExistingAddress(contract, existingAddresses);
@@ -290,8 +408,11 @@ class DeploymentStrategy {
                 let result;
 
                 if (action === 'UPGRADE' && existingAddress) {
-                    // Ejecutar upgrade
-                    result = await this.executeUpgrade(contract.name, existingAddress);
+                    // Ejecutar upgrade (el gate ya se pasó arriba)
+                    result = await this.executeUpgrade(contract.name, existingAddress, {
+                        libraries: this.getDeployConfig(contract.name, existingAddresses).options.libraries,
+                        safetyReport: safetyReports[contract.name]
+                    });
                     
                     if (result.success) {
                         results.upgraded.push(result);
@@ -324,6 +445,12 @@ class DeploymentStrategy {
                     if (!verification.valid) {
                         console.warn(`   ⚠️  Verification failed for ${contract.name}`);
                     }
+
+                    const id = this.manifestIdFor(contract.name) ||
+                        UpgradeSafety.targets().find(t => t.contract === contract.name)?.id;
+                    if (id && result.bytecodeHash) {
+                        results.bytecode[id] = { contract: contract.name, hash: result.bytecodeHash };
+                    }
                 }
 
             } catch (error) {
@@ -341,151 +468,89 @@ class DeploymentStrategy {
     }
 
     /**
-     * Buscar dirección existente de un contrato
+     * Reporte de storage layout de cada contrato a upgradear
+     * @param {Array} contracts
+     * @param {Object} existingAddresses
+     * @returns {Promise<Object>} contractName → reporte
+     */
+    async checkUpgradeSafety(contracts, existingAddresses) {
+        const reports = {};
+        if (contracts.length === 0) return reports;
+
+        console.log("\n🛡️  Storage layout check (live implementation vs new artifact)");
+        const safety = new UpgradeSafety();
+
+        for (const contract of contracts) {
+            const proxyAddress = this.findExistingAddress(contract, existingAddresses);
+            if (!proxyAddress) continue;
+
+            reports[contract.name] = await safety.checkProxy(contract.name, proxyAddress, {
+                libraries: this.getDeployConfig(contract.name, existingAddresses).options.libraries
+            });
+            console.log(UpgradeSafety.format(reports[contract.name]));
+        }
+
+        return reports;
+    }
+
+    /**
+     * Buscar dirección existente de un contrato (según su id en el manifest)
      * @param {Object} contract
      * @param {Object} existingAddresses
      * @returns {string|null}
      */
     findExistingAddress(contract, existingAddresses) {
-        const category = contract.category || 'other';
-        
-        if (!existingAddresses[category]) {
+        const id = this.manifestIdFor(contract.name) ||
+            UpgradeSafety.targets().find(t => t.contract === contract.name)?.id;
+        if (!id) {
             return null;
         }
 
-        // Mapeo de nombres de contratos a keys
-        const keyMap = {
-            'SmartStakingCore': 'core',
-            'SmartStakingCoreV2': 'core',
-            'SmartStakingRewards': 'rewards',
-            'SmartStakingSkills': 'skills',
-            'SmartStakingGamification': 'gamification',
-            'SmartStakingView': 'view',
-            'GameifiedMarketplaceCoreV1': 'proxy',
-            'GameifiedMarketplaceProxy': 'proxy',
-            'GameifiedNuxPowerNft': 'skillsNFT',
-            'NuxPowerMarketplace': 'nuxPowers',
-            'QuestCore': 'questCore',
-            'LevelingSystem': 'leveling',
-            'ReferralSystem': 'referral',
-            'TreasuryManager': 'manager',
-            'CollaboratorBadgeRewards': 'collaboratorBadges',
-            'DynamicAPYCalculator': 'dynamicAPY'
-        };
+        return ManifestExecutor.flatten(existingAddresses)[id] || null;
+    }
 
-        const key = keyMap[contract.name];
-        return key ? existingAddresses[category][key] : null;
+    /**
+     * Id (`section.key`) del contrato en scripts/deploy.manifest.cjs
+     * @param {string} contractName
+     * @returns {string|null}
+     */
+    manifestIdFor(contractName) {
+        const match = Object.entries(manifest.contracts)
+            .find(([, entry]) => entry.contract === contractName);
+        return match ? match[0] : null;
     }
 
     /**
-     * Obtener configuración de deployment para un contrato
+     * Obtener configuración de deployment para un contrato desde el manifest.
+     * Las referencias a contratos aún no desplegados se resuelven a ZeroAddress.
      * @param {string} contractName
+     * @param {Object} existingAddresses
      * @returns {Object} {args, options}
      */
     getDeployConfig(contractName, existingAddresses = {}) {
-        // Obtener direcciones útiles para inicializaciones
-        const adminAddress = this.signer.address;
-        const treasuryAddress = existingAddresses?.treasury?.manager || ethers.ZeroAddress;
-        const marketplaceCore = existingAddresses?.marketplace?.implementation || 
-                               existingAddresses?.marketplace?.proxy ||
-                               ethers.ZeroAddress;
-        const stakingCore = existingAddresses?.staking?.core || ethers.ZeroAddress;
-        
-        const configs = {
-            // STAKING CONTRACTS
-            'SmartStakingCore': {
-                args: [],
-                options: { isProxy: true, kind: 'uups', initializer: 'initialize' }
-            },
-            'EnhancedSmartStakingCore': {
-                args: [],
-                options: { isProxy: true, kind: 'uups', initializer: 'initialize' }
-            },
-            'SmartStakingRewards': {
-                args: [],
-                options: { isProxy: false }
-            },
-            'SmartStakingSkills': {
-                args: [],
-                options: { isProxy: false }
-            },
-            'SmartStakingGamification': {
-                args: [],
-                options: { isProxy: false }
-            },
-            'SmartStakingView': {
-                args: [stakingCore],
-                options: { isProxy: false }
-            },
-            'DynamicAPYCalculator': {
-                args: [],
-                options: { isProxy: false }
-            },
-            
-            // MARKETPLACE - CORE
-            'GameifiedMarketplaceCoreV1': {
-                args: [treasuryAddress],
-                options: { isProxy: true, kind: 'uups', initializer: 'initialize' }
-            },
-            'GameifiedMarketplaceProxy': {
-                args: [],
-                options: { isProxy: false }
-            },
-            
-            // MARKETPLACE - SKILLS & NFTs
-            'GameifiedNuxPowerNft': {
-                args: [marketplaceCore],
-                options: { isProxy: false }
-            },
-            'NuxPowerMarketplace': {
-                args: [treasuryAddress],
-                options: { isProxy: false }
-            },
-            'NuxPowerMarketplaceImpl': {
-                args: [treasuryAddress],
-                options: { isProxy: false }
-            },
-            
-            // MARKETPLACE - FEATURES
-            'QuestCore': {
-                args: [adminAddress, marketplaceCore],
-                options: { isProxy: true, kind: 'uups', initializer: 'initialize' }
-            },
-            'LevelingSystem': {
-                args: [],
-                options: { isProxy: false }
-            },
-            'ReferralSystem': {
-                args: [],
-                options: { isProxy: false }
-            },
-            
-            // MARKETPLACE - VIEW & ANALYTICS
-            'MarketplaceView': {
-                args: [adminAddress, marketplaceCore],
-                options: { isProxy: false }
-            },
-            'MarketplaceSocial': {
-                args: [adminAddress, marketplaceCore],
-                options: { isProxy: false }
-            },
-            'MarketplaceStatistics': {
-                args: [adminAddress, marketplaceCore],
-                options: { isProxy: false }
-            },
-            
-            // TREASURY & BADGES
-            'TreasuryManager': {
-                args: [],
-                options: { isProxy: false }
-            },
-            'CollaboratorBadgeRewards': {
-                args: [],
-                options: { isProxy: true, kind: 'uups', initializer: 'initialize' }
-            }
+        const id = this.manifestIdFor(contractName);
+        if (!id) {
+            return { args: [], options: { isProxy: false } };
+        }
+
+        const entry = manifest.contracts[id];
+        const context = {
+            addresses: ManifestExecutor.flatten(existingAddresses),
+            deployer: this.signer.address,
+            onMissingRef: () => ethers.ZeroAddress
         };
 
-        return configs[contractName] || { args: [], options: { isProxy: false } };
+        return {
+            args: resolveValue(entry.args || [], context),
+            options: {
+                isProxy: entry.proxy === 'uups',
+                kind: 'uups',
+                initializer: entry.initializer || 'initialize',
+                libraries: resolveValue(entry.libraries || {}, context),
+                // Con CREATE2 activo, cada entrada usa su `salt` (o su id)
+                salt: this.create2 ? entry.salt || id : undefined
+            }
+        };
     }
 
     /**
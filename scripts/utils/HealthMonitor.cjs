@@ -0,0 +1,501 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { ProtocolStatus, TreasuryType } = require("@nuxchain/protocol-export/config");
+const AlertSinks = require("./AlertSinks.cjs");
+
+/**
+ * 🚨 HEALTH MONITOR
+ *
+ * En cada vuelta lee, en un mismo bloque, las vistas de salud del protocolo
+ * (modo emergencia y estado por protocolo de TreasuryManager, circuit breaker
+ * de SmartStakingCore, tope diario de NuxTapTreasury, saldo de
+ * QuestRewardsPool, getProtocolHealth de SmartStakingGamification), las deja
+ * como métricas planas (`staking.circuitBreakerTripped`, `nuxtap.dailyPayoutUsedBps`...)
+ * y evalúa las reglas del archivo YAML/JSON. También sigue los eventos de esos
+ * contratos desde el último bloque visto.
+ *
+ * Una regla de métrica avisa una sola vez mientras la condición se mantenga y
+ * manda un "resolved" cuando se despeja. `state` (alertas activas y último
+ * bloque) se puede guardar para que un reinicio no repita avisos ni pierda eventos.
+ */
+
+const BASIS_POINTS = 10000n;
+const DAY = 86400n;
+
+// Enums generados desde el AST del compilador, vía @nuxchain/protocol-export
+const TREASURY_TYPES = Object.keys(TreasuryType);
+const STATUSES = Object.keys(ProtocolStatus);
+
+const OPS = {
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+};
+
+/**
+ * Qué se lee de cada contrato. `id` es la clave `section.key` de
+ * complete-deployment.json; las métricas quedan como `<prefix>.<nombre>`.
+ * Unidades: wei (las reglas lo escriben en POL), bps, pct, bool y status
+ * (ProtocolStatus por nombre, ordenado de HEALTHY a EMERGENCY).
+ */
+const PROBES = [
+    {
+        id: "treasury.manager",
+        contract: "TreasuryManager",
+        prefix: "treasury",
+        metrics: {
+            emergencyActive: "bool",
+            reserveBalance: "wei",
+            availableBalance: "wei",
+            ...Object.fromEntries(TREASURY_TYPES.flatMap((type) => [[`status.${type}`, "status"], [`deficit.${type}`, "wei"]])),
+        },
+        async read(contract, { overrides }) {
+            const [isActive, , , reserveAvailable] = await contract.getEmergencyInfo(overrides);
+            const values = {
+                emergencyActive: isActive,
+                reserveBalance: reserveAvailable,
+                availableBalance: await contract.getAvailableBalance(overrides),
+            };
+            for (const [i, type] of TREASURY_TYPES.entries()) {
+                const [status, deficit] = await contract.getProtocolStatus(i, overrides);
+                values[`status.${type}`] = STATUSES[Number(status)];
+                values[`deficit.${type}`] = deficit;
+            }
+            return values;
+        },
+    },
+    {
+        id: "staking.core",
+        contract: "SmartStakingCore",
+        prefix: "staking",
+        metrics: {
+            circuitBreakerEnabled: "bool",
+            circuitBreakerTripped: "bool",
+            reserveRatioBps: "bps",
+            reserveCoverageBps: "bps",
+            totalPoolBalance: "wei",
+            balance: "wei",
+        },
+        async read(contract, { overrides, provider, address }) {
+            const enabled = await contract.circuitBreakerEnabled(overrides);
+            const ratio = await contract.circuitBreakerReserveRatio(overrides);
+            const pool = await contract.totalPoolBalance(overrides);
+            const balance = await provider.getBalance(address, overrides.blockTag);
+            // La misma cuenta que deposit(): sin este saldo revierte con CircuitBreakerActive
+            const required = pool + (pool * ratio) / BASIS_POINTS;
+            return {
+                circuitBreakerEnabled: enabled,
+                circuitBreakerTripped: enabled && ratio > 0n && balance < required,
+                reserveRatioBps: ratio,
+                reserveCoverageBps: pool === 0n ? null : (balance * BASIS_POINTS) / pool,
+                totalPoolBalance: pool,
+                balance,
+            };
+        },
+    },
+    {
+        id: "nuxtap.treasury",
+        contract: "NuxTapTreasury",
+        prefix: "nuxtap",
+        metrics: {
+            dailyPayoutCap: "wei",
+            dailyPayoutSpent: "wei",
+            dailyPayoutUsedBps: "bps",
+            availableLiquidity: "wei",
+            paused: "bool",
+        },
+        async read(contract, { overrides, block }) {
+            const cap = await contract.dailyPayoutCap(overrides);
+            const spent = await contract.dailyPayoutSpent(overrides);
+            const day = await contract.payoutDay(overrides);
+            // dailyPayoutSpent solo se reinicia con el primer pago del día siguiente
+            const spentToday = day === BigInt(block.timestamp) / DAY ? spent : 0n;
+            return {
+                dailyPayoutCap: cap,
+                dailyPayoutSpent: spentToday,
+                dailyPayoutUsedBps: cap === 0n ? null : (spentToday * BASIS_POINTS) / cap,
+                availableLiquidity: await contract.availableLiquidity(overrides),
+                paused: await contract.paused(overrides),
+            };
+        },
+    },
+    {
+        id: "treasury.questRewardsPool",
+        contract: "QuestRewardsPool",
+        prefix: "questPool",
+        metrics: { balance: "wei", received: "wei", distributed: "wei" },
+        async read(contract, { overrides }) {
+            const [balance, received, distributed] = await contract.getPoolStats(overrides);
+            return { balance, received, distributed };
+        },
+    },
+    {
+        id: "staking.gamification",
+        contract: "SmartStakingGamification",
+        prefix: "gamification",
+        metrics: {
+            status: "status",
+            balance: "wei",
+            pendingRewards: "wei",
+            deficit: "wei",
+            canPayRewards: "bool",
+            healthPercentage: "pct",
+        },
+        async read(contract, { overrides }) {
+            const [status, balance, pendingRewards, deficit, canPayRewards, healthPercentage] = await contract.getProtocolHealth(overrides);
+            return {
+                status: STATUSES[Number(status)],
+                balance,
+                pendingRewards,
+                deficit,
+                canPayRewards,
+                healthPercentage,
+            };
+        },
+    },
+];
+
+const METRICS = Object.fromEntries(
+    PROBES.flatMap((probe) => Object.entries(probe.metrics).map(([name, unit]) => [`${probe.prefix}.${name}`, { unit, probe: probe.id }]))
+);
+
+function abiFor(contract) {
+    return require(`@nuxchain/protocol-export/abis/${contract}`)[contract];
+}
+
+// Umbral escrito en la regla → valor comparable con la métrica
+function coerce(value, unit) {
+    switch (unit) {
+        case "wei":
+            return typeof value === "bigint" ? value : ethers.parseEther(String(value));
+        case "bps":
+        case "pct":
+            return BigInt(value);
+        case "bool":
+            if (typeof value === "boolean") return value;
+            if (value === "true" || value === "false") return value === "true";
+            throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+        case "status": {
+            const index = STATUSES.indexOf(String(value).toUpperCase());
+            if (index < 0) throw new Error(`expected one of ${STATUSES.join(", ")}, got ${JSON.stringify(value)}`);
+            return index;
+        }
+        default:
+            throw new Error(`unknown unit ${unit}`);
+    }
+}
+
+class HealthMonitor {
+    /**
+     * @param {Object} options
+     * @param {import("ethers").Provider} options.provider
+     * @param {Object} options.addresses - `section.key` → address (ManifestExecutor.flatten)
+     * @param {Object[]} options.rules - reglas tal como vienen del archivo
+     * @param {Object[]} options.sinks - AlertSinks.create(...)
+     * @param {Object} options.state - `monitor.state` de una corrida anterior
+     * @param {number} options.fromBlock - primer bloque de eventos si no hay state (por defecto, el actual)
+     * @param {Object} options.contracts - `section.key` → contrato ya construido (tests)
+     */
+    constructor({ provider, addresses = {}, rules, sinks = [], network, chainId, state = {}, fromBlock, contracts = {}, maxBlockRange = 2000 }) {
+        this.provider = provider;
+        this.rules = HealthMonitor.parseRules({ rules });
+        this.sinks = sinks;
+        this.network = network;
+        this.chainId = chainId === undefined ? undefined : chainId.toString();
+        this.maxBlockRange = maxBlockRange;
+
+        this.probes = [];
+        this.missing = [];
+        for (const probe of PROBES) {
+            const address = addresses[probe.id];
+            if (!address && !contracts[probe.id]) {
+                this.missing.push(probe.id);
+                continue;
+            }
+            const abi = abiFor(probe.contract);
+            this.probes.push({
+                ...probe,
+                address,
+                interface: new ethers.Interface(abi),
+                instance: contracts[probe.id] || new ethers.Contract(address, abi, provider),
+            });
+        }
+        // Reglas sobre contratos que no están en el deployment: nunca se evalúan
+        this.unwatched = this.rules.filter((rule) => this.missing.includes(rule.probe)).map((rule) => rule.id);
+
+        // Alertas de reglas que ya no están en el archivo se descartan sin resolver
+        const known = new Set([...this.rules.map((rule) => rule.id), ...this.probes.map((probe) => `probe:${probe.id}`)]);
+        this.active = new Map(Object.entries(state.active || {}).filter(([id]) => known.has(id)));
+        this.pending = new Map();
+        this.lastBlock = state.lastBlock ?? (fromBlock === undefined ? null : fromBlock - 1);
+    }
+
+    /**
+     * Archivo de reglas .yaml / .yml / .json → { interval, sinks, rules }
+     */
+    static load(file) {
+        const text = fs.readFileSync(file, "utf8");
+        const ext = path.extname(file).toLowerCase();
+        let config;
+        if (ext === ".yaml" || ext === ".yml") config = yaml.load(text);
+        else if (ext === ".json") config = JSON.parse(text);
+        else throw new Error(`❌ ${path.basename(file)}: rules must be .yaml, .yml or .json`);
+
+        HealthMonitor.parseRules(config);
+        return config;
+    }
+
+    /**
+     * Valida y normaliza las reglas. Cada una tiene `id`, `severity`
+     * (info | warning | critical), `message` opcional y además:
+     *   metric · `metric`, `op` (== != < <= > >=), `value` y `for` (lecturas seguidas, 1 por defecto)
+     *   event  · `event: <prefix>.<Evento>`, avisa en cada log
+     */
+    static parseRules(config) {
+        const rules = config && config.rules;
+        if (!Array.isArray(rules) || rules.length === 0) throw new Error("❌ Rules file has no `rules` list");
+
+        const seen = new Set();
+        return rules.map((rule, i) => {
+            const where = `rule ${rule.id ? `"${rule.id}"` : `#${i + 1}`}`;
+            const fail = (reason) => { throw new Error(`❌ ${where}: ${reason}`); };
+
+            if (!rule.id) fail("`id` is required");
+            if (seen.has(rule.id)) fail("duplicate id");
+            seen.add(rule.id);
+
+            const severity = rule.severity || "warning";
+            if (!AlertSinks.SEVERITIES.includes(severity)) fail(`unknown severity "${severity}"; expected ${AlertSinks.SEVERITIES.join(", ")}`);
+            if (Boolean(rule.metric) === Boolean(rule.event)) fail("needs exactly one of `metric` or `event`");
+
+            if (rule.event) {
+                const [prefix, name] = rule.event.split(".");
+                const probe = PROBES.find((candidate) => candidate.prefix === prefix);
+                if (!probe) fail(`unknown contract "${prefix}"; expected ${PROBES.map((candidate) => candidate.prefix).join(", ")}`);
+                if (!new ethers.Interface(abiFor(probe.contract)).getEvent(name)) fail(`${probe.contract} has no event ${name}`);
+                return { id: rule.id, severity, message: rule.message || `${probe.contract} emitted ${name}`, event: rule.event, name, probe: probe.id };
+            }
+
+            const metric = METRICS[rule.metric];
+            if (!metric) fail(`unknown metric "${rule.metric}"`);
+            if (!OPS[rule.op]) fail(`unknown op "${rule.op}"; expected ${Object.keys(OPS).join(" ")}`);
+            if (metric.unit === "bool" && rule.op !== "==" && rule.op !== "!=") fail(`${rule.metric} is true/false; use == or !=`);
+            if (rule.value === undefined) fail("`value` is required");
+            let threshold;
+            try {
+                threshold = coerce(rule.value, metric.unit);
+            } catch (err) {
+                fail(`value: ${err.message}`);
+            }
+            const polls = rule.for === undefined ? 1 : Number(rule.for);
+            if (!Number.isInteger(polls) || polls < 1) fail("`for` must be a positive number of polls");
+
+            return {
+                id: rule.id,
+                severity,
+                message: rule.message || `${rule.metric} ${rule.op} ${rule.value}`,
+                metric: rule.metric,
+                unit: metric.unit,
+                op: rule.op,
+                value: rule.value,
+                threshold,
+                for: polls,
+                probe: metric.probe,
+            };
+        });
+    }
+
+    // ─── poll ───────────────────────────────────────────────────────────────
+
+    /**
+     * Una vuelta: métricas en el bloque actual, reglas, eventos nuevos y envío
+     * de las alertas resultantes a los sinks
+     * @returns {Promise<{ block: number, metrics: Object, errors: Object, alerts: Object[] }>}
+     */
+    async poll() {
+        const block = await this.provider.getBlock("latest");
+        const overrides = { blockTag: block.number };
+        const context = { block: block.number, at: new Date(block.timestamp * 1000).toISOString() };
+
+        const metrics = {};
+        const errors = {};
+        for (const probe of this.probes) {
+            try {
+                const values = await probe.read(probe.instance, { overrides, block, provider: this.provider, address: probe.address });
+                for (const [name, value] of Object.entries(values)) metrics[`${probe.prefix}.${name}`] = value;
+            } catch (err) {
+                errors[probe.id] = err.shortMessage || err.message;
+            }
+        }
+
+        const alerts = [];
+        for (const rule of this.rules) {
+            if (!rule.metric) continue;
+            const alert = this.evaluate(rule, metrics[rule.metric], context);
+            if (alert) alerts.push(alert);
+        }
+
+        // Un contrato que no responde también es una alerta, con su propio resolve
+        for (const probe of this.probes) {
+            const rule = { id: `probe:${probe.id}`, severity: "warning", message: `${probe.contract} views failed`, for: 1 };
+            const alert = this.transition(rule, probe.id in errors, { error: errors[probe.id] }, context);
+            if (alert) alerts.push(alert);
+        }
+
+        const events = await this.watch(block.number, context);
+        if (events.error) errors.events = events.error;
+        alerts.push(...events.alerts);
+
+        for (const alert of alerts) await this.notify(alert);
+        return { block: block.number, metrics, errors, alerts };
+    }
+
+    /**
+     * Sin dato (contrato caído, divisor cero) la regla queda como estaba
+     */
+    evaluate(rule, value, context) {
+        if (value === null || value === undefined) return null;
+
+        const current = rule.unit === "status" ? STATUSES.indexOf(value) : value;
+        const firing = OPS[rule.op](current, rule.threshold);
+        return this.transition(rule, firing, { metric: rule.metric, value, unit: rule.unit, op: rule.op, threshold: rule.value }, context);
+    }
+
+    /**
+     * Dedup: "firing" tras `for` lecturas seguidas en falta, nada mientras siga
+     * activa, "resolved" en la primera lectura sana
+     */
+    transition(rule, firing, details, context) {
+        const active = this.active.get(rule.id);
+
+        if (!firing) {
+            this.pending.delete(rule.id);
+            if (!active) return null;
+            this.active.delete(rule.id);
+            return this.alert("resolved", rule, details, context, { since: active.since });
+        }
+        if (active) return null;
+
+        const count = (this.pending.get(rule.id) || 0) + 1;
+        if (count < rule.for) {
+            this.pending.set(rule.id, count);
+            return null;
+        }
+        this.pending.delete(rule.id);
+        this.active.set(rule.id, { since: context.at, block: context.block, severity: rule.severity });
+        return this.alert("firing", rule, details, context, { since: context.at });
+    }
+
+    alert(status, rule, details, context, extra = {}) {
+        return {
+            status,
+            rule: rule.id,
+            severity: rule.severity,
+            message: rule.message,
+            network: this.network,
+            chainId: this.chainId,
+            block: context.block,
+            at: context.at,
+            ...details,
+            ...extra,
+        };
+    }
+
+    /**
+     * Logs de los contratos con reglas de evento, desde el último bloque visto
+     * hasta `head` en tramos de `maxBlockRange`. Si un tramo falla, lo ya
+     * leído se avisa y la próxima vuelta sigue desde ahí.
+     */
+    async watch(head, context) {
+        const rules = this.rules.filter((rule) => rule.event && !this.missing.includes(rule.probe));
+        if (rules.length === 0 || this.lastBlock === null) {
+            this.lastBlock = head;
+            return { alerts: [] };
+        }
+
+        const probes = new Map(
+            this.probes
+                .filter((probe) => probe.address && rules.some((rule) => rule.probe === probe.id))
+                .map((probe) => [probe.address.toLowerCase(), probe])
+        );
+        const alerts = [];
+
+        for (let start = this.lastBlock + 1; start <= head; start += this.maxBlockRange) {
+            const end = Math.min(head, start + this.maxBlockRange - 1);
+            let logs;
+            try {
+                logs = await this.provider.getLogs({ address: [...probes.values()].map((probe) => probe.address), fromBlock: start, toBlock: end });
+            } catch (err) {
+                return { alerts, error: err.shortMessage || err.message };
+            }
+
+            for (const log of logs) {
+                const probe = probes.get(log.address.toLowerCase());
+                const parsed = probe && probe.interface.parseLog(log);
+                if (!parsed) continue;
+
+                for (const rule of rules) {
+                    if (rule.probe !== probe.id || rule.name !== parsed.name) continue;
+                    alerts.push(this.alert("event", rule, {
+                        event: {
+                            contract: probe.contract,
+                            address: probe.address,
+                            name: parsed.name,
+                            args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name || String(i), parsed.args[i]])),
+                            blockNumber: log.blockNumber,
+                            transactionHash: log.transactionHash,
+                            logIndex: log.index,
+                        },
+                    }, { ...context, block: log.blockNumber }));
+                }
+            }
+            this.lastBlock = end;
+        }
+        return { alerts };
+    }
+
+    /**
+     * Un sink caído no frena a los demás ni al monitor
+     */
+    async notify(alert) {
+        for (const sink of this.sinks) {
+            if (!AlertSinks.accepts(sink, alert.severity)) continue;
+            try {
+                await sink.send(alert);
+            } catch (err) {
+                console.error(`   ⚠️  Sink ${sink.name} failed for ${alert.rule}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Lo que hay que guardar entre corridas
+     */
+    get state() {
+        return { lastBlock: this.lastBlock, active: Object.fromEntries(this.active) };
+    }
+
+    /**
+     * Métricas de una vuelta, una por línea (para escribir reglas)
+     */
+    static formatMetrics(metrics) {
+        return Object.entries(metrics)
+            .map(([name, value]) => `   ${name.padEnd(36)} ${AlertSinks.formatValue(value, METRICS[name] && METRICS[name].unit)}`)
+            .join("\n");
+    }
+
+    static get METRICS() {
+        return METRICS;
+    }
+
+    static get PROBES() {
+        return PROBES;
+    }
+}
+
+module.exports = HealthMonitor;
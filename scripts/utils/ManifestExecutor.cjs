@@ -0,0 +1,437 @@
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { collectRefs, resolveValue, describeValue } = require("./ManifestRefs.cjs");
+const ContractAnalyzer = require("./ContractAnalyzer.cjs");
+
+/**
+ * 📜 MANIFEST EXECUTOR
+ *
+ * Ejecuta scripts/deploy.manifest.cjs: deploy en orden de dependencias,
+ * llamadas de wiring/configuración y fondeo de contratos.
+ *
+ * Con un DeploymentJournal, cada paso confirmado queda registrado y al
+ * reejecutar se omite: deploys cuyo bytecode sigue on-chain con los mismos
+ * args/librerías, y llamadas ya enviadas o cuyo valor on-chain ya coincide.
+ *
+ * Con un Create2Deployer, los deploys usan CREATE2 con el salt de cada
+ * entrada (`salt`, o su id) y las direcciones se pueden predecir antes.
+ *
+ * Con un SafeBatch, las llamadas de wiring/configuración no se envían: se
+ * añaden al batch para firmarlas desde el multisig.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class ManifestExecutor {
+    /**
+     * @param {Object} manifest - module.exports de deploy.manifest.cjs
+     * @param {Object} options - {signer, addresses, journal, create2, batch}
+     *   addresses: direcciones ya conocidas, planas (`section.key` → address)
+     *   journal: DeploymentJournal opcional para reanudar
+     *   create2: Create2Deployer opcional para deploys deterministas
+     *   batch: SafeBatch opcional; las llamadas se planifican en vez de enviarse
+     */
+    constructor(manifest, { signer, addresses = {}, journal = null, create2 = null, batch = null } = {}) {
+        this.entries = manifest.contracts;
+        this.signer = signer;
+        this.addresses = { ...addresses };
+        this.journal = journal;
+        this.create2 = create2;
+        this.batch = batch;
+        // id → {contract, hash}: se guarda en complete-deployment.json para que
+        // ContractAnalyzer detecte qué bytecode cambió desde este deploy
+        this.bytecode = {};
+    }
+
+    /**
+     * Aplana `contracts` de complete-deployment.json a `section.key` → address
+     * @param {Object} contracts
+     * @returns {Object}
+     */
+    static flatten(contracts = {}) {
+        const flat = {};
+        for (const [section, entries] of Object.entries(contracts)) {
+            for (const [key, value] of Object.entries(entries || {})) {
+                if (typeof value === "string") flat[`${section}.${key}`] = value;
+            }
+        }
+        return flat;
+    }
+
+    /**
+     * Inverso de flatten()
+     * @param {Object} flat
+     * @returns {Object}
+     */
+    static unflatten(flat) {
+        const contracts = {};
+        for (const [id, address] of Object.entries(flat)) {
+            const [section, key] = id.split(".");
+            contracts[section] = contracts[section] || {};
+            contracts[section][key] = address;
+        }
+        return contracts;
+    }
+
+    context(overrides = {}) {
+        return { addresses: this.addresses, deployer: this.signer.address, ...overrides };
+    }
+
+    /**
+     * Id del manifest que despliega un contrato
+     * @param {string} contractName
+     * @returns {string|null}
+     */
+    findByContract(contractName) {
+        const match = Object.entries(this.entries).find(([, entry]) => entry.contract === contractName);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Ids de los que depende el deploy de una entrada (args + libraries)
+     * @param {string} id
+     * @returns {string[]}
+     */
+    dependenciesOf(id) {
+        const entry = this.entries[id];
+        return [...collectRefs([entry.args || [], entry.libraries || {}])];
+    }
+
+    /**
+     * Orden de deploy: topológico y estable respecto al orden del manifest
+     * @returns {string[]}
+     */
+    resolveOrder() {
+        const ids = Object.keys(this.entries);
+        const pending = new Map(ids.map((id) => [id, this.dependenciesOf(id)]));
+
+        for (const [id, deps] of pending) {
+            const unknown = deps.find((dep) => !this.entries[dep]);
+            if (unknown) {
+                throw new Error(`Manifest entry "${id}" references unknown contract "${unknown}"`);
+            }
+        }
+
+        const order = [];
+        while (pending.size > 0) {
+            const next = [...pending.keys()].find((id) =>
+                pending.get(id).every((dep) => order.includes(dep))
+            );
+            if (!next) {
+                throw new Error(`Manifest has a dependency cycle between: ${[...pending.keys()].join(", ")}`);
+            }
+            order.push(next);
+            pending.delete(next);
+        }
+        return order;
+    }
+
+    /**
+     * Espera a que haya bytecode en una dirección
+     * @returns {Promise<boolean>} true si el bytecode apareció
+     */
+    async waitForCode(address, { name = address, retries = 20, delay = 3000 } = {}) {
+        for (let i = 0; i < retries; i++) {
+            const code = await ethers.provider.getCode(address);
+            if (code && code !== "0x") return true;
+            process.stdout.write(`   ⏳ Waiting for ${name} bytecode... (${i + 1}/${retries})\r`);
+            await sleep(delay);
+        }
+        console.warn(`\n   ⚠️  ${name}: bytecode not detected after ${retries} retries`);
+        return false;
+    }
+
+    /**
+     * Deploy registrado en el journal que sigue siendo válido: mismo contrato,
+     * mismos args y librerías resueltos, y bytecode presente on-chain
+     * @returns {Promise<string|null>} address reutilizable
+     */
+    async findJournaledDeployment(id, args, libraries) {
+        const step = this.journal && this.journal.deployment(id);
+        if (!step) return null;
+
+        const entry = this.entries[id];
+        const sameInputs = step.contract === entry.contract &&
+            JSON.stringify(step.args) === JSON.stringify(args) &&
+            JSON.stringify(step.libraries) === JSON.stringify(libraries);
+
+        if (!sameInputs) {
+            console.log(`\n   ♻️  ${entry.contract}: args or libraries changed since ${step.address}, redeploying`);
+            return null;
+        }
+
+        const hasCode = await this.waitForCode(step.address, { name: entry.contract, retries: 3, delay: 2000 });
+        return hasCode ? step.address : null;
+    }
+
+    /**
+     * Despliega una entrada del manifest (o reutiliza la del journal)
+     * @param {string} id
+     * @returns {Promise<string>} address
+     */
+    async deployEntry(id) {
+        const entry = this.entries[id];
+        const label = entry.contract;
+        const libraries = resolveValue(entry.libraries || {}, this.context());
+        const args = resolveValue(entry.args || [], this.context());
+
+        const journaled = await this.findJournaledDeployment(id, args, libraries);
+        if (journaled) {
+            console.log(`\n⏭️  ${label}: ${journaled} (journal)`);
+            this.addresses[id] = journaled;
+            const { bytecodeHash } = this.journal.deployment(id);
+            if (bytecodeHash) this.bytecode[id] = { contract: entry.contract, hash: bytecodeHash };
+            return journaled;
+        }
+
+        const { address, txHash } = this.create2
+            ? await this.deployWithCreate2(id, args, libraries)
+            : await this.deployWithFactory(id, args, libraries);
+        console.log(`   ✅ ${label}${entry.proxy ? " proxy" : ""}: ${address}`);
+        await this.waitForCode(address, { name: label });
+
+        this.addresses[id] = address;
+        const bytecodeHash = ContractAnalyzer.hashBytecode((await artifacts.readArtifact(entry.contract)).bytecode);
+        this.bytecode[id] = { contract: entry.contract, hash: bytecodeHash };
+        if (this.journal) {
+            this.journal.recordDeployment(id, {
+                contract: entry.contract,
+                address,
+                implementation: entry.proxy ? await upgrades.erc1967.getImplementationAddress(address) : null,
+                txHash,
+                salt: this.create2 ? this.saltFor(id) : null,
+                args,
+                libraries,
+                bytecodeHash,
+            });
+        }
+        return address;
+    }
+
+    /**
+     * Deploy normal: ContractFactory.deploy() o upgrades.deployProxy()
+     * @returns {Promise<{address, txHash}>}
+     */
+    async deployWithFactory(id, args, libraries) {
+        const entry = this.entries[id];
+        const factory = await ethers.getContractFactory(entry.contract, { signer: this.signer, libraries });
+
+        let contract;
+        if (entry.proxy === "uups") {
+            process.stdout.write(`\n📦 Deploying ${entry.contract} (UUPS proxy)...\n`);
+            contract = await upgrades.deployProxy(factory, args, {
+                initializer: entry.initializer || "initialize",
+                kind: "uups",
+                unsafeAllowLinkedLibraries: true,
+            });
+        } else {
+            process.stdout.write(`\n📦 Deploying ${entry.contract}...\n`);
+            contract = await factory.deploy(...args);
+        }
+
+        const tx = contract.deploymentTransaction();
+        if (tx) console.log(`   TX: ${tx.hash}`);
+        await contract.waitForDeployment();
+        return { address: await contract.getAddress(), txHash: tx ? tx.hash : null };
+    }
+
+    /**
+     * Deploy con CREATE2 desde Create2Deployer
+     * @returns {Promise<{address, txHash}>}
+     */
+    async deployWithCreate2(id, args, libraries) {
+        const entry = this.entries[id];
+        process.stdout.write(`\n📦 Deploying ${entry.contract}${entry.proxy ? " (UUPS proxy)" : ""} with CREATE2...\n`);
+
+        const result = await this.create2.deploy(entry.contract, args, {
+            salt: this.saltFor(id),
+            libraries,
+            proxy: entry.proxy === "uups",
+            initializer: entry.initializer || "initialize",
+        });
+        if (result.reused) console.log(`   ⏭️  Already deployed at the predicted address`);
+        return { address: result.address, txHash: result.txHash };
+    }
+
+    /**
+     * Salt CREATE2 de una entrada: su `salt` o, si no lo declara, su id
+     * @param {string} id
+     * @returns {string} bytes32
+     */
+    saltFor(id) {
+        return this.create2.saltFor(this.entries[id].salt || id);
+    }
+
+    /**
+     * Direcciones CREATE2 de todas las entradas, en orden de dependencias,
+     * sin enviar ninguna transacción. Requiere `create2`.
+     * @returns {Promise<Array<{id, contract, proxy, salt, address, implementation, deployed}>>}
+     */
+    async predictAll() {
+        const predictions = [];
+        for (const id of this.resolveOrder()) {
+            const entry = this.entries[id];
+            const libraries = resolveValue(entry.libraries || {}, this.context());
+            const args = resolveValue(entry.args || [], this.context());
+
+            const { address, implementation, deployed } = await this.create2.predict(entry.contract, args, {
+                salt: this.saltFor(id),
+                libraries,
+                proxy: entry.proxy === "uups",
+                initializer: entry.initializer || "initialize",
+            });
+
+            this.addresses[id] = address;
+            predictions.push({
+                id,
+                contract: entry.contract,
+                proxy: entry.proxy === "uups",
+                salt: this.saltFor(id),
+                address,
+                implementation,
+                deployed,
+            });
+        }
+        return predictions;
+    }
+
+    /**
+     * Despliega todas las entradas en orden de dependencias
+     * @param {Object} options - {onDeployed(id, address)}
+     * @returns {Promise<Object>} addresses planas
+     */
+    async deployAll({ onDeployed } = {}) {
+        let section = null;
+        for (const id of this.resolveOrder()) {
+            const [current] = id.split(".");
+            if (current !== section) {
+                section = current;
+                console.log(`\n── ${section.toUpperCase()} ${"─".repeat(70 - section.length)}`);
+            }
+            const address = await this.deployEntry(id);
+            if (onDeployed) await onDeployed(id, address);
+        }
+        return this.addresses;
+    }
+
+    /**
+     * Llamadas de un stage ("wire" | "configure") en orden del manifest
+     * @param {string} stage
+     * @returns {Array<{id, contract, method, args, read}>}
+     */
+    callsFor(stage) {
+        const calls = [];
+        for (const [id, entry] of Object.entries(this.entries)) {
+            for (const step of entry[stage] || []) {
+                calls.push({ id, contract: entry.contract, method: step.method, args: step.args, read: step.read });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * Clave estable de una llamada en el journal
+     * @returns {string}
+     */
+    callKey(stage, step) {
+        return `${stage}:${step.id}.${step.method}(${describeValue(step.args)})`;
+    }
+
+    /**
+     * Lee el estado on-chain declarado con `.reads()` / `.checks()` / `.verifies()`
+     * @returns {Promise<boolean>} true si la llamada ya no hace falta
+     */
+    async isAlreadyApplied(instance, step, args) {
+        if (!step.read) return false;
+        return (await ManifestExecutor.readState(instance, step, args, this.context())).applied;
+    }
+
+    /**
+     * Valor on-chain de la lectura de una llamada y el que debería tener
+     * @param {Object} instance - contrato dueño de la llamada
+     * @param {Object} step - {read: {method, args, expect}}
+     * @param {Array} args - args resueltos de la llamada
+     * @param {Object} context - contexto de resolveValue()
+     * @returns {Promise<{applied: boolean, current: *, expected: *}>}
+     */
+    static async readState(instance, step, args, context) {
+        const readArgs = resolveValue(step.read.args, context);
+        const current = await instance[step.read.method](...readArgs);
+
+        if (step.read.expect !== undefined) {
+            return { applied: current === step.read.expect, current, expected: step.read.expect };
+        }
+        const expected = args[args.length - 1];
+        return { applied: String(current).toLowerCase() === String(expected).toLowerCase(), current, expected };
+    }
+
+    /**
+     * Ejecuta las llamadas de un stage, una transacción a la vez. Se omiten
+     * las ya registradas en el journal y las que ya están aplicadas on-chain.
+     * Con `batch`, las pendientes se añaden al SafeBatch (`planned`).
+     * @param {string} stage
+     * @returns {Promise<{sent: number, planned: number, skipped: number}>}
+     */
+    async runCalls(stage) {
+        const calls = this.callsFor(stage);
+        const instances = {};
+        let sent = 0;
+        let planned = 0;
+
+        for (const step of calls) {
+            const address = this.addresses[step.id];
+            if (!address) {
+                throw new Error(`Cannot run ${step.contract}.${step.method}: "${step.id}" has no address`);
+            }
+
+            const label = `${step.contract}.${step.method}(${describeValue(step.args)})`;
+            const key = this.callKey(stage, step);
+            const args = resolveValue(step.args, this.context());
+            const journaled = this.journal && this.journal.call(key);
+
+            if (journaled && JSON.stringify(journaled.args) === JSON.stringify(args)) {
+                console.log(`   ⏭️  ${label} (journal)`);
+                continue;
+            }
+
+            instances[step.id] = instances[step.id] ||
+                await ethers.getContractAt(step.contract, address, this.signer);
+
+            if (await this.isAlreadyApplied(instances[step.id], step, args)) {
+                console.log(`   ⏭️  ${label} (already set on-chain)`);
+                if (this.journal) this.journal.recordCall(key, { args, txHash: null });
+                continue;
+            }
+
+            if (this.batch) {
+                this.batch.add(instances[step.id], step.method, args);
+                planned++;
+                console.log(`   📝 ${label} (Safe batch)`);
+                continue;
+            }
+
+            const tx = await instances[step.id][step.method](...args);
+            const receipt = await tx.wait(1);
+            sent++;
+            console.log(`   ✅ ${label} (gas: ${receipt.gasUsed})`);
+            if (this.journal) this.journal.recordCall(key, { args, txHash: tx.hash });
+        }
+        return { sent, planned, skipped: calls.length - sent - planned };
+    }
+
+    /**
+     * Objetivos de fondeo declarados en el manifest
+     * @returns {Array<{id, name, address, amount}>}
+     */
+    fundingTargets() {
+        return Object.entries(this.entries)
+            .filter(([, entry]) => entry.fund)
+            .map(([id, entry]) => ({
+                id,
+                name: entry.contract,
+                address: this.addresses[id] || null,
+                amount: ethers.parseEther(String(resolveValue(entry.fund.amount, this.context()))),
+            }));
+    }
+}
+
+module.exports = ManifestExecutor;
@@ -0,0 +1,123 @@
+const { ethers } = require("ethers");
+
+/**
+ * 🧩 MANIFEST REFS
+ *
+ * Valores diferidos usados por scripts/deploy.manifest.cjs. Se resuelven en el
+ * momento de ejecutar cada paso, cuando las direcciones ya existen.
+ */
+
+/** Dirección de otro contrato del manifest, por id (`section.key`). */
+const ref = (id) => ({ $ref: id });
+
+/** Variable de entorno; sin fallback es obligatoria. */
+const env = (name, fallback) => ({ $env: name, fallback });
+
+/** Dirección del signer que ejecuta el deploy. */
+const deployer = () => ({ $deployer: true });
+
+/** keccak256 del nombre del rol (todos los roles del protocolo siguen este patrón). */
+const role = (name) => ({ $role: name });
+
+/**
+ * Llamada a un setter del contrato dueño de la entrada. Para que sea
+ * idempotente, se declara cómo leer el estado on-chain antes de enviarla:
+ *   .reads(getter, ...getterArgs)    → se omite si el getter ya devuelve el último argumento
+ *   .checks(predicate)               → se omite si predicate(...args) ya devuelve true
+ *   .verifies(predicate, ...predArgs) → se omite si predicate(...predArgs) ya devuelve true
+ */
+const call = (method, ...args) => ({
+    method,
+    args,
+    reads: (getter, ...getterArgs) => ({ method, args, read: { method: getter, args: getterArgs } }),
+    checks: (predicate) => ({ method, args, read: { method: predicate, args, expect: true } }),
+    verifies: (predicate, ...predicateArgs) => ({ method, args, read: { method: predicate, args: predicateArgs, expect: true } })
+});
+
+function isRef(value, kind) {
+    return value !== null && typeof value === "object" && kind in value;
+}
+
+/**
+ * Recorre un valor y devuelve los ids de contrato a los que hace referencia
+ * @param {*} value
+ * @param {Set<string>} out
+ * @returns {Set<string>}
+ */
+function collectRefs(value, out = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectRefs(item, out));
+    } else if (isRef(value, "$ref")) {
+        out.add(value.$ref);
+    } else if (value !== null && typeof value === "object") {
+        Object.values(value).forEach((item) => collectRefs(item, out));
+    }
+    return out;
+}
+
+/**
+ * Resuelve un valor del manifest a su forma final
+ * @param {*} value
+ * @param {Object} context - {addresses, deployer, onMissingRef}
+ * @returns {*}
+ */
+function resolveValue(value, context) {
+    if (Array.isArray(value)) {
+        return value.map((item) => resolveValue(item, context));
+    }
+
+    if (isRef(value, "$ref")) {
+        const address = context.addresses[value.$ref];
+        if (address) return address;
+        if (context.onMissingRef) return context.onMissingRef(value.$ref);
+        throw new Error(`Manifest reference "${value.$ref}" has no address yet`);
+    }
+
+    if (isRef(value, "$env")) {
+        const raw = process.env[value.$env];
+        if (raw !== undefined && raw !== "") return raw;
+        if (value.fallback !== undefined) return value.fallback;
+        throw new Error(`❌ ${value.$env} not set in .env`);
+    }
+
+    if (isRef(value, "$deployer")) {
+        return context.deployer;
+    }
+
+    if (isRef(value, "$role")) {
+        return ethers.id(value.$role);
+    }
+
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolveValue(item, context)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Texto corto de un valor sin resolver, para logs
+ * @param {*} value
+ * @returns {string}
+ */
+function describeValue(value) {
+    if (Array.isArray(value)) return value.map(describeValue).join(", ");
+    if (isRef(value, "$ref")) return value.$ref;
+    if (isRef(value, "$env")) return `$${value.$env}`;
+    if (isRef(value, "$deployer")) return "deployer";
+    if (isRef(value, "$role")) return value.$role;
+    return String(value);
+}
+
+module.exports = {
+    ref,
+    env,
+    deployer,
+    role,
+    call,
+    collectRefs,
+    resolveValue,
+    describeValue
+};
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+/**
+ * 📏 PACKAGE SIZE REPORT
+ *
+ * Tamaño de cada entrypoint de export/package.json: sigue los import/export
+ * estáticos relativos desde su archivo JS y suma lo que un bundler incluiría
+ * sin tree-shaking (bytes y gzip). Los paquetes externos (ethers, viem) se
+ * listan aparte, no se miden.
+ */
+
+// Sentencias al inicio de línea y sin "=": `export const X = [...]` de los
+// módulos de ABIs no debe leerse como import aunque contenga "from"
+const IMPORT_PATTERNS = [
+    /^\s*(?:import|export)\s[^;=]*?\bfrom\s*["']([^"'\s]+)["']/gm,
+    /^\s*import\s*["']([^"'\s]+)["']/gm,
+];
+
+class PackageSizeReport {
+    /**
+     * @param {string} exportDir - directorio con package.json (export/)
+     */
+    constructor(exportDir) {
+        this.exportDir = exportDir;
+        this.pkg = JSON.parse(fs.readFileSync(path.join(exportDir, "package.json"), "utf8"));
+    }
+
+    /**
+     * Especificadores que importa un archivo
+     * @param {string} file
+     * @returns {string[]}
+     */
+    static importsOf(file) {
+        if (!file.endsWith(".js")) return [];
+
+        const source = fs.readFileSync(file, "utf8");
+        const specifiers = new Set();
+        for (const pattern of IMPORT_PATTERNS) {
+            for (const match of source.matchAll(pattern)) specifiers.add(match[1]);
+        }
+        return [...specifiers];
+    }
+
+    /**
+     * Cierre de imports de un archivo
+     * @param {string} entryFile
+     * @returns {{files: string[], externals: string[]}}
+     */
+    static collect(entryFile) {
+        const files = new Set();
+        const externals = new Set();
+        const pending = [entryFile];
+
+        while (pending.length > 0) {
+            const file = pending.pop();
+            if (files.has(file)) continue;
+            files.add(file);
+
+            for (const specifier of PackageSizeReport.importsOf(file)) {
+                if (specifier.startsWith(".")) {
+                    pending.push(path.resolve(path.dirname(file), specifier));
+                } else {
+                    // "viem/actions" → viem, "@scope/pkg/x" → @scope/pkg
+                    const parts = specifier.split("/");
+                    externals.add(specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0]);
+                }
+            }
+        }
+
+        return { files: [...files], externals: [...externals].sort() };
+    }
+
+    /**
+     * @param {string[]} files
+     * @returns {{bytes: number, gzip: number}}
+     */
+    static measure(files) {
+        const contents = files.map((file) => fs.readFileSync(file));
+        return {
+            bytes: contents.reduce((sum, buffer) => sum + buffer.length, 0),
+            gzip: zlib.gzipSync(Buffer.concat(contents)).length,
+        };
+    }
+
+    /**
+     * Una fila por entrypoint. Los patrones (`./abis/*`) se miden por módulo:
+     * cuántos hay y el más grande.
+     * @returns {Array<Object>}
+     */
+    run() {
+        const rows = [];
+
+        for (const [entrypoint, target] of Object.entries(this.pkg.exports || {})) {
+            const relative = typeof target === "string" ? target : target.import || target.default;
+            const name = entrypoint === "." ? this.pkg.name : `${this.pkg.name}/${entrypoint.slice(2)}`;
+
+            if (relative.includes("*")) {
+                const [prefix, suffix] = relative.split("*");
+                const dir = path.join(this.exportDir, prefix);
+                const modules = fs.existsSync(dir)
+                    ? fs.readdirSync(dir).filter((file) => file.endsWith(suffix)).map((file) => path.join(dir, file))
+                    : [];
+                const sizes = modules.map((file) => ({ file, ...PackageSizeReport.measure(PackageSizeReport.collect(file).files) }));
+                const largest = sizes.sort((a, b) => b.bytes - a.bytes)[0];
+
+                rows.push({
+                    entrypoint: name,
+                    pattern: true,
+                    modules: modules.length,
+                    bytes: largest ? largest.bytes : 0,
+                    gzip: largest ? largest.gzip : 0,
+                    largest: largest ? [path.relative(this.exportDir, largest.file)] : [],
+                    externals: [],
+                });
+                continue;
+            }
+
+            const { files, externals } = PackageSizeReport.collect(path.join(this.exportDir, relative));
+            rows.push({
+                entrypoint: name,
+                pattern: false,
+                modules: files.length,
+                ...PackageSizeReport.measure(files),
+                largest: files
+                    .map((file) => ({ file, size: fs.statSync(file).size }))
+                    .sort((a, b) => b.size - a.size)
+                    .slice(0, 3)
+                    .map(({ file }) => path.relative(this.exportDir, file)),
+                externals,
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Tabla para consola
+     * @param {Array<Object>} rows - resultado de run()
+     * @returns {string}
+     */
+    static format(rows) {
+        const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`.padStart(10);
+        const lines = [`   ${"Entrypoint".padEnd(42)} ${"Modules".padStart(7)} ${"Raw".padStart(10)} ${"Gzip".padStart(10)}  External`];
+
+        for (const row of rows) {
+            const label = row.pattern ? `${row.entrypoint} (largest)` : row.entrypoint;
+            lines.push(`   ${label.padEnd(42)} ${String(row.modules).padStart(7)} ${kb(row.bytes)} ${kb(row.gzip)}  ${row.externals.join(", ")}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+module.exports = PackageSizeReport;
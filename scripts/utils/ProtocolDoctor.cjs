@@ -0,0 +1,249 @@
+const { ethers } = require("hardhat");
+const ManifestExecutor = require("./ManifestExecutor.cjs");
+const { ref, role, call, resolveValue, describeValue } = require("./ManifestRefs.cjs");
+
+/**
+ * 🩺 PROTOCOL DOCTOR
+ *
+ * Revisa el wiring de un deploy contra deploy.manifest.cjs: cada llamada
+ * `wire` / `configure` con `.reads()` / `.checks()` es una comprobación, más
+ * las de DOCTOR_CHECKS (punteros del constructor y el stack NuxTap, que no
+ * está en el manifest) y la suma de allocations de TreasuryManager.
+ *
+ * Solo lee. Cada desajuste trae la transacción que lo corrige, sin firmar.
+ */
+
+const BASIS_POINTS = 10000n;
+const TREASURY_TYPES = ["REWARDS", "STAKING", "COLLABORATORS", "DEVELOPMENT", "MARKETPLACE"];
+
+// Punteros fuera del manifest: args de constructor/initializer y deploy-nuxtap.cjs
+const DOCTOR_CHECKS = {
+    "staking.viewCore": {
+        contract: "SmartStakingViewCore",
+        calls: [call("setStakingContract", ref("staking.core")).reads("stakingContract")],
+    },
+    "staking.viewStats": {
+        contract: "SmartStakingViewStats",
+        calls: [call("setStakingContract", ref("staking.core")).reads("stakingContract")],
+    },
+    "staking.viewSkills": {
+        contract: "SmartStakingViewSkills",
+        calls: [call("setStakingContract", ref("staking.core")).reads("stakingContract")],
+    },
+    "staking.viewDashboard": {
+        contract: "SmartStakingViewDashboard",
+        calls: [call("setStakingContract", ref("staking.core")).reads("stakingContract")],
+    },
+    "marketplace.view": {
+        contract: "MarketplaceView",
+        calls: [call("setMarketplaceCore", ref("marketplace.core")).reads("marketplaceCore")],
+    },
+    "marketplace.social": {
+        contract: "MarketplaceSocial",
+        calls: [call("setMarketplaceCore", ref("marketplace.core")).reads("marketplaceCore")],
+    },
+    "nuxtap.treasury": {
+        contract: "NuxTapTreasury",
+        calls: [
+            call("grantStoreRole", ref("nuxtap.store")).verifies("hasRole", role("STORE_ROLE"), ref("nuxtap.store")),
+            call("grantGameRole", ref("nuxtap.game")).verifies("hasRole", role("GAME_ROLE"), ref("nuxtap.game")),
+        ],
+    },
+    "nuxtap.store": {
+        contract: "NuxTapItemStore",
+        calls: [
+            call("setTreasury", ref("nuxtap.treasury")).reads("treasury"),
+            call("grantGameRole", ref("nuxtap.game")).verifies("hasRole", role("GAME_ROLE"), ref("nuxtap.game")),
+        ],
+    },
+    "nuxtap.agentMarketplace": {
+        contract: "NuxTapAgentMarketplace",
+        calls: [call("setTreasury", ref("nuxtap.treasury")).reads("treasury")],
+    },
+};
+
+class ProtocolDoctor {
+    /**
+     * @param {Object} manifest - module.exports de deploy.manifest.cjs
+     * @param {Object} options - {addresses, deployer, runner, checks}
+     *   addresses: planas (`section.key` → address), de complete-deployment.json
+     *   deployer: address que resuelve deployer() (la del deploy, no la del signer actual)
+     *   runner: provider o signer para las lecturas
+     *   checks: comprobaciones extra (por defecto DOCTOR_CHECKS)
+     */
+    constructor(manifest, { addresses, deployer, runner = ethers.provider, checks = DOCTOR_CHECKS } = {}) {
+        this.executor = new ManifestExecutor(manifest, { signer: { address: deployer }, addresses });
+        this.addresses = this.executor.addresses;
+        this.runner = runner;
+        this.checks = checks;
+        this.instances = {};
+    }
+
+    /**
+     * Llamadas a comprobar: las del manifest con lectura declarada y DOCTOR_CHECKS
+     * @returns {Array<{stage, id, contract, method, args, read}>}
+     */
+    steps() {
+        const steps = [];
+        for (const stage of ["wire", "configure"]) {
+            for (const step of this.executor.callsFor(stage)) {
+                if (step.read) steps.push({ stage, ...step });
+            }
+        }
+        for (const [id, { contract, calls }] of Object.entries(this.checks)) {
+            // NuxTap y demás extras son opcionales: solo si están desplegados
+            if (!this.addresses[id]) continue;
+            for (const step of calls) {
+                steps.push({ stage: "doctor", id, contract, method: step.method, args: step.args, read: step.read });
+            }
+        }
+        return steps;
+    }
+
+    async instance(id, contract) {
+        if (!this.instances[id]) {
+            this.instances[id] = await ethers.getContractAt(contract, this.addresses[id], this.runner);
+        }
+        return this.instances[id];
+    }
+
+    /**
+     * Ejecuta todas las comprobaciones
+     * @returns {Promise<Object>} {results, fixes, ok}
+     *   results: [{id, contract, check, status: "ok"|"mismatch"|"missing"|"error", expected, actual, fix}]
+     *   fixes: transacciones sin firmar [{to, value, data, contract, method, args}]
+     */
+    async run() {
+        const results = [
+            ...(await this.checkCode()),
+            ...(await this.checkCalls()),
+            ...(await this.checkAllocations()),
+        ];
+        const fixes = results.filter((r) => r.fix).map((r) => r.fix);
+
+        return { results, fixes, ok: results.every((r) => r.status === "ok") };
+    }
+
+    /**
+     * Cada dirección de complete-deployment.json tiene bytecode
+     */
+    async checkCode() {
+        const results = [];
+        for (const [id, address] of Object.entries(this.addresses)) {
+            const code = await ethers.provider.getCode(address);
+            results.push({
+                id,
+                contract: this.executor.entries[id]?.contract || this.checks[id]?.contract || id,
+                check: "bytecode",
+                status: code === "0x" ? "missing" : "ok",
+                expected: "contract",
+                actual: code === "0x" ? "no bytecode" : "contract",
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Punteros y roles declarados por steps()
+     */
+    async checkCalls() {
+        const context = this.executor.context({ onMissingRef: () => null });
+        const results = [];
+
+        for (const step of this.steps()) {
+            const label = `${step.method}(${describeValue(step.args)})`;
+            const result = { id: step.id, contract: step.contract, check: label, stage: step.stage };
+
+            try {
+                const args = resolveValue(step.args, context);
+                const readArgs = resolveValue(step.read.args, context);
+                if (!this.addresses[step.id] || [...readArgs, ...args].includes(null)) {
+                    results.push({ ...result, status: "missing", expected: null, actual: null });
+                    continue;
+                }
+
+                const instance = await this.instance(step.id, step.contract);
+                const { applied, current, expected } = await ManifestExecutor.readState(instance, step, args, context);
+
+                results.push({
+                    ...result,
+                    status: applied ? "ok" : "mismatch",
+                    expected,
+                    actual: current,
+                    fix: applied ? undefined : {
+                        to: this.addresses[step.id],
+                        value: "0",
+                        data: instance.interface.encodeFunctionData(step.method, args),
+                        contract: step.contract,
+                        method: step.method,
+                        args,
+                    },
+                });
+            } catch (error) {
+                results.push({ ...result, status: "error", expected: null, actual: error.shortMessage || error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Las allocations de TreasuryManager suman 100% (10000 bps)
+     */
+    async checkAllocations() {
+        const id = "treasury.manager";
+        if (!this.addresses[id]) return [];
+
+        const treasury = await this.instance(id, "TreasuryManager");
+        const allocations = await Promise.all(TREASURY_TYPES.map((_, i) => treasury.allocations(i)));
+        const total = allocations.reduce((sum, bps) => sum + bps, 0n);
+
+        return [{
+            id,
+            contract: "TreasuryManager",
+            check: `allocation sum (${TREASURY_TYPES.map((name, i) => `${name} ${allocations[i]}`).join(", ")})`,
+            status: total === BASIS_POINTS ? "ok" : "mismatch",
+            expected: BASIS_POINTS,
+            actual: total,
+        }];
+    }
+
+    /**
+     * Texto del reporte, agrupado por contrato
+     * @param {Object} report - resultado de run()
+     * @returns {string}
+     */
+    static format(report) {
+        const icons = { ok: "✅", mismatch: "❌", missing: "⚠️ ", error: "💥" };
+        const byId = new Map();
+        for (const r of report.results) {
+            if (!byId.has(r.id)) byId.set(r.id, []);
+            byId.get(r.id).push(r);
+        }
+
+        const lines = [];
+        for (const [id, results] of byId) {
+            lines.push(`\n── ${results[0].contract} (${id})`);
+            for (const r of results) lines.push(ProtocolDoctor.formatResult(r, icons));
+        }
+
+        const count = (status) => report.results.filter((r) => r.status === status).length;
+        lines.push(`\n   ${count("ok")} ok, ${count("mismatch")} mismatched, ${count("missing")} missing, ${count("error")} errors`);
+        return lines.join("\n");
+    }
+
+    static formatResult(r, icons) {
+        let line = `   ${icons[r.status]} ${r.check}`;
+        if (r.status === "mismatch") line += `\n        expected ${r.expected}, on-chain ${r.actual}`;
+        if (r.status === "missing") {
+            line += r.check === "bytecode"
+                ? "  (no bytecode at the recorded address)"
+                : "  (a referenced contract is not in complete-deployment.json)";
+        }
+        if (r.status === "error") line += `\n        ${r.actual}`;
+        return line;
+    }
+}
+
+ProtocolDoctor.DOCTOR_CHECKS = DOCTOR_CHECKS;
+
+module.exports = ProtocolDoctor;
@@ -0,0 +1,38 @@
+const { createResilientProvider } = require("@nuxchain/protocol-export/providers");
+
+/**
+ * 🛰️ RPC PROVIDER
+ *
+ * Provider de lectura para los scripts con failover entre los endpoints de
+ * RPC_ENDPOINTS (export/providers): rota al siguiente ante 429/5xx o caída de
+ * red, con backoff exponencial con jitter, y descarta el endpoint cuyo chainId
+ * no es el de la red. Las keys salen del entorno (ALCHEMY_API_KEY,
+ * RPC_URLS_<chainId>), nunca del código.
+ *
+ * En la red `hardhat` (en proceso) devuelve hre.ethers.provider tal cual.
+ */
+
+class RpcProvider {
+    /**
+     * @param {Object} hre - Hardhat Runtime Environment
+     * @param {Object} options - env, urls, maxAttempts, baseDelay, maxDelay, timeout...
+     * @returns {import("ethers").Provider}
+     */
+    static forNetwork(hre, options = {}) {
+        const { name, config } = hre.network;
+        if (name === "hardhat" || !config.chainId) {
+            return hre.ethers.provider;
+        }
+
+        return createResilientProvider(config.chainId, { env: process.env, ...options });
+    }
+
+    /**
+     * Endpoint activo, para los logs (sin keys)
+     */
+    static describe(provider) {
+        return provider.activeEndpoint ?? "hardhat (in-process)";
+    }
+}
+
+module.exports = RpcProvider;
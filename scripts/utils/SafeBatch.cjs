@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * 🔐 SAFE BATCH
+ *
+ * Acumula transacciones de administración como un batch JSON del Safe
+ * Transaction Builder (to, value, data, método decodificado y args) en vez de
+ * enviarlas desde el deployer, para que las firme un multisig.
+ *
+ * Los scripts lo activan con SAFE_BATCH=true (SafeBatch.fromEnv); SAFE_ADDRESS
+ * es el Safe que lo va a ejecutar. El archivo va a
+ * deployments/<network>/safe/<name>.json y se importa en app.safe.global →
+ * Transaction Builder.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const TX_BUILDER_VERSION = "1.16.5";
+
+class SafeBatch {
+    /**
+     * @param {Object} options - {chainId, name, description, safeAddress}
+     */
+    constructor({ chainId, name, description = "", safeAddress = null }) {
+        this.chainId = String(chainId);
+        this.name = name;
+        this.description = description;
+        this.safeAddress = safeAddress ? ethers.getAddress(safeAddress) : null;
+        this.transactions = [];
+    }
+
+    /**
+     * Batch para el script si SAFE_BATCH=true, si no null (envío directo)
+     * @param {Object} provider - para el chainId
+     * @param {Object} options - {name, description, env}
+     * @returns {Promise<SafeBatch|null>}
+     */
+    static async fromEnv(provider, { name, description, env = process.env }) {
+        if (env.SAFE_BATCH !== "true") return null;
+
+        const { chainId } = await provider.getNetwork();
+        return new SafeBatch({ chainId, name, description, safeAddress: env.SAFE_ADDRESS || null });
+    }
+
+    /**
+     * Llamada a un contrato
+     * @param {Object} contract - ethers Contract (target + interface)
+     * @param {string} method - nombre o firma
+     * @param {Array} args
+     * @param {Object} options - {value}
+     * @returns {Object} la transacción añadida
+     */
+    add(contract, method, args = [], { value = 0n } = {}) {
+        // Los args solo hacen falta para elegir entre overloads
+        const overloads = contract.interface.fragments.filter((f) => f.type === "function" && f.name === method);
+        const fragment = contract.interface.getFunction(method, overloads.length > 1 ? args : undefined);
+        if (!fragment) {
+            throw new Error(`Unknown method ${method} on ${contract.target}`);
+        }
+
+        const transaction = {
+            to: ethers.getAddress(typeof contract.target === "string" ? contract.target : contract.target.target),
+            value: BigInt(value).toString(),
+            data: contract.interface.encodeFunctionData(fragment, args),
+            contractMethod: {
+                inputs: fragment.inputs.map(SafeBatch.describeParam),
+                name: fragment.name,
+                payable: fragment.payable,
+            },
+            contractInputsValues: Object.fromEntries(
+                fragment.inputs.map((param, i) => [param.name || `arg${i}`, SafeBatch.formatValue(param, args[i])])
+            ),
+        };
+        this.transactions.push(transaction);
+        return transaction;
+    }
+
+    /**
+     * Envío de POL sin datos
+     */
+    addTransfer(to, value) {
+        const transaction = {
+            to: ethers.getAddress(to),
+            value: BigInt(value).toString(),
+            data: "0x",
+            contractMethod: null,
+            contractInputsValues: null,
+        };
+        this.transactions.push(transaction);
+        return transaction;
+    }
+
+    /**
+     * Formato de contractMethod.inputs del Transaction Builder
+     */
+    static describeParam(param) {
+        const described = { internalType: param.type, name: param.name, type: param.type };
+        // En tuple[] los componentes cuelgan del tipo de los elementos
+        let base = param;
+        while (base.baseType === "array") base = base.arrayChildren;
+        if (base.components) described.components = base.components.map(SafeBatch.describeParam);
+        return described;
+    }
+
+    /**
+     * Valor de contractInputsValues: texto, y JSON para arrays y tuplas
+     */
+    static formatValue(param, value) {
+        if (param.baseType === "array" || param.baseType === "tuple") {
+            return JSON.stringify(SafeBatch.plain(param, value));
+        }
+        return String(value);
+    }
+
+    /**
+     * Arrays y tuplas (también objetos con los campos del struct) como arrays
+     * anidados de texto
+     */
+    static plain(param, value) {
+        if (param.baseType === "array") {
+            return Array.from(value, (item) => SafeBatch.plain(param.arrayChildren, item));
+        }
+        if (param.baseType === "tuple") {
+            return param.components.map((component, i) =>
+                SafeBatch.plain(component, Array.isArray(value) ? value[i] : value[component.name])
+            );
+        }
+        return typeof value === "boolean" ? value : String(value);
+    }
+
+    /**
+     * Checksum del Transaction Builder: keccak256 del batch serializado con las
+     * claves ordenadas y meta.name = null
+     */
+    static checksum(batch) {
+        const serialize = (json) => {
+            if (Array.isArray(json)) return `[${json.map(serialize).join(",")}]`;
+            if (typeof json === "object" && json !== null) {
+                const keys = Object.keys(json).sort();
+                return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(json[key])},`).join("")}}`;
+            }
+            return JSON.stringify(json === undefined ? null : json);
+        };
+        return ethers.keccak256(ethers.toUtf8Bytes(serialize({ ...batch, meta: { ...batch.meta, name: null } })));
+    }
+
+    toJSON() {
+        const batch = {
+            version: "1.0",
+            chainId: this.chainId,
+            createdAt: Date.now(),
+            meta: {
+                name: this.name,
+                description: this.description,
+                txBuilderVersion: TX_BUILDER_VERSION,
+                createdFromSafeAddress: this.safeAddress || "",
+                createdFromOwnerAddress: "",
+            },
+            transactions: this.transactions,
+        };
+        batch.meta.checksum = SafeBatch.checksum(batch);
+        return batch;
+    }
+
+    /**
+     * Escribe deployments/<network>/safe/<name>.json
+     * @param {string} network
+     * @returns {string|null} ruta, o null si no hay transacciones
+     */
+    save(network, { dir = path.join(DEPLOYMENTS_DIR, network, "safe") } = {}) {
+        if (this.transactions.length === 0) return null;
+
+        const file = path.join(dir, `${this.name}.json`);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2) + "\n");
+        return file;
+    }
+}
+
+module.exports = SafeBatch;
@@ -0,0 +1,332 @@
+const { id } = require("ethers");
+
+/**
+ * 🧾 SOLIDITY TYPES
+ *
+ * Lee el AST del compilador (output.sources[*].ast de artifacts/build-info) y
+ * genera los enums, structs y constantes públicas que export/config antes
+ * copiaba a mano. Los enums y structs se eligen por nombre calificado
+ * ("TreasuryManager.ProtocolStatus") porque varios contratos declaran tipos con
+ * el mismo nombre y miembros distintos.
+ *
+ * Los campos de los structs se tipan como los decodifica ethers v6: enteros y
+ * enums como bigint, address/bytes como string.
+ */
+
+const SUBDENOMINATIONS = {
+    wei: 1n,
+    gwei: 10n ** 9n,
+    ether: 10n ** 18n,
+    seconds: 1n,
+    minutes: 60n,
+    hours: 3600n,
+    days: 86400n,
+    weeks: 604800n,
+};
+
+class SolidityTypes {
+    /**
+     * @param {Object<string, Object>} asts - sourceName → SourceUnit
+     */
+    constructor(asts) {
+        this.asts = asts;
+        this.definitions = new Map();
+        this.contracts = new Map();
+
+        for (const [sourceName, unit] of Object.entries(asts)) {
+            for (const node of unit.nodes || []) {
+                if (node.nodeType === "ContractDefinition") {
+                    this.contracts.set(node.name, { sourceName, node });
+                    for (const child of node.nodes || []) this.register(`${node.name}.${child.name}`, child, node.name);
+                } else {
+                    this.register(node.name, node, null);
+                }
+            }
+        }
+    }
+
+    register(qualified, node, contract) {
+        if (node.nodeType !== "EnumDefinition" && node.nodeType !== "StructDefinition") return;
+        if (!this.definitions.has(qualified)) this.definitions.set(qualified, { node, contract });
+    }
+
+    /**
+     * Definición de un enum o struct visto desde un contrato: primero el propio
+     * contrato, luego sus bases y por último el nivel de archivo
+     * @returns {{qualified: string, node: Object, contract: string|null}}
+     */
+    resolve(name, contract = null) {
+        const candidates = [];
+        if (contract && !name.includes(".")) {
+            const visit = (current) => {
+                candidates.push(`${current}.${name}`);
+                const entry = this.contracts.get(current);
+                for (const base of (entry && entry.node.baseContracts) || []) {
+                    visit(base.baseName.name || (base.baseName.pathNode && base.baseName.pathNode.name));
+                }
+            };
+            visit(contract);
+        }
+        candidates.push(name);
+
+        for (const qualified of candidates) {
+            const found = this.definitions.get(qualified);
+            if (found) return { qualified, ...found };
+        }
+        throw new Error(`Unknown Solidity type ${name}${contract ? ` (from ${contract})` : ""}`);
+    }
+
+    enumMembers(qualified) {
+        const { node } = this.resolve(qualified);
+        if (node.nodeType !== "EnumDefinition") throw new Error(`${qualified} is not an enum`);
+        return node.members.map((member) => member.name);
+    }
+
+    /**
+     * Genera el modelo de export/config/solidity.generated.json
+     * @param {Object} selection - {enums: {Alias: "Contract.Enum"}, structs: {Alias: "Contract.Struct"}}
+     * @param {Function} [includeContract] - (name, sourceName) => boolean, para las constantes
+     * @returns {{enums: Object, structs: Object, constants: Object}}
+     */
+    generate(selection, includeContract = () => true) {
+        const enums = {};
+        const aliases = new Map();
+        for (const [alias, qualified] of Object.entries(selection.enums || {})) {
+            enums[alias] = { source: qualified, members: this.enumMembers(qualified) };
+            aliases.set(this.resolve(qualified).qualified, alias);
+        }
+        for (const [alias, qualified] of Object.entries(selection.structs || {})) {
+            aliases.set(this.resolve(qualified).qualified, alias);
+        }
+
+        const structs = {};
+        for (const [alias, qualified] of Object.entries(selection.structs || {})) {
+            const { node, contract } = this.resolve(qualified);
+            if (node.nodeType !== "StructDefinition") throw new Error(`${qualified} is not a struct`);
+
+            structs[alias] = {
+                source: qualified,
+                members: node.members.map((member) => ({
+                    name: member.name,
+                    ...this.describeType(member.typeName, contract, aliases, `${qualified}.${member.name}`),
+                })),
+            };
+        }
+
+        const constants = {};
+        for (const [name, { sourceName, node }] of [...this.contracts].sort(([a], [b]) => a.localeCompare(b))) {
+            if (node.contractKind === "interface" || !includeContract(name, sourceName)) continue;
+
+            const values = {};
+            for (const child of node.nodes || []) {
+                if (child.nodeType !== "VariableDeclaration" || !child.constant || child.visibility !== "public") continue;
+                // address y bytesN literales se quedan como hex
+                const type = child.typeName.nodeType === "ElementaryTypeName" ? child.typeName.name : "";
+                const value = /^(address|bytes\d+)/.test(type) && child.value.nodeType === "Literal"
+                    ? child.value.value
+                    : this.evaluate(child.value, node);
+                if (value !== undefined) values[child.name] = value;
+            }
+            if (Object.keys(values).length > 0) constants[name] = values;
+        }
+
+        return { enums, structs, constants };
+    }
+
+    /**
+     * Tipo Solidity de un campo y su tipo TS
+     * @returns {{type: string, ts: string, enum?: string}}
+     */
+    describeType(typeName, contract, aliases, label) {
+        switch (typeName.nodeType) {
+            case "ElementaryTypeName": {
+                const type = typeName.name;
+                if (/^u?int\d*$/.test(type)) return { type, ts: "bigint" };
+                if (type === "bool") return { type, ts: "boolean" };
+                return { type, ts: "string" };
+            }
+            case "ArrayTypeName": {
+                const inner = this.describeType(typeName.baseType, contract, aliases, label);
+                const length = typeName.length ? typeName.length.value : "";
+                return { ...inner, type: `${inner.type}[${length}]`, ts: `${inner.ts.includes(" ") ? `(${inner.ts})` : inner.ts}[]` };
+            }
+            case "UserDefinedTypeName": {
+                const name = typeName.pathNode ? typeName.pathNode.name : typeName.name;
+                const { qualified, node } = this.resolve(name, contract);
+                if (node.nodeType === "EnumDefinition") {
+                    return { type: name, ts: "bigint", enum: aliases.get(qualified) || qualified };
+                }
+                if (!aliases.has(qualified)) {
+                    throw new Error(`${label} uses struct ${qualified}; add it to the struct selection`);
+                }
+                return { type: name, ts: aliases.get(qualified) };
+            }
+            default:
+                throw new Error(`${label}: ${typeName.nodeType} cannot be exported`);
+        }
+    }
+
+    /**
+     * Valor de una expresión constante: literales, unidades (days, ether),
+     * aritmética, conversiones de tipo, keccak256("...") y otras constantes
+     * del contrato. undefined si no se puede evaluar.
+     */
+    evaluate(expression, contract) {
+        const value = this.evaluateBigInt(expression, contract);
+        if (typeof value !== "bigint") return value;
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value;
+    }
+
+    evaluateBigInt(expression, contract) {
+        if (!expression) return undefined;
+
+        switch (expression.nodeType) {
+            case "Literal":
+                if (expression.kind === "bool") return expression.value === "true";
+                if (expression.kind === "string") return expression.value;
+                if (expression.kind !== "number") return undefined;
+                return parseNumber(expression.value, expression.subdenomination);
+            case "TupleExpression":
+                return expression.components.length === 1 ? this.evaluateBigInt(expression.components[0], contract) : undefined;
+            case "UnaryOperation": {
+                const operand = this.evaluateBigInt(expression.subExpression, contract);
+                return expression.operator === "-" && typeof operand === "bigint" ? -operand : undefined;
+            }
+            case "BinaryOperation": {
+                const left = this.evaluateBigInt(expression.leftExpression, contract);
+                const right = this.evaluateBigInt(expression.rightExpression, contract);
+                if (typeof left !== "bigint" || typeof right !== "bigint") return undefined;
+                switch (expression.operator) {
+                    case "+": return left + right;
+                    case "-": return left - right;
+                    case "*": return left * right;
+                    case "/": return right === 0n ? undefined : left / right;
+                    case "%": return right === 0n ? undefined : left % right;
+                    case "**": return left ** right;
+                    default: return undefined;
+                }
+            }
+            case "FunctionCall": {
+                const callee = expression.expression;
+                const [argument] = expression.arguments || [];
+                if (callee.nodeType === "ElementaryTypeNameExpression" && expression.arguments.length === 1) {
+                    return this.evaluateBigInt(argument, contract);
+                }
+                if (callee.nodeType === "Identifier" && callee.name === "keccak256" && argument && argument.nodeType === "Literal" && argument.kind === "string") {
+                    return id(argument.value);
+                }
+                return undefined;
+            }
+            case "Identifier": {
+                const declaration = (contract.nodes || []).find(
+                    (child) => child.nodeType === "VariableDeclaration" && child.constant && child.name === expression.name
+                );
+                return declaration ? this.evaluateBigInt(declaration.value, contract) : undefined;
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Miembros de enums generados que no tienen entrada en un label map
+     * @param {Object} enums - model.enums
+     * @param {Object<string, Object>} labelMaps - nombre del map → {enum, labels}
+     * @returns {Array<{map: string, enum: string, member: string}>}
+     */
+    static missingLabels(enums, labelMaps) {
+        const missing = [];
+        for (const [map, { enum: enumName, labels }] of Object.entries(labelMaps)) {
+            const definition = enums[enumName];
+            if (!definition) throw new Error(`${map} labels enum ${enumName}, which is not generated`);
+            definition.members.forEach((member, index) => {
+                if (!labels || labels[index] === undefined) missing.push({ map, enum: enumName, member });
+            });
+        }
+        return missing;
+    }
+
+    /**
+     * solidity.generated.json (los bigint como string)
+     */
+    static toJson(model) {
+        return JSON.stringify(model, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n";
+    }
+
+    /**
+     * solidity.generated.js
+     */
+    static toJs(model) {
+        const lines = [HEADER, ""];
+
+        for (const [alias, { source, members }] of Object.entries(model.enums)) {
+            lines.push(`// ${source}`);
+            lines.push(`export const ${alias} = Object.freeze({`);
+            lines.push(members.map((member, index) => `  ${member}: ${index}`).join(",\n"));
+            lines.push("});", "");
+        }
+
+        lines.push(`export const SOLIDITY_CONSTANTS = ${formatConstants(model.constants)};`, "");
+        return lines.join("\n");
+    }
+
+    /**
+     * solidity.generated.ts
+     */
+    static toTs(model) {
+        const lines = [HEADER, ""];
+
+        for (const [alias, { source, members }] of Object.entries(model.enums)) {
+            lines.push(`/** ${source} */`);
+            lines.push(`export enum ${alias} {`);
+            lines.push(members.map((member, index) => `  ${member} = ${index}`).join(",\n"));
+            lines.push("}", "");
+        }
+
+        for (const [alias, { source, members }] of Object.entries(model.structs)) {
+            lines.push(`/** ${source} */`);
+            lines.push(`export interface ${alias} {`);
+            for (const member of members) {
+                const comment = member.enum ? ` // ${member.type} → ${member.enum}` : "";
+                lines.push(`  ${member.name}: ${member.ts};${comment}`);
+            }
+            lines.push("}", "");
+        }
+
+        lines.push(`export const SOLIDITY_CONSTANTS = ${formatConstants(model.constants)} as const;`, "");
+        return lines.join("\n");
+    }
+}
+
+const HEADER = "// Generated by scripts/ExportSolidityTypes.cjs from the compiler AST. Do not edit.";
+
+function parseNumber(raw, subdenomination) {
+    const text = raw.replace(/_/g, "");
+    const unit = SUBDENOMINATIONS[subdenomination || "wei"] ?? 1n;
+    if (text.startsWith("0x")) return BigInt(text) * unit;
+
+    // 1e18, 2.5e3, 0.00001 ether: mantisa decimal exacta
+    const [mantissa, exponent = "0"] = text.toLowerCase().split("e");
+    const [whole, fraction = ""] = mantissa.split(".");
+    const digits = BigInt(whole + fraction || "0");
+    const scale = BigInt(exponent) - BigInt(fraction.length);
+
+    const value = digits * unit;
+    if (scale >= 0n) return value * 10n ** scale;
+    const divisor = 10n ** -scale;
+    return value % divisor === 0n ? value / divisor : undefined;
+}
+
+function formatConstants(constants) {
+    const format = (value) => {
+        if (typeof value === "bigint") return `${value}n`;
+        return JSON.stringify(value);
+    };
+    const blocks = Object.entries(constants).map(([contract, values]) => {
+        const entries = Object.entries(values).map(([name, value]) => `    ${name}: ${format(value)}`);
+        return `  ${contract}: {\n${entries.join(",\n")}\n  }`;
+    });
+    return blocks.length > 0 ? `{\n${blocks.join(",\n")}\n}` : "{}";
+}
+
+module.exports = SolidityTypes;
@@ -0,0 +1,346 @@
+const { ProtocolStatus, TreasuryType } = require("@nuxchain/protocol-export/config");
+
+/**
+ * 🏦 TREASURY MODEL
+ *
+ * Réplica en BigInt del estado de TreasuryManager: receiveRevenue,
+ * triggerDistribution (reserva primero, luego allocations), requestRewardFunds,
+ * requestEmergencyFunds y los setters de admin, con los mismos require. Cada
+ * llamada recibe `now` donde el contrato usa block.timestamp.
+ *
+ * Las sub-treasuries solo existen como lo recibido (`received`); lo que hacen
+ * después con los fondos es cosa de TreasurySimulator. Cada llamada queda en
+ * `ops` para poder repetirla contra el contrato.
+ */
+
+const BASIS_POINTS = 10000n;
+const DISTRIBUTION_INTERVAL = 7n * 86400n;
+const DEFAULT_RESERVE_PERCENTAGE = 2000n;
+const MAX_RESERVE_PERCENTAGE = 3000n;
+
+const TREASURY_TYPES = Object.keys(TreasuryType);
+const STATUSES = Object.keys(ProtocolStatus);
+
+// Constructor de TreasuryManager
+const DEFAULT_ALLOCATIONS = { REWARDS: 3000n, STAKING: 3500n, COLLABORATORS: 2000n, DEVELOPMENT: 1500n, MARKETPLACE: 0n };
+
+const perType = (value) => Object.fromEntries(TREASURY_TYPES.map((type) => [type, value]));
+
+function typeName(type) {
+    const name = typeof type === "number" || typeof type === "bigint" ? TREASURY_TYPES[Number(type)] : type;
+    if (!TREASURY_TYPES.includes(name)) throw new Error(`❌ Unknown treasury type ${type}; expected ${TREASURY_TYPES.join(", ")}`);
+    return name;
+}
+
+function statusName(status) {
+    const name = typeof status === "number" || typeof status === "bigint" ? STATUSES[Number(status)] : status;
+    if (!STATUSES.includes(name)) throw new Error(`❌ Unknown protocol status ${status}; expected ${STATUSES.join(", ")}`);
+    return name;
+}
+
+/**
+ * Un require() del contrato que no se cumple. `reason` es el string del revert.
+ */
+class TreasuryRevert extends Error {
+    constructor(method, reason) {
+        super(`TreasuryManager.${method} reverted: ${reason}`);
+        this.name = "TreasuryRevert";
+        this.method = method;
+        this.reason = reason;
+    }
+}
+
+class TreasuryModel {
+    /**
+     * @param {Object} options
+     *   allocations: {TYPE: bps}, por defecto las del constructor
+     *   reserveAllocation: bps, 2000 por defecto
+     *   reserveAccumulation / autoDistribution: true por defecto
+     *   treasuries: tipos con address (setTreasury); por defecto todos
+     *   rejecting: tipos cuya address rechaza POL (RevenueDistributionFailed)
+     */
+    constructor({
+        allocations = {},
+        reserveAllocation = DEFAULT_RESERVE_PERCENTAGE,
+        reserveAccumulation = true,
+        autoDistribution = true,
+        treasuries = TREASURY_TYPES,
+        rejecting = [],
+    } = {}) {
+        this.allocations = { ...DEFAULT_ALLOCATIONS };
+        for (const [type, bps] of Object.entries(allocations)) this.allocations[typeName(type)] = BigInt(bps);
+
+        this.reserveAllocationPercentage = BigInt(reserveAllocation);
+        this.reserveAccumulationEnabled = reserveAccumulation;
+        this.autoDistributionEnabled = autoDistribution;
+        this.treasuries = new Set(treasuries.map(typeName));
+        this.rejecting = new Set(rejecting.map(typeName));
+
+        this.balance = 0n;
+        this.reserveFundBalance = 0n;
+        this.totalRevenueReceived = 0n;
+        this.totalDistributed = 0n;
+        this.totalReserveAccumulated = 0n;
+        this.totalReserveWithdrawn = 0n;
+        this.totalEmergencyFundsDistributed = 0n;
+
+        this.firstDepositTime = 0n;
+        this.nextDistributionTime = 0n;
+        this.lastDistributionTime = 0n;
+
+        this.protocolStatus = perType("HEALTHY");
+        this.protocolDeficit = perType(0n);
+        this.emergencyModeEnabled = false;
+        this.lastEmergencyTimestamp = 0n;
+
+        // Lo que cada sub-treasury recibió del manager
+        this.received = perType(0n);
+        this.ops = [];
+    }
+
+    static get TREASURY_TYPES() {
+        return TREASURY_TYPES;
+    }
+
+    static get STATUSES() {
+        return STATUSES;
+    }
+
+    record(method, args, now) {
+        this.ops.push({ method, args, time: now === undefined ? null : BigInt(now) });
+    }
+
+    get availableBalance() {
+        return this.balance > this.reserveFundBalance ? this.balance - this.reserveFundBalance : 0n;
+    }
+
+    // ─── revenue ─────────────────────────────────────────────────────────────
+
+    /**
+     * receiveRevenue(revenueType) con `amount` de msg.value (receive() hace lo mismo)
+     */
+    receiveRevenue(amount, revenueType, now) {
+        amount = BigInt(amount);
+        this.record("receiveRevenue", [revenueType, amount], now);
+
+        this.balance += amount;
+        this.totalRevenueReceived += amount;
+        if (this.firstDepositTime === 0n && amount > 0n) {
+            this.firstDepositTime = BigInt(now);
+            this.nextDistributionTime = BigInt(now) + DISTRIBUTION_INTERVAL;
+            this.lastDistributionTime = BigInt(now);
+        }
+    }
+
+    isDistributionReady(now) {
+        if (this.firstDepositTime === 0n) return false;
+        return BigInt(now) >= this.nextDistributionTime;
+    }
+
+    /**
+     * triggerDistribution(): reserva sobre lo disponible y el resto por
+     * allocations. Lo que no cubren las allocations (o no se pudo enviar)
+     * queda en el manager.
+     * @returns {{available, reserve, distributed: Object, failed: Object}}
+     */
+    triggerDistribution(now) {
+        now = BigInt(now);
+        if (this.firstDepositTime === 0n) throw new TreasuryRevert("triggerDistribution", "No deposits yet");
+        if (now < this.nextDistributionTime) throw new TreasuryRevert("triggerDistribution", "Distribution not ready");
+        this.record("triggerDistribution", [], now);
+
+        const result = { available: this.availableBalance, reserve: 0n, distributed: perType(0n), failed: perType(0n) };
+        this.lastDistributionTime = now;
+        this.nextDistributionTime = now + DISTRIBUTION_INTERVAL;
+        if (result.available === 0n) return result;
+
+        let distributable = result.available;
+        if (this.reserveAccumulationEnabled && this.reserveAllocationPercentage > 0n) {
+            result.reserve = (result.available * this.reserveAllocationPercentage) / BASIS_POINTS;
+            this.reserveFundBalance += result.reserve;
+            this.totalReserveAccumulated += result.reserve;
+            distributable -= result.reserve;
+        }
+        if (distributable === 0n) return result;
+
+        for (const type of TREASURY_TYPES) {
+            const allocation = this.allocations[type];
+            if (!this.treasuries.has(type) || allocation === 0n) continue;
+
+            const amount = (distributable * allocation) / BASIS_POINTS;
+            if (amount === 0n) continue;
+
+            if (this.rejecting.has(type)) {
+                this.protocolDeficit[type] += amount;
+                result.failed[type] = amount;
+                continue;
+            }
+            this.balance -= amount;
+            this.totalDistributed += amount;
+            this.received[type] += amount;
+            this.protocolDeficit[type] = this.protocolDeficit[type] > amount ? this.protocolDeficit[type] - amount : 0n;
+            result.distributed[type] = amount;
+        }
+        return result;
+    }
+
+    // ─── outflows ────────────────────────────────────────────────────────────
+
+    /**
+     * requestRewardFunds(amount): todo o nada, del saldo fuera de la reserva
+     */
+    requestRewardFunds(amount, now) {
+        amount = BigInt(amount);
+        if (amount === 0n) throw new TreasuryRevert("requestRewardFunds", "Invalid amount");
+        this.record("requestRewardFunds", [amount], now);
+
+        if (this.availableBalance < amount) return false;
+        this.balance -= amount;
+        this.totalDistributed += amount;
+        return true;
+    }
+
+    /**
+     * requestEmergencyFunds(protocol, amount): todo o nada, de la reserva,
+     * solo en modo emergencia
+     */
+    requestEmergencyFunds(protocol, amount, now) {
+        const type = typeName(protocol);
+        amount = BigInt(amount);
+        if (amount === 0n) throw new TreasuryRevert("requestEmergencyFunds", "Invalid amount");
+        if (!this.emergencyModeEnabled) throw new TreasuryRevert("requestEmergencyFunds", "Emergency mode not active");
+        this.record("requestEmergencyFunds", [type, amount], now);
+
+        if (this.reserveFundBalance < amount) return false;
+        this.reserveFundBalance -= amount;
+        this.balance -= amount;
+        this.totalReserveWithdrawn += amount;
+        this.totalEmergencyFundsDistributed += amount;
+        if (this.protocolDeficit[type] < amount) this.protocolDeficit[type] = amount;
+        return true;
+    }
+
+    // ─── admin ───────────────────────────────────────────────────────────────
+
+    setAllocation(treasuryType, percentage, now) {
+        const type = typeName(treasuryType);
+        percentage = BigInt(percentage);
+        if (percentage > BASIS_POINTS) throw new TreasuryRevert("setAllocation", "Exceeds 100%");
+
+        const total = TREASURY_TYPES.reduce((sum, other) => sum + (other === type ? percentage : this.allocations[other]), 0n);
+        if (total > BASIS_POINTS) throw new TreasuryRevert("setAllocation", "Total allocation exceeds 100%");
+
+        this.record("setAllocation", [type, percentage], now);
+        this.allocations[type] = percentage;
+    }
+
+    /**
+     * Llamadas a setAllocation que faltan para llegar a `allocations`, en el
+     * orden en que el contrato las acepta: primero las que bajan, para no
+     * pasar del 100% a mitad de camino
+     * @returns {Array<[string, bigint]>} [tipo, bps]
+     */
+    allocationSteps(allocations) {
+        const changes = Object.entries(allocations)
+            .map(([type, bps]) => [typeName(type), BigInt(bps)])
+            .filter(([type, bps]) => this.allocations[type] !== bps);
+        return changes.sort(([a, x], [b, y]) => {
+            const dx = x - this.allocations[a];
+            const dy = y - this.allocations[b];
+            return dx < dy ? -1 : dx > dy ? 1 : 0;
+        });
+    }
+
+    /** Varias allocations a la vez (ver allocationSteps) */
+    setAllocations(allocations, now) {
+        for (const [type, bps] of this.allocationSteps(allocations)) this.setAllocation(type, bps, now);
+    }
+
+    setReserveAllocation(percentage, now) {
+        percentage = BigInt(percentage);
+        if (percentage > MAX_RESERVE_PERCENTAGE) throw new TreasuryRevert("setReserveAllocation", "Max 30% reserve");
+        this.record("setReserveAllocation", [percentage], now);
+        this.reserveAllocationPercentage = percentage;
+    }
+
+    setReserveAccumulation(enabled, now) {
+        this.record("setReserveAccumulation", [enabled], now);
+        this.reserveAccumulationEnabled = enabled;
+    }
+
+    /**
+     * Solo un flag: el contrato no lo mira en triggerDistribution; es el
+     * keeper semanal el que lo respeta
+     */
+    setAutoDistribution(enabled, now) {
+        this.record("setAutoDistribution", [enabled], now);
+        this.autoDistributionEnabled = enabled;
+    }
+
+    setProtocolStatus(protocol, newStatus, now) {
+        const type = typeName(protocol);
+        const status = statusName(newStatus);
+        this.record("setProtocolStatus", [type, status], now);
+        if (this.protocolStatus[type] === status) return;
+
+        this.protocolStatus[type] = status;
+        if ((status === "CRITICAL" || status === "EMERGENCY") && !this.emergencyModeEnabled) {
+            this.emergencyModeEnabled = true;
+            this.lastEmergencyTimestamp = BigInt(now);
+        }
+    }
+
+    declareEmergency(reason, now) {
+        if (this.emergencyModeEnabled) throw new TreasuryRevert("declareEmergency", "Emergency already active");
+        this.record("declareEmergency", [reason], now);
+        this.emergencyModeEnabled = true;
+        this.lastEmergencyTimestamp = BigInt(now);
+    }
+
+    endEmergency(now) {
+        if (!this.emergencyModeEnabled) throw new TreasuryRevert("endEmergency", "No emergency active");
+        this.record("endEmergency", [], now);
+        this.emergencyModeEnabled = false;
+    }
+
+    depositToReserve(amount, now) {
+        amount = BigInt(amount);
+        if (amount === 0n) throw new TreasuryRevert("depositToReserve", "Must send POL");
+        this.record("depositToReserve", [amount], now);
+        this.balance += amount;
+        this.reserveFundBalance += amount;
+        this.totalReserveAccumulated += amount;
+    }
+
+    /**
+     * Lo mismo que leen getStats / getReserveStats / getDistributionTimeline /
+     * getAllAllocations / getProtocolStatus / getEmergencyInfo
+     */
+    snapshot() {
+        return {
+            balance: this.balance,
+            availableBalance: this.availableBalance,
+            totalRevenueReceived: this.totalRevenueReceived,
+            totalDistributed: this.totalDistributed,
+            reserveFundBalance: this.reserveFundBalance,
+            totalReserveAccumulated: this.totalReserveAccumulated,
+            totalReserveWithdrawn: this.totalReserveWithdrawn,
+            reserveAllocationPercentage: this.reserveAllocationPercentage,
+            reserveAccumulationEnabled: this.reserveAccumulationEnabled,
+            autoDistributionEnabled: this.autoDistributionEnabled,
+            firstDepositTime: this.firstDepositTime,
+            lastDistributionTime: this.lastDistributionTime,
+            nextDistributionTime: this.nextDistributionTime,
+            allocations: { ...this.allocations },
+            protocolStatus: { ...this.protocolStatus },
+            protocolDeficit: { ...this.protocolDeficit },
+            emergencyModeEnabled: this.emergencyModeEnabled,
+            lastEmergencyTimestamp: this.lastEmergencyTimestamp,
+            totalEmergencyFundsDistributed: this.totalEmergencyFundsDistributed,
+            received: { ...this.received },
+        };
+    }
+}
+
+module.exports = TreasuryModel;
+module.exports.TreasuryRevert = TreasuryRevert;
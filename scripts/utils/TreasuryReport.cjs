@@ -0,0 +1,500 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ProtocolStatus, TreasuryType } = require("@nuxchain/protocol-export/config");
+
+/**
+ * 🧾 TREASURY REPORT
+ *
+ * Lee todo el estado financiero de TreasuryManager en un mismo bloque
+ * (balances, timeline de distribución, reserva, allocations, fuentes
+ * autorizadas, emergencia, estado por protocolo, owner) y lo deja como un
+ * objeto plano que QueryTreasury.cjs imprime en texto, JSON, CSV o Markdown.
+ *
+ * `flatten()` baja el reporte a filas section/field/value/unit: de ahí salen
+ * el CSV y el diff entre dos snapshots guardados en reports/treasury/.
+ */
+
+const BASIS_POINTS = 10000n;
+const DISTRIBUTION_INTERVAL = 7n * 86400n;
+const MONTH = 30n * 86400n;
+
+// Enums generados desde el AST del compilador, vía @nuxchain/protocol-export
+const TREASURY_TYPES = Object.keys(TreasuryType);
+const STATUSES = Object.keys(ProtocolStatus);
+const STATUS_ICONS = { HEALTHY: "✅", UNSTABLE: "⚠️", CRITICAL: "🔴", EMERGENCY: "🚨" };
+
+const FORMATS = ["text", "json", "csv", "markdown"];
+
+const pol = (wei) => Number(ethers.formatEther(wei)).toFixed(6) + " POL";
+const pct = (bps) => (Number(bps) / 100).toFixed(2) + "%";
+const date = (ts) => (BigInt(ts) > 0n ? new Date(Number(ts) * 1000).toISOString() : "—");
+const duration = (secs) => {
+    secs = Number(secs);
+    if (secs <= 0) return "READY NOW ✅";
+    const d = Math.floor(secs / 86400);
+    const h = Math.floor((secs % 86400) / 3600);
+    const m = Math.floor((secs % 3600) / 60);
+    return `${d}d ${h}h ${m}m ${secs % 60}s`;
+};
+const bar = (label, len = 80) => `╔${"═".repeat(len - 2)}╗\n║  ${label.padEnd(len - 4)}║\n╚${"═".repeat(len - 2)}╝`;
+
+// Cómo se muestra cada unidad de flatten() fuera del JSON
+function display(value, unit) {
+    if (value === null || value === undefined) return "—";
+    if (unit === "wei") return pol(value);
+    if (unit === "bps") return pct(value);
+    if (unit === "timestamp") return date(value);
+    if (unit === "seconds") return duration(value);
+    return String(value);
+}
+
+class TreasuryReport {
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    /**
+     * Lee el reporte completo en un bloque
+     * @param {Contract} tm - TreasuryManager conectado a un provider
+     * @param {Object} ctx - { provider, address, network, chainId, sources: [{name, address}], signer }
+     */
+    static async collect(tm, { provider, address, network, chainId, sources = [], signer = null }) {
+        const block = await provider.getBlock("latest");
+        const at = { blockTag: block.number };
+        const now = BigInt(block.timestamp);
+
+        const [totalReceived, totalDistributed, , available, , autoDistribution] = await tm.getStats(at);
+        const onChain = await provider.getBalance(address, block.number);
+        const [firstDeposit, lastDistribution, nextDistribution, timeUntilNext, ready] = await tm.getDistributionTimeline(at);
+        const [reserveBalance, accumulated, withdrawn, reserveBps, accumulationEnabled] = await tm.getReserveStats(at);
+        const [emergencyActive, emergencyTimestamp, emergencyFunds, reserveAvailable] = await tm.getEmergencyInfo(at);
+
+        const pending = onChain > reserveBalance ? onChain - reserveBalance : 0n;
+        // Lo que repartiría triggerDistribution ahora: la reserva sale primero
+        const toReserve = accumulationEnabled ? (pending * reserveBps) / BASIS_POINTS : 0n;
+        const distributable = pending - toReserve;
+
+        const allocations = {};
+        const protocols = {};
+        for (const [i, type] of TREASURY_TYPES.entries()) {
+            const [treasury, bps] = await tm.getTreasuryConfig(i, at);
+            allocations[type] = {
+                bps,
+                address: treasury === ethers.ZeroAddress ? null : treasury,
+                estimated: (distributable * bps) / BASIS_POINTS,
+            };
+            const [status, deficit] = await tm.getProtocolStatus(i, at);
+            protocols[type] = { status: STATUSES[Number(status)] ?? "UNKNOWN", deficit };
+        }
+
+        const authorized = [];
+        for (const source of sources) {
+            authorized.push({
+                name: source.name,
+                address: source.address || null,
+                authorized: source.address ? await tm.authorizedSources(source.address, at) : null,
+            });
+        }
+
+        const owner = await tm.owner(at);
+
+        // Runway: reserva / distribución mensual media desde el primer depósito
+        const months = firstDeposit > 0n ? (now - firstDeposit) / MONTH : 0n;
+        const monthlyBurn = months > 0n ? totalDistributed / months : 0n;
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            network,
+            chainId: BigInt(chainId),
+            contract: address,
+            block: { number: BigInt(block.number), timestamp: now },
+            balances: {
+                onChain,
+                available,
+                reserve: reserveBalance,
+                pending,
+                totalReceived,
+                totalDistributed,
+                autoDistribution,
+            },
+            timeline: {
+                initialized: firstDeposit > 0n,
+                firstDeposit,
+                lastDistribution,
+                nextDistribution,
+                timeUntilNext,
+                ready,
+                cycleProgressPct: firstDeposit > 0n
+                    ? BigInt(Math.min(Number(((now - lastDistribution) * 100n) / DISTRIBUTION_INTERVAL), 100))
+                    : 0n,
+            },
+            reserve: {
+                balance: reserveBalance,
+                accumulated,
+                withdrawn,
+                allocationBps: reserveBps,
+                accumulationEnabled,
+                runwayMonths: reserveBalance > 0n && monthlyBurn > 0n ? reserveBalance / monthlyBurn : null,
+            },
+            distribution: { toReserve, distributable },
+            allocations,
+            sources: authorized,
+            emergency: {
+                active: emergencyActive,
+                declaredAt: emergencyTimestamp,
+                fundsUsed: emergencyFunds,
+                reserveAvailable,
+            },
+            protocols,
+            ownership: {
+                owner,
+                signer,
+                isOwner: signer ? owner.toLowerCase() === signer.toLowerCase() : null,
+            },
+        };
+        report.health = TreasuryReport.health(report);
+        return report;
+    }
+
+    /**
+     * Puntuación 0-100 y observaciones, con las mismas reglas que el reporte de consola
+     */
+    static health(report) {
+        let score = 100;
+        const issues = [];
+
+        if (report.balances.onChain === 0n) { score -= 30; issues.push("❌ Treasury balance is ZERO — no funds received yet"); }
+        if (!report.emergency.active && score === 100) issues.push("✅ No emergency active");
+        if (!report.balances.autoDistribution) { score -= 10; issues.push("⚠️  Auto-distribution is DISABLED"); }
+        if (!report.timeline.initialized) { score -= 20; issues.push("⚠️  Distribution cycle NOT started — needs first deposit"); }
+        else if (report.timeline.ready) { score -= 5; issues.push("⏰ Distribution is READY — consider calling triggerDistribution()"); }
+        if (report.reserve.balance === 0n) { score -= 10; issues.push("⚠️  Reserve fund is empty"); }
+        for (const source of report.sources) {
+            if (source.authorized === false) { score -= 15; issues.push(`❌ ${source.name} is NOT authorized as revenue source`); }
+        }
+
+        const label = score >= 80 ? "HEALTHY" : score >= 50 ? "NEEDS ATTENTION" : "CRITICAL";
+        return { score, label, issues };
+    }
+
+    /**
+     * Filas section/field/value/unit con todos los valores del reporte.
+     * Los valores son strings (wei y timestamps enteros), así el CSV y el diff
+     * funcionan igual con un reporte recién leído o con uno cargado de JSON.
+     */
+    static flatten(report) {
+        const rows = [];
+        const row = (section, field, value, unit = "") => rows.push({
+            section,
+            field,
+            value: value === null || value === undefined ? "" : String(value),
+            unit,
+        });
+
+        row("meta", "network", report.network);
+        row("meta", "chainId", report.chainId);
+        row("meta", "contract", report.contract, "address");
+        row("meta", "block", report.block.number);
+        row("meta", "blockTimestamp", report.block.timestamp, "timestamp");
+
+        const b = report.balances;
+        row("balances", "onChain", b.onChain, "wei");
+        row("balances", "available", b.available, "wei");
+        row("balances", "reserve", b.reserve, "wei");
+        row("balances", "pending", b.pending, "wei");
+        row("balances", "totalReceived", b.totalReceived, "wei");
+        row("balances", "totalDistributed", b.totalDistributed, "wei");
+        row("balances", "autoDistribution", b.autoDistribution, "bool");
+
+        const t = report.timeline;
+        row("timeline", "initialized", t.initialized, "bool");
+        row("timeline", "firstDeposit", t.firstDeposit, "timestamp");
+        row("timeline", "lastDistribution", t.lastDistribution, "timestamp");
+        row("timeline", "nextDistribution", t.nextDistribution, "timestamp");
+        row("timeline", "timeUntilNext", t.timeUntilNext, "seconds");
+        row("timeline", "ready", t.ready, "bool");
+        row("timeline", "cycleProgressPct", t.cycleProgressPct, "%");
+
+        const r = report.reserve;
+        row("reserve", "balance", r.balance, "wei");
+        row("reserve", "accumulated", r.accumulated, "wei");
+        row("reserve", "withdrawn", r.withdrawn, "wei");
+        row("reserve", "allocation", r.allocationBps, "bps");
+        row("reserve", "accumulationEnabled", r.accumulationEnabled, "bool");
+        row("reserve", "runwayMonths", r.runwayMonths, "months");
+
+        row("distribution", "toReserve", report.distribution.toReserve, "wei");
+        row("distribution", "distributable", report.distribution.distributable, "wei");
+
+        for (const [type, allocation] of Object.entries(report.allocations)) {
+            row("allocations", `${type}.allocation`, allocation.bps, "bps");
+            row("allocations", `${type}.address`, allocation.address, "address");
+            row("allocations", `${type}.estimated`, allocation.estimated, "wei");
+        }
+
+        for (const source of report.sources) {
+            row("sources", `${source.name}.address`, source.address, "address");
+            row("sources", `${source.name}.authorized`, source.authorized, "bool");
+        }
+
+        const e = report.emergency;
+        row("emergency", "active", e.active, "bool");
+        row("emergency", "declaredAt", e.declaredAt, "timestamp");
+        row("emergency", "fundsUsed", e.fundsUsed, "wei");
+        row("emergency", "reserveAvailable", e.reserveAvailable, "wei");
+
+        for (const [type, protocol] of Object.entries(report.protocols)) {
+            row("protocols", `${type}.status`, protocol.status, "status");
+            row("protocols", `${type}.deficit`, protocol.deficit, "wei");
+        }
+
+        row("ownership", "owner", report.ownership.owner, "address");
+        row("ownership", "signer", report.ownership.signer, "address");
+        row("ownership", "isOwner", report.ownership.isOwner, "bool");
+
+        row("health", "score", report.health.score, "/100");
+        row("health", "label", report.health.label);
+        return rows;
+    }
+
+    // ─── formatos ────────────────────────────────────────────────────────────
+
+    /**
+     * @param {Object} [options] - { rpc } solo para el texto (el endpoint no va a los snapshots)
+     */
+    static render(report, format = "text", options = {}) {
+        if (format === "json") return TreasuryReport.toJSON(report);
+        if (format === "csv") return TreasuryReport.toCSV(TreasuryReport.flatten(report));
+        if (format === "markdown") return TreasuryReport.toMarkdown(report);
+        if (format === "text") return TreasuryReport.toText(report, options);
+        throw new Error(`❌ Unknown format "${format}"; expected ${FORMATS.join(", ")}`);
+    }
+
+    static toJSON(report) {
+        return JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+    }
+
+    static toCSV(rows) {
+        const columns = Object.keys(rows[0] || { section: "", field: "", value: "", unit: "" });
+        const cell = (value) => (/[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+        return [columns.join(","), ...rows.map((entry) => columns.map((column) => cell(entry[column] ?? "")).join(","))].join("\n") + "\n";
+    }
+
+    static toMarkdown(report) {
+        const lines = [
+            `# TreasuryManager report — ${report.network}`,
+            "",
+            `Contract \`${report.contract}\` on chainId ${report.chainId}, block ${report.block.number} (${date(report.block.timestamp)}).`,
+            "",
+            `**Health:** ${report.health.score}/100 — ${report.health.label}`,
+            "",
+            ...report.health.issues.map((issue) => `- ${issue}`),
+        ];
+
+        const rows = TreasuryReport.flatten(report).filter((entry) => !["meta", "health"].includes(entry.section));
+        for (const section of [...new Set(rows.map((entry) => entry.section))]) {
+            lines.push("", `## ${section[0].toUpperCase()}${section.slice(1)}`, "", "| Field | Value |", "|---|---|");
+            for (const entry of rows.filter((candidate) => candidate.section === section)) {
+                const value = entry.value === "" ? "—" : entry.unit === "address" ? `\`${entry.value}\`` : display(entry.value, entry.unit);
+                lines.push(`| ${entry.field} | ${value} |`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * El reporte de consola de siempre, por secciones
+     */
+    static toText(report, { rpc } = {}) {
+        const out = [];
+        const line = (text = "") => out.push(text);
+        const { balances: b, timeline: t, reserve: r, emergency: e } = report;
+
+        line("\n" + bar("  TREASURY MANAGER — COMPLETE POOL BALANCE REPORT  ", 80));
+        line(`\n  Generated: ${report.generatedAt}`);
+        line(`  Network  : ${report.network} (chainId ${report.chainId})`);
+        line(`  Block    : ${report.block.number} (${date(report.block.timestamp)})`);
+        if (rpc) line(`  RPC      : ${rpc}`);
+        line(`  Contract : ${report.contract}\n`);
+
+        line(bar("  1. BALANCES", 80));
+        line(`\n  On-chain balance (raw)     : ${pol(b.onChain)}`);
+        line(`  Available for distribution : ${pol(b.available)}`);
+        line(`  Reserve fund (locked)      : ${pol(b.reserve)}`);
+        line(`  ─────────────────────────────────────────────`);
+        line(`  Total revenue ever received: ${pol(b.totalReceived)}`);
+        line(`  Total distributed to date  : ${pol(b.totalDistributed)}`);
+        line(`  Pending (undistributed)    : ${pol(b.pending)}`);
+        line(`  Auto-distribution enabled  : ${b.autoDistribution ? "Yes ✅" : "No ❌"}`);
+
+        line("\n" + bar("  2. DISTRIBUTION TIMELINE", 80));
+        line(`\n  First deposit              : ${date(t.firstDeposit)}`);
+        line(`  Last distribution          : ${date(t.lastDistribution)}`);
+        line(`  Next distribution          : ${date(t.nextDistribution)}`);
+        line(`  Time until next            : ${duration(t.timeUntilNext)}`);
+        line(`  Distribution ready now     : ${t.ready ? "YES ✅  — call triggerDistribution()" : "Not yet ⏳"}`);
+        if (t.initialized) {
+            const filled = Math.floor(Number(t.cycleProgressPct) / 5);
+            line(`\n  Weekly cycle progress      : [${"█".repeat(filled)}${"░".repeat(20 - filled)}] ${t.cycleProgressPct}%`);
+        } else {
+            line(`\n  ⚠️  Distribution cycle NOT initialized — no deposits received yet.`);
+        }
+
+        line("\n" + bar("  3. RESERVE FUND", 80));
+        line(`\n  Reserve fund balance       : ${pol(r.balance)}`);
+        line(`  Total accumulated          : ${pol(r.accumulated)}`);
+        line(`  Total withdrawn            : ${pol(r.withdrawn)}`);
+        line(`  Allocation (% of revenue)  : ${pct(r.allocationBps)}`);
+        line(`  Auto-accumulation          : ${r.accumulationEnabled ? "Enabled ✅" : "Disabled ❌"}`);
+        if (r.runwayMonths !== null) line(`  Estimated runway           : ~${r.runwayMonths} months (based on avg monthly distribution)`);
+
+        line("\n" + bar(`  4. ALLOCATION BREAKDOWN (of distributable ${pct(BASIS_POINTS - (r.accumulationEnabled ? r.allocationBps : 0n))})`, 80));
+        line(`\n  Distributable amount (est.): ${pol(report.distribution.distributable)}`);
+        line(`\n  ${"TYPE".padEnd(16)} ${"ALLOC".padEnd(8)} ${"EST. AMOUNT".padEnd(18)} ADDRESS`);
+        line(`  ${"─".repeat(72)}`);
+        for (const [type, allocation] of Object.entries(report.allocations)) {
+            line(`  ${type.padEnd(16)} ${pct(allocation.bps).padEnd(8)} ${pol(allocation.estimated).padEnd(18)} ${allocation.address ?? "(not set)"}`);
+        }
+
+        line("\n" + bar("  5. AUTHORIZED REVENUE SOURCES", 80));
+        line();
+        if (report.sources.length === 0) line(`  (No @nuxchain/protocol-export address book for chainId ${report.chainId} to check sources)`);
+        for (const source of report.sources) {
+            if (!source.address) { line(`  ${source.name.padEnd(20)}: address not found`); continue; }
+            line(`  ${source.name.padEnd(20)}: ${source.address}  →  ${source.authorized ? "✅ AUTHORIZED" : "❌ NOT AUTHORIZED"}`);
+        }
+
+        line("\n" + bar("  6. EMERGENCY & PROTOCOL STATUS", 80));
+        line(`\n  Emergency mode active      : ${e.active ? "YES 🚨" : "No ✅"}`);
+        if (e.active) line(`  Emergency declared at      : ${date(e.declaredAt)}`);
+        line(`  Emergency funds used       : ${pol(e.fundsUsed)}`);
+        line(`  Reserve available          : ${pol(e.reserveAvailable)}`);
+        line(`\n  ${"PROTOCOL".padEnd(16)} ${"STATUS".padEnd(22)} DEFICIT`);
+        line(`  ${"─".repeat(56)}`);
+        for (const [type, protocol] of Object.entries(report.protocols)) {
+            const status = `${protocol.status} ${STATUS_ICONS[protocol.status] ?? ""}`.trim();
+            line(`  ${type.padEnd(16)} ${status.padEnd(22)} ${BigInt(protocol.deficit) > 0n ? pol(protocol.deficit) : "—"}`);
+        }
+
+        line("\n" + bar("  7. OWNERSHIP", 80));
+        line(`\n  Owner                      : ${report.ownership.owner}`);
+        if (report.ownership.signer) {
+            line(`  Current signer             : ${report.ownership.signer}`);
+            line(`  Is owner                   : ${report.ownership.isOwner ? "Yes ✅" : "No ❌"}`);
+        }
+
+        const { score, label, issues } = report.health;
+        const icon = { HEALTHY: "✅", "NEEDS ATTENTION": "⚠️", CRITICAL: "🔴" }[label];
+        line("\n" + bar("  8. HEALTH SUMMARY", 80));
+        line(`\n  Health Score               : [${"█".repeat(Math.floor(score / 5))}${"░".repeat(20 - Math.floor(score / 5))}] ${score}/100 — ${label} ${icon}`);
+        line("\n  Details:");
+        for (const issue of issues) line(`     ${issue}`);
+        return out.join("\n");
+    }
+
+    // ─── snapshots ───────────────────────────────────────────────────────────
+
+    /**
+     * Guarda el reporte como reports/treasury/<network>/<timestamp>.json
+     * @returns {string} ruta del archivo
+     */
+    static save(report, dir) {
+        const target = path.join(dir, report.network);
+        fs.mkdirSync(target, { recursive: true });
+        const file = path.join(target, `${report.generatedAt.replace(/[:.]/g, "-")}.json`);
+        fs.writeFileSync(file, TreasuryReport.toJSON(report) + "\n");
+        return file;
+    }
+
+    static load(file) {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+
+    /**
+     * Snapshots de una red, del más viejo al más nuevo
+     */
+    static snapshots(dir, network) {
+        const target = path.join(dir, network);
+        if (!fs.existsSync(target)) return [];
+        return fs.readdirSync(target).filter((name) => name.endsWith(".json")).sort().map((name) => path.join(target, name));
+    }
+
+    /**
+     * Campos que cambiaron entre dos reportes (o snapshots cargados de JSON).
+     * `delta` va en la unidad del campo para wei, bps y números.
+     */
+    static diff(before, after) {
+        const index = (report) => new Map(TreasuryReport.flatten(report).map((entry) => [`${entry.section}.${entry.field}`, entry]));
+        const a = index(before);
+        const b = index(after);
+        const changes = [];
+
+        for (const key of new Set([...a.keys(), ...b.keys()])) {
+            const from = a.get(key);
+            const to = b.get(key);
+            if (from && to && from.value === to.value) continue;
+
+            const entry = to || from;
+            const change = {
+                section: entry.section,
+                field: entry.field,
+                unit: entry.unit,
+                before: from ? from.value : null,
+                after: to ? to.value : null,
+                delta: null,
+            };
+            if (from && to && ["wei", "bps", "timestamp", "seconds", "%", "months", "/100"].includes(entry.unit) && /^-?\d+$/.test(from.value) && /^-?\d+$/.test(to.value)) {
+                change.delta = (BigInt(to.value) - BigInt(from.value)).toString();
+            }
+            changes.push(change);
+        }
+
+        return {
+            from: { generatedAt: before.generatedAt, block: before.block.number.toString() },
+            to: { generatedAt: after.generatedAt, block: after.block.number.toString() },
+            changes,
+        };
+    }
+
+    static renderDiff(diff, format = "text") {
+        if (format === "json") return JSON.stringify(diff, null, 2);
+        if (format === "csv") return TreasuryReport.toCSV(diff.changes.map((change) => ({ ...change, before: change.before ?? "", after: change.after ?? "", delta: change.delta ?? "" })));
+
+        const value = (change, key) => (change[key] === null ? "—" : change[key] === "" ? "—" : display(change[key], change.unit));
+        const delta = (change) => {
+            if (change.delta === null) return "";
+            const sign = change.delta.startsWith("-") ? "" : "+";
+            if (change.unit === "wei") return `${sign}${Number(ethers.formatEther(change.delta)).toFixed(6)} POL`;
+            if (change.unit === "bps") return `${sign}${(Number(change.delta) / 100).toFixed(2)}%`;
+            if (change.unit === "timestamp" || change.unit === "seconds") return `${sign}${duration(Math.abs(Number(change.delta))).replace("READY NOW ✅", "0s")}`;
+            return `${sign}${change.delta}`;
+        };
+        const header = `${diff.from.generatedAt} (block ${diff.from.block}) → ${diff.to.generatedAt} (block ${diff.to.block})`;
+
+        if (format === "markdown") {
+            const lines = [`# TreasuryManager diff`, "", header, ""];
+            if (diff.changes.length === 0) return lines.concat("No changes.").join("\n") + "\n";
+            lines.push("| Section | Field | Before | After | Change |", "|---|---|---|---|---|");
+            for (const change of diff.changes) {
+                lines.push(`| ${change.section} | ${change.field} | ${value(change, "before")} | ${value(change, "after")} | ${delta(change)} |`);
+            }
+            return lines.join("\n") + "\n";
+        }
+        if (format !== "text") throw new Error(`❌ Unknown format "${format}"; expected ${FORMATS.join(", ")}`);
+
+        const lines = ["\n" + bar("  TREASURY MANAGER — SNAPSHOT DIFF", 80), `\n  ${header}\n`];
+        if (diff.changes.length === 0) lines.push("  No changes ✅");
+        let section = null;
+        for (const change of diff.changes) {
+            if (change.section !== section) {
+                section = change.section;
+                lines.push(`  ${section}`);
+            }
+            lines.push(`     ${change.field.padEnd(26)} ${value(change, "before")} → ${value(change, "after")}${change.delta !== null ? `  (${delta(change)})` : ""}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+module.exports = TreasuryReport;
@@ -0,0 +1,362 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const TreasuryModel = require("./TreasuryModel.cjs");
+
+/**
+ * 📈 TREASURY SIMULATOR
+ *
+ * Corre un escenario de ingresos y demanda de fondos sobre TreasuryModel, día
+ * a día: llegan los ingresos, el keeper llama a triggerDistribution cada 7
+ * días (si autoDistribution está activo), cada sub-treasury paga su demanda y
+ * los pedidos de requestRewardFunds salen del saldo del manager.
+ *
+ * El estado de cada protocolo sale del runway (semanas de demanda que cubre su
+ * saldo) y se aplica con setProtocolStatus, así que CRITICAL/EMERGENCY activan
+ * el modo emergencia como en el contrato. Una sub-treasury sin fondos pide lo
+ * que le falta con requestEmergencyFunds si el escenario lo permite.
+ *
+ * Devuelve una fila por semana, los eventos (pools secos, cambios de estado,
+ * pedidos rechazados) y un resumen.
+ */
+
+const DAY = 86400n;
+const BASIS_POINTS = 10000n;
+const TREASURY_TYPES = TreasuryModel.TREASURY_TYPES;
+const MANAGER = "manager";
+
+const DEFAULT_THRESHOLDS = { unstableWeeks: 8, criticalWeeks: 2 };
+const STATUS_ICONS = { HEALTHY: "✅", UNSTABLE: "⚠️", CRITICAL: "🔴", EMERGENCY: "🚨" };
+
+/**
+ * Montos del escenario: bigint = wei, string/number = POL
+ */
+function toWei(value) {
+    if (value === undefined || value === null) return 0n;
+    return typeof value === "bigint" ? value : ethers.parseEther(String(value));
+}
+
+function toTime(value) {
+    if (value === undefined) return BigInt(Math.floor(Date.UTC(2026, 0, 1) / 1000));
+    if (typeof value === "bigint" || typeof value === "number") return BigInt(value);
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`❌ Invalid scenario start "${value}"`);
+    return BigInt(Math.floor(ms / 1000));
+}
+
+// Monto de la semana `week` de un flujo: perWeek con crecimiento compuesto (bps por semana),
+// o `once` entero en la semana `week` del flujo
+function weeklyAmount(stream, week) {
+    if (stream.once !== undefined) return week === (stream.week ?? 1) ? toWei(stream.once) : 0n;
+
+    const from = stream.fromWeek ?? 1;
+    const to = stream.toWeek ?? Infinity;
+    if (week < from || week > to) return 0n;
+
+    let amount = toWei(stream.perWeek);
+    const growth = BigInt(stream.growthBps ?? 0);
+    for (let i = from; i < week && growth !== 0n; i++) amount = (amount * (BASIS_POINTS + growth)) / BASIS_POINTS;
+    return amount;
+}
+
+// Parte del monto semanal que toca el día `day` (0-6) sin perder wei por redondeo;
+// los pagos únicos llegan el primer día
+function dailyAmount(stream, week, day) {
+    const weekly = weeklyAmount(stream, week);
+    if (stream.once !== undefined) return day === 0 ? weekly : 0n;
+    return (weekly * BigInt(day + 1)) / 7n - (weekly * BigInt(day)) / 7n;
+}
+
+const formatPol = (wei) => Number(ethers.formatEther(wei)).toFixed(2);
+
+class TreasurySimulator {
+    /**
+     * @param {Object} scenario - ver scripts/treasury.scenario.cjs
+     */
+    constructor(scenario) {
+        this.scenario = scenario;
+        this.name = scenario.name || "scenario";
+        this.weeks = scenario.weeks ?? 26;
+        this.start = toTime(scenario.start);
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...scenario.thresholds };
+        this.emergencyFunding = scenario.emergencyFunding ?? true;
+
+        this.revenue = scenario.revenue || [];
+        this.demand = scenario.demand || [];
+        for (const stream of this.demand) {
+            if (stream.from !== MANAGER && !TREASURY_TYPES.includes(stream.from)) {
+                throw new Error(`❌ Demand "${stream.name || "?"}" draws from "${stream.from}"; expected "${MANAGER}" or ${TREASURY_TYPES.join(", ")}`);
+            }
+        }
+        this.changes = [...(scenario.changes || [])].sort((a, b) => a.week - b.week);
+    }
+
+    /**
+     * Un escenario desde un .cjs/.json (module.exports / JSON con la misma forma)
+     */
+    static load(file) {
+        const resolved = path.resolve(file);
+        delete require.cache[resolved];
+        return new TreasurySimulator(require(resolved));
+    }
+
+    /**
+     * Demanda semanal recurrente de un pool en la semana `week` (sin pagos únicos)
+     */
+    weeklyDemand(pool, week) {
+        return this.demand.filter((stream) => stream.from === pool && stream.once === undefined).reduce((sum, stream) => sum + weeklyAmount(stream, week), 0n);
+    }
+
+    /**
+     * Estado por runway: semanas de demanda que cubre el saldo
+     */
+    statusFor(balance, weeklyDemand, short) {
+        if (short) return "EMERGENCY";
+        if (weeklyDemand === 0n) return "HEALTHY";
+        if (balance >= weeklyDemand * BigInt(this.thresholds.unstableWeeks)) return "HEALTHY";
+        if (balance >= weeklyDemand * BigInt(this.thresholds.criticalWeeks)) return "UNSTABLE";
+        return "CRITICAL";
+    }
+
+    run() {
+        const initial = this.scenario.initial || {};
+        const model = new TreasuryModel(this.scenario.policy || {});
+        const pools = Object.fromEntries(TREASURY_TYPES.map((type) => [type, toWei(initial.treasuries?.[type])]));
+        const totals = {
+            revenue: {},
+            paid: Object.fromEntries([MANAGER, ...TREASURY_TYPES].map((pool) => [pool, 0n])),
+            unmet: Object.fromEntries([MANAGER, ...TREASURY_TYPES].map((pool) => [pool, 0n])),
+            emergency: Object.fromEntries(TREASURY_TYPES.map((type) => [type, 0n])),
+        };
+        const firstDry = {};
+        const events = [];
+        const timeline = [];
+
+        // Un segundo por llamada: los bloques de la réplica en cadena no pueden repetir timestamp
+        let clock = this.start - 1n;
+        const tick = (dayStart) => (clock = clock + 1n > dayStart ? clock + 1n : dayStart);
+        const event = (week, day, kind, details) => events.push({ week, day, time: clock, kind, ...details });
+
+        if (toWei(initial.manager) > 0n) model.receiveRevenue(toWei(initial.manager), "initial", tick(this.start));
+        if (toWei(initial.reserve) > 0n) model.depositToReserve(toWei(initial.reserve), tick(this.start));
+
+        for (let week = 1; week <= this.weeks; week++) {
+            for (let day = 0; day < 7; day++) {
+                const dayStart = this.start + BigInt((week - 1) * 7 + day) * DAY;
+
+                // 1. Cambios de política programados para esta semana
+                if (day === 0) {
+                    for (const change of this.changes.filter((entry) => entry.week === week)) {
+                        this.applyChange(model, change, () => tick(dayStart));
+                        event(week, day, "policy", { change: describeChange(change) });
+                    }
+                }
+
+                // 2. Ingresos
+                for (const stream of this.revenue) {
+                    const amount = dailyAmount(stream, week, day);
+                    if (amount === 0n) continue;
+                    model.receiveRevenue(amount, stream.type, tick(dayStart));
+                    totals.revenue[stream.type] = (totals.revenue[stream.type] || 0n) + amount;
+                }
+
+                // 3. Keeper semanal
+                if (model.autoDistributionEnabled && model.isDistributionReady(tick(dayStart))) {
+                    const result = model.triggerDistribution(clock);
+                    for (const type of TREASURY_TYPES) pools[type] += result.distributed[type];
+                    event(week, day, "distribution", { available: result.available, reserve: result.reserve, distributed: result.distributed });
+                    for (const type of TREASURY_TYPES.filter((t) => result.failed[t] > 0n)) {
+                        event(week, day, "distribution-failed", { pool: type, amount: result.failed[type] });
+                    }
+                }
+
+                // 4. Demanda
+                const short = {};
+                for (const stream of this.demand) {
+                    const amount = dailyAmount(stream, week, day);
+                    if (amount === 0n) continue;
+
+                    if (stream.from === MANAGER) {
+                        if (model.requestRewardFunds(amount, tick(dayStart))) {
+                            totals.paid[MANAGER] += amount;
+                        } else {
+                            totals.unmet[MANAGER] += amount;
+                            short[MANAGER] = true;
+                            event(week, day, "reward-request-failed", { pool: MANAGER, demand: stream.name, amount, available: model.availableBalance });
+                        }
+                        continue;
+                    }
+
+                    const paid = pools[stream.from] < amount ? pools[stream.from] : amount;
+                    pools[stream.from] -= paid;
+                    totals.paid[stream.from] += paid;
+                    if (paid < amount) {
+                        totals.unmet[stream.from] += amount - paid;
+                        short[stream.from] = (short[stream.from] || 0n) + amount - paid;
+                    }
+                }
+                for (const pool of Object.keys(short)) {
+                    if (firstDry[pool] === undefined) {
+                        firstDry[pool] = { week, day, time: clock };
+                        event(week, day, "dry", { pool });
+                    }
+                }
+
+                // 5. Estado de cada protocolo (setProtocolStatus) y fondos de emergencia.
+                //    Un faltante escala a EMERGENCY en el acto; el runway se revisa al cierre de la semana
+                for (const type of TREASURY_TYPES) {
+                    let status = model.protocolStatus[type];
+                    if (short[type] > 0n) status = "EMERGENCY";
+                    else if (day === 6) status = this.statusFor(pools[type], this.weeklyDemand(type, week), false);
+
+                    if (status !== model.protocolStatus[type]) {
+                        const from = model.protocolStatus[type];
+                        const wasEmergency = model.emergencyModeEnabled;
+                        model.setProtocolStatus(type, status, tick(dayStart));
+                        event(week, day, "status", { pool: type, from, to: status });
+                        if (!wasEmergency && model.emergencyModeEnabled) event(week, day, "emergency-mode", { pool: type });
+                    }
+
+                    if (short[type] > 0n && this.emergencyFunding && model.emergencyModeEnabled) {
+                        const funded = model.requestEmergencyFunds(type, short[type], tick(dayStart));
+                        if (funded) {
+                            // Los fondos de emergencia cubren lo que quedó sin pagar hoy
+                            totals.emergency[type] += short[type];
+                            totals.paid[type] += short[type];
+                            totals.unmet[type] -= short[type];
+                        }
+                        event(week, day, funded ? "emergency-funds" : "emergency-funds-failed", {
+                            pool: type,
+                            amount: short[type],
+                            reserve: model.reserveFundBalance,
+                        });
+                    }
+                }
+            }
+
+            timeline.push(this.row(week, model, pools));
+        }
+
+        return {
+            name: this.name,
+            start: this.start,
+            weeks: this.weeks,
+            timeline,
+            events,
+            ops: model.ops,
+            final: model.snapshot(),
+            summary: {
+                revenue: totals.revenue,
+                paid: totals.paid,
+                unmet: totals.unmet,
+                emergencyFunds: totals.emergency,
+                firstDry,
+                finalStatus: { ...model.protocolStatus },
+                reserve: model.reserveFundBalance,
+                emergencyMode: model.emergencyModeEnabled,
+            },
+        };
+    }
+
+    row(week, model, pools) {
+        return {
+            week,
+            time: this.start + BigInt(week * 7) * DAY,
+            manager: { balance: model.balance, available: model.availableBalance, reserve: model.reserveFundBalance },
+            treasuries: Object.fromEntries(TREASURY_TYPES.map((type) => [type, {
+                balance: pools[type],
+                status: model.protocolStatus[type],
+                deficit: model.protocolDeficit[type],
+            }])),
+            emergencyMode: model.emergencyModeEnabled,
+        };
+    }
+
+    /**
+     * Un cambio de política puede ser varias llamadas: cada una pide su
+     * propio segundo a `next`, como las transacciones de la réplica
+     */
+    applyChange(model, change, next) {
+        if (change.setAllocation) {
+            for (const [type, bps] of model.allocationSteps(change.setAllocation)) model.setAllocation(type, bps, next());
+        }
+        if (change.setReserveAllocation !== undefined) model.setReserveAllocation(change.setReserveAllocation, next());
+        if (change.setReserveAccumulation !== undefined) model.setReserveAccumulation(change.setReserveAccumulation, next());
+        if (change.setAutoDistribution !== undefined) model.setAutoDistribution(change.setAutoDistribution, next());
+        if (change.depositToReserve !== undefined) model.depositToReserve(toWei(change.depositToReserve), next());
+        if (change.declareEmergency) model.declareEmergency(change.declareEmergency, next());
+        if (change.endEmergency) model.endEmergency(next());
+    }
+
+    /**
+     * Tabla semanal, eventos y resumen para la consola
+     */
+    static format(result) {
+        const date = (time) => new Date(Number(time) * 1000).toISOString().slice(0, 10);
+        const lines = [];
+        const header = ["Week", "Date", "Manager", "Reserve", ...TREASURY_TYPES.map((type) => type.slice(0, 11))];
+        const widths = [5, 11, 12, 12, ...TREASURY_TYPES.map(() => 15)];
+        const cells = (values) => "   " + values.map((value, i) => String(value).padEnd(widths[i])).join(" ");
+
+        lines.push(`\n📈 ${result.name}: ${result.weeks} weeks from ${date(result.start)} (POL)`);
+        lines.push("");
+        lines.push(cells(header));
+        lines.push("   " + "─".repeat(widths.reduce((a, b) => a + b + 1, 0)));
+        for (const row of result.timeline) {
+            lines.push(cells([
+                row.week,
+                date(row.time),
+                formatPol(row.manager.available),
+                formatPol(row.manager.reserve),
+                ...TREASURY_TYPES.map((type) => `${STATUS_ICONS[row.treasuries[type].status]} ${formatPol(row.treasuries[type].balance)}`),
+            ]));
+        }
+
+        // Los pedidos diarios se resumen por pool; el resto va uno por línea
+        const repeated = ["reward-request-failed", "emergency-funds", "emergency-funds-failed"];
+        const notable = result.events.filter((entry) => entry.kind !== "distribution" && !repeated.includes(entry.kind));
+        lines.push("\n   Events:");
+        if (notable.length === 0 && !result.events.some((entry) => repeated.includes(entry.kind))) lines.push("   (none)");
+        for (const entry of notable) {
+            const when = `week ${entry.week} ${date(entry.time)}`;
+            if (entry.kind === "dry") lines.push(`   🏜️  ${when}  ${entry.pool} ran dry`);
+            else if (entry.kind === "status") lines.push(`   ${STATUS_ICONS[entry.to]} ${when}  ${entry.pool}: ${entry.from} → ${entry.to}`);
+            else if (entry.kind === "emergency-mode") lines.push(`   🚨 ${when}  emergency mode activated (${entry.pool})`);
+            else if (entry.kind === "distribution-failed") lines.push(`   ❌ ${when}  distribution to ${entry.pool} failed (${formatPol(entry.amount)} added to its deficit)`);
+            else if (entry.kind === "policy") lines.push(`   ⚙️  ${when}  ${entry.change}`);
+        }
+        for (const [kind, icon, label] of [
+            ["reward-request-failed", "❌", "requestRewardFunds calls failed"],
+            ["emergency-funds", "🛟", "requestEmergencyFunds calls paid"],
+            ["emergency-funds-failed", "❌", "requestEmergencyFunds calls failed (reserve too low)"],
+        ]) {
+            for (const pool of [MANAGER, ...TREASURY_TYPES]) {
+                const entries = result.events.filter((entry) => entry.kind === kind && entry.pool === pool);
+                if (entries.length === 0) continue;
+                const total = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+                lines.push(`   ${icon} ${pool}: ${entries.length} ${label} (${formatPol(total)} POL), weeks ${entries[0].week}-${entries[entries.length - 1].week}`);
+            }
+        }
+
+        const { summary } = result;
+        lines.push("\n   Summary:");
+        lines.push(`   Revenue     : ${Object.entries(summary.revenue).map(([type, wei]) => `${type} ${formatPol(wei)}`).join(", ") || "—"}`);
+        for (const pool of [MANAGER, ...TREASURY_TYPES]) {
+            if (summary.paid[pool] === 0n && summary.unmet[pool] === 0n) continue;
+            const dry = summary.firstDry[pool] ? `, dry from week ${summary.firstDry[pool].week}` : "";
+            const emergency = summary.emergencyFunds[pool] > 0n ? `, ${formatPol(summary.emergencyFunds[pool])} from reserve` : "";
+            lines.push(`   ${pool.padEnd(13)}: paid ${formatPol(summary.paid[pool])}, unmet ${formatPol(summary.unmet[pool])}${emergency}${dry}`);
+        }
+        lines.push(`   Reserve     : ${formatPol(summary.reserve)}${summary.emergencyMode ? " (emergency mode active)" : ""}`);
+        return lines.join("\n");
+    }
+}
+
+function describeChange(change) {
+    return Object.entries(change)
+        .filter(([key]) => key !== "week")
+        .map(([key, value]) => `${key}(${typeof value === "object" ? Object.entries(value).map(([k, v]) => `${k}=${v}`).join(", ") : value})`)
+        .join(" ");
+}
+
+module.exports = TreasurySimulator;
+module.exports.toWei = toWei;
@@ -0,0 +1,257 @@
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const {
+    Manifest,
+    getStorageLayout,
+    getStorageLayoutForAddress,
+    getStorageUpgradeReport,
+    getUnlinkedBytecode,
+    getVersion,
+    withValidationDefaults
+} = require("@openzeppelin/upgrades-core");
+const { readValidations } = require("@openzeppelin/hardhat-upgrades/dist/utils/validations");
+const manifest = require("../deploy.manifest.cjs");
+const ManifestExecutor = require("./ManifestExecutor.cjs");
+const { resolveValue } = require("./ManifestRefs.cjs");
+
+/**
+ * 🛡️ UPGRADE SAFETY
+ *
+ * Compara el storage layout de la implementación viva de cada proxy UUPS
+ * (registrado en .openzeppelin/<network>.json) con el del artifact nuevo,
+ * antes de enviar ninguna transacción. Bloquea el upgrade si hay colisiones
+ * de slot, cambios de tipo o variables eliminadas.
+ */
+
+// Proxies UUPS desplegados fuera de deploy.manifest.cjs (deploy-nuxtap.cjs y
+// NuxAgent). Los NuxAgent se leen de la sección `other` del deployment.
+const EXTERNAL_UUPS_PROXIES = {
+    "nuxtap.treasury": "NuxTapTreasury",
+    "nuxtap.store": "NuxTapItemStore",
+    "nuxtap.game": "NuxTapGame",
+    "nuxtap.agentMarketplace": "NuxTapAgentMarketplace",
+    "other.nuxAgentRegistry": "NuxAgentRegistry",
+    "other.nuxAgentFactory": "NuxAgentFactory",
+    "other.nuxAgentRental": "NuxAgentRental",
+    "other.nuxAgentMiniGame": "NuxAgentMiniGame",
+    "other.nuxAgentPaymaster": "NuxAgentPaymaster"
+};
+
+const STATUS = {
+    unchanged: { symbol: "=", blocking: false, note: "" },
+    added: { symbol: "+", blocking: false, note: "appended" },
+    gap: { symbol: "·", blocking: false, note: "gap resized" },
+    renamed: { symbol: "≈", blocking: false, note: "renamed" },
+    retypedAllowed: { symbol: "≈", blocking: false, note: "retyped (retypedFrom)" },
+    removed: { symbol: "-", blocking: true, note: "removed" },
+    retyped: { symbol: "~", blocking: true, note: "type changed" },
+    moved: { symbol: ">", blocking: true, note: "slot moved" },
+    collision: { symbol: "!", blocking: true, note: "slot collision" }
+};
+
+class UpgradeSafety {
+    /**
+     * Proxies UUPS que revisa el gate: `proxy: "uups"` del manifest + externos
+     * @returns {Array<{id, contract}>}
+     */
+    static targets() {
+        const fromManifest = Object.entries(manifest.contracts)
+            .filter(([, entry]) => entry.proxy === "uups")
+            .map(([id, entry]) => ({ id, contract: entry.contract }));
+        const external = Object.entries(EXTERNAL_UUPS_PROXIES)
+            .map(([id, contract]) => ({ id, contract }));
+        return [...fromManifest, ...external];
+    }
+
+    /**
+     * Librerías del manifest para poder construir la factory. Su dirección no
+     * afecta al layout, así que las que falten se rellenan con ZeroAddress.
+     */
+    static librariesFor(contractName, flatAddresses = {}) {
+        const entry = Object.values(manifest.contracts).find((e) => e.contract === contractName);
+        if (!entry || !entry.libraries) return {};
+        return resolveValue(entry.libraries, {
+            addresses: flatAddresses,
+            onMissingRef: () => ethers.ZeroAddress
+        });
+    }
+
+    /**
+     * Reporte de compatibilidad de un proxy concreto
+     * @param {string} contractName
+     * @param {string} proxyAddress
+     * @param {Object} options - {libraries}
+     * @returns {Promise<Object>} {contract, proxy, implementation, ok, rows, explain, error}
+     */
+    async checkProxy(contractName, proxyAddress, { libraries = {} } = {}) {
+        const report = { contract: contractName, proxy: proxyAddress, implementation: null, ok: false, rows: [], explain: "", error: null };
+
+        try {
+            const validations = await readValidations(hre);
+            const factory = await ethers.getContractFactory(contractName, { libraries });
+            const unlinked = getUnlinkedBytecode(validations, factory.bytecode);
+            const updated = getStorageLayout(validations, getVersion(unlinked, factory.bytecode));
+
+            report.implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+            const ozManifest = await Manifest.forNetwork(hre.network.provider);
+            const original = await getStorageLayoutForAddress(ozManifest, validations, report.implementation);
+
+            const ozReport = getStorageUpgradeReport(original, updated, withValidationDefaults({
+                unsafeAllowLinkedLibraries: true
+            }));
+
+            report.rows = diffLayouts(original, updated);
+            report.ok = ozReport.ok && UpgradeSafety.blocking(report.rows).length === 0;
+            report.explain = ozReport.ok ? "" : ozReport.explain(false);
+        } catch (error) {
+            report.error = error.message;
+        }
+
+        return report;
+    }
+
+    /**
+     * Revisa todos los proxies desplegados en la red actual
+     * @param {Object} existingAddresses - contracts de complete-deployment.json
+     * @param {Object} options - {only: nombres de contrato a revisar}
+     * @returns {Promise<Array<Object>>}
+     */
+    async checkAll(existingAddresses, { only = null } = {}) {
+        const flat = ManifestExecutor.flatten(existingAddresses);
+        const reports = [];
+
+        for (const { id, contract } of UpgradeSafety.targets()) {
+            if (only && !only.includes(contract)) continue;
+
+            const proxy = flat[id];
+            if (!proxy) {
+                reports.push({ contract, proxy: null, skipped: `no address for "${id}" on this network` });
+                continue;
+            }
+
+            reports.push(await this.checkProxy(contract, proxy, {
+                libraries: UpgradeSafety.librariesFor(contract, flat)
+            }));
+        }
+
+        return reports;
+    }
+
+    /**
+     * Filas del diff que bloquean el upgrade
+     * @param {Array<Object>} rows - salida de diffLayouts
+     * @returns {Array<Object>}
+     */
+    static blocking(rows) {
+        return rows.filter((row) => STATUS[row.status].blocking);
+    }
+
+    /**
+     * Texto del reporte con diff por variable
+     * @param {Object} report
+     * @returns {string}
+     */
+    static format(report) {
+        if (report.skipped) {
+            return `\n⏭️  ${report.contract}: ${report.skipped}`;
+        }
+
+        let out = `\n${report.ok ? "✅" : "❌"} ${report.contract}  proxy ${report.proxy}`;
+        if (report.implementation) out += `  impl ${report.implementation}`;
+
+        if (report.error) {
+            return `${out}\n   ${report.error}`;
+        }
+
+        for (const row of report.rows) {
+            const status = STATUS[row.status];
+            const flag = status.blocking ? "❌" : "  ";
+            out += `\n   ${status.symbol} ${row.label.padEnd(32)} ${row.before.padEnd(36)} → ${row.after.padEnd(36)} ${flag} ${status.note}`;
+        }
+
+        if (report.explain) {
+            out += `\n\n${report.explain.split("\n").map((line) => `   ${line}`).join("\n")}`;
+        }
+        return out;
+    }
+}
+
+function typeLabel(layout, item) {
+    return (layout.types && layout.types[item.type] && layout.types[item.type].label) || item.type;
+}
+
+function describeItem(layout, item) {
+    return item ? `slot ${item.slot}+${item.offset} ${typeLabel(layout, item)}` : "—";
+}
+
+function isGap(item) {
+    return item.label.startsWith("__gap");
+}
+
+/** Rango de bytes absoluto [start, end) que ocupa una variable */
+function bytesOf(layout, item) {
+    const size = BigInt((layout.types && layout.types[item.type] && layout.types[item.type].numberOfBytes) || 32);
+    const start = BigInt(item.slot) * 32n + BigInt(item.offset);
+    return { start, end: start + size };
+}
+
+/**
+ * Diff por variable entre dos storage layouts, en orden de slot
+ * @returns {Array<{label, before, after, status}>}
+ */
+function diffLayouts(original, updated) {
+    const originalItems = original.storage || [];
+    const updatedItems = updated.storage || [];
+    const matched = new Set();
+    const rows = [];
+
+    const gapRanges = originalItems.filter(isGap).map((item) => bytesOf(original, item));
+    const liveRanges = originalItems.filter((item) => !isGap(item)).map((item) => bytesOf(original, item));
+
+    for (const item of updatedItems) {
+        const before = originalItems.find((o) =>
+            !matched.has(o) && o.contract === item.contract && (o.label === item.label || o.label === item.renamedFrom)
+        );
+        const row = { label: `${item.contract}.${item.label}`, before: describeItem(original, before), after: describeItem(updated, item) };
+
+        if (before) {
+            matched.add(before);
+            const sameSlot = before.slot === item.slot && before.offset === item.offset;
+            const sameType = typeLabel(original, before) === typeLabel(updated, item);
+
+            if (isGap(item)) row.status = "gap";
+            else if (!sameSlot) row.status = "moved";
+            else if (!sameType) row.status = item.retypedFrom ? "retypedAllowed" : "retyped";
+            else row.status = before.label !== item.label ? "renamed" : "unchanged";
+        } else {
+            const { start, end } = bytesOf(updated, item);
+            const overlaps = (range) => start < range.end && range.start < end;
+            if (isGap(item)) row.status = "gap";
+            else if (liveRanges.some(overlaps) && !gapRanges.some(overlaps)) row.status = "collision";
+            else row.status = "added";
+        }
+
+        rows.push(row);
+    }
+
+    for (const item of originalItems) {
+        if (matched.has(item)) continue;
+        rows.push({
+            label: `${item.contract}.${item.label}`,
+            before: describeItem(original, item),
+            after: "—",
+            status: isGap(item) ? "gap" : "removed"
+        });
+    }
+
+    return rows.sort((a, b) => slotKey(a) - slotKey(b));
+}
+
+function slotKey(row) {
+    const match = /slot (\d+)\+(\d+)/.exec(row.after !== "—" ? row.after : row.before);
+    return match ? Number(match[1]) * 32 + Number(match[2]) : 0;
+}
+
+UpgradeSafety.diffLayouts = diffLayouts;
+
+module.exports = UpgradeSafety;
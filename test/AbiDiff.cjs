@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+
+const AbiDiff = require("../scripts/utils/AbiDiff.cjs");
+
+/**
+ * @title AbiDiff - Test Suite
+ * @notice Classification of ABI changes, semver bump and changelog entry
+ */
+
+describe("AbiDiff", function () {
+    const statsTuple = {
+        name: "stats",
+        type: "tuple",
+        components: [
+            { name: "totalReceived", type: "uint256" },
+            { name: "totalDistributed", type: "uint256" },
+        ],
+    };
+    const getStats = { type: "function", name: "getStats", inputs: [], outputs: [statsTuple], stateMutability: "view" };
+    const setAllocation = {
+        type: "function",
+        name: "setAllocation",
+        inputs: [{ name: "index", type: "uint8" }, { name: "bps", type: "uint256" }],
+        outputs: [],
+        stateMutability: "nonpayable",
+    };
+    const deposited = {
+        type: "event",
+        name: "Deposited",
+        inputs: [{ name: "from", type: "address", indexed: true }, { name: "amount", type: "uint256", indexed: false }],
+    };
+    const treasury = [getStats, setAllocation, deposited];
+
+    it("reports nothing for identical catalogs", function () {
+        const diff = AbiDiff.compare({ TreasuryManager: { abi: treasury } }, { TreasuryManager: { abi: treasury } });
+
+        expect(diff).to.deep.equal({ level: null, contracts: {} });
+        expect(AbiDiff.bump("0.1.0", diff.level)).to.equal("0.1.0");
+    });
+
+    it("classifies additions as minor and renamed inputs as patch", function () {
+        const renamed = { ...setAllocation, inputs: [{ name: "source", type: "uint8" }, { name: "bps", type: "uint256" }] };
+        const error = { type: "error", name: "InvalidAllocation", inputs: [{ name: "total", type: "uint256" }] };
+
+        const diff = AbiDiff.compare(
+            { TreasuryManager: { abi: treasury } },
+            { TreasuryManager: { abi: [getStats, renamed, deposited, error] }, QuestCore: { abi: [] } }
+        );
+
+        expect(diff.level).to.equal("minor");
+        expect(diff.contracts.QuestCore).to.deep.equal([{ level: "minor", message: "contract added to the package" }]);
+        expect(diff.contracts.TreasuryManager.map((c) => c.level)).to.deep.equal(["patch", "minor"]);
+        expect(diff.contracts.TreasuryManager[1].message).to.equal("error `InvalidAllocation(uint256)` added");
+        expect(AbiDiff.bump("0.1.0", diff.level)).to.equal("0.2.0");
+    });
+
+    it("treats changed signatures, struct fields and events as breaking", function () {
+        const changedStats = {
+            ...getStats,
+            outputs: [{ ...statsTuple, components: [...statsTuple.components, { name: "pending", type: "uint256" }] }],
+        };
+        const changedSignature = { ...setAllocation, inputs: [...setAllocation.inputs, { name: "label", type: "string" }] };
+        const reindexed = { ...deposited, inputs: deposited.inputs.map((p) => ({ ...p, indexed: true })) };
+
+        const diff = AbiDiff.compare(
+            { TreasuryManager: { abi: treasury }, MockCore: { abi: [] } },
+            { TreasuryManager: { abi: [changedStats, changedSignature, reindexed] } }
+        );
+        const messages = diff.contracts.TreasuryManager.map((c) => c.message);
+
+        expect(diff.level).to.equal("major");
+        expect(diff.contracts.MockCore[0]).to.deep.equal({ level: "major", message: "contract removed from the package" });
+        expect(messages).to.have.lengthOf(3);
+        expect(messages[0]).to.include("returns `((uint256 totalReceived,uint256 totalDistributed,uint256 pending) stats)`");
+        expect(messages[1]).to.equal("function `setAllocation(uint8,uint256)` changed to `setAllocation(uint8,uint256,string)`");
+        expect(messages[2]).to.include("changed to `Deposited(address indexed from, uint256 indexed amount)`");
+        expect(AbiDiff.bump("0.2.3", diff.level)).to.equal("1.0.0");
+    });
+
+    it("writes a changelog entry grouped by contract, breaking changes first", function () {
+        const diff = AbiDiff.compare(
+            { TreasuryManager: { abi: treasury } },
+            { TreasuryManager: { abi: [getStats, deposited, { ...setAllocation, name: "setAllocations" }] } }
+        );
+
+        expect(AbiDiff.changelogEntry("1.0.0", diff, "2026-01-31")).to.equal([
+            "## 1.0.0 (2026-01-31)",
+            "",
+            "Major release. Affected contracts: TreasuryManager.",
+            "",
+            "### TreasuryManager",
+            "",
+            "- **BREAKING** function `setAllocation(uint8,uint256)` removed",
+            "- function `setAllocations(uint8,uint256)` added",
+            "",
+        ].join("\n"));
+    });
+});
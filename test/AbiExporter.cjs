@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const AbiExporter = require("../scripts/utils/AbiExporter.cjs");
+const PackageSizeReport = require("../scripts/utils/PackageSizeReport.cjs");
+
+/**
+ * @title ABI export - Test Suite
+ * @notice Allow/deny policy, per-contract ABI modules and the entrypoint size report
+ */
+
+describe("AbiExporter", function () {
+    const abi = [{ type: "function", name: "owner", inputs: [], outputs: [{ name: "", type: "address" }], stateMutability: "view" }];
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "abi-export-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("denies contracts/test and contract-name globs before allowing", function () {
+        const exporter = new AbiExporter(dir, { policy: { allow: ["contracts/**"], deny: ["contracts/test/**", "*Mock"] } });
+
+        expect(exporter.decide("TreasuryManager", "contracts/Treasury/TreasuryManager.sol"))
+            .to.deep.equal({ exported: true, rule: "allow contracts/**" });
+        expect(exporter.decide("MockCore", "contracts/test/MockCore.sol"))
+            .to.deep.equal({ exported: false, rule: "deny contracts/test/**" });
+        expect(exporter.isExported("QuestCoreV2Mock", "contracts/Quest/QuestCoreV2Mock.sol")).to.equal(false);
+        expect(exporter.isExported("Ownable", "@openzeppelin/contracts/access/Ownable.sol")).to.equal(false);
+    });
+
+    it("writes one module per contract and re-exports them", async function () {
+        const exporter = new AbiExporter(dir);
+        fs.mkdirSync(exporter.modulesDir);
+        fs.writeFileSync(path.join(exporter.modulesDir, "Removed.js"), "");
+
+        const names = exporter.writeModules({
+            TreasuryManager: { abi, source: "contracts/Treasury/TreasuryManager.sol" },
+            QuestCore: { abi, source: "contracts/Quest/QuestCore.sol" },
+        });
+
+        expect(names).to.deep.equal(["QuestCore", "TreasuryManager"]);
+        expect(fs.readdirSync(exporter.modulesDir).sort()).to.deep.equal([
+            "QuestCore.js", "QuestCore.ts", "TreasuryManager.js", "TreasuryManager.ts",
+        ]);
+        expect(fs.readFileSync(path.join(exporter.modulesDir, "TreasuryManager.ts"), "utf8")).to.include("as const");
+
+        const runtime = await import(path.join(dir, "runtime.js"));
+        expect(runtime.TreasuryManager).to.deep.equal(abi);
+        expect(Object.keys(runtime.AllABIs)).to.deep.equal(names);
+    });
+
+    it("reports modules and all-abis.json entries that drifted from the artifacts", function () {
+        const exporter = new AbiExporter(dir);
+        const catalog = {
+            TreasuryManager: { abi, source: "contracts/Treasury/TreasuryManager.sol" },
+            QuestCore: { abi, source: "contracts/Quest/QuestCore.sol" },
+        };
+        exporter.writeModules(catalog);
+        fs.writeFileSync(path.join(dir, "all-abis.json"), JSON.stringify(catalog));
+        expect(exporter.drift(catalog)).to.deep.equal([]);
+
+        // The contract gained a function, a new one was added and QuestCore is no longer exported
+        const authorizeSource = { type: "function", name: "authorizeSource", inputs: [{ name: "source", type: "address" }], outputs: [], stateMutability: "nonpayable" };
+        const compiled = {
+            TreasuryManager: { abi: [...abi, authorizeSource], source: "contracts/Treasury/TreasuryManager.sol" },
+            Create2Deployer: { abi, source: "contracts/Create2Deployer.sol" },
+        };
+
+        expect(exporter.drift(compiled)).to.deep.equal([
+            "Create2Deployer.js: missing",
+            "Create2Deployer.ts: missing",
+            "TreasuryManager.js: ABI differs from the artifact",
+            "TreasuryManager.ts: ABI differs from the artifact",
+            "QuestCore.js: no longer exported",
+            "all-abis.json: Create2Deployer missing",
+            "all-abis.json: TreasuryManager differs from the artifact",
+            "all-abis.json: QuestCore no longer exported",
+        ]);
+    });
+
+    it("reports the size of each entrypoint from its imports", function () {
+        new AbiExporter(path.join(dir, "abis")).writeModules({ TreasuryManager: { abi, source: "contracts/Treasury/TreasuryManager.sol" } });
+        fs.writeFileSync(path.join(dir, "index.js"), 'import { Contract } from "ethers";\nexport * from "./abis/runtime.js";\n');
+        fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({
+            name: "pkg",
+            exports: { ".": { default: "./index.js" }, "./abis/*": { default: "./abis/contracts/*.js" } },
+        }));
+
+        const [root, perContract] = new PackageSizeReport(dir).run();
+
+        expect(root).to.include({ entrypoint: "pkg", modules: 3 });
+        expect(root.externals).to.deep.equal(["ethers"]);
+        expect(perContract).to.include({ entrypoint: "pkg/abis/*", pattern: true, modules: 1 });
+        expect(perContract.bytes).to.equal(fs.statSync(path.join(dir, "abis", "contracts", "TreasuryManager.js")).size);
+    });
+});
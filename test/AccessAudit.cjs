@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const AccessAudit = require("../scripts/utils/AccessAudit.cjs");
+const { ref, env, deployer } = require("../scripts/utils/ManifestRefs.cjs");
+
+/**
+ * @title AccessAudit - Test Suite
+ * @notice Role/owner enumeration from events and the findings against an access policy
+ */
+
+describe("AccessAudit", function () {
+    const SAFE = "0x000000000000000000000000000000000000dEaD";
+    const DEPLOYER = "0x1111111111111111111111111111111111111111";
+    const CORE = "0x2222222222222222222222222222222222222222";
+    const LEVELING = "0x3333333333333333333333333333333333333333";
+    const STRANGER = "0x4444444444444444444444444444444444444444";
+
+    const manifest = {
+        contracts: {
+            "marketplace.core": { contract: "MarketplaceCore" },
+            "marketplace.leveling": { contract: "LevelingSystem" },
+        },
+    };
+    const policy = {
+        defaults: {
+            owner: [SAFE],
+            roles: { DEFAULT_ADMIN_ROLE: [SAFE], ADMIN_ROLE: [SAFE], UPGRADER_ROLE: [SAFE], PAUSER_ROLE: [SAFE] },
+        },
+        contracts: {
+            "marketplace.leveling": { roles: { MARKETPLACE_ROLE: [ref("marketplace.core")], PAUSER_ROLE: [] } },
+        },
+    };
+
+    function auditFor(overrides = {}) {
+        return new AccessAudit(overrides.policy || policy, {
+            manifest,
+            addresses: { "marketplace.core": CORE, "marketplace.leveling": LEVELING },
+            deployer: DEPLOYER,
+            provider: overrides.provider,
+        });
+    }
+
+    const holder = (address, eoa = true) => ({ address, eoa });
+    const role = (name, holders, expected, admin = "DEFAULT_ADMIN_ROLE") => ({
+        name, hash: AccessAudit.roleHash(name), admin, expected, holders,
+    });
+
+    it("reads roles, ownership and upgradeability from the exported ABIs", async function () {
+        const { MarketplaceCore } = await import("../export/abis/contracts/MarketplaceCore.js");
+        const { TreasuryManager } = await import("../export/abis/contracts/TreasuryManager.js");
+
+        const core = AccessAudit.describeAbi(MarketplaceCore);
+        expect(core.roles).to.have.members(["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "UPGRADER_ROLE"]);
+        expect(core.upgradeable).to.equal(true);
+        expect(AccessAudit.describeAbi(TreasuryManager)).to.deep.equal({ ownable: true, roles: [], upgradeable: false });
+
+        expect(AccessAudit.roleHash("DEFAULT_ADMIN_ROLE")).to.equal(ethers.ZeroHash);
+        expect(AccessAudit.roleHash("ADMIN_ROLE")).to.equal(ethers.id("ADMIN_ROLE"));
+    });
+
+    it("resolves the policy per contract: defaults, overrides, refs and env lists", function () {
+        process.env.ACCESS_AUDIT_TEST_VALIDATORS = `${STRANGER}, ${SAFE}`;
+        const audit = auditFor({
+            policy: {
+                ...policy,
+                contracts: {
+                    "marketplace.leveling": {
+                        roles: {
+                            MARKETPLACE_ROLE: [ref("marketplace.core"), ref("marketplace.missing")],
+                            VALIDATOR_ROLE: [env("ACCESS_AUDIT_TEST_VALIDATORS"), env("ACCESS_AUDIT_TEST_UNSET", null)],
+                            PAUSER_ROLE: [deployer()],
+                        },
+                    },
+                },
+            },
+        });
+
+        const expected = audit.expectedFor("marketplace.leveling", { ownable: false, roles: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "MARKETPLACE_ROLE"] });
+        expect(expected.owner).to.equal(null);
+        expect(expected.roles.DEFAULT_ADMIN_ROLE).to.deep.equal([SAFE]);
+        expect(expected.roles.MARKETPLACE_ROLE).to.deep.equal([CORE]);
+        expect(expected.roles.VALIDATOR_ROLE).to.deep.equal([STRANGER, SAFE]);
+        expect(expected.roles.PAUSER_ROLE).to.deep.equal([DEPLOYER]);
+        // Defaults only apply to roles the contract defines
+        expect(expected.roles).to.not.have.property("UPGRADER_ROLE");
+        delete process.env.ACCESS_AUDIT_TEST_VALIDATORS;
+    });
+
+    it("replays RoleGranted / RoleRevoked into the current members", function () {
+        const events = new ethers.Interface([
+            "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+            "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+        ]);
+        const log = (name, roleName, account) => ({
+            address: CORE.toLowerCase(),
+            ...events.encodeEventLog(name, [AccessAudit.roleHash(roleName), account, DEPLOYER]),
+        });
+
+        const members = AccessAudit.replay([
+            log("RoleGranted", "ADMIN_ROLE", DEPLOYER),
+            log("RoleGranted", "ADMIN_ROLE", SAFE),
+            log("RoleRevoked", "ADMIN_ROLE", DEPLOYER),
+            log("RoleGranted", "UPGRADER_ROLE", DEPLOYER),
+        ]);
+
+        const roles = members.get(CORE);
+        expect([...roles.get(AccessAudit.roleHash("ADMIN_ROLE"))]).to.deep.equal([SAFE]);
+        expect([...roles.get(AccessAudit.roleHash("UPGRADER_ROLE"))]).to.deep.equal([DEPLOYER]);
+    });
+
+    it("splits log ranges the RPC rejects", async function () {
+        const ranges = [];
+        const provider = {
+            async getLogs({ fromBlock, toBlock }) {
+                if (toBlock - fromBlock > 2) throw new Error("query returned more than 10000 results");
+                ranges.push([fromBlock, toBlock]);
+                return [];
+            },
+        };
+        const audit = auditFor({ provider });
+        audit.logRange = 8;
+
+        await audit.fetchLogs([CORE], 0, 9);
+        expect(ranges[0][0]).to.equal(0);
+        expect(ranges[ranges.length - 1][1]).to.equal(9);
+        ranges.slice(1).forEach(([from], i) => expect(from).to.equal(ranges[i][1] + 1));
+    });
+
+    it("flags unexpected EOAs, missing and empty roles and the deployer's upgrade rights", function () {
+        const audit = auditFor();
+        const findings = audit.evaluate([
+            {
+                id: "marketplace.core",
+                contract: "MarketplaceCore",
+                address: CORE,
+                upgradeable: true,
+                owner: null,
+                roles: [
+                    role("DEFAULT_ADMIN_ROLE", [holder(SAFE, false), holder(DEPLOYER)], [SAFE]),
+                    role("ADMIN_ROLE", [holder(SAFE, false)], [SAFE]),
+                    role("UPGRADER_ROLE", [holder(DEPLOYER)], [SAFE]),
+                ],
+            },
+            {
+                id: "marketplace.leveling",
+                contract: "LevelingSystem",
+                address: LEVELING,
+                upgradeable: true,
+                owner: null,
+                roles: [
+                    role("DEFAULT_ADMIN_ROLE", [holder(SAFE, false)], [SAFE]),
+                    role("MARKETPLACE_ROLE", [holder(CORE, false), holder(STRANGER, false)], [CORE]),
+                    role("PAUSER_ROLE", [], []),
+                    role("VALIDATOR_ROLE", [], null),
+                ],
+            },
+        ]);
+
+        const kinds = (id) => findings.filter((f) => f.id === id).map((f) => `${f.kind}:${f.role}`);
+        expect(kinds("marketplace.core")).to.have.members([
+            "unexpected-eoa:DEFAULT_ADMIN_ROLE",
+            "unexpected-eoa:UPGRADER_ROLE",
+            "missing-holder:UPGRADER_ROLE",
+            "deployer-upgrade:UPGRADER_ROLE",
+            "deployer-upgrade:DEFAULT_ADMIN_ROLE",
+        ]);
+        expect(kinds("marketplace.leveling")).to.have.members([
+            "unexpected-holder:MARKETPLACE_ROLE",
+            "no-holder:VALIDATOR_ROLE",
+        ]);
+        expect(findings.find((f) => f.kind === "deployer-upgrade").severity).to.equal("critical");
+    });
+
+    it("flags the deployer as owner of an Ownable upgradeable contract", function () {
+        const findings = auditFor().evaluate([{
+            id: "staking.core",
+            contract: "SmartStakingCore",
+            address: CORE,
+            upgradeable: true,
+            owner: holder(DEPLOYER),
+            expectedOwner: [SAFE],
+            roles: [],
+        }]);
+
+        expect(findings.map((f) => f.kind)).to.have.members(["unexpected-eoa", "deployer-upgrade"]);
+        expect(AccessAudit.format({ blockNumber: 1, holdings: [], findings })).to.include("2 critical");
+    });
+});
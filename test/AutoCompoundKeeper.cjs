@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { SmartStakingCore } = require("@nuxchain/protocol-export/abis/SmartStakingCore");
+
+const AutoCompoundKeeper = require("../scripts/utils/AutoCompoundKeeper.cjs");
+
+/**
+ * @title AutoCompoundKeeper - Test Suite
+ * @notice Paging, skip reasons, gas-budget batching, submission and metrics
+ * @dev Contracts are fakes; the end-to-end run against the real contracts on
+ *      a local network lives in AutoCompoundKeeperNetwork.cjs
+ */
+
+describe("AutoCompoundKeeper", function () {
+    const NOW = 1_800_000_000n;
+    const DAY = 86400n;
+    const CORE = "0x00000000000000000000000000000000000000c0";
+    const pol = (value) => ethers.parseEther(String(value));
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const iface = new ethers.Interface(SmartStakingCore);
+
+    // One auto-compound user; due a day after lastCompoundTime
+    const user = (n, overrides = {}) => ({
+        address: ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`),
+        enabled: true,
+        minAmount: pol("0.01"),
+        last: NOW - 2n * DAY,
+        rewards: pol("0.5"),
+        gas: 150_000n,
+        ...overrides,
+    });
+
+    function fakeChain(users, { failInBatch = [], sendError = null } = {}) {
+        const byAddress = new Map(users.map((entry) => [entry.address, entry]));
+        const blockTags = [];
+        const sent = [];
+        const due = (entry) => entry.enabled && NOW >= entry.last + DAY;
+        const decodeUser = (callData) => coder.decode(["address"], iface.decodeFunctionData("performAutoCompound", callData)[0])[0];
+        const pinned = (fn) => async (...args) => {
+            blockTags.push(args[args.length - 1].blockTag);
+            return fn(...args);
+        };
+
+        const performAutoCompound = {
+            staticCall: pinned(async (performData) => {
+                const entry = byAddress.get(coder.decode(["address"], performData)[0]);
+                if (entry.revert) throw { code: "CALL_EXCEPTION", data: iface.encodeErrorResult(entry.revert, []) };
+            }),
+            estimateGas: async (performData) => byAddress.get(coder.decode(["address"], performData)[0]).gas,
+        };
+
+        const aggregate3 = async (requests, overrides) => {
+            if (sendError) throw new Error(sendError);
+            const hash = ethers.id(`batch${sent.length}`);
+            sent.push({ users: requests.map((request) => decodeUser(request.callData)), gasLimit: overrides.gasLimit });
+            const logs = requests
+                .map((request) => byAddress.get(decodeUser(request.callData)))
+                .filter((entry) => !failInBatch.includes(entry.address))
+                .map((entry) => ({ ...iface.encodeEventLog("Compounded", [entry.address, entry.rewards]), address: CORE }));
+            return { wait: async () => ({ hash, logs, gasUsed: 100_000n * BigInt(requests.length), status: 1 }) };
+        };
+        // Real aggregate3 cost: base + each call's own gas plus a little overhead
+        aggregate3.estimateGas = async (requests) =>
+            requests.reduce((sum, request) => sum + byAddress.get(decodeUser(request.callData)).gas - 21_000n + 5_000n, 21_000n);
+
+        return {
+            sent,
+            blockTags,
+            provider: { getBlock: async () => ({ number: 42, timestamp: Number(NOW) }) },
+            gamification: {
+                getAutoCompoundUsersPage: pinned(async (offset, limit) => {
+                    const page = users.slice(Number(offset), Number(offset) + Number(limit));
+                    return [page.map((entry) => entry.address), page.map((entry) => [entry.enabled, entry.minAmount, entry.last]), BigInt(users.length)];
+                }),
+                checkAutoCompound: pinned(async (address) => {
+                    const entry = byAddress.get(address);
+                    return due(entry) ? [entry.rewards >= entry.minAmount, entry.rewards] : [false, 0n];
+                }),
+            },
+            core: {
+                target: CORE,
+                interface: iface,
+                checkAutoCompound: pinned(async (address) => {
+                    const entry = byAddress.get(address);
+                    const upkeep = due(entry) && entry.rewards >= entry.minAmount;
+                    return [upkeep, upkeep ? coder.encode(["address"], [address]) : "0x"];
+                }),
+                performAutoCompound,
+            },
+            multicall: { aggregate3 },
+        };
+    }
+
+    function keeper(chain, options = {}) {
+        return new AutoCompoundKeeper({ ...chain, pageSize: 2, ...options });
+    }
+
+    it("pages through every user at one block and records why each one is skipped", async function () {
+        const users = [
+            user(1),
+            user(2, { enabled: false }),
+            user(3, { last: NOW - DAY / 2n }),
+            user(4, { minAmount: pol(1) }),
+            user(5, { revert: "CircuitBreakerActive" }),
+        ];
+        const chain = fakeChain(users);
+        const scan = await keeper(chain).scan();
+
+        expect(new Set(chain.blockTags)).to.deep.equal(new Set([42]));
+        expect(scan.scanned).to.equal(5);
+        expect(scan.candidates.map((candidate) => candidate.user)).to.deep.equal([users[0].address]);
+        expect(scan.candidates[0]).to.include({ gas: 150_000n, rewards: pol("0.5") });
+        expect(scan.skipped).to.deep.equal([
+            { user: users[1].address, reason: "disabled" },
+            { user: users[2].address, reason: "not-due", detail: { dueAt: NOW + DAY / 2n } },
+            { user: users[3].address, reason: "below-minimum", detail: { rewards: pol("0.5"), minAmount: pol(1) } },
+            { user: users[4].address, reason: "simulation-reverted", detail: { errorName: "CircuitBreakerActive", message: "Deposits are paused by the circuit breaker" } },
+        ]);
+    });
+
+    it("packs calls into batches within the gas budget and batch size", function () {
+        const candidate = (name, gas) => ({ user: name, gas });
+        const { batches, overBudget } = AutoCompoundKeeper.plan(
+            [candidate("a", 200_000n), candidate("b", 200_000n), candidate("c", 900_000n), candidate("d", 100_000n), candidate("e", 100_000n), candidate("f", 100_000n)],
+            { gasBudget: 500_000n, maxBatchSize: 2 }
+        );
+
+        expect(overBudget.map((entry) => entry.user)).to.deep.equal(["c"]);
+        expect(batches.map((batch) => batch.calls.map((call) => call.user))).to.deep.equal([["a", "b"], ["d", "e"], ["f"]]);
+        // 21000 + 2 × (200000 - 21000 + 10000)
+        expect(batches[0].gas).to.equal(399_000n);
+        expect(batches.every((batch) => batch.gas <= 500_000n)).to.equal(true);
+    });
+
+    it("submits the batches and reads the compounded users from the receipt", async function () {
+        const users = [user(1), user(2), user(3, { gas: 2_000_000n }), user(4), user(5)];
+        const chain = fakeChain(users, { failInBatch: [users[3].address] });
+        const runner = keeper(chain, { gasBudget: 400_000n, maxBatchSize: 10 });
+        const result = await runner.run();
+
+        expect(chain.sent.map((batch) => batch.users)).to.deep.equal([
+            [users[0].address, users[1].address],
+            [users[3].address, users[4].address],
+        ]);
+        expect(chain.sent[0].gasLimit).to.equal((21_000n + 2n * 134_000n) * 120n / 100n);
+        expect(result.compounded.map((entry) => entry.user)).to.deep.equal([users[0].address, users[1].address, users[4].address]);
+        expect(result.skipped.map((entry) => [entry.user, entry.reason])).to.deep.equal([
+            [users[2].address, "over-budget"],
+            [users[3].address, "failed-in-batch"],
+        ]);
+
+        expect(runner.metrics).to.include({ runs: 1, usersScanned: 5, usersDue: 5, compounded: 3, batches: 2, batchesFailed: 0, lastRunBlock: 42 });
+        expect(runner.metrics.rewardsCompounded).to.equal(pol("1.5"));
+        expect(runner.metrics.skipped).to.include({ "over-budget": 1, "failed-in-batch": 1, "not-due": 0 });
+
+        const text = AutoCompoundKeeper.prometheus(runner.metrics);
+        expect(text).to.include("# TYPE nuxchain_keeper_compounded_total counter\nnuxchain_keeper_compounded_total 3\n");
+        expect(text).to.include(`nuxchain_keeper_rewards_compounded_wei_total ${pol("1.5")}\n`);
+        expect(text).to.include('nuxchain_keeper_skipped_total{reason="failed-in-batch"} 1\n');
+        expect(text).to.include("nuxchain_keeper_last_run_block 42\n");
+    });
+
+    it("splits a batch whose real estimate is over budget", async function () {
+        const users = [user(1), user(2), user(3)];
+        const chain = fakeChain(users);
+        // The plan fits two calls per batch, but each one really costs more inside aggregate3
+        chain.multicall.aggregate3.estimateGas = async (requests) => 21_000n + 220_000n * BigInt(requests.length);
+        const result = await keeper(chain, { gasBudget: 420_000n }).run();
+
+        expect(result.planned.map((batch) => batch.users.length)).to.deep.equal([2, 1]);
+        expect(chain.sent.map((batch) => batch.users)).to.deep.equal(users.map((entry) => [entry.address]));
+        expect(result.compounded).to.have.length(3);
+    });
+
+    it("sends nothing on a dry run and reports a failed batch without throwing", async function () {
+        const users = [user(1), user(2)];
+        const dry = fakeChain(users);
+        const planned = await keeper(dry, { dryRun: true }).run();
+        expect(dry.sent).to.deep.equal([]);
+        expect(planned.planned).to.deep.equal([{ users: [users[0].address, users[1].address], gas: 21_000n + 2n * 139_000n }]);
+        expect(AutoCompoundKeeper.format(planned)).to.include("2 due, 0 compounded (dry run)");
+
+        const failing = fakeChain(users, { sendError: "insufficient funds for gas" });
+        const runner = keeper(failing);
+        const result = await runner.run();
+        expect(result.batches).to.deep.equal([{ hash: null, users: 2, gasUsed: null, ok: false, error: "insufficient funds for gas" }]);
+        expect(result.skipped.map((entry) => entry.reason)).to.deep.equal(["batch-failed", "batch-failed"]);
+        expect(runner.metrics).to.include({ batches: 1, batchesFailed: 1, compounded: 0 });
+    });
+});
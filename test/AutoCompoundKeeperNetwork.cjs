@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const AutoCompoundKeeper = require("../scripts/utils/AutoCompoundKeeper.cjs");
+
+/**
+ * @title AutoCompoundKeeperNetwork - Test Suite
+ * @notice The keeper against SmartStakingCore + Gamification and a local
+ *         Multicall3, moving time forward between rounds
+ */
+
+describe("AutoCompoundKeeperNetwork", function () {
+    this.timeout(300000);
+
+    const pol = (value) => ethers.parseEther(String(value));
+
+    async function deployStaking() {
+        const [owner, treasury, keeperSigner, user1, user2, user3, user4, user5] = await ethers.getSigners();
+
+        const rewards = await (await ethers.getContractFactory("SmartStakingRewards")).deploy();
+        const skills = await (await ethers.getContractFactory("SmartStakingPower")).deploy();
+        const gamification = await (await ethers.getContractFactory("Gamification")).deploy();
+        const skillViewLib = await (await ethers.getContractFactory("SkillViewLib")).deploy();
+        const coreLib = await (await ethers.getContractFactory("SmartStakingCoreLib")).deploy();
+
+        const CoreFactory = await ethers.getContractFactory("SmartStakingCore", {
+            libraries: {
+                SkillViewLib: await skillViewLib.getAddress(),
+                SmartStakingCoreLib: await coreLib.getAddress(),
+            },
+        });
+        const core = await upgrades.deployProxy(CoreFactory, [treasury.address], {
+            initializer: "initialize",
+            unsafeAllowLinkedLibraries: true,
+            kind: "uups",
+        });
+        await core.waitForDeployment();
+        const coreAddress = await core.getAddress();
+
+        await core.setRewardsModule(await rewards.getAddress());
+        await core.setPowerModule(await skills.getAddress());
+        await core.setGamificationModule(await gamification.getAddress());
+        await skills.setMarketplaceContract(coreAddress);
+        await skills.setCoreStakingContract(coreAddress);
+        await gamification.setMarketplaceContract(coreAddress);
+        await gamification.setCoreStakingContract(coreAddress);
+
+        const multicall = await (await ethers.getContractFactory("Multicall3")).deploy();
+
+        // 1000 POL earns ~0.024 POL a day: over 0.01 daily, under 5 after five days
+        await core.connect(user1).deposit(0, { value: pol(1000) });
+        await core.connect(user2).deposit(0, { value: pol(1000) });
+        await core.connect(user3).deposit(0, { value: pol(1000) });
+        await gamification.connect(user1).enableAutoCompound(pol("0.01"));
+        await gamification.connect(user2).enableAutoCompound(pol(5));
+        await gamification.connect(user4).enableAutoCompound(pol("0.01"));
+        await gamification.connect(user4).disableAutoCompound();
+        // Enabled, but nothing staked: no rewards to compound
+        await gamification.connect(user5).enableAutoCompound(pol("0.01"));
+
+        await time.increase(5 * 86400);
+        // Enabled after the wait: its 24 h interval has just started
+        await gamification.connect(user3).enableAutoCompound(pol("0.01"));
+
+        return { core, gamification, multicall, keeperSigner, user1, user2, user3, user5 };
+    }
+
+    async function connectKeeper({ core, multicall, keeperSigner }, options = {}) {
+        return AutoCompoundKeeper.connect(keeperSigner, {
+            core: await core.getAddress(),
+            multicall: await multicall.getAddress(),
+            pageSize: 2,
+            ...options,
+        });
+    }
+
+    const reasons = (result) => Object.fromEntries(result.skipped.map((entry) => [entry.user, entry.reason]));
+
+    it("compounds due users through Multicall3 and explains the rest", async function () {
+        const fixture = await loadFixture(deployStaking);
+        const { core, gamification, user1, user2, user3, user5 } = fixture;
+        const keeper = await connectKeeper(fixture);
+        expect(keeper.gamification.target).to.equal(await gamification.getAddress());
+
+        const poolBefore = await core.totalPoolBalance();
+        const result = await keeper.run();
+
+        expect(result.scanned).to.equal(4);
+        expect(result.compounded.map((entry) => entry.user)).to.deep.equal([user1.address]);
+        expect(result.compounded[0].rewards).to.not.equal(0n);
+        expect(reasons(result)).to.deep.equal({
+            [user2.address]: "below-minimum",
+            [user3.address]: "not-due",
+            [user5.address]: "below-minimum",
+        });
+
+        // The rewards were staked and the user's interval restarted
+        const [batch] = result.batches;
+        const receipt = await ethers.provider.getTransactionReceipt(batch.hash);
+        const block = await ethers.provider.getBlock(receipt.blockNumber);
+        expect(await core.totalPoolBalance()).to.equal(poolBefore + result.compounded[0].rewards);
+        expect((await gamification.getAutoCompoundConfig(user1.address)).lastCompoundTime).to.equal(BigInt(block.timestamp));
+
+        // Right away, nobody is due
+        const again = await keeper.run();
+        expect(again.compounded).to.deep.equal([]);
+        expect(reasons(again)[user1.address]).to.equal("not-due");
+        expect(keeper.metrics).to.include({ runs: 2, compounded: 1, batches: 1, batchesFailed: 0 });
+        expect(keeper.metrics.skipped["not-due"]).to.equal(1 + 2);
+    });
+
+    it("picks users up again a day later, one batch per call when the budget is tight", async function () {
+        const fixture = await loadFixture(deployStaking);
+        const { user1, user3 } = fixture;
+        const keeper = await connectKeeper(fixture);
+        await keeper.run();
+
+        await time.increase(86400);
+        const single = await connectKeeper(fixture, { maxBatchSize: 1 });
+        const result = await single.run();
+
+        expect(result.compounded.map((entry) => entry.user)).to.have.members([user1.address, user3.address]);
+        expect(result.batches).to.have.length(2);
+        expect(result.batches.every((batch) => batch.ok && batch.gasUsed < single.gasBudget)).to.equal(true);
+    });
+
+    it("skips calls over the gas budget and sends nothing on a dry run", async function () {
+        const fixture = await loadFixture(deployStaking);
+        const { core, user1 } = fixture;
+
+        const dry = await connectKeeper(fixture, { dryRun: true });
+        const planned = await dry.run();
+        expect(planned.planned).to.have.length(1);
+        expect(planned.batches).to.deep.equal([]);
+        const [, performData] = await core.checkAutoCompound(user1.address);
+        expect(performData).to.not.equal("0x");
+
+        const tight = await connectKeeper(fixture, { gasBudget: 50_000n });
+        const result = await tight.run();
+        expect(result.compounded).to.deep.equal([]);
+        expect(reasons(result)[user1.address]).to.equal("over-budget");
+        expect(AutoCompoundKeeper.prometheus(tight.metrics)).to.include('nuxchain_keeper_skipped_total{reason="over-budget"} 1');
+    });
+});
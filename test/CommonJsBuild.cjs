@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CommonJsBuild = require("../scripts/utils/CommonJsBuild.cjs");
+
+/**
+ * @title CommonJsBuild - Test Suite
+ * @notice CommonJS build of the ESM export package and its "require" conditions
+ */
+
+describe("CommonJsBuild", function () {
+    let exportDir;
+
+    beforeEach(function () {
+        exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "nuxchain-cjs-"));
+        const write = (file, content) => {
+            fs.mkdirSync(path.dirname(path.join(exportDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(exportDir, file), content);
+        };
+
+        write("package.json", JSON.stringify({
+            name: "fixture",
+            type: "module",
+            exports: {
+                ".": { types: "./index.ts", default: "./index.js" },
+                "./abis/*": { types: "./abis/*.ts", default: "./abis/*.js" },
+            },
+        }));
+        write("index.js", 'export * from "./config/enums.js";\nexport { Store } from "./abis/Store.js";\nexport default "root";\n');
+        write("config/enums.js", "export const ItemKind = Object.freeze({ NONE: 0, BOOSTER: 1 });\n");
+        write("abis/Store.js", 'export const Store = [{ type: "function", name: "price" }];\n');
+        write("abis/Unused.js", "export const Unused = [];\n");
+    });
+
+    afterEach(function () {
+        fs.rmSync(exportDir, { recursive: true, force: true });
+    });
+
+    it("rewrites relative .js imports to .cjs", function () {
+        const output = CommonJsBuild.transpile('import { a } from "./a.js";\nimport b from "../b/index.js";\nimport { Contract } from "ethers";\nexport const c = a + b;\n');
+
+        expect(output).to.include('require("./a.cjs")');
+        expect(output).to.include('require("../b/index.cjs")');
+        expect(output).to.include('require("ethers")');
+        expect(output).to.include("exports.c");
+    });
+
+    it("adds import and require conditions to every entrypoint", function () {
+        expect(new CommonJsBuild(exportDir).exportsMap()).to.deep.equal({
+            ".": { types: "./index.ts", import: "./index.js", require: "./cjs/index.cjs", default: "./index.js" },
+            "./abis/*": {
+                types: "./abis/*.ts", import: "./abis/*.js", require: "./cjs/abis/*.cjs", default: "./abis/*.js",
+            },
+        });
+    });
+
+    it("builds modules that can be required", function () {
+        const written = new CommonJsBuild(exportDir).run();
+
+        expect(written).to.deep.equal([
+            path.join("cjs", "abis", "Store.cjs"),
+            path.join("cjs", "abis", "Unused.cjs"),
+            path.join("cjs", "config", "enums.cjs"),
+            path.join("cjs", "index.cjs"),
+        ]);
+
+        const root = require(path.join(exportDir, "cjs", "index.cjs"));
+        expect(root.ItemKind).to.deep.equal({ NONE: 0, BOOSTER: 1 });
+        expect(root.Store[0].name).to.equal("price");
+        expect(root.default).to.equal("root");
+    });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ContractAnalyzer = require("../scripts/utils/ContractAnalyzer.cjs");
+
+/**
+ * @title ContractAnalyzer - Test Suite
+ * @notice Metadata-insensitive bytecode hashes, the import graph of a synthetic build-info and library impact
+ */
+
+describe("ContractAnalyzer", function () {
+    const CODE = "608060405234801561001057600080fd5b50";
+    // CBOR metadata block (ipfs hash + solc version) followed by its 2-byte length
+    const metadata = (fill) => `a2646970667358221220${fill.repeat(32)}64736f6c63430008180033`;
+
+    let root;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "contract-analyzer-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    // sources: sourceName → {imports, contracts: {name: {bytecode, links}}}
+    function writeBuild(sources) {
+        const output = { sources: {}, contracts: {} };
+        Object.entries(sources).forEach(([sourceName, { imports = [], contracts = {} }]) => {
+            output.sources[sourceName] = {
+                ast: { nodes: imports.map((absolutePath) => ({ nodeType: "ImportDirective", absolutePath })) },
+            };
+            output.contracts[sourceName] = Object.fromEntries(Object.entries(contracts).map(([name, { bytecode = "", links = {} }]) => [
+                name,
+                { evm: { bytecode: { object: bytecode, linkReferences: links } } },
+            ]));
+        });
+
+        const dir = path.join(root, "artifacts", "build-info");
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, "build.json"), JSON.stringify({ output }));
+    }
+
+    function writeDeployment(deployment) {
+        fs.mkdirSync(path.join(root, "deployments"), { recursive: true });
+        fs.writeFileSync(path.join(root, "deployments", "complete-deployment.json"), JSON.stringify(deployment));
+    }
+
+    describe("hashBytecode", function () {
+        it("ignores the metadata block and unlinked library placeholders", function () {
+            const hash = ContractAnalyzer.hashBytecode(`0x${CODE}${metadata("11")}`);
+
+            expect(ContractAnalyzer.hashBytecode(`0x${CODE}${metadata("22")}`)).to.equal(hash);
+            expect(ContractAnalyzer.hashBytecode(CODE + metadata("33"))).to.equal(hash);
+            expect(ContractAnalyzer.hashBytecode(`0x${CODE}73__$${"ab".repeat(17)}$__${metadata("11")}`))
+                .to.equal(ContractAnalyzer.hashBytecode(`0x${CODE}73${"0".repeat(40)}${metadata("22")}`));
+        });
+
+        it("changes when the code changes and is null without bytecode", function () {
+            const hash = ContractAnalyzer.hashBytecode(`0x${CODE}${metadata("11")}`);
+
+            expect(ContractAnalyzer.hashBytecode(`0x${CODE}00${metadata("11")}`)).to.not.equal(hash);
+            expect(ContractAnalyzer.hashBytecode("0x")).to.equal(null);
+            expect(ContractAnalyzer.hashBytecode(undefined)).to.equal(null);
+        });
+    });
+
+    describe("detectBytecodeChanges", function () {
+        it("compares the compiled bytecode with the hashes of the last deployment", function () {
+            writeBuild({
+                "contracts/Vault.sol": { contracts: { Vault: { bytecode: CODE + metadata("22") } } },
+                "contracts/Pool.sol": { contracts: { Pool: { bytecode: `${CODE}00${metadata("22")}` } } },
+            });
+            writeDeployment({
+                bytecode: {
+                    "core.vault": { contract: "Vault", hash: ContractAnalyzer.hashBytecode(CODE + metadata("11")) },
+                    "core.pool": { contract: "Pool", hash: ContractAnalyzer.hashBytecode(CODE + metadata("11")) },
+                    "core.gone": { contract: "Gone", hash: "0x01" },
+                },
+            });
+
+            const analyzer = new ContractAnalyzer(root);
+            const changes = analyzer.detectBytecodeChanges(undefined, {});
+
+            expect(changes.map((c) => [c.id, c.status])).to.deep.equal([
+                ["core.vault", "unchanged"],
+                ["core.pool", "changed"],
+                ["core.gone", "missing"],
+            ]);
+            expect(changes[1].source).to.include({ name: "Pool", path: "contracts/Pool.sol" });
+        });
+
+        it("reports manifest contracts without a recorded hash as added", function () {
+            writeBuild({
+                "contracts/Vault.sol": { contracts: { Vault: { bytecode: CODE + metadata("22") } } },
+                "contracts/Treasury/TreasuryManager.sol": { contracts: { TreasuryManager: { bytecode: CODE } } },
+            });
+            writeDeployment({
+                bytecode: { "core.vault": { contract: "Vault", hash: ContractAnalyzer.hashBytecode(`${CODE}00`) } },
+            });
+
+            const analyzer = new ContractAnalyzer(root);
+            const entries = { "core.vault": { contract: "Vault" }, "core.router": { contract: "Router" }, "core.pool": { contract: "Vault" } };
+
+            // Router has no artifact: nothing to deploy yet
+            expect(analyzer.detectBytecodeChanges(undefined, entries).map((c) => [c.id, c.status, c.previousHash])).to.deep.equal([
+                ["core.vault", "changed", ContractAnalyzer.hashBytecode(`${CODE}00`)],
+                ["core.pool", "added", null],
+            ]);
+
+            // treasury.manager comes from deploy.manifest.cjs
+            const modified = analyzer.detectModifiedContracts();
+            expect(modified.map((c) => [c.name, c.id, c.reason])).to.deep.include.members([
+                ["Vault", "core.vault", "bytecode changed since last deployment"],
+                ["TreasuryManager", "treasury.manager", "no bytecode recorded at the last deployment"],
+            ]);
+
+            const strategy = analyzer.suggestDeploymentStrategy(modified.filter((c) => c.name === "TreasuryManager"));
+            expect(strategy.contracts[0]).to.include({ action: "REDEPLOY", reason: "Not in the last deployment - deploy a new instance" });
+        });
+    });
+
+    describe("import graph", function () {
+        it("reports a modified library through every contract that imports it, directly or not", function () {
+            writeBuild({
+                "contracts/libraries/VaultLib.sol": { contracts: { VaultLib: { bytecode: CODE } } },
+                "contracts/Vault.sol": { imports: ["contracts/libraries/VaultLib.sol"], contracts: { Vault: { bytecode: CODE } } },
+                "contracts/VaultView.sol": { imports: ["contracts/Vault.sol"], contracts: { VaultView: { bytecode: CODE } } },
+                "contracts/Pool.sol": { contracts: { Pool: { bytecode: CODE } } },
+            });
+            writeDeployment({ timestamp: "2026-01-01T00:00:00.000Z" });
+
+            const analyzer = new ContractAnalyzer(root);
+            analyzer.getModifiedFilesSinceDate = () => ["contracts/libraries/VaultLib.sol"];
+
+            expect(analyzer.getDependents("contracts/libraries/VaultLib.sol")).to.deep.equal(["contracts/Vault.sol", "contracts/VaultView.sol"]);
+            expect(analyzer.detectModifiedContracts().map((c) => [c.name, c.reason])).to.deep.equal([
+                ["VaultLib", "source modified"],
+                ["Vault", "imports a modified source"],
+                ["VaultView", "imports a modified source"],
+            ]);
+        });
+
+        it("terminates on cyclic imports", function () {
+            writeBuild({
+                "contracts/A.sol": { imports: ["contracts/B.sol"] },
+                "contracts/B.sol": { imports: ["contracts/C.sol"] },
+                "contracts/C.sol": { imports: ["contracts/A.sol"] },
+                "contracts/D.sol": { imports: ["contracts/A.sol"] },
+            });
+
+            const analyzer = new ContractAnalyzer(root);
+
+            expect(analyzer.getTransitiveImports("contracts/A.sol")).to.deep.equal(["contracts/B.sol", "contracts/C.sol"]);
+            expect(analyzer.getDependents("contracts/A.sol")).to.deep.equal(["contracts/B.sol", "contracts/C.sol", "contracts/D.sol"]);
+        });
+    });
+
+    describe("getLibraryImpact", function () {
+        const coreLinks = { "contracts/SmartStaking/SmartStakingCoreLib.sol": { SmartStakingCoreLib: [{ start: 10, length: 20 }] } };
+
+        beforeEach(function () {
+            writeBuild({
+                "contracts/SmartStaking/SmartStakingCoreLib.sol": { contracts: { SmartStakingCoreLib: { bytecode: CODE } } },
+                "contracts/SmartStaking/SmartStakingCore.sol": {
+                    imports: ["contracts/SmartStaking/SmartStakingCoreLib.sol"],
+                    contracts: { SmartStakingCore: { bytecode: CODE, links: coreLinks } },
+                },
+            });
+        });
+
+        it("upgrades the UUPS proxies that link the library", function () {
+            const impact = new ContractAnalyzer(root).getLibraryImpact("SmartStakingCoreLib");
+
+            expect(impact).to.include({ library: "SmartStakingCoreLib", id: "staking.coreLib" });
+            expect(impact.linkedBy).to.deep.equal(["SmartStakingCore"]);
+            expect(impact.upgrade).to.deep.equal(["staking.core"]);
+            expect(impact.redeploy).to.deep.equal([]);
+        });
+
+        it("follows constructor references of redeployed linkers and lists the calls to resend", function () {
+            const impact = new ContractAnalyzer(root).getLibraryImpact("SmartStakingCoreLib", { upgradeProxies: false });
+
+            expect(impact.upgrade).to.deep.equal([]);
+            expect(impact.redeploy).to.include.members([
+                "staking.core", "staking.viewCore", "staking.viewStats", "staking.viewSkills", "staking.viewDashboard",
+            ]);
+            expect(impact.rewire).to.deep.include({
+                id: "marketplace.core",
+                contract: "MarketplaceCore",
+                stage: "wire",
+                method: "setStakingContract",
+                refs: ["staking.core"],
+            });
+            expect(impact.rewire.some((step) => step.id === "staking.core" && step.method === "setRewardsModule")).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+const Create2Deployer = require("../scripts/utils/Create2Deployer.cjs");
+
+/**
+ * @title Create2Deployer - Test Suite
+ * @notice Deterministic deploys: predicted addresses, ownership/role handoff and UUPS proxies
+ */
+
+describe("Create2Deployer", function () {
+    let deployer, other, create2;
+
+    beforeEach(async function () {
+        [deployer, other] = await ethers.getSigners();
+        create2 = new Create2Deployer(deployer, { namespace: `test-${Date.now()}` });
+    });
+
+    it("deploys at the predicted address and hands ownership back", async function () {
+        const salt = create2.saltFor("treasury.manager");
+
+        const prediction = await create2.predict("TreasuryManager", [], { salt });
+        expect(prediction.deployed).to.equal(false);
+
+        const result = await create2.deploy("TreasuryManager", [], { salt });
+        expect(result.address).to.equal(prediction.address);
+        expect(result.reused).to.equal(false);
+
+        const treasury = await ethers.getContractAt("TreasuryManager", result.address);
+        expect(await treasury.owner()).to.equal(deployer.address);
+
+        const again = await create2.deploy("TreasuryManager", [], { salt });
+        expect(again).to.include({ address: result.address, reused: true });
+    });
+
+    it("scopes salts to the deployer", async function () {
+        const salt = create2.saltFor("treasury.manager");
+        const theirs = new Create2Deployer(other, { namespace: create2.namespace });
+
+        const mine = await create2.predict("TreasuryManager", [], { salt });
+        const their = await theirs.predict("TreasuryManager", [], { salt });
+
+        expect(their.address).to.not.equal(mine.address);
+    });
+
+    it("moves roles granted to msg.sender from the factory to the deployer", async function () {
+        // Small AccessControl contract: NuxPowerNft's initcode needs more gas than the per-transaction cap
+        const marketplace = await create2.deploy("MinimalTestMarketplace", [], { salt: create2.saltFor("test.marketplace") });
+        const contract = await ethers.getContractAt("MinimalTestMarketplace", marketplace.address);
+        const factory = await create2.factoryAddress();
+
+        const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+        expect(await contract.hasRole(adminRole, deployer.address)).to.equal(true);
+        expect(await contract.hasRole(await contract.ADMIN_ROLE(), deployer.address)).to.equal(true);
+        expect(await contract.hasRole(adminRole, factory)).to.equal(false);
+    });
+
+    it("deploys UUPS proxies whose address and implementation are predictable", async function () {
+        const salt = create2.saltFor("marketplace.collaboratorRewards");
+        const prediction = await create2.predict("CollaboratorBadgeRewards", [], { salt, proxy: true });
+
+        const result = await create2.deploy("CollaboratorBadgeRewards", [], { salt, proxy: true });
+
+        expect(result.address).to.equal(prediction.address);
+        expect(await upgrades.erc1967.getImplementationAddress(result.address)).to.equal(prediction.implementation);
+
+        const rewards = await ethers.getContractAt("CollaboratorBadgeRewards", result.address);
+        expect(await rewards.owner()).to.equal(deployer.address);
+
+        // Registered with the upgrades plugin, so later upgrades keep working
+        const upgraded = await upgrades.upgradeProxy(result.address, await ethers.getContractFactory("CollaboratorBadgeRewards"));
+        expect(await upgraded.getAddress()).to.equal(result.address);
+    });
+});
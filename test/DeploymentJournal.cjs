@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const DeploymentJournal = require("../scripts/utils/DeploymentJournal.cjs");
+const ManifestExecutor = require("../scripts/utils/ManifestExecutor.cjs");
+const { ref, deployer, call } = require("../scripts/utils/ManifestRefs.cjs");
+
+/**
+ * @title DeploymentJournal - Test Suite
+ * @notice Resuming a manifest deploy that failed partway and archiving the journal of another chain
+ */
+
+describe("DeploymentJournal", function () {
+    // TreasuryManager sub-treasury indices
+    const REWARDS = 0;
+    const STAKING = 1;
+    const MARKETPLACE = 4;
+
+    let signer, dir;
+
+    beforeEach(async function () {
+        [signer] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "nuxchain-journal-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function manifest(wire) {
+        return {
+            contracts: {
+                "treasury.manager": { contract: "TreasuryManager", wire },
+                "treasury.questRewardsPool": {
+                    contract: "QuestRewardsPool",
+                    proxy: "uups",
+                    args: [deployer(), ref("treasury.manager")],
+                },
+            },
+        };
+    }
+
+    it("reuses journaled deployments and skips confirmed or already applied calls on rerun", async function () {
+        const setRewardsTreasury = call("setTreasury", REWARDS, ref("treasury.questRewardsPool")).reads("treasuries", REWARDS);
+
+        // Constructor allocations already sum 100%: raising MARKETPLACE first reverts
+        const first = new ManifestExecutor(manifest([
+            setRewardsTreasury,
+            call("setAllocation", MARKETPLACE, 1500).reads("allocations", MARKETPLACE),
+        ]), { signer, journal: await DeploymentJournal.open("hardhat", { dir }) });
+
+        const deployed = { ...await first.deployAll() };
+        await expect(first.runCalls("wire")).to.be.revertedWith("Total allocation exceeds 100%");
+
+        const journal = await DeploymentJournal.open("hardhat", { dir });
+        expect(journal.addresses()).to.deep.equal(deployed);
+        expect(journal.size).to.equal(3);
+
+        const nonce = await ethers.provider.getTransactionCount(signer.address);
+        const rerun = new ManifestExecutor(manifest([
+            setRewardsTreasury,
+            call("setAllocation", REWARDS, 3000).reads("allocations", REWARDS),
+            call("setAllocation", STAKING, 2000).reads("allocations", STAKING),
+            call("setAllocation", MARKETPLACE, 1500).reads("allocations", MARKETPLACE),
+        ]), { signer, journal });
+
+        expect(await rerun.deployAll()).to.deep.equal(deployed);
+        expect(await rerun.runCalls("wire")).to.deep.equal({ sent: 2, planned: 0, skipped: 2 });
+        // Only the two allocation changes were sent
+        expect(await ethers.provider.getTransactionCount(signer.address)).to.equal(nonce + 2);
+
+        // REWARDS already had 3000 on-chain: recorded without a transaction
+        const [applied] = rerun.callsFor("wire").slice(1);
+        expect(journal.call(rerun.callKey("wire", applied))).to.include({ txHash: null });
+
+        const manager = await ethers.getContractAt("TreasuryManager", deployed["treasury.manager"]);
+        expect(await manager.treasuries(REWARDS)).to.equal(deployed["treasury.questRewardsPool"]);
+        expect(await manager.allocations(MARKETPLACE)).to.equal(1500n);
+    });
+
+    it("archives the journal of another chain and starts a new one", async function () {
+        const file = path.join(dir, "journal.json");
+        fs.writeFileSync(file, JSON.stringify({
+            network: "hardhat",
+            chainId: "137",
+            genesisHash: "0x01",
+            deployments: { "treasury.manager": { contract: "TreasuryManager", address: signer.address } },
+            calls: {},
+        }));
+
+        const journal = await DeploymentJournal.open("hardhat", { dir });
+
+        expect(journal.data.chainId).to.equal("31337");
+        expect(journal.size).to.equal(0);
+
+        const archived = fs.readdirSync(dir).filter((name) => /^journal-\d+\.json$/.test(name));
+        expect(archived).to.have.length(1);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, archived[0]), "utf8")).chainId).to.equal("137");
+    });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * @title Revert decoder - Test Suite
+ * @notice Decodes TreasuryManager reverts through the export package clients
+ */
+
+describe("ErrorDecoder", function () {
+    let createTreasuryClient, decodeRevert, ProtocolError, SmartStakingCore;
+    let owner, source, treasuryAddr;
+
+    before(async function () {
+        ({ createTreasuryClient, decodeRevert, ProtocolError, SmartStakingCore } = await import("../export/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner, source] = await ethers.getSigners();
+
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        const treasury = await TreasuryManager.deploy();
+        await treasury.waitForDeployment();
+        treasuryAddr = await treasury.getAddress();
+    });
+
+    it("rethrows revert strings as ProtocolError when decodeErrors is set", async function () {
+        const treasury = createTreasuryClient(source, { TreasuryManager: treasuryAddr }, { decodeErrors: true });
+
+        const error = await treasury.receiveRevenue("marketplace_fee", { value: 1n }).catch((e) => e);
+
+        expect(error).to.be.instanceOf(ProtocolError);
+        expect(error.contract).to.equal("TreasuryManager");
+        expect(error.errorName).to.equal("Error");
+        expect(error.args.reason).to.equal("Not authorized source");
+        expect(error.message).to.equal("Not authorized source");
+        expect(error.selector).to.equal("0x08c379a0");
+        // The original provider error, with the revert data it was decoded from
+        expect(error.cause.data.startsWith(error.selector)).to.equal(true);
+    });
+
+    it("localizes revert strings with caller messages and keeps connect() decoding", async function () {
+        const messages = { es: { "Ownable: caller is not the owner": "Solo el owner puede hacer esto" } };
+        const treasury = createTreasuryClient(owner, { TreasuryManager: treasuryAddr }, { decodeErrors: true, locale: "es", messages });
+
+        const error = await treasury.connect(source).authorizeSource(source.address).catch((e) => e);
+
+        expect(error).to.be.instanceOf(ProtocolError);
+        expect(error.contract).to.equal("TreasuryManager");
+        expect(error.errorName).to.equal("Error");
+        expect(error.args.reason).to.equal("Ownable: caller is not the owner");
+        expect(error.humanMessage).to.equal("Solo el owner puede hacer esto");
+    });
+
+    it("leaves errors untouched without decodeErrors", async function () {
+        const treasury = createTreasuryClient(source, { TreasuryManager: treasuryAddr });
+
+        const error = await treasury.receiveRevenue("marketplace_fee", { value: 1n }).catch((e) => e);
+
+        expect(error).to.not.be.instanceOf(ProtocolError);
+        expect(decodeRevert(error).args.reason).to.equal("Not authorized source");
+    });
+
+    it("decodes custom errors by name with typed arguments", function () {
+        const data = new ethers.Interface(SmartStakingCore).encodeErrorResult("DepositTooLow", [5n, 10n]);
+
+        const decoded = decodeRevert(data, { contract: "SmartStakingCore", locale: "es" });
+
+        expect(decoded.errorName).to.equal("DepositTooLow");
+        expect(decoded.signature).to.equal("DepositTooLow(uint256,uint256)");
+        expect(decoded.args).to.deep.equal({ provided: 5n, minimum: 10n });
+        expect(decoded.humanMessage).to.equal("El depósito de 5 wei está por debajo del mínimo de 10 wei");
+    });
+});
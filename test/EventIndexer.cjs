@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * @title Event indexer - Test Suite
+ * @notice Indexes TreasuryManager events from the in-process Hardhat node
+ */
+
+describe("EventIndexer", function () {
+    let EventIndexer, EventStore;
+    let treasury, owner, source;
+    let store, indexer;
+
+    before(async function () {
+        ({ EventIndexer, EventStore } = await import("../indexer/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner, source] = await ethers.getSigners();
+
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        treasury = await TreasuryManager.deploy();
+        await treasury.waitForDeployment();
+
+        // Skip the deployment block and its OwnershipTransferred event
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        store = new EventStore(":memory:");
+        indexer = await EventIndexer.create(ethers.provider, {
+            store,
+            only: ["TreasuryManager"],
+            addresses: { TreasuryManager: await treasury.getAddress() },
+            startBlock,
+            batchSize: 2
+        });
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    it("decodes logs into typed records", async function () {
+        await treasury.authorizeSource(source.address);
+        await treasury.connect(source).receiveRevenue("marketplace_fee", { value: ethers.parseEther("1") });
+
+        await indexer.syncOnce();
+
+        const [authorized] = indexer.events({ event: "SourceAuthorized" });
+        expect(authorized.contract).to.equal("TreasuryManager");
+        expect(authorized.args.source).to.equal(source.address);
+        expect(authorized.args.authorized).to.equal(true);
+
+        const [revenue] = indexer.events({ event: "RevenueReceived" });
+        expect(revenue.args.amount).to.equal(ethers.parseEther("1"));
+        expect(revenue.args.revenueType).to.equal("marketplace_fee");
+        expect(revenue.signature).to.equal("RevenueReceived(address,uint256,string)");
+    });
+
+    it("keeps indexed arrays, tuples and strings as their topic hash", async function () {
+        const { toRecordArgs, fromStoredArgs } = await import("../indexer/index.js");
+        const iface = new ethers.Interface([
+            "event Batch(uint256[] indexed ids, tuple(uint256 id, address owner) indexed pair, string indexed tag, uint256[] amounts)",
+        ]);
+        const fragment = iface.getEvent("Batch");
+        // encodeEventLog cannot hash indexed arrays; the topics only need to be hashes
+        const log = {
+            topics: [fragment.topicHash, ethers.id("ids"), ethers.id("pair"), ethers.id("drop")],
+            data: ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [[10n, 20n]]),
+        };
+        const parsed = iface.parseLog(log);
+
+        const stored = JSON.parse(JSON.stringify(toRecordArgs(parsed), (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+        expect(stored.ids).to.equal(log.topics[1]);
+        expect(stored.pair).to.equal(log.topics[2]);
+        expect(stored.tag).to.equal(ethers.id("drop"));
+
+        const revived = fromStoredArgs(fragment, stored);
+        expect(revived).to.deep.equal({ ids: log.topics[1], pair: log.topics[2], tag: ethers.id("drop"), amounts: [10n, 20n] });
+    });
+
+    it("resumes from the stored cursor without duplicating events", async function () {
+        await treasury.authorizeSource(source.address);
+        const first = await indexer.syncOnce();
+        expect(first.events).to.equal(1);
+
+        await treasury.authorizeRequester(source.address);
+        const second = await indexer.syncOnce();
+
+        expect(second.events).to.equal(1);
+        expect(second.cursor.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(indexer.events()).to.have.length(2);
+    });
+
+    it("rolls back reorganized blocks and indexes the new chain", async function () {
+        await treasury.authorizeSource(source.address);
+        await indexer.syncOnce();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await treasury.authorizeRequester(source.address);
+        await treasury.authorizeRequester(owner.address);
+        await indexer.syncOnce();
+        expect(indexer.events({ event: "RequesterAuthorized" })).to.have.length(2);
+
+        // Replace the last two blocks with a different branch
+        await network.provider.send("evm_revert", [snapshot]);
+        await network.provider.send("evm_increaseTime", [60]);
+        await treasury.setAuthorizedSource(source.address, false);
+        await network.provider.send("evm_mine");
+
+        const result = await indexer.syncOnce();
+
+        expect(result.reorg.removed).to.equal(2);
+        expect(indexer.events({ event: "RequesterAuthorized" })).to.have.length(0);
+        const sources = indexer.events({ event: "SourceAuthorized" });
+        expect(sources.map((e) => e.args.authorized)).to.deep.equal([true, false]);
+    });
+
+    it("keeps the cursor in the database file across restarts", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nux-indexer-")), "events.sqlite");
+        const options = {
+            only: ["TreasuryManager"],
+            addresses: { TreasuryManager: await treasury.getAddress() },
+            startBlock: indexer.startBlock
+        };
+
+        await treasury.authorizeSource(source.address);
+        const fileStore = new EventStore(file);
+        await (await EventIndexer.create(ethers.provider, { ...options, store: fileStore })).syncOnce();
+        fileStore.close();
+
+        await treasury.authorizeRequester(source.address);
+        const reopened = new EventStore(file);
+        const resumed = await EventIndexer.create(ethers.provider, { ...options, store: reopened });
+        const result = await resumed.syncOnce();
+
+        expect(result.events).to.equal(1);
+        expect(resumed.events()).to.have.length(2);
+        reopened.close();
+    });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * @title Export clients - Test Suite
+ * @notice Address sources of the ethers client factories and the runner chain check
+ */
+
+describe("ExportClients", function () {
+    let protocol;
+    let owner, treasuryAddr;
+
+    before(async function () {
+        protocol = await import("../export/index.js");
+    });
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        const manager = await TreasuryManager.deploy();
+        treasuryAddr = await manager.getAddress();
+    });
+
+    // Runner that reports the given chain and answers owner() with `account`
+    function fakeRunner(chainId, account) {
+        const iface = new ethers.Interface(protocol.TreasuryManager);
+        return {
+            provider: { getNetwork: async () => ({ chainId: BigInt(chainId) }) },
+            call: async () => iface.encodeFunctionResult("owner", [account]),
+        };
+    }
+
+    it("keeps the Polygon mainnet book as default and rejects unknown chainIds", function () {
+        const clients = protocol.createNuxchainClients(owner);
+
+        expect(clients.treasuryManager.target).to.equal(protocol.CONTRACT_ADDRESSES.TreasuryManager);
+        expect(new protocol.StakingService(owner).stakingCore.target).to.equal(protocol.CONTRACT_ADDRESSES.StakingCore);
+        expect(() => protocol.createTreasuryClient(owner, 31337)).to.throw(protocol.UnsupportedChainError);
+    });
+
+    it("calls a local deployment through an address map without checking the chain", async function () {
+        const treasury = protocol.createTreasuryClient(owner, { TreasuryManager: treasuryAddr });
+
+        expect(await treasury.owner()).to.equal(owner.address);
+    });
+
+    it("rejects calls when the runner is not on the chain of the addresses", async function () {
+        const clients = protocol.createNuxchainClients(owner, 137);
+
+        expect(clients.treasuryManager.target).to.equal(protocol.getContractAddresses(137).TreasuryManager);
+        const error = await clients.treasuryManager.owner().catch((e) => e);
+        expect(error).to.be.instanceOf(protocol.UnsupportedChainError);
+        expect(error.chainId).to.equal(31337);
+
+        const staticError = await clients.stakingCore.owner.staticCall().catch((e) => e);
+        expect(staticError).to.be.instanceOf(protocol.UnsupportedChainError);
+    });
+
+    it("calls through once the runner reports the chain of the addresses", async function () {
+        const treasury = protocol.createTreasuryClient(fakeRunner(137, owner.address), 137);
+        expect(await treasury.owner()).to.equal(owner.address);
+
+        const elsewhere = protocol.createTreasuryClient(fakeRunner(80002, owner.address), 137);
+        expect(await elsewhere.owner().catch((e) => e)).to.be.instanceOf(protocol.UnsupportedChainError);
+
+        // connect() keeps the check with the new runner
+        expect(await treasury.connect(owner).owner().catch((e) => e)).to.be.instanceOf(protocol.UnsupportedChainError);
+    });
+
+    it("connectClients picks the book of the runner's chain", async function () {
+        expect(await protocol.connectClients(ethers.provider).catch((e) => e)).to.be.instanceOf(protocol.UnsupportedChainError);
+
+        const clients = await protocol.connectClients(fakeRunner(137, owner.address));
+        expect(clients.treasuryManager.target).to.equal(protocol.CONTRACT_ADDRESSES.TreasuryManager);
+    });
+});
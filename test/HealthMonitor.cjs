@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const HealthMonitor = require("../scripts/utils/HealthMonitor.cjs");
+const AlertSinks = require("../scripts/utils/AlertSinks.cjs");
+
+/**
+ * @title HealthMonitor - Test Suite
+ * @notice Probes, rule evaluation with dedup / resolve, event rules and alert sinks
+ * @dev Contracts and provider are fakes returning what the ABI would decode
+ */
+
+describe("HealthMonitor", function () {
+    const NOW = 1_800_000_000;
+    const TODAY = BigInt(NOW) / 86400n;
+    const pol = (value) => ethers.parseEther(String(value));
+
+    const ADDRESSES = {
+        "treasury.manager": "0x00000000000000000000000000000000000000a1",
+        "staking.core": "0x00000000000000000000000000000000000000a2",
+        "nuxtap.treasury": "0x00000000000000000000000000000000000000a3",
+        "treasury.questRewardsPool": "0x00000000000000000000000000000000000000a4",
+        "staking.gamification": "0x00000000000000000000000000000000000000a5",
+    };
+
+    function fakeChain(overrides = {}) {
+        const s = {
+            block: 100,
+            emergency: false,
+            reserve: pol(500),
+            statuses: [0n, 0n, 0n, 0n, 0n],
+            breakerEnabled: true,
+            breakerRatio: 1000n,
+            totalPool: pol(1000),
+            stakingBalance: pol(1200),
+            cap: pol(2500),
+            spent: pol(2100),
+            payoutDay: TODAY,
+            questPool: pol(80),
+            gamification: [0n, pol(50), pol(40), 0n, true, 100n],
+            logs: [],
+            ...overrides,
+        };
+        const blockTags = [];
+        const pinned = (value) => async (...args) => {
+            blockTags.push(args[args.length - 1].blockTag);
+            if (value instanceof Error) throw value;
+            return typeof value === "function" ? value(...args) : value;
+        };
+        // Re-read on every call so tests can change the state between polls
+        const live = (key) => pinned(() => s[key]);
+
+        const contracts = {
+            "treasury.manager": {
+                getEmergencyInfo: pinned(() => [s.emergency, 0n, 0n, s.reserve]),
+                getAvailableBalance: pinned(pol(10)),
+                getProtocolStatus: pinned((i) => [s.statuses[i], 0n, s.emergency]),
+            },
+            "staking.core": {
+                circuitBreakerEnabled: live("breakerEnabled"),
+                circuitBreakerReserveRatio: live("breakerRatio"),
+                totalPoolBalance: live("totalPool"),
+            },
+            "nuxtap.treasury": {
+                dailyPayoutCap: live("cap"),
+                dailyPayoutSpent: live("spent"),
+                payoutDay: live("payoutDay"),
+                availableLiquidity: pinned(pol(300)),
+                paused: pinned(false),
+            },
+            "treasury.questRewardsPool": {
+                getPoolStats: pinned(() => (s.questPool instanceof Error ? Promise.reject(s.questPool) : [s.questPool, pol(100), pol(20)])),
+            },
+            "staking.gamification": {
+                getProtocolHealth: live("gamification"),
+            },
+        };
+        const provider = {
+            getBlock: async () => ({ number: s.block, timestamp: NOW }),
+            getBalance: async (address, blockTag) => { blockTags.push(blockTag); return s.stakingBalance; },
+            getLogs: async (filter) => {
+                s.filters.push(filter);
+                return s.logs.filter((log) => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock);
+            },
+        };
+        s.filters = [];
+        return { s, contracts, provider, blockTags };
+    }
+
+    function collector() {
+        const sent = [];
+        return { sent, sink: { name: "test", minSeverity: "info", send: async (alert) => { sent.push(alert); } } };
+    }
+
+    function monitor(chain, rules, extra = {}) {
+        return new HealthMonitor({
+            provider: chain.provider,
+            addresses: ADDRESSES,
+            contracts: chain.contracts,
+            rules,
+            network: "localhost",
+            chainId: 31337n,
+            ...extra,
+        });
+    }
+
+    it("reads every probe at one block as flat metrics", async function () {
+        const chain = fakeChain({ statuses: [0n, 2n, 0n, 0n, 0n] });
+        const result = await monitor(chain, [{ id: "noop", metric: "questPool.balance", op: "<", value: 0 }]).poll();
+
+        expect(new Set(chain.blockTags)).to.deep.equal(new Set([100]));
+        expect(result.errors).to.deep.equal({});
+        expect(result.metrics).to.include({
+            "treasury.emergencyActive": false,
+            "treasury.status.STAKING": "CRITICAL",
+            // 1200 held against 1000 + 10% required
+            "staking.circuitBreakerTripped": false,
+            "staking.reserveCoverageBps": 12000n,
+            "nuxtap.dailyPayoutUsedBps": 8400n,
+            "questPool.balance": pol(80),
+            "gamification.status": "HEALTHY",
+            "gamification.healthPercentage": 100n,
+        });
+        expect(Object.keys(result.metrics)).to.have.members(Object.keys(HealthMonitor.METRICS));
+
+        // Below the required reserve the breaker trips; yesterday's payouts no longer count
+        chain.s.stakingBalance = pol(1099);
+        chain.s.payoutDay = TODAY - 1n;
+        const next = await monitor(chain, [{ id: "noop", metric: "questPool.balance", op: "<", value: 0 }]).poll();
+        expect(next.metrics).to.include({ "staking.circuitBreakerTripped": true, "nuxtap.dailyPayoutSpent": 0n, "nuxtap.dailyPayoutUsedBps": 0n });
+    });
+
+    it("fires once after `for` polls and resolves when the condition clears", async function () {
+        const chain = fakeChain();
+        const { sent, sink } = collector();
+        const rules = [
+            { id: "quest-pool-low", metric: "questPool.balance", op: "<", value: 50, for: 2, severity: "warning" },
+            { id: "gamification-degraded", metric: "gamification.status", op: ">=", value: "UNSTABLE", severity: "critical" },
+        ];
+        const first = monitor(chain, rules, { sinks: [sink] });
+
+        chain.s.questPool = pol(40);
+        chain.s.gamification = [1n, pol(30), pol(40), pol(10), false, 75n];
+        await first.poll();
+        expect(sent.map((alert) => [alert.rule, alert.status])).to.deep.equal([["gamification-degraded", "firing"]]);
+
+        chain.s.block = 101;
+        await first.poll();
+        chain.s.block = 102;
+        await first.poll();
+        expect(sent.map((alert) => [alert.rule, alert.status])).to.deep.equal([
+            ["gamification-degraded", "firing"],
+            ["quest-pool-low", "firing"],
+        ]);
+        expect(sent[1]).to.include({ metric: "questPool.balance", value: pol(40), threshold: 50, block: 101, network: "localhost", chainId: "31337" });
+
+        // A restart with the saved state does not repeat active alerts
+        const state = JSON.parse(JSON.stringify(first.state));
+        expect(state.active).to.have.keys("quest-pool-low", "gamification-degraded");
+        const second = monitor(chain, rules, { sinks: [sink], state });
+        chain.s.questPool = pol(60);
+        chain.s.block = 103;
+        await second.poll();
+        expect(sent.slice(2).map((alert) => [alert.rule, alert.status])).to.deep.equal([["quest-pool-low", "resolved"]]);
+        expect(sent[2].since).to.equal(sent[1].at);
+        expect(second.state.active).to.have.keys("gamification-degraded");
+    });
+
+    it("alerts on a failing probe and keeps that probe's rules as they were", async function () {
+        const chain = fakeChain({ questPool: pol(10) });
+        const { sent, sink } = collector();
+        const watcher = monitor(chain, [{ id: "quest-pool-low", metric: "questPool.balance", op: "<", value: 50 }], { sinks: [sink] });
+        await watcher.poll();
+
+        chain.s.questPool = new Error("missing revert data");
+        const result = await watcher.poll();
+        expect(result.errors).to.deep.equal({ "treasury.questRewardsPool": "missing revert data" });
+        expect(sent.map((alert) => [alert.rule, alert.status])).to.deep.equal([
+            ["quest-pool-low", "firing"],
+            ["probe:treasury.questRewardsPool", "firing"],
+        ]);
+
+        chain.s.questPool = pol(10);
+        await watcher.poll();
+        expect(sent.slice(2).map((alert) => [alert.rule, alert.status])).to.deep.equal([["probe:treasury.questRewardsPool", "resolved"]]);
+    });
+
+    it("turns matching logs into event alerts in block-range chunks", async function () {
+        const chain = fakeChain();
+        const { sent, sink } = collector();
+        const staking = new ethers.Interface(require("@nuxchain/protocol-export/abis/SmartStakingCore").SmartStakingCore);
+        const quests = new ethers.Interface(require("@nuxchain/protocol-export/abis/QuestRewardsPool").QuestRewardsPool);
+        const log = (iface, address, name, args, blockNumber) => ({
+            ...iface.encodeEventLog(name, args),
+            address,
+            blockNumber,
+            transactionHash: ethers.id(`${name}${blockNumber}`),
+            index: 0,
+        });
+        chain.s.logs = [
+            log(staking, ADDRESSES["staking.core"], "CircuitBreakerUpdated", [true, 1500n], 96),
+            log(quests, ADDRESSES["treasury.questRewardsPool"], "FundsDeposited", [ADDRESSES["treasury.manager"], pol(5)], 97),
+            log(quests, ADDRESSES["treasury.questRewardsPool"], "EmergencyFundsRequested", [pol(7), false], 99),
+        ];
+
+        const watcher = monitor(chain, [
+            { id: "breaker-changed", event: "staking.CircuitBreakerUpdated", severity: "info" },
+            { id: "quest-emergency", event: "questPool.EmergencyFundsRequested" },
+        ], { sinks: [sink], fromBlock: 95, maxBlockRange: 3 });
+
+        await watcher.poll();
+        expect(chain.s.filters.map((filter) => [filter.fromBlock, filter.toBlock])).to.deep.equal([[95, 97], [98, 100]]);
+        expect(chain.s.filters[0].address).to.have.members([ADDRESSES["staking.core"], ADDRESSES["treasury.questRewardsPool"]]);
+        expect(sent.map((alert) => [alert.rule, alert.status, alert.block])).to.deep.equal([
+            ["breaker-changed", "event", 96],
+            ["quest-emergency", "event", 99],
+        ]);
+        expect(sent[1].event.args).to.deep.equal({ deficit: pol(7), success: false });
+        expect(watcher.state.lastBlock).to.equal(100);
+
+        // Nothing new: no extra range is scanned
+        await watcher.poll();
+        expect(chain.s.filters).to.have.length(2);
+    });
+
+    it("rejects invalid rules and validates the example rules file", function () {
+        const parse = (rule) => () => HealthMonitor.parseRules({ rules: [rule] });
+
+        expect(parse({ id: "a", metric: "questPool.size", op: "<", value: 1 })).to.throw(/unknown metric "questPool.size"/);
+        expect(parse({ id: "a", metric: "questPool.balance", op: "=<", value: 1 })).to.throw(/unknown op "=<"/);
+        expect(parse({ id: "a", metric: "treasury.emergencyActive", op: ">", value: true })).to.throw(/use == or !=/);
+        expect(parse({ id: "a", metric: "gamification.status", op: ">=", value: "DEGRADED" })).to.throw(/expected one of HEALTHY/);
+        expect(parse({ id: "a", event: "nuxtap.Payout" })).to.throw(/NuxTapTreasury has no event Payout/);
+        expect(parse({ id: "a", metric: "questPool.balance", event: "questPool.RewardPaid" })).to.throw(/exactly one of/);
+        expect(() => HealthMonitor.parseRules({ rules: [{ id: "a", event: "questPool.RewardPaid" }, { id: "a", event: "questPool.RewardPaid" }] }))
+            .to.throw(/rule "a": duplicate id/);
+
+        const config = HealthMonitor.load(path.join(__dirname, "..", "scripts", "monitor.rules.yaml"));
+        const rules = HealthMonitor.parseRules(config);
+        expect(rules.find((rule) => rule.id === "treasury-reserve-low")).to.include({ threshold: pol(100), for: 3 });
+        expect(rules.find((rule) => rule.id === "gamification-degraded").threshold).to.equal(1);
+    });
+
+    it("writes JSONL, posts webhooks and filters by severity", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "health-monitor-"));
+        try {
+            const posts = [];
+            const fetch = async (url, request) => {
+                posts.push({ url, body: JSON.parse(request.body) });
+                return { ok: posts.length === 1, status: 500 };
+            };
+            const sinks = [
+                AlertSinks.create({ type: "file", path: "alerts.jsonl" }, { cwd: dir }),
+                AlertSinks.webhook({ ...AlertSinks.interpolate({ url: "https://hooks.example/${HOOK_TOKEN}", minSeverity: "critical" }, { HOOK_TOKEN: "t0k3n" }), fetch }),
+            ];
+            expect(sinks.map((sink) => sink.name)).to.deep.equal(["file:alerts.jsonl", "webhook:hooks.example"]);
+            expect(() => AlertSinks.create({ type: "webhook", url: "${MISSING_HOOK}" }, { env: {} })).to.throw(/MISSING_HOOK is not set/);
+            expect(() => AlertSinks.create({ type: "pager" })).to.throw(/Unknown sink type "pager"/);
+
+            const chain = fakeChain({ emergency: true, questPool: pol(10) });
+            const watcher = monitor(chain, [
+                { id: "treasury-emergency", metric: "treasury.emergencyActive", op: "==", value: true, severity: "critical", message: "Emergency mode" },
+                { id: "quest-pool-low", metric: "questPool.balance", op: "<", value: 50, severity: "warning" },
+            ], { sinks });
+            await watcher.poll();
+            chain.s.emergency = false;
+            // The failing webhook call is logged, not thrown
+            const log = console.error;
+            console.error = () => {};
+            try {
+                await watcher.poll();
+            } finally {
+                console.error = log;
+            }
+
+            const lines = fs.readFileSync(path.join(dir, "alerts.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+            expect(lines.map((line) => [line.rule, line.status])).to.deep.equal([
+                ["treasury-emergency", "firing"],
+                ["quest-pool-low", "firing"],
+                ["treasury-emergency", "resolved"],
+            ]);
+            expect(lines[1].value).to.equal(pol(10).toString());
+
+            expect(posts.map((post) => [post.url, post.body.rule, post.body.status])).to.deep.equal([
+                ["https://hooks.example/t0k3n", "treasury-emergency", "firing"],
+                ["https://hooks.example/t0k3n", "treasury-emergency", "resolved"],
+            ]);
+            expect(posts[0].body.text).to.equal("🚨 [critical] treasury-emergency FIRING — Emergency mode (treasury.emergencyActive = true; rule == true) @ localhost #100");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ManifestExecutor = require("../scripts/utils/ManifestExecutor.cjs");
+const { ref, env, deployer, role, call, collectRefs, resolveValue } = require("../scripts/utils/ManifestRefs.cjs");
+const manifest = require("../scripts/deploy.manifest.cjs");
+
+/**
+ * @title ManifestExecutor - Test Suite
+ * @notice Deploy order and refs of the manifest, idempotent setters and a deploy of deploy.manifest.cjs
+ */
+
+describe("ManifestExecutor", function () {
+    const A = "0x000000000000000000000000000000000000000A";
+    const B = "0x000000000000000000000000000000000000000b";
+    const ENV = ["TREASURY_ADDRESS", "FUND_QUEST_POOL"];
+
+    let signer, savedEnv;
+
+    beforeEach(async function () {
+        [signer] = await ethers.getSigners();
+        savedEnv = Object.fromEntries(ENV.map((name) => [name, process.env[name]]));
+    });
+
+    afterEach(function () {
+        ENV.forEach((name) => {
+            if (savedEnv[name] === undefined) delete process.env[name];
+            else process.env[name] = savedEnv[name];
+        });
+    });
+
+    function executor(contracts, options = {}) {
+        return new ManifestExecutor({ contracts }, { signer, ...options });
+    }
+
+    describe("ManifestRefs", function () {
+        it("collects the refs of nested args and libraries", function () {
+            const refs = collectRefs([[ref("a.one"), { lib: ref("a.two") }], deployer(), role("ADMIN_ROLE"), 5, ref("a.one")]);
+
+            expect([...refs]).to.deep.equal(["a.one", "a.two"]);
+        });
+
+        it("resolves refs, env vars, the deployer and roles", function () {
+            process.env.FUND_QUEST_POOL = "250";
+            const context = { addresses: { "a.one": A }, deployer: B };
+
+            expect(resolveValue(
+                [ref("a.one"), { nested: [deployer()] }, role("ADMIN_ROLE"), env("FUND_QUEST_POOL"), env("UNSET_MANIFEST_VAR", "7"), 3],
+                context,
+            )).to.deep.equal([A, { nested: [B] }, ethers.id("ADMIN_ROLE"), "250", "7", 3]);
+        });
+
+        it("rejects refs without an address and unset env vars without fallback", function () {
+            const context = { addresses: {}, deployer: B };
+
+            expect(() => resolveValue(ref("a.one"), context)).to.throw('Manifest reference "a.one" has no address yet');
+            expect(resolveValue(ref("a.one"), { ...context, onMissingRef: (id) => `<${id}>` })).to.equal("<a.one>");
+            expect(() => resolveValue(env("UNSET_MANIFEST_VAR"), context)).to.throw("UNSET_MANIFEST_VAR not set");
+        });
+    });
+
+    describe("resolveOrder", function () {
+        it("deploys dependencies first and keeps the manifest order otherwise", function () {
+            const order = executor({
+                "a.app": { contract: "App", args: [ref("a.core")] },
+                "a.core": { contract: "Core", libraries: { Lib: ref("a.lib") } },
+                "a.lib": { contract: "Lib" },
+                "a.other": { contract: "Other" },
+            }).resolveOrder();
+
+            expect(order).to.deep.equal(["a.lib", "a.core", "a.app", "a.other"]);
+        });
+
+        it("places every entry of deploy.manifest.cjs after its dependencies", function () {
+            const real = new ManifestExecutor(manifest, { signer });
+            const order = real.resolveOrder();
+
+            expect(order).to.have.members(Object.keys(manifest.contracts));
+            order.forEach((id, index) => {
+                real.dependenciesOf(id).forEach((dep) => expect(order.indexOf(dep), `${id} → ${dep}`).to.be.lessThan(index));
+            });
+        });
+
+        it("rejects dependency cycles and unknown refs", function () {
+            expect(() => executor({
+                "a.one": { contract: "One", args: [ref("a.two")] },
+                "a.two": { contract: "Two", args: [ref("a.one")] },
+                "a.free": { contract: "Free" },
+            }).resolveOrder()).to.throw("Manifest has a dependency cycle between: a.one, a.two");
+
+            expect(() => executor({
+                "a.one": { contract: "One", libraries: { Lib: ref("a.missing") } },
+            }).resolveOrder()).to.throw('Manifest entry "a.one" references unknown contract "a.missing"');
+        });
+    });
+
+    describe("readState", function () {
+        // Contract stub whose getters return the given values
+        const instance = { treasuries: async () => A, hasRole: async () => false, paused: async () => true };
+        const context = { addresses: {}, deployer: B };
+
+        it("compares reads() with the last argument of the call, case-insensitively", async function () {
+            const step = call("setTreasury", 0, A.toLowerCase()).reads("treasuries", 0);
+
+            expect(await ManifestExecutor.readState(instance, step, [0, A.toLowerCase()], context))
+                .to.deep.equal({ applied: true, current: A, expected: A.toLowerCase() });
+            expect((await ManifestExecutor.readState(instance, step, [0, B], context)).applied).to.equal(false);
+        });
+
+        it("skips checks() and verifies() only when the predicate returns true", async function () {
+            const granted = call("grantRole", role("ADMIN_ROLE"), B).checks("hasRole");
+            const paused = call("pause").verifies("paused");
+
+            expect(await ManifestExecutor.readState(instance, granted, [ethers.id("ADMIN_ROLE"), B], context))
+                .to.deep.equal({ applied: false, current: false, expected: true });
+            expect((await ManifestExecutor.readState(instance, paused, [], context)).applied).to.equal(true);
+        });
+    });
+
+    describe("fundingTargets", function () {
+        it("resolves the amount of each funded entry and its address", function () {
+            process.env.FUND_QUEST_POOL = "2.5";
+
+            const targets = executor({
+                "a.pool": { contract: "Pool", fund: { amount: env("FUND_QUEST_POOL", "1000") } },
+                "a.rewards": { contract: "Rewards", fund: { amount: env("UNSET_MANIFEST_VAR", "1000") } },
+                "a.plain": { contract: "Plain" },
+            }, { addresses: { "a.pool": A } }).fundingTargets();
+
+            expect(targets).to.deep.equal([
+                { id: "a.pool", name: "Pool", address: A, amount: ethers.parseEther("2.5") },
+                { id: "a.rewards", name: "Rewards", address: null, amount: ethers.parseEther("1000") },
+            ]);
+        });
+    });
+
+    describe("deploy.manifest.cjs", function () {
+        it("deploys, wires and configures the protocol on the Hardhat network", async function () {
+            this.timeout(300000);
+            process.env.TREASURY_ADDRESS = B;
+
+            const real = new ManifestExecutor(manifest, { signer });
+            const addresses = await real.deployAll();
+
+            expect(Object.keys(addresses)).to.have.members(Object.keys(manifest.contracts));
+            expect(real.bytecode["staking.core"].contract).to.equal("SmartStakingCore");
+
+            const wire = await real.runCalls("wire");
+            const configure = await real.runCalls("configure");
+            expect(wire.sent + wire.skipped).to.equal(real.callsFor("wire").length);
+            expect(configure.sent + configure.skipped).to.equal(real.callsFor("configure").length);
+
+            // Every setter reads back what it wrote: a rerun sends nothing
+            expect(await real.runCalls("wire")).to.include({ sent: 0 });
+            expect(await real.runCalls("configure")).to.include({ sent: 0 });
+
+            const core = await ethers.getContractAt("MarketplaceCore", addresses["marketplace.core"]);
+            expect(await core.treasuryManager()).to.equal(addresses["treasury.manager"]);
+            const treasury = await ethers.getContractAt("TreasuryManager", addresses["treasury.manager"]);
+            expect(await treasury.authorizedSources(addresses["staking.core"])).to.equal(true);
+            expect(await treasury.allocations(1)).to.equal(2000n);
+
+            expect(real.fundingTargets().every((target) => ethers.isAddress(target.address))).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * @title Multicall batching - Test Suite
+ * @notice Export package view calls batched through a local Multicall3
+ */
+
+describe("Multicall", function () {
+    let multicall, multicallValues, createTreasuryClient, ProtocolError;
+    let owner, treasury, options;
+
+    before(async function () {
+        ({ multicall, multicallValues, createTreasuryClient, ProtocolError } = await import("../export/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const Multicall3 = await ethers.getContractFactory("Multicall3");
+        const multicall3 = await Multicall3.deploy();
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        const manager = await TreasuryManager.deploy();
+
+        treasury = createTreasuryClient(owner, { TreasuryManager: await manager.getAddress() });
+        options = { multicallAddress: await multicall3.getAddress() };
+    });
+
+    it("decodes each call like the Contract method would", async function () {
+        const [stats, allocation, owned] = await multicallValues(owner, [
+            { contract: treasury, method: "getStats" },
+            { contract: treasury, method: "allocations", args: [1] },
+            { contract: treasury, method: "owner" },
+        ], options);
+
+        expect(stats.autoDistEnabled).to.equal((await treasury.getStats()).autoDistEnabled);
+        expect(allocation).to.equal(await treasury.allocations(1));
+        expect(owned).to.equal(owner.address);
+    });
+
+    it("keeps a reverting call from failing the others", async function () {
+        const results = await multicall(owner, {
+            balance: { contract: treasury, method: "getBalance" },
+            trigger: { contract: treasury, method: "triggerDistribution" },
+        }, options);
+
+        expect(results.balance).to.deep.equal({ success: true, value: 0n, error: null });
+        expect(results.trigger.success).to.equal(false);
+        expect(results.trigger.error).to.be.instanceOf(ProtocolError);
+        expect(results.trigger.error.message).to.equal("No deposits yet");
+
+        const error = await multicallValues(owner, [{ contract: treasury, method: "triggerDistribution" }], options)
+            .catch((e) => e);
+        expect(error).to.be.instanceOf(ProtocolError);
+    });
+
+    it("splits calls into batches of batchSize", async function () {
+        let requests = 0;
+        const runner = {
+            provider: ethers.provider,
+            call: (tx) => {
+                requests++;
+                return ethers.provider.call(tx);
+            },
+        };
+
+        const calls = [0, 1, 2, 3, 4].map((i) => ({ contract: treasury, method: "allocations", args: [i] }));
+        const values = await multicallValues(runner, calls, { ...options, batchSize: 2 });
+
+        expect(values).to.have.lengthOf(5);
+        expect(requests).to.equal(3);
+    });
+});
@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ProtocolDoctor = require("../scripts/utils/ProtocolDoctor.cjs");
+const { ref, call } = require("../scripts/utils/ManifestRefs.cjs");
+
+/**
+ * @title ProtocolDoctor - Test Suite
+ * @notice Wiring checks against a deployed TreasuryManager: pointers, fix transactions and allocations
+ */
+
+describe("ProtocolDoctor", function () {
+    const manifest = {
+        contracts: {
+            "treasury.manager": {
+                contract: "TreasuryManager",
+                wire: [call("authorizeSource", ref("treasury.source")).checks("authorizedSources")],
+            },
+            "treasury.source": { contract: "TreasuryManager" },
+        },
+    };
+
+    let owner, treasury, addresses;
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        treasury = await TreasuryManager.deploy();
+        const source = await TreasuryManager.deploy();
+        addresses = {
+            "treasury.manager": await treasury.getAddress(),
+            "treasury.source": await source.getAddress(),
+        };
+    });
+
+    function doctorFor(overrides = {}) {
+        return new ProtocolDoctor(manifest, { addresses: { ...addresses, ...overrides }, deployer: owner.address, checks: {} });
+    }
+
+    it("reports missing wiring with a fix transaction that resolves it", async function () {
+        const report = await doctorFor().run();
+
+        expect(report.ok).to.equal(false);
+        const mismatch = report.results.find((r) => r.status === "mismatch");
+        expect(mismatch.check).to.equal("authorizeSource(treasury.source)");
+        expect(report.fixes).to.have.lengthOf(1);
+        expect(report.fixes[0]).to.include({ to: addresses["treasury.manager"], method: "authorizeSource" });
+
+        await (await owner.sendTransaction({ to: report.fixes[0].to, data: report.fixes[0].data })).wait();
+
+        const after = await doctorFor().run();
+        expect(after.ok).to.equal(true);
+        expect(after.fixes).to.be.empty;
+    });
+
+    it("flags addresses without bytecode and unresolved refs", async function () {
+        const report = await doctorFor({ "treasury.source": ethers.Wallet.createRandom().address }).run();
+
+        const bytecode = report.results.find((r) => r.id === "treasury.source" && r.check === "bytecode");
+        expect(bytecode.status).to.equal("missing");
+
+        const { "treasury.source": _, ...partial } = addresses;
+        const unresolved = await new ProtocolDoctor(manifest, { addresses: partial, deployer: owner.address, checks: {} }).run();
+        expect(unresolved.results.find((r) => r.check.startsWith("authorizeSource")).status).to.equal("missing");
+    });
+
+    it("checks that TreasuryManager allocations add up to 100%", async function () {
+        expect((await doctorFor().checkAllocations())[0].status).to.equal("ok");
+
+        await (await treasury.setAllocation(0, 1000)).wait();
+
+        const [allocation] = await doctorFor().checkAllocations();
+        expect(allocation.status).to.equal("mismatch");
+        expect(allocation.actual).to.equal(8000n);
+        expect(ProtocolDoctor.format({ results: [allocation] })).to.include("expected 10000, on-chain 8000");
+    });
+});
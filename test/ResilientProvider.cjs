@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const http = require("http");
+
+/**
+ * @title ResilientProvider - Test Suite
+ * @notice RPC failover, retry with backoff and chainId checks against stub JSON-RPC servers
+ */
+
+describe("ResilientProvider", function () {
+    let providers;
+    const servers = [];
+
+    before(async function () {
+        providers = await import("../export/providers/index.js");
+    });
+
+    afterEach(async function () {
+        await Promise.all(servers.splice(0).map((server) => new Promise((resolve) => server.close(resolve))));
+    });
+
+    // Stub JSON-RPC endpoint: `handler(request)` returns { status, headers, body } or a result value
+    async function stubRpc(chainId, handler = () => null) {
+        const stub = { requests: [] };
+        const server = http.createServer((req, res) => {
+            let raw = "";
+            req.on("data", (chunk) => { raw += chunk; });
+            req.on("end", () => {
+                const payload = JSON.parse(raw);
+                const requests = Array.isArray(payload) ? payload : [payload];
+                stub.requests.push(...requests.map(({ method }) => method));
+
+                const reply = requests.map((request) => {
+                    if (request.method === "eth_chainId") return { jsonrpc: "2.0", id: request.id, result: `0x${chainId.toString(16)}` };
+                    const outcome = handler(request);
+                    if (outcome && outcome.status) return outcome;
+                    return { jsonrpc: "2.0", id: request.id, result: outcome };
+                });
+
+                const failure = reply.find((entry) => entry.status);
+                if (failure) {
+                    res.writeHead(failure.status, failure.headers ?? {});
+                    return res.end(failure.body ?? "");
+                }
+                res.writeHead(200, { "content-type": "application/json" });
+                res.end(JSON.stringify(Array.isArray(payload) ? reply : reply[0]));
+            });
+        });
+
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        servers.push(server);
+        stub.url = `http://127.0.0.1:${server.address().port}`;
+        return stub;
+    }
+
+    function createProvider(urls, chainId, options = {}) {
+        const delays = [];
+        const provider = new providers.ResilientProvider(urls, chainId, {
+            batchMaxCount: 1,
+            random: () => 0.5,
+            sleep: async (ms) => { delays.push(ms); },
+            ...options,
+        });
+        return { provider, delays };
+    }
+
+    it("moves to the next endpoint on 429 and 5xx, backing off in between", async function () {
+        const limited = await stubRpc(137, () => ({ status: 429, headers: { "retry-after": "1" } }));
+        const broken = await stubRpc(137, () => ({ status: 503 }));
+        const healthy = await stubRpc(137, () => "0x2a");
+
+        const { provider, delays } = createProvider([limited.url, broken.url, healthy.url], 137, { baseDelay: 100 });
+
+        expect(await provider.getBlockNumber()).to.equal(42);
+        // Retry-After (1s) beats the first backoff; then 200ms * 0.75 jitter
+        expect(delays).to.deep.equal([1000, 150]);
+        expect(provider.activeEndpoint).to.equal(healthy.url);
+
+        // Sticks to the endpoint that answered
+        await provider.getBlockNumber();
+        expect(limited.requests.filter((method) => method === "eth_blockNumber")).to.have.length(1);
+    });
+
+    it("drops an endpoint whose chainId does not match", async function () {
+        const amoy = await stubRpc(80002, () => "0x1");
+        const polygon = await stubRpc(137, () => "0x2");
+
+        const { provider, delays } = createProvider([amoy.url, polygon.url], 137);
+
+        expect(await provider.getBlockNumber()).to.equal(2);
+        expect(amoy.requests).to.deep.equal(["eth_chainId"]);
+        expect(provider.endpoints[0].disabled).to.equal(true);
+        expect(delays).to.deep.equal([]);
+    });
+
+    it("gives up after maxAttempts with every failure", async function () {
+        const down = await stubRpc(137, () => ({ status: 502 }));
+
+        const { provider, delays } = createProvider([down.url, "http://127.0.0.1:1"], 137, { maxAttempts: 3 });
+
+        const error = await provider.getBlockNumber().then(() => null, (err) => err);
+        expect(error).to.be.instanceOf(providers.RpcUnavailableError);
+        expect(error.failures).to.have.length(3);
+        expect(error.failures[0].status).to.equal(502);
+        expect(delays).to.have.length(2);
+    });
+
+    it("drops an endpoint that answers with another HTTP error", async function () {
+        const revoked = await stubRpc(137, () => ({ status: 401 }));
+        const healthy = await stubRpc(137, () => "0x1");
+
+        const { provider, delays } = createProvider([revoked.url, healthy.url], 137);
+
+        expect(await provider.getBlockNumber()).to.equal(1);
+        expect(provider.endpoints[0].disabled).to.equal(true);
+        expect(provider.activeEndpoint).to.equal(healthy.url);
+        expect(delays).to.deep.equal([]);
+
+        await provider.getBlockNumber();
+        expect(revoked.requests.filter((method) => method === "eth_blockNumber")).to.have.length(1);
+    });
+
+    it("fails with every endpoint's HTTP error once all are dropped", async function () {
+        const missing = await stubRpc(137, () => ({ status: 404 }));
+        const forbidden = await stubRpc(137, () => ({ status: 403 }));
+
+        const { provider } = createProvider([missing.url, forbidden.url], 137);
+
+        const error = await provider.getBlockNumber().then(() => null, (err) => err);
+        expect(error).to.be.instanceOf(providers.RpcUnavailableError);
+        expect(error.failures.map((failure) => failure.status)).to.deep.equal([404, 403]);
+    });
+
+    it("returns a JSON-RPC error from a healthy endpoint without failing over", async function () {
+        const reverting = await stubRpc(137, (request) => ({
+            status: 200,
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({ jsonrpc: "2.0", id: request.id, error: { code: -32000, message: "execution reverted" } }),
+        }));
+        const healthy = await stubRpc(137, () => "0x1");
+
+        const { provider } = createProvider([reverting.url, healthy.url], 137);
+
+        const error = await provider.getBlockNumber().then(() => null, (err) => err);
+        expect(error).to.not.be.instanceOf(providers.RpcUnavailableError);
+        expect(error.message).to.include("execution reverted");
+        expect(healthy.requests).to.deep.equal([]);
+    });
+
+    it("treats a JSON-RPC rate limit error as retryable", async function () {
+        let calls = 0;
+        const flaky = await stubRpc(137, (request) => (calls++ === 0
+            ? { status: 200, headers: { "content-type": "application/json" }, body: JSON.stringify({ jsonrpc: "2.0", id: request.id, error: { code: -32005, message: "limit exceeded" } }) }
+            : "0x7"));
+
+        const { provider, delays } = createProvider([flaky.url], 137);
+
+        expect(await provider.getBlockNumber()).to.equal(7);
+        expect(delays).to.have.length(1);
+    });
+
+    it("fills endpoint keys from the environment and keeps them out of labels", function () {
+        const env = { VITE_ALCHEMY_API_KEY: "secret", RPC_URLS_137: "https://rpc.example.org/key123" };
+        const endpoints = providers.resolveRpcUrls(137, { env });
+
+        expect(endpoints.map(({ url }) => url)).to.deep.equal([
+            "https://rpc.example.org/key123",
+            "https://polygon-mainnet.g.alchemy.com/v2/secret",
+            "https://polygon-rpc.com",
+            "https://polygon-bor-rpc.publicnode.com",
+        ]);
+        expect(endpoints.map(({ label }) => label).join(" ")).to.not.include("secret").and.not.include("key123");
+
+        // Without the key the Alchemy endpoint is skipped
+        expect(providers.resolveRpcUrls(80002, { env: {} }).map(({ url }) => url)).to.deep.equal(["https://rpc-amoy.polygon.technology"]);
+        expect(() => providers.resolveRpcUrls(1, { env: {} })).to.throw("No RPC endpoint for chainId 1");
+    });
+});
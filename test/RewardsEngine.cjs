@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+/**
+ * @title RewardsEngine - Test Suite
+ * @notice Off-chain SmartStakingRewards / DynamicAPYCalculator math (export/rewards)
+ * @dev Parity against the contracts lives in RewardsParity.cjs
+ */
+
+describe("RewardsEngine", function () {
+    const DAY = 86400n;
+    const YEAR = 365n * DAY;
+    const NOW = 1_800_000_000n;
+
+    let rewards, SkillType, Rarity;
+
+    before(async function () {
+        rewards = await import("../export/rewards/index.js");
+        ({ SkillType, Rarity } = await import("../export/config/index.js"));
+    });
+
+    it("accrues base APY plus boost linearly over time", function () {
+        const deposit = { amount: ethers.parseEther("1000"), lastClaimTime: NOW - YEAR, lockupIndex: 2 };
+        const params = { apyCurve: null };
+
+        // 1.93% + 5% for a full year
+        expect(rewards.calculateStakingRewards(deposit, 500n, params, NOW)).to.equal(ethers.parseEther("69.3"));
+        expect(rewards.calculateStakingRewards({ ...deposit, lastClaimTime: NOW }, 500n, params, NOW)).to.equal(0n);
+        expect(rewards.calculateStakingRewards({ ...deposit, lockupIndex: 5 }, 500n, params, NOW)).to.equal(0n);
+        expect(() => rewards.calculateStakingRewards({ ...deposit, lastClaimTime: NOW + 1n }, 0n, params, NOW))
+            .to.throw(rewards.RewardsMathError);
+    });
+
+    it("adds tier and loyalty bonuses at their thresholds", function () {
+        expect(rewards.getUserTier(ethers.parseEther("99.99"))).to.deep.equal({ name: "Bronze", bonusBps: 0n });
+        expect(rewards.getTierBonus(ethers.parseEther("100"))).to.equal(25n);
+        expect(rewards.getTierBonus(ethers.parseEther("1000"))).to.equal(75n);
+        expect(rewards.getTierBonus(ethers.parseEther("10000"))).to.equal(150n);
+
+        expect(rewards.getLoyaltyBonus(0n, NOW)).to.equal(0n);
+        expect(rewards.getLoyaltyBonus(NOW - 90n * DAY + 1n, NOW)).to.equal(0n);
+        expect(rewards.getLoyaltyBonus(NOW - 90n * DAY, NOW)).to.equal(25n);
+        expect(rewards.getLoyaltyBonus(NOW - 180n * DAY, NOW)).to.equal(50n);
+        expect(rewards.getLoyaltyBonus(NOW - 365n * DAY, NOW)).to.equal(100n);
+
+        const deposit = { amount: ethers.parseEther("1000"), lastClaimTime: NOW - YEAR, lockupIndex: 0 };
+        const withBonuses = rewards.calculateStakingRewardsWithBonuses(
+            deposit,
+            0n,
+            { totalDeposited: ethers.parseEther("1000"), stakingSince: NOW - YEAR },
+            { apyCurve: null },
+            NOW
+        );
+        // 0.86% + 0.75% + 1%
+        expect(withBonuses).to.equal(ethers.parseEther("26.1"));
+    });
+
+    it("follows the DynamicAPYCalculator curve and its bounds", function () {
+        const curve = rewards.DEFAULT_APY_CURVE;
+
+        expect(rewards.apyMultiplier(curve.targetTVL, curve)).to.equal(10000n);
+        expect(rewards.apyMultiplier(curve.targetTVL * 4n, { ...curve, enabled: false })).to.equal(10000n);
+        // Above target the contract's scaling always lands on the lower bound
+        expect(rewards.apyMultiplier(curve.targetTVL + 1n, curve)).to.equal(curve.minMultiplier);
+        expect(rewards.apyMultiplier(curve.targetTVL * 4n, { ...curve, minMultiplier: 1000n })).to.equal(1000n);
+
+        expect(rewards.dynamicAPY(255n, curve.targetTVL * 2n, curve)).to.equal(76n);
+        expect(() => rewards.dynamicAPY(255n, 1n, { ...curve, paused: true })).to.throw(rewards.RewardsMathError);
+
+        // No calculator or no TVL: the base APY applies untouched
+        expect(rewards.lockupAPY(4, { currentTVL: curve.targetTVL * 2n, apyCurve: null })).to.equal(255n);
+        expect(rewards.lockupAPY(4, { currentTVL: 0n })).to.equal(255n);
+        expect(rewards.lockupAPY(4, { currentTVL: curve.targetTVL * 2n })).to.equal(76n);
+
+        for (const x of [1n, 2n, 99n, 10n ** 18n, 2n ** 255n]) {
+            const root = rewards.sqrt(x);
+            expect(root * root <= x && (root + 1n) * (root + 1n) > x).to.equal(true);
+        }
+    });
+
+    it("caps power boosts like SmartStakingPower activation", function () {
+        const power = (powerType, rarity = Rarity.COMMON, effectValue = 0) => ({ powerType, rarity, effectValue });
+
+        expect(rewards.stakingBoostFromPowers([
+            power(SkillType.STAKE_BOOST_I),
+            power(SkillType.STAKE_BOOST_II, Rarity.EPIC),
+            power(SkillType.FEE_REDUCER_I)
+        ])).to.equal(375n + 2250n);
+
+        // A rejected activation neither adds nor takes a slot
+        expect(rewards.stakingBoostFromPowers([
+            power(SkillType.STAKE_BOOST_III, Rarity.RARE),
+            power(SkillType.STAKE_BOOST_I, Rarity.UNCOMMON),
+            power(SkillType.STAKE_BOOST_I, Rarity.COMMON, 750),
+            power(SkillType.NONE),
+            power(SkillType.LOCK_REDUCER),
+            power(SkillType.AUTO_COMPOUND),
+            power(SkillType.FEE_REDUCER_II),
+            power(SkillType.MODERATOR)
+        ])).to.equal(3000n + 562n);
+
+        expect(rewards.calculateBoostedAPY(1, 500n)).to.equal(646n);
+        expect(rewards.calculateBoostedAPY(9, 500n)).to.equal(0n);
+        expect(rewards.simulateAPY(ethers.parseEther("100"), 1, 500n, { apyCurve: null }))
+            .to.deep.equal({ effectiveAPY: 646n, annualRewards: ethers.parseEther("6.46") });
+    });
+
+    it("projects a position to a future timestamp with an expiring referral boost", function () {
+        const position = {
+            deposits: [
+                { amount: ethers.parseEther("100"), timestamp: NOW, lastClaimTime: NOW, lockupDuration: 0n },
+                { amount: ethers.parseEther("200"), timestamp: NOW, lastClaimTime: NOW, lockupDuration: 365n * DAY },
+                { amount: ethers.parseEther("300"), timestamp: NOW, lastClaimTime: NOW, lockupDuration: 12345n }
+            ],
+            stakingBoost: 375n,
+            referralBoostEndTime: NOW + 30n * DAY
+        };
+        const params = { apyCurve: null, referralBoostBps: 100n };
+
+        const during = rewards.projectRewards(position, params, NOW + 10n * DAY);
+        expect(during.boostBps).to.equal(475n);
+        expect(during.byDeposit.map((d) => d.lockupIndex)).to.deep.equal([0, 4, 0]);
+        expect(during.byDeposit[1].apyBps).to.equal(255n + 475n);
+
+        // The referral boost is not prorated: past its end the whole span loses it
+        const after = rewards.projectRewards(position, params, NOW + YEAR);
+        expect(after.boostBps).to.equal(375n);
+        const expected = after.byDeposit.map((d, i) => (position.deposits[i].amount * d.apyBps) / 10000n);
+        expect(after.byDeposit.map((d) => d.rewards)).to.deep.equal(expected);
+        expect(after.total).to.equal(expected.reduce((a, b) => a + b, 0n));
+    });
+});
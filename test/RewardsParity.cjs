@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * @title RewardsParity - Test Suite
+ * @notice Randomized parity between export/rewards and SmartStakingRewards,
+ *         DynamicAPYCalculator and SmartStakingPower on the local network
+ * @dev REWARDS_PARITY_SEED / REWARDS_PARITY_CASES reproduce or widen a run.
+ *      View calls at "latest" see the latest block's timestamp, which is the
+ *      `now` handed to the engine.
+ */
+
+describe("RewardsParity", function () {
+    const SEED = Number(process.env.REWARDS_PARITY_SEED || 0x5eed);
+    const CASES = Number(process.env.REWARDS_PARITY_CASES || 40);
+    const DAY = 86400;
+
+    let rewards, SkillType, Rarity, StakingService;
+
+    before(async function () {
+        rewards = await import("../export/rewards/index.js");
+        ({ StakingService } = await import("../export/clients/index.js"));
+        ({ SkillType, Rarity } = await import("../export/config/index.js"));
+    });
+
+    // mulberry32: small, seedable and good enough to spread inputs
+    function prng(seed) {
+        let state = seed >>> 0;
+        const next = () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const int = (max) => Math.floor(next() * (max + 1));
+        return {
+            int,
+            chance: (p) => next() < p,
+            pick: (values) => values[int(values.length - 1)],
+            // Uniform in digits rather than in value, so small and huge amounts both show up
+            bigint: (maxDigits) => BigInt(Array.from({ length: 1 + int(maxDigits - 1) }, () => int(9)).join(""))
+        };
+    }
+
+    function context(title, index) {
+        return `${title} (seed ${SEED}, case ${index})`;
+    }
+
+    async function deployModules() {
+        const [owner, user] = await ethers.getSigners();
+
+        const stakingRewards = await (await ethers.getContractFactory("SmartStakingRewards")).deploy();
+        const calculator = await (await ethers.getContractFactory("DynamicAPYCalculator")).deploy();
+        const power = await (await ethers.getContractFactory("SmartStakingPower")).deploy();
+        // The owner stands in for the marketplace so it can activate powers directly
+        await power.setMarketplaceContract(owner.address);
+
+        return { owner, user, stakingRewards, calculator, power };
+    }
+
+    async function readCurve(calculator) {
+        const [enabled, paused, targetTVL, minMultiplier, maxMultiplier] = await Promise.all([
+            calculator.dynamicAPYEnabled(),
+            calculator.paused(),
+            calculator.targetTVL(),
+            calculator.minAPYMultiplier(),
+            calculator.maxAPYMultiplier()
+        ]);
+        return { enabled, paused, targetTVL, minMultiplier, maxMultiplier };
+    }
+
+    function randomTVL(random, targetTVL) {
+        return random.pick([
+            0n,
+            1n,
+            targetTVL - 1n,
+            targetTVL,
+            targetTVL + 1n,
+            targetTVL * BigInt(2 + random.int(1000)),
+            random.bigint(33)
+        ]);
+    }
+
+    it("matches DynamicAPYCalculator over random TVLs and bounds", async function () {
+        const { calculator } = await loadFixture(deployModules);
+        const random = prng(SEED);
+
+        for (let i = 0; i < CASES; i++) {
+            if (random.chance(0.5)) {
+                const min = 1000 + random.int(8000);
+                const max = min + 1000 + random.int(9000 - min);
+                await calculator.setAPYMultiplierBounds(min, max);
+            }
+            if (random.chance(0.15)) {
+                await calculator.setDynamicAPYEnabled(!(await calculator.dynamicAPYEnabled()));
+            }
+
+            const curve = await readCurve(calculator);
+            const tvl = randomTVL(random, curve.targetTVL);
+            const baseAPY = BigInt(random.int(10000));
+
+            expect(await calculator.getCurrentMultiplier(tvl), context("multiplier", i))
+                .to.equal(rewards.apyMultiplier(tvl, curve));
+            expect(await calculator.calculateDynamicAPY(baseAPY, tvl), context("dynamic APY", i))
+                .to.equal(rewards.dynamicAPY(baseAPY, tvl, curve));
+        }
+    });
+
+    it("matches calculateStakingRewards and the tier / loyalty bonuses", async function () {
+        const { user, stakingRewards, calculator } = await loadFixture(deployModules);
+        const random = prng(SEED + 1);
+        let apyCurve = null;
+
+        for (let i = 0; i < CASES; i++) {
+            // Second half runs through the dynamic curve
+            if (i === Math.floor(CASES / 2)) {
+                await stakingRewards.setAPYCalculator(await calculator.getAddress());
+                apyCurve = await readCurve(calculator);
+            }
+            if (random.chance(0.3)) {
+                await stakingRewards.updateBaseAPY(random.int(4), random.int(10000));
+            }
+            const currentTVL = random.chance(0.2) ? 0n : randomTVL(random, rewards.DEFAULT_APY_CURVE.targetTVL);
+            await stakingRewards.updateCurrentTVL(currentTVL);
+
+            await time.increase(1 + random.int(30 * DAY));
+            const now = BigInt(await time.latest());
+
+            const stakingSince = random.chance(0.2) ? 0n : now - BigInt(random.int(400 * DAY));
+            await stakingRewards.recordStakingSince(user.address, stakingSince);
+            // recordStakingSince mined a block; read everything at that one
+            const at = BigInt(await time.latest());
+
+            const params = { baseAPYs: [...(await stakingRewards.getBaseAPYs())], currentTVL, apyCurve };
+            const deposit = {
+                amount: random.bigint(25),
+                lastClaimTime: at - BigInt(random.int(2 * 365 * DAY)),
+                lockupIndex: random.int(5)
+            };
+            const boost = BigInt(random.chance(0.8) ? random.int(3750) : random.int(65535));
+            const totalDeposited = random.bigint(23);
+
+            expect(
+                await stakingRewards.calculateStakingRewards(deposit.amount, 0, deposit.lastClaimTime, deposit.lockupIndex, boost),
+                context("calculateStakingRewards", i)
+            ).to.equal(rewards.calculateStakingRewards(deposit, boost, params, at));
+
+            expect(
+                await stakingRewards.calculateStakingRewardsWithBonuses(
+                    deposit.amount, deposit.lastClaimTime, deposit.lockupIndex, boost, totalDeposited, user.address
+                ),
+                context("calculateStakingRewardsWithBonuses", i)
+            ).to.equal(rewards.calculateStakingRewardsWithBonuses(deposit, boost, { totalDeposited, stakingSince }, params, at));
+
+            expect(await stakingRewards.getTierBonus(totalDeposited), context("tier", i))
+                .to.equal(rewards.getTierBonus(totalDeposited));
+            expect(await stakingRewards.getLoyaltyBonus(user.address), context("loyalty", i))
+                .to.equal(rewards.getLoyaltyBonus(stakingSince, at));
+            expect(await stakingRewards.calculateBoostedAPY(deposit.lockupIndex, boost), context("boosted APY", i))
+                .to.equal(rewards.calculateBoostedAPY(deposit.lockupIndex, boost, params));
+        }
+    });
+
+    it("matches the staking boost SmartStakingPower keeps for random activations", async function () {
+        const { stakingRewards, power } = await loadFixture(deployModules);
+        const random = prng(SEED + 2);
+        const signers = await ethers.getSigners();
+        const skills = Object.values(SkillType).filter((type) => typeof type === "number" && type !== SkillType.NONE);
+        const rarities = Object.values(Rarity).filter((rarity) => typeof rarity === "number");
+
+        await stakingRewards.setPowerModule(await power.getAddress());
+        let nftId = 1;
+
+        for (let i = 0; i < Math.min(CASES, signers.length - 1); i++) {
+            const user = signers[i + 1];
+            const activated = [];
+
+            for (let n = 0; n < 1 + random.int(7); n++) {
+                const entry = {
+                    powerType: random.pick(skills),
+                    rarity: random.pick(rarities),
+                    effectValue: random.chance(0.5) ? 0 : random.int(3000)
+                };
+                await power.setPowerRarity(nftId, entry.rarity);
+                // Past MAX_ACTIVE_POWERS the contract reverts; the engine stops counting there too
+                await power.notifyPowerActivation(user.address, nftId, entry.powerType, entry.effectValue)
+                    .catch((error) => expect(error.message).to.include("Max powers reached"));
+                activated.push(entry);
+                nftId++;
+            }
+
+            const [stakingBoost] = await power.getUserBoosts(user.address);
+            expect(stakingBoost, context("staking boost", i)).to.equal(rewards.stakingBoostFromPowers(activated));
+
+            const lockupIndex = random.int(4);
+            const amount = random.bigint(24);
+            const params = { baseAPYs: [...(await stakingRewards.getBaseAPYs())], apyCurve: null };
+            const [effectiveAPY, annualRewards] = await stakingRewards.simulateAPY(amount, lockupIndex, user.address);
+            expect({ effectiveAPY, annualRewards }, context("simulateAPY", i))
+                .to.deep.equal(rewards.simulateAPY(amount, lockupIndex, stakingBoost, params));
+        }
+    });
+
+    it("projects SmartStakingCore.calculateRewards to a future timestamp", async function () {
+        const { owner, user, stakingRewards, calculator, power } = await loadFixture(deployModules);
+        const [, , treasury] = await ethers.getSigners();
+        const random = prng(SEED + 3);
+
+        const skillViewLib = await (await ethers.getContractFactory("SkillViewLib")).deploy();
+        const coreLib = await (await ethers.getContractFactory("SmartStakingCoreLib")).deploy();
+        const CoreFactory = await ethers.getContractFactory("SmartStakingCore", {
+            libraries: {
+                SkillViewLib: await skillViewLib.getAddress(),
+                SmartStakingCoreLib: await coreLib.getAddress()
+            }
+        });
+        const core = await upgrades.deployProxy(CoreFactory, [treasury.address], {
+            initializer: "initialize",
+            unsafeAllowLinkedLibraries: true,
+            kind: "uups"
+        });
+        await core.waitForDeployment();
+        const coreAddr = await core.getAddress();
+
+        await core.setRewardsModule(await stakingRewards.getAddress());
+        await core.setPowerModule(await power.getAddress());
+        await power.setCoreStakingContract(coreAddr);
+        await stakingRewards.setCoreContract(coreAddr);
+        await stakingRewards.setAPYCalculator(await calculator.getAddress());
+        await power.setPowerRarity(1, Rarity.RARE);
+        await power.notifyPowerActivation(user.address, 1, SkillType.STAKE_BOOST_II, 0);
+        await owner.sendTransaction({ to: coreAddr, value: ethers.parseEther("100") });
+
+        const service = new StakingService(user, {
+            StakingCore: coreAddr,
+            StakingViewCore: ethers.ZeroAddress,
+            StakingViewStats: ethers.ZeroAddress,
+            StakingViewSkills: ethers.ZeroAddress
+        });
+
+        for (let i = 0; i < 3 + random.int(2); i++) {
+            await (await service.depositWithLockup(ethers.parseEther(String(10 + random.int(490))), random.int(4))).wait();
+            await time.increase(1 + random.int(20 * DAY));
+        }
+
+        for (let i = 0; i < 4; i++) {
+            const at = BigInt(await time.latest()) + BigInt(1 + random.int(120 * DAY));
+            const projection = await service.projectRewards(user.address, at);
+
+            await time.increaseTo(at);
+            expect(await core.calculateRewards(user.address), context("calculateRewards", i)).to.equal(projection.total);
+        }
+    });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const SafeBatch = require("../scripts/utils/SafeBatch.cjs");
+
+/**
+ * @title SafeBatch - Test Suite
+ * @notice Admin calls written as a Safe Transaction Builder batch instead of being sent
+ */
+
+describe("SafeBatch", function () {
+    const SAFE = "0x000000000000000000000000000000000000dEaD";
+    const TARGET = "0x1111111111111111111111111111111111111111";
+    let treasury, game, batch;
+
+    before(async function () {
+        const { TreasuryManager } = await import("../export/abis/contracts/TreasuryManager.js");
+        const { NuxTapGame } = await import("../export/abis/contracts/NuxTapGame.js");
+        treasury = new ethers.Contract(TARGET, TreasuryManager);
+        game = new ethers.Contract(TARGET, NuxTapGame);
+    });
+
+    beforeEach(function () {
+        batch = new SafeBatch({ chainId: 137n, name: "configure", safeAddress: SAFE.toLowerCase() });
+    });
+
+    it("records to, value, calldata and the decoded method", function () {
+        const tx = batch.add(treasury, "setAllocation", [1, 3000]);
+
+        expect(tx.to).to.equal(TARGET);
+        expect(tx.value).to.equal("0");
+        expect(tx.data).to.equal(treasury.interface.encodeFunctionData("setAllocation", [1, 3000]));
+        expect(tx.contractMethod.name).to.equal("setAllocation");
+        expect(tx.contractMethod.payable).to.equal(false);
+        expect(Object.values(tx.contractInputsValues)).to.deep.equal(["1", "3000"]);
+    });
+
+    it("formats struct arrays as JSON the Transaction Builder can parse", function () {
+        const levels = [
+            { scoreRequired: 0, dailyTapCap: 5000, rewardMultiplierBps: 10000 },
+            { scoreRequired: 1000, dailyTapCap: 7500, rewardMultiplierBps: 10500 },
+        ];
+        const tx = batch.add(game, "replaceLevelConfigs", [levels]);
+
+        const [param] = tx.contractMethod.inputs;
+        expect(param.type).to.equal("tuple[]");
+        expect(param.components.map((c) => c.name)).to.deep.equal(["scoreRequired", "dailyTapCap", "rewardMultiplierBps"]);
+
+        const [value] = Object.values(tx.contractInputsValues);
+        const decoded = JSON.parse(value);
+        expect(decoded).to.deep.equal([["0", "5000", "10000"], ["1000", "7500", "10500"]]);
+        // What the Safe imports encodes to the same calldata
+        expect(game.interface.encodeFunctionData("replaceLevelConfigs", [decoded])).to.equal(tx.data);
+    });
+
+    it("writes a Transaction Builder file with a checksum", function () {
+        batch.add(treasury, "setAllocation", [1, 3000]);
+        batch.addTransfer(TARGET, ethers.parseEther("2"));
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nuxchain-safe-"));
+        try {
+            const file = batch.save("polygon", { dir });
+            const written = JSON.parse(fs.readFileSync(file, "utf8"));
+
+            expect(path.basename(file)).to.equal("configure.json");
+            expect(written.chainId).to.equal("137");
+            expect(written.meta.createdFromSafeAddress).to.equal(SAFE);
+            expect(written.transactions[1]).to.include({ to: TARGET, value: "2000000000000000000", data: "0x", contractMethod: null });
+
+            const { checksum, ...meta } = written.meta;
+            expect(SafeBatch.checksum({ ...written, meta })).to.equal(checksum);
+            // meta.name is not part of the checksum
+            expect(SafeBatch.checksum({ ...written, meta: { ...meta, name: "renamed" } })).to.equal(checksum);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("is only enabled with SAFE_BATCH=true", async function () {
+        const provider = { getNetwork: async () => ({ chainId: 80002n }) };
+
+        expect(await SafeBatch.fromEnv(provider, { name: "fund", env: {} })).to.equal(null);
+        const enabled = await SafeBatch.fromEnv(provider, { name: "fund", env: { SAFE_BATCH: "true", SAFE_ADDRESS: SAFE } });
+        expect(enabled.chainId).to.equal("80002");
+        expect(enabled.safeAddress).to.equal(SAFE);
+        expect(enabled.save("polygonAmoy")).to.equal(null);
+    });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { id } = require("ethers");
+
+const SolidityTypes = require("../scripts/utils/SolidityTypes.cjs");
+
+/**
+ * @title SolidityTypes - Test Suite
+ * @notice Enums, structs and public constants extracted from the compiler AST
+ */
+
+describe("SolidityTypes", function () {
+    const elementary = (name) => ({ nodeType: "ElementaryTypeName", name });
+    const userDefined = (name) => ({ nodeType: "UserDefinedTypeName", pathNode: { name } });
+    const literal = (value, extra = {}) => ({ nodeType: "Literal", kind: "number", value, ...extra });
+    const constant = (name, type, value, visibility = "public") => ({
+        nodeType: "VariableDeclaration", name, constant: true, visibility, typeName: elementary(type), value,
+    });
+
+    // interface IStore { enum ItemKind { NONE, BOOSTER } }
+    // contract Store is IStore { struct Item { ItemKind kind; uint256 price; address[] owners; } ... }
+    const asts = {
+        "contracts/interfaces/IStore.sol": {
+            nodes: [{
+                nodeType: "ContractDefinition", name: "IStore", contractKind: "interface", baseContracts: [],
+                nodes: [{ nodeType: "EnumDefinition", name: "ItemKind", members: [{ name: "NONE" }, { name: "BOOSTER" }] }],
+            }],
+        },
+        "contracts/Store.sol": {
+            nodes: [{
+                nodeType: "ContractDefinition", name: "Store", contractKind: "contract",
+                baseContracts: [{ baseName: { name: "IStore" } }],
+                nodes: [
+                    {
+                        nodeType: "StructDefinition", name: "Item", members: [
+                            { name: "kind", typeName: userDefined("ItemKind") },
+                            { name: "price", typeName: elementary("uint256") },
+                            { name: "owners", typeName: { nodeType: "ArrayTypeName", baseType: elementary("address") } },
+                        ],
+                    },
+                    constant("GAME_ROLE", "bytes32", {
+                        nodeType: "FunctionCall",
+                        expression: { nodeType: "Identifier", name: "keccak256" },
+                        arguments: [{ nodeType: "Literal", kind: "string", value: "GAME_ROLE" }],
+                    }),
+                    constant("REWARD_PER_TAP", "uint256", literal("0.00001", { subdenomination: "ether" })),
+                    constant("WINDOW", "uint256", {
+                        nodeType: "BinaryOperation", operator: "*",
+                        leftExpression: literal("7"), rightExpression: literal("1", { subdenomination: "days" }),
+                    }),
+                    constant("MAX_SUPPLY", "uint256", literal("1_000_000e18")),
+                    constant("HALF", "uint256", literal("5000"), "private"),
+                ],
+            }],
+        },
+        "contracts/test/MockStore.sol": {
+            nodes: [{
+                nodeType: "ContractDefinition", name: "MockStore", contractKind: "contract", baseContracts: [],
+                nodes: [constant("MOCK", "uint256", literal("1"))],
+            }],
+        },
+    };
+    const selection = { enums: { StoreItemKind: "IStore.ItemKind" }, structs: { StoreItem: "Store.Item" } };
+
+    it("resolves enums and struct fields through base contracts", function () {
+        const model = new SolidityTypes(asts).generate(selection, (name, source) => !source.startsWith("contracts/test/"));
+
+        expect(model.enums).to.deep.equal({ StoreItemKind: { source: "IStore.ItemKind", members: ["NONE", "BOOSTER"] } });
+        expect(model.structs.StoreItem.members).to.deep.equal([
+            { name: "kind", type: "ItemKind", ts: "bigint", enum: "StoreItemKind" },
+            { name: "price", type: "uint256", ts: "bigint" },
+            { name: "owners", type: "address[]", ts: "string[]" },
+        ]);
+        expect(model.constants).to.deep.equal({
+            Store: {
+                GAME_ROLE: id("GAME_ROLE"),
+                REWARD_PER_TAP: 10_000_000_000_000,
+                WINDOW: 604800,
+                MAX_SUPPLY: 10n ** 24n,
+            },
+        });
+    });
+
+    it("refuses structs that reference an unselected struct", function () {
+        const nested = JSON.parse(JSON.stringify(asts));
+        nested["contracts/Store.sol"].nodes[0].nodes.push({
+            nodeType: "StructDefinition", name: "Bundle", members: [{ name: "item", typeName: userDefined("Item") }],
+        });
+        expect(() => new SolidityTypes(nested).generate({ structs: { Bundle: "Store.Bundle" } }))
+            .to.throw("Store.Bundle.item uses struct Store.Item; add it to the struct selection");
+    });
+
+    it("emits JS and TS modules and reports label maps missing members", function () {
+        const model = new SolidityTypes(asts).generate(selection);
+
+        expect(SolidityTypes.toJs(model)).to.include("export const StoreItemKind = Object.freeze({\n  NONE: 0,\n  BOOSTER: 1\n});");
+        const ts = SolidityTypes.toTs(model);
+        expect(ts).to.include("export enum StoreItemKind {\n  NONE = 0,\n  BOOSTER = 1\n}");
+        expect(ts).to.include("  kind: bigint; // ItemKind → StoreItemKind\n");
+        expect(ts).to.include("    MAX_SUPPLY: 1000000000000000000000000n");
+        expect(JSON.parse(SolidityTypes.toJson(model)).constants.Store.MAX_SUPPLY).to.equal("1000000000000000000000000");
+
+        expect(SolidityTypes.missingLabels(model.enums, { ITEM_NAMES: { enum: "StoreItemKind", labels: { 0: "None" } } }))
+            .to.deep.equal([{ map: "ITEM_NAMES", enum: "StoreItemKind", member: "BOOSTER" }]);
+    });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * @title StakingService - Test Suite
+ * @notice Runs the export package staking SDK against a local SmartStaking deployment
+ */
+
+describe("StakingService", function () {
+    let StakingService, StakingError, LOCKUP_PERIODS;
+
+    before(async function () {
+        ({ StakingService, StakingError, LOCKUP_PERIODS } = await import("../export/index.js"));
+    });
+
+    async function deployStaking() {
+        const [owner, treasury, user] = await ethers.getSigners();
+
+        const rewards = await (await ethers.getContractFactory("SmartStakingRewards")).deploy();
+        const power = await (await ethers.getContractFactory("SmartStakingPower")).deploy();
+        const skillViewLib = await (await ethers.getContractFactory("SkillViewLib")).deploy();
+        const coreLib = await (await ethers.getContractFactory("SmartStakingCoreLib")).deploy();
+
+        const CoreFactory = await ethers.getContractFactory("SmartStakingCore", {
+            libraries: {
+                SkillViewLib: await skillViewLib.getAddress(),
+                SmartStakingCoreLib: await coreLib.getAddress()
+            }
+        });
+        const core = await upgrades.deployProxy(CoreFactory, [treasury.address], {
+            initializer: "initialize",
+            unsafeAllowLinkedLibraries: true,
+            kind: "uups"
+        });
+        await core.waitForDeployment();
+        const coreAddr = await core.getAddress();
+
+        await core.setRewardsModule(await rewards.getAddress());
+        await core.setPowerModule(await power.getAddress());
+        await power.setCoreStakingContract(coreAddr);
+
+        const viewCore = await (await ethers.getContractFactory("SmartStakingViewCore")).deploy(coreAddr);
+
+        // Reward liquidity on top of the deposits
+        await owner.sendTransaction({ to: coreAddr, value: ethers.parseEther("100") });
+
+        const service = new StakingService(user, {
+            StakingCore: coreAddr,
+            StakingViewCore: await viewCore.getAddress(),
+            StakingViewStats: ethers.ZeroAddress,
+            StakingViewSkills: ethers.ZeroAddress
+        });
+
+        return { core, service, user };
+    }
+
+    it("normalizes deposits with LOCKUP_PERIODS", async function () {
+        const { service, user } = await loadFixture(deployStaking);
+
+        await (await service.depositWithLockup(ethers.parseEther("20"), 0)).wait();
+        await (await service.depositWithLockup(ethers.parseEther("30"), 2)).wait();
+
+        const position = await service.getPosition(user.address);
+
+        expect(position.deposits.map((d) => d.lockup)).to.deep.equal([LOCKUP_PERIODS[0], LOCKUP_PERIODS[2]]);
+        expect(position.deposits[1].isLocked).to.equal(true);
+        expect(position.deposits[1].unlockTime - position.deposits[1].depositedAt).to.equal(90 * 86400);
+        expect(position.withdrawableIndices).to.deep.equal([0]);
+        expect(position.lockedBalance).to.equal(position.deposits[1].amount);
+    });
+
+    it("previews the payout of a flexible withdrawal", async function () {
+        const { core, service, user } = await loadFixture(deployStaking);
+
+        await (await service.depositWithLockup(ethers.parseEther("100"), 0)).wait();
+        await time.increase(2 * 86400);
+
+        const preview = await service.previewWithdraw(0);
+        expect(preview.canWithdraw).to.equal(true);
+        expect(preview.earlyExitFee).to.equal(preview.principal * 50n / 10000n);
+        expect(preview.rewardsCommission).to.equal(preview.grossRewards * 600n / 10000n);
+
+        const receipt = await (await service.withdrawByIndex(0)).wait();
+        const [event] = await core.queryFilter(core.filters.WithdrawnByIndex(user.address), receipt.blockNumber);
+        expect(event.args.principal).to.equal(preview.principal);
+        // One more second of rewards accrues before the withdrawal is mined
+        expect(event.args.rewards).to.be.closeTo(preview.netRewards, ethers.parseEther("0.001"));
+    });
+
+    it("reports locked deposits and turns reverts into StakingError", async function () {
+        const { service } = await loadFixture(deployStaking);
+
+        await (await service.depositWithLockup(ethers.parseEther("20"), 1)).wait();
+
+        const preview = await service.previewWithdraw(0);
+        expect(preview.canWithdraw).to.equal(false);
+        expect(preview.blockedBy).to.equal("FundsAreLocked");
+
+        const error = await service.withdrawByIndex(0).catch((e) => e);
+        expect(error).to.be.instanceOf(StakingError);
+        expect(error.code).to.equal("FundsAreLocked");
+
+        const missing = await service.previewWithdraw(5).catch((e) => e);
+        expect(missing.code).to.equal("NoDepositsFound");
+    });
+
+    it("migrates flexible deposits and withdraws batches highest index first", async function () {
+        const { service, user } = await loadFixture(deployStaking);
+
+        for (const amount of ["10", "11", "12"]) {
+            await (await service.depositWithLockup(ethers.parseEther(amount), 0)).wait();
+        }
+        await (await service.migrateLockup(1, 1)).wait();
+
+        const migrated = await service.getPosition(user.address);
+        expect(migrated.deposits[1].lockup.days).to.equal(30);
+
+        await (await service.withdrawBatch([0, 2])).wait();
+
+        const position = await service.getPosition(user.address);
+        expect(position.deposits.map((d) => d.amount)).to.deep.equal([ethers.parseEther("11") * 94n / 100n]);
+    });
+
+    it("splits claimable rewards by deposit", async function () {
+        const { service, user } = await loadFixture(deployStaking);
+
+        await (await service.depositWithLockup(ethers.parseEther("50"), 0)).wait();
+        await (await service.depositWithLockup(ethers.parseEther("50"), 4)).wait();
+        await time.increase(10 * 86400);
+
+        const breakdown = await service.claimableBreakdown(user.address);
+        const sum = breakdown.byDeposit.reduce((total, d) => total + d.rewards, 0n);
+
+        expect(sum).to.equal(breakdown.total);
+        expect(breakdown.byDeposit[1].rewards).to.be.gt(breakdown.byDeposit[0].rewards);
+        expect(breakdown.claim.blocked).to.equal(true);
+        expect(breakdown.compound.net).to.equal(breakdown.total - breakdown.compound.fee);
+    });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+const TreasuryModel = require("../../scripts/utils/TreasuryModel.cjs");
+const TreasurySimulator = require("../../scripts/utils/TreasurySimulator.cjs");
+
+/**
+ * @title TreasurySimulatorParity - Test Suite
+ * @notice Replays the calls a simulation made on TreasuryModel against a real
+ *         TreasuryManager and compares the state after every distribution
+ * @dev Each op carries the timestamp the model used; it becomes the next
+ *      block's timestamp. The owner acts as authorized source and requester.
+ */
+
+describe("TreasurySimulatorParity", function () {
+    this.timeout(600000);
+
+    const TYPES = TreasuryModel.TREASURY_TYPES;
+    const STATUSES = TreasuryModel.STATUSES;
+
+    async function deploy(policy = {}) {
+        const [owner] = await ethers.getSigners();
+        await setBalance(owner.address, ethers.parseEther("10000000"));
+
+        const treasury = await (await ethers.getContractFactory("TreasuryManager")).deploy();
+        await treasury.setAuthorizedSource(owner.address, true);
+        await treasury.setAuthorizedRequester(owner.address, true);
+
+        const configured = policy.treasuries || TYPES;
+        const rejecting = policy.rejecting || [];
+        const addresses = {};
+        for (const type of configured) {
+            addresses[type] = rejecting.includes(type)
+                ? await (await (await ethers.getContractFactory("MockRejectingWallet")).deploy()).getAddress()
+                : ethers.Wallet.createRandom().address;
+            await treasury.setTreasury(TYPES.indexOf(type), addresses[type]);
+        }
+
+        // The policy the model starts from, applied with the same setters
+        const setup = new TreasuryModel();
+        if (policy.allocations) setup.setAllocations(policy.allocations);
+        if (policy.reserveAllocation !== undefined) setup.setReserveAllocation(policy.reserveAllocation);
+        if (policy.reserveAccumulation === false) setup.setReserveAccumulation(false);
+        if (policy.autoDistribution === false) setup.setAutoDistribution(false);
+        for (const op of setup.ops) await send(treasury, op);
+
+        return { treasury, addresses };
+    }
+
+    // One model op as a transaction; returns the bool the contract reported, if any
+    async function send(treasury, op) {
+        const [type, value] = op.args;
+        switch (op.method) {
+            case "receiveRevenue":
+                return treasury.receiveRevenue(type, { value });
+            case "depositToReserve":
+                return treasury.depositToReserve({ value: type });
+            case "triggerDistribution":
+                return treasury.triggerDistribution();
+            case "requestRewardFunds":
+                return treasury.requestRewardFunds(type);
+            case "requestEmergencyFunds":
+                return treasury.requestEmergencyFunds(TYPES.indexOf(type), value);
+            case "setAllocation":
+                return treasury.setAllocation(TYPES.indexOf(type), value);
+            case "setReserveAllocation":
+                return treasury.setReserveAllocation(type);
+            case "setReserveAccumulation":
+                return treasury.setReserveAccumulation(type);
+            case "setAutoDistribution":
+                return treasury.setAutoDistribution(type);
+            case "setProtocolStatus":
+                return treasury.setProtocolStatus(TYPES.indexOf(type), STATUSES.indexOf(value));
+            case "declareEmergency":
+                return treasury.declareEmergency(type);
+            case "endEmergency":
+                return treasury.endEmergency();
+            default:
+                throw new Error(`No replay for ${op.method}`);
+        }
+    }
+
+    async function reported(treasury, tx, eventName) {
+        const receipt = await tx.wait();
+        const log = receipt.logs
+            .map((entry) => { try { return treasury.interface.parseLog(entry); } catch { return null; } })
+            .find((parsed) => parsed && parsed.name === eventName);
+        return log.args.success;
+    }
+
+    async function expectState(treasury, addresses, state, label) {
+        const [totalReceived, totalDist, currentBalance, availableBalance, lastDistribution, autoDistEnabled] = await treasury.getStats();
+        expect({ totalReceived, totalDist, currentBalance, availableBalance, lastDistribution, autoDistEnabled }, `${label}: getStats`).to.deep.equal({
+            totalReceived: state.totalRevenueReceived,
+            totalDist: state.totalDistributed,
+            currentBalance: state.balance,
+            availableBalance: state.availableBalance,
+            lastDistribution: state.lastDistributionTime,
+            autoDistEnabled: state.autoDistributionEnabled,
+        });
+
+        const [reserve, accumulated, withdrawn, percentage, enabled] = await treasury.getReserveStats();
+        expect({ reserve, accumulated, withdrawn, percentage, enabled }, `${label}: getReserveStats`).to.deep.equal({
+            reserve: state.reserveFundBalance,
+            accumulated: state.totalReserveAccumulated,
+            withdrawn: state.totalReserveWithdrawn,
+            percentage: state.reserveAllocationPercentage,
+            enabled: state.reserveAccumulationEnabled,
+        });
+
+        const [firstDeposit, lastDist, nextDistribution] = await treasury.getDistributionTimeline();
+        expect([firstDeposit, lastDist, nextDistribution], `${label}: getDistributionTimeline`)
+            .to.deep.equal([state.firstDepositTime, state.lastDistributionTime, state.nextDistributionTime]);
+
+        expect([...(await treasury.getAllAllocations())], `${label}: getAllAllocations`)
+            .to.deep.equal(TYPES.map((type) => state.allocations[type]));
+
+        for (const [i, type] of TYPES.entries()) {
+            const [status, deficit] = await treasury.getProtocolStatus(i);
+            expect({ status: STATUSES[Number(status)], deficit }, `${label}: getProtocolStatus(${type})`)
+                .to.deep.equal({ status: state.protocolStatus[type], deficit: state.protocolDeficit[type] });
+        }
+
+        const [isActive, timestamp, emergencyFunds, reserveAvailable] = await treasury.getEmergencyInfo();
+        expect({ isActive, timestamp, emergencyFunds, reserveAvailable }, `${label}: getEmergencyInfo`).to.deep.equal({
+            isActive: state.emergencyModeEnabled,
+            timestamp: state.lastEmergencyTimestamp,
+            emergencyFunds: state.totalEmergencyFundsDistributed,
+            reserveAvailable: state.reserveFundBalance,
+        });
+
+        for (const [type, address] of Object.entries(addresses)) {
+            // Rejecting wallets never hold anything; the rest start empty
+            expect(await ethers.provider.getBalance(address), `${label}: ${type} balance`).to.equal(state.received[type]);
+        }
+    }
+
+    /**
+     * Runs the scenario, then replays its ops on chain in lockstep with a
+     * fresh model, comparing return values and, after each distribution,
+     * the whole state
+     */
+    async function replay(scenario) {
+        const start = BigInt(await time.latest()) + 3600n;
+        const result = new TreasurySimulator({ ...scenario, start }).run();
+        const { treasury, addresses } = await deploy(scenario.policy);
+        const model = new TreasuryModel(scenario.policy);
+
+        for (const [i, op] of result.ops.entries()) {
+            await time.setNextBlockTimestamp(op.time);
+            const tx = await send(treasury, op);
+            const label = `op ${i} ${op.method} @${op.time}`;
+
+            if (op.method === "receiveRevenue") model.receiveRevenue(op.args[1], op.args[0], op.time);
+            else if (op.method === "requestRewardFunds") {
+                expect(await reported(treasury, tx, "RewardFundsRequested"), label).to.equal(model.requestRewardFunds(op.args[0], op.time));
+            } else if (op.method === "requestEmergencyFunds") {
+                expect(await reported(treasury, tx, "EmergencyFundsRequested"), label).to.equal(model.requestEmergencyFunds(...op.args, op.time));
+            } else {
+                model[op.method](...op.args, op.time);
+            }
+
+            if (op.method === "triggerDistribution") await expectState(treasury, addresses, model.snapshot(), label);
+        }
+
+        await expectState(treasury, addresses, result.final, "final");
+        return result;
+    }
+
+    it("matches the example scenario", async function () {
+        const scenario = require("../../scripts/treasury.scenario.cjs");
+        // Long enough to cover both policy changes and the first pools running dry
+        const result = await replay({ ...scenario, weeks: 18 });
+
+        expect(result.summary.firstDry).to.have.property("STAKING");
+        expect(result.ops.some((op) => op.method === "setAllocation")).to.equal(true);
+        expect(result.ops.some((op) => op.method === "requestEmergencyFunds")).to.equal(true);
+    });
+
+    it("matches with rejecting and missing treasuries and policy toggles", async function () {
+        const result = await replay({
+            name: "edge",
+            weeks: 10,
+            initial: { manager: 25, reserve: 40, treasuries: { STAKING: 120 } },
+            policy: {
+                allocations: { REWARDS: 2500, STAKING: 3500, COLLABORATORS: 2000, DEVELOPMENT: 1000, MARKETPLACE: 1000 },
+                reserveAllocation: 1000,
+                treasuries: ["REWARDS", "STAKING", "DEVELOPMENT", "MARKETPLACE"],
+                rejecting: ["DEVELOPMENT"],
+            },
+            revenue: [
+                // Odd wei amounts so every split rounds
+                { type: "marketplace_fee", perWeek: 33333333333333333333n, growthBps: 777 },
+                { type: "staking_commission", perWeek: "12.345678901234567", fromWeek: 2, toWeek: 7 },
+                { type: "AgentNuxPower", once: 9, week: 4 },
+            ],
+            demand: [
+                { name: "staking-rewards", from: "STAKING", perWeek: 30, growthBps: 900 },
+                { name: "quests", from: "REWARDS", perWeek: 6 },
+                { name: "gamification", from: "manager", perWeek: 4 },
+            ],
+            changes: [
+                { week: 3, setReserveAccumulation: false, setAllocation: { MARKETPLACE: 0, STAKING: 4500 } },
+                { week: 5, setAutoDistribution: false, depositToReserve: 3 },
+                { week: 6, setReserveAccumulation: true, setReserveAllocation: 3000, setAutoDistribution: true },
+                { week: 8, endEmergency: true },
+                { week: 9, declareEmergency: "manual drill" },
+            ],
+            thresholds: { unstableWeeks: 4, criticalWeeks: 1 },
+        });
+
+        expect(result.final.protocolDeficit.DEVELOPMENT).to.not.equal(0n);
+        expect(result.events.some((entry) => entry.kind === "distribution-failed")).to.equal(true);
+    });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const TreasuryReport = require("../scripts/utils/TreasuryReport.cjs");
+
+/**
+ * @title TreasuryReport - Test Suite
+ * @notice QueryTreasury data gathering, output formats, snapshots and diffs
+ */
+
+describe("TreasuryReport", function () {
+    const ADDRESS = "0x00000000000000000000000000000000000000aa";
+    const OWNER = "0x00000000000000000000000000000000000000bb";
+    const STAKING = "0x00000000000000000000000000000000000000cc";
+    const CORE = "0x00000000000000000000000000000000000000dd";
+    const NOW = 1_800_000_000n;
+    const DAY = 86400n;
+    const pol = (value) => ethers.parseEther(String(value));
+
+    // TreasuryManager views as the ABI decodes them; every call must be pinned to one block
+    function fakeTreasury(state = {}) {
+        const s = {
+            balance: pol(100),
+            reserve: pol(20),
+            totalReceived: pol(500),
+            totalDistributed: pol(380),
+            autoDistribution: true,
+            firstDeposit: NOW - 65n * DAY,
+            lastDistribution: NOW - 3n * DAY - DAY / 2n,
+            reserveBps: 2000n,
+            accumulationEnabled: true,
+            statuses: [0n, 2n, 0n, 0n, 0n],
+            deficits: [0n, pol(4), 0n, 0n, 0n],
+            emergency: false,
+            ...state,
+        };
+        const blocks = [];
+        const pinned = (fn) => (...args) => {
+            blocks.push(args[args.length - 1].blockTag);
+            return fn(...args);
+        };
+        const next = s.lastDistribution + 7n * DAY;
+
+        return {
+            blocks,
+            provider: {
+                getBlock: async () => ({ number: 1234, timestamp: Number(NOW) }),
+                getBalance: async (address, blockTag) => { blocks.push(blockTag); return s.balance; },
+            },
+            tm: {
+                getStats: pinned(async () => [s.totalReceived, s.totalDistributed, s.balance, s.balance - s.reserve, s.lastDistribution, s.autoDistribution]),
+                getDistributionTimeline: pinned(async () => [s.firstDeposit, s.lastDistribution, next, next > NOW ? next - NOW : 0n, next <= NOW]),
+                getReserveStats: pinned(async () => [s.reserve, pol(30), pol(10), s.reserveBps, s.accumulationEnabled]),
+                getEmergencyInfo: pinned(async () => [s.emergency, s.emergency ? NOW - DAY : 0n, pol(10), s.reserve]),
+                getTreasuryConfig: pinned(async (i) => [i === 1 ? STAKING : ethers.ZeroAddress, [3000n, 3500n, 2000n, 1500n, 0n][i]]),
+                getProtocolStatus: pinned(async (i) => [s.statuses[i], s.deficits[i], s.emergency]),
+                authorizedSources: pinned(async (address) => address === CORE),
+                owner: pinned(async () => OWNER),
+            },
+        };
+    }
+
+    function collect(state, extra = {}) {
+        const { tm, provider, blocks } = fakeTreasury(state);
+        return TreasuryReport.collect(tm, {
+            provider,
+            address: ADDRESS,
+            network: "localhost",
+            chainId: 31337n,
+            sources: [{ name: "StakingCore", address: CORE }, { name: "Marketplace", address: STAKING }, { name: "nuxPowers" }],
+            signer: OWNER,
+            ...extra,
+        }).then((report) => ({ report, blocks }));
+    }
+
+    it("gathers every value at one block", async function () {
+        const { report, blocks } = await collect();
+
+        expect(new Set(blocks)).to.deep.equal(new Set([1234]));
+        expect(report.balances).to.include({ onChain: pol(100), available: pol(80), reserve: pol(20), pending: pol(80) });
+        // 20% of the pending 80 goes to the reserve first
+        expect(report.distribution).to.deep.equal({ toReserve: pol(16), distributable: pol(64) });
+        expect(report.allocations.STAKING).to.deep.equal({ bps: 3500n, address: STAKING, estimated: pol("22.4") });
+        expect(report.allocations.REWARDS.address).to.equal(null);
+        expect(report.protocols.STAKING).to.deep.equal({ status: "CRITICAL", deficit: pol(4) });
+        expect(report.timeline).to.include({ initialized: true, ready: false, cycleProgressPct: 50n });
+        // 380 distributed over 2 months: 190 per month against a reserve of 20
+        expect(report.reserve.runwayMonths).to.equal(0n);
+        expect(report.sources.map((source) => source.authorized)).to.deep.equal([true, false, null]);
+        expect(report.ownership).to.deep.equal({ owner: OWNER, signer: OWNER, isOwner: true });
+
+        expect(report.health.score).to.equal(85);
+        expect(report.health.issues).to.include("❌ Marketplace is NOT authorized as revenue source");
+    });
+
+    it("renders text, JSON, CSV and Markdown from the same values", async function () {
+        const { report } = await collect();
+
+        const text = TreasuryReport.render(report, "text", { rpc: "https://rpc.example" });
+        expect(text).to.include("RPC      : https://rpc.example");
+        expect(text).to.include("STAKING          35.00%   22.400000 POL");
+        expect(text).to.include("ALLOCATION BREAKDOWN (of distributable 80.00%)");
+
+        const json = JSON.parse(TreasuryReport.render(report, "json"));
+        expect(json.balances.onChain).to.equal(pol(100).toString());
+        expect(json.chainId).to.equal("31337");
+
+        const csv = TreasuryReport.render(report, "csv").trim().split("\n");
+        expect(csv[0]).to.equal("section,field,value,unit");
+        expect(csv).to.include(`balances,onChain,${pol(100)},wei`);
+        expect(csv).to.include("protocols,STAKING.status,CRITICAL,status");
+        expect(csv).to.include("allocations,REWARDS.address,,address");
+        expect(csv).to.have.length(TreasuryReport.flatten(report).length + 1);
+
+        const markdown = TreasuryReport.render(report, "markdown");
+        expect(markdown).to.include("## Allocations");
+        expect(markdown).to.include("| STAKING.allocation | 35.00% |");
+        expect(markdown).to.include(`| STAKING.address | \`${STAKING}\` |`);
+
+        expect(() => TreasuryReport.render(report, "xml")).to.throw(/Unknown format "xml"/);
+    });
+
+    it("saves snapshots per network and diffs them", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-report-"));
+        try {
+            const { report: before } = await collect();
+            before.generatedAt = "2026-10-01T00:00:00.000Z";
+            const { report: after } = await collect({
+                balance: pol(130),
+                reserve: pol("26.5"),
+                totalReceived: pol(530),
+                statuses: [0n, 0n, 0n, 0n, 0n],
+                deficits: [0n, 0n, 0n, 0n, 0n],
+            });
+            after.generatedAt = "2026-10-08T00:00:00.000Z";
+
+            const first = TreasuryReport.save(before, dir);
+            TreasuryReport.save(after, dir);
+            expect(path.relative(dir, first)).to.equal(path.join("localhost", "2026-10-01T00-00-00-000Z.json"));
+            const files = TreasuryReport.snapshots(dir, "localhost");
+            expect(files).to.have.length(2);
+            expect(TreasuryReport.snapshots(dir, "polygon")).to.deep.equal([]);
+
+            // Loaded JSON diffs the same as live reports
+            const diff = TreasuryReport.diff(...files.map((file) => TreasuryReport.load(file)));
+            expect(diff).to.deep.equal(TreasuryReport.diff(before, after));
+
+            const byField = Object.fromEntries(diff.changes.map((change) => [`${change.section}.${change.field}`, change]));
+            expect(byField["balances.onChain"]).to.include({ before: pol(100).toString(), after: pol(130).toString(), delta: pol(30).toString() });
+            expect(byField["reserve.balance"].delta).to.equal(pol("6.5").toString());
+            expect(byField["protocols.STAKING.status"]).to.include({ before: "CRITICAL", after: "HEALTHY", delta: null });
+            expect(byField["protocols.STAKING.deficit"].delta).to.equal((-pol(4)).toString());
+            expect(byField).to.not.have.property("allocations.STAKING.allocation");
+            expect(byField).to.not.have.property("meta.contract");
+
+            const text = TreasuryReport.renderDiff(diff, "text");
+            expect(text).to.include("onChain");
+            expect(text).to.include("(+30.000000 POL)");
+            expect(text).to.include("deficit");
+            expect(text).to.include("(-4.000000 POL)");
+            expect(TreasuryReport.renderDiff(diff, "csv").split("\n")[0]).to.equal("section,field,unit,before,after,delta");
+            expect(TreasuryReport.renderDiff(diff, "markdown")).to.include("| protocols | STAKING.status | CRITICAL | HEALTHY |  |");
+            expect(TreasuryReport.renderDiff(TreasuryReport.diff(before, before), "text")).to.include("No changes");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const TreasuryModel = require("../scripts/utils/TreasuryModel.cjs");
+const TreasurySimulator = require("../scripts/utils/TreasurySimulator.cjs");
+const { TreasuryRevert } = TreasuryModel;
+
+/**
+ * @title TreasurySimulator - Test Suite
+ * @notice TreasuryManager model (distribution, reserve, requests, reverts) and
+ *         the scenario runner on top of it
+ * @dev Parity against the contract lives in Treasury/TreasurySimulatorParity.cjs
+ */
+
+describe("TreasurySimulator", function () {
+    const DAY = 86400n;
+    const WEEK = 7n * DAY;
+    const T0 = 1_800_000_000n;
+    const pol = (value) => ethers.parseEther(String(value));
+
+    function scenario(overrides = {}) {
+        return {
+            name: "test",
+            start: Number(T0),
+            weeks: 8,
+            revenue: [{ type: "marketplace_fee", perWeek: 700 }],
+            demand: [],
+            ...overrides,
+        };
+    }
+
+    describe("TreasuryModel", function () {
+        it("splits a distribution into reserve and allocations", function () {
+            const model = new TreasuryModel();
+            model.receiveRevenue(pol(100), "marketplace_fee", T0);
+
+            expect(model.isDistributionReady(T0 + WEEK - 1n)).to.equal(false);
+            expect(() => model.triggerDistribution(T0 + WEEK - 1n)).to.throw(TreasuryRevert, "Distribution not ready");
+
+            const result = model.triggerDistribution(T0 + WEEK);
+            expect(result.reserve).to.equal(pol(20));
+            expect(result.distributed).to.deep.equal({
+                REWARDS: pol(24), STAKING: pol(28), COLLABORATORS: pol(16), DEVELOPMENT: pol(12), MARKETPLACE: 0n,
+            });
+            // Only the reserve stays behind
+            expect(model.balance).to.equal(pol(20));
+            expect(model.availableBalance).to.equal(0n);
+            expect(model.nextDistributionTime).to.equal(T0 + 2n * WEEK);
+            expect(model.ops.map((op) => op.method)).to.deep.equal(["receiveRevenue", "triggerDistribution"]);
+        });
+
+        it("keeps what a rejecting treasury refuses and tracks it as deficit", function () {
+            const model = new TreasuryModel({ rejecting: ["DEVELOPMENT"], treasuries: ["REWARDS", "STAKING", "DEVELOPMENT"] });
+            model.receiveRevenue(pol(100), "staking_commission", T0);
+
+            const result = model.triggerDistribution(T0 + WEEK);
+            expect(result.failed.DEVELOPMENT).to.equal(pol(12));
+            expect(model.protocolDeficit.DEVELOPMENT).to.equal(pol(12));
+            // Reserve + COLLABORATORS (no address) + the refused DEVELOPMENT share
+            expect(model.balance).to.equal(pol(20) + pol(16) + pol(12));
+            expect(model.availableBalance).to.equal(pol(28));
+        });
+
+        it("pays reward and emergency requests all-or-nothing", function () {
+            const model = new TreasuryModel();
+            model.depositToReserve(pol(10), T0);
+            model.receiveRevenue(pol(5), "quest_claim_fee", T0 + 1n);
+
+            expect(model.requestRewardFunds(pol(6), T0 + 2n)).to.equal(false);
+            expect(model.requestRewardFunds(pol(5), T0 + 3n)).to.equal(true);
+            expect(model.balance).to.equal(pol(10));
+
+            expect(() => model.requestEmergencyFunds("STAKING", pol(1), T0 + 4n)).to.throw(TreasuryRevert, "Emergency mode not active");
+            model.setProtocolStatus("STAKING", "CRITICAL", T0 + 5n);
+            expect(model.emergencyModeEnabled).to.equal(true);
+            expect(model.lastEmergencyTimestamp).to.equal(T0 + 5n);
+
+            expect(model.requestEmergencyFunds("STAKING", pol(11), T0 + 6n)).to.equal(false);
+            expect(model.requestEmergencyFunds("STAKING", pol(4), T0 + 7n)).to.equal(true);
+            expect(model.reserveFundBalance).to.equal(pol(6));
+            expect(model.protocolDeficit.STAKING).to.equal(pol(4));
+            expect(model.totalEmergencyFundsDistributed).to.equal(pol(4));
+        });
+
+        it("enforces the admin setters' requires and orders allocation changes", function () {
+            const model = new TreasuryModel();
+
+            expect(() => model.setAllocation("STAKING", 4000, T0)).to.throw(TreasuryRevert, "Total allocation exceeds 100%");
+            expect(() => model.setAllocation("MARKETPLACE", 10001, T0)).to.throw(TreasuryRevert, "Exceeds 100%");
+            expect(() => model.setReserveAllocation(3001, T0)).to.throw(TreasuryRevert, "Max 30% reserve");
+            expect(() => model.endEmergency(T0)).to.throw(TreasuryRevert, "No emergency active");
+            expect(() => model.depositToReserve(0n, T0)).to.throw(TreasuryRevert, "Must send POL");
+            expect(() => model.triggerDistribution(T0)).to.throw(TreasuryRevert, "No deposits yet");
+            expect(model.ops).to.deep.equal([]);
+
+            model.setAllocations({ STAKING: 4000, COLLABORATORS: 1500 }, T0);
+            expect(model.ops.map((op) => op.args)).to.deep.equal([["COLLABORATORS", 1500n], ["STAKING", 4000n]]);
+        });
+    });
+
+    describe("scenarios", function () {
+        it("spreads weekly flows over the days and distributes on the keeper's schedule", function () {
+            const result = new TreasurySimulator(scenario({ weeks: 2 })).run();
+
+            expect(result.summary.revenue.marketplace_fee).to.equal(pol(1400));
+            const distributions = result.events.filter((entry) => entry.kind === "distribution");
+            expect(distributions).to.have.length(1);
+            expect(distributions[0]).to.include({ week: 2, day: 0 });
+            // Week 1 (700) plus day 0 of week 2 (100)
+            expect(distributions[0].available).to.equal(pol(800));
+            expect(result.timeline[1].treasuries.STAKING.balance).to.equal(pol(800) * 8000n / 10000n * 3500n / 10000n);
+
+            // One timestamp per call, strictly increasing
+            const times = result.ops.map((op) => op.time);
+            expect(times.every((time, i) => i === 0 || time > times[i - 1])).to.equal(true);
+        });
+
+        it("reports when a pool runs dry and escalates its status", function () {
+            const result = new TreasurySimulator(scenario({
+                initial: { reserve: 50, treasuries: { STAKING: 700 } },
+                demand: [{ name: "staking-rewards", from: "STAKING", perWeek: 490 }],
+            })).run();
+
+            // 700 - 490 left after week 1, plus 196 from the week 2 distribution, lasts until day 6
+            expect(result.summary.firstDry.STAKING).to.include({ week: 2, day: 6 });
+            const statuses = result.events.filter((entry) => entry.kind === "status" && entry.pool === "STAKING");
+            expect(statuses.map((entry) => [entry.week, entry.to])).to.deep.equal([[1, "CRITICAL"], [2, "EMERGENCY"]]);
+            expect(result.events.find((entry) => entry.kind === "emergency-mode")).to.include({ pool: "STAKING" });
+
+            // Emergency funds come out of the reserve until it is empty, then demand goes unmet
+            expect(result.summary.emergencyFunds.STAKING).to.equal(result.final.totalReserveWithdrawn);
+            expect(result.final.reserveFundBalance).to.equal(0n);
+            expect(result.summary.unmet.STAKING).to.not.equal(0n);
+            expect(result.events.some((entry) => entry.kind === "emergency-funds-failed")).to.equal(true);
+        });
+
+        it("shows the effect of an allocation change on the pool's runway", function () {
+            const base = {
+                weeks: 12,
+                initial: { treasuries: { STAKING: 300 } },
+                demand: [{ name: "staking-rewards", from: "STAKING", perWeek: 230 }],
+                emergencyFunding: false,
+            };
+            const before = new TreasurySimulator(scenario(base)).run();
+            const after = new TreasurySimulator(scenario({
+                ...base,
+                changes: [{ week: 1, setAllocation: { STAKING: 4500, DEVELOPMENT: 500 } }],
+            })).run();
+
+            expect(before.summary.firstDry.STAKING).to.not.equal(undefined);
+            expect(after.summary.firstDry.STAKING).to.equal(undefined);
+            expect(after.summary.unmet.STAKING).to.equal(0n);
+            expect(after.final.allocations).to.include({ STAKING: 4500n, DEVELOPMENT: 500n });
+        });
+
+        it("leaves revenue in the manager while auto-distribution is off", function () {
+            const result = new TreasurySimulator(scenario({
+                weeks: 4,
+                demand: [{ name: "gamification", from: "manager", perWeek: 350 }],
+                changes: [{ week: 3, setAutoDistribution: false }],
+            })).run();
+
+            expect(result.events.filter((entry) => entry.kind === "distribution").map((entry) => entry.week)).to.deep.equal([2]);
+            // The week 2 distribution sweeps the day's revenue before the day's request
+            expect(result.summary.unmet.manager).to.equal(pol(50));
+            // Days 1-6 of week 2 plus weeks 3 and 4, half of it paid out
+            expect(result.final.availableBalance).to.equal(pol(300) + 2n * pol(350));
+        });
+
+        it("rejects demand from an unknown pool and invalid policy changes", function () {
+            expect(() => new TreasurySimulator(scenario({ demand: [{ name: "x", from: "TREASURY", perWeek: 1 }] })))
+                .to.throw(/draws from "TREASURY"/);
+            expect(() => new TreasurySimulator(scenario({ changes: [{ week: 1, setReserveAllocation: 5000 }] })).run())
+                .to.throw(TreasuryRevert, "Max 30% reserve");
+        });
+    });
+});
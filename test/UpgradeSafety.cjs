@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+const UpgradeSafety = require("../scripts/utils/UpgradeSafety.cjs");
+
+/**
+ * @title UpgradeSafety - Test Suite
+ * @notice Per-variable storage layout diff on synthetic layouts and the exit code of CheckUpgradeSafety
+ */
+
+describe("UpgradeSafety", function () {
+    const TYPES = {
+        t_address: { label: "address", numberOfBytes: "20" },
+        t_bool: { label: "bool", numberOfBytes: "1" },
+        t_uint256: { label: "uint256", numberOfBytes: "32" },
+        t_int256: { label: "int256", numberOfBytes: "32" },
+        t_bytes32: { label: "bytes32", numberOfBytes: "32" },
+        "t_array(t_uint256)49_storage": { label: "uint256[49]", numberOfBytes: "1568" },
+        "t_array(t_uint256)48_storage": { label: "uint256[48]", numberOfBytes: "1536" },
+    };
+
+    // [label, slot, type, extra] → storage layout of a single contract
+    function layout(...vars) {
+        return {
+            storage: vars.map(([label, slot, type, extra = {}]) => ({ contract: "Vault", label, slot: String(slot), offset: 0, type, ...extra })),
+            types: TYPES,
+        };
+    }
+
+    function statuses(rows) {
+        return rows.map((row) => [row.label, row.status]);
+    }
+
+    const original = layout(["owner", 0, "t_address"], ["total", 1, "t_uint256"], ["fee", 2, "t_uint256"], ["limit", 3, "t_uint256"]);
+
+    it("keeps unchanged, renamed and appended variables, including ones packed into a free slot tail", function () {
+        const updated = layout(
+            ["owner", 0, "t_address"],
+            ["paused", 0, "t_bool", { offset: 20 }],
+            ["total", 1, "t_uint256"],
+            ["feeBps", 2, "t_uint256", { renamedFrom: "fee" }],
+            ["limit", 3, "t_uint256"],
+            ["cap", 4, "t_uint256"],
+        );
+
+        const rows = UpgradeSafety.diffLayouts(original, updated);
+
+        expect(statuses(rows)).to.deep.equal([
+            ["Vault.owner", "unchanged"],
+            ["Vault.paused", "added"],
+            ["Vault.total", "unchanged"],
+            ["Vault.feeBps", "renamed"],
+            ["Vault.limit", "unchanged"],
+            ["Vault.cap", "added"],
+        ]);
+        expect(rows[3]).to.include({ before: "slot 2+0 uint256", after: "slot 2+0 uint256" });
+        expect(UpgradeSafety.blocking(rows)).to.deep.equal([]);
+    });
+
+    it("blocks removed, retyped and moved variables", function () {
+        const updated = layout(["owner", 0, "t_address"], ["total", 1, "t_int256"], ["fee", 3, "t_uint256"]);
+
+        const rows = UpgradeSafety.diffLayouts(original, updated);
+
+        expect(statuses(rows)).to.deep.equal([
+            ["Vault.owner", "unchanged"],
+            ["Vault.total", "retyped"],
+            ["Vault.fee", "moved"],
+            ["Vault.limit", "removed"],
+        ]);
+        expect(rows[3]).to.include({ before: "slot 3+0 uint256", after: "—" });
+        expect(UpgradeSafety.blocking(rows).map((row) => row.status)).to.deep.equal(["retyped", "moved", "removed"]);
+    });
+
+    it("allows a type change only when the variable declares retypedFrom", function () {
+        const retyped = layout(["owner", 0, "t_address"], ["total", 1, "t_bytes32"]);
+        const allowed = layout(["owner", 0, "t_address"], ["total", 1, "t_bytes32", { retypedFrom: "uint256" }]);
+        const before = layout(["owner", 0, "t_address"], ["total", 1, "t_uint256"]);
+
+        expect(UpgradeSafety.blocking(UpgradeSafety.diffLayouts(before, retyped))).to.have.length(1);
+
+        const rows = UpgradeSafety.diffLayouts(before, allowed);
+        expect(rows[1]).to.include({ status: "retypedAllowed", before: "slot 1+0 uint256", after: "slot 1+0 bytes32" });
+        expect(UpgradeSafety.blocking(rows)).to.deep.equal([]);
+
+        const text = UpgradeSafety.format({ contract: "Vault", proxy: "0xproxy", ok: true, rows });
+        expect(text).to.include("retyped (retypedFrom)");
+    });
+
+    it("appends into a shrunk or fully consumed __gap", function () {
+        const gapped = layout(["owner", 0, "t_address"], ["__gap", 1, "t_array(t_uint256)49_storage"]);
+
+        const shrunk = UpgradeSafety.diffLayouts(gapped, layout(
+            ["owner", 0, "t_address"],
+            ["rate", 1, "t_uint256"],
+            ["__gap", 2, "t_array(t_uint256)48_storage"],
+        ));
+        expect(statuses(shrunk)).to.deep.equal([["Vault.owner", "unchanged"], ["Vault.rate", "added"], ["Vault.__gap", "gap"]]);
+        expect(shrunk[2]).to.include({ before: "slot 1+0 uint256[49]", after: "slot 2+0 uint256[48]" });
+
+        const consumed = UpgradeSafety.diffLayouts(gapped, layout(["owner", 0, "t_address"], ["rate", 1, "t_uint256"]));
+        expect(statuses(consumed)).to.deep.equal([["Vault.owner", "unchanged"], ["Vault.rate", "added"], ["Vault.__gap", "gap"]]);
+        expect(consumed[2].after).to.equal("—");
+
+        expect(UpgradeSafety.blocking([...shrunk, ...consumed])).to.deep.equal([]);
+    });
+
+    it("flags a variable inserted over a live slot as a collision", function () {
+        const before = layout(["owner", 0, "t_address"], ["total", 1, "t_uint256"]);
+        const updated = layout(["owner", 0, "t_address"], ["inserted", 1, "t_uint256"], ["total", 2, "t_uint256"]);
+
+        const rows = UpgradeSafety.diffLayouts(before, updated);
+
+        expect(statuses(rows)).to.deep.equal([["Vault.owner", "unchanged"], ["Vault.inserted", "collision"], ["Vault.total", "moved"]]);
+        expect(UpgradeSafety.blocking(rows)).to.have.length(2);
+    });
+
+    describe("CheckUpgradeSafety", function () {
+        // Runs the script with checkAll() reporting a diff of the given layouts
+        function runScript(updated) {
+            const script = `
+                const UpgradeSafety = require("./scripts/utils/UpgradeSafety.cjs");
+                const rows = UpgradeSafety.diffLayouts(JSON.parse(process.env.ORIGINAL_LAYOUT), JSON.parse(process.env.UPDATED_LAYOUT));
+                UpgradeSafety.prototype.checkAll = async () => [
+                    { contract: "Vault", proxy: "0xproxy", implementation: null, ok: UpgradeSafety.blocking(rows).length === 0, rows, explain: "", error: null }
+                ];
+                require("./scripts/CheckUpgradeSafety.cjs");
+            `;
+
+            return spawnSync(process.execPath, ["-e", script], {
+                cwd: path.join(__dirname, ".."),
+                encoding: "utf8",
+                timeout: 120000,
+                env: { ...process.env, HARDHAT_NETWORK: "hardhat", ORIGINAL_LAYOUT: JSON.stringify(original), UPDATED_LAYOUT: JSON.stringify(updated) },
+            });
+        }
+
+        it("exits non-zero when an upgrade is blocked", function () {
+            const result = runScript(layout(["owner", 0, "t_address"], ["total", 1, "t_int256"]));
+
+            expect(result.status).to.equal(1);
+            expect(result.stdout).to.include("Blocked: 1");
+            expect(result.stderr).to.include("Unsafe upgrade for: Vault");
+        });
+
+        it("exits zero when every upgrade is safe", function () {
+            const result = runScript(layout(
+                ["owner", 0, "t_address"],
+                ["total", 1, "t_uint256"],
+                ["fee", 2, "t_uint256"],
+                ["limit", 3, "t_uint256"],
+                ["cap", 4, "t_uint256"],
+            ));
+
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.include("Blocked: 0");
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+/**
+ * @title viem entrypoint - Test Suite
+ * @notice getContract-based factories and chain definitions of export/viem
+ */
+
+describe("ViemClients", function () {
+    let viem, hardhat, protocol;
+    let owner, treasuryAddr, publicClient, walletClient;
+
+    before(async function () {
+        viem = await import("viem");
+        ({ hardhat } = await import("viem/chains"));
+        protocol = await import("../export/viem/index.js");
+    });
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
+        const treasury = await TreasuryManager.deploy();
+        treasuryAddr = await treasury.getAddress();
+
+        const transport = viem.custom(network.provider);
+        publicClient = viem.createPublicClient({ chain: hardhat, transport });
+        walletClient = viem.createWalletClient({ chain: hardhat, transport, account: owner.address });
+    });
+
+    it("reads through a public client", async function () {
+        const treasury = protocol.createTreasuryClient(publicClient, { TreasuryManager: treasuryAddr });
+
+        expect(treasury.address).to.equal(treasuryAddr);
+        expect(await treasury.read.owner()).to.equal(owner.address);
+        expect(await treasury.read.allocations([0])).to.equal(3000n);
+    });
+
+    it("writes through a wallet client", async function () {
+        const treasury = protocol.createTreasuryClient(
+            { public: publicClient, wallet: walletClient },
+            { TreasuryManager: treasuryAddr }
+        );
+
+        const hash = await treasury.write.setAllocation([0, 1000n]);
+        await publicClient.waitForTransactionReceipt({ hash });
+
+        expect(await treasury.read.allocations([0])).to.equal(1000n);
+    });
+
+    it("builds the same client set as the ethers factories", async function () {
+        const polygonClient = viem.createPublicClient({ chain: protocol.polygonMainnet, transport: viem.custom(network.provider) });
+        const ethersClients = (await import("../export/index.js")).createNuxchainClients(ethers.provider, 137);
+        const viemClients = protocol.createNuxchainClients(polygonClient);
+
+        expect(Object.keys(viemClients)).to.have.members(Object.keys(ethersClients));
+        expect(viemClients.stakingCore.address).to.equal(ethersClients.stakingCore.target);
+        expect(() => protocol.createNuxTapClients(polygonClient)).to.throw("Missing NuxTapGame address");
+    });
+
+    it("takes the address book from the client's chain instead of defaulting to Polygon", async function () {
+        const { CONTRACT_ADDRESSES, UnsupportedChainError } = await import("../export/config/index.js");
+        const chainless = viem.createPublicClient({ transport: viem.custom(network.provider) });
+
+        expect(() => protocol.createNuxchainClients(publicClient)).to.throw(UnsupportedChainError);
+        // A chainId is checked against the client's chain
+        expect(() => protocol.createTreasuryClient({ public: publicClient, wallet: walletClient }, 137)).to.throw(UnsupportedChainError);
+        expect(() => protocol.createTreasuryClient(chainless)).to.throw("createTreasuryClient needs a chainId or an address map");
+        expect(protocol.createTreasuryClient(chainless, 137).address).to.equal(CONTRACT_ADDRESSES.TreasuryManager);
+    });
+
+    it("derives the Polygon chain from POLYGON_MAINNET", async function () {
+        const { POLYGON_MAINNET } = await import("../export/config/index.js");
+
+        expect(protocol.polygonMainnet.id).to.equal(137);
+        expect(protocol.polygonMainnet.rpcUrls.default.http).to.deep.equal(POLYGON_MAINNET.rpcUrls);
+        expect(protocol.polygonMainnet.blockExplorers.default.url).to.equal("https://polygonscan.com");
+        expect(await protocol.resolveChainId({ public: publicClient })).to.equal(31337);
+    });
+});